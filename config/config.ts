@@ -109,6 +109,9 @@ const config: AppConfig = {
   // PG_DUMP_PATH to the install bin, e.g. C:\Program Files\PostgreSQL\18\bin\pg_dump.exe.
   // NOTE: pg_dump's version must be >= the server's PostgreSQL major version.
   pgDumpPath: process.env.PG_DUMP_PATH || 'pg_dump',
+  // `pg_restore`, for verifying scheduled backups and the Settings restore check
+  // (services/database/backup-restore.ts). Same PATH/Windows rules as pg_dump.
+  pgRestorePath: process.env.PG_RESTORE_PATH || 'pg_restore',
   telegram: {
     token: process.env.TELEGRAM_TOKEN,
     chatId: process.env.TELEGRAM_CHAT_ID,
@@ -231,22 +231,29 @@ export default [
       'public/js/components/react/appointments/AppointmentsHeader.tsx',
       'public/js/components/react/appointments/AppointmentsList.tsx',
       'public/js/components/react/appointments/AppointmentCard.tsx',
+      'public/js/components/react/appointments/ConfirmationMark.tsx',
       'public/js/components/react/appointments/StatsCards.tsx',
       'public/js/components/react/appointments/ConnectionStatus.tsx',
       'public/js/components/react/appointments/DoctorFilterSelect.tsx',
       'public/js/components/react/appointments/MobileViewToggle.tsx',
       'public/js/components/react/WorkComponent.tsx',
       'public/js/components/react/WorkCard.tsx',
+      'public/js/components/react/WorkPaymentPlanPanel.tsx',
+      'public/js/components/react/RefundInvoiceModal.tsx',
       'public/js/components/react/AppointmentForm.tsx',
       'public/js/components/react/EditAppointmentForm.tsx',
       'public/js/components/react/SimplifiedCalendarPicker.tsx',
       'public/js/components/react/PatientAppointments.tsx',
+      'public/js/components/react/PatientWaitlist.tsx',
       'public/js/components/react/PaymentModal.tsx',
       'public/js/components/react/Navigation.tsx',
       'public/js/components/react/AddPatientForm.tsx',
       'public/js/components/react/EditPatientComponent.tsx',
       'public/js/components/react/ViewPatientInfo.tsx',
-      'public/js/components/react/PortalActivityBell.tsx'
+      'public/js/components/react/AttendanceCard.tsx',
+      'public/js/components/react/PortalActivityBell.tsx',
+      'public/js/components/react/PatientHistory.tsx',
+      'public/js/components/react/audit/AuditTrail.tsx'
     ],
     plugins: {
       i18next
@@ -28,6 +28,8 @@ import {
   portalCsrfProtection,
   staffCsrfTokenHandler,
   portalCsrfTokenHandler,
+  alignerPortalCsrfProtection,
+  alignerPortalCsrfTokenHandler,
   csrfErrorHandler,
 } from './middleware/csrf.js';
 import apiRoutes from './routes/api/index.js';
@@ -46,6 +48,7 @@ import holidayRoutes from './routes/api/holiday.routes.js';
 import publicVideoRoutes from './routes/public/video.routes.js';
 import tvDisplayRoutes from './routes/public/tv-display.routes.js';
 import portalRoutes from './routes/portal.js';
+import alignerPortalRoutes from './routes/aligner-portal.js';
 import whatsappService from './services/messaging/whatsapp.js';
 import session from 'express-session';
 import pgSession from 'connect-pg-simple';
@@ -55,6 +58,15 @@ import {
   isDoctorEmailListSyncEnabled,
   scheduleDoctorEmailListSync,
 } from './services/cloudflare/doctor-email-list.js';
+import { startNoShowSweep, stopNoShowSweep } from './services/appointments/no-show-sweep.js';
+import {
+  startConfirmationCallSweep,
+  stopConfirmationCallSweep,
+} from './services/appointments/confirmation-call-sweep.js';
+import { startLabSlaSweep, stopLabSlaSweep } from './services/lab-cases/lab-sla-sweep.js';
+import { startOutboundQueue, stopOutboundQueue } from './services/messaging/outbound-queue.js';
+import { startAlignerReminderSweep, stopAlignerReminderSweep } from './services/business/aligner-reminder-sweep.js';
+import { startBackupScheduler, stopBackupScheduler } from './services/database/backup-schedule.js';
 import messageState from './services/state/messageState.js';
 import { MessageStatus } from './services/messaging/message-status.js';
 import { InternalEmitterEvents } from './services/messaging/websocket-events.js';
@@ -71,6 +83,7 @@ import { localsendService } from './services/localsend/index.js';
 import ResourceManager from './services/core/ResourceManager.js';
 import { log } from './utils/logger.js';
 import { requestTimeout, TIMEOUTS } from './middleware/timeout.js';
+import { auditContext } from './middleware/audit-context.js';
 
 // ===========================================
 // TYPES
@@ -219,6 +232,8 @@ async function initializeApplication(): Promise<AppInitResult> {
         || req.path.startsWith('/portal/')
         || req.path === '/api/portal'
         || req.path.startsWith('/api/portal/')
+        || req.path === '/aligner-portal'
+        || req.path.startsWith('/aligner-portal/')
         || req.path.startsWith('/api/aligner-portal')) {
         return next();
       }
@@ -248,6 +263,30 @@ async function initializeApplication(): Promise<AppInitResult> {
     app.use('/api/portal', portalSession);
     app.use('/portal', portalSession);
 
+    // Aligner-doctor portal session — same store table and lifetime as the
+    // patient portal, its own cookie (a doctor and a patient never share one)
+    const alignerPortalSession = session({
+      store: new PgSessionStore({
+        pool: sessionPool,
+        tableName: 'portal_sessions',
+        createTableIfMissing: false
+      }),
+      secret: portalSessionSecret,
+      resave: false,
+      saveUninitialized: false,
+      rolling: true,
+      cookie: {
+        httpOnly: true,
+        secure: isProduction,
+        sameSite: 'lax',
+        maxAge: 24 * 60 * 60 * 1000, // 24 hours
+        path: '/'
+      },
+      name: 'shwan.doctor'
+    });
+    app.use('/api/aligner-portal', alignerPortalSession);
+    app.use('/aligner-portal', alignerPortalSession);
+
     log.info('✅ Session management configured');
 
     // ===== CSRF protection (audit H2) — double-submit token =====
@@ -255,7 +294,7 @@ async function initializeApplication(): Promise<AppInitResult> {
     // untouched). Mounted AFTER the session middleware (the token is bound to
     // req.sessionID) and BEFORE every route, so it covers the pre-auth-mounted
     // reference routes (cost-preset admin mutations) and the auth routes
-    // (change-password/logout) as well as the main API. Portal first (its own
+    // (change-password/logout) as well as the main API. Portals first (their own
     // session + cookie); staff covers the rest of /api and skips portal paths.
     // The SPA fetches a token from the *-csrf-token endpoints and echoes it in
     // the x-csrf-token header (injected by core/http.ts). cookie-parser
@@ -263,6 +302,8 @@ async function initializeApplication(): Promise<AppInitResult> {
     log.info('🛡️  Setting up CSRF protection...');
     app.use('/api/portal', portalCsrfProtection);
     app.get('/api/portal/csrf-token', portalCsrfTokenHandler);
+    app.use('/api/aligner-portal', alignerPortalCsrfProtection);
+    app.get('/api/aligner-portal/csrf-token', alignerPortalCsrfTokenHandler);
     app.use('/api', staffCsrfProtection);
     app.get('/api/csrf-token', staffCsrfTokenHandler);
     log.info('✅ CSRF protection configured');
@@ -318,6 +359,7 @@ async function initializeApplication(): Promise<AppInitResult> {
     // deleting that file + this mount.
     app.use('/tv-display', tvDisplayRoutes);
     app.use('/api/portal', portalRoutes); // Patient portal (own session, own auth)
+    app.use('/api/aligner-portal', alignerPortalRoutes); // Aligner-doctor portal (own session, own auth)
 
     // Serve login page BEFORE auth check (public access)
     app.get('/login.html', (_req: Request, res: Response) => {
@@ -335,6 +377,15 @@ async function initializeApplication(): Promise<AppInitResult> {
       });
     });
 
+    // Aligner-doctor portal SPA shell (public; portal handles its own auth)
+    app.get(['/aligner-portal', '/aligner-portal/*splat'], (_req: Request, res: Response) => {
+      const builtPath = path.join(process.cwd(), './dist/aligner-portal.html');
+      const srcPath = path.join(process.cwd(), './public/aligner-portal.html');
+      res.sendFile(builtPath, (err) => {
+        if (err) res.sendFile(srcPath);
+      });
+    });
+
     // Default-on: auth is enabled unless AUTHENTICATION_ENABLED is the literal
     // string 'false'. In production, refuse to boot on any other ambiguous
     // value to catch env typos that would otherwise silently expose the app.
@@ -369,6 +420,10 @@ async function initializeApplication(): Promise<AppInitResult> {
     }
 
     // ===== MOUNT ROUTES (AFTER AUTHENTICATION) =====
+    // Audit trail: attribute every mutating /api write to its session user + route
+    // (the audit_capture() trigger reads it — middleware/audit-context.ts).
+    app.use('/api', auditContext);
+
     // PHI imaging static mounts — require auth (patient X-rays / clinic photos)
     app.use('/DolImgs', express.static(workingDir(), {
         setHeaders: (res, filePath) => {
@@ -443,6 +498,30 @@ async function initializeApplication(): Promise<AppInitResult> {
       scheduleDoctorEmailListSync('boot reconcile');
     }
 
+    // End-of-day no-show sweep: marks finished days' unattended appointments.
+    // Boot run catches up on nights the server was down; hourly after that.
+    startNoShowSweep();
+
+    // Day-before confirmation calls: header-bell task for each of tomorrow's
+    // appointments nobody answered the WhatsApp reminder for.
+    startConfirmationCallSweep();
+
+    // Outbound message queue: sends queued WhatsApp/SMS messages with retry,
+    // rate limits and SMS fallback (task and wait-list notices, failed reminders).
+    startOutboundQueue();
+
+    // Lab case SLA sweep: header-bell task for cases left at the lab past their
+    // stage's threshold (off until enabled from the Lab Case Tracker).
+    startLabSlaSweep();
+
+    // Aligner next-batch reminders: header-bell task when a patient's supply runs
+    // out within the manufacturing lead time (off until enabled on All Sets).
+    startAlignerReminderSweep();
+
+    // Scheduled database backups to a local directory (off until a schedule is
+    // chosen in Settings → Database Backup).
+    startBackupScheduler();
+
     // Connect WhatsApp service to WebSocket emitter
     log.debug('About to connect WhatsApp service...');
     log.info('Connecting WhatsApp service...');
@@ -732,6 +811,12 @@ async function gracefulShutdown(signal: string): Promise<void> {
     // Stop health monitoring
     log.info('🏥 Stopping health monitoring...');
     HealthCheck.stop();
+    stopNoShowSweep();
+    stopConfirmationCallSweep();
+    stopOutboundQueue();
+    stopLabSlaSweep();
+    stopAlignerReminderSweep();
+    stopBackupScheduler();
 
     // Stop the unified CDC sync (all sinks — forward, dolphin, reverse; turns capture OFF).
     try {
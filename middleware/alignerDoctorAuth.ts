@@ -0,0 +1,68 @@
+/**
+ * Aligner-Doctor Portal Authentication Middleware
+ *
+ * The doctor-side twin of patientAuth.ts — checks the doctor portal session
+ * cookie (`shwan.doctor`), which coexists with the staff (`shwan.sid`) and
+ * patient (`shwan.portal`) sessions in one browser.
+ *
+ * The session alone isn't trusted for its 24 hours: every request re-reads the
+ * doctor's portal login, so disabling it or resetting the password (which bump
+ * `credential_version`, AlignerDoctorPortalService) signs the doctor out at once.
+ */
+import rateLimit from 'express-rate-limit';
+import type { Request, Response, NextFunction } from 'express';
+import { log } from '../utils/logger.js';
+import { ErrorResponses } from '../utils/error-response.js';
+import { isSessionCurrent } from '../services/business/AlignerDoctorPortalService.js';
+
+/**
+ * 401 unless the doctor portal session has an alignerDrId whose login is still
+ * enabled at the credential version the session signed in with. A session that
+ * no longer matches is destroyed.
+ */
+export async function authenticateAlignerDoctor(
+  req: Request,
+  res: Response,
+  next: NextFunction
+): Promise<void> {
+  const drId = req.session?.alignerDrId;
+  if (!drId) {
+    log.warn(`Aligner portal auth failed for ${req.method} ${req.path}`);
+    ErrorResponses.unauthorized(res, 'Authentication required');
+    return;
+  }
+
+  let current: boolean;
+  try {
+    current = await isSessionCurrent(drId, req.session.alignerCredentialVersion);
+  } catch (error) {
+    log.error('Aligner portal session check failed', { drId, error: (error as Error).message });
+    ErrorResponses.internalError(res, 'Failed to verify session', error as Error);
+    return;
+  }
+  if (current) {
+    next();
+    return;
+  }
+
+  log.warn(`Revoked aligner portal session for doctor ${drId} on ${req.method} ${req.path} - forcing re-login`);
+  req.session.destroy((err) => {
+    if (err) log.error('Failed to destroy revoked aligner portal session:', err);
+    ErrorResponses.unauthorized(res, 'Your session is no longer valid. Please log in again.');
+  });
+}
+
+/**
+ * Rate limiter for POST /api/aligner-portal/login:
+ * 5 attempts per 15 minutes per IP.
+ */
+export const alignerPortalLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 5,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: 'Too many login attempts. Please try again later.',
+  },
+});
@@ -0,0 +1,32 @@
+/**
+ * Audit Context Middleware
+ *
+ * Opens an audit context (services/audit/audit-context.ts) for every mutating
+ * request — POST / PUT / PATCH / DELETE — so the `audit_capture()` trigger can
+ * attribute the rows it writes to the session user and route. Reads pass through
+ * untouched (no context → nothing to attribute, and no extra SET on their
+ * connections). Mounted in index.ts after the `/api` authenticate gate, so the
+ * session is already resolved.
+ */
+import { randomUUID } from 'node:crypto';
+import type { Request, Response, NextFunction } from 'express';
+import { runWithAuditContext } from '../services/audit/audit-context.js';
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+export function auditContext(req: Request, _res: Response, next: NextFunction): void {
+  if (!MUTATING_METHODS.has(req.method)) {
+    next();
+    return;
+  }
+  runWithAuditContext(
+    {
+      actor: req.session?.username ?? 'unknown',
+      route: `${req.method} ${req.originalUrl.split('?')[0]}`,
+      requestId: randomUUID(),
+    },
+    next
+  );
+}
+
+export default auditContext;
@@ -9,9 +9,10 @@
  * mutation whose header token doesn't match the cookie + session. Safe methods
  * (GET/HEAD/OPTIONS) are never checked, so SSE streams and reads are unaffected.
  *
- * Two independent instances bind to the two sessions in this app — staff
- * (`shwan.sid`) and patient portal (`shwan.portal`) — each with its own cookie,
- * so a token minted in one context can't satisfy the other.
+ * Three independent instances bind to the three sessions in this app — staff
+ * (`shwan.sid`), patient portal (`shwan.portal`) and aligner-doctor portal
+ * (`shwan.doctor`) — each with its own cookie, so a token minted in one context
+ * can't satisfy another.
  *
  * Secret: reuses SESSION_SECRET (guaranteed present by the boot env schema)
  * unless a dedicated CSRF_SECRET is set. Both are stable across restarts, so an
@@ -74,6 +75,7 @@ function makeCsrf(cookieName: string, skipCsrfProtection: (req: Request) => bool
 //  - `/api/portal` + `/api/portal/*` — owned by the portal instance below (its
 //    own session/cookie). Segment-bounded to mirror the `/api/portal` mount:
 //    staff routes like /api/portal-activity must stay under STAFF CSRF.
+//  - `/api/aligner-portal/*` — likewise owned by the doctor-portal instance.
 const staff = makeCsrf('shwan.csrf', (req) => {
   const p = req.originalUrl.split('?')[0];
   return (
@@ -83,7 +85,9 @@ const staff = makeCsrf('shwan.csrf', (req) => {
     p === '/api/integrations/3shape/webhook' ||
     p.startsWith('/api/chair-display/') ||
     p === '/api/portal' ||
-    p.startsWith('/api/portal/')
+    p.startsWith('/api/portal/') ||
+    p === '/api/aligner-portal' ||
+    p.startsWith('/api/aligner-portal/')
   );
 });
 
@@ -92,12 +96,20 @@ const portal = makeCsrf('shwan.portal.csrf', (req) => {
   return req.originalUrl.split('?')[0] === '/api/portal/login';
 });
 
+// Aligner-doctor portal surface (separate session/cookie). Login is pre-auth → skipped.
+const doctorPortal = makeCsrf('shwan.doctor.csrf', (req) => {
+  return req.originalUrl.split('?')[0] === '/api/aligner-portal/login';
+});
+
 /** Validates the `x-csrf-token` header on staff mutations. Mount on `/api`. */
 export const staffCsrfProtection: RequestHandler = staff.doubleCsrfProtection;
 
 /** Validates the `x-csrf-token` header on portal mutations. Mount on `/api/portal`. */
 export const portalCsrfProtection: RequestHandler = portal.doubleCsrfProtection;
 
+/** Validates the `x-csrf-token` header on doctor-portal mutations. Mount on `/api/aligner-portal`. */
+export const alignerPortalCsrfProtection: RequestHandler = doctorPortal.doubleCsrfProtection;
+
 /** GET handler: mint + cookie a token for the current staff session, return it. */
 export function staffCsrfTokenHandler(req: Request, res: Response): void {
   res.json({ csrfToken: staff.generateCsrfToken(req, res) });
@@ -108,6 +120,11 @@ export function portalCsrfTokenHandler(req: Request, res: Response): void {
   res.json({ csrfToken: portal.generateCsrfToken(req, res) });
 }
 
+/** GET handler: mint + cookie a token for the current doctor-portal session, return it. */
+export function alignerPortalCsrfTokenHandler(req: Request, res: Response): void {
+  res.json({ csrfToken: doctorPortal.generateCsrfToken(req, res) });
+}
+
 /**
  * Error handler for a failed CSRF check. `doubleCsrfProtection` calls
  * `next(invalidCsrfTokenError)` (an http-errors 403 carrying code
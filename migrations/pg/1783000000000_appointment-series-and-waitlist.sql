@@ -0,0 +1,96 @@
+-- Recurring appointment series + the cancellation wait-list.
+--
+-- `appointment_series` is the header for a run of appointments booked together
+-- ("every 5 weeks, 8 times, same doctor/slot"). Each generated appointment points
+-- back at it through the new nullable `appointments.series_id`, so "this and
+-- following" edits/cancels are a `WHERE series_id = $1 AND app_date >= $anchor`
+-- on the ordinary appointments table — no parallel occurrence table. A deleted
+-- header leaves its appointments standing (`ON DELETE SET NULL`): a series is a
+-- booking convenience, never the owner of the bookings it made.
+--
+-- `appointment_waitlist` holds patients who want an earlier/any slot inside a
+-- date window (optionally for one doctor). When an appointment is deleted and its
+-- slot drops back under MaxAppointmentsPerSlot, the oldest matching `waiting` row
+-- is moved to `offered` with the freed slot stamped on it; booking the offer
+-- (`booked`) records the appointment it produced. Status values are CHECK-
+-- constrained, not lookup rows.
+--
+-- Sync posture: both new tables are FAILOVER-MIRRORED, forward-only (the
+-- lab-cases precedent, migrations/pg/1782700000000_lab-cases.sql) — a
+-- `cdc_capture('id', 'failover')` trigger each and NO `updated_at` column, so
+-- neither enrolls in two-way reverse sync (the staff app is the sole writer).
+-- `appointments` already carries its capture trigger and is in the reverse set;
+-- the added `series_id` column rides the existing whole-row upsert once the
+-- mirror has the column. The Supabase half
+-- (migrations/supabase/appointment-series-waitlist-2026-10-18.sql) is identical
+-- DDL minus the two new triggers. No one-time row load — both tables are born
+-- empty and every existing appointment keeps series_id NULL.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/appointment-series-waitlist-2026-10-18.sql
+--   scripts/psql.sh local -f migrations/pg/1783000000000_appointment-series-and-waitlist.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.appointment_series (
+  id              integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  person_id       integer NOT NULL REFERENCES public.patients(person_id) ON DELETE CASCADE,
+  dr_id           integer NOT NULL,
+  app_detail      text NOT NULL,
+  first_app_date  timestamp NOT NULL,
+  interval_weeks  integer NOT NULL CHECK (interval_weeks BETWEEN 1 AND 26),
+  occurrences     integer NOT NULL CHECK (occurrences BETWEEN 2 AND 52),
+  cancelled_at    timestamp,
+  created_at      timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  created_by      text
+);
+
+CREATE INDEX IF NOT EXISTS ix_appointment_series_person
+  ON public.appointment_series (person_id);
+
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS series_id integer
+    REFERENCES public.appointment_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS ix_appointments_series_appdate
+  ON public.appointments (series_id, app_date)
+  WHERE series_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.appointment_waitlist (
+  id                      integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  person_id               integer NOT NULL REFERENCES public.patients(person_id) ON DELETE CASCADE,
+  dr_id                   integer,
+  app_detail              text,
+  earliest_date           date NOT NULL,
+  latest_date             date NOT NULL,
+  note                    text,
+  status                  text NOT NULL DEFAULT 'waiting'
+                            CHECK (status IN ('waiting', 'offered', 'booked', 'cancelled')),
+  offered_slot            timestamp,
+  offered_dr_id           integer,
+  offered_at              timestamp,
+  booked_appointment_id   integer REFERENCES public.appointments(appointment_id) ON DELETE SET NULL,
+  created_at              timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  created_by              text,
+  CHECK (latest_date >= earliest_date)
+);
+
+-- Hot path: "who is still waiting for a slot on date X" (the backfill lookup).
+CREATE INDEX IF NOT EXISTS ix_appointment_waitlist_open_window
+  ON public.appointment_waitlist (earliest_date, latest_date)
+  WHERE status IN ('waiting', 'offered');
+
+CREATE INDEX IF NOT EXISTS ix_appointment_waitlist_person
+  ON public.appointment_waitlist (person_id);
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.appointment_series
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.appointment_waitlist
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('id', 'failover');
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.appointment_waitlist;
+-- ALTER TABLE public.appointments DROP COLUMN IF EXISTS series_id;
+-- DROP TABLE IF EXISTS public.appointment_series;
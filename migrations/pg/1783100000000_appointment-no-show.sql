@@ -0,0 +1,39 @@
+-- No-show marking for appointments.
+--
+-- The check-in state machine (present → seated → dismissed) only ever records
+-- what DID happen; an appointment nobody turned up for just stays `present IS
+-- NULL` forever, indistinguishable from a legacy row whose check-in was never
+-- recorded. `no_show_at` is stamped by the end-of-day sweep
+-- (services/appointments/no-show-sweep.ts) on every unattended appointment of a
+-- finished day, so a patient's attendance history is the plain split of their
+-- past appointments into `present IS NOT NULL` (attended) and `no_show_at IS NOT
+-- NULL` (missed). Rows with neither are "unrecorded" and count for nothing — the
+-- sweep only looks back a few days, so historical data is never retro-marked.
+-- A late check-in (present set after the sweep) clears the stamp.
+--
+-- Sync posture: `appointments` already carries its capture trigger and is in the
+-- two-way reverse set; the new nullable column rides the existing whole-row
+-- upsert once the mirror has it (the series_id precedent,
+-- migrations/pg/1783000000000_appointment-series-and-waitlist.sql). The Supabase
+-- half (migrations/supabase/appointment-no-show-2026-10-18.sql) is identical DDL.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/appointment-no-show-2026-10-18.sql
+--   scripts/psql.sh local -f migrations/pg/1783100000000_appointment-no-show.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS no_show_at timestamp;
+
+-- Attendance score + the per-doctor/weekday no-show rate both scan a patient's
+-- (or the clinic's) recent past appointments by outcome.
+CREATE INDEX IF NOT EXISTS ix_appointments_no_show
+  ON public.appointments (person_id, app_date)
+  WHERE no_show_at IS NOT NULL;
+
+-- Down Migration
+-- DROP INDEX IF EXISTS public.ix_appointments_no_show;
+-- ALTER TABLE public.appointments DROP COLUMN IF EXISTS no_show_at;
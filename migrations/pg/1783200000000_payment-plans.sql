@@ -0,0 +1,72 @@
+-- Installment payment plans on works.
+--
+-- `payment_plans` is the agreed schedule for paying off a work ("250 USD a month
+-- from 2026-11-01, 7 days' grace"); `payment_plan_installments` materialises its
+-- due dates so one can be moved without regenerating the rest. A work has at most
+-- one ACTIVE plan (`cancelled_at IS NULL` partial unique index); cancelling keeps
+-- the row for history and frees the work for a new plan.
+--
+-- Payments are NOT linked to installments by a join table. `opening_paid`
+-- snapshots the work's paid total when the plan was agreed; everything paid on
+-- the work since (SUM(invoices.amount_paid) − opening_paid) is allocated FIFO
+-- over the installments at read time (services/business/PaymentPlanService.ts).
+-- So an ordinary /addInvoice payment, a deleted invoice or a backdated one all
+-- re-allocate on the next read with no bookkeeping to drift. `currency` is copied
+-- from the work at creation (plans are in the work's account currency).
+--
+-- `last_reminded_at` stamps the last polite-dues WhatsApp so the overdue report
+-- can show it and staff don't nag the same family twice in a day.
+--
+-- Sync posture: both new tables are FAILOVER-MIRRORED, forward-only (the
+-- appointment-series precedent, migrations/pg/1783000000000_appointment-series-
+-- and-waitlist.sql) — a `cdc_capture('id', 'failover')` trigger each and NO
+-- `updated_at`, so neither enrolls in two-way reverse sync. The Supabase half
+-- (migrations/supabase/payment-plans-2026-10-18.sql) is identical DDL minus the
+-- two triggers. No one-time row load — both tables are born empty.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/payment-plans-2026-10-18.sql
+--   scripts/psql.sh local -f migrations/pg/1783200000000_payment-plans.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.payment_plans (
+  id                  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  work_id             integer NOT NULL REFERENCES public.works(work_id) ON DELETE CASCADE,
+  currency            text NOT NULL,
+  installment_amount  integer NOT NULL CHECK (installment_amount > 0),
+  installment_count   integer NOT NULL CHECK (installment_count BETWEEN 1 AND 120),
+  first_due_date      date NOT NULL,
+  interval_months     integer NOT NULL DEFAULT 1 CHECK (interval_months BETWEEN 1 AND 12),
+  grace_days          integer NOT NULL DEFAULT 7 CHECK (grace_days BETWEEN 0 AND 60),
+  opening_paid        integer NOT NULL DEFAULT 0 CHECK (opening_paid >= 0),
+  note                text,
+  last_reminded_at    timestamp,
+  cancelled_at        timestamp,
+  created_at          timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  created_by          text
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_payment_plans_active_work
+  ON public.payment_plans (work_id)
+  WHERE cancelled_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS public.payment_plan_installments (
+  id        integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  plan_id   integer NOT NULL REFERENCES public.payment_plans(id) ON DELETE CASCADE,
+  seq       integer NOT NULL CHECK (seq >= 1),
+  due_date  date NOT NULL,
+  amount    integer NOT NULL CHECK (amount > 0),
+  UNIQUE (plan_id, seq)
+);
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.payment_plans
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.payment_plan_installments
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('id', 'failover');
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.payment_plan_installments;
+-- DROP TABLE IF EXISTS public.payment_plans;
@@ -0,0 +1,98 @@
+-- Refunds / credit notes on invoices.
+--
+-- A wrong or returned payment used to be fixed by deleting its invoice, which
+-- leaves no trace of the money ever having been in (or leaving) the drawer. A
+-- refund is now its own document: a NEGATIVE row in `invoices` whose
+-- `refund_of_invoice_id` points at the payment it reverses. Keeping it in the
+-- same table is deliberate — every existing `SUM(amount_paid)` (work TotalPaid,
+-- aligner-set balances, plan allocation, commissions) and the per-day cash-box /
+-- Expected Cash sums (services/database/queries/report-queries.ts) net the
+-- refund out with no second source to remember. The refund is dated the day the
+-- cash was handed back, not the original payment's day, so both days' drawers
+-- reconcile as they actually happened.
+--
+-- Row shapes (the five baseline CHECKs are replaced by two):
+--   payment — refund_of_invoice_id NULL, amount_paid > 0, cash received >= 0
+--             with at least one currency > 0 (unchanged rules);
+--   refund  — refund_of_invoice_id set, amount_paid < 0, cash returned <= 0
+--             with at least one currency < 0, no change, a reason.
+-- A refund of a refund, and refunding more than the original's unrefunded
+-- remainder, are rejected in PaymentService.validateAndCreateRefund (under a row
+-- lock on the original). ON DELETE RESTRICT keeps a refunded payment from being
+-- deleted out from under its credit note.
+--
+-- `ind_uniquedate` (one payment per work per day) becomes partial on payments,
+-- so a same-day refund doesn't collide with the payment it reverses.
+--
+-- Sync posture: `invoices` already carries its `cdc_capture('invoice_id',
+-- 'failover')` trigger and has no `updated_at` (forward-only, not in the two-way
+-- reverse set); the new nullable columns ride the existing whole-row upsert once
+-- the mirror has them. The Supabase half
+-- (migrations/supabase/invoice-refunds-2026-10-18.sql) is identical DDL — the
+-- relaxed CHECKs must land there first or a refund row fails to mirror.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/invoice-refunds-2026-10-18.sql
+--   scripts/psql.sh local -f migrations/pg/1783300000000_invoice-refunds.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS refund_of_invoice_id integer
+    REFERENCES public.invoices (invoice_id) ON DELETE RESTRICT,
+  ADD COLUMN IF NOT EXISTS refund_reason text,
+  ADD COLUMN IF NOT EXISTS refunded_by text;
+
+ALTER TABLE public.invoices
+  DROP CONSTRAINT IF EXISTS chk_invoice_amountpaidpositive,
+  DROP CONSTRAINT IF EXISTS chk_invoice_iqdnonnegative,
+  DROP CONSTRAINT IF EXISTS chk_invoice_usdnonnegative,
+  DROP CONSTRAINT IF EXISTS chk_invoice_mustreceivecash,
+  DROP CONSTRAINT IF EXISTS chk_invoice_paymentshape,
+  DROP CONSTRAINT IF EXISTS chk_invoice_refundshape;
+
+ALTER TABLE public.invoices
+  ADD CONSTRAINT chk_invoice_paymentshape CHECK (
+    refund_of_invoice_id IS NOT NULL
+    OR (amount_paid > 0
+        AND usd_received >= 0 AND iqd_received >= 0
+        AND (usd_received > 0 OR iqd_received > 0))
+  ),
+  ADD CONSTRAINT chk_invoice_refundshape CHECK (
+    refund_of_invoice_id IS NULL
+    OR (amount_paid < 0
+        AND usd_received <= 0 AND iqd_received <= 0
+        AND (usd_received < 0 OR iqd_received < 0)
+        AND change IS NULL
+        AND refund_reason IS NOT NULL)
+  );
+
+-- Payment history lists a payment's refunds; the refundable remainder sums them.
+CREATE INDEX IF NOT EXISTS ix_invoices_refund_of
+  ON public.invoices (refund_of_invoice_id)
+  INCLUDE (amount_paid)
+  WHERE refund_of_invoice_id IS NOT NULL;
+
+DROP INDEX IF EXISTS public.ind_uniquedate;
+CREATE UNIQUE INDEX ind_uniquedate
+  ON public.invoices USING btree (date_of_payment, work_id) INCLUDE (amount_paid)
+  WHERE refund_of_invoice_id IS NULL;
+
+-- Down Migration
+-- (Refund rows must be deleted first — the restored CHECKs reject them.)
+-- DROP INDEX IF EXISTS public.ind_uniquedate;
+-- CREATE UNIQUE INDEX ind_uniquedate ON public.invoices USING btree (date_of_payment, work_id) INCLUDE (amount_paid);
+-- DROP INDEX IF EXISTS public.ix_invoices_refund_of;
+-- ALTER TABLE public.invoices
+--   DROP CONSTRAINT IF EXISTS chk_invoice_refundshape,
+--   DROP CONSTRAINT IF EXISTS chk_invoice_paymentshape,
+--   ADD CONSTRAINT chk_invoice_amountpaidpositive CHECK ((amount_paid > 0)),
+--   ADD CONSTRAINT chk_invoice_iqdnonnegative CHECK ((iqd_received >= 0)),
+--   ADD CONSTRAINT chk_invoice_mustreceivecash CHECK (((usd_received > 0) OR (iqd_received > 0))),
+--   ADD CONSTRAINT chk_invoice_usdnonnegative CHECK ((usd_received >= 0));
+-- ALTER TABLE public.invoices
+--   DROP COLUMN IF EXISTS refunded_by,
+--   DROP COLUMN IF EXISTS refund_reason,
+--   DROP COLUMN IF EXISTS refund_of_invoice_id;
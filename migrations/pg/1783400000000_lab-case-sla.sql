@@ -0,0 +1,37 @@
+-- Lab case SLA alerts: remember which stage visit already raised a header-bell task.
+--
+-- The hourly SLA sweep (services/lab-cases/lab-sla-sweep.ts) raises a push task
+-- when an open case has sat at a lab-located stage longer than its configured
+-- threshold (the `LAB_SLA_ENABLED` / `LAB_SLA_DAYS` options). These columns are
+-- its bookkeeping, one alert per stage visit:
+--   sla_alert_id    — the `alerts` row it raised (auto-completed once the case moves)
+--   sla_alert_stage — the status the case was at when alerted
+--   sla_alerted_at  — when; a later `status_changed_at` means a new visit
+-- `sla_alert_stage` is needed on top of the timestamp because an advance can be
+-- backdated (`occurredAt`), leaving status_changed_at EARLIER than the alert.
+-- No FK to `alerts`: a task deleted from the bell just leaves a dangling id that
+-- the sweep's completion UPDATE matches nothing for.
+--
+-- Sync posture: `lab_cases` is FAILOVER-MIRRORED, forward-only (see
+-- migrations/pg/1782700000000_lab-cases.sql); the new nullable columns ride the
+-- existing whole-row capture once the mirror has them. The Supabase half
+-- (migrations/supabase/lab-case-sla-2026-10-18.sql) is identical DDL.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/lab-case-sla-2026-10-18.sql
+--   scripts/psql.sh local -f migrations/pg/1783400000000_lab-case-sla.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+ALTER TABLE public.lab_cases
+  ADD COLUMN IF NOT EXISTS sla_alert_id integer,
+  ADD COLUMN IF NOT EXISTS sla_alert_stage text,
+  ADD COLUMN IF NOT EXISTS sla_alerted_at timestamp;
+
+-- Down Migration
+-- ALTER TABLE public.lab_cases
+--   DROP COLUMN IF EXISTS sla_alerted_at,
+--   DROP COLUMN IF EXISTS sla_alert_stage,
+--   DROP COLUMN IF EXISTS sla_alert_id;
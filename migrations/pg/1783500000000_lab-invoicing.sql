@@ -0,0 +1,105 @@
+-- Lab invoicing: per-lab price lists, cost accrued on each lab case, and the
+-- monthly lab statement that is reconciled into an `expenses` row.
+--
+--   lab_price_list   — what a lab charges for a work type, optionally narrowed to
+--                      a material and/or shade system (NULL = any). `basis` is
+--                      per tooth ('unit') or per case ('case'); `remake_price` is
+--                      what a remake costs per unit/case — 0 (the default) because
+--                      labs usually redo their own work for free.
+--   lab_case_charges — one 'delivery' charge when a case is delivered (at most one
+--                      per case — a re-delivery after a warranty remake is not
+--                      billed twice) and one 'remake' charge per remake. Priced
+--                      from the most specific matching price-list row at accrual
+--                      time; with no match the charge is accrued at 0 with
+--                      `price_list_id` NULL ("unpriced") for the statement review.
+--   lab_statements   — a lab's charges for one month in one currency, reconciled
+--                      against the lab's own invoice. Reconciling writes the Lab
+--                      (category 7) expense (`expense_id`), so lab costs reach net
+--                      profit (FinancialReportService) without hand entry.
+-- Charges are written by services/lab-cases/lab-case-service.ts in the same
+-- transaction as the delivery/remake; statements by services/lab-cases/lab-billing-service.ts.
+--
+-- Sync posture: FAILOVER-MIRRORED, forward-only (local -> Supabase) — the lab_cases
+-- precedent (migrations/pg/1782700000000_lab-cases.sql): `cdc_capture('id',
+-- 'failover')` triggers here, identical DDL minus triggers on the mirror
+-- (migrations/supabase/lab-invoicing-2026-10-18.sql), no `updated_at` (so never
+-- enrolled in reverse sync — the staff app is the only writer). Born empty.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/lab-invoicing-2026-10-18.sql
+--   scripts/psql.sh local -f migrations/pg/1783500000000_lab-invoicing.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.lab_price_list (
+  id             integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  lab_id         integer NOT NULL REFERENCES public.labs(id) ON DELETE CASCADE,
+  work_type_id   integer NOT NULL REFERENCES public.work_types(id),
+  material       text,
+  shade_system   text,
+  basis          text NOT NULL DEFAULT 'unit' CHECK (basis IN ('unit', 'case')),
+  unit_price     integer NOT NULL CHECK (unit_price >= 0),
+  remake_price   integer NOT NULL DEFAULT 0 CHECK (remake_price >= 0),
+  currency       text NOT NULL DEFAULT 'IQD' CHECK (currency IN ('IQD', 'USD')),
+  is_active      boolean NOT NULL DEFAULT true,
+  created_at     timestamp NOT NULL DEFAULT LOCALTIMESTAMP
+);
+
+-- One live price per key; NULL material/shade compare equal here (= "any").
+CREATE UNIQUE INDEX IF NOT EXISTS ux_lab_price_list_key
+  ON public.lab_price_list (lab_id, work_type_id, COALESCE(material, ''), COALESCE(shade_system, ''))
+  WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS public.lab_statements (
+  id                  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  lab_id              integer NOT NULL REFERENCES public.labs(id),
+  period_start        date NOT NULL CHECK (EXTRACT(DAY FROM period_start) = 1),
+  currency            text NOT NULL CHECK (currency IN ('IQD', 'USD')),
+  accrued_amount      integer NOT NULL,
+  lab_invoice_no      text,
+  lab_invoice_amount  integer,
+  expense_id          integer REFERENCES public.expenses(id) ON DELETE SET NULL,
+  note                text,
+  reconciled_at       timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  reconciled_by       text,
+  UNIQUE (lab_id, period_start, currency)
+);
+
+CREATE TABLE IF NOT EXISTS public.lab_case_charges (
+  id             integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  lab_case_id    integer NOT NULL REFERENCES public.lab_cases(id) ON DELETE CASCADE,
+  lab_id         integer NOT NULL REFERENCES public.labs(id),
+  charge_type    text NOT NULL CHECK (charge_type IN ('delivery', 'remake')),
+  units          integer NOT NULL DEFAULT 1 CHECK (units > 0),
+  unit_price     integer NOT NULL DEFAULT 0 CHECK (unit_price >= 0),
+  amount         integer NOT NULL DEFAULT 0 CHECK (amount >= 0),
+  currency       text NOT NULL DEFAULT 'IQD' CHECK (currency IN ('IQD', 'USD')),
+  price_list_id  integer REFERENCES public.lab_price_list(id) ON DELETE SET NULL,
+  statement_id   integer REFERENCES public.lab_statements(id) ON DELETE SET NULL,
+  accrued_at     timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  note           text,
+  created_by     text,
+  created_at     timestamp NOT NULL DEFAULT LOCALTIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_lab_case_charges_delivery
+  ON public.lab_case_charges (lab_case_id)
+  WHERE charge_type = 'delivery';
+
+-- The monthly statement groups a lab's charges by accrual month.
+CREATE INDEX IF NOT EXISTS ix_lab_case_charges_lab_accrued
+  ON public.lab_case_charges (lab_id, accrued_at);
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.lab_price_list
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.lab_statements
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.lab_case_charges
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('id', 'failover');
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.lab_case_charges;
+-- DROP TABLE IF EXISTS public.lab_statements;
+-- DROP TABLE IF EXISTS public.lab_price_list;
@@ -0,0 +1,143 @@
+-- Generic audit trail for clinical and financial writes: who, when, which route,
+-- and the before/after of every changed row.
+--
+--   audit_log       — one row per INSERT / UPDATE / DELETE of an audited table.
+--                     `before` / `after` hold the whole row for an insert
+--                     (after only) or delete (before only); for an update they
+--                     hold ONLY the columns that changed (old / new values), and
+--                     an update that changed nothing but `updated_at` /
+--                     `sys_start_time` is not logged. `person_id` is resolved at
+--                     write time (directly, or through `works` for rows keyed by
+--                     `work_id`) so the per-patient History panel is one index
+--                     scan. No FK on purpose: history outlives the rows it describes.
+--   audit_capture() — the row trigger, shaped like `cdc_capture()`: args are
+--                     the PK column and where the patient comes from
+--                     ('person_id' | 'work_id' | '' for none). It skips
+--                     reverse-sync writes (`app.cdc_origin = 'reverse'`) exactly
+--                     like cdc_capture, and it only records writes that carry a
+--                     request context — the JSON `app.audit_ctx` setting
+--                     ({actor, route, requestId}) that services/database/kysely.ts
+--                     applies to every connection a mutating API request
+--                     reserves (middleware/audit-context.ts). Background jobs
+--                     (sweeps, WhatsApp delivery receipts, sync) carry none and
+--                     stay out of the log.
+--
+-- Audited: patients, works, work_items, visits, appointments, invoices, expenses.
+-- Auditing another table is one more `trg_audit_capture` line below (and its name
+-- in shared/contracts/audit.contract.ts#AUDITED_TABLES).
+--
+-- LOCAL-ONLY BY DESIGN — audit_log carries NO `cdc_capture` trigger and there is
+-- NO Supabase mirror DDL (the integration_oauth_tokens precedent): the trail
+-- records the clinic server's own writes, and the mirror never runs the staff API.
+-- `changed_at` is `timestamp` WITHOUT time zone per CLAUDE.md.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead), LOCAL only:
+--   scripts/psql.sh local -f migrations/pg/1783600000000_audit-log.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.audit_log (
+  id          bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  changed_at  timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  actor       text,
+  route       text,
+  request_id  uuid,
+  tbl         text NOT NULL,
+  pk          text NOT NULL,
+  op          char(1) NOT NULL CHECK (op IN ('I', 'U', 'D')),
+  person_id   integer,
+  before      jsonb,
+  after       jsonb
+);
+
+CREATE INDEX IF NOT EXISTS ix_audit_log_changed_at ON public.audit_log (changed_at DESC);
+CREATE INDEX IF NOT EXISTS ix_audit_log_person ON public.audit_log (person_id, changed_at DESC)
+  WHERE person_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS ix_audit_log_row ON public.audit_log (tbl, pk);
+CREATE INDEX IF NOT EXISTS ix_audit_log_actor ON public.audit_log (actor, changed_at DESC);
+
+CREATE OR REPLACE FUNCTION public.audit_capture() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+DECLARE
+  pk_col     text := TG_ARGV[0];
+  person_src text := COALESCE(TG_ARGV[1], '');
+  ctx        jsonb;
+  old_row    jsonb;
+  new_row    jsonb;
+  src_row    jsonb;
+  v_before   jsonb;
+  v_after    jsonb;
+  v_person   integer;
+  k          text;
+BEGIN
+  IF current_setting('app.cdc_origin', true) = 'reverse' THEN
+    RETURN NULL;                                  -- reverse-sync write: not a local edit
+  END IF;
+  ctx := NULLIF(current_setting('app.audit_ctx', true), '')::jsonb;
+  IF ctx IS NULL THEN
+    RETURN NULL;                                  -- no request context: background write
+  END IF;
+
+  IF TG_OP <> 'INSERT' THEN old_row := to_jsonb(OLD); END IF;
+  IF TG_OP <> 'DELETE' THEN new_row := to_jsonb(NEW); END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    v_before := '{}';
+    v_after  := '{}';
+    FOR k IN SELECT jsonb_object_keys(new_row) LOOP
+      IF k NOT IN ('updated_at', 'sys_start_time') AND (new_row -> k) IS DISTINCT FROM (old_row -> k) THEN
+        v_before := v_before || jsonb_build_object(k, old_row -> k);
+        v_after  := v_after  || jsonb_build_object(k, new_row -> k);
+      END IF;
+    END LOOP;
+    IF v_after = '{}' THEN
+      RETURN NULL;                                -- nothing but bookkeeping columns moved
+    END IF;
+  ELSE
+    v_before := old_row;
+    v_after  := new_row;
+  END IF;
+
+  src_row := COALESCE(new_row, old_row);
+  IF person_src = 'person_id' THEN
+    v_person := (src_row ->> 'person_id')::integer;
+  ELSIF person_src = 'work_id' THEN
+    SELECT w.person_id INTO v_person FROM works w WHERE w.work_id = (src_row ->> 'work_id')::integer;
+  END IF;
+
+  INSERT INTO audit_log (actor, route, request_id, tbl, pk, op, person_id, before, after)
+  VALUES (ctx ->> 'actor', ctx ->> 'route', (ctx ->> 'requestId')::uuid, TG_TABLE_NAME,
+          src_row ->> pk_col, left(TG_OP, 1), v_person, v_before, v_after);
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER trg_audit_capture AFTER INSERT OR DELETE OR UPDATE ON public.patients
+  FOR EACH ROW EXECUTE FUNCTION public.audit_capture('person_id', 'person_id');
+CREATE TRIGGER trg_audit_capture AFTER INSERT OR DELETE OR UPDATE ON public.works
+  FOR EACH ROW EXECUTE FUNCTION public.audit_capture('work_id', 'person_id');
+CREATE TRIGGER trg_audit_capture AFTER INSERT OR DELETE OR UPDATE ON public.work_items
+  FOR EACH ROW EXECUTE FUNCTION public.audit_capture('id', 'work_id');
+CREATE TRIGGER trg_audit_capture AFTER INSERT OR DELETE OR UPDATE ON public.visits
+  FOR EACH ROW EXECUTE FUNCTION public.audit_capture('id', 'work_id');
+CREATE TRIGGER trg_audit_capture AFTER INSERT OR DELETE OR UPDATE ON public.appointments
+  FOR EACH ROW EXECUTE FUNCTION public.audit_capture('appointment_id', 'person_id');
+CREATE TRIGGER trg_audit_capture AFTER INSERT OR DELETE OR UPDATE ON public.invoices
+  FOR EACH ROW EXECUTE FUNCTION public.audit_capture('invoice_id', 'work_id');
+CREATE TRIGGER trg_audit_capture AFTER INSERT OR DELETE OR UPDATE ON public.expenses
+  FOR EACH ROW EXECUTE FUNCTION public.audit_capture('id', '');
+
+-- Down Migration
+-- DROP TRIGGER IF EXISTS trg_audit_capture ON public.expenses;
+-- DROP TRIGGER IF EXISTS trg_audit_capture ON public.invoices;
+-- DROP TRIGGER IF EXISTS trg_audit_capture ON public.appointments;
+-- DROP TRIGGER IF EXISTS trg_audit_capture ON public.visits;
+-- DROP TRIGGER IF EXISTS trg_audit_capture ON public.work_items;
+-- DROP TRIGGER IF EXISTS trg_audit_capture ON public.works;
+-- DROP TRIGGER IF EXISTS trg_audit_capture ON public.patients;
+-- DROP FUNCTION IF EXISTS public.audit_capture();
+-- DROP TABLE IF EXISTS public.audit_log;
@@ -0,0 +1,67 @@
+-- Reverse-sync conflict queue: detect a row edited on BOTH sides since the last sync
+-- instead of letting whole-row last-write-wins silently drop one side's edit.
+--
+--   cdc_sync_base  — per (tbl, pk) of the reverse set: the last row image known to be
+--                    identical on local and the Supabase mirror (`base_row`, written by
+--                    the forward / reverse sinks after every apply). Both sinks three-way
+--                    compare base ↔ local ↔ mirror: only one side changed → apply; both
+--                    changed disjoint columns → field-level merge; both changed the same
+--                    column → cdc_conflicts. `deleted_at` set = TOMBSTONE: the row was
+--                    deleted and the delete synced; an edit arriving for it later is a
+--                    delete-vs-edit conflict instead of a resurrection. Tombstones are
+--                    pruned after 30 days (services/sync/cdc/conflicts.ts).
+--   cdc_conflicts  — the review queue. One OPEN row per (tbl, pk) (partial unique
+--                    index); further changes to a row in conflict refresh its snapshot
+--                    instead of applying. `kind`: 'edit' (same columns edited both
+--                    sides), 'delete_local' (deleted locally, edited on Supabase),
+--                    'delete_remote' (deleted on Supabase, edited locally). An admin
+--                    resolves it from Settings → Supabase Sync by picking the winning
+--                    side, which is then written to the other side.
+--
+-- Rows synced before this migration have no base; they keep whole-row LWW until
+-- their next successful sync records one.
+--
+-- LOCAL-ONLY BY DESIGN (the dolphin_sync_map precedent): sync infra, no `cdc_capture`
+-- trigger, no Supabase mirror DDL, and no `updated_at` column (that would enrol them
+-- in the reverse set). Timestamps are `timestamp` WITHOUT time zone per CLAUDE.md.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead), LOCAL only:
+--   scripts/psql.sh local -f migrations/pg/1783700000000_sync-conflicts.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.cdc_sync_base (
+  tbl         text NOT NULL,
+  pk          text NOT NULL,
+  base_row    jsonb NOT NULL,
+  synced_at   timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  deleted_at  timestamp,
+  PRIMARY KEY (tbl, pk)
+);
+CREATE INDEX IF NOT EXISTS ix_cdc_sync_base_tombstones ON public.cdc_sync_base (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.cdc_conflicts (
+  id           bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  tbl          text NOT NULL,
+  pk           text NOT NULL,
+  kind         text NOT NULL CHECK (kind IN ('edit', 'delete_local', 'delete_remote')),
+  columns      text[] NOT NULL DEFAULT '{}',
+  base_row     jsonb,
+  local_row    jsonb,
+  remote_row   jsonb,
+  detected_at  timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  resolved_at  timestamp,
+  resolved_by  text,
+  resolution   text CHECK (resolution IN ('local', 'remote'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_cdc_conflicts_open ON public.cdc_conflicts (tbl, pk)
+  WHERE resolved_at IS NULL;
+CREATE INDEX IF NOT EXISTS ix_cdc_conflicts_resolved ON public.cdc_conflicts (resolved_at DESC)
+  WHERE resolved_at IS NOT NULL;
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.cdc_conflicts;
+-- DROP TABLE IF EXISTS public.cdc_sync_base;
@@ -0,0 +1,38 @@
+-- Aligner supply forecast: remember which batch already raised its "runs out soon" task.
+--
+-- Each batch already carries what the forecast needs — its upper/lower aligner
+-- counts, templates and the wear interval (`days`, falling back to the set's) —
+-- so the projected "runs out on" date is computed at read time
+-- (services/business/AlignerForecastService.ts). The hourly reminder sweep
+-- (services/business/aligner-reminder-sweep.ts) raises a header-bell push task
+-- once a patient's supply is within the manufacturing lead time of running out
+-- and the next batch isn't made yet. These columns are its bookkeeping, one task
+-- per batch running out:
+--   depletion_alert_id   — the `alerts` row it raised (auto-completed once the
+--                          next batch is manufactured or the set stops needing one)
+--   depletion_alerted_at — when
+-- No FK to `alerts`: a task deleted from the bell just leaves a dangling id that
+-- the sweep's completion UPDATE matches nothing for.
+--
+-- Sync posture: `aligner_batches` is in the REVERSE set (it has `updated_at`); the
+-- sweep's writes are ordinary local writes the forward sink mirrors like any edit.
+-- The Supabase half (migrations/supabase/aligner-depletion-reminders-2026-10-19.sql)
+-- is identical DDL and must land first, or the reverse apply of a mirror row
+-- would lack the columns.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/aligner-depletion-reminders-2026-10-19.sql
+--   scripts/psql.sh local -f migrations/pg/1783800000000_aligner-depletion-reminders.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+ALTER TABLE public.aligner_batches
+  ADD COLUMN IF NOT EXISTS depletion_alert_id integer,
+  ADD COLUMN IF NOT EXISTS depletion_alerted_at timestamp;
+
+-- Down Migration
+-- ALTER TABLE public.aligner_batches
+--   DROP COLUMN IF EXISTS depletion_alerted_at,
+--   DROP COLUMN IF EXISTS depletion_alert_id;
@@ -0,0 +1,38 @@
+-- Aligner-doctor portal login: per-doctor password + lockout bookkeeping.
+--
+-- The doctor self-service portal (/aligner-portal, routes/aligner-portal.ts) signs
+-- a doctor in with their `aligner_doctors.doctor_email` + a staff-issued password
+-- and scopes every read/write to that doctor's `dr_id`. Mirrors
+-- `patient_portal_auth` (the patient portal's PIN table):
+--   password_hash    — bcrypt; staff reset it from Settings → Aligner Doctors, which
+--                      shows the generated plaintext exactly once
+--   enabled          — staff kill switch, independent of the doctor row
+--   failed_attempts / locked_until — 5 misses lock the login for 30 minutes
+--   last_login_at / password_set_at — shown on the staff status card
+-- ON DELETE CASCADE: deleting an aligner doctor drops their login with them.
+--
+-- LOCAL-ONLY BY DESIGN (credentials never leave the clinic server — the
+-- `integration_oauth_tokens` precedent): no `cdc_capture` trigger, no Supabase
+-- mirror DDL, and no `updated_at` column (that would enrol it in the reverse
+-- set). Timestamps are `timestamp` WITHOUT time zone per CLAUDE.md.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead), LOCAL only:
+--   scripts/psql.sh local -f migrations/pg/1783900000000_aligner-doctor-portal.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.aligner_doctor_portal_auth (
+  dr_id            integer PRIMARY KEY REFERENCES public.aligner_doctors(dr_id) ON DELETE CASCADE,
+  password_hash    text NOT NULL,
+  enabled          boolean NOT NULL DEFAULT true,
+  failed_attempts  integer NOT NULL DEFAULT 0,
+  locked_until     timestamp,
+  last_login_at    timestamp,
+  password_set_at  timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  created_at       timestamp NOT NULL DEFAULT LOCALTIMESTAMP
+);
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.aligner_doctor_portal_auth;
@@ -0,0 +1,145 @@
+-- Stand purchasing: suppliers, purchase orders raised from low-stock items,
+-- partial receiving with lot/expiry capture, and supplier invoices.
+--
+--   stand_suppliers               — who the stand buys from.
+--   stand_purchase_orders         — one order to one supplier. Lifecycle:
+--                                   draft → ordered → partial → received, or
+--                                   draft/ordered → cancelled (only while nothing
+--                                   has been received).
+--   stand_purchase_order_lines    — item, quantity ordered, quantity received so
+--                                   far and the agreed unit cost. One line per item.
+--   stand_purchase_receipts       — one delivery against an order. Receiving posts
+--                                   the received value as a "Stand Purchases"
+--                                   expense (`expense_id`), so stand purchases
+--                                   reach net profit (FinancialReportService)
+--                                   without hand entry — the lab_statements precedent.
+--   stand_purchase_receipt_lines  — what arrived per order line, with the lot
+--                                   number and expiry printed on the box. Each line
+--                                   also writes a 'restock' stand_stock_movements
+--                                   row (so getStandPurchasesSummary keeps counting
+--                                   purchases) and pulls stand_items.expiry_date
+--                                   forward to the earliest expiry on the shelf
+--                                   (what getExpiringItems reads).
+--   stand_supplier_invoices       — the supplier's own invoice against an order,
+--                                   kept for matching against what was received.
+--                                   It does NOT post an expense — the receipts
+--                                   already did, and posting both would count the
+--                                   purchase twice.
+-- Written by services/business/StandPurchasingService.ts.
+--
+-- The "Stand Purchases" expense category is seeded here (idempotently, by name —
+-- category ids are identity-assigned, so the service looks it up by name). The
+-- row is captured by expense_categories' own CDC trigger and forwarded, so the
+-- mirror file does not seed it.
+--
+-- Sync posture: FAILOVER-MIRRORED, forward-only (local -> Supabase) — the stand
+-- tables' own posture (stand_items/stand_stock_movements carry
+-- `cdc_capture(..., 'failover')`): triggers here, identical DDL minus triggers on
+-- the mirror (migrations/supabase/stand-purchasing-2026-10-19.sql), no
+-- `updated_at` (never enrolled in reverse sync). Born empty.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/stand-purchasing-2026-10-19.sql
+--   scripts/psql.sh local -f migrations/pg/1784000000000_stand-purchasing.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.stand_suppliers (
+  supplier_id    integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  supplier_name  citext NOT NULL UNIQUE,
+  contact_name   citext,
+  phone          text,
+  email          citext,
+  notes          citext,
+  is_active      boolean NOT NULL DEFAULT true,
+  created_at     timestamp NOT NULL DEFAULT LOCALTIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS public.stand_purchase_orders (
+  po_id          integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  supplier_id    integer NOT NULL REFERENCES public.stand_suppliers(supplier_id),
+  status         text NOT NULL DEFAULT 'draft'
+                   CHECK (status IN ('draft', 'ordered', 'partial', 'received', 'cancelled')),
+  expected_date  date,
+  notes          citext,
+  created_by     integer,
+  created_at     timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  ordered_at     timestamp,
+  closed_at      timestamp
+);
+
+CREATE INDEX IF NOT EXISTS ix_stand_purchase_orders_supplier
+  ON public.stand_purchase_orders (supplier_id, created_at);
+
+CREATE TABLE IF NOT EXISTS public.stand_purchase_order_lines (
+  po_line_id         integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  po_id              integer NOT NULL REFERENCES public.stand_purchase_orders(po_id) ON DELETE CASCADE,
+  item_id            integer NOT NULL REFERENCES public.stand_items(item_id),
+  quantity_ordered   integer NOT NULL CHECK (quantity_ordered > 0),
+  quantity_received  integer NOT NULL DEFAULT 0
+                       CHECK (quantity_received >= 0 AND quantity_received <= quantity_ordered),
+  unit_cost          integer NOT NULL CHECK (unit_cost >= 0),
+  UNIQUE (po_id, item_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.stand_purchase_receipts (
+  receipt_id   integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  po_id        integer NOT NULL REFERENCES public.stand_purchase_orders(po_id),
+  total_cost   integer NOT NULL CHECK (total_cost >= 0),
+  expense_id   integer REFERENCES public.expenses(id) ON DELETE SET NULL,
+  notes        citext,
+  received_at  timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  received_by  integer
+);
+
+CREATE TABLE IF NOT EXISTS public.stand_purchase_receipt_lines (
+  receipt_line_id  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  receipt_id       integer NOT NULL REFERENCES public.stand_purchase_receipts(receipt_id) ON DELETE CASCADE,
+  po_line_id       integer NOT NULL REFERENCES public.stand_purchase_order_lines(po_line_id),
+  item_id          integer NOT NULL REFERENCES public.stand_items(item_id),
+  quantity         integer NOT NULL CHECK (quantity > 0),
+  unit_cost        integer NOT NULL CHECK (unit_cost >= 0),
+  lot_number       citext,
+  expiry_date      date
+);
+
+CREATE TABLE IF NOT EXISTS public.stand_supplier_invoices (
+  invoice_id    integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  supplier_id   integer NOT NULL REFERENCES public.stand_suppliers(supplier_id),
+  po_id         integer REFERENCES public.stand_purchase_orders(po_id) ON DELETE SET NULL,
+  invoice_no    citext NOT NULL,
+  invoice_date  date NOT NULL,
+  amount        integer NOT NULL CHECK (amount >= 0),
+  notes         citext,
+  created_by    integer,
+  created_at    timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  UNIQUE (supplier_id, invoice_no)
+);
+
+INSERT INTO public.expense_categories (category_name, category_name_ar)
+SELECT 'Stand Purchases', 'مشتريات الصيدلية'
+WHERE NOT EXISTS (SELECT 1 FROM public.expense_categories WHERE category_name = 'Stand Purchases');
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.stand_suppliers
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('supplier_id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.stand_purchase_orders
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('po_id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.stand_purchase_order_lines
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('po_line_id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.stand_purchase_receipts
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('receipt_id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.stand_purchase_receipt_lines
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('receipt_line_id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.stand_supplier_invoices
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('invoice_id', 'failover');
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.stand_supplier_invoices;
+-- DROP TABLE IF EXISTS public.stand_purchase_receipt_lines;
+-- DROP TABLE IF EXISTS public.stand_purchase_receipts;
+-- DROP TABLE IF EXISTS public.stand_purchase_order_lines;
+-- DROP TABLE IF EXISTS public.stand_purchase_orders;
+-- DROP TABLE IF EXISTS public.stand_suppliers;
+-- DELETE FROM public.expense_categories WHERE category_name = 'Stand Purchases';
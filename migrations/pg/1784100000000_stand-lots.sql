@@ -0,0 +1,94 @@
+-- Stand stock lots: hold stock as purchase lots (cost + expiry) so sales are
+-- costed at what the units actually cost, not at today's stand_items.cost_price.
+--
+--   stand_item_lots       — one batch of an item on the shelf: what it cost per
+--                           unit, when it expires, how many came in and how many
+--                           are left. `source` says where it came from:
+--                             opening    — backfill below (pre-lot stock) and
+--                                          initial stock on a new item
+--                             receipt    — a purchase-order delivery
+--                                          (`receipt_line_id`)
+--                             restock    — the quick restock action
+--                             adjustment — a positive stock adjustment
+--                             void       — units returned by a voided sale that
+--                                          had no lot to go back to (sales made
+--                                          before this migration)
+--                           Expired lots are written off by setting
+--                           `quantity_remaining` to 0 and stamping
+--                           `written_off_at`/`written_off_by`; the matching
+--                           'expired' stand_stock_movements row carries the cost.
+--   stand_sale_item_lots  — which lots a sale line drew from, and at what cost.
+--                           Sales draw first-expiring first, then oldest first
+--                           (FIFO); a void puts each quantity back into the lot it
+--                           came from. `lot_id` is NULL for the part of a line
+--                           that no lot covered (stock that drifted from the lot
+--                           total) — costed at the item's cost_price.
+--
+-- stand_items.current_stock stays the on-hand total every reader uses; the
+-- writers in stand-queries.ts / stand-purchasing-queries.ts keep it equal to
+-- SUM(quantity_remaining), and keep stand_items.expiry_date on the earliest
+-- expiry still on the shelf (what getExpiringItems and the dashboard read).
+--
+-- Sync posture: FAILOVER-MIRRORED, forward-only (local -> Supabase), like the
+-- other stand tables: triggers here, identical DDL minus triggers on the mirror
+-- (migrations/supabase/stand-lots-2026-10-19.sql). The triggers are created
+-- BEFORE the opening-lot backfill so the backfilled rows forward too.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/stand-lots-2026-10-19.sql
+--   scripts/psql.sh local -f migrations/pg/1784100000000_stand-lots.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.stand_item_lots (
+  lot_id              integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  item_id             integer NOT NULL REFERENCES public.stand_items(item_id),
+  source              text NOT NULL
+                        CHECK (source IN ('opening', 'receipt', 'restock', 'adjustment', 'void')),
+  receipt_line_id     integer REFERENCES public.stand_purchase_receipt_lines(receipt_line_id) ON DELETE SET NULL,
+  lot_number          citext,
+  expiry_date         date,
+  unit_cost           integer NOT NULL CHECK (unit_cost >= 0),
+  quantity_received   integer NOT NULL CHECK (quantity_received > 0),
+  quantity_remaining  integer NOT NULL
+                        CHECK (quantity_remaining >= 0 AND quantity_remaining <= quantity_received),
+  received_at         timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  written_off_at      timestamp,
+  written_off_by      integer
+);
+
+-- The allocation scan: open lots of one item in draw order.
+CREATE INDEX IF NOT EXISTS ix_stand_item_lots_open
+  ON public.stand_item_lots (item_id, expiry_date, received_at)
+  WHERE quantity_remaining > 0;
+
+CREATE TABLE IF NOT EXISTS public.stand_sale_item_lots (
+  allocation_id  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  sale_item_id   integer NOT NULL REFERENCES public.stand_sale_items(sale_item_id) ON DELETE CASCADE,
+  lot_id         integer REFERENCES public.stand_item_lots(lot_id),
+  quantity       integer NOT NULL CHECK (quantity > 0),
+  unit_cost      integer NOT NULL CHECK (unit_cost >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS ix_stand_sale_item_lots_sale_item
+  ON public.stand_sale_item_lots (sale_item_id);
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.stand_item_lots
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('lot_id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.stand_sale_item_lots
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('allocation_id', 'failover');
+
+-- Opening lots: whatever is on the shelf today becomes one lot per item, at the
+-- item's current cost and expiry. Idempotent — skips items that already have lots.
+INSERT INTO public.stand_item_lots
+  (item_id, source, expiry_date, unit_cost, quantity_received, quantity_remaining, received_at)
+SELECT i.item_id, 'opening', i.expiry_date, i.cost_price, i.current_stock, i.current_stock, i.date_added
+FROM public.stand_items i
+WHERE i.current_stock > 0
+  AND NOT EXISTS (SELECT 1 FROM public.stand_item_lots l WHERE l.item_id = i.item_id);
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.stand_sale_item_lots;
+-- DROP TABLE IF EXISTS public.stand_item_lots;
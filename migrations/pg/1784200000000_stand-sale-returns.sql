@@ -0,0 +1,98 @@
+-- Stand sale returns: give part of a sale back (some units of some lines)
+-- instead of voiding the whole sale.
+--
+--   stand_sale_returns       — one return event against a sale: the cash handed
+--                              back (`refund_amount`, at the line's sell price)
+--                              and the lot cost of the units that came back
+--                              (`refund_cost`).
+--   stand_sale_return_items  — which lines, how many units, and what each line
+--                              refunded/cost.
+--
+-- Running totals are kept on the rows the reports already read, so they can net
+-- returns out without joining the return tables:
+--   stand_sales.returned_amount / returned_cost   — SUM over the sale's returns
+--   stand_sale_items.quantity_returned            — units of the line returned
+--   stand_sale_item_lots.quantity_returned        — units of the slice put back
+--                                                   into its lot (last drawn,
+--                                                   first returned)
+-- A void after a partial return restores only what is still out
+-- (quantity - quantity_returned).
+--
+-- stand_item_lots gains the source 'return': units that came back on a return
+-- with no lot to go back to (the uncovered part of a line), like 'void'.
+--
+-- Sync posture: FAILOVER-MIRRORED, forward-only (local -> Supabase), like the
+-- other stand tables: triggers here, identical DDL minus triggers on the mirror
+-- (migrations/supabase/stand-sale-returns-2026-10-19.sql).
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/stand-sale-returns-2026-10-19.sql
+--   scripts/psql.sh local -f migrations/pg/1784200000000_stand-sale-returns.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+ALTER TABLE public.stand_sales
+  ADD COLUMN IF NOT EXISTS returned_amount integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS returned_cost   integer NOT NULL DEFAULT 0;
+
+ALTER TABLE public.stand_sale_items
+  ADD COLUMN IF NOT EXISTS quantity_returned integer NOT NULL DEFAULT 0;
+ALTER TABLE public.stand_sale_items
+  DROP CONSTRAINT IF EXISTS stand_sale_items_quantity_returned_check,
+  ADD CONSTRAINT stand_sale_items_quantity_returned_check
+    CHECK (quantity_returned >= 0 AND quantity_returned <= quantity);
+
+ALTER TABLE public.stand_sale_item_lots
+  ADD COLUMN IF NOT EXISTS quantity_returned integer NOT NULL DEFAULT 0;
+ALTER TABLE public.stand_sale_item_lots
+  DROP CONSTRAINT IF EXISTS stand_sale_item_lots_quantity_returned_check,
+  ADD CONSTRAINT stand_sale_item_lots_quantity_returned_check
+    CHECK (quantity_returned >= 0 AND quantity_returned <= quantity);
+
+ALTER TABLE public.stand_item_lots
+  DROP CONSTRAINT IF EXISTS stand_item_lots_source_check,
+  ADD CONSTRAINT stand_item_lots_source_check
+    CHECK (source IN ('opening', 'receipt', 'restock', 'adjustment', 'void', 'return'));
+
+CREATE TABLE IF NOT EXISTS public.stand_sale_returns (
+  return_id      integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  sale_id        integer NOT NULL REFERENCES public.stand_sales(sale_id),
+  refund_amount  integer NOT NULL CHECK (refund_amount >= 0),
+  refund_cost    integer NOT NULL CHECK (refund_cost >= 0),
+  reason         text NOT NULL,
+  returned_at    timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  returned_by    integer
+);
+
+CREATE INDEX IF NOT EXISTS ix_stand_sale_returns_sale
+  ON public.stand_sale_returns (sale_id);
+
+CREATE TABLE IF NOT EXISTS public.stand_sale_return_items (
+  return_item_id  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  return_id       integer NOT NULL REFERENCES public.stand_sale_returns(return_id) ON DELETE CASCADE,
+  sale_item_id    integer NOT NULL REFERENCES public.stand_sale_items(sale_item_id),
+  item_id         integer NOT NULL REFERENCES public.stand_items(item_id),
+  quantity        integer NOT NULL CHECK (quantity > 0),
+  refund_amount   integer NOT NULL CHECK (refund_amount >= 0),
+  cost            integer NOT NULL CHECK (cost >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS ix_stand_sale_return_items_return
+  ON public.stand_sale_return_items (return_id);
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.stand_sale_returns
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('return_id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.stand_sale_return_items
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('return_item_id', 'failover');
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.stand_sale_return_items;
+-- DROP TABLE IF EXISTS public.stand_sale_returns;
+-- ALTER TABLE public.stand_item_lots DROP CONSTRAINT IF EXISTS stand_item_lots_source_check,
+--   ADD CONSTRAINT stand_item_lots_source_check
+--     CHECK (source IN ('opening', 'receipt', 'restock', 'adjustment', 'void'));
+-- ALTER TABLE public.stand_sale_item_lots DROP COLUMN IF EXISTS quantity_returned;
+-- ALTER TABLE public.stand_sale_items DROP COLUMN IF EXISTS quantity_returned;
+-- ALTER TABLE public.stand_sales DROP COLUMN IF EXISTS returned_cost, DROP COLUMN IF EXISTS returned_amount;
@@ -0,0 +1,78 @@
+-- WhatsApp inbox: messages patients send to the clinic number, kept as one
+-- conversation thread per WhatsApp chat so staff can read and answer them.
+--
+--   whatsapp_threads          — one row per chat (`chat_id`, the library's
+--                               '<number>@c.us' / '<id>@lid' serialized id). The
+--                               sender's normalized phone (PhoneFormatter, no '+')
+--                               and the matched patient, when one was found, are
+--                               stamped on first contact (an unmatched thread is
+--                               retried on each new message). `last_message_*` and
+--                               `unread_count` are running columns so the thread
+--                               list never aggregates the message table.
+--   whatsapp_thread_messages  — the messages of a thread, both directions. Incoming
+--                               rows come from the client's 'message' event;
+--                               outgoing rows are inbox replies (`sent_by` set) and
+--                               anything else the clinic number sends into a chat
+--                               that already has a thread (reminders, receipts).
+--                               `wa_message_id` is unique so the reply route and
+--                               the client's own 'message_create' echo of the same
+--                               send collapse into one row; `ack` follows the
+--                               library's MessageAck (1 server, 2 device, 3 read).
+--
+-- Media messages store their caption (or '') with `has_media` set — the files
+-- themselves are not downloaded.
+--
+-- Sync posture: FAILOVER-MIRRORED, forward-only (local -> Supabase), like
+-- `message_status_history`: triggers here, identical DDL minus triggers on the
+-- mirror (migrations/supabase/whatsapp-inbox-2026-10-19.sql), no `updated_at`.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/whatsapp-inbox-2026-10-19.sql
+--   scripts/psql.sh local -f migrations/pg/1784300000000_whatsapp-inbox.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.whatsapp_threads (
+  thread_id             integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  chat_id               text NOT NULL UNIQUE,
+  phone                 text,
+  person_id             integer REFERENCES public.patients(person_id) ON DELETE SET NULL,
+  contact_name          text,
+  last_message_at       timestamp,
+  last_message_preview  text,
+  last_direction        text CHECK (last_direction IN ('in', 'out')),
+  unread_count          integer NOT NULL DEFAULT 0 CHECK (unread_count >= 0),
+  created_at            timestamp NOT NULL DEFAULT LOCALTIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ix_whatsapp_threads_last_message
+  ON public.whatsapp_threads (last_message_at DESC);
+CREATE INDEX IF NOT EXISTS ix_whatsapp_threads_person
+  ON public.whatsapp_threads (person_id);
+
+CREATE TABLE IF NOT EXISTS public.whatsapp_thread_messages (
+  message_id     integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  thread_id      integer NOT NULL REFERENCES public.whatsapp_threads(thread_id) ON DELETE CASCADE,
+  direction      text NOT NULL CHECK (direction IN ('in', 'out')),
+  body           text NOT NULL DEFAULT '',
+  message_type   text NOT NULL DEFAULT 'chat',
+  has_media      boolean NOT NULL DEFAULT false,
+  wa_message_id  text UNIQUE,
+  ack            integer,
+  sent_at        timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  sent_by        integer
+);
+
+CREATE INDEX IF NOT EXISTS ix_whatsapp_thread_messages_thread
+  ON public.whatsapp_thread_messages (thread_id, sent_at);
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.whatsapp_threads
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('thread_id', 'failover');
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.whatsapp_thread_messages
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('message_id', 'failover');
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.whatsapp_thread_messages;
+-- DROP TABLE IF EXISTS public.whatsapp_threads;
@@ -0,0 +1,48 @@
+-- Appointment confirmation replies.
+--
+-- The WhatsApp reminder (messaging-queries.ts#getWhatsAppMessages) now ends with
+-- "reply 1 to confirm, 2 to reschedule". A patient's reply is parsed as it
+-- arrives (services/appointments/appointment-confirmation.ts) and stamped on their
+-- reminded appointment; staff can set the same flag by hand after a call.
+--   confirmation_status — 'confirmed' | 'reschedule_requested'; NULL = no answer yet
+--   confirmation_at     — when it was set
+--   confirmation_source — 'whatsapp' (the patient's reply) | 'staff' (set by hand)
+--   confirm_task_id     — the header-bell push task raised for this appointment:
+--                         the day-before "call to confirm" task for an unanswered
+--                         reminder (services/appointments/confirmation-call-sweep.ts),
+--                         or the "call to reschedule" task a `2` reply raises.
+--                         Completed automatically once the appointment is confirmed.
+-- No FK to `alerts` (the aligner_batches.depletion_alert_id precedent): a task
+-- deleted from the bell just leaves a dangling id the completion UPDATE matches
+-- nothing for. Moving an appointment to another time clears the flag.
+--
+-- Sync posture: `appointments` already carries its capture trigger and is in the
+-- two-way reverse set; the new nullable columns ride the existing whole-row
+-- upsert once the mirror has them (the no_show_at precedent,
+-- migrations/pg/1783100000000_appointment-no-show.sql). The Supabase half
+-- (migrations/supabase/appointment-confirmation-2026-10-19.sql) is identical DDL.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/appointment-confirmation-2026-10-19.sql
+--   scripts/psql.sh local -f migrations/pg/1784400000000_appointment-confirmation.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS confirmation_status text
+    CONSTRAINT ck_appointments_confirmation_status
+    CHECK (confirmation_status IN ('confirmed', 'reschedule_requested')),
+  ADD COLUMN IF NOT EXISTS confirmation_at timestamp,
+  ADD COLUMN IF NOT EXISTS confirmation_source text
+    CONSTRAINT ck_appointments_confirmation_source
+    CHECK (confirmation_source IN ('whatsapp', 'staff')),
+  ADD COLUMN IF NOT EXISTS confirm_task_id integer;
+
+-- Down Migration
+-- ALTER TABLE public.appointments
+--   DROP COLUMN IF EXISTS confirm_task_id,
+--   DROP COLUMN IF EXISTS confirmation_source,
+--   DROP COLUMN IF EXISTS confirmation_at,
+--   DROP COLUMN IF EXISTS confirmation_status;
@@ -0,0 +1,44 @@
+-- Message templates: the admin-edited text of the messages sent to patients.
+--
+--   message_templates — one row per (template_key, language) an admin has saved.
+--                       `template_key` is one of the types in
+--                       shared/contracts/message-template.contract.ts
+--                       (appointment_reminder, appointment_booked, payment_receipt,
+--                       stand_receipt); `language` is 'ar' | 'ku' | 'en'. `body`
+--                       holds `{{placeholder}}` text rendered by
+--                       services/messaging/message-templates.ts.
+-- Only overrides are stored: a type/language with no row uses the built-in text
+-- in that module (Kurdish falls back to the Arabic text), so an empty table sends
+-- exactly what the code always sent. Deleting a row restores the built-in text.
+-- `updated_at` is kept by the shared set_updated_at trigger (the `options`
+-- precedent); `updated_by` is the saving user's name.
+--
+-- Sync posture: FAILOVER-MIRRORED, forward-only (local -> Supabase), like
+-- `options` / `estimated_cost_presets`: capture trigger here, identical DDL minus
+-- triggers on the mirror (migrations/supabase/message-templates-2026-10-19.sql).
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/message-templates-2026-10-19.sql
+--   scripts/psql.sh local -f migrations/pg/1784500000000_message-templates.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.message_templates (
+  template_id   integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  template_key  text NOT NULL,
+  language      text NOT NULL CHECK (language IN ('ar', 'ku', 'en')),
+  body          text NOT NULL,
+  updated_at    timestamp,
+  updated_by    text,
+  CONSTRAINT uq_message_templates_key_language UNIQUE (template_key, language)
+);
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.message_templates
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('template_id', 'failover');
+CREATE TRIGGER trg_set_updated_at BEFORE INSERT OR UPDATE ON public.message_templates
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.message_templates;
@@ -0,0 +1,64 @@
+-- Outbound message queue: patient and staff messages that must not be lost when
+-- WhatsApp is disconnected or a send fails.
+--
+--   outbound_messages — one row per message. services/messaging/outbound-queue.ts
+--                       drains it: due `pending` rows are sent over `channel`
+--                       within per-channel rate limits; a failure is retried with
+--                       backoff (`next_attempt_at`). A WhatsApp message with
+--                       `sms_fallback` moves to `channel = 'sms'` when the number
+--                       isn't on WhatsApp or its retries run out;
+--                       `requested_channel` keeps the original and `sms_body`,
+--                       when set, is the text to send by SMS instead. `status` is
+--                       pending → sending → sent | failed; staff can cancel a
+--                       pending row and put a failed/cancelled one back to
+--                       pending (`resent_by`) from Settings → Message Queue.
+--
+-- `appointment_id` links a reminder to its appointment: the worker skips it once
+-- the appointment is marked sent on that channel (a staff resend or the date
+-- batch got there first), and a send marks it like the batch would.
+--
+-- LOCAL-ONLY BY DESIGN (the audit_log precedent): no `cdc_capture` trigger and no
+-- Supabase mirror DDL — the queue is drained by this server's WhatsApp client and
+-- Twilio account, and a mirrored copy of pending rows could only double-send. No
+-- `updated_at` column either. Timestamps are `timestamp` WITHOUT time zone per
+-- CLAUDE.md.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead), LOCAL only:
+--   scripts/psql.sh local -f migrations/pg/1784600000000_outbound-message-queue.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.outbound_messages (
+  message_id           integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  channel              text NOT NULL CHECK (channel IN ('whatsapp', 'sms')),
+  requested_channel    text NOT NULL CHECK (requested_channel IN ('whatsapp', 'sms')),
+  sms_fallback         boolean NOT NULL DEFAULT false,
+  phone                text NOT NULL,
+  recipient_name       text,
+  person_id            integer REFERENCES public.patients(person_id) ON DELETE SET NULL,
+  appointment_id       integer REFERENCES public.appointments(appointment_id) ON DELETE SET NULL,
+  purpose              text NOT NULL,
+  body                 text NOT NULL,
+  sms_body             text,
+  status               text NOT NULL DEFAULT 'pending'
+                         CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+  attempts             integer NOT NULL DEFAULT 0 CHECK (attempts >= 0),
+  next_attempt_at      timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  last_attempt_at      timestamp,
+  last_error           text,
+  provider_message_id  text,
+  sent_at              timestamp,
+  created_at           timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  created_by           text,
+  resent_by            text
+);
+
+CREATE INDEX IF NOT EXISTS ix_outbound_messages_due
+  ON public.outbound_messages (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS ix_outbound_messages_status
+  ON public.outbound_messages (status, created_at DESC);
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.outbound_messages;
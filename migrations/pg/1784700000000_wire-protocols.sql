@@ -0,0 +1,83 @@
+-- Wire sequence protocols: doctor-defined archwire progressions (e.g. 0.014 NiTi
+-- → 0.016 NiTi → 0.019x0.025 SS) and which one each work follows.
+--
+--   wire_protocols       — one row per protocol. An inactive protocol stays on
+--                          the works already following it but is no longer
+--                          offered for new ones.
+--   wire_protocol_steps  — the protocol's wires in order (`position` 1..n).
+--                          `arch` is 'both' or one arch, so a protocol can run a
+--                          different lower sequence. `min_weeks` is the least
+--                          time on the wire before moving on; `interval_weeks`
+--                          the visit interval while it is in.
+--   work_wire_protocols  — the protocol a work follows (at most one per work).
+--
+-- The visit form reads the work's protocol and its visits to pre-fill the next
+-- wire and propose the next appointment (services/business/WireProtocolService.ts).
+-- Steps are replaced as a whole when a protocol is saved.
+--
+-- Sync posture: FAILOVER-MIRRORED, forward-only (local -> Supabase), like the
+-- other clinical tables: capture triggers here, identical DDL minus triggers on
+-- the mirror (migrations/supabase/wire-protocols-2026-10-19.sql). `updated_at`
+-- is kept by the shared set_updated_at trigger.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/wire-protocols-2026-10-19.sql
+--   scripts/psql.sh local -f migrations/pg/1784700000000_wire-protocols.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.wire_protocols (
+  protocol_id  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  name         text NOT NULL,
+  description  text,
+  is_active    boolean NOT NULL DEFAULT true,
+  created_by   text,
+  updated_at   timestamp,
+  updated_by   text,
+  CONSTRAINT uq_wire_protocols_name UNIQUE (name)
+);
+
+CREATE TABLE IF NOT EXISTS public.wire_protocol_steps (
+  step_id         integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  protocol_id     integer NOT NULL REFERENCES public.wire_protocols(protocol_id) ON DELETE CASCADE,
+  position        integer NOT NULL CHECK (position >= 1),
+  arch            text NOT NULL DEFAULT 'both' CHECK (arch IN ('both', 'upper', 'lower')),
+  wire_id         integer NOT NULL REFERENCES public.wires(wire_id),
+  min_weeks       integer NOT NULL CHECK (min_weeks >= 0),
+  interval_weeks  integer NOT NULL CHECK (interval_weeks >= 1),
+  updated_at      timestamp,
+  CONSTRAINT uq_wire_protocol_steps_position UNIQUE (protocol_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS public.work_wire_protocols (
+  work_id      integer PRIMARY KEY REFERENCES public.works(work_id) ON DELETE CASCADE,
+  protocol_id  integer NOT NULL REFERENCES public.wire_protocols(protocol_id),
+  assigned_at  timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  assigned_by  text,
+  updated_at   timestamp
+);
+
+CREATE INDEX IF NOT EXISTS ix_work_wire_protocols_protocol
+  ON public.work_wire_protocols (protocol_id);
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.wire_protocols
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('protocol_id', 'failover');
+CREATE TRIGGER trg_set_updated_at BEFORE INSERT OR UPDATE ON public.wire_protocols
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.wire_protocol_steps
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('step_id', 'failover');
+CREATE TRIGGER trg_set_updated_at BEFORE INSERT OR UPDATE ON public.wire_protocol_steps
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.work_wire_protocols
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('work_id', 'failover');
+CREATE TRIGGER trg_set_updated_at BEFORE INSERT OR UPDATE ON public.work_wire_protocols
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.work_wire_protocols;
+-- DROP TABLE IF EXISTS public.wire_protocol_steps;
+-- DROP TABLE IF EXISTS public.wire_protocols;
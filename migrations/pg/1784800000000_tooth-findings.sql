@@ -0,0 +1,61 @@
+-- Clinical findings charting: a persistent odontogram per patient — dated
+-- findings per tooth and surface.
+--
+--   tooth_findings — one row per finding on one tooth. `kind` is what was found
+--                    (caries, missing, impacted, restoration, bracket, band,
+--                    bond_failure); `surfaces` the affected surfaces in the usual
+--                    shorthand ('MOD', 'B', …; NULL = the whole tooth). A finding
+--                    holds from `recorded_on` until `resolved_on` (a carious
+--                    lesion filled, a failed bracket rebonded), so the chart on
+--                    any date is the findings open on it — that is how the chart
+--                    at the start of treatment is compared with today's.
+--                    `visit_id` is the visit it was charted at (the chart's
+--                    version). `work_item_id` is the treatment item that
+--                    addresses it, picked when the item is added (/addworkdetail).
+--
+-- Read and written by services/business/ToothFindingService.ts.
+--
+-- Sync posture: FAILOVER-MIRRORED, forward-only (local -> Supabase), like the
+-- other clinical tables: capture trigger here, identical DDL minus triggers on
+-- the mirror (migrations/supabase/tooth-findings-2026-10-19.sql). Audited per
+-- patient like work_items / visits (audit_capture, see 1783600000000_audit-log.sql).
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/tooth-findings-2026-10-19.sql
+--   scripts/psql.sh local -f migrations/pg/1784800000000_tooth-findings.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.tooth_findings (
+  finding_id    integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  person_id     integer NOT NULL REFERENCES public.patients(person_id) ON DELETE CASCADE,
+  tooth_id      integer NOT NULL REFERENCES public.tooth_numbers(id),
+  kind          text NOT NULL CHECK (kind IN ('caries', 'missing', 'impacted', 'restoration', 'bracket', 'band', 'bond_failure')),
+  surfaces      text CHECK (surfaces ~ '^[MODBLI]{1,6}$'),
+  detail        text,
+  note          text,
+  recorded_on   date NOT NULL DEFAULT CURRENT_DATE,
+  visit_id      integer REFERENCES public.visits(id) ON DELETE SET NULL,
+  resolved_on   date,
+  work_item_id  integer REFERENCES public.work_items(id) ON DELETE SET NULL,
+  created_by    text,
+  updated_at    timestamp,
+  CONSTRAINT ck_tooth_findings_resolved CHECK (resolved_on IS NULL OR resolved_on >= recorded_on)
+);
+
+CREATE INDEX IF NOT EXISTS ix_tooth_findings_person
+  ON public.tooth_findings (person_id, recorded_on);
+CREATE INDEX IF NOT EXISTS ix_tooth_findings_work_item
+  ON public.tooth_findings (work_item_id) WHERE work_item_id IS NOT NULL;
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.tooth_findings
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('finding_id', 'failover');
+CREATE TRIGGER trg_set_updated_at BEFORE INSERT OR UPDATE ON public.tooth_findings
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+CREATE TRIGGER trg_audit_capture AFTER INSERT OR DELETE OR UPDATE ON public.tooth_findings
+  FOR EACH ROW EXECUTE FUNCTION public.audit_capture('finding_id', 'person_id');
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.tooth_findings;
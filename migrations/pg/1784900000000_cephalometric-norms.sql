@@ -0,0 +1,101 @@
+-- Cephalometric analysis: initial + final diagnoses per work, and configurable
+-- norms the measurements are classified against.
+--
+--   diagnoses.stage — 'initial' (pre-treatment, every existing row) or 'final'
+--                     (post-treatment records), one of each per work; the
+--                     diagnosis upsert is keyed on (work_id, stage) so the two
+--                     can be compared. A work that already has two diagnoses
+--                     stops the migration with the work ids listed (the guard
+--                     below); check first with
+--                       SELECT work_id FROM diagnoses GROUP BY work_id HAVING COUNT(*) > 1;
+--   ceph_norms      — mean ± SD per measurement (the c_* columns without the
+--                     prefix: 'sna', 'wits', 'percent_lafh', …), optionally only
+--                     for one sex ('M'/'F') and an age band [age_min, age_max)
+--                     in whole years; NULL = any. The most specific row that
+--                     matches the patient is used (shared/cephalometrics.ts).
+--                     Seeded with common Steiner / McNamara / Eastman values;
+--                     edited in Settings → Ceph Norms.
+--
+-- Read and written by services/business/CephalometricService.ts.
+--
+-- Sync posture: FAILOVER-MIRRORED, forward-only (local -> Supabase), like
+-- diagnoses itself: capture trigger here, identical DDL minus triggers on the
+-- mirror (migrations/supabase/cephalometric-norms-2026-10-19.sql).
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/cephalometric-norms-2026-10-19.sql
+--   scripts/psql.sh local -f migrations/pg/1784900000000_cephalometric-norms.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+-- Every existing row becomes 'initial', so a work that already has two diagnoses
+-- would break the unique index below. Stop with the offending works listed
+-- instead; merge or delete the extra rows by hand, then re-run.
+DO $$
+DECLARE
+  dupes text;
+BEGIN
+  SELECT string_agg(work_id::text, ', ' ORDER BY work_id) INTO dupes
+  FROM (SELECT work_id FROM public.diagnoses GROUP BY work_id HAVING COUNT(*) > 1) d;
+  IF dupes IS NOT NULL THEN
+    RAISE EXCEPTION 'diagnoses: works with more than one diagnosis (%): keep one row per work before adding the stage column', dupes;
+  END IF;
+END $$;
+
+ALTER TABLE public.diagnoses
+  ADD COLUMN IF NOT EXISTS stage text NOT NULL DEFAULT 'initial'
+    CONSTRAINT ck_diagnoses_stage CHECK (stage IN ('initial', 'final'));
+CREATE UNIQUE INDEX IF NOT EXISTS uq_diagnoses_work_stage ON public.diagnoses (work_id, stage);
+
+CREATE TABLE IF NOT EXISTS public.ceph_norms (
+  norm_id     integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  measure     text NOT NULL,
+  sex         char(1) CHECK (sex IN ('M', 'F')),
+  age_min     integer CHECK (age_min >= 0),
+  age_max     integer,
+  mean        numeric(6, 2) NOT NULL,
+  sd          numeric(5, 2) NOT NULL CHECK (sd > 0),
+  source      text,
+  created_by  text,
+  updated_at  timestamp,
+  CONSTRAINT ck_ceph_norms_age CHECK (age_max IS NULL OR age_min IS NULL OR age_max > age_min)
+);
+
+-- One norm per measure / sex / age band (NULL = any).
+CREATE UNIQUE INDEX IF NOT EXISTS uq_ceph_norms
+  ON public.ceph_norms (measure, COALESCE(sex, '*'), COALESCE(age_min, -1), COALESCE(age_max, -1));
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.ceph_norms
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('norm_id', 'failover');
+CREATE TRIGGER trg_set_updated_at BEFORE INSERT OR UPDATE ON public.ceph_norms
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- The seed is captured like any insert, so it reaches the mirror with its ids.
+INSERT INTO public.ceph_norms (measure, sex, age_min, age_max, mean, sd, source) VALUES
+  ('sna',          NULL, NULL, NULL,  82,    2,   'Steiner'),
+  ('snb',          NULL, NULL, NULL,  80,    2,   'Steiner'),
+  ('anb',          NULL, NULL, NULL,   2,    2,   'Steiner'),
+  ('sn_mx',        NULL, NULL, NULL,   8,    3,   'Eastman'),
+  ('wits',         'M',  NULL, NULL,  -1,    1.9, 'Jacobson'),
+  ('wits',         'F',  NULL, NULL,   0,    1.8, 'Jacobson'),
+  ('fma',          NULL, NULL, NULL,  25,    5,   'Tweed'),
+  ('mma',          NULL, NULL, NULL,  27,    5,   'Eastman'),
+  ('lafh',         NULL, NULL,   12,  60,    4,   'McNamara (mixed dentition)'),
+  ('lafh',         'F',    12, NULL,  66.7,  4.1, 'McNamara'),
+  ('lafh',         'M',    12, NULL,  74.6,  5,   'McNamara'),
+  ('percent_lafh', NULL, NULL, NULL,  55,    2,   'Eastman'),
+  ('uimx',         NULL, NULL, NULL, 110,    6,   'Eastman'),
+  ('li_md',        NULL, NULL, NULL,  90,    3,   'Tweed'),
+  ('ui_li',        NULL, NULL, NULL, 130,   10,   'Steiner'),
+  ('li_a_po',      NULL, NULL, NULL,   1,    2,   'Ricketts'),
+  ('ulip_e',       NULL, NULL, NULL,  -4,    2,   'Ricketts'),
+  ('llip_e',       NULL, NULL, NULL,  -2,    2,   'Ricketts'),
+  ('naso_lip',     NULL, NULL, NULL, 102,    8,   'Legan & Burstone')
+ON CONFLICT DO NOTHING;
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.ceph_norms;
+-- DROP INDEX IF EXISTS public.uq_diagnoses_work_stage;
+-- ALTER TABLE public.diagnoses DROP COLUMN IF EXISTS stage;
@@ -0,0 +1,51 @@
+-- Photo alignment landmarks: two reference points marked on a rendered photo
+-- view, so the same view at different timepoints can be lined up without a
+-- browser (before/progress/after collages, services/imaging/photo-collage.service.ts).
+--
+--   photo_landmarks — one row per (patient, timepoint, view). `a_*` / `b_*` are
+--                     the two points as fractions (0..1) of the rendered
+--                     working view `{personId}0{tpCode}.{view}`, so they hold
+--                     at any resolution. Which anatomy each point marks is a
+--                     per-view convention (shared/photo-collage.ts, e.g. the
+--                     pupils on the frontal views). `view_mtime` is the view
+--                     file's mtime (ms) when they were marked; a re-rendered
+--                     view no longer matches and its landmarks are ignored
+--                     until marked again.
+--
+-- Sync posture: FAILOVER-MIRRORED, forward-only (local -> Supabase), like the
+-- other clinical tables: capture trigger here, identical DDL minus triggers on
+-- the mirror (migrations/supabase/photo-landmarks-2026-10-19.sql). Removed with
+-- the timepoint.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead). Apply the Supabase mirror FIRST, then LOCAL:
+--   scripts/psql.sh supa  -f migrations/supabase/photo-landmarks-2026-10-19.sql
+--   scripts/psql.sh local -f migrations/pg/1785000000000_photo-landmarks.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+CREATE TABLE IF NOT EXISTS public.photo_landmarks (
+  landmark_id  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  person_id    integer NOT NULL,
+  tp_code      integer NOT NULL,
+  view_code    text NOT NULL CHECK (view_code IN ('i10', 'i12', 'i13', 'i20', 'i21', 'i22', 'i23', 'i24')),
+  a_x          real NOT NULL CHECK (a_x BETWEEN 0 AND 1),
+  a_y          real NOT NULL CHECK (a_y BETWEEN 0 AND 1),
+  b_x          real NOT NULL CHECK (b_x BETWEEN 0 AND 1),
+  b_y          real NOT NULL CHECK (b_y BETWEEN 0 AND 1),
+  view_mtime   bigint NOT NULL,
+  created_by   text,
+  updated_at   timestamp,
+  CONSTRAINT uq_photo_landmarks UNIQUE (person_id, tp_code, view_code),
+  CONSTRAINT fk_photo_landmarks_time_point FOREIGN KEY (person_id, tp_code)
+    REFERENCES public.time_points (person_id, tp_code) ON DELETE CASCADE
+);
+
+CREATE TRIGGER trg_cdc_capture AFTER INSERT OR DELETE OR UPDATE ON public.photo_landmarks
+  FOR EACH ROW EXECUTE FUNCTION public.cdc_capture('landmark_id', 'failover');
+CREATE TRIGGER trg_set_updated_at BEFORE INSERT OR UPDATE ON public.photo_landmarks
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Down Migration
+-- DROP TABLE IF EXISTS public.photo_landmarks;
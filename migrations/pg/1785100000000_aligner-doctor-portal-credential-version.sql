@@ -0,0 +1,27 @@
+-- Aligner-doctor portal: revoke signed-in sessions on password reset / disable.
+--
+-- The portal session (`shwan.doctor`, middleware/alignerDoctorAuth.ts) is stamped
+-- at login with the doctor's `credential_version`; every request re-reads
+-- `enabled` and the version and ends the session when either no longer matches.
+--   credential_version — bumped when staff reset the password or disable the
+--                        login (services/database/queries/
+--                        aligner-doctor-portal-auth-queries.ts), so a session
+--                        signed in with the old credentials stops working at
+--                        once instead of living out its 24 hours
+-- Existing sessions carry no version and are asked to sign in again.
+--
+-- LOCAL-ONLY like the table itself (migrations/pg/1783900000000_aligner-doctor-portal.sql):
+-- no Supabase mirror DDL.
+--
+-- Apply (squashed-baseline state — `node-pg-migrate up` would replay the baseline;
+-- run directly instead), LOCAL only:
+--   scripts/psql.sh local -f migrations/pg/1785100000000_aligner-doctor-portal-credential-version.sql
+-- Then regenerate types: npm run db:codegen
+-- This file is the node-pg-migrate record.
+
+-- Up Migration
+ALTER TABLE public.aligner_doctor_portal_auth
+  ADD COLUMN IF NOT EXISTS credential_version integer NOT NULL DEFAULT 1;
+
+-- Down Migration
+-- ALTER TABLE public.aligner_doctor_portal_auth DROP COLUMN IF EXISTS credential_version;
@@ -0,0 +1,11 @@
+-- Supabase mirror of migrations/pg/1783800000000_aligner-depletion-reminders.sql —
+-- applied via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the columns
+-- exist before a local aligner_batches row carrying them is upserted.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical columns to local. The mirror
+-- `aligner_batches` is in the reverse set; its `cdc_capture_remote` /
+-- `set_updated_at_remote` triggers are row-level and pick the new columns up as-is.
+
+ALTER TABLE public.aligner_batches
+  ADD COLUMN IF NOT EXISTS depletion_alert_id integer,
+  ADD COLUMN IF NOT EXISTS depletion_alerted_at timestamp;
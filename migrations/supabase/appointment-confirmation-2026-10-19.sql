@@ -0,0 +1,17 @@
+-- Supabase mirror of migrations/pg/1784400000000_appointment-confirmation.sql —
+-- applied via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the columns
+-- exist before a local appointment row carrying them is upserted.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical columns/constraints to local.
+-- `appointments` keeps its existing remote capture/version triggers — the new
+-- nullable columns need no trigger work.
+
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS confirmation_status text
+    CONSTRAINT ck_appointments_confirmation_status
+    CHECK (confirmation_status IN ('confirmed', 'reschedule_requested')),
+  ADD COLUMN IF NOT EXISTS confirmation_at timestamp,
+  ADD COLUMN IF NOT EXISTS confirmation_source text
+    CONSTRAINT ck_appointments_confirmation_source
+    CHECK (confirmation_source IN ('whatsapp', 'staff')),
+  ADD COLUMN IF NOT EXISTS confirm_task_id integer;
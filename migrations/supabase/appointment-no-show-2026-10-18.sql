@@ -0,0 +1,14 @@
+-- Supabase mirror of migrations/pg/1783100000000_appointment-no-show.sql — applied
+-- via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the column exists
+-- before a local appointment row carrying it is upserted.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical columns/indexes to local.
+-- `appointments` keeps its existing remote capture/version triggers — the new
+-- nullable column needs no trigger work.
+
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS no_show_at timestamp;
+
+CREATE INDEX IF NOT EXISTS ix_appointments_no_show
+  ON public.appointments (person_id, app_date)
+  WHERE no_show_at IS NOT NULL;
@@ -0,0 +1,59 @@
+-- Supabase mirror of migrations/pg/1783000000000_appointment-series-and-waitlist.sql —
+-- applied via SUPABASE_FAILOVER_DB_URL (small additive DDL), BEFORE the local
+-- migration, so the first forward (failover) upsert has a target table and the
+-- `appointments.series_id` column exists before a local row carrying it arrives.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` trigger on the two new
+-- tables (forward-only failover TARGETS). `appointments` keeps its existing
+-- remote capture/version triggers — the new nullable column needs no trigger work.
+
+CREATE TABLE IF NOT EXISTS public.appointment_series (
+  id              integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  person_id       integer NOT NULL REFERENCES public.patients(person_id) ON DELETE CASCADE,
+  dr_id           integer NOT NULL,
+  app_detail      text NOT NULL,
+  first_app_date  timestamp NOT NULL,
+  interval_weeks  integer NOT NULL CHECK (interval_weeks BETWEEN 1 AND 26),
+  occurrences     integer NOT NULL CHECK (occurrences BETWEEN 2 AND 52),
+  cancelled_at    timestamp,
+  created_at      timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  created_by      text
+);
+
+CREATE INDEX IF NOT EXISTS ix_appointment_series_person
+  ON public.appointment_series (person_id);
+
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS series_id integer
+    REFERENCES public.appointment_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS ix_appointments_series_appdate
+  ON public.appointments (series_id, app_date)
+  WHERE series_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.appointment_waitlist (
+  id                      integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  person_id               integer NOT NULL REFERENCES public.patients(person_id) ON DELETE CASCADE,
+  dr_id                   integer,
+  app_detail              text,
+  earliest_date           date NOT NULL,
+  latest_date             date NOT NULL,
+  note                    text,
+  status                  text NOT NULL DEFAULT 'waiting'
+                            CHECK (status IN ('waiting', 'offered', 'booked', 'cancelled')),
+  offered_slot            timestamp,
+  offered_dr_id           integer,
+  offered_at              timestamp,
+  booked_appointment_id   integer REFERENCES public.appointments(appointment_id) ON DELETE SET NULL,
+  created_at              timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  created_by              text,
+  CHECK (latest_date >= earliest_date)
+);
+
+CREATE INDEX IF NOT EXISTS ix_appointment_waitlist_open_window
+  ON public.appointment_waitlist (earliest_date, latest_date)
+  WHERE status IN ('waiting', 'offered');
+
+CREATE INDEX IF NOT EXISTS ix_appointment_waitlist_person
+  ON public.appointment_waitlist (person_id);
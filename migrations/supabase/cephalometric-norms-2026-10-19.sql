@@ -0,0 +1,44 @@
+-- Supabase mirror of migrations/pg/1784900000000_cephalometric-norms.sql — applied
+-- via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the first forward
+-- (failover) upsert has a target table / column.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` / `set_updated_at`
+-- triggers here (a forward-only failover TARGET; `updated_at` arrives with the
+-- row). No seed either — the local seed rows are forwarded with their ids.
+-- Every existing row becomes 'initial', so a work that already has two diagnoses
+-- would break the unique index below. Stop with the offending works listed
+-- instead; merge or delete the extra rows by hand, then re-run.
+DO $$
+DECLARE
+  dupes text;
+BEGIN
+  SELECT string_agg(work_id::text, ', ' ORDER BY work_id) INTO dupes
+  FROM (SELECT work_id FROM public.diagnoses GROUP BY work_id HAVING COUNT(*) > 1) d;
+  IF dupes IS NOT NULL THEN
+    RAISE EXCEPTION 'diagnoses: works with more than one diagnosis (%): keep one row per work before adding the stage column', dupes;
+  END IF;
+END $$;
+
+ALTER TABLE public.diagnoses
+  ADD COLUMN IF NOT EXISTS stage text NOT NULL DEFAULT 'initial'
+    CONSTRAINT ck_diagnoses_stage CHECK (stage IN ('initial', 'final'));
+CREATE UNIQUE INDEX IF NOT EXISTS uq_diagnoses_work_stage ON public.diagnoses (work_id, stage);
+
+CREATE TABLE IF NOT EXISTS public.ceph_norms (
+  norm_id     integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  measure     text NOT NULL,
+  sex         char(1) CHECK (sex IN ('M', 'F')),
+  age_min     integer CHECK (age_min >= 0),
+  age_max     integer,
+  mean        numeric(6, 2) NOT NULL,
+  sd          numeric(5, 2) NOT NULL CHECK (sd > 0),
+  source      text,
+  created_by  text,
+  updated_at  timestamp,
+  CONSTRAINT ck_ceph_norms_age CHECK (age_max IS NULL OR age_min IS NULL OR age_max > age_min)
+);
+
+-- One norm per measure / sex / age band (NULL = any).
+CREATE UNIQUE INDEX IF NOT EXISTS uq_ceph_norms
+  ON public.ceph_norms (measure, COALESCE(sex, '*'), COALESCE(age_min, -1), COALESCE(age_max, -1));
@@ -0,0 +1,47 @@
+-- Supabase mirror of migrations/pg/1783300000000_invoice-refunds.sql — applied
+-- via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the columns and the
+-- relaxed CHECKs exist before a local refund row carrying them is upserted.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical columns/constraints/indexes
+-- to local. `invoices` keeps its existing remote triggers — the new nullable
+-- columns need no trigger work.
+
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS refund_of_invoice_id integer
+    REFERENCES public.invoices (invoice_id) ON DELETE RESTRICT,
+  ADD COLUMN IF NOT EXISTS refund_reason text,
+  ADD COLUMN IF NOT EXISTS refunded_by text;
+
+ALTER TABLE public.invoices
+  DROP CONSTRAINT IF EXISTS chk_invoice_amountpaidpositive,
+  DROP CONSTRAINT IF EXISTS chk_invoice_iqdnonnegative,
+  DROP CONSTRAINT IF EXISTS chk_invoice_usdnonnegative,
+  DROP CONSTRAINT IF EXISTS chk_invoice_mustreceivecash,
+  DROP CONSTRAINT IF EXISTS chk_invoice_paymentshape,
+  DROP CONSTRAINT IF EXISTS chk_invoice_refundshape;
+
+ALTER TABLE public.invoices
+  ADD CONSTRAINT chk_invoice_paymentshape CHECK (
+    refund_of_invoice_id IS NOT NULL
+    OR (amount_paid > 0
+        AND usd_received >= 0 AND iqd_received >= 0
+        AND (usd_received > 0 OR iqd_received > 0))
+  ),
+  ADD CONSTRAINT chk_invoice_refundshape CHECK (
+    refund_of_invoice_id IS NULL
+    OR (amount_paid < 0
+        AND usd_received <= 0 AND iqd_received <= 0
+        AND (usd_received < 0 OR iqd_received < 0)
+        AND change IS NULL
+        AND refund_reason IS NOT NULL)
+  );
+
+CREATE INDEX IF NOT EXISTS ix_invoices_refund_of
+  ON public.invoices (refund_of_invoice_id)
+  INCLUDE (amount_paid)
+  WHERE refund_of_invoice_id IS NOT NULL;
+
+DROP INDEX IF EXISTS public.ind_uniquedate;
+CREATE UNIQUE INDEX ind_uniquedate
+  ON public.invoices USING btree (date_of_payment, work_id) INCLUDE (amount_paid)
+  WHERE refund_of_invoice_id IS NULL;
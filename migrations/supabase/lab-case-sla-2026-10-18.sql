@@ -0,0 +1,11 @@
+-- Supabase mirror of migrations/pg/1783400000000_lab-case-sla.sql — applied
+-- via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the columns exist
+-- before a local lab_cases row carrying them is upserted.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical columns to local. The mirror
+-- `lab_cases` is a forward-only target with no capture trigger — nothing else to do.
+
+ALTER TABLE public.lab_cases
+  ADD COLUMN IF NOT EXISTS sla_alert_id integer,
+  ADD COLUMN IF NOT EXISTS sla_alert_stage text,
+  ADD COLUMN IF NOT EXISTS sla_alerted_at timestamp;
@@ -0,0 +1,65 @@
+-- Supabase mirror of migrations/pg/1783500000000_lab-invoicing.sql — applied via
+-- SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the first forward
+-- (failover) upsert has a target table.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` trigger here (these are
+-- forward-only failover TARGETS). No seed rows — all three tables are born empty.
+CREATE TABLE IF NOT EXISTS public.lab_price_list (
+  id             integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  lab_id         integer NOT NULL REFERENCES public.labs(id) ON DELETE CASCADE,
+  work_type_id   integer NOT NULL REFERENCES public.work_types(id),
+  material       text,
+  shade_system   text,
+  basis          text NOT NULL DEFAULT 'unit' CHECK (basis IN ('unit', 'case')),
+  unit_price     integer NOT NULL CHECK (unit_price >= 0),
+  remake_price   integer NOT NULL DEFAULT 0 CHECK (remake_price >= 0),
+  currency       text NOT NULL DEFAULT 'IQD' CHECK (currency IN ('IQD', 'USD')),
+  is_active      boolean NOT NULL DEFAULT true,
+  created_at     timestamp NOT NULL DEFAULT LOCALTIMESTAMP
+);
+
+-- One live price per key; NULL material/shade compare equal here (= "any").
+CREATE UNIQUE INDEX IF NOT EXISTS ux_lab_price_list_key
+  ON public.lab_price_list (lab_id, work_type_id, COALESCE(material, ''), COALESCE(shade_system, ''))
+  WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS public.lab_statements (
+  id                  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  lab_id              integer NOT NULL REFERENCES public.labs(id),
+  period_start        date NOT NULL CHECK (EXTRACT(DAY FROM period_start) = 1),
+  currency            text NOT NULL CHECK (currency IN ('IQD', 'USD')),
+  accrued_amount      integer NOT NULL,
+  lab_invoice_no      text,
+  lab_invoice_amount  integer,
+  expense_id          integer REFERENCES public.expenses(id) ON DELETE SET NULL,
+  note                text,
+  reconciled_at       timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  reconciled_by       text,
+  UNIQUE (lab_id, period_start, currency)
+);
+
+CREATE TABLE IF NOT EXISTS public.lab_case_charges (
+  id             integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  lab_case_id    integer NOT NULL REFERENCES public.lab_cases(id) ON DELETE CASCADE,
+  lab_id         integer NOT NULL REFERENCES public.labs(id),
+  charge_type    text NOT NULL CHECK (charge_type IN ('delivery', 'remake')),
+  units          integer NOT NULL DEFAULT 1 CHECK (units > 0),
+  unit_price     integer NOT NULL DEFAULT 0 CHECK (unit_price >= 0),
+  amount         integer NOT NULL DEFAULT 0 CHECK (amount >= 0),
+  currency       text NOT NULL DEFAULT 'IQD' CHECK (currency IN ('IQD', 'USD')),
+  price_list_id  integer REFERENCES public.lab_price_list(id) ON DELETE SET NULL,
+  statement_id   integer REFERENCES public.lab_statements(id) ON DELETE SET NULL,
+  accrued_at     timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  note           text,
+  created_by     text,
+  created_at     timestamp NOT NULL DEFAULT LOCALTIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_lab_case_charges_delivery
+  ON public.lab_case_charges (lab_case_id)
+  WHERE charge_type = 'delivery';
+
+-- The monthly statement groups a lab's charges by accrual month.
+CREATE INDEX IF NOT EXISTS ix_lab_case_charges_lab_accrued
+  ON public.lab_case_charges (lab_id, accrued_at);
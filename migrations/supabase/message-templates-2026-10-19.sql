@@ -0,0 +1,16 @@
+-- Supabase mirror of migrations/pg/1784500000000_message-templates.sql — applied
+-- via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the first forward
+-- (failover) upsert has a target table.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` / `set_updated_at`
+-- triggers here (a forward-only failover TARGET; `updated_at` arrives with the row).
+CREATE TABLE IF NOT EXISTS public.message_templates (
+  template_id   integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  template_key  text NOT NULL,
+  language      text NOT NULL CHECK (language IN ('ar', 'ku', 'en')),
+  body          text NOT NULL,
+  updated_at    timestamp,
+  updated_by    text,
+  CONSTRAINT uq_message_templates_key_language UNIQUE (template_key, language)
+);
@@ -0,0 +1,37 @@
+-- Supabase mirror of migrations/pg/1783200000000_payment-plans.sql — applied via
+-- SUPABASE_FAILOVER_DB_URL (small additive DDL), BEFORE the local migration, so
+-- the first forward (failover) upsert has a target table.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` trigger on the two new
+-- tables (forward-only failover TARGETS).
+
+CREATE TABLE IF NOT EXISTS public.payment_plans (
+  id                  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  work_id             integer NOT NULL REFERENCES public.works(work_id) ON DELETE CASCADE,
+  currency            text NOT NULL,
+  installment_amount  integer NOT NULL CHECK (installment_amount > 0),
+  installment_count   integer NOT NULL CHECK (installment_count BETWEEN 1 AND 120),
+  first_due_date      date NOT NULL,
+  interval_months     integer NOT NULL DEFAULT 1 CHECK (interval_months BETWEEN 1 AND 12),
+  grace_days          integer NOT NULL DEFAULT 7 CHECK (grace_days BETWEEN 0 AND 60),
+  opening_paid        integer NOT NULL DEFAULT 0 CHECK (opening_paid >= 0),
+  note                text,
+  last_reminded_at    timestamp,
+  cancelled_at        timestamp,
+  created_at          timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  created_by          text
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_payment_plans_active_work
+  ON public.payment_plans (work_id)
+  WHERE cancelled_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS public.payment_plan_installments (
+  id        integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  plan_id   integer NOT NULL REFERENCES public.payment_plans(id) ON DELETE CASCADE,
+  seq       integer NOT NULL CHECK (seq >= 1),
+  due_date  date NOT NULL,
+  amount    integer NOT NULL CHECK (amount > 0),
+  UNIQUE (plan_id, seq)
+);
@@ -0,0 +1,23 @@
+-- Supabase mirror of migrations/pg/1785000000000_photo-landmarks.sql — applied
+-- via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the first forward
+-- (failover) upsert has a target table.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` / `set_updated_at`
+-- triggers here (a forward-only failover TARGET; `updated_at` arrives with the row).
+CREATE TABLE IF NOT EXISTS public.photo_landmarks (
+  landmark_id  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  person_id    integer NOT NULL,
+  tp_code      integer NOT NULL,
+  view_code    text NOT NULL CHECK (view_code IN ('i10', 'i12', 'i13', 'i20', 'i21', 'i22', 'i23', 'i24')),
+  a_x          real NOT NULL CHECK (a_x BETWEEN 0 AND 1),
+  a_y          real NOT NULL CHECK (a_y BETWEEN 0 AND 1),
+  b_x          real NOT NULL CHECK (b_x BETWEEN 0 AND 1),
+  b_y          real NOT NULL CHECK (b_y BETWEEN 0 AND 1),
+  view_mtime   bigint NOT NULL,
+  created_by   text,
+  updated_at   timestamp,
+  CONSTRAINT uq_photo_landmarks UNIQUE (person_id, tp_code, view_code),
+  CONSTRAINT fk_photo_landmarks_time_point FOREIGN KEY (person_id, tp_code)
+    REFERENCES public.time_points (person_id, tp_code) ON DELETE CASCADE
+);
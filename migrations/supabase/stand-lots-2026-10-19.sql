@@ -0,0 +1,39 @@
+-- Supabase mirror of migrations/pg/1784100000000_stand-lots.sql — applied via
+-- SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the first forward
+-- (failover) upsert has a target table.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` trigger here (these are
+-- forward-only failover TARGETS). No backfill — the opening lots are inserted
+-- locally after the triggers exist, so they arrive through the forward sync.
+CREATE TABLE IF NOT EXISTS public.stand_item_lots (
+  lot_id              integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  item_id             integer NOT NULL REFERENCES public.stand_items(item_id),
+  source              text NOT NULL
+                        CHECK (source IN ('opening', 'receipt', 'restock', 'adjustment', 'void')),
+  receipt_line_id     integer REFERENCES public.stand_purchase_receipt_lines(receipt_line_id) ON DELETE SET NULL,
+  lot_number          citext,
+  expiry_date         date,
+  unit_cost           integer NOT NULL CHECK (unit_cost >= 0),
+  quantity_received   integer NOT NULL CHECK (quantity_received > 0),
+  quantity_remaining  integer NOT NULL
+                        CHECK (quantity_remaining >= 0 AND quantity_remaining <= quantity_received),
+  received_at         timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  written_off_at      timestamp,
+  written_off_by      integer
+);
+
+CREATE INDEX IF NOT EXISTS ix_stand_item_lots_open
+  ON public.stand_item_lots (item_id, expiry_date, received_at)
+  WHERE quantity_remaining > 0;
+
+CREATE TABLE IF NOT EXISTS public.stand_sale_item_lots (
+  allocation_id  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  sale_item_id   integer NOT NULL REFERENCES public.stand_sale_items(sale_item_id) ON DELETE CASCADE,
+  lot_id         integer REFERENCES public.stand_item_lots(lot_id),
+  quantity       integer NOT NULL CHECK (quantity > 0),
+  unit_cost      integer NOT NULL CHECK (unit_cost >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS ix_stand_sale_item_lots_sale_item
+  ON public.stand_sale_item_lots (sale_item_id);
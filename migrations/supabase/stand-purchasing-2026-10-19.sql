@@ -0,0 +1,80 @@
+-- Supabase mirror of migrations/pg/1784000000000_stand-purchasing.sql — applied via
+-- SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the first forward
+-- (failover) upsert has a target table.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` trigger here (these are
+-- forward-only failover TARGETS). No seed rows — all six tables are born empty,
+-- and the "Stand Purchases" expense category arrives through expense_categories'
+-- own forward sync.
+CREATE TABLE IF NOT EXISTS public.stand_suppliers (
+  supplier_id    integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  supplier_name  citext NOT NULL UNIQUE,
+  contact_name   citext,
+  phone          text,
+  email          citext,
+  notes          citext,
+  is_active      boolean NOT NULL DEFAULT true,
+  created_at     timestamp NOT NULL DEFAULT LOCALTIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS public.stand_purchase_orders (
+  po_id          integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  supplier_id    integer NOT NULL REFERENCES public.stand_suppliers(supplier_id),
+  status         text NOT NULL DEFAULT 'draft'
+                   CHECK (status IN ('draft', 'ordered', 'partial', 'received', 'cancelled')),
+  expected_date  date,
+  notes          citext,
+  created_by     integer,
+  created_at     timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  ordered_at     timestamp,
+  closed_at      timestamp
+);
+
+CREATE INDEX IF NOT EXISTS ix_stand_purchase_orders_supplier
+  ON public.stand_purchase_orders (supplier_id, created_at);
+
+CREATE TABLE IF NOT EXISTS public.stand_purchase_order_lines (
+  po_line_id         integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  po_id              integer NOT NULL REFERENCES public.stand_purchase_orders(po_id) ON DELETE CASCADE,
+  item_id            integer NOT NULL REFERENCES public.stand_items(item_id),
+  quantity_ordered   integer NOT NULL CHECK (quantity_ordered > 0),
+  quantity_received  integer NOT NULL DEFAULT 0
+                       CHECK (quantity_received >= 0 AND quantity_received <= quantity_ordered),
+  unit_cost          integer NOT NULL CHECK (unit_cost >= 0),
+  UNIQUE (po_id, item_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.stand_purchase_receipts (
+  receipt_id   integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  po_id        integer NOT NULL REFERENCES public.stand_purchase_orders(po_id),
+  total_cost   integer NOT NULL CHECK (total_cost >= 0),
+  expense_id   integer REFERENCES public.expenses(id) ON DELETE SET NULL,
+  notes        citext,
+  received_at  timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  received_by  integer
+);
+
+CREATE TABLE IF NOT EXISTS public.stand_purchase_receipt_lines (
+  receipt_line_id  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  receipt_id       integer NOT NULL REFERENCES public.stand_purchase_receipts(receipt_id) ON DELETE CASCADE,
+  po_line_id       integer NOT NULL REFERENCES public.stand_purchase_order_lines(po_line_id),
+  item_id          integer NOT NULL REFERENCES public.stand_items(item_id),
+  quantity         integer NOT NULL CHECK (quantity > 0),
+  unit_cost        integer NOT NULL CHECK (unit_cost >= 0),
+  lot_number       citext,
+  expiry_date      date
+);
+
+CREATE TABLE IF NOT EXISTS public.stand_supplier_invoices (
+  invoice_id    integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  supplier_id   integer NOT NULL REFERENCES public.stand_suppliers(supplier_id),
+  po_id         integer REFERENCES public.stand_purchase_orders(po_id) ON DELETE SET NULL,
+  invoice_no    citext NOT NULL,
+  invoice_date  date NOT NULL,
+  amount        integer NOT NULL CHECK (amount >= 0),
+  notes         citext,
+  created_by    integer,
+  created_at    timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  UNIQUE (supplier_id, invoice_no)
+);
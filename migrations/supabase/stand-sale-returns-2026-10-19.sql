@@ -0,0 +1,55 @@
+-- Supabase mirror of migrations/pg/1784200000000_stand-sale-returns.sql — applied
+-- via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the first forward
+-- (failover) upsert has a target table/column.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` trigger here (these are
+-- forward-only failover TARGETS).
+ALTER TABLE public.stand_sales
+  ADD COLUMN IF NOT EXISTS returned_amount integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS returned_cost   integer NOT NULL DEFAULT 0;
+
+ALTER TABLE public.stand_sale_items
+  ADD COLUMN IF NOT EXISTS quantity_returned integer NOT NULL DEFAULT 0;
+ALTER TABLE public.stand_sale_items
+  DROP CONSTRAINT IF EXISTS stand_sale_items_quantity_returned_check,
+  ADD CONSTRAINT stand_sale_items_quantity_returned_check
+    CHECK (quantity_returned >= 0 AND quantity_returned <= quantity);
+
+ALTER TABLE public.stand_sale_item_lots
+  ADD COLUMN IF NOT EXISTS quantity_returned integer NOT NULL DEFAULT 0;
+ALTER TABLE public.stand_sale_item_lots
+  DROP CONSTRAINT IF EXISTS stand_sale_item_lots_quantity_returned_check,
+  ADD CONSTRAINT stand_sale_item_lots_quantity_returned_check
+    CHECK (quantity_returned >= 0 AND quantity_returned <= quantity);
+
+ALTER TABLE public.stand_item_lots
+  DROP CONSTRAINT IF EXISTS stand_item_lots_source_check,
+  ADD CONSTRAINT stand_item_lots_source_check
+    CHECK (source IN ('opening', 'receipt', 'restock', 'adjustment', 'void', 'return'));
+
+CREATE TABLE IF NOT EXISTS public.stand_sale_returns (
+  return_id      integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  sale_id        integer NOT NULL REFERENCES public.stand_sales(sale_id),
+  refund_amount  integer NOT NULL CHECK (refund_amount >= 0),
+  refund_cost    integer NOT NULL CHECK (refund_cost >= 0),
+  reason         text NOT NULL,
+  returned_at    timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  returned_by    integer
+);
+
+CREATE INDEX IF NOT EXISTS ix_stand_sale_returns_sale
+  ON public.stand_sale_returns (sale_id);
+
+CREATE TABLE IF NOT EXISTS public.stand_sale_return_items (
+  return_item_id  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  return_id       integer NOT NULL REFERENCES public.stand_sale_returns(return_id) ON DELETE CASCADE,
+  sale_item_id    integer NOT NULL REFERENCES public.stand_sale_items(sale_item_id),
+  item_id         integer NOT NULL REFERENCES public.stand_items(item_id),
+  quantity        integer NOT NULL CHECK (quantity > 0),
+  refund_amount   integer NOT NULL CHECK (refund_amount >= 0),
+  cost            integer NOT NULL CHECK (cost >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS ix_stand_sale_return_items_return
+  ON public.stand_sale_return_items (return_id);
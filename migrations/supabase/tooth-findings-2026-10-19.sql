@@ -0,0 +1,29 @@
+-- Supabase mirror of migrations/pg/1784800000000_tooth-findings.sql — applied
+-- via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the first forward
+-- (failover) upsert has a target table.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` / `set_updated_at` /
+-- `audit_capture` triggers here (a forward-only failover TARGET; `updated_at`
+-- arrives with the row).
+CREATE TABLE IF NOT EXISTS public.tooth_findings (
+  finding_id    integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  person_id     integer NOT NULL REFERENCES public.patients(person_id) ON DELETE CASCADE,
+  tooth_id      integer NOT NULL REFERENCES public.tooth_numbers(id),
+  kind          text NOT NULL CHECK (kind IN ('caries', 'missing', 'impacted', 'restoration', 'bracket', 'band', 'bond_failure')),
+  surfaces      text CHECK (surfaces ~ '^[MODBLI]{1,6}$'),
+  detail        text,
+  note          text,
+  recorded_on   date NOT NULL DEFAULT CURRENT_DATE,
+  visit_id      integer REFERENCES public.visits(id) ON DELETE SET NULL,
+  resolved_on   date,
+  work_item_id  integer REFERENCES public.work_items(id) ON DELETE SET NULL,
+  created_by    text,
+  updated_at    timestamp,
+  CONSTRAINT ck_tooth_findings_resolved CHECK (resolved_on IS NULL OR resolved_on >= recorded_on)
+);
+
+CREATE INDEX IF NOT EXISTS ix_tooth_findings_person
+  ON public.tooth_findings (person_id, recorded_on);
+CREATE INDEX IF NOT EXISTS ix_tooth_findings_work_item
+  ON public.tooth_findings (work_item_id) WHERE work_item_id IS NOT NULL;
@@ -0,0 +1,40 @@
+-- Supabase mirror of migrations/pg/1784300000000_whatsapp-inbox.sql — applied
+-- via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the first forward
+-- (failover) upsert has a target table.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` trigger here (these are
+-- forward-only failover TARGETS).
+CREATE TABLE IF NOT EXISTS public.whatsapp_threads (
+  thread_id             integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  chat_id               text NOT NULL UNIQUE,
+  phone                 text,
+  person_id             integer REFERENCES public.patients(person_id) ON DELETE SET NULL,
+  contact_name          text,
+  last_message_at       timestamp,
+  last_message_preview  text,
+  last_direction        text CHECK (last_direction IN ('in', 'out')),
+  unread_count          integer NOT NULL DEFAULT 0 CHECK (unread_count >= 0),
+  created_at            timestamp NOT NULL DEFAULT LOCALTIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ix_whatsapp_threads_last_message
+  ON public.whatsapp_threads (last_message_at DESC);
+CREATE INDEX IF NOT EXISTS ix_whatsapp_threads_person
+  ON public.whatsapp_threads (person_id);
+
+CREATE TABLE IF NOT EXISTS public.whatsapp_thread_messages (
+  message_id     integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  thread_id      integer NOT NULL REFERENCES public.whatsapp_threads(thread_id) ON DELETE CASCADE,
+  direction      text NOT NULL CHECK (direction IN ('in', 'out')),
+  body           text NOT NULL DEFAULT '',
+  message_type   text NOT NULL DEFAULT 'chat',
+  has_media      boolean NOT NULL DEFAULT false,
+  wa_message_id  text UNIQUE,
+  ack            integer,
+  sent_at        timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  sent_by        integer
+);
+
+CREATE INDEX IF NOT EXISTS ix_whatsapp_thread_messages_thread
+  ON public.whatsapp_thread_messages (thread_id, sent_at);
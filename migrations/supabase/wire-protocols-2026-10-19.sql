@@ -0,0 +1,40 @@
+-- Supabase mirror of migrations/pg/1784700000000_wire-protocols.sql — applied
+-- via SUPABASE_FAILOVER_DB_URL BEFORE the local migration, so the first forward
+-- (failover) upsert has a target table.
+--
+-- Mirror parity rules (docs/sync-cdc.md): identical tables/columns/constraints/
+-- indexes to local. The ONLY asymmetry: NO `cdc_capture` / `set_updated_at`
+-- triggers here (a forward-only failover TARGET; `updated_at` arrives with the row).
+CREATE TABLE IF NOT EXISTS public.wire_protocols (
+  protocol_id  integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  name         text NOT NULL,
+  description  text,
+  is_active    boolean NOT NULL DEFAULT true,
+  created_by   text,
+  updated_at   timestamp,
+  updated_by   text,
+  CONSTRAINT uq_wire_protocols_name UNIQUE (name)
+);
+
+CREATE TABLE IF NOT EXISTS public.wire_protocol_steps (
+  step_id         integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  protocol_id     integer NOT NULL REFERENCES public.wire_protocols(protocol_id) ON DELETE CASCADE,
+  position        integer NOT NULL CHECK (position >= 1),
+  arch            text NOT NULL DEFAULT 'both' CHECK (arch IN ('both', 'upper', 'lower')),
+  wire_id         integer NOT NULL REFERENCES public.wires(wire_id),
+  min_weeks       integer NOT NULL CHECK (min_weeks >= 0),
+  interval_weeks  integer NOT NULL CHECK (interval_weeks >= 1),
+  updated_at      timestamp,
+  CONSTRAINT uq_wire_protocol_steps_position UNIQUE (protocol_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS public.work_wire_protocols (
+  work_id      integer PRIMARY KEY REFERENCES public.works(work_id) ON DELETE CASCADE,
+  protocol_id  integer NOT NULL REFERENCES public.wire_protocols(protocol_id),
+  assigned_at  timestamp NOT NULL DEFAULT LOCALTIMESTAMP,
+  assigned_by  text,
+  updated_at   timestamp
+);
+
+CREATE INDEX IF NOT EXISTS ix_work_wire_protocols_protocol
+  ON public.work_wire_protocols (protocol_id);
@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useState } from 'react';
+import AlignerPortalLogin from './AlignerPortalLogin';
+import AlignerPortalDashboard from './AlignerPortalDashboard';
+import { doctorResponseSchema, type PortalDoctor } from './alignerPortal.schemas';
+import { alignerPortalCsrfHeader, resetAlignerPortalCsrf } from './alignerPortal.csrf';
+import styles from './alignerPortal.module.css';
+
+const AlignerPortalApp = () => {
+  const [doctor, setDoctor] = useState<PortalDoctor | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      let me: PortalDoctor | null = null;
+      try {
+        // eslint-disable-next-line no-restricted-syntax -- portal Zod boundary (audit N17): validates the raw body itself and inspects res.ok; the envelope-unwrapping/throwing staff client would obscure that.
+        const res = await fetch('/api/aligner-portal/me', { credentials: 'same-origin' });
+        if (res.ok) {
+          const parsed = doctorResponseSchema.safeParse(await res.json());
+          if (parsed.success && parsed.data.success) me = parsed.data.doctor ?? null;
+        }
+      } catch {
+        /* signed out */
+      }
+      if (!cancelled) {
+        setDoctor(me);
+        setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleLogin = useCallback((d: PortalDoctor) => {
+    // Login regenerated the session id, which any earlier token was bound to.
+    resetAlignerPortalCsrf();
+    setDoctor(d);
+  }, []);
+
+  const handleLogout = useCallback(async () => {
+    try {
+      // eslint-disable-next-line no-restricted-syntax -- portal Zod boundary (audit N17): part of the portal's self-contained session lifecycle.
+      await fetch('/api/aligner-portal/logout', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: await alignerPortalCsrfHeader(),
+      });
+    } catch {
+      /* ignore */
+    }
+    resetAlignerPortalCsrf();
+    setDoctor(null);
+  }, []);
+
+  if (loading) {
+    return (
+      <div className={styles.bootScreen}>
+        <div className={styles.spinner} />
+        <span>Loading…</span>
+      </div>
+    );
+  }
+
+  if (!doctor) {
+    return <AlignerPortalLogin onLogin={handleLogin} />;
+  }
+
+  return <AlignerPortalDashboard doctor={doctor} onLogout={handleLogout} />;
+};
+
+export default AlignerPortalApp;
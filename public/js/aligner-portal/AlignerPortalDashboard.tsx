@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import type { PortalDoctor } from './alignerPortal.schemas';
+import PatientsTab from './tabs/PatientsTab';
+import AnnouncementsTab from './tabs/AnnouncementsTab';
+import styles from './alignerPortal.module.css';
+
+interface Props {
+  doctor: PortalDoctor;
+  onLogout: () => void;
+}
+
+type TabKey = 'patients' | 'announcements';
+
+const TABS: { key: TabKey; label: string; icon: string }[] = [
+  { key: 'patients', label: 'Patients', icon: 'fa-teeth' },
+  { key: 'announcements', label: 'Announcements', icon: 'fa-bullhorn' },
+];
+
+const AlignerPortalDashboard = ({ doctor, onLogout }: Props) => {
+  const [tab, setTab] = useState<TabKey>('patients');
+  const displayName = doctor.doctorName === 'Admin' ? doctor.doctorName : `Dr. ${doctor.doctorName}`;
+
+  return (
+    <div className={styles.dashboard}>
+      <header className={styles.header}>
+        <div className={styles.headerInner}>
+          <div className={styles.headerTitle}>
+            <i className="fas fa-user-md" aria-hidden="true" />
+            <div>
+              <div className={styles.headerHello}>Doctor Portal</div>
+              <div className={styles.headerName}>{displayName}</div>
+            </div>
+          </div>
+          <button type="button" className={styles.logoutButton} onClick={onLogout}>
+            <i className="fas fa-sign-out-alt" aria-hidden="true" />
+            <span>Sign out</span>
+          </button>
+        </div>
+        <nav className={styles.tabBar} aria-label="Portal sections">
+          {TABS.map((t) => {
+            const active = t.key === tab;
+            return (
+              <button
+                key={t.key}
+                type="button"
+                className={active ? `${styles.tabButton} ${styles.tabActive}` : styles.tabButton}
+                onClick={() => setTab(t.key)}
+                aria-pressed={active}
+              >
+                <i className={`fas ${t.icon}`} aria-hidden="true" />
+                <span>{t.label}</span>
+              </button>
+            );
+          })}
+        </nav>
+      </header>
+
+      <main className={styles.content}>
+        {tab === 'patients' && <PatientsTab />}
+        {tab === 'announcements' && <AnnouncementsTab />}
+      </main>
+    </div>
+  );
+};
+
+export default AlignerPortalDashboard;
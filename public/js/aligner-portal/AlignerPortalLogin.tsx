@@ -0,0 +1,101 @@
+import { useEffect, useState } from 'react';
+import type { FormEvent } from 'react';
+import { doctorResponseSchema, type PortalDoctor } from './alignerPortal.schemas';
+import styles from './alignerPortal.module.css';
+
+interface Props {
+  onLogin: (doctor: PortalDoctor) => void;
+}
+
+const AlignerPortalLogin = ({ onLogin }: Props) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    document.title = 'Doctor Portal — Shwan Orthodontics';
+  }, []);
+
+  const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (busy) return;
+    setError(null);
+    const cleanEmail = email.trim();
+    if (!cleanEmail || !password) {
+      setError('Please enter your email and password.');
+      return;
+    }
+    setBusy(true);
+    try {
+      // eslint-disable-next-line no-restricted-syntax -- portal Zod boundary (audit N17): validates the raw body and reads error/lockedUntil on non-2xx; the throwing staff client would obscure that.
+      const res = await fetch('/api/aligner-portal/login', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: cleanEmail, password }),
+      });
+      const parsed = doctorResponseSchema.safeParse(await res.json());
+      if (!res.ok || !parsed.success || !parsed.data.success || !parsed.data.doctor) {
+        setError((parsed.success ? parsed.data.error : undefined) || 'Invalid credentials');
+        return;
+      }
+      onLogin(parsed.data.doctor);
+    } catch {
+      setError('Unable to reach the server. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className={styles.loginPage}>
+      <form className={styles.loginCard} onSubmit={handleSubmit}>
+        <div className={styles.loginHeader}>
+          <i className={`fas fa-user-md ${styles.loginIcon}`} aria-hidden="true" />
+          <h1 className={styles.loginTitle}>Doctor Portal</h1>
+          <p className={styles.loginSubtitle}>Shwan Orthodontics · Aligners</p>
+        </div>
+
+        <label className={styles.field}>
+          <span className={styles.fieldLabel}>Email</span>
+          <input
+            className={styles.input}
+            type="email"
+            autoComplete="username"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            disabled={busy}
+            required
+          />
+        </label>
+
+        <label className={styles.field}>
+          <span className={styles.fieldLabel}>Password</span>
+          <input
+            className={styles.input}
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            disabled={busy}
+            required
+          />
+        </label>
+
+        {error && <div className={styles.errorBox}>{error}</div>}
+
+        <button type="submit" className={styles.primaryButton} disabled={busy}>
+          {busy ? 'Signing in…' : 'Sign In'}
+        </button>
+
+        <p className={styles.loginHint}>
+          Your password is issued by the clinic. If you don&apos;t have one or it stopped
+          working, ask the clinic to reset it.
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default AlignerPortalLogin;
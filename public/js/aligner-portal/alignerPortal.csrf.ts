@@ -0,0 +1,30 @@
+/**
+ * CSRF token for the aligner-doctor portal.
+ *
+ * Same scheme as the patient portal (../portal/portal.csrf.ts): the portal keeps
+ * its own session + CSRF context, fetches a token bound to the doctor session
+ * from GET /api/aligner-portal/csrf-token and echoes it in the `x-csrf-token`
+ * header on every mutation (login is pre-auth and CSRF-exempt). The token is
+ * bound to the session id, so it is dropped on logout and re-fetched after the
+ * next login.
+ */
+let token: string | null = null;
+
+/** Header object carrying the doctor-portal CSRF token (empty if it can't be fetched). */
+export async function alignerPortalCsrfHeader(): Promise<Record<string, string>> {
+  if (!token) {
+    try {
+      // eslint-disable-next-line no-restricted-syntax -- portal Zod boundary (audit N17): self-contained portal CSRF bootstrap; a plain GET that must not route through the staff funnel.
+      const res = await fetch('/api/aligner-portal/csrf-token', { credentials: 'same-origin' });
+      if (res.ok) token = ((await res.json()) as { csrfToken?: string }).csrfToken ?? null;
+    } catch {
+      /* best-effort */
+    }
+  }
+  return token ? { 'x-csrf-token': token } : {};
+}
+
+/** Forget the token — the session it was bound to is gone (login regenerates it, logout destroys it). */
+export function resetAlignerPortalCsrf(): void {
+  token = null;
+}
@@ -0,0 +1,37 @@
+/**
+ * Display helpers shared by the aligner-doctor portal tabs.
+ */
+import type { LabStatus, PortalBatch } from './alignerPortal.schemas';
+
+// 'YYYY-MM-DD' → 'DD-MM-YYYY' without a Date round-trip (no timezone shift).
+export function formatDate(ymd: string): string {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(ymd);
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : ymd;
+}
+
+export function formatDateTime(iso: string): string {
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return iso;
+  return d.toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export const LAB_STATUS_LABELS: Record<LabStatus, string> = {
+  no_batches: 'No batches yet',
+  needs_mfg: 'Awaiting manufacture',
+  in_lab: 'Ready at the clinic',
+  all_delivered: 'All delivered',
+};
+
+export type BatchStage = 'delivered' | 'manufactured' | 'pending';
+
+export function batchStage(b: PortalBatch): BatchStage {
+  if (b.delivered_to_patient_date) return 'delivered';
+  if (b.manufacture_date) return 'manufactured';
+  return 'pending';
+}
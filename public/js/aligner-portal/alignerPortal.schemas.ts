@@ -0,0 +1,136 @@
+/**
+ * Zod schemas for the aligner-doctor portal API boundary (/api/aligner-portal).
+ *
+ * Like the patient portal (../portal/portal.schemas.ts), this is an
+ * external-facing bundle: every `res.json()` it consumes is untrusted input and
+ * is validated here. Derive types with `z.infer`, don't hand-write parallel
+ * interfaces. PG `date` columns arrive as 'YYYY-MM-DD', timestamps as ISO strings.
+ */
+import { z } from 'zod';
+
+// ---------------------------------------------------------------------------
+// Identity (GET /me, POST /login)
+// ---------------------------------------------------------------------------
+
+export const portalDoctorSchema = z.object({
+  drId: z.number(),
+  doctorName: z.string(),
+  doctorEmail: z.string().nullable(),
+});
+export type PortalDoctor = z.infer<typeof portalDoctorSchema>;
+
+export const doctorResponseSchema = z.object({
+  success: z.boolean(),
+  doctor: portalDoctorSchema.optional(),
+  error: z.string().optional(),
+  lockedUntil: z.string().optional(),
+});
+
+/** Bare `{ success, error? }` — logout, note post, receipts. */
+export const ackResponseSchema = z.object({
+  success: z.boolean(),
+  error: z.string().optional(),
+});
+
+// ---------------------------------------------------------------------------
+// Sets (GET /sets, GET /sets/:setId)
+// ---------------------------------------------------------------------------
+
+export const LAB_STATUSES = ['no_batches', 'in_lab', 'needs_mfg', 'all_delivered'] as const;
+export type LabStatus = (typeof LAB_STATUSES)[number];
+
+export const portalSetSummarySchema = z.object({
+  aligner_set_id: z.number(),
+  work_id: z.number(),
+  patient_name: z.string(),
+  set_sequence: z.number().nullable(),
+  is_active: z.boolean(),
+  batch_sequence: z.number().nullable(),
+  delivered_to_patient_date: z.string().nullable(),
+  next_due_date: z.string().nullable(),
+  lab_status: z.enum(LAB_STATUSES).nullable(),
+});
+export type PortalSetSummary = z.infer<typeof portalSetSummarySchema>;
+
+export const setsResponseSchema = z.object({
+  success: z.boolean(),
+  sets: z.array(portalSetSummarySchema).optional(),
+  error: z.string().optional(),
+});
+
+export const portalSetSchema = z.object({
+  aligner_set_id: z.number(),
+  work_id: z.number(),
+  set_sequence: z.number().nullable(),
+  type: z.string().nullable(),
+  upper_aligners_count: z.number(),
+  lower_aligners_count: z.number(),
+  remaining_upper_aligners: z.number(),
+  remaining_lower_aligners: z.number(),
+  days: z.number().nullable(),
+  is_active: z.boolean(),
+  has_pdf: z.boolean(),
+});
+export type PortalSet = z.infer<typeof portalSetSchema>;
+
+export const portalBatchSchema = z.object({
+  aligner_batch_id: z.number(),
+  batch_sequence: z.number(),
+  upper_aligner_count: z.number(),
+  lower_aligner_count: z.number(),
+  manufacture_date: z.string().nullable(),
+  delivered_to_patient_date: z.string().nullable(),
+  batch_expiry_date: z.string().nullable(),
+  is_last: z.boolean(),
+});
+export type PortalBatch = z.infer<typeof portalBatchSchema>;
+
+export const setDetailResponseSchema = z.object({
+  success: z.boolean(),
+  set: portalSetSchema.optional(),
+  batches: z.array(portalBatchSchema).optional(),
+  error: z.string().optional(),
+});
+
+// ---------------------------------------------------------------------------
+// Notes (GET/POST /sets/:setId/notes)
+// ---------------------------------------------------------------------------
+
+export const portalNoteSchema = z.object({
+  note_id: z.number(),
+  note_type: z.enum(['Lab', 'Doctor']),
+  note_text: z.string(),
+  created_at: z.string(),
+  is_edited: z.boolean(),
+});
+export type PortalNote = z.infer<typeof portalNoteSchema>;
+
+export const notesResponseSchema = z.object({
+  success: z.boolean(),
+  notes: z.array(portalNoteSchema).optional(),
+  error: z.string().optional(),
+});
+
+// ---------------------------------------------------------------------------
+// Announcements (GET /announcements, POST /announcements/:id/receipts)
+// ---------------------------------------------------------------------------
+
+export const portalAnnouncementSchema = z.object({
+  announcement_id: z.number(),
+  title: z.string(),
+  message: z.string(),
+  announcement_type: z.string(),
+  is_dismissible: z.boolean(),
+  link_url: z.string().nullable(),
+  link_text: z.string().nullable(),
+  expires_at: z.string().nullable(),
+  created_at: z.string(),
+  read_at: z.string().nullable(),
+});
+export type PortalAnnouncement = z.infer<typeof portalAnnouncementSchema>;
+
+export const announcementsResponseSchema = z.object({
+  success: z.boolean(),
+  announcements: z.array(portalAnnouncementSchema).optional(),
+  error: z.string().optional(),
+});
@@ -0,0 +1,17 @@
+// Self-hosted Font Awesome (Vite asset pipeline), as in the patient portal bundle.
+import '@fortawesome/fontawesome-free/css/all.min.css';
+
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import AlignerPortalApp from './AlignerPortalApp';
+
+const container = document.getElementById('aligner-portal-root');
+if (!container) {
+  throw new Error('Missing #aligner-portal-root element');
+}
+
+ReactDOM.createRoot(container).render(
+  <React.StrictMode>
+    <AlignerPortalApp />
+  </React.StrictMode>
+);
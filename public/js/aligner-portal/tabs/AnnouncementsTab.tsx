@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react';
+import {
+  ackResponseSchema,
+  announcementsResponseSchema,
+  type PortalAnnouncement,
+} from '../alignerPortal.schemas';
+import { alignerPortalCsrfHeader } from '../alignerPortal.csrf';
+import { formatDateTime } from '../alignerPortal.format';
+import styles from '../alignerPortal.module.css';
+
+const AnnouncementsTab = () => {
+  const [items, setItems] = useState<PortalAnnouncement[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [busyId, setBusyId] = useState<number | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        // eslint-disable-next-line no-restricted-syntax -- portal Zod boundary (audit N17): validates the raw body itself and reads res.ok/error.
+        const res = await fetch('/api/aligner-portal/announcements', { credentials: 'same-origin' });
+        const parsed = announcementsResponseSchema.safeParse(await res.json());
+        if (cancelled) return;
+        if (!res.ok || !parsed.success || !parsed.data.success || !parsed.data.announcements) {
+          setError((parsed.success ? parsed.data.error : undefined) || 'Unable to load announcements.');
+          return;
+        }
+        setItems(parsed.data.announcements);
+      } catch {
+        if (!cancelled) setError('Unable to reach the server.');
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const acknowledge = async (id: number) => {
+    if (busyId !== null) return;
+    setBusyId(id);
+    try {
+      // eslint-disable-next-line no-restricted-syntax -- portal Zod boundary (audit N17): the portal's own CSRF-carrying mutation; validates the raw body itself.
+      const res = await fetch(`/api/aligner-portal/announcements/${id}/receipts`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: await alignerPortalCsrfHeader(),
+      });
+      const parsed = ackResponseSchema.safeParse(await res.json());
+      if (res.ok && parsed.success && parsed.data.success) {
+        const now = new Date().toISOString();
+        setItems((prev) => prev?.map((a) => (a.announcement_id === id ? { ...a, read_at: now } : a)) ?? prev);
+      } else {
+        setError((parsed.success ? parsed.data.error : undefined) || 'Could not acknowledge the announcement.');
+      }
+    } catch {
+      setError('Unable to reach the server.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className={styles.tabPanel}>
+        <div className={styles.errorBox}>{error}</div>
+      </div>
+    );
+  }
+
+  if (!items) {
+    return (
+      <div className={styles.tabPanel}>
+        <div className={styles.loadingRow}>
+          <div className={styles.spinner} />
+          <span>Loading announcements…</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (items.length === 0) {
+    return (
+      <div className={styles.tabPanel}>
+        <div className={styles.emptyState}>
+          <i className={`fas fa-bullhorn ${styles.emptyIcon}`} aria-hidden="true" />
+          <p>No announcements.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.tabPanel}>
+      {items.map((a) => (
+        <article key={a.announcement_id} className={`${styles.card} ${a.read_at ? '' : styles.cardUnread}`}>
+          <div className={styles.rowMeta}>{formatDateTime(a.created_at)}</div>
+          <h3 className={styles.cardTitle}>{a.title}</h3>
+          <p className={styles.noteText}>{a.message}</p>
+          {a.link_url && /^https?:\/\//i.test(a.link_url) && (
+            <a href={a.link_url} target="_blank" rel="noopener noreferrer">
+              {a.link_text || a.link_url}
+            </a>
+          )}
+          {a.read_at ? (
+            <div className={styles.rowMeta}>
+              <i className="fas fa-check" aria-hidden="true" /> Acknowledged {formatDateTime(a.read_at)}
+            </div>
+          ) : (
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={() => void acknowledge(a.announcement_id)}
+              disabled={busyId === a.announcement_id}
+            >
+              <i className="fas fa-check" aria-hidden="true" />
+              <span>{busyId === a.announcement_id ? 'Saving…' : 'Acknowledge'}</span>
+            </button>
+          )}
+        </article>
+      ))}
+    </div>
+  );
+};
+
+export default AnnouncementsTab;
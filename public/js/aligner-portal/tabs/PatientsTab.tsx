@@ -0,0 +1,122 @@
+import { useEffect, useMemo, useState } from 'react';
+import { setsResponseSchema, type LabStatus, type PortalSetSummary } from '../alignerPortal.schemas';
+import SetDetail from './SetDetail';
+import { formatDate, LAB_STATUS_LABELS } from '../alignerPortal.format';
+import styles from '../alignerPortal.module.css';
+
+const LAB_STATUS_CLASS: Record<LabStatus, string> = {
+  no_batches: styles.badgeMuted,
+  needs_mfg: styles.badgeWarning,
+  in_lab: styles.badgeInfo,
+  all_delivered: styles.badgeSuccess,
+};
+
+const PatientsTab = () => {
+  const [sets, setSets] = useState<PortalSetSummary[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [search, setSearch] = useState('');
+  const [openSet, setOpenSet] = useState<PortalSetSummary | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        // eslint-disable-next-line no-restricted-syntax -- portal Zod boundary (audit N17): validates the raw body itself and reads res.ok/error.
+        const res = await fetch('/api/aligner-portal/sets', { credentials: 'same-origin' });
+        const parsed = setsResponseSchema.safeParse(await res.json());
+        if (cancelled) return;
+        if (!res.ok || !parsed.success || !parsed.data.success || !parsed.data.sets) {
+          setError((parsed.success ? parsed.data.error : undefined) || 'Unable to load your patients.');
+          return;
+        }
+        setSets(parsed.data.sets);
+      } catch {
+        if (!cancelled) setError('Unable to reach the server.');
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const filtered = useMemo(() => {
+    if (!sets) return [];
+    const q = search.trim().toLowerCase();
+    return q ? sets.filter((s) => s.patient_name.toLowerCase().includes(q)) : sets;
+  }, [sets, search]);
+
+  if (openSet) {
+    return <SetDetail summary={openSet} onBack={() => setOpenSet(null)} />;
+  }
+
+  if (error) {
+    return (
+      <div className={styles.tabPanel}>
+        <div className={styles.errorBox}>{error}</div>
+      </div>
+    );
+  }
+
+  if (!sets) {
+    return (
+      <div className={styles.tabPanel}>
+        <div className={styles.loadingRow}>
+          <div className={styles.spinner} />
+          <span>Loading your patients…</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (sets.length === 0) {
+    return (
+      <div className={styles.tabPanel}>
+        <div className={styles.emptyState}>
+          <i className={`fas fa-teeth ${styles.emptyIcon}`} aria-hidden="true" />
+          <p>No aligner cases yet.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.tabPanel}>
+      <input
+        className={styles.input}
+        type="search"
+        placeholder="Search patients…"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        aria-label="Search patients"
+      />
+      <ul className={styles.cardList}>
+        {filtered.map((s) => (
+          <li key={s.aligner_set_id}>
+            <button type="button" className={styles.setCard} onClick={() => setOpenSet(s)}>
+              <div className={styles.setCardMain}>
+                <span className={styles.setCardName}>{s.patient_name}</span>
+                <span className={styles.setCardMeta}>
+                  {s.set_sequence != null ? `Set ${s.set_sequence}` : 'Aligner set'}
+                  {s.batch_sequence != null && ` · Batch ${s.batch_sequence}`}
+                  {s.next_due_date && ` · next due ${formatDate(s.next_due_date)}`}
+                </span>
+              </div>
+              <span className={styles.setCardBadges}>
+                {!s.is_active && <span className={styles.badge}>Inactive</span>}
+                {s.lab_status && (
+                  <span className={`${styles.badge} ${LAB_STATUS_CLASS[s.lab_status]}`}>
+                    {LAB_STATUS_LABELS[s.lab_status]}
+                  </span>
+                )}
+                <i className="fas fa-chevron-right" aria-hidden="true" />
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      {filtered.length === 0 && <p className={styles.mutedText}>No patients match “{search}”.</p>}
+    </div>
+  );
+};
+
+export default PatientsTab;
@@ -0,0 +1,234 @@
+import { useCallback, useEffect, useState } from 'react';
+import type { FormEvent } from 'react';
+import {
+  ackResponseSchema,
+  notesResponseSchema,
+  setDetailResponseSchema,
+  type PortalBatch,
+  type PortalNote,
+  type PortalSet,
+  type PortalSetSummary,
+} from '../alignerPortal.schemas';
+import { alignerPortalCsrfHeader } from '../alignerPortal.csrf';
+import { batchStage, formatDate, formatDateTime, type BatchStage } from '../alignerPortal.format';
+import styles from '../alignerPortal.module.css';
+
+interface Props {
+  summary: PortalSetSummary;
+  onBack: () => void;
+}
+
+const STAGE_LABEL: Record<BatchStage, string> = {
+  delivered: 'Delivered',
+  manufactured: 'Manufactured',
+  pending: 'Not manufactured yet',
+};
+
+const STAGE_CLASS: Record<BatchStage, string> = {
+  delivered: styles.badgeSuccess,
+  manufactured: styles.badgeInfo,
+  pending: styles.badgeWarning,
+};
+
+const SetDetail = ({ summary, onBack }: Props) => {
+  const setId = summary.aligner_set_id;
+  const [set, setSet] = useState<PortalSet | null>(null);
+  const [batches, setBatches] = useState<PortalBatch[]>([]);
+  const [notes, setNotes] = useState<PortalNote[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [draft, setDraft] = useState('');
+  const [posting, setPosting] = useState(false);
+  const [noteError, setNoteError] = useState<string | null>(null);
+
+  const loadNotes = useCallback(async (): Promise<PortalNote[] | null> => {
+    try {
+      // eslint-disable-next-line no-restricted-syntax -- portal Zod boundary (audit N17): validates the raw body itself and reads res.ok/error.
+      const res = await fetch(`/api/aligner-portal/sets/${setId}/notes`, { credentials: 'same-origin' });
+      const parsed = notesResponseSchema.safeParse(await res.json());
+      return res.ok && parsed.success && parsed.data.notes ? parsed.data.notes : null;
+    } catch {
+      return null;
+    }
+  }, [setId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        // eslint-disable-next-line no-restricted-syntax -- portal Zod boundary (audit N17): validates the raw body itself and reads res.ok/error.
+        const res = await fetch(`/api/aligner-portal/sets/${setId}`, { credentials: 'same-origin' });
+        const parsed = setDetailResponseSchema.safeParse(await res.json());
+        const loadedNotes = await loadNotes();
+        if (cancelled) return;
+        if (!res.ok || !parsed.success || !parsed.data.success || !parsed.data.set) {
+          setError((parsed.success ? parsed.data.error : undefined) || 'Unable to load this set.');
+          return;
+        }
+        setSet(parsed.data.set);
+        setBatches(parsed.data.batches ?? []);
+        setNotes(loadedNotes ?? []);
+      } catch {
+        if (!cancelled) setError('Unable to reach the server.');
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [setId, loadNotes]);
+
+  const handleAddNote = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text || posting) return;
+    setPosting(true);
+    setNoteError(null);
+    try {
+      // eslint-disable-next-line no-restricted-syntax -- portal Zod boundary (audit N17): the portal's own CSRF-carrying mutation; validates the raw body itself.
+      const res = await fetch(`/api/aligner-portal/sets/${setId}/notes`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', ...(await alignerPortalCsrfHeader()) },
+        body: JSON.stringify({ noteText: text }),
+      });
+      const parsed = ackResponseSchema.safeParse(await res.json());
+      if (!res.ok || !parsed.success || !parsed.data.success) {
+        setNoteError((parsed.success ? parsed.data.error : undefined) || 'Could not send the note.');
+        return;
+      }
+      setDraft('');
+      setNotes((await loadNotes()) ?? notes);
+    } catch {
+      setNoteError('Unable to reach the server.');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const title = `${summary.patient_name}${summary.set_sequence != null ? ` · Set ${summary.set_sequence}` : ''}`;
+
+  return (
+    <div className={styles.tabPanel}>
+      <button type="button" className={styles.backButton} onClick={onBack}>
+        <i className="fas fa-arrow-left" aria-hidden="true" />
+        <span>All patients</span>
+      </button>
+      <h2 className={styles.sectionTitle}>{title}</h2>
+
+      {error ? (
+        <div className={styles.errorBox}>{error}</div>
+      ) : !set ? (
+        <div className={styles.loadingRow}>
+          <div className={styles.spinner} />
+          <span>Loading…</span>
+        </div>
+      ) : (
+        <>
+          <section className={styles.card}>
+            <div className={styles.factGrid}>
+              <div>
+                <span className={styles.factLabel}>Upper</span>
+                <span>
+                  {set.upper_aligners_count} ({set.remaining_upper_aligners} left)
+                </span>
+              </div>
+              <div>
+                <span className={styles.factLabel}>Lower</span>
+                <span>
+                  {set.lower_aligners_count} ({set.remaining_lower_aligners} left)
+                </span>
+              </div>
+              <div>
+                <span className={styles.factLabel}>Wear</span>
+                <span>{set.days != null ? `${set.days} days / aligner` : '—'}</span>
+              </div>
+              <div>
+                <span className={styles.factLabel}>Status</span>
+                <span>{set.is_active ? 'Active' : 'Inactive'}</span>
+              </div>
+            </div>
+            {set.has_pdf && (
+              <a
+                className={styles.secondaryButton}
+                href={`/api/aligner-portal/sets/${setId}/pdf`}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                <i className="fas fa-file-pdf" aria-hidden="true" />
+                <span>Treatment PDF</span>
+              </a>
+            )}
+          </section>
+
+          <section className={styles.card}>
+            <h3 className={styles.cardTitle}>Batches</h3>
+            {batches.length === 0 ? (
+              <p className={styles.mutedText}>No batches yet.</p>
+            ) : (
+              <ul className={styles.rowList}>
+                {batches.map((b) => {
+                  const stage = batchStage(b);
+                  return (
+                    <li key={b.aligner_batch_id} className={styles.row}>
+                      <div>
+                        <div className={styles.rowTitle}>
+                          Batch {b.batch_sequence}
+                          {b.is_last && ' (final)'}
+                        </div>
+                        <div className={styles.rowMeta}>
+                          {b.upper_aligner_count} upper · {b.lower_aligner_count} lower
+                          {b.delivered_to_patient_date && ` · delivered ${formatDate(b.delivered_to_patient_date)}`}
+                          {!b.delivered_to_patient_date &&
+                            b.manufacture_date &&
+                            ` · made ${formatDate(b.manufacture_date)}`}
+                          {b.batch_expiry_date && ` · lasts until ${formatDate(b.batch_expiry_date)}`}
+                        </div>
+                      </div>
+                      <span className={`${styles.badge} ${STAGE_CLASS[stage]}`}>{STAGE_LABEL[stage]}</span>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </section>
+
+          <section className={styles.card}>
+            <h3 className={styles.cardTitle}>Notes</h3>
+            <form className={styles.noteForm} onSubmit={handleAddNote}>
+              <textarea
+                className={styles.textarea}
+                rows={3}
+                maxLength={2000}
+                placeholder="Write a note to the lab…"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                disabled={posting}
+                aria-label="New note"
+              />
+              {noteError && <div className={styles.errorBox}>{noteError}</div>}
+              <button type="submit" className={styles.primaryButton} disabled={posting || !draft.trim()}>
+                {posting ? 'Sending…' : 'Send note'}
+              </button>
+            </form>
+            {notes && notes.length === 0 && <p className={styles.mutedText}>No notes yet.</p>}
+            <ul className={styles.rowList}>
+              {(notes ?? []).map((n) => (
+                <li
+                  key={n.note_id}
+                  className={`${styles.note} ${n.note_type === 'Doctor' ? styles.noteMine : ''}`}
+                >
+                  <div className={styles.rowMeta}>
+                    {n.note_type === 'Doctor' ? 'You' : 'Lab'} · {formatDateTime(n.created_at)}
+                    {n.is_edited && ' · edited'}
+                  </div>
+                  <div className={styles.noteText}>{n.note_text}</div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SetDetail;
@@ -0,0 +1,232 @@
+import { useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import Modal from './Modal';
+import ModalHeader from './ModalHeader';
+import { useToast } from '../../contexts/ToastContext';
+import { postJSON, httpErrorMessage } from '@/core/http';
+import { alignerDoctorPortalQuery } from '@/query/queries';
+import { qk } from '@/query/keys';
+import * as alignerContract from '@shared/contracts/aligner.contract';
+import styles from './AlignerDoctorPortalAccess.module.css';
+
+interface Props {
+  drId: number;
+  doctorName: string;
+  onClose: () => void;
+}
+
+function formatDateTime(iso: string | null): string {
+  if (!iso) return 'Never';
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return iso;
+  return d.toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Staff-side control for one aligner doctor's login to the in-server doctor
+ * portal (/aligner-portal): issue a password (shown once), enable/disable the
+ * login and clear a failed-attempt lockout. Mirrors the patient PortalAccessCard.
+ */
+const AlignerDoctorPortalAccess = ({ drId, doctorName, onClose }: Props) => {
+  const toast = useToast();
+  const queryClient = useQueryClient();
+  const { data: status, isLoading: loading, error: queryError, refetch } = useQuery(
+    alignerDoctorPortalQuery(drId)
+  );
+  const error = queryError ? httpErrorMessage(queryError, 'Unknown error') : null;
+
+  const [busyAction, setBusyAction] = useState<null | 'enable' | 'reset' | 'unlock'>(null);
+  const [newPassword, setNewPassword] = useState<string | null>(null);
+  const [copyState, setCopyState] = useState<'idle' | 'copied'>('idle');
+
+  const invalidatePortal = () =>
+    queryClient.invalidateQueries({ queryKey: qk.aligner.doctorPortal(drId) });
+
+  const handleEnableToggle = async () => {
+    if (!status || busyAction) return;
+    const next = !status.enabled;
+    setBusyAction('enable');
+    try {
+      await postJSON(`/api/aligner-doctors/${drId}/portal/enable`, { enabled: next });
+      await invalidatePortal();
+      toast.success(next ? 'Portal login enabled' : 'Portal login disabled');
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to update'));
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleResetPassword = async () => {
+    if (busyAction) return;
+    setBusyAction('reset');
+    try {
+      const data = await postJSON<{ password: string }>(
+        `/api/aligner-doctors/${drId}/portal/reset-password`,
+        {},
+        { schema: alignerContract.resetDoctorPortalPassword.response }
+      );
+      setNewPassword(data.password);
+      setCopyState('idle');
+      await invalidatePortal();
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to issue password'));
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleUnlock = async () => {
+    if (busyAction) return;
+    setBusyAction('unlock');
+    try {
+      await postJSON(`/api/aligner-doctors/${drId}/portal/unlock`, {});
+      toast.success('Portal login unlocked');
+      await invalidatePortal();
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to unlock'));
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleCopyPassword = async () => {
+    if (!newPassword) return;
+    try {
+      await navigator.clipboard.writeText(newPassword);
+      setCopyState('copied');
+      setTimeout(() => setCopyState('idle'), 1500);
+    } catch {
+      toast.error('Unable to copy — please write the password down.');
+    }
+  };
+
+  // The server only reports a lock that is still in force, so no clock is needed here.
+  const isLocked = !!status?.lockedUntil;
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      contentClassName={styles.modal}
+      ariaLabelledBy="aligner-doctor-portal-title"
+    >
+      <ModalHeader
+        titleId="aligner-doctor-portal-title"
+        icon={<i className="fas fa-key" />}
+        title="Doctor Portal Login"
+        subtitle={doctorName === 'Admin' ? doctorName : `Dr. ${doctorName}`}
+        onClose={onClose}
+      />
+
+      <div className={styles.body}>
+        {loading && (
+          <div className={styles.loadingRow}>
+            <i className="fas fa-spinner fa-spin"></i> Loading…
+          </div>
+        )}
+
+        {error && !loading && (
+          <div className={styles.errorRow}>
+            {error}{' '}
+            <button type="button" className="btn btn-sm btn-secondary" onClick={() => refetch()}>
+              Retry
+            </button>
+          </div>
+        )}
+
+        {status && !loading && newPassword === null && (
+          <>
+            <label className={styles.enableRow}>
+              <input
+                type="checkbox"
+                checked={status.enabled}
+                disabled={!status.hasPassword || busyAction === 'enable'}
+                onChange={handleEnableToggle}
+              />
+              <span>Portal login enabled</span>
+            </label>
+
+            <div className={styles.statusGrid}>
+              <div>
+                <span className={styles.label}>Login email</span>
+                <span className={status.loginEmail ? styles.value : `${styles.value} ${styles.valueWarning}`}>
+                  {status.loginEmail ?? 'No email — add one first'}
+                </span>
+              </div>
+              <div>
+                <span className={styles.label}>Password</span>
+                <span className={styles.value}>
+                  {status.hasPassword ? `Set ${formatDateTime(status.passwordSetAt)}` : 'Not issued'}
+                </span>
+              </div>
+              <div>
+                <span className={styles.label}>Last login</span>
+                <span className={styles.value}>{formatDateTime(status.lastLoginAt)}</span>
+              </div>
+              <div>
+                <span className={styles.label}>Status</span>
+                <span className={isLocked ? `${styles.value} ${styles.valueWarning}` : styles.value}>
+                  {isLocked
+                    ? `Locked until ${formatDateTime(status.lockedUntil)}`
+                    : status.enabled
+                    ? 'Active'
+                    : 'Disabled'}
+                </span>
+              </div>
+            </div>
+
+            <code className={styles.portalUrl}>{status.portalUrl}</code>
+
+            <div className={styles.actions}>
+              <button
+                type="button"
+                className="btn btn-primary btn-sm"
+                onClick={handleResetPassword}
+                disabled={!status.loginEmail || busyAction === 'reset'}
+              >
+                <i className="fas fa-key"></i> {status.hasPassword ? 'Reset password' : 'Issue password'}
+              </button>
+              {isLocked && (
+                <button
+                  type="button"
+                  className="btn btn-warning btn-sm"
+                  onClick={handleUnlock}
+                  disabled={busyAction === 'unlock'}
+                >
+                  <i className="fas fa-unlock"></i> Unlock
+                </button>
+              )}
+            </div>
+          </>
+        )}
+
+        {newPassword !== null && (
+          <div className={styles.passwordBlock}>
+            <p className={styles.hint}>
+              Send this password to the doctor now — it won't be shown again.
+            </p>
+            <div className={styles.passwordDisplay}>{newPassword}</div>
+            <div className={styles.actions}>
+              <button type="button" className="btn btn-primary" onClick={handleCopyPassword}>
+                <i className={copyState === 'copied' ? 'fas fa-check' : 'fas fa-copy'}></i>{' '}
+                {copyState === 'copied' ? 'Copied' : 'Copy'}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setNewPassword(null)}>
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default AlignerDoctorPortalAccess;
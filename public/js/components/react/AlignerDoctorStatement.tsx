@@ -0,0 +1,245 @@
+import { useState, type FormEvent } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import Modal from './Modal';
+import ModalHeader from './ModalHeader';
+import { useToast } from '../../contexts/ToastContext';
+import { postJSON, httpErrorMessage } from '@/core/http';
+import { alignerDoctorStatementQuery } from '@/query/queries';
+import { formatCurrency, formatNumber } from '@/utils/formatters';
+import * as alignerStatementContract from '@shared/contracts/aligner-statement.contract';
+import styles from './AlignerDoctorStatement.module.css';
+
+interface Props {
+  drId: number;
+  doctorName: string;
+  doctorEmail: string | null;
+  onClose: () => void;
+}
+
+const currentMonth = (): string => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const formatDay = (ymd: string | null): string => {
+  if (!ymd) return '—';
+  const [y, m, d] = ymd.split('-');
+  return `${d}/${m}/${y}`;
+};
+
+const KIND_LABELS: Record<alignerStatementContract.AlignerStatementEntry['kind'], string> = {
+  fee: 'Fee',
+  payment: 'Payment',
+  refund: 'Refund',
+};
+
+/**
+ * One aligner doctor's monthly statement: opening balance, the month's set fees
+ * and payments, and what is outstanding — per currency. Exports as PDF/CSV and
+ * can be e-mailed to the doctor (or another address) as a PDF.
+ */
+const AlignerDoctorStatement = ({ drId, doctorName, doctorEmail, onClose }: Props) => {
+  const toast = useToast();
+  const [month, setMonth] = useState(currentMonth);
+  const [recipient, setRecipient] = useState(doctorEmail ?? '');
+  const [sending, setSending] = useState(false);
+  const { data: statement, isLoading, error: queryError, refetch } = useQuery(
+    alignerDoctorStatementQuery(drId, month)
+  );
+  const error = queryError ? httpErrorMessage(queryError, 'Failed to load the statement') : null;
+  const exportQuery = `?month=${encodeURIComponent(month)}`;
+
+  const handleSend = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (sending) return;
+    const to = recipient.trim();
+    setSending(true);
+    try {
+      const result = await postJSON<{ to: string }>(
+        `/api/aligner-doctors/${drId}/statement/send`,
+        { month, ...(to ? { to } : {}) },
+        { schema: alignerStatementContract.sendDoctorStatement.response }
+      );
+      toast.success(`Statement sent to ${result.to}`);
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to send the statement'));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} contentClassName={styles.modal} ariaLabelledBy="aligner-doctor-statement-title">
+      <ModalHeader
+        titleId="aligner-doctor-statement-title"
+        icon={<i className="fas fa-file-invoice-dollar" />}
+        title="Aligner Statement"
+        subtitle={doctorName === 'Admin' ? doctorName : `Dr. ${doctorName}`}
+        onClose={onClose}
+      />
+
+      <div className={styles.body}>
+        <div className={styles.toolbar}>
+          <label className={styles.field}>
+            <span>Month</span>
+            <input
+              type="month"
+              className={styles.input}
+              value={month}
+              onChange={(e) => e.target.value && setMonth(e.target.value)}
+            />
+          </label>
+          <div className={styles.exports}>
+            <a
+              className="btn btn-secondary btn-sm"
+              href={`/api/aligner-doctors/${drId}/statement/pdf${exportQuery}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              <i className="fas fa-file-pdf"></i> PDF
+            </a>
+            <a className="btn btn-secondary btn-sm" href={`/api/aligner-doctors/${drId}/statement/csv${exportQuery}`}>
+              <i className="fas fa-file-csv"></i> CSV
+            </a>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className={styles.stateMsg}>
+            <i className="fas fa-spinner fa-spin"></i> Loading statement…
+          </div>
+        ) : error || !statement ? (
+          <div className={styles.stateMsg}>
+            {error}{' '}
+            <button type="button" className="btn btn-sm btn-secondary" onClick={() => void refetch()}>
+              Retry
+            </button>
+          </div>
+        ) : statement.totals.length === 0 ? (
+          <div className={styles.stateMsg}>No aligner fees or payments on record up to this month.</div>
+        ) : (
+          <>
+            <div className={styles.totals}>
+              {statement.totals.map((t) => (
+                <div key={t.currency} className={styles.totalCard}>
+                  <div className={styles.totalRow}>
+                    <span>Opening balance</span>
+                    <span>{formatCurrency(t.opening_balance, t.currency)}</span>
+                  </div>
+                  <div className={styles.totalRow}>
+                    <span>Set fees</span>
+                    <span>{formatCurrency(t.fees, t.currency)}</span>
+                  </div>
+                  <div className={styles.totalRow}>
+                    <span>Payments</span>
+                    <span>− {formatCurrency(t.payments, t.currency)}</span>
+                  </div>
+                  {t.refunds !== 0 && (
+                    <div className={styles.totalRow}>
+                      <span>Refunds</span>
+                      <span>{formatCurrency(t.refunds, t.currency)}</span>
+                    </div>
+                  )}
+                  <div className={`${styles.totalRow} ${styles.outstanding}`}>
+                    <span>Outstanding</span>
+                    <span>{formatCurrency(t.outstanding, t.currency)}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {statement.sets.length > 0 && (
+              <section>
+                <h3 className={styles.sectionTitle}>Sets</h3>
+                <table className={styles.table}>
+                  <thead>
+                    <tr>
+                      <th>Patient / Set</th>
+                      <th className={styles.num}>Batches</th>
+                      <th className={styles.num}>Fee</th>
+                      <th className={styles.num}>Paid</th>
+                      <th className={styles.num}>Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {statement.sets.map((s) => (
+                      <tr key={s.aligner_set_id}>
+                        <td>
+                          {s.patient_name ?? `Patient #${s.person_id}`} — set {s.set_sequence ?? `#${s.aligner_set_id}`}
+                        </td>
+                        <td className={styles.num}>
+                          {s.batches_delivered}/{s.batch_count}
+                        </td>
+                        <td className={styles.num}>
+                          {s.set_cost === null ? (
+                            <span className={styles.muted}>Not priced</span>
+                          ) : (
+                            formatCurrency(s.set_cost, s.currency)
+                          )}
+                        </td>
+                        <td className={styles.num}>{formatNumber(s.paid)}</td>
+                        <td className={styles.num}>{formatNumber(s.balance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+            )}
+
+            <section>
+              <h3 className={styles.sectionTitle}>This month</h3>
+              {statement.entries.length === 0 ? (
+                <p className={styles.muted}>No fees or payments this month.</p>
+              ) : (
+                <table className={styles.table}>
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Description</th>
+                      <th className={styles.num}>Debit</th>
+                      <th className={styles.num}>Credit</th>
+                      <th className={styles.num}>Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {statement.entries.map((e, i) => (
+                      <tr key={`${e.kind}-${e.aligner_set_id}-${e.reference ?? i}`}>
+                        <td>{formatDay(e.date)}</td>
+                        <td>
+                          {KIND_LABELS[e.kind]} — {e.description}
+                          {e.reference !== null && <span className={styles.muted}> #{e.reference}</span>}
+                        </td>
+                        <td className={styles.num}>{e.debit ? formatNumber(e.debit) : ''}</td>
+                        <td className={styles.num}>{e.credit ? formatNumber(e.credit) : ''}</td>
+                        <td className={styles.num}>{formatCurrency(e.balance, e.currency)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          </>
+        )}
+
+        <form className={styles.sendForm} onSubmit={handleSend}>
+          <label className={`${styles.field} ${styles.grow}`}>
+            <span>Send to</span>
+            <input
+              type="email"
+              className={styles.input}
+              value={recipient}
+              onChange={(e) => setRecipient(e.target.value)}
+              placeholder="doctor@example.com"
+              required={!doctorEmail}
+            />
+          </label>
+          <button type="submit" className="btn btn-primary btn-sm" disabled={sending}>
+            <i className={sending ? 'fas fa-spinner fa-spin' : 'fas fa-paper-plane'}></i> Send statement
+          </button>
+        </form>
+      </div>
+    </Modal>
+  );
+};
+
+export default AlignerDoctorStatement;
@@ -7,6 +7,8 @@ import { alignerDoctorsAdminQuery } from '@/query/queries';
 import { qk } from '@/query/keys';
 import Modal from './Modal';
 import ModalHeader from './ModalHeader';
+import AlignerDoctorPortalAccess from './AlignerDoctorPortalAccess';
+import AlignerDoctorStatement from './AlignerDoctorStatement';
 import styles from './AlignerDoctorsSettings.module.css';
 import type { AlignerDoctor } from '../../pages/aligner/aligner.types';
 
@@ -29,6 +31,8 @@ const AlignerDoctorsSettings = ({ onChangesUpdate: _onChangesUpdate }: AlignerDo
     const error = queryError ? httpErrorMessage(queryError, 'Failed to load doctors') : null;
     const [editingId, setEditingId] = useState<number | null>(null);
     const [showAddForm, setShowAddForm] = useState(false);
+    const [portalDoctor, setPortalDoctor] = useState<AlignerDoctor | null>(null);
+    const [statementDoctor, setStatementDoctor] = useState<AlignerDoctor | null>(null);
     const [formData, setFormData] = useState<FormData>({
         doctor_name: '',
         doctor_email: '',
@@ -284,6 +288,20 @@ const AlignerDoctorsSettings = ({ onChangesUpdate: _onChangesUpdate }: AlignerDo
                                             {doctor.logo_path || <span className={styles.textMuted}>—</span>}
                                         </td>
                                         <td className={styles.actions}>
+                                            <button
+                                                className={`${styles.btnIcon} ${styles.btnStatement}`}
+                                                onClick={() => setStatementDoctor(doctor)}
+                                                title="Aligner statement"
+                                            >
+                                                <i className="fas fa-file-invoice-dollar"></i>
+                                            </button>
+                                            <button
+                                                className={`${styles.btnIcon} ${styles.btnPortal}`}
+                                                onClick={() => setPortalDoctor(doctor)}
+                                                title="Doctor portal login"
+                                            >
+                                                <i className="fas fa-key"></i>
+                                            </button>
                                             <button
                                                 className={`${styles.btnIcon} ${styles.btnEdit}`}
                                                 onClick={() => handleEdit(doctor)}
@@ -306,6 +324,23 @@ const AlignerDoctorsSettings = ({ onChangesUpdate: _onChangesUpdate }: AlignerDo
                     </div>
                 )}
             </div>
+
+            {portalDoctor && (
+                <AlignerDoctorPortalAccess
+                    drId={portalDoctor.dr_id}
+                    doctorName={portalDoctor.doctor_name}
+                    onClose={() => setPortalDoctor(null)}
+                />
+            )}
+
+            {statementDoctor && (
+                <AlignerDoctorStatement
+                    drId={statementDoctor.dr_id}
+                    doctorName={statementDoctor.doctor_name}
+                    doctorEmail={statementDoctor.doctor_email ?? null}
+                    onClose={() => setStatementDoctor(null)}
+                />
+            )}
         </div>
     );
 };
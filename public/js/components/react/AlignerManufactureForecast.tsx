@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import type { AlignerReminderSettings, ForecastBatchRow } from '@shared/contracts/aligner.contract';
+import { useAlignerForecast, useSaveAlignerReminderSettings } from '@/hooks/useAlignerForecast';
+import { useToast } from '@/contexts/ToastContext';
+import { httpErrorMessage } from '@/core/http';
+import styles from './AlignerManufactureForecast.module.css';
+
+/**
+ * "Manufacture this week" dashboard above the All Sets table.
+ *
+ * Lists the batches that have to go into production by the end of the week
+ * (overdue ones first) so each patient's next batch is ready before they run out
+ * of the aligners they have. The server projects the "runs out on" date from each
+ * batch's aligner count × wear interval; the manufacturing lead time and the
+ * header-bell reminders are set in the footer form.
+ */
+
+const doctorLabel = (name: string): string => (name === 'Admin' ? name : `Dr. ${name}`);
+
+// 'YYYY-MM-DD' → 'DD-MM-YYYY' without a Date round-trip (AllSetsList's format).
+const formatDate = (ymd: string): string => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(ymd);
+    return m ? `${m[3]}-${m[2]}-${m[1]}` : ymd;
+};
+
+const runsOutLabel = (b: ForecastBatchRow): string => {
+    if (b.days_left < 0) return `Ran out ${-b.days_left}d ago`;
+    if (b.days_left === 0) return 'Today';
+    return `${formatDate(b.runs_out_on)} (${b.days_left}d)`;
+};
+
+interface ReminderFormProps {
+    initial: AlignerReminderSettings;
+}
+
+/** Mounted once the saved settings have loaded (and re-keyed when they change), so drafts start from them. */
+const ReminderForm = ({ initial }: ReminderFormProps) => {
+    const toast = useToast();
+    const save = useSaveAlignerReminderSettings();
+    const [enabled, setEnabled] = useState(initial.enabled);
+    const [leadDays, setLeadDays] = useState(String(initial.leadDays));
+
+    const handleSave = async (): Promise<void> => {
+        const n = Number(leadDays);
+        if (!Number.isInteger(n) || n < 1 || n > 60) {
+            toast.error('Lead time: enter whole days between 1 and 60');
+            return;
+        }
+        try {
+            await save.mutateAsync({ enabled, leadDays: n });
+            toast.success('Aligner reminder settings saved');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to save aligner reminder settings'));
+        }
+    };
+
+    return (
+        <div className={styles.settings}>
+            <label className={styles.field}>
+                <span>Lead time</span>
+                <input
+                    type="number"
+                    min={1}
+                    max={60}
+                    className={styles.input}
+                    value={leadDays}
+                    onChange={(e) => setLeadDays(e.target.value)}
+                    aria-label="Manufacturing lead time in days"
+                />
+                <span>days before the patient runs out</span>
+            </label>
+            <label className={styles.toggle}>
+                <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+                <span>Raise a task in the header bell when a batch is due</span>
+            </label>
+            <button type="button" className="btn btn-sm btn-primary" onClick={() => void handleSave()} disabled={save.isPending}>
+                {save.isPending ? 'Saving…' : 'Save'}
+            </button>
+        </div>
+    );
+};
+
+const AlignerManufactureForecast = () => {
+    const navigate = useNavigate();
+    const { data, isLoading, error } = useAlignerForecast();
+    const [expanded, setExpanded] = useState(false);
+
+    const batches = data?.batches ?? [];
+    const overdue = data ? batches.filter((b) => b.manufacture_by < data.today).length : 0;
+
+    return (
+        <section className={styles.panel}>
+            <button
+                type="button"
+                className={styles.header}
+                onClick={() => setExpanded((v) => !v)}
+                aria-expanded={expanded}
+            >
+                <i className={`fas fa-chevron-${expanded ? 'down' : 'right'}`}></i>
+                <i className="fas fa-industry"></i>
+                <span className={styles.title}>Manufacture this week</span>
+                {isLoading ? (
+                    <span className={styles.muted}>Loading…</span>
+                ) : error ? (
+                    <span className={styles.errorText}>{httpErrorMessage(error, 'Failed to load the forecast')}</span>
+                ) : data ? (
+                    <>
+                        <span className={`${styles.count} ${batches.length > 0 ? styles.countDue : ''}`}>
+                            {batches.length}
+                        </span>
+                        {overdue > 0 && <span className={styles.overdueText}>{overdue} overdue</span>}
+                        <span className={styles.muted}>
+                            until {formatDate(data.week_end)} · reminders {data.settings.enabled ? 'on' : 'off'}
+                        </span>
+                    </>
+                ) : null}
+            </button>
+
+            {expanded && data && (
+                <div className={styles.body}>
+                    {batches.length === 0 ? (
+                        <p className={styles.muted}>No batches are due into production this week.</p>
+                    ) : (
+                        <div className={styles.tableWrap}>
+                            <table className={styles.table}>
+                                <thead>
+                                    <tr>
+                                        <th scope="col">Patient</th>
+                                        <th scope="col">Doctor</th>
+                                        <th scope="col">Batch</th>
+                                        <th scope="col">Runs out</th>
+                                        <th scope="col">Manufacture by</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {batches.map((b) => (
+                                        <tr
+                                            key={`${b.aligner_set_id}-${b.batch_sequence}`}
+                                            onClick={() => navigate(`/aligner/patient/${b.work_id}`)}
+                                            onKeyDown={(e) => {
+                                                if (e.key === 'Enter') navigate(`/aligner/patient/${b.work_id}`);
+                                            }}
+                                            tabIndex={0}
+                                        >
+                                            <td>{b.patient_name}</td>
+                                            <td>{doctorLabel(b.doctor_name)}</td>
+                                            <td>
+                                                {b.set_sequence != null && `Set ${b.set_sequence} · `}Batch {b.batch_sequence}{' '}
+                                                <span className={b.status === 'not_created' ? styles.badgeMissing : styles.badgeMfg}>
+                                                    {b.status === 'not_created' ? 'Not created' : 'Needs Mfg'}
+                                                </span>
+                                            </td>
+                                            <td className={b.days_left <= 0 ? styles.late : undefined}>{runsOutLabel(b)}</td>
+                                            <td className={b.manufacture_by < data.today ? styles.late : undefined}>
+                                                {b.manufacture_by < data.today ? 'Overdue · ' : ''}
+                                                {formatDate(b.manufacture_by)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                    {data.unscheduled > 0 && (
+                        <p className={styles.muted}>
+                            {data.unscheduled} set{data.unscheduled === 1 ? '' : 's'} can't be forecast — the current batch
+                            has no wear interval (days per aligner).
+                        </p>
+                    )}
+                    <ReminderForm
+                        key={`${data.settings.enabled}-${data.settings.leadDays}`}
+                        initial={data.settings}
+                    />
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default AlignerManufactureForecast;
@@ -20,6 +20,7 @@ import { fetchJSON, postJSON, putJSON, deleteJSON, httpErrorMessage } from '@/co
 import { qk } from '@/query/keys';
 import { calendarRangeQuery, calendarMonthQuery, calendarStatsQuery } from '@/query/queries';
 import * as holiday from '@shared/contracts/holiday.contract';
+import type { ConfirmationStatus } from '@shared/contracts/appointment.contract';
 import type {
     ViewMode,
     CalendarMode,
@@ -228,7 +229,9 @@ const AppointmentCalendar = ({
     const monthDateStr = toLocalDateString(currentDate);
     const monthParams = `date=${monthDateStr}${selectedDoctorId ? `&doctorId=${selectedDoctorId}` : ''}`;
     const monthQ = useQuery({ ...calendarMonthQuery(monthParams), enabled: !isGrid });
-    const statsQ = useQuery({ ...calendarStatsQuery(`date=${monthDateStr}`), enabled: !isGrid });
+    // Fetched in every view: besides the month KPI rollup it carries the
+    // no-show rates behind the header's overbooking chip.
+    const statsQ = useQuery(calendarStatsQuery(`date=${monthDateStr}`));
 
     // The contract's day/stat rows (shared/contracts/calendar.contract.ts) are now
     // structurally assignable to the local CalendarData/CalendarStats view models —
@@ -554,6 +557,21 @@ const AppointmentCalendar = ({
         }
     }, [deleteConfirmation, refetch, toast]);
 
+    // Handler for the confirmation items of the context menu (staff record the
+    // answer by hand, e.g. after the day-before call). null clears it.
+    const handleSetConfirmation = useCallback(async (
+        appointment: CalendarAppointment,
+        status: ConfirmationStatus | null
+    ) => {
+        if (!appointment.appointment_id) return;
+        try {
+            await putJSON(`/api/appointments/${appointment.appointment_id}/confirmation`, { status });
+            await refetch();
+        } catch (error) {
+            toast.error('Failed to update confirmation: ' + httpErrorMessage(error, 'Unknown error'));
+        }
+    }, [refetch, toast]);
+
     // Handler to close context menu
     const handleCloseContextMenu = useCallback(() => {
         setContextMenu(null);
@@ -634,6 +652,7 @@ const AppointmentCalendar = ({
                 viewMode={viewMode}
                 onViewModeChange={handleViewModeChange}
                 calendarStats={calendarStats}
+                noShowRates={statsQ.data?.noShowRates ?? []}
                 loading={loading}
                 selectedDoctorId={selectedDoctorId}
                 onDoctorChange={handleDoctorChange}
@@ -688,6 +707,7 @@ const AppointmentCalendar = ({
                     appointment={contextMenu.appointment}
                     onClose={handleCloseContextMenu}
                     onDelete={handleDeleteRequest}
+                    onSetConfirmation={handleSetConfirmation}
                 />
             )}
 
@@ -36,6 +36,8 @@ interface AppointmentDetail {
 
 interface AppointmentFormProps {
     personId?: number | null;
+    // 'YYYY-MM-DD' proposed by the visit form (wire protocol interval) — opens the calendar on it.
+    suggestedDate?: string | null;
     onClose?: () => void;
     onSuccess?: (result: unknown) => void;
 }
@@ -58,7 +60,7 @@ interface ApiErrorResponse {
  * RIGHT: Appointment details form
  */
 
-const AppointmentForm = ({ personId, onClose, onSuccess }: AppointmentFormProps) => {
+const AppointmentForm = ({ personId, suggestedDate, onClose, onSuccess }: AppointmentFormProps) => {
     const { t } = useTranslation('appointments');
     const { language } = useLanguage();
     const toast = useToast();
@@ -73,6 +75,10 @@ const AppointmentForm = ({ personId, onClose, onSuccess }: AppointmentFormProps)
     const [loading, setLoading] = useState<boolean>(false);
     const [error, setError] = useState<string | null>(null);
     const [validation, setValidation] = useState<ValidationErrors>({});
+    // Recurring series: off by default; every N weeks, M visits in total
+    const [repeat, setRepeat] = useState<boolean>(false);
+    const [intervalWeeks, setIntervalWeeks] = useState<string>('4');
+    const [occurrences, setOccurrences] = useState<string>('6');
     const doctorSelectRef = useRef<HTMLSelectElement>(null);
     const detailSelectRef = useRef<HTMLSelectElement>(null);
     const formColumnRef = useRef<HTMLDivElement>(null);
@@ -185,10 +191,84 @@ const AppointmentForm = ({ personId, onClose, onSuccess }: AppointmentFormProps)
         if (!formData.AppTime) errors.AppTime = t('form.errorSelectTime');
         if (!formData.DrID) errors.DrID = t('form.errorSelectDoctor');
         if (!formData.AppDetail) errors.AppDetail = t('form.errorSelectType');
+        if (repeat) {
+            const weeks = parseInt(intervalWeeks, 10);
+            const count = parseInt(occurrences, 10);
+            if (!(weeks >= 1 && weeks <= 26) || !(count >= 2 && count <= 52)) {
+                errors.Repeat = t('form.errorRepeat');
+            }
+        }
         setValidation(errors);
         return Object.keys(errors).length === 0;
     };
 
+    // Fire-and-forget WhatsApp confirmation; the outcome only toasts.
+    const sendWhatsAppConfirmation = (appointmentId: number | undefined): void => {
+        postJSON<{ success: boolean; message?: string }>('/api/wa/send-appointment', {
+            appointmentId
+        })
+            .then((waResult) => {
+                if (waResult.success) {
+                    toast.success(t('form.waSent'));
+                } else {
+                    toast.warning(waResult.message || t('form.waFailed'));
+                }
+            })
+            .catch(err => {
+                toast.error(t('form.waError', { error: httpErrorMessage(err, 'send failed') }));
+            });
+    };
+
+    const finishCreate = (result: unknown): void => {
+        // Refresh the patient's appointment-backed reads (has-appointment flag
+        // on the works screen + the appointments list) so the new appointment
+        // shows immediately — the still-fresh cache (30s staleTime) would
+        // otherwise serve a stale list until a hard refresh.
+        queryClient.invalidateQueries({ queryKey: qk.patient.all(personId ?? '') });
+
+        // Only call onSuccess, it will handle navigation
+        // Don't call onClose as it might interfere with navigation
+        if (onSuccess) {
+            onSuccess(result);
+        } else if (onClose) {
+            onClose();
+        }
+    };
+
+    // The first visit is booked exactly as picked (a conflict there fails the
+    // whole request, same codes as a single create); later visits that land on
+    // a holiday / full slot were moved or skipped server-side — say so.
+    const submitSeries = async (appointmentDateTime: string): Promise<void> => {
+        const result = await postJSON<appointment.CreateAppointmentSeriesResponse>(
+            '/api/appointment-series',
+            {
+                person_id: parseInt(String(formData.PersonID)),
+                app_date: appointmentDateTime,
+                app_detail: formData.AppDetail,
+                dr_id: parseInt(formData.DrID),
+                interval_weeks: parseInt(intervalWeeks, 10),
+                occurrences: parseInt(occurrences, 10)
+            },
+            { schema: appointment.createAppointmentSeries.response }
+        );
+
+        toast.success(t('form.seriesCreated', { count: result.booked.length }));
+        const shifted = result.booked.filter(b => b.shifted).length;
+        if (shifted > 0) {
+            toast.info(t('form.seriesShifted', { count: shifted }));
+        }
+        if (result.skipped.length > 0) {
+            toast.warning(t('form.seriesSkipped', {
+                count: result.skipped.length,
+                dates: result.skipped.map(s => s.requested_date).join(', ')
+            }));
+        }
+
+        // Confirm the first visit only — the rest are confirmed by the usual reminders.
+        sendWhatsAppConfirmation(result.booked[0]?.appointment_id);
+        finishCreate(result);
+    };
+
     const handleSubmit = async (e: FormEvent<HTMLFormElement>): Promise<void> => {
         e.preventDefault();
         if (!validateForm()) return;
@@ -198,6 +278,12 @@ const AppointmentForm = ({ personId, onClose, onSuccess }: AppointmentFormProps)
 
         try {
             const appointmentDateTime = `${formData.AppDate}T${formData.AppTime}:00`;
+
+            if (repeat) {
+                await submitSeries(appointmentDateTime);
+                return;
+            }
+
             const result = await postJSON<{ appointment_id?: number }>(
                 '/api/appointments',
                 {
@@ -210,33 +296,8 @@ const AppointmentForm = ({ personId, onClose, onSuccess }: AppointmentFormProps)
             );
 
             // postJSON throws on non-2xx, so reaching here means the create succeeded.
-            postJSON<{ success: boolean; message?: string }>('/api/wa/send-appointment', {
-                appointmentId: result.appointment_id
-            })
-                .then((waResult) => {
-                    if (waResult.success) {
-                        toast.success(t('form.waSent'));
-                    } else {
-                        toast.warning(waResult.message || t('form.waFailed'));
-                    }
-                })
-                .catch(err => {
-                    toast.error(t('form.waError', { error: httpErrorMessage(err, 'send failed') }));
-                });
-
-            // Refresh the patient's appointment-backed reads (has-appointment flag
-            // on the works screen + the appointments list) so the new appointment
-            // shows immediately — the still-fresh cache (30s staleTime) would
-            // otherwise serve a stale list until a hard refresh.
-            queryClient.invalidateQueries({ queryKey: qk.patient.all(personId ?? '') });
-
-            // Only call onSuccess, it will handle navigation
-            // Don't call onClose as it might interfere with navigation
-            if (onSuccess) {
-                onSuccess(result);
-            } else if (onClose) {
-                onClose();
-            }
+            sendWhatsAppConfirmation(result.appointment_id);
+            finishCreate(result);
         } catch (err) {
             // postJSON throws on non-2xx; the conflict codes ride the thrown
             // HttpError's parsed body. Appointment/work conflicts route through
@@ -284,7 +345,13 @@ const AppointmentForm = ({ personId, onClose, onSuccess }: AppointmentFormProps)
                 {/* Calendar Picker (LEFT + MIDDLE columns) */}
                 <SimplifiedCalendarPicker
                     onSelectDateTime={handleDateTimeSelection}
-                    initialDate={formData.AppDate ? new Date(formData.AppDate) : new Date()}
+                    initialDate={
+                        formData.AppDate
+                            ? new Date(formData.AppDate)
+                            : suggestedDate
+                                ? new Date(`${suggestedDate}T00:00:00`)
+                                : new Date()
+                    }
                 />
 
                 {/* RIGHT COLUMN: Form */}
@@ -311,6 +378,11 @@ const AppointmentForm = ({ personId, onClose, onSuccess }: AppointmentFormProps)
                             >
                                 {getDateTimeDisplay()}
                             </div>
+                            {suggestedDate && !formData.AppDate && (
+                                <span className={styles.fieldHint}>
+                                    <i className="fas fa-stream"></i> {t('form.suggestedDate', { date: suggestedDate })}
+                                </span>
+                            )}
                             {(validation.AppDate || validation.AppTime) && (
                                 <span className={styles.fieldError}>{validation.AppDate || validation.AppTime}</span>
                             )}
@@ -356,6 +428,48 @@ const AppointmentForm = ({ personId, onClose, onSuccess }: AppointmentFormProps)
                             {validation.AppDetail && <span className={styles.fieldError}>{validation.AppDetail}</span>}
                         </div>
 
+                        <div className={styles.formField}>
+                            <label className={styles.checkboxField}>
+                                <input
+                                    type="checkbox"
+                                    checked={repeat}
+                                    onChange={(e) => {
+                                        setRepeat(e.target.checked);
+                                        setValidation(prev => ({ ...prev, Repeat: null }));
+                                    }}
+                                />
+                                <i className="fas fa-redo"></i> {t('form.repeat')}
+                            </label>
+                            {repeat && (
+                                <>
+                                    <div className={styles.repeatOptions}>
+                                        <label>
+                                            {t('form.repeatEveryWeeks')}
+                                            <input
+                                                type="number"
+                                                min={1}
+                                                max={26}
+                                                value={intervalWeeks}
+                                                onChange={(e) => setIntervalWeeks(e.target.value)}
+                                            />
+                                        </label>
+                                        <label>
+                                            {t('form.repeatOccurrences')}
+                                            <input
+                                                type="number"
+                                                min={2}
+                                                max={52}
+                                                value={occurrences}
+                                                onChange={(e) => setOccurrences(e.target.value)}
+                                            />
+                                        </label>
+                                    </div>
+                                    <span className={styles.fieldHint}>{t('form.repeatHint')}</span>
+                                </>
+                            )}
+                            {validation.Repeat && <span className={styles.fieldError}>{validation.Repeat}</span>}
+                        </div>
+
                         <div className={styles.formActions}>
                             <button
                                 type="button"
@@ -27,6 +27,7 @@ const ACTION_LABELS: Record<string, string> = {
     'work.discount': 'Discount',
     'work.delete': 'Delete Treatment',
     'invoice.delete': 'Delete Invoice',
+    'invoice.refund': 'Refund Invoice',
     'expense.update': 'Edit Expense',
     'expense.delete': 'Delete Expense',
     'patient.delete': 'Delete Patient',
@@ -0,0 +1,86 @@
+import { useQuery } from '@tanstack/react-query';
+import { useTranslation } from 'react-i18next';
+import cn from 'classnames';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { formatAppointmentListDateTime } from '@/utils/formatters';
+import { patientAttendanceQuery } from '@/query/queries';
+import viewStyles from './ViewPatientInfo.module.css';
+import styles from './AttendanceCard.module.css';
+
+interface Props {
+    personId: number;
+}
+
+/**
+ * AttendanceCard Component
+ * The patient's attendance score (attended vs no-show over the last 12 months,
+ * the no-shows being stamped by the end-of-day sweep) and their recent
+ * outcomes. Lives in the ViewPatientInfo grid beside Portal Access.
+ */
+const AttendanceCard = ({ personId }: Props) => {
+    const { t } = useTranslation('patients');
+    const { language } = useLanguage();
+    const { data, isLoading } = useQuery(patientAttendanceQuery(personId));
+
+    return (
+        <div className={viewStyles.patientInfoCard}>
+            <h3 className={viewStyles.patientCardTitle}>
+                <i className={`fas fa-user-check ${viewStyles.piIconGap}`}></i>
+                {t('view.attendance.title')}
+            </h3>
+
+            {isLoading && (
+                <div className={styles.muted}>
+                    <i className="fas fa-spinner fa-spin"></i>
+                </div>
+            )}
+
+            {data && (
+                <>
+                    <div className={styles.scoreRow}>
+                        <span className={cn(styles.score, data.risk && styles[data.risk])}>
+                            {data.score === null
+                                ? t('view.attendance.noScore')
+                                : t('view.attendance.scoreValue', { score: data.score })}
+                        </span>
+                        <span className={styles.muted}>
+                            {data.risk === null
+                                ? t('view.attendance.notEnough')
+                                : t(`view.attendance.risk.${data.risk}`)}
+                        </span>
+                    </div>
+                    <div className={viewStyles.patientInfoRows}>
+                        <div className={viewStyles.patientInfoRow}>
+                            <span className={viewStyles.patientInfoLabel}>{t('view.attendance.attended')}</span>
+                            <span className={viewStyles.patientInfoValue}>{data.attended}</span>
+                        </div>
+                        <div className={viewStyles.patientInfoRow}>
+                            <span className={viewStyles.patientInfoLabel}>{t('view.attendance.noShows')}</span>
+                            <span className={viewStyles.patientInfoValue}>{data.noShows}</span>
+                        </div>
+                    </div>
+                    {data.history.length > 0 && (
+                        <ul className={styles.history}>
+                            {data.history.map(row => (
+                                <li key={row.appointment_id} className={styles.historyItem}>
+                                    <i
+                                        className={cn(
+                                            'fas',
+                                            row.outcome === 'attended' ? 'fa-check-circle' : 'fa-times-circle',
+                                            row.outcome === 'attended' ? styles.attendedIcon : styles.noShowIcon
+                                        )}
+                                        title={t(`view.attendance.outcome.${row.outcome}`)}
+                                    ></i>
+                                    <span>{formatAppointmentListDateTime(new Date(row.app_date), language)}</span>
+                                    {row.app_detail && <span className={styles.muted}>{row.app_detail}</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default AttendanceCard;
@@ -0,0 +1,195 @@
+import { useState, useEffect, type ChangeEvent, type FormEvent } from 'react';
+import {
+    AUDITED_TABLES,
+    AUDIT_OPS,
+    type AuditedTable,
+    type SearchAuditLogQuery,
+} from '@shared/contracts/audit.contract';
+import { auditLogQuery } from '@/query/queries';
+import AuditTrail from './audit/AuditTrail';
+import styles from './AuditLogSettings.module.css';
+
+interface AuditLogSettingsProps {
+    onChangesUpdate?: (hasChanges: boolean) => void;
+}
+
+const TABLE_LABELS: Record<AuditedTable, string> = {
+    patients: 'Patients',
+    works: 'Works',
+    work_items: 'Work items',
+    visits: 'Visits',
+    appointments: 'Appointments',
+    invoices: 'Payments',
+    expenses: 'Expenses',
+    tooth_findings: 'Tooth findings',
+};
+
+const OP_LABELS: Record<(typeof AUDIT_OPS)[number], string> = {
+    I: 'Created',
+    U: 'Updated',
+    D: 'Deleted',
+};
+
+interface FilterDraft {
+    table: string;
+    op: string;
+    actor: string;
+    personId: string;
+    pk: string;
+    q: string;
+    from: string;
+    to: string;
+}
+
+const EMPTY_DRAFT: FilterDraft = { table: '', op: '', actor: '', personId: '', pk: '', q: '', from: '', to: '' };
+
+// Draft → query; blanks drop out so they don't become part of the cache key.
+const toQuery = (draft: FilterDraft): SearchAuditLogQuery => {
+    const query: SearchAuditLogQuery = {};
+    if (draft.table) query.table = draft.table as AuditedTable;
+    if (draft.op) query.op = draft.op as SearchAuditLogQuery['op'];
+    if (draft.actor.trim()) query.actor = draft.actor.trim();
+    if (draft.personId && Number(draft.personId) > 0) query.personId = Number(draft.personId);
+    if (draft.table && draft.pk.trim()) query.pk = draft.pk.trim();
+    if (draft.q.trim()) query.q = draft.q.trim();
+    if (draft.from) query.from = draft.from;
+    if (draft.to) query.to = draft.to;
+    return query;
+};
+
+/**
+ * Settings → Audit Log (admin only). Clinic-wide search over the audit trail:
+ * every create/update/delete on patients, works, visits, appointments, payments
+ * and expenses, with who made it and through which route.
+ */
+const AuditLogSettings = ({ onChangesUpdate }: AuditLogSettingsProps) => {
+    const [draft, setDraft] = useState<FilterDraft>(EMPTY_DRAFT);
+    const [filters, setFilters] = useState<SearchAuditLogQuery>({});
+
+    // Read-only tab: explicitly declare no unsaved changes so no Save badge ever shows.
+    useEffect(() => {
+        onChangesUpdate?.(false);
+    }, [onChangesUpdate]);
+
+    const handleChange = (e: ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+        const { name, value } = e.target;
+        setDraft((prev) => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = (e: FormEvent) => {
+        e.preventDefault();
+        setFilters(toQuery(draft));
+    };
+
+    const handleReset = () => {
+        setDraft(EMPTY_DRAFT);
+        setFilters({});
+    };
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.header}>
+                <h2><i className="fas fa-history"></i> Audit Log</h2>
+                <p>Every clinical and financial change — who made it, when, and what it changed.</p>
+            </div>
+
+            <form className={styles.filters} onSubmit={handleSubmit}>
+                <div className={styles.inputGroup}>
+                    <label htmlFor="audit-table">Table</label>
+                    <select id="audit-table" name="table" value={draft.table} onChange={handleChange}>
+                        <option value="">All</option>
+                        {AUDITED_TABLES.map((tbl) => (
+                            <option key={tbl} value={tbl}>{TABLE_LABELS[tbl]}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className={styles.inputGroup}>
+                    <label htmlFor="audit-pk">Record ID</label>
+                    <input
+                        id="audit-pk"
+                        name="pk"
+                        type="text"
+                        value={draft.pk}
+                        onChange={handleChange}
+                        disabled={!draft.table}
+                        title={draft.table ? undefined : 'Pick a table first'}
+                    />
+                </div>
+                <div className={styles.inputGroup}>
+                    <label htmlFor="audit-op">Action</label>
+                    <select id="audit-op" name="op" value={draft.op} onChange={handleChange}>
+                        <option value="">All</option>
+                        {AUDIT_OPS.map((op) => (
+                            <option key={op} value={op}>{OP_LABELS[op]}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className={styles.inputGroup}>
+                    <label htmlFor="audit-actor">User</label>
+                    <input id="audit-actor" name="actor" type="text" value={draft.actor} onChange={handleChange} />
+                </div>
+                <div className={styles.inputGroup}>
+                    <label htmlFor="audit-person">Patient ID</label>
+                    <input
+                        id="audit-person"
+                        name="personId"
+                        type="number"
+                        min={1}
+                        value={draft.personId}
+                        onChange={handleChange}
+                    />
+                </div>
+                <div className={styles.inputGroup}>
+                    <label htmlFor="audit-q">Route</label>
+                    <input
+                        id="audit-q"
+                        name="q"
+                        type="text"
+                        placeholder="e.g. /expenses"
+                        value={draft.q}
+                        onChange={handleChange}
+                    />
+                </div>
+                <div className={styles.inputGroup}>
+                    <label htmlFor="audit-from">From</label>
+                    <input
+                        id="audit-from"
+                        name="from"
+                        type="date"
+                        value={draft.from}
+                        max={draft.to || undefined}
+                        onChange={handleChange}
+                    />
+                </div>
+                <div className={styles.inputGroup}>
+                    <label htmlFor="audit-to">To</label>
+                    <input
+                        id="audit-to"
+                        name="to"
+                        type="date"
+                        value={draft.to}
+                        min={draft.from || undefined}
+                        onChange={handleChange}
+                    />
+                </div>
+                <div className={styles.actions}>
+                    <button type="submit" className="btn btn-primary">
+                        <i className="fas fa-search"></i> Search
+                    </button>
+                    <button type="button" className="btn btn-secondary" onClick={handleReset}>
+                        Reset
+                    </button>
+                </div>
+            </form>
+
+            {/* Keyed by the filters so a new search starts again from the newest page. */}
+            <AuditTrail
+                key={JSON.stringify(filters)}
+                pageQuery={(beforeId) => auditLogQuery({ ...filters, ...(beforeId ? { beforeId } : {}) })}
+                showPatient
+            />
+        </div>
+    );
+};
+
+export default AuditLogSettings;
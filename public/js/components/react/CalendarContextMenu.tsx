@@ -1,5 +1,6 @@
 import { useEffect, useRef, type SyntheticEvent } from 'react';
 import { useNavigate } from 'react-router-dom';
+import type { ConfirmationStatus } from '@shared/contracts/appointment.contract';
 import type { CalendarAppointment, MenuPosition } from './calendar.types';
 
 interface CalendarContextMenuProps {
@@ -7,15 +8,17 @@ interface CalendarContextMenuProps {
     appointment: CalendarAppointment;
     onClose: () => void;
     onDelete: (appointment: CalendarAppointment) => void;
+    onSetConfirmation: (appointment: CalendarAppointment, status: ConfirmationStatus | null) => void;
 }
 
 /**
  * CalendarContextMenu Component
- * Edit/Delete menu for a single appointment. The clicked card already
+ * Edit/Delete menu for a single appointment, plus the reminder confirmation
+ * staff record by hand (e.g. after the day-before call). The clicked card already
  * identifies which appointment, so there is no picker step — the menu opens
- * directly on Edit/Delete for that card.
+ * directly on that card's actions.
  */
-const CalendarContextMenu = ({ position, appointment, onClose, onDelete }: CalendarContextMenuProps) => {
+const CalendarContextMenu = ({ position, appointment, onClose, onDelete, onSetConfirmation }: CalendarContextMenuProps) => {
     const menuRef = useRef<HTMLDivElement>(null);
     const navigate = useNavigate();
 
@@ -68,6 +71,18 @@ const CalendarContextMenu = ({ position, appointment, onClose, onDelete }: Calen
         onClose();
     };
 
+    const handleConfirmation = (e: SyntheticEvent<HTMLDivElement>, status: ConfirmationStatus | null) => {
+        e.stopPropagation();
+        onSetConfirmation(appointment, status);
+        onClose();
+    };
+
+    const confirmationItems: Array<[ConfirmationStatus | null, string, string]> = [
+        ['confirmed', 'fa-check-circle', 'Mark Confirmed'],
+        ['reschedule_requested', 'fa-calendar-times', 'Mark Reschedule Requested'],
+        [null, 'fa-undo', 'Clear Confirmation']
+    ];
+
     return (
         <div
             ref={menuRef}
@@ -88,6 +103,22 @@ const CalendarContextMenu = ({ position, appointment, onClose, onDelete }: Calen
                 <span>Edit Appointment</span>
             </div>
             <div className="context-menu-divider"></div>
+            {confirmationItems
+                .filter(([status]) => status !== (appointment.confirmationStatus ?? null))
+                .map(([status, icon, label]) => (
+                    <div
+                        key={label}
+                        className="context-menu-item"
+                        role="menuitem"
+                        tabIndex={0}
+                        onClick={(e) => handleConfirmation(e, status)}
+                        onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); handleConfirmation(e, status); } }}
+                    >
+                        <i className={`fas ${icon}`}></i>
+                        <span>{label}</span>
+                    </div>
+                ))}
+            <div className="context-menu-divider"></div>
             <div
                 className="context-menu-item context-menu-item-danger"
                 role="menuitem"
@@ -12,6 +12,7 @@ import { useEffect } from 'react';
 import type { Dispatch, DragEvent, MouseEvent, Ref, SetStateAction } from 'react';
 import { to12Hour, formatTime12 } from '../../utils/formatters';
 import { parseLocalDate } from '../../utils/calendarDate';
+import ConfirmationMark from './appointments/ConfirmationMark';
 import type {
     CalendarDay,
     CalendarData,
@@ -323,7 +324,10 @@ const CalendarGrid = ({
                     appt.appDetail ? `\n${appt.appDetail}` : ''
                 }`}
             >
-                <div className="cal-name">{appt.patientName || 'Scheduled'}</div>
+                <div className="cal-name">
+                    <ConfirmationMark status={appt.confirmationStatus} />
+                    {appt.patientName || 'Scheduled'}
+                </div>
                 {appt.appDetail && <div className="cal-proc">{appt.appDetail}</div>}
             </div>
         );
@@ -453,6 +457,7 @@ const CalendarGrid = ({
                                 }}
                             >
                                 <div className="cal-popover-name">
+                                    <ConfirmationMark status={appt.confirmationStatus} />
                                     {appt.patientName || 'Scheduled'}
                                 </div>
                                 {appt.appDetail && (
@@ -6,6 +6,7 @@
  */
 
 import DoctorFilter from './DoctorFilter';
+import type { NoShowRate } from '@shared/contracts/calendar.contract';
 
 type ViewMode = 'day' | 'week' | 'month';
 
@@ -25,6 +26,9 @@ interface CalendarHeaderProps {
     viewMode: ViewMode;
     onViewModeChange: (mode: ViewMode) => void;
     calendarStats: CalendarStats | null;
+    /* Trailing no-show rate per doctor × weekday (highest first) — the chip
+       flags the worst combo as a candidate for overbooking. */
+    noShowRates: NoShowRate[];
     loading: boolean;
     selectedDoctorId: number | null;
     onDoctorChange: (doctorId: number | null) => void;
@@ -41,6 +45,13 @@ interface CalendarHeaderProps {
     onZoomFit: () => void;
 }
 
+// Below this rate a doctor/weekday isn't worth overbooking — no chip.
+const OVERBOOK_RATE = 15;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const describeRate = (r: NoShowRate): string =>
+    `${r.doctor_name ?? 'No doctor'} · ${WEEKDAYS[r.weekday]}: ${r.rate}% (${r.noShows}/${r.total})`;
+
 const viewModes: Array<[ViewMode, string]> = [
     ['day', 'Day'],
     ['week', 'Week'],
@@ -56,6 +67,7 @@ const CalendarHeader = ({
     viewMode,
     onViewModeChange,
     calendarStats,
+    noShowRates,
     loading,
     selectedDoctorId,
     onDoctorChange,
@@ -69,6 +81,9 @@ const CalendarHeader = ({
     onZoomFit
 }: CalendarHeaderProps) => {
     const utilization = calendarStats?.utilizationPercent ?? 0;
+    const riskyRates = noShowRates.filter(r =>
+        r.rate >= OVERBOOK_RATE && (selectedDoctorId === null || r.dr_id === selectedDoctorId)
+    );
 
     return (
         <header className="cal-bar">
@@ -130,6 +145,15 @@ const CalendarHeader = ({
                     </div>
                 )}
 
+                {riskyRates.length > 0 && (
+                    <span
+                        className="cal-noshow"
+                        title={`High no-show slots (last 180 days) — consider overbooking:\n${riskyRates.slice(0, 5).map(describeRate).join('\n')}`}
+                    >
+                        ⚠ {riskyRates[0].doctor_name ?? 'No doctor'} {WEEKDAYS[riskyRates[0].weekday].slice(0, 3)} {riskyRates[0].rate}% no-show
+                    </span>
+                )}
+
                 <div className="cal-divider" />
 
                 <div
@@ -0,0 +1,320 @@
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useToast } from '../../contexts/ToastContext';
+import { useConfirm } from '../../contexts/ConfirmContext';
+import { useApiMutation } from '@/query/useApiMutation';
+import { cephNormsQuery } from '@/query/queries';
+import { qk } from '@/query/keys';
+import { deleteJSON, httpErrorMessage, postJSON, putJSON } from '@/core/http';
+import { CEPH_MEASURES, cephLabel, formatCephNumber } from '@shared/cephalometrics';
+import {
+    NORM_SEXES,
+    type CephMeasureKey,
+    type CephNorm,
+    type CephNormBody,
+    type NormSex,
+} from '@shared/contracts/cephalometric.contract';
+import styles from './CephNormsSettings.module.css';
+
+/**
+ * Settings tab: cephalometric norms.
+ *
+ * Each norm is a mean and standard deviation for one measurement, optionally only
+ * for one sex and an age band (from age, up to but not including age). The
+ * Diagnosis page and the diagnosis report use the most specific norm that fits
+ * the patient — a sex-specific one over an any-sex one, a banded one over an
+ * open one — and flag values more than 1 SD from the mean. Measurements without
+ * a norm are saved but not classified.
+ */
+
+interface CephNormsSettingsProps {
+    onChangesUpdate?: (hasChanges: boolean) => void;
+}
+
+const SEX_LABELS: Record<NormSex, string> = { M: 'Male', F: 'Female' };
+
+interface Draft {
+    measure: CephMeasureKey;
+    sex: NormSex | '';
+    age_min: string;
+    age_max: string;
+    mean: string;
+    sd: string;
+    source: string;
+}
+
+/** The row being edited: an existing norm, or a new one (normId null). */
+interface Editing {
+    normId: number | null;
+    draft: Draft;
+    saved: Draft;
+}
+
+const toDraft = (n: CephNorm | null): Draft =>
+    n
+        ? {
+            measure: n.measure,
+            sex: n.sex ?? '',
+            age_min: n.age_min === null ? '' : String(n.age_min),
+            age_max: n.age_max === null ? '' : String(n.age_max),
+            mean: String(n.mean),
+            sd: String(n.sd),
+            source: n.source ?? '',
+        }
+        : { measure: 'sna', sex: '', age_min: '', age_max: '', mean: '', sd: '', source: '' };
+
+const optionalAge = (v: string): number | null => (v.trim() === '' ? null : Number(v));
+
+const toBody = (d: Draft): CephNormBody => ({
+    measure: d.measure,
+    sex: d.sex || null,
+    age_min: optionalAge(d.age_min),
+    age_max: optionalAge(d.age_max),
+    mean: Number(d.mean),
+    sd: Number(d.sd),
+    source: d.source.trim() || null,
+});
+
+const draftProblem = (d: Draft): string | null => {
+    const ageMin = optionalAge(d.age_min);
+    const ageMax = optionalAge(d.age_max);
+    if (d.mean.trim() === '' || !Number.isFinite(Number(d.mean))) return 'Enter the mean';
+    if (!(Number(d.sd) > 0)) return 'The standard deviation must be above 0';
+    if ([ageMin, ageMax].some((a) => a !== null && (!Number.isInteger(a) || a < 0 || a > 120))) {
+        return 'Ages are whole years from 0 to 120';
+    }
+    if (ageMin !== null && ageMax !== null && ageMax <= ageMin) return '"Under age" must be above "From age"';
+    return null;
+};
+
+const ageBand = (n: CephNorm): string => {
+    if (n.age_min === null && n.age_max === null) return 'Any age';
+    if (n.age_min === null) return `Under ${n.age_max}`;
+    if (n.age_max === null) return `${n.age_min}+`;
+    return `${n.age_min}–${n.age_max - 1}`;
+};
+
+const CephNormsSettings = ({ onChangesUpdate }: CephNormsSettingsProps) => {
+    const toast = useToast();
+    const confirm = useConfirm();
+    const { data, isLoading, error } = useQuery(cephNormsQuery());
+    const norms = data ?? [];
+
+    const [editing, setEditing] = useState<Editing | null>(null);
+    const dirty = !!editing && JSON.stringify(editing.draft) !== JSON.stringify(editing.saved);
+    const problem = editing ? draftProblem(editing.draft) : null;
+
+    useEffect(() => {
+        onChangesUpdate?.(dirty);
+    }, [dirty, onChangesUpdate]);
+
+    const invalidate = () => [qk.settings.cephNorms()];
+
+    const saveNorm = useApiMutation<CephNorm, Editing>({
+        mutationFn: (e) => {
+            const body = toBody(e.draft);
+            return e.normId === null
+                ? postJSON<CephNorm, CephNormBody>('/api/ceph-norms', body)
+                : putJSON<CephNorm, CephNormBody>(`/api/ceph-norms/${e.normId}`, body);
+        },
+        invalidate,
+    });
+
+    const deleteNorm = useApiMutation<unknown, number>({
+        mutationFn: (id) => deleteJSON(`/api/ceph-norms/${id}`),
+        invalidate,
+    });
+
+    const startEditing = async (n: CephNorm | null): Promise<void> => {
+        if (dirty && !(await confirm('Discard the unsaved changes to this norm?', {
+            title: 'Unsaved Changes',
+            confirmText: 'Discard',
+        }))) {
+            return;
+        }
+        const draft = toDraft(n);
+        setEditing({ normId: n?.norm_id ?? null, draft, saved: draft });
+    };
+
+    const setDraft = (patch: Partial<Draft>): void => {
+        setEditing((e) => (e ? { ...e, draft: { ...e.draft, ...patch } } : e));
+    };
+
+    const handleSave = async (): Promise<void> => {
+        if (!editing || problem) return;
+        try {
+            const result = await saveNorm.mutateAsync(editing);
+            setEditing(null);
+            toast.success(`${cephLabel(result.measure)} norm saved`);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to save the norm'));
+        }
+    };
+
+    const handleDelete = async (n: CephNorm): Promise<void> => {
+        if (!(await confirm(`Delete the ${cephLabel(n.measure)} norm (${SEX_LABELS[n.sex as NormSex] ?? 'any sex'}, ${ageBand(n).toLowerCase()})?`, {
+            title: 'Delete Norm',
+            danger: true,
+            confirmText: 'Delete',
+        }))) {
+            return;
+        }
+        try {
+            await deleteNorm.mutateAsync(n.norm_id);
+            if (editing?.normId === n.norm_id) setEditing(null);
+            toast.success('Norm deleted');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to delete the norm'));
+        }
+    };
+
+    const withoutNorm = CEPH_MEASURES.filter((m) => !norms.some((n) => n.measure === m.key));
+
+    const editRow = (e: Editing) => (
+        <tr key={e.normId ?? 'new'} className={styles.editRow}>
+            <td>
+                <select
+                    value={e.draft.measure}
+                    onChange={(ev) => setDraft({ measure: ev.target.value as CephMeasureKey })}
+                    aria-label="Measurement"
+                >
+                    {CEPH_MEASURES.map((m) => (
+                        <option key={m.key} value={m.key}>{cephLabel(m.key)}</option>
+                    ))}
+                </select>
+            </td>
+            <td>
+                <select value={e.draft.sex} onChange={(ev) => setDraft({ sex: ev.target.value as NormSex | '' })} aria-label="Sex">
+                    <option value="">Any</option>
+                    {NORM_SEXES.map((s) => (
+                        <option key={s} value={s}>{SEX_LABELS[s]}</option>
+                    ))}
+                </select>
+            </td>
+            <td className={styles.ages}>
+                <input
+                    type="number"
+                    min={0}
+                    max={120}
+                    value={e.draft.age_min}
+                    onChange={(ev) => setDraft({ age_min: ev.target.value })}
+                    placeholder="From"
+                    aria-label="From age"
+                />
+                <input
+                    type="number"
+                    min={0}
+                    max={120}
+                    value={e.draft.age_max}
+                    onChange={(ev) => setDraft({ age_max: ev.target.value })}
+                    placeholder="Under"
+                    aria-label="Under age"
+                />
+            </td>
+            <td>
+                <input type="number" step="0.1" value={e.draft.mean} onChange={(ev) => setDraft({ mean: ev.target.value })} aria-label="Mean" />
+            </td>
+            <td>
+                <input type="number" step="0.1" min={0} value={e.draft.sd} onChange={(ev) => setDraft({ sd: ev.target.value })} aria-label="Standard deviation" />
+            </td>
+            <td>
+                <input
+                    type="text"
+                    maxLength={100}
+                    value={e.draft.source}
+                    onChange={(ev) => setDraft({ source: ev.target.value })}
+                    placeholder="e.g. Steiner"
+                    aria-label="Source"
+                />
+            </td>
+            <td className={styles.rowActions}>
+                <button type="button" onClick={handleSave} disabled={!!problem || saveNorm.isPending} title={problem ?? 'Save'}>
+                    <i className="fas fa-check"></i>
+                </button>
+                <button type="button" onClick={() => setEditing(null)} title="Cancel">
+                    <i className="fas fa-times"></i>
+                </button>
+            </td>
+        </tr>
+    );
+
+    if (isLoading) {
+        return (
+            <div className={styles.container}>
+                <p className={styles.hint}>Loading…</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.header}>
+                <h3 className={styles.title}>
+                    <i className="fas fa-ruler-combined"></i>
+                    Cephalometric Norms
+                </h3>
+                <p className={styles.description}>
+                    The mean and standard deviation each cephalometric measurement is judged against on the Diagnosis
+                    page and the diagnosis report. A norm can be limited to one sex and an age band; the most specific
+                    one that fits the patient is used, and values more than 1 SD from the mean are flagged.
+                </p>
+            </div>
+
+            {error && <p className={styles.warning}>{httpErrorMessage(error, 'Failed to load the norms')}</p>}
+
+            <table className={styles.norms}>
+                <thead>
+                    <tr>
+                        <th>Measurement</th>
+                        <th>Sex</th>
+                        <th>Age</th>
+                        <th>Mean</th>
+                        <th>SD</th>
+                        <th>Source</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {norms.map((n) =>
+                        editing?.normId === n.norm_id ? (
+                            editRow(editing)
+                        ) : (
+                            <tr key={n.norm_id}>
+                                <td>{cephLabel(n.measure)}</td>
+                                <td>{n.sex ? SEX_LABELS[n.sex] : 'Any'}</td>
+                                <td>{ageBand(n)}</td>
+                                <td className={styles.number}>{formatCephNumber(n.mean)}</td>
+                                <td className={styles.number}>±{formatCephNumber(n.sd)}</td>
+                                <td className={styles.source}>{n.source ?? ''}</td>
+                                <td className={styles.rowActions}>
+                                    <button type="button" onClick={() => startEditing(n)} title="Edit">
+                                        <i className="fas fa-pen"></i>
+                                    </button>
+                                    <button type="button" onClick={() => handleDelete(n)} disabled={deleteNorm.isPending} title="Delete">
+                                        <i className="fas fa-trash"></i>
+                                    </button>
+                                </td>
+                            </tr>
+                        )
+                    )}
+                    {editing?.normId === null && editRow(editing)}
+                </tbody>
+            </table>
+
+            {editing && problem && dirty && <p className={styles.hint}>{problem}.</p>}
+
+            <div className={styles.actions}>
+                <button type="button" className="btn btn-secondary" onClick={() => startEditing(null)} disabled={editing?.normId === null}>
+                    <i className="fas fa-plus"></i> Add norm
+                </button>
+                {withoutNorm.length > 0 && (
+                    <p className={styles.hint}>
+                        No norm yet (not classified): {withoutNorm.map((m) => cephLabel(m.key)).join(', ')}.
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CephNormsSettings;
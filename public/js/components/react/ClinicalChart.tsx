@@ -0,0 +1,407 @@
+/**
+ * ClinicalChart - the patient's odontogram
+ *
+ * Dated findings per tooth and surface, drawn on DentalChart. The chart can be
+ * viewed as it stood on any of its versions (the dates findings were charted or
+ * resolved, usually visits) and compared start-vs-then, with the teeth that
+ * changed outlined. Clicking a tooth opens its history and the form to chart a
+ * new finding; a finding that has gone away is resolved rather than deleted, so
+ * earlier versions keep it.
+ */
+
+import { useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import cn from 'classnames';
+import { deleteJSON, httpErrorMessage, postJSON, putJSON } from '@/core/http';
+import { qk } from '@/query/keys';
+import { patientToothFindingsQuery, teethQuery } from '@/query/queries';
+import { useApiMutation } from '@/query/useApiMutation';
+import { FINDING_KIND_LABELS, chartAt, isOpenOn } from '@shared/tooth-findings';
+import {
+    FINDING_KINDS,
+    TOOTH_SURFACES,
+    type CreateFindingBody,
+    type FindingKind,
+    type ToothFinding,
+    type UpdateFindingBody,
+} from '@shared/contracts/tooth-finding.contract';
+import { formatDate, formatISODate } from '../../core/utils';
+import { useToast } from '../../contexts/ToastContext';
+import { useConfirm } from '../../contexts/ConfirmContext';
+import DentalChart from './DentalChart';
+import styles from './ClinicalChart.module.css';
+
+interface ClinicalChartProps {
+    personId?: number | null;
+}
+
+const KIND_CLASS: Record<FindingKind, string> = {
+    caries: styles.caries,
+    missing: styles.missing,
+    impacted: styles.impacted,
+    restoration: styles.restoration,
+    bracket: styles.bracket,
+    band: styles.band,
+    bond_failure: styles.bondFailure,
+};
+
+interface FindingDraft {
+    kind: FindingKind;
+    surfaces: string;
+    detail: string;
+    note: string;
+    recorded_on: string;
+}
+
+const emptyDraft = (): FindingDraft => ({
+    kind: 'caries',
+    surfaces: '',
+    detail: '',
+    note: '',
+    recorded_on: formatISODate(),
+});
+
+/** A tooth's open findings as a comparable key ('caries:MO|restoration:D'). */
+const toothState = (findings: ToothFinding[]): string =>
+    findings
+        .map((f) => `${f.kind}:${f.surfaces ?? ''}`)
+        .sort()
+        .join('|');
+
+const byTooth = (findings: ToothFinding[]): Map<string, ToothFinding[]> => {
+    const map = new Map<string, ToothFinding[]>();
+    for (const f of findings) {
+        const list = map.get(f.tooth_code) ?? [];
+        list.push(f);
+        map.set(f.tooth_code, list);
+    }
+    return map;
+};
+
+const describe = (f: ToothFinding): string =>
+    [FINDING_KIND_LABELS[f.kind], f.surfaces, f.detail].filter(Boolean).join(' · ');
+
+const ClinicalChart = ({ personId }: ClinicalChartProps) => {
+    const toast = useToast();
+    const confirm = useConfirm();
+    const { data, isLoading, error } = useQuery({
+        ...patientToothFindingsQuery(personId ?? 0),
+        enabled: !!personId,
+    });
+    const { data: teethData } = useQuery(teethQuery());
+
+    // '' = today.
+    const [asOf, setAsOf] = useState('');
+    const [compare, setCompare] = useState(false);
+    const [selectedCode, setSelectedCode] = useState<string | null>(null);
+    const [draft, setDraft] = useState<FindingDraft>(emptyDraft);
+
+    const findings = useMemo(() => data?.findings ?? [], [data]);
+    const versions = data?.versions ?? [];
+    const teeth = teethData?.teeth ?? [];
+    const today = formatISODate();
+    const date = asOf || today;
+    const startDate = versions[0]?.date ?? null;
+
+    const open = useMemo(() => byTooth(chartAt(findings, date)), [findings, date]);
+    const atStart = useMemo(
+        () => (startDate ? byTooth(chartAt(findings, startDate)) : new Map<string, ToothFinding[]>()),
+        [findings, startDate]
+    );
+    const changed = useMemo(() => {
+        const codes = new Set<string>();
+        if (!compare) return codes;
+        for (const code of new Set([...open.keys(), ...atStart.keys()])) {
+            if (toothState(open.get(code) ?? []) !== toothState(atStart.get(code) ?? [])) codes.add(code);
+        }
+        return codes;
+    }, [compare, open, atStart]);
+
+    const selectedTooth = teeth.find((t) => t.tooth_code === selectedCode) ?? null;
+    const history = findings
+        .filter((f) => f.tooth_code === selectedCode)
+        .sort((a, b) => b.recorded_on.localeCompare(a.recorded_on) || b.finding_id - a.finding_id);
+    // Findings on teeth the chart doesn't draw (deciduous), open on the date.
+    const offChart = [...open.entries()].filter(([code]) => !teeth.some((t) => t.tooth_code === code && t.is_permanent));
+
+    const invalidate = () => [qk.patient.toothFindings(personId ?? 0)];
+    const create = useApiMutation<ToothFinding, CreateFindingBody>({
+        mutationFn: (body) => postJSON<ToothFinding, CreateFindingBody>(`/api/patients/${personId}/tooth-findings`, body),
+        invalidate,
+    });
+    const update = useApiMutation<ToothFinding, { id: number; body: UpdateFindingBody }>({
+        mutationFn: ({ id, body }) => putJSON<ToothFinding, UpdateFindingBody>(`/api/tooth-findings/${id}`, body),
+        invalidate,
+    });
+    const remove = useApiMutation<unknown, number>({
+        mutationFn: (id) => deleteJSON(`/api/tooth-findings/${id}`),
+        invalidate,
+    });
+    const busy = create.isPending || update.isPending || remove.isPending;
+
+    const toggleSurface = (surface: string): void => {
+        setDraft((d) => ({
+            ...d,
+            surfaces: d.surfaces.includes(surface) ? d.surfaces.replace(surface, '') : d.surfaces + surface,
+        }));
+    };
+
+    const handleAdd = async (): Promise<void> => {
+        if (!selectedTooth) return;
+        try {
+            await create.mutateAsync({
+                tooth_id: selectedTooth.id,
+                kind: draft.kind,
+                surfaces: draft.surfaces || null,
+                detail: draft.detail || null,
+                note: draft.note || null,
+                recorded_on: draft.recorded_on || undefined,
+            });
+            setDraft(emptyDraft());
+            toast.success('Finding recorded');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to record the finding'));
+        }
+    };
+
+    const setResolved = async (f: ToothFinding, resolvedOn: string | null): Promise<void> => {
+        try {
+            await update.mutateAsync({
+                id: f.finding_id,
+                body: {
+                    tooth_id: f.tooth_id,
+                    kind: f.kind,
+                    surfaces: f.surfaces,
+                    detail: f.detail,
+                    note: f.note,
+                    recorded_on: f.recorded_on,
+                    resolved_on: resolvedOn,
+                },
+            });
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to update the finding'));
+        }
+    };
+
+    const handleDelete = async (f: ToothFinding): Promise<void> => {
+        if (!(await confirm(`Delete "${describe(f)}" on ${f.tooth_code}? Resolve it instead if it has gone away.`, {
+            title: 'Delete Finding',
+            danger: true,
+            confirmText: 'Delete',
+        }))) {
+            return;
+        }
+        try {
+            await remove.mutateAsync(f.finding_id);
+            toast.success('Finding deleted');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to delete the finding'));
+        }
+    };
+
+    const renderMarks = (code: string) => {
+        const kinds = [...new Set((open.get(code) ?? []).map((f) => f.kind))];
+        if (kinds.length === 0) return null;
+        return (
+            <span className={styles.marks}>
+                {kinds.map((k) => (
+                    <span key={k} className={cn(styles.dot, KIND_CLASS[k])} title={FINDING_KIND_LABELS[k]} />
+                ))}
+            </span>
+        );
+    };
+
+    const toothClassName = (code: string): string | undefined =>
+        cn(
+            open.get(code)?.some((f) => f.kind === 'missing') && styles.toothMissing,
+            changed.has(code) && styles.toothChanged
+        ) || undefined;
+
+    if (!personId) return null;
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.header}>
+                <h2>
+                    <i className="fas fa-tooth"></i> Dental Chart
+                </h2>
+                <p>Findings per tooth and surface, dated by visit. Pick a version to see the chart as it stood then.</p>
+            </div>
+
+            {error && <div className={styles.error}>{httpErrorMessage(error, 'Failed to load the chart')}</div>}
+
+            <div className={styles.toolbar}>
+                <label>
+                    Chart as of{' '}
+                    <select value={asOf} onChange={(e) => setAsOf(e.target.value)} disabled={isLoading}>
+                        <option value="">Today</option>
+                        {[...versions].reverse().map((v) => (
+                            <option key={v.date} value={v.date}>
+                                {formatDate(v.date)}
+                                {v.visit_id ? ' (visit)' : ''}
+                                {v.added ? ` +${v.added}` : ''}
+                                {v.resolved ? ` −${v.resolved}` : ''}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className={styles.checkbox}>
+                    <input
+                        type="checkbox"
+                        checked={compare}
+                        onChange={(e) => setCompare(e.target.checked)}
+                        disabled={!startDate}
+                    />
+                    Compare with the start{startDate ? ` (${formatDate(startDate)})` : ''}
+                </label>
+                {compare && <span className={styles.hint}>{changed.size} tooth/teeth changed</span>}
+            </div>
+
+            <DentalChart
+                onToothClick={setSelectedCode}
+                renderMarks={renderMarks}
+                toothClassName={toothClassName}
+                selected={selectedCode}
+                showBetween={false}
+            />
+
+            <div className={styles.legend}>
+                {FINDING_KINDS.map((k) => (
+                    <span key={k} className={styles.legendItem}>
+                        <span className={cn(styles.dot, KIND_CLASS[k])} /> {FINDING_KIND_LABELS[k]}
+                    </span>
+                ))}
+            </div>
+
+            {offChart.length > 0 && (
+                <div className={styles.offChart}>
+                    <strong>Other teeth:</strong>
+                    {offChart.map(([code, list]) => (
+                        <button key={code} type="button" className={styles.chip} onClick={() => setSelectedCode(code)}>
+                            {code}: {list.map((f) => FINDING_KIND_LABELS[f.kind]).join(', ')}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div className={styles.panel}>
+                <label className={styles.field}>
+                    Tooth
+                    <select value={selectedCode ?? ''} onChange={(e) => setSelectedCode(e.target.value || null)}>
+                        <option value="">Select a tooth…</option>
+                        {teeth.map((t) => (
+                            <option key={t.id} value={t.tooth_code}>
+                                {t.tooth_code} — {t.tooth_name}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+
+                {selectedTooth && (
+                    <>
+                        {history.length === 0 ? (
+                            <p className={styles.hint}>No findings charted on {selectedTooth.tooth_code}.</p>
+                        ) : (
+                            <ul className={styles.history}>
+                                {history.map((f) => (
+                                    <li key={f.finding_id} className={cn(!isOpenOn(f, date) && styles.closed)}>
+                                        <span className={cn(styles.dot, KIND_CLASS[f.kind])} />
+                                        <span className={styles.findingText}>
+                                            {describe(f)}
+                                            {f.note && <span className={styles.note}> — {f.note}</span>}
+                                        </span>
+                                        <span className={styles.dates}>
+                                            {formatDate(f.recorded_on)}
+                                            {f.resolved_on && ` → ${formatDate(f.resolved_on)}`}
+                                            {f.work_item_id && ` · item #${f.work_item_id}`}
+                                        </span>
+                                        <span className={styles.rowActions}>
+                                            {f.resolved_on ? (
+                                                <button type="button" onClick={() => setResolved(f, null)} disabled={busy}>
+                                                    Reopen
+                                                </button>
+                                            ) : (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setResolved(f, today < f.recorded_on ? f.recorded_on : today)}
+                                                    disabled={busy}
+                                                >
+                                                    Resolve
+                                                </button>
+                                            )}
+                                            <button type="button" onClick={() => handleDelete(f)} disabled={busy} title="Delete">
+                                                <i className="fas fa-trash"></i>
+                                            </button>
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
+                        <div className={styles.form}>
+                            <label className={styles.field}>
+                                Finding
+                                <select
+                                    value={draft.kind}
+                                    onChange={(e) => setDraft({ ...draft, kind: e.target.value as FindingKind })}
+                                >
+                                    {FINDING_KINDS.map((k) => (
+                                        <option key={k} value={k}>{FINDING_KIND_LABELS[k]}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <div className={styles.field}>
+                                Surfaces
+                                <div className={styles.surfaces}>
+                                    {TOOTH_SURFACES.map((s) => (
+                                        <button
+                                            key={s}
+                                            type="button"
+                                            className={cn(styles.surface, draft.surfaces.includes(s) && styles.surfaceOn)}
+                                            aria-pressed={draft.surfaces.includes(s)}
+                                            onClick={() => toggleSurface(s)}
+                                        >
+                                            {s}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                            <label className={styles.field}>
+                                Detail
+                                <input
+                                    type="text"
+                                    value={draft.detail}
+                                    maxLength={200}
+                                    placeholder="e.g. composite, MBT .022"
+                                    onChange={(e) => setDraft({ ...draft, detail: e.target.value })}
+                                />
+                            </label>
+                            <label className={styles.field}>
+                                Date
+                                <input
+                                    type="date"
+                                    value={draft.recorded_on}
+                                    onChange={(e) => setDraft({ ...draft, recorded_on: e.target.value })}
+                                />
+                            </label>
+                            <label className={cn(styles.field, styles.wide)}>
+                                Note
+                                <input
+                                    type="text"
+                                    value={draft.note}
+                                    maxLength={1000}
+                                    onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+                                />
+                            </label>
+                            <button type="button" className="btn btn-primary" onClick={handleAdd} disabled={busy}>
+                                <i className="fas fa-plus"></i> Add to {selectedTooth.tooth_code}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ClinicalChart;
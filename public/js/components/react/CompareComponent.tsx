@@ -6,6 +6,7 @@
  *   - ComparisonEngine (imperative canvas controller, read via snapshot)
  *   - CompareStage (dark lightbox: canvas, overlay, toolbar, slideshow chrome)
  *   - SelectionPanel / ControlsPanel (workflow rail)
+ *   - CollageModal (server-rendered, landmark-aligned before/after collage)
  *   - useCompareShare / useSlideshow
  */
 
@@ -25,6 +26,7 @@ import { useSlideshow } from './compare/useSlideshow';
 import CompareStage from './compare/CompareStage';
 import ControlsPanel from './compare/ControlsPanel';
 import SelectionPanel from './compare/SelectionPanel';
+import CollageModal from './compare/CollageModal';
 import styles from './CompareComponent.module.css';
 
 interface Props {
@@ -36,6 +38,7 @@ const CompareComponent = ({ personId }: Props) => {
     const [selectedTimepoints, setSelectedTimepoints] = useState<number[]>([]);
     const [selectedPhotoType, setSelectedPhotoType] = useState('');
     const [canvasSizeMode, setCanvasSizeMode] = useState('auto');
+    const [collageOpen, setCollageOpen] = useState(false);
 
     const { engine, snap, canvasRef, canvasEl } = useComparisonEngine();
     const stageRef = useRef<HTMLDivElement>(null);
@@ -276,6 +279,15 @@ const CompareComponent = ({ personId }: Props) => {
                         </React.Fragment>
                     ))}
                 </div>
+                <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => setCollageOpen(true)}
+                    disabled={!personId || timepoints.length === 0}
+                    title="Aligned before/after collage of several views and timepoints"
+                >
+                    <i className="fas fa-th-large" /> Collage
+                </button>
             </div>
 
             <div className={styles.layout}>
@@ -327,6 +339,16 @@ const CompareComponent = ({ personId }: Props) => {
                 sources={share.shareSources ?? []}
                 onClose={share.closeShareSheet}
             />
+
+            {personId && (
+                <CollageModal
+                    open={collageOpen}
+                    onClose={() => setCollageOpen(false)}
+                    personId={personId}
+                    timepoints={timepoints}
+                    initialTimepoints={selectedTimepoints}
+                />
+            )}
         </div>
     );
 };
@@ -47,6 +47,7 @@ const FileExplorer = lazyPage(['files'], () => import('./files/FileExplorer'));
 const WorkingFilesView = lazyPage(['working-files'], () => import('./files/WorkingFilesView'));
 const VisitsComponent = lazyPage(['visits'], () => import('./VisitsComponent'));
 const NewVisitComponent = lazyPage(['new-visit'], () => import('./NewVisitComponent'));
+const TreatmentTimeline = lazyPage(['timeline'], () => import('./TreatmentTimeline'));
 const CompareComponent = lazyPage(['compare'], () => import('./CompareComponent'));
 const PatientSlideshow = lazyPage(['slideshow'], () => import('./slideshow/PatientSlideshow'));
 const AppointmentForm = lazyPage(['new-appointment'], () => import('./AppointmentForm'));
@@ -56,6 +57,8 @@ const NewWorkComponent = lazyPage(['new-work'], () => import('./NewWorkComponent
 const EditPatientComponent = lazyPage(['edit-patient'], () => import('./EditPatientComponent'));
 const ViewPatientInfo = lazyPage(['patient-info'], () => import('./ViewPatientInfo'));
 const PatientAppointments = lazyPage(['appointments'], () => import('./PatientAppointments'));
+const PatientHistory = lazyPage(['history'], () => import('./PatientHistory'));
+const ClinicalChart = lazyPage(['chart'], () => import('./ClinicalChart'));
 const AddPatientForm = lazyPage(['add'], () => import('./AddPatientForm'));
 const Diagnosis = lazyPage(['work', 'diagnosis'], () => import('../../pages/Diagnosis'));
 // react-easy-crop rides this chunk, so it stays out of the bundle until edit.
@@ -156,6 +159,15 @@ const ContentRenderer = ({ personId, page = 'photos', params = {}, isNewPatient:
                     />
                 );
 
+            case 'timeline':
+                // Per-work treatment timeline (wire sequence, gaps, progress vs plan)
+                return (
+                    <TreatmentTimeline
+                        workId={workId ? parseInt(workId) : null}
+                        personId={personId}
+                    />
+                );
+
             case 'new-visit':
                 // New visit form - clean component directly related to parent work
                 return (
@@ -166,6 +178,10 @@ const ContentRenderer = ({ personId, page = 'photos', params = {}, isNewPatient:
                             // Navigate back to works page after save
                             if (personId) navigate(`/patient/${personId}/works`);
                         }}
+                        onBookNext={(date) => {
+                            // Saved with "book the next appointment" ticked — open the booking form on the protocol's date
+                            if (personId) navigate(`/patient/${personId}/new-appointment?date=${date}`);
+                        }}
                         onCancel={() => {
                             // Navigate back to works page on cancel
                             if (personId) navigate(`/patient/${personId}/works`);
@@ -243,13 +259,16 @@ const ContentRenderer = ({ personId, page = 'photos', params = {}, isNewPatient:
 
             case 'history':
                 return (
-                    <div className="patient-history">
-                        <div className="coming-soon">
-                            <i className="fas fa-history"></i>
-                            <h3>Patient History</h3>
-                            <p>Patient history view coming soon...</p>
-                        </div>
-                    </div>
+                    <PatientHistory
+                        personId={personId}
+                    />
+                );
+
+            case 'chart':
+                return (
+                    <ClinicalChart
+                        personId={personId}
+                    />
                 );
 
             case 'messages':
@@ -274,6 +293,7 @@ const ContentRenderer = ({ personId, page = 'photos', params = {}, isNewPatient:
                 return (
                     <AppointmentForm
                         personId={personId}
+                        suggestedDate={searchParams.get('date')}
                         onClose={() => {
                             // Go back to previous page
                             navigate(-1);
@@ -16,6 +16,8 @@ interface Invoice {
     iqd_received?: number;
     usd_received?: number;
     change?: number;
+    refund_of_invoice_id?: number | null;
+    refund_reason?: string | null;
 }
 
 interface SelectedDateData {
@@ -30,6 +32,8 @@ interface Totals {
     totalIQD: number;
     totalUSD: number;
     totalChangeIQD: number;
+    refundedIQD: number;
+    refundedUSD: number;
     netIQD: number;
     netUSD: number;
 }
@@ -105,8 +109,16 @@ const DailyInvoicesModal = ({ selectedDate, onClose }: DailyInvoicesModalProps)
         let totalIQD = 0;
         let totalUSD = 0;
         let totalChangeIQD = 0;
+        let refundedIQD = 0;
+        let refundedUSD = 0;
 
         invoices.forEach(invoice => {
+            // Refund rows carry negative cash; keep them out of "received"
+            if (invoice.refund_of_invoice_id) {
+                refundedIQD -= invoice.iqd_received || 0;
+                refundedUSD -= invoice.usd_received || 0;
+                return;
+            }
             // Sum ALL IQD and USD received regardless of treatment currency
             totalIQD += invoice.iqd_received || 0;
             totalUSD += invoice.usd_received || 0;
@@ -117,8 +129,10 @@ const DailyInvoicesModal = ({ selectedDate, onClose }: DailyInvoicesModalProps)
             totalIQD,
             totalUSD,
             totalChangeIQD,
-            netIQD: totalIQD - totalChangeIQD,
-            netUSD: totalUSD
+            refundedIQD,
+            refundedUSD,
+            netIQD: totalIQD - totalChangeIQD - refundedIQD,
+            netUSD: totalUSD - refundedUSD
         };
     };
 
@@ -183,6 +197,17 @@ const DailyInvoicesModal = ({ selectedDate, onClose }: DailyInvoicesModalProps)
                                         <span className={styles.label}>Change Given (IQD):</span>
                                         <span className={`${styles.value} ${styles.negative}`}>{formatCurrency(totals.totalChangeIQD, 'IQD')}</span>
                                     </div>
+                                    {(totals.refundedIQD > 0 || totals.refundedUSD > 0) && (
+                                        <div className={styles.summaryItem}>
+                                            <span className={styles.label}>Refunded:</span>
+                                            <span className={`${styles.value} ${styles.negative}`}>
+                                                {[
+                                                    totals.refundedIQD > 0 ? formatCurrency(totals.refundedIQD, 'IQD') : null,
+                                                    totals.refundedUSD > 0 ? formatCurrency(totals.refundedUSD, 'USD') : null,
+                                                ].filter(Boolean).join(' + ')}
+                                            </span>
+                                        </div>
+                                    )}
                                     {selectedDateObj?.ExpensesIQD !== undefined && (
                                         <div className={styles.summaryItem}>
                                             <button
@@ -238,7 +263,14 @@ const DailyInvoicesModal = ({ selectedDate, onClose }: DailyInvoicesModalProps)
                                     <tbody>
                                         {invoices.map((invoice) => (
                                             <tr key={invoice.invoice_id}>
-                                                <td data-label="Invoice #" className={styles.invoiceId}>{invoice.invoice_id}</td>
+                                                <td data-label="Invoice #" className={styles.invoiceId}>
+                                                    {invoice.invoice_id}
+                                                    {invoice.refund_of_invoice_id && (
+                                                        <span className={styles.refundOf} title={invoice.refund_reason ?? undefined}>
+                                                            {' '}(refund of #{invoice.refund_of_invoice_id})
+                                                        </span>
+                                                    )}
+                                                </td>
                                                 <td data-label="Patient Name" className={`${styles.patientName} text-rtl`}>
                                                     {invoice.patient_name}
                                                 </td>
@@ -0,0 +1,280 @@
+import { useState, type ChangeEvent } from 'react';
+import type { BackupSettings, BackupStatus } from '@shared/contracts/backup.contract';
+import {
+    useSaveBackupSettings,
+    useRunBackup,
+    useVerifyBackup,
+    useStartRestoreCheck,
+} from '@/hooks/useDatabaseBackups';
+import { useToast } from '../../contexts/ToastContext';
+import { httpErrorMessage } from '@/core/http';
+import styles from './DatabaseBackupSettings.module.css';
+
+/**
+ * Scheduled backups card + the backups on disk (part of Settings → Database Backup).
+ *
+ * The schedule, directory and retention are saved server-side; the server's own
+ * timer takes the backups (services/database/backup-schedule.ts), so nothing here
+ * needs the tab to stay open. Each file can be re-verified against its checksum or
+ * restore-checked (see DatabaseRestoreCheck). Writes are admin-only server-side; the
+ * controls are disabled for everyone else.
+ */
+
+interface DatabaseBackupScheduleProps {
+    status: BackupStatus;
+    isAdmin: boolean;
+}
+
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+function formatSize(bytes: number): string {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function formatTime(iso: string | null): string {
+    if (!iso) return '—';
+    const d = new Date(iso);
+    return Number.isNaN(d.getTime()) ? iso : d.toLocaleString();
+}
+
+const DatabaseBackupSchedule = ({ status, isAdmin }: DatabaseBackupScheduleProps) => {
+    const toast = useToast();
+    const [draft, setDraft] = useState<BackupSettings>(status.settings);
+    const saveSettings = useSaveBackupSettings();
+    const runBackup = useRunBackup();
+    const verify = useVerifyBackup();
+    const startCheck = useStartRestoreCheck();
+
+    // Re-seed the form when the saved settings change (after a save, or another admin's) —
+    // adjusted during render rather than in an effect.
+    const savedKey = JSON.stringify(status.settings);
+    const [seededKey, setSeededKey] = useState(savedKey);
+    if (seededKey !== savedKey) {
+        setSeededKey(savedKey);
+        setDraft(status.settings);
+    }
+
+    const dirty = JSON.stringify(draft) !== savedKey;
+    const checkRunning = status.restoreCheck?.state === 'running';
+
+    const handleChange = (e: ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+        const { name, value } = e.target;
+        setDraft((prev) => ({
+            ...prev,
+            [name]: name === 'retention' || name === 'nightlyHour' ? Number(value) : value,
+        }));
+    };
+
+    const handleSave = async () => {
+        try {
+            await saveSettings.mutateAsync(draft);
+            toast.success('Backup schedule saved');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to save backup schedule'));
+        }
+    };
+
+    const handleRunNow = async () => {
+        try {
+            await runBackup.mutateAsync();
+            toast.info('Backup started');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to start backup'));
+        }
+    };
+
+    const handleVerify = async (file: string) => {
+        try {
+            const result = await verify.mutateAsync(file);
+            if (result.ok) toast.success(`${file} verified — checksum and archive OK`);
+            else toast.error(`${file} failed verification: ${result.error}`);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to verify backup'));
+        }
+    };
+
+    const handleRestoreCheck = async (file: string) => {
+        try {
+            await startCheck.mutateAsync(file);
+            toast.info('Restore check started — this restores into a scratch database, the live data is untouched');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to start restore check'));
+        }
+    };
+
+    const { lastRun } = status;
+
+    return (
+        <>
+            <div className={styles.card}>
+                <h4 className={styles.cardTitle}>
+                    <i className="fas fa-clock"></i> Scheduled backups
+                </h4>
+
+                <div className={styles.statusRow}>
+                    <span>
+                        Last backup:{' '}
+                        {status.running ? (
+                            <strong><i className="fas fa-spinner fa-spin"></i> running…</strong>
+                        ) : lastRun ? (
+                            <strong className={lastRun.ok ? styles.ok : styles.failed}>
+                                {lastRun.ok ? 'succeeded' : 'failed'} {formatTime(lastRun.finished_at)}
+                                {lastRun.trigger === 'manual' ? ' (manual)' : ''}
+                            </strong>
+                        ) : (
+                            <strong>{status.backups[0] ? formatTime(status.backups[0].created_at) : 'never'}</strong>
+                        )}
+                    </span>
+                    <span>
+                        Next: <strong>{status.settings.schedule === 'off' ? 'not scheduled' : formatTime(status.nextRunAt)}</strong>
+                    </span>
+                </div>
+                {lastRun?.ok === false && lastRun.error && <p className={styles.errorText}>{lastRun.error}</p>}
+
+                <div className={styles.form}>
+                    <label className={styles.field}>
+                        <span>Schedule</span>
+                        <select name="schedule" value={draft.schedule} onChange={handleChange} disabled={!isAdmin}>
+                            <option value="off">Off</option>
+                            <option value="hourly">Every hour</option>
+                            <option value="nightly">Nightly</option>
+                        </select>
+                    </label>
+                    {draft.schedule === 'nightly' && (
+                        <label className={styles.field}>
+                            <span>At</span>
+                            <select name="nightlyHour" value={draft.nightlyHour} onChange={handleChange} disabled={!isAdmin}>
+                                {HOURS.map((h) => (
+                                    <option key={h} value={h}>{`${String(h).padStart(2, '0')}:00`}</option>
+                                ))}
+                            </select>
+                        </label>
+                    )}
+                    <label className={styles.field}>
+                        <span>Keep newest</span>
+                        <input
+                            name="retention"
+                            type="number"
+                            min={1}
+                            max={365}
+                            value={draft.retention}
+                            onChange={handleChange}
+                            disabled={!isAdmin}
+                        />
+                    </label>
+                    <label className={`${styles.field} ${styles.fieldWide}`}>
+                        <span>Directory on the server</span>
+                        <input
+                            name="directory"
+                            type="text"
+                            value={draft.directory}
+                            placeholder={status.defaultDirectory}
+                            onChange={handleChange}
+                            disabled={!isAdmin}
+                        />
+                    </label>
+                </div>
+                <p className={styles.hint}>
+                    Point the directory at a different drive (or a network share) than the database, so a
+                    disk failure can&apos;t take both. Each backup gets a <code>.sha256</code> checksum file
+                    and is verified right after it is written.
+                </p>
+                {status.directoryError && (
+                    <p className={styles.errorText}>Can&apos;t read the backup directory: {status.directoryError}</p>
+                )}
+
+                {isAdmin ? (
+                    <div className={styles.actions}>
+                        <button
+                            type="button"
+                            className="btn btn-primary"
+                            onClick={handleSave}
+                            disabled={!dirty || saveSettings.isPending}
+                        >
+                            {saveSettings.isPending ? 'Saving…' : 'Save schedule'}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={handleRunNow}
+                            disabled={status.running || runBackup.isPending}
+                        >
+                            <i className="fas fa-play"></i> Back up now
+                        </button>
+                    </div>
+                ) : (
+                    <p className={styles.hint}>Only an admin can change the schedule or restore a backup.</p>
+                )}
+            </div>
+
+            <div className={styles.card}>
+                <h4 className={styles.cardTitle}>
+                    <i className="fas fa-archive"></i> Backups on disk ({status.backups.length})
+                </h4>
+                {status.backups.length === 0 ? (
+                    <p className={styles.hint}>No backups in this directory yet.</p>
+                ) : (
+                    <table className={styles.table}>
+                        <thead>
+                            <tr>
+                                <th>File</th>
+                                <th>Taken</th>
+                                <th>Size</th>
+                                <th>Checksum</th>
+                                {isAdmin && <th aria-label="Actions"></th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {status.backups.map((b) => (
+                                <tr key={b.file}>
+                                    <td className={styles.mono}>{b.file}</td>
+                                    <td>{formatTime(b.created_at)}</td>
+                                    <td>{formatSize(b.size)}</td>
+                                    <td>
+                                        {b.verification ? (
+                                            <span
+                                                className={b.verification.ok ? styles.ok : styles.failed}
+                                                title={b.verification.error ?? `Checked ${formatTime(b.verification.checked_at)}`}
+                                            >
+                                                <i className={`fas ${b.verification.ok ? 'fa-check-circle' : 'fa-times-circle'}`}></i>{' '}
+                                                {b.verification.ok ? 'Verified' : 'Failed'}
+                                            </span>
+                                        ) : b.sha256 ? (
+                                            <span className={styles.muted} title={b.sha256}>Not checked yet</span>
+                                        ) : (
+                                            <span className={styles.failed}>Missing</span>
+                                        )}
+                                    </td>
+                                    {isAdmin && (
+                                        <td className={styles.rowActions}>
+                                            <button
+                                                type="button"
+                                                className="btn btn-secondary btn-sm"
+                                                onClick={() => handleVerify(b.file)}
+                                                disabled={verify.isPending}
+                                            >
+                                                Verify
+                                            </button>
+                                            <button
+                                                type="button"
+                                                className="btn btn-secondary btn-sm"
+                                                onClick={() => handleRestoreCheck(b.file)}
+                                                disabled={checkRunning || startCheck.isPending}
+                                            >
+                                                Restore check
+                                            </button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </>
+    );
+};
+
+export default DatabaseBackupSchedule;
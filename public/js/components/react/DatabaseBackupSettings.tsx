@@ -1,11 +1,19 @@
 import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
 import { useToast } from '../../contexts/ToastContext';
+import { authMeQuery } from '@/query/queries';
+import { useBackupStatus } from '@/hooks/useDatabaseBackups';
+import type { UserResponse } from '@/types/api.types';
+import DatabaseBackupSchedule from './DatabaseBackupSchedule';
+import DatabaseRestoreCheck from './DatabaseRestoreCheck';
 import styles from './DatabaseBackupSettings.module.css';
 
 /**
- * Settings tab: download a full backup of this clinic's database.
+ * Settings tab: download a full backup of this clinic's database, plus the server-side
+ * schedule, the backups it has kept and the restore check (DatabaseBackupSchedule,
+ * DatabaseRestoreCheck).
  *
- * Calls GET /api/config/database/backup, which streams a `pg_dump -Fc` custom-format
+ * The download calls GET /api/config/database/backup, which streams a `pg_dump -Fc` custom-format
  * archive. The file is fetched as a blob and saved via a temporary <a download>. Read-only,
  * so it never reports unsaved changes (no Save badge). The UI warns that the downloaded file
  * is unencrypted and contains patient data.
@@ -25,6 +33,10 @@ function filenameFromDisposition(header: string | null): string {
 const DatabaseBackupSettings = ({ onChangesUpdate }: DatabaseBackupSettingsProps) => {
     const toast = useToast();
     const [isBackingUp, setIsBackingUp] = useState(false);
+    const { data: status, error: statusError } = useBackupStatus();
+    const { data: meData } = useQuery(authMeQuery());
+    const me = meData as UserResponse | undefined;
+    const isAdmin = me?.success && me.user ? me.user.role === 'admin' : false;
 
     // Read-only tab: declare no unsaved changes so no Save badge ever shows.
     useEffect(() => {
@@ -109,6 +121,14 @@ const DatabaseBackupSettings = ({ onChangesUpdate }: DatabaseBackupSettingsProps
                     </p>
                 )}
             </div>
+
+            {statusError && (
+                <p className={styles.errorText}>Failed to load backup status: {statusError.message}</p>
+            )}
+            {status && <DatabaseBackupSchedule status={status} isAdmin={isAdmin} />}
+            {status?.restoreCheck && (
+                <DatabaseRestoreCheck check={status.restoreCheck} database={status.database} isAdmin={isAdmin} />
+            )}
         </div>
     );
 };
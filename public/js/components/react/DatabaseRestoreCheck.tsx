@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import type { RestoreCheck } from '@shared/contracts/backup.contract';
+import { useDiscardRestoreCheck, useSwapRestoredDatabase } from '@/hooks/useDatabaseBackups';
+import { useToast } from '../../contexts/ToastContext';
+import { httpErrorMessage } from '@/core/http';
+import ConfirmDialog from './ConfirmDialog';
+import styles from './DatabaseBackupSettings.module.css';
+
+/**
+ * Restore check panel (part of Settings → Database Backup).
+ *
+ * Shows the backup being restored into the scratch database, then the per-table row
+ * counts of live vs. backup with differing tables first. Discard drops the scratch
+ * database; Restore swaps it in as the live database — gated behind typing the live
+ * database name and a final confirm, since everything entered after the backup was
+ * taken leaves the live view (the old database is kept, renamed, on the server).
+ */
+
+interface DatabaseRestoreCheckProps {
+    check: RestoreCheck;
+    database: string;
+    isAdmin: boolean;
+}
+
+function formatCount(n: number | null): string {
+    return n === null ? 'missing' : n.toLocaleString();
+}
+
+const DatabaseRestoreCheck = ({ check, database, isAdmin }: DatabaseRestoreCheckProps) => {
+    const toast = useToast();
+    const [confirmName, setConfirmName] = useState('');
+    const [showConfirm, setShowConfirm] = useState(false);
+    const discard = useDiscardRestoreCheck();
+    const swap = useSwapRestoredDatabase();
+
+    const differing = check.tables.filter((t) => t.diff !== 0);
+    const identical = check.tables.length - differing.length;
+
+    const handleDiscard = async () => {
+        try {
+            await discard.mutateAsync();
+            setConfirmName('');
+            toast.info('Restore check discarded');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to discard restore check'));
+        }
+    };
+
+    const handleSwap = async () => {
+        setShowConfirm(false);
+        try {
+            const result = await swap.mutateAsync({ file: check.file, confirm: confirmName.trim() });
+            toast.success(`${result.message}. Previous data kept as ${result.previousDatabase}.`, 10000);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Restore failed'));
+        }
+    };
+
+    return (
+        <div className={styles.card}>
+            <h4 className={styles.cardTitle}>
+                <i className="fas fa-undo-alt"></i> Restore check — <span className={styles.mono}>{check.file}</span>
+            </h4>
+
+            {check.state === 'running' && (
+                <p className={styles.hint}>
+                    <i className="fas fa-spinner fa-spin"></i> Restoring into the scratch database{' '}
+                    <span className={styles.mono}>{check.scratch_database}</span> and counting rows… The live
+                    database is untouched.
+                </p>
+            )}
+
+            {check.state === 'failed' && (
+                <p className={styles.errorText}>The backup could not be restored: {check.error}</p>
+            )}
+
+            {check.state === 'swapped' && (
+                <p className={styles.hint}>This backup is now the live database. The application is restarting.</p>
+            )}
+
+            {check.state === 'ready' && (
+                <>
+                    <p className={styles.hint}>
+                        {differing.length === 0
+                            ? `All ${check.tables.length} tables hold the same number of rows as the live database.`
+                            : `${differing.length} table(s) differ from the live database; ${identical} identical. ` +
+                              'Restoring loses every row added since the backup (negative differences).'}
+                    </p>
+                    {differing.length > 0 && (
+                        <table className={styles.table}>
+                            <thead>
+                                <tr>
+                                    <th>Table</th>
+                                    <th className={styles.num}>Live</th>
+                                    <th className={styles.num}>Backup</th>
+                                    <th className={styles.num}>Difference</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {differing.map((t) => (
+                                    <tr key={t.table}>
+                                        <td className={styles.mono}>{t.table}</td>
+                                        <td className={styles.num}>{formatCount(t.live)}</td>
+                                        <td className={styles.num}>{formatCount(t.backup)}</td>
+                                        <td className={`${styles.num} ${t.diff < 0 ? styles.failed : styles.ok}`}>
+                                            {t.diff > 0 ? `+${t.diff.toLocaleString()}` : t.diff.toLocaleString()}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+
+                    {isAdmin && (
+                        <div className={styles.warning}>
+                            <i className="fas fa-exclamation-triangle"></i>
+                            <span>
+                                Restoring replaces the live database with this backup and restarts the
+                                application. Type <strong className={styles.mono}>{database}</strong> to enable it.
+                            </span>
+                        </div>
+                    )}
+                </>
+            )}
+
+            {isAdmin && check.state !== 'running' && check.state !== 'swapped' && (
+                <div className={styles.actions}>
+                    {check.state === 'ready' && (
+                        <>
+                            <input
+                                type="text"
+                                className={styles.confirmInput}
+                                value={confirmName}
+                                placeholder="Database name"
+                                onChange={(e) => setConfirmName(e.target.value)}
+                                aria-label="Database name"
+                            />
+                            <button
+                                type="button"
+                                className="btn btn-danger"
+                                onClick={() => setShowConfirm(true)}
+                                disabled={confirmName.trim() !== database || swap.isPending}
+                            >
+                                {swap.isPending ? 'Restoring…' : 'Restore this backup'}
+                            </button>
+                        </>
+                    )}
+                    <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={handleDiscard}
+                        disabled={discard.isPending || swap.isPending}
+                    >
+                        Discard
+                    </button>
+                </div>
+            )}
+
+            <ConfirmDialog
+                isOpen={showConfirm}
+                title="Restore database from backup?"
+                message={`The live database "${database}" will be replaced by ${check.file}. Everyone is signed out while the application restarts.`}
+                confirmText="Restore"
+                isDangerous
+                onConfirm={handleSwap}
+                onCancel={() => setShowConfirm(false)}
+            />
+        </div>
+    );
+};
+
+export default DatabaseRestoreCheck;
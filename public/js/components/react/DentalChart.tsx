@@ -1,23 +1,39 @@
 /**
  * DentalChart - Simple dental chart with Palmer notation
  * Click tooth or between-teeth area to insert text
+ *
+ * The odontogram (ClinicalChart) reuses it without the between-teeth areas,
+ * marking each tooth via renderMarks / toothClassName.
  */
 
-import type { SyntheticEvent, ReactElement } from 'react';
+import type { SyntheticEvent, ReactElement, ReactNode } from 'react';
 import cn from 'classnames';
 import styles from './DentalChart.module.css';
 
 interface DentalChartProps {
     onToothClick: (notation: string) => void;
+    /** Extra content drawn on a tooth (by code, e.g. 'UR6'). */
+    renderMarks?: (code: string) => ReactNode;
+    /** Extra class for a tooth (by code). */
+    toothClassName?: (code: string) => string | undefined;
+    /** Code of the tooth shown as selected. */
+    selected?: string | null;
+    /** Between-teeth click areas (default on). */
+    showBetween?: boolean;
 }
 
-const DentalChart = ({ onToothClick }: DentalChartProps) => {
+const DentalChart = ({ onToothClick, renderMarks, toothClassName, selected, showBetween = true }: DentalChartProps) => {
     const renderTooth = (prefix: string, number: number, isLower: boolean) => (
         <div
             key={`${prefix}${number}`}
-            className={styles.tooth}
+            className={cn(
+                styles.tooth,
+                toothClassName?.(`${prefix}${number}`),
+                selected === `${prefix}${number}` && styles.selected
+            )}
             role="button"
             tabIndex={0}
+            aria-pressed={selected !== undefined ? selected === `${prefix}${number}` : undefined}
             onClick={() => onToothClick(`${prefix}${number}`)}
             onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); onToothClick(`${prefix}${number}`); } }}
         >
@@ -30,6 +46,7 @@ const DentalChart = ({ onToothClick }: DentalChartProps) => {
                 }}
             />
             {!isLower && <span className={styles.toothNumber}>{number}</span>}
+            {renderMarks?.(`${prefix}${number}`)}
         </div>
     );
 
@@ -51,14 +68,18 @@ const DentalChart = ({ onToothClick }: DentalChartProps) => {
 
         for (let i = 8; i >= 1; i--) {
             elements.push(renderTooth(rightPrefix, i, isLower));
-            if (i > 1) elements.push(renderBetween(`${rightPrefix}${i - 1}`, `${rightPrefix}${i}`));
+            if (showBetween && i > 1) elements.push(renderBetween(`${rightPrefix}${i - 1}`, `${rightPrefix}${i}`));
         }
 
-        elements.push(renderBetween(`${rightPrefix}1`, `${leftPrefix}1`, true));
+        elements.push(
+            showBetween
+                ? renderBetween(`${rightPrefix}1`, `${leftPrefix}1`, true)
+                : <div key="midline" className={cn(styles.between, styles.midline, styles.static)}><div className={styles.betweenIndicator} /></div>
+        );
 
         for (let i = 1; i <= 8; i++) {
             elements.push(renderTooth(leftPrefix, i, isLower));
-            if (i < 8) elements.push(renderBetween(`${leftPrefix}${i}`, `${leftPrefix}${i + 1}`));
+            if (showBetween && i < 8) elements.push(renderBetween(`${leftPrefix}${i}`, `${leftPrefix}${i + 1}`));
         }
 
         return (
@@ -6,8 +6,9 @@ import { useTranslation } from 'react-i18next';
 import SimplifiedCalendarPicker from './SimplifiedCalendarPicker';
 import { useToast } from '../../contexts/ToastContext';
 import { useLanguage } from '@/contexts/LanguageContext';
-import { postJSON, putJSON, httpErrorMessage } from '@/core/http';
+import { postJSON, putJSON, httpErrorMessage, type HttpError } from '@/core/http';
 import { formatAppointmentDateTime } from '@/utils/formatters';
+import * as appointmentContract from '@shared/contracts/appointment.contract';
 import { qk } from '@/query/keys';
 import { employeesQuery, appointmentDetailsQuery, appointmentByIdQuery } from '@/query/queries';
 import styles from './AppointmentForm.module.css';
@@ -40,6 +41,7 @@ interface ExistingAppointment {
     app_date: string;
     app_detail?: string;
     dr_id?: number | string;
+    series_id?: number | null;
 }
 
 interface EditAppointmentFormProps {
@@ -75,6 +77,8 @@ const EditAppointmentForm = ({ personId, appointmentId, onClose, onSuccess }: Ed
     const [loading, setLoading] = useState<boolean>(false);
     const [error, setError] = useState<string | null>(null);
     const [validation, setValidation] = useState<ValidationErrors>({});
+    // Series occurrence only: carry the change onto every later unattended visit
+    const [applyToFollowing, setApplyToFollowing] = useState<boolean>(false);
     const doctorSelectRef = useRef<HTMLSelectElement>(null);
     const detailSelectRef = useRef<HTMLSelectElement>(null);
     const formColumnRef = useRef<HTMLDivElement>(null);
@@ -235,6 +239,35 @@ const EditAppointmentForm = ({ personId, appointmentId, onClose, onSuccess }: Ed
         return Object.keys(errors).length === 0;
     };
 
+    // PUT …/following — the anchor moves as picked; later visits keep their
+    // spacing (same day offset, new time/doctor/type). Only the anchor gets a
+    // fresh WhatsApp confirmation.
+    const submitFollowing = async (appointmentDateTime: string): Promise<void> => {
+        const apptId = appointmentId || existingAppointment?.appointment_id;
+        const result = await putJSON<appointmentContract.UpdateAppointmentSeriesResponse>(
+            `/api/appointments/${apptId}/following`,
+            {
+                app_date: appointmentDateTime,
+                app_detail: formData.AppDetail,
+                dr_id: parseInt(formData.DrID)
+            },
+            { schema: appointmentContract.updateAppointmentSeries.response }
+        );
+
+        toast.success(t('form.seriesUpdated', { count: result.affected }));
+        if (formData.AppDate !== originalDate && apptId) {
+            postJSON<{ success: boolean; message?: string }>('/api/wa/send-appointment', {
+                appointmentId: apptId
+            }).catch(err => {
+                toast.error(t('form.waError', { error: httpErrorMessage(err, 'send failed') }));
+            });
+        }
+
+        queryClient.invalidateQueries({ queryKey: qk.patient.all(personId ?? '') });
+        onSuccess && onSuccess(result);
+        onClose && onClose();
+    };
+
     const handleSubmit = async (e: FormEvent<HTMLFormElement>): Promise<void> => {
         e.preventDefault();
         if (!validateForm()) return;
@@ -244,6 +277,12 @@ const EditAppointmentForm = ({ personId, appointmentId, onClose, onSuccess }: Ed
 
         try {
             const appointmentDateTime = `${formData.AppDate}T${formData.AppTime}:00`;
+
+            if (applyToFollowing && sourceAppointment?.series_id != null) {
+                await submitFollowing(appointmentDateTime);
+                return;
+            }
+
             const result = await putJSON<{ success?: boolean; error?: string }>(
                 `/api/appointments/${appointmentId || existingAppointment?.appointment_id}`,
                 {
@@ -286,9 +325,16 @@ const EditAppointmentForm = ({ personId, appointmentId, onClose, onSuccess }: Ed
             }
         } catch (err) {
             // putJSON throws on non-2xx; httpErrorMessage surfaces the server's
-            // error message (this form has no conflict-code branching — M1).
-            console.error('Error updating appointment:', err);
-            setError(httpErrorMessage(err, t('form.errorUnknown')));
+            // error message. The only code branched on is the series one — it
+            // names the later visit that blocked the all-or-nothing move.
+            const errorData = (err as HttpError).data as
+                { details?: { code?: string; date?: string } } | undefined;
+            if (errorData?.details?.code === 'SERIES_OCCURRENCE_BLOCKED') {
+                setError(t('form.errorSeriesBlocked', { date: errorData.details.date ?? '' }));
+            } else {
+                console.error('Error updating appointment:', err);
+                setError(httpErrorMessage(err, t('form.errorUnknown')));
+            }
         } finally {
             setLoading(false);
         }
@@ -402,6 +448,20 @@ const EditAppointmentForm = ({ personId, appointmentId, onClose, onSuccess }: Ed
                             {validation.AppDetail && <span className={styles.fieldError}>{validation.AppDetail}</span>}
                         </div>
 
+                        {sourceAppointment?.series_id != null && (
+                            <div className={styles.formField}>
+                                <label className={styles.checkboxField}>
+                                    <input
+                                        type="checkbox"
+                                        checked={applyToFollowing}
+                                        onChange={(e) => setApplyToFollowing(e.target.checked)}
+                                    />
+                                    <i className="fas fa-redo"></i> {t('form.applyToFollowing')}
+                                </label>
+                                <span className={styles.fieldHint}>{t('form.applyToFollowingHint')}</span>
+                            </div>
+                        )}
+
                         <div className={styles.formActions}>
                             <button
                                 type="button"
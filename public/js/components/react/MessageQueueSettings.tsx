@@ -0,0 +1,271 @@
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import type {
+    OutboundChannel,
+    OutboundMessage,
+    OutboundStatus,
+} from '@shared/contracts/outbound-message.contract';
+import { httpErrorMessage, postJSON } from '@/core/http';
+import { outboundMessagesQuery, outboundSummaryQuery } from '@/query/queries';
+import { useApiMutation } from '@/query/useApiMutation';
+import { qk } from '@/query/keys';
+import { useToast } from '../../contexts/ToastContext';
+import { useConfirm } from '../../contexts/ConfirmContext';
+import styles from './MessageQueueSettings.module.css';
+
+/**
+ * Settings → Message Queue (admin only). The outbound message queue: task and
+ * wait-list notices and batch reminders that failed for their recipient, with
+ * where each one stands. A failed or cancelled message can be sent again from
+ * here — no need to re-run the whole date batch — and a pending one cancelled.
+ */
+
+interface MessageQueueSettingsProps {
+    onChangesUpdate?: (hasChanges: boolean) => void;
+}
+
+const POLL_MS = 15_000;
+
+type Filter = OutboundStatus | 'all';
+
+const FILTERS: { id: Filter; label: string }[] = [
+    { id: 'failed', label: 'Failed' },
+    { id: 'pending', label: 'Pending' },
+    { id: 'sent', label: 'Sent' },
+    { id: 'cancelled', label: 'Cancelled' },
+    { id: 'all', label: 'All' },
+];
+
+const STATUS_LABEL: Record<OutboundStatus, string> = {
+    pending: 'Pending',
+    sending: 'Sending',
+    sent: 'Sent',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
+};
+
+const CHANNEL_LABEL: Record<OutboundChannel, string> = {
+    whatsapp: 'WhatsApp',
+    sms: 'SMS',
+};
+
+const PURPOSE_LABEL: Record<string, string> = {
+    appointment_reminder: 'Appointment reminder',
+    waitlist_offer: 'Wait-list offer',
+    task_assignment: 'Task notice',
+};
+
+function formatTime(iso: string | null): string {
+    if (!iso) return '—';
+    const d = new Date(iso);
+    return Number.isNaN(d.getTime()) ? iso : d.toLocaleString('en-GB');
+}
+
+/** 'WhatsApp', or 'WhatsApp → SMS' after a fallback. */
+function channelText(m: OutboundMessage): string {
+    return m.channel === m.requested_channel
+        ? CHANNEL_LABEL[m.channel]
+        : `${CHANNEL_LABEL[m.requested_channel]} → ${CHANNEL_LABEL[m.channel]}`;
+}
+
+/** The one line that says where the message stands. */
+function statusLine(m: OutboundMessage): string {
+    switch (m.status) {
+        case 'sent':
+            return `Sent ${formatTime(m.sent_at)}`;
+        case 'pending':
+            return m.attempts > 0 ? `Next attempt ${formatTime(m.next_attempt_at)}` : 'Waiting to be sent';
+        case 'sending':
+            return 'Sending now';
+        default:
+            return m.last_error ?? STATUS_LABEL[m.status];
+    }
+}
+
+const MessageQueueSettings = ({ onChangesUpdate }: MessageQueueSettingsProps) => {
+    const toast = useToast();
+    const confirm = useConfirm();
+    const [filter, setFilter] = useState<Filter>('failed');
+    const [expanded, setExpanded] = useState<number | null>(null);
+
+    const { data: summary } = useQuery({ ...outboundSummaryQuery(), refetchInterval: POLL_MS });
+    const { data: messages, isLoading, error } = useQuery({
+        ...outboundMessagesQuery(filter === 'all' ? undefined : filter),
+        refetchInterval: POLL_MS,
+    });
+
+    // Read-only tab: explicitly declare no unsaved changes so no Save badge ever shows.
+    useEffect(() => {
+        onChangesUpdate?.(false);
+    }, [onChangesUpdate]);
+
+    const resend = useApiMutation<unknown, number>({
+        mutationFn: (id) => postJSON(`/api/outbound-messages/${id}/resend`, {}),
+        invalidate: () => [qk.settings.outboundMessagesAll()],
+    });
+
+    const cancel = useApiMutation<unknown, number>({
+        mutationFn: (id) => postJSON(`/api/outbound-messages/${id}/cancel`, {}),
+        invalidate: () => [qk.settings.outboundMessagesAll()],
+    });
+
+    const handleResend = async (m: OutboundMessage): Promise<void> => {
+        const warning =
+            m.status === 'failed' && m.last_error
+                ? `\n\nIt failed with: ${m.last_error}. If it may have arrived after all, check on the phone first.`
+                : '';
+        if (!(await confirm(`Send this message to ${m.recipient_name || m.phone} again?${warning}`, {
+            title: 'Resend Message',
+            confirmText: 'Resend',
+        }))) {
+            return;
+        }
+        try {
+            await resend.mutateAsync(m.message_id);
+            toast.success('Message queued for resending');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to resend the message'));
+        }
+    };
+
+    const handleCancel = async (m: OutboundMessage): Promise<void> => {
+        if (!(await confirm(`Cancel the message to ${m.recipient_name || m.phone}? It will not be sent.`, {
+            title: 'Cancel Message',
+            danger: true,
+            confirmText: 'Cancel message',
+        }))) {
+            return;
+        }
+        try {
+            await cancel.mutateAsync(m.message_id);
+            toast.success('Message cancelled');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to cancel the message'));
+        }
+    };
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.header}>
+                <h2><i className="fas fa-paper-plane"></i> Message Queue</h2>
+                <p>
+                    Messages waiting to go out, retried after a failure and sent by SMS when WhatsApp can't
+                    deliver them. Resend a failed message here instead of re-running the day's batch.
+                </p>
+            </div>
+
+            <div className={styles.tabs} role="tablist">
+                {FILTERS.map((f) => {
+                    const count = f.id === 'all' ? null : summary?.[f.id];
+                    return (
+                        <button
+                            key={f.id}
+                            type="button"
+                            role="tab"
+                            aria-selected={filter === f.id}
+                            className={filter === f.id ? styles.tabActive : styles.tab}
+                            onClick={() => setFilter(f.id)}
+                        >
+                            {f.label}
+                            {!!count && (
+                                <span className={f.id === 'failed' ? styles.countAlert : styles.count}>{count}</span>
+                            )}
+                        </button>
+                    );
+                })}
+            </div>
+
+            {error && <p className={styles.errorText}>{httpErrorMessage(error, 'Failed to load the message queue')}</p>}
+            {isLoading && <p className={styles.hint}>Loading…</p>}
+            {messages && messages.length === 0 && (
+                <p className={styles.hint}>
+                    {filter === 'failed' ? 'No failed messages.' : 'No messages here.'}
+                </p>
+            )}
+
+            {messages && messages.length > 0 && (
+                <ul className={styles.list}>
+                    {messages.map((m) => {
+                        const open = expanded === m.message_id;
+                        return (
+                            <li key={m.message_id} className={styles.item}>
+                                <button
+                                    type="button"
+                                    className={styles.itemHeader}
+                                    onClick={() => setExpanded(open ? null : m.message_id)}
+                                    aria-expanded={open}
+                                >
+                                    <i className={`fas fa-chevron-${open ? 'down' : 'right'}`}></i>
+                                    <span className={`${styles.status} ${styles[m.status]}`}>{STATUS_LABEL[m.status]}</span>
+                                    <span className={styles.recipient}>{m.recipient_name || m.phone}</span>
+                                    <span className={styles.purpose}>{PURPOSE_LABEL[m.purpose] ?? m.purpose}</span>
+                                    <span className={styles.channel}>{channelText(m)}</span>
+                                    <span className={styles.line}>{statusLine(m)}</span>
+                                    <span className={styles.time}>{formatTime(m.created_at)}</span>
+                                </button>
+
+                                {open && (
+                                    <div className={styles.detail}>
+                                        <p className={styles.body} dir="auto">{m.body}</p>
+                                        <dl className={styles.facts}>
+                                            <dt>Phone</dt>
+                                            <dd className={styles.mono}>+{m.phone}</dd>
+                                            <dt>Attempts</dt>
+                                            <dd>{m.attempts}</dd>
+                                            {m.last_attempt_at && (
+                                                <>
+                                                    <dt>Last attempt</dt>
+                                                    <dd>{formatTime(m.last_attempt_at)}</dd>
+                                                </>
+                                            )}
+                                            {m.last_error && (
+                                                <>
+                                                    <dt>Last error</dt>
+                                                    <dd>{m.last_error}</dd>
+                                                </>
+                                            )}
+                                            <dt>SMS fallback</dt>
+                                            <dd>{m.sms_fallback ? 'Yes' : 'No'}</dd>
+                                            {m.resent_by && (
+                                                <>
+                                                    <dt>Resent by</dt>
+                                                    <dd>{m.resent_by}</dd>
+                                                </>
+                                            )}
+                                        </dl>
+
+                                        {(m.status === 'failed' || m.status === 'cancelled' || m.status === 'pending') && (
+                                            <div className={styles.actions}>
+                                                {m.status === 'pending' ? (
+                                                    <button
+                                                        type="button"
+                                                        className="btn btn-secondary btn-sm"
+                                                        onClick={() => handleCancel(m)}
+                                                        disabled={cancel.isPending}
+                                                    >
+                                                        <i className="fas fa-ban"></i> Cancel
+                                                    </button>
+                                                ) : (
+                                                    <button
+                                                        type="button"
+                                                        className="btn btn-primary btn-sm"
+                                                        onClick={() => handleResend(m)}
+                                                        disabled={resend.isPending}
+                                                    >
+                                                        <i className="fas fa-redo"></i> Resend
+                                                    </button>
+                                                )}
+                                            </div>
+                                        )}
+                                    </div>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default MessageQueueSettings;
@@ -0,0 +1,316 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { useToast } from '../../contexts/ToastContext';
+import { useConfirm } from '../../contexts/ConfirmContext';
+import { useApiMutation } from '@/query/useApiMutation';
+import { messageTemplatesQuery, messageTemplatePreviewQuery } from '@/query/queries';
+import { qk } from '@/query/keys';
+import { deleteJSON, httpErrorMessage, putJSON } from '@/core/http';
+import type {
+    MessageLanguage,
+    MessageTemplateKey,
+    MessageTemplateVariant,
+    SaveTemplateBody,
+} from '@shared/contracts/message-template.contract';
+import styles from './MessageTemplatesSettings.module.css';
+
+/**
+ * Settings tab: the text of the messages sent to patients.
+ *
+ * One entry per message type (appointment reminder, booking confirmation,
+ * payment and stand receipts) with an Arabic, Kurdish and English text. Each
+ * starts as the built-in text; saving replaces it for that language and "Reset"
+ * brings the built-in one back. The patient's language picks the text, and the
+ * same text goes out over every channel (WhatsApp, SMS, …). Placeholders are
+ * `{{name}}` — click one to insert it — and the preview renders the draft with
+ * sample values as you type.
+ */
+
+interface MessageTemplatesSettingsProps {
+    onChangesUpdate?: (hasChanges: boolean) => void;
+}
+
+const LANGUAGE_LABELS: Record<MessageLanguage, string> = {
+    ar: 'Arabic',
+    ku: 'Kurdish',
+    en: 'English',
+};
+
+// Draft texts are held per type + language until saved.
+const draftId = (key: MessageTemplateKey, language: MessageLanguage): string => `${key}:${language}`;
+
+// Wait for typing to pause before asking the server for a preview.
+const PREVIEW_DELAY_MS = 300;
+
+/** The text the editor starts from: the saved one, else the built-in one ('' for Kurdish). */
+const savedText = (variant: MessageTemplateVariant): string => variant.body ?? variant.default_body ?? '';
+
+const MessageTemplatesSettings = ({ onChangesUpdate }: MessageTemplatesSettingsProps) => {
+    const toast = useToast();
+    const confirm = useConfirm();
+    const textareaRef = useRef<HTMLTextAreaElement>(null);
+    const { data, isLoading, error } = useQuery(messageTemplatesQuery());
+    const types = useMemo(() => data ?? [], [data]);
+
+    const [selectedKey, setSelectedKey] = useState<MessageTemplateKey>('appointment_reminder');
+    const [language, setLanguage] = useState<MessageLanguage>('ar');
+    const [drafts, setDrafts] = useState<Record<string, string>>({});
+
+    const type = types.find((t) => t.key === selectedKey) ?? types[0];
+    const variant = type?.variants.find((v) => v.language === language);
+    const id = type ? draftId(type.key, language) : '';
+    const text = id in drafts ? drafts[id] : variant ? savedText(variant) : '';
+
+    // A draft that differs from what is saved.
+    const dirtyIds = useMemo(
+        () =>
+            Object.entries(drafts)
+                .filter(([did, value]) => {
+                    const [key, lang] = did.split(':');
+                    const v = types.find((t) => t.key === key)?.variants.find((x) => x.language === lang);
+                    return v ? value !== savedText(v) : false;
+                })
+                .map(([did]) => did),
+        [drafts, types]
+    );
+    const dirty = dirtyIds.includes(id);
+
+    useEffect(() => {
+        onChangesUpdate?.(dirtyIds.length > 0);
+    }, [dirtyIds, onChangesUpdate]);
+
+    // Debounced preview of the text in the editor.
+    const [previewText, setPreviewText] = useState(text);
+    useEffect(() => {
+        const timer = setTimeout(() => setPreviewText(text), PREVIEW_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [text]);
+    const preview = useQuery({
+        ...messageTemplatePreviewQuery({ key: type?.key ?? selectedKey, language, body: previewText }),
+        enabled: !!type && previewText.trim() !== '',
+        placeholderData: keepPreviousData,
+    });
+
+    const saveTemplate = useApiMutation<unknown, { key: MessageTemplateKey; language: MessageLanguage; body: string }>({
+        mutationFn: ({ key, language: lang, body }) =>
+            putJSON<unknown, SaveTemplateBody>(`/api/message-templates/${key}/${lang}`, { body }),
+        invalidate: () => [qk.settings.messageTemplates()],
+    });
+
+    const resetTemplate = useApiMutation<unknown, { key: MessageTemplateKey; language: MessageLanguage }>({
+        mutationFn: ({ key, language: lang }) => deleteJSON(`/api/message-templates/${key}/${lang}`),
+        invalidate: () => [qk.settings.messageTemplates()],
+    });
+
+    const setText = (value: string): void => {
+        setDrafts((prev) => ({ ...prev, [id]: value }));
+    };
+
+    const dropDraft = (): void => {
+        setDrafts((prev) => {
+            const next = { ...prev };
+            delete next[id];
+            return next;
+        });
+    };
+
+    // Put `{{name}}` at the cursor (or replace the selection).
+    const insertVariable = (name: string): void => {
+        const el = textareaRef.current;
+        const token = `{{${name}}}`;
+        const start = el?.selectionStart ?? text.length;
+        const end = el?.selectionEnd ?? text.length;
+        setText(text.slice(0, start) + token + text.slice(end));
+        requestAnimationFrame(() => {
+            if (!el) return;
+            el.focus();
+            el.setSelectionRange(start + token.length, start + token.length);
+        });
+    };
+
+    const handleSave = async (): Promise<void> => {
+        if (!type || !text.trim()) return;
+        try {
+            await saveTemplate.mutateAsync({ key: type.key, language, body: text });
+            dropDraft();
+            toast.success(`${type.label} (${LANGUAGE_LABELS[language]}) saved`);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to save the template'));
+        }
+    };
+
+    const handleReset = async (): Promise<void> => {
+        if (!type || !variant?.body) return;
+        const restores = language === 'ku' ? 'Kurdish-language patients will get the Arabic text again.' : 'The built-in text will be used again.';
+        if (!(await confirm(`Delete the saved ${LANGUAGE_LABELS[language]} text? ${restores}`, {
+            title: 'Reset Template',
+            danger: true,
+            confirmText: 'Reset',
+        }))) {
+            return;
+        }
+        try {
+            await resetTemplate.mutateAsync({ key: type.key, language });
+            dropDraft();
+            toast.success('Template reset');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to reset the template'));
+        }
+    };
+
+    const copyArabic = (): void => {
+        const arabic = type?.variants.find((v) => v.language === 'ar');
+        if (arabic) setText(drafts[draftId(type.key, 'ar')] ?? savedText(arabic));
+    };
+
+    if (isLoading || !type || !variant) {
+        return (
+            <div className={styles.container}>
+                <p className={styles.hint}>
+                    {error ? httpErrorMessage(error, 'Failed to load message templates') : 'Loading…'}
+                </p>
+            </div>
+        );
+    }
+
+    const rtl = language !== 'en';
+    const unknown = preview.data?.unknown_variables ?? [];
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.header}>
+                <h3 className={styles.title}>
+                    <i className="fas fa-comments"></i>
+                    Message Templates
+                </h3>
+                <p className={styles.description}>
+                    The text of the messages patients receive. Each patient gets the text in their language —
+                    Kurdish-language patients get the Arabic text until a Kurdish one is saved — over WhatsApp,
+                    SMS and the other channels alike.
+                </p>
+            </div>
+
+            <div className={styles.layout}>
+                <nav className={styles.typeList} aria-label="Message types">
+                    {types.map((t) => (
+                        <button
+                            key={t.key}
+                            type="button"
+                            className={`${styles.typeItem} ${t.key === type.key ? styles.typeItemActive : ''}`}
+                            onClick={() => setSelectedKey(t.key)}
+                        >
+                            <span className={styles.typeLabel}>{t.label}</span>
+                            {t.variants.some((v) => v.body !== null) && <span className={styles.customBadge}>Edited</span>}
+                            {t.variants.some((v) => dirtyIds.includes(draftId(t.key, v.language))) && (
+                                <span className={styles.unsavedDot} title="Unsaved changes"></span>
+                            )}
+                        </button>
+                    ))}
+                </nav>
+
+                <section className={styles.editor}>
+                    <p className={styles.hint}>{type.description}</p>
+
+                    <div className={styles.languageTabs} role="tablist">
+                        {type.variants.map((v) => (
+                            <button
+                                key={v.language}
+                                type="button"
+                                role="tab"
+                                aria-selected={v.language === language}
+                                className={`${styles.languageTab} ${v.language === language ? styles.languageTabActive : ''}`}
+                                onClick={() => setLanguage(v.language)}
+                            >
+                                {LANGUAGE_LABELS[v.language]}
+                                {dirtyIds.includes(draftId(type.key, v.language)) && ' •'}
+                            </button>
+                        ))}
+                    </div>
+
+                    <p className={styles.status}>
+                        {variant.body !== null
+                            ? `Edited${variant.updated_by ? ` by ${variant.updated_by}` : ''}${variant.updated_at ? ` on ${new Date(variant.updated_at).toLocaleDateString('en-GB')}` : ''}.`
+                            : language === 'ku'
+                                ? 'No Kurdish text yet — Kurdish-language patients get the Arabic text.'
+                                : 'Built-in text.'}
+                        {language === 'ku' && variant.body === null && (
+                            <button type="button" className={styles.linkButton} onClick={copyArabic}>
+                                Start from the Arabic text
+                            </button>
+                        )}
+                    </p>
+
+                    <textarea
+                        ref={textareaRef}
+                        className={styles.textarea}
+                        dir={rtl ? 'rtl' : 'ltr'}
+                        rows={8}
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        aria-label={`${type.label} — ${LANGUAGE_LABELS[language]}`}
+                    />
+
+                    {type.variables.length > 0 && (
+                        <div className={styles.variables}>
+                            <span className={styles.variablesLabel}>Insert:</span>
+                            {type.variables.map((v) => (
+                                <button
+                                    key={v.name}
+                                    type="button"
+                                    className={styles.variableChip}
+                                    title={v.description}
+                                    onClick={() => insertVariable(v.name)}
+                                >
+                                    {`{{${v.name}}}`}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {unknown.length > 0 && (
+                        <p className={styles.warning} role="alert">
+                            <i className="fas fa-exclamation-triangle"></i> Unknown placeholder
+                            {unknown.length > 1 ? 's' : ''}: {unknown.map((n) => `{{${n}}}`).join(', ')}
+                        </p>
+                    )}
+
+                    <div className={styles.previewCard}>
+                        <h4 className={styles.previewTitle}>
+                            <i className="fas fa-eye"></i> Preview (sample patient)
+                        </h4>
+                        <div className={styles.previewText} dir={rtl ? 'rtl' : 'ltr'}>
+                            {text.trim() ? (preview.data?.text ?? '') : <span className={styles.hint}>Nothing to preview</span>}
+                        </div>
+                    </div>
+
+                    <div className={styles.actions}>
+                        <button
+                            type="button"
+                            className="btn btn-primary"
+                            onClick={handleSave}
+                            disabled={!dirty || !text.trim() || unknown.length > 0 || saveTemplate.isPending}
+                        >
+                            <i className="fas fa-save"></i> {saveTemplate.isPending ? 'Saving…' : 'Save'}
+                        </button>
+                        <button type="button" className="btn btn-secondary" onClick={dropDraft} disabled={!dirty}>
+                            <i className="fas fa-undo"></i> Discard changes
+                        </button>
+                        {variant.body !== null && (
+                            <button
+                                type="button"
+                                className="btn btn-secondary"
+                                onClick={handleReset}
+                                disabled={resetTemplate.isPending}
+                            >
+                                <i className="fas fa-history"></i>{' '}
+                                {language === 'ku' ? 'Remove Kurdish text' : 'Reset to built-in text'}
+                            </button>
+                        )}
+                    </div>
+                </section>
+            </div>
+        </div>
+    );
+};
+
+export default MessageTemplatesSettings;
@@ -9,6 +9,7 @@ import { useState, useEffect, useRef, type MouseEvent } from 'react';
 import type { CalendarDay, CalendarData, CalendarAppointment, CalendarMode } from './calendar.types';
 import { formatTime12 } from '../../utils/formatters';
 import { parseLocalDate } from '../../utils/calendarDate';
+import ConfirmationMark from './appointments/ConfirmationMark';
 import styles from './MonthlyCalendarGrid.module.css';
 
 interface MonthlyCalendarGridProps {
@@ -184,7 +185,10 @@ const MonthlyCalendarGrid = ({
                                             {(day.appointments as CalendarAppointment[]).slice(0, 8).map((apt, idx) => (
                                                 <div key={idx} className={styles.expandedAppointment}>
                                                     <span className={styles.aptTime}>{formatTime12(apt.time)}</span>
-                                                    <span className={styles.aptName}>{apt.patientName || ''}</span>
+                                                    <span className={styles.aptName}>
+                                                        <ConfirmationMark status={apt.confirmationStatus} />
+                                                        {apt.patientName || ''}
+                                                    </span>
                                                 </div>
                                             ))}
                                             {day.appointments.length > 8 && (
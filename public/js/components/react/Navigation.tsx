@@ -300,7 +300,7 @@ const Navigation = ({ personId, currentPage }: NavigationProps) => {
                         onMouseLeave={() => setMoreActionsExpanded(false)}
                     >
                         <div
-                            className={`sidebar-nav-item more-actions-btn ${(currentPage === 'compare' || currentPage === 'xrays' || currentPage === 'slideshow' || currentPage === 'scans') ? 'active' : ''} ${isNewPatient ? 'disabled' : ''}`}
+                            className={`sidebar-nav-item more-actions-btn ${(currentPage === 'compare' || currentPage === 'xrays' || currentPage === 'slideshow' || currentPage === 'scans' || currentPage === 'chart' || currentPage === 'history') ? 'active' : ''} ${isNewPatient ? 'disabled' : ''}`}
                             title={isNewPatient ? t('moreActions.tooltipDisabled') : t('moreActions.tooltip')}
                         >
                             <div className="nav-item-icon">
@@ -365,6 +365,28 @@ const Navigation = ({ personId, currentPage }: NavigationProps) => {
                             <span className="action-item-label">{t('flyout.scans')}</span>
                         </Link>
 
+                        <Link
+                            to={`/patient/${personId}/chart`}
+                            className={`flyout-action-item ${currentPage === 'chart' ? 'active' : ''}`}
+                            onClick={() => setMoreActionsExpanded(false)}
+                        >
+                            <div className="action-item-icon">
+                                <i className="fas fa-tooth" />
+                            </div>
+                            <span className="action-item-label">{t('flyout.dentalChart')}</span>
+                        </Link>
+
+                        <Link
+                            to={`/patient/${personId}/history`}
+                            className={`flyout-action-item ${currentPage === 'history' ? 'active' : ''}`}
+                            onClick={() => setMoreActionsExpanded(false)}
+                        >
+                            <div className="action-item-icon">
+                                <i className="fas fa-history" />
+                            </div>
+                            <span className="action-item-label">{t('flyout.history')}</span>
+                        </Link>
+
                         <Link
                             to="#"
                             className={`flyout-action-item ${isNewPatient || sendingTo3Shape ? 'disabled' : ''}`}
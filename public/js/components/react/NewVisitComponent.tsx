@@ -11,8 +11,9 @@ import { formatISODate } from '../../core/utils';
 import { putJSON, postJSON, httpErrorMessage } from '@/core/http';
 import { qk } from '@/query/keys';
 import * as visitContract from '@shared/contracts/visit.contract';
-import { wiresQuery, operatorsQuery, latestWiresQuery, visitByIdQuery } from '../../query/queries';
+import { wiresQuery, operatorsQuery, latestWiresQuery, visitByIdQuery, workWireProtocolQuery } from '../../query/queries';
 import DentalChart from './DentalChart';
+import WireProtocolPanel from './WireProtocolPanel';
 import { useToast } from '../../contexts/ToastContext';
 import styles from './NewVisitComponent.module.css';
 
@@ -61,12 +62,15 @@ interface NewVisitComponentProps {
     visitId?: number | null;
     // Add returns { visitId }; update returns void.
     onSave?: (result: visitContract.AddVisitResponse | void) => void;
+    // Called instead of onSave when "book the next appointment" was ticked, with
+    // the wire protocol's proposed date ('YYYY-MM-DD').
+    onBookNext?: (date: string) => void;
     onCancel?: () => void;
 }
 
 type TextFieldKey = 'others' | 'next_visit';
 
-const NewVisitComponent = ({ workId, visitId = null, onSave, onCancel }: NewVisitComponentProps) => {
+const NewVisitComponent = ({ workId, visitId = null, onSave, onBookNext, onCancel }: NewVisitComponentProps) => {
     const toast = useToast();
     const queryClient = useQueryClient();
     const [loading, setLoading] = useState(false);
@@ -156,6 +160,35 @@ const NewVisitComponent = ({ workId, visitId = null, onSave, onCancel }: NewVisi
         }
     }
 
+    // The work's wire protocol and its suggestion for a visit on the form's date
+    // (the visit being edited left out).
+    const { data: protocolData } = useQuery({
+        ...workWireProtocolQuery(workId ?? '', formData.visit_date, visitId ?? undefined),
+        enabled: !!workId && !!formData.visit_date,
+    });
+    const suggestion = protocolData?.suggestion ?? null;
+    const nextVisitDate = suggestion?.next_visit_date ?? null;
+    const [bookNext, setBookNext] = useState(true);
+
+    // New visits: pre-fill the empty wire selects with the protocol's suggestion
+    // (adjust-state-during-render, keyed on the suggested wires).
+    const prefillKey = !visitId && suggestion
+        ? `${suggestion.upper.suggested_wire_id ?? ''}:${suggestion.lower.suggested_wire_id ?? ''}`
+        : '';
+    const [prefilledKey, setPrefilledKey] = useState('');
+    if (prefillKey !== prefilledKey) {
+        setPrefilledKey(prefillKey);
+        if (suggestion) {
+            setFormData(prev => ({
+                ...prev,
+                upper_wire_id: prev.upper_wire_id || (suggestion.upper.suggested_wire_id ?? ''),
+                lower_wire_id: prev.lower_wire_id || (suggestion.lower.suggested_wire_id ?? ''),
+            }));
+        }
+    }
+
+    const wireName = (wireId: number): string => wires.find(w => w.id === wireId)?.name ?? `Wire #${wireId}`;
+
     // Surface a visit-record load failure in the existing error banner (the old
     // loadVisitData did setError(...) on its catch). Done during render
     // (adjust-state-during-render) so the React Compiler can optimize it.
@@ -196,7 +229,9 @@ const NewVisitComponent = ({ workId, visitId = null, onSave, onCancel }: NewVisi
                 queryClient.invalidateQueries({ queryKey: qk.work.all(workId) });
             }
 
-            if (onSave) {
+            if (!visitId && bookNext && nextVisitDate && onBookNext) {
+                onBookNext(nextVisitDate);
+            } else if (onSave) {
                 onSave(result);
             }
         } catch (err) {
@@ -206,7 +241,7 @@ const NewVisitComponent = ({ workId, visitId = null, onSave, onCancel }: NewVisi
         } finally {
             setLoading(false);
         }
-    }, [visitId, workId, formData, onSave, toast, queryClient]);
+    }, [visitId, workId, formData, onSave, onBookNext, bookNext, nextVisitDate, toast, queryClient]);
 
     // Memoized tooth click handler - prevents DentalChart re-renders
     const handleToothClick = useCallback((palmerNotation: string) => {
@@ -334,6 +369,21 @@ const NewVisitComponent = ({ workId, visitId = null, onSave, onCancel }: NewVisi
                     </div>
                 </div>
 
+                {/* Wire protocol - suggestion, deviations, next visit */}
+                {workId && (
+                    <WireProtocolPanel
+                        workId={workId}
+                        data={protocolData}
+                        chosen={{
+                            upper: Number(formData.upper_wire_id) || null,
+                            lower: Number(formData.lower_wire_id) || null,
+                        }}
+                        wireName={wireName}
+                        bookNext={bookNext}
+                        onBookNextChange={!visitId && onBookNext ? setBookNext : undefined}
+                    />
+                )}
+
                 {/* Latest Wires - Quick Select (only for new visits) */}
                 {!visitId && (latestWires.UpperWireName || latestWires.LowerWireName) && (
                     <div className={styles.latestWiresSection}>
@@ -0,0 +1,117 @@
+import { useQuery } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import { overdueBalancesQuery } from '@/query/queries';
+import { httpErrorMessage } from '@/core/http';
+import { useRemindPaymentPlan } from '@/hooks/usePaymentPlan';
+import { useToast } from '../../contexts/ToastContext';
+import { formatNumber } from '../../utils/formatters';
+import styles from './DoctorCommissionsView.module.css';
+import overdueStyles from './OverdueBalancesView.module.css';
+
+/**
+ * Statistics → Overdue tab. Every work on an installment plan with an installment
+ * past its due date + grace period, worst first (longest overdue, then largest).
+ * Amounts stay in the plan's currency; the footer totals them per currency. The
+ * allocation is live (server-side, from the work's invoices), so there is no date
+ * range — it's "as of today". Each row can send the polite WhatsApp dues reminder.
+ * Reuses the Commissions table styles.
+ */
+const OverdueBalancesView = () => {
+    const navigate = useNavigate();
+    const toast = useToast();
+    const { data, isFetching, isError, error } = useQuery(overdueBalancesQuery());
+    const remind = useRemindPaymentPlan();
+
+    const rows = data?.rows ?? [];
+    const totals = data?.totals ?? { IQD: 0, USD: 0 };
+
+    const handleRemind = async (planId: number, workId: number): Promise<void> => {
+        try {
+            const result = await remind.mutateAsync({ id: planId, workId });
+            toast.success(`Reminder sent for ${formatNumber(result.amount)}`);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to send reminder'));
+        }
+    };
+
+    return (
+        <div className={styles.container}>
+            {isError ? (
+                <p className={styles.messageError}>
+                    <i className="fas fa-exclamation-triangle" aria-hidden="true"></i>{' '}
+                    {httpErrorMessage(error, 'Failed to load overdue balances')}
+                </p>
+            ) : rows.length === 0 ? (
+                <p className={styles.message}>
+                    {isFetching ? 'Loading…' : 'No overdue installments. Works without a payment plan are not tracked here.'}
+                </p>
+            ) : (
+                <div className={styles.tableWrapper}>
+                    <table className={styles.table}>
+                        <thead>
+                            <tr>
+                                <th>Patient</th>
+                                <th>Oldest Due</th>
+                                <th className={styles.num}>Days Overdue</th>
+                                <th className={styles.num}>Installments</th>
+                                <th className={styles.num}>Overdue</th>
+                                <th className={styles.num}>Plan Remaining</th>
+                                <th>Last Reminded</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((r) => (
+                                <tr key={r.plan_id}>
+                                    <td data-label="Patient" className={styles.docName}>
+                                        <a
+                                            className={overdueStyles.patientLink}
+                                            href={`/patient/${r.person_id}/works`}
+                                            onClick={(e) => { e.preventDefault(); navigate(`/patient/${r.person_id}/works`); }}
+                                        >
+                                            {r.patient_name ?? `#${r.person_id}`}
+                                        </a>
+                                    </td>
+                                    <td data-label="Oldest Due">{r.oldest_due_date}</td>
+                                    <td data-label="Days Overdue" className={styles.num}>{r.days_overdue}</td>
+                                    <td data-label="Installments" className={styles.num}>{r.overdue_count}</td>
+                                    <td data-label="Overdue" className={`${styles.num} ${overdueStyles.overdue}`}>
+                                        {formatNumber(r.overdue_amount)} {r.currency}
+                                    </td>
+                                    <td data-label="Plan Remaining" className={styles.num}>
+                                        {formatNumber(r.remaining)} {r.currency}
+                                    </td>
+                                    <td data-label="Last Reminded">{r.last_reminded_at ? r.last_reminded_at.slice(0, 10) : '—'}</td>
+                                    <td>
+                                        <button
+                                            type="button"
+                                            className="btn btn-sm btn-primary"
+                                            disabled={remind.isPending}
+                                            onClick={() => handleRemind(r.plan_id, r.work_id)}
+                                            title="Send a polite WhatsApp reminder"
+                                        >
+                                            <i className="fab fa-whatsapp" aria-hidden="true"></i> Remind
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot>
+                            <tr className={styles.totalRow}>
+                                <td data-label="Total" colSpan={4}><strong>TOTAL OVERDUE</strong></td>
+                                <td className={`${styles.num} ${overdueStyles.overdue}`}>
+                                    <strong>{formatNumber(totals.IQD)} IQD</strong>
+                                    <br />
+                                    <strong>{formatNumber(totals.USD)} USD</strong>
+                                </td>
+                                <td colSpan={3}></td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OverdueBalancesView;
@@ -6,10 +6,12 @@ import cn from 'classnames';
 import { useToast } from '../../contexts/ToastContext';
 import { useLanguage } from '@/contexts/LanguageContext';
 import Modal from './Modal';
-import { deleteJSON, httpErrorMessage } from '@/core/http';
+import { deleteJSON, postJSON, httpErrorMessage } from '@/core/http';
 import { formatAppointmentListDateTime } from '@/utils/formatters';
 import { patientAppointmentsQuery } from '@/query/queries';
 import { qk } from '@/query/keys';
+import * as appointmentContract from '@shared/contracts/appointment.contract';
+import PatientWaitlist from './PatientWaitlist';
 import styles from './PatientAppointments.module.css';
 
 interface PatientAppointment {
@@ -17,6 +19,8 @@ interface PatientAppointment {
     app_date: string;
     app_detail?: string | null;
     DrName?: string | null;
+    series_id?: number | null;
+    no_show?: boolean;
 }
 
 interface PatientAppointmentsProps {
@@ -39,7 +43,7 @@ const PatientAppointments = ({ personId }: PatientAppointmentsProps) => {
     });
     const appointments: PatientAppointment[] = data?.appointments ?? [];
     const error = queryError ? httpErrorMessage(queryError, 'Unknown error') : null;
-    const [deleteConfirm, setDeleteConfirm] = useState<number | null>(null);
+    const [deleteConfirm, setDeleteConfirm] = useState<PatientAppointment | null>(null);
 
     const handleEdit = (appointment: PatientAppointment): void => {
         // Navigate to edit page with appointment data as state
@@ -52,8 +56,10 @@ const PatientAppointments = ({ personId }: PatientAppointmentsProps) => {
         try {
             await deleteJSON(`/api/appointments/${appointmentId}`);
 
-            // Refresh appointments after deletion
+            // Refresh appointments after deletion (the freed slot may have been
+            // offered to a wait-listed patient)
             await queryClient.invalidateQueries({ queryKey: qk.patient.appointments(personId ?? '') });
+            await queryClient.invalidateQueries({ queryKey: qk.waitlist.all() });
             setDeleteConfirm(null);
         } catch (err) {
             console.error('Error deleting appointment:', err);
@@ -61,6 +67,26 @@ const PatientAppointments = ({ personId }: PatientAppointmentsProps) => {
         }
     };
 
+    const handleDeleteFollowing = async (appointmentId: number): Promise<void> => {
+        try {
+            const result = await postJSON<appointmentContract.CancelAppointmentSeriesResponse>(
+                `/api/appointments/${appointmentId}/cancel-following`,
+                {},
+                { schema: appointmentContract.cancelAppointmentSeries.response }
+            );
+            await queryClient.invalidateQueries({ queryKey: qk.patient.appointments(personId ?? '') });
+            await queryClient.invalidateQueries({ queryKey: qk.waitlist.all() });
+            setDeleteConfirm(null);
+            toast.success(t('list.seriesCancelled', { count: result.affected }));
+            if (result.offered > 0) {
+                toast.info(t('list.slotsOffered', { count: result.offered }));
+            }
+        } catch (err) {
+            console.error('Error deleting appointment series:', err);
+            toast.error(httpErrorMessage(err, t('list.deleteFailed')));
+        }
+    };
+
     // Day-prefixed date+time, e.g. "Mon 25/12/2024 2:30 PM" / "سبت 25/12/2026 2:30 م".
     // The weekday + meridiem localize; day/month/year stay Western digits.
     const formatDateTime = (dateTime: string): string => formatAppointmentListDateTime(new Date(dateTime), language);
@@ -141,6 +167,16 @@ const PatientAppointments = ({ personId }: PatientAppointmentsProps) => {
                                         <div className={styles.type}>
                                             {appointment.app_detail || t('list.noDetails')}
                                         </div>
+                                        {appointment.no_show && (
+                                            <div className={styles.noShow} title={t('list.noShowTitle')}>
+                                                <i className="fas fa-user-times"></i> {t('list.noShow')}
+                                            </div>
+                                        )}
+                                        {appointment.series_id != null && (
+                                            <div className={styles.series} title={t('list.seriesTitle')}>
+                                                <i className="fas fa-redo"></i> {t('list.series')}
+                                            </div>
+                                        )}
                                         {appointment.DrName && (
                                             <div className={styles.doctor}>
                                                 <i className="fas fa-user-md"></i> {appointment.DrName}
@@ -160,7 +196,7 @@ const PatientAppointments = ({ personId }: PatientAppointmentsProps) => {
                                     )}
                                     <button
                                         className="btn-delete"
-                                        onClick={() => setDeleteConfirm(appointment.appointment_id)}
+                                        onClick={() => setDeleteConfirm(appointment)}
                                         title={t('list.deleteTitle')}
                                     >
                                         {t('list.delete')}
@@ -182,7 +218,11 @@ const PatientAppointments = ({ personId }: PatientAppointmentsProps) => {
                 <h3 id="patient-appointments-delete-title">
                     <i className="fas fa-exclamation-triangle"></i> {t('list.confirmDeleteTitle')}
                 </h3>
-                <p>{t('list.confirmDeleteText')}</p>
+                <p>
+                    {deleteConfirm?.series_id != null
+                        ? t('list.confirmDeleteSeriesText')
+                        : t('list.confirmDeleteText')}
+                </p>
                 <div className={styles.modalActions}>
                     <button
                         className={cn('btn', styles.btnCancel)}
@@ -192,12 +232,22 @@ const PatientAppointments = ({ personId }: PatientAppointmentsProps) => {
                     </button>
                     <button
                         className="btn-delete"
-                        onClick={() => deleteConfirm !== null && handleDelete(deleteConfirm)}
+                        onClick={() => deleteConfirm !== null && handleDelete(deleteConfirm.appointment_id)}
                     >
                         {t('list.delete')}
                     </button>
+                    {deleteConfirm?.series_id != null && (
+                        <button
+                            className="btn-delete"
+                            onClick={() => handleDeleteFollowing(deleteConfirm.appointment_id)}
+                        >
+                            {t('list.deleteFollowing')}
+                        </button>
+                    )}
                 </div>
             </Modal>
+
+            {personId && <PatientWaitlist personId={personId} />}
         </div>
     );
 };
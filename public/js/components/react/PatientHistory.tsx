@@ -0,0 +1,34 @@
+import { useTranslation } from 'react-i18next';
+import { patientHistoryQuery } from '@/query/queries';
+import AuditTrail from './audit/AuditTrail';
+import styles from './PatientHistory.module.css';
+
+interface PatientHistoryProps {
+    personId?: number | null;
+}
+
+/**
+ * PatientHistory Component
+ * Who changed what on this patient's chart — demographics, works, work items,
+ * visits, appointments and payments — from the audit trail.
+ */
+const PatientHistory = ({ personId }: PatientHistoryProps) => {
+    const { t } = useTranslation('patients');
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.header}>
+                <h2>
+                    <i className="fas fa-history"></i> {t('history.title')}
+                </h2>
+                <p>{t('history.subtitle')}</p>
+            </div>
+            {personId ? (
+                // Keyed by patient so the loaded pages reset when the chart changes.
+                <AuditTrail key={personId} pageQuery={(beforeId) => patientHistoryQuery(personId, beforeId)} />
+            ) : null}
+        </div>
+    );
+};
+
+export default PatientHistory;
@@ -4,7 +4,7 @@ import { useQuery } from '@tanstack/react-query';
 import Navigation from './Navigation';
 import ContentRenderer from './ContentRenderer';
 import storage from '../../core/storage';
-import { patientInfoQuery, workDetailsQuery } from '../../query/queries';
+import { patientInfoQuery, workDetailsQuery, patientAttendanceQuery } from '../../query/queries';
 
 /**
  * Fire-and-forget POST to the chair-display endpoint. Uses navigator.sendBeacon
@@ -142,6 +142,13 @@ const PatientShell = () => {
     // Validated person_id (null if invalid or new patient)
     const validatedPersonId = (patient?.person_id as number | undefined) ?? null;
 
+    // Attendance risk for the breadcrumb chip (same key as the info-page card).
+    const { data: attendance } = useQuery({
+        ...patientAttendanceQuery(validatedPersonId ?? ''),
+        enabled: validatedPersonId !== null,
+    });
+    const attendanceRisk = attendance?.risk === 'medium' || attendance?.risk === 'high' ? attendance.risk : null;
+
     // Notify the chair-side public display (if this PC is configured as a chair)
     // when a patient is opened/closed. Fire-and-forget via sendBeacon — never
     // blocks the main app, even when the server is unreachable.
@@ -207,6 +214,15 @@ const PatientShell = () => {
                             </Link>
                         )}
 
+                        {attendanceRisk && attendance && (
+                            <span
+                                className={`${styles.attendanceChip} ${styles[attendanceRisk]}`}
+                                title={`Attended ${attendance.attended}, missed ${attendance.noShows} in the last 12 months`}
+                            >
+                                <i className="fas fa-user-clock"></i> {attendance.score}% attendance
+                            </span>
+                        )}
+
                         {/* Work Level (if workId is present) */}
                         {effectiveWorkId && workTypeName && (
                             <>
@@ -222,7 +238,7 @@ const PatientShell = () => {
                             <>
                                 <span className={styles.breadcrumbSeparator}>/</span>
                                 <span className={`${styles.breadcrumbItem} ${styles.breadcrumbItemActive}`}>
-                                    <i className={`fas fa-${effectivePage === 'visits' ? 'calendar-check' : effectivePage === 'appointments' ? 'calendar-alt' : effectivePage === 'xrays' ? 'x-ray' : effectivePage === 'patient-info' ? 'id-card' : effectivePage === 'diagnosis' ? 'stethoscope' : 'file'}`}></i>
+                                    <i className={`fas fa-${effectivePage === 'visits' ? 'calendar-check' : effectivePage === 'appointments' ? 'calendar-alt' : effectivePage === 'xrays' ? 'x-ray' : effectivePage === 'patient-info' ? 'id-card' : effectivePage === 'diagnosis' ? 'stethoscope' : effectivePage === 'timeline' ? 'stream' : effectivePage === 'chart' ? 'tooth' : 'file'}`}></i>
                                     {' '}
                                     {effectivePage.charAt(0).toUpperCase() + effectivePage.slice(1).replace(/-/g, ' ')}
                                 </span>
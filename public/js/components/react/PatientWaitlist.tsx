@@ -0,0 +1,217 @@
+import { useState, type FormEvent } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useTranslation } from 'react-i18next';
+import cn from 'classnames';
+import { useToast } from '../../contexts/ToastContext';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { httpErrorMessage } from '@/core/http';
+import { formatAppointmentListDateTime } from '@/utils/formatters';
+import { employeesQuery } from '@/query/queries';
+import {
+    useWaitlist,
+    useAddToWaitlist,
+    useBookWaitlistOffer,
+    useDeclineWaitlistOffer,
+    useCancelWaitlistEntry,
+} from '@/hooks/useWaitlist';
+import type { WaitlistRow } from '@shared/contracts/waitlist.contract';
+import styles from './PatientWaitlist.module.css';
+
+interface PatientWaitlistProps {
+    personId: number;
+}
+
+interface Doctor {
+    id: number;
+    employee_name: string;
+}
+
+const todayYmd = (): string => {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * PatientWaitlist Component
+ * The patient's open wait-list entries (below their appointment list). A freed
+ * slot offered to them shows here with Book / Decline; the front desk lands
+ * here from the wait-list task in the header bell.
+ */
+const PatientWaitlist = ({ personId }: PatientWaitlistProps) => {
+    const { t } = useTranslation('appointments');
+    const { language } = useLanguage();
+    const toast = useToast();
+    const { data } = useWaitlist({ personId }, !!personId);
+    const entries: WaitlistRow[] = data ?? [];
+    const { data: employeesData } = useQuery(employeesQuery('?getAppointments=true'));
+    const doctors: Doctor[] = employeesData?.employees ?? [];
+
+    const addEntry = useAddToWaitlist();
+    const bookOffer = useBookWaitlistOffer();
+    const declineOffer = useDeclineWaitlistOffer();
+    const cancelEntry = useCancelWaitlistEntry();
+
+    const [showForm, setShowForm] = useState(false);
+    const [earliest, setEarliest] = useState(todayYmd);
+    const [latest, setLatest] = useState('');
+    const [drId, setDrId] = useState('');
+    const [note, setNote] = useState('');
+
+    const handleAdd = async (e: FormEvent<HTMLFormElement>): Promise<void> => {
+        e.preventDefault();
+        try {
+            await addEntry.mutateAsync({
+                person_id: personId,
+                earliest_date: earliest,
+                latest_date: latest || earliest,
+                dr_id: drId ? parseInt(drId, 10) : null,
+                note: note || undefined,
+            });
+            toast.success(t('waitlist.added'));
+            setShowForm(false);
+            setLatest('');
+            setNote('');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, t('waitlist.actionFailed')));
+        }
+    };
+
+    const runAction = async (action: () => Promise<unknown>, success: string): Promise<void> => {
+        try {
+            await action();
+            toast.success(success);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, t('waitlist.actionFailed')));
+        }
+    };
+
+    const busy = bookOffer.isPending || declineOffer.isPending || cancelEntry.isPending;
+
+    return (
+        <section className={styles.section}>
+            <div className={styles.header}>
+                <h3>
+                    <i className="fas fa-hourglass-half"></i> {t('waitlist.title')}
+                </h3>
+                {!showForm && (
+                    <button type="button" className={cn('btn', styles.btnAdd)} onClick={() => setShowForm(true)}>
+                        <i className="fas fa-plus"></i> {t('waitlist.add')}
+                    </button>
+                )}
+            </div>
+            <p className={styles.hint}>{t('waitlist.hint')}</p>
+
+            {showForm && (
+                <form className={styles.form} onSubmit={handleAdd}>
+                    <label>
+                        {t('waitlist.earliest')}
+                        <input
+                            type="date"
+                            value={earliest}
+                            min={todayYmd()}
+                            required
+                            onChange={(e) => setEarliest(e.target.value)}
+                        />
+                    </label>
+                    <label>
+                        {t('waitlist.latest')}
+                        <input
+                            type="date"
+                            value={latest}
+                            min={earliest}
+                            onChange={(e) => setLatest(e.target.value)}
+                        />
+                    </label>
+                    <label>
+                        {t('waitlist.doctor')}
+                        <select value={drId} onChange={(e) => setDrId(e.target.value)}>
+                            <option value="">{t('waitlist.anyDoctor')}</option>
+                            {doctors.filter(d => d.id).map((doctor) => (
+                                <option key={doctor.id} value={doctor.id}>
+                                    {doctor.employee_name}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className={styles.noteField}>
+                        {t('waitlist.note')}
+                        <input type="text" value={note} maxLength={1000} onChange={(e) => setNote(e.target.value)} />
+                    </label>
+                    <div className={styles.formActions}>
+                        <button type="button" className="btn btn-cancel" onClick={() => setShowForm(false)}>
+                            {t('form.cancel')}
+                        </button>
+                        <button type="submit" className="btn btn-create" disabled={addEntry.isPending}>
+                            {t('waitlist.save')}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {entries.length === 0 ? (
+                <p className={styles.empty}>{t('waitlist.empty')}</p>
+            ) : (
+                <ul className={styles.list}>
+                    {entries.map((entry) => (
+                        <li key={entry.id} className={cn(styles.entry, entry.status === 'offered' && styles.offered)}>
+                            <div className={styles.entryMain}>
+                                <span className={styles.window}>
+                                    {t('waitlist.window', { from: entry.earliest_date, to: entry.latest_date })}
+                                </span>
+                                <span className={styles.meta}>
+                                    {entry.doctor_name ?? t('waitlist.anyDoctor')}
+                                    {entry.note ? ` · ${entry.note}` : ''}
+                                </span>
+                                {entry.status === 'offered' && entry.offered_slot && (
+                                    <span className={styles.offer}>
+                                        <i className="fas fa-bell"></i>{' '}
+                                        {entry.offer_expired
+                                            ? t('waitlist.offerExpired')
+                                            : t('waitlist.offeredSlot', {
+                                                slot: formatAppointmentListDateTime(new Date(entry.offered_slot), language),
+                                            })}
+                                    </span>
+                                )}
+                            </div>
+                            <div className={styles.entryActions}>
+                                {entry.status === 'offered' && !entry.offer_expired && (
+                                    <button
+                                        type="button"
+                                        className="btn btn-create"
+                                        disabled={busy}
+                                        onClick={() => runAction(
+                                            () => bookOffer.mutateAsync({ id: entry.id, personId }),
+                                            t('waitlist.booked')
+                                        )}
+                                    >
+                                        {t('waitlist.book')}
+                                    </button>
+                                )}
+                                {entry.status === 'offered' && (
+                                    <button
+                                        type="button"
+                                        className="btn btn-cancel"
+                                        disabled={busy}
+                                        onClick={() => runAction(() => declineOffer.mutateAsync(entry.id), t('waitlist.declined'))}
+                                    >
+                                        {t('waitlist.decline')}
+                                    </button>
+                                )}
+                                <button
+                                    type="button"
+                                    className="btn-delete"
+                                    disabled={busy}
+                                    onClick={() => runAction(() => cancelEntry.mutateAsync(entry.id), t('waitlist.removed'))}
+                                >
+                                    {t('waitlist.remove')}
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+};
+
+export default PatientWaitlist;
@@ -702,6 +702,14 @@ const PaymentModal = ({ workData, onClose, onSuccess }: PaymentModalProps) => {
                 schema: addInvoiceContract.response,
             });
             queryClient.invalidateQueries({ queryKey: qk.work.all(workData!.work_id) });
+            // The payment is allocated onto the work's installment plan server-side;
+            // say which installments it finished off and refresh the overdue report.
+            if (result.plan) {
+                queryClient.invalidateQueries({ queryKey: qk.reports.overdueBalances() });
+                if (result.plan.settled.length > 0) {
+                    toast.info(t('toast.installmentsSettled', { seqs: result.plan.settled.map((seq) => `#${seq}`).join(', ') }));
+                }
+            }
 
             // Set success state and prepare receipt data with complete work data
             setPaymentSuccess(true);
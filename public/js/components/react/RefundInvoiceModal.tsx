@@ -0,0 +1,195 @@
+import { useState, type FormEvent } from 'react';
+import { useTranslation } from 'react-i18next';
+import Modal from './Modal';
+import ModalHeader from './ModalHeader';
+import { useToast } from '../../contexts/ToastContext';
+import { httpErrorMessage } from '@/core/http';
+import { useRefundInvoice } from '@/hooks/useInvoiceRefund';
+import type { RefundRecord } from '@shared/contracts/payment.contract';
+import styles from './RefundInvoiceModal.module.css';
+
+interface RefundInvoiceModalProps {
+    /** The payment being refunded (a payment-history row, never a refund row). */
+    invoice: {
+        InvoiceID: number;
+        amount_paid: number;
+        date_of_payment: string;
+        refunded: number;
+    };
+    workId: number;
+    currency?: string;
+    formatDate: (date?: string) => string;
+    formatCurrency: (amount?: number | null, currency?: string | null) => string;
+    onClose: () => void;
+}
+
+/**
+ * Refund (credit note) for one payment, opened from the payment history. The
+ * amount defaults to what is still unrefunded and the cash handed back to the
+ * same figure in the work's currency; staff adjust the split when the money goes
+ * back in the other currency. An applied refund switches to a success state that
+ * prints the credit-note receipt; a held one (Front Desk, older payment) just
+ * closes with a "submitted" toast.
+ */
+const RefundInvoiceModal = ({
+    invoice,
+    workId,
+    currency,
+    formatDate,
+    formatCurrency,
+    onClose,
+}: RefundInvoiceModalProps) => {
+    const { t } = useTranslation('works');
+    const toast = useToast();
+    const refundInvoice = useRefundInvoice();
+
+    const refundable = invoice.amount_paid - invoice.refunded;
+    const [amount, setAmount] = useState(String(refundable));
+    const [iqdReturned, setIqdReturned] = useState(currency === 'IQD' ? String(refundable) : '0');
+    const [usdReturned, setUsdReturned] = useState(currency === 'IQD' ? '0' : String(refundable));
+    const [reason, setReason] = useState('');
+    const [created, setCreated] = useState<RefundRecord | null>(null);
+
+    const amountNum = parseInt(amount, 10) || 0;
+
+    // The server checks the cash returned is worth the amount; while it is all in
+    // the work's currency, keep it in step with the amount.
+    const handleAmountChange = (value: string): void => {
+        setAmount(value);
+        if (currency === 'IQD' ? usdReturned === '0' : iqdReturned === '0') {
+            (currency === 'IQD' ? setIqdReturned : setUsdReturned)(value);
+        }
+    };
+
+    const handleSubmit = async (e: FormEvent<HTMLFormElement>): Promise<void> => {
+        e.preventDefault();
+        try {
+            const result = await refundInvoice.mutateAsync({
+                invoiceId: invoice.InvoiceID,
+                workId,
+                amount: amountNum,
+                iqdReturned: parseInt(iqdReturned, 10) || 0,
+                usdReturned: parseInt(usdReturned, 10) || 0,
+                reason: reason.trim(),
+            });
+            if (result.outcome === 'pending') {
+                toast.success(t('refund.submitted'));
+                onClose();
+                return;
+            }
+            toast.success(t('refund.success'));
+            setCreated(result.refund);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, t('refund.failed')));
+        }
+    };
+
+    const handlePrint = (): void => {
+        if (!created) return;
+        window.open(`/api/templates/receipt/refund/${created.InvoiceID}?autoprint=1`, '_blank');
+    };
+
+    return (
+        <Modal isOpen={true} onClose={onClose} contentClassName={styles.modalContent} ariaLabelledBy="refund-invoice-title">
+            <ModalHeader
+                title={t('refund.title')}
+                titleId="refund-invoice-title"
+                icon={<i className="fas fa-undo" />}
+                onClose={onClose}
+            />
+            {created ? (
+                <>
+                    <div className={styles.modalBody}>
+                        <div className={styles.success}>
+                            <i className="fas fa-check-circle"></i>
+                            {t('refund.recorded', { amount: formatCurrency(-created.amount_paid, currency) })}
+                        </div>
+                        <p className={styles.hint}>{t('refund.remaining', { amount: formatCurrency(created.refundable, currency) })}</p>
+                    </div>
+                    <div className={styles.modalFooter}>
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>
+                            {t('common.close')}
+                        </button>
+                        <button type="button" className="btn btn-primary" onClick={handlePrint}>
+                            <i className="fas fa-print"></i> {t('refund.print')}
+                        </button>
+                    </div>
+                </>
+            ) : (
+                <form onSubmit={handleSubmit}>
+                    <div className={styles.modalBody}>
+                        <div className={styles.original}>
+                            <span>
+                                {t('refund.original', {
+                                    id: invoice.InvoiceID,
+                                    date: formatDate(invoice.date_of_payment),
+                                    amount: formatCurrency(invoice.amount_paid, currency),
+                                })}
+                            </span>
+                            {invoice.refunded > 0 && (
+                                <span>{t('refund.alreadyRefunded', { amount: formatCurrency(invoice.refunded, currency) })}</span>
+                            )}
+                            <strong>{t('refund.refundable', { amount: formatCurrency(refundable, currency) })}</strong>
+                        </div>
+                        <div className={styles.form}>
+                            <label className={styles.fullRow}>
+                                {t('refund.amount', { currency: currency ?? '' })}
+                                <input
+                                    type="number"
+                                    min={1}
+                                    max={refundable}
+                                    required
+                                    value={amount}
+                                    onChange={(e) => handleAmountChange(e.target.value)}
+                                />
+                            </label>
+                            <label>
+                                {t('refund.iqdReturned')}
+                                <input
+                                    type="number"
+                                    min={0}
+                                    value={iqdReturned}
+                                    onChange={(e) => setIqdReturned(e.target.value)}
+                                />
+                            </label>
+                            <label>
+                                {t('refund.usdReturned')}
+                                <input
+                                    type="number"
+                                    min={0}
+                                    value={usdReturned}
+                                    onChange={(e) => setUsdReturned(e.target.value)}
+                                />
+                            </label>
+                            <label className={styles.fullRow}>
+                                {t('refund.reason')}
+                                <textarea
+                                    rows={2}
+                                    required
+                                    maxLength={500}
+                                    value={reason}
+                                    onChange={(e) => setReason(e.target.value)}
+                                />
+                            </label>
+                            <p className={`${styles.hint} ${styles.fullRow}`}>{t('refund.hint')}</p>
+                        </div>
+                    </div>
+                    <div className={styles.modalFooter}>
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>
+                            {t('common.cancel')}
+                        </button>
+                        <button
+                            type="submit"
+                            className="btn btn-danger"
+                            disabled={refundInvoice.isPending || amountNum <= 0 || amountNum > refundable || !reason.trim()}
+                        >
+                            <i className="fas fa-undo"></i> {t('refund.submit')}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </Modal>
+    );
+};
+
+export default RefundInvoiceModal;
@@ -25,6 +25,11 @@ import DolphinStatusSettings from './DolphinStatusSettings';
 import IntegrationsSettings from './IntegrationsSettings';
 import DatabaseBackupSettings from './DatabaseBackupSettings';
 import TvDisplaySettings from './TvDisplaySettings';
+import AuditLogSettings from './AuditLogSettings';
+import MessageTemplatesSettings from './MessageTemplatesSettings';
+import MessageQueueSettings from './MessageQueueSettings';
+import WireProtocolsSettings from './WireProtocolsSettings';
+import CephNormsSettings from './CephNormsSettings';
 
 // Types
 interface SettingsTabComponentProps {
@@ -116,6 +121,20 @@ const tabs: TabConfig[] = [
         component: LookupsSettings,
         description: 'Manage dropdown and reference data'
     },
+    {
+        id: 'wireProtocols',
+        label: 'Wire Protocols',
+        icon: 'fas fa-stream',
+        component: WireProtocolsSettings,
+        description: 'Archwire sequences with minimum weeks per wire and visit intervals'
+    },
+    {
+        id: 'cephNorms',
+        label: 'Ceph Norms',
+        icon: 'fas fa-ruler-combined',
+        component: CephNormsSettings,
+        description: 'Cephalometric norms by sex and age used to flag out-of-range values'
+    },
     {
         id: 'calendarTimes',
         label: 'Calendar Times',
@@ -159,9 +178,18 @@ const tabs: TabConfig[] = [
         id: 'messaging',
         label: 'Messaging',
         icon: 'fas fa-comments',
-        component: null,
-        description: 'WhatsApp and SMS configuration',
-        disabled: true
+        component: MessageTemplatesSettings,
+        description: 'Patient message templates: text, languages and preview',
+        // Server-side: routes/api/message-template.routes.ts authorize(ADMIN_ROLES) on writes.
+        adminOnly: true
+    },
+    {
+        id: 'messageQueue',
+        label: 'Message Queue',
+        icon: 'fas fa-paper-plane',
+        component: MessageQueueSettings,
+        description: 'Queued, failed and sent patient/staff messages; resend or cancel',
+        adminOnly: true
     },
     {
         id: 'system',
@@ -185,6 +213,15 @@ const tabs: TabConfig[] = [
         component: AdminUserManagement,
         description: 'User management (admin only)',
         adminOnly: true // Only show to admins
+    },
+    {
+        id: 'auditLog',
+        label: 'Audit Log',
+        icon: 'fas fa-history',
+        component: AuditLogSettings,
+        description: 'Who changed what — clinical and financial edits across the clinic',
+        // Server-side: routes/api/audit.routes.ts authorize(ADMIN_ROLES).
+        adminOnly: true
     }
 ];
 
@@ -6,6 +6,7 @@ import Chart from '../../utils/chartSetup';
 import DailyInvoicesModal from './DailyInvoicesModal';
 import DoctorCommissionsView from './DoctorCommissionsView';
 import RevenueBreakdownView from './RevenueBreakdownView';
+import OverdueBalancesView from './OverdueBalancesView';
 import { formatCurrency as formatCurrencyUtil, formatNumber } from '../../utils/formatters';
 import { getChartThemeColors } from '../../utils/chartTheme';
 import { useTheme } from '../../contexts/ThemeContext';
@@ -80,13 +81,14 @@ interface ChartDataItem {
 }
 
 // View mode constants
-const VIEW_MODES = { DAILY: 'daily', MONTHLY: 'monthly', YEARLY: 'yearly', COMMISSIONS: 'commissions', BREAKDOWN: 'breakdown' } as const;
+const VIEW_MODES = { DAILY: 'daily', MONTHLY: 'monthly', YEARLY: 'yearly', COMMISSIONS: 'commissions', BREAKDOWN: 'breakdown', OVERDUE: 'overdue' } as const;
 type ViewMode = typeof VIEW_MODES[keyof typeof VIEW_MODES];
 
-// Self-contained tabs that own their own date-range picker + query and so hide the
-// month-nav, summary cards, and daily table the time-based views share.
+// Self-contained tabs that own their own query (and, for Commissions / Breakdown, a
+// date-range picker) and so hide the month-nav, summary cards, and daily table the
+// time-based views share.
 const isCustomView = (mode: ViewMode): boolean =>
-    mode === VIEW_MODES.COMMISSIONS || mode === VIEW_MODES.BREAKDOWN;
+    mode === VIEW_MODES.COMMISSIONS || mode === VIEW_MODES.BREAKDOWN || mode === VIEW_MODES.OVERDUE;
 
 // Tabs restricted to admins: per-doctor earnings / revenue breakdowns, plus the
 // Monthly and Yearly rollups (multi-period revenue is admin-only like the others).
@@ -103,6 +105,7 @@ const TAB_META: Record<ViewMode, { label: string; icon: string }> = {
     [VIEW_MODES.YEARLY]: { label: 'Yearly', icon: 'fa-calendar' },
     [VIEW_MODES.COMMISSIONS]: { label: 'Commissions', icon: 'fa-hand-holding-dollar' },
     [VIEW_MODES.BREAKDOWN]: { label: 'Breakdown', icon: 'fa-chart-pie' },
+    [VIEW_MODES.OVERDUE]: { label: 'Overdue', icon: 'fa-file-invoice-dollar' },
 };
 
 const StatisticsComponent = () => {
@@ -140,7 +143,7 @@ const StatisticsComponent = () => {
     } = useQuery({
         ...statisticsQuery(month, year, exchangeRate),
         placeholderData: keepPreviousData,
-        // The custom tabs (Commissions / Breakdown) own their own queries and never
+        // The custom tabs (Commissions / Breakdown / Overdue) own their own queries and never
         // read the monthly stats — don't fetch them while one of those tabs is open.
         enabled: !isCustomView(effectiveViewMode),
     });
@@ -474,6 +477,10 @@ const StatisticsComponent = () => {
                     <div className={`${styles.chartCard} ${styles.chartCardFull}`}>
                         <RevenueBreakdownView />
                     </div>
+                ) : effectiveViewMode === VIEW_MODES.OVERDUE ? (
+                    <div className={`${styles.chartCard} ${styles.chartCardFull}`}>
+                        <OverdueBalancesView />
+                    </div>
                 ) : (
                 <>
             {/* Controls (month nav) */}
@@ -1,13 +1,16 @@
 import { useEffect } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { httpErrorMessage } from '@/core/http';
-import { supabaseStatusQuery } from '@/query/queries';
+import { authMeQuery, supabaseStatusQuery } from '@/query/queries';
+import type { UserResponse } from '@/types/api.types';
+import SyncConflictQueue from './SyncConflictQueue';
 import styles from './SupabaseStatusSettings.module.css';
 
 /**
  * Read-only Settings tab: live status of the single Supabase CDC mirror (sink 'failover').
  * Polls GET /api/sync/supabase-status every POLL_MS. Never reports unsaved changes, so the
- * tab never shows a Save badge.
+ * tab never shows a Save badge. The two-way sync conflict queue (SyncConflictQueue) sits
+ * under the sink cards whenever the mirror is configured; resolving is admin-only.
  */
 
 const POLL_MS = 10_000;
@@ -44,7 +47,9 @@ const SINK_META: Record<SinkStatus['sink'], { label: string; description: string
     },
     reverse: {
         label: 'Reverse sync',
-        description: 'Two-way path: web/portal edits on Supabase → applied back to local (last-write-wins).',
+        description:
+            'Two-way path: web/portal edits on Supabase → applied back to local. Edits to different fields merge; ' +
+            'the same field edited on both sides waits for review below.',
     },
 };
 
@@ -78,6 +83,10 @@ const SupabaseStatusSettings = ({ onChangesUpdate }: SupabaseStatusSettingsProps
     const status = data as StatusResponse | undefined;
     const sinks = status?.sinks ?? null;
     const checkedAt = status?.checkedAt ?? null;
+    const mirrorConfigured = sinks?.some((s) => s.configured) ?? false;
+    const { data: meData } = useQuery(authMeQuery());
+    const me = meData as UserResponse | undefined;
+    const isAdmin = me?.success && me.user ? me.user.role === 'admin' : false;
 
     // Surface either a transport error (thrown) or a server-reported failure
     // ({ success:false } / no sinks) — mirroring the prior fetch's two paths.
@@ -191,6 +200,8 @@ const SupabaseStatusSettings = ({ onChangesUpdate }: SupabaseStatusSettingsProps
                     })}
                 </div>
             )}
+
+            {mirrorConfigured && <SyncConflictQueue isAdmin={isAdmin} />}
         </div>
     );
 };
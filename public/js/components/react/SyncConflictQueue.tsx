@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import type { SyncConflict, SyncConflictWinner } from '@shared/contracts/sync-conflict.contract';
+import { httpErrorMessage } from '@/core/http';
+import { syncConflictsQuery } from '@/query/queries';
+import { useResolveSyncConflict } from '@/hooks/useSyncConflicts';
+import { useToast } from '../../contexts/ToastContext';
+import ConfirmDialog from './ConfirmDialog';
+import styles from './SyncConflictQueue.module.css';
+
+/**
+ * Two-way sync conflict review (part of Settings → Supabase Sync Status).
+ *
+ * Lists the rows the CDC sinks could not reconcile on their own — the same column edited
+ * here and on the web/portal, or a delete racing an edit — with base / local / web values
+ * of every column that differs. An admin picks the side to keep; the server copies it over
+ * the other side. Concurrent edits to different columns never show up here: they are
+ * merged automatically.
+ */
+
+const POLL_MS = 30_000;
+
+const KIND_LABEL: Record<SyncConflict['kind'], string> = {
+    edit: 'Edited on both sides',
+    delete_local: 'Deleted here, edited on the web',
+    delete_remote: 'Deleted on the web, edited here',
+};
+
+type Row = SyncConflict['base_row'];
+
+function formatValue(row: Row, col: string): string {
+    if (!row) return '(deleted)';
+    const v = row[col];
+    if (v === null || v === undefined) return '—';
+    return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+function formatTime(iso: string | null): string {
+    if (!iso) return '—';
+    const d = new Date(iso);
+    return Number.isNaN(d.getTime()) ? iso : d.toLocaleString();
+}
+
+/** The columns worth showing: those either side changed since the base (updated_at last). */
+function differingColumns(c: SyncConflict): string[] {
+    const rows = [c.base_row, c.local_row, c.remote_row].filter((r): r is NonNullable<Row> => r !== null);
+    const keys = new Set(rows.flatMap((r) => Object.keys(r)));
+    const differs = (k: string) => new Set(rows.map((r) => JSON.stringify(r[k] ?? null))).size > 1;
+    const cols = [...keys].filter((k) => k !== 'updated_at' && differs(k)).sort();
+    return keys.has('updated_at') ? [...cols, 'updated_at'] : cols;
+}
+
+interface PendingResolve {
+    conflict: SyncConflict;
+    winner: SyncConflictWinner;
+}
+
+interface SyncConflictQueueProps {
+    isAdmin: boolean;
+}
+
+const SyncConflictQueue = ({ isAdmin }: SyncConflictQueueProps) => {
+    const toast = useToast();
+    const [showResolved, setShowResolved] = useState(false);
+    const [expanded, setExpanded] = useState<number | null>(null);
+    const [pending, setPending] = useState<PendingResolve | null>(null);
+    const status = showResolved ? 'resolved' : 'open';
+    const { data: conflicts, isLoading, error } = useQuery({
+        ...syncConflictsQuery(status),
+        refetchInterval: POLL_MS,
+    });
+    const resolve = useResolveSyncConflict();
+
+    const handleResolve = async () => {
+        if (!pending) return;
+        const { conflict, winner } = pending;
+        setPending(null);
+        try {
+            await resolve.mutateAsync({ id: conflict.id, winner });
+            toast.success(`${conflict.tbl} #${conflict.pk}: kept the ${winner === 'local' ? 'local' : 'web'} version`);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to resolve conflict'));
+        }
+    };
+
+    return (
+        <section className={styles.panel}>
+            <div className={styles.panelHeader}>
+                <h4 className={styles.panelTitle}>
+                    <i className="fas fa-code-branch"></i> Sync conflicts
+                    {!showResolved && conflicts && conflicts.length > 0 && (
+                        <span className={styles.count}>{conflicts.length}</span>
+                    )}
+                </h4>
+                <div className={styles.tabs} role="tablist">
+                    <button
+                        type="button"
+                        role="tab"
+                        aria-selected={!showResolved}
+                        className={!showResolved ? styles.tabActive : styles.tab}
+                        onClick={() => setShowResolved(false)}
+                    >
+                        Open
+                    </button>
+                    <button
+                        type="button"
+                        role="tab"
+                        aria-selected={showResolved}
+                        className={showResolved ? styles.tabActive : styles.tab}
+                        onClick={() => setShowResolved(true)}
+                    >
+                        Recently resolved
+                    </button>
+                </div>
+            </div>
+
+            {error && <p className={styles.errorText}>{httpErrorMessage(error, 'Failed to load sync conflicts')}</p>}
+            {isLoading && <p className={styles.hint}>Loading…</p>}
+            {conflicts && conflicts.length === 0 && (
+                <p className={styles.hint}>
+                    {showResolved ? 'No conflicts resolved yet.' : 'No conflicts — both sides agree on every synced row.'}
+                </p>
+            )}
+
+            {conflicts && conflicts.length > 0 && (
+                <ul className={styles.list}>
+                    {conflicts.map((c) => {
+                        const open = expanded === c.id;
+                        return (
+                            <li key={c.id} className={styles.item}>
+                                <button
+                                    type="button"
+                                    className={styles.itemHeader}
+                                    onClick={() => setExpanded(open ? null : c.id)}
+                                    aria-expanded={open}
+                                >
+                                    <i className={`fas fa-chevron-${open ? 'down' : 'right'}`}></i>
+                                    <span className={styles.mono}>
+                                        {c.tbl} #{c.pk}
+                                    </span>
+                                    <span className={styles.kind}>{KIND_LABEL[c.kind]}</span>
+                                    {c.columns.length > 0 && (
+                                        <span className={styles.columns}>{c.columns.join(', ')}</span>
+                                    )}
+                                    <span className={styles.time}>
+                                        {c.resolved_at
+                                            ? `${c.resolution === 'local' ? 'Local' : 'Web'} kept by ${c.resolved_by ?? '—'} · ${formatTime(c.resolved_at)}`
+                                            : formatTime(c.detected_at)}
+                                    </span>
+                                </button>
+
+                                {open && (
+                                    <div className={styles.detail}>
+                                        <table className={styles.diff}>
+                                            <thead>
+                                                <tr>
+                                                    <th>Column</th>
+                                                    <th>Last synced</th>
+                                                    <th>Local (this clinic)</th>
+                                                    <th>Web / portal</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {differingColumns(c).map((col) => (
+                                                    <tr key={col} className={c.columns.includes(col) ? styles.clash : undefined}>
+                                                        <td className={styles.mono}>{col}</td>
+                                                        <td>{formatValue(c.base_row, col)}</td>
+                                                        <td>{formatValue(c.local_row, col)}</td>
+                                                        <td>{formatValue(c.remote_row, col)}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+
+                                        {!c.resolved_at && isAdmin && (
+                                            <div className={styles.actions}>
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-secondary btn-sm"
+                                                    onClick={() => setPending({ conflict: c, winner: 'local' })}
+                                                    disabled={resolve.isPending}
+                                                >
+                                                    Keep local
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-secondary btn-sm"
+                                                    onClick={() => setPending({ conflict: c, winner: 'remote' })}
+                                                    disabled={resolve.isPending}
+                                                >
+                                                    Keep web
+                                                </button>
+                                            </div>
+                                        )}
+                                    </div>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {!isAdmin && !showResolved && conflicts && conflicts.length > 0 && (
+                <p className={styles.hint}>Only an admin can resolve conflicts.</p>
+            )}
+
+            <ConfirmDialog
+                isOpen={pending !== null}
+                title="Resolve sync conflict?"
+                message={
+                    pending
+                        ? `${pending.conflict.tbl} #${pending.conflict.pk}: the ${
+                              pending.winner === 'local' ? 'local' : 'web'
+                          } version will overwrite the ${pending.winner === 'local' ? 'web' : 'local'} one${
+                              (pending.winner === 'local' ? pending.conflict.local_row : pending.conflict.remote_row) === null
+                                  ? ' — the row will be deleted on both sides'
+                                  : ''
+                          }.`
+                        : ''
+                }
+                confirmText="Resolve"
+                onConfirm={handleResolve}
+                onCancel={() => setPending(null)}
+            />
+        </section>
+    );
+};
+
+export default SyncConflictQueue;
@@ -0,0 +1,370 @@
+/**
+ * TreatmentTimeline - one work's treatment journey at a glance
+ *
+ * Lanes on a shared date axis: the upper and lower wire sequence, the visits
+ * (long gaps shaded, missed appointments marked), photo timepoints and the key
+ * milestones, with today / planned-end / projected-end lines across them. The
+ * progress panel above says whether the case is on track against its plan.
+ * Everything is derived on the server (GET /api/works/:workId/timeline).
+ */
+
+import { useNavigate } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { httpErrorMessage } from '@/core/http';
+import { formatDate } from '@/core/utils';
+import { workTimelineQuery } from '@/query/queries';
+import type {
+    MilestoneKind,
+    ProgressStatus,
+    TimelineArch,
+    WorkTimeline,
+} from '@shared/contracts/treatment-timeline.contract';
+import styles from './TreatmentTimeline.module.css';
+
+interface TreatmentTimelineProps {
+    workId: number | null;
+    personId?: number | null;
+}
+
+const DAY_MS = 86_400_000;
+
+const STATUS_LABEL: Record<ProgressStatus, string> = {
+    on_track: 'On track',
+    behind: 'Behind plan',
+    overdue: 'Overdue',
+    finished: 'Finished',
+    discontinued: 'Discontinued',
+    no_plan: 'No plan to compare',
+};
+
+const MILESTONE_ICON: Record<MilestoneKind, string> = {
+    start: 'fa-play',
+    diagnosis: 'fa-stethoscope',
+    initial_records: 'fa-camera',
+    bracket_change: 'fa-wrench',
+    opg: 'fa-x-ray',
+    progress_photos: 'fa-images',
+    appliance_removed: 'fa-flag-checkered',
+    final_records: 'fa-camera-retro',
+};
+
+const ARCH_LABEL: Record<TimelineArch, string> = {
+    upper: 'Upper wire',
+    lower: 'Lower wire',
+};
+
+const dayNumber = (ymd: string): number => Date.parse(`${ymd}T00:00:00Z`) / DAY_MS;
+
+const weeks = (days: number): string => `${Math.round(days / 7)} wk`;
+
+/** The one sentence under the status badge. */
+function statusSummary(t: WorkTimeline): string {
+    const p = t.progress;
+    switch (p.status) {
+        case 'finished':
+            return p.actual_months !== null && p.planned_months !== null
+                ? `Finished in ${p.actual_months} months against a plan of ${p.planned_months}.`
+                : 'Treatment finished.';
+        case 'discontinued':
+            return 'Treatment was discontinued.';
+        case 'no_plan':
+            return p.start
+                ? 'Set an estimated duration on the work to measure progress against it.'
+                : 'No start date or visits yet.';
+        case 'overdue':
+            return `Past the planned end (${formatDate(p.planned_end)}) — ${p.elapsed_months} of ${p.planned_months} months.`;
+        case 'behind':
+            return `Gaps between visits have cost about ${weeks(p.delay_days)}; projected to finish ${formatDate(p.projected_end)}.`;
+        default:
+            return `${p.elapsed_months} of ${p.planned_months} months; projected to finish ${formatDate(p.projected_end)}.`;
+    }
+}
+
+/** Month ticks across the range, thinned so there are at most ~12 labels. */
+function monthTicks(from: string, to: string): string[] {
+    const [fy, fm] = from.split('-').map(Number);
+    const [ty, tm] = to.split('-').map(Number);
+    const months = (ty - fy) * 12 + (tm - fm);
+    const step = Math.max(1, Math.ceil(months / 12));
+    const ticks: string[] = [];
+    for (let i = 1; i <= months; i += step) {
+        const y = fy + Math.floor((fm - 1 + i) / 12);
+        const m = ((fm - 1 + i) % 12) + 1;
+        ticks.push(`${y}-${String(m).padStart(2, '0')}-01`);
+    }
+    return ticks;
+}
+
+const TreatmentTimeline = ({ workId, personId }: TreatmentTimelineProps) => {
+    const navigate = useNavigate();
+    const { data: timeline, isLoading, error } = useQuery({
+        ...workTimelineQuery(workId ?? ''),
+        enabled: !!workId,
+    });
+
+    if (!workId) return <div className={styles.message}>No work selected.</div>;
+    if (isLoading) return <div className={styles.message}>Loading timeline...</div>;
+    if (error || !timeline) {
+        return <div className={styles.error}>{httpErrorMessage(error, 'Failed to load the treatment timeline')}</div>;
+    }
+
+    const { progress } = timeline;
+    const origin = dayNumber(timeline.range.from);
+    const span = Math.max(1, dayNumber(timeline.range.to) - origin);
+    const left = (date: string): string => `${((dayNumber(date) - origin) / span) * 100}%`;
+    const width = (from: string, to: string): string => `${Math.max(0.4, ((dayNumber(to) - dayNumber(from)) / span) * 100)}%`;
+    const progressPct =
+        progress.elapsed_months !== null && progress.planned_months
+            ? Math.min(100, (progress.elapsed_months / progress.planned_months) * 100)
+            : null;
+
+    const showProjected = !!progress.projected_end && progress.projected_end !== progress.planned_end;
+    const markers = [
+        { key: 'today', date: timeline.today, className: styles.todayLine },
+        ...(progress.planned_end ? [{ key: 'planned', date: progress.planned_end, className: styles.plannedLine }] : []),
+        ...(showProjected && progress.projected_end
+            ? [{ key: 'projected', date: progress.projected_end, className: styles.projectedLine }]
+            : []),
+    ];
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.header}>
+                <h2>
+                    Treatment Timeline
+                    {timeline.work.type_name && <span className={styles.workType}>{timeline.work.type_name}</span>}
+                </h2>
+                <div className={styles.controls}>
+                    {personId && (
+                        <button
+                            onClick={() => navigate(`/patient/${personId}/visits?workId=${workId}`)}
+                            className="btn btn-secondary"
+                        >
+                            <i className="fas fa-arrow-left"></i> Visits
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div className={styles.progressPanel}>
+                <div className={styles.progressHead}>
+                    <span className={`${styles.status} ${styles[progress.status]}`}>{STATUS_LABEL[progress.status]}</span>
+                    <span className={styles.progressText}>{statusSummary(timeline)}</span>
+                </div>
+                {progressPct !== null && (
+                    <div className={styles.progressBar} title={`${Math.round(progressPct)}% of the planned duration`}>
+                        <div className={`${styles.progressFill} ${styles[progress.status]}`} style={{ width: `${progressPct}%` }} />
+                    </div>
+                )}
+                <dl className={styles.facts}>
+                    <div>
+                        <dt>Start</dt>
+                        <dd>{progress.start ? formatDate(progress.start) : '—'}</dd>
+                    </div>
+                    <div>
+                        <dt>Planned</dt>
+                        <dd>
+                            {progress.planned_months !== null
+                                ? `${progress.planned_months} months${progress.planned_end ? ` → ${formatDate(progress.planned_end)}` : ''}`
+                                : '—'}
+                        </dd>
+                    </div>
+                    <div>
+                        <dt>Elapsed</dt>
+                        <dd>{progress.elapsed_months !== null ? `${progress.elapsed_months} months` : '—'}</dd>
+                    </div>
+                    <div>
+                        <dt>Lost to gaps</dt>
+                        <dd>{progress.delay_days > 0 ? weeks(progress.delay_days) : 'None'}</dd>
+                    </div>
+                    <div>
+                        <dt>Usual interval</dt>
+                        <dd>{timeline.usual_interval_days !== null ? weeks(timeline.usual_interval_days) : '—'}</dd>
+                    </div>
+                    <div>
+                        <dt>Visits</dt>
+                        <dd>{timeline.visits.length}</dd>
+                    </div>
+                </dl>
+            </div>
+
+            {timeline.visits.length === 0 && timeline.milestones.length === 0 ? (
+                <p className={styles.message}>No visits recorded for this work yet.</p>
+            ) : (
+                <div className={styles.chart}>
+                    <div className={styles.lanes}>
+                        <div className={styles.lane}>
+                            <span className={styles.laneLabel}></span>
+                            <div className={styles.axis}>
+                                {monthTicks(timeline.range.from, timeline.range.to).map((tick) => (
+                                    <span key={tick} className={styles.tick} style={{ left: left(tick) }}>
+                                        {tick.slice(5, 7)}/{tick.slice(2, 4)}
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+
+                        {(['upper', 'lower'] as TimelineArch[]).map((arch) => (
+                            <div key={arch} className={styles.lane}>
+                                <span className={styles.laneLabel}>{ARCH_LABEL[arch]}</span>
+                                <div className={styles.track}>
+                                    {timeline.wires
+                                        .filter((w) => w.arch === arch)
+                                        .map((w) => (
+                                            <span
+                                                key={`${w.from}-${w.wire_id}`}
+                                                className={w.current ? styles.wireCurrent : styles.wire}
+                                                style={{ left: left(w.from), width: width(w.from, w.to) }}
+                                                title={`${w.name}: ${formatDate(w.from)} – ${formatDate(w.to)} (${weeks(w.days)}, ${w.visits} visit${w.visits === 1 ? '' : 's'})`}
+                                            >
+                                                {w.name}
+                                            </span>
+                                        ))}
+                                </div>
+                            </div>
+                        ))}
+
+                        <div className={styles.lane}>
+                            <span className={styles.laneLabel}>Visits</span>
+                            <div className={styles.track}>
+                                {timeline.gaps.map((g) => (
+                                    <span
+                                        key={`gap-${g.from}`}
+                                        className={g.open ? styles.gapOpen : styles.gap}
+                                        style={{ left: left(g.from), width: width(g.from, g.to) }}
+                                        title={`${g.open ? 'No visit since' : 'Gap'} ${formatDate(g.from)}: ${weeks(g.days)}${g.missed_appointments ? `, ${g.missed_appointments} missed appointment(s)` : ''}`}
+                                    />
+                                ))}
+                                {timeline.missed_appointments.map((day) => (
+                                    <i
+                                        key={`missed-${day}`}
+                                        className={`fas fa-times ${styles.missed}`}
+                                        style={{ left: left(day) }}
+                                        title={`Missed appointment ${formatDate(day)}`}
+                                    ></i>
+                                ))}
+                                {timeline.visits.map((v) => (
+                                    <span
+                                        key={v.id}
+                                        className={v.appliance_removed ? styles.visitFinal : styles.visit}
+                                        style={{ left: left(v.date) }}
+                                        title={[
+                                            formatDate(v.date),
+                                            v.interval_days !== null ? `${v.interval_days} days after the previous visit` : 'First visit',
+                                            v.upper_wire && `Upper: ${v.upper_wire}`,
+                                            v.lower_wire && `Lower: ${v.lower_wire}`,
+                                            v.elastics && `Elastics: ${v.elastics}`,
+                                        ].filter(Boolean).join('\n')}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className={styles.lane}>
+                            <span className={styles.laneLabel}>Photos</span>
+                            <div className={styles.track}>
+                                {timeline.photos.map((tp) => (
+                                    <i
+                                        key={tp.tp_code}
+                                        className={`fas fa-camera ${styles.icon}`}
+                                        style={{ left: left(tp.date) }}
+                                        title={`${tp.description || `Timepoint ${tp.tp_code}`} — ${formatDate(tp.date)}`}
+                                    ></i>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className={styles.lane}>
+                            <span className={styles.laneLabel}>Milestones</span>
+                            <div className={styles.track}>
+                                {timeline.milestones.map((m, i) => (
+                                    <i
+                                        key={`${m.kind}-${m.date}-${i}`}
+                                        className={`fas ${MILESTONE_ICON[m.kind]} ${styles.icon}`}
+                                        style={{ left: left(m.date) }}
+                                        title={`${m.label} — ${formatDate(m.date)}`}
+                                    ></i>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className={styles.markerLayer} aria-hidden="true">
+                            {markers.map((m) => (
+                                <span key={m.key} className={m.className} style={{ left: left(m.date) }} />
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className={styles.legend}>
+                        <span><span className={styles.legendToday} /> Today</span>
+                        {progress.planned_end && <span><span className={styles.legendPlanned} /> Planned end</span>}
+                        {showProjected && <span><span className={styles.legendProjected} /> Projected end</span>}
+                        <span><span className={styles.legendGap} /> Gap between visits</span>
+                        <span><i className={`fas fa-times ${styles.legendMissed}`}></i> Missed appointment</span>
+                    </div>
+                </div>
+            )}
+
+            <div className={styles.columns}>
+                <section className={styles.section}>
+                    <h3>Wire sequence</h3>
+                    {timeline.wires.length === 0 ? (
+                        <p className={styles.hint}>No wires recorded.</p>
+                    ) : (
+                        <table className={styles.table}>
+                            <thead>
+                                <tr>
+                                    <th>Arch</th>
+                                    <th>Wire</th>
+                                    <th>From</th>
+                                    <th>Duration</th>
+                                    <th>Visits</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {[...timeline.wires]
+                                    .sort((a, b) => a.from.localeCompare(b.from) || a.arch.localeCompare(b.arch))
+                                    .map((w) => (
+                                        <tr key={`${w.arch}-${w.from}-${w.wire_id}`}>
+                                            <td>{w.arch === 'upper' ? 'Upper' : 'Lower'}</td>
+                                            <td>
+                                                {w.name}
+                                                {w.current && <span className={styles.currentTag}>current</span>}
+                                            </td>
+                                            <td>{formatDate(w.from)}</td>
+                                            <td>{weeks(w.days)}</td>
+                                            <td>{w.visits}</td>
+                                        </tr>
+                                    ))}
+                            </tbody>
+                        </table>
+                    )}
+                </section>
+
+                <section className={styles.section}>
+                    <h3>Gaps between visits</h3>
+                    {timeline.gaps.length === 0 ? (
+                        <p className={styles.hint}>No long gaps — visits have kept to the usual interval.</p>
+                    ) : (
+                        <ul className={styles.gapList}>
+                            {timeline.gaps.map((g) => (
+                                <li key={`gap-item-${g.from}`}>
+                                    <span className={styles.gapDates}>
+                                        {formatDate(g.from)} → {g.open ? 'today' : formatDate(g.to)}
+                                    </span>
+                                    <span>{weeks(g.days)}</span>
+                                    <span className={styles.hint}>
+                                        {g.open ? 'no visit since' : `${weeks(g.excess_days)} over the usual interval`}
+                                        {g.missed_appointments > 0 && `, ${g.missed_appointments} missed`}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </section>
+            </div>
+        </div>
+    );
+};
+
+export default TreatmentTimeline;
@@ -7,6 +7,7 @@ import { patientInfoQuery, brandingQuery } from '@/query/queries';
 import { ROLES } from '@shared/auth/roles';
 import TasksBell from './TasksBell';
 import PortalActivityBell from './PortalActivityBell';
+import WhatsAppInboxBell from './WhatsAppInboxBell';
 import ApprovalsBell from './ApprovalsBell';
 import MyApprovalsBadge from './MyApprovalsBadge';
 import ThemeToggle from './ThemeToggle';
@@ -326,6 +327,9 @@ const UniversalHeader = () => {
                     {/* Doctor-portal activity (uploads / notes / days changes) */}
                     <PortalActivityBell />
 
+                    {/* Shared WhatsApp inbox — patients' replies, unread conversations badged */}
+                    <WhatsAppInboxBell />
+
                     {/* Maker-checker approval queue: admin sees all pending holds + notices;
                         front-desk sees their own submissions and their outcome. */}
                     {user?.role === ROLES.ADMIN && <ApprovalsBell />}
@@ -6,6 +6,7 @@ import PhotoSessionDialog from './PhotoSessionDialog';
 import AlertModal from './AlertModal';
 import WebCephModal from './WebCephModal';
 import PortalAccessCard from './PortalAccessCard';
+import AttendanceCard from './AttendanceCard';
 import { useToast } from '../../contexts/ToastContext';
 import { formatPhoneForDisplay } from '../../utils/phoneFormatter';
 import { putJSON, httpErrorMessage } from '@/core/http';
@@ -630,6 +631,9 @@ const ViewPatientInfo = ({ personId }: Props) => {
                     </div>
                 </div>
 
+                {/* Attendance (check-ins vs swept no-shows) */}
+                {validPersonId && <AttendanceCard personId={validPersonId} />}
+
                 {/* Portal Access */}
                 {validPersonId && <PortalAccessCard personId={validPersonId} />}
             </div>
@@ -123,6 +123,12 @@ const VisitsComponent = ({ workId, personId }: VisitsComponentProps) => {
                             <i className="fas fa-arrow-left"></i> Back
                         </button>
                     )}
+                    <button
+                        onClick={() => navigate(`/patient/${personId}/timeline?workId=${workId}`)}
+                        className="btn btn-secondary"
+                    >
+                        <i className="fas fa-stream"></i> Timeline
+                    </button>
                     <button onClick={handleAddVisit} className="btn btn-primary">
                         <i className="fas fa-plus"></i> Add Visit
                     </button>
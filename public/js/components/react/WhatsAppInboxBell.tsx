@@ -0,0 +1,35 @@
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { useInboxUnread, useWhatsAppInboxLive } from '../../hooks/useWhatsAppInbox';
+import styles from './WhatsAppInboxBell.module.css';
+
+/**
+ * WhatsAppInboxBell — header shortcut to the shared WhatsApp inbox (/inbox),
+ * badged with the number of conversations that have unread patient messages.
+ * Live over the WhatsApp SSE stream (`whatsapp_inbox_updated`), with a slow
+ * poll as the fallback.
+ */
+const WhatsAppInboxBell = () => {
+    const { t } = useTranslation('common');
+    const navigate = useNavigate();
+    useWhatsAppInboxLive();
+    const { data } = useInboxUnread();
+    const unreadThreads = data?.threads ?? 0;
+
+    return (
+        <div className={styles.wrap}>
+            <button
+                type="button"
+                className={styles.bellBtn}
+                onClick={() => navigate('/inbox')}
+                aria-label={`${t('whatsappInbox.title')}${unreadThreads ? ` (${unreadThreads})` : ''}`}
+                title={t('whatsappInbox.title')}
+            >
+                <i className="fab fa-whatsapp" aria-hidden="true" />
+                {unreadThreads > 0 && <span className={styles.badge}>{unreadThreads}</span>}
+            </button>
+        </div>
+    );
+};
+
+export default WhatsAppInboxBell;
@@ -0,0 +1,152 @@
+/**
+ * WireProtocolPanel - the work's wire protocol on the visit form
+ *
+ * Picks the protocol the work follows and shows, per arch, where it stands in the
+ * sequence and the wire it suggests for this visit (NewVisitComponent pre-fills
+ * the wire selects from it). A chosen wire that departs from the suggestion is
+ * flagged here (shared/wire-protocol.ts); the proposed next visit can be booked
+ * straight after saving.
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { putJSON, httpErrorMessage } from '@/core/http';
+import { qk } from '@/query/keys';
+import { wireProtocolsQuery } from '@/query/queries';
+import { useApiMutation } from '@/query/useApiMutation';
+import { archSequence, wireDeviation } from '@shared/wire-protocol';
+import {
+    WIRE_ARCHES,
+    type ArchSuggestion,
+    type AssignProtocolBody,
+    type SuggestionStatus,
+    type WireArch,
+    type WorkProtocolResponse,
+} from '@shared/contracts/wire-protocol.contract';
+import { formatDate } from '../../core/utils';
+import { useToast } from '../../contexts/ToastContext';
+import styles from './WireProtocolPanel.module.css';
+
+interface WireProtocolPanelProps {
+    workId: number;
+    data: WorkProtocolResponse | undefined;
+    chosen: Record<WireArch, number | null>;
+    wireName: (wireId: number) => string;
+    // New visits only — "book the next appointment after saving".
+    bookNext?: boolean;
+    onBookNextChange?: (value: boolean) => void;
+}
+
+const ARCH_LABELS: Record<WireArch, string> = { upper: 'Upper', lower: 'Lower' };
+
+const STATUS_CLASS: Partial<Record<SuggestionStatus, string>> = {
+    start: styles.change,
+    advance: styles.change,
+    off_protocol: styles.offProtocol,
+};
+
+function describe(s: ArchSuggestion): string {
+    switch (s.status) {
+        case 'start':
+            return `Start with ${s.suggested_wire}`;
+        case 'advance':
+            return `${s.current_wire} for ${s.weeks_on_wire} wk (min ${s.min_weeks}) → ${s.suggested_wire}`;
+        case 'hold':
+            return `Stay on ${s.current_wire} — ${s.weeks_on_wire} of ${s.min_weeks} wk`;
+        case 'final':
+            return `${s.current_wire} — last wire in the protocol`;
+        case 'off_protocol':
+            return `${s.current_wire} is not in the protocol`;
+        default:
+            return 'No wires for this arch in the protocol';
+    }
+}
+
+const WireProtocolPanel = ({ workId, data, chosen, wireName, bookNext, onBookNextChange }: WireProtocolPanelProps) => {
+    const toast = useToast();
+    const { data: protocolsData } = useQuery(wireProtocolsQuery());
+
+    const protocol = data?.protocol ?? null;
+    const suggestion = data?.suggestion ?? null;
+    // Inactive protocols aren't offered, but the work's own one stays listed.
+    const options = (protocolsData ?? []).filter((p) => p.is_active || p.protocol_id === protocol?.protocol_id);
+
+    const assign = useApiMutation<unknown, number | null>({
+        mutationFn: (protocolId) =>
+            putJSON<unknown, AssignProtocolBody>(`/api/works/${workId}/wire-protocol`, { protocolId }),
+        invalidate: () => [qk.work.wireProtocolAll(workId), qk.settings.wireProtocols()],
+    });
+
+    const handleAssign = async (value: string): Promise<void> => {
+        try {
+            await assign.mutateAsync(value ? Number(value) : null);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to set the wire protocol'));
+        }
+    };
+
+    if (!protocol && options.length === 0) return null;
+
+    return (
+        <div className={styles.panel}>
+            <div className={styles.header}>
+                <label htmlFor="visit-wire-protocol">
+                    <i className="fas fa-stream"></i> Wire Protocol
+                </label>
+                <select
+                    id="visit-wire-protocol"
+                    value={protocol?.protocol_id ?? ''}
+                    onChange={(e) => handleAssign(e.target.value)}
+                    disabled={assign.isPending}
+                >
+                    <option value="">None</option>
+                    {options.map((p) => (
+                        <option key={p.protocol_id} value={p.protocol_id}>
+                            {p.name}{p.is_active ? '' : ' (inactive)'}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {protocol && suggestion && (
+                <>
+                    {WIRE_ARCHES.map((arch) => {
+                        const s = suggestion[arch];
+                        const deviation = wireDeviation(archSequence(protocol.steps, arch), s, chosen[arch], wireName);
+                        return (
+                            <div key={arch} className={styles.arch}>
+                                <span className={styles.archLabel}>{ARCH_LABELS[arch]}:</span>
+                                <span className={STATUS_CLASS[s.status]}>{describe(s)}</span>
+                                {deviation && (
+                                    <span className={styles.deviation} role="alert">
+                                        <i className="fas fa-exclamation-triangle"></i> {deviation.message}
+                                    </span>
+                                )}
+                            </div>
+                        );
+                    })}
+
+                    {suggestion.next_visit_date && (
+                        <div className={styles.nextVisit}>
+                            <span>
+                                <i className="fas fa-calendar-alt"></i> Next visit in {suggestion.interval_weeks} weeks →{' '}
+                                <strong>{formatDate(suggestion.next_visit_date)}</strong>
+                            </span>
+                            {onBookNextChange && (
+                                <label className={styles.bookNext}>
+                                    <input
+                                        type="checkbox"
+                                        checked={!!bookNext}
+                                        onChange={(e) => onBookNextChange(e.target.checked)}
+                                    />
+                                    Book it after saving
+                                </label>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default WireProtocolPanel;
@@ -0,0 +1,383 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useToast } from '../../contexts/ToastContext';
+import { useConfirm } from '../../contexts/ConfirmContext';
+import { useApiMutation } from '@/query/useApiMutation';
+import { wireProtocolsQuery, wiresQuery } from '@/query/queries';
+import { qk } from '@/query/keys';
+import { deleteJSON, httpErrorMessage, postJSON, putJSON } from '@/core/http';
+import {
+    MAX_INTERVAL_WEEKS,
+    MAX_MIN_WEEKS,
+    STEP_ARCHES,
+    type StepArch,
+    type WireProtocol,
+    type WireProtocolBody,
+} from '@shared/contracts/wire-protocol.contract';
+import styles from './WireProtocolsSettings.module.css';
+
+/**
+ * Settings tab: wire sequence protocols.
+ *
+ * A protocol is the order the archwires go in (e.g. 0.014 NiTi → 0.016 NiTi →
+ * 0.019x0.025 SS), each with the least number of weeks it stays in and the visit
+ * interval while it does. A step can be for both arches or just one, so the lower
+ * arch can follow its own sequence. Works are put on a protocol from the visit
+ * form, which then pre-fills the next wire and proposes the next appointment.
+ * A protocol in use can't be deleted — deactivating it keeps it on the works that
+ * follow it but stops it being offered for new ones.
+ */
+
+interface WireProtocolsSettingsProps {
+    onChangesUpdate?: (hasChanges: boolean) => void;
+}
+
+const ARCH_LABELS: Record<StepArch, string> = {
+    both: 'Both arches',
+    upper: 'Upper only',
+    lower: 'Lower only',
+};
+
+type StepDraft = WireProtocolBody['steps'][number];
+
+interface Draft {
+    protocolId: number | null;
+    name: string;
+    description: string;
+    is_active: boolean;
+    steps: StepDraft[];
+}
+
+const NEW_STEP: StepDraft = { arch: 'both', wire_id: 0, min_weeks: 6, interval_weeks: 5 };
+
+const toDraft = (p: WireProtocol | null): Draft =>
+    p
+        ? {
+            protocolId: p.protocol_id,
+            name: p.name,
+            description: p.description ?? '',
+            is_active: p.is_active,
+            steps: p.steps.map(({ arch, wire_id, min_weeks, interval_weeks }) => ({ arch, wire_id, min_weeks, interval_weeks })),
+        }
+        : { protocolId: null, name: '', description: '', is_active: true, steps: [{ ...NEW_STEP }] };
+
+const sameDraft = (a: Draft, b: Draft): boolean => JSON.stringify(a) === JSON.stringify(b);
+
+const WireProtocolsSettings = ({ onChangesUpdate }: WireProtocolsSettingsProps) => {
+    const toast = useToast();
+    const confirm = useConfirm();
+    const { data, isLoading, error } = useQuery(wireProtocolsQuery());
+    const { data: wiresData } = useQuery(wiresQuery());
+    const protocols = useMemo(() => data ?? [], [data]);
+    const wires = wiresData ?? [];
+
+    // null = the "new protocol" form; undefined until the list has loaded.
+    const [selectedId, setSelectedId] = useState<number | null | undefined>(undefined);
+    const [draft, setDraft] = useState<Draft>(() => toDraft(null));
+
+    const selected = protocols.find((p) => p.protocol_id === selectedId) ?? null;
+    const saved = useMemo(() => toDraft(selected), [selected]);
+    const dirty = !sameDraft(draft, saved);
+
+    // Open the first protocol (or the new-protocol form) once the list arrives
+    // (adjust-state-during-render).
+    if (selectedId === undefined && data) {
+        const first = data[0] ?? null;
+        setSelectedId(first?.protocol_id ?? null);
+        setDraft(toDraft(first));
+    }
+
+    useEffect(() => {
+        onChangesUpdate?.(dirty);
+    }, [dirty, onChangesUpdate]);
+
+    const invalidate = () => [qk.settings.wireProtocols()];
+
+    const saveProtocol = useApiMutation<WireProtocol, Draft>({
+        mutationFn: (d) => {
+            const body: WireProtocolBody = {
+                name: d.name,
+                description: d.description.trim() || null,
+                is_active: d.is_active,
+                steps: d.steps,
+            };
+            return d.protocolId === null
+                ? postJSON<WireProtocol, WireProtocolBody>('/api/wire-protocols', body)
+                : putJSON<WireProtocol, WireProtocolBody>(`/api/wire-protocols/${d.protocolId}`, body);
+        },
+        invalidate,
+    });
+
+    const deleteProtocol = useApiMutation<unknown, number>({
+        mutationFn: (id) => deleteJSON(`/api/wire-protocols/${id}`),
+        invalidate,
+    });
+
+    const select = async (p: WireProtocol | null): Promise<void> => {
+        if (dirty && !(await confirm('Discard the unsaved changes to this protocol?', {
+            title: 'Unsaved Changes',
+            confirmText: 'Discard',
+        }))) {
+            return;
+        }
+        setSelectedId(p?.protocol_id ?? null);
+        setDraft(toDraft(p));
+    };
+
+    const setStep = (index: number, patch: Partial<StepDraft>): void => {
+        setDraft((d) => ({ ...d, steps: d.steps.map((s, i) => (i === index ? { ...s, ...patch } : s)) }));
+    };
+
+    const moveStep = (index: number, by: -1 | 1): void => {
+        setDraft((d) => {
+            const steps = [...d.steps];
+            [steps[index], steps[index + by]] = [steps[index + by], steps[index]];
+            return { ...d, steps };
+        });
+    };
+
+    const removeStep = (index: number): void => {
+        setDraft((d) => ({ ...d, steps: d.steps.filter((_, i) => i !== index) }));
+    };
+
+    const addStep = (): void => {
+        setDraft((d) => {
+            const last = d.steps[d.steps.length - 1];
+            return { ...d, steps: [...d.steps, last ? { ...last, wire_id: 0 } : { ...NEW_STEP }] };
+        });
+    };
+
+    const problem = !draft.name.trim()
+        ? 'Give the protocol a name'
+        : draft.steps.length === 0
+            ? 'Add at least one wire'
+            : draft.steps.some((s) => !s.wire_id)
+                ? 'Choose a wire for every step'
+                : null;
+
+    const handleSave = async (): Promise<void> => {
+        if (problem) return;
+        try {
+            const result = await saveProtocol.mutateAsync(draft);
+            setSelectedId(result.protocol_id);
+            setDraft(toDraft(result));
+            toast.success(`${result.name} saved`);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to save the protocol'));
+        }
+    };
+
+    const handleDelete = async (): Promise<void> => {
+        if (!selected) return;
+        if (!(await confirm(`Delete the protocol "${selected.name}"?`, {
+            title: 'Delete Protocol',
+            danger: true,
+            confirmText: 'Delete',
+        }))) {
+            return;
+        }
+        try {
+            await deleteProtocol.mutateAsync(selected.protocol_id);
+            setSelectedId(null);
+            setDraft(toDraft(null));
+            toast.success('Protocol deleted');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to delete the protocol'));
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <div className={styles.container}>
+                <p className={styles.hint}>Loading…</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.header}>
+                <h3 className={styles.title}>
+                    <i className="fas fa-stream"></i>
+                    Wire Protocols
+                </h3>
+                <p className={styles.description}>
+                    The order archwires go in, with the least time on each. Works put on a protocol get the next wire
+                    pre-filled on the visit form, a warning when a visit departs from it, and a proposed date for the
+                    next appointment.
+                </p>
+            </div>
+
+            {error && <p className={styles.warning}>{httpErrorMessage(error, 'Failed to load wire protocols')}</p>}
+
+            <div className={styles.layout}>
+                <nav className={styles.protocolList} aria-label="Wire protocols">
+                    {protocols.map((p) => (
+                        <button
+                            key={p.protocol_id}
+                            type="button"
+                            className={`${styles.protocolItem} ${p.protocol_id === selectedId ? styles.protocolItemActive : ''}`}
+                            onClick={() => select(p)}
+                        >
+                            <span className={styles.protocolName}>{p.name}</span>
+                            {!p.is_active && <span className={styles.badge}>Inactive</span>}
+                            {p.work_count > 0 && (
+                                <span className={styles.badge} title="Works following it">{p.work_count}</span>
+                            )}
+                        </button>
+                    ))}
+                    <button
+                        type="button"
+                        className={`${styles.protocolItem} ${selectedId === null ? styles.protocolItemActive : ''}`}
+                        onClick={() => select(null)}
+                    >
+                        <i className="fas fa-plus"></i> New protocol
+                    </button>
+                </nav>
+
+                <section className={styles.editor}>
+                    <div className={styles.fieldRow}>
+                        <label className={styles.field}>
+                            <span>Name</span>
+                            <input
+                                type="text"
+                                maxLength={100}
+                                value={draft.name}
+                                onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+                                placeholder="e.g. Standard MBT non-extraction"
+                            />
+                        </label>
+                        <label className={styles.checkbox}>
+                            <input
+                                type="checkbox"
+                                checked={draft.is_active}
+                                onChange={(e) => setDraft((d) => ({ ...d, is_active: e.target.checked }))}
+                            />
+                            Active
+                        </label>
+                    </div>
+                    <label className={styles.field}>
+                        <span>Description</span>
+                        <input
+                            type="text"
+                            maxLength={500}
+                            value={draft.description}
+                            onChange={(e) => setDraft((d) => ({ ...d, description: e.target.value }))}
+                        />
+                    </label>
+
+                    <table className={styles.steps}>
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>Wire</th>
+                                <th>Arch</th>
+                                <th title="The least time on this wire before moving on">Min. weeks</th>
+                                <th title="Visit interval while this wire is in">Visit every (weeks)</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {draft.steps.map((step, i) => (
+                                <tr key={i}>
+                                    <td className={styles.position}>{i + 1}</td>
+                                    <td>
+                                        <select
+                                            value={step.wire_id || ''}
+                                            onChange={(e) => setStep(i, { wire_id: Number(e.target.value) })}
+                                            aria-label={`Step ${i + 1} wire`}
+                                        >
+                                            <option value="">Select wire…</option>
+                                            {wires.map((w) => (
+                                                <option key={w.id} value={w.id}>{w.name}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td>
+                                        <select
+                                            value={step.arch}
+                                            onChange={(e) => setStep(i, { arch: e.target.value as StepArch })}
+                                            aria-label={`Step ${i + 1} arch`}
+                                        >
+                                            {STEP_ARCHES.map((a) => (
+                                                <option key={a} value={a}>{ARCH_LABELS[a]}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            max={MAX_MIN_WEEKS}
+                                            value={step.min_weeks}
+                                            onChange={(e) => setStep(i, { min_weeks: Math.max(0, Math.min(MAX_MIN_WEEKS, Number(e.target.value) || 0)) })}
+                                            aria-label={`Step ${i + 1} minimum weeks`}
+                                        />
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            min={1}
+                                            max={MAX_INTERVAL_WEEKS}
+                                            value={step.interval_weeks}
+                                            onChange={(e) => setStep(i, { interval_weeks: Math.max(1, Math.min(MAX_INTERVAL_WEEKS, Number(e.target.value) || 1)) })}
+                                            aria-label={`Step ${i + 1} visit interval`}
+                                        />
+                                    </td>
+                                    <td className={styles.stepActions}>
+                                        <button type="button" onClick={() => moveStep(i, -1)} disabled={i === 0} title="Move up">
+                                            <i className="fas fa-arrow-up"></i>
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => moveStep(i, 1)}
+                                            disabled={i === draft.steps.length - 1}
+                                            title="Move down"
+                                        >
+                                            <i className="fas fa-arrow-down"></i>
+                                        </button>
+                                        <button type="button" onClick={() => removeStep(i)} title="Remove">
+                                            <i className="fas fa-times"></i>
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <button type="button" className={styles.linkButton} onClick={addStep}>
+                        <i className="fas fa-plus"></i> Add wire
+                    </button>
+
+                    {problem && dirty && <p className={styles.hint}>{problem}.</p>}
+
+                    <div className={styles.actions}>
+                        <button
+                            type="button"
+                            className="btn btn-primary"
+                            onClick={handleSave}
+                            disabled={!dirty || !!problem || saveProtocol.isPending}
+                        >
+                            <i className="fas fa-save"></i> {saveProtocol.isPending ? 'Saving…' : 'Save'}
+                        </button>
+                        <button type="button" className="btn btn-secondary" onClick={() => setDraft(saved)} disabled={!dirty}>
+                            <i className="fas fa-undo"></i> Discard changes
+                        </button>
+                        {selected && (
+                            <button
+                                type="button"
+                                className="btn btn-secondary"
+                                onClick={handleDelete}
+                                disabled={selected.work_count > 0 || deleteProtocol.isPending}
+                                title={selected.work_count > 0 ? 'Works follow this protocol — deactivate it instead' : undefined}
+                            >
+                                <i className="fas fa-trash"></i> Delete
+                            </button>
+                        )}
+                    </div>
+                </section>
+            </div>
+        </div>
+    );
+};
+
+export default WireProtocolsSettings;
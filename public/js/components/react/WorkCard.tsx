@@ -4,6 +4,7 @@ import { useTranslation } from 'react-i18next';
 import cn from 'classnames';
 import { isOrthoWork, needsDetails } from '../../config/workTypeConfig';
 import WorkDetailsPanel from './WorkDetailsPanel';
+import WorkPaymentPlanPanel from './WorkPaymentPlanPanel';
 import styles from './WorkCard.module.css';
 
 export interface Work {
@@ -301,6 +302,18 @@ const WorkCard = ({
                         <WorkDetailsPanel
                             workId={work.work_id}
                             typeOfWork={work.type_of_work}
+                            personId={work.person_id}
+                        />
+                    )}
+
+                    {/* Installment plan — finance roles only (the plan API is FINANCE_ROLES-gated) */}
+                    {writeFinance && (
+                        <WorkPaymentPlanPanel
+                            workId={work.work_id}
+                            currency={work.currency}
+                            remainingBalance={getRemainingBalance()}
+                            formatDate={formatDate}
+                            formatCurrency={formatCurrency}
                         />
                     )}
 
@@ -5,9 +5,11 @@ import { useQuery, useQueryClient } from '@tanstack/react-query';
 import WorkCard, { type Work, type WorkStatus } from './WorkCard';
 import PaymentModal from './PaymentModal';
 import TransferWorkModal from './TransferWorkModal';
+import RefundInvoiceModal from './RefundInvoiceModal';
 import Modal from './Modal';
 import ModalHeader from './ModalHeader';
 import { formatCurrency as formatCurrencyUtil } from '../../utils/formatters';
+import { toLocalDateString } from '../../utils/calendarDate';
 import { useToast } from '../../contexts/ToastContext';
 import { useConfirm } from '../../contexts/ConfirmContext';
 import { useGlobalState } from '../../contexts/GlobalStateContext';
@@ -137,6 +139,8 @@ const WorkComponent = ({ personId }: WorkComponentProps) => {
         enabled: showPaymentHistoryModal && !!selectedWorkForPayment,
     });
     const paymentHistory = (paymentHistoryData ?? []) as PaymentHistoryResponse;
+    // The payment a refund (credit note) is being recorded against, if any.
+    const [refundTarget, setRefundTarget] = useState<PaymentHistoryResponse[number] | null>(null);
 
     // Check-in state
     const [checkingIn, setCheckingIn] = useState(false);
@@ -584,6 +588,25 @@ const WorkComponent = ({ personId }: WorkComponentProps) => {
                                 <i className="fas fa-print"></i>
                                 {loadingAppointment ? t('printAppointment.loading') : t('printAppointment.label')}
                             </button>
+                            <a
+                                href={`/api/patients/${personId}/statement/pdf`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="btn btn-secondary"
+                                title={t('controls.statementTitle')}
+                            >
+                                <i className="fas fa-file-invoice-dollar"></i>
+                                {t('controls.statement')}
+                            </a>
+                            <a
+                                href={`/api/patients/${personId}/statement/csv`}
+                                download
+                                className="btn btn-secondary"
+                                title={t('controls.statementCsvTitle')}
+                            >
+                                <i className="fas fa-file-csv"></i>
+                                {t('controls.statementCsv')}
+                            </a>
                             <button onClick={handleAddWork} className="btn btn-primary">
                                 <i className="fas fa-plus"></i>
                                 {t('controls.addWork')}
@@ -707,17 +730,52 @@ const WorkComponent = ({ personId }: WorkComponentProps) => {
                                             </tr>
                                         </thead>
                                         <tbody>
-                                            {paymentHistory.map((payment, index) => (
-                                                <tr key={payment.InvoiceID || index}>
+                                            {paymentHistory.map((payment, index) => {
+                                                const isRefund = payment.refund_of_invoice_id !== null;
+                                                // Same-day rows can still be deleted as a correction; an older
+                                                // payment is reversed with a refund so the drawer trail stays.
+                                                const canDelete = !isRefund && (isAdmin || payment.date_of_payment.slice(0, 10) === toLocalDateString(new Date()));
+                                                const canRefund = caps.writeFinance && !isRefund && payment.amount_paid - payment.refunded > 0;
+                                                return (
+                                                <tr key={payment.InvoiceID || index} className={isRefund ? styles.refundRow : undefined}>
                                                     <td>{formatDate(payment.date_of_payment)}</td>
-                                                    <td className={styles.paymentAmount}>
+                                                    <td className={isRefund ? styles.refundAmount : styles.paymentAmount}>
                                                         {formatCurrency(payment.amount_paid, selectedWorkForPayment.currency)}
+                                                        {isRefund && (
+                                                            <span className={styles.refundNote} title={payment.refund_reason ?? undefined}>
+                                                                {t('paymentHistory.refundOf', { id: payment.refund_of_invoice_id })}
+                                                            </span>
+                                                        )}
+                                                        {!isRefund && payment.refunded > 0 && (
+                                                            <span className={styles.refundNote}>
+                                                                {t('paymentHistory.refunded', { amount: formatCurrency(payment.refunded, selectedWorkForPayment.currency) })}
+                                                            </span>
+                                                        )}
                                                     </td>
                                                     <td>{payment.actual_amount ? formatCurrency(payment.actual_amount, payment.actual_cur) : '-'}</td>
                                                     <td>{payment.actual_cur || '-'}</td>
                                                     <td>{payment.change ? formatCurrency(payment.change, payment.actual_cur) : '-'}</td>
                                                     <td>
                                                         <div className={styles.paymentActions}>
+                                                            {isRefund && (
+                                                                <button
+                                                                    onClick={() => window.open(`/api/templates/receipt/refund/${payment.InvoiceID}?autoprint=1`, '_blank')}
+                                                                    className={styles.btnActionEdit}
+                                                                    title={t('paymentHistory.printRefund')}
+                                                                >
+                                                                    <i className="fas fa-print"></i>
+                                                                </button>
+                                                            )}
+                                                            {canRefund && (
+                                                                <button
+                                                                    onClick={() => setRefundTarget(payment)}
+                                                                    className={styles.btnActionRefund}
+                                                                    title={t('paymentHistory.refundTitle')}
+                                                                >
+                                                                    <i className="fas fa-undo"></i>
+                                                                </button>
+                                                            )}
+                                                            {!isRefund && (
                                                             <button
                                                                 onClick={() => {
                                                                     toast.info(t('paymentHistory.editComingSoon', { id: payment.InvoiceID, amount: formatCurrency(payment.amount_paid, selectedWorkForPayment.currency) }));
@@ -727,6 +785,8 @@ const WorkComponent = ({ personId }: WorkComponentProps) => {
                                                             >
                                                                 <i className="fas fa-edit"></i>
                                                             </button>
+                                                            )}
+                                                            {canDelete && (
                                                             <button
                                                                 onClick={async () => {
                                                                     if (await confirm(t('paymentHistory.deleteConfirm', { amount: formatCurrency(payment.amount_paid, selectedWorkForPayment.currency), date: formatDate(payment.date_of_payment) }), { title: t('paymentHistory.deleteTitle'), danger: true, confirmText: t('paymentHistory.deleteConfirmButton') })) {
@@ -754,10 +814,12 @@ const WorkComponent = ({ personId }: WorkComponentProps) => {
                                                             >
                                                                 <i className="fas fa-trash"></i>
                                                             </button>
+                                                            )}
                                                         </div>
                                                     </td>
                                                 </tr>
-                                            ))}
+                                                );
+                                            })}
                                             {paymentHistory.length === 0 && (
                                                 <tr>
                                                     <td colSpan={6} className={styles.noData}>
@@ -791,6 +853,20 @@ const WorkComponent = ({ personId }: WorkComponentProps) => {
                 </Modal>
             )}
 
+            {refundTarget && selectedWorkForPayment && (
+                <RefundInvoiceModal
+                    invoice={refundTarget}
+                    workId={selectedWorkForPayment.work_id}
+                    currency={selectedWorkForPayment.currency}
+                    formatDate={formatDate}
+                    formatCurrency={formatCurrency}
+                    onClose={() => {
+                        setRefundTarget(null);
+                        queryClient.invalidateQueries({ queryKey: qk.patient.all(personId ?? '') });
+                    }}
+                />
+            )}
+
             {/* Delete Confirmation Modal */}
             {showDeleteConfirmation && workToDelete && (
                 <Modal
@@ -19,6 +19,8 @@ import { useLookupManager } from '../../hooks/useLookupManager';
 import LabCaseModal from './lab-tracking/LabCaseModal';
 import { labelForStage } from '../../config/labStages';
 import type { LabStage } from '@shared/contracts/lab-case.contract';
+import type { ToothFinding } from '@shared/contracts/tooth-finding.contract';
+import { FINDING_KIND_LABELS } from '@shared/tooth-findings';
 import styles from './WorkDetailItem.module.css';
 
 export interface ImplantManufacturer {
@@ -42,6 +44,7 @@ export interface ShadeSystemOption {
 interface DetailDraft {
     work_id: number;
     TeethIds: number[];
+    FindingIds: number[];
     filling_type: string;
     filling_depth: string;
     canals_no: string;
@@ -68,6 +71,9 @@ interface WorkDetailItemProps {
     implantManufacturers: ImplantManufacturer[];
     shadeSystems: ShadeSystemOption[];
     labs: LabOption[];
+    personId?: number;
+    /** The patient's charted findings; undefined when they can't be read (no picker, links left alone). */
+    findings?: ToothFinding[];
     /** Start directly in edit mode (used for the freshly-added blank item). */
     startInEdit?: boolean;
     /** Called when a NEW item's edit finishes (saved or cancelled) so the panel can drop the draft slot. */
@@ -76,9 +82,10 @@ interface WorkDetailItemProps {
 
 const noop = () => {};
 
-const buildDraft = (d: WorkDetail | null, workId: number): DetailDraft => ({
+const buildDraft = (d: WorkDetail | null, workId: number, findings: ToothFinding[] = []): DetailDraft => ({
     work_id: workId,
     TeethIds: d?.TeethIds ?? [],
+    FindingIds: d ? findings.filter(f => f.work_item_id === d.id).map(f => f.finding_id) : [],
     filling_type: d?.filling_type ?? '',
     filling_depth: d?.filling_depth ?? '',
     canals_no: d?.canals_no != null ? String(d.canals_no) : '',
@@ -96,6 +103,9 @@ const buildDraft = (d: WorkDetail | null, workId: number): DetailDraft => ({
     note: d?.note ?? '',
 });
 
+const findingLabel = (f: ToothFinding): string =>
+    [f.tooth_code, FINDING_KIND_LABELS[f.kind], f.surfaces].filter(Boolean).join(' ');
+
 const fmtDate = (value?: string): string => {
     if (!value) return '—';
     const d = new Date(value);
@@ -133,6 +143,8 @@ const WorkDetailItem = ({
     implantManufacturers,
     shadeSystems,
     labs,
+    personId,
+    findings,
     startInEdit = false,
     onCloseNew,
 }: WorkDetailItemProps) => {
@@ -148,7 +160,7 @@ const WorkDetailItem = ({
     }, [detail, teethOptions]);
 
     const [isEditing, setIsEditing] = useState(startInEdit || isNew);
-    const [draft, setDraft] = useState<DetailDraft>(() => buildDraft(detail, workId));
+    const [draft, setDraft] = useState<DetailDraft>(() => buildDraft(detail, workId, findings));
     const [displayItemCost, setDisplayItemCost] = useState(() => (detail?.item_cost ? formatNumber(detail.item_cost) : ''));
     const [showPermanent, setShowPermanent] = useState(true);
     const [showDeciduous, setShowDeciduous] = useState(hasDeciduousSelected);
@@ -169,7 +181,7 @@ const WorkDetailItem = ({
     const hasField = (name: string) => config.fields.includes(name);
 
     const enterEdit = () => {
-        setDraft(buildDraft(detail, workId));
+        setDraft(buildDraft(detail, workId, findings));
         setDisplayItemCost(detail?.item_cost ? formatNumber(detail.item_cost) : '');
         setShowPermanent(true);
         setShowDeciduous(hasDeciduousSelected);
@@ -184,13 +196,19 @@ const WorkDetailItem = ({
     const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
         e.preventDefault();
         setSaving(true);
+        // Without the findings list the links are left as they are.
+        const { FindingIds: _findingIds, ...fields } = draft;
+        const body = findings ? draft : fields;
         try {
             if (detail) {
-                await putJSON('/api/updateworkdetail', { detailId: detail.id, ...draft });
+                await putJSON('/api/updateworkdetail', { detailId: detail.id, ...body });
             } else {
-                await postJSON('/api/addworkdetail', draft);
+                await postJSON('/api/addworkdetail', body);
             }
             await queryClient.invalidateQueries({ queryKey: qk.work.detailsList(workId) });
+            if (personId && findings) {
+                await queryClient.invalidateQueries({ queryKey: qk.patient.toothFindings(personId) });
+            }
             if (detail) setIsEditing(false);
             else onCloseNew?.();
         } catch (err) {
@@ -211,9 +229,24 @@ const WorkDetailItem = ({
         }
     };
 
+    // Open findings, plus any already linked to this item, for the picker.
+    const findingOptions = (findings ?? []).filter(
+        f => (f.resolved_on === null && (f.work_item_id === null || f.work_item_id === detail?.id)) || draft.FindingIds.includes(f.finding_id)
+    );
+    const toggleFinding = (f: ToothFinding) => {
+        const on = draft.FindingIds.includes(f.finding_id);
+        setDraft({
+            ...draft,
+            FindingIds: on ? draft.FindingIds.filter(id => id !== f.finding_id) : [...draft.FindingIds, f.finding_id],
+            // Linking a finding brings its tooth into the item's teeth.
+            TeethIds: !on && hasField('teeth') && !draft.TeethIds.includes(f.tooth_id) ? [...draft.TeethIds, f.tooth_id] : draft.TeethIds,
+        });
+    };
+
     // ---- READ MODE -------------------------------------------------------
     if (!isEditing && detail) {
         const teethIds = detail.TeethIds ?? [];
+        const linkedFindings = (findings ?? []).filter(f => f.work_item_id === detail.id);
         const rows = config.displayFields.filter(f => f.key !== 'Teeth' && f.key !== 'note');
         return (
             <div className={styles.card}>
@@ -266,6 +299,18 @@ const WorkDetailItem = ({
                 )}
 
                 <div className={styles.fieldGrid}>
+                    {linkedFindings.length > 0 && (
+                        <div className={cn(styles.field, styles.fieldFull)}>
+                            <span className={styles.fieldLabel}>Findings</span>
+                            <span className={styles.fieldValue}>
+                                {linkedFindings.map(f => (
+                                    <span key={f.finding_id} className={cn(styles.findingChip, f.resolved_on && styles.findingResolved)}>
+                                        {findingLabel(f)}
+                                    </span>
+                                ))}
+                            </span>
+                        </div>
+                    )}
                     {detail.Teeth && (
                         <div className={styles.field}>
                             <span className={styles.fieldLabel}>Teeth</span>
@@ -332,6 +377,26 @@ const WorkDetailItem = ({
                 </div>
             )}
 
+            {findingOptions.length > 0 && (
+                <div className={cn(styles.formGroup, styles.fullWidth)}>
+                    <span className={styles.formLabel}>Treats Findings</span>
+                    <div className={styles.findingPicker}>
+                        {findingOptions.map(f => (
+                            <button
+                                key={f.finding_id}
+                                type="button"
+                                className={cn(styles.findingChip, draft.FindingIds.includes(f.finding_id) && styles.findingChipOn)}
+                                aria-pressed={draft.FindingIds.includes(f.finding_id)}
+                                onClick={() => toggleFinding(f)}
+                                title={f.note ?? undefined}
+                            >
+                                {findingLabel(f)}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             <div className={styles.formRow}>
                 {hasField('fillingType') && (
                     <div className={styles.formGroup}>
@@ -1,7 +1,7 @@
 import { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { getWorkTypeConfig } from '../../config/workTypeConfig';
-import { workDetailsListQuery, teethQuery, implantManufacturersQuery, shadesQuery, labsQuery } from '@/query/queries';
+import { workDetailsListQuery, teethQuery, implantManufacturersQuery, shadesQuery, labsQuery, patientToothFindingsQuery } from '@/query/queries';
 import WorkDetailItem, { type ImplantManufacturer, type ShadeSystemOption, type LabOption } from './WorkDetailItem';
 import { type ToothOption } from './TeethSelector';
 import styles from './WorkDetailsPanel.module.css';
@@ -39,6 +39,8 @@ export interface WorkDetail {
 interface WorkDetailsPanelProps {
     workId: number;
     typeOfWork: number;
+    /** The work's patient — their charted tooth findings can be linked to items. */
+    personId?: number;
 }
 
 /**
@@ -48,7 +50,7 @@ interface WorkDetailsPanelProps {
  * with read + in-place edit modes. "Add Item" appends a blank card in edit mode;
  * all writes invalidate the shared detailsList key to refresh here.
  */
-const WorkDetailsPanel = ({ workId, typeOfWork }: WorkDetailsPanelProps) => {
+const WorkDetailsPanel = ({ workId, typeOfWork, personId }: WorkDetailsPanelProps) => {
     const config = getWorkTypeConfig(typeOfWork);
     const { data, isLoading, isError } = useQuery(workDetailsListQuery(workId));
     const details = (data ?? []) as WorkDetail[];
@@ -65,6 +67,14 @@ const WorkDetailsPanel = ({ workId, typeOfWork }: WorkDetailsPanelProps) => {
     const { data: labsData } = useQuery(labsQuery());
     const labs = (labsData ?? []) as LabOption[];
 
+    // Clinical-only endpoint: left undefined (no finding picker) when it can't be read.
+    const { data: findingsData } = useQuery({
+        ...patientToothFindingsQuery(personId ?? 0),
+        enabled: !!personId,
+        retry: false,
+    });
+    const findings = findingsData?.findings;
+
     const [isAdding, setIsAdding] = useState(false);
 
     return (
@@ -96,6 +106,8 @@ const WorkDetailsPanel = ({ workId, typeOfWork }: WorkDetailsPanelProps) => {
                                 implantManufacturers={implantManufacturers}
                                 shadeSystems={shadeSystems}
                                 labs={labs}
+                                personId={personId}
+                                findings={findings}
                             />
                         ))}
                         {isAdding && (
@@ -107,6 +119,8 @@ const WorkDetailsPanel = ({ workId, typeOfWork }: WorkDetailsPanelProps) => {
                                 implantManufacturers={implantManufacturers}
                                 shadeSystems={shadeSystems}
                                 labs={labs}
+                                personId={personId}
+                                findings={findings}
                                 startInEdit
                                 onCloseNew={() => setIsAdding(false)}
                             />
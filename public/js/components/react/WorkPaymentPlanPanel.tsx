@@ -0,0 +1,290 @@
+import { useState, type FormEvent } from 'react';
+import { useTranslation } from 'react-i18next';
+import cn from 'classnames';
+import { useToast } from '../../contexts/ToastContext';
+import { useConfirm } from '../../contexts/ConfirmContext';
+import { httpErrorMessage } from '@/core/http';
+import {
+    useWorkPaymentPlan,
+    useCreatePaymentPlan,
+    useCancelPaymentPlan,
+    useRemindPaymentPlan,
+} from '@/hooks/usePaymentPlan';
+import type { InstallmentStatus, PlanStatus } from '@shared/contracts/payment-plan.contract';
+import styles from './WorkPaymentPlanPanel.module.css';
+
+interface WorkPaymentPlanPanelProps {
+    workId: number;
+    currency?: string;
+    /** The work's outstanding balance — a plan can only be set up while it is > 0. */
+    remainingBalance: number;
+    formatDate: (date?: string) => string;
+    formatCurrency: (amount?: number, currency?: string) => string;
+}
+
+const firstOfNextMonth = (): string => {
+    const d = new Date();
+    const next = new Date(d.getFullYear(), d.getMonth() + 1, 1);
+    return `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}-01`;
+};
+
+const INSTALLMENT_CLASS: Record<InstallmentStatus, string> = {
+    paid: styles.statusPaid,
+    upcoming: styles.statusUpcoming,
+    due: styles.statusDue,
+    overdue: styles.statusOverdue,
+};
+
+const PLAN_CLASS: Record<PlanStatus, string> = {
+    completed: styles.statusPaid,
+    on_track: styles.statusUpcoming,
+    overdue: styles.statusOverdue,
+};
+
+/**
+ * The work's installment plan, rendered inline inside an expanded WorkCard for
+ * finance roles. With no plan it offers to schedule the outstanding balance;
+ * with one it shows the due schedule — each installment's paid/overdue state is
+ * computed by the server from the work's payments, so recording a payment (which
+ * invalidates the work's keys) re-allocates here with no extra step.
+ */
+const WorkPaymentPlanPanel = ({
+    workId,
+    currency,
+    remainingBalance,
+    formatDate,
+    formatCurrency,
+}: WorkPaymentPlanPanelProps) => {
+    const { t } = useTranslation('works');
+    const toast = useToast();
+    const confirm = useConfirm();
+    const { data: plan, isLoading, isError } = useWorkPaymentPlan(workId);
+
+    const createPlan = useCreatePaymentPlan();
+    const cancelPlan = useCancelPaymentPlan();
+    const remind = useRemindPaymentPlan();
+
+    const [showForm, setShowForm] = useState(false);
+    const [installmentAmount, setInstallmentAmount] = useState('');
+    const [firstDueDate, setFirstDueDate] = useState(firstOfNextMonth);
+    const [intervalMonths, setIntervalMonths] = useState('1');
+    const [graceDays, setGraceDays] = useState('7');
+    const [note, setNote] = useState('');
+
+    const amount = parseInt(installmentAmount, 10) || 0;
+    const previewCount = amount > 0 ? Math.ceil(remainingBalance / amount) : 0;
+
+    const handleCreate = async (e: FormEvent<HTMLFormElement>): Promise<void> => {
+        e.preventDefault();
+        try {
+            await createPlan.mutateAsync({
+                work_id: workId,
+                installment_amount: amount,
+                first_due_date: firstDueDate,
+                interval_months: parseInt(intervalMonths, 10) || 1,
+                grace_days: parseInt(graceDays, 10) || 0,
+                note: note || undefined,
+            });
+            toast.success(t('paymentPlan.created'));
+            setShowForm(false);
+            setInstallmentAmount('');
+            setNote('');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, t('paymentPlan.actionFailed')));
+        }
+    };
+
+    const handleCancel = async (): Promise<void> => {
+        if (!plan) return;
+        const ok = await confirm(t('paymentPlan.cancelConfirm'), {
+            title: t('paymentPlan.cancelTitle'),
+            danger: true,
+            confirmText: t('paymentPlan.cancelPlan'),
+        });
+        if (!ok) return;
+        try {
+            await cancelPlan.mutateAsync({ id: plan.id, workId });
+            toast.success(t('paymentPlan.cancelled'));
+        } catch (err) {
+            toast.error(httpErrorMessage(err, t('paymentPlan.actionFailed')));
+        }
+    };
+
+    const handleRemind = async (): Promise<void> => {
+        if (!plan) return;
+        try {
+            const result = await remind.mutateAsync({ id: plan.id, workId });
+            toast.success(t('paymentPlan.reminded', { amount: formatCurrency(result.amount, plan.currency) }));
+        } catch (err) {
+            toast.error(httpErrorMessage(err, t('paymentPlan.actionFailed')));
+        }
+    };
+
+    const hasDues = !!plan?.installments.some((i) => i.status === 'due' || i.status === 'overdue');
+
+    return (
+        <div className={styles.panel}>
+            <div className={styles.header}>
+                <h4>
+                    <i className="fas fa-calendar-week"></i> {t('paymentPlan.title')}
+                    {plan && (
+                        <span className={cn(styles.status, PLAN_CLASS[plan.status])}>
+                            {t(`paymentPlan.planStatus.${plan.status}`)}
+                        </span>
+                    )}
+                </h4>
+                {!plan && !showForm && remainingBalance > 0 && !isLoading && (
+                    <button type="button" className="btn btn-sm btn-primary" onClick={() => setShowForm(true)}>
+                        <i className="fas fa-plus"></i> {t('paymentPlan.setUp')}
+                    </button>
+                )}
+                {plan && (
+                    <div className={styles.headerActions}>
+                        {hasDues && (
+                            <button
+                                type="button"
+                                className="btn btn-sm btn-primary"
+                                disabled={remind.isPending}
+                                onClick={handleRemind}
+                                title={t('paymentPlan.remindTitle')}
+                            >
+                                <i className="fab fa-whatsapp"></i> {t('paymentPlan.remind')}
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-secondary"
+                            disabled={cancelPlan.isPending}
+                            onClick={handleCancel}
+                        >
+                            {t('paymentPlan.cancelPlan')}
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            <div className={styles.body}>
+                {isLoading ? (
+                    <div className={styles.stateMsg}>{t('paymentPlan.loading')}</div>
+                ) : isError ? (
+                    <div className={styles.stateMsg}>{t('paymentPlan.loadFailed')}</div>
+                ) : plan ? (
+                    <>
+                        <div className={styles.summary}>
+                            <span>
+                                {t('paymentPlan.schedule', {
+                                    count: plan.installment_count,
+                                    amount: formatCurrency(plan.installment_amount, plan.currency),
+                                    months: plan.interval_months,
+                                })}
+                            </span>
+                            <span>{t('paymentPlan.grace', { days: plan.grace_days })}</span>
+                            <span>{t('paymentPlan.remaining', { amount: formatCurrency(plan.remaining, plan.currency) })}</span>
+                            {plan.overdue_amount > 0 && (
+                                <span className={styles.overdueText}>
+                                    {t('paymentPlan.overdue', { amount: formatCurrency(plan.overdue_amount, plan.currency) })}
+                                </span>
+                            )}
+                            {plan.last_reminded_at && (
+                                <span className={styles.muted}>
+                                    {t('paymentPlan.lastReminded', { date: formatDate(plan.last_reminded_at) })}
+                                </span>
+                            )}
+                        </div>
+                        <ol className={styles.installments}>
+                            {plan.installments.map((inst) => (
+                                <li key={inst.seq} className={styles.installment}>
+                                    <span className={styles.seq}>#{inst.seq}</span>
+                                    <span>{formatDate(inst.due_date)}</span>
+                                    <span className={styles.amount}>
+                                        {inst.paid > 0 && inst.paid < inst.amount
+                                            ? t('paymentPlan.partlyPaid', {
+                                                paid: formatCurrency(inst.paid, plan.currency),
+                                                amount: formatCurrency(inst.amount, plan.currency),
+                                            })
+                                            : formatCurrency(inst.amount, plan.currency)}
+                                    </span>
+                                    <span className={cn(styles.status, INSTALLMENT_CLASS[inst.status])}>
+                                        {t(`paymentPlan.installmentStatus.${inst.status}`)}
+                                    </span>
+                                </li>
+                            ))}
+                        </ol>
+                        {plan.note && <p className={styles.muted}>{plan.note}</p>}
+                    </>
+                ) : showForm ? (
+                    <form className={styles.form} onSubmit={handleCreate}>
+                        <label>
+                            {t('paymentPlan.installmentAmount', { currency: currency ?? '' })}
+                            <input
+                                type="number"
+                                min={1}
+                                max={remainingBalance}
+                                required
+                                value={installmentAmount}
+                                onChange={(e) => setInstallmentAmount(e.target.value)}
+                            />
+                        </label>
+                        <label>
+                            {t('paymentPlan.firstDueDate')}
+                            <input
+                                type="date"
+                                required
+                                value={firstDueDate}
+                                onChange={(e) => setFirstDueDate(e.target.value)}
+                            />
+                        </label>
+                        <label>
+                            {t('paymentPlan.intervalMonths')}
+                            <input
+                                type="number"
+                                min={1}
+                                max={12}
+                                required
+                                value={intervalMonths}
+                                onChange={(e) => setIntervalMonths(e.target.value)}
+                            />
+                        </label>
+                        <label>
+                            {t('paymentPlan.graceDays')}
+                            <input
+                                type="number"
+                                min={0}
+                                max={60}
+                                required
+                                value={graceDays}
+                                onChange={(e) => setGraceDays(e.target.value)}
+                            />
+                        </label>
+                        <label className={styles.noteField}>
+                            {t('paymentPlan.note')}
+                            <input type="text" value={note} maxLength={1000} onChange={(e) => setNote(e.target.value)} />
+                        </label>
+                        {previewCount > 0 && (
+                            <p className={styles.preview}>
+                                {t('paymentPlan.preview', {
+                                    count: previewCount,
+                                    balance: formatCurrency(remainingBalance, currency),
+                                })}
+                            </p>
+                        )}
+                        <div className={styles.formActions}>
+                            <button type="button" className="btn btn-secondary" onClick={() => setShowForm(false)}>
+                                {t('common.cancel')}
+                            </button>
+                            <button type="submit" className="btn btn-primary" disabled={createPlan.isPending || amount <= 0}>
+                                {t('paymentPlan.save')}
+                            </button>
+                        </div>
+                    </form>
+                ) : (
+                    <div className={styles.stateMsg}>
+                        {remainingBalance > 0 ? t('paymentPlan.none') : t('paymentPlan.noBalance')}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WorkPaymentPlanPanel;
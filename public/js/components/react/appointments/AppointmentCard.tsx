@@ -3,6 +3,8 @@ import { useTranslation } from 'react-i18next';
 import { useLocalizedName } from '../../../hooks/useLocalizedName';
 import { PATIENT_TYPE_IDS } from '@shared/treatment-taxonomy';
 import type { DoctorColor } from '../calendar.types';
+import type { ConfirmationStatus } from '@shared/contracts/appointment.contract';
+import ConfirmationMark from './ConfirmationMark';
 import styles from './AppointmentCard.module.css';
 
 // Daily appointment interface matching getDailyAppointmentsOptimized output
@@ -29,6 +31,7 @@ export interface DailyAppointment {
     has_visit?: boolean | number | null;
     app_date?: Date | string | null;
     app_cost?: number | null;
+    confirmation_status?: ConfirmationStatus | null;
 }
 
 interface AppointmentCardProps {
@@ -267,6 +270,7 @@ const AppointmentCard = ({
                         {appointment.hasActiveAlert && (
                             <i className={`fas fa-bell ${styles.alertIcon}`} title={t('card.activeAlert')}></i>
                         )}
+                        <ConfirmationMark status={appointment.confirmation_status} showLabel />
                         {/* Active Ortho is the overwhelming default — badging it on
                             every row is noise. Hide it by TYPE ID (rename-proof), and
                             surface every other type (X-ray, Consult, Former Patient,
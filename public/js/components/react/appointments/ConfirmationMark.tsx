@@ -0,0 +1,33 @@
+import { useTranslation } from 'react-i18next';
+import type { ConfirmationStatus } from '@shared/contracts/appointment.contract';
+import styles from './ConfirmationMark.module.css';
+
+interface ConfirmationMarkProps {
+    status: ConfirmationStatus | null | undefined;
+    // Spell the answer out next to the icon (the daily card); the calendar's
+    // narrow chips show the icon alone, with the answer as its tooltip.
+    showLabel?: boolean;
+}
+
+/**
+ * ConfirmationMark Component
+ * The patient's answer to the WhatsApp reminder — "1" confirmed, "2" asked to
+ * reschedule (or the same flag set by staff after a call). Renders nothing until
+ * the appointment has an answer.
+ */
+const ConfirmationMark = ({ status, showLabel = false }: ConfirmationMarkProps) => {
+    const { t } = useTranslation('appointments');
+    if (!status) return null;
+
+    const confirmed = status === 'confirmed';
+    const label = confirmed ? t('card.confirmed') : t('card.rescheduleRequested');
+
+    return (
+        <span className={confirmed ? styles.confirmed : styles.reschedule} title={label} aria-label={label}>
+            <i className={`fas fa-${confirmed ? 'check-circle' : 'calendar-times'}`} aria-hidden="true"></i>
+            {showLabel && <span className={styles.label}>{label}</span>}
+        </span>
+    );
+};
+
+export default ConfirmationMark;
@@ -0,0 +1,221 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, type QueryKey, type UseQueryOptions } from '@tanstack/react-query';
+import { useTranslation } from 'react-i18next';
+import cn from 'classnames';
+import type { AuditPage, AuditRow } from '@shared/contracts/audit.contract';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { httpErrorMessage } from '@/core/http';
+import { formatAppointmentListDateTime } from '@/utils/formatters';
+import styles from './AuditTrail.module.css';
+
+type AuditPageQuery<K extends QueryKey> = UseQueryOptions<AuditPage, Error, AuditPage, K>;
+
+interface AuditTrailProps<K extends QueryKey> {
+    /** Query options for one page; `beforeId` null = the newest page. */
+    pageQuery: (beforeId: number | null) => AuditPageQuery<K>;
+    /** Name the patient on each change set (the clinic-wide search). */
+    showPatient?: boolean;
+}
+
+interface ChangeSet {
+    key: string;
+    rows: AuditRow[];
+}
+
+const OP_ICONS: Record<AuditRow['op'], string> = {
+    I: 'fas fa-plus-circle',
+    U: 'fas fa-pen',
+    D: 'fas fa-trash-alt',
+};
+
+// One request's rows arrive adjacent (newest first, by id), so a run of the same
+// request_id is one change set — e.g. a payment plus the work total it moved.
+function groupByRequest(rows: AuditRow[]): ChangeSet[] {
+    const sets: ChangeSet[] = [];
+    for (const row of rows) {
+        const last = sets[sets.length - 1];
+        if (last && row.request_id && last.rows[0]!.request_id === row.request_id) {
+            last.rows.push(row);
+        } else {
+            sets.push({ key: String(row.id), rows: [row] });
+        }
+    }
+    return sets;
+}
+
+const formatValue = (value: unknown): string => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return JSON.stringify(value);
+};
+
+const AuditRowDiff = ({ row }: { row: AuditRow }) => {
+    const { t } = useTranslation('patients');
+    const before = row.before ?? {};
+    const after = row.after ?? {};
+    // An insert/delete carries the whole row — leave out the empty columns.
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+        (f) => row.op === 'U' || formatValue(before[f] ?? after[f]) !== ''
+    );
+
+    const table = (
+        <table className={styles.diff}>
+            <thead>
+                <tr>
+                    <th>{t('history.field')}</th>
+                    {row.op !== 'I' && <th>{t('history.before')}</th>}
+                    {row.op !== 'D' && <th>{t('history.after')}</th>}
+                </tr>
+            </thead>
+            <tbody>
+                {fields.map((f) => (
+                    <tr key={f}>
+                        <td className={styles.field}>{f}</td>
+                        {row.op !== 'I' && (
+                            <td className={cn(row.op === 'U' && styles.removed)}>
+                                {formatValue(before[f]) || <span className={styles.blank}>{t('history.blank')}</span>}
+                            </td>
+                        )}
+                        {row.op !== 'D' && (
+                            <td className={cn(row.op === 'U' && styles.added)}>
+                                {formatValue(after[f]) || <span className={styles.blank}>{t('history.blank')}</span>}
+                            </td>
+                        )}
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+
+    return (
+        <div className={styles.row}>
+            <div className={styles.rowTitle}>
+                <span className={cn(styles.op, styles[`op${row.op}`])}>
+                    <i className={OP_ICONS[row.op]}></i> {t(`history.ops.${row.op}`)}
+                </span>
+                <span className={styles.record}>
+                    {t('history.record', { table: t(`history.tables.${row.tbl}`), pk: row.pk })}
+                </span>
+            </div>
+            {row.op === 'U' ? (
+                table
+            ) : (
+                <details className={styles.details}>
+                    <summary>{t('history.fieldCount', { count: fields.length })}</summary>
+                    {table}
+                </details>
+            )}
+        </div>
+    );
+};
+
+interface AuditTrailPageProps<K extends QueryKey> {
+    query: AuditPageQuery<K>;
+    first: boolean;
+    last: boolean;
+    showPatient: boolean;
+    onLoadOlder: (beforeId: number) => void;
+}
+
+const AuditTrailPage = <K extends QueryKey>({ query, first, last, showPatient, onLoadOlder }: AuditTrailPageProps<K>) => {
+    const { t } = useTranslation('patients');
+    const { language } = useLanguage();
+    const { data, isLoading, error, refetch } = useQuery(query);
+
+    if (isLoading) {
+        return (
+            <div className={styles.state}>
+                <i className="fas fa-spinner fa-spin"></i> {t('history.loading')}
+            </div>
+        );
+    }
+    if (error || !data) {
+        return (
+            <div className={cn(styles.state, styles.error)}>
+                <i className="fas fa-exclamation-circle"></i> {httpErrorMessage(error, t('history.failed'))}
+                <button type="button" className="btn btn-secondary" onClick={() => refetch()}>
+                    <i className="fas fa-redo"></i> {t('history.retry')}
+                </button>
+            </div>
+        );
+    }
+    if (first && data.rows.length === 0) {
+        return (
+            <div className={styles.state}>
+                <i className="fas fa-history"></i> {t('history.empty')}
+            </div>
+        );
+    }
+
+    return (
+        <>
+            {groupByRequest(data.rows).map((set) => {
+                const head = set.rows[0]!;
+                return (
+                    <section key={set.key} className={styles.changeSet}>
+                        <header className={styles.changeSetHeader}>
+                            <span className={styles.when}>
+                                {formatAppointmentListDateTime(new Date(head.changed_at), language)}
+                            </span>
+                            <span className={styles.actor}>
+                                <i className="fas fa-user"></i> {head.actor ?? t('history.unknownActor')}
+                            </span>
+                            {showPatient && head.person_id !== null && (
+                                <Link to={`/patient/${head.person_id}/history`} className={styles.patient}>
+                                    <i className="fas fa-user-injured"></i> {head.patient_name ?? head.person_id}
+                                </Link>
+                            )}
+                            {head.route && (
+                                <code className={styles.route} title={t('history.routeTitle')}>
+                                    {head.route}
+                                </code>
+                            )}
+                        </header>
+                        {set.rows.map((row) => (
+                            <AuditRowDiff key={row.id} row={row} />
+                        ))}
+                    </section>
+                );
+            })}
+            {last && data.nextBeforeId !== null && (
+                <button
+                    type="button"
+                    className={cn('btn btn-secondary', styles.loadOlder)}
+                    onClick={() => onLoadOlder(data.nextBeforeId!)}
+                >
+                    <i className="fas fa-chevron-down"></i> {t('history.loadOlder')}
+                </button>
+            )}
+        </>
+    );
+};
+
+/**
+ * AuditTrail — renders `audit_log` rows newest first, grouped into one change set
+ * per request, with a column-level before/after diff for each row. Pages
+ * backwards by id: "Load older" appends the next page under the ones already
+ * shown, so earlier pages stay cached while the list grows. Shared by the
+ * patient History panel and the admin Audit Log search.
+ */
+const AuditTrail = <K extends QueryKey>({ pageQuery, showPatient = false }: AuditTrailProps<K>) => {
+    const [cursors, setCursors] = useState<(number | null)[]>([null]);
+
+    return (
+        <div className={styles.trail}>
+            {cursors.map((cursor, i) => (
+                <AuditTrailPage
+                    key={cursor ?? 'newest'}
+                    query={pageQuery(cursor)}
+                    first={i === 0}
+                    last={i === cursors.length - 1}
+                    showPatient={showPatient}
+                    onLoadOlder={(beforeId) => setCursors((prev) => [...prev, beforeId])}
+                />
+            ))}
+        </div>
+    );
+};
+
+export default AuditTrail;
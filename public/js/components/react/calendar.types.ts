@@ -3,6 +3,8 @@
  * Common type definitions for all calendar components
  */
 
+import type { ConfirmationStatus } from '@shared/contracts/appointment.contract';
+
 // Per-doctor colour used for card tints and the calendar legend
 export interface DoctorColor {
     fill: string; // soft card background
@@ -19,12 +21,14 @@ export interface LegendDoctor {
 // Appointment displayed in calendar slots.
 // `patientName`/`appDetail` are `| null` to match the contract's `appointmentInfo`
 // (shared/contracts/calendar.contract.ts) so the response rows assign in cast-free.
+// `confirmationStatus` is the patient's answer to the WhatsApp reminder.
 export interface CalendarAppointment {
     appointment_id?: number | string;
     patientName?: string | null;
     appDetail?: string | null;
     personID?: number | null;
     drID?: number | null;
+    confirmationStatus?: ConfirmationStatus | null;
     time?: string;
     app_date?: string;
     person_id?: number | null;
@@ -0,0 +1,444 @@
+/**
+ * CollageModal — the server-rendered before/after collage.
+ *
+ * Up to four timepoints are the columns (Before / Progress / After, in date
+ * order) and the chosen views the rows. The server lines each photo up on its
+ * alignment landmarks, adds the clinic branding and caches the JPEG, which is
+ * then downloaded, shared (`{ source: 'collage' }`) or sent to the patient's
+ * WhatsApp by name.
+ *
+ * Landmarks are marked here as well: pick a cell of the grid, click point A then
+ * point B on the view (LANDMARK_HINTS names the anatomy). Re-rendering a view in
+ * the photo editor makes its landmarks stale; they're skipped until marked again.
+ */
+
+import { useMemo, useState } from 'react';
+import type { MouseEvent } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import cn from 'classnames';
+import Modal from '../Modal';
+import ModalHeader from '../ModalHeader';
+import ShareSheet from '../share/ShareSheet';
+import { useToast } from '../../../contexts/ToastContext';
+import { useConfirm } from '../../../contexts/ConfirmContext';
+import { useApiMutation } from '@/query/useApiMutation';
+import { patientPhotoLandmarksQuery } from '@/query/queries';
+import { qk } from '@/query/keys';
+import { deleteJSON, httpErrorMessage, postJSON, putJSON } from '@/core/http';
+import { buildWorkingContentUrl } from '../files/fileHelpers';
+import { VIEW_CODES, type PhotoViewCode } from '@shared/photo-views';
+import { COLLAGE_VIEW_LABELS, LANDMARK_HINTS, stageLabel, type Point } from '@shared/photo-collage';
+import {
+    MAX_COLLAGE_TIMEPOINTS,
+    MIN_LANDMARK_DISTANCE,
+    type AlignmentPhoto,
+    type Collage,
+    type CreateCollageBody,
+    type LandmarkPoints,
+} from '@shared/contracts/photo-collage.contract';
+import type { Timepoint } from './types';
+import styles from './CollageModal.module.css';
+
+interface Props {
+    open: boolean;
+    onClose: () => void;
+    personId: number;
+    timepoints: Timepoint[];
+    /** The Compare page's selection — the columns the dialog opens with. */
+    initialTimepoints: number[];
+}
+
+const photoKey = (tpCode: number, view: string) => `${tpCode}:${view}`;
+
+const clamp01 = (v: number) => Math.min(1, Math.max(0, v));
+
+const formatDate = (tp: Timepoint) => new Date(tp.tp_date_time).toLocaleDateString();
+
+interface PickerProps {
+    personId: number;
+    photo: AlignmentPhoto;
+    busy: boolean;
+    onSave: (points: LandmarkPoints) => void;
+    onClear: () => void;
+    onBack: () => void;
+}
+
+/** Two clicks on the view — A, then B; a third click starts over. */
+const LandmarkPicker = ({ personId, photo, busy, onSave, onClear, onBack }: PickerProps) => {
+    const current = photo.landmark && !photo.landmark.stale ? photo.landmark : null;
+    const [points, setPoints] = useState<Point[]>(
+        current ? [{ x: current.a_x, y: current.a_y }, { x: current.b_x, y: current.b_y }] : [],
+    );
+    const hint = LANDMARK_HINTS[photo.view];
+
+    const handleClick = (e: MouseEvent<HTMLImageElement>) => {
+        const box = e.currentTarget.getBoundingClientRect();
+        const p = { x: clamp01((e.clientX - box.left) / box.width), y: clamp01((e.clientY - box.top) / box.height) };
+        setPoints((prev) => (prev.length >= 2 ? [p] : [...prev, p]));
+    };
+
+    const tooClose =
+        points.length === 2 && Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y) < MIN_LANDMARK_DISTANCE;
+    const prompt =
+        points.length === 0 ? `Click A — ${hint.a}`
+        : points.length === 1 ? `Click B — ${hint.b}`
+        : tooClose ? 'The two points are too close together — click again'
+        : 'Save, or click the photo to start over';
+
+    return (
+        <div className={styles.picker}>
+            <p className={styles.prompt}>
+                <strong>{COLLAGE_VIEW_LABELS[photo.view]}</strong> · {prompt}
+            </p>
+            <div className={styles.pickerFrame}>
+                {/* eslint-disable-next-line jsx-a11y/no-noninteractive-element-interactions, jsx-a11y/click-events-have-key-events -- a landmark is a pointer position on the photo */}
+                <img
+                    src={buildWorkingContentUrl(personId, photo.name, { thumb: 2048, v: photo.mtime })}
+                    alt={COLLAGE_VIEW_LABELS[photo.view]}
+                    className={styles.pickerImage}
+                    onClick={handleClick}
+                    draggable={false}
+                />
+                {points.map((p, i) => (
+                    <span
+                        key={i}
+                        className={styles.marker}
+                        style={{ left: `${p.x * 100}%`, top: `${p.y * 100}%` }}
+                    >
+                        {i === 0 ? 'A' : 'B'}
+                    </span>
+                ))}
+            </div>
+            <div className={styles.actions}>
+                <button type="button" className="btn btn-sm btn-secondary" onClick={onBack} disabled={busy}>
+                    Back
+                </button>
+                {photo.landmark && (
+                    <button type="button" className="btn btn-sm btn-secondary" onClick={onClear} disabled={busy}>
+                        Clear landmarks
+                    </button>
+                )}
+                <button
+                    type="button"
+                    className="btn btn-sm btn-primary"
+                    disabled={points.length < 2 || tooClose || busy}
+                    onClick={() => onSave({ a_x: points[0].x, a_y: points[0].y, b_x: points[1].x, b_y: points[1].y })}
+                >
+                    Save landmarks
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const CollageModal = ({ open, onClose, personId, timepoints, initialTimepoints }: Props) => {
+    const toast = useToast();
+    const confirm = useConfirm();
+    const [tpCodes, setTpCodes] = useState<number[]>([]);
+    // null = every view taken at the chosen timepoints.
+    const [views, setViews] = useState<PhotoViewCode[] | null>(null);
+    const [align, setAlign] = useState(true);
+    const [marking, setMarking] = useState<AlignmentPhoto | null>(null);
+    const [collage, setCollage] = useState<Collage | null>(null);
+    const [shareOpen, setShareOpen] = useState(false);
+
+    // Start from the Compare page's selection each time the dialog opens.
+    // Adjust-during-render keyed on the open state (no setState-in-effect).
+    const [openedKey, setOpenedKey] = useState(false);
+    if (open !== openedKey) {
+        setOpenedKey(open);
+        if (open) {
+            setTpCodes(initialTimepoints.slice(0, MAX_COLLAGE_TIMEPOINTS));
+            setViews(null);
+            setMarking(null);
+            setCollage(null);
+        }
+    }
+
+    const { data, isLoading, error } = useQuery({
+        ...patientPhotoLandmarksQuery(personId),
+        enabled: open,
+    });
+
+    const photos = useMemo(
+        () => new Map((data ?? []).map((p) => [photoKey(p.tp_code, p.view), p])),
+        [data],
+    );
+    // getTimePoints' date order, so the columns read Before → After.
+    const columns = timepoints.filter((tp) => tpCodes.includes(tp.tp_code));
+    const takenViews = VIEW_CODES.filter((v) => columns.some((tp) => photos.has(photoKey(tp.tp_code, v))));
+    const chosenViews = takenViews.filter((v) => (views ?? takenViews).includes(v));
+
+    const invalidate = () => [qk.patient.photoLandmarks(personId)];
+
+    const saveLandmark = useApiMutation<AlignmentPhoto, { photo: AlignmentPhoto; points: LandmarkPoints }>({
+        mutationFn: ({ photo, points }) =>
+            putJSON<AlignmentPhoto, LandmarkPoints>(
+                `/api/patients/${personId}/photo-landmarks/${photo.tp_code}/${photo.view}`,
+                points,
+            ),
+        invalidate,
+    });
+
+    const clearLandmark = useApiMutation<unknown, AlignmentPhoto>({
+        mutationFn: (photo) => deleteJSON(`/api/patients/${personId}/photo-landmarks/${photo.tp_code}/${photo.view}`),
+        invalidate,
+    });
+
+    const createCollage = useApiMutation<Collage, CreateCollageBody>({
+        mutationFn: (body) => postJSON<Collage, CreateCollageBody>(`/api/patients/${personId}/collages`, body),
+    });
+
+    const sendWhatsApp = useApiMutation<{ phone: string }, string>({
+        mutationFn: (name) => postJSON<{ phone: string }>(`/api/patients/${personId}/collages/${name}/whatsapp`, {}),
+    });
+
+    const toggleTimepoint = (tpCode: number, checked: boolean) => {
+        if (checked && tpCodes.length >= MAX_COLLAGE_TIMEPOINTS) {
+            toast.warning(`A collage takes at most ${MAX_COLLAGE_TIMEPOINTS} timepoints`);
+            return;
+        }
+        setTpCodes(checked ? [...tpCodes, tpCode] : tpCodes.filter((tp) => tp !== tpCode));
+        setCollage(null);
+    };
+
+    const toggleView = (view: PhotoViewCode, checked: boolean) => {
+        const current = views ?? takenViews;
+        setViews(checked ? [...current, view] : current.filter((v) => v !== view));
+        setCollage(null);
+    };
+
+    const handleSaveLandmark = async (photo: AlignmentPhoto, points: LandmarkPoints) => {
+        try {
+            await saveLandmark.mutateAsync({ photo, points });
+            toast.success('Landmarks saved');
+            setMarking(null);
+            setCollage(null);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to save the landmarks'));
+        }
+    };
+
+    const handleClearLandmark = async (photo: AlignmentPhoto) => {
+        try {
+            await clearLandmark.mutateAsync(photo);
+            toast.success('Landmarks cleared');
+            setMarking(null);
+            setCollage(null);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to clear the landmarks'));
+        }
+    };
+
+    const handleGenerate = async () => {
+        try {
+            const result = await createCollage.mutateAsync({
+                tp_codes: columns.map((tp) => tp.tp_code),
+                views: chosenViews,
+                align,
+            });
+            setCollage(result);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to create the collage'));
+        }
+    };
+
+    const handleWhatsApp = async (name: string) => {
+        if (!(await confirm('Send this collage to the patient on WhatsApp?', {
+            title: 'Send Collage',
+            confirmText: 'Send',
+        }))) {
+            return;
+        }
+        try {
+            const { phone } = await sendWhatsApp.mutateAsync(name);
+            toast.success(`Collage sent to ${phone}`);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to send the collage'));
+        }
+    };
+
+    const collageUrl = collage ? `/api/patients/${personId}/collages/${collage.name}` : '';
+    const fileName = `${personId}-collage.jpg`;
+    const canGenerate = columns.length > 0 && chosenViews.length > 0 && !createCollage.isPending;
+
+    const cellStatus = (photo: AlignmentPhoto) =>
+        !photo.landmark ? { icon: 'fas fa-crosshairs', label: 'Mark', className: styles.cellUnmarked }
+        : photo.landmark.stale ? { icon: 'fas fa-exclamation-triangle', label: 'Re-mark', className: styles.cellStale }
+        : { icon: 'fas fa-check-circle', label: 'Marked', className: styles.cellMarked };
+
+    return (
+        <>
+            <Modal isOpen={open} onClose={onClose} contentClassName={styles.dialog} ariaLabelledBy="collage-modal-title">
+                <ModalHeader
+                    title="Before / After Collage"
+                    titleId="collage-modal-title"
+                    icon={<i className="fas fa-th-large" />}
+                    subtitle="Aligned on the landmarks, with the clinic branding"
+                    onClose={onClose}
+                />
+                <div className={styles.body}>
+                    <div className={styles.settings}>
+                        <section className={styles.section}>
+                            <h4 className={styles.sectionTitle}>
+                                Timepoints <span className={styles.count}>{columns.length}/{MAX_COLLAGE_TIMEPOINTS}</span>
+                            </h4>
+                            <div className={styles.timepointList}>
+                                {timepoints.map((tp) => (
+                                    <label key={tp.tp_code} className={styles.checkRow}>
+                                        <input
+                                            type="checkbox"
+                                            checked={tpCodes.includes(tp.tp_code)}
+                                            onChange={(e) => toggleTimepoint(tp.tp_code, e.target.checked)}
+                                        />
+                                        <span className={styles.checkText}>{tp.tp_description}</span>
+                                        <span className={styles.muted}>{formatDate(tp)}</span>
+                                    </label>
+                                ))}
+                            </div>
+                        </section>
+
+                        <section className={styles.section}>
+                            <h4 className={styles.sectionTitle}>Views and landmarks</h4>
+                            {isLoading ? (
+                                <p className={styles.muted}>Loading photos…</p>
+                            ) : error ? (
+                                <p className={styles.muted}>{httpErrorMessage(error, 'Failed to load the photos')}</p>
+                            ) : takenViews.length === 0 ? (
+                                <p className={styles.muted}>No photos at the chosen timepoints.</p>
+                            ) : (
+                                <table className={styles.grid}>
+                                    <thead>
+                                        <tr>
+                                            <th />
+                                            {columns.map((tp, i) => (
+                                                <th key={tp.tp_code} title={`${tp.tp_description} · ${formatDate(tp)}`}>
+                                                    {stageLabel(i, columns.length) || tp.tp_description}
+                                                </th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {takenViews.map((view) => (
+                                            <tr key={view}>
+                                                <th scope="row">
+                                                    <label className={styles.checkRow}>
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={chosenViews.includes(view)}
+                                                            onChange={(e) => toggleView(view, e.target.checked)}
+                                                        />
+                                                        <span className={styles.checkText}>{COLLAGE_VIEW_LABELS[view]}</span>
+                                                    </label>
+                                                </th>
+                                                {columns.map((tp) => {
+                                                    const photo = photos.get(photoKey(tp.tp_code, view));
+                                                    if (!photo) {
+                                                        return <td key={tp.tp_code} className={styles.cellEmpty}>—</td>;
+                                                    }
+                                                    const status = cellStatus(photo);
+                                                    return (
+                                                        <td key={tp.tp_code}>
+                                                            <button
+                                                                type="button"
+                                                                className={cn(
+                                                                    styles.cellButton,
+                                                                    status.className,
+                                                                    marking?.name === photo.name && styles.cellActive,
+                                                                )}
+                                                                onClick={() => setMarking(photo)}
+                                                                title={`${status.label} ${COLLAGE_VIEW_LABELS[view]} landmarks`}
+                                                            >
+                                                                <i className={status.icon} /> {status.label}
+                                                            </button>
+                                                        </td>
+                                                    );
+                                                })}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </section>
+
+                        <label className={styles.checkRow}>
+                            <input
+                                type="checkbox"
+                                checked={align}
+                                onChange={(e) => {
+                                    setAlign(e.target.checked);
+                                    setCollage(null);
+                                }}
+                            />
+                            <span className={styles.checkText}>Align photos on their landmarks</span>
+                        </label>
+
+                        <button
+                            type="button"
+                            className="btn btn-primary"
+                            disabled={!canGenerate}
+                            onClick={() => void handleGenerate()}
+                        >
+                            <i className="fas fa-magic" /> {createCollage.isPending ? 'Generating…' : 'Generate collage'}
+                        </button>
+                    </div>
+
+                    <div className={styles.preview}>
+                        {marking ? (
+                            <LandmarkPicker
+                                key={`${marking.name}:${marking.mtime}`}
+                                personId={personId}
+                                photo={marking}
+                                busy={saveLandmark.isPending || clearLandmark.isPending}
+                                onSave={(points) => void handleSaveLandmark(marking, points)}
+                                onClear={() => void handleClearLandmark(marking)}
+                                onBack={() => setMarking(null)}
+                            />
+                        ) : collage ? (
+                            <>
+                                <img src={collageUrl} alt="Before and after collage" className={styles.collageImage} />
+                                <p className={styles.muted}>
+                                    {collage.aligned} photo{collage.aligned === 1 ? '' : 's'} aligned
+                                    {collage.missing > 0 && ` · ${collage.missing} not taken`}
+                                </p>
+                                <div className={styles.actions}>
+                                    <a className="btn btn-sm btn-secondary" href={collageUrl} download={fileName}>
+                                        <i className="fas fa-download" /> Download
+                                    </a>
+                                    <button
+                                        type="button"
+                                        className="btn btn-sm btn-secondary"
+                                        onClick={() => setShareOpen(true)}
+                                    >
+                                        <i className="fas fa-share-alt" /> Share
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn btn-sm btn-primary"
+                                        disabled={sendWhatsApp.isPending}
+                                        onClick={() => void handleWhatsApp(collage.name)}
+                                    >
+                                        <i className="fab fa-whatsapp" /> {sendWhatsApp.isPending ? 'Sending…' : 'WhatsApp'}
+                                    </button>
+                                </div>
+                            </>
+                        ) : (
+                            <p className={styles.placeholder}>
+                                Choose the timepoints and views, then generate. Mark the landmarks of a view at
+                                every timepoint to line its photos up; unmarked photos are centred.
+                            </p>
+                        )}
+                    </div>
+                </div>
+            </Modal>
+
+            <ShareSheet
+                open={shareOpen && !!collage}
+                sources={collage ? [{ source: 'collage', personId, ref: collage.name, displayName: fileName }] : []}
+                onClose={() => setShareOpen(false)}
+            />
+        </>
+    );
+};
+
+export default CollageModal;
@@ -0,0 +1,207 @@
+import { useState } from 'react';
+import { LAB_LOCATED_STAGES, type LabSlaBreachRow, type LabStageDwellRow } from '@shared/contracts/lab-case.contract';
+import { useLabCaseAnalytics } from '@/hooks/useLabCases';
+import { LAB_STAGE_LABELS } from '@/config/labStages';
+import LabSlaSettings from './LabSlaSettings';
+import styles from './LabAnalytics.module.css';
+
+interface LabOption {
+    id: number;
+    name: string;
+}
+
+interface LabAnalyticsProps {
+    labs: LabOption[];
+    onOpen: (row: LabSlaBreachRow) => void;
+}
+
+const fmtDays = (value: number | null): string => (value === null ? '—' : `${value} d`);
+const fmtPct = (value: number): string => `${Math.round(value * 100)}%`;
+const labKey = (labId: number | null): string => String(labId ?? 'none');
+
+/**
+ * The /lab-tracking Analytics view — turnaround per lab (median sent→delivered,
+ * remake rate, holds), the median days each lab takes at every at-lab stage
+ * (cells over the stage's SLA are flagged), and the open cases sitting at the lab
+ * past their SLA right now. Windowed on the date the case was sent; the overdue
+ * list ignores the window. The SLA thresholds are edited in the panel below.
+ */
+const LabAnalytics = ({ labs, onOpen }: LabAnalyticsProps) => {
+    const [labId, setLabId] = useState<number | undefined>(undefined);
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+
+    const { data, isLoading, isError, refetch } = useLabCaseAnalytics({
+        labId,
+        from: from || undefined,
+        to: to || undefined,
+    });
+
+    // lab → stage → dwell row, for the matrix.
+    const dwell = new Map<string, Map<string, LabStageDwellRow>>();
+    for (const row of data?.stages ?? []) {
+        const key = labKey(row.lab_id);
+        if (!dwell.has(key)) dwell.set(key, new Map());
+        dwell.get(key)!.set(row.stage, row);
+    }
+
+    return (
+        <div className={styles.analytics}>
+            <div className={styles.bar}>
+                <select
+                    className={styles.input}
+                    value={labId ?? ''}
+                    onChange={(e) => setLabId(e.target.value ? Number(e.target.value) : undefined)}
+                    aria-label="Filter by lab"
+                >
+                    <option value="">All Labs</option>
+                    {labs.map((lab) => <option key={lab.id} value={lab.id}>{lab.name}</option>)}
+                </select>
+                <label className={styles.field}>
+                    <span>Sent from</span>
+                    <input type="date" className={styles.input} value={from} onChange={(e) => setFrom(e.target.value)} />
+                </label>
+                <label className={styles.field}>
+                    <span>to</span>
+                    <input type="date" className={styles.input} value={to} onChange={(e) => setTo(e.target.value)} />
+                </label>
+            </div>
+
+            {isLoading ? (
+                <div className={styles.stateMsg}>Loading analytics…</div>
+            ) : isError || !data ? (
+                <div className={styles.stateMsg}>
+                    Failed to load lab analytics.{' '}
+                    <button type="button" className="btn btn-sm btn-secondary" onClick={() => void refetch()}>Retry</button>
+                </div>
+            ) : (
+                <>
+                    <section className={styles.section}>
+                        <h2>
+                            Over SLA now <span className={styles.count}>{data.overdue.length}</span>
+                        </h2>
+                        {!data.sla.enabled && (
+                            <p className={styles.hint}>Alerts are off — these cases are not raising tasks in the header bell.</p>
+                        )}
+                        {data.overdue.length === 0 ? (
+                            <p className={styles.empty}>No case is sitting at the lab past its SLA.</p>
+                        ) : (
+                            <table className={styles.table}>
+                                <thead>
+                                    <tr>
+                                        <th>Patient</th>
+                                        <th>Lab</th>
+                                        <th>Stage</th>
+                                        <th>Days at stage</th>
+                                        <th>SLA</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {data.overdue.map((c) => (
+                                        <tr key={c.id} className={styles.clickable} onClick={() => onOpen(c)}>
+                                            <td>
+                                                {c.patient_name}
+                                                {c.is_rush && <span className={styles.rush}>Rush</span>}
+                                            </td>
+                                            <td>{c.lab_name ?? '—'}</td>
+                                            <td>{LAB_STAGE_LABELS[c.status]}</td>
+                                            <td className={styles.over}>{fmtDays(c.days_at_stage)}</td>
+                                            <td>{fmtDays(c.sla_days)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </section>
+
+                    <section className={styles.section}>
+                        <h2>Turnaround by lab</h2>
+                        {data.labs.length === 0 ? (
+                            <p className={styles.empty}>No cases sent in this period.</p>
+                        ) : (
+                            <table className={styles.table}>
+                                <thead>
+                                    <tr>
+                                        <th>Lab</th>
+                                        <th>Cases</th>
+                                        <th>Delivered</th>
+                                        <th title="Sent to delivered, delivered cases only">Median turnaround</th>
+                                        <th title="Share of cases sent back at least once">Remake rate</th>
+                                        <th>Remakes</th>
+                                        <th>Holds</th>
+                                        <th>Median hold</th>
+                                        <th>Days on hold</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {data.labs.map((row) => (
+                                        <tr key={labKey(row.lab_id)}>
+                                            <td>{row.lab_name ?? 'No lab'}</td>
+                                            <td>{row.cases}</td>
+                                            <td>{row.delivered}</td>
+                                            <td>{fmtDays(row.median_turnaround_days)}</td>
+                                            <td>{fmtPct(row.remake_rate)} ({row.remade_cases})</td>
+                                            <td>{row.remakes}</td>
+                                            <td>{row.holds}</td>
+                                            <td>{fmtDays(row.median_hold_days)}</td>
+                                            <td>{fmtDays(row.total_hold_days)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </section>
+
+                    <section className={styles.section}>
+                        <h2>Median days at each lab stage</h2>
+                        {data.labs.length === 0 ? (
+                            <p className={styles.empty}>No completed lab stages in this period.</p>
+                        ) : (
+                            <table className={styles.table}>
+                                <thead>
+                                    <tr>
+                                        <th>Lab</th>
+                                        {LAB_LOCATED_STAGES.map((stage) => (
+                                            <th key={stage}>
+                                                {LAB_STAGE_LABELS[stage]}
+                                                {data.sla.days[stage] !== undefined && (
+                                                    <span className={styles.slaTag}>SLA {data.sla.days[stage]} d</span>
+                                                )}
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {data.labs.map((lab) => (
+                                        <tr key={labKey(lab.lab_id)}>
+                                            <td>{lab.lab_name ?? 'No lab'}</td>
+                                            {LAB_LOCATED_STAGES.map((stage) => {
+                                                const cell = dwell.get(labKey(lab.lab_id))?.get(stage);
+                                                const sla = data.sla.days[stage];
+                                                if (!cell) return <td key={stage} className={styles.muted}>—</td>;
+                                                return (
+                                                    <td
+                                                        key={stage}
+                                                        className={sla !== undefined && cell.median_days > sla ? styles.over : undefined}
+                                                        title={`${cell.visits} visit(s), longest ${cell.max_days} d`}
+                                                    >
+                                                        {fmtDays(cell.median_days)}
+                                                        <span className={styles.visits}>n={cell.visits}</span>
+                                                    </td>
+                                                );
+                                            })}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </section>
+                </>
+            )}
+
+            <LabSlaSettings />
+        </div>
+    );
+};
+
+export default LabAnalytics;
@@ -0,0 +1,390 @@
+import { useState } from 'react';
+import type { LabChargeRow, LabStatementGroup } from '@shared/contracts/lab-billing.contract';
+import {
+    useLabStatements,
+    useReconcileLabStatement,
+    useReopenLabStatement,
+    useUpdateLabCharge,
+} from '@/hooks/useLabBilling';
+import { useToast } from '@/contexts/ToastContext';
+import { httpErrorMessage } from '@/core/http';
+import { formatCurrency } from '@/utils/formatters';
+import LabPriceList from './LabPriceList';
+import styles from './LabAnalytics.module.css';
+import billing from './LabBilling.module.css';
+
+interface LabOption {
+    id: number;
+    name: string;
+}
+
+interface LabBillingProps {
+    labs: LabOption[];
+}
+
+const currentMonth = (): string => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const groupKey = (row: { lab_id: number; currency: string }): string => `${row.lab_id}|${row.currency}`;
+
+interface ReconcileFormProps {
+    month: string;
+    group: LabStatementGroup;
+    onDone: () => void;
+}
+
+/** Invoice number/amount for one open lab × currency; blank amount books the accrued total. */
+const ReconcileForm = ({ month, group, onDone }: ReconcileFormProps) => {
+    const toast = useToast();
+    const reconcile = useReconcileLabStatement();
+    const [invoiceNo, setInvoiceNo] = useState('');
+    const [invoiceAmount, setInvoiceAmount] = useState('');
+    const [note, setNote] = useState('');
+
+    const amount = invoiceAmount.trim() === '' ? undefined : Number(invoiceAmount);
+    const difference = amount === undefined ? 0 : amount - group.accrued_amount;
+
+    const handleReconcile = async (): Promise<void> => {
+        if (amount !== undefined && (!Number.isInteger(amount) || amount < 0)) {
+            toast.error('Enter the invoice amount as a whole number, or leave it blank');
+            return;
+        }
+        try {
+            await reconcile.mutateAsync({
+                labId: group.lab_id,
+                month,
+                currency: group.currency,
+                labInvoiceNo: invoiceNo.trim() || undefined,
+                labInvoiceAmount: amount,
+                note: note.trim() || undefined,
+            });
+            toast.success(`${group.lab_name} reconciled — expense booked`);
+            onDone();
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to reconcile the statement'));
+        }
+    };
+
+    return (
+        <div className={billing.reconcile}>
+            <label className={styles.field}>
+                <span>Lab invoice no.</span>
+                <input className={styles.input} value={invoiceNo} onChange={(e) => setInvoiceNo(e.target.value)} />
+            </label>
+            <label className={styles.field}>
+                <span>Invoice amount ({group.currency})</span>
+                <input
+                    type="number"
+                    min={0}
+                    className={styles.input}
+                    value={invoiceAmount}
+                    placeholder={String(group.accrued_amount)}
+                    onChange={(e) => setInvoiceAmount(e.target.value)}
+                />
+            </label>
+            <label className={`${styles.field} ${billing.grow}`}>
+                <span>Note</span>
+                <input className={styles.input} value={note} onChange={(e) => setNote(e.target.value)} />
+            </label>
+            {difference !== 0 && (
+                <span className={difference > 0 ? styles.over : styles.muted}>
+                    {difference > 0 ? '+' : ''}
+                    {formatCurrency(difference, group.currency)} vs accrued
+                </span>
+            )}
+            <button
+                type="button"
+                className="btn btn-sm btn-primary"
+                onClick={() => void handleReconcile()}
+                disabled={reconcile.isPending}
+            >
+                {reconcile.isPending ? 'Booking…' : 'Reconcile & book expense'}
+            </button>
+            <button type="button" className="btn btn-sm btn-secondary" onClick={onDone}>Cancel</button>
+        </div>
+    );
+};
+
+interface ChargeRowProps {
+    charge: LabChargeRow;
+    labName: string;
+}
+
+/** One accrued charge; open ones can be re-priced inline. */
+const ChargeRow = ({ charge, labName }: ChargeRowProps) => {
+    const toast = useToast();
+    const update = useUpdateLabCharge();
+    const [editing, setEditing] = useState(false);
+    const [units, setUnits] = useState(String(charge.units));
+    const [unitPrice, setUnitPrice] = useState(String(charge.unit_price));
+    const isOpen = charge.statement_id === null;
+    const isUnpriced = charge.price_list_id === null && charge.amount === 0;
+
+    const handleSave = async (): Promise<void> => {
+        const nextUnits = Number(units);
+        const nextPrice = Number(unitPrice);
+        if (!Number.isInteger(nextUnits) || nextUnits < 1 || !Number.isInteger(nextPrice) || nextPrice < 0) {
+            toast.error('Units must be 1 or more and the unit price a whole number');
+            return;
+        }
+        try {
+            await update.mutateAsync({ id: charge.id, units: nextUnits, unitPrice: nextPrice });
+            setEditing(false);
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to update the charge'));
+        }
+    };
+
+    return (
+        <tr>
+            <td>{charge.patient_name}</td>
+            <td>{labName}</td>
+            <td>{charge.work_type}</td>
+            <td>{charge.charge_type === 'remake' ? 'Remake' : 'Delivery'}</td>
+            <td>{charge.accrued_at.slice(0, 10)}</td>
+            {editing ? (
+                <>
+                    <td>
+                        <input
+                            type="number"
+                            min={1}
+                            className={`${styles.input} ${billing.narrow}`}
+                            value={units}
+                            onChange={(e) => setUnits(e.target.value)}
+                            aria-label="Units"
+                        />
+                    </td>
+                    <td>
+                        <input
+                            type="number"
+                            min={0}
+                            className={`${styles.input} ${billing.narrow}`}
+                            value={unitPrice}
+                            onChange={(e) => setUnitPrice(e.target.value)}
+                            aria-label="Unit price"
+                        />
+                    </td>
+                    <td>{formatCurrency(Number(units) * Number(unitPrice), charge.currency)}</td>
+                    <td className={billing.actions}>
+                        <button type="button" className="btn btn-sm btn-primary" onClick={() => void handleSave()} disabled={update.isPending}>
+                            Save
+                        </button>
+                        <button type="button" className="btn btn-sm btn-secondary" onClick={() => setEditing(false)}>Cancel</button>
+                    </td>
+                </>
+            ) : (
+                <>
+                    <td>{charge.units}</td>
+                    <td>{formatCurrency(charge.unit_price, charge.currency)}</td>
+                    <td className={isUnpriced ? styles.over : undefined}>
+                        {isUnpriced ? 'Unpriced' : formatCurrency(charge.amount, charge.currency)}
+                    </td>
+                    <td className={billing.actions}>
+                        {isOpen ? (
+                            <button type="button" className="btn btn-sm btn-secondary" onClick={() => setEditing(true)}>
+                                Edit
+                            </button>
+                        ) : (
+                            <span className={styles.muted}>Reconciled</span>
+                        )}
+                    </td>
+                </>
+            )}
+        </tr>
+    );
+};
+
+/**
+ * The /lab-tracking Billing view — one month's lab statements. Each lab ×
+ * currency lists the charges its cases accrued on delivery/remake; once checked
+ * against the lab's invoice it is reconciled, which books a Lab-category expense
+ * dated the month's last day (so it shows in that month's net profit). Reopening
+ * deletes that expense. Open charges can be re-priced until then; the price list
+ * that prices new charges is managed below.
+ */
+const LabBilling = ({ labs }: LabBillingProps) => {
+    const toast = useToast();
+    const reopen = useReopenLabStatement();
+    const [month, setMonth] = useState(currentMonth);
+    const [labId, setLabId] = useState<number | undefined>(undefined);
+    const [reconciling, setReconciling] = useState<string | null>(null);
+
+    const { data, isLoading, isError, refetch } = useLabStatements({ month, labId });
+    const labNames = new Map(labs.map((lab) => [lab.id, lab.name]));
+
+    const handleReopen = async (group: LabStatementGroup): Promise<void> => {
+        if (!group.statement) return;
+        if (!window.confirm(`Reopen ${group.lab_name}'s ${group.currency} statement? Its booked expense is deleted.`)) return;
+        try {
+            await reopen.mutateAsync({ id: group.statement.id });
+            toast.success('Statement reopened');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to reopen the statement'));
+        }
+    };
+
+    return (
+        <div className={styles.analytics}>
+            <div className={styles.bar}>
+                <label className={styles.field}>
+                    <span>Month</span>
+                    <input
+                        type="month"
+                        className={styles.input}
+                        value={month}
+                        onChange={(e) => e.target.value && setMonth(e.target.value)}
+                    />
+                </label>
+                <select
+                    className={styles.input}
+                    value={labId ?? ''}
+                    onChange={(e) => setLabId(e.target.value ? Number(e.target.value) : undefined)}
+                    aria-label="Filter by lab"
+                >
+                    <option value="">All Labs</option>
+                    {labs.map((lab) => <option key={lab.id} value={lab.id}>{lab.name}</option>)}
+                </select>
+            </div>
+
+            {isLoading ? (
+                <div className={styles.stateMsg}>Loading statements…</div>
+            ) : isError || !data ? (
+                <div className={styles.stateMsg}>
+                    Failed to load lab statements.{' '}
+                    <button type="button" className="btn btn-sm btn-secondary" onClick={() => void refetch()}>Retry</button>
+                </div>
+            ) : (
+                <>
+                    <section className={styles.section}>
+                        <h2>Statements</h2>
+                        {data.groups.length === 0 ? (
+                            <p className={styles.empty}>No lab charges for this month.</p>
+                        ) : (
+                            <table className={styles.table}>
+                                <thead>
+                                    <tr>
+                                        <th>Lab</th>
+                                        <th>Charges</th>
+                                        <th>Accrued</th>
+                                        <th>Lab invoice</th>
+                                        <th>Status</th>
+                                        <th />
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {data.groups.map((group) => {
+                                        const key = groupKey(group);
+                                        const statement = group.statement;
+                                        return (
+                                            <tr key={key}>
+                                                <td colSpan={reconciling === key ? 6 : undefined}>
+                                                    {group.lab_name}
+                                                    {reconciling === key && (
+                                                        <ReconcileForm month={month} group={group} onDone={() => setReconciling(null)} />
+                                                    )}
+                                                </td>
+                                                {reconciling !== key && (
+                                                    <>
+                                                        <td>
+                                                            {group.charges}
+                                                            {group.unpriced > 0 && (
+                                                                <span className={styles.over}> ({group.unpriced} unpriced)</span>
+                                                            )}
+                                                        </td>
+                                                        <td>{formatCurrency(group.accrued_amount, group.currency)}</td>
+                                                        <td>
+                                                            {statement?.lab_invoice_amount != null
+                                                                ? formatCurrency(statement.lab_invoice_amount, group.currency)
+                                                                : '—'}
+                                                            {statement?.lab_invoice_no && (
+                                                                <span className={styles.visits}>#{statement.lab_invoice_no}</span>
+                                                            )}
+                                                        </td>
+                                                        <td>
+                                                            {statement ? (
+                                                                <>
+                                                                    Reconciled
+                                                                    <span className={styles.visits}>
+                                                                        {statement.reconciled_at.slice(0, 10)}
+                                                                        {statement.reconciled_by ? ` · ${statement.reconciled_by}` : ''}
+                                                                    </span>
+                                                                </>
+                                                            ) : (
+                                                                <span className={styles.muted}>Open</span>
+                                                            )}
+                                                        </td>
+                                                        <td className={billing.actions}>
+                                                            {statement ? (
+                                                                <button
+                                                                    type="button"
+                                                                    className="btn btn-sm btn-secondary"
+                                                                    onClick={() => void handleReopen(group)}
+                                                                    disabled={reopen.isPending}
+                                                                >
+                                                                    Reopen
+                                                                </button>
+                                                            ) : (
+                                                                <button
+                                                                    type="button"
+                                                                    className="btn btn-sm btn-primary"
+                                                                    onClick={() => setReconciling(key)}
+                                                                >
+                                                                    Reconcile
+                                                                </button>
+                                                            )}
+                                                        </td>
+                                                    </>
+                                                )}
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        )}
+                    </section>
+
+                    <section className={styles.section}>
+                        <h2>
+                            Charges <span className={styles.count}>{data.charges.length}</span>
+                        </h2>
+                        <p className={styles.hint}>
+                            Open charges accrued up to the month&apos;s end go onto its statement; anything later rolls to the next one.
+                        </p>
+                        {data.charges.length > 0 && (
+                            <table className={styles.table}>
+                                <thead>
+                                    <tr>
+                                        <th>Patient</th>
+                                        <th>Lab</th>
+                                        <th>Work</th>
+                                        <th>Type</th>
+                                        <th>Accrued</th>
+                                        <th>Units</th>
+                                        <th>Unit price</th>
+                                        <th>Amount</th>
+                                        <th />
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {data.charges.map((charge) => (
+                                        <ChargeRow
+                                            key={`${charge.id}:${charge.units}:${charge.unit_price}`}
+                                            charge={charge}
+                                            labName={labNames.get(charge.lab_id) ?? `Lab #${charge.lab_id}`}
+                                        />
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </section>
+                </>
+            )}
+
+            <LabPriceList labs={labs} />
+        </div>
+    );
+};
+
+export default LabBilling;
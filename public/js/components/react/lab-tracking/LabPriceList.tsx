@@ -0,0 +1,271 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import {
+    LAB_CURRENCIES,
+    LAB_PRICE_BASES,
+    type LabPriceBody,
+    type LabPriceRow,
+} from '@shared/contracts/lab-billing.contract';
+import { useLabPrices, useCreateLabPrice, useUpdateLabPrice, useRetireLabPrice } from '@/hooks/useLabBilling';
+import { workTypesQuery } from '@/query/queries';
+import { useToast } from '@/contexts/ToastContext';
+import { httpErrorMessage } from '@/core/http';
+import { formatCurrency } from '@/utils/formatters';
+import styles from './LabAnalytics.module.css';
+import billing from './LabBilling.module.css';
+
+interface LabOption {
+    id: number;
+    name: string;
+}
+
+interface LabPriceListProps {
+    labs: LabOption[];
+}
+
+const BASIS_LABELS: Record<LabPriceRow['basis'], string> = {
+    unit: 'Per tooth',
+    case: 'Per case',
+};
+
+// Form drafts are strings so number fields can be cleared while typing.
+interface PriceDraft {
+    labId: string;
+    workTypeId: string;
+    material: string;
+    shadeSystem: string;
+    basis: LabPriceRow['basis'];
+    unitPrice: string;
+    remakePrice: string;
+    currency: LabPriceRow['currency'];
+}
+
+const EMPTY_DRAFT: PriceDraft = {
+    labId: '',
+    workTypeId: '',
+    material: '',
+    shadeSystem: '',
+    basis: 'unit',
+    unitPrice: '',
+    remakePrice: '0',
+    currency: 'IQD',
+};
+
+const draftFrom = (row: LabPriceRow): PriceDraft => ({
+    labId: String(row.lab_id),
+    workTypeId: String(row.work_type_id),
+    material: row.material ?? '',
+    shadeSystem: row.shade_system ?? '',
+    basis: row.basis,
+    unitPrice: String(row.unit_price),
+    remakePrice: String(row.remake_price),
+    currency: row.currency,
+});
+
+/**
+ * Per-lab price list that prices each charge as a case is delivered or remade.
+ * A row is keyed by lab + work type, optionally narrowed by material and shade
+ * system (the most specific active row wins). Edits only affect charges accrued
+ * afterwards; open charges are re-priced individually on the statement.
+ */
+const LabPriceList = ({ labs }: LabPriceListProps) => {
+    const toast = useToast();
+    const { data: prices, isLoading, isError } = useLabPrices();
+    const { data: workTypes } = useQuery(workTypesQuery());
+    const create = useCreateLabPrice();
+    const update = useUpdateLabPrice();
+    const retire = useRetireLabPrice();
+    const [editingId, setEditingId] = useState<number | null>(null);
+    const [draft, setDraft] = useState<PriceDraft>(EMPTY_DRAFT);
+
+    const set = <K extends keyof PriceDraft>(key: K, value: PriceDraft[K]): void =>
+        setDraft((prev) => ({ ...prev, [key]: value }));
+
+    const reset = (): void => {
+        setEditingId(null);
+        setDraft(EMPTY_DRAFT);
+    };
+
+    const handleSave = async (): Promise<void> => {
+        const unitPrice = Number(draft.unitPrice);
+        const remakePrice = Number(draft.remakePrice || 0);
+        if (!draft.labId || !draft.workTypeId) {
+            toast.error('Pick the lab and the work type');
+            return;
+        }
+        if (draft.unitPrice === '' || !Number.isInteger(unitPrice) || unitPrice < 0 || !Number.isInteger(remakePrice) || remakePrice < 0) {
+            toast.error('Prices must be whole numbers');
+            return;
+        }
+        const body: LabPriceBody = {
+            labId: Number(draft.labId),
+            workTypeId: Number(draft.workTypeId),
+            material: draft.material.trim() || undefined,
+            shadeSystem: draft.shadeSystem.trim() || undefined,
+            basis: draft.basis,
+            unitPrice,
+            remakePrice,
+            currency: draft.currency,
+        };
+        try {
+            if (editingId === null) {
+                await create.mutateAsync(body);
+                toast.success('Price added');
+            } else {
+                await update.mutateAsync({ id: editingId, ...body });
+                toast.success('Price updated');
+            }
+            reset();
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to save the price'));
+        }
+    };
+
+    const handleRetire = async (row: LabPriceRow): Promise<void> => {
+        if (!window.confirm(`Retire ${row.lab_name}'s ${row.work_type} price? New charges will no longer use it.`)) return;
+        try {
+            await retire.mutateAsync({ id: row.id });
+            if (editingId === row.id) reset();
+            toast.success('Price retired');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to retire the price'));
+        }
+    };
+
+    const isSaving = create.isPending || update.isPending;
+
+    return (
+        <section className={styles.section}>
+            <h2>Lab price list</h2>
+            <div className={billing.reconcile}>
+                <select className={styles.input} value={draft.labId} onChange={(e) => set('labId', e.target.value)} aria-label="Lab">
+                    <option value="">Lab…</option>
+                    {labs.map((lab) => <option key={lab.id} value={lab.id}>{lab.name}</option>)}
+                </select>
+                <select
+                    className={styles.input}
+                    value={draft.workTypeId}
+                    onChange={(e) => set('workTypeId', e.target.value)}
+                    aria-label="Work type"
+                >
+                    <option value="">Work type…</option>
+                    {(workTypes ?? []).map((wt) => <option key={wt.id} value={wt.id}>{wt.work_type}</option>)}
+                </select>
+                <input
+                    className={styles.input}
+                    value={draft.material}
+                    placeholder="Material (any)"
+                    onChange={(e) => set('material', e.target.value)}
+                    aria-label="Material"
+                />
+                <input
+                    className={styles.input}
+                    value={draft.shadeSystem}
+                    placeholder="Shade system (any)"
+                    onChange={(e) => set('shadeSystem', e.target.value)}
+                    aria-label="Shade system"
+                />
+                <select
+                    className={styles.input}
+                    value={draft.basis}
+                    onChange={(e) => set('basis', e.target.value as PriceDraft['basis'])}
+                    aria-label="Basis"
+                >
+                    {LAB_PRICE_BASES.map((basis) => <option key={basis} value={basis}>{BASIS_LABELS[basis]}</option>)}
+                </select>
+                <label className={styles.field}>
+                    <span>Price</span>
+                    <input
+                        type="number"
+                        min={0}
+                        className={`${styles.input} ${billing.narrow}`}
+                        value={draft.unitPrice}
+                        onChange={(e) => set('unitPrice', e.target.value)}
+                    />
+                </label>
+                <label className={styles.field}>
+                    <span>Remake price</span>
+                    <input
+                        type="number"
+                        min={0}
+                        className={`${styles.input} ${billing.narrow}`}
+                        value={draft.remakePrice}
+                        onChange={(e) => set('remakePrice', e.target.value)}
+                    />
+                </label>
+                <select
+                    className={styles.input}
+                    value={draft.currency}
+                    onChange={(e) => set('currency', e.target.value as PriceDraft['currency'])}
+                    aria-label="Currency"
+                >
+                    {LAB_CURRENCIES.map((currency) => <option key={currency} value={currency}>{currency}</option>)}
+                </select>
+                <button type="button" className="btn btn-sm btn-primary" onClick={() => void handleSave()} disabled={isSaving}>
+                    {editingId === null ? 'Add price' : 'Save price'}
+                </button>
+                {editingId !== null && (
+                    <button type="button" className="btn btn-sm btn-secondary" onClick={reset}>Cancel</button>
+                )}
+            </div>
+
+            {isLoading ? (
+                <p className={styles.empty}>Loading…</p>
+            ) : isError || !prices ? (
+                <p className={styles.empty}>Failed to load the price list.</p>
+            ) : prices.length === 0 ? (
+                <p className={styles.empty}>No prices yet — charges accrue unpriced until one is added.</p>
+            ) : (
+                <table className={styles.table}>
+                    <thead>
+                        <tr>
+                            <th>Lab</th>
+                            <th>Work type</th>
+                            <th>Material</th>
+                            <th>Shade system</th>
+                            <th>Basis</th>
+                            <th>Price</th>
+                            <th>Remake</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {prices.map((row) => (
+                            <tr key={row.id}>
+                                <td>{row.lab_name}</td>
+                                <td>{row.work_type}</td>
+                                <td>{row.material ?? <span className={styles.muted}>Any</span>}</td>
+                                <td>{row.shade_system ?? <span className={styles.muted}>Any</span>}</td>
+                                <td>{BASIS_LABELS[row.basis]}</td>
+                                <td>{formatCurrency(row.unit_price, row.currency)}</td>
+                                <td>{row.remake_price === 0 ? 'Free' : formatCurrency(row.remake_price, row.currency)}</td>
+                                <td className={billing.actions}>
+                                    <button
+                                        type="button"
+                                        className="btn btn-sm btn-secondary"
+                                        onClick={() => {
+                                            setEditingId(row.id);
+                                            setDraft(draftFrom(row));
+                                        }}
+                                    >
+                                        Edit
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn btn-sm btn-secondary"
+                                        onClick={() => void handleRetire(row)}
+                                        disabled={retire.isPending}
+                                    >
+                                        Retire
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </section>
+    );
+};
+
+export default LabPriceList;
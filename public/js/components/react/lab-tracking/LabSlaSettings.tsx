@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { LAB_LOCATED_STAGES, type LabSlaSettings as LabSlaSettingsValue } from '@shared/contracts/lab-case.contract';
+import { useLabSlaSettings, useSaveLabSlaSettings } from '@/hooks/useLabCases';
+import { useToast } from '@/contexts/ToastContext';
+import { httpErrorMessage } from '@/core/http';
+import { LAB_STAGE_LABELS } from '@/config/labStages';
+import styles from './LabAnalytics.module.css';
+
+interface SlaFormProps {
+    initial: LabSlaSettingsValue;
+}
+
+/** The editable form — mounted once the saved settings have loaded, so its drafts start from them. */
+const SlaForm = ({ initial }: SlaFormProps) => {
+    const toast = useToast();
+    const save = useSaveLabSlaSettings();
+    const [enabled, setEnabled] = useState(initial.enabled);
+    // Kept as strings so a field can be cleared (= no SLA for that stage).
+    const [days, setDays] = useState<Record<string, string>>(() =>
+        Object.fromEntries(LAB_LOCATED_STAGES.map((stage) => [stage, initial.days[stage]?.toString() ?? '']))
+    );
+
+    const handleSave = async (): Promise<void> => {
+        const parsed: LabSlaSettingsValue['days'] = {};
+        for (const stage of LAB_LOCATED_STAGES) {
+            const raw = days[stage]?.trim();
+            if (!raw) continue;
+            const n = Number(raw);
+            if (!Number.isInteger(n) || n < 1 || n > 365) {
+                toast.error(`${LAB_STAGE_LABELS[stage]}: enter whole days between 1 and 365, or leave it blank`);
+                return;
+            }
+            parsed[stage] = n;
+        }
+        try {
+            await save.mutateAsync({ enabled, days: parsed });
+            toast.success('Lab SLA settings saved');
+        } catch (err) {
+            toast.error(httpErrorMessage(err, 'Failed to save lab SLA settings'));
+        }
+    };
+
+    return (
+        <>
+            <label className={styles.toggle}>
+                <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+                <span>Raise a task in the header bell when a case sits at the lab past its SLA</span>
+            </label>
+            <div className={styles.slaGrid}>
+                {LAB_LOCATED_STAGES.map((stage) => (
+                    <label key={stage} className={styles.field}>
+                        <span>{LAB_STAGE_LABELS[stage]}</span>
+                        <input
+                            type="number"
+                            min={1}
+                            max={365}
+                            className={styles.input}
+                            value={days[stage] ?? ''}
+                            placeholder="No SLA"
+                            onChange={(e) => setDays((prev) => ({ ...prev, [stage]: e.target.value }))}
+                            aria-label={`${LAB_STAGE_LABELS[stage]} SLA in days`}
+                        />
+                    </label>
+                ))}
+            </div>
+            <div>
+                <button type="button" className="btn btn-sm btn-primary" onClick={() => void handleSave()} disabled={save.isPending}>
+                    {save.isPending ? 'Saving…' : 'Save SLA settings'}
+                </button>
+            </div>
+        </>
+    );
+};
+
+/**
+ * Per-stage SLA thresholds (days a case may sit at each at-lab stage) and the
+ * switch for the hourly header-bell alerts. Blank = no SLA for that stage.
+ */
+const LabSlaSettings = () => {
+    const { data, isLoading, isError } = useLabSlaSettings();
+
+    return (
+        <section className={styles.section}>
+            <h2>SLA thresholds (days at the lab)</h2>
+            {isLoading ? (
+                <p className={styles.empty}>Loading…</p>
+            ) : isError || !data ? (
+                <p className={styles.empty}>Failed to load the SLA settings.</p>
+            ) : (
+                <SlaForm initial={data} />
+            )}
+        </section>
+    );
+};
+
+export default LabSlaSettings;
@@ -0,0 +1,385 @@
+/**
+ * PurchaseOrderDetailModal Component
+ * One purchase order: its lines (ordered vs received), deliveries and supplier
+ * invoices, plus the actions its status allows — mark ordered, cancel, receive a
+ * delivery (quantity, lot and expiry per line) and record the supplier's invoice.
+ */
+import { useState } from 'react';
+import type { FormEvent } from 'react';
+import {
+  useStandPurchaseOrder,
+  usePurchaseOrderTransition,
+  useReceivePurchaseOrder,
+  useRecordSupplierInvoice,
+  type PurchaseOrderDetail,
+} from '../../hooks/useStandPurchasing';
+import { useToast } from '../../contexts/ToastContext';
+import { useConfirm } from '../../contexts/ConfirmContext';
+import { httpErrorMessage } from '@/core/http';
+import { formatNumber } from '../../utils/formatters';
+import Modal from '../react/Modal';
+import ModalHeader from '../react/ModalHeader';
+import { PO_STATUS_LABELS, formatPoDate } from './purchaseOrderStatus';
+import styles from './PurchaseOrderDetailModal.module.css';
+
+interface PurchaseOrderDetailModalProps {
+  poId: number | null;
+  onClose: () => void;
+}
+
+interface ReceiveDraft {
+  quantity: number;
+  unitCost: number;
+  lotNumber: string;
+  expiryDate: string;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/** Every outstanding line, pre-filled with what is still due at the ordered cost. */
+const draftReceipt = (po: PurchaseOrderDetail): Record<number, ReceiveDraft> =>
+  Object.fromEntries(
+    po.lines
+      .filter((l) => l.quantity_received < l.quantity_ordered)
+      .map((l) => [
+        l.po_line_id,
+        { quantity: l.quantity_ordered - l.quantity_received, unitCost: l.unit_cost, lotNumber: '', expiryDate: '' },
+      ])
+  );
+
+export default function PurchaseOrderDetailModal({ poId, onClose }: PurchaseOrderDetailModalProps) {
+  const toast = useToast();
+  const confirm = useConfirm();
+  const { data: po, isLoading, error } = useStandPurchaseOrder(poId);
+  const transition = usePurchaseOrderTransition();
+  const receive = useReceivePurchaseOrder();
+  const recordInvoice = useRecordSupplierInvoice();
+
+  const [receiving, setReceiving] = useState<Record<number, ReceiveDraft> | null>(null);
+  const [invoice, setInvoice] = useState({ invoiceNo: '', invoiceDate: today(), amount: '' });
+
+  const handleClose = () => {
+    setReceiving(null);
+    setInvoice({ invoiceNo: '', invoiceDate: today(), amount: '' });
+    onClose();
+  };
+
+  const runTransition = async (action: 'order' | 'cancel') => {
+    if (!po) return;
+    if (action === 'cancel' && !(await confirm(`Cancel purchase order #${po.po_id}?`, { title: 'Cancel Order' }))) {
+      return;
+    }
+    try {
+      await transition.mutateAsync({ id: po.po_id, action });
+      toast.success(action === 'order' ? 'Marked as ordered' : 'Order cancelled');
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to update the order'));
+    }
+  };
+
+  const updateReceiveLine = (poLineId: number, patch: Partial<ReceiveDraft>) =>
+    setReceiving((prev) => (prev ? { ...prev, [poLineId]: { ...prev[poLineId], ...patch } } : prev));
+
+  const handleReceive = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!po || !receiving || receive.isPending) return;
+    try {
+      const result = await receive.mutateAsync({
+        id: po.po_id,
+        lines: Object.entries(receiving).map(([poLineId, l]) => ({
+          poLineId: parseInt(poLineId, 10),
+          quantity: l.quantity,
+          unitCost: l.unitCost,
+          lotNumber: l.lotNumber.trim() || null,
+          expiryDate: l.expiryDate || null,
+        })),
+      });
+      toast.success(`Received ${formatNumber(result.total_cost)} IQD — booked as an expense`);
+      setReceiving(null);
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to receive the delivery'));
+    }
+  };
+
+  const handleInvoice = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!po || recordInvoice.isPending) return;
+    try {
+      await recordInvoice.mutateAsync({
+        id: po.po_id,
+        invoiceNo: invoice.invoiceNo.trim(),
+        invoiceDate: invoice.invoiceDate,
+        amount: parseInt(invoice.amount.replace(/[^\d]/g, ''), 10) || 0,
+      });
+      toast.success('Invoice recorded');
+      setInvoice({ invoiceNo: '', invoiceDate: today(), amount: '' });
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to record the invoice'));
+    }
+  };
+
+  const busy = transition.isPending || receive.isPending || recordInvoice.isPending;
+  const canReceive = po?.status === 'ordered' || po?.status === 'partial';
+  const canInvoice = po ? po.status !== 'draft' && po.status !== 'cancelled' : false;
+  const invoiceGap = po ? po.invoiced_value - po.received_value : 0;
+
+  return (
+    <Modal
+      isOpen={poId != null}
+      onClose={handleClose}
+      contentClassName={styles.modalContent}
+      ariaLabelledBy="po-detail-modal-title"
+    >
+      <ModalHeader
+        title={po ? `Purchase Order #${po.po_id}` : 'Purchase Order'}
+        titleId="po-detail-modal-title"
+        subtitle={po ? `${po.supplier_name} · ${PO_STATUS_LABELS[po.status]}` : undefined}
+        onClose={handleClose}
+      />
+
+      <div className={styles.modalBody}>
+        {isLoading ? (
+          <p className={styles.emptyHint}>Loading order…</p>
+        ) : error || !po ? (
+          <p className={styles.emptyHint}>{httpErrorMessage(error, 'Failed to load the order')}</p>
+        ) : (
+          <>
+            <div className={styles.summary}>
+              <span>Created {formatPoDate(po.created_at)}</span>
+              {po.expected_date && <span>Expected {formatPoDate(po.expected_date)}</span>}
+              <span>Ordered {formatNumber(po.ordered_value)} IQD</span>
+              <span>Received {formatNumber(po.received_value)} IQD</span>
+              <span>Invoiced {formatNumber(po.invoiced_value)} IQD</span>
+            </div>
+            {po.notes && <p className={styles.notes}>{po.notes}</p>}
+
+            {receiving ? (
+              <form onSubmit={handleReceive}>
+                <h3 className={styles.sectionTitle}>Receive delivery</h3>
+                <div className={styles.tableWrapper}>
+                  <table className={styles.table}>
+                    <thead>
+                      <tr>
+                        <th>Item</th>
+                        <th className={styles.num}>Outstanding</th>
+                        <th className={styles.num}>Received</th>
+                        <th className={styles.num}>Unit cost</th>
+                        <th>Lot</th>
+                        <th>Expiry</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {po.lines
+                        .filter((l) => receiving[l.po_line_id])
+                        .map((l) => {
+                          const draft = receiving[l.po_line_id];
+                          return (
+                            <tr key={l.po_line_id}>
+                              <td>{l.item_name}</td>
+                              <td className={styles.num}>{formatNumber(l.quantity_ordered - l.quantity_received)}</td>
+                              <td className={styles.num}>
+                                <input
+                                  type="number"
+                                  className={styles.cellInput}
+                                  min="0"
+                                  max={l.quantity_ordered - l.quantity_received}
+                                  step="1"
+                                  value={draft.quantity}
+                                  onChange={(e) =>
+                                    updateReceiveLine(l.po_line_id, { quantity: parseInt(e.target.value, 10) || 0 })
+                                  }
+                                />
+                              </td>
+                              <td className={styles.num}>
+                                <input
+                                  type="number"
+                                  className={styles.cellInput}
+                                  min="0"
+                                  step="1"
+                                  value={draft.unitCost}
+                                  onChange={(e) =>
+                                    updateReceiveLine(l.po_line_id, { unitCost: parseInt(e.target.value, 10) || 0 })
+                                  }
+                                />
+                              </td>
+                              <td>
+                                <input
+                                  type="text"
+                                  className={styles.cellInputWide}
+                                  value={draft.lotNumber}
+                                  onChange={(e) => updateReceiveLine(l.po_line_id, { lotNumber: e.target.value })}
+                                  maxLength={60}
+                                />
+                              </td>
+                              <td>
+                                <input
+                                  type="date"
+                                  className={styles.cellInputWide}
+                                  value={draft.expiryDate}
+                                  onChange={(e) => updateReceiveLine(l.po_line_id, { expiryDate: e.target.value })}
+                                />
+                              </td>
+                            </tr>
+                          );
+                        })}
+                    </tbody>
+                  </table>
+                </div>
+                <div className={styles.inlineActions}>
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => setReceiving(null)} disabled={busy}>
+                    Back
+                  </button>
+                  <button type="submit" className="btn btn-primary btn-sm" disabled={busy}>
+                    {receive.isPending ? 'Receiving…' : 'Receive into stock'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <section>
+                <h3 className={styles.sectionTitle}>Lines</h3>
+                <div className={styles.tableWrapper}>
+                  <table className={styles.table}>
+                    <thead>
+                      <tr>
+                        <th>Item</th>
+                        <th className={styles.num}>Ordered</th>
+                        <th className={styles.num}>Received</th>
+                        <th className={styles.num}>Unit cost</th>
+                        <th className={styles.num}>Line total</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {po.lines.map((l) => (
+                        <tr key={l.po_line_id}>
+                          <td>
+                            {l.item_name}
+                            {l.unit && <span className={styles.muted}> ({l.unit})</span>}
+                          </td>
+                          <td className={styles.num}>{formatNumber(l.quantity_ordered)}</td>
+                          <td className={styles.num}>{formatNumber(l.quantity_received)}</td>
+                          <td className={styles.num}>{formatNumber(l.unit_cost)}</td>
+                          <td className={styles.num}>{formatNumber(l.quantity_ordered * l.unit_cost)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            )}
+
+            {po.receipts.length > 0 && (
+              <section>
+                <h3 className={styles.sectionTitle}>Deliveries</h3>
+                <ul className={styles.entryList}>
+                  {po.receipts.map((r) => (
+                    <li key={r.receipt_id} className={styles.entry}>
+                      <div className={styles.entryHead}>
+                        <span>
+                          #{r.receipt_id} · {formatPoDate(r.received_at)}
+                        </span>
+                        <span>{formatNumber(r.total_cost)} IQD</span>
+                      </div>
+                      <div className={styles.muted}>
+                        {r.lines
+                          .map(
+                            (rl) =>
+                              `${rl.item_name} ×${rl.quantity}` +
+                              (rl.lot_number ? ` · lot ${rl.lot_number}` : '') +
+                              (rl.expiry_date ? ` · exp ${formatPoDate(rl.expiry_date)}` : '')
+                          )
+                          .join('; ')}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {(po.invoices.length > 0 || canInvoice) && (
+              <section>
+                <h3 className={styles.sectionTitle}>Supplier invoices</h3>
+                {po.invoices.length > 0 && (
+                  <ul className={styles.entryList}>
+                    {po.invoices.map((inv) => (
+                      <li key={inv.invoice_id} className={styles.entry}>
+                        <div className={styles.entryHead}>
+                          <span>
+                            {inv.invoice_no} · {formatPoDate(inv.invoice_date)}
+                          </span>
+                          <span>{formatNumber(inv.amount)} IQD</span>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {po.invoices.length > 0 && invoiceGap !== 0 && (
+                  <p className={styles.mismatch}>
+                    Invoiced {invoiceGap > 0 ? 'more' : 'less'} than received by {formatNumber(Math.abs(invoiceGap))} IQD
+                  </p>
+                )}
+                {canInvoice && (
+                  <form className={styles.invoiceForm} onSubmit={handleInvoice}>
+                    <input
+                      type="text"
+                      className={styles.formInput}
+                      placeholder="Invoice no."
+                      value={invoice.invoiceNo}
+                      onChange={(e) => setInvoice((prev) => ({ ...prev, invoiceNo: e.target.value }))}
+                      maxLength={60}
+                    />
+                    <input
+                      type="date"
+                      className={styles.formInput}
+                      value={invoice.invoiceDate}
+                      onChange={(e) => setInvoice((prev) => ({ ...prev, invoiceDate: e.target.value }))}
+                    />
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      className={styles.formInput}
+                      placeholder="Amount (IQD)"
+                      value={invoice.amount}
+                      onChange={(e) => setInvoice((prev) => ({ ...prev, amount: e.target.value }))}
+                    />
+                    <button
+                      type="submit"
+                      className="btn btn-secondary btn-sm"
+                      disabled={busy || !invoice.invoiceNo.trim() || !invoice.invoiceDate || !invoice.amount.trim()}
+                    >
+                      Record invoice
+                    </button>
+                  </form>
+                )}
+              </section>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className={styles.modalFooter}>
+        {po && !receiving && (
+          <>
+            {(po.status === 'draft' || (po.status === 'ordered' && po.receipts.length === 0)) && (
+              <button type="button" className="btn btn-danger" onClick={() => void runTransition('cancel')} disabled={busy}>
+                Cancel Order
+              </button>
+            )}
+            {po.status === 'draft' && (
+              <button type="button" className="btn btn-primary" onClick={() => void runTransition('order')} disabled={busy}>
+                Mark as Ordered
+              </button>
+            )}
+            {canReceive && (
+              <button type="button" className="btn btn-primary" onClick={() => setReceiving(draftReceipt(po))} disabled={busy}>
+                Receive Delivery
+              </button>
+            )}
+          </>
+        )}
+        <button type="button" className="btn btn-secondary" onClick={handleClose}>
+          Close
+        </button>
+      </div>
+    </Modal>
+  );
+}
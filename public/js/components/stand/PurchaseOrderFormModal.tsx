@@ -0,0 +1,241 @@
+/**
+ * PurchaseOrderFormModal Component
+ * Raise a draft purchase order from the low-stock suggestions: pick a supplier,
+ * tick the items to order and adjust each suggested quantity / unit cost.
+ */
+import { useState } from 'react';
+import type { FormEvent } from 'react';
+import {
+  useReorderSuggestions,
+  useStandSuppliers,
+  useCreatePurchaseOrder,
+  type ReorderSuggestion,
+} from '../../hooks/useStandPurchasing';
+import { useToast } from '../../contexts/ToastContext';
+import { httpErrorMessage } from '@/core/http';
+import { formatNumber } from '../../utils/formatters';
+import Modal from '../react/Modal';
+import ModalHeader from '../react/ModalHeader';
+import styles from './PurchaseOrderFormModal.module.css';
+
+interface PurchaseOrderFormModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onCreated: (poId: number) => void;
+}
+
+interface LineDraft {
+  selected: boolean;
+  quantity: number;
+  unitCost: number;
+}
+
+/** Items last ordered from this supplier (or never ordered) start ticked. */
+const draftLines = (suggestions: ReorderSuggestion[], supplierId: number | null): Record<number, LineDraft> =>
+  Object.fromEntries(
+    suggestions.map((s) => [
+      s.item_id,
+      {
+        selected: s.last_supplier_id === null || s.last_supplier_id === supplierId,
+        quantity: s.suggested_quantity,
+        unitCost: s.cost_price,
+      },
+    ])
+  );
+
+export default function PurchaseOrderFormModal({ isOpen, onClose, onCreated }: PurchaseOrderFormModalProps) {
+  const toast = useToast();
+  const { data: suggestions = [], isLoading } = useReorderSuggestions();
+  const { data: suppliers = [] } = useStandSuppliers();
+  const create = useCreatePurchaseOrder();
+
+  const [supplierId, setSupplierId] = useState<number | null>(null);
+  const [expectedDate, setExpectedDate] = useState('');
+  const [notes, setNotes] = useState('');
+  const [lines, setLines] = useState<Record<number, LineDraft>>({});
+
+  // Re-seed the lines when the modal opens or the suggestions change (done during
+  // render, keyed on open + the suggestion ids — the RestockModal pattern).
+  const initKey = isOpen ? suggestions.map((s) => s.item_id).join(',') : '';
+  const [initializedKey, setInitializedKey] = useState('');
+  if (initKey !== initializedKey) {
+    setInitializedKey(initKey);
+    if (isOpen) setLines(draftLines(suggestions, supplierId));
+  }
+
+  const handleSupplierChange = (value: string) => {
+    const id = value ? parseInt(value, 10) : null;
+    setSupplierId(id);
+    setLines(draftLines(suggestions, id));
+  };
+
+  const updateLine = (itemId: number, patch: Partial<LineDraft>) =>
+    setLines((prev) => ({ ...prev, [itemId]: { ...prev[itemId], ...patch } }));
+
+  const chosen = suggestions.filter((s) => lines[s.item_id]?.selected && lines[s.item_id].quantity > 0);
+  const orderTotal = chosen.reduce((sum, s) => sum + lines[s.item_id].quantity * lines[s.item_id].unitCost, 0);
+
+  const handleClose = () => {
+    setSupplierId(null);
+    setExpectedDate('');
+    setNotes('');
+    onClose();
+  };
+
+  const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!supplierId || chosen.length === 0 || create.isPending) return;
+    try {
+      const { po_id } = await create.mutateAsync({
+        supplierId,
+        expectedDate: expectedDate || null,
+        notes: notes.trim() || null,
+        lines: chosen.map((s) => ({
+          itemId: s.item_id,
+          quantity: lines[s.item_id].quantity,
+          unitCost: lines[s.item_id].unitCost,
+        })),
+      });
+      toast.success(`Purchase order #${po_id} created`);
+      handleClose();
+      onCreated(po_id);
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to create purchase order'));
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} contentClassName={styles.modalContent} ariaLabelledBy="po-form-modal-title">
+      <ModalHeader title="New Purchase Order" titleId="po-form-modal-title" onClose={handleClose} />
+
+      <form onSubmit={handleSubmit}>
+        <div className={styles.modalBody}>
+          <div className={styles.formRow}>
+            <label className={styles.formGroup}>
+              <span>
+                Supplier <span className={styles.required}>*</span>
+              </span>
+              <select
+                className={styles.formInput}
+                value={supplierId ?? ''}
+                onChange={(e) => handleSupplierChange(e.target.value)}
+              >
+                <option value="">Select a supplier…</option>
+                {suppliers.map((s) => (
+                  <option key={s.supplier_id} value={s.supplier_id}>
+                    {s.supplier_name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className={styles.formGroup}>
+              <span>Expected delivery</span>
+              <input
+                type="date"
+                className={styles.formInput}
+                value={expectedDate}
+                onChange={(e) => setExpectedDate(e.target.value)}
+              />
+            </label>
+          </div>
+
+          {isLoading ? (
+            <p className={styles.emptyHint}>Loading low-stock items…</p>
+          ) : suggestions.length === 0 ? (
+            <p className={styles.emptyHint}>Nothing to reorder — every low-stock item is already on an open order.</p>
+          ) : (
+            <div className={styles.tableWrapper}>
+              <table className={styles.linesTable}>
+                <thead>
+                  <tr>
+                    <th aria-label="Include" />
+                    <th>Item</th>
+                    <th className={styles.num}>Stock / Reorder</th>
+                    <th className={styles.num}>On order</th>
+                    <th className={styles.num}>Quantity</th>
+                    <th className={styles.num}>Unit cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {suggestions.map((s) => {
+                    const line = lines[s.item_id];
+                    if (!line) return null;
+                    return (
+                      <tr key={s.item_id} className={line.selected ? '' : styles.unselected}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={line.selected}
+                            onChange={(e) => updateLine(s.item_id, { selected: e.target.checked })}
+                            aria-label={`Order ${s.item_name}`}
+                          />
+                        </td>
+                        <td>
+                          {s.item_name}
+                          {s.unit && <span className={styles.muted}> ({s.unit})</span>}
+                        </td>
+                        <td className={styles.num}>
+                          {formatNumber(s.current_stock)} / {formatNumber(s.reorder_level)}
+                        </td>
+                        <td className={styles.num}>{s.on_order ? formatNumber(s.on_order) : '—'}</td>
+                        <td className={styles.num}>
+                          <input
+                            type="number"
+                            className={styles.cellInput}
+                            min="1"
+                            step="1"
+                            value={line.quantity}
+                            onChange={(e) => updateLine(s.item_id, { quantity: parseInt(e.target.value, 10) || 0 })}
+                            disabled={!line.selected}
+                          />
+                        </td>
+                        <td className={styles.num}>
+                          <input
+                            type="number"
+                            className={styles.cellInput}
+                            min="0"
+                            step="1"
+                            value={line.unitCost}
+                            onChange={(e) => updateLine(s.item_id, { unitCost: parseInt(e.target.value, 10) || 0 })}
+                            disabled={!line.selected}
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <label className={styles.formGroup}>
+            <span>Notes</span>
+            <input
+              type="text"
+              className={styles.formInput}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              maxLength={500}
+            />
+          </label>
+
+          <div className={styles.totalDisplay}>
+            <span className={styles.totalLabel}>
+              {chosen.length} item{chosen.length === 1 ? '' : 's'}
+            </span>
+            <span className={styles.totalValue}>{formatNumber(orderTotal)} IQD</span>
+          </div>
+        </div>
+
+        <div className={styles.modalFooter}>
+          <button type="button" className="btn btn-secondary" onClick={handleClose} disabled={create.isPending}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={create.isPending || !supplierId || chosen.length === 0}>
+            {create.isPending ? 'Creating…' : 'Create Draft'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -1,10 +1,11 @@
 /**
  * RestockModal Component
- * Modal for restocking a stand inventory item with quantity and unit cost
+ * Modal for restocking a stand inventory item with quantity and unit cost, plus
+ * the optional lot number / expiry printed on the box (stamped on the new stock lot)
  */
 import { useState } from 'react';
 import type { ChangeEvent, FormEvent } from 'react';
-import type { StandItem } from '../../hooks/useStand';
+import type { RestockLot, StandItem } from '../../hooks/useStand';
 import { formatNumber } from '../../utils/formatters';
 import Modal from '../react/Modal';
 import ModalHeader from '../react/ModalHeader';
@@ -14,7 +15,7 @@ interface RestockModalProps {
   isOpen: boolean;
   item: StandItem | null;
   onClose: () => void;
-  onSave: (quantity: number, unitCost: number) => void | Promise<void>;
+  onSave: (quantity: number, unitCost: number, lot: RestockLot) => void | Promise<void>;
 }
 
 interface FormErrors {
@@ -26,6 +27,8 @@ export default function RestockModal({ isOpen, item, onClose, onSave }: RestockM
   const [quantity, setQuantity] = useState(1);
   const [unitCost, setUnitCost] = useState(0);
   const [displayUnitCost, setDisplayUnitCost] = useState('');
+  const [lotNumber, setLotNumber] = useState('');
+  const [expiryDate, setExpiryDate] = useState('');
   const [errors, setErrors] = useState<FormErrors>({});
   const [submitting, setSubmitting] = useState(false);
 
@@ -40,6 +43,8 @@ export default function RestockModal({ isOpen, item, onClose, onSave }: RestockM
       setQuantity(1);
       setUnitCost(item.cost_price);
       setDisplayUnitCost(item.cost_price ? formatNumber(item.cost_price) : '');
+      setLotNumber('');
+      setExpiryDate('');
       setErrors({});
     }
   }
@@ -79,7 +84,10 @@ export default function RestockModal({ isOpen, item, onClose, onSave }: RestockM
     if (submitting || !validateForm()) return;
     setSubmitting(true);
     try {
-      await onSave(quantity, unitCost);
+      await onSave(quantity, unitCost, {
+        lotNumber: lotNumber.trim() || null,
+        expiryDate: expiryDate || null,
+      });
     } finally {
       setSubmitting(false);
     }
@@ -89,6 +97,8 @@ export default function RestockModal({ isOpen, item, onClose, onSave }: RestockM
     setQuantity(1);
     setUnitCost(0);
     setDisplayUnitCost('');
+    setLotNumber('');
+    setExpiryDate('');
     setErrors({});
     onClose();
   };
@@ -153,6 +163,32 @@ export default function RestockModal({ isOpen, item, onClose, onSave }: RestockM
               </div>
             </div>
 
+            <div className={styles.formRow}>
+              <div className={styles.formGroup}>
+                <label htmlFor="restock-lot-number">Lot Number</label>
+                <input
+                  type="text"
+                  id="restock-lot-number"
+                  className={styles.formInput}
+                  value={lotNumber}
+                  onChange={(e: ChangeEvent<HTMLInputElement>) => setLotNumber(e.target.value)}
+                  maxLength={60}
+                  placeholder="Optional"
+                />
+              </div>
+
+              <div className={styles.formGroup}>
+                <label htmlFor="restock-expiry-date">Expiry Date</label>
+                <input
+                  type="date"
+                  id="restock-expiry-date"
+                  className={styles.formInput}
+                  value={expiryDate}
+                  onChange={(e: ChangeEvent<HTMLInputElement>) => setExpiryDate(e.target.value)}
+                />
+              </div>
+            </div>
+
             <div className={styles.totalCostDisplay}>
               <span className={styles.totalCostLabel}>Total Cost</span>
               <span className={styles.totalCostValue}>
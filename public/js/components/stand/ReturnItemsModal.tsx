@@ -0,0 +1,166 @@
+/**
+ * ReturnItemsModal Component
+ * Modal for returning some units of a sale: a quantity per line (up to what is
+ * still out) and a required reason. The refund is each line's sell price × units.
+ */
+import { useState } from 'react';
+import type { ChangeEvent, FormEvent } from 'react';
+import type { StandSaleWithItems, ReturnSaleBody } from '../../hooks/useStand';
+import { formatNumber } from '../../utils/formatters';
+import Modal from '../react/Modal';
+import ModalHeader from '../react/ModalHeader';
+import styles from './ReturnItemsModal.module.css';
+
+interface ReturnItemsModalProps {
+  isOpen: boolean;
+  sale: StandSaleWithItems | null;
+  onClose: () => void;
+  onSave: (data: ReturnSaleBody) => void | Promise<void>;
+}
+
+export default function ReturnItemsModal({ isOpen, sale, onClose, onSave }: ReturnItemsModalProps) {
+  // Quantity per sale_item_id; a missing entry means 0.
+  const [quantities, setQuantities] = useState<Record<number, number>>({});
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Reset the form when the modal opens for a sale (keyed during render, see StockAdjustModal).
+  const initKey = isOpen && sale ? String(sale.sale_id) : '';
+  const [initializedKey, setInitializedKey] = useState('');
+  if (initKey !== initializedKey) {
+    setInitializedKey(initKey);
+    setQuantities({});
+    setReason('');
+    setError(null);
+  }
+
+  if (!sale) return null;
+
+  const lines = sale.Items.map((line) => ({
+    ...line,
+    returnable: line.quantity - line.quantity_returned,
+    returning: quantities[line.sale_item_id] ?? 0,
+  }));
+  const refund = lines.reduce((sum, l) => sum + l.returning * l.unit_price, 0);
+
+  const setQuantity = (saleItemId: number, returnable: number, raw: string) => {
+    if (raw !== '' && !/^\d+$/.test(raw)) return;
+    const qty = Math.min(raw === '' ? 0 : parseInt(raw, 10), returnable);
+    setQuantities((prev) => ({ ...prev, [saleItemId]: qty }));
+    if (error) setError(null);
+  };
+
+  const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (submitting) return;
+    const items = lines
+      .filter((l) => l.returning > 0)
+      .map((l) => ({ saleItemId: l.sale_item_id, quantity: l.returning }));
+    if (items.length === 0) {
+      setError('Enter a quantity to return for at least one item');
+      return;
+    }
+    if (!reason.trim()) {
+      setError('Reason is required');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      await onSave({ items, reason: reason.trim() });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      contentClassName={styles.modalContent}
+      ariaLabelledBy="return-items-modal-title"
+      closeOnBackdropClick={!submitting}
+      closeOnEscape={!submitting}
+    >
+        <ModalHeader
+          title={`Return Items — Sale #${sale.sale_id}`}
+          titleId="return-items-modal-title"
+          onClose={onClose}
+        />
+
+        <form onSubmit={handleSubmit}>
+          <div className={styles.modalBody}>
+            <table className={styles.linesTable}>
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th className={styles.num}>Sold</th>
+                  <th className={styles.num}>Returned</th>
+                  <th className={styles.num}>Return Now</th>
+                </tr>
+              </thead>
+              <tbody>
+                {lines.map((line) => (
+                  <tr key={line.sale_item_id}>
+                    <td>
+                      {line.item_name}
+                      <span className={styles.unitPrice}>{formatNumber(line.unit_price)} IQD each</span>
+                    </td>
+                    <td className={styles.num}>{line.quantity}</td>
+                    <td className={styles.num}>{line.quantity_returned || '-'}</td>
+                    <td className={styles.num}>
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        aria-label={`Quantity of ${line.item_name} to return`}
+                        className={styles.qtyInput}
+                        value={line.returning || ''}
+                        placeholder="0"
+                        disabled={line.returnable === 0}
+                        onChange={(e: ChangeEvent<HTMLInputElement>) =>
+                          setQuantity(line.sale_item_id, line.returnable, e.target.value)
+                        }
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="return-reason">
+                Reason <span className={styles.required}>*</span>
+              </label>
+              <textarea
+                id="return-reason"
+                rows={2}
+                className={styles.formInput}
+                value={reason}
+                onChange={(e: ChangeEvent<HTMLTextAreaElement>) => {
+                  setReason(e.target.value);
+                  if (error) setError(null);
+                }}
+                placeholder="Why are these items coming back?"
+              />
+            </div>
+
+            {error && <span className={styles.errorMessage}>{error}</span>}
+
+            <div className={styles.refundPreview}>
+              <span className={styles.refundLabel}>Refund to customer</span>
+              <span className={styles.refundValue}>{formatNumber(refund)} IQD</span>
+            </div>
+          </div>
+
+          <div className={styles.modalFooter}>
+            <button type="button" className="btn btn-secondary" onClick={onClose} disabled={submitting}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={submitting || refund === 0}>
+              {submitting ? 'Returning…' : 'Return & Refund'}
+            </button>
+          </div>
+        </form>
+    </Modal>
+  );
+}
@@ -1,10 +1,11 @@
 /**
  * SaleDetailModal Component
  * Full-detail modal for a single sale, including line items table,
- * financial totals, patient/cashier info, and a void action.
+ * financial totals, patient/cashier info, partial returns, and the receipt
+ * (print / WhatsApp), return and void actions.
  */
 import React from 'react';
-import type { StandSaleWithItems } from '../../hooks/useStand';
+import type { StandSaleWithItems, StandSaleReturn } from '../../hooks/useStand';
 import { formatNumber } from '../../utils/formatters';
 import Modal from '../react/Modal';
 import ModalHeader from '../react/ModalHeader';
@@ -13,9 +14,12 @@ import styles from './SaleDetailModal.module.css';
 interface SaleDetailModalProps {
   isOpen: boolean;
   sale: StandSaleWithItems | null;
+  returns: StandSaleReturn[];
   loading: boolean;
   onClose: () => void;
   onVoid: (saleId: number) => void;
+  onReturn: (saleId: number) => void;
+  onSendWhatsApp: (saleId: number) => void;
 }
 
 /**
@@ -34,11 +38,16 @@ function formatDateTime(dateStr: string): string {
 const SaleDetailModal: React.FC<SaleDetailModalProps> = ({
   isOpen,
   sale,
+  returns,
   loading,
   onClose,
   onVoid,
+  onReturn,
+  onSendWhatsApp,
 }) => {
   const isVoided = sale?.voided_date != null;
+  const hasReturns = (sale?.returned_amount ?? 0) > 0;
+  const canReturn = !isVoided && !!sale?.Items.some((i) => i.quantity > i.quantity_returned);
 
   return (
     <Modal
@@ -84,6 +93,7 @@ const SaleDetailModal: React.FC<SaleDetailModalProps> = ({
                   <tr>
                     <th>Item</th>
                     <th className={styles.numericCell}>Qty</th>
+                    {hasReturns && <th className={styles.numericCell}>Returned</th>}
                     <th className={styles.numericCell}>Unit Price</th>
                     <th className={styles.numericCell}>Line Total</th>
                   </tr>
@@ -93,6 +103,9 @@ const SaleDetailModal: React.FC<SaleDetailModalProps> = ({
                     <tr key={lineItem.sale_item_id}>
                       <td>{lineItem.item_name}</td>
                       <td className={styles.numericCell}>{lineItem.quantity}</td>
+                      {hasReturns && (
+                        <td className={styles.numericCell}>{lineItem.quantity_returned || '-'}</td>
+                      )}
                       <td className={styles.numericCell}>
                         {formatNumber(lineItem.unit_price)} IQD
                       </td>
@@ -121,10 +134,18 @@ const SaleDetailModal: React.FC<SaleDetailModalProps> = ({
                       {formatNumber(sale.total_cost)} IQD
                     </span>
                   </div>
+                  {hasReturns && (
+                    <div className={styles.totalsRow}>
+                      <span className={styles.totalsLabel}>Returned</span>
+                      <span className={styles.totalsValue}>
+                        −{formatNumber(sale.returned_amount)} IQD
+                      </span>
+                    </div>
+                  )}
                   <div className={`${styles.totalsRow} ${styles.totalHighlight}`}>
-                    <span className={styles.totalsLabel}>Profit</span>
+                    <span className={styles.totalsLabel}>{hasReturns ? 'Net Profit' : 'Profit'}</span>
                     <span className={`${styles.totalsValue} ${styles.profitValue}`}>
-                      {formatNumber(sale.total_profit)} IQD
+                      {formatNumber(sale.total_profit - (sale.returned_amount - sale.returned_cost))} IQD
                     </span>
                   </div>
                 </div>
@@ -175,6 +196,21 @@ const SaleDetailModal: React.FC<SaleDetailModalProps> = ({
                 </div>
               )}
 
+              {/* Partial returns */}
+              {returns.length > 0 && (
+                <div className={styles.returnsSection}>
+                  <h4 className={styles.returnsTitle}>Returns</h4>
+                  {returns.map((ret) => (
+                    <div key={ret.return_id} className={styles.returnRow}>
+                      <span>{formatDateTime(ret.returned_at)}</span>
+                      <span className={styles.returnReason}>{ret.reason}</span>
+                      <span>{ret.ReturnedByName ?? '-'}</span>
+                      <span className={styles.returnAmount}>−{formatNumber(ret.refund_amount)} IQD</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Void reason */}
               {isVoided && sale.void_reason && (
                 <div className={styles.voidReason}>
@@ -186,6 +222,34 @@ const SaleDetailModal: React.FC<SaleDetailModalProps> = ({
 
             {/* Footer */}
             <div className={styles.modalFooter}>
+              <button
+                className={styles.btnClose}
+                onClick={() => window.open(`/api/templates/receipt/stand/${sale.sale_id}?autoprint=1`, '_blank')}
+                type="button"
+              >
+                <i className="fas fa-print" />
+                Print Receipt
+              </button>
+              {!isVoided && sale.person_id !== null && (
+                <button
+                  className={styles.btnClose}
+                  onClick={() => onSendWhatsApp(sale.sale_id)}
+                  type="button"
+                >
+                  <i className="fab fa-whatsapp" />
+                  WhatsApp
+                </button>
+              )}
+              {canReturn && (
+                <button
+                  className={styles.btnClose}
+                  onClick={() => onReturn(sale.sale_id)}
+                  type="button"
+                >
+                  <i className="fas fa-undo" />
+                  Return Items
+                </button>
+              )}
               {!isVoided && (
                 <button
                   className={styles.btnVoid}
@@ -102,10 +102,14 @@ const SalesHistoryTable: React.FC<SalesHistoryTableProps> = ({
                     <td>
                       <span
                         className={`${styles.statusBadge} ${
-                          voided ? styles.statusVoided : styles.statusCompleted
+                          voided
+                            ? styles.statusVoided
+                            : sale.returned_amount > 0
+                              ? styles.statusReturned
+                              : styles.statusCompleted
                         }`}
                       >
-                        {voided ? 'Voided' : 'Completed'}
+                        {voided ? 'Voided' : sale.returned_amount > 0 ? 'Part Returned' : 'Completed'}
                       </span>
                     </td>
                     <td>
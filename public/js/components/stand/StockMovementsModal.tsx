@@ -1,9 +1,11 @@
 /**
  * StockMovementsModal Component
- * Displays a timeline/table of stock movements for a specific inventory item
+ * Displays the item's stock lots (cost + expiry, in sale draw order) and a
+ * timeline/table of its stock movements
  */
 import type { StandItem, StandStockMovement } from '../../hooks/useStand';
 import { useStockMovements } from '../../hooks/useStand';
+import { useStandItemLots, type StandLot } from '../../hooks/useStandLots';
 import { formatNumber } from '../../utils/formatters';
 import Modal from '../react/Modal';
 import ModalHeader from '../react/ModalHeader';
@@ -28,6 +30,23 @@ function formatDate(dateString: string | null): string {
   });
 }
 
+/** PG `date` ('YYYY-MM-DD') → localized day, no time. */
+function formatDay(value: string | null): string {
+  if (!value) return '-';
+  const d = new Date(`${value.slice(0, 10)}T00:00:00`);
+  if (isNaN(d.getTime())) return '-';
+  return d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+const LOT_SOURCE_LABELS: Record<string, string> = {
+  opening: 'Opening stock',
+  receipt: 'Purchase order',
+  restock: 'Restock',
+  adjustment: 'Adjustment',
+  void: 'Voided sale',
+  return: 'Returned by customer',
+};
+
 function getTypeBadgeClass(type: string): string {
   const lower = type.toLowerCase();
   if (lower === 'purchase' || lower === 'initial') return styles.typePurchase;
@@ -35,9 +54,50 @@ function getTypeBadgeClass(type: string): string {
   if (lower === 'adjustment') return styles.typeAdjustment;
   if (lower === 'return') return styles.typeReturn;
   if (lower === 'restock') return styles.typeRestock;
+  if (lower === 'expired' || lower === 'waste') return styles.typeExpired;
   return styles.typeDefault;
 }
 
+function LotsTable({ lots }: { lots: StandLot[] }) {
+  return (
+    <div className={styles.tableWrapper}>
+      <table className={styles.movementsTable}>
+        <thead>
+          <tr>
+            <th>Lot</th>
+            <th>Source</th>
+            <th>Received</th>
+            <th>Expiry</th>
+            <th>Unit Cost</th>
+            <th>Remaining</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lots.map((lot) => {
+            const source = lot.source === 'receipt' && lot.po_id != null
+              ? `PO #${lot.po_id}`
+              : LOT_SOURCE_LABELS[lot.source] ?? lot.source;
+            return (
+              <tr key={lot.lot_id} className={lot.quantity_remaining === 0 ? styles.closedLot : undefined}>
+                <td>{lot.lot_number || `#${lot.lot_id}`}</td>
+                <td>{source}</td>
+                <td>{formatDate(lot.received_at)}</td>
+                <td>{formatDay(lot.expiry_date)}</td>
+                <td>{formatNumber(lot.unit_cost)}</td>
+                <td>
+                  {lot.written_off_at
+                    ? 'Written off'
+                    : `${formatNumber(lot.quantity_remaining)} / ${formatNumber(lot.quantity_received)}`}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 function MovementsTable({ movements }: { movements: StandStockMovement[] }) {
   return (
     <div className={styles.tableWrapper}>
@@ -84,6 +144,7 @@ function MovementsTable({ movements }: { movements: StandStockMovement[] }) {
 
 export default function StockMovementsModal({ isOpen, item, onClose }: StockMovementsModalProps) {
   const { movements, loading, error } = useStockMovements(isOpen && item ? item.item_id : null);
+  const { data: lots = [] } = useStandItemLots(isOpen && item ? item.item_id : null);
 
   if (!item) return null;
 
@@ -108,6 +169,15 @@ export default function StockMovementsModal({ isOpen, item, onClose }: StockMove
             <p>Current Stock: {formatNumber(item.current_stock)}</p>
           </div>
 
+          {lots.length > 0 && (
+            <div className={styles.lotsSection}>
+              <h3 className={styles.sectionTitle}>Stock Lots</h3>
+              <LotsTable lots={lots} />
+            </div>
+          )}
+
+          <h3 className={styles.sectionTitle}>Movements</h3>
+
           {loading ? (
             <div className={styles.loadingState}>
               <div className={styles.loadingSpinner}></div>
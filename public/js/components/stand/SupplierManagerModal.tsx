@@ -0,0 +1,201 @@
+/**
+ * SupplierManagerModal Component
+ * Modal to list, add, edit, and deactivate stand suppliers
+ */
+import { useState } from 'react';
+import type { FormEvent } from 'react';
+import {
+  useStandSuppliers,
+  useCreateSupplier,
+  useUpdateSupplier,
+  type StandSupplier,
+} from '../../hooks/useStandPurchasing';
+import { useToast } from '../../contexts/ToastContext';
+import { httpErrorMessage } from '@/core/http';
+import Modal from '../react/Modal';
+import ModalHeader from '../react/ModalHeader';
+import styles from './SupplierManagerModal.module.css';
+
+interface SupplierManagerModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface SupplierForm {
+  supplierName: string;
+  contactName: string;
+  phone: string;
+  email: string;
+  notes: string;
+}
+
+const EMPTY_FORM: SupplierForm = { supplierName: '', contactName: '', phone: '', email: '', notes: '' };
+
+const toForm = (s: StandSupplier): SupplierForm => ({
+  supplierName: s.supplier_name,
+  contactName: s.contact_name ?? '',
+  phone: s.phone ?? '',
+  email: s.email ?? '',
+  notes: s.notes ?? '',
+});
+
+export default function SupplierManagerModal({ isOpen, onClose }: SupplierManagerModalProps) {
+  const toast = useToast();
+  const { data: suppliers = [], isLoading } = useStandSuppliers(true);
+  const create = useCreateSupplier();
+  const update = useUpdateSupplier();
+  const saving = create.isPending || update.isPending;
+
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [form, setForm] = useState<SupplierForm>(EMPTY_FORM);
+
+  const setField = (field: keyof SupplierForm, value: string) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    const body = { ...form, supplierName: form.supplierName.trim() };
+    if (!body.supplierName) return;
+    try {
+      if (editingId) {
+        await update.mutateAsync({ id: editingId, ...body });
+        toast.success(`Updated "${body.supplierName}"`);
+      } else {
+        await create.mutateAsync(body);
+        toast.success(`Added "${body.supplierName}"`);
+      }
+      resetForm();
+    } catch (err) {
+      toast.error(httpErrorMessage(err, editingId ? 'Failed to update supplier' : 'Failed to add supplier'));
+    }
+  };
+
+  const toggleActive = async (s: StandSupplier) => {
+    try {
+      await update.mutateAsync({ id: s.supplier_id, ...toForm(s), isActive: !s.is_active });
+      toast.success(s.is_active ? `Deactivated "${s.supplier_name}"` : `Reactivated "${s.supplier_name}"`);
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to update supplier'));
+    }
+  };
+
+  const handleClose = () => {
+    resetForm();
+    onClose();
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      contentClassName={styles.modalContent}
+      ariaLabelledBy="supplier-manager-modal-title"
+    >
+      <ModalHeader title="Suppliers" titleId="supplier-manager-modal-title" onClose={handleClose} />
+
+      <div className={styles.modalBody}>
+        <form className={styles.supplierForm} onSubmit={handleSubmit}>
+          <input
+            type="text"
+            className={styles.formInput}
+            placeholder="Supplier name *"
+            value={form.supplierName}
+            onChange={(e) => setField('supplierName', e.target.value)}
+            maxLength={150}
+            disabled={saving}
+          />
+          <input
+            type="text"
+            className={styles.formInput}
+            placeholder="Contact person"
+            value={form.contactName}
+            onChange={(e) => setField('contactName', e.target.value)}
+            disabled={saving}
+          />
+          <input
+            type="tel"
+            className={styles.formInput}
+            placeholder="Phone"
+            value={form.phone}
+            onChange={(e) => setField('phone', e.target.value)}
+            disabled={saving}
+          />
+          <input
+            type="email"
+            className={styles.formInput}
+            placeholder="E-mail"
+            value={form.email}
+            onChange={(e) => setField('email', e.target.value)}
+            disabled={saving}
+          />
+          <input
+            type="text"
+            className={`${styles.formInput} ${styles.wide}`}
+            placeholder="Notes"
+            value={form.notes}
+            onChange={(e) => setField('notes', e.target.value)}
+            disabled={saving}
+          />
+          <div className={styles.formActions}>
+            {editingId && (
+              <button type="button" className="btn btn-secondary btn-sm" onClick={resetForm} disabled={saving}>
+                Cancel
+              </button>
+            )}
+            <button type="submit" className="btn btn-primary btn-sm" disabled={saving || !form.supplierName.trim()}>
+              {editingId ? 'Save' : 'Add Supplier'}
+            </button>
+          </div>
+        </form>
+
+        {isLoading ? (
+          <p className={styles.emptyHint}>Loading suppliers…</p>
+        ) : suppliers.length === 0 ? (
+          <p className={styles.emptyHint}>No suppliers yet. Add one above to start ordering.</p>
+        ) : (
+          <ul className={styles.supplierList}>
+            {suppliers.map((s) => (
+              <li key={s.supplier_id} className={`${styles.supplierRow} ${s.is_active ? '' : styles.inactive}`}>
+                <div className={styles.supplierInfo}>
+                  <span className={styles.supplierName}>{s.supplier_name}</span>
+                  <span className={styles.supplierMeta}>
+                    {[s.contact_name, s.phone, s.email].filter(Boolean).join(' · ') || '—'}
+                  </span>
+                </div>
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => {
+                    setEditingId(s.supplier_id);
+                    setForm(toForm(s));
+                  }}
+                  disabled={saving}
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  className={`btn btn-sm ${s.is_active ? 'btn-danger' : 'btn-secondary'}`}
+                  onClick={() => void toggleActive(s)}
+                  disabled={saving}
+                >
+                  {s.is_active ? 'Deactivate' : 'Reactivate'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className={styles.modalFooter}>
+        <button type="button" className="btn btn-secondary" onClick={handleClose}>
+          Close
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,20 @@
+/**
+ * Purchase-order display helpers shared by the purchasing page and the order
+ * detail modal.
+ */
+import type { PurchaseOrderStatus } from '../../hooks/useStandPurchasing';
+
+export const PO_STATUS_LABELS: Record<PurchaseOrderStatus, string> = {
+  draft: 'Draft',
+  ordered: 'Ordered',
+  partial: 'Partially received',
+  received: 'Received',
+  cancelled: 'Cancelled',
+};
+
+/** 'YYYY-MM-DD' (date column) or an ISO timestamp → DD/MM/YYYY. */
+export const formatPoDate = (value: string | null): string => {
+  if (!value) return '—';
+  const [y, m, d] = value.slice(0, 10).split('-');
+  return `${d}/${m}/${y}`;
+};
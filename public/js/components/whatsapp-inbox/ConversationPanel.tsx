@@ -0,0 +1,175 @@
+/**
+ * ConversationPanel Component
+ * One inbox thread: who it is (linked patient or the raw number), the messages
+ * with delivery ticks on outgoing ones, and the reply box. Opening a thread —
+ * or a new message arriving while it is open — marks it read.
+ */
+import { useEffect, useRef, useState } from 'react';
+import type { ChangeEvent, FormEvent, KeyboardEvent } from 'react';
+import { Link } from 'react-router-dom';
+import { httpErrorMessage } from '@/core/http';
+import { useToast } from '../../contexts/ToastContext';
+import {
+  useInboxThread,
+  useMarkThreadRead,
+  useSendInboxReply,
+  type InboxMessage,
+} from '../../hooks/useWhatsAppInbox';
+import { formatPhoneForDisplay } from '../../utils/phoneFormatter';
+import { threadDisplayName } from './ThreadList';
+import styles from '../../routes/WhatsAppInbox.module.css';
+
+interface ConversationPanelProps {
+  threadId: number | null;
+}
+
+function formatMessageTime(value: string): string {
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return '';
+  return d.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/** WhatsApp-style ticks for the library's MessageAck (-1 error … 3 read). */
+function AckIcon({ ack }: { ack: number | null }) {
+  if (ack === null || ack === 0) return <i className="far fa-clock" title="Pending" />;
+  if (ack < 0) return <i className={`fas fa-exclamation-circle ${styles.ackFailed}`} title="Failed" />;
+  if (ack === 1) return <i className="fas fa-check" title="Sent" />;
+  if (ack === 2) return <i className="fas fa-check-double" title="Delivered" />;
+  return <i className={`fas fa-check-double ${styles.ackRead}`} title="Read" />;
+}
+
+function MessageBubble({ message }: { message: InboxMessage }) {
+  const outgoing = message.direction === 'out';
+  return (
+    <div className={`${styles.bubble} ${outgoing ? styles.bubbleOut : styles.bubbleIn}`}>
+      {message.has_media && <span className={styles.mediaNote}>[{message.message_type} — open WhatsApp to view]</span>}
+      {message.body}
+      <div className={styles.bubbleMeta}>
+        {outgoing && message.sent_by_name && <span>{message.sent_by_name}</span>}
+        <span>{formatMessageTime(message.sent_at)}</span>
+        {outgoing && <AckIcon ack={message.ack} />}
+      </div>
+    </div>
+  );
+}
+
+export default function ConversationPanel({ threadId }: ConversationPanelProps) {
+  const toast = useToast();
+  const { data, isLoading } = useInboxThread(threadId);
+  const markRead = useMarkThreadRead();
+  const sendReply = useSendInboxReply();
+  const [draft, setDraft] = useState('');
+  const messagesRef = useRef<HTMLDivElement | null>(null);
+
+  const thread = data?.thread ?? null;
+  const messages = data?.messages ?? [];
+  const lastMessageId = messages.length ? messages[messages.length - 1].message_id : null;
+
+  // Reading the thread clears its unread count (also when a message lands while open).
+  const unread = thread?.unread_count ?? 0;
+  const { mutate: markThreadRead, isPending: markingRead } = markRead;
+  useEffect(() => {
+    if (threadId && unread > 0 && !markingRead) markThreadRead(threadId);
+  }, [threadId, unread, markingRead, markThreadRead]);
+
+  // Keep the newest message in view.
+  useEffect(() => {
+    const el = messagesRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, [threadId, lastMessageId]);
+
+  // A fresh draft per conversation.
+  const [draftThreadId, setDraftThreadId] = useState(threadId);
+  if (draftThreadId !== threadId) {
+    setDraftThreadId(threadId);
+    setDraft('');
+  }
+
+  if (!threadId) {
+    return (
+      <div className={styles.panel}>
+        <div className={styles.placeholder}>
+          <i className="fab fa-whatsapp" aria-hidden="true" />
+          <span>Select a conversation</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (isLoading || !thread) {
+    return (
+      <div className={styles.panel}>
+        <div className={styles.emptyState}>Loading conversation…</div>
+      </div>
+    );
+  }
+
+  const submit = async () => {
+    const message = draft.trim();
+    if (!message || sendReply.isPending) return;
+    try {
+      await sendReply.mutateAsync({ threadId, message });
+      setDraft('');
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to send reply'));
+    }
+  };
+
+  const handleSubmit = (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    void submit();
+  };
+
+  // Enter sends, Shift+Enter adds a line.
+  const handleKeyDown = (e: KeyboardEvent<HTMLTextAreaElement>) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      void submit();
+    }
+  };
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.conversationHeader}>
+        <div>
+          <h2 className={styles.conversationTitle}>{threadDisplayName(thread)}</h2>
+          <div className={styles.conversationMeta}>
+            {thread.phone && <span>+{formatPhoneForDisplay(thread.phone)} </span>}
+            {thread.person_id ? (
+              thread.contact_name && thread.contact_name !== thread.patient_name && <span>· {thread.contact_name}</span>
+            ) : (
+              <span className={styles.unmatchedNote}>· Not matched to a patient</span>
+            )}
+          </div>
+        </div>
+        {thread.person_id && (
+          <Link to={`/patient/${thread.person_id}/works`} className="btn btn-secondary">
+            <i className="fas fa-user"></i> Open Patient
+          </Link>
+        )}
+      </div>
+
+      <div className={styles.messages} ref={messagesRef}>
+        {messages.map((message) => (
+          <MessageBubble key={message.message_id} message={message} />
+        ))}
+      </div>
+
+      <form className={styles.replyBox} onSubmit={handleSubmit}>
+        <textarea
+          className={styles.replyInput}
+          rows={2}
+          placeholder="Type a reply…  (Enter to send, Shift+Enter for a new line)"
+          aria-label="Reply"
+          value={draft}
+          onChange={(e: ChangeEvent<HTMLTextAreaElement>) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          disabled={sendReply.isPending}
+        />
+        <button type="submit" className="btn btn-primary" disabled={!draft.trim() || sendReply.isPending}>
+          <i className="fas fa-paper-plane"></i> {sendReply.isPending ? 'Sending…' : 'Send'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+/**
+ * ThreadList Component
+ * The inbox's left column: search, an unread-only filter and the conversations,
+ * most recent first, each with its last message and unread count.
+ */
+import type { ChangeEvent } from 'react';
+import type { InboxThread } from '../../hooks/useWhatsAppInbox';
+import { formatPhoneForDisplay } from '../../utils/phoneFormatter';
+import styles from '../../routes/WhatsAppInbox.module.css';
+
+interface ThreadListProps {
+  threads: InboxThread[];
+  isLoading: boolean;
+  selectedId: number | null;
+  onSelect: (threadId: number) => void;
+  search: string;
+  onSearchChange: (value: string) => void;
+  unreadOnly: boolean;
+  onUnreadOnlyChange: (value: boolean) => void;
+}
+
+/** Patient name, else the sender's WhatsApp name, else the number. */
+export function threadDisplayName(thread: InboxThread): string {
+  return (
+    thread.patient_name ||
+    thread.contact_name ||
+    (thread.phone ? `+${formatPhoneForDisplay(thread.phone)}` : 'Unknown sender')
+  );
+}
+
+/** Time today, otherwise the short date. */
+function formatListTime(value: string | null): string {
+  if (!value) return '';
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return '';
+  const sameDay = d.toDateString() === new Date().toDateString();
+  return sameDay
+    ? d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })
+    : d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+export default function ThreadList({
+  threads,
+  isLoading,
+  selectedId,
+  onSelect,
+  search,
+  onSearchChange,
+  unreadOnly,
+  onUnreadOnlyChange,
+}: ThreadListProps) {
+  return (
+    <div className={styles.panel}>
+      <div className={styles.listToolbar}>
+        <input
+          type="search"
+          className={styles.searchInput}
+          placeholder="Search name or number…"
+          aria-label="Search conversations"
+          value={search}
+          onChange={(e: ChangeEvent<HTMLInputElement>) => onSearchChange(e.target.value)}
+        />
+        <label className={styles.unreadToggle}>
+          <input
+            type="checkbox"
+            checked={unreadOnly}
+            onChange={(e: ChangeEvent<HTMLInputElement>) => onUnreadOnlyChange(e.target.checked)}
+          />
+          Unread only
+        </label>
+      </div>
+
+      {isLoading ? (
+        <div className={styles.emptyState}>Loading conversations…</div>
+      ) : threads.length === 0 ? (
+        <div className={styles.emptyState}>
+          {search || unreadOnly ? 'No matching conversations' : 'No messages from patients yet'}
+        </div>
+      ) : (
+        <ul className={styles.threadList}>
+          {threads.map((thread) => (
+            <li key={thread.thread_id}>
+              <button
+                type="button"
+                className={`${styles.threadItem} ${thread.thread_id === selectedId ? styles.threadItemActive : ''}`}
+                onClick={() => onSelect(thread.thread_id)}
+                aria-current={thread.thread_id === selectedId ? 'true' : undefined}
+              >
+                <div className={styles.threadMain}>
+                  <div className={styles.threadTop}>
+                    <span className={`${styles.threadName} ${thread.person_id ? '' : styles.threadUnmatched}`}>
+                      {threadDisplayName(thread)}
+                    </span>
+                    <span className={styles.threadTime}>{formatListTime(thread.last_message_at)}</span>
+                  </div>
+                  <div className={styles.threadBottom}>
+                    <span
+                      className={`${styles.threadPreview} ${thread.unread_count > 0 ? styles.threadPreviewUnread : ''}`}
+                    >
+                      {thread.last_direction === 'out' && 'You: '}
+                      {thread.last_message_preview || ''}
+                    </span>
+                    {thread.unread_count > 0 && <span className={styles.unreadBadge}>{thread.unread_count}</span>}
+                  </div>
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+/**
+ * Aligner supply forecast — the All Sets "manufacture this week" read (a thin
+ * `useQuery` wrapper over the `query/queries.ts` factory) and the reminder
+ * settings save, which refreshes the forecast (its deadlines move with the lead time).
+ */
+import { useQuery } from '@tanstack/react-query';
+import { putJSON } from '@/core/http';
+import { qk } from '@/query/keys';
+import { useApiMutation } from '@/query/useApiMutation';
+import { alignerForecastQuery } from '@/query/queries';
+import * as alignerContract from '@shared/contracts/aligner.contract';
+import type { AlignerReminderSettings } from '@shared/contracts/aligner.contract';
+
+/** Batches due into production this week + the reminder settings. */
+export function useAlignerForecast() {
+  return useQuery(alignerForecastQuery());
+}
+
+/** PUT /api/aligner/forecast/settings */
+export function useSaveAlignerReminderSettings() {
+  return useApiMutation<AlignerReminderSettings, AlignerReminderSettings>({
+    mutationFn: (body) =>
+      putJSON<AlignerReminderSettings, AlignerReminderSettings>('/api/aligner/forecast/settings', body, {
+        schema: alignerContract.reminderSettings.response,
+      }),
+    invalidate: () => [qk.aligner.forecast()],
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * Scheduled database backups + restore check — the status read (polled fast while a
+ * backup or restore check is running) and the admin mutations via `useApiMutation`.
+ * Every write refreshes `qk.settings.backups()`, the one key the tab reads.
+ */
+import { useQuery } from '@tanstack/react-query';
+import { postJSON, putJSON, deleteJSON } from '@/core/http';
+import { qk } from '@/query/keys';
+import { useApiMutation } from '@/query/useApiMutation';
+import { backupStatusQuery } from '@/query/queries';
+import * as backupContract from '@shared/contracts/backup.contract';
+import type {
+  BackupRun,
+  BackupSettings,
+  BackupVerification,
+  RestoreCheck,
+  SwapRestoredDatabaseBody,
+} from '@shared/contracts/backup.contract';
+
+const BUSY_POLL_MS = 3_000;
+const IDLE_POLL_MS = 60_000;
+
+/** Status of the schedule, the files on disk and the restore check. */
+export function useBackupStatus() {
+  return useQuery({
+    ...backupStatusQuery(),
+    refetchInterval: (query) => {
+      const data = query.state.data;
+      return data?.running || data?.restoreCheck?.state === 'running' ? BUSY_POLL_MS : IDLE_POLL_MS;
+    },
+  });
+}
+
+/** PUT /api/config/database/backups/settings */
+export function useSaveBackupSettings() {
+  return useApiMutation<BackupSettings, BackupSettings>({
+    mutationFn: (body) =>
+      putJSON<BackupSettings, BackupSettings>('/api/config/database/backups/settings', body, {
+        schema: backupContract.saveBackupSettings.response,
+      }),
+    invalidate: () => [qk.settings.backups()],
+  });
+}
+
+/** POST /api/config/database/backups/run */
+export function useRunBackup() {
+  return useApiMutation<BackupRun, void>({
+    mutationFn: () =>
+      postJSON<BackupRun>('/api/config/database/backups/run', {}, { schema: backupContract.runBackup.response }),
+    invalidate: () => [qk.settings.backups()],
+  });
+}
+
+/** POST /api/config/database/backups/:file/verify */
+export function useVerifyBackup() {
+  return useApiMutation<BackupVerification, string>({
+    mutationFn: (file) =>
+      postJSON<BackupVerification>(
+        `/api/config/database/backups/${encodeURIComponent(file)}/verify`,
+        {},
+        { schema: backupContract.verifyBackup.response }
+      ),
+    invalidate: () => [qk.settings.backups()],
+  });
+}
+
+/** POST /api/config/database/backups/:file/restore-check */
+export function useStartRestoreCheck() {
+  return useApiMutation<RestoreCheck, string>({
+    mutationFn: (file) =>
+      postJSON<RestoreCheck>(
+        `/api/config/database/backups/${encodeURIComponent(file)}/restore-check`,
+        {},
+        { schema: backupContract.startRestoreCheck.response }
+      ),
+    invalidate: () => [qk.settings.backups()],
+  });
+}
+
+/** DELETE /api/config/database/backups/restore-check */
+export function useDiscardRestoreCheck() {
+  return useApiMutation<{ discarded: boolean }, void>({
+    mutationFn: () =>
+      deleteJSON<{ discarded: boolean }>('/api/config/database/backups/restore-check', {
+        schema: backupContract.discardRestoreCheck.response,
+      }),
+    invalidate: () => [qk.settings.backups()],
+  });
+}
+
+/** POST /api/config/database/backups/swap — the server restarts right after. */
+export function useSwapRestoredDatabase() {
+  return useApiMutation<{ previousDatabase: string; message: string }, SwapRestoredDatabaseBody>({
+    mutationFn: (body) =>
+      postJSON<{ previousDatabase: string; message: string }, SwapRestoredDatabaseBody>(
+        '/api/config/database/backups/swap',
+        body,
+        { schema: backupContract.swapRestoredDatabase.response }
+      ),
+  });
+}
@@ -0,0 +1,31 @@
+/**
+ * Refunds (credit notes) against a recorded payment, via `useApiMutation`. A
+ * refund is a negative invoice on the same work, so an applied one refreshes
+ * everything under `qk.work.all(workId)` (payment history, totals, the plan
+ * allocation) plus the overdue report. A held one (Front Desk refunding an
+ * older payment) changed nothing yet, so it invalidates nothing.
+ */
+import { postJSON } from '@/core/http';
+import { qk } from '@/query/keys';
+import { useApiMutation } from '@/query/useApiMutation';
+import * as paymentContract from '@shared/contracts/payment.contract';
+import type { RefundInvoiceBody, RefundInvoiceResponse } from '@shared/contracts/payment.contract';
+
+export interface RefundInvoiceVars extends RefundInvoiceBody {
+  invoiceId: number;
+  workId: number;
+}
+
+/** POST /api/invoices/:invoiceId/refund — applied now, or held for admin approval. */
+export function useRefundInvoice() {
+  return useApiMutation<RefundInvoiceResponse, RefundInvoiceVars>({
+    mutationFn: ({ invoiceId, amount, usdReturned, iqdReturned, reason }) =>
+      postJSON<RefundInvoiceResponse, RefundInvoiceBody>(
+        `/api/invoices/${invoiceId}/refund`,
+        { amount, usdReturned, iqdReturned, reason },
+        { schema: paymentContract.refundInvoice.response }
+      ),
+    invalidate: (data, vars) =>
+      data.outcome === 'applied' ? [qk.work.all(vars.workId), qk.reports.overdueBalances()] : [],
+  });
+}
@@ -0,0 +1,99 @@
+/**
+ * Lab invoicing — price-list + monthly-statement reads (thin `useQuery` wrappers
+ * over the `query/queries.ts` factories) and the billing mutations via
+ * `useApiMutation`. The keys live under `qk.labCases.all()`, so a delivery or
+ * remake on the board refreshes the statements too; reconciling/reopening a
+ * statement books/deletes an expense, so those also refresh `qk.expenses.all()`.
+ */
+import { useQuery } from '@tanstack/react-query';
+import { postJSON, putJSON, patchJSON, deleteJSON } from '@/core/http';
+import { qk } from '@/query/keys';
+import { useApiMutation } from '@/query/useApiMutation';
+import { labPricesQuery, labStatementsQuery } from '@/query/queries';
+import * as labBillingContract from '@shared/contracts/lab-billing.contract';
+import type {
+  LabPriceRow,
+  LabPriceBody,
+  LabChargeRow,
+  LabStatementRow,
+  ListLabPricesQuery,
+  MonthlyLabStatementsQuery,
+  ReconcileLabStatementBody,
+  UpdateLabChargeBody,
+} from '@shared/contracts/lab-billing.contract';
+
+/** Active prices, optionally for one lab. */
+export function useLabPrices(filters: ListLabPricesQuery = {}) {
+  return useQuery(labPricesQuery(filters));
+}
+
+/** The month's statement groups + charges. */
+export function useLabStatements(filters: MonthlyLabStatementsQuery) {
+  return useQuery(labStatementsQuery(filters));
+}
+
+/** POST /api/lab-price-list */
+export function useCreateLabPrice() {
+  return useApiMutation<LabPriceRow, LabPriceBody>({
+    mutationFn: (body) =>
+      postJSON<LabPriceRow, LabPriceBody>('/api/lab-price-list', body, {
+        schema: labBillingContract.createLabPrice.response,
+      }),
+    invalidate: () => [qk.labCases.all()],
+  });
+}
+
+/** PUT /api/lab-price-list/:id — already-accrued charges keep their price. */
+export function useUpdateLabPrice() {
+  return useApiMutation<LabPriceRow, LabPriceBody & { id: number }>({
+    mutationFn: ({ id, ...body }) =>
+      putJSON<LabPriceRow, LabPriceBody>(`/api/lab-price-list/${id}`, body, {
+        schema: labBillingContract.updateLabPrice.response,
+      }),
+    invalidate: () => [qk.labCases.all()],
+  });
+}
+
+/** DELETE /api/lab-price-list/:id — retire. */
+export function useRetireLabPrice() {
+  return useApiMutation<{ id: number }, { id: number }>({
+    mutationFn: ({ id }) =>
+      deleteJSON<{ id: number }>(`/api/lab-price-list/${id}`, {
+        schema: labBillingContract.deleteLabPrice.response,
+      }),
+    invalidate: () => [qk.labCases.all()],
+  });
+}
+
+/** PATCH /api/lab-case-charges/:id — correct an open charge (e.g. price an unpriced one). */
+export function useUpdateLabCharge() {
+  return useApiMutation<LabChargeRow, UpdateLabChargeBody & { id: number }>({
+    mutationFn: ({ id, ...body }) =>
+      patchJSON<LabChargeRow, UpdateLabChargeBody>(`/api/lab-case-charges/${id}`, body, {
+        schema: labBillingContract.updateLabCharge.response,
+      }),
+    invalidate: () => [qk.labCases.all()],
+  });
+}
+
+/** POST /api/lab-statements — reconcile a lab's month and book the Lab expense. */
+export function useReconcileLabStatement() {
+  return useApiMutation<LabStatementRow, ReconcileLabStatementBody>({
+    mutationFn: (body) =>
+      postJSON<LabStatementRow, ReconcileLabStatementBody>('/api/lab-statements', body, {
+        schema: labBillingContract.reconcileLabStatement.response,
+      }),
+    invalidate: () => [qk.labCases.all(), qk.expenses.all()],
+  });
+}
+
+/** DELETE /api/lab-statements/:id — reopen (deletes the booked expense). */
+export function useReopenLabStatement() {
+  return useApiMutation<{ id: number }, { id: number }>({
+    mutationFn: ({ id }) =>
+      deleteJSON<{ id: number }>(`/api/lab-statements/${id}`, {
+        schema: labBillingContract.reopenLabStatement.response,
+      }),
+    invalidate: () => [qk.labCases.all(), qk.expenses.all()],
+  });
+}
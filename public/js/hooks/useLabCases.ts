@@ -9,10 +9,10 @@
  * read it off the loaded case row.
  */
 import { useQuery } from '@tanstack/react-query';
-import { postJSON, patchJSON } from '@/core/http';
+import { postJSON, patchJSON, putJSON } from '@/core/http';
 import { qk } from '@/query/keys';
 import { useApiMutation } from '@/query/useApiMutation';
-import { labCasesBoardQuery, labCaseQuery } from '@/query/queries';
+import { labCasesBoardQuery, labCaseQuery, labCaseAnalyticsQuery, labSlaSettingsQuery } from '@/query/queries';
 import * as labCaseContract from '@shared/contracts/lab-case.contract';
 import type {
   LabCaseRow,
@@ -24,6 +24,8 @@ import type {
   ResumeLabCaseBody,
   UpdateLabCaseBody,
   CancelLabCaseBody,
+  LabCaseAnalyticsQuery,
+  LabSlaSettings,
 } from '@shared/contracts/lab-case.contract';
 
 /** The board/list read — backs both the /lab-tracking board and the work-card badge fallback. */
@@ -114,3 +116,24 @@ export function useCancelLabCase() {
     invalidate: (_data, vars) => invalidateCase(vars.workId),
   });
 }
+
+/** Turnaround metrics + cases over SLA (the /lab-tracking Analytics view). */
+export function useLabCaseAnalytics(filters: LabCaseAnalyticsQuery = {}) {
+  return useQuery(labCaseAnalyticsQuery(filters));
+}
+
+/** The SLA thresholds + alerts switch. */
+export function useLabSlaSettings() {
+  return useQuery(labSlaSettingsQuery());
+}
+
+/** PUT /api/lab-cases/sla-settings — also refreshes the analytics (overdue list). */
+export function useSaveLabSlaSettings() {
+  return useApiMutation<LabSlaSettings, LabSlaSettings>({
+    mutationFn: (body) =>
+      putJSON<LabSlaSettings, LabSlaSettings>('/api/lab-cases/sla-settings', body, {
+        schema: labCaseContract.slaSettings.response,
+      }),
+    invalidate: () => [qk.labCases.all()],
+  });
+}
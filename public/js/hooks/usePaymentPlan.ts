@@ -0,0 +1,55 @@
+/**
+ * Installment payment plans — the work's plan read (a thin `useQuery` wrapper
+ * over `workPaymentPlanQuery`) + the plan mutations via `useApiMutation`. The
+ * plan key lives under `qk.work.all(workId)`, so recording a payment refreshes
+ * it too; every plan write also refreshes the Statistics overdue report.
+ */
+import { useQuery } from '@tanstack/react-query';
+import { postJSON } from '@/core/http';
+import { qk } from '@/query/keys';
+import { useApiMutation } from '@/query/useApiMutation';
+import { workPaymentPlanQuery } from '@/query/queries';
+import * as planContract from '@shared/contracts/payment-plan.contract';
+import type {
+  PaymentPlan,
+  CreatePaymentPlanBody,
+  RemindPaymentPlanResponse,
+} from '@shared/contracts/payment-plan.contract';
+
+/** The work's active plan with its live allocation (null when the work has none). */
+export function useWorkPaymentPlan(workId: number, enabled = true) {
+  return useQuery({ ...workPaymentPlanQuery(workId), enabled });
+}
+
+/** POST /api/payment-plans — schedule the work's outstanding balance. */
+export function useCreatePaymentPlan() {
+  return useApiMutation<PaymentPlan, CreatePaymentPlanBody>({
+    mutationFn: (body) =>
+      postJSON<PaymentPlan, CreatePaymentPlanBody>('/api/payment-plans', body, {
+        schema: planContract.createPaymentPlan.response,
+      }),
+    invalidate: (_data, vars) => [qk.work.paymentPlan(vars.work_id), qk.reports.overdueBalances()],
+  });
+}
+
+/** POST /api/payment-plans/:id/cancel — back to ad-hoc payments. */
+export function useCancelPaymentPlan() {
+  return useApiMutation<{ id: number }, { id: number; workId: number }>({
+    mutationFn: ({ id }) =>
+      postJSON<{ id: number }>(`/api/payment-plans/${id}/cancel`, {}, {
+        schema: planContract.cancelPaymentPlan.response,
+      }),
+    invalidate: (_data, vars) => [qk.work.paymentPlan(vars.workId), qk.reports.overdueBalances()],
+  });
+}
+
+/** POST /api/payment-plans/:id/remind — polite WhatsApp for what is due. */
+export function useRemindPaymentPlan() {
+  return useApiMutation<RemindPaymentPlanResponse, { id: number; workId: number }>({
+    mutationFn: ({ id }) =>
+      postJSON<RemindPaymentPlanResponse>(`/api/payment-plans/${id}/remind`, {}, {
+        schema: planContract.remindPaymentPlan.response,
+      }),
+    invalidate: (_data, vars) => [qk.work.paymentPlan(vars.workId), qk.reports.overdueBalances()],
+  });
+}
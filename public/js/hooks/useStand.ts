@@ -19,6 +19,7 @@ import {
   standDashboardQuery,
   standSalesQuery,
   standSaleQuery,
+  standSaleReturnsQuery,
   lowStockItemsQuery,
   expiringItemsQuery,
   stockMovementsQuery,
@@ -43,23 +44,29 @@ export type {
   StandSale,
   StandSaleItem,
   StandSaleWithItems,
+  StandSaleReturn,
   StandStockMovement,
   StandDashboardKPIs,
   SalesSummaryRow,
   TopItemRow,
   StandReportData,
   StandSaleResult,
+  ReturnSaleBody,
+  ReturnSaleResult,
 } from '@shared/contracts/stand.contract';
 import type {
   StandItem,
   StandCategory,
   StandSale,
   StandSaleWithItems,
+  StandSaleReturn,
   StandStockMovement,
   StandDashboardKPIs,
   TopItemRow,
   StandReportData,
   StandSaleResult,
+  ReturnSaleBody,
+  ReturnSaleResult,
 } from '@shared/contracts/stand.contract';
 
 export interface StandItemFilters {
@@ -90,6 +97,12 @@ export interface StandItemCreateData {
   notes?: string | null;
 }
 
+/** Optional details stamped on the stock lot a restock creates. */
+export interface RestockLot {
+  lotNumber?: string | null;
+  expiryDate?: string | null;
+}
+
 interface SaleCreateData {
   items: Array<{ itemId: number; quantity: number }>;
   amountPaid: number;
@@ -215,6 +228,14 @@ export function useStandSale(id: number | null): {
   };
 }
 
+export function useStandSaleReturns(id: number | null): {
+  returns: StandSaleReturn[];
+  loading: boolean;
+} {
+  const query = useQuery(standSaleReturnsQuery(id));
+  return { returns: query.data ?? [], loading: query.isLoading };
+}
+
 // ============================================================================
 // LOW STOCK & EXPIRING
 // ============================================================================
@@ -276,7 +297,7 @@ export function useStandItemMutations(): {
   createItem: (data: StandItemCreateData) => Promise<{ item_id: number }>;
   updateItem: (id: number, data: Partial<StandItemCreateData>) => Promise<void>;
   deleteItem: (id: number) => Promise<void>;
-  restockItem: (id: number, quantity: number, unitCost: number) => Promise<void>;
+  restockItem: (id: number, quantity: number, unitCost: number, lot?: RestockLot) => Promise<void>;
   adjustStock: (id: number, delta: number, reason: string) => Promise<void>;
   loading: boolean;
   error: string | null;
@@ -316,10 +337,10 @@ export function useStandItemMutations(): {
     } finally { setLoading(false); }
   }, [queryClient]);
 
-  const restockItem = useCallback(async (id: number, quantity: number, unitCost: number): Promise<void> => {
+  const restockItem = useCallback(async (id: number, quantity: number, unitCost: number, lot: RestockLot = {}): Promise<void> => {
     try {
       setLoading(true); setError(null);
-      await postJSON(`/api/stand/items/${id}/restock`, { quantity, unitCost });
+      await postJSON(`/api/stand/items/${id}/restock`, { quantity, unitCost, ...lot });
       void queryClient.invalidateQueries({ queryKey: qk.stand.all() });
     } catch (err) {
       setError(httpErrorMessage(err, 'Failed to restock')); throw err;
@@ -346,6 +367,7 @@ export function useStandItemMutations(): {
 export function useStandSaleMutations(): {
   createSale: (data: SaleCreateData) => Promise<StandSaleResult>;
   voidSale: (id: number, reason: string) => Promise<void>;
+  returnItems: (id: number, data: ReturnSaleBody) => Promise<ReturnSaleResult>;
   loading: boolean;
   error: string | null;
 } {
@@ -374,7 +396,20 @@ export function useStandSaleMutations(): {
     } finally { setLoading(false); }
   }, [queryClient]);
 
-  return { createSale, voidSale, loading, error };
+  const returnItems = useCallback(async (id: number, data: ReturnSaleBody) => {
+    try {
+      setLoading(true); setError(null);
+      const result = await postJSON<ReturnSaleResult>(`/api/stand/sales/${id}/returns`, data, {
+        schema: standContract.returnSale.response,
+      });
+      void queryClient.invalidateQueries({ queryKey: qk.stand.all() });
+      return result;
+    } catch (err) {
+      setError(httpErrorMessage(err, 'Failed to return items')); throw err;
+    } finally { setLoading(false); }
+  }, [queryClient]);
+
+  return { createSale, voidSale, returnItems, loading, error };
 }
 
 // ============================================================================
@@ -0,0 +1,33 @@
+/**
+ * Stand stock lots — the per-item lot list, the gross-margin report and the
+ * expired-lot write-off. A write-off moves stock, so it refreshes the whole
+ * stand module (`qk.stand.all()`), reports included.
+ */
+import { useQuery } from '@tanstack/react-query';
+import { postJSON } from '@/core/http';
+import { qk } from '@/query/keys';
+import { useApiMutation } from '@/query/useApiMutation';
+import { standItemLotsQuery, standMarginReportQuery } from '@/query/queries';
+import * as standContract from '@shared/contracts/stand.contract';
+import type { WriteOffExpiredResult } from '@shared/contracts/stand.contract';
+
+export type { StandLot, StandMarginRow, WriteOffExpiredResult } from '@shared/contracts/stand.contract';
+
+export function useStandItemLots(itemId: number | null) {
+  return useQuery(standItemLotsQuery(itemId));
+}
+
+export function useStandMarginReport(startDate: string | null, endDate: string | null) {
+  return useQuery(standMarginReportQuery(startDate, endDate));
+}
+
+/** POST /api/stand/lots/write-off-expired */
+export function useWriteOffExpiredLots() {
+  return useApiMutation<WriteOffExpiredResult, void>({
+    mutationFn: () =>
+      postJSON<WriteOffExpiredResult>('/api/stand/lots/write-off-expired', {}, {
+        schema: standContract.writeOffExpiredLots.response,
+      }),
+    invalidate: () => [qk.stand.all()],
+  });
+}
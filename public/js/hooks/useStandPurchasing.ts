@@ -0,0 +1,111 @@
+/**
+ * Stand purchasing — supplier / purchase-order reads (thin `useQuery` wrappers
+ * over the `query/queries.ts` factories) and the purchasing mutations via
+ * `useApiMutation`. The keys live under `qk.stand.all()`, so a PO write also
+ * refreshes suggestions; receiving moves stock and books an expense, so it
+ * refreshes the whole stand module and `qk.expenses.all()`.
+ */
+import { useQuery } from '@tanstack/react-query';
+import { postJSON, putJSON } from '@/core/http';
+import { qk } from '@/query/keys';
+import { useApiMutation } from '@/query/useApiMutation';
+import {
+  standSuppliersQuery,
+  standPurchaseOrdersQuery,
+  standPurchaseOrderQuery,
+  standReorderSuggestionsQuery,
+} from '@/query/queries';
+import * as purchasingContract from '@shared/contracts/stand-purchasing.contract';
+import type {
+  SupplierBody,
+  PurchaseOrdersQuery,
+  CreatePurchaseOrderBody,
+  ReceivePurchaseOrderBody,
+  ReceivePurchaseOrderResult,
+  RecordSupplierInvoiceBody,
+} from '@shared/contracts/stand-purchasing.contract';
+
+export type {
+  StandSupplier,
+  ReorderSuggestion,
+  PurchaseOrder,
+  PurchaseOrderDetail,
+  PurchaseOrderLine,
+  PurchaseOrderStatus,
+} from '@shared/contracts/stand-purchasing.contract';
+
+export function useStandSuppliers(includeInactive = false) {
+  return useQuery(standSuppliersQuery(includeInactive));
+}
+
+export function useStandPurchaseOrders(filters: PurchaseOrdersQuery = {}) {
+  return useQuery(standPurchaseOrdersQuery(filters));
+}
+
+export function useStandPurchaseOrder(id: number | null) {
+  return useQuery(standPurchaseOrderQuery(id));
+}
+
+export function useReorderSuggestions() {
+  return useQuery(standReorderSuggestionsQuery());
+}
+
+/** POST /api/stand/suppliers */
+export function useCreateSupplier() {
+  return useApiMutation<{ supplier_id: number }, SupplierBody>({
+    mutationFn: (body) =>
+      postJSON<{ supplier_id: number }, SupplierBody>('/api/stand/suppliers', body, {
+        schema: purchasingContract.createSupplier.response,
+      }),
+    invalidate: () => [qk.stand.all()],
+  });
+}
+
+/** PUT /api/stand/suppliers/:id */
+export function useUpdateSupplier() {
+  return useApiMutation<unknown, SupplierBody & { id: number }>({
+    mutationFn: ({ id, ...body }) => putJSON(`/api/stand/suppliers/${id}`, body),
+    invalidate: () => [qk.stand.all()],
+  });
+}
+
+/** POST /api/stand/purchase-orders — a draft order. */
+export function useCreatePurchaseOrder() {
+  return useApiMutation<{ po_id: number }, CreatePurchaseOrderBody>({
+    mutationFn: (body) =>
+      postJSON<{ po_id: number }, CreatePurchaseOrderBody>('/api/stand/purchase-orders', body, {
+        schema: purchasingContract.createPurchaseOrder.response,
+      }),
+    invalidate: () => [qk.stand.purchaseOrders.all()],
+  });
+}
+
+/** POST /api/stand/purchase-orders/:id/order | /cancel */
+export function usePurchaseOrderTransition() {
+  return useApiMutation<unknown, { id: number; action: 'order' | 'cancel' }>({
+    mutationFn: ({ id, action }) => postJSON(`/api/stand/purchase-orders/${id}/${action}`, {}),
+    invalidate: () => [qk.stand.purchaseOrders.all()],
+  });
+}
+
+/** POST /api/stand/purchase-orders/:id/receive — stock in + the Stand Purchases expense. */
+export function useReceivePurchaseOrder() {
+  return useApiMutation<ReceivePurchaseOrderResult, ReceivePurchaseOrderBody & { id: number }>({
+    mutationFn: ({ id, ...body }) =>
+      postJSON<ReceivePurchaseOrderResult, ReceivePurchaseOrderBody>(`/api/stand/purchase-orders/${id}/receive`, body, {
+        schema: purchasingContract.receivePurchaseOrder.response,
+      }),
+    invalidate: () => [qk.stand.all(), qk.expenses.all()],
+  });
+}
+
+/** POST /api/stand/purchase-orders/:id/invoices */
+export function useRecordSupplierInvoice() {
+  return useApiMutation<{ invoice_id: number }, RecordSupplierInvoiceBody & { id: number }>({
+    mutationFn: ({ id, ...body }) =>
+      postJSON<{ invoice_id: number }, RecordSupplierInvoiceBody>(`/api/stand/purchase-orders/${id}/invoices`, body, {
+        schema: purchasingContract.recordSupplierInvoice.response,
+      }),
+    invalidate: () => [qk.stand.purchaseOrders.all()],
+  });
+}
@@ -0,0 +1,22 @@
+/**
+ * Two-way sync conflict review — resolving one copies the winning side over the other
+ * and refreshes both conflict lists (open + resolved) via `useApiMutation`.
+ */
+import { postJSON } from '@/core/http';
+import { qk } from '@/query/keys';
+import { useApiMutation } from '@/query/useApiMutation';
+import * as syncConflictContract from '@shared/contracts/sync-conflict.contract';
+import type { SyncConflict, SyncConflictWinner } from '@shared/contracts/sync-conflict.contract';
+
+/** POST /api/sync/conflicts/:id/resolve */
+export function useResolveSyncConflict() {
+  return useApiMutation<SyncConflict, { id: number; winner: SyncConflictWinner }>({
+    mutationFn: ({ id, winner }) =>
+      postJSON<SyncConflict, { winner: SyncConflictWinner }>(
+        `/api/sync/conflicts/${id}/resolve`,
+        { winner },
+        { schema: syncConflictContract.resolveSyncConflict.response }
+      ),
+    invalidate: () => [qk.settings.syncConflicts('open'), qk.settings.syncConflicts('resolved')],
+  });
+}
@@ -0,0 +1,69 @@
+/**
+ * Appointment wait-list — the list read (a thin `useQuery` wrapper over
+ * `waitlistQuery`) + the entry mutations via `useApiMutation`. Every mutation
+ * invalidates `qk.waitlist.all()`; booking an offer also creates an appointment,
+ * so it refreshes `qk.patient.all(personId)` (the appointments list + has-
+ * appointment flag) too — callers pass `personId` for that.
+ */
+import { useQuery } from '@tanstack/react-query';
+import { postJSON } from '@/core/http';
+import { qk } from '@/query/keys';
+import { useApiMutation } from '@/query/useApiMutation';
+import { waitlistQuery } from '@/query/queries';
+import * as waitlistContract from '@shared/contracts/waitlist.contract';
+import type {
+  WaitlistRow,
+  ListWaitlistQuery,
+  CreateWaitlistEntryBody,
+} from '@shared/contracts/waitlist.contract';
+
+type BookResult = { entry: WaitlistRow; appointment_id: number; app_date: string };
+
+/** Wait-list rows — open entries by default; `personId` narrows to one patient. */
+export function useWaitlist(filters: ListWaitlistQuery = {}, enabled = true) {
+  return useQuery({ ...waitlistQuery(filters), enabled });
+}
+
+/** POST /api/waitlist — add a patient with their date window. */
+export function useAddToWaitlist() {
+  return useApiMutation<WaitlistRow, CreateWaitlistEntryBody>({
+    mutationFn: (body) =>
+      postJSON<WaitlistRow, CreateWaitlistEntryBody>('/api/waitlist', body, {
+        schema: waitlistContract.createWaitlistEntry.response,
+      }),
+    invalidate: [qk.waitlist.all()],
+  });
+}
+
+/** POST /api/waitlist/:id/book — turn the offered slot into an appointment. */
+export function useBookWaitlistOffer() {
+  return useApiMutation<BookResult, { id: number; personId: number }>({
+    mutationFn: ({ id }) =>
+      postJSON<BookResult>(`/api/waitlist/${id}/book`, {}, {
+        schema: waitlistContract.bookWaitlistOffer.response,
+      }),
+    invalidate: (_data, vars) => [qk.waitlist.all(), qk.patient.all(vars.personId)],
+  });
+}
+
+/** POST /api/waitlist/:id/decline — back to waiting; the slot moves on. */
+export function useDeclineWaitlistOffer() {
+  return useApiMutation<WaitlistRow, number>({
+    mutationFn: (id) =>
+      postJSON<WaitlistRow>(`/api/waitlist/${id}/decline`, {}, {
+        schema: waitlistContract.declineWaitlistOffer.response,
+      }),
+    invalidate: [qk.waitlist.all()],
+  });
+}
+
+/** POST /api/waitlist/:id/cancel — take the entry off the wait-list. */
+export function useCancelWaitlistEntry() {
+  return useApiMutation<WaitlistRow, number>({
+    mutationFn: (id) =>
+      postJSON<WaitlistRow>(`/api/waitlist/${id}/cancel`, {}, {
+        schema: waitlistContract.cancelWaitlistEntry.response,
+      }),
+    invalidate: [qk.waitlist.all()],
+  });
+}
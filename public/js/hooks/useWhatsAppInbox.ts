@@ -0,0 +1,91 @@
+/**
+ * WhatsApp inbox — the thread list / open thread / unread reads (thin `useQuery`
+ * wrappers over the `whatsappInbox*Query` factories), the read + reply
+ * mutations via `useApiMutation`, and `useWhatsAppInboxLive`, which holds the
+ * WhatsApp SSE stream open and invalidates `qk.whatsappInbox.all()` on every
+ * `whatsapp_inbox_updated` frame (a message arrived, an ack ticked, someone
+ * else read or answered a thread).
+ */
+import { useEffect } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { postJSON } from '@/core/http';
+import { qk } from '@/query/keys';
+import { useApiMutation } from '@/query/useApiMutation';
+import {
+  whatsappInboxThreadsQuery,
+  whatsappInboxThreadQuery,
+  whatsappInboxUnreadQuery,
+} from '@/query/queries';
+import sseWhatsapp from '../services/sse-whatsapp';
+import * as inboxContract from '@shared/contracts/whatsapp-inbox.contract';
+import type { ListThreadsQuery, InboxReplyBody } from '@shared/contracts/whatsapp-inbox.contract';
+
+export type {
+  InboxThread,
+  InboxMessage,
+  InboxThreadDetail,
+  InboxUnreadTotals,
+} from '@shared/contracts/whatsapp-inbox.contract';
+
+// Fallback poll for the header badge while the SSE stream is down.
+const UNREAD_REFRESH_MS = 60_000;
+
+/** Conversations, most recent first — optionally searched / unread only. */
+export function useInboxThreads(filters: ListThreadsQuery = {}) {
+  return useQuery(whatsappInboxThreadsQuery(filters));
+}
+
+/** One conversation with its latest messages; idle until a thread is picked. */
+export function useInboxThread(threadId: number | null) {
+  return useQuery(whatsappInboxThreadQuery(threadId));
+}
+
+/** Unread totals for the header badge. */
+export function useInboxUnread() {
+  return useQuery({ ...whatsappInboxUnreadQuery(), refetchInterval: UNREAD_REFRESH_MS });
+}
+
+/** POST /api/wa/inbox/threads/:id/read — clear the thread's unread count. */
+export function useMarkThreadRead() {
+  return useApiMutation<unknown, number>({
+    mutationFn: (threadId) => postJSON(`/api/wa/inbox/threads/${threadId}/read`, {}),
+    invalidate: [qk.whatsappInbox.all()],
+  });
+}
+
+/** POST /api/wa/inbox/threads/:id/reply — send a text into the thread's chat. */
+export function useSendInboxReply() {
+  return useApiMutation<{ messageId: string }, { threadId: number } & InboxReplyBody>({
+    mutationFn: ({ threadId, message }) =>
+      postJSON<{ messageId: string }, InboxReplyBody>(
+        `/api/wa/inbox/threads/${threadId}/reply`,
+        { message },
+        { schema: inboxContract.reply.response }
+      ),
+    invalidate: [qk.whatsappInbox.all()],
+  });
+}
+
+/**
+ * Keep every inbox read live over the WhatsApp SSE stream while mounted. The
+ * stream is normally already open app-wide (GlobalStateContext); the refcounted
+ * acquire here just keeps it open for the inbox page and header badge.
+ */
+export function useWhatsAppInboxLive(): void {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    const onUpdated = () => {
+      void queryClient.invalidateQueries({ queryKey: qk.whatsappInbox.all() });
+    };
+    sseWhatsapp.on('whatsapp_inbox_updated', onUpdated);
+    // Catch up on anything missed while the stream was down.
+    sseWhatsapp.on('reconnected', onUpdated);
+    void sseWhatsapp.ensureConnected();
+    return () => {
+      sseWhatsapp.off('whatsapp_inbox_updated', onUpdated);
+      sseWhatsapp.off('reconnected', onUpdated);
+      sseWhatsapp.release();
+    };
+  }, [queryClient]);
+}
@@ -4,15 +4,33 @@ import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { useToast } from '../contexts/ToastContext';
 import { useConfirm } from '../contexts/ConfirmContext';
 import styles from './Diagnosis.module.css';
-import { formatISODate } from '../core/utils';
+import { formatDate, formatISODate } from '../core/utils';
 import { postJSON, deleteJSON, httpErrorMessage } from '@/core/http';
-import { worksQuery, diagnosisQuery } from '@/query/queries';
+import { worksQuery, diagnosisQuery, workCephalometricsQuery } from '@/query/queries';
 import { qk } from '@/query/keys';
+import {
+    CEPH_GROUP_LABELS,
+    CEPH_MEASURES,
+    ageAt,
+    analyzeCeph,
+    cephField,
+    cephLabel,
+    formatCephNumber,
+    interpretation,
+    normHint,
+    type CephGroup,
+} from '@shared/cephalometrics';
+import type { CephAnalysis, CephMeasurement, CephStatus } from '@shared/contracts/cephalometric.contract';
+import { DIAGNOSIS_STAGES, type DiagnosisStage } from '@shared/contracts/work.contract';
 
 /**
  * Diagnosis Page
  * Comprehensive diagnosis and treatment plan page with tabbed interface
  * Route: /patient/:personId/work/:workId/diagnosis
+ *
+ * A work has an initial (pre-treatment) and a final diagnosis, picked in the
+ * header. The cephalometric tab classifies the values against the norms
+ * (Settings → Ceph Norms) as they are typed; Compare lines the two up.
  */
 
 interface DiagnosisData {
@@ -77,9 +95,193 @@ interface Tab {
     id: string;
     label: string;
     icon: string;
+    /** Count shown on the tab (out-of-range cephalometric values). */
+    badge?: number;
 }
 
-type TabId = 'general' | 'facial' | 'intraoral' | 'occlusion' | 'cephalometric';
+type TabId = 'general' | 'facial' | 'intraoral' | 'occlusion' | 'cephalometric' | 'compare';
+
+const STAGE_LABELS: Record<DiagnosisStage, string> = { initial: 'Initial', final: 'Final' };
+
+const CEPH_GROUPS = Object.keys(CEPH_GROUP_LABELS) as CephGroup[];
+
+const STATUS_LABELS: Record<CephStatus, string> = { low: 'Low', normal: 'Normal', high: 'High' };
+
+const STATUS_CLASSES: Record<CephStatus, string> = {
+    low: styles.cephLow,
+    normal: styles.cephNormal,
+    high: styles.cephHigh,
+};
+
+// The text findings lined up on the Compare tab (only rows with a value show).
+const COMPARE_FIELDS: [keyof DiagnosisData, string][] = [
+    ['diagnosis', 'Diagnosis'],
+    ['treatment_plan', 'Treatment Plan'],
+    ['o_incisor_relation', 'Incisor Relation'],
+    ['o_overjet', 'Overjet'],
+    ['o_overbite', 'Overbite'],
+    ['o_centerlines', 'Centerlines'],
+    ['o_molar_relation', 'Molar Relation'],
+    ['o_canine_relation', 'Canine Relation'],
+    ['i_upper_crowding', 'Upper Crowding'],
+    ['i_lower_crowding', 'Lower Crowding'],
+    ['f_lip_competence', 'Lip Competence'],
+    ['f_upper_incisor_show_smile', 'Upper Incisor Show (Smile)'],
+];
+
+const isOutOfRange = (m: CephMeasurement | undefined) => m?.status === 'low' || m?.status === 'high';
+
+const signed = (n: number) => `${n > 0 ? '+' : ''}${formatCephNumber(n)}`;
+
+const emptyDiagnosis = (workId: number): DiagnosisData => ({
+    work_id: workId,
+    dx_date: formatISODate(),
+    diagnosis: '',
+    treatment_plan: '',
+    chief_complain: '',
+    appliance: '',
+    // Facial Analysis
+    f_antero_posterior: '',
+    f_vertical: '',
+    f_transverse: '',
+    f_lip_competence: '',
+    f_naso_labial_angle: '',
+    f_upper_incisor_show_rest: '',
+    f_upper_incisor_show_smile: '',
+    // Intraoral Analysis
+    i_teeth_present: '',
+    i_dental_health: '',
+    i_lower_crowding: '',
+    i_lower_incisor_inclination: '',
+    i_curveof_spee: '',
+    i_upper_crowding: '',
+    i_upper_incisor_inclination: '',
+    // Occlusion Analysis
+    o_incisor_relation: '',
+    o_overjet: '',
+    o_overbite: '',
+    o_centerlines: '',
+    o_molar_relation: '',
+    o_canine_relation: '',
+    o_functional_occlusion: '',
+    // Cephalometric Analysis
+    c_sna: '',
+    c_snb: '',
+    c_anb: '',
+    c_sn_mx: '',
+    c_wits: '',
+    c_fma: '',
+    c_mma: '',
+    c_uimx: '',
+    c_li_md: '',
+    c_ui_li: '',
+    c_li_a_po: '',
+    c_ulip_e: '',
+    c_llip_e: '',
+    c_naso_lip: '',
+    c_tafh: '',
+    c_uafh: '',
+    c_lafh: '',
+    c_percent_lafh: ''
+});
+
+/** Under a cephalometric input: how the value compares with the norm. */
+const CephStatusLine = ({ m }: { m: CephMeasurement }) => {
+    if (m.value === null) return null;
+    const meaning = interpretation(m);
+    return (
+        <div className={styles.cephStatus}>
+            {m.status && (
+                <span className={`${styles.cephBadge} ${STATUS_CLASSES[m.status]}`}>
+                    {STATUS_LABELS[m.status]}
+                    {m.z !== null && m.status !== 'normal' && ` ${signed(m.z)} SD`}
+                </span>
+            )}
+            {meaning && <span>{meaning}</span>}
+            {m.derived && <span className={styles.cephNote}>Calculated — saved with the diagnosis</span>}
+            {m.expected !== null && (
+                <span className={styles.cephWarning}>
+                    <i className="fas fa-exclamation-triangle"></i> The other values give {formatCephNumber(m.expected)}
+                </span>
+            )}
+        </div>
+    );
+};
+
+interface DiagnosisCompareProps {
+    initial: Record<string, unknown>;
+    final: Record<string, unknown>;
+    initialCeph: CephAnalysis | null;
+    finalCeph: CephAnalysis | null;
+}
+
+/** Initial vs final: the text findings side by side, then the cephalometric change. */
+const DiagnosisCompare = ({ initial, final, initialCeph, finalCeph }: DiagnosisCompareProps) => {
+    const text = (row: Record<string, unknown>, field: string) => String(row[field] ?? '').trim();
+    const rows = COMPARE_FIELDS.filter(([field]) => text(initial, field) || text(final, field));
+    const before = new Map((initialCeph?.measurements ?? []).map(m => [m.key, m]));
+    const cephRows = (finalCeph?.measurements ?? []).filter(m => m.value !== null || before.get(m.key)?.value != null);
+    const heading = (label: string, row: Record<string, unknown>) =>
+        `${label} · ${formatDate(text(row, 'dx_date')) || '—'}`;
+
+    return (
+        <>
+            <table className={styles.compareTable}>
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>{heading('Initial', initial)}</th>
+                        <th>{heading('Final', final)}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(([field, label]) => (
+                        <tr key={field} className={text(initial, field) !== text(final, field) ? styles.compareChanged : ''}>
+                            <th scope="row">{label}</th>
+                            <td>{text(initial, field) || '—'}</td>
+                            <td>{text(final, field) || '—'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {cephRows.length > 0 && (
+                <div className={styles.cephSection}>
+                    <h3>Cephalometric Change</h3>
+                    <table className={styles.compareTable}>
+                        <thead>
+                            <tr>
+                                <th></th>
+                                <th>Initial</th>
+                                <th>Final</th>
+                                <th>Change</th>
+                                <th>Norm</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {cephRows.map(m => {
+                                const b = before.get(m.key);
+                                return (
+                                    <tr key={m.key}>
+                                        <th scope="row">{cephLabel(m.key)}</th>
+                                        <td className={isOutOfRange(b) ? styles.compareOut : ''}>
+                                            {b?.value != null ? formatCephNumber(b.value) : '—'}
+                                        </td>
+                                        <td className={isOutOfRange(m) ? styles.compareOut : ''}>
+                                            {m.value !== null ? formatCephNumber(m.value) : '—'}
+                                        </td>
+                                        <td>{b?.value != null && m.value !== null ? signed(m.value - b.value) : ''}</td>
+                                        <td>{m.mean !== null && m.sd !== null ? `${formatCephNumber(m.mean)} ±${formatCephNumber(m.sd)}` : '—'}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </>
+    );
+};
 
 const Diagnosis = () => {
     const { personId, workId } = useParams<{ personId: string; workId: string }>();
@@ -91,7 +293,9 @@ const Diagnosis = () => {
     const [saving, setSaving] = useState(false);
     const [deleting, setDeleting] = useState(false);
     const [activeTab, setActiveTab] = useState<TabId>('general');
+    const [stage, setStage] = useState<DiagnosisStage>('initial');
     const [diagnosisExists, setDiagnosisExists] = useState(false);
+    const [dirty, setDirty] = useState(false);
 
     // Works read on useQuery (patient identity lives in the PatientShell
     // breadcrumb, so this page only needs the work row). Loose contracts model
@@ -100,12 +304,23 @@ const Diagnosis = () => {
         ...worksQuery(personId ?? ''),
         enabled: !!personId,
     });
-    // Diagnosis row read — DELIBERATELY schema-less (returns the row or literal
-    // `null`, the "no diagnosis yet" signal). `isLoading` gates the page spinner
-    // alongside the two RQ reads above; the row seeds the form below (render-phase).
-    const { data: loadedDiagnosis, isLoading: diagnosisLoading } = useQuery(
-        diagnosisQuery(workId ?? '')
+    // Diagnosis row reads — DELIBERATELY schema-less (each returns the row or
+    // literal `null`, the "no diagnosis yet" signal). Both stages are read: the
+    // current one seeds the form below (render-phase), and Compare needs the pair.
+    const { data: initialDiagnosis, isLoading: initialLoading } = useQuery(
+        diagnosisQuery(workId ?? '', 'initial')
+    );
+    const { data: finalDiagnosis, isLoading: finalLoading } = useQuery(
+        diagnosisQuery(workId ?? '', 'final')
     );
+    const loadedDiagnosis = stage === 'final' ? finalDiagnosis : initialDiagnosis;
+    // The norms, the patient's sex / birth date and both stages as saved. The form
+    // re-classifies its unsaved values with the same shared rules.
+    const { data: ceph } = useQuery({
+        ...workCephalometricsQuery(workId ?? ''),
+        enabled: !!workId,
+        retry: false,
+    });
 
     // WorkInfo is a loose local adapter shape (index signature), so a single
     // structural assertion is the honest bridge — no `unknown` laundering.
@@ -114,78 +329,54 @@ const Diagnosis = () => {
         ? works.find(w => w.work_id === parseInt(workId || '0')) ?? null
         : null;
 
-    const loading = worksLoading || diagnosisLoading;
-
-    const [diagnosisData, setDiagnosisData] = useState<DiagnosisData>({
-        work_id: parseInt(workId || '0'),
-        dx_date: formatISODate(),
-        diagnosis: '',
-        treatment_plan: '',
-        chief_complain: '',
-        appliance: '',
-        // Facial Analysis
-        f_antero_posterior: '',
-        f_vertical: '',
-        f_transverse: '',
-        f_lip_competence: '',
-        f_naso_labial_angle: '',
-        f_upper_incisor_show_rest: '',
-        f_upper_incisor_show_smile: '',
-        // Intraoral Analysis
-        i_teeth_present: '',
-        i_dental_health: '',
-        i_lower_crowding: '',
-        i_lower_incisor_inclination: '',
-        i_curveof_spee: '',
-        i_upper_crowding: '',
-        i_upper_incisor_inclination: '',
-        // Occlusion Analysis
-        o_incisor_relation: '',
-        o_overjet: '',
-        o_overbite: '',
-        o_centerlines: '',
-        o_molar_relation: '',
-        o_canine_relation: '',
-        o_functional_occlusion: '',
-        // Cephalometric Analysis
-        c_sna: '',
-        c_snb: '',
-        c_anb: '',
-        c_sn_mx: '',
-        c_wits: '',
-        c_fma: '',
-        c_mma: '',
-        c_uimx: '',
-        c_li_md: '',
-        c_ui_li: '',
-        c_li_a_po: '',
-        c_ulip_e: '',
-        c_llip_e: '',
-        c_naso_lip: '',
-        c_tafh: '',
-        c_uafh: '',
-        c_lafh: '',
-        c_percent_lafh: ''
-    });
+    const loading = worksLoading || initialLoading || finalLoading;
+
+    const [diagnosisData, setDiagnosisData] = useState<DiagnosisData>(() =>
+        emptyDiagnosis(parseInt(workId || '0'))
+    );
 
     // Seed the editable form once the diagnosis row resolves — done during render,
-    // keyed on workId (the EditAppointmentForm pattern), so there's no
+    // keyed on workId + stage (the EditAppointmentForm pattern), so there's no
     // set-state-in-effect. `loadedDiagnosis` is `undefined` until the query settles,
-    // then the row or `null` (no diagnosis yet). We copy before normalizing dx_date
-    // so the React Query cache row is left untouched.
-    const [seededWorkId, setSeededWorkId] = useState<string | undefined>(undefined);
-    if (loadedDiagnosis !== undefined && workId !== seededWorkId) {
-        setSeededWorkId(workId);
+    // then the row or `null` (no diagnosis yet — a blank form). We copy before
+    // normalizing dx_date so the React Query cache row is left untouched.
+    const seedKey = `${workId}:${stage}`;
+    const [seededKey, setSeededKey] = useState<string | undefined>(undefined);
+    if (loadedDiagnosis !== undefined && seedKey !== seededKey) {
+        setSeededKey(seedKey);
+        const blank = emptyDiagnosis(parseInt(workId || '0'));
         if (loadedDiagnosis) {
             const loaded = { ...loadedDiagnosis } as Partial<DiagnosisData>;
             if (loaded.dx_date) loaded.dx_date = formatISODate(loaded.dx_date);
-            setDiagnosisData(prev => ({ ...prev, ...loaded }));
-            setDiagnosisExists(true);
+            setDiagnosisData({ ...blank, ...loaded });
+        } else {
+            setDiagnosisData(blank);
         }
+        setDiagnosisExists(!!loadedDiagnosis);
+        setDirty(false);
     }
 
+    // Classified on the patient's age at the diagnosis date being edited.
+    const age = ageAt(ceph?.date_of_birth, diagnosisData.dx_date);
+    const measurements = analyzeCeph(diagnosisData, ceph?.norms ?? [], ceph?.sex ?? null, age);
+    const measurementByKey = new Map(measurements.map(m => [m.key, m]));
+    const outOfRangeCount = measurements.filter(isOutOfRange).length;
+    const canCompare = !!initialDiagnosis && !!finalDiagnosis;
+    // Compare disappears when one of the pair is deleted.
+    const shownTab: TabId = activeTab === 'compare' && !canCompare ? 'general' : activeTab;
+
     const handleChange = (field: keyof DiagnosisData, value: string) => {
         setDiagnosisData(prev => ({ ...prev, [field]: value }));
+        setDirty(true);
+    };
+
+    const handleStageChange = async (next: DiagnosisStage) => {
+        if (next === stage) return;
+        if (dirty && !await confirm(
+            `Discard the unsaved changes to the ${STAGE_LABELS[stage].toLowerCase()} diagnosis?`,
+            { title: 'Switch Diagnosis', confirmText: 'Discard' }
+        )) return;
+        setStage(next);
     };
 
     const handleSave = async () => {
@@ -203,8 +394,8 @@ const Diagnosis = () => {
 
         try {
             setSaving(true);
-            await postJSON('/api/diagnosis', diagnosisData);
-            queryClient.invalidateQueries({ queryKey: qk.work.diagnosis(workId ?? '') });
+            await postJSON('/api/diagnosis', { ...diagnosisData, stage });
+            queryClient.invalidateQueries({ queryKey: qk.work.diagnosisAll(workId ?? '') });
 
             toast.success('Diagnosis saved successfully');
             setDiagnosisExists(true);
@@ -229,14 +420,14 @@ const Diagnosis = () => {
 
     const handleReset = async () => {
         // Show confirmation
-        const confirmMessage = `Are you sure you want to reset/delete this diagnosis?\n\nWork: ${workInfo?.type_name || 'N/A'}\nDate: ${diagnosisData.dx_date}\n\n⚠️ This action cannot be undone!`;
+        const confirmMessage = `Are you sure you want to reset/delete the ${STAGE_LABELS[stage].toLowerCase()} diagnosis?\n\nWork: ${workInfo?.type_name || 'N/A'}\nDate: ${diagnosisData.dx_date}\n\n⚠️ This action cannot be undone!`;
 
         if (!await confirm(confirmMessage, { title: 'Delete Diagnosis', danger: true, confirmText: 'Delete' })) return;
 
         try {
             setDeleting(true);
-            await deleteJSON(`/api/diagnosis/${workId}`);
-            queryClient.invalidateQueries({ queryKey: qk.work.diagnosis(workId ?? '') });
+            await deleteJSON(`/api/diagnosis/${workId}?stage=${stage}`);
+            queryClient.invalidateQueries({ queryKey: qk.work.diagnosisAll(workId ?? '') });
 
             toast.success('Diagnosis deleted successfully');
 
@@ -257,7 +448,8 @@ const Diagnosis = () => {
         { id: 'facial', label: 'Facial Analysis', icon: 'fas fa-user' },
         { id: 'intraoral', label: 'Intraoral', icon: 'fas fa-teeth' },
         { id: 'occlusion', label: 'Occlusion', icon: 'fas fa-grip-horizontal' },
-        { id: 'cephalometric', label: 'Cephalometric', icon: 'fas fa-ruler-combined' }
+        { id: 'cephalometric', label: 'Cephalometric', icon: 'fas fa-ruler-combined', badge: outOfRangeCount },
+        ...(canCompare ? [{ id: 'compare', label: 'Compare', icon: 'fas fa-columns' }] : [])
     ];
 
     if (loading) {
@@ -288,6 +480,23 @@ const Diagnosis = () => {
                     <i className="fas fa-stethoscope"></i>
                     Diagnosis & Treatment Plan
                 </h1>
+                <div className={styles.stageSwitch} role="group" aria-label="Diagnosis stage">
+                    {DIAGNOSIS_STAGES.map(s => (
+                        <button
+                            key={s}
+                            type="button"
+                            className={`${styles.stageButton} ${stage === s ? styles.stageButtonActive : ''}`}
+                            onClick={() => handleStageChange(s)}
+                            aria-pressed={stage === s}
+                            title={s === 'initial' ? 'Pre-treatment diagnosis' : 'Post-treatment records'}
+                        >
+                            {STAGE_LABELS[s]}
+                            {(s === 'initial' ? initialDiagnosis : finalDiagnosis) && (
+                                <i className="fas fa-check-circle" aria-label="recorded"></i>
+                            )}
+                        </button>
+                    ))}
+                </div>
             </div>
 
             {/* Tab Navigation */}
@@ -296,11 +505,14 @@ const Diagnosis = () => {
                     <button
                         key={tab.id}
                         type="button"
-                        className={`${styles.diagnosisTab} ${activeTab === tab.id ? styles.diagnosisTabActive : ''}`}
+                        className={`${styles.diagnosisTab} ${shownTab === tab.id ? styles.diagnosisTabActive : ''}`}
                         onClick={() => setActiveTab(tab.id as TabId)}
                     >
                         <i className={tab.icon}></i>
                         <span>{tab.label}</span>
+                        {!!tab.badge && (
+                            <span className={styles.tabBadge} title="Values outside the norm">{tab.badge}</span>
+                        )}
                     </button>
                 ))}
             </div>
@@ -308,7 +520,7 @@ const Diagnosis = () => {
             {/* Tab Content */}
             <div className={styles.diagnosisContent}>
                 {/* General Tab */}
-                {activeTab === 'general' && (
+                {shownTab === 'general' && (
                     <div className={styles.diagnosisTabContent}>
                         <h2 className={styles.sectionTitle}>General Information</h2>
                         <div className={styles.formGrid}>
@@ -381,7 +593,7 @@ const Diagnosis = () => {
                 )}
 
                 {/* Facial Analysis Tab */}
-                {activeTab === 'facial' && (
+                {shownTab === 'facial' && (
                     <div className={styles.diagnosisTabContent}>
                         <h2 className={styles.sectionTitle}>Facial Analysis</h2>
                         <div className={styles.formGrid}>
@@ -473,7 +685,7 @@ const Diagnosis = () => {
                 )}
 
                 {/* Intraoral Analysis Tab */}
-                {activeTab === 'intraoral' && (
+                {shownTab === 'intraoral' && (
                     <div className={styles.diagnosisTabContent}>
                         <h2 className={styles.sectionTitle}>Intraoral Analysis</h2>
                         <div className={styles.formGrid}>
@@ -565,7 +777,7 @@ const Diagnosis = () => {
                 )}
 
                 {/* Occlusion Analysis Tab */}
-                {activeTab === 'occlusion' && (
+                {shownTab === 'occlusion' && (
                     <div className={styles.diagnosisTabContent}>
                         <h2 className={styles.sectionTitle}>Occlusion Analysis</h2>
                         <div className={styles.formGrid}>
@@ -656,246 +868,59 @@ const Diagnosis = () => {
                     </div>
                 )}
 
-                {/* Cephalometric Analysis Tab */}
-                {activeTab === 'cephalometric' && (
+                {/* Cephalometric Analysis Tab — rendered from the shared measure list */}
+                {shownTab === 'cephalometric' && (
                     <div className={styles.diagnosisTabContent}>
                         <h2 className={styles.sectionTitle}>Cephalometric Analysis</h2>
-
-                        <div className={styles.cephSection}>
-                            <h3>Skeletal Relationships</h3>
-                            <div className={styles.formGrid}>
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-sna">SNA (°)</label>
-                                    <input
-                                        id="dx-c-sna"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_sna || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_sna', e.target.value)}
-                                        placeholder="Normal: 82° ±2"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-snb">SNB (°)</label>
-                                    <input
-                                        id="dx-c-snb"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_snb || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_snb', e.target.value)}
-                                        placeholder="Normal: 80° ±2"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-anb">ANB (°)</label>
-                                    <input
-                                        id="dx-c-anb"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_anb || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_anb', e.target.value)}
-                                        placeholder="Normal: 2° ±2"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-sn-mx">SN-Mx (°)</label>
-                                    <input
-                                        id="dx-c-sn-mx"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_sn_mx || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_sn_mx', e.target.value)}
-                                        placeholder="Normal: 8° ±3"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-wits">Wits (mm)</label>
-                                    <input
-                                        id="dx-c-wits"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_wits || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_wits', e.target.value)}
-                                        placeholder="Normal: -1mm ±2"
-                                    />
-                                </div>
-                            </div>
-                        </div>
-
-                        <div className={styles.cephSection}>
-                            <h3>Vertical Relationships</h3>
-                            <div className={styles.formGrid}>
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-fma">FMA (°)</label>
-                                    <input
-                                        id="dx-c-fma"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_fma || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_fma', e.target.value)}
-                                        placeholder="Normal: 25° ±5"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-mma">MMA (°)</label>
-                                    <input
-                                        id="dx-c-mma"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_mma || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_mma', e.target.value)}
-                                        placeholder="Normal: 27° ±5"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-tafh">TAFH (mm)</label>
-                                    <input
-                                        id="dx-c-tafh"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_tafh || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_tafh', e.target.value)}
-                                        placeholder="Total anterior face height"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-uafh">UAFH (mm)</label>
-                                    <input
-                                        id="dx-c-uafh"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_uafh || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_uafh', e.target.value)}
-                                        placeholder="Upper anterior face height"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-lafh">LAFH (mm)</label>
-                                    <input
-                                        id="dx-c-lafh"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_lafh || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_lafh', e.target.value)}
-                                        placeholder="Lower anterior face height"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-percent-lafh">LAFH (%)</label>
-                                    <input
-                                        id="dx-c-percent-lafh"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_percent_lafh || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_percent_lafh', e.target.value)}
-                                        placeholder="Normal: 55% ±2"
-                                    />
-                                </div>
-                            </div>
-                        </div>
-
-                        <div className={styles.cephSection}>
-                            <h3>Dental Relationships</h3>
-                            <div className={styles.formGrid}>
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-uimx">UI-Mx (°)</label>
-                                    <input
-                                        id="dx-c-uimx"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_uimx || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_uimx', e.target.value)}
-                                        placeholder="Normal: 110° ±6"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-li-md">LI-Md (°)</label>
-                                    <input
-                                        id="dx-c-li-md"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_li_md || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_li_md', e.target.value)}
-                                        placeholder="Normal: 90° ±3"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-ui-li">UI-LI (°)</label>
-                                    <input
-                                        id="dx-c-ui-li"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_ui_li || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_ui_li', e.target.value)}
-                                        placeholder="Normal: 130° ±10"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-li-a-po">LI-APo (mm)</label>
-                                    <input
-                                        id="dx-c-li-a-po"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_li_a_po || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_li_a_po', e.target.value)}
-                                        placeholder="Normal: 1mm ±2"
-                                    />
+                        <p className={styles.cephBasis}>
+                            {ceph
+                                ? `Norms for ${ceph.sex === 'M' ? 'a male' : ceph.sex === 'F' ? 'a female' : 'an unrecorded-sex'} patient${age !== null ? ` aged ${age}` : ' (no date of birth — age-banded norms are skipped)'}; outside mean ± 1 SD is highlighted. Blank values that follow from others are calculated.`
+                                : 'Norms unavailable — values are saved without classification.'}
+                        </p>
+                        {CEPH_GROUPS.map(group => (
+                            <div key={group} className={styles.cephSection}>
+                                <h3>{CEPH_GROUP_LABELS[group]}</h3>
+                                <div className={styles.formGrid}>
+                                    {CEPH_MEASURES.filter(def => def.group === group).map(def => {
+                                        const m = measurementByKey.get(def.key)!;
+                                        const field = cephField(def.key);
+                                        const inputId = `dx-c-${def.key.replace(/_/g, '-')}`;
+                                        const placeholder = m.derived && m.value !== null
+                                            ? `Calculated: ${formatCephNumber(m.value)}`
+                                            : m.mean !== null && m.sd !== null
+                                                ? normHint(def.key, { mean: m.mean, sd: m.sd })
+                                                : '';
+                                        return (
+                                            <div key={def.key} className={styles.formGroup}>
+                                                <label htmlFor={inputId}>{cephLabel(def.key)}</label>
+                                                <input
+                                                    id={inputId}
+                                                    type="text"
+                                                    className={`${styles.formInput} ${isOutOfRange(m) ? styles.formInputOut : ''}`}
+                                                    value={diagnosisData[field] || ''}
+                                                    onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange(field, e.target.value)}
+                                                    placeholder={placeholder}
+                                                />
+                                                <CephStatusLine m={m} />
+                                            </div>
+                                        );
+                                    })}
                                 </div>
                             </div>
-                        </div>
-
-                        <div className={styles.cephSection}>
-                            <h3>Soft Tissue Analysis</h3>
-                            <div className={styles.formGrid}>
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-ulip-e">ULip-E (mm)</label>
-                                    <input
-                                        id="dx-c-ulip-e"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_ulip_e || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_ulip_e', e.target.value)}
-                                        placeholder="Normal: -4mm ±2"
-                                    />
-                                </div>
-
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-llip-e">LLip-E (mm)</label>
-                                    <input
-                                        id="dx-c-llip-e"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_llip_e || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_llip_e', e.target.value)}
-                                        placeholder="Normal: -2mm ±2"
-                                    />
-                                </div>
+                        ))}
+                    </div>
+                )}
 
-                                <div className={styles.formGroup}>
-                                    <label htmlFor="dx-c-naso-lip">Nasolabial (°)</label>
-                                    <input
-                                        id="dx-c-naso-lip"
-                                        type="text"
-                                        className={styles.formInput}
-                                        value={diagnosisData.c_naso_lip || ''}
-                                        onChange={(e: ChangeEvent<HTMLInputElement>) => handleChange('c_naso_lip', e.target.value)}
-                                        placeholder="Normal: 102° ±8"
-                                    />
-                                </div>
-                            </div>
-                        </div>
+                {/* Compare Tab — initial vs final, as saved */}
+                {shownTab === 'compare' && initialDiagnosis && finalDiagnosis && (
+                    <div className={styles.diagnosisTabContent}>
+                        <h2 className={styles.sectionTitle}>Initial → Final</h2>
+                        <DiagnosisCompare
+                            initial={initialDiagnosis}
+                            final={finalDiagnosis}
+                            initialCeph={ceph?.initial ?? null}
+                            finalCeph={ceph?.final ?? null}
+                        />
                     </div>
                 )}
             </div>
@@ -922,6 +947,18 @@ const Diagnosis = () => {
                         )}
                     </button>
                 )}
+                {diagnosisExists && (
+                    <a
+                        className={styles.btnReport}
+                        href={`/api/works/${workId}/diagnosis/pdf?stage=${stage}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        title={stage === 'final' && canCompare ? 'Report with the initial → final comparison' : 'Diagnosis report'}
+                    >
+                        <i className="fas fa-file-pdf"></i>
+                        Report
+                    </a>
+                )}
                 <button
                     type="button"
                     className={styles.btnCancel}
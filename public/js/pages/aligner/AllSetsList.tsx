@@ -7,6 +7,7 @@ import { httpErrorMessage } from '@/core/http';
 import { alignerAllSetsQuery } from '@/query/queries';
 import { isClosedWorkStatus } from '@shared/contracts/aligner.contract';
 import type * as alignerContract from '@shared/contracts/aligner.contract';
+import AlignerManufactureForecast from '../../components/react/AlignerManufactureForecast';
 import styles from './AllSetsList.module.css';
 
 // Row shape comes from the shared contract (single source of truth, drift-checked
@@ -331,6 +332,9 @@ const AllSetsList: React.FC = () => {
 
     return (
         <>
+            {/* Batches due into production this week */}
+            <AlignerManufactureForecast />
+
             {/* Filter Controls */}
             <div className={styles.filterContainer}>
                 <div className={styles.patientFilterBox}>
@@ -36,18 +36,43 @@ export const loginResponseSchema = z.object({
 });
 
 // ---------------------------------------------------------------------------
-// Payments (GET /api/portal/payments)
+// Payments (GET /api/portal/payments) — the account statement. Mirrors
+// `patientStatement` in shared/contracts/statement.contract.ts, trimmed to what
+// the tab renders.
 // ---------------------------------------------------------------------------
 
-export const portalPaymentRowSchema = z.object({
-  Payment: z.number(),
-  Date: z.string(),
+export const portalStatementEntrySchema = z.object({
+  date: z.string().nullable(),
+  kind: z.enum(['charge', 'discount', 'payment', 'return', 'refund']),
+  work_id: z.number().nullable(),
+  currency: z.string(),
+  description: z.string(),
+  reference: z.number().nullable(),
+  debit: z.number(),
+  credit: z.number(),
+  balance: z.number(),
 });
-export type PortalPaymentRow = z.infer<typeof portalPaymentRowSchema>;
+export type PortalStatementEntry = z.infer<typeof portalStatementEntrySchema>;
+
+export const portalStatementTotalSchema = z.object({
+  currency: z.string(),
+  charged: z.number(),
+  discounts: z.number(),
+  paid: z.number(),
+  refunded: z.number(),
+  balance: z.number(),
+});
+export type PortalStatementTotal = z.infer<typeof portalStatementTotalSchema>;
+
+export const portalStatementSchema = z.object({
+  entries: z.array(portalStatementEntrySchema),
+  totals: z.array(portalStatementTotalSchema),
+});
+export type PortalStatement = z.infer<typeof portalStatementSchema>;
 
 export const portalPaymentsResponseSchema = z.object({
   success: z.boolean(),
-  payments: z.array(portalPaymentRowSchema).optional(),
+  statement: portalStatementSchema.optional(),
   error: z.string().optional(),
 });
 
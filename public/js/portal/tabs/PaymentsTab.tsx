@@ -1,20 +1,22 @@
 import { useEffect, useMemo, useState } from 'react';
-import type { PortalPaymentRow } from '../portal.schemas';
+import type { PortalStatement } from '../portal.schemas';
 import { portalPaymentsResponseSchema } from '../portal.schemas';
 import styles from '../portal.module.css';
 
-function formatDate(iso: string): string {
+function formatDate(iso: string | null): string {
+  if (!iso) return '';
   const d = new Date(iso);
   if (isNaN(d.getTime())) return iso;
   return d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
 }
 
-function formatAmount(v: number): string {
-  return new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 }).format(v);
+function formatAmount(v: number, currency?: string): string {
+  const n = new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 }).format(v);
+  return currency ? `${n} ${currency}` : n;
 }
 
 const PaymentsTab = () => {
-  const [payments, setPayments] = useState<PortalPaymentRow[] | null>(null);
+  const [statement, setStatement] = useState<PortalStatement | null>(null);
   const [error, setError] = useState<string | null>(null);
 
   useEffect(() => {
@@ -25,14 +27,11 @@ const PaymentsTab = () => {
         const res = await fetch('/api/portal/payments', { credentials: 'same-origin' });
         const parsed = portalPaymentsResponseSchema.safeParse(await res.json());
         if (cancelled) return;
-        if (!res.ok || !parsed.success || !parsed.data.success || !parsed.data.payments) {
+        if (!res.ok || !parsed.success || !parsed.data.success || !parsed.data.statement) {
           setError((parsed.success ? parsed.data.error : undefined) || 'Unable to load your payments.');
           return;
         }
-        const sorted = [...parsed.data.payments].sort(
-          (a, b) => new Date(b.Date).getTime() - new Date(a.Date).getTime()
-        );
-        setPayments(sorted);
+        setStatement(parsed.data.statement);
       } catch {
         if (!cancelled) setError('Unable to reach the server.');
       }
@@ -42,10 +41,9 @@ const PaymentsTab = () => {
     };
   }, []);
 
-  const total = useMemo(
-    () => (payments || []).reduce((sum, p) => sum + (p.Payment || 0), 0),
-    [payments]
-  );
+  // The ledger runs oldest → newest (that is how the balance accumulates);
+  // show the latest activity first.
+  const entries = useMemo(() => [...(statement?.entries ?? [])].reverse(), [statement]);
 
   if (error) {
     return (
@@ -55,7 +53,7 @@ const PaymentsTab = () => {
     );
   }
 
-  if (!payments) {
+  if (!statement) {
     return (
       <div className={styles.tabPanel}>
         <div className={styles.loadingRow}>
@@ -66,7 +64,7 @@ const PaymentsTab = () => {
     );
   }
 
-  if (payments.length === 0) {
+  if (entries.length === 0) {
     return (
       <div className={styles.tabPanel}>
         <div className={styles.emptyState}>
@@ -79,16 +77,33 @@ const PaymentsTab = () => {
 
   return (
     <div className={styles.tabPanel}>
-      <div className={styles.totalCard}>
-        <div className={styles.totalLabel}>Total paid</div>
-        <div className={styles.totalValue}>{formatAmount(total)}</div>
-      </div>
+      {statement.totals.map((t) => (
+        <div key={t.currency} className={styles.totalCard}>
+          <div className={styles.totalLabel}>Balance due ({t.currency})</div>
+          <div className={styles.totalValue}>{formatAmount(Math.max(t.balance, 0), t.currency)}</div>
+          <div className={styles.totalSub}>
+            Paid {formatAmount(t.paid - t.refunded)} of {formatAmount(t.charged - t.discounts)}
+          </div>
+        </div>
+      ))}
+
+      <a className={styles.statementLink} href="/api/portal/payments/pdf" target="_blank" rel="noopener noreferrer">
+        <i className="fas fa-file-pdf" aria-hidden="true" /> Download statement (PDF)
+      </a>
 
       <ul className={styles.paymentList}>
-        {payments.map((p, idx) => (
-          <li key={`${p.Date}-${idx}`} className={styles.paymentItem}>
-            <div className={styles.paymentDate}>{formatDate(p.Date)}</div>
-            <div className={styles.paymentAmount}>{formatAmount(p.Payment)}</div>
+        {entries.map((e, idx) => (
+          <li key={`${e.kind}-${e.work_id}-${e.reference ?? idx}`} className={styles.paymentItem}>
+            <div>
+              <div className={styles.paymentDate}>{formatDate(e.date)}</div>
+              <div className={styles.entryDescription}>{e.description}</div>
+            </div>
+            <div className={styles.entryAmounts}>
+              <div className={e.credit ? styles.entryCredit : styles.paymentAmount}>
+                {e.credit ? `−${formatAmount(e.credit, e.currency)}` : formatAmount(e.debit, e.currency)}
+              </div>
+              <div className={styles.entryBalance}>Balance {formatAmount(e.balance)}</div>
+            </div>
           </li>
         ))}
       </ul>
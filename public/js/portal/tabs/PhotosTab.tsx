@@ -32,6 +32,9 @@ const PhotosTab = () => {
   const [photosError, setPhotosError] = useState<string | null>(null);
   const [photosLoading, setPhotosLoading] = useState(false);
   const [lightbox, setLightbox] = useState<number | null>(null);
+  // The progress collage 404s until there are two timepoints with photos to
+  // compare — hide the card rather than show a broken image.
+  const [collageHidden, setCollageHidden] = useState(false);
 
   useEffect(() => {
     let cancelled = false;
@@ -131,6 +134,20 @@ const PhotosTab = () => {
 
   return (
     <div className={styles.tabPanel}>
+      {tabList.length >= 2 && !collageHidden && (
+        <figure className={styles.collageCard}>
+          <figcaption className={styles.collageTitle}>Your progress</figcaption>
+          {/* Server-rendered first/latest collage of the photos you can see (GET /api/portal/collage). */}
+          <img
+            src="/api/portal/collage"
+            alt="Before and after photos"
+            loading="lazy"
+            className={styles.collageImg}
+            onError={() => setCollageHidden(true)}
+          />
+        </figure>
+      )}
+
       <div className={styles.tpScroller}>
         {tabList.map((t) => (
           <button
@@ -24,11 +24,12 @@ describe('qk query-key factory', () => {
     expect(qk.patient.info(7)).not.toEqual(qk.patient.full(7));
   });
 
-  it('work.all is a prefix of details/visits/payments', () => {
+  it('work.all is a prefix of details/visits/payments/payment-plan', () => {
     const all = qk.work.all(5);
     expect(isPrefix(all, qk.work.details(5))).toBe(true);
     expect(isPrefix(all, qk.work.visits(5))).toBe(true);
     expect(isPrefix(all, qk.work.payments(5))).toBe(true);
+    expect(isPrefix(all, qk.work.paymentPlan(5))).toBe(true);
   });
 
   it('templates.all is a prefix of list and one', () => {
@@ -37,6 +38,12 @@ describe('qk query-key factory', () => {
     expect(isPrefix(all, qk.templates.one(3))).toBe(true);
   });
 
+  it('waitlist.all is a prefix of every filtered list', () => {
+    const all = qk.waitlist.all();
+    expect(isPrefix(all, qk.waitlist.list())).toBe(true);
+    expect(isPrefix(all, qk.waitlist.list({ personId: 7 }))).toBe(true);
+  });
+
   it('preserves the legacy wire keys for the SSE-driven screens', () => {
     expect(qk.appointments.daily('2026-06-12')).toEqual(['daily-appointments', '2026-06-12']);
     expect(qk.whatsapp.messages('2026-06-12')).toEqual(['whatsapp-messages', '2026-06-12']);
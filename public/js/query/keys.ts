@@ -48,6 +48,8 @@ export const qk = {
     portal: (id: Id) => ['patient', normId(id), 'portal'] as const,
     /** GET /api/patient-appointments/:id — the patient's appointment list. */
     appointments: (id: Id) => ['patient', normId(id), 'appointments'] as const,
+    /** GET /api/patients/:id/attendance — attendance score + attended/no-show history. */
+    attendance: (id: Id) => ['patient', normId(id), 'attendance'] as const,
     /** GET /api/patients/:id/gallery/:tpCode — one timepoint's gallery images. */
     gallery: (id: Id, tpCode: Id) => ['patient', normId(id), 'gallery', normId(tpCode)] as const,
     /** GET /api/patients/:id/timepoints/:tpCode/images — one timepoint's compare images. */
@@ -64,6 +66,16 @@ export const qk = {
     photoVisibility: (id: Id) => ['patient', normId(id), 'photo-visibility'] as const,
     /** GET /api/photo-editor/:id/photo-dates — appointment/visit dates for the photo-session picker. */
     photoDates: (id: Id) => ['patient', normId(id), 'photo-dates'] as const,
+    /**
+     * GET /api/patients/:id/history?beforeId= — one page of the audit History panel.
+     * Under the patient prefix so a patient-wide invalidation refreshes it too.
+     */
+    history: (id: Id, beforeId: number | null = null) =>
+      ['patient', normId(id), 'history', beforeId] as const,
+    /** GET /api/patients/:id/tooth-findings — the odontogram's findings + versions. */
+    toothFindings: (id: Id) => ['patient', normId(id), 'tooth-findings'] as const,
+    /** GET /api/patients/:id/photo-landmarks — every rendered view with its alignment landmarks. */
+    photoLandmarks: (id: Id) => ['patient', normId(id), 'photo-landmarks'] as const,
     /** GET /api/patients/search?q= — basic name/phone/id search (keyed by query). */
     search: (query: string) => ['patient', 'search', query] as const,
   },
@@ -84,8 +96,21 @@ export const qk = {
     detailsList: (workId: Id) => ['work', normId(workId), 'details-list'] as const,
     /** GET /api/work/:workId/transfer-preview — transfer impact preview. */
     transferPreview: (workId: Id) => ['work', normId(workId), 'transfer-preview'] as const,
-    /** GET /api/diagnosis/:workId — the work's diagnosis row (null when none). */
-    diagnosis: (workId: Id) => ['work', normId(workId), 'diagnosis'] as const,
+    /** Both diagnoses of a work and their cephalometric analysis (invalidate after a save/delete). */
+    diagnosisAll: (workId: Id) => ['work', normId(workId), 'diagnosis'] as const,
+    /** GET /api/diagnosis/:workId?stage= — the work's initial/final diagnosis row (null when none). */
+    diagnosis: (workId: Id, stage: string) => ['work', normId(workId), 'diagnosis', stage] as const,
+    /** GET /api/works/:workId/cephalometrics — both stages classified against the norms. */
+    cephalometrics: (workId: Id) => ['work', normId(workId), 'diagnosis', 'cephalometrics'] as const,
+    /** GET /api/works/:workId/payment-plan — the active installment plan (null when none). */
+    paymentPlan: (workId: Id) => ['work', normId(workId), 'payment-plan'] as const,
+    /** GET /api/works/:workId/timeline — wire sequence, gaps, milestones, progress. */
+    timeline: (workId: Id) => ['work', normId(workId), 'timeline'] as const,
+    /** Every wire-protocol read for this work (invalidate after assigning one). */
+    wireProtocolAll: (workId: Id) => ['work', normId(workId), 'wire-protocol'] as const,
+    /** GET /api/works/:workId/wire-protocol?date=&visitId= — protocol + next-wire suggestion. */
+    wireProtocol: (workId: Id, date: string, visitId?: Id) =>
+      ['work', normId(workId), 'wire-protocol', date, visitId ? normId(visitId) : null] as const,
   },
   visit: {
     /** GET /api/getvisitbyid?visitId= — single visit row (edit form). */
@@ -115,10 +140,16 @@ export const qk = {
     doctors: () => ['aligner', 'doctors'] as const,
     /** GET /api/aligner-doctors — the admin doctors list (a different endpoint/shape from doctors()). */
     doctorsAdmin: () => ['aligner', 'doctors-admin'] as const,
+    /** GET /api/aligner-doctors/:drID/portal — one doctor's portal-login status. */
+    doctorPortal: (drId: Id) => ['aligner', 'doctor-portal', drId] as const,
+    /** GET /api/aligner-doctors/:drID/statement?month= — one doctor's monthly statement. */
+    doctorStatement: (drId: Id, month: string) => ['aligner', 'doctor-statement', drId, month] as const,
     /** Parent for a work's aligner data (sets/batches). */
     work: (workId: Id) => ['aligner', 'work', workId] as const,
     /** GET /api/aligner/all-sets — all sets across doctors. */
     allSets: () => ['aligner', 'all-sets'] as const,
+    /** GET /api/aligner/forecast — batches due into production this week + reminder settings. */
+    forecast: () => ['aligner', 'forecast'] as const,
     /** GET /api/aligner/patients/all — all aligner patients. */
     allPatients: () => ['aligner', 'patients', 'all'] as const,
     /** GET /api/aligner/patients/by-doctor/:doctorId. */
@@ -198,6 +229,8 @@ export const qk = {
     /** GET /api/statistics/revenue-breakdown?startDate=&endDate= — revenue by work type & doctor. */
     revenueBreakdown: (startDate: string, endDate: string) =>
       ['reports', 'revenue-breakdown', startDate, endDate] as const,
+    /** GET /api/statistics/overdue-balances — plans with installments past due + grace. */
+    overdueBalances: () => ['reports', 'overdue-balances'] as const,
   },
   /**
    * Stand / mini-pharmacy. `all()` is the prefix every stand read shares, so a
@@ -209,12 +242,13 @@ export const qk = {
   stand: {
     all: () => ['stand'] as const,
     items: {
-      /** Parent — invalidates list / low-stock / expiring / movements. */
+      /** Parent — invalidates list / low-stock / expiring / movements / lots. */
       all: () => ['stand', 'items'] as const,
       list: (filters: object = {}) => ['stand', 'items', 'list', filters] as const,
       lowStock: () => ['stand', 'items', 'low-stock'] as const,
       expiring: (days: number) => ['stand', 'items', 'expiring', days] as const,
       movements: (itemId: Id) => ['stand', 'items', 'movements', itemId] as const,
+      lots: (itemId: Id) => ['stand', 'items', 'lots', itemId] as const,
     },
     categories: () => ['stand', 'categories'] as const,
     dashboard: () => ['stand', 'dashboard'] as const,
@@ -222,12 +256,22 @@ export const qk = {
       all: () => ['stand', 'sales'] as const,
       list: (filters: object = {}) => ['stand', 'sales', 'list', filters] as const,
       one: (id: Id) => ['stand', 'sales', 'one', id] as const,
+      returns: (id: Id) => ['stand', 'sales', 'returns', id] as const,
     },
     reports: {
       summary: (startDate: string, endDate: string) =>
         ['stand', 'reports', 'summary', startDate, endDate] as const,
       topItems: (startDate: string, endDate: string, limit: number) =>
         ['stand', 'reports', 'top-items', startDate, endDate, limit] as const,
+      margins: (startDate: string, endDate: string) =>
+        ['stand', 'reports', 'margins', startDate, endDate] as const,
+    },
+    suppliers: (includeInactive: boolean) => ['stand', 'suppliers', includeInactive] as const,
+    purchaseOrders: {
+      all: () => ['stand', 'purchase-orders'] as const,
+      list: (filters: object = {}) => ['stand', 'purchase-orders', 'list', filters] as const,
+      one: (id: Id) => ['stand', 'purchase-orders', 'one', id] as const,
+      suggestions: () => ['stand', 'purchase-orders', 'suggestions'] as const,
     },
   },
   /** Expenses. `all()` is the shared prefix — any expense write invalidates it. */
@@ -280,14 +324,44 @@ export const qk = {
     history: () => ['approvals', 'history'] as const,
     mine: () => ['approvals', 'mine'] as const,
   },
+  /** Audit trail — the admin-wide search (Settings → Audit Log), one key per page. */
+  audit: {
+    all: () => ['audit'] as const,
+    search: (filters: object = {}) => ['audit', 'search', filters] as const,
+  },
   /**
    * Lab case tracker. `all()` is the shared prefix — any case write invalidates
-   * both the board and (via the work-card badge) `qk.work.detailsList(workId)`.
+   * both the board and (via the work-card badge) `qk.work.detailsList(workId)`,
+   * and the analytics (whose overdue list moves with every case write).
    */
   labCases: {
     all: () => ['lab-cases'] as const,
     board: (filters: object = {}) => ['lab-cases', 'board', filters] as const,
     byId: (id: Id) => ['lab-cases', 'by-id', normId(id)] as const,
+    analytics: (filters: object = {}) => ['lab-cases', 'analytics', filters] as const,
+    slaSettings: () => ['lab-cases', 'sla-settings'] as const,
+    // Lab invoicing lives under the same prefix: a delivery/remake accrues a
+    // charge, so every case write must refresh the statements too.
+    prices: (filters: object = {}) => ['lab-cases', 'prices', filters] as const,
+    statements: (filters: object = {}) => ['lab-cases', 'statements', filters] as const,
+  },
+  /**
+   * Appointment wait-list. Any entry write (add/book/decline/cancel) invalidates
+   * `all()`; a booking additionally refreshes the patient's appointment reads.
+   */
+  waitlist: {
+    all: () => ['waitlist'] as const,
+    list: (filters: object = {}) => ['waitlist', 'list', filters] as const,
+  },
+  /**
+   * Shared WhatsApp inbox. Every `whatsapp_inbox_updated` SSE frame invalidates
+   * `all()` — the thread list, the open thread and the header unread badge.
+   */
+  whatsappInbox: {
+    all: () => ['whatsapp-inbox'] as const,
+    threads: (filters: object = {}) => ['whatsapp-inbox', 'threads', filters] as const,
+    thread: (id: Id) => ['whatsapp-inbox', 'thread', normId(id)] as const,
+    unread: () => ['whatsapp-inbox', 'unread'] as const,
   },
   /**
    * Saved slideshow configurations. `list(personId)` returns that patient's
@@ -309,8 +383,27 @@ export const qk = {
     emailConfig: () => ['settings', 'email-config'] as const,
     /** GET /api/settings/database — the active database connection config. */
     databaseConfig: () => ['settings', 'database-config'] as const,
+    /** GET /api/message-templates — patient message templates (Messaging tab). */
+    messageTemplates: () => ['settings', 'message-templates'] as const,
+    /** POST /api/message-templates/preview — a draft rendered with sample values. */
+    messageTemplatePreview: (key: string, language: string, body: string) =>
+      ['settings', 'message-templates', 'preview', key, language, body] as const,
+    /** GET /api/wire-protocols — wire sequence protocols with their steps (Wire Protocols tab). */
+    wireProtocols: () => ['settings', 'wire-protocols'] as const,
+    /** GET /api/ceph-norms — cephalometric norms (Ceph Norms tab). */
+    cephNorms: () => ['settings', 'ceph-norms'] as const,
+    /** Every outbound message queue read (invalidate after a resend/cancel). */
+    outboundMessagesAll: () => ['settings', 'outbound-messages'] as const,
+    /** GET /api/outbound-messages?status= — the queue, newest first (polled). */
+    outboundMessages: (status: string) => ['settings', 'outbound-messages', 'list', status] as const,
+    /** GET /api/outbound-messages/summary — count per status (polled). */
+    outboundSummary: () => ['settings', 'outbound-messages', 'summary'] as const,
     /** GET /api/sync/supabase-status — failover/reverse sink health (polled). */
     supabaseStatus: () => ['settings', 'supabase-status'] as const,
+    /** GET /api/sync/conflicts?status= — two-way sync conflict review queue. */
+    syncConflicts: (status: 'open' | 'resolved') => ['settings', 'sync-conflicts', status] as const,
+    /** GET /api/config/database/backups — scheduled backups + restore check (polled). */
+    backups: () => ['settings', 'backups'] as const,
     /** GET /api/sync/dolphin-status — Dolphin sink health (polled). */
     dolphinStatus: () => ['settings', 'dolphin-status'] as const,
     /** GET /api/telegram/status — Telegram bot status. */
@@ -13,16 +13,18 @@
  */
 import { queryOptions } from '@tanstack/react-query';
 import { z } from 'zod';
-import { fetchJSON } from '@/core/http';
+import { fetchJSON, postJSON } from '@/core/http';
 import * as patientContract from '@shared/contracts/patient.contract';
 import * as workContract from '@shared/contracts/work.contract';
 import * as templateContract from '@shared/contracts/template.contract';
 import * as alignerContract from '@shared/contracts/aligner.contract';
+import * as alignerStatementContract from '@shared/contracts/aligner-statement.contract';
 import * as visitContract from '@shared/contracts/visit.contract';
 import * as lookupContract from '@shared/contracts/lookup.contract';
 import * as staffContract from '@shared/contracts/staff.contract';
 import * as employeeContract from '@shared/contracts/employee.contract';
 import * as standContract from '@shared/contracts/stand.contract';
+import * as standPurchasingContract from '@shared/contracts/stand-purchasing.contract';
 import * as expenseContract from '@shared/contracts/expense.contract';
 import * as appointmentContract from '@shared/contracts/appointment.contract';
 import * as paymentContract from '@shared/contracts/payment.contract';
@@ -35,6 +37,8 @@ import * as emailApiContract from '@shared/contracts/email-api.contract';
 import * as settingsContract from '@shared/contracts/settings.contract';
 import * as brandingContract from '@shared/contracts/branding.contract';
 import * as tvDisplayContract from '@shared/contracts/tv-display.contract';
+import * as messageTemplateContract from '@shared/contracts/message-template.contract';
+import * as outboundMessageContract from '@shared/contracts/outbound-message.contract';
 import * as telegramContract from '@shared/contracts/telegram.contract';
 import * as integrationsContract from '@shared/contracts/integrations.contract';
 import * as threeshapeContract from '@shared/contracts/threeshape.contract';
@@ -51,6 +55,18 @@ import * as whatsappContract from '@shared/contracts/whatsapp.contract';
 import * as photoEditorContract from '@shared/contracts/photo-editor.contract';
 import * as slideshowContract from '@shared/contracts/slideshow.contract';
 import * as labCaseContract from '@shared/contracts/lab-case.contract';
+import * as labBillingContract from '@shared/contracts/lab-billing.contract';
+import * as waitlistContract from '@shared/contracts/waitlist.contract';
+import * as whatsappInboxContract from '@shared/contracts/whatsapp-inbox.contract';
+import * as paymentPlanContract from '@shared/contracts/payment-plan.contract';
+import * as treatmentTimelineContract from '@shared/contracts/treatment-timeline.contract';
+import * as wireProtocolContract from '@shared/contracts/wire-protocol.contract';
+import * as toothFindingContract from '@shared/contracts/tooth-finding.contract';
+import * as cephContract from '@shared/contracts/cephalometric.contract';
+import * as collageContract from '@shared/contracts/photo-collage.contract';
+import * as auditContract from '@shared/contracts/audit.contract';
+import * as backupContract from '@shared/contracts/backup.contract';
+import * as syncConflictContract from '@shared/contracts/sync-conflict.contract';
 import { qk } from './keys';
 import type { HttpError } from '@/core/http';
 // Type-only (erased at runtime → no import cycle with the hooks below). Stand row
@@ -130,6 +146,46 @@ export const workDetailsQuery = (workId: Id) =>
       ),
   });
 
+/** GET /api/works/:workId/timeline — the work's treatment timeline and progress estimate. */
+export const workTimelineQuery = (workId: Id) =>
+  queryOptions({
+    queryKey: qk.work.timeline(workId),
+    queryFn: ({ signal }) =>
+      fetchJSON<treatmentTimelineContract.WorkTimeline>(`/api/works/${workId}/timeline`, {
+        signal,
+        schema: treatmentTimelineContract.workTimeline.response,
+      }),
+  });
+
+/**
+ * GET /api/works/:workId/wire-protocol — the work's wire protocol and the
+ * next-wire / next-visit suggestion for a visit on `date`; `visitId` (editing)
+ * leaves that visit out.
+ */
+export const workWireProtocolQuery = (workId: Id, date: string, visitId?: Id) =>
+  queryOptions({
+    queryKey: qk.work.wireProtocol(workId, date, visitId),
+    queryFn: ({ signal }) => {
+      const params = new URLSearchParams({ date });
+      if (visitId) params.set('visitId', String(visitId));
+      return fetchJSON<wireProtocolContract.WorkProtocolResponse>(`/api/works/${workId}/wire-protocol?${params}`, {
+        signal,
+        schema: wireProtocolContract.workProtocol.response,
+      });
+    },
+  });
+
+/** GET /api/works/:workId/payment-plan — the active installment plan with its live allocation, or null. */
+export const workPaymentPlanQuery = (workId: Id) =>
+  queryOptions({
+    queryKey: qk.work.paymentPlan(workId),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof paymentPlanContract.workPaymentPlan.response>>(
+        `/api/works/${workId}/payment-plan`,
+        { signal, schema: paymentPlanContract.workPaymentPlan.response }
+      ),
+  });
+
 /** GET /api/getworkforreceipt/:workId — receipt-enriched work row (disabled until a workId is set). */
 export const workForReceiptQuery = (workId: number | null | undefined) =>
   queryOptions({
@@ -205,6 +261,17 @@ export const alignerAllSetsQuery = () =>
       }),
   });
 
+/** GET /api/aligner/forecast — batches to manufacture this week (All Sets dashboard). */
+export const alignerForecastQuery = () =>
+  queryOptions({
+    queryKey: qk.aligner.forecast(),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof alignerContract.alignerForecast.response>>('/api/aligner/forecast', {
+        signal,
+        schema: alignerContract.alignerForecast.response,
+      }),
+  });
+
 /** GET /api/aligner/patients/all — all aligner patients (all doctors). */
 export const alignerAllPatientsQuery = () =>
   queryOptions({
@@ -557,6 +624,18 @@ export const standSaleQuery = (id: number | null) =>
     enabled: id != null,
   });
 
+/** GET /api/stand/sales/:id/returns — the sale's partial returns. */
+export const standSaleReturnsQuery = (id: number | null) =>
+  queryOptions({
+    queryKey: qk.stand.sales.returns(id ?? 0),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof standContract.saleReturns.response>>(`/api/stand/sales/${id}/returns`, {
+        signal,
+        schema: standContract.saleReturns.response,
+      }),
+    enabled: id != null,
+  });
+
 /** GET /api/stand/items/low-stock — items at or below reorder level. */
 export const lowStockItemsQuery = () =>
   queryOptions({
@@ -591,6 +670,18 @@ export const stockMovementsQuery = (itemId: number | null) =>
     enabled: itemId != null,
   });
 
+/** GET /api/stand/items/:id/lots — stock lots, open ones first (disabled until an item is picked). */
+export const standItemLotsQuery = (itemId: number | null) =>
+  queryOptions({
+    queryKey: qk.stand.items.lots(itemId ?? 0),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof standContract.itemLots.response>>(
+        `/api/stand/items/${itemId}/lots`,
+        { signal, schema: standContract.itemLots.response }
+      ),
+    enabled: itemId != null,
+  });
+
 /** GET /api/stand/reports/summary?… — revenue/profit rollup (disabled until both dates set). */
 export const standReportSummaryQuery = (startDate: string | null, endDate: string | null) =>
   queryOptions({
@@ -623,6 +714,69 @@ export const topSellingItemsQuery = (
     enabled: !!startDate && !!endDate,
   });
 
+/** GET /api/stand/reports/margins?… — per-item gross margin + write-offs (disabled until both dates set). */
+export const standMarginReportQuery = (startDate: string | null, endDate: string | null) =>
+  queryOptions({
+    queryKey: qk.stand.reports.margins(startDate ?? '', endDate ?? ''),
+    queryFn: ({ signal }) => {
+      const params = new URLSearchParams({ startDate: startDate!, endDate: endDate! });
+      return fetchJSON<z.infer<typeof standContract.reportMargins.response>>(
+        `/api/stand/reports/margins?${params}`,
+        { signal, schema: standContract.reportMargins.response }
+      );
+    },
+    enabled: !!startDate && !!endDate,
+  });
+
+/** GET /api/stand/suppliers — supplier list (active only unless `includeInactive`). */
+export const standSuppliersQuery = (includeInactive = false) =>
+  queryOptions({
+    queryKey: qk.stand.suppliers(includeInactive),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof standPurchasingContract.suppliers.response>>(
+        `/api/stand/suppliers${includeInactive ? '?includeInactive=true' : ''}`,
+        { signal, schema: standPurchasingContract.suppliers.response }
+      ),
+  });
+
+/** GET /api/stand/purchase-orders?… — purchase orders (filtered). */
+export const standPurchaseOrdersQuery = (filters: standPurchasingContract.PurchaseOrdersQuery = {}) =>
+  queryOptions({
+    queryKey: qk.stand.purchaseOrders.list(filters),
+    queryFn: ({ signal }) => {
+      const params = new URLSearchParams();
+      if (filters.status) params.set('status', filters.status);
+      if (filters.supplierId) params.set('supplierId', String(filters.supplierId));
+      return fetchJSON<z.infer<typeof standPurchasingContract.purchaseOrders.response>>(
+        `/api/stand/purchase-orders?${params}`,
+        { signal, schema: standPurchasingContract.purchaseOrders.response }
+      );
+    },
+  });
+
+/** GET /api/stand/purchase-orders/:id — order with lines, receipts, invoices (disabled until picked). */
+export const standPurchaseOrderQuery = (id: number | null) =>
+  queryOptions({
+    queryKey: qk.stand.purchaseOrders.one(id ?? 0),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof standPurchasingContract.purchaseOrderById.response>>(
+        `/api/stand/purchase-orders/${id}`,
+        { signal, schema: standPurchasingContract.purchaseOrderById.response }
+      ),
+    enabled: id != null,
+  });
+
+/** GET /api/stand/purchase-orders/suggestions — low-stock items not yet on order. */
+export const standReorderSuggestionsQuery = () =>
+  queryOptions({
+    queryKey: qk.stand.purchaseOrders.suggestions(),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof standPurchasingContract.reorderSuggestions.response>>(
+        '/api/stand/purchase-orders/suggestions',
+        { signal, schema: standPurchasingContract.reorderSuggestions.response }
+      ),
+  });
+
 // ---------------------------------------------------------------------------
 // Expenses — the hooks predate full response modelling, so each factory keeps
 // the hook's hand-written return generic (the runtime schema still validates).
@@ -808,6 +962,17 @@ export const revenueBreakdownQuery = (startDate: string, endDate: string) =>
     enabled: !!startDate && !!endDate,
   });
 
+/** GET /api/statistics/overdue-balances — plans with overdue installments, worst first. */
+export const overdueBalancesQuery = () =>
+  queryOptions({
+    queryKey: qk.reports.overdueBalances(),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof reportsContract.overdueBalances.response>>(
+        '/api/statistics/overdue-balances',
+        { signal, schema: reportsContract.overdueBalances.response }
+      ),
+  });
+
 // ---------------------------------------------------------------------------
 // Admin lookup tables — the generic table editor (LookupEditor/HolidayEditor).
 // ---------------------------------------------------------------------------
@@ -872,6 +1037,39 @@ export const portalStatusQuery = (id: Id) =>
       }),
   });
 
+/** GET /api/patients/:id/attendance — attendance score + attended/no-show history. */
+export const patientAttendanceQuery = (id: Id) =>
+  queryOptions({
+    queryKey: qk.patient.attendance(id),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof appointmentContract.patientAttendance.response>>(`/api/patients/${id}/attendance`, {
+        signal,
+        schema: appointmentContract.patientAttendance.response,
+      }),
+  });
+
+/** GET /api/patients/:id/tooth-findings — every tooth finding and the chart's versions. */
+export const patientToothFindingsQuery = (id: Id) =>
+  queryOptions({
+    queryKey: qk.patient.toothFindings(id),
+    queryFn: ({ signal }) =>
+      fetchJSON<toothFindingContract.PatientFindingsResponse>(`/api/patients/${id}/tooth-findings`, {
+        signal,
+        schema: toothFindingContract.patientFindings.response,
+      }),
+  });
+
+/** GET /api/patients/:id/photo-landmarks — every rendered view with its alignment landmarks. */
+export const patientPhotoLandmarksQuery = (id: Id) =>
+  queryOptions({
+    queryKey: qk.patient.photoLandmarks(id),
+    queryFn: ({ signal }) =>
+      fetchJSON<collageContract.AlignmentPhoto[]>(`/api/patients/${id}/photo-landmarks`, {
+        signal,
+        schema: collageContract.listAlignmentPhotos.response,
+      }),
+  });
+
 /** GET /api/patient-appointments/:id — the patient's appointment list. */
 export const patientAppointmentsQuery = (id: Id) =>
   queryOptions({
@@ -1059,19 +1257,20 @@ export const transferPreviewQuery = (workId: number | null | undefined) =>
   });
 
 /**
- * GET /api/diagnosis/:workId — the work's diagnosis row, or `null` when none.
+ * GET /api/diagnosis/:workId?stage= — the work's initial or final diagnosis row,
+ * or `null` when none.
  * DELIBERATELY schema-less: the endpoint returns the row or literal `null` (the
  * "no diagnosis yet" signal), not the sendSuccess envelope, so it carries no
  * contract response. Tolerant like the legacy `.catch(() => null)` read — any
  * failure resolves to `null` and the read doesn't retry.
  */
-export const diagnosisQuery = (workId: Id) =>
+export const diagnosisQuery = (workId: Id, stage: workContract.DiagnosisStage = 'initial') =>
   queryOptions({
-    queryKey: qk.work.diagnosis(workId),
+    queryKey: qk.work.diagnosis(workId, stage),
     queryFn: async ({ signal }) => {
       try {
         // eslint-disable-next-line no-restricted-syntax -- raw literal-null signal; no contract response
-        return await fetchJSON<Record<string, unknown> | null>(`/api/diagnosis/${workId}`, {
+        return await fetchJSON<Record<string, unknown> | null>(`/api/diagnosis/${workId}?stage=${stage}`, {
           signal,
         });
       } catch {
@@ -1081,6 +1280,17 @@ export const diagnosisQuery = (workId: Id) =>
     retry: false,
   });
 
+/** GET /api/works/:workId/cephalometrics — both diagnoses classified against the norms. */
+export const workCephalometricsQuery = (workId: Id) =>
+  queryOptions({
+    queryKey: qk.work.cephalometrics(workId),
+    queryFn: ({ signal }) =>
+      fetchJSON<cephContract.WorkCephalometrics>(`/api/works/${workId}/cephalometrics`, {
+        signal,
+        schema: cephContract.workCephalometrics.response,
+      }),
+  });
+
 // ---------------------------------------------------------------------------
 // Aligner — admin doctors / archform / search
 // ---------------------------------------------------------------------------
@@ -1096,6 +1306,28 @@ export const alignerDoctorsAdminQuery = () =>
       }),
   });
 
+/** GET /api/aligner-doctors/:drID/portal — the doctor's aligner-portal login status. */
+export const alignerDoctorPortalQuery = (drId: Id) =>
+  queryOptions({
+    queryKey: qk.aligner.doctorPortal(drId),
+    queryFn: ({ signal }) =>
+      fetchJSON<alignerContract.DoctorPortalStatus>(`/api/aligner-doctors/${drId}/portal`, {
+        signal,
+        schema: alignerContract.doctorPortalStatus.response,
+      }),
+  });
+
+/** GET /api/aligner-doctors/:drID/statement?month=YYYY-MM — the doctor's monthly aligner statement. */
+export const alignerDoctorStatementQuery = (drId: Id, month: string) =>
+  queryOptions({
+    queryKey: qk.aligner.doctorStatement(drId, month),
+    queryFn: ({ signal }) =>
+      fetchJSON<alignerStatementContract.DoctorAlignerStatement>(
+        `/api/aligner-doctors/${drId}/statement?month=${encodeURIComponent(month)}`,
+        { signal, schema: alignerStatementContract.getDoctorStatement.response }
+      ),
+  });
+
 /** GET /api/aligner/archform/patients — unmatched Archform patients. */
 export const archformPatientsQuery = () =>
   queryOptions({
@@ -1287,6 +1519,155 @@ export const labCaseQuery = (id: Id) =>
       }),
   });
 
+/** GET /api/lab-cases/analytics?… — turnaround metrics + cases over SLA (Analytics view). */
+export const labCaseAnalyticsQuery = (filters: labCaseContract.LabCaseAnalyticsQuery = {}) =>
+  queryOptions({
+    queryKey: qk.labCases.analytics(filters),
+    queryFn: ({ signal }) => {
+      const params = new URLSearchParams();
+      if (filters.labId) params.set('labId', String(filters.labId));
+      if (filters.from) params.set('from', filters.from);
+      if (filters.to) params.set('to', filters.to);
+      const qs = params.toString();
+      return fetchJSON<z.infer<typeof labCaseContract.labCaseAnalytics.response>>(
+        `/api/lab-cases/analytics${qs ? `?${qs}` : ''}`,
+        { signal, schema: labCaseContract.labCaseAnalytics.response }
+      );
+    },
+  });
+
+/** GET /api/lab-cases/sla-settings — per-stage SLA days + alerts on/off. */
+export const labSlaSettingsQuery = () =>
+  queryOptions({
+    queryKey: qk.labCases.slaSettings(),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof labCaseContract.slaSettings.response>>('/api/lab-cases/sla-settings', {
+        signal,
+        schema: labCaseContract.slaSettings.response,
+      }),
+  });
+
+/** GET /api/lab-price-list?labId= — active lab prices. */
+export const labPricesQuery = (filters: labBillingContract.ListLabPricesQuery = {}) =>
+  queryOptions({
+    queryKey: qk.labCases.prices(filters),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof labBillingContract.listLabPrices.response>>(
+        `/api/lab-price-list${filters.labId ? `?labId=${filters.labId}` : ''}`,
+        { signal, schema: labBillingContract.listLabPrices.response }
+      ),
+  });
+
+/** GET /api/lab-statements?month=&labId= — the month's lab statements + charges (Billing view). */
+export const labStatementsQuery = (filters: labBillingContract.MonthlyLabStatementsQuery) =>
+  queryOptions({
+    queryKey: qk.labCases.statements(filters),
+    queryFn: ({ signal }) => {
+      const params = new URLSearchParams({ month: filters.month });
+      if (filters.labId) params.set('labId', String(filters.labId));
+      return fetchJSON<z.infer<typeof labBillingContract.monthlyLabStatements.response>>(
+        `/api/lab-statements?${params.toString()}`,
+        { signal, schema: labBillingContract.monthlyLabStatements.response }
+      );
+    },
+  });
+
+// ---------------------------------------------------------------------------
+// Appointment wait-list
+// ---------------------------------------------------------------------------
+
+/** GET /api/waitlist?scope=&personId= — open entries (oldest first) or the full history. */
+export const waitlistQuery = (filters: waitlistContract.ListWaitlistQuery = {}) =>
+  queryOptions({
+    queryKey: qk.waitlist.list(filters),
+    queryFn: ({ signal }) => {
+      const params = new URLSearchParams();
+      if (filters.scope) params.set('scope', filters.scope);
+      if (filters.personId) params.set('personId', String(filters.personId));
+      const qs = params.toString();
+      return fetchJSON<z.infer<typeof waitlistContract.listWaitlist.response>>(
+        `/api/waitlist${qs ? `?${qs}` : ''}`,
+        { signal, schema: waitlistContract.listWaitlist.response }
+      );
+    },
+  });
+
+// ---------------------------------------------------------------------------
+// WhatsApp inbox
+// ---------------------------------------------------------------------------
+
+/** GET /api/wa/inbox/threads?search=&unread= — conversations, most recent first. */
+export const whatsappInboxThreadsQuery = (filters: whatsappInboxContract.ListThreadsQuery = {}) =>
+  queryOptions({
+    queryKey: qk.whatsappInbox.threads(filters),
+    queryFn: ({ signal }) => {
+      const params = new URLSearchParams();
+      if (filters.search) params.set('search', filters.search);
+      if (filters.unread) params.set('unread', filters.unread);
+      const qs = params.toString();
+      return fetchJSON<z.infer<typeof whatsappInboxContract.listThreads.response>>(
+        `/api/wa/inbox/threads${qs ? `?${qs}` : ''}`,
+        { signal, schema: whatsappInboxContract.listThreads.response }
+      );
+    },
+  });
+
+/** GET /api/wa/inbox/threads/:id — one conversation with its latest messages. */
+export const whatsappInboxThreadQuery = (threadId: number | null) =>
+  queryOptions({
+    queryKey: qk.whatsappInbox.thread(threadId ?? 0),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof whatsappInboxContract.getThread.response>>(`/api/wa/inbox/threads/${threadId}`, {
+        signal,
+        schema: whatsappInboxContract.getThread.response,
+      }),
+    enabled: !!threadId,
+  });
+
+/** GET /api/wa/inbox/unread — unread totals for the header badge. */
+export const whatsappInboxUnreadQuery = () =>
+  queryOptions({
+    queryKey: qk.whatsappInbox.unread(),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof whatsappInboxContract.unreadTotals.response>>('/api/wa/inbox/unread', {
+        signal,
+        schema: whatsappInboxContract.unreadTotals.response,
+      }),
+  });
+
+// ---------------------------------------------------------------------------
+// Audit trail
+// ---------------------------------------------------------------------------
+
+/** GET /api/patients/:personId/history?beforeId= — one page of the patient's History panel. */
+export const patientHistoryQuery = (personId: number | string, beforeId: number | null = null) =>
+  queryOptions({
+    queryKey: qk.patient.history(personId, beforeId),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof auditContract.patientHistory.response>>(
+        `/api/patients/${personId}/history${beforeId ? `?beforeId=${beforeId}` : ''}`,
+        { signal, schema: auditContract.patientHistory.response }
+      ),
+    enabled: !!personId,
+  });
+
+/** GET /api/audit-log?… — one page of the admin audit search. */
+export const auditLogQuery = (filters: auditContract.SearchAuditLogQuery = {}) =>
+  queryOptions({
+    queryKey: qk.audit.search(filters),
+    queryFn: ({ signal }) => {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(filters)) {
+        if (value !== undefined && value !== '') params.set(key, String(value));
+      }
+      const qs = params.toString();
+      return fetchJSON<z.infer<typeof auditContract.searchAuditLog.response>>(
+        `/api/audit-log${qs ? `?${qs}` : ''}`,
+        { signal, schema: auditContract.searchAuditLog.response }
+      );
+    },
+  });
+
 // ---------------------------------------------------------------------------
 // Settings — options / email + database config / status polls
 // ---------------------------------------------------------------------------
@@ -1357,6 +1738,75 @@ export const tvDisplayQuery = () =>
     staleTime: 0,
   });
 
+/** GET /api/wire-protocols — every wire sequence protocol with its steps, active first. */
+export const wireProtocolsQuery = () =>
+  queryOptions({
+    queryKey: qk.settings.wireProtocols(),
+    queryFn: ({ signal }) =>
+      fetchJSON<wireProtocolContract.WireProtocol[]>('/api/wire-protocols', {
+        signal,
+        schema: wireProtocolContract.listProtocols.response,
+      }),
+  });
+
+/** GET /api/ceph-norms — every cephalometric norm, in the Diagnosis form's measure order. */
+export const cephNormsQuery = () =>
+  queryOptions({
+    queryKey: qk.settings.cephNorms(),
+    queryFn: ({ signal }) =>
+      fetchJSON<cephContract.CephNorm[]>('/api/ceph-norms', {
+        signal,
+        schema: cephContract.listNorms.response,
+      }),
+  });
+
+/** GET /api/message-templates — every patient message type with its saved / built-in texts. */
+export const messageTemplatesQuery = () =>
+  queryOptions({
+    queryKey: qk.settings.messageTemplates(),
+    queryFn: ({ signal }) =>
+      fetchJSON<z.infer<typeof messageTemplateContract.listTemplates.response>>('/api/message-templates', {
+        signal,
+        schema: messageTemplateContract.listTemplates.response,
+      }),
+  });
+
+/**
+ * POST /api/message-templates/preview — a draft rendered with the type's sample
+ * values. Side-effect free, so it is cached per draft text like a read.
+ */
+export const messageTemplatePreviewQuery = (draft: messageTemplateContract.PreviewTemplateBody) =>
+  queryOptions({
+    queryKey: qk.settings.messageTemplatePreview(draft.key, draft.language, draft.body),
+    queryFn: ({ signal }) =>
+      postJSON<z.infer<typeof messageTemplateContract.previewTemplate.response>>('/api/message-templates/preview', draft, {
+        signal,
+        schema: messageTemplateContract.previewTemplate.response,
+      }),
+  });
+
+/** GET /api/outbound-messages?status= — the outbound message queue, newest first (all statuses when omitted). */
+export const outboundMessagesQuery = (status?: outboundMessageContract.OutboundStatus) =>
+  queryOptions({
+    queryKey: qk.settings.outboundMessages(status ?? 'all'),
+    queryFn: ({ signal }) =>
+      fetchJSON<outboundMessageContract.OutboundMessage[]>(
+        status ? `/api/outbound-messages?status=${status}` : '/api/outbound-messages',
+        { signal, schema: outboundMessageContract.listMessages.response }
+      ),
+  });
+
+/** GET /api/outbound-messages/summary — count per status. */
+export const outboundSummaryQuery = () =>
+  queryOptions({
+    queryKey: qk.settings.outboundSummary(),
+    queryFn: ({ signal }) =>
+      fetchJSON<outboundMessageContract.OutboundSummary>('/api/outbound-messages/summary', {
+        signal,
+        schema: outboundMessageContract.summary.response,
+      }),
+  });
+
 /** GET /api/email/config — SMTP configuration. */
 export const emailConfigQuery = () =>
   queryOptions({
@@ -1513,6 +1963,28 @@ export const supabaseStatusQuery = () =>
     queryFn: ({ signal }) => fetchJSON<SyncSinkStatusResponse>('/api/sync/supabase-status', { signal }),
   });
 
+/** GET /api/sync/conflicts?status= — open conflicts oldest first, or the latest resolved. */
+export const syncConflictsQuery = (status: syncConflictContract.SyncConflictStatus) =>
+  queryOptions({
+    queryKey: qk.settings.syncConflicts(status),
+    queryFn: ({ signal }) =>
+      fetchJSON<syncConflictContract.SyncConflict[]>(`/api/sync/conflicts?status=${status}`, {
+        signal,
+        schema: syncConflictContract.listSyncConflicts.response,
+      }),
+  });
+
+/** GET /api/config/database/backups — schedule, backups on disk, restore check. */
+export const backupStatusQuery = () =>
+  queryOptions({
+    queryKey: qk.settings.backups(),
+    queryFn: ({ signal }) =>
+      fetchJSON<backupContract.BackupStatus>('/api/config/database/backups', {
+        signal,
+        schema: backupContract.getBackupStatus.response,
+      }),
+  });
+
 /** GET /api/sync/dolphin-status — Dolphin sink health. */
 export const dolphinStatusQuery = () =>
   queryOptions({
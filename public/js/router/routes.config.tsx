@@ -114,6 +114,7 @@ const StandInventory = React.lazy(() => import('../routes/StandInventory'));
 const StandPOS = React.lazy(() => import('../routes/StandPOS'));
 const StandSalesHistory = React.lazy(() => import('../routes/StandSalesHistory'));
 const StandReports = React.lazy(() => import('../routes/StandReports'));
+const StandPurchasing = React.lazy(() => import('../routes/StandPurchasing'));
 
 // Lazy-loaded route components - Appointments & WhatsApp
 const DailyAppointments = lazyRoute(() => import('../routes/DailyAppointments'));
@@ -121,6 +122,7 @@ const Calendar = React.lazy(() => import('../routes/Calendar'));
 const WhatsAppSend = React.lazy(() => import('../routes/WhatsAppSend'));
 const SendMessage = React.lazy(() => import('../components/react/SendMessage'));
 const WhatsAppAuth = React.lazy(() => import('../routes/WhatsAppAuth'));
+const WhatsAppInbox = React.lazy(() => import('../routes/WhatsAppInbox'));
 
 /**
  * Route configuration array for createBrowserRouter
@@ -475,6 +477,14 @@ export const routesConfig: RouteObject[] = [
           </RouteErrorBoundary>
         ),
       },
+      {
+        path: '/stand/purchasing',
+        element: (
+          <RouteErrorBoundary routeName="Stand Purchasing">
+            <StandPurchasing />
+          </RouteErrorBoundary>
+        ),
+      },
 
       // ============================================================
       // MESSAGING & APPOINTMENTS
@@ -535,6 +545,16 @@ export const routesConfig: RouteObject[] = [
         // No loader - 100% SSE-driven real-time data
       },
 
+      // WhatsApp Inbox (SSE-driven: whatsapp_inbox_updated invalidates the reads)
+      {
+        path: '/inbox',
+        element: (
+          <RouteErrorBoundary routeName="WhatsApp Inbox">
+            <WhatsAppInbox />
+          </RouteErrorBoundary>
+        ),
+      },
+
       // ============================================================
       // ALL ROUTES MIGRATED!
       // ============================================================
@@ -7,17 +7,28 @@ import type { LabCaseBoardRow, ListLabCasesQuery } from '@shared/contracts/lab-c
 import LabFilters from '../components/react/lab-tracking/LabFilters';
 import LabBoard from '../components/react/lab-tracking/LabBoard';
 import LabCaseModal from '../components/react/lab-tracking/LabCaseModal';
+import LabAnalytics from '../components/react/lab-tracking/LabAnalytics';
+import LabBilling from '../components/react/lab-tracking/LabBilling';
 import styles from './LabTracking.module.css';
 
+/** The fields LabCaseModal needs — both a board row and an overdue analytics row carry them. */
+type OpenCase = Pick<LabCaseBoardRow, 'id' | 'work_id' | 'work_item_id' | 'lab_id' | 'material'>;
+
 /**
  * The lab case tracker dashboard — one board column per open stage, with
  * stage/lab/overdue/search filters synced to the URL (deep-linkable, and
  * survives back/forward like the DailyAppointments doctor filter). English-only
  * in v1 (untranslated routes stay LTR automatically); only the dashboard tile
- * that links here is bilingual.
+ * that links here is bilingual. `?view=analytics` swaps the board for the
+ * turnaround analytics + SLA settings, `?view=billing` for the monthly lab
+ * statements + price list.
  */
 export default function LabTracking() {
     const [searchParams, setSearchParams] = useSearchParams();
+    const view = searchParams.get('view');
+    const isAnalytics = view === 'analytics';
+    const isBilling = view === 'billing';
+    const isBoard = !isAnalytics && !isBilling;
 
     const filters: ListLabCasesQuery = useMemo(() => ({
         status: (searchParams.get('status') as ListLabCasesQuery['status']) || undefined,
@@ -38,17 +49,49 @@ export default function LabTracking() {
     const { data: cases, isLoading, isError, refetch } = useLabCasesBoard(filters);
     const { data: labs } = useQuery(labsQuery());
 
-    const [selected, setSelected] = useState<LabCaseBoardRow | null>(null);
+    const [selected, setSelected] = useState<OpenCase | null>(null);
 
     return (
         <div className={styles.page}>
             <div className={styles.header}>
                 <h1>Lab Case Tracker</h1>
+                <div className={styles.viewToggle} role="group" aria-label="View">
+                    <button
+                        type="button"
+                        className={`btn btn-sm ${isBoard ? 'btn-primary' : 'btn-secondary'}`}
+                        aria-pressed={isBoard}
+                        onClick={() => setSearchParams(new URLSearchParams())}
+                    >
+                        <i className="fas fa-columns" aria-hidden="true" /> Board
+                    </button>
+                    <button
+                        type="button"
+                        className={`btn btn-sm ${isAnalytics ? 'btn-primary' : 'btn-secondary'}`}
+                        aria-pressed={isAnalytics}
+                        onClick={() => setSearchParams(new URLSearchParams({ view: 'analytics' }))}
+                    >
+                        <i className="fas fa-chart-bar" aria-hidden="true" /> Analytics
+                    </button>
+                    <button
+                        type="button"
+                        className={`btn btn-sm ${isBilling ? 'btn-primary' : 'btn-secondary'}`}
+                        aria-pressed={isBilling}
+                        onClick={() => setSearchParams(new URLSearchParams({ view: 'billing' }))}
+                    >
+                        <i className="fas fa-file-invoice-dollar" aria-hidden="true" /> Billing
+                    </button>
+                </div>
             </div>
 
-            <LabFilters filters={filters} labs={labs ?? []} onChange={handleFiltersChange} />
+            {isAnalytics ? (
+                <LabAnalytics labs={labs ?? []} onOpen={setSelected} />
+            ) : isBilling ? (
+                <LabBilling labs={labs ?? []} />
+            ) : (
+                <LabFilters filters={filters} labs={labs ?? []} onChange={handleFiltersChange} />
+            )}
 
-            {isLoading ? (
+            {!isBoard ? null : isLoading ? (
                 <div className={styles.stateMsg}>Loading cases…</div>
             ) : isError ? (
                 <div className={styles.stateMsg}>
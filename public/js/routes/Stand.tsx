@@ -100,6 +100,13 @@ export default function Stand() {
             <p>View and void past sales</p>
           </div>
         </button>
+        <button className={styles.navCard} onClick={() => navigate('/stand/purchasing')}>
+          <div className={styles.navCardIcon}><i className="fas fa-truck"></i></div>
+          <div className={styles.navCardText}>
+            <h3>Purchasing</h3>
+            <p>Suppliers, purchase orders, receiving</p>
+          </div>
+        </button>
         <button className={styles.navCard} onClick={() => navigate('/stand/reports')}>
           <div className={styles.navCardIcon}><i className="fas fa-chart-line"></i></div>
           <div className={styles.navCardText}>
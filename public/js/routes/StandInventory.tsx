@@ -3,7 +3,7 @@ import {
   useStandItems,
   useStandItemMutations,
 } from '../hooks/useStand';
-import type { StandItem, StandItemFilters, StandItemCreateData } from '../hooks/useStand';
+import type { StandItem, StandItemFilters, StandItemCreateData, RestockLot } from '../hooks/useStand';
 
 const MODAL_STATE_KEY = 'standInventory.modalState';
 
@@ -125,10 +125,10 @@ export default function StandInventory() {
     }
   };
 
-  const handleConfirmRestock = async (quantity: number, unitCost: number) => {
+  const handleConfirmRestock = async (quantity: number, unitCost: number, lot: RestockLot) => {
     if (!restockTarget) return;
     try {
-      await restockItem(restockTarget.item_id, quantity, unitCost);
+      await restockItem(restockTarget.item_id, quantity, unitCost, lot);
       toast.success('Item restocked successfully');
       setRestockTarget(null);
     } catch (err) {
@@ -8,7 +8,7 @@ import POSCart from '../components/stand/POSCart';
 import POSCheckout from '../components/stand/POSCheckout';
 import Modal from '../components/react/Modal';
 import { useToast } from '../contexts/ToastContext';
-import { httpErrorMessage } from '@/core/http';
+import { httpErrorMessage, postJSON } from '@/core/http';
 import { formatNumber } from '../utils/formatters';
 import styles from './StandPOS.module.css';
 
@@ -24,7 +24,7 @@ export default function StandPOS() {
   const { createSale, loading: saleLoading } = useStandSaleMutations();
 
   const [cart, setCart] = useState<CartItem[]>([]);
-  const [lastSale, setLastSale] = useState<{ change: number; saleId: number } | null>(null);
+  const [lastSale, setLastSale] = useState<{ change: number; saleId: number; personId: number | null } | null>(null);
 
   const total = cart.reduce((sum, ci) => sum + ci.item.sell_price * ci.quantity, 0);
 
@@ -99,7 +99,7 @@ export default function StandPOS() {
         personId,
       });
 
-      setLastSale({ change: result.change, saleId: result.saleId });
+      setLastSale({ change: result.change, saleId: result.saleId, personId });
       setCart([]);
       toast.success('Sale completed!');
     } catch (err) {
@@ -107,6 +107,20 @@ export default function StandPOS() {
     }
   };
 
+  const sendReceiptWhatsApp = async (saleId: number) => {
+    try {
+      // Flat { success, messageId } / { success:false, message } at HTTP 200 → passthrough.
+      const result = await postJSON<{ success: boolean; message?: string }>('/api/wa/send-stand-receipt', { saleId });
+      if (result.success) {
+        toast.success('Receipt sent via WhatsApp');
+      } else {
+        toast.warning(result.message || 'Failed to send receipt via WhatsApp');
+      }
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to send receipt via WhatsApp'));
+    }
+  };
+
   return (
     <div className={styles.posContainer}>
       <div className={styles.pageHeader}>
@@ -156,6 +170,17 @@ export default function StandPOS() {
               </div>
             )}
             <div className={styles.successActions}>
+              <button
+                className="btn btn-secondary"
+                onClick={() => window.open(`/api/templates/receipt/stand/${lastSale.saleId}?autoprint=1`, '_blank')}
+              >
+                <i className="fas fa-print"></i> Print Receipt
+              </button>
+              {lastSale.personId !== null && (
+                <button className="btn btn-secondary" onClick={() => sendReceiptWhatsApp(lastSale.saleId)}>
+                  <i className="fab fa-whatsapp"></i> WhatsApp
+                </button>
+              )}
               <button className="btn btn-secondary" onClick={() => navigate('/stand')}>
                 Back to Stand
               </button>
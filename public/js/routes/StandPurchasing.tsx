@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { useStandPurchaseOrders, useReorderSuggestions, type PurchaseOrderStatus } from '../hooks/useStandPurchasing';
+import PurchaseOrderFormModal from '../components/stand/PurchaseOrderFormModal';
+import PurchaseOrderDetailModal from '../components/stand/PurchaseOrderDetailModal';
+import SupplierManagerModal from '../components/stand/SupplierManagerModal';
+import { PO_STATUS_LABELS, formatPoDate } from '../components/stand/purchaseOrderStatus';
+import { formatNumber } from '../utils/formatters';
+import { httpErrorMessage } from '@/core/http';
+import styles from './StandPurchasing.module.css';
+
+const STATUS_CLASS: Record<PurchaseOrderStatus, string> = {
+  draft: styles.statusDraft,
+  ordered: styles.statusOrdered,
+  partial: styles.statusPartial,
+  received: styles.statusReceived,
+  cancelled: styles.statusCancelled,
+};
+
+export default function StandPurchasing() {
+  const [status, setStatus] = useState<PurchaseOrderStatus | ''>('');
+  const { data: orders = [], isLoading, error, refetch } = useStandPurchaseOrders(status ? { status } : {});
+  const { data: suggestions = [] } = useReorderSuggestions();
+
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [isSuppliersOpen, setIsSuppliersOpen] = useState(false);
+  const [detailId, setDetailId] = useState<number | null>(null);
+
+  return (
+    <div className={styles.purchasingContainer}>
+      <div className={styles.pageHeader}>
+        <h1>Stand Purchasing</h1>
+        <div className={styles.headerActions}>
+          <button className="btn btn-secondary" onClick={() => setIsSuppliersOpen(true)}>
+            <i className="fas fa-truck"></i> Suppliers
+          </button>
+          <button className="btn btn-primary" onClick={() => setIsFormOpen(true)}>
+            <i className="fas fa-file-circle-plus"></i> New Order
+            {suggestions.length > 0 && <span className={styles.badge}>{suggestions.length}</span>}
+          </button>
+        </div>
+      </div>
+
+      <div className={styles.filters}>
+        <label className={styles.filterLabel}>
+          Status
+          <select
+            className={styles.filterSelect}
+            value={status}
+            onChange={(e) => setStatus(e.target.value as PurchaseOrderStatus | '')}
+          >
+            <option value="">All</option>
+            {Object.entries(PO_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {suggestions.length > 0 && (
+          <span className={styles.hint}>
+            {suggestions.length} low-stock item{suggestions.length === 1 ? '' : 's'} not on order yet
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className={styles.errorBanner}>
+          <p>Error loading purchase orders: {httpErrorMessage(error, 'Failed to fetch purchase orders')}</p>
+          <button onClick={() => void refetch()} className="btn btn-secondary">Retry</button>
+        </div>
+      )}
+
+      <div className={styles.tableWrapper}>
+        <table className={styles.ordersTable}>
+          <thead>
+            <tr>
+              <th>PO</th>
+              <th>Supplier</th>
+              <th>Status</th>
+              <th>Created</th>
+              <th>Expected</th>
+              <th className={styles.num}>Lines</th>
+              <th className={styles.num}>Ordered</th>
+              <th className={styles.num}>Received</th>
+              <th className={styles.num}>Invoiced</th>
+            </tr>
+          </thead>
+          <tbody>
+            {isLoading ? (
+              <tr>
+                <td colSpan={9} className={styles.emptyCell}>Loading…</td>
+              </tr>
+            ) : orders.length === 0 ? (
+              <tr>
+                <td colSpan={9} className={styles.emptyCell}>No purchase orders yet.</td>
+              </tr>
+            ) : (
+              orders.map((o) => (
+                <tr key={o.po_id} className={styles.clickableRow} onClick={() => setDetailId(o.po_id)}>
+                  <td>
+                    <button type="button" className={styles.poLink} onClick={() => setDetailId(o.po_id)}>
+                      #{o.po_id}
+                    </button>
+                  </td>
+                  <td>{o.supplier_name}</td>
+                  <td>
+                    <span className={`${styles.statusBadge} ${STATUS_CLASS[o.status]}`}>{PO_STATUS_LABELS[o.status]}</span>
+                  </td>
+                  <td>{formatPoDate(o.created_at)}</td>
+                  <td>{formatPoDate(o.expected_date)}</td>
+                  <td className={styles.num}>{o.line_count}</td>
+                  <td className={styles.num}>{formatNumber(o.ordered_value)}</td>
+                  <td className={styles.num}>{formatNumber(o.received_value)}</td>
+                  <td className={styles.num}>{formatNumber(o.invoiced_value)}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <PurchaseOrderFormModal
+        isOpen={isFormOpen}
+        onClose={() => setIsFormOpen(false)}
+        onCreated={(poId) => setDetailId(poId)}
+      />
+
+      <PurchaseOrderDetailModal poId={detailId} onClose={() => setDetailId(null)} />
+
+      <SupplierManagerModal isOpen={isSuppliersOpen} onClose={() => setIsSuppliersOpen(false)} />
+    </div>
+  );
+}
@@ -1,7 +1,11 @@
 import { useState } from 'react';
 import { useStandReportSummary, useTopSellingItems } from '../hooks/useStand';
+import { useStandMarginReport, useWriteOffExpiredLots } from '../hooks/useStandLots';
 import SalesTrendChart from '../components/stand/SalesTrendChart';
 import TopItemsChart from '../components/stand/TopItemsChart';
+import { useConfirm } from '../contexts/ConfirmContext';
+import { useToast } from '../contexts/ToastContext';
+import { httpErrorMessage } from '@/core/http';
 import { formatNumber } from '../utils/formatters';
 import styles from './StandReports.module.css';
 
@@ -28,17 +32,42 @@ export default function StandReports() {
 
   const { data: reportData, loading, error: reportError } = useStandReportSummary(startDate, endDate);
   const { items: topItems, error: topError } = useTopSellingItems(startDate, endDate, 10);
+  const { data: margins = [], error: marginsError } = useStandMarginReport(startDate, endDate);
+  const writeOff = useWriteOffExpiredLots();
+  const confirm = useConfirm();
+  const toast = useToast();
+
+  const handleWriteOff = async () => {
+    const ok = await confirm('Take every lot that expired before today out of stock?', {
+      title: 'Write Off Expired Stock',
+    });
+    if (!ok) return;
+    try {
+      const result = await writeOff.mutateAsync();
+      toast.success(
+        result.lotCount === 0
+          ? 'No expired stock to write off'
+          : `Wrote off ${formatNumber(result.quantity)} units from ${result.lotCount} lot(s) — ${formatNumber(result.totalCost)} IQD`
+      );
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to write off expired stock'));
+    }
+  };
 
   // Compute summary totals from daily data
   const totalRevenue = reportData?.salesSummary.reduce((s, r) => s + r.Revenue, 0) ?? 0;
   const totalProfit = reportData?.salesSummary.reduce((s, r) => s + r.Profit, 0) ?? 0;
   const totalPurchases = reportData?.purchases.totalPurchases ?? 0;
   const netProfit = totalProfit - totalPurchases;
+  const totalWrittenOff = margins.reduce((s, r) => s + r.written_off_cost, 0);
 
   return (
     <div className={styles.reportsContainer}>
       <div className={styles.pageHeader}>
         <h1>Stand Reports</h1>
+        <button className="btn btn-secondary" onClick={() => void handleWriteOff()} disabled={writeOff.isPending}>
+          <i className="fas fa-calendar-xmark"></i> Write Off Expired
+        </button>
       </div>
 
       <div className={styles.filterRow}>
@@ -75,6 +104,10 @@ export default function StandReports() {
               <h3>Net Profit</h3>
               <p className={styles.value}>{formatNumber(netProfit)} IQD</p>
             </div>
+            <div className={`${styles.summaryCard} ${styles.writeOffCard}`}>
+              <h3>Expired Write-offs</h3>
+              <p className={styles.value}>{formatNumber(totalWrittenOff)} IQD</p>
+            </div>
           </div>
 
           <div className={styles.chartsGrid}>
@@ -91,6 +124,52 @@ export default function StandReports() {
               )}
             </div>
           </div>
+
+          <div className={styles.chartPanel}>
+            <h2>Gross Margin by Item</h2>
+            {marginsError ? (
+              <div className={styles.loadingState}>
+                {httpErrorMessage(marginsError, 'Failed to fetch margin report')}
+              </div>
+            ) : margins.length === 0 ? (
+              <div className={styles.loadingState}>No sales or write-offs in this period.</div>
+            ) : (
+              <div className={styles.tableWrapper}>
+                <table className={styles.marginTable}>
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th className={styles.num}>Sold</th>
+                      <th className={styles.num}>Revenue</th>
+                      <th className={styles.num}>Cost of Goods</th>
+                      <th className={styles.num}>Gross Profit</th>
+                      <th className={styles.num}>Margin</th>
+                      <th className={styles.num}>Written Off</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {margins.map((r) => (
+                      <tr key={r.item_id}>
+                        <td>{r.item_name}</td>
+                        <td className={styles.num}>{formatNumber(r.quantity_sold)}</td>
+                        <td className={styles.num}>{formatNumber(r.revenue)}</td>
+                        <td className={styles.num}>{formatNumber(r.cogs)}</td>
+                        <td className={`${styles.num} ${r.gross_profit < 0 ? styles.negative : ''}`}>
+                          {formatNumber(r.gross_profit)}
+                        </td>
+                        <td className={styles.num}>{r.margin_pct != null ? `${r.margin_pct}%` : '—'}</td>
+                        <td className={styles.num}>
+                          {r.written_off_quantity > 0
+                            ? `${formatNumber(r.written_off_quantity)} (${formatNumber(r.written_off_cost)} IQD)`
+                            : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
         </>
       )}
     </div>
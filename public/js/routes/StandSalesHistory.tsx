@@ -1,10 +1,13 @@
 import { useState } from 'react';
-import { useStandSales, useStandSale, useStandSaleMutations } from '../hooks/useStand';
+import { useStandSales, useStandSale, useStandSaleReturns, useStandSaleMutations } from '../hooks/useStand';
+import type { ReturnSaleBody } from '../hooks/useStand';
 import SalesHistoryTable from '../components/stand/SalesHistoryTable';
 import SaleDetailModal from '../components/stand/SaleDetailModal';
+import ReturnItemsModal from '../components/stand/ReturnItemsModal';
 import Modal from '../components/react/Modal';
 import { useToast } from '../contexts/ToastContext';
-import { httpErrorMessage } from '@/core/http';
+import { httpErrorMessage, postJSON } from '@/core/http';
+import { formatNumber } from '../utils/formatters';
 import styles from './StandSalesHistory.module.css';
 
 function formatDateString(date: Date): string {
@@ -37,6 +40,7 @@ export default function StandSalesHistory() {
   const [voidSaleId, setVoidSaleId] = useState<number | null>(null);
   const [voidReason, setVoidReason] = useState('');
   const [voiding, setVoiding] = useState(false);
+  const [returnOpen, setReturnOpen] = useState(false);
 
   const { sales, loading, error, refetch } = useStandSales({ startDate: appliedStart, endDate: appliedEnd });
 
@@ -45,7 +49,8 @@ export default function StandSalesHistory() {
     setAppliedEnd(endDate);
   };
   const { sale: viewSale, loading: saleLoading } = useStandSale(viewSaleId);
-  const { voidSale } = useStandSaleMutations();
+  const { returns: viewReturns } = useStandSaleReturns(viewSaleId);
+  const { voidSale, returnItems } = useStandSaleMutations();
 
   const handleVoid = (saleId: number) => {
     setVoidSaleId(saleId);
@@ -73,6 +78,31 @@ export default function StandSalesHistory() {
     }
   };
 
+  const submitReturn = async (data: ReturnSaleBody) => {
+    if (viewSaleId === null) return;
+    try {
+      const result = await returnItems(viewSaleId, data);
+      toast.success(`Items returned — refund ${formatNumber(result.refundAmount)} IQD`);
+      setReturnOpen(false);
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to return items'));
+    }
+  };
+
+  const sendWhatsApp = async (saleId: number) => {
+    try {
+      // Flat { success, messageId } / { success:false, message } at HTTP 200 → passthrough.
+      const result = await postJSON<{ success: boolean; message?: string }>('/api/wa/send-stand-receipt', { saleId });
+      if (result.success) {
+        toast.success('Receipt sent via WhatsApp');
+      } else {
+        toast.warning(result.message || 'Failed to send receipt via WhatsApp');
+      }
+    } catch (err) {
+      toast.error(httpErrorMessage(err, 'Failed to send receipt via WhatsApp'));
+    }
+  };
+
   return (
     <div className={styles.salesContainer}>
       <div className={styles.pageHeader}>
@@ -118,9 +148,19 @@ export default function StandSalesHistory() {
       <SaleDetailModal
         isOpen={!!viewSaleId}
         sale={viewSale}
+        returns={viewReturns}
         loading={saleLoading}
         onClose={() => setViewSaleId(null)}
         onVoid={handleVoid}
+        onReturn={() => setReturnOpen(true)}
+        onSendWhatsApp={sendWhatsApp}
+      />
+
+      <ReturnItemsModal
+        isOpen={returnOpen && !!viewSale}
+        sale={viewSale}
+        onClose={() => setReturnOpen(false)}
+        onSave={submitReturn}
       />
 
       {voidSaleId !== null && (
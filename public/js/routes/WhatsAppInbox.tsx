@@ -0,0 +1,67 @@
+/**
+ * WhatsApp Inbox Page
+ * The shared inbox of patients' messages to the clinic WhatsApp number: the
+ * conversations on the left, the open one on the right (`?thread=<id>` so a
+ * conversation can be linked to). Live over the WhatsApp SSE stream.
+ */
+import { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useInboxThreads, useWhatsAppInboxLive } from '../hooks/useWhatsAppInbox';
+import ThreadList from '../components/whatsapp-inbox/ThreadList';
+import ConversationPanel from '../components/whatsapp-inbox/ConversationPanel';
+import styles from './WhatsAppInbox.module.css';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+export default function WhatsAppInbox() {
+  useWhatsAppInboxLive();
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedId = Number(searchParams.get('thread')) || null;
+
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [unreadOnly, setUnreadOnly] = useState(false);
+
+  useEffect(() => {
+    const handle = setTimeout(() => setDebouncedSearch(search.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(handle);
+  }, [search]);
+
+  const { data: threads = [], isLoading } = useInboxThreads({
+    ...(debouncedSearch ? { search: debouncedSearch } : {}),
+    ...(unreadOnly ? { unread: 'true' as const } : {}),
+  });
+
+  const selectThread = (threadId: number) => {
+    setSearchParams({ thread: String(threadId) }, { replace: true });
+  };
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.pageHeader}>
+        <h1>
+          <i className="fab fa-whatsapp" aria-hidden="true"></i>
+          WhatsApp Inbox
+        </h1>
+        <Link to="/send" className="btn btn-secondary">
+          <i className="fas fa-paper-plane"></i> Reminders
+        </Link>
+      </div>
+
+      <div className={styles.layout}>
+        <ThreadList
+          threads={threads}
+          isLoading={isLoading}
+          selectedId={selectedId}
+          onSelect={selectThread}
+          search={search}
+          onSearchChange={setSearch}
+          unreadOnly={unreadOnly}
+          onUnreadOnlyChange={setUnreadOnly}
+        />
+        <ConversationPanel threadId={selectedId} />
+      </div>
+    </div>
+  );
+}
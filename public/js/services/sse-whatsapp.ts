@@ -25,6 +25,7 @@ const WIRE_EVENTS = [
   'whatsapp_sending_progress',
   'whatsapp_sending_finished',
   'whatsapp_send_unconfirmed',
+  'whatsapp_inbox_updated',
 ] as const;
 
 class SseWhatsapp {
@@ -0,0 +1,332 @@
+/**
+ * Aligner-Doctor Portal Routes — mounted at /api/aligner-portal
+ *
+ * Doctor-facing endpoints backed by the staff aligner queries. Every handler
+ * (except /login) reads the dr_id from req.session.alignerDrId — NEVER from
+ * params or body — and a set that isn't the doctor's own answers 404, exactly
+ * like a missing one, so set ids can't be probed.
+ */
+import { Router, type Request, type Response } from 'express';
+import { z } from 'zod';
+import { authenticateAlignerDoctor, alignerPortalLoginLimiter } from '../middleware/alignerDoctorAuth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  verifyPassword,
+  getDoctor,
+  getDoctorSets,
+  getOwnedSet,
+} from '../services/business/AlignerDoctorPortalService.js';
+import { validateAndCreateNote } from '../services/business/AlignerService.js';
+import { getBatchesBySetId, getNotesBySetId } from '../services/database/queries/aligner-queries.js';
+import {
+  listDoctorAnnouncements,
+  recordAnnouncementReceipt,
+} from '../services/database/queries/announcement-queries.js';
+import { log } from '../utils/logger.js';
+
+const router = Router();
+
+// Boundary schemas — the source of truth for these handlers' input types.
+const loginSchema = z.object({
+  email: z.string().trim().min(1),
+  password: z.string().min(1),
+});
+type LoginBody = z.infer<typeof loginSchema>;
+
+const setParamsSchema = z.object({
+  setId: z.coerce.number().int().positive(),
+});
+
+const noteSchema = z.object({
+  noteText: z.string().trim().min(1, 'Note text is required').max(2000),
+});
+type NoteBody = z.infer<typeof noteSchema>;
+
+const announcementParamsSchema = z.object({
+  id: z.coerce.number().int().positive(),
+});
+
+// --------------------------------------------------------------------------
+// POST /api/aligner-portal/login
+// --------------------------------------------------------------------------
+router.post(
+  '/login',
+  alignerPortalLoginLimiter,
+  validate({ body: loginSchema }),
+  async (req: Request<unknown, unknown, LoginBody>, res: Response): Promise<void> => {
+    try {
+      const result = await verifyPassword(req.body.email, req.body.password);
+      if (!result.ok || !result.doctor) {
+        // Collapse all non-lockout failures to a generic message to prevent
+        // account enumeration ("no such doctor" vs "wrong password" vs "disabled").
+        const clientError = result.lockedUntil ? result.error : 'Invalid credentials';
+        res.status(401).json({
+          success: false,
+          error: clientError,
+          lockedUntil: result.lockedUntil ?? undefined,
+        });
+        return;
+      }
+
+      // Regenerate the session id on login to prevent session fixation.
+      await new Promise<void>((resolve, reject) => {
+        req.session.regenerate((err) => (err ? reject(err) : resolve()));
+      });
+
+      req.session.alignerDrId = result.doctor.dr_id;
+      req.session.alignerDoctorName = result.doctor.doctor_name;
+      req.session.alignerCredentialVersion = result.credentialVersion;
+      req.session.cookie.maxAge = 24 * 60 * 60 * 1000; // 24h
+
+      await new Promise<void>((resolve, reject) => {
+        req.session.save((err) => (err ? reject(err) : resolve()));
+      });
+
+      res.json({
+        success: true,
+        doctor: {
+          drId: result.doctor.dr_id,
+          doctorName: result.doctor.doctor_name,
+          doctorEmail: result.doctor.doctor_email,
+        },
+      });
+    } catch (error) {
+      log.error('Aligner portal login error', { error: (error as Error).message });
+      res.status(500).json({ success: false, error: 'Login failed. Please try again.' });
+    }
+  }
+);
+
+// --------------------------------------------------------------------------
+// POST /api/aligner-portal/logout
+// --------------------------------------------------------------------------
+router.post('/logout', authenticateAlignerDoctor, (req: Request, res: Response): void => {
+  req.session.destroy((err) => {
+    if (err) {
+      log.error('Aligner portal logout error', { error: err.message });
+      res.status(500).json({ success: false, error: 'Logout failed' });
+      return;
+    }
+    res.clearCookie('shwan.doctor');
+    res.json({ success: true });
+  });
+});
+
+// --------------------------------------------------------------------------
+// GET /api/aligner-portal/me
+// --------------------------------------------------------------------------
+router.get('/me', authenticateAlignerDoctor, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const doctor = await getDoctor(req.session.alignerDrId!);
+    if (!doctor) {
+      res.status(404).json({ success: false, error: 'Doctor not found' });
+      return;
+    }
+    res.json({
+      success: true,
+      doctor: { drId: doctor.dr_id, doctorName: doctor.doctor_name, doctorEmail: doctor.doctor_email },
+    });
+  } catch (error) {
+    log.error('Aligner portal /me error', { error: (error as Error).message });
+    res.status(500).json({ success: false, error: 'Failed to load profile' });
+  }
+});
+
+// --------------------------------------------------------------------------
+// GET /api/aligner-portal/sets — the doctor's patients' sets (latest batch +
+// lab status, as on the staff All Sets list)
+// --------------------------------------------------------------------------
+router.get('/sets', authenticateAlignerDoctor, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const sets = await getDoctorSets(req.session.alignerDrId!);
+    res.json({
+      success: true,
+      sets: sets.map((s) => ({
+        aligner_set_id: s.aligner_set_id,
+        work_id: s.work_id,
+        patient_name: s.patient_name,
+        set_sequence: s.set_sequence,
+        is_active: !!s.SetIsActive,
+        batch_sequence: s.batch_sequence,
+        delivered_to_patient_date: s.delivered_to_patient_date,
+        next_due_date: s.NextDueDate,
+        lab_status: s.LabStatus,
+      })),
+    });
+  } catch (error) {
+    log.error('Aligner portal /sets error', { error: (error as Error).message });
+    res.status(500).json({ success: false, error: 'Failed to load aligner sets' });
+  }
+});
+
+// --------------------------------------------------------------------------
+// GET /api/aligner-portal/sets/:setId — one set + its batches
+// --------------------------------------------------------------------------
+router.get(
+  '/sets/:setId',
+  authenticateAlignerDoctor,
+  validate({ params: setParamsSchema }),
+  async (req: Request<{ setId: string }>, res: Response): Promise<void> => {
+    try {
+      const setId = Number(req.params.setId);
+      const set = await getOwnedSet(req.session.alignerDrId!, setId);
+      if (!set) {
+        res.status(404).json({ success: false, error: 'Aligner set not found' });
+        return;
+      }
+      const batches = await getBatchesBySetId(setId);
+      res.json({
+        success: true,
+        set: {
+          aligner_set_id: set.aligner_set_id,
+          work_id: set.work_id,
+          set_sequence: set.set_sequence,
+          type: set.type,
+          upper_aligners_count: set.upper_aligners_count,
+          lower_aligners_count: set.lower_aligners_count,
+          remaining_upper_aligners: set.remaining_upper_aligners,
+          remaining_lower_aligners: set.remaining_lower_aligners,
+          days: set.days,
+          is_active: set.is_active,
+          has_pdf: !!set.set_pdf_url,
+        },
+        batches: batches.map((b) => ({
+          aligner_batch_id: b.aligner_batch_id,
+          batch_sequence: b.batch_sequence,
+          upper_aligner_count: b.upper_aligner_count,
+          lower_aligner_count: b.lower_aligner_count,
+          manufacture_date: b.manufacture_date,
+          delivered_to_patient_date: b.delivered_to_patient_date,
+          batch_expiry_date: b.batch_expiry_date,
+          is_last: b.is_last,
+        })),
+      });
+    } catch (error) {
+      log.error('Aligner portal /sets/:setId error', { error: (error as Error).message });
+      res.status(500).json({ success: false, error: 'Failed to load aligner set' });
+    }
+  }
+);
+
+// --------------------------------------------------------------------------
+// GET /api/aligner-portal/sets/:setId/pdf — the set's treatment PDF. The file
+// lives on Google Drive behind a shareable link (AlignerPdfService); this
+// redirects there once ownership is confirmed.
+// --------------------------------------------------------------------------
+router.get(
+  '/sets/:setId/pdf',
+  authenticateAlignerDoctor,
+  validate({ params: setParamsSchema }),
+  async (req: Request<{ setId: string }>, res: Response): Promise<void> => {
+    try {
+      const set = await getOwnedSet(req.session.alignerDrId!, Number(req.params.setId));
+      if (!set || !set.set_pdf_url) {
+        res.status(404).json({ success: false, error: 'No PDF for this set' });
+        return;
+      }
+      res.setHeader('Cache-Control', 'no-store');
+      res.redirect(302, set.set_pdf_url);
+    } catch (error) {
+      log.error('Aligner portal /sets/:setId/pdf error', { error: (error as Error).message });
+      res.status(500).json({ success: false, error: 'Failed to load the PDF' });
+    }
+  }
+);
+
+// --------------------------------------------------------------------------
+// GET /api/aligner-portal/sets/:setId/notes
+// --------------------------------------------------------------------------
+router.get(
+  '/sets/:setId/notes',
+  authenticateAlignerDoctor,
+  validate({ params: setParamsSchema }),
+  async (req: Request<{ setId: string }>, res: Response): Promise<void> => {
+    try {
+      const setId = Number(req.params.setId);
+      if (!(await getOwnedSet(req.session.alignerDrId!, setId))) {
+        res.status(404).json({ success: false, error: 'Aligner set not found' });
+        return;
+      }
+      const notes = await getNotesBySetId(setId);
+      res.json({
+        success: true,
+        notes: notes.map((n) => ({
+          note_id: n.note_id,
+          note_type: n.note_type,
+          note_text: n.note_text,
+          created_at: n.created_at,
+          is_edited: n.is_edited,
+        })),
+      });
+    } catch (error) {
+      log.error('Aligner portal notes error', { error: (error as Error).message });
+      res.status(500).json({ success: false, error: 'Failed to load notes' });
+    }
+  }
+);
+
+// --------------------------------------------------------------------------
+// POST /api/aligner-portal/sets/:setId/notes — a 'Doctor' note (raises the
+// staff-side "doctor added a note" activity flag like any doctor note)
+// --------------------------------------------------------------------------
+router.post(
+  '/sets/:setId/notes',
+  authenticateAlignerDoctor,
+  validate({ params: setParamsSchema, body: noteSchema }),
+  async (req: Request<{ setId: string }, unknown, NoteBody>, res: Response): Promise<void> => {
+    try {
+      const setId = Number(req.params.setId);
+      if (!(await getOwnedSet(req.session.alignerDrId!, setId))) {
+        res.status(404).json({ success: false, error: 'Aligner set not found' });
+        return;
+      }
+      const noteId = await validateAndCreateNote(setId, req.body.noteText, 'Doctor');
+      res.status(201).json({ success: true, noteId });
+    } catch (error) {
+      log.error('Aligner portal add note error', { error: (error as Error).message });
+      res.status(500).json({ success: false, error: 'Failed to add note' });
+    }
+  }
+);
+
+// --------------------------------------------------------------------------
+// GET /api/aligner-portal/announcements — broadcasts + ones aimed at this doctor
+// --------------------------------------------------------------------------
+router.get(
+  '/announcements',
+  authenticateAlignerDoctor,
+  async (req: Request, res: Response): Promise<void> => {
+    try {
+      const announcements = await listDoctorAnnouncements(req.session.alignerDrId!);
+      res.json({ success: true, announcements });
+    } catch (error) {
+      log.error('Aligner portal /announcements error', { error: (error as Error).message });
+      res.status(500).json({ success: false, error: 'Failed to load announcements' });
+    }
+  }
+);
+
+// --------------------------------------------------------------------------
+// POST /api/aligner-portal/announcements/:id/receipts — acknowledge (idempotent);
+// staff see it under GET /api/announcements/:id/receipts
+// --------------------------------------------------------------------------
+router.post(
+  '/announcements/:id/receipts',
+  authenticateAlignerDoctor,
+  validate({ params: announcementParamsSchema }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const receipt = await recordAnnouncementReceipt(Number(req.params.id), req.session.alignerDrId!);
+      if (!receipt) {
+        res.status(404).json({ success: false, error: 'Announcement not found' });
+        return;
+      }
+      res.json({ success: true, read_at: receipt.read_at });
+    } catch (error) {
+      log.error('Aligner portal announcement receipt error', { error: (error as Error).message });
+      res.status(500).json({ success: false, error: 'Failed to acknowledge announcement' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,126 @@
+/**
+ * Aligner doctor statement routes (`/api/aligner-doctors/:drID/statement*`).
+ *
+ * The monthly per-doctor ledger across all of a referring doctor's sets:
+ * opening balance, set fees, payments and the outstanding amount. The JSON
+ * endpoint follows the shared-contract pattern; the PDF and CSV exports are
+ * deliberately-raw (un-enveloped) downloads of the same statement. Sending the
+ * statement e-mails the PDF, so it is limited to clinical staff like the other
+ * aligner-doctor writes.
+ */
+import { Router, type Request, type Response } from 'express';
+import { validate } from '../../middleware/validate.js';
+import { authorize } from '../../middleware/auth.js';
+import { CLINICAL_ROLES } from '../../shared/auth/roles.js';
+import { sendData, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as alignerStatementContract from '../../shared/contracts/aligner-statement.contract.js';
+import {
+  getDoctorStatement,
+  sendDoctorStatement,
+  statementFilename,
+  statementToCsv,
+  statementToPdf,
+  AlignerStatementError,
+} from '../../services/business/AlignerStatementService.js';
+
+const router = Router();
+
+/** DOCTOR_NOT_FOUND → 404, NO_RECIPIENT → 400; anything else is a 500. */
+function handleStatementError(res: Response, error: unknown, fallback: string): void {
+  if (error instanceof AlignerStatementError) {
+    if (error.code === 'DOCTOR_NOT_FOUND') {
+      ErrorResponses.notFound(res, 'Doctor', { code: error.code, ...error.details });
+    } else {
+      ErrorResponses.badRequest(res, error.message, { code: error.code, ...error.details });
+    }
+    return;
+  }
+  log.error(fallback, error);
+  ErrorResponses.internalError(res, fallback, error as Error);
+}
+
+type StatementRequest = Request<{ drID: string }, unknown, unknown, alignerStatementContract.AlignerStatementQuery>;
+
+// GET /api/aligner-doctors/:drID/statement?month=YYYY-MM
+router.get(
+  '/aligner-doctors/:drID/statement',
+  validate({
+    params: alignerStatementContract.getDoctorStatement.params,
+    query: alignerStatementContract.getDoctorStatement.query,
+  }),
+  async (req: StatementRequest, res: Response): Promise<void> => {
+    try {
+      const statement = await getDoctorStatement(parseInt(req.params.drID, 10), req.query.month);
+      sendData(res, alignerStatementContract.getDoctorStatement.response, statement);
+    } catch (error) {
+      handleStatementError(res, error, 'Failed to build aligner statement');
+    }
+  }
+);
+
+// GET /api/aligner-doctors/:drID/statement/pdf?month= — branded PDF, opened inline.
+router.get(
+  '/aligner-doctors/:drID/statement/pdf',
+  validate({
+    params: alignerStatementContract.exportDoctorStatement.params,
+    query: alignerStatementContract.exportDoctorStatement.query,
+  }),
+  async (req: StatementRequest, res: Response): Promise<void> => {
+    try {
+      const drId = parseInt(req.params.drID, 10);
+      const statement = await getDoctorStatement(drId, req.query.month);
+      const buffer = await statementToPdf(statement);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${statementFilename(drId, statement.month, 'pdf')}"`);
+      res.setHeader('Cache-Control', 'no-store');
+      res.send(buffer);
+    } catch (error) {
+      handleStatementError(res, error, 'Failed to generate aligner statement PDF');
+    }
+  }
+);
+
+// GET /api/aligner-doctors/:drID/statement/csv?month= — spreadsheet download.
+router.get(
+  '/aligner-doctors/:drID/statement/csv',
+  validate({
+    params: alignerStatementContract.exportDoctorStatement.params,
+    query: alignerStatementContract.exportDoctorStatement.query,
+  }),
+  async (req: StatementRequest, res: Response): Promise<void> => {
+    try {
+      const drId = parseInt(req.params.drID, 10);
+      const statement = await getDoctorStatement(drId, req.query.month);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${statementFilename(drId, statement.month, 'csv')}"`);
+      res.setHeader('Cache-Control', 'no-store');
+      res.send(statementToCsv(statement));
+    } catch (error) {
+      handleStatementError(res, error, 'Failed to export aligner statement CSV');
+    }
+  }
+);
+
+// POST /api/aligner-doctors/:drID/statement/send — e-mail the PDF to the doctor.
+router.post(
+  '/aligner-doctors/:drID/statement/send',
+  authorize(CLINICAL_ROLES),
+  validate({
+    params: alignerStatementContract.sendDoctorStatement.params,
+    body: alignerStatementContract.sendDoctorStatement.body,
+  }),
+  async (
+    req: Request<{ drID: string }, unknown, alignerStatementContract.SendDoctorStatementBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const result = await sendDoctorStatement(parseInt(req.params.drID, 10), req.body.month, req.body.to);
+      sendData(res, alignerStatementContract.sendDoctorStatement.response, result, `Statement sent to ${result.to}`);
+    } catch (error) {
+      handleStatementError(res, error, 'Failed to send aligner statement');
+    }
+  }
+);
+
+export default router;
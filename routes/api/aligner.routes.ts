@@ -9,8 +9,10 @@
  * - Patient queries for aligner work types
  * - PDF upload/delete for aligner sets
  * - Payment tracking for aligner sets
+ * - Supply forecast + next-batch reminder settings
+ * - Aligner-doctor portal login (issue password, enable/disable, unlock)
  *
- * Total endpoints: 30
+ * Total endpoints: 36
  *
  * Architecture:
  * - Routes handle HTTP requests/responses only
@@ -27,6 +29,8 @@ import driveUploadService from '../../services/google-drive/drive-upload.js';
 import { listPhotosForSet, deletePhotoForSet } from '../../services/imaging/aligner-photo.service.js';
 import { sendSuccess, sendData, ErrorResponses } from '../../utils/error-response.js';
 import { validate } from '../../middleware/validate.js';
+import { authorize } from '../../middleware/auth.js';
+import { CLINICAL_ROLES } from '../../shared/auth/roles.js';
 import { log } from '../../utils/logger.js';
 import { timeouts } from '../../middleware/timeout.js';
 
@@ -54,6 +58,8 @@ import {
 // Service layer imports
 import * as AlignerService from '../../services/business/AlignerService.js';
 import { AlignerValidationError } from '../../services/business/AlignerService.js';
+import { getAlignerForecast, saveAlignerReminderSettings } from '../../services/business/AlignerForecastService.js';
+import * as DoctorPortalService from '../../services/business/AlignerDoctorPortalService.js';
 import {
   uploadPdfForSet,
   deletePdfFromSet,
@@ -122,6 +128,41 @@ router.get(
   }
 );
 
+/**
+ * Supply forecast: the batches due into production this week (overdue included),
+ * projected from each batch's aligner count × wear interval.
+ */
+router.get(
+  '/aligner/forecast',
+  async (_req: Request, res: Response): Promise<void> => {
+    try {
+      sendData(res, contract.alignerForecast.response, await getAlignerForecast());
+    } catch (error) {
+      log.error('Error building aligner forecast:', error);
+      ErrorResponses.internalError(res, 'Failed to build aligner forecast', error as Error);
+    }
+  }
+);
+
+/**
+ * Save the next-batch reminder settings (header-bell tasks on/off + manufacturing
+ * lead time). They are read back as part of GET /aligner/forecast.
+ */
+router.put(
+  '/aligner/forecast/settings',
+  authorize(CLINICAL_ROLES),
+  validate({ body: contract.reminderSettings.body }),
+  async (req: Request<unknown, unknown, contract.AlignerReminderSettings>, res: Response): Promise<void> => {
+    try {
+      const saved = await saveAlignerReminderSettings(req.body);
+      sendData(res, contract.reminderSettings.response, saved, 'Aligner reminder settings saved');
+    } catch (error) {
+      log.error('Error saving aligner reminder settings:', error);
+      ErrorResponses.internalError(res, 'Failed to save aligner reminder settings', error as Error);
+    }
+  }
+);
+
 /**
  * Get all aligner patients (all doctors)
  */
@@ -1459,4 +1500,100 @@ router.delete(
   }
 );
 
+// ============================================================================
+// ALIGNER DOCTOR PORTAL LOGIN
+// ============================================================================
+
+/**
+ * Portal login status for one doctor (the staff side of /aligner-portal)
+ */
+router.get(
+  '/aligner-doctors/:drID/portal',
+  validate({ params: contract.drIdParams }),
+  async (req: Request<{ drID: string }>, res: Response): Promise<void> => {
+    try {
+      const status = await DoctorPortalService.getStatus(parseInt(req.params.drID, 10));
+      if (!status) {
+        ErrorResponses.notFound(res, 'Doctor');
+        return;
+      }
+      sendData(res, contract.doctorPortalStatus.response, status);
+    } catch (error) {
+      log.error('Error fetching doctor portal status:', error);
+      ErrorResponses.internalError(res, 'Failed to fetch doctor portal status', error as Error);
+    }
+  }
+);
+
+/**
+ * Issue a new portal password. The plaintext is returned once and never stored;
+ * issuing also re-enables the login and clears any lockout.
+ */
+router.post(
+  '/aligner-doctors/:drID/portal/reset-password',
+  authorize(CLINICAL_ROLES),
+  validate({ params: contract.drIdParams }),
+  async (req: Request<{ drID: string }>, res: Response): Promise<void> => {
+    try {
+      const password = await DoctorPortalService.resetPassword(parseInt(req.params.drID, 10));
+      log.info(`Doctor portal password issued for drID ${req.params.drID}`);
+      sendData(res, contract.resetDoctorPortalPassword.response, { password }, 'Portal password issued');
+    } catch (error) {
+      if (error instanceof AlignerValidationError) {
+        if (error.code === 'DOCTOR_NOT_FOUND') {
+          ErrorResponses.notFound(res, 'Doctor');
+          return;
+        }
+        ErrorResponses.badRequest(res, error.message, { code: error.code });
+        return;
+      }
+      log.error('Error issuing doctor portal password:', error);
+      ErrorResponses.internalError(res, 'Failed to issue portal password', error as Error);
+    }
+  }
+);
+
+/**
+ * Enable / disable the doctor's portal login
+ */
+router.post(
+  '/aligner-doctors/:drID/portal/enable',
+  authorize(CLINICAL_ROLES),
+  validate({ params: contract.drIdParams, body: contract.doctorPortalEnable.body }),
+  async (
+    req: Request<{ drID: string }, unknown, contract.DoctorPortalEnableBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const updated = await DoctorPortalService.setEnabled(parseInt(req.params.drID, 10), req.body.enabled);
+      if (!updated) {
+        ErrorResponses.badRequest(res, 'Issue a portal password first');
+        return;
+      }
+      sendSuccess(res, null, req.body.enabled ? 'Portal login enabled' : 'Portal login disabled');
+    } catch (error) {
+      log.error('Error toggling doctor portal login:', error);
+      ErrorResponses.internalError(res, 'Failed to update portal login', error as Error);
+    }
+  }
+);
+
+/**
+ * Clear a failed-attempt lockout
+ */
+router.post(
+  '/aligner-doctors/:drID/portal/unlock',
+  authorize(CLINICAL_ROLES),
+  validate({ params: contract.drIdParams }),
+  async (req: Request<{ drID: string }>, res: Response): Promise<void> => {
+    try {
+      await DoctorPortalService.unlock(parseInt(req.params.drID, 10));
+      sendSuccess(res, null, 'Portal login unlocked');
+    } catch (error) {
+      log.error('Error unlocking doctor portal login:', error);
+      ErrorResponses.internalError(res, 'Failed to unlock portal login', error as Error);
+    }
+  }
+);
+
 export default router;
@@ -6,6 +6,8 @@
  * - Daily appointment operations (get all, get present, quick check-in)
  * - Appointment state management (check-in, seated, dismissed, undo)
  * - Full CRUD operations for appointments
+ * - Recurring series ("this and following" edit/cancel)
+ * - Reminder confirmation (confirmed / reschedule requested) set by staff
  * - Patient appointment history
  * - Real-time appointment updates via WebSocket
  *
@@ -30,10 +32,16 @@ import * as appointment from '../../shared/contracts/appointment.contract.js';
 import { log } from '../../utils/logger.js';
 import {
   validateAndCreateAppointment,
+  validateAndCreateAppointmentSeries,
+  updateAppointmentSeriesFrom,
+  cancelAppointmentSeriesFrom,
   quickCheckIn,
   getDailyAppointments,
   AppointmentValidationError
 } from '../../services/business/AppointmentService.js';
+import { backfillFreedSlot } from '../../services/waitlist/waitlist-service.js';
+import { getPatientAttendance } from '../../services/database/queries/attendance-queries.js';
+import { setConfirmationByStaff } from '../../services/appointments/appointment-confirmation.js';
 
 const router = Router();
 
@@ -77,8 +85,30 @@ type AppointmentResult = {
   app_detail: string;
   dr_id: number;
   DrName: string | null;
+  series_id: number | null;
+  no_show?: boolean;
 };
 
+/**
+ * Map a series AppointmentValidationError onto its HTTP status: a missing anchor
+ * is 404, a day/slot clash is 409, everything else a 400.
+ */
+function sendSeriesError(res: Response, error: AppointmentValidationError): void {
+  if (error.code === 'APPOINTMENT_NOT_FOUND') {
+    ErrorResponses.notFound(res, 'Appointment');
+    return;
+  }
+  if (
+    error.code === 'APPOINTMENT_CONFLICT' ||
+    error.code === 'SERIES_OCCURRENCE_BLOCKED' ||
+    error.code === 'SLOT_FULL'
+  ) {
+    ErrorResponses.conflict(res, error.message, { code: error.code, ...error.details });
+    return;
+  }
+  ErrorResponses.badRequest(res, error.message, { code: error.code, ...error.details });
+}
+
 // ============================================================================
 // APPOINTMENT LOOKUP ROUTES
 // ============================================================================
@@ -409,7 +439,9 @@ router.get(
                 to_char(a."app_date", 'YYYY-MM-DD"T"HH24:MI:SS') AS "app_date",
                 a."app_detail",
                 a."dr_id",
-                e."employee_name" AS "DrName"
+                e."employee_name" AS "DrName",
+                a."series_id",
+                (a."no_show_at" IS NOT NULL) AS "no_show"
             FROM "appointments" a
             LEFT JOIN "employees" e ON a."dr_id" = e."id"
             WHERE a."person_id" = ${parseInt(personId)}
@@ -428,6 +460,25 @@ router.get(
   }
 );
 
+/**
+ * Get a patient's attendance score + recent attended / no-show history
+ * (outcomes from check-in vs the end-of-day no-show sweep)
+ */
+router.get(
+  '/patients/:personId/attendance',
+  clinicalOnly,
+  validate({ params: appointment.patientAttendance.params }),
+  async (req: Request<{ personId: string }>, res: Response): Promise<void> => {
+    try {
+      const attendance = await getPatientAttendance(parseInt(req.params.personId, 10));
+      sendData(res, appointment.patientAttendance.response, attendance);
+    } catch (error) {
+      log.error('Error fetching patient attendance:', error);
+      ErrorResponses.internalError(res, 'Failed to fetch attendance', error as Error);
+    }
+  }
+);
+
 /**
  * Get single appointment by id
  * Returns detailed information for a specific appointment
@@ -455,7 +506,8 @@ router.get(
                 to_char(a."app_date", 'YYYY-MM-DD"T"HH24:MI:SS') AS "app_date",
                 a."app_detail",
                 a."dr_id",
-                e."employee_name" AS "DrName"
+                e."employee_name" AS "DrName",
+                a."series_id"
             FROM "appointments" a
             LEFT JOIN "employees" e ON a."dr_id" = e."id"
             WHERE a."appointment_id" = ${parseInt(appointmentId)}
@@ -480,7 +532,8 @@ router.get(
 
 /**
  * Update appointment
- * Modifies existing appointment details
+ * Modifies existing appointment details; a move to another time offers the
+ * vacated slot to the wait-list, as a delete does
  */
 router.put(
   '/appointments/:appointmentId',
@@ -499,17 +552,33 @@ router.put(
       // digit string, the ids are positive ints, and app_date/app_detail are
       // non-empty strings — so no manual re-check is needed here.
 
-      // Cast the app_date string to timestamp on the PG side to avoid timezone conversion
+      // Cast the app_date string to timestamp on the PG side to avoid timezone conversion.
+      // A move to another time voids the reminder confirmation (it answered the old one).
       const db = getKysely();
-      await sql`
-            UPDATE "appointments"
+      const id = parseInt(appointmentId);
+      const { rows: updated } = await sql<{ old_app_date: string; old_dr_id: number | null; moved: boolean }>`
+            WITH "old" AS (
+              SELECT "app_date", "dr_id" FROM "appointments" WHERE "appointment_id" = ${id} FOR UPDATE
+            )
+            UPDATE "appointments" AS a
             SET "person_id" = ${person_id},
                 "app_date" = ${app_date}::timestamp,
                 "app_detail" = ${app_detail},
-                "dr_id" = ${dr_id}
-            WHERE "appointment_id" = ${parseInt(appointmentId)}
+                "dr_id" = ${dr_id},
+                "confirmation_status" = CASE WHEN a."app_date" = ${app_date}::timestamp THEN a."confirmation_status" END,
+                "confirmation_at" = CASE WHEN a."app_date" = ${app_date}::timestamp THEN a."confirmation_at" END,
+                "confirmation_source" = CASE WHEN a."app_date" = ${app_date}::timestamp THEN a."confirmation_source" END
+            FROM "old"
+            WHERE a."appointment_id" = ${id}
+            RETURNING to_char("old"."app_date", 'YYYY-MM-DD"T"HH24:MI:SS') AS "old_app_date",
+                      "old"."dr_id" AS "old_dr_id",
+                      a."app_date" <> "old"."app_date" AS "moved"
         `.execute(db);
 
+      if (updated.length > 0 && updated[0].moved) {
+        await backfillFreedSlot(updated[0].old_app_date, updated[0].old_dr_id);
+      }
+
       sendSuccess(res, null, 'Appointment updated successfully');
     } catch (error) {
       log.error('Error updating appointment:', error);
@@ -522,9 +591,53 @@ router.put(
   }
 );
 
+/**
+ * Set or clear an appointment's reminder confirmation
+ * The by-hand counterpart of a patient's WhatsApp "1" / "2" reply (e.g. after
+ * the day-before call); setting it completes the appointment's call task
+ */
+router.put(
+  '/appointments/:appointmentId/confirmation',
+  clinicalOnly,
+  validate({
+    params: appointment.setAppointmentConfirmation.params,
+    body: appointment.setAppointmentConfirmation.body
+  }),
+  async (
+    req: Request<{ appointmentId: string }, unknown, appointment.SetAppointmentConfirmationBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const day = await setConfirmationByStaff(
+        parseInt(req.params.appointmentId, 10),
+        req.body.status,
+        req.session?.username ?? 'staff'
+      );
+      if (day === null) {
+        ErrorResponses.notFound(res, 'Appointment');
+        return;
+      }
+
+      if (wsEmitter) {
+        wsEmitter.emit(InternalEmitterEvents.DATA_UPDATED, day);
+      }
+
+      sendSuccess(res, null, 'Appointment confirmation updated');
+    } catch (error) {
+      log.error('Error updating appointment confirmation:', error);
+      ErrorResponses.internalError(
+        res,
+        'Failed to update appointment confirmation',
+        error as Error
+      );
+    }
+  }
+);
+
 /**
  * Delete appointment
- * Removes an appointment from the system
+ * Removes an appointment from the system, then offers the freed slot to the
+ * wait-list (backfillFreedSlot never throws, so the delete can't fail on it)
  */
 router.delete(
   '/appointments/:appointmentId',
@@ -543,10 +656,15 @@ router.delete(
       }
 
       const db = getKysely();
-      await sql`
+      const { rows: deleted } = await sql<{ app_date: string; dr_id: number | null }>`
         DELETE FROM "appointments" WHERE "appointment_id" = ${parseInt(appointmentId)}
+        RETURNING to_char("app_date", 'YYYY-MM-DD"T"HH24:MI:SS') AS "app_date", "dr_id"
       `.execute(db);
 
+      if (deleted.length > 0) {
+        await backfillFreedSlot(deleted[0].app_date, deleted[0].dr_id);
+      }
+
       sendSuccess(res, null, 'Appointment deleted successfully');
     } catch (error) {
       log.error('Error deleting appointment:', error);
@@ -559,6 +677,163 @@ router.delete(
   }
 );
 
+// ============================================================================
+// RECURRING SERIES
+// ============================================================================
+
+/**
+ * Create a recurring series ("every N weeks, M times")
+ * Holidays, Fridays, full slots and same-day clashes shift an occurrence forward
+ * a few days; any that still can't be placed come back in `skipped`
+ */
+router.post(
+  '/appointment-series',
+  clinicalOnly,
+  validate({ body: appointment.createAppointmentSeries.body }),
+  async (
+    req: Request<unknown, unknown, appointment.CreateAppointmentSeriesBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const { person_id, app_date, app_detail, dr_id, interval_weeks, occurrences } = req.body;
+
+      const series = await validateAndCreateAppointmentSeries({
+        person_id,
+        app_date,
+        app_detail,
+        dr_id,
+        interval_weeks,
+        occurrences,
+        created_by: req.session?.username ?? null
+      });
+
+      if (wsEmitter) {
+        for (const day of new Set(series.booked.map((b) => b.app_date.slice(0, 10)))) {
+          wsEmitter.emit(InternalEmitterEvents.DATA_UPDATED, day);
+        }
+      }
+
+      sendData(
+        res,
+        appointment.createAppointmentSeries.response,
+        series,
+        'Appointment series created successfully'
+      );
+    } catch (error) {
+      log.error('Error creating appointment series:', error);
+
+      if (error instanceof AppointmentValidationError) {
+        sendSeriesError(res, error);
+        return;
+      }
+
+      ErrorResponses.internalError(
+        res,
+        'Failed to create appointment series',
+        error as Error
+      );
+    }
+  }
+);
+
+/**
+ * Edit this and following occurrences of a series
+ * The anchor's date/time move is carried onto every unattended later occurrence
+ */
+router.put(
+  '/appointments/:appointmentId/following',
+  clinicalOnly,
+  validate({
+    params: appointment.updateAppointmentSeries.params,
+    body: appointment.updateAppointmentSeries.body
+  }),
+  async (
+    req: Request<{ appointmentId: string }, unknown, appointment.UpdateAppointmentSeriesBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const result = await updateAppointmentSeriesFrom(parseInt(req.params.appointmentId, 10), req.body);
+
+      if (wsEmitter) {
+        for (const day of result.dates) {
+          wsEmitter.emit(InternalEmitterEvents.DATA_UPDATED, day);
+        }
+      }
+
+      sendData(
+        res,
+        appointment.updateAppointmentSeries.response,
+        result,
+        'Series appointments updated successfully'
+      );
+    } catch (error) {
+      log.error('Error updating appointment series:', error);
+
+      if (error instanceof AppointmentValidationError) {
+        sendSeriesError(res, error);
+        return;
+      }
+
+      ErrorResponses.internalError(
+        res,
+        'Failed to update series appointments',
+        error as Error
+      );
+    }
+  }
+);
+
+/**
+ * Cancel this and following occurrences of a series
+ * Attended occurrences are kept; each freed slot is offered to the wait-list
+ */
+router.post(
+  '/appointments/:appointmentId/cancel-following',
+  clinicalOnly,
+  validate({ params: appointment.cancelAppointmentSeries.params }),
+  async (
+    req: Request<{ appointmentId: string }>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const { freedSlots, ...result } = await cancelAppointmentSeriesFrom(
+        parseInt(req.params.appointmentId, 10)
+      );
+
+      let offered = 0;
+      for (const slot of freedSlots) {
+        if ((await backfillFreedSlot(slot.app_date, slot.dr_id)) != null) offered++;
+      }
+
+      if (wsEmitter) {
+        for (const day of result.dates) {
+          wsEmitter.emit(InternalEmitterEvents.DATA_UPDATED, day);
+        }
+      }
+
+      sendData(
+        res,
+        appointment.cancelAppointmentSeries.response,
+        { ...result, offered },
+        'Series appointments cancelled successfully'
+      );
+    } catch (error) {
+      log.error('Error cancelling appointment series:', error);
+
+      if (error instanceof AppointmentValidationError) {
+        sendSeriesError(res, error);
+        return;
+      }
+
+      ErrorResponses.internalError(
+        res,
+        'Failed to cancel series appointments',
+        error as Error
+      );
+    }
+  }
+);
+
 // ============================================================================
 // QUICK CHECK-IN
 // ============================================================================
@@ -0,0 +1,57 @@
+/**
+ * Audit trail routes (`/api/audit-log`, `/api/patients/:personId/history`).
+ *
+ * Read-only views of `audit_log`, which the `audit_capture()` trigger fills from
+ * every mutating request (middleware/audit-context.ts). The per-patient History
+ * panel rides the global `/api` `authenticate` gate like the rest of the patient
+ * chart; the clinic-wide search spans every user's edits and every expense, so it
+ * adds `authorize(ADMIN_ROLES)`.
+ */
+import { Router, type Request, type Response } from 'express';
+import { validate } from '../../middleware/validate.js';
+import { authorize } from '../../middleware/auth.js';
+import { ADMIN_ROLES } from '../../shared/auth/roles.js';
+import { sendData, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as auditContract from '../../shared/contracts/audit.contract.js';
+import { searchAuditLog, getPatientHistory } from '../../services/database/queries/audit-queries.js';
+
+const router = Router();
+
+// GET /api/audit-log?table=&op=&actor=&personId=&pk=&q=&from=&to=&beforeId=
+router.get(
+  '/audit-log',
+  authorize(ADMIN_ROLES),
+  validate({ query: auditContract.searchAuditLog.query }),
+  async (
+    req: Request<unknown, unknown, unknown, auditContract.SearchAuditLogQuery>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      sendData(res, auditContract.searchAuditLog.response, await searchAuditLog(req.query));
+    } catch (error) {
+      log.error('Error searching the audit log:', error);
+      ErrorResponses.internalError(res, 'Failed to search the audit log', error as Error);
+    }
+  }
+);
+
+// GET /api/patients/:personId/history?beforeId=
+router.get(
+  '/patients/:personId/history',
+  validate({ params: auditContract.patientHistory.params, query: auditContract.patientHistory.query }),
+  async (
+    req: Request<{ personId: string }, unknown, unknown, auditContract.PatientHistoryQuery>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const page = await getPatientHistory(parseInt(req.params.personId, 10), req.query.beforeId);
+      sendData(res, auditContract.patientHistory.response, page);
+    } catch (error) {
+      log.error('Error loading patient history:', error);
+      ErrorResponses.internalError(res, 'Failed to load patient history', error as Error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,162 @@
+/**
+ * Scheduled backups + restore check (`/api/config/database/backups…`).
+ *
+ * Sits next to the on-demand download in settings.routes.ts
+ * (`GET /api/config/database/backup`). Reading the status rides the global `/api`
+ * authenticate gate like the download; everything that writes to the backup
+ * directory or another database — settings, "back up now", verify, the restore
+ * check and the swap — adds `authorize(ADMIN_ROLES)`.
+ *
+ * Services signal expected failures by message prefix ('[NOT_FOUND] ',
+ * '[CONFLICT] ', '[INVALID_STATE_TRANSITION] '); `handleServiceError` maps them.
+ */
+import { Router, type Request, type Response } from 'express';
+import { validate } from '../../middleware/validate.js';
+import { authorize } from '../../middleware/auth.js';
+import { ADMIN_ROLES } from '../../shared/auth/roles.js';
+import { sendData, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as backupContract from '../../shared/contracts/backup.contract.js';
+import {
+  getBackupScheduleStatus,
+  saveBackupSettings,
+  startBackup,
+  verifyBackup,
+} from '../../services/database/backup-schedule.js';
+import {
+  getRestoreCheck,
+  startRestoreCheck,
+  discardRestoreCheck,
+  swapRestoredDatabase,
+} from '../../services/database/backup-restore.js';
+
+const router = Router();
+
+/** Translates the service's message-prefix convention into an HTTP response. */
+function handleServiceError(res: Response, error: unknown, fallback: string): void {
+  const message = (error as Error)?.message ?? '';
+  if (message.includes('[INVALID_STATE_TRANSITION]')) {
+    ErrorResponses.badRequest(res, message.replace('[INVALID_STATE_TRANSITION] ', ''), {
+      code: 'INVALID_STATE_TRANSITION',
+    });
+    return;
+  }
+  if (message.includes('[CONFLICT]')) {
+    ErrorResponses.conflict(res, message.replace('[CONFLICT] ', ''));
+    return;
+  }
+  if (message.includes('[NOT_FOUND]')) {
+    ErrorResponses.notFound(res, message.replace('[NOT_FOUND] ', ''));
+    return;
+  }
+  log.error(fallback, error);
+  ErrorResponses.internalError(res, fallback, error as Error);
+}
+
+// GET /api/config/database/backups
+router.get('/config/database/backups', async (_req: Request, res: Response): Promise<void> => {
+  try {
+    const status = await getBackupScheduleStatus();
+    sendData(res, backupContract.getBackupStatus.response, { ...status, restoreCheck: getRestoreCheck() });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to load backup status');
+  }
+});
+
+// PUT /api/config/database/backups/settings
+router.put(
+  '/config/database/backups/settings',
+  authorize(ADMIN_ROLES),
+  validate({ body: backupContract.saveBackupSettings.body }),
+  async (req: Request<unknown, unknown, backupContract.BackupSettings>, res: Response): Promise<void> => {
+    try {
+      const saved = await saveBackupSettings(req.body);
+      sendData(res, backupContract.saveBackupSettings.response, saved, 'Backup settings saved');
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to save backup settings');
+    }
+  }
+);
+
+// POST /api/config/database/backups/run
+router.post('/config/database/backups/run', authorize(ADMIN_ROLES), (_req: Request, res: Response): void => {
+  const run = startBackup('manual');
+  if (!run) {
+    ErrorResponses.conflict(res, 'A backup is already running');
+    return;
+  }
+  sendData(res, backupContract.runBackup.response, run, 'Backup started', 202);
+});
+
+// POST /api/config/database/backups/:file/verify
+router.post(
+  '/config/database/backups/:file/verify',
+  authorize(ADMIN_ROLES),
+  validate({ params: backupContract.verifyBackup.params }),
+  async (req: Request<backupContract.BackupFileParams>, res: Response): Promise<void> => {
+    // Re-hashing a large dump can outlast the global request timeout.
+    req.setTimeout(0);
+    res.setTimeout(0);
+    try {
+      sendData(res, backupContract.verifyBackup.response, await verifyBackup(req.params.file));
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to verify backup');
+    }
+  }
+);
+
+// POST /api/config/database/backups/:file/restore-check
+router.post(
+  '/config/database/backups/:file/restore-check',
+  authorize(ADMIN_ROLES),
+  validate({ params: backupContract.startRestoreCheck.params }),
+  async (req: Request<backupContract.BackupFileParams>, res: Response): Promise<void> => {
+    try {
+      const started = await startRestoreCheck(req.params.file);
+      sendData(res, backupContract.startRestoreCheck.response, started, 'Restore check started', 202);
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to start restore check');
+    }
+  }
+);
+
+// DELETE /api/config/database/backups/restore-check
+router.delete(
+  '/config/database/backups/restore-check',
+  authorize(ADMIN_ROLES),
+  async (_req: Request, res: Response): Promise<void> => {
+    try {
+      const discarded = await discardRestoreCheck();
+      sendData(res, backupContract.discardRestoreCheck.response, { discarded }, 'Restore check discarded');
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to discard restore check');
+    }
+  }
+);
+
+// POST /api/config/database/backups/swap — then restart, as POST /api/system/restart does.
+router.post(
+  '/config/database/backups/swap',
+  authorize(ADMIN_ROLES),
+  validate({ body: backupContract.swapRestoredDatabase.body }),
+  async (
+    req: Request<unknown, unknown, backupContract.SwapRestoredDatabaseBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const previousDatabase = await swapRestoredDatabase(req.body.file, req.body.confirm);
+      sendData(res, backupContract.swapRestoredDatabase.response, {
+        previousDatabase,
+        message: 'Backup restored — the application is restarting',
+      });
+      setTimeout(() => {
+        log.info('Restarting application after database restore...');
+        process.exit(0); // The process manager brings it back up on the restored data.
+      }, 1000);
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to swap in the restored database');
+    }
+  }
+);
+
+export default router;
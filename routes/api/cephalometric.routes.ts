@@ -0,0 +1,147 @@
+/**
+ * Cephalometric analysis routes (`/api/ceph-norms*`,
+ * `/api/works/:workId/cephalometrics`, `/api/works/:workId/diagnosis/pdf`).
+ *
+ * Clinical routes — gated PER ROUTE to CLINICAL_ROLES like the diagnosis routes;
+ * this router is mounted at the /api root. Norms are edited in Settings → Ceph
+ * Norms; the analysis feeds the Diagnosis page's highlighting and initial/final
+ * comparison. CephalometricService throws CephalometricError with a code that
+ * handleCephError maps onto the HTTP status.
+ */
+import { Router, type Request, type Response } from 'express';
+import { validate } from '../../middleware/validate.js';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { CLINICAL_ROLES } from '../../shared/auth/roles.js';
+import { sendData, sendSuccess, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as cephContract from '../../shared/contracts/cephalometric.contract.js';
+import {
+  listNorms,
+  createNorm,
+  updateNorm,
+  removeNorm,
+  getWorkCephalometrics,
+  diagnosisToPdf,
+  CephalometricError,
+} from '../../services/business/CephalometricService.js';
+
+const router = Router();
+
+const clinicalOnly = [authenticate, authorize(CLINICAL_ROLES)];
+
+/** CephalometricError code → HTTP response; anything else is a 500. */
+function handleCephError(res: Response, error: unknown, fallback: string): void {
+  if (error instanceof CephalometricError) {
+    const details = { code: error.code, ...error.details };
+    switch (error.code) {
+      case 'NORM_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Norm', details);
+        return;
+      case 'WORK_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Work', details);
+        return;
+      case 'DIAGNOSIS_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Diagnosis', details);
+        return;
+      case 'DUPLICATE_NORM':
+        ErrorResponses.conflict(res, error.message, details);
+        return;
+      default:
+        ErrorResponses.badRequest(res, error.message, details);
+        return;
+    }
+  }
+  log.error(fallback, error);
+  ErrorResponses.internalError(res, fallback, error as Error);
+}
+
+// GET /api/ceph-norms
+router.get('/ceph-norms', clinicalOnly, async (_req: Request, res: Response): Promise<void> => {
+  try {
+    sendData(res, cephContract.listNorms.response, await listNorms());
+  } catch (error) {
+    handleCephError(res, error, 'Failed to fetch cephalometric norms');
+  }
+});
+
+// POST /api/ceph-norms
+router.post(
+  '/ceph-norms',
+  clinicalOnly,
+  validate({ body: cephContract.createNorm.body }),
+  async (req: Request<unknown, unknown, cephContract.CephNormBody>, res: Response): Promise<void> => {
+    try {
+      const norm = await createNorm(req.body, req.session?.username ?? null);
+      sendData(res, cephContract.createNorm.response, norm, 'Norm created', 201);
+    } catch (error) {
+      handleCephError(res, error, 'Failed to create cephalometric norm');
+    }
+  }
+);
+
+// PUT /api/ceph-norms/:id
+router.put(
+  '/ceph-norms/:id',
+  clinicalOnly,
+  validate({ params: cephContract.updateNorm.params, body: cephContract.updateNorm.body }),
+  async (req: Request<{ id: string }, unknown, cephContract.CephNormBody>, res: Response): Promise<void> => {
+    try {
+      const norm = await updateNorm(parseInt(req.params.id, 10), req.body, req.session?.username ?? null);
+      sendData(res, cephContract.updateNorm.response, norm, 'Norm updated');
+    } catch (error) {
+      handleCephError(res, error, 'Failed to update cephalometric norm');
+    }
+  }
+);
+
+// DELETE /api/ceph-norms/:id
+router.delete(
+  '/ceph-norms/:id',
+  clinicalOnly,
+  validate({ params: cephContract.deleteNorm.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      await removeNorm(parseInt(req.params.id, 10), req.session?.username ?? null);
+      sendSuccess(res, null, 'Norm deleted');
+    } catch (error) {
+      handleCephError(res, error, 'Failed to delete cephalometric norm');
+    }
+  }
+);
+
+// GET /api/works/:workId/cephalometrics
+router.get(
+  '/works/:workId/cephalometrics',
+  clinicalOnly,
+  validate({ params: cephContract.workCephalometrics.params }),
+  async (req: Request<{ workId: string }>, res: Response): Promise<void> => {
+    try {
+      const view = await getWorkCephalometrics(parseInt(req.params.workId, 10));
+      sendData(res, cephContract.workCephalometrics.response, view);
+    } catch (error) {
+      handleCephError(res, error, 'Failed to analyse cephalometrics');
+    }
+  }
+);
+
+// GET /api/works/:workId/diagnosis/pdf?stage= — branded PDF, opened inline.
+router.get(
+  '/works/:workId/diagnosis/pdf',
+  clinicalOnly,
+  validate({ params: cephContract.diagnosisPdf.params, query: cephContract.diagnosisPdf.query }),
+  async (req: Request<{ workId: string }>, res: Response): Promise<void> => {
+    try {
+      const workId = parseInt(req.params.workId, 10);
+      const { stage = 'initial' } = req.query as cephContract.DiagnosisPdfQuery;
+      const buffer = await diagnosisToPdf(workId, stage);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="diagnosis-${workId}-${stage}.pdf"`);
+      res.setHeader('Cache-Control', 'no-store');
+      res.send(buffer);
+    } catch (error) {
+      handleCephError(res, error, 'Failed to generate diagnosis PDF');
+    }
+  }
+);
+
+export default router;
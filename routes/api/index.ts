@@ -37,6 +37,7 @@ import paymentRoutes from './payment.routes.js';
 import workRoutes from './work.routes.js';
 import visitRoutes from './visit.routes.js';
 import whatsappRoutes from './whatsapp.routes.js';
+import whatsappInboxRoutes, { setWebSocketEmitter as setWhatsappInboxWS } from './whatsapp-inbox.routes.js';
 import messagingRoutes from './messaging.routes.js';
 import alignerRoutes from './aligner.routes.js';
 import employeeRoutes from './employee.routes.js';
@@ -53,6 +54,7 @@ import photoEditorRoutes, { setWebSocketEmitter as setPhotoEditorWS } from './ph
 import holidayRoutes from './holiday.routes.js';
 import videoRoutes from './video.routes.js';
 import standRoutes from './stand.routes.js';
+import standPurchasingRoutes from './stand-purchasing.routes.js';
 import fileExplorerRoutes from './file-explorer.routes.js';
 import slideshowRoutes from './slideshow.routes.js';
 import localsendRoutes from './localsend.routes.js';
@@ -65,9 +67,23 @@ import taskRoutes from './task.routes.js';
 import monitoringRoutes from './monitoring.routes.js';
 import approvalRoutes from './approval.routes.js';
 import labCaseRoutes from './lab-case.routes.js';
+import labBillingRoutes from './lab-billing.routes.js';
+import waitlistRoutes, { setWebSocketEmitter as setWaitlistWS } from './waitlist.routes.js';
+import paymentPlanRoutes from './payment-plan.routes.js';
+import statementRoutes from './statement.routes.js';
+import alignerStatementRoutes from './aligner-statement.routes.js';
+import auditRoutes from './audit.routes.js';
+import backupRoutes from './backup.routes.js';
+import syncConflictRoutes from './sync-conflict.routes.js';
 import portalActivityRoutes from './portal-activity.routes.js';
 import announcementRoutes from './announcement.routes.js';
 import tvDisplayRoutes from './tv-display.routes.js';
+import messageTemplateRoutes from './message-template.routes.js';
+import outboundMessageRoutes from './outbound-message.routes.js';
+import wireProtocolRoutes from './wire-protocol.routes.js';
+import toothFindingRoutes from './tooth-finding.routes.js';
+import cephalometricRoutes from './cephalometric.routes.js';
+import photoCollageRoutes from './photo-collage.routes.js';
 
 // Import template routes (already modular)
 import templateRouter from '../template-api.js';
@@ -83,6 +99,8 @@ export function setWebSocketEmitter(emitter: EventEmitter): void {
   setAppointmentWS(emitter);
   setChairDisplayWS(emitter);
   setPhotoEditorWS(emitter);
+  setWaitlistWS(emitter);
+  setWhatsappInboxWS(emitter);
 }
 
 // Mount template routes
@@ -102,6 +120,7 @@ router.use('/', workRoutes);          // Treatment work/plans
 router.use('/', visitRoutes);         // Visit tracking
 
 // Messaging routes (prefixed)
+router.use('/wa/inbox', whatsappInboxRoutes);   // WhatsApp inbox threads + replies (before /wa)
 router.use('/wa', whatsappRoutes);              // WhatsApp (mounted at /wa)
 router.use('/messaging', messagingRoutes);      // Messaging system (mounted at /messaging)
 
@@ -145,6 +164,7 @@ router.use('/videos', videoRoutes); // Educational videos
 
 // Stand / Mini-Pharmacy
 router.use('/', standRoutes); // Stand inventory, POS, reports (routes define /stand/* prefix)
+router.use('/', standPurchasingRoutes); // Stand suppliers, purchase orders, receiving
 
 // LocalSend — share patient files/images to LAN devices (mounted at /localsend)
 router.use('/localsend', localsendRoutes);
@@ -176,6 +196,30 @@ router.use('/', approvalRoutes);
 // Lab case tracker — prosthetic case stage tracking (/api/lab-cases*)
 router.use('/', labCaseRoutes);
 
+// Lab invoicing — price lists, accrued case charges, monthly statements (/api/lab-price-list*, /api/lab-statements*)
+router.use('/', labBillingRoutes);
+
+// Appointment wait-list — cancellation backfill offers (/api/waitlist*)
+router.use('/', waitlistRoutes);
+
+// Installment payment plans on works (/api/works/:workId/payment-plan, /api/payment-plans*)
+router.use('/', paymentPlanRoutes);
+
+// Patient account statement — ledger JSON + PDF/CSV exports (/api/patients/:personId/statement*)
+router.use('/', statementRoutes);
+
+// Aligner doctor statement — monthly ledger JSON + PDF/CSV exports + e-mail (/api/aligner-doctors/:drID/statement*)
+router.use('/', alignerStatementRoutes);
+
+// Audit trail — per-patient history + admin search (/api/patients/:personId/history, /api/audit-log)
+router.use('/', auditRoutes);
+
+// Scheduled database backups + restore check (/api/config/database/backups*)
+router.use('/', backupRoutes);
+
+// Two-way sync conflict review queue (/api/sync/conflicts*)
+router.use('/', syncConflictRoutes);
+
 // Portal activity — the staff header bell over portal-written aligner flags (/api/portal-activity*)
 router.use('/', portalActivityRoutes);
 
@@ -186,4 +230,26 @@ router.use('/', announcementRoutes);
 // own session-less endpoints are mounted pre-auth in index.ts (/tv-display).
 router.use('/', tvDisplayRoutes);
 
+// Patient message templates — Settings → Messaging (/api/message-templates*)
+router.use('/', messageTemplateRoutes);
+
+// Outbound message queue — Settings → Message Queue (/api/outbound-messages*)
+router.use('/', outboundMessageRoutes);
+
+// Wire sequence protocols — Settings → Wire Protocols, visit-form suggestions
+// (/api/wire-protocols*, /api/works/:workId/wire-protocol)
+router.use('/', wireProtocolRoutes);
+
+// Clinical findings charting — the patient's odontogram
+// (/api/patients/:personId/tooth-findings, /api/tooth-findings/:id)
+router.use('/', toothFindingRoutes);
+
+// Cephalometric analysis — Settings → Ceph Norms, Diagnosis page highlighting and report
+// (/api/ceph-norms*, /api/works/:workId/cephalometrics, /api/works/:workId/diagnosis/pdf)
+router.use('/', cephalometricRoutes);
+
+// Photo alignment landmarks and server-rendered before/after collages — Compare page
+// (/api/patients/:personId/photo-landmarks*, /api/patients/:personId/collages*)
+router.use('/', photoCollageRoutes);
+
 export default router;
@@ -0,0 +1,189 @@
+/**
+ * Lab invoicing routes (`/api/lab-price-list*`, `/api/lab-statements*`,
+ * `/api/lab-case-charges/:id`).
+ *
+ * Reads ride the global `/api` `authenticate` gate only; every write touches money
+ * (prices, charges, booked expenses) and adds `authorize(FINANCE_ROLES)`. Service
+ * errors use lab-case-service.ts's message-prefix convention, translated below.
+ */
+import { Router, type Request, type Response } from 'express';
+import { validate } from '../../middleware/validate.js';
+import { authorize } from '../../middleware/auth.js';
+import { FINANCE_ROLES } from '../../shared/auth/roles.js';
+import { sendData, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as labBillingContract from '../../shared/contracts/lab-billing.contract.js';
+import { listLabPrices, retireLabPrice } from '../../services/database/queries/lab-billing-queries.js';
+import {
+  getMonthlyLabStatements,
+  reconcileLabStatement,
+  reopenLabStatement,
+  createLabPrice,
+  updateLabPrice,
+  updateLabCharge,
+} from '../../services/lab-cases/lab-billing-service.js';
+
+const router = Router();
+
+/** Translates the service's message-prefix convention into an HTTP response. */
+function handleServiceError(res: Response, error: unknown, fallback: string): void {
+  const message = (error as Error)?.message ?? '';
+  if (message.includes('[INVALID_STATE_TRANSITION]')) {
+    ErrorResponses.badRequest(res, message.replace('[INVALID_STATE_TRANSITION] ', ''), {
+      code: 'INVALID_STATE_TRANSITION',
+    });
+    return;
+  }
+  if (message.includes('[CONFLICT]')) {
+    ErrorResponses.conflict(res, message.replace('[CONFLICT] ', ''));
+    return;
+  }
+  if (message.includes('[NOT_FOUND]')) {
+    ErrorResponses.notFound(res, message.replace('[NOT_FOUND] ', ''));
+    return;
+  }
+  log.error(fallback, error);
+  ErrorResponses.internalError(res, fallback, error as Error);
+}
+
+// ── Price list ───────────────────────────────────────────────────────────────
+
+// GET /api/lab-price-list?labId=
+router.get(
+  '/lab-price-list',
+  validate({ query: labBillingContract.listLabPrices.query }),
+  async (
+    req: Request<unknown, unknown, unknown, labBillingContract.ListLabPricesQuery>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      sendData(res, labBillingContract.listLabPrices.response, await listLabPrices(req.query.labId));
+    } catch (error) {
+      log.error('Error listing lab prices:', error);
+      ErrorResponses.internalError(res, 'Failed to list lab prices', error as Error);
+    }
+  }
+);
+
+// POST /api/lab-price-list
+router.post(
+  '/lab-price-list',
+  authorize(FINANCE_ROLES),
+  validate({ body: labBillingContract.createLabPrice.body }),
+  async (req: Request<unknown, unknown, labBillingContract.LabPriceBody>, res: Response): Promise<void> => {
+    try {
+      const row = await createLabPrice(req.body);
+      sendData(res, labBillingContract.createLabPrice.response, row, 'Price added', 201);
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to add lab price');
+    }
+  }
+);
+
+// PUT /api/lab-price-list/:id
+router.put(
+  '/lab-price-list/:id',
+  authorize(FINANCE_ROLES),
+  validate({ params: labBillingContract.updateLabPrice.params, body: labBillingContract.updateLabPrice.body }),
+  async (req: Request<{ id: string }, unknown, labBillingContract.LabPriceBody>, res: Response): Promise<void> => {
+    try {
+      const row = await updateLabPrice(parseInt(req.params.id, 10), req.body);
+      sendData(res, labBillingContract.updateLabPrice.response, row, 'Price updated');
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to update lab price');
+    }
+  }
+);
+
+// DELETE /api/lab-price-list/:id — retire.
+router.delete(
+  '/lab-price-list/:id',
+  authorize(FINANCE_ROLES),
+  validate({ params: labBillingContract.deleteLabPrice.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const row = await retireLabPrice(parseInt(req.params.id, 10));
+      if (!row) {
+        ErrorResponses.notFound(res, 'Price');
+        return;
+      }
+      sendData(res, labBillingContract.deleteLabPrice.response, row, 'Price retired');
+    } catch (error) {
+      log.error('Error retiring lab price:', error);
+      ErrorResponses.internalError(res, 'Failed to retire lab price', error as Error);
+    }
+  }
+);
+
+// ── Monthly statements + charges ─────────────────────────────────────────────
+
+// GET /api/lab-statements?month=YYYY-MM&labId=
+router.get(
+  '/lab-statements',
+  validate({ query: labBillingContract.monthlyLabStatements.query }),
+  async (
+    req: Request<unknown, unknown, unknown, labBillingContract.MonthlyLabStatementsQuery>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const view = await getMonthlyLabStatements(req.query.month, req.query.labId);
+      sendData(res, labBillingContract.monthlyLabStatements.response, view);
+    } catch (error) {
+      log.error('Error building lab statements:', error);
+      ErrorResponses.internalError(res, 'Failed to load lab statements', error as Error);
+    }
+  }
+);
+
+// POST /api/lab-statements — reconcile + book the expense.
+router.post(
+  '/lab-statements',
+  authorize(FINANCE_ROLES),
+  validate({ body: labBillingContract.reconcileLabStatement.body }),
+  async (
+    req: Request<unknown, unknown, labBillingContract.ReconcileLabStatementBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const row = await reconcileLabStatement(req.body, req);
+      sendData(res, labBillingContract.reconcileLabStatement.response, row, 'Statement reconciled', 201);
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to reconcile lab statement');
+    }
+  }
+);
+
+// DELETE /api/lab-statements/:id — reopen.
+router.delete(
+  '/lab-statements/:id',
+  authorize(FINANCE_ROLES),
+  validate({ params: labBillingContract.reopenLabStatement.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const row = await reopenLabStatement(parseInt(req.params.id, 10));
+      sendData(res, labBillingContract.reopenLabStatement.response, row, 'Statement reopened');
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to reopen lab statement');
+    }
+  }
+);
+
+// PATCH /api/lab-case-charges/:id
+router.patch(
+  '/lab-case-charges/:id',
+  authorize(FINANCE_ROLES),
+  validate({ params: labBillingContract.updateLabCharge.params, body: labBillingContract.updateLabCharge.body }),
+  async (
+    req: Request<{ id: string }, unknown, labBillingContract.UpdateLabChargeBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const row = await updateLabCharge(parseInt(req.params.id, 10), req.body);
+      sendData(res, labBillingContract.updateLabCharge.response, row, 'Charge updated');
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to update lab charge');
+    }
+  }
+);
+
+export default router;
@@ -28,6 +28,8 @@ import {
   resumeLabCase,
   cancelLabCase,
 } from '../../services/lab-cases/lab-case-service.js';
+import { getLabCaseAnalytics } from '../../services/lab-cases/lab-case-analytics.js';
+import { getLabSlaSettings, saveLabSlaSettings } from '../../services/lab-cases/lab-sla.js';
 
 const router = Router();
 
@@ -68,6 +70,51 @@ router.get(
   }
 );
 
+// GET /api/lab-cases/analytics?labId=&from=&to= — turnaround metrics + cases over SLA.
+// Registered before `/lab-cases/:id` so the literal segment isn't taken for an id.
+router.get(
+  '/lab-cases/analytics',
+  validate({ query: labCaseContract.labCaseAnalytics.query }),
+  async (
+    req: Request<unknown, unknown, unknown, labCaseContract.LabCaseAnalyticsQuery>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const analytics = await getLabCaseAnalytics(req.query);
+      sendData(res, labCaseContract.labCaseAnalytics.response, analytics);
+    } catch (error) {
+      log.error('Error building lab case analytics:', error);
+      ErrorResponses.internalError(res, 'Failed to build lab case analytics', error as Error);
+    }
+  }
+);
+
+// GET /api/lab-cases/sla-settings — per-stage SLA days + whether alerts are on.
+router.get('/lab-cases/sla-settings', async (_req: Request, res: Response): Promise<void> => {
+  try {
+    sendData(res, labCaseContract.slaSettings.response, await getLabSlaSettings());
+  } catch (error) {
+    log.error('Error loading lab SLA settings:', error);
+    ErrorResponses.internalError(res, 'Failed to load lab SLA settings', error as Error);
+  }
+});
+
+// PUT /api/lab-cases/sla-settings
+router.put(
+  '/lab-cases/sla-settings',
+  authorize(CLINICAL_ROLES),
+  validate({ body: labCaseContract.slaSettings.body }),
+  async (req: Request<unknown, unknown, labCaseContract.LabSlaSettings>, res: Response): Promise<void> => {
+    try {
+      const saved = await saveLabSlaSettings(req.body);
+      sendData(res, labCaseContract.slaSettings.response, saved, 'Lab SLA settings saved');
+    } catch (error) {
+      log.error('Error saving lab SLA settings:', error);
+      ErrorResponses.internalError(res, 'Failed to save lab SLA settings', error as Error);
+    }
+  }
+);
+
 // GET /api/lab-cases/:id — one case + its event timeline.
 router.get(
   '/lab-cases/:id',
@@ -0,0 +1,96 @@
+/**
+ * Message template routes — Settings → Messaging.
+ *
+ *   GET    /api/message-templates                 — every type with its variants
+ *   PUT    /api/message-templates/:key/:language  — save a variant (admin)
+ *   DELETE /api/message-templates/:key/:language  — back to the built-in text (admin)
+ *   POST   /api/message-templates/preview         — render a draft with sample values
+ *
+ * The texts are rendered by services/messaging/message-templates.ts for every
+ * patient message channel. See shared/contracts/message-template.contract.ts.
+ */
+import { Router, type Request, type Response } from 'express';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { ADMIN_ROLES, CLINICAL_ROLES } from '../../shared/auth/roles.js';
+import { validate } from '../../middleware/validate.js';
+import { sendData, sendSuccess, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as templateContract from '../../shared/contracts/message-template.contract.js';
+import { saveTemplate, deleteTemplate } from '../../services/database/queries/message-template-queries.js';
+import {
+  describeMessageTemplates,
+  previewMessageTemplate,
+  unknownVariables,
+} from '../../services/messaging/message-templates.js';
+
+const router = Router();
+
+const staffOnly = [authenticate, authorize(CLINICAL_ROLES)];
+const adminOnly = [authenticate, authorize(ADMIN_ROLES)];
+
+// GET /api/message-templates
+router.get('/message-templates', staffOnly, async (_req: Request, res: Response): Promise<void> => {
+  try {
+    sendData(res, templateContract.listTemplates.response, await describeMessageTemplates());
+  } catch (error) {
+    log.error('Error listing message templates:', error);
+    ErrorResponses.internalError(res, 'Failed to load message templates', error as Error);
+  }
+});
+
+// POST /api/message-templates/preview
+router.post(
+  '/message-templates/preview',
+  staffOnly,
+  validate({ body: templateContract.previewTemplate.body }),
+  (req: Request<unknown, unknown, templateContract.PreviewTemplateBody>, res: Response): void => {
+    const { key, language, body } = req.body;
+    sendData(res, templateContract.previewTemplate.response, previewMessageTemplate(key, language, body));
+  }
+);
+
+// PUT /api/message-templates/:key/:language
+router.put(
+  '/message-templates/:key/:language',
+  adminOnly,
+  validate({ params: templateContract.saveTemplate.params, body: templateContract.saveTemplate.body }),
+  async (
+    req: Request<templateContract.MessageTemplateParams, unknown, templateContract.SaveTemplateBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const { key, language } = req.params;
+      const unknown = unknownVariables(key, req.body.body);
+      if (unknown.length > 0) {
+        ErrorResponses.badRequest(res, `Unknown placeholder(s): ${unknown.map((n) => `{{${n}}}`).join(', ')}`, {
+          unknownVariables: unknown,
+        });
+        return;
+      }
+      await saveTemplate(key, language, req.body.body, req.session?.username ?? null);
+      sendSuccess(res, null, 'Message template saved');
+    } catch (error) {
+      log.error('Error saving message template:', error);
+      ErrorResponses.internalError(res, 'Failed to save message template', error as Error);
+    }
+  }
+);
+
+// DELETE /api/message-templates/:key/:language
+router.delete(
+  '/message-templates/:key/:language',
+  adminOnly,
+  validate({ params: templateContract.resetTemplate.params }),
+  async (req: Request<templateContract.MessageTemplateParams>, res: Response): Promise<void> => {
+    try {
+      const { key, language } = req.params;
+      await deleteTemplate(key, language);
+      sendSuccess(res, null, 'Message template reset to the built-in text');
+    } catch (error) {
+      log.error('Error resetting message template:', error);
+      ErrorResponses.internalError(res, 'Failed to reset message template', error as Error);
+    }
+  }
+);
+
+export default router;
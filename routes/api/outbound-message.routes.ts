@@ -0,0 +1,99 @@
+/**
+ * Outbound message queue routes — Settings → Message Queue (admin).
+ *
+ *   GET  /api/outbound-messages?status=   — newest first, optionally one status
+ *   GET  /api/outbound-messages/summary   — count per status
+ *   POST /api/outbound-messages/:id/resend — a failed/cancelled message back to pending
+ *   POST /api/outbound-messages/:id/cancel — stop a pending message
+ *
+ * The queue itself is drained by services/messaging/outbound-queue.ts. See
+ * shared/contracts/outbound-message.contract.ts.
+ */
+import { Router, type Request, type Response } from 'express';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { ADMIN_ROLES } from '../../shared/auth/roles.js';
+import { validate } from '../../middleware/validate.js';
+import { sendData, sendSuccess, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as outboundContract from '../../shared/contracts/outbound-message.contract.js';
+import {
+  cancelPendingMessage,
+  countOutboundByStatus,
+  listOutboundMessages,
+} from '../../services/database/queries/outbound-queue-queries.js';
+import { resendOutboundMessage } from '../../services/messaging/outbound-queue.js';
+
+const router = Router();
+
+const adminOnly = [authenticate, authorize(ADMIN_ROLES)];
+
+// GET /api/outbound-messages
+router.get(
+  '/outbound-messages',
+  adminOnly,
+  validate({ query: outboundContract.listMessages.query }),
+  async (
+    req: Request<unknown, unknown, unknown, outboundContract.ListOutboundMessagesQuery>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const rows = await listOutboundMessages(req.query.status, outboundContract.OUTBOUND_PAGE_SIZE);
+      sendData(res, outboundContract.listMessages.response, rows);
+    } catch (error) {
+      log.error('Error listing outbound messages:', error);
+      ErrorResponses.internalError(res, 'Failed to load the message queue', error as Error);
+    }
+  }
+);
+
+// GET /api/outbound-messages/summary
+router.get('/outbound-messages/summary', adminOnly, async (_req: Request, res: Response): Promise<void> => {
+  try {
+    sendData(res, outboundContract.summary.response, await countOutboundByStatus());
+  } catch (error) {
+    log.error('Error counting outbound messages:', error);
+    ErrorResponses.internalError(res, 'Failed to load the message queue summary', error as Error);
+  }
+});
+
+// POST /api/outbound-messages/:id/resend
+router.post(
+  '/outbound-messages/:id/resend',
+  adminOnly,
+  validate({ params: outboundContract.resendMessage.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const resent = await resendOutboundMessage(parseInt(req.params.id, 10), req.session?.username ?? null);
+      if (!resent) {
+        ErrorResponses.conflict(res, 'Only a failed or cancelled message can be resent');
+        return;
+      }
+      sendSuccess(res, null, 'Message queued for resending');
+    } catch (error) {
+      log.error('Error resending outbound message:', error);
+      ErrorResponses.internalError(res, 'Failed to resend the message', error as Error);
+    }
+  }
+);
+
+// POST /api/outbound-messages/:id/cancel
+router.post(
+  '/outbound-messages/:id/cancel',
+  adminOnly,
+  validate({ params: outboundContract.cancelMessage.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const cancelled = await cancelPendingMessage(parseInt(req.params.id, 10), req.session?.username ?? null);
+      if (!cancelled) {
+        ErrorResponses.conflict(res, 'Only a pending message can be cancelled');
+        return;
+      }
+      sendSuccess(res, null, 'Message cancelled');
+    } catch (error) {
+      log.error('Error cancelling outbound message:', error);
+      ErrorResponses.internalError(res, 'Failed to cancel the message', error as Error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,118 @@
+/**
+ * Installment payment plan routes (`/api/works/:workId/payment-plan`,
+ * `/api/payment-plans*`).
+ *
+ * Money routes — gated PER ROUTE to FINANCE_ROLES like /addInvoice; this router is
+ * mounted at the /api root. The overdue-balances report sits with the other
+ * statistics in reports.routes.ts. PaymentPlanService throws PaymentPlanError with
+ * a code that handlePlanError maps onto the HTTP status.
+ */
+import { Router, type Request, type Response } from 'express';
+import { validate } from '../../middleware/validate.js';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { FINANCE_ROLES } from '../../shared/auth/roles.js';
+import { sendData, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as planContract from '../../shared/contracts/payment-plan.contract.js';
+import {
+  getWorkPaymentPlan,
+  createPaymentPlan,
+  cancelPlan,
+  sendDuesReminder,
+  PaymentPlanError,
+} from '../../services/business/PaymentPlanService.js';
+
+const router = Router();
+
+const financeOnly = [authenticate, authorize(FINANCE_ROLES)];
+
+/** PaymentPlanError code → HTTP response; anything else is a 500. */
+function handlePlanError(res: Response, error: unknown, fallback: string): void {
+  if (error instanceof PaymentPlanError) {
+    const details = { code: error.code, ...error.details };
+    switch (error.code) {
+      case 'WORK_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Work', details);
+        return;
+      case 'PLAN_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Payment plan', details);
+        return;
+      case 'PLAN_EXISTS':
+      case 'PLAN_NOT_ACTIVE':
+        ErrorResponses.conflict(res, error.message, details);
+        return;
+      case 'SEND_FAILED':
+        log.error(fallback, error);
+        ErrorResponses.internalError(res, error.message, details);
+        return;
+      default:
+        ErrorResponses.badRequest(res, error.message, details);
+        return;
+    }
+  }
+  log.error(fallback, error);
+  ErrorResponses.internalError(res, fallback, error as Error);
+}
+
+// GET /api/works/:workId/payment-plan
+router.get(
+  '/works/:workId/payment-plan',
+  financeOnly,
+  validate({ params: planContract.workPaymentPlan.params }),
+  async (req: Request<{ workId: string }>, res: Response): Promise<void> => {
+    try {
+      const plan = await getWorkPaymentPlan(parseInt(req.params.workId, 10));
+      sendData(res, planContract.workPaymentPlan.response, plan);
+    } catch (error) {
+      handlePlanError(res, error, 'Failed to fetch payment plan');
+    }
+  }
+);
+
+// POST /api/payment-plans
+router.post(
+  '/payment-plans',
+  financeOnly,
+  validate({ body: planContract.createPaymentPlan.body }),
+  async (req: Request<unknown, unknown, planContract.CreatePaymentPlanBody>, res: Response): Promise<void> => {
+    try {
+      const plan = await createPaymentPlan(req.body, req.session?.username ?? null);
+      sendData(res, planContract.createPaymentPlan.response, plan, 'Payment plan created', 201);
+    } catch (error) {
+      handlePlanError(res, error, 'Failed to create payment plan');
+    }
+  }
+);
+
+// POST /api/payment-plans/:id/cancel
+router.post(
+  '/payment-plans/:id/cancel',
+  financeOnly,
+  validate({ params: planContract.cancelPaymentPlan.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      await cancelPlan(id);
+      sendData(res, planContract.cancelPaymentPlan.response, { id }, 'Payment plan cancelled');
+    } catch (error) {
+      handlePlanError(res, error, 'Failed to cancel payment plan');
+    }
+  }
+);
+
+// POST /api/payment-plans/:id/remind
+router.post(
+  '/payment-plans/:id/remind',
+  financeOnly,
+  validate({ params: planContract.remindPaymentPlan.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const result = await sendDuesReminder(parseInt(req.params.id, 10));
+      sendData(res, planContract.remindPaymentPlan.response, result, 'Reminder sent');
+    } catch (error) {
+      handlePlanError(res, error, 'Failed to send dues reminder');
+    }
+  }
+);
+
+export default router;
@@ -4,6 +4,7 @@
  * Handles all payment-related operations including:
  * - Payment retrieval and history
  * - Invoice creation and deletion
+ * - Refunds (credit notes) against recorded payments
  * - Exchange rate management
  * - currency conversion and validation
  * - Receipt generation
@@ -14,11 +15,12 @@
  * - Exchange rate validation and constraints
  */
 
-import { Router, type Request, type Response } from 'express';
+import { Router, type NextFunction, type Request, type Response } from 'express';
 import { log } from '../../utils/logger.js';
 import { sql } from 'kysely';
 import { getKysely } from '../../services/database/kysely.js';
 import {
+  deleteInvoiceById,
   getActiveWorkForInvoice,
   getCurrentExchangeRate,
   getPaymentHistoryByWorkId,
@@ -44,14 +46,19 @@ import {
   updateExchangeRate,
   addInvoice,
   deleteInvoice,
+  refundInvoice,
   type UpdateExchangeRateBody,
   type AddInvoiceBody,
+  type RefundInvoiceBody,
   type PaymentQueryParams,
 } from '../../shared/contracts/payment.contract.js';
 import {
+  assertInvoiceDeletable,
   validateAndCreateInvoice,
+  validateAndCreateRefund,
   PaymentValidationError
 } from '../../services/business/PaymentService.js';
+import { isForeignKeyViolation } from '../../utils/pg-errors.js';
 import { enqueueApproval, recordNotice, resolveApprovalPersonId } from '../../services/approvals/approval-service.js';
 
 const router = Router();
@@ -440,12 +447,29 @@ router.post(
  *
  * Protected: Secretary can only delete invoices created today
  * Admin can delete any invoice
+ * A refund (credit note) is never deleted — checked before the approval gate so
+ * one can't be queued for an admin either.
  */
 router.delete(
   '/deleteInvoice/:invoiceId',
   authenticate,
   authorize(FINANCE_ROLES),
   validate({ params: deleteInvoice.params }),
+  async (req: Request<{ invoiceId: string }>, res: Response, next: NextFunction): Promise<void> => {
+    try {
+      await assertInvoiceDeletable(parseInt(req.params.invoiceId));
+      next();
+    } catch (error) {
+      if (error instanceof PaymentValidationError) {
+        const details = { code: error.code, ...error.details };
+        if (error.code === 'INVOICE_NOT_FOUND') ErrorResponses.notFound(res, 'Invoice', details);
+        else ErrorResponses.badRequest(res, error.message, details);
+        return;
+      }
+      log.error('Error checking invoice before delete:', error);
+      ErrorResponses.internalError(res, 'Failed to delete invoice', error as Error);
+    }
+  },
   requireRecordAge({
     resourceType: 'invoice',
     operation: 'delete',
@@ -478,10 +502,7 @@ router.delete(
       // the invoice→work→person link is already gone.
       const personId = await resolveApprovalPersonId('invoice.delete', invoiceIdNum);
 
-      const result = await sql`
-        DELETE FROM "invoices" WHERE "invoice_id" = ${invoiceIdNum}
-      `.execute(getKysely());
-      const rowsAffected = Number(result.numAffectedRows ?? 0n);
+      const rowsAffected = await deleteInvoiceById(invoiceIdNum);
 
       if (rowsAffected === 0) {
         ErrorResponses.notFound(res, 'Invoice');
@@ -493,6 +514,95 @@ router.delete(
       sendData(res, deleteInvoice.response, { outcome: 'applied', rowsAffected }, 'Invoice deleted successfully');
     } catch (error) {
       log.error('Error deleting invoice:', error);
+      // A refund row references this payment (ON DELETE RESTRICT) — the credit
+      // note would be orphaned, so the payment stays.
+      if (isForeignKeyViolation(error)) {
+        ErrorResponses.conflict(res, 'This payment has refunds recorded against it and cannot be deleted');
+        return;
+      }
+      ErrorResponses.internalError(
+        res,
+        (error as Error).message,
+        error as Error
+      );
+    }
+  }
+);
+
+/**
+ * Refund a payment (credit note)
+ * POST /api/invoices/:invoiceId/refund
+ *
+ * Body: { amount, usdReturned, iqdReturned, reason }
+ *
+ * Records a negative invoice dated today that references the original, instead
+ * of deleting it — the money trail stays intact for the cash-box reconciliation.
+ * Partial refunds are allowed up to the payment's unrefunded remainder.
+ *
+ * Protected: Secretary can refund payments taken today; refunding an older one
+ * is held for admin approval. Admin can refund any payment.
+ */
+router.post(
+  '/invoices/:invoiceId/refund',
+  authenticate,
+  authorize(FINANCE_ROLES),
+  validate({ params: refundInvoice.params, body: refundInvoice.body }),
+  requireRecordAge({
+    resourceType: 'invoice',
+    operation: 'update',
+    getRecordDate: getInvoiceCreationDate,
+    // `amount` is always present, so every refund of an old payment is restricted.
+    restrictedFields: ['amount'],
+    enqueueIfRestricted: async (req, res) => {
+      const { invoiceId } = req.params as { invoiceId: string };
+      const body = req.body as RefundInvoiceBody;
+      const { requestId } = await enqueueApproval(
+        'invoice.refund',
+        { invoiceId: parseInt(invoiceId), ...body, refundedBy: req.session?.username ?? null },
+        req
+      );
+      sendData(res, refundInvoice.response, {
+        outcome: 'pending',
+        requestId,
+        message: 'Submitted for admin approval',
+      });
+    },
+  }),
+  async (
+    req: Request<{ invoiceId: string }, unknown, RefundInvoiceBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const invoiceIdNum = parseInt(req.params.invoiceId);
+      const { amount, usdReturned, iqdReturned, reason } = req.body;
+
+      const refund = await validateAndCreateRefund({
+        invoiceId: invoiceIdNum,
+        amount,
+        usdReturned,
+        iqdReturned,
+        reason,
+        refundedBy: req.session?.username ?? null,
+      });
+
+      // Notify tier: same-day admin-visible FYI; recordNotice no-ops for admin callers.
+      await recordNotice('invoice.refund', { invoiceId: invoiceIdNum, amount, reason }, req);
+      sendData(res, refundInvoice.response, { outcome: 'applied', refund }, 'Refund recorded');
+    } catch (error) {
+      log.error('Error refunding invoice:', error);
+
+      if (error instanceof PaymentValidationError) {
+        if (error.code === 'INVOICE_NOT_FOUND') {
+          ErrorResponses.notFound(res, 'Invoice');
+          return;
+        }
+        ErrorResponses.badRequest(res, error.message, {
+          code: error.code,
+          ...error.details
+        });
+        return;
+      }
+
       ErrorResponses.internalError(
         res,
         (error as Error).message,
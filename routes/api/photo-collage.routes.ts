@@ -0,0 +1,209 @@
+/**
+ * Photo alignment and collage routes (`/api/patients/:personId/photo-landmarks*`,
+ * `/api/patients/:personId/collages*`).
+ *
+ * Clinical routes — gated PER ROUTE to CLINICAL_ROLES; this router is mounted at
+ * the /api root. Landmarks are marked in the Compare page's collage dialog; the
+ * collage JPEG is rendered and cached server-side, then shown, downloaded,
+ * shared (`{ source: 'collage' }`) or sent on WhatsApp by name. PhotoCollageService
+ * throws PhotoCollageError with a code that handleCollageError maps onto the
+ * HTTP status; the renderer's FileExplorerError carries its own.
+ */
+import { Router, type Request, type Response } from 'express';
+import { validate } from '../../middleware/validate.js';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { CLINICAL_ROLES } from '../../shared/auth/roles.js';
+import { sendData, sendSuccess, sendError, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as collageContract from '../../shared/contracts/photo-collage.contract.js';
+import type { PhotoViewCode } from '../../shared/photo-views.js';
+import { FileExplorerError } from '../../services/files/file-explorer.service.js';
+import { resolveCollage } from '../../services/imaging/photo-collage.service.js';
+import {
+  listAlignmentPhotos,
+  saveLandmark,
+  removeLandmark,
+  createCollage,
+  sendCollageWhatsApp,
+  PhotoCollageError,
+} from '../../services/business/PhotoCollageService.js';
+
+const router = Router();
+
+const clinicalOnly = [authenticate, authorize(CLINICAL_ROLES)];
+
+/** A collage's name is its content hash, so a browser may keep it. */
+const COLLAGE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+type LandmarkRouteParams = { personId: string; tpCode: string; view: PhotoViewCode };
+type CollageRouteParams = { personId: string; name: string };
+
+/** PhotoCollageError code → HTTP response; anything else is a 500. */
+function handleCollageError(res: Response, error: unknown, fallback: string): void {
+  if (error instanceof PhotoCollageError) {
+    const details = { code: error.code, ...error.details };
+    switch (error.code) {
+      case 'PATIENT_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Patient', details);
+        return;
+      case 'TIMEPOINT_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Timepoint', details);
+        return;
+      case 'PHOTO_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Photo', details);
+        return;
+      case 'LANDMARK_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Landmarks', details);
+        return;
+      case 'SEND_FAILED':
+        sendError(res, 503, error.message, details);
+        return;
+      default:
+        ErrorResponses.badRequest(res, error.message, details);
+        return;
+    }
+  }
+  if (error instanceof FileExplorerError) {
+    sendError(res, error.status, error.message);
+    return;
+  }
+  log.error(fallback, error);
+  ErrorResponses.internalError(res, fallback, error as Error);
+}
+
+// GET /api/patients/:personId/photo-landmarks
+router.get(
+  '/patients/:personId/photo-landmarks',
+  clinicalOnly,
+  validate({ params: collageContract.listAlignmentPhotos.params }),
+  async (req: Request<{ personId: string }>, res: Response): Promise<void> => {
+    try {
+      const photos = await listAlignmentPhotos(parseInt(req.params.personId, 10));
+      if (!photos) {
+        ErrorResponses.notFound(res, 'Patient');
+        return;
+      }
+      sendData(res, collageContract.listAlignmentPhotos.response, photos);
+    } catch (error) {
+      handleCollageError(res, error, 'Failed to fetch photo landmarks');
+    }
+  }
+);
+
+// PUT /api/patients/:personId/photo-landmarks/:tpCode/:view
+router.put(
+  '/patients/:personId/photo-landmarks/:tpCode/:view',
+  clinicalOnly,
+  validate({ params: collageContract.saveLandmark.params, body: collageContract.saveLandmark.body }),
+  async (
+    req: Request<LandmarkRouteParams, unknown, collageContract.SaveLandmarkBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const photo = await saveLandmark(
+        parseInt(req.params.personId, 10),
+        parseInt(req.params.tpCode, 10),
+        req.params.view,
+        req.body,
+        req.session?.username ?? null
+      );
+      sendData(res, collageContract.saveLandmark.response, photo, 'Landmarks saved');
+    } catch (error) {
+      handleCollageError(res, error, 'Failed to save photo landmarks');
+    }
+  }
+);
+
+// DELETE /api/patients/:personId/photo-landmarks/:tpCode/:view
+router.delete(
+  '/patients/:personId/photo-landmarks/:tpCode/:view',
+  clinicalOnly,
+  validate({ params: collageContract.deleteLandmark.params }),
+  async (req: Request<LandmarkRouteParams>, res: Response): Promise<void> => {
+    try {
+      await removeLandmark(parseInt(req.params.personId, 10), parseInt(req.params.tpCode, 10), req.params.view);
+      sendSuccess(res, null, 'Landmarks cleared');
+    } catch (error) {
+      handleCollageError(res, error, 'Failed to clear photo landmarks');
+    }
+  }
+);
+
+// POST /api/patients/:personId/collages
+router.post(
+  '/patients/:personId/collages',
+  clinicalOnly,
+  validate({ params: collageContract.createCollage.params, body: collageContract.createCollage.body }),
+  async (
+    req: Request<{ personId: string }, unknown, collageContract.CreateCollageBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const personId = parseInt(req.params.personId, 10);
+      const rendered = await createCollage(personId, req.body);
+      log.info('Collage created', {
+        personId,
+        name: rendered.name,
+        cached: rendered.cached,
+        by: req.session?.username,
+      });
+      // Pick the fields — `abs` is a server path and stays on the server.
+      const { name, width, height, cached, aligned, missing } = rendered;
+      sendData(
+        res,
+        collageContract.createCollage.response,
+        { name, width, height, cached, aligned, missing },
+        'Collage ready',
+        cached ? 200 : 201
+      );
+    } catch (error) {
+      handleCollageError(res, error, 'Failed to create collage');
+    }
+  }
+);
+
+// GET /api/patients/:personId/collages/:name — the JPEG.
+router.get(
+  '/patients/:personId/collages/:name',
+  clinicalOnly,
+  validate({ params: collageContract.collageFile.params }),
+  async (req: Request<CollageRouteParams>, res: Response): Promise<void> => {
+    try {
+      const { abs } = await resolveCollage(parseInt(req.params.personId, 10), req.params.name);
+      res.setHeader('Content-Type', 'image/jpeg');
+      res.sendFile(
+        abs,
+        // `dotfiles: 'allow'` — the cache lives under a dot dir (`.cache/collages/…`).
+        { dotfiles: 'allow', cacheControl: true, lastModified: true, maxAge: COLLAGE_MAX_AGE_MS },
+        (err) => {
+          if (err && !res.headersSent) {
+            ErrorResponses.serverError(res, 'Failed to serve collage');
+          }
+        }
+      );
+    } catch (error) {
+      handleCollageError(res, error, 'Failed to serve collage');
+    }
+  }
+);
+
+// POST /api/patients/:personId/collages/:name/whatsapp
+router.post(
+  '/patients/:personId/collages/:name/whatsapp',
+  clinicalOnly,
+  validate({ params: collageContract.sendCollage.params }),
+  async (req: Request<CollageRouteParams>, res: Response): Promise<void> => {
+    try {
+      const phone = await sendCollageWhatsApp(
+        parseInt(req.params.personId, 10),
+        req.params.name,
+        req.session?.username ?? null
+      );
+      sendData(res, collageContract.sendCollage.response, { phone }, 'Collage sent on WhatsApp');
+    } catch (error) {
+      handleCollageError(res, error, 'Failed to send collage on WhatsApp');
+    }
+  }
+);
+
+export default router;
@@ -7,7 +7,7 @@ import { log } from '../../utils/logger.js';
 import { ErrorResponses, sendData } from '../../utils/error-response.js';
 import { validate } from '../../middleware/validate.js';
 import { authorize } from '../../middleware/auth.js';
-import { ADMIN_ROLES } from '../../shared/auth/roles.js';
+import { ADMIN_ROLES, FINANCE_ROLES } from '../../shared/auth/roles.js';
 import * as reports from '../../shared/contracts/reports.contract.js';
 import {
   calculateMonthlyStatistics,
@@ -26,6 +26,7 @@ import {
   type RevenueBreakdownRow,
 } from '../../services/database/queries/report-queries.js';
 import { getLatestExchangeRate } from '../../services/database/queries/payment-queries.js';
+import { getOverdueBalances } from '../../services/business/PaymentPlanService.js';
 
 const router = Router();
 
@@ -405,6 +406,26 @@ router.get(
   }
 );
 
+/**
+ * GET /statistics/overdue-balances
+ * Works on an installment payment plan with installments past their due date +
+ * grace period (the Statistics "Overdue" tab). Allocation is computed live by
+ * PaymentPlanService, so a payment recorded a minute ago is already reflected.
+ */
+router.get(
+  '/statistics/overdue-balances',
+  authorize(FINANCE_ROLES), // the front desk chases dues — not admin-only
+  async (_req: Request, res: Response): Promise<void> => {
+    try {
+      const result = await getOverdueBalances();
+      sendData(res, reports.overdueBalances.response, result);
+    } catch (error) {
+      log.error('Error fetching overdue balances:', error);
+      ErrorResponses.internalError(res, 'Failed to fetch overdue balances', error as Error);
+    }
+  }
+);
+
 /**
  * GET /daily-invoices
  * Get daily invoices for a specific date
@@ -0,0 +1,246 @@
+/**
+ * Stand purchasing routes (`/api/stand/suppliers*`, `/api/stand/purchase-orders*`).
+ *
+ * Suppliers, purchase orders raised from low-stock items, partial receiving with
+ * lot/expiry capture, and supplier invoices. Writes carry the same
+ * `authenticate` + FINANCE_ROLES guard as a manual restock — receiving moves
+ * stock and books an expense. StandValidationError → 400, like stand.routes.ts.
+ */
+import { Router, type Request, type Response } from 'express';
+import {
+  getStandSuppliers,
+  getReorderSuggestions,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+} from '../../services/database/queries/stand-purchasing-queries.js';
+import {
+  validateAndCreateSupplier,
+  validateAndUpdateSupplier,
+  validateAndCreatePurchaseOrder,
+  validateAndMarkOrdered,
+  validateAndCancelPurchaseOrder,
+  validateAndReceivePurchaseOrder,
+  validateAndRecordSupplierInvoice,
+} from '../../services/business/StandPurchasingService.js';
+import { StandValidationError } from '../../services/business/StandService.js';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { FINANCE_ROLES } from '../../shared/auth/roles.js';
+import { ErrorResponses, sendData, sendSuccess } from '../../utils/error-response.js';
+import { validate } from '../../middleware/validate.js';
+import * as purchasingContract from '../../shared/contracts/stand-purchasing.contract.js';
+import { log } from '../../utils/logger.js';
+
+const router = Router();
+
+function handleStandError(res: Response, error: unknown, fallbackMessage: string): void {
+  if (error instanceof StandValidationError) {
+    ErrorResponses.badRequest(res, error.message, { code: error.code, ...error.details });
+    return;
+  }
+  log.error(fallbackMessage, error);
+  ErrorResponses.internalError(res, fallbackMessage, error as Error);
+}
+
+// ============================================================================
+// SUPPLIERS
+// ============================================================================
+
+router.get(
+  '/stand/suppliers',
+  async (req: Request<unknown, unknown, unknown, { includeInactive?: string }>, res: Response): Promise<void> => {
+    try {
+      const suppliers = await getStandSuppliers(req.query.includeInactive === 'true');
+      sendData(res, purchasingContract.suppliers.response, suppliers);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to fetch suppliers');
+    }
+  }
+);
+
+router.post(
+  '/stand/suppliers',
+  authenticate,
+  authorize(FINANCE_ROLES),
+  validate({ body: purchasingContract.createSupplier.body }),
+  async (req: Request<unknown, unknown, purchasingContract.SupplierBody>, res: Response): Promise<void> => {
+    try {
+      const result = await validateAndCreateSupplier(req.body);
+      sendData(res, purchasingContract.createSupplier.response, result, null, 201);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to create supplier');
+    }
+  }
+);
+
+router.put(
+  '/stand/suppliers/:id',
+  authenticate,
+  authorize(FINANCE_ROLES),
+  validate({ params: purchasingContract.updateSupplier.params, body: purchasingContract.updateSupplier.body }),
+  async (req: Request<{ id: string }, unknown, purchasingContract.SupplierBody>, res: Response): Promise<void> => {
+    try {
+      await validateAndUpdateSupplier(parseInt(req.params.id, 10), req.body);
+      sendSuccess(res, null, 'Supplier updated');
+    } catch (error) {
+      handleStandError(res, error, 'Failed to update supplier');
+    }
+  }
+);
+
+// ============================================================================
+// PURCHASE ORDERS
+// ============================================================================
+
+// Registered before `/:id` so "suggestions" is not read as an id.
+router.get('/stand/purchase-orders/suggestions', async (_req: Request, res: Response): Promise<void> => {
+  try {
+    const suggestions = await getReorderSuggestions();
+    sendData(res, purchasingContract.reorderSuggestions.response, suggestions);
+  } catch (error) {
+    handleStandError(res, error, 'Failed to fetch reorder suggestions');
+  }
+});
+
+router.get(
+  '/stand/purchase-orders',
+  validate({ query: purchasingContract.purchaseOrders.query }),
+  async (req: Request<unknown, unknown, unknown, purchasingContract.PurchaseOrdersQuery>, res: Response): Promise<void> => {
+    try {
+      const orders = await getPurchaseOrders(req.query);
+      sendData(res, purchasingContract.purchaseOrders.response, orders);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to fetch purchase orders');
+    }
+  }
+);
+
+router.get(
+  '/stand/purchase-orders/:id',
+  validate({ params: purchasingContract.purchaseOrderById.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const order = await getPurchaseOrderById(parseInt(req.params.id, 10));
+      if (!order) {
+        ErrorResponses.notFound(res, 'Purchase order');
+        return;
+      }
+      sendData(res, purchasingContract.purchaseOrderById.response, order);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to fetch purchase order');
+    }
+  }
+);
+
+router.post(
+  '/stand/purchase-orders',
+  authenticate,
+  authorize(FINANCE_ROLES),
+  validate({ body: purchasingContract.createPurchaseOrder.body }),
+  async (req: Request<unknown, unknown, purchasingContract.CreatePurchaseOrderBody>, res: Response): Promise<void> => {
+    try {
+      const { supplierId, expectedDate, notes, lines } = req.body;
+      const result = await validateAndCreatePurchaseOrder({
+        supplierId,
+        expectedDate: expectedDate || null,
+        notes: notes || null,
+        createdBy: req.session?.userId ?? null,
+        lines,
+      });
+      sendData(res, purchasingContract.createPurchaseOrder.response, result, null, 201);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to create purchase order');
+    }
+  }
+);
+
+router.post(
+  '/stand/purchase-orders/:id/order',
+  authenticate,
+  authorize(FINANCE_ROLES),
+  validate({ params: purchasingContract.markOrdered.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      await validateAndMarkOrdered(parseInt(req.params.id, 10));
+      sendSuccess(res, null, 'Purchase order marked as ordered');
+    } catch (error) {
+      handleStandError(res, error, 'Failed to mark purchase order as ordered');
+    }
+  }
+);
+
+router.post(
+  '/stand/purchase-orders/:id/cancel',
+  authenticate,
+  authorize(FINANCE_ROLES),
+  validate({ params: purchasingContract.cancelPurchaseOrder.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      await validateAndCancelPurchaseOrder(parseInt(req.params.id, 10));
+      sendSuccess(res, null, 'Purchase order cancelled');
+    } catch (error) {
+      handleStandError(res, error, 'Failed to cancel purchase order');
+    }
+  }
+);
+
+router.post(
+  '/stand/purchase-orders/:id/receive',
+  authenticate,
+  authorize(FINANCE_ROLES),
+  validate({
+    params: purchasingContract.receivePurchaseOrder.params,
+    body: purchasingContract.receivePurchaseOrder.body,
+  }),
+  async (
+    req: Request<{ id: string }, unknown, purchasingContract.ReceivePurchaseOrderBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const result = await validateAndReceivePurchaseOrder({
+        poId: parseInt(req.params.id, 10),
+        notes: req.body.notes || null,
+        receivedBy: req.session?.userId ?? null,
+        lines: req.body.lines.map((l) => ({
+          poLineId: l.poLineId,
+          quantity: l.quantity,
+          unitCost: l.unitCost,
+          lotNumber: l.lotNumber?.trim() || null,
+          expiryDate: l.expiryDate || null,
+        })),
+      });
+      sendData(res, purchasingContract.receivePurchaseOrder.response, result, null, 201);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to receive purchase order');
+    }
+  }
+);
+
+router.post(
+  '/stand/purchase-orders/:id/invoices',
+  authenticate,
+  authorize(FINANCE_ROLES),
+  validate({
+    params: purchasingContract.recordSupplierInvoice.params,
+    body: purchasingContract.recordSupplierInvoice.body,
+  }),
+  async (
+    req: Request<{ id: string }, unknown, purchasingContract.RecordSupplierInvoiceBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const result = await validateAndRecordSupplierInvoice({
+        poId: parseInt(req.params.id, 10),
+        invoiceNo: req.body.invoiceNo,
+        invoiceDate: req.body.invoiceDate,
+        amount: req.body.amount,
+        notes: req.body.notes || null,
+        createdBy: req.session?.userId ?? null,
+      });
+      sendData(res, purchasingContract.recordSupplierInvoice.response, result, null, 201);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to record supplier invoice');
+    }
+  }
+);
+
+export default router;
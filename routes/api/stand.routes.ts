@@ -21,23 +21,27 @@ import {
   getExpiringItems,
   getStandSales,
   getStandSaleById,
+  getStandSaleReturns,
   getStockMovements,
   getStandDashboardKPIs,
   getStandSalesSummary,
   getTopSellingItems,
   getStandPurchasesSummary,
 } from '../../services/database/queries/stand-queries.js';
+import { getItemLots, getStandMarginReport } from '../../services/database/queries/stand-lot-queries.js';
 import {
   validateAndCreateSale,
   validateAndRestockItem,
   validateAndAdjustStock,
   validateAndVoidSale,
+  validateAndReturnSaleItems,
+  writeOffExpiredStock,
   StandValidationError,
 } from '../../services/business/StandService.js';
 import { Type } from '@google/genai';
 import { getGeminiClient, getGeminiModel } from '../../services/business/gemini-config.js';
 import { authenticate, authorize } from '../../middleware/auth.js';
-import { ADMIN_ROLES, FINANCE_ROLES } from '../../shared/auth/roles.js';
+import { ADMIN_ROLES, FINANCE_ROLES, ROLES } from '../../shared/auth/roles.js';
 import { ErrorResponses, sendData, sendError, sendSuccess } from '../../utils/error-response.js';
 import { validate } from '../../middleware/validate.js';
 import * as standContract from '../../shared/contracts/stand.contract.js';
@@ -60,6 +64,10 @@ const router = Router();
 
 function handleStandError(res: Response, error: unknown, fallbackMessage: string): void {
   if (error instanceof StandValidationError) {
+    if (error.code === 'WHOLE_SALE_RETURN') {
+      ErrorResponses.forbidden(res, error.message, { code: error.code, ...error.details });
+      return;
+    }
     ErrorResponses.badRequest(res, error.message, { code: error.code, ...error.details });
     return;
   }
@@ -392,13 +400,16 @@ router.post(
     try {
       const id = parseInt(req.params.id);
       if (isNaN(id)) { ErrorResponses.badRequest(res, 'Invalid item id'); return; }
-      const { quantity, unitCost } = req.body;
+      const { quantity, unitCost, lotNumber, expiryDate } = req.body;
       if (!quantity) {
         ErrorResponses.badRequest(res, 'Missing required fields: quantity, unitCost');
         return;
       }
       const userId = req.session?.userId ?? null;
-      await validateAndRestockItem(id, parseInt(String(quantity)), parseInt(String(unitCost)), userId);
+      await validateAndRestockItem(id, parseInt(String(quantity)), parseInt(String(unitCost)), userId, {
+        lotNumber,
+        expiryDate,
+      });
       sendSuccess(res, null);
     } catch (error) {
       handleStandError(res, error, 'Failed to restock item');
@@ -446,6 +457,33 @@ router.get('/stand/items/:id/movements', async (req: Request<{ id: string }>, re
   }
 });
 
+router.get(
+  '/stand/items/:id/lots',
+  validate({ params: standContract.itemLots.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const lots = await getItemLots(parseInt(req.params.id, 10));
+      sendData(res, standContract.itemLots.response, lots);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to fetch stock lots');
+    }
+  }
+);
+
+router.post(
+  '/stand/lots/write-off-expired',
+  authenticate,
+  authorize(ADMIN_ROLES),
+  async (req: Request, res: Response): Promise<void> => {
+    try {
+      const result = await writeOffExpiredStock(req.session?.userId ?? null);
+      sendData(res, standContract.writeOffExpiredLots.response, result);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to write off expired stock');
+    }
+  }
+);
+
 // ============================================================================
 // SALES
 // ============================================================================
@@ -522,6 +560,41 @@ router.post(
   }
 );
 
+router.get(
+  '/stand/sales/:id/returns',
+  validate({ params: standContract.saleReturns.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const returns = await getStandSaleReturns(parseInt(req.params.id));
+      sendData(res, standContract.saleReturns.response, returns);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to fetch sale returns');
+    }
+  }
+);
+
+router.post(
+  '/stand/sales/:id/returns',
+  authenticate,
+  authorize(FINANCE_ROLES),
+  validate({ params: standContract.returnSale.params, body: standContract.returnSale.body }),
+  async (req: Request<{ id: string }, unknown, standContract.ReturnSaleBody>, res: Response): Promise<void> => {
+    try {
+      const userId = req.session?.userId ?? null;
+      const result = await validateAndReturnSaleItems(
+        parseInt(req.params.id),
+        req.body.items,
+        req.body.reason,
+        userId,
+        req.session?.userRole === ROLES.ADMIN
+      );
+      sendData(res, standContract.returnSale.response, result, null, 201);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to return sale items');
+    }
+  }
+);
+
 // ============================================================================
 // REPORTS
 // ============================================================================
@@ -570,4 +643,20 @@ router.get(
   }
 );
 
+router.get(
+  '/stand/reports/margins',
+  validate({ query: standContract.reportMargins.query }),
+  async (
+    req: Request<unknown, unknown, unknown, { startDate: string; endDate: string }>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const rows = await getStandMarginReport(req.query.startDate, req.query.endDate);
+      sendData(res, standContract.reportMargins.response, rows);
+    } catch (error) {
+      handleStandError(res, error, 'Failed to fetch stand margin report');
+    }
+  }
+);
+
 export default router;
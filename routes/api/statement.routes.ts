@@ -0,0 +1,89 @@
+/**
+ * Patient account statement routes (`/api/patients/:personId/statement*`).
+ *
+ * Read-only, so like the payment history it is open to every signed-in role
+ * (`viewFinance`); this router is mounted at the /api root. The JSON endpoint
+ * follows the shared-contract pattern; the PDF and CSV exports are
+ * deliberately-raw (un-enveloped) downloads of the same statement. The patient portal serves its
+ * own copy from routes/portal.ts.
+ */
+import { Router, type Request, type Response } from 'express';
+import { validate } from '../../middleware/validate.js';
+import { sendData, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import { toDateOnly } from '../../utils/date.js';
+import * as statementContract from '../../shared/contracts/statement.contract.js';
+import {
+  getPatientStatement,
+  statementToCsv,
+  statementToPdf,
+  StatementError,
+} from '../../services/business/StatementService.js';
+
+const router = Router();
+
+/** StatementError → 404; anything else is a 500. */
+function handleStatementError(res: Response, error: unknown, fallback: string): void {
+  if (error instanceof StatementError) {
+    ErrorResponses.notFound(res, 'Patient', { code: error.code, ...error.details });
+    return;
+  }
+  log.error(fallback, error);
+  ErrorResponses.internalError(res, fallback, error as Error);
+}
+
+/** `Statement_<personId>_<YYYY-MM-DD>.<ext>` */
+const statementFilename = (personId: number, ext: string): string =>
+  `Statement_${personId}_${toDateOnly(new Date())}.${ext}`;
+
+// GET /api/patients/:personId/statement
+router.get(
+  '/patients/:personId/statement',
+  validate({ params: statementContract.getPatientStatement.params }),
+  async (req: Request<{ personId: string }>, res: Response): Promise<void> => {
+    try {
+      const statement = await getPatientStatement(parseInt(req.params.personId, 10));
+      sendData(res, statementContract.getPatientStatement.response, statement);
+    } catch (error) {
+      handleStatementError(res, error, 'Failed to build patient statement');
+    }
+  }
+);
+
+// GET /api/patients/:personId/statement/pdf — branded PDF, opened inline.
+router.get(
+  '/patients/:personId/statement/pdf',
+  validate({ params: statementContract.exportPatientStatement.params }),
+  async (req: Request<{ personId: string }>, res: Response): Promise<void> => {
+    try {
+      const personId = parseInt(req.params.personId, 10);
+      const buffer = await statementToPdf(await getPatientStatement(personId));
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${statementFilename(personId, 'pdf')}"`);
+      res.setHeader('Cache-Control', 'no-store');
+      res.send(buffer);
+    } catch (error) {
+      handleStatementError(res, error, 'Failed to generate statement PDF');
+    }
+  }
+);
+
+// GET /api/patients/:personId/statement/csv — spreadsheet download.
+router.get(
+  '/patients/:personId/statement/csv',
+  validate({ params: statementContract.exportPatientStatement.params }),
+  async (req: Request<{ personId: string }>, res: Response): Promise<void> => {
+    try {
+      const personId = parseInt(req.params.personId, 10);
+      const csv = statementToCsv(await getPatientStatement(personId));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${statementFilename(personId, 'csv')}"`);
+      res.setHeader('Cache-Control', 'no-store');
+      res.send(csv);
+    } catch (error) {
+      handleStatementError(res, error, 'Failed to export statement CSV');
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,82 @@
+/**
+ * Two-way sync conflict review (`/api/sync/conflicts…`).
+ *
+ * The queue the CDC sinks fill when a row was changed on both local and the Supabase mirror
+ * since the last sync (services/sync/cdc/conflicts.ts). Listing rides the global `/api`
+ * authenticate gate like the sync status card it sits under; resolving writes to both
+ * databases, so it adds `authorize(ADMIN_ROLES)`.
+ *
+ * The service signals expected failures by message prefix ('[NOT_FOUND] ', '[CONFLICT] ',
+ * '[INVALID_STATE_TRANSITION] '); `handleServiceError` maps them.
+ */
+import { Router, type Request, type Response } from 'express';
+import { validate } from '../../middleware/validate.js';
+import { authorize } from '../../middleware/auth.js';
+import { ADMIN_ROLES } from '../../shared/auth/roles.js';
+import { sendData, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as conflictContract from '../../shared/contracts/sync-conflict.contract.js';
+import { listConflicts, resolveConflict } from '../../services/sync/cdc/conflicts.js';
+
+const router = Router();
+
+/** Translates the service's message-prefix convention into an HTTP response. */
+function handleServiceError(res: Response, error: unknown, fallback: string): void {
+  const message = (error as Error)?.message ?? '';
+  if (message.includes('[INVALID_STATE_TRANSITION]')) {
+    ErrorResponses.badRequest(res, message.replace('[INVALID_STATE_TRANSITION] ', ''), {
+      code: 'INVALID_STATE_TRANSITION',
+    });
+    return;
+  }
+  if (message.includes('[CONFLICT]')) {
+    ErrorResponses.conflict(res, message.replace('[CONFLICT] ', ''));
+    return;
+  }
+  if (message.includes('[NOT_FOUND]')) {
+    ErrorResponses.notFound(res, message.replace('[NOT_FOUND] ', ''));
+    return;
+  }
+  log.error(fallback, error);
+  ErrorResponses.internalError(res, fallback, error as Error);
+}
+
+// GET /api/sync/conflicts?status=open|resolved
+router.get(
+  '/sync/conflicts',
+  validate({ query: conflictContract.listSyncConflicts.query }),
+  async (
+    req: Request<unknown, unknown, unknown, conflictContract.ListSyncConflictsQuery>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      sendData(res, conflictContract.listSyncConflicts.response, await listConflicts(req.query.status));
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to load sync conflicts');
+    }
+  }
+);
+
+// POST /api/sync/conflicts/:id/resolve
+router.post(
+  '/sync/conflicts/:id/resolve',
+  authorize(ADMIN_ROLES),
+  validate({ params: conflictContract.resolveSyncConflict.params, body: conflictContract.resolveSyncConflict.body }),
+  async (
+    req: Request<{ id: string }, unknown, conflictContract.ResolveSyncConflictBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const resolved = await resolveConflict(
+        parseInt(req.params.id, 10),
+        req.body.winner,
+        req.session?.username ?? 'admin'
+      );
+      sendData(res, conflictContract.resolveSyncConflict.response, resolved, 'Conflict resolved');
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to resolve sync conflict');
+    }
+  }
+);
+
+export default router;
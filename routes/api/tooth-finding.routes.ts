@@ -0,0 +1,120 @@
+/**
+ * Clinical findings charting routes (`/api/patients/:personId/tooth-findings`,
+ * `/api/tooth-findings/:id`).
+ *
+ * Clinical routes — gated PER ROUTE to CLINICAL_ROLES like the visit routes; this
+ * router is mounted at the /api root. Feeds the patient's Dental Chart page and
+ * the finding picker on work details. ToothFindingService throws
+ * ToothFindingError with a code that handleFindingError maps onto the HTTP status.
+ */
+import { Router, type Request, type Response } from 'express';
+import { validate } from '../../middleware/validate.js';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { CLINICAL_ROLES } from '../../shared/auth/roles.js';
+import { sendData, sendSuccess, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as findingContract from '../../shared/contracts/tooth-finding.contract.js';
+import {
+  getPatientChart,
+  createFinding,
+  updateFinding,
+  removeFinding,
+  ToothFindingError,
+} from '../../services/business/ToothFindingService.js';
+
+const router = Router();
+
+const clinicalOnly = [authenticate, authorize(CLINICAL_ROLES)];
+
+/** ToothFindingError code → HTTP response; anything else is a 500. */
+function handleFindingError(res: Response, error: unknown, fallback: string): void {
+  if (error instanceof ToothFindingError) {
+    const details = { code: error.code, ...error.details };
+    switch (error.code) {
+      case 'PATIENT_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Patient', details);
+        return;
+      case 'FINDING_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Finding', details);
+        return;
+      default:
+        ErrorResponses.badRequest(res, error.message, details);
+        return;
+    }
+  }
+  log.error(fallback, error);
+  ErrorResponses.internalError(res, fallback, error as Error);
+}
+
+// GET /api/patients/:personId/tooth-findings
+router.get(
+  '/patients/:personId/tooth-findings',
+  clinicalOnly,
+  validate({ params: findingContract.patientFindings.params }),
+  async (req: Request<{ personId: string }>, res: Response): Promise<void> => {
+    try {
+      const chart = await getPatientChart(parseInt(req.params.personId, 10));
+      if (!chart) {
+        ErrorResponses.notFound(res, 'Patient');
+        return;
+      }
+      sendData(res, findingContract.patientFindings.response, chart);
+    } catch (error) {
+      handleFindingError(res, error, 'Failed to fetch tooth findings');
+    }
+  }
+);
+
+// POST /api/patients/:personId/tooth-findings
+router.post(
+  '/patients/:personId/tooth-findings',
+  clinicalOnly,
+  validate({ params: findingContract.createFinding.params, body: findingContract.createFinding.body }),
+  async (
+    req: Request<{ personId: string }, unknown, findingContract.CreateFindingBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const finding = await createFinding(
+        parseInt(req.params.personId, 10),
+        req.body,
+        req.session?.username ?? null
+      );
+      sendData(res, findingContract.createFinding.response, finding, 'Finding recorded', 201);
+    } catch (error) {
+      handleFindingError(res, error, 'Failed to record finding');
+    }
+  }
+);
+
+// PUT /api/tooth-findings/:id
+router.put(
+  '/tooth-findings/:id',
+  clinicalOnly,
+  validate({ params: findingContract.updateFinding.params, body: findingContract.updateFinding.body }),
+  async (req: Request<{ id: string }, unknown, findingContract.UpdateFindingBody>, res: Response): Promise<void> => {
+    try {
+      const finding = await updateFinding(parseInt(req.params.id, 10), req.body, req.session?.username ?? null);
+      sendData(res, findingContract.updateFinding.response, finding, 'Finding updated');
+    } catch (error) {
+      handleFindingError(res, error, 'Failed to update finding');
+    }
+  }
+);
+
+// DELETE /api/tooth-findings/:id
+router.delete(
+  '/tooth-findings/:id',
+  clinicalOnly,
+  validate({ params: findingContract.deleteFinding.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      await removeFinding(parseInt(req.params.id, 10), req.session?.username ?? null);
+      sendSuccess(res, null, 'Finding deleted');
+    } catch (error) {
+      handleFindingError(res, error, 'Failed to delete finding');
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,149 @@
+/**
+ * Appointment wait-list routes (`/api/waitlist*`).
+ *
+ * Every route is clinical (the front desk works the list), gated PER ROUTE like
+ * appointment.routes.ts — this router is mounted at the /api root. Service errors
+ * carry a message-prefix that this router translates to the right HTTP status —
+ * see waitlist-service.ts's header comment. Booking an offer emits the same
+ * DATA_UPDATED date broadcast as a normal appointment create.
+ */
+import { Router, type Request, type Response } from 'express';
+import type { EventEmitter } from 'events';
+import { validate } from '../../middleware/validate.js';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { CLINICAL_ROLES } from '../../shared/auth/roles.js';
+import { sendData, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import { InternalEmitterEvents } from '../../services/messaging/websocket-events.js';
+import * as waitlistContract from '../../shared/contracts/waitlist.contract.js';
+import { listWaitlist } from '../../services/database/queries/waitlist-queries.js';
+import {
+  addToWaitlist,
+  bookWaitlistOffer,
+  declineWaitlistOffer,
+  cancelWaitlistEntry,
+} from '../../services/waitlist/waitlist-service.js';
+
+const router = Router();
+
+const clinicalOnly = [authenticate, authorize(CLINICAL_ROLES)];
+
+// WebSocket emitter will be injected to avoid circular imports
+let wsEmitter: EventEmitter | null = null;
+
+/**
+ * Set the WebSocket emitter reference
+ */
+export function setWebSocketEmitter(emitter: EventEmitter): void {
+  wsEmitter = emitter;
+}
+
+/** Translates the service's message-prefix convention into an HTTP response. */
+function handleServiceError(res: Response, error: unknown, fallback: string): void {
+  const message = (error as Error)?.message ?? '';
+  if (message.includes('[INVALID_INPUT]')) {
+    ErrorResponses.badRequest(res, message.replace('[INVALID_INPUT] ', ''));
+    return;
+  }
+  if (message.includes('[INVALID_STATE_TRANSITION]')) {
+    ErrorResponses.badRequest(res, message, { code: 'INVALID_STATE_TRANSITION' });
+    return;
+  }
+  if (message.includes('[CONFLICT]')) {
+    ErrorResponses.conflict(res, message.replace('[CONFLICT] ', ''));
+    return;
+  }
+  if (message.includes('[NOT_FOUND]')) {
+    ErrorResponses.notFound(res, message.replace('[NOT_FOUND] ', ''));
+    return;
+  }
+  log.error(fallback, error);
+  ErrorResponses.internalError(res, fallback, error as Error);
+}
+
+// GET /api/waitlist?scope=open|all&personId=
+router.get(
+  '/waitlist',
+  clinicalOnly,
+  validate({ query: waitlistContract.listWaitlist.query }),
+  async (
+    req: Request<unknown, unknown, unknown, waitlistContract.ListWaitlistQuery>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const rows = await listWaitlist({ scope: req.query.scope, personId: req.query.personId });
+      sendData(res, waitlistContract.listWaitlist.response, rows);
+    } catch (error) {
+      log.error('Error listing wait-list:', error);
+      ErrorResponses.internalError(res, 'Failed to list wait-list', error as Error);
+    }
+  }
+);
+
+// POST /api/waitlist
+router.post(
+  '/waitlist',
+  clinicalOnly,
+  validate({ body: waitlistContract.createWaitlistEntry.body }),
+  async (
+    req: Request<unknown, unknown, waitlistContract.CreateWaitlistEntryBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const row = await addToWaitlist(req.body, req);
+      sendData(res, waitlistContract.createWaitlistEntry.response, row, 'Added to wait-list');
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to add to wait-list');
+    }
+  }
+);
+
+// POST /api/waitlist/:id/book
+router.post(
+  '/waitlist/:id/book',
+  clinicalOnly,
+  validate({ params: waitlistContract.bookWaitlistOffer.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const result = await bookWaitlistOffer(parseInt(req.params.id, 10));
+      if (wsEmitter) {
+        wsEmitter.emit(InternalEmitterEvents.DATA_UPDATED, result.app_date.slice(0, 10));
+      }
+      sendData(res, waitlistContract.bookWaitlistOffer.response, result, 'Wait-list offer booked');
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to book wait-list offer');
+    }
+  }
+);
+
+// POST /api/waitlist/:id/decline
+router.post(
+  '/waitlist/:id/decline',
+  clinicalOnly,
+  validate({ params: waitlistContract.declineWaitlistOffer.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const row = await declineWaitlistOffer(parseInt(req.params.id, 10));
+      sendData(res, waitlistContract.declineWaitlistOffer.response, row, 'Offer declined');
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to decline wait-list offer');
+    }
+  }
+);
+
+// POST /api/waitlist/:id/cancel
+router.post(
+  '/waitlist/:id/cancel',
+  clinicalOnly,
+  validate({ params: waitlistContract.cancelWaitlistEntry.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const row = await cancelWaitlistEntry(parseInt(req.params.id, 10));
+      sendData(res, waitlistContract.cancelWaitlistEntry.response, row, 'Removed from wait-list');
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to cancel wait-list entry');
+    }
+  }
+);
+
+export default router;
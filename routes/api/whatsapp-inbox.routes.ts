@@ -0,0 +1,151 @@
+/**
+ * WhatsApp inbox routes (mounted at /api/wa/inbox).
+ *
+ * The shared inbox of patient messages to the clinic number — threads are
+ * captured by services/messaging/whatsapp-inbox.ts from the linked client; these
+ * routes read them, clear unread counts and send replies through the same
+ * client. Every staff role works the inbox (CLINICAL_ROLES). Changes are
+ * broadcast as `whatsapp_inbox_updated` on the WhatsApp SSE stream.
+ */
+import { Router, type Request, type Response } from 'express';
+import type { EventEmitter } from 'events';
+import whatsapp from '../../services/messaging/whatsapp.js';
+import { markThreadRead, recordReply } from '../../services/messaging/whatsapp-inbox.js';
+import {
+  getThread,
+  getUnreadTotals,
+  listThreadMessages,
+  listThreads,
+} from '../../services/database/queries/whatsapp-inbox-queries.js';
+import { validate } from '../../middleware/validate.js';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { CLINICAL_ROLES } from '../../shared/auth/roles.js';
+import { sendData, sendError, sendSuccess, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as inboxContract from '../../shared/contracts/whatsapp-inbox.contract.js';
+
+const router = Router();
+
+const staffOnly = [authenticate, authorize(CLINICAL_ROLES)];
+
+// WebSocket emitter will be injected to avoid circular imports
+let wsEmitter: EventEmitter | null = null;
+
+/**
+ * Set the WebSocket emitter reference
+ */
+export function setWebSocketEmitter(emitter: EventEmitter): void {
+  wsEmitter = emitter;
+}
+
+// GET /api/wa/inbox/threads?search=&unread=true
+router.get(
+  '/threads',
+  staffOnly,
+  validate({ query: inboxContract.listThreads.query }),
+  async (
+    req: Request<unknown, unknown, unknown, inboxContract.ListThreadsQuery>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const rows = await listThreads({
+        search: req.query.search,
+        unreadOnly: req.query.unread === 'true',
+      });
+      sendData(res, inboxContract.listThreads.response, rows);
+    } catch (error) {
+      log.error('Error listing WhatsApp inbox threads:', error);
+      ErrorResponses.internalError(res, 'Failed to list conversations', error as Error);
+    }
+  }
+);
+
+// GET /api/wa/inbox/unread
+router.get('/unread', staffOnly, async (_req: Request, res: Response): Promise<void> => {
+  try {
+    sendData(res, inboxContract.unreadTotals.response, await getUnreadTotals());
+  } catch (error) {
+    log.error('Error counting unread WhatsApp messages:', error);
+    ErrorResponses.internalError(res, 'Failed to count unread messages', error as Error);
+  }
+});
+
+// GET /api/wa/inbox/threads/:id
+router.get(
+  '/threads/:id',
+  staffOnly,
+  validate({ params: inboxContract.getThread.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const threadId = parseInt(req.params.id, 10);
+      const thread = await getThread(threadId);
+      if (!thread) {
+        ErrorResponses.notFound(res, 'Conversation');
+        return;
+      }
+      const messages = await listThreadMessages(threadId);
+      sendData(res, inboxContract.getThread.response, { thread, messages });
+    } catch (error) {
+      log.error('Error loading WhatsApp inbox thread:', error);
+      ErrorResponses.internalError(res, 'Failed to load conversation', error as Error);
+    }
+  }
+);
+
+// POST /api/wa/inbox/threads/:id/read
+router.post(
+  '/threads/:id/read',
+  staffOnly,
+  validate({ params: inboxContract.markRead.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      const found = await markThreadRead(parseInt(req.params.id, 10), wsEmitter);
+      if (!found) {
+        ErrorResponses.notFound(res, 'Conversation');
+        return;
+      }
+      sendSuccess(res, null, 'Conversation marked as read');
+    } catch (error) {
+      log.error('Error marking WhatsApp inbox thread read:', error);
+      ErrorResponses.internalError(res, 'Failed to mark conversation as read', error as Error);
+    }
+  }
+);
+
+// POST /api/wa/inbox/threads/:id/reply
+router.post(
+  '/threads/:id/reply',
+  staffOnly,
+  validate({ params: inboxContract.reply.params, body: inboxContract.reply.body }),
+  async (
+    req: Request<{ id: string }, unknown, inboxContract.InboxReplyBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const threadId = parseInt(req.params.id, 10);
+      const thread = await getThread(threadId);
+      if (!thread) {
+        ErrorResponses.notFound(res, 'Conversation');
+        return;
+      }
+      if (!whatsapp.isReady()) {
+        sendError(res, 503, 'WhatsApp is not connected', { service: 'WhatsApp' });
+        return;
+      }
+
+      const result = await whatsapp.sendChatMessage(thread.chat_id, req.body.message);
+      if (!result.success || !result.messageId) {
+        sendError(res, 502, result.error || 'Failed to send message', { service: 'WhatsApp' });
+        return;
+      }
+
+      await recordReply(threadId, req.body.message, result.messageId, req.session?.userId ?? null, wsEmitter);
+      sendData(res, inboxContract.reply.response, { messageId: result.messageId }, null, 201);
+    } catch (error) {
+      log.error('Error sending WhatsApp inbox reply:', error);
+      ErrorResponses.internalError(res, 'Failed to send reply', error as Error);
+    }
+  }
+);
+
+export default router;
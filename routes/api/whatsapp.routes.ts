@@ -23,9 +23,16 @@ import { getGroupSettings, saveGroupSettings } from '../../services/messaging/gr
 import { sendgramfile } from '../../services/messaging/telegram.js';
 import messageState from '../../services/state/messageState.js';
 import stateEvents from '../../services/state/stateEvents.js';
-import { getReceiptData } from '../../services/templates/receipt-service.js';
+import { getReceiptData, getStandReceiptData } from '../../services/templates/receipt-service.js';
 import { getAppointmentForNotification } from '../../services/database/queries/appointment-queries.js';
 import { getNewAppointmentMessage } from '../../services/database/queries/messaging-queries.js';
+import {
+  appointmentVars,
+  loadMessageTemplates,
+  patientMessageLanguage,
+  paymentReceiptVars,
+  standReceiptVars,
+} from '../../services/messaging/message-templates.js';
 import { toDateOnly } from '../../utils/date.js';
 
 // Utilities
@@ -163,7 +170,8 @@ router.get(
  * Send receipt via WhatsApp to patient
  * POST /send-receipt (mounted at /api/wa)
  * Body: { workId: number }
- * Sends receipt details including amount paid, balance, and next appointment
+ * Sends receipt details including amount paid and balance — the payment_receipt
+ * message template in the patient's language
  */
 router.post(
   '/send-receipt',
@@ -241,16 +249,21 @@ router.post(
         return;
       }
 
-      // Compose WhatsApp message
-      const message = `Receipt - Shwan Orthodontics
-
-Dear ${receiptData.patient.patient_name},
-
-amount Paid: ${Math.round(receiptData.payment.AmountPaidToday).toLocaleString('en-US')} ${receiptData.payment.currency}
-Remaining Balance: ${Math.round(receiptData.payment.RemainingBalance).toLocaleString('en-US')} ${receiptData.payment.currency}
-Date: ${new Date().toLocaleDateString('en-GB')}
-
-Thank you for your payment!`;
+      // Compose WhatsApp message from the patient's payment_receipt template
+      const lang = patientMessageLanguage(receiptData.patient.language);
+      const templates = await loadMessageTemplates('payment_receipt');
+      const message = templates.render(
+        'payment_receipt',
+        lang,
+        paymentReceiptVars(lang, {
+          patientName: receiptData.patient.patient_name,
+          firstName: receiptData.patient.first_name,
+          amountPaid: receiptData.payment.AmountPaidToday,
+          balance: receiptData.payment.RemainingBalance,
+          currency: receiptData.payment.currency,
+          date: new Date(),
+        })
+      );
 
       log.info(
         `Sending receipt to ${phoneNumber} for patient ${receiptData.patient.patient_name}`
@@ -290,10 +303,122 @@ Thank you for your payment!`;
   }
 );
 
+/**
+ * Send a stand (mini-pharmacy) sale receipt via WhatsApp to the linked patient
+ * POST /send-stand-receipt (mounted at /api/wa)
+ * Body: { saleId: number }
+ * Lists the items bought, the total and any returns (the stand_receipt message
+ * template). Walk-in sales (no patient) have no one to send to.
+ */
+router.post(
+  '/send-stand-receipt',
+  validate({ body: waContract.sendStandReceipt.body }),
+  async (
+    req: Request<unknown, unknown, waContract.SendStandReceiptBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      const { saleId } = req.body;
+      log.info(`WhatsApp stand receipt send request - sale_id: ${saleId}`);
+
+      if (!whatsapp.isReady()) {
+        res.json({
+          success: false,
+          message: 'WhatsApp not connected'
+        });
+        return;
+      }
+
+      let receiptData;
+      try {
+        receiptData = await getStandReceiptData(saleId);
+      } catch (error) {
+        log.error(`Failed to get receipt data for stand sale ${saleId}:`, error);
+        res.json({
+          success: false,
+          message: 'Sale not found'
+        });
+        return;
+      }
+
+      const { patient, sale, items } = receiptData;
+      if (!patient) {
+        res.json({
+          success: false,
+          message: 'Sale is not linked to a patient'
+        });
+        return;
+      }
+      if (sale.Voided) {
+        res.json({
+          success: false,
+          message: 'Sale has been voided'
+        });
+        return;
+      }
+
+      const phoneNumber = PhoneFormatter.forWhatsApp(patient.phone, '964');
+      if (!PhoneFormatter.isValid(phoneNumber, '964')) {
+        log.warn(`Invalid phone format: ${patient.phone}`);
+        res.json({
+          success: false,
+          message: 'Invalid phone number'
+        });
+        return;
+      }
+
+      const lang = patientMessageLanguage(patient.language);
+      const templates = await loadMessageTemplates('stand_receipt');
+      const message = templates.render(
+        'stand_receipt',
+        lang,
+        standReceiptVars(lang, {
+          patientName: patient.patient_name,
+          firstName: patient.first_name,
+          saleId: sale.SaleID,
+          saleDate: sale.SaleDate,
+          totalAmount: sale.TotalAmount,
+          returnedAmount: sale.ReturnedAmount,
+          netAmount: sale.NetAmount,
+          items: items.map((i) => ({
+            name: i.ItemName,
+            quantity: i.Quantity,
+            quantityReturned: i.QuantityReturned,
+            lineTotal: i.LineTotal,
+          })),
+        })
+      );
+
+      const result = await whatsapp.sendMessage(phoneNumber, message, patient.patient_name);
+
+      if (result.success) {
+        log.info(`Stand receipt sent to ${phoneNumber} - MessageID: ${result.messageId}`);
+        res.json({
+          success: true,
+          messageId: result.messageId
+        });
+      } else {
+        log.error(`Failed to send stand receipt: ${result.error}`);
+        res.json({
+          success: false,
+          message: 'Failed to send message'
+        });
+      }
+    } catch (error) {
+      log.error(`Error sending stand receipt via WhatsApp: ${(error as Error).message}`);
+      res.json({
+        success: false,
+        message: 'Internal error'
+      });
+    }
+  }
+);
+
 /**
  * Send appointment confirmation via WhatsApp to patient
  * POST /send-appointment (mounted at /api/wa)
  * Body: { appointmentId: number }
+ * The text is the appointment_booked message template in the patient's language.
  */
 router.post(
   '/send-appointment',
@@ -360,22 +485,18 @@ router.post(
         return;
       }
 
-      const appDateObj = new Date(appointment.app_date);
-      const appDate = appDateObj.toLocaleDateString('en-GB', {
-        day: '2-digit',
-        month: '2-digit',
-        year: 'numeric'
-      });
-      const dayOfWeek = appDateObj.toLocaleDateString('en-GB', { weekday: 'long' });
-
-      const message = `Shwan Orthodontics
-
-Dear ${appointment.patient_name},
-
-Your appointment is confirmed for:
-${appDate} (${dayOfWeek})
-
-Thank you.`;
+      const lang = patientMessageLanguage(appointment.language);
+      const templates = await loadMessageTemplates('appointment_booked');
+      const message = templates.render(
+        'appointment_booked',
+        lang,
+        appointmentVars(lang, {
+          patientName: appointment.patient_name,
+          firstName: appointment.first_name,
+          appDate: new Date(appointment.app_date),
+          doctorName: appointment.doctor_name,
+        })
+      );
 
       log.info(
         `Sending appointment confirmation to ${phoneNumber} for patient ${appointment.patient_name}`
@@ -0,0 +1,148 @@
+/**
+ * Wire sequence protocol routes (`/api/wire-protocols*`,
+ * `/api/works/:workId/wire-protocol`).
+ *
+ * Clinical routes — gated PER ROUTE to CLINICAL_ROLES like the visit routes; this
+ * router is mounted at the /api root. Protocols are edited in Settings → Wire
+ * Protocols; the work endpoints feed the visit form's next-wire / next-visit
+ * suggestion. WireProtocolService throws WireProtocolError with a code that
+ * handleProtocolError maps onto the HTTP status.
+ */
+import { Router, type Request, type Response } from 'express';
+import { validate } from '../../middleware/validate.js';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { CLINICAL_ROLES } from '../../shared/auth/roles.js';
+import { sendData, sendSuccess, ErrorResponses } from '../../utils/error-response.js';
+import { log } from '../../utils/logger.js';
+import * as protocolContract from '../../shared/contracts/wire-protocol.contract.js';
+import {
+  listProtocols,
+  createProtocol,
+  updateProtocol,
+  removeProtocol,
+  assignWorkProtocol,
+  getWorkProtocol,
+  WireProtocolError,
+} from '../../services/business/WireProtocolService.js';
+
+const router = Router();
+
+const clinicalOnly = [authenticate, authorize(CLINICAL_ROLES)];
+
+/** WireProtocolError code → HTTP response; anything else is a 500. */
+function handleProtocolError(res: Response, error: unknown, fallback: string): void {
+  if (error instanceof WireProtocolError) {
+    const details = { code: error.code, ...error.details };
+    switch (error.code) {
+      case 'PROTOCOL_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Wire protocol', details);
+        return;
+      case 'WORK_NOT_FOUND':
+        ErrorResponses.notFound(res, 'Work', details);
+        return;
+      case 'DUPLICATE_NAME':
+      case 'PROTOCOL_IN_USE':
+        ErrorResponses.conflict(res, error.message, details);
+        return;
+      default:
+        ErrorResponses.badRequest(res, error.message, details);
+        return;
+    }
+  }
+  log.error(fallback, error);
+  ErrorResponses.internalError(res, fallback, error as Error);
+}
+
+// GET /api/wire-protocols
+router.get('/wire-protocols', clinicalOnly, async (_req: Request, res: Response): Promise<void> => {
+  try {
+    sendData(res, protocolContract.listProtocols.response, await listProtocols());
+  } catch (error) {
+    handleProtocolError(res, error, 'Failed to fetch wire protocols');
+  }
+});
+
+// POST /api/wire-protocols
+router.post(
+  '/wire-protocols',
+  clinicalOnly,
+  validate({ body: protocolContract.createProtocol.body }),
+  async (req: Request<unknown, unknown, protocolContract.WireProtocolBody>, res: Response): Promise<void> => {
+    try {
+      const protocol = await createProtocol(req.body, req.session?.username ?? null);
+      sendData(res, protocolContract.createProtocol.response, protocol, 'Wire protocol created', 201);
+    } catch (error) {
+      handleProtocolError(res, error, 'Failed to create wire protocol');
+    }
+  }
+);
+
+// PUT /api/wire-protocols/:id
+router.put(
+  '/wire-protocols/:id',
+  clinicalOnly,
+  validate({ params: protocolContract.updateProtocol.params, body: protocolContract.updateProtocol.body }),
+  async (req: Request<{ id: string }, unknown, protocolContract.WireProtocolBody>, res: Response): Promise<void> => {
+    try {
+      const protocol = await updateProtocol(parseInt(req.params.id, 10), req.body, req.session?.username ?? null);
+      sendData(res, protocolContract.updateProtocol.response, protocol, 'Wire protocol updated');
+    } catch (error) {
+      handleProtocolError(res, error, 'Failed to update wire protocol');
+    }
+  }
+);
+
+// DELETE /api/wire-protocols/:id
+router.delete(
+  '/wire-protocols/:id',
+  clinicalOnly,
+  validate({ params: protocolContract.deleteProtocol.params }),
+  async (req: Request<{ id: string }>, res: Response): Promise<void> => {
+    try {
+      await removeProtocol(parseInt(req.params.id, 10), req.session?.username ?? null);
+      sendSuccess(res, null, 'Wire protocol deleted');
+    } catch (error) {
+      handleProtocolError(res, error, 'Failed to delete wire protocol');
+    }
+  }
+);
+
+// GET /api/works/:workId/wire-protocol?date=&visitId=
+router.get(
+  '/works/:workId/wire-protocol',
+  clinicalOnly,
+  validate({ params: protocolContract.workProtocol.params, query: protocolContract.workProtocol.query }),
+  async (req: Request<{ workId: string }>, res: Response): Promise<void> => {
+    try {
+      const { date, visitId } = req.query as protocolContract.WorkProtocolQuery;
+      const view = await getWorkProtocol(parseInt(req.params.workId, 10), date, visitId);
+      if (!view) {
+        ErrorResponses.notFound(res, 'Work');
+        return;
+      }
+      sendData(res, protocolContract.workProtocol.response, view);
+    } catch (error) {
+      handleProtocolError(res, error, 'Failed to fetch work wire protocol');
+    }
+  }
+);
+
+// PUT /api/works/:workId/wire-protocol
+router.put(
+  '/works/:workId/wire-protocol',
+  clinicalOnly,
+  validate({ params: protocolContract.assignProtocol.params, body: protocolContract.assignProtocol.body }),
+  async (
+    req: Request<{ workId: string }, unknown, protocolContract.AssignProtocolBody>,
+    res: Response
+  ): Promise<void> => {
+    try {
+      await assignWorkProtocol(parseInt(req.params.workId, 10), req.body.protocolId, req.session?.username ?? null);
+      sendSuccess(res, null, req.body.protocolId === null ? 'Wire protocol cleared' : 'Wire protocol assigned');
+    } catch (error) {
+      handleProtocolError(res, error, 'Failed to assign wire protocol');
+    }
+  }
+);
+
+export default router;
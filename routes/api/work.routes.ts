@@ -5,6 +5,7 @@
  * - Work CRUD operations (create, read, update, delete)
  * - Work details management (treatment details)
  * - diagnosis and treatment planning (comprehensive orthodontic diagnosis)
+ * - Treatment timeline (wire sequence, visit gaps, progress against the plan)
  * - Work types and keywords lookup
  * - Active work tracking
  * - Work completion/finishing
@@ -45,6 +46,7 @@ import {
 } from '../../middleware/time-based-auth.js';
 import { sendSuccess, sendData, sendError, ErrorResponses } from '../../utils/error-response.js';
 import * as workContract from '../../shared/contracts/work.contract.js';
+import * as timelineContract from '../../shared/contracts/treatment-timeline.contract.js';
 import { enqueueApproval, recordNotice, resolveApprovalPersonId } from '../../services/approvals/approval-service.js';
 import { log } from '../../utils/logger.js';
 import {
@@ -57,6 +59,7 @@ import {
   WorkUpdateError,
   WorkValidationError
 } from '../../services/business/WorkService.js';
+import { getWorkTimeline } from '../../services/business/TreatmentTimelineService.js';
 import { getWorkDetails as getWorkDetailsFromQueries } from '../../services/database/queries/work-queries.js';
 
 const router = Router();
@@ -721,14 +724,17 @@ router.delete(
 // ============================================================================
 
 /**
- * GET /api/diagnosis/:workId
- * Get comprehensive diagnosis data for a specific work
+ * GET /api/diagnosis/:workId?stage=
+ * Get comprehensive diagnosis data for a specific work — the 'initial' diagnosis
+ * unless `stage=final`
  */
 router.get(
   '/diagnosis/:workId',
+  validate({ query: workContract.diagnosisStageQuery }),
   async (req: Request<{ workId: string }>, res: Response): Promise<void> => {
     try {
       const { workId } = req.params;
+      const { stage = 'initial' } = req.query as workContract.DiagnosisStageQuery;
 
       if (!workId) {
         log.warn('Get diagnosis request missing workId');
@@ -741,6 +747,7 @@ router.get(
                 "id",
                 to_char("dx_date", 'YYYY-MM-DD') as "dx_date",
                 "work_id",
+                "stage",
                 "diagnosis",
                 "treatment_plan",
                 "chief_complain",
@@ -785,7 +792,7 @@ router.get(
                 "c_percent_lafh",
                 "appliance"
             FROM "diagnoses"
-            WHERE "work_id" = ${parseInt(workId)}
+            WHERE "work_id" = ${parseInt(workId)} AND "stage" = ${stage}
         `.execute(getKysely());
 
       // Stays raw (not sendSuccess): the "no diagnosis yet / new diagnosis"
@@ -808,7 +815,7 @@ router.get(
 
 /**
  * POST /api/diagnosis
- * Create or update diagnosis (upsert operation)
+ * Create or update diagnosis (upsert operation on work + stage)
  */
 router.post(
   '/diagnosis',
@@ -827,6 +834,10 @@ router.post(
 
       const db = getKysely();
       const workIdNum = parseInt(String(diagnosisData.work_id));
+      const stage = diagnosisData.stage ?? 'initial';
+      // The c_* columns hold only what was entered: values that follow from the
+      // others (ANB, the face heights, %LAFH, UI-LI) are derived on read
+      // (CephalometricService → deriveCeph), so they track later edits.
 
       // Normalized column values (null for empty strings — preserves original semantics).
       const dxDate = diagnosisData.dx_date
@@ -929,7 +940,7 @@ router.post(
                     "c_uafh" = ${c_UAFH},
                     "c_lafh" = ${c_LAFH},
                     "c_percent_lafh" = ${c_PercentLAFH}
-                WHERE "work_id" = ${workIdNum}
+                WHERE "work_id" = ${workIdNum} AND "stage" = ${stage}
             `.execute(db);
 
       let successMessage: string;
@@ -940,7 +951,7 @@ router.post(
         // INSERT new diagnosis
         await sql`
                 INSERT INTO "diagnoses" (
-                    "dx_date", "work_id", "diagnosis", "treatment_plan", "chief_complain", "appliance",
+                    "dx_date", "work_id", "stage", "diagnosis", "treatment_plan", "chief_complain", "appliance",
                     "f_antero_posterior", "f_vertical", "f_transverse", "f_lip_competence", "f_naso_labial_angle",
                     "f_upper_incisor_show_rest", "f_upper_incisor_show_smile",
                     "i_teeth_present", "i_dental_health", "i_lower_crowding", "i_lower_incisor_inclination",
@@ -952,7 +963,7 @@ router.post(
                     "c_tafh", "c_uafh", "c_lafh", "c_percent_lafh"
                 )
                 VALUES (
-                    ${dxDate}, ${workIdNum}, ${diagnosis}, ${treatmentPlan}, ${chiefComplain}, ${appliance},
+                    ${dxDate}, ${workIdNum}, ${stage}, ${diagnosis}, ${treatmentPlan}, ${chiefComplain}, ${appliance},
                     ${fAnteroPosterior}, ${fVertical}, ${fTransverse}, ${fLipCompetence}, ${fNasoLabialAngle},
                     ${fUpperIncisorShowRest}, ${fUpperIncisorShowSmile},
                     ${iTeethPresent}, ${iDentalHealth}, ${iLowerCrowding}, ${iLowerIncisorInclination},
@@ -976,16 +987,18 @@ router.post(
 );
 
 /**
- * DELETE /api/diagnosis/:workId
- * Delete diagnosis for a specific work
+ * DELETE /api/diagnosis/:workId?stage=
+ * Delete one diagnosis (default the 'initial' one) of a specific work
  */
 router.delete(
   '/diagnosis/:workId',
   authenticate,
   authorize(CLINICAL_ROLES),
+  validate({ query: workContract.diagnosisStageQuery }),
   async (req: Request<{ workId: string }>, res: Response): Promise<void> => {
     try {
       const { workId } = req.params;
+      const { stage = 'initial' } = req.query as workContract.DiagnosisStageQuery;
 
       if (!workId) {
         log.warn('Delete diagnosis request missing workId');
@@ -993,7 +1006,7 @@ router.delete(
         return;
       }
 
-      await sql`DELETE FROM "diagnoses" WHERE "work_id" = ${parseInt(workId)}`.execute(
+      await sql`DELETE FROM "diagnoses" WHERE "work_id" = ${parseInt(workId)} AND "stage" = ${stage}`.execute(
         getKysely()
       );
 
@@ -1005,6 +1018,35 @@ router.delete(
   }
 );
 
+// ============================================================================
+// TREATMENT TIMELINE
+// ============================================================================
+
+/**
+ * GET /api/works/:workId/timeline
+ * The work's treatment journey: wire sequence, visit gaps, photo timepoints,
+ * milestones and the duration estimate against the plan (TreatmentTimelineService).
+ */
+router.get(
+  '/works/:workId/timeline',
+  authenticate,
+  authorize(CLINICAL_ROLES),
+  validate({ params: timelineContract.workTimeline.params }),
+  async (req: Request<{ workId: string }>, res: Response): Promise<void> => {
+    try {
+      const timeline = await getWorkTimeline(parseInt(req.params.workId, 10));
+      if (!timeline) {
+        ErrorResponses.notFound(res, 'Work');
+        return;
+      }
+      sendData(res, timelineContract.workTimeline.response, timeline);
+    } catch (error) {
+      log.error('Error building treatment timeline:', error);
+      ErrorResponses.internalError(res, 'Failed to build treatment timeline', error as Error);
+    }
+  }
+);
+
 // ============================================================================
 // WORK TRANSFER API ENDPOINTS (Admin Only)
 // ============================================================================
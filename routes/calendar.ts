@@ -19,7 +19,9 @@ import {
   ensureCalendarRange,
   fillCalendar,
 } from '../services/database/queries/calendar-queries.js';
+import { getNoShowRates } from '../services/database/queries/attendance-queries.js';
 import * as calendar from '../shared/contracts/calendar.contract.js';
+import type { ConfirmationStatus } from '../shared/contracts/appointment.contract.js';
 
 const router = Router();
 
@@ -39,6 +41,7 @@ interface CalendarSlotData {
   drID: number | null;
   patientName: string | null;
   personID: number | null;
+  confirmationStatus: ConfirmationStatus | null;
   slotStatus: string;
   appointmentCount: number;
 }
@@ -62,6 +65,7 @@ interface AppointmentInfo {
   drID: number | null;
   patientName: string | null;
   personID: number | null;
+  confirmationStatus?: ConfirmationStatus | null;
   slotStatus?: string;
   slotDateTime?: string;
   app_date?: string;
@@ -372,7 +376,8 @@ router.get(
 
 /**
  * GET /api/calendar/stats
- * Returns calendar utilization statistics for the specified week
+ * Returns calendar utilization statistics for the specified week, plus the
+ * trailing no-show rate per doctor/weekday (overbooking guidance)
  */
 router.get(
   '/stats',
@@ -391,7 +396,10 @@ router.get(
         `📊 Fetching calendar stats for week: ${weekStart} to ${weekEnd}`
       );
 
-      const stats = await getCalendarStats(weekStart, weekEnd);
+      const [stats, noShowRates] = await Promise.all([
+        getCalendarStats(weekStart, weekEnd),
+        getNoShowRates(),
+      ]);
 
       log.info(
         `✅ Calendar stats retrieved: ${stats?.utilizationPercent}% utilization`
@@ -406,7 +414,8 @@ router.get(
           bookedSlots: 0,
           pastSlots: 0,
           utilizationPercent: 0
-        }
+        },
+        noShowRates
       });
     } catch (error) {
       log.error('❌ Calendar stats API error:', error);
@@ -811,6 +820,7 @@ function transformToCalendarStructure(
         drID: item.drID,
         patientName: item.patientName,
         personID: item.personID,
+        confirmationStatus: item.confirmationStatus,
         slotStatus: item.slotStatus,
         slotDateTime: item.slotDateTime,
         app_date: item.slotDateTime, // Add app_date for compatibility with EditAppointmentForm
@@ -896,6 +906,7 @@ function transformToMonthlyStructure(
         drID: item.drID,
         patientName: item.patientName,
         personID: item.personID,
+        confirmationStatus: item.confirmationStatus,
         time: item.slotDateTime.split(' ')[1].substring(0, 5) // Extract time from 'YYYY-MM-DD HH:MM:SS'
       };
 
@@ -10,7 +10,7 @@ import { sql } from 'kysely';
 import { getKysely } from '../services/database/kysely.js';
 import { getTimePoints } from '../services/database/queries/timepoint-queries.js';
 import { getVisitsSummary } from '../services/database/queries/visit-queries.js';
-import { getPayments } from '../services/database/queries/payment-queries.js';
+import { getPatientStatement, statementToPdf } from '../services/business/StatementService.js';
 import { authenticatePatient, portalLoginLimiter } from '../middleware/patientAuth.js';
 import { validate } from '../middleware/validate.js';
 import {
@@ -19,6 +19,7 @@ import {
   getPatientProfile,
   getPrivateList,
 } from '../services/business/PatientPortalService.js';
+import { createPortalCollage, PhotoCollageError } from '../services/business/PhotoCollageService.js';
 import { workingFilePath } from '../services/files/clinic-paths.js';
 import { getWorkingThumbnail } from '../services/files/thumbnail.service.js';
 import { log } from '../utils/logger.js';
@@ -288,6 +289,37 @@ router.get(
   }
 );
 
+// --------------------------------------------------------------------------
+// GET /api/portal/collage  — the patient's before/after collage (JPEG)
+// First and latest timepoint, only the photos the patient may see (the service
+// builds it from getVisiblePhotos). Rendered server-side and cached by content,
+// so repeat views reuse the file; `no-cache` makes a privacy toggle or a new
+// timepoint show on the next load. 404 while there's nothing to compare.
+// --------------------------------------------------------------------------
+router.get('/collage', authenticatePatient, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const pid = req.session.patientId!;
+    const { abs } = await createPortalCollage(pid);
+    res.sendFile(
+      abs,
+      {
+        dotfiles: 'allow',
+        headers: { 'Content-Type': 'image/jpeg', 'Cache-Control': 'private, no-cache' },
+      },
+      (err) => {
+        if (err && !res.headersSent) res.status(404).end();
+      }
+    );
+  } catch (error) {
+    if (error instanceof PhotoCollageError) {
+      res.status(404).end();
+      return;
+    }
+    log.error('Portal /collage error', { error: (error as Error).message });
+    if (!res.headersSent) res.status(500).end();
+  }
+});
+
 // --------------------------------------------------------------------------
 // GET /api/portal/visits
 // --------------------------------------------------------------------------
@@ -344,7 +376,8 @@ router.get(
 );
 
 // --------------------------------------------------------------------------
-// GET /api/portal/payments
+// GET /api/portal/payments — the patient's account statement (the same ledger
+// staff export from /api/patients/:personId/statement).
 // --------------------------------------------------------------------------
 router.get(
   '/payments',
@@ -352,8 +385,8 @@ router.get(
   async (req: Request, res: Response): Promise<void> => {
     try {
       const pid = req.session.patientId!;
-      const payments = await getPayments(pid);
-      res.json({ success: true, payments });
+      const statement = await getPatientStatement(pid);
+      res.json({ success: true, statement });
     } catch (error) {
       log.error('Portal /payments error', { error: (error as Error).message });
       res.status(500).json({ success: false, error: 'Failed to load payments' });
@@ -361,4 +394,25 @@ router.get(
   }
 );
 
+// --------------------------------------------------------------------------
+// GET /api/portal/payments/pdf — the same statement as the branded PDF
+// --------------------------------------------------------------------------
+router.get(
+  '/payments/pdf',
+  authenticatePatient,
+  async (req: Request, res: Response): Promise<void> => {
+    try {
+      const pid = req.session.patientId!;
+      const buffer = await statementToPdf(await getPatientStatement(pid));
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', 'inline; filename="Statement.pdf"');
+      res.setHeader('Cache-Control', 'no-store');
+      res.send(buffer);
+    } catch (error) {
+      log.error('Portal /payments/pdf error', { error: (error as Error).message });
+      res.status(500).json({ success: false, error: 'Failed to generate statement' });
+    }
+  }
+);
+
 export default router;
@@ -11,7 +11,9 @@ import { sendData, sendSuccess, sendError, ErrorResponses } from '../utils/error
 import { validate } from '../middleware/validate.js';
 import {
   generateReceiptHTML,
-  generateNoWorkReceiptHTML
+  generateNoWorkReceiptHTML,
+  generateRefundReceiptHTML,
+  generateStandReceiptHTML
 } from '../services/templates/receipt-service.js';
 import { promises as fs } from 'fs';
 import path from 'path';
@@ -424,4 +426,64 @@ router.get(
   }
 );
 
+/**
+ * GET /api/templates/receipt/refund/:invoiceId
+ * Generate the credit-note receipt for a refund (`invoiceId` is the refund row).
+ * Raw HTML on success; only errors are enveloped.
+ */
+router.get(
+  '/receipt/refund/:invoiceId',
+  validate({ params: templateContract.invoiceIdParams }),
+  async (req: Request<templateContract.InvoiceIdParams>, res: Response): Promise<void> => {
+    try {
+      const rendered = await generateRefundReceiptHTML(parseInt(req.params.invoiceId));
+      const html = req.query.autoprint === '1' ? withAutoPrint(rendered) : rendered;
+
+      // Prevent caching
+      res.setHeader(
+        'Cache-Control',
+        'no-store, no-cache, must-revalidate, private'
+      );
+      res.setHeader('Pragma', 'no-cache');
+      res.setHeader('Expires', '0');
+
+      res.send(html);
+    } catch (error) {
+      log.error('Error generating refund receipt', { error: (error as Error).message });
+      const statusCode = (error as Error).message.includes('not found') ? 404 : 500;
+      sendError(res, statusCode, 'Failed to generate refund receipt', error as Error);
+    }
+  }
+);
+
+/**
+ * GET /api/templates/receipt/stand/:saleId
+ * Generate the receipt for a stand (mini-pharmacy) sale — lines, payment and any
+ * partial returns. Raw HTML on success; only errors are enveloped.
+ */
+router.get(
+  '/receipt/stand/:saleId',
+  validate({ params: templateContract.saleIdParams }),
+  async (req: Request<templateContract.SaleIdParams>, res: Response): Promise<void> => {
+    try {
+      const rendered = await generateStandReceiptHTML(parseInt(req.params.saleId));
+      const html = req.query.autoprint === '1' ? withAutoPrint(rendered) : rendered;
+
+      // Prevent caching
+      res.setHeader(
+        'Cache-Control',
+        'no-store, no-cache, must-revalidate, private'
+      );
+      res.setHeader('Pragma', 'no-cache');
+      res.setHeader('Expires', '0');
+
+      res.send(html);
+    } catch (error) {
+      log.error('Error generating stand receipt', { error: (error as Error).message });
+      const statusCode = (error as Error).message.includes('not found') ? 404 : 500;
+      sendError(res, statusCode, 'Failed to generate stand receipt', error as Error);
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,147 @@
+/**
+ * Appointment confirmation — "reply 1 to confirm, 2 to reschedule".
+ *
+ * The WhatsApp reminder ends with that line (the `confirmation_prompt` template,
+ * messaging-queries.ts#getWhatsAppMessages). whatsapp.ts hands every incoming text to
+ * applyConfirmationReply: a bare 1 or 2 (Arabic-Indic digits and keycap emoji
+ * too) from a number whose patients have a reminded appointment coming up sets
+ * the flag on every such appointment of the nearest day — a parent answering for
+ * two children booked the same day confirms both. A `2` raises a header-bell
+ * "call to reschedule" task; a `1` completes whatever call task the appointment
+ * had. Either is answered with the `confirmation_thanks` / `reschedule_thanks`
+ * template in the patient's language. Anything else is just a message (it stays in the inbox).
+ *
+ * Staff set the same flag by hand after a call (setConfirmationByStaff). The
+ * day-before call tasks for unanswered appointments are raised by
+ * confirmation-call-sweep.ts.
+ */
+
+import { log } from '../../utils/logger.js';
+import { InternalEmitterEvents } from '../messaging/websocket-events.js';
+import { patientsForNumber, type InboxEmitter } from '../messaging/whatsapp-inbox.js';
+import { appointmentVars, loadMessageTemplates, patientMessageLanguage } from '../messaging/message-templates.js';
+import { createAlert, completeAlerts } from '../database/queries/alert-queries.js';
+import { parseConfirmationReply } from './confirmation-reply.js';
+import {
+  findReplyableAppointments,
+  getAppointmentConfirmation,
+  setConfirmation,
+  setConfirmTask,
+  type ConfirmationStatus,
+  type ReplyableAppointment,
+} from '../database/queries/appointment-confirmation-queries.js';
+
+// Reminders go out one or two days ahead, so a reply answers one within that.
+const REPLY_WINDOW_DAYS = 2;
+const COMPLETED_BY_REPLY = 'whatsapp';
+
+export interface ConfirmationReplyOutcome {
+  status: ConfirmationStatus;
+  appointments: ReplyableAppointment[];
+  /** The thank-you to send back, in the patient's reminder language. */
+  acknowledgement: string;
+}
+
+const doctorLabel = (name: string | null): string =>
+  !name ? 'no doctor' : name === 'Admin' ? name : `Dr. ${name}`;
+
+/** The thank-you for an answer, rendered for the first answered appointment. */
+async function acknowledgement(status: ConfirmationStatus, a: ReplyableAppointment): Promise<string> {
+  const key = status === 'confirmed' ? 'confirmation_thanks' : 'reschedule_thanks';
+  const templates = await loadMessageTemplates(key);
+  const lang = patientMessageLanguage(a.language);
+  return templates.render(
+    key,
+    lang,
+    appointmentVars(lang, {
+      patientName: a.patient_name,
+      firstName: a.first_name,
+      appDate: new Date(`${a.app_day}T${a.app_time ?? '00:00'}:00`),
+      doctorName: a.doctor_name,
+    })
+  );
+}
+
+function rescheduleTaskDetails(a: ReplyableAppointment): string {
+  const when = a.app_time ? `${a.app_day} at ${a.app_time}` : a.app_day;
+  return `Reschedule requested: ${a.patient_name ?? 'A patient'} replied 2 to the WhatsApp reminder for their appointment on ${when} (${doctorLabel(a.doctor_name)}). Call them to book a new time.`;
+}
+
+/**
+ * Apply a patient's reply to their reminded appointments. Never throws; null
+ * when the text isn't a 1/2 answer, the number has nothing to answer, or the
+ * answer changes nothing (a repeated `1`).
+ */
+export async function applyConfirmationReply(
+  number: string,
+  body: string,
+  emitter: InboxEmitter | null
+): Promise<ConfirmationReplyOutcome | null> {
+  const status = parseConfirmationReply(body);
+  if (!status) return null;
+  try {
+    const upcoming = await findReplyableAppointments(await patientsForNumber(number), REPLY_WINDOW_DAYS);
+    if (upcoming.length === 0) return null;
+    const targets = upcoming.filter(
+      (a) => a.app_day === upcoming[0].app_day && a.confirmation_status !== status
+    );
+    if (targets.length === 0) return null;
+
+    await setConfirmation(
+      targets.map((a) => a.appointment_id),
+      status,
+      'whatsapp'
+    );
+    // Whatever call task these had is settled by the answer itself.
+    await completeAlerts(
+      targets.flatMap((a) => (a.confirm_task_id !== null ? [a.confirm_task_id] : [])),
+      COMPLETED_BY_REPLY
+    );
+    if (status === 'reschedule_requested') {
+      for (const a of targets) {
+        const alertId = await createAlert({
+          person_id: a.person_id,
+          alert_type_id: null,
+          alert_severity: 2,
+          alert_details: rescheduleTaskDetails(a),
+          surface_mode: 'push',
+          expires_at: a.app_day,
+        });
+        await setConfirmTask([a.appointment_id], alertId);
+      }
+    }
+
+    log.info('Appointment confirmation reply applied', {
+      status,
+      appointmentIds: targets.map((a) => a.appointment_id),
+    });
+    emitter?.emit(InternalEmitterEvents.DATA_UPDATED, targets[0].app_day);
+    return {
+      status,
+      appointments: targets,
+      acknowledgement: await acknowledgement(status, targets[0]),
+    };
+  } catch (error) {
+    log.error('Failed to apply appointment confirmation reply', { error: (error as Error).message });
+    return null;
+  }
+}
+
+/**
+ * Staff set (or clear) an appointment's flag by hand, e.g. after the call.
+ * Setting it completes the appointment's open call task. Returns the
+ * appointment's day for the calendar refresh, or null when it doesn't exist.
+ */
+export async function setConfirmationByStaff(
+  appointmentId: number,
+  status: ConfirmationStatus | null,
+  completedBy: string
+): Promise<string | null> {
+  const current = await getAppointmentConfirmation(appointmentId);
+  if (!current) return null;
+  await setConfirmation([appointmentId], status, 'staff');
+  if (status !== null && current.confirm_task_id !== null) {
+    await completeAlerts([current.confirm_task_id], completedBy);
+  }
+  return current.app_day;
+}
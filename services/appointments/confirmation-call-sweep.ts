@@ -0,0 +1,85 @@
+/**
+ * Day-before confirmation call sweep.
+ *
+ * Raises a header-bell push task — "call to confirm" — for every appointment
+ * tomorrow that nobody has answered for: no `1`/`2` reply to the WhatsApp
+ * reminder (appointment-confirmation.ts) and no flag set by staff. Patients the
+ * reminder never reached are included, the task says so. One task per
+ * appointment, remembered in `appointments.confirm_task_id`
+ * (migrations/pg/1784400000000_appointment-confirmation.sql); a later reply or a
+ * staff confirmation completes it, and it expires after the appointment day.
+ *
+ * Runs once at boot and then hourly, the no-show-sweep.ts pattern, but raises
+ * nothing before CALL_TASKS_FROM_HOUR so the morning's reminders have time to be
+ * answered. Failures only log; the next tick retries.
+ */
+
+import { log } from '../../utils/logger.js';
+import { startHousekeepingTimer } from '../../utils/housekeeping-timer.js';
+import { createAlert } from '../database/queries/alert-queries.js';
+import {
+  getUnconfirmedTomorrow,
+  setConfirmTask,
+  type UnconfirmedAppointment,
+} from '../database/queries/appointment-confirmation-queries.js';
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// Local hour from which tomorrow's unanswered appointments become call tasks.
+const CALL_TASKS_FROM_HOUR = 12;
+
+let timer: NodeJS.Timeout | null = null;
+let running = false;
+
+const doctorLabel = (name: string | null): string =>
+  !name ? 'no doctor' : name === 'Admin' ? name : `Dr. ${name}`;
+
+function taskDetails(a: UnconfirmedAppointment): string {
+  const when = a.app_time ? `tomorrow at ${a.app_time}` : 'tomorrow';
+  const why = a.reminded ? 'no reply to the WhatsApp reminder' : 'no WhatsApp reminder was sent';
+  const phone = a.phone ? ` Phone: ${a.phone}.` : '';
+  return `Call to confirm: ${a.patient_name ?? 'patient'}'s appointment ${when} (${doctorLabel(a.doctor_name)}) — ${why}.${phone}`;
+}
+
+/** One sweep pass. Never throws; returns the number of tasks raised. */
+export async function runConfirmationCallSweep(): Promise<number> {
+  if (running || new Date().getHours() < CALL_TASKS_FROM_HOUR) return 0;
+  running = true;
+  try {
+    let raised = 0;
+    for (const a of await getUnconfirmedTomorrow()) {
+      const alertId = await createAlert({
+        person_id: a.person_id,
+        alert_type_id: null,
+        alert_severity: 1,
+        alert_details: taskDetails(a),
+        surface_mode: 'push',
+        expires_at: a.app_day,
+      });
+      await setConfirmTask([a.appointment_id], alertId);
+      raised++;
+    }
+    if (raised > 0) {
+      log.info(`📞 Confirmation call sweep raised ${raised} call task(s) for tomorrow`);
+    }
+    return raised;
+  } catch (error) {
+    log.error('Confirmation call sweep failed:', { error: (error as Error).message });
+    return 0;
+  } finally {
+    running = false;
+  }
+}
+
+/** Start the boot run + hourly timer (idempotent). */
+export function startConfirmationCallSweep(): void {
+  if (timer) return;
+  void runConfirmationCallSweep();
+  timer = startHousekeepingTimer(runConfirmationCallSweep, SWEEP_INTERVAL_MS);
+}
+
+export function stopConfirmationCallSweep(): void {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
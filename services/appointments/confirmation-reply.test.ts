@@ -0,0 +1,44 @@
+/**
+ * Tests for parseConfirmationReply — the shapes a "1" or "2" reminder answer
+ * arrives in (Arabic-Indic and Persian digits, keycap emoji, punctuation) and
+ * the messages that must stay ordinary inbox messages.
+ *
+ * @vitest-environment node
+ */
+import { describe, expect, it } from 'vitest';
+import { parseConfirmationReply } from './confirmation-reply.js';
+
+const KEYCAP = '\uFE0F\u20E3';
+
+describe('parseConfirmationReply', () => {
+  it('reads a plain 1 or 2', () => {
+    expect(parseConfirmationReply('1')).toBe('confirmed');
+    expect(parseConfirmationReply('2')).toBe('reschedule_requested');
+  });
+
+  it('reads Arabic-Indic and Persian digits', () => {
+    expect(parseConfirmationReply('١')).toBe('confirmed');
+    expect(parseConfirmationReply('۱')).toBe('confirmed');
+    expect(parseConfirmationReply('٢')).toBe('reschedule_requested');
+    expect(parseConfirmationReply('۲')).toBe('reschedule_requested');
+  });
+
+  it('reads keycap emoji, with or without the variation selector', () => {
+    expect(parseConfirmationReply(`1${KEYCAP}`)).toBe('confirmed');
+    expect(parseConfirmationReply(`2${KEYCAP}`)).toBe('reschedule_requested');
+    expect(parseConfirmationReply('1\u20E3')).toBe('confirmed');
+  });
+
+  it('ignores surrounding whitespace and punctuation', () => {
+    expect(parseConfirmationReply('  1 \n')).toBe('confirmed');
+    expect(parseConfirmationReply('1.')).toBe('confirmed');
+    expect(parseConfirmationReply('2!')).toBe('reschedule_requested');
+    expect(parseConfirmationReply('٢،')).toBe('reschedule_requested');
+  });
+
+  it('leaves anything else as an ordinary message', () => {
+    for (const body of ['', '3', '12', '11', '1 2', 'ok', 'yes 1', '10:30', '٣']) {
+      expect(parseConfirmationReply(body)).toBeNull();
+    }
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Reading a patient's answer to the reminder's "reply 1 to confirm, 2 to
+ * reschedule" line (appointment-confirmation.ts). Phones send the digit in many
+ * shapes — Arabic-Indic or Persian digits, a keycap emoji, a trailing full stop
+ * or spaces — and each is normalised to a plain 1 or 2 first.
+ */
+
+import type { ConfirmationStatus } from '../database/queries/appointment-confirmation-queries.js';
+
+/** '1' → confirmed, '2' → reschedule requested; anything else null. */
+export function parseConfirmationReply(body: string): ConfirmationStatus | null {
+  const text = body
+    .replace(/\s|[.!,،]|\uFE0F|\u20E3/g, '')
+    .replace(/[١۱]/g, '1')
+    .replace(/[٢۲]/g, '2');
+  if (text === '1') return 'confirmed';
+  if (text === '2') return 'reschedule_requested';
+  return null;
+}
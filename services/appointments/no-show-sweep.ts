@@ -0,0 +1,57 @@
+/**
+ * End-of-day no-show sweep.
+ *
+ * Marks every unattended appointment of a finished day (`present IS NULL`, the day
+ * before today) as a no-show — the state machine only records what did happen, so
+ * without this a missed visit is indistinguishable from one whose check-in was
+ * never recorded. The marks feed the patient attendance score and the per-doctor/
+ * weekday no-show rate on /api/calendar/stats (attendance-queries.ts).
+ *
+ * Runs once at boot and then hourly. Each run is an idempotent catch-up over the
+ * last LOOKBACK_DAYS finished days (already-marked rows are skipped), so a day is
+ * swept within the hour after midnight and a server that was down overnight heals
+ * on its next boot — no "last ran at" bookkeeping. Failures only log; the next
+ * tick retries.
+ */
+
+import { log } from '../../utils/logger.js';
+import { startHousekeepingTimer } from '../../utils/housekeeping-timer.js';
+import { markNoShows } from '../database/queries/attendance-queries.js';
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const LOOKBACK_DAYS = 7;
+
+let timer: NodeJS.Timeout | null = null;
+let running = false;
+
+/** One sweep pass. Never throws; returns the number of appointments marked. */
+export async function runNoShowSweep(): Promise<number> {
+  if (running) return 0;
+  running = true;
+  try {
+    const { marked, dates } = await markNoShows(LOOKBACK_DAYS);
+    if (marked > 0) {
+      log.info(`🚫 No-show sweep marked ${marked} appointment(s)`, { dates });
+    }
+    return marked;
+  } catch (error) {
+    log.error('No-show sweep failed:', { error: (error as Error).message });
+    return 0;
+  } finally {
+    running = false;
+  }
+}
+
+/** Start the boot run + hourly timer (idempotent). */
+export function startNoShowSweep(): void {
+  if (timer) return;
+  void runNoShowSweep();
+  timer = startHousekeepingTimer(runNoShowSweep, SWEEP_INTERVAL_MS);
+}
+
+export function stopNoShowSweep(): void {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -16,7 +16,7 @@ import { getKysely } from '../database/kysely.js';
 import { validateAndUpdateWork, validateAndDeleteWork } from '../business/WorkService.js';
 import { deletePatientCascade } from '../business/PatientService.js';
 import { updateExpense, deleteExpense } from '../database/queries/expense-queries.js';
-import { deleteInvoiceById } from '../database/queries/payment-queries.js';
+import { validateAndCreateRefund, validateAndDeleteInvoice } from '../business/PaymentService.js';
 import type { ApprovalActionType } from '../../shared/contracts/approvals.contract.js';
 
 // ---------------------------------------------------------------------------
@@ -146,7 +146,30 @@ export const APPROVAL_ACTIONS: Record<ApprovalActionType, ApprovalActionDef> = {
     getVersion: async () => null,
     summarize: (p) => `Delete invoice #${p.invoiceId}`,
     apply: async (p) => {
-      await deleteInvoiceById(Number(p.invoiceId));
+      await validateAndDeleteInvoice(Number(p.invoiceId));
+    },
+  },
+
+  'invoice.refund': {
+    targetTable: 'invoices',
+    pkColumn: 'invoice_id',
+    getTargetId: (p) => Number(p.invoiceId),
+    resolvePersonId: (id) => personIdFromInvoice(id),
+    // invoices has no updated_at — skip stale-detection (the refundable remainder
+    // is re-checked under lock when the refund is applied)
+    getVersion: async () => null,
+    summarize: (p) => `Refund ${p.amount} on invoice #${p.invoiceId}`,
+    apply: async (p) => {
+      // `refundedBy` is the requester (the cashier handing the money back), stamped
+      // into the payload at enqueue time — not the approving admin.
+      await validateAndCreateRefund({
+        invoiceId: Number(p.invoiceId),
+        amount: Number(p.amount),
+        usdReturned: Number(p.usdReturned ?? 0),
+        iqdReturned: Number(p.iqdReturned ?? 0),
+        reason: String(p.reason),
+        refundedBy: p.refundedBy != null ? String(p.refundedBy) : null,
+      });
     },
   },
 
@@ -0,0 +1,34 @@
+/**
+ * Audit context — who/which route is behind the current database write.
+ *
+ * middleware/audit-context.ts opens a context for every mutating API request;
+ * services/database/kysely.ts reads it whenever Kysely checks a connection out
+ * and mirrors it into the `app.audit_ctx` setting (cleared again when the
+ * connection goes back to the pool) that the `audit_capture()` row
+ * trigger records (migrations/pg/1783600000000_audit-log.sql). AsyncLocalStorage
+ * carries it through the awaits of the request, so query modules and services
+ * need no extra parameter — the same posture as `actingUser(req)` but without
+ * threading `req` down to every write.
+ */
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+export interface AuditContext {
+  /** Session username — 'unknown' when there is no session (auth disabled). */
+  actor: string;
+  /** 'METHOD /api/path' (no query string). */
+  route: string;
+  /** Groups every row one request wrote. */
+  requestId: string;
+}
+
+const storage = new AsyncLocalStorage<AuditContext>();
+
+/** Run `fn` with `ctx` as the audit context of every write it makes. */
+export function runWithAuditContext<T>(ctx: AuditContext, fn: () => T): T {
+  return storage.run(ctx, fn);
+}
+
+/** The current request's audit context; undefined outside a mutating request. */
+export function getAuditContext(): AuditContext | undefined {
+  return storage.getStore();
+}
@@ -0,0 +1,176 @@
+/**
+ * Aligner Doctor Portal Service
+ *
+ * Business logic for the in-server aligner-doctor portal (routes/aligner-portal.ts):
+ * - Password issuing (staff-generated, shown once), hashing, verification
+ * - Failed-attempt lockout bookkeeping
+ * - Session revocation: a portal session carries the credential version it signed
+ *   in with; resetting the password or disabling the login bumps it
+ * - Ownership scoping: every set the portal touches must belong to the signed-in
+ *   doctor (`aligner_sets.aligner_dr_id`) — a foreign set reads as "not found"
+ *
+ * The reads themselves reuse the staff aligner queries; this layer only filters
+ * them down to one doctor.
+ */
+import bcrypt from 'bcryptjs';
+import { randomInt } from 'node:crypto';
+import {
+  getDoctorPortalAuth,
+  getDoctorPortalSessionState,
+  getPortalDoctorById,
+  getPortalDoctorByEmail,
+  upsertDoctorPortalPassword,
+  recordDoctorPortalLogin,
+  recordDoctorPortalFailure,
+  setDoctorPortalEnabled,
+  clearDoctorPortalLockout,
+  type PortalDoctor,
+} from '../database/queries/aligner-doctor-portal-auth-queries.js';
+import * as alignerQueries from '../database/queries/aligner-queries.js';
+import { AlignerValidationError } from './AlignerService.js';
+import config from '../../config/config.js';
+
+const BCRYPT_ROUNDS = 12;
+const LOCKOUT_MINUTES = 30;
+const PASSWORD_LENGTH = 10;
+// No 0/O/1/l/I — the password is read out or typed from a message.
+const PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+
+export interface DoctorPortalStatus {
+  enabled: boolean;
+  hasPassword: boolean;
+  loginEmail: string | null;
+  lockedUntil: Date | null;
+  lastLoginAt: Date | null;
+  passwordSetAt: Date | null;
+  failedAttempts: number;
+  portalUrl: string;
+}
+
+export interface DoctorLoginResult {
+  ok: boolean;
+  doctor?: PortalDoctor;
+  /** Stamped into the session (`alignerCredentialVersion`) on login. */
+  credentialVersion?: number;
+  error?: string;
+  lockedUntil?: Date | null;
+}
+
+/**
+ * Verify an email + password and update the lockout/login counters.
+ */
+export async function verifyPassword(email: string, password: string): Promise<DoctorLoginResult> {
+  const doctor = await getPortalDoctorByEmail(email);
+  if (!doctor) {
+    return { ok: false, error: 'Invalid credentials' };
+  }
+
+  const auth = await getDoctorPortalAuth(doctor.dr_id);
+  if (!auth) {
+    return { ok: false, error: 'Portal access is not set up for this doctor.' };
+  }
+  if (!auth.enabled) {
+    return { ok: false, error: 'Portal access is disabled for this doctor.' };
+  }
+  if (auth.locked_until && auth.locked_until.getTime() > Date.now()) {
+    return {
+      ok: false,
+      error: 'Too many failed attempts. Please try again later.',
+      lockedUntil: auth.locked_until,
+    };
+  }
+
+  const match = await bcrypt.compare(password, auth.password_hash);
+  if (!match) {
+    const lockedUntil = await recordDoctorPortalFailure(doctor.dr_id);
+    return {
+      ok: false,
+      error: lockedUntil
+        ? `Account locked for ${LOCKOUT_MINUTES} minutes due to too many failed attempts.`
+        : 'Invalid credentials',
+      lockedUntil,
+    };
+  }
+
+  await recordDoctorPortalLogin(doctor.dr_id);
+  return { ok: true, doctor, credentialVersion: auth.credential_version };
+}
+
+/**
+ * Whether a portal session signed in with `credentialVersion` is still good: the
+ * login is enabled and neither a password reset nor a disable happened since.
+ */
+export async function isSessionCurrent(drId: number, credentialVersion: number | undefined): Promise<boolean> {
+  const state = await getDoctorPortalSessionState(drId);
+  return !!state && state.enabled && state.credential_version === credentialVersion;
+}
+
+/**
+ * Issue a new random password for the doctor (re-enables the login, clears any
+ * lockout and signs out existing portal sessions). Returns the plaintext exactly
+ * once, for staff to pass on.
+ */
+export async function resetPassword(drId: number): Promise<string> {
+  const doctor = await getPortalDoctorById(drId);
+  if (!doctor) throw new AlignerValidationError('Doctor not found', 'DOCTOR_NOT_FOUND');
+  if (!doctor.doctor_email) {
+    throw new AlignerValidationError(
+      'This doctor has no email address — add one first; it is their portal login.',
+      'DOCTOR_EMAIL_REQUIRED'
+    );
+  }
+  let password = '';
+  for (let i = 0; i < PASSWORD_LENGTH; i++) {
+    password += PASSWORD_ALPHABET[randomInt(PASSWORD_ALPHABET.length)];
+  }
+  await upsertDoctorPortalPassword(drId, await bcrypt.hash(password, BCRYPT_ROUNDS));
+  return password;
+}
+
+/** Staff status card. Null when the doctor doesn't exist. */
+export async function getStatus(drId: number): Promise<DoctorPortalStatus | null> {
+  const doctor = await getPortalDoctorById(drId);
+  if (!doctor) return null;
+  const auth = await getDoctorPortalAuth(drId);
+  return {
+    enabled: auth?.enabled ?? false,
+    hasPassword: !!auth,
+    loginEmail: doctor.doctor_email,
+    lockedUntil:
+      auth?.locked_until && auth.locked_until.getTime() > Date.now() ? auth.locked_until : null,
+    lastLoginAt: auth?.last_login_at ?? null,
+    passwordSetAt: auth?.password_set_at ?? null,
+    failedAttempts: auth?.failed_attempts ?? 0,
+    portalUrl: portalUrl(),
+  };
+}
+
+/** False when no password has been issued yet. Disabling signs out existing portal sessions. */
+export async function setEnabled(drId: number, enabled: boolean): Promise<boolean> {
+  return setDoctorPortalEnabled(drId, enabled);
+}
+
+export async function unlock(drId: number): Promise<void> {
+  await clearDoctorPortalLockout(drId);
+}
+
+export function portalUrl(): string {
+  const publicUrl = config.urls.publicUrl || 'https://remote.shwan-orthodontics.com';
+  return `${publicUrl}/aligner-portal`;
+}
+
+export async function getDoctor(drId: number): Promise<PortalDoctor | null> {
+  return getPortalDoctorById(drId);
+}
+
+/** The doctor's patients' sets (the staff All Sets list, filtered to them). */
+export async function getDoctorSets(drId: number) {
+  const sets = await alignerQueries.getAllAlignerSets();
+  return sets.filter((s) => s.aligner_dr_id === drId);
+}
+
+/** The set when it belongs to this doctor, else null (treated as not found). */
+export async function getOwnedSet(drId: number, setId: number) {
+  const set = await alignerQueries.getAlignerSetById(setId);
+  return set && set.aligner_dr_id === drId ? set : null;
+}
@@ -0,0 +1,196 @@
+/**
+ * Aligner supply forecast — when each patient in treatment runs out of aligners,
+ * and which batches have to be manufactured before then.
+ *
+ * A batch lasts its wearable aligner count × its wear interval: the longer arch's
+ * `*_aligner_count` (minus the template, which isn't worn) × `days`, falling back
+ * to the set's `days` when the batch has none — the same rule as the generated
+ * `batch_expiry_date`. Per set the supply runs from the latest DELIVERED batch's
+ * delivery date through every batch after it that is already manufactured; the
+ * first batch after that supply is the one to make, due into production
+ * `leadDays` before the patient runs out. A set whose last existing batch isn't
+ * flagged `is_last` also needs its next batch created. Later unmanufactured
+ * batches are projected as if the earlier ones were delivered on time.
+ *
+ * Sets with nothing delivered yet are not forecast (treatment hasn't started);
+ * sets where a batch in the supply has no wear interval can't be projected and
+ * are only counted.
+ *
+ * The reminder settings are two rows in the key/value `options` table (the
+ * lab-sla.ts pattern), editable from the All Sets dashboard:
+ *   ALIGNER_REMINDERS_ENABLED — 'true' turns the header-bell reminders on
+ *   ALIGNER_MFG_LEAD_DAYS     — manufacturing lead time in days
+ * Nothing is seeded: reminders start OFF and the lead time at DEFAULT_MFG_LEAD_DAYS.
+ */
+import { log } from '../../utils/logger.js';
+import { addDays, daysBetween, toDateOnly } from '../../utils/date.js';
+import { getOption, upsertOption } from '../database/queries/options-queries.js';
+import { getForecastBatches, type ForecastSourceBatch } from '../database/queries/aligner-forecast-queries.js';
+import {
+  alignerReminderSettings,
+  type AlignerReminderSettings,
+  type ForecastBatchRow,
+} from '../../shared/contracts/aligner.contract.js';
+
+/** Option keys in the `options` table. */
+export const ALIGNER_REMINDERS_ENABLED_OPTION = 'ALIGNER_REMINDERS_ENABLED';
+export const ALIGNER_MFG_LEAD_DAYS_OPTION = 'ALIGNER_MFG_LEAD_DAYS';
+
+/** A week to manufacture and ship a batch; used until the clinic saves its own. */
+export const DEFAULT_MFG_LEAD_DAYS = 7;
+
+/** The "this week" window: today plus the next six days. */
+const WEEK_DAYS = 7;
+
+/** A batch to manufacture, plus the batch whose supply runs out before it. */
+export type PendingBatch = ForecastBatchRow & {
+  runs_out_batch_id: number;
+  depletion_alert_id: number | null;
+};
+
+export type SetForecast = {
+  /** Batches to make, earliest first (empty when the set is fully supplied). */
+  pending: PendingBatch[];
+  /** A batch in the current supply has no wear interval — nothing projected. */
+  unscheduled: boolean;
+};
+
+export type AlignerForecast = {
+  today: string;
+  week_end: string;
+  batches: ForecastBatchRow[];
+  unscheduled: number;
+  settings: AlignerReminderSettings;
+};
+
+// ==============================
+// SETTINGS
+// ==============================
+
+/** Read the reminder settings; a malformed lead time logs and falls back to the default. */
+export async function getAlignerReminderSettings(): Promise<AlignerReminderSettings> {
+  const [enabledRaw, leadRaw] = await Promise.all([
+    getOption(ALIGNER_REMINDERS_ENABLED_OPTION),
+    getOption(ALIGNER_MFG_LEAD_DAYS_OPTION),
+  ]);
+
+  let leadDays = DEFAULT_MFG_LEAD_DAYS;
+  if (leadRaw) {
+    const parsed = alignerReminderSettings.shape.leadDays.safeParse(Number(leadRaw));
+    if (parsed.success) {
+      leadDays = parsed.data;
+    } else {
+      log.warn(`Invalid ${ALIGNER_MFG_LEAD_DAYS_OPTION} option, using the default`, { value: leadRaw });
+    }
+  }
+
+  return { enabled: enabledRaw === 'true', leadDays };
+}
+
+/** Persist the reminder settings (upsert). Range checks come from the contract's `validate({ body })`. */
+export async function saveAlignerReminderSettings(settings: AlignerReminderSettings): Promise<AlignerReminderSettings> {
+  await Promise.all([
+    upsertOption(ALIGNER_REMINDERS_ENABLED_OPTION, settings.enabled ? 'true' : 'false'),
+    upsertOption(ALIGNER_MFG_LEAD_DAYS_OPTION, String(settings.leadDays)),
+  ]);
+  return settings;
+}
+
+// ==============================
+// PROJECTION
+// ==============================
+
+/** Days one batch lasts, or null when neither the batch nor its set has a wear interval. */
+export function batchWearDays(batch: ForecastSourceBatch): number | null {
+  const interval = batch.days ?? batch.set_days;
+  if (interval === null || interval <= 0) return null;
+  const upper = batch.upper_aligner_count - (batch.has_upper_template ? 1 : 0);
+  const lower = batch.lower_aligner_count - (batch.has_lower_template ? 1 : 0);
+  return Math.max(upper, lower, 0) * interval;
+}
+
+/** Project one set. `batches` are that set's rows in batch_sequence order. */
+export function forecastSet(batches: ForecastSourceBatch[], today: string, leadDays: number): SetForecast {
+  let start = -1;
+  let runsOut = '';
+  for (let i = batches.length - 1; i >= 0; i--) {
+    const delivered = batches[i].delivered_to_patient_date;
+    if (delivered) {
+      start = i;
+      runsOut = delivered;
+      break;
+    }
+  }
+  if (start === -1) return { pending: [], unscheduled: false };
+
+  const pending: PendingBatch[] = [];
+  const pend = (after: ForecastSourceBatch, runsOut: string, batch: ForecastSourceBatch | null): void => {
+    pending.push({
+      aligner_set_id: after.aligner_set_id,
+      work_id: after.work_id,
+      person_id: after.person_id,
+      patient_name: after.patient_name,
+      aligner_dr_id: after.aligner_dr_id,
+      doctor_name: after.doctor_name,
+      set_sequence: after.set_sequence,
+      aligner_batch_id: batch?.aligner_batch_id ?? null,
+      batch_sequence: batch?.batch_sequence ?? after.batch_sequence + 1,
+      status: batch ? 'needs_mfg' : 'not_created',
+      runs_out_on: runsOut,
+      manufacture_by: addDays(runsOut, -leadDays),
+      days_left: daysBetween(today, runsOut),
+      runs_out_batch_id: after.aligner_batch_id,
+      depletion_alert_id: after.depletion_alert_id,
+    });
+  };
+
+  // The delivered batch starts the supply; each later batch extends it from the
+  // day the previous one runs out.
+  for (let i = start; i < batches.length; i++) {
+    const batch = batches[i];
+    if (i > start && !batch.manufacture_date) pend(batches[i - 1], runsOut, batch);
+    const wear = batchWearDays(batch);
+    if (wear === null) return { pending, unscheduled: pending.length === 0 };
+    runsOut = addDays(runsOut, wear);
+  }
+
+  const last = batches[batches.length - 1];
+  if (!last.is_last) pend(last, runsOut, null);
+  return { pending, unscheduled: false };
+}
+
+/** Project every in-treatment set (rows come grouped by set, in sequence order). */
+export function forecastAll(rows: ForecastSourceBatch[], today: string, leadDays: number): SetForecast[] {
+  const bySet = new Map<number, ForecastSourceBatch[]>();
+  for (const row of rows) {
+    const list = bySet.get(row.aligner_set_id);
+    if (list) list.push(row);
+    else bySet.set(row.aligner_set_id, [row]);
+  }
+  return [...bySet.values()].map((batches) => forecastSet(batches, today, leadDays));
+}
+
+/**
+ * The All Sets dashboard: every batch due into production by the end of this
+ * week — overdue ones included — earliest deadline first.
+ */
+export async function getAlignerForecast(): Promise<AlignerForecast> {
+  const [rows, settings] = await Promise.all([getForecastBatches(), getAlignerReminderSettings()]);
+  const today = toDateOnly(new Date());
+  const weekEnd = addDays(today, WEEK_DAYS - 1);
+  const forecasts = forecastAll(rows, today, settings.leadDays);
+
+  const batches = forecasts
+    .flatMap((f) => f.pending)
+    .filter((b) => b.manufacture_by <= weekEnd)
+    .map(({ runs_out_batch_id: _batch, depletion_alert_id: _alert, ...row }) => row)
+    .sort((a, b) => a.manufacture_by.localeCompare(b.manufacture_by) || a.patient_name.localeCompare(b.patient_name));
+
+  return {
+    today,
+    week_end: weekEnd,
+    batches,
+    unscheduled: forecasts.filter((f) => f.unscheduled).length,
+    settings,
+  };
+}
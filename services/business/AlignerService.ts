@@ -37,6 +37,8 @@ export type AlignerErrorCode =
   | 'MISSING_DOCTOR_NAME'
   | 'EMAIL_ALREADY_EXISTS'
   | 'DOCTOR_HAS_SETS'
+  | 'DOCTOR_NOT_FOUND'
+  | 'DOCTOR_EMAIL_REQUIRED'
   | 'INVALID_NOTE_ID'
   | 'MISSING_NOTE_TEXT'
   | 'NOTE_NOT_FOUND'
@@ -1046,12 +1048,14 @@ export async function validateAndDeleteDoctor(
  *
  * @param setId - Set id
  * @param noteText - note text
+ * @param noteType - 'Lab' (staff) or 'Doctor' (the aligner-doctor portal)
  * @returns New note id
  * @throws AlignerValidationError If validation fails
  */
 export async function validateAndCreateNote(
   setId: number | string,
-  noteText: string
+  noteText: string,
+  noteType: 'Lab' | 'Doctor' = 'Lab'
 ): Promise<number> {
   if (!setId || isNaN(parseInt(String(setId)))) {
     throw new AlignerValidationError('Valid setId is required', 'INVALID_SET_ID');
@@ -1078,12 +1082,12 @@ export async function validateAndCreateNote(
     const noteId = (await alignerQueries.createNote(
       parseInt(String(setId)),
       noteText,
-      'Lab'
+      noteType
     )) as number;
-    log.info(`Lab added note to aligner set ${setId}`);
+    log.info(`${noteType} added note to aligner set ${setId}`);
     return noteId;
   } catch (error) {
-    log.error('Error adding lab note:', { error: error instanceof Error ? error.message : String(error) });
+    log.error(`Error adding ${noteType.toLowerCase()} note:`, { error: error instanceof Error ? error.message : String(error) });
     throw error;
   }
 }
@@ -0,0 +1,417 @@
+/**
+ * Aligner Statement Service - Business Logic Layer
+ *
+ * The monthly statement for a referring aligner doctor: what the doctor owes
+ * across every patient's sets. A set's fee (`aligner_sets.set_cost`, in the
+ * set's currency) is charged on its creation date; payments are the invoices
+ * booked against the set (`validateAndCreatePayment`), refunds the negative
+ * invoices. Balances are kept per currency, like the patient statement.
+ *
+ *   opening balance — fees − payments + refunds before the month
+ *   fee             — a set created in the month                  (debit)
+ *   payment         — an invoice on one of the doctor's sets      (credit)
+ *   refund          — a negative invoice (credit note)            (debit)
+ *   outstanding     — the balance at month end
+ *
+ * Derived on read, nothing is stored. The same statement backs the JSON, PDF
+ * and CSV exports and the "send statement" e-mail
+ * (routes/api/aligner-statement.routes.ts).
+ */
+
+import { log } from '../../utils/logger.js';
+import { toDateOnly } from '../../utils/date.js';
+import { getOption } from '../database/queries/options-queries.js';
+import { logoFilePath } from '../files/clinic-branding.js';
+import emailService from '../email/email-service.js';
+import alignerStatementPdfGenerator from '../pdf/aligner-statement-pdf-generator.js';
+import {
+  getStatementDoctor,
+  getStatementSets,
+  getStatementSetPayments,
+  type StatementSetRow,
+  type StatementSetPaymentRow,
+} from '../database/queries/aligner-statement-queries.js';
+
+/**
+ * Aligner statement error codes
+ */
+export type AlignerStatementErrorCode = 'DOCTOR_NOT_FOUND' | 'NO_RECIPIENT';
+
+/**
+ * Error class for aligner statement business logic
+ */
+export class AlignerStatementError extends Error {
+  public readonly code: AlignerStatementErrorCode;
+  public readonly details: Record<string, unknown>;
+
+  constructor(message: string, code: AlignerStatementErrorCode, details: Record<string, unknown> = {}) {
+    super(message);
+    this.name = 'AlignerStatementError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export type AlignerStatementEntryKind = 'fee' | 'payment' | 'refund';
+
+// `type` (not `interface`) so these are assignable to the looseObject contracts.
+export type AlignerStatementEntry = {
+  date: string | null;
+  kind: AlignerStatementEntryKind;
+  aligner_set_id: number;
+  patient_name: string | null;
+  currency: string;
+  description: string;
+  /** Invoice id for payments/refunds; null for fees. */
+  reference: number | null;
+  debit: number;
+  credit: number;
+  /** Running balance in `currency` after this entry (opening balance included). */
+  balance: number;
+};
+
+export type AlignerStatementSet = {
+  aligner_set_id: number;
+  work_id: number;
+  person_id: number;
+  patient_name: string | null;
+  set_sequence: number | null;
+  currency: string;
+  set_cost: number | null;
+  batch_count: number;
+  batches_delivered: number;
+  /** Net of refunds, up to month end. */
+  paid: number;
+  balance: number;
+};
+
+export type AlignerStatementTotal = {
+  currency: string;
+  opening_balance: number;
+  fees: number;
+  payments: number;
+  refunds: number;
+  outstanding: number;
+};
+
+export type DoctorAlignerStatement = {
+  dr_id: number;
+  doctor_name: string;
+  doctor_email: string | null;
+  month: string;
+  period_start: string;
+  period_end: string;
+  generated_at: string;
+  sets: AlignerStatementSet[];
+  entries: AlignerStatementEntry[];
+  totals: AlignerStatementTotal[];
+};
+
+// Same-day ordering: the set is charged before it is paid.
+const KIND_ORDER: Record<AlignerStatementEntryKind, number> = { fee: 0, payment: 1, refund: 2 };
+
+const setCurrency = (set: StatementSetRow): string => set.currency || 'USD';
+
+const setLabel = (set: StatementSetRow): string =>
+  `${set.patient_name ?? `Patient #${set.person_id}`} — set ${set.set_sequence ?? `#${set.aligner_set_id}`}`;
+
+/** 'YYYY-MM' → first and last day of the month ('YYYY-MM-DD'). */
+function monthBounds(month: string): { periodStart: string; periodEnd: string } {
+  const [year, mon] = month.split('-').map(Number) as [number, number];
+  const lastDay = new Date(year, mon, 0).getDate();
+  return { periodStart: `${month}-01`, periodEnd: `${month}-${String(lastDay).padStart(2, '0')}` };
+}
+
+function paymentEntry(
+  inv: StatementSetPaymentRow,
+  set: StatementSetRow
+): Omit<AlignerStatementEntry, 'balance'> {
+  const base = {
+    date: inv.date_of_payment,
+    aligner_set_id: set.aligner_set_id,
+    patient_name: set.patient_name,
+    currency: setCurrency(set),
+    reference: inv.invoice_id,
+  };
+  if (inv.refund_of_invoice_id !== null) {
+    const reason = inv.refund_reason ? ` — ${inv.refund_reason}` : '';
+    return {
+      ...base,
+      kind: 'refund',
+      description: `Refund of receipt #${inv.refund_of_invoice_id}${reason}`,
+      debit: -inv.amount_paid,
+      credit: 0,
+    };
+  }
+  return { ...base, kind: 'payment', description: `Payment — ${setLabel(set)}`, debit: 0, credit: inv.amount_paid };
+}
+
+/**
+ * Split fees and payments at the month start: everything earlier folds into the
+ * opening balance, the month's own rows become the ledger with a running balance.
+ */
+function buildStatement(
+  sets: StatementSetRow[],
+  payments: StatementSetPaymentRow[],
+  periodStart: string
+): Pick<DoctorAlignerStatement, 'sets' | 'entries' | 'totals'> {
+  const setById = new Map(sets.map((s) => [s.aligner_set_id, s]));
+  const totalsByCurrency = new Map<string, AlignerStatementTotal>();
+  const totalFor = (currency: string): AlignerStatementTotal => {
+    let total = totalsByCurrency.get(currency);
+    if (!total) {
+      total = { currency, opening_balance: 0, fees: 0, payments: 0, refunds: 0, outstanding: 0 };
+      totalsByCurrency.set(currency, total);
+    }
+    return total;
+  };
+
+  const all: Omit<AlignerStatementEntry, 'balance'>[] = [];
+  for (const set of sets) {
+    // An unpriced set carries no fee yet; it still shows in the sets table.
+    if (set.set_cost === null) continue;
+    all.push({
+      date: set.charge_date,
+      kind: 'fee',
+      aligner_set_id: set.aligner_set_id,
+      patient_name: set.patient_name,
+      currency: setCurrency(set),
+      description: `Aligner fee — ${setLabel(set)}`,
+      reference: null,
+      debit: set.set_cost,
+      credit: 0,
+    });
+  }
+  for (const inv of payments) {
+    const set = setById.get(inv.aligner_set_id);
+    if (set) all.push(paymentEntry(inv, set));
+  }
+
+  // Undated fees (no creation date, no batch yet) count as before the month.
+  const inPeriod = (e: Omit<AlignerStatementEntry, 'balance'>) => e.date !== null && e.date >= periodStart;
+  for (const e of all) {
+    if (!inPeriod(e)) totalFor(e.currency).opening_balance += e.debit - e.credit;
+  }
+
+  const periodEntries = all
+    .filter(inPeriod)
+    .sort(
+      (a, b) =>
+        (a.date ?? '').localeCompare(b.date ?? '') ||
+        KIND_ORDER[a.kind] - KIND_ORDER[b.kind] ||
+        a.aligner_set_id - b.aligner_set_id ||
+        (a.reference ?? 0) - (b.reference ?? 0)
+    );
+
+  const running = new Map([...totalsByCurrency.values()].map((t) => [t.currency, t.opening_balance]));
+  const entries: AlignerStatementEntry[] = periodEntries.map((entry) => {
+    const balance = (running.get(entry.currency) ?? 0) + entry.debit - entry.credit;
+    running.set(entry.currency, balance);
+
+    const total = totalFor(entry.currency);
+    if (entry.kind === 'fee') total.fees += entry.debit;
+    else if (entry.kind === 'payment') total.payments += entry.credit;
+    else total.refunds += entry.debit;
+
+    return { ...entry, balance };
+  });
+  for (const total of totalsByCurrency.values()) {
+    total.outstanding = running.get(total.currency) ?? total.opening_balance;
+  }
+
+  const paidBySet = new Map<number, number>();
+  const activeInPeriod = new Set<number>();
+  for (const inv of payments) {
+    paidBySet.set(inv.aligner_set_id, (paidBySet.get(inv.aligner_set_id) ?? 0) + inv.amount_paid);
+  }
+  for (const e of entries) activeInPeriod.add(e.aligner_set_id);
+
+  const statementSets = sets
+    .map((s): AlignerStatementSet => {
+      const paid = paidBySet.get(s.aligner_set_id) ?? 0;
+      return {
+        aligner_set_id: s.aligner_set_id,
+        work_id: s.work_id,
+        person_id: s.person_id,
+        patient_name: s.patient_name,
+        set_sequence: s.set_sequence,
+        currency: setCurrency(s),
+        set_cost: s.set_cost,
+        batch_count: s.batch_count,
+        batches_delivered: s.batches_delivered,
+        paid,
+        balance: (s.set_cost ?? 0) - paid,
+      };
+    })
+    // Settled sets with no activity this month would only pad the statement.
+    .filter((s) => s.balance !== 0 || s.set_cost === null || activeInPeriod.has(s.aligner_set_id));
+
+  return {
+    sets: statementSets,
+    entries,
+    totals: [...totalsByCurrency.values()],
+  };
+}
+
+/**
+ * The doctor's statement for one month ('YYYY-MM', default the current month).
+ * @throws AlignerStatementError DOCTOR_NOT_FOUND
+ */
+export async function getDoctorStatement(drId: number, month?: string): Promise<DoctorAlignerStatement> {
+  const doctor = await getStatementDoctor(drId);
+  if (!doctor) {
+    throw new AlignerStatementError('Doctor not found', 'DOCTOR_NOT_FOUND', { drId });
+  }
+
+  const statementMonth = month || toDateOnly(new Date()).slice(0, 7);
+  const { periodStart, periodEnd } = monthBounds(statementMonth);
+  const [sets, payments] = await Promise.all([
+    getStatementSets(drId, periodEnd),
+    getStatementSetPayments(drId, periodEnd),
+  ]);
+
+  const statement = buildStatement(sets, payments, periodStart);
+  log.debug('Aligner doctor statement built', {
+    drId,
+    month: statementMonth,
+    sets: statement.sets.length,
+    entries: statement.entries.length,
+  });
+
+  return {
+    dr_id: doctor.dr_id,
+    doctor_name: doctor.doctor_name,
+    doctor_email: doctor.doctor_email,
+    month: statementMonth,
+    period_start: periodStart,
+    period_end: periodEnd,
+    generated_at: new Date().toISOString(),
+    ...statement,
+  };
+}
+
+// A leading =, +, - or @ makes spreadsheets evaluate the cell (CSV injection).
+const csvCell = (value: string | number | null): string => {
+  if (value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ['Date', 'Type', 'Set', 'Patient', 'Description', 'Receipt', 'Currency', 'Debit', 'Credit', 'Balance'];
+
+/**
+ * The statement as CSV: an opening row per currency, one row per entry, then
+ * an outstanding row per currency. Starts with a UTF-8 BOM so Excel reads
+ * Arabic names correctly.
+ */
+export function statementToCsv(statement: DoctorAlignerStatement): string {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const t of statement.totals) {
+    lines.push(
+      [statement.period_start, 'opening', null, null, `Opening balance (${t.currency})`, null, t.currency, null, null, t.opening_balance]
+        .map(csvCell)
+        .join(',')
+    );
+  }
+  for (const e of statement.entries) {
+    lines.push(
+      [e.date, e.kind, e.aligner_set_id, e.patient_name, e.description, e.reference, e.currency, e.debit || null, e.credit || null, e.balance]
+        .map(csvCell)
+        .join(',')
+    );
+  }
+  for (const t of statement.totals) {
+    lines.push(
+      [statement.period_end, 'total', null, null, `Outstanding (${t.currency})`, null, t.currency, t.fees + t.refunds, t.payments, t.outstanding]
+        .map(csvCell)
+        .join(',')
+    );
+  }
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+async function clinicBranding(): Promise<{ clinicName: string | null; logoPath: string | null }> {
+  const [clinicName, logoFile] = await Promise.all([getOption('CLINIC_NAME'), getOption('CLINIC_LOGO')]);
+  return { clinicName, logoPath: logoFile ? logoFilePath(logoFile) || null : null };
+}
+
+/**
+ * The statement as a branded PDF — the clinic name and logo come from the
+ * Settings → General branding options (`CLINIC_NAME`, `CLINIC_LOGO`).
+ */
+export async function statementToPdf(statement: DoctorAlignerStatement): Promise<Buffer> {
+  return alignerStatementPdfGenerator.generate(statement, await clinicBranding());
+}
+
+/** `AlignerStatement_<drId>_<YYYY-MM>.<ext>` */
+export const statementFilename = (drId: number, month: string, ext: string): string =>
+  `AlignerStatement_${drId}_${month}.${ext}`;
+
+const escapeHtml = (text: string): string =>
+  text.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]!);
+
+const formatMoney = (value: number, currency: string): string => `${value.toLocaleString('en-US')} ${currency}`;
+
+/**
+ * E-mail the month's statement PDF to the doctor (or to `to` when staff give
+ * another address).
+ * @throws AlignerStatementError DOCTOR_NOT_FOUND, NO_RECIPIENT
+ */
+export async function sendDoctorStatement(
+  drId: number,
+  month?: string,
+  to?: string
+): Promise<{ to: string; month: string; messageId: string | null }> {
+  const statement = await getDoctorStatement(drId, month);
+  const recipient = to || statement.doctor_email;
+  if (!recipient) {
+    throw new AlignerStatementError(
+      'This doctor has no email address — add one or enter a recipient.',
+      'NO_RECIPIENT',
+      { drId }
+    );
+  }
+
+  const [pdfBuffer, branding] = await Promise.all([statementToPdf(statement), clinicBranding()]);
+  const clinicName = branding.clinicName || 'Shwan Orthodontics';
+  const outstanding = statement.totals.length
+    ? statement.totals.map((t) => formatMoney(t.outstanding, t.currency)).join(' + ')
+    : formatMoney(0, 'USD');
+  const subject = `${clinicName} — aligner statement ${statement.month}`;
+
+  const text = [
+    `Dear Dr. ${statement.doctor_name},`,
+    '',
+    `Please find attached your aligner statement for ${statement.month}.`,
+    `Outstanding balance: ${outstanding}`,
+    '',
+    clinicName,
+  ].join('\n');
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px;">
+      <p>Dear Dr. ${escapeHtml(statement.doctor_name)},</p>
+      <p>Please find attached your aligner statement for <strong>${statement.month}</strong>.</p>
+      <p>Outstanding balance: <strong>${escapeHtml(outstanding)}</strong></p>
+      <p style="color: #666;">${escapeHtml(clinicName)}</p>
+    </div>
+  `;
+
+  const result = await emailService.sendEmail({
+    to: recipient,
+    subject,
+    text,
+    html,
+    pdfBuffer,
+    pdfFilename: statementFilename(drId, statement.month, 'pdf'),
+  });
+  log.info('Aligner statement e-mailed', { drId, month: statement.month, to: recipient });
+  return { to: recipient, month: statement.month, messageId: result.messageId ?? null };
+}
+
+export default {
+  getDoctorStatement,
+  statementToCsv,
+  statementToPdf,
+  sendDoctorStatement,
+};
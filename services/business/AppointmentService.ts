@@ -6,6 +6,7 @@
  * - Doctor verification (ensuring employee is actually a doctor)
  * - Conflict detection (preventing duplicate appointments)
  * - Quick check-in operations (creating and checking in simultaneously)
+ * - Recurring series booking and "this and following" edits/cancels
  * - Date/time formatting and normalization
  *
  * This layer sits between route handlers and database queries,
@@ -23,6 +24,19 @@ import {
   type DailyAppointmentsOptimizedResult,
 } from '../database/queries/appointment-queries.js';
 import { isDateHoliday } from '../database/queries/holiday-queries.js';
+import {
+  getMaxAppointmentsPerSlot,
+  countAppointmentsInSlot,
+} from '../database/queries/calendar-queries.js';
+import {
+  createSeriesWithAppointments,
+  getSeriesAnchor,
+  getFollowingOccurrences,
+  hasAppointmentOnDate,
+  updateSeriesOccurrences,
+  cancelSeriesFrom,
+  type SeriesOccurrenceRow,
+} from '../database/queries/appointment-series-queries.js';
 
 /**
  * Appointment error codes
@@ -36,7 +50,11 @@ export type AppointmentErrorCode =
   | 'HOLIDAY_CONFLICT'
   | 'INVALID_PERSON_ID'
   | 'INVALID_STATE_TRANSITION'
-  | 'MISSING_DATE';
+  | 'MISSING_DATE'
+  | 'APPOINTMENT_NOT_FOUND'
+  | 'NOT_IN_SERIES'
+  | 'SERIES_OCCURRENCE_BLOCKED'
+  | 'SLOT_FULL';
 
 /**
  * Error details for appointment validation
@@ -53,6 +71,7 @@ export interface AppointmentErrorDetails {
   personId?: number;
   date?: string;
   doctorId?: number;
+  reason?: SeriesSkipReason;
 }
 
 /**
@@ -134,6 +153,69 @@ export interface QuickCheckInResult {
   };
 }
 
+/**
+ * Why a series occurrence could not be placed on (or moved to) a day
+ */
+export type SeriesSkipReason = 'HOLIDAY' | 'FRIDAY' | 'SLOT_FULL' | 'APPOINTMENT_CONFLICT';
+
+/**
+ * Recurring series creation data — the first occurrence plus the repeat rule
+ */
+export interface AppointmentSeriesCreateData extends AppointmentCreateData {
+  interval_weeks: number;
+  occurrences: number;
+  created_by: string | null;
+}
+
+/**
+ * One booked occurrence. `shifted` = placed on a later day than the rule's date
+ */
+export interface SeriesBookedOccurrence {
+  appointment_id: number;
+  app_date: string;
+  requested_date: string;
+  shifted: boolean;
+}
+
+/**
+ * One occurrence that could not be placed within the shift window
+ */
+export interface SeriesSkippedOccurrence {
+  requested_date: string;
+  reason: SeriesSkipReason;
+}
+
+/**
+ * Created series result
+ */
+export interface CreatedAppointmentSeries {
+  series_id: number;
+  person_id: number;
+  dr_id: number;
+  doctorName: string;
+  booked: SeriesBookedOccurrence[];
+  skipped: SeriesSkippedOccurrence[];
+}
+
+/**
+ * "This and following" edit/cancel result. `dates` are the YYYY-MM-DD days
+ * touched (old and new), for the WebSocket refresh.
+ */
+export interface SeriesChangeResult {
+  series_id: number;
+  affected: number;
+  dates: string[];
+}
+
+/**
+ * "This and following" cancel result — also hands back the freed slots so the
+ * caller can offer them to the wait-list
+ */
+export interface SeriesCancelResult extends SeriesChangeResult {
+  seriesEnded: boolean;
+  freedSlots: SeriesOccurrenceRow[];
+}
+
 /**
  * Formatted date time object
  */
@@ -278,6 +360,52 @@ function formatCurrentDateTime(): FormattedDateTime {
   };
 }
 
+/**
+ * Days a later occurrence may slide forward when its rule date is a holiday,
+ * a full slot, or a day the patient is already booked.
+ */
+const SERIES_SHIFT_DAYS = 3;
+
+const pad2 = (n: number): string => String(n).padStart(2, '0');
+
+/** Local wall-clock 'YYYY-MM-DDTHH:MM:SS' (the app_date string format). */
+function toLocalDateTime(d: Date): string {
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}T${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+}
+
+function addDays(d: Date, days: number): Date {
+  const next = new Date(d);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+/** Whole calendar days from `a` to `b` (local midnights — DST-safe). */
+function dayDiff(a: Date, b: Date): number {
+  const ma = new Date(a.getFullYear(), a.getMonth(), a.getDate());
+  const mb = new Date(b.getFullYear(), b.getMonth(), b.getDate());
+  return Math.round((mb.getTime() - ma.getTime()) / 86_400_000);
+}
+
+/**
+ * Why `candidate` can't take this patient's occurrence, or null if it can.
+ * Friday is the clinic's closed day (the calendar excludes DOW 5).
+ */
+async function occurrenceBlocker(
+  personId: number,
+  candidate: Date,
+  maxPerSlot: number,
+  excludeIds: number[] = [],
+  checkCapacity = true
+): Promise<SeriesSkipReason | null> {
+  if (candidate.getDay() === 5) return 'FRIDAY';
+  const dateTime = toLocalDateTime(candidate);
+  const dateOnly = dateTime.slice(0, 10);
+  if (await isDateHoliday(dateOnly)) return 'HOLIDAY';
+  if (await hasAppointmentOnDate(personId, dateOnly, excludeIds)) return 'APPOINTMENT_CONFLICT';
+  if (checkCapacity && (await countAppointmentsInSlot(dateTime)) >= maxPerSlot) return 'SLOT_FULL';
+  return null;
+}
+
 /**
  * Validate and create a new appointment
  * @param appointmentData - Appointment data to create
@@ -323,6 +451,214 @@ export async function validateAndCreateAppointment(
   };
 }
 
+/**
+ * Validate and create a recurring appointment series
+ *
+ * The first occurrence is validated like a single booking (holiday and same-day
+ * conflicts throw) and must also fit MaxAppointmentsPerSlot — it is the slot the
+ * user picked, so a full one is an error rather than a shift. Every later occurrence lands `interval_weeks` after
+ * the previous rule date at the same time; if that day is a Friday, a holiday, a
+ * full slot (MaxAppointmentsPerSlot) or already booked for the patient, it slides
+ * forward up to SERIES_SHIFT_DAYS days. Occurrences that still can't be placed
+ * are returned in `skipped` with the reason — never silently dropped.
+ *
+ * @param seriesData - First occurrence + repeat rule
+ * @returns The series id with its booked and skipped occurrences
+ * @throws AppointmentValidationError If the first occurrence fails validation or its slot is full
+ */
+export async function validateAndCreateAppointmentSeries(
+  seriesData: AppointmentSeriesCreateData
+): Promise<CreatedAppointmentSeries> {
+  const { person_id, app_date, app_detail, dr_id, interval_weeks, occurrences } = seriesData;
+
+  validateAppointmentRequiredFields(seriesData);
+  await checkHolidayConflict(app_date);
+  const doctor = await verifyDoctor(dr_id);
+  await checkAppointmentConflict(person_id, app_date);
+
+  const personId = parseInt(String(person_id));
+  const doctorId = parseInt(String(dr_id));
+  const first = new Date(app_date);
+  const maxPerSlot = await getMaxAppointmentsPerSlot();
+  if ((await countAppointmentsInSlot(toLocalDateTime(first))) >= maxPerSlot) {
+    throw new AppointmentValidationError(
+      `The slot at ${toLocalDateTime(first)} already has ${maxPerSlot} appointment(s)`,
+      'SLOT_FULL',
+      { personId, date: toLocalDateTime(first), reason: 'SLOT_FULL' }
+    );
+  }
+
+  const planned: Array<{ app_date: string; requested_date: string }> = [
+    { app_date: toLocalDateTime(first), requested_date: toLocalDateTime(first) },
+  ];
+  const skipped: SeriesSkippedOccurrence[] = [];
+
+  for (let i = 1; i < occurrences; i++) {
+    const target = addDays(first, i * interval_weeks * 7);
+    let firstReason: SeriesSkipReason | null = null;
+    let placed: Date | null = null;
+
+    for (let shift = 0; shift <= SERIES_SHIFT_DAYS; shift++) {
+      const candidate = addDays(target, shift);
+      const reason = await occurrenceBlocker(personId, candidate, maxPerSlot);
+      if (!reason) {
+        placed = candidate;
+        break;
+      }
+      // Friday is never a useful answer on its own — report what blocked a working day.
+      if (!firstReason && reason !== 'FRIDAY') firstReason = reason;
+    }
+
+    if (placed) {
+      planned.push({ app_date: toLocalDateTime(placed), requested_date: toLocalDateTime(target) });
+    } else {
+      skipped.push({ requested_date: toLocalDateTime(target), reason: firstReason ?? 'FRIDAY' });
+    }
+  }
+
+  const { seriesId, appointmentIds } = await createSeriesWithAppointments(
+    {
+      person_id: personId,
+      dr_id: doctorId,
+      app_detail,
+      first_app_date: planned[0].app_date,
+      interval_weeks,
+      occurrences,
+      created_by: seriesData.created_by,
+    },
+    planned.map((p) => p.app_date)
+  );
+
+  log.info(
+    `Appointment series created: id ${seriesId}, Patient ${personId}, Doctor ${doctor.employee_name}, ` +
+      `${appointmentIds.length} booked, ${skipped.length} skipped`
+  );
+
+  return {
+    series_id: seriesId,
+    person_id: personId,
+    dr_id: doctorId,
+    doctorName: doctor.employee_name,
+    booked: planned.map((p, i) => ({
+      appointment_id: appointmentIds[i],
+      app_date: p.app_date,
+      requested_date: p.requested_date,
+      shifted: p.app_date !== p.requested_date,
+    })),
+    skipped,
+  };
+}
+
+/**
+ * Resolve the series anchor for a "this and following" action
+ * @throws AppointmentValidationError If the appointment is missing or not in a series
+ */
+async function requireSeriesAnchor(appointmentId: number) {
+  const anchor = await getSeriesAnchor(appointmentId);
+  if (!anchor) {
+    throw new AppointmentValidationError('Appointment not found', 'APPOINTMENT_NOT_FOUND');
+  }
+  if (anchor.series_id == null) {
+    throw new AppointmentValidationError(
+      'Appointment is not part of a recurring series',
+      'NOT_IN_SERIES',
+      { existingAppointmentID: appointmentId }
+    );
+  }
+  return { ...anchor, series_id: anchor.series_id };
+}
+
+/**
+ * Edit an occurrence and every unattended occurrence after it
+ *
+ * The anchor's move (`app_date` new vs. old) is applied to each following
+ * occurrence as the same day offset at the new time of day, together with the
+ * new doctor and detail. All-or-nothing: if any moved occurrence would land on a
+ * Friday, a holiday, a full slot or a day the patient is already booked, nothing
+ * is changed and SERIES_OCCURRENCE_BLOCKED names the first offending date.
+ *
+ * @throws AppointmentValidationError On validation failure
+ */
+export async function updateAppointmentSeriesFrom(
+  appointmentId: number,
+  changes: Omit<AppointmentCreateData, 'person_id'>
+): Promise<SeriesChangeResult> {
+  const { app_date, app_detail, dr_id } = changes;
+  const anchor = await requireSeriesAnchor(appointmentId);
+  validateAppointmentRequiredFields({ ...changes, person_id: anchor.person_id });
+  await verifyDoctor(dr_id);
+
+  const oldAnchor = new Date(anchor.app_date);
+  const newAnchor = new Date(app_date);
+  const dayOffset = dayDiff(oldAnchor, newAnchor);
+  const doctorId = parseInt(String(dr_id));
+
+  const rows = await getFollowingOccurrences(anchor.series_id, anchor.app_date);
+  const movedIds = rows.map((r) => r.appointment_id);
+  const maxPerSlot = await getMaxAppointmentsPerSlot();
+  const dates = new Set<string>();
+
+  const updates = [];
+  for (const row of rows) {
+    const current = new Date(row.app_date);
+    const next = addDays(current, dayOffset);
+    next.setHours(newAnchor.getHours(), newAnchor.getMinutes(), newAnchor.getSeconds(), 0);
+    const nextDateTime = toLocalDateTime(next);
+
+    if (nextDateTime !== row.app_date) {
+      // A day move re-checks the day; a same-day time move only the slot's capacity.
+      const sameDay = nextDateTime.slice(0, 10) === row.app_date.slice(0, 10);
+      const reason = sameDay
+        ? (await countAppointmentsInSlot(nextDateTime)) >= maxPerSlot
+          ? 'SLOT_FULL'
+          : null
+        : await occurrenceBlocker(anchor.person_id, next, maxPerSlot, movedIds);
+      if (reason) {
+        throw new AppointmentValidationError(
+          `Occurrence on ${nextDateTime.slice(0, 10)} cannot be moved there (${reason})`,
+          'SERIES_OCCURRENCE_BLOCKED',
+          { date: nextDateTime.slice(0, 10), reason }
+        );
+      }
+    }
+
+    dates.add(row.app_date.slice(0, 10));
+    dates.add(nextDateTime.slice(0, 10));
+    updates.push({ appointment_id: row.appointment_id, app_date: nextDateTime, dr_id: doctorId, app_detail });
+  }
+
+  await updateSeriesOccurrences(updates);
+
+  log.info(
+    `Appointment series ${anchor.series_id} edited from appointment ${appointmentId}: ${updates.length} occurrence(s)`
+  );
+
+  return { series_id: anchor.series_id, affected: updates.length, dates: [...dates].sort() };
+}
+
+/**
+ * Cancel an occurrence and every unattended occurrence after it
+ * @returns The cancelled count and the freed slots (for the wait-list backfill)
+ * @throws AppointmentValidationError If the appointment is missing or not in a series
+ */
+export async function cancelAppointmentSeriesFrom(appointmentId: number): Promise<SeriesCancelResult> {
+  const anchor = await requireSeriesAnchor(appointmentId);
+  const { deleted, seriesEnded } = await cancelSeriesFrom(anchor.series_id, anchor.app_date);
+
+  log.info(
+    `Appointment series ${anchor.series_id} cancelled from appointment ${appointmentId}: ` +
+      `${deleted.length} occurrence(s)${seriesEnded ? ', series ended' : ''}`
+  );
+
+  return {
+    series_id: anchor.series_id,
+    affected: deleted.length,
+    dates: [...new Set(deleted.map((r) => r.app_date.slice(0, 10)))],
+    seriesEnded,
+    freedSlots: deleted,
+  };
+}
+
 /**
  * Quick check-in: Create appointment and mark as present in one operation
  *
@@ -511,6 +847,9 @@ export async function getDailyAppointments(
 
 export default {
   validateAndCreateAppointment,
+  validateAndCreateAppointmentSeries,
+  updateAppointmentSeriesFrom,
+  cancelAppointmentSeriesFrom,
   verifyDoctor,
   checkAppointmentConflict,
   checkHolidayConflict,
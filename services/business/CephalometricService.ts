@@ -0,0 +1,174 @@
+/**
+ * Cephalometric Service - Business Logic Layer
+ *
+ * The norms cephalometric measurements are judged against (Settings → Ceph
+ * Norms), a work's analysis and its diagnosis report.
+ *
+ * The analysis is derived, never stored: each diagnosis stage's c_* values are
+ * parsed, blank ones derived from the others and each classified against the
+ * most specific norm for the patient's sex and age on the diagnosis date
+ * (shared/cephalometrics.ts). A work has an 'initial' diagnosis and, once
+ * post-treatment records are taken, a 'final' one; the report for the final
+ * one carries the initial → final comparison.
+ */
+
+import { log } from '../../utils/logger.js';
+import { isUniqueViolation } from '../../utils/pg-errors.js';
+import {
+  listCephNorms,
+  getCephNormById,
+  insertCephNorm,
+  updateCephNorm,
+  deleteCephNorm,
+  getCephWork,
+  getWorkDiagnoses,
+  type CephNormRow,
+  type CephNormInput,
+  type CephWorkRow,
+  type DiagnosisRow,
+} from '../database/queries/cephalometric-queries.js';
+import { getOption } from '../database/queries/options-queries.js';
+import { logoFilePath } from '../files/clinic-branding.js';
+import diagnosisPdfGenerator from '../pdf/diagnosis-pdf-generator.js';
+import { ageAt, analyzeCeph, normSex } from '../../shared/cephalometrics.js';
+import {
+  CEPH_MEASURE_KEYS,
+  type CephAnalysis,
+  type CephNormBody,
+  type WorkCephalometrics,
+} from '../../shared/contracts/cephalometric.contract.js';
+import type { DiagnosisStage } from '../../shared/contracts/work.contract.js';
+
+/**
+ * Cephalometric error codes
+ */
+export type CephalometricErrorCode = 'NORM_NOT_FOUND' | 'WORK_NOT_FOUND' | 'DIAGNOSIS_NOT_FOUND' | 'DUPLICATE_NORM';
+
+/**
+ * Validation error class for cephalometric business logic
+ */
+export class CephalometricError extends Error {
+  public readonly code: CephalometricErrorCode;
+  public readonly details: Record<string, unknown>;
+
+  constructor(message: string, code: CephalometricErrorCode, details: Record<string, unknown> = {}) {
+    super(message);
+    this.name = 'CephalometricError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const MEASURE_ORDER = new Map(CEPH_MEASURE_KEYS.map((key, i) => [key, i]));
+
+/** Every norm, in the form's measure order (the query sorts within a measure). */
+export async function listNorms(): Promise<CephNormRow[]> {
+  const norms = await listCephNorms();
+  return norms.sort((a, b) => (MEASURE_ORDER.get(a.measure) ?? 0) - (MEASURE_ORDER.get(b.measure) ?? 0));
+}
+
+function toNormInput(body: CephNormBody): CephNormInput {
+  return {
+    measure: body.measure,
+    sex: body.sex ?? null,
+    age_min: body.age_min ?? null,
+    age_max: body.age_max ?? null,
+    mean: body.mean,
+    sd: body.sd,
+    source: body.source || null,
+  };
+}
+
+function duplicateNorm(input: CephNormInput): CephalometricError {
+  return new CephalometricError(
+    'This measurement already has a norm for that sex and age band',
+    'DUPLICATE_NORM',
+    { measure: input.measure, sex: input.sex, age_min: input.age_min, age_max: input.age_max }
+  );
+}
+
+export async function createNorm(body: CephNormBody, username: string | null): Promise<CephNormRow> {
+  const input = toNormInput(body);
+  let normId: number;
+  try {
+    normId = await insertCephNorm(input, username);
+  } catch (error) {
+    if (isUniqueViolation(error, 'uq_ceph_norms')) throw duplicateNorm(input);
+    throw error;
+  }
+  log.info('Ceph norm created', { normId, measure: input.measure, by: username });
+  return (await getCephNormById(normId))!;
+}
+
+export async function updateNorm(normId: number, body: CephNormBody, username: string | null): Promise<CephNormRow> {
+  const input = toNormInput(body);
+  let updated: boolean;
+  try {
+    updated = await updateCephNorm(normId, input);
+  } catch (error) {
+    if (isUniqueViolation(error, 'uq_ceph_norms')) throw duplicateNorm(input);
+    throw error;
+  }
+  if (!updated) throw new CephalometricError('Norm not found', 'NORM_NOT_FOUND', { normId });
+  log.info('Ceph norm updated', { normId, measure: input.measure, by: username });
+  return (await getCephNormById(normId))!;
+}
+
+export async function removeNorm(normId: number, username: string | null): Promise<void> {
+  if (!(await deleteCephNorm(normId))) {
+    throw new CephalometricError('Norm not found', 'NORM_NOT_FOUND', { normId });
+  }
+  log.info('Ceph norm deleted', { normId, by: username });
+}
+
+/** The work, its diagnoses and both stages analysed. Throws WORK_NOT_FOUND. */
+async function loadWorkAnalysis(
+  workId: number
+): Promise<{ work: CephWorkRow; diagnoses: DiagnosisRow[]; view: WorkCephalometrics }> {
+  const [work, diagnoses, norms] = await Promise.all([getCephWork(workId), getWorkDiagnoses(workId), listNorms()]);
+  if (!work) throw new CephalometricError('Work not found', 'WORK_NOT_FOUND', { workId });
+
+  const sex = normSex(work.gender);
+  const analyse = (stage: DiagnosisStage): CephAnalysis | null => {
+    const dx = diagnoses.find((d) => d.stage === stage);
+    if (!dx) return null;
+    const age = ageAt(work.date_of_birth, dx.dx_date);
+    return { stage, dx_date: dx.dx_date, age, measurements: analyzeCeph(dx, norms, sex, age) };
+  };
+
+  const view = {
+    work_id: work.work_id,
+    sex,
+    date_of_birth: work.date_of_birth,
+    norms,
+    initial: analyse('initial'),
+    final: analyse('final'),
+  };
+  return { work, diagnoses, view };
+}
+
+/** Both stages of the work analysed. Throws WORK_NOT_FOUND. */
+export async function getWorkCephalometrics(workId: number): Promise<WorkCephalometrics> {
+  return (await loadWorkAnalysis(workId)).view;
+}
+
+/**
+ * The diagnosis report for one stage as a branded PDF — the clinic name and logo
+ * come from the Settings → General branding options, like the statement. Throws
+ * WORK_NOT_FOUND / DIAGNOSIS_NOT_FOUND.
+ */
+export async function diagnosisToPdf(workId: number, stage: DiagnosisStage): Promise<Buffer> {
+  const { work, diagnoses, view } = await loadWorkAnalysis(workId);
+  const diagnosis = diagnoses.find((d) => d.stage === stage);
+  const analysis = stage === 'final' ? view.final : view.initial;
+  if (!diagnosis || !analysis) {
+    throw new CephalometricError('Diagnosis not found', 'DIAGNOSIS_NOT_FOUND', { workId, stage });
+  }
+
+  const [clinicName, logoFile] = await Promise.all([getOption('CLINIC_NAME'), getOption('CLINIC_LOGO')]);
+  return diagnosisPdfGenerator.generate(
+    // Only the final report compares — the initial one has nothing to compare with yet.
+    { work, diagnosis, analysis, baseline: stage === 'final' ? view.initial : null },
+    { clinicName, logoPath: logoFile ? logoFilePath(logoFile) || null : null }
+  );
+}
@@ -65,6 +65,9 @@ export interface BaseInvoice {
   sys_start_time?: Date | string;
   currency?: string;
   change?: number;
+  /** Set on a refund row (negative amounts): the payment it reverses. */
+  refund_of_invoice_id?: number | null;
+  refund_reason?: string | null;
 }
 
 /**
@@ -0,0 +1,357 @@
+/**
+ * Payment Plan Service - Business Logic Layer
+ *
+ * Installment plans on works: building the due schedule, allocating payments to
+ * installments, the overdue-balances report and the polite dues reminder.
+ *
+ * Allocation is derived, never stored. What a plan has received is the work's
+ * paid total minus the `opening_paid` snapshot taken when the plan was agreed;
+ * that amount is poured FIFO over the installments in due order. An installment
+ * is then:
+ *   paid      — fully covered
+ *   upcoming  — not yet due
+ *   due       — due date reached, still inside the grace period
+ *   overdue   — past due date + grace_days and not fully covered
+ * so every /addInvoice payment (or deleted invoice) re-allocates on the next read.
+ */
+
+import { log } from '../../utils/logger.js';
+import { daysBetween, toDateOnly } from '../../utils/date.js';
+import { getWorkDetails } from '../database/queries/work-queries.js';
+import {
+  getPaymentPlan,
+  getActivePlanForWork,
+  listActivePlans,
+  getInstallments,
+  createPlanWithInstallments,
+  cancelPaymentPlan,
+  markPlanReminded,
+  getPlanRecipient,
+  type PaymentPlanRow,
+  type InstallmentRow,
+} from '../database/queries/payment-plan-queries.js';
+import { sendDuesMessage } from '../messaging/dues-reminder.js';
+import { allocateInstallments, buildSchedule, type AllocatedInstallment } from './payment-plan-schedule.js';
+import type { CreatePaymentPlanBody } from '../../shared/contracts/payment-plan.contract.js';
+
+/** Longest schedule a plan may generate (10 years of monthly installments). */
+const MAX_INSTALLMENTS = 120;
+
+/**
+ * Payment plan error codes
+ */
+export type PaymentPlanErrorCode =
+  | 'WORK_NOT_FOUND'
+  | 'PLAN_NOT_FOUND'
+  | 'PLAN_EXISTS'
+  | 'PLAN_NOT_ACTIVE'
+  | 'NOTHING_TO_SCHEDULE'
+  | 'TOO_MANY_INSTALLMENTS'
+  | 'NOTHING_DUE'
+  | 'NO_PHONE'
+  | 'WHATSAPP_UNAVAILABLE'
+  | 'SEND_FAILED';
+
+/**
+ * Validation error class for payment plan business logic
+ */
+export class PaymentPlanError extends Error {
+  public readonly code: PaymentPlanErrorCode;
+  public readonly details: Record<string, unknown>;
+
+  constructor(message: string, code: PaymentPlanErrorCode, details: Record<string, unknown> = {}) {
+    super(message);
+    this.name = 'PaymentPlanError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export type PlanStatus = 'completed' | 'on_track' | 'overdue';
+
+// `type` (not `interface`) so these are assignable to the looseObject contracts.
+export type PaymentPlanView = {
+  id: number;
+  work_id: number;
+  person_id: number;
+  currency: string;
+  installment_amount: number;
+  installment_count: number;
+  first_due_date: string;
+  interval_months: number;
+  grace_days: number;
+  note: string | null;
+  last_reminded_at: string | null;
+  created_at: string;
+  created_by: string | null;
+  status: PlanStatus;
+  plan_total: number;
+  paid_to_plan: number;
+  remaining: number;
+  overdue_amount: number;
+  next_due: { seq: number; due_date: string; outstanding: number } | null;
+  installments: AllocatedInstallment[];
+};
+
+export type OverdueBalanceRow = {
+  plan_id: number;
+  work_id: number;
+  person_id: number;
+  patient_name: string | null;
+  currency: string;
+  overdue_amount: number;
+  overdue_count: number;
+  oldest_due_date: string;
+  days_overdue: number;
+  remaining: number;
+  last_reminded_at: string | null;
+};
+
+/** What an invoice just did to the work's plan — reported back by /addInvoice. */
+export type PlanAllocationSummary = {
+  plan_id: number;
+  /** Installment seqs this payment finished paying. */
+  settled: number[];
+  overdue_amount: number;
+  remaining: number;
+  next_due: PaymentPlanView['next_due'];
+};
+
+// ---------------------------------------------------------------------------
+// Views
+// ---------------------------------------------------------------------------
+
+function toView(plan: PaymentPlanRow, installments: InstallmentRow[], today: string): PaymentPlanView {
+  const paidToPlan = Math.max(0, plan.work_paid - plan.opening_paid);
+  const allocated = allocateInstallments(installments, paidToPlan, plan.grace_days, today);
+  const planTotal = installments.reduce((sum, i) => sum + i.amount, 0);
+  const overdueAmount = allocated
+    .filter((i) => i.status === 'overdue')
+    .reduce((sum, i) => sum + i.amount - i.paid, 0);
+  const next = allocated.find((i) => i.status !== 'paid');
+  const remaining = Math.max(0, planTotal - paidToPlan);
+
+  return {
+    id: plan.id,
+    work_id: plan.work_id,
+    person_id: plan.person_id,
+    currency: plan.currency,
+    installment_amount: plan.installment_amount,
+    installment_count: plan.installment_count,
+    first_due_date: plan.first_due_date,
+    interval_months: plan.interval_months,
+    grace_days: plan.grace_days,
+    note: plan.note,
+    last_reminded_at: plan.last_reminded_at,
+    created_at: plan.created_at,
+    created_by: plan.created_by,
+    status: remaining === 0 ? 'completed' : overdueAmount > 0 ? 'overdue' : 'on_track',
+    plan_total: planTotal,
+    paid_to_plan: Math.min(paidToPlan, planTotal),
+    remaining,
+    overdue_amount: overdueAmount,
+    next_due: next ? { seq: next.seq, due_date: next.due_date, outstanding: next.amount - next.paid } : null,
+    installments: allocated,
+  };
+}
+
+async function loadView(plan: PaymentPlanRow): Promise<PaymentPlanView> {
+  return toView(plan, await getInstallments([plan.id]), toDateOnly(new Date()));
+}
+
+// ---------------------------------------------------------------------------
+// Operations
+// ---------------------------------------------------------------------------
+
+/** The work's active plan with its live allocation, or null. */
+export async function getWorkPaymentPlan(workId: number): Promise<PaymentPlanView | null> {
+  const plan = await getActivePlanForWork(workId);
+  return plan ? loadView(plan) : null;
+}
+
+/**
+ * Agree a plan for the work's outstanding balance (total − discount − paid so
+ * far). The schedule is generated from the installment amount; what's already
+ * paid is snapshotted as `opening_paid` so only later payments count toward it.
+ */
+export async function createPaymentPlan(
+  body: CreatePaymentPlanBody,
+  createdBy: string | null
+): Promise<PaymentPlanView> {
+  const work = await getWorkDetails(body.work_id);
+  if (!work) {
+    throw new PaymentPlanError('Work record not found', 'WORK_NOT_FOUND');
+  }
+  if (await getActivePlanForWork(body.work_id)) {
+    throw new PaymentPlanError('This work already has an active payment plan', 'PLAN_EXISTS');
+  }
+
+  const totalRequired = Number(work.total_required ?? 0);
+  const discount = Number(work.discount ?? 0);
+  const totalPaid = Number(work.TotalPaid ?? 0);
+  const balance = totalRequired - discount - totalPaid;
+  if (balance <= 0) {
+    throw new PaymentPlanError('The work has no outstanding balance to schedule', 'NOTHING_TO_SCHEDULE', {
+      totalRequired,
+      discount,
+      totalPaid,
+    });
+  }
+
+  const schedule = buildSchedule(balance, body.installment_amount, body.first_due_date, body.interval_months);
+  if (schedule.length > MAX_INSTALLMENTS) {
+    throw new PaymentPlanError(
+      `An installment of ${body.installment_amount} would need ${schedule.length} payments (max ${MAX_INSTALLMENTS})`,
+      'TOO_MANY_INSTALLMENTS',
+      { balance, installments: schedule.length }
+    );
+  }
+
+  // A concurrent second plan on the same work loses on the partial unique index.
+  const planId = await createPlanWithInstallments(
+    {
+      work_id: body.work_id,
+      currency: work.currency || 'USD',
+      installment_amount: body.installment_amount,
+      first_due_date: body.first_due_date,
+      interval_months: body.interval_months,
+      grace_days: body.grace_days,
+      opening_paid: totalPaid,
+      note: body.note?.trim() || null,
+      created_by: createdBy,
+    },
+    schedule
+  ).catch((error: unknown) => {
+    if ((error as { code?: string }).code === '23505') return null;
+    throw error;
+  });
+  if (planId === null) {
+    throw new PaymentPlanError('This work already has an active payment plan', 'PLAN_EXISTS');
+  }
+
+  log.info(`Payment plan ${planId} created: Work ${body.work_id}, ${schedule.length} × ${body.installment_amount}`);
+  const plan = await getPaymentPlan(planId);
+  if (!plan) throw new PaymentPlanError('Payment plan not found', 'PLAN_NOT_FOUND');
+  return loadView(plan);
+}
+
+export async function cancelPlan(planId: number): Promise<void> {
+  if (!(await getPaymentPlan(planId))) {
+    throw new PaymentPlanError('Payment plan not found', 'PLAN_NOT_FOUND');
+  }
+  if (!(await cancelPaymentPlan(planId))) {
+    throw new PaymentPlanError('Payment plan is already cancelled', 'PLAN_NOT_ACTIVE');
+  }
+  log.info(`Payment plan ${planId} cancelled`);
+}
+
+/**
+ * Every active plan with an overdue installment, worst first (oldest due date,
+ * then amount). Amounts stay in the plan's own currency; the totals are per
+ * currency like the rest of /statistics.
+ */
+export async function getOverdueBalances(): Promise<{
+  rows: OverdueBalanceRow[];
+  totals: { IQD: number; USD: number };
+}> {
+  const plans = await listActivePlans();
+  const installments = await getInstallments(plans.map((p) => p.id));
+  const byPlan = new Map<number, InstallmentRow[]>();
+  for (const inst of installments) {
+    const list = byPlan.get(inst.plan_id) ?? [];
+    list.push(inst);
+    byPlan.set(inst.plan_id, list);
+  }
+
+  const today = toDateOnly(new Date());
+  const rows: OverdueBalanceRow[] = [];
+  for (const plan of plans) {
+    const view = toView(plan, byPlan.get(plan.id) ?? [], today);
+    const overdue = view.installments.filter((i) => i.status === 'overdue');
+    if (overdue.length === 0) continue;
+    rows.push({
+      plan_id: plan.id,
+      work_id: plan.work_id,
+      person_id: plan.person_id,
+      patient_name: plan.patient_name,
+      currency: plan.currency,
+      overdue_amount: view.overdue_amount,
+      overdue_count: overdue.length,
+      oldest_due_date: overdue[0].due_date,
+      days_overdue: daysBetween(overdue[0].due_date, today),
+      remaining: view.remaining,
+      last_reminded_at: plan.last_reminded_at,
+    });
+  }
+  rows.sort((a, b) => b.days_overdue - a.days_overdue || b.overdue_amount - a.overdue_amount);
+
+  const totals = { IQD: 0, USD: 0 };
+  for (const row of rows) {
+    if (row.currency === 'IQD' || row.currency === 'USD') totals[row.currency] += row.overdue_amount;
+  }
+  return { rows, totals };
+}
+
+/**
+ * Send the patient a polite WhatsApp reminder for what is due or overdue on the
+ * plan (installments past their due date, grace or not), then stamp
+ * `last_reminded_at`. Nothing outstanding → NOTHING_DUE.
+ */
+export async function sendDuesReminder(planId: number): Promise<{ amount: number; due_date: string }> {
+  const plan = await getPaymentPlan(planId);
+  if (!plan) throw new PaymentPlanError('Payment plan not found', 'PLAN_NOT_FOUND');
+  if (plan.cancelled_at) throw new PaymentPlanError('Payment plan is cancelled', 'PLAN_NOT_ACTIVE');
+
+  const view = await loadView(plan);
+  const unpaid = view.installments.filter((i) => i.status === 'due' || i.status === 'overdue');
+  if (unpaid.length === 0) {
+    throw new PaymentPlanError('Nothing is due on this plan yet', 'NOTHING_DUE');
+  }
+  const amount = unpaid.reduce((sum, i) => sum + i.amount - i.paid, 0);
+  const dueDate = unpaid[0].due_date;
+
+  const recipient = await getPlanRecipient(planId);
+  if (!recipient) throw new PaymentPlanError('Payment plan not found', 'PLAN_NOT_FOUND');
+
+  const result = await sendDuesMessage(recipient, { amount, currency: plan.currency, dueDate });
+  if (!result.sent) {
+    const messages = {
+      NO_PHONE: 'Patient has no valid phone number',
+      WHATSAPP_UNAVAILABLE: 'WhatsApp is not connected',
+      SEND_FAILED: result.error || 'Failed to send message',
+    } as const;
+    throw new PaymentPlanError(messages[result.reason], result.reason);
+  }
+
+  await markPlanReminded(planId);
+  log.info(`Dues reminder sent for payment plan ${planId}`, { amount, messageId: result.messageId });
+  return { amount, due_date: dueDate };
+}
+
+/**
+ * How a just-recorded payment of `amountPaid` landed on the work's plan —
+ * allocation with and without it, diffed. Null when the work has no active plan.
+ */
+export async function summarizeInvoiceAllocation(
+  workId: number,
+  amountPaid: number
+): Promise<PlanAllocationSummary | null> {
+  const plan = await getActivePlanForWork(workId);
+  if (!plan) return null;
+
+  const installments = await getInstallments([plan.id]);
+  const today = toDateOnly(new Date());
+  const after = toView(plan, installments, today);
+  const before = toView({ ...plan, work_paid: plan.work_paid - amountPaid }, installments, today);
+  const settled = after.installments
+    .filter((inst, i) => inst.status === 'paid' && before.installments[i].status !== 'paid')
+    .map((inst) => inst.seq);
+
+  return {
+    plan_id: plan.id,
+    settled,
+    overdue_amount: after.overdue_amount,
+    remaining: after.remaining,
+    next_due: after.next_due,
+  };
+}
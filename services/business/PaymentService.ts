@@ -3,6 +3,7 @@
  *
  * This service handles all payment and invoice business logic including:
  * - Invoice validation and creation
+ * - Refunds (credit notes) against recorded payments
  * - currency validation and conversion
  * - change calculation and validation
  * - Payment amount validation
@@ -13,11 +14,18 @@
  */
 
 import { log } from '../../utils/logger.js';
+import { toDateOnly } from '../../utils/date.js';
 import {
   addInvoice,
+  createRefund,
   getExchangeRateForDate,
+  getInvoiceCurrency,
+  isRefundInvoice,
+  deleteInvoiceById,
+  type RefundRecord,
 } from '../database/queries/payment-queries.js';
 import { getWorkDetails } from '../database/queries/work-queries.js';
+import { summarizeInvoiceAllocation, type PlanAllocationSummary } from './PaymentPlanService.js';
 
 /**
  * The invoice record returned to callers after creation. This is a freshly
@@ -36,6 +44,8 @@ type CreatedInvoice = {
   usd_received: number | null;
   iqd_received: number | null;
   change: number | null;
+  /** How the payment landed on the work's installment plan (null: no active plan). */
+  plan: PlanAllocationSummary | null;
 };
 
 /**
@@ -48,7 +58,14 @@ export type PaymentErrorCode =
   | 'CHANGE_EXCEEDS_IQD_RECEIVED'
   | 'CHANGE_EXCEEDS_TOTAL_VALUE'
   | 'WORK_NOT_FOUND'
-  | 'PAYMENT_EXCEEDS_REMAINING';
+  | 'PAYMENT_EXCEEDS_REMAINING'
+  | 'INVOICE_NOT_FOUND'
+  | 'REFUND_OF_REFUND'
+  | 'REFUND_NOT_DELETABLE'
+  | 'INVALID_REFUND_AMOUNT'
+  | 'REFUND_EXCEEDS_PAID'
+  | 'REFUND_RATE_MISSING'
+  | 'REFUND_CASH_MISMATCH';
 
 /**
  * currency type
@@ -70,6 +87,13 @@ export interface PaymentErrorDetails {
   discount?: number;
   totalPaid?: number;
   remaining?: number;
+  invoiceId?: number;
+  refundAmount?: number;
+  refunded?: number;
+  usdReturned?: number;
+  iqdReturned?: number;
+  currency?: string;
+  refundDate?: string;
 }
 
 /**
@@ -313,6 +337,14 @@ export async function validateAndCreateInvoice(
     `Invoice created successfully: Work ${workid}, amount ${amountPaid}, change: ${changeToSave}`
   );
 
+  // Allocation onto the work's installment plan is derived (PaymentPlanService), so
+  // the invoice is already counted; this only reports what it settled. Never fails
+  // the payment — the money is recorded either way.
+  const plan = await summarizeInvoiceAllocation(workid, requestedAmount).catch((error: unknown) => {
+    log.warn('Payment plan allocation summary failed', { workId: workid, error: (error as Error).message });
+    return null;
+  });
+
   // Construct the Invoice object from input data plus returned id
   const invoice: CreatedInvoice = {
     InvoiceID: result[0]?.invoice_id,
@@ -322,12 +354,182 @@ export async function validateAndCreateInvoice(
     usd_received: usd || null,
     iqd_received: iqd || null,
     change: changeToSave,
+    plan,
   };
 
   return invoice;
 }
 
+/**
+ * Refund creation data. `amount` is positive, in the work's currency; the cash
+ * handed back is split per currency like a payment's cash received.
+ */
+export interface RefundCreateData {
+  invoiceId: number;
+  amount: number;
+  usdReturned: number;
+  iqdReturned: number;
+  reason: string;
+  refundedBy: string | null;
+}
+
+/**
+ * How far (IQD) the cash handed back may be from the refund's value when it is
+ * converted — the smallest IQD note, for rounding a converted amount.
+ */
+const REFUND_CASH_TOLERANCE_IQD = 250;
+
+/**
+ * Check the cash handed back is worth the refund amount. Cash in the work's own
+ * currency only must match exactly; anything converted is compared in IQD at the
+ * refund day's exchange rate, within REFUND_CASH_TOLERANCE_IQD.
+ * @throws PaymentValidationError If the rate is missing or the cash doesn't match
+ */
+async function validateRefundCash(
+  invoiceId: number,
+  amount: number,
+  currency: CurrencyType | string,
+  usd: number,
+  iqd: number,
+  refundDate: string
+): Promise<void> {
+  const details = { invoiceId, refundAmount: amount, currency, usdReturned: usd, iqdReturned: iqd };
+  if (currency === 'IQD' ? usd === 0 : iqd === 0) {
+    const returned = currency === 'IQD' ? iqd : usd;
+    if (returned !== amount) {
+      throw new PaymentValidationError(
+        `Cash returned (${returned} ${currency}) does not match the refund amount (${amount} ${currency})`,
+        'REFUND_CASH_MISMATCH',
+        details
+      );
+    }
+    return;
+  }
+
+  const exchangeRate = await getExchangeRateForDate(refundDate);
+  if (!exchangeRate) {
+    throw new PaymentValidationError(
+      `No exchange rate is set for ${refundDate}; set today's rate before refunding in another currency`,
+      'REFUND_RATE_MISSING',
+      { ...details, refundDate }
+    );
+  }
+  const returnedIQD = iqd + Math.floor(usd * exchangeRate);
+  const owedIQD = currency === 'IQD' ? amount : Math.floor(amount * exchangeRate);
+  if (Math.abs(returnedIQD - owedIQD) > REFUND_CASH_TOLERANCE_IQD) {
+    throw new PaymentValidationError(
+      `Cash returned (${usd} USD + ${iqd} IQD = ${returnedIQD} IQD) does not match the refund amount (${amount} ${currency} = ${owedIQD} IQD at rate ${exchangeRate})`,
+      'REFUND_CASH_MISMATCH',
+      { ...details, exchangeRate, totalIQDValue: returnedIQD }
+    );
+  }
+}
+
+/**
+ * Validate and record a refund (credit note) against a payment
+ *
+ * Validation Rules:
+ * 1. The refund amount must be > 0
+ * 2. Cash returned follows the payment rules: non-negative, at least one currency > 0
+ * 3. Cash returned is worth the amount (validateRefundCash — exact in the work's
+ *    currency, otherwise at today's exchange rate)
+ * 4. Only a payment can be refunded, not another refund
+ * 5. The amount cannot exceed what is still unrefunded on the original payment
+ *
+ * The refund is dated today — the day the cash leaves the drawer — so it lands in
+ * today's daily invoices and Expected Cash, whatever the original payment's date.
+ *
+ * @param refundData - Refund data to validate and create
+ * @returns Created refund record
+ * @throws PaymentValidationError If validation fails
+ */
+export async function validateAndCreateRefund(
+  refundData: RefundCreateData
+): Promise<RefundRecord> {
+  const { invoiceId, amount, usdReturned, iqdReturned, reason, refundedBy } = refundData;
+
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new PaymentValidationError(
+      'Refund amount must be a positive whole number',
+      'INVALID_REFUND_AMOUNT',
+      { invoiceId, refundAmount: amount }
+    );
+  }
+
+  const usd = parseInt(String(usdReturned)) || 0;
+  const iqd = parseInt(String(iqdReturned)) || 0;
+  validateCurrencyAmounts(usd, iqd);
+
+  const currency = await getInvoiceCurrency(invoiceId);
+  if (currency === null) {
+    throw new PaymentValidationError('Invoice not found', 'INVOICE_NOT_FOUND', { invoiceId });
+  }
+  const refundDate = toDateOnly(new Date());
+  await validateRefundCash(invoiceId, amount, currency, usd, iqd, refundDate);
+
+  const result = await createRefund({
+    invoiceId,
+    amount,
+    usdReturned: usd,
+    iqdReturned: iqd,
+    reason,
+    refundedBy,
+    refundDate,
+  });
+
+  switch (result.status) {
+    case 'not_found':
+      throw new PaymentValidationError('Invoice not found', 'INVOICE_NOT_FOUND', { invoiceId });
+    case 'is_refund':
+      throw new PaymentValidationError(
+        `Invoice #${invoiceId} is itself a refund and cannot be refunded`,
+        'REFUND_OF_REFUND',
+        { invoiceId }
+      );
+    case 'exceeds':
+      throw new PaymentValidationError(
+        `Refund (${amount}) exceeds what is left to refund on invoice #${invoiceId} (${result.paid - result.refunded}). Paid ${result.paid}, already refunded ${result.refunded}.`,
+        'REFUND_EXCEEDS_PAID',
+        { invoiceId, refundAmount: amount, amountPaid: result.paid, refunded: result.refunded }
+      );
+  }
+
+  log.info(
+    `Refund recorded: invoice ${invoiceId}, amount ${amount}, refund invoice ${result.refund.InvoiceID}`
+  );
+
+  return result.refund;
+}
+
+/**
+ * Refuse to delete a refund (credit note): it is the record of money handed
+ * back, and deleting it would resurrect the "delete the money trail" fix that
+ * refunds replace. A wrong refund is corrected with a new payment.
+ * @throws PaymentValidationError INVOICE_NOT_FOUND / REFUND_NOT_DELETABLE
+ */
+export async function assertInvoiceDeletable(invoiceId: number): Promise<void> {
+  const isRefund = await isRefundInvoice(invoiceId);
+  if (isRefund === null) {
+    throw new PaymentValidationError('Invoice not found', 'INVOICE_NOT_FOUND', { invoiceId });
+  }
+  if (isRefund) {
+    throw new PaymentValidationError(
+      `Invoice #${invoiceId} is a refund and cannot be deleted`,
+      'REFUND_NOT_DELETABLE',
+      { invoiceId }
+    );
+  }
+}
+
+/** Delete a payment (the approved `invoice.delete`). Returns the rows deleted. */
+export async function validateAndDeleteInvoice(invoiceId: number): Promise<number> {
+  await assertInvoiceDeletable(invoiceId);
+  return deleteInvoiceById(invoiceId);
+}
+
 export default {
   validateAndCreateInvoice,
+  validateAndCreateRefund,
+  validateAndDeleteInvoice,
   PaymentValidationError,
 };
@@ -0,0 +1,284 @@
+/**
+ * Photo Collage Service - Business Logic Layer
+ *
+ * Alignment landmarks on a patient's rendered photo views, and the
+ * before/progress/after collages built from them (the renderer is
+ * services/imaging/photo-collage.service.ts).
+ *
+ * Landmarks are stored against the view file's mtime: re-rendering a view in the
+ * photo editor changes the framing, so the old points are reported `stale` and
+ * not used until marked again. The portal collage is built only from the photos
+ * the patient may see (getVisiblePhotos leaves out private ones).
+ */
+
+import { log } from '../../utils/logger.js';
+import PhoneFormatter from '../../utils/phoneFormatter.js';
+import { getImageSizes, type ImageDimension } from '../imaging/index.js';
+import { renderCollage, resolveCollage, type CollagePhoto, type RenderedCollage } from '../imaging/photo-collage.service.js';
+import { workingFilePath } from '../files/clinic-paths.js';
+import { logoFilePath } from '../files/clinic-branding.js';
+import { getOption } from '../database/queries/options-queries.js';
+import { getTimePoints } from '../database/queries/timepoint-queries.js';
+import {
+  getCollagePatient,
+  listPhotoLandmarks,
+  upsertPhotoLandmark,
+  deletePhotoLandmark,
+  type PhotoLandmarkRow,
+} from '../database/queries/photo-landmark-queries.js';
+import { getVisiblePhotos } from './PatientPortalService.js';
+import { sendXray_ } from '../messaging/whatsapp-api.js';
+import { VIEW_CODES, type PhotoViewCode } from '../../shared/photo-views.js';
+import { stageLabel } from '../../shared/photo-collage.js';
+import type {
+  AlignmentPhoto,
+  CreateCollageBody,
+  LandmarkPoints,
+} from '../../shared/contracts/photo-collage.contract.js';
+
+/**
+ * Photo collage error codes
+ */
+export type PhotoCollageErrorCode =
+  | 'PATIENT_NOT_FOUND'
+  | 'TIMEPOINT_NOT_FOUND'
+  | 'PHOTO_NOT_FOUND'
+  | 'LANDMARK_NOT_FOUND'
+  | 'NOTHING_TO_COMPARE'
+  | 'NO_PHONE'
+  | 'SEND_FAILED';
+
+/**
+ * Validation error class for photo collage business logic
+ */
+export class PhotoCollageError extends Error {
+  public readonly code: PhotoCollageErrorCode;
+  public readonly details: Record<string, unknown>;
+
+  constructor(message: string, code: PhotoCollageErrorCode, details: Record<string, unknown> = {}) {
+    super(message);
+    this.name = 'PhotoCollageError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** Views the portal's progress collage shows at most — a phone-sized read. */
+const PORTAL_MAX_VIEWS = 4;
+
+type TimePoint = Awaited<ReturnType<typeof getTimePoints>>[number];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/** 'YYYY-MM-DD' → '12 Jan 2025' (as stored, no timezone shift). */
+function formatTpDate(ymd: string | null): string {
+  const m = ymd ? /^(\d{4})-(\d{2})-(\d{2})/.exec(ymd) : null;
+  return m ? `${Number(m[3])} ${MONTHS[Number(m[2]) - 1]} ${m[1]}` : '';
+}
+
+const landmarkKey = (tpCode: number, view: string) => `${tpCode}:${view}`;
+
+function toAlignmentPhoto(tpCode: number, view: PhotoViewCode, size: ImageDimension, landmark?: PhotoLandmarkRow): AlignmentPhoto {
+  return {
+    tp_code: tpCode,
+    view,
+    name: size.name,
+    width: size.width,
+    height: size.height,
+    mtime: size.mtime,
+    landmark: landmark
+      ? {
+          a_x: landmark.a_x,
+          a_y: landmark.a_y,
+          b_x: landmark.b_x,
+          b_y: landmark.b_y,
+          stale: landmark.view_mtime !== size.mtime,
+        }
+      : null,
+  };
+}
+
+/** Every rendered view of every timepoint with its landmarks. Null when the patient doesn't exist. */
+export async function listAlignmentPhotos(personId: number): Promise<AlignmentPhoto[] | null> {
+  const [patient, timepoints, landmarks] = await Promise.all([
+    getCollagePatient(personId),
+    getTimePoints(String(personId)),
+    listPhotoLandmarks(personId),
+  ]);
+  if (!patient) return null;
+  const byKey = new Map(landmarks.map((l) => [landmarkKey(l.tp_code, l.view), l]));
+  const sizes = await Promise.all(timepoints.map((tp) => getImageSizes(String(personId), tp.tp_code)));
+  return timepoints.flatMap((tp, i) =>
+    VIEW_CODES.flatMap((view) => {
+      const size = sizes[i][view];
+      if (!size) return [];
+      const tpCode = Number(tp.tp_code);
+      return [toAlignmentPhoto(tpCode, view, size, byKey.get(landmarkKey(tpCode, view)))];
+    })
+  );
+}
+
+/** Mark the view's two landmarks against its current render. Throws PHOTO_NOT_FOUND. */
+export async function saveLandmark(
+  personId: number,
+  tpCode: number,
+  view: PhotoViewCode,
+  points: LandmarkPoints,
+  username: string | null
+): Promise<AlignmentPhoto> {
+  const size = (await getImageSizes(String(personId), String(tpCode)))[view];
+  if (!size) {
+    throw new PhotoCollageError('That view has not been taken at this timepoint', 'PHOTO_NOT_FOUND', {
+      personId,
+      tpCode,
+      view,
+    });
+  }
+  const row: PhotoLandmarkRow = { tp_code: tpCode, view, ...points, view_mtime: size.mtime };
+  await upsertPhotoLandmark(personId, row, username);
+  log.info('Photo landmarks saved', { personId, tpCode, view, by: username });
+  return toAlignmentPhoto(tpCode, view, size, row);
+}
+
+export async function removeLandmark(personId: number, tpCode: number, view: PhotoViewCode): Promise<void> {
+  if (!(await deletePhotoLandmark(personId, tpCode, view))) {
+    throw new PhotoCollageError('Landmarks not found', 'LANDMARK_NOT_FOUND', { personId, tpCode, view });
+  }
+  log.info('Photo landmarks removed', { personId, tpCode, view });
+}
+
+/**
+ * Build and render the collage: `timepoints` are the columns (in date order),
+ * `visible(tp)` the rendered views each may show.
+ */
+async function buildCollage(
+  personId: number,
+  patientName: string,
+  timepoints: TimePoint[],
+  views: PhotoViewCode[],
+  visible: (tp: TimePoint, index: number) => Partial<Record<PhotoViewCode, ImageDimension | null>>,
+  align: boolean
+): Promise<RenderedCollage> {
+  const [landmarks, clinicName, logoFile] = await Promise.all([
+    listPhotoLandmarks(personId),
+    getOption('CLINIC_NAME'),
+    getOption('CLINIC_LOGO'),
+  ]);
+  const byKey = new Map(landmarks.map((l) => [landmarkKey(l.tp_code, l.view), l]));
+
+  const photos = views.map((view) =>
+    timepoints.map((tp, i): CollagePhoto | null => {
+      const size = visible(tp, i)[view];
+      if (!size) return null;
+      const landmark = byKey.get(landmarkKey(Number(tp.tp_code), view));
+      const current = landmark && landmark.view_mtime === size.mtime;
+      return {
+        abs: workingFilePath(size.name),
+        width: size.width,
+        height: size.height,
+        mtime: size.mtime,
+        landmark: current ? { a_x: landmark.a_x, a_y: landmark.a_y, b_x: landmark.b_x, b_y: landmark.b_y } : null,
+      };
+    })
+  );
+
+  return renderCollage({
+    personId,
+    patientName,
+    columns: timepoints.map((tp, i) => ({
+      title: stageLabel(i, timepoints.length),
+      caption: [tp.tp_description?.trim(), formatTpDate(tp.tp_date_time)].filter(Boolean).join(' · '),
+    })),
+    views,
+    photos,
+    align,
+    branding: { clinicName, logoPath: logoFile ? logoFilePath(logoFile) || null : null },
+  });
+}
+
+/**
+ * The collage of the chosen timepoints and views. Throws PATIENT_NOT_FOUND /
+ * TIMEPOINT_NOT_FOUND / PHOTO_NOT_FOUND (none of the views taken at any of them).
+ */
+export async function createCollage(personId: number, body: CreateCollageBody): Promise<RenderedCollage> {
+  const [patient, allTimepoints] = await Promise.all([getCollagePatient(personId), getTimePoints(String(personId))]);
+  if (!patient) throw new PhotoCollageError('Patient not found', 'PATIENT_NOT_FOUND', { personId });
+
+  const wanted = new Set(body.tp_codes);
+  // getTimePoints is in date order, so the columns read Before → After.
+  const timepoints = allTimepoints.filter((tp) => wanted.has(Number(tp.tp_code)));
+  if (timepoints.length !== wanted.size) {
+    const found = new Set(timepoints.map((tp) => Number(tp.tp_code)));
+    throw new PhotoCollageError('Timepoint not found', 'TIMEPOINT_NOT_FOUND', {
+      personId,
+      tpCodes: body.tp_codes.filter((tp) => !found.has(tp)),
+    });
+  }
+  const views = VIEW_CODES.filter((v) => body.views.includes(v));
+
+  const sizes = await Promise.all(timepoints.map((tp) => getImageSizes(String(personId), tp.tp_code)));
+  if (!sizes.some((s) => views.some((v) => s[v]))) {
+    throw new PhotoCollageError('None of those views were taken at those timepoints', 'PHOTO_NOT_FOUND', {
+      personId,
+      views,
+    });
+  }
+  return buildCollage(personId, patient.patient_name, timepoints, views, (_tp, i) => sizes[i], body.align ?? true);
+}
+
+/**
+ * The patient portal's progress collage: the first and the latest timepoint with
+ * photos the patient may see, and the views visible at both. Throws
+ * PATIENT_NOT_FOUND / NOTHING_TO_COMPARE.
+ */
+export async function createPortalCollage(personId: number): Promise<RenderedCollage> {
+  const [patient, allTimepoints] = await Promise.all([getCollagePatient(personId), getTimePoints(String(personId))]);
+  if (!patient) throw new PhotoCollageError('Patient not found', 'PATIENT_NOT_FOUND', { personId });
+
+  const withPhotos: Array<{ tp: TimePoint; photos: Partial<Record<PhotoViewCode, ImageDimension>> }> = [];
+  for (const tp of allTimepoints) {
+    const photos: Partial<Record<PhotoViewCode, ImageDimension>> = {};
+    for (const photo of await getVisiblePhotos(personId, tp.tp_code)) {
+      const view = photo.name.slice(photo.name.lastIndexOf('.') + 1).toLowerCase() as PhotoViewCode;
+      photos[view] = photo;
+    }
+    if (Object.keys(photos).length > 0) withPhotos.push({ tp, photos });
+  }
+  const first = withPhotos[0];
+  const last = withPhotos[withPhotos.length - 1];
+  const views = first && last !== first ? VIEW_CODES.filter((v) => first.photos[v] && last.photos[v]) : [];
+  if (views.length === 0) {
+    throw new PhotoCollageError('No photos to compare yet', 'NOTHING_TO_COMPARE', { personId });
+  }
+  const pair = [first, last];
+  return buildCollage(
+    personId,
+    patient.patient_name,
+    pair.map((p) => p.tp),
+    views.slice(0, PORTAL_MAX_VIEWS),
+    (_tp, i) => pair[i].photos,
+    true
+  );
+}
+
+/** Send a rendered collage to the patient's WhatsApp. Returns the number it went to. */
+export async function sendCollageWhatsApp(personId: number, name: string, username: string | null): Promise<string> {
+  const patient = await getCollagePatient(personId);
+  if (!patient) throw new PhotoCollageError('Patient not found', 'PATIENT_NOT_FOUND', { personId });
+  const countryCode = patient.country_code || '964';
+  const phone = patient.phone ? PhoneFormatter.forWhatsApp(patient.phone, countryCode) : '';
+  if (!phone || !PhoneFormatter.isValid(phone, countryCode)) {
+    throw new PhotoCollageError('The patient has no valid phone number', 'NO_PHONE', { personId });
+  }
+
+  const { abs } = await resolveCollage(personId, name);
+  const result = await sendXray_(phone, abs);
+  if (result.result !== 'OK') {
+    throw new PhotoCollageError(result.error || 'WhatsApp did not accept the image', 'SEND_FAILED', {
+      personId,
+      name,
+    });
+  }
+  log.info('Collage sent on WhatsApp', { personId, name, by: username });
+  return phone;
+}
@@ -0,0 +1,244 @@
+/**
+ * Stand Purchasing Service - Business Logic Layer
+ *
+ * Suppliers, purchase orders and receiving for the stand / mini-pharmacy:
+ * - Supplier create/update (names are unique)
+ * - PO creation (typically from getReorderSuggestions) and draft → ordered / cancel
+ * - Partial receiving with lot + expiry per line; each receipt books an expense
+ * - Supplier invoices recorded against a PO for matching (no expense — the
+ *   receipts already booked it)
+ *
+ * Violations surface as StandValidationError (StandService) so the stand routes
+ * handle them like every other stand rule.
+ */
+
+import { log } from '../../utils/logger.js';
+import { isForeignKeyViolation, isUniqueViolation } from '../../utils/pg-errors.js';
+import { StandValidationError } from './StandService.js';
+import { getStandItemById } from '../database/queries/stand-queries.js';
+import {
+  getStandSupplierById,
+  insertStandSupplier,
+  updateStandSupplier,
+  getPurchaseOrderById,
+  insertPurchaseOrder,
+  transitionPurchaseOrder,
+  insertPurchaseReceipt,
+  insertSupplierInvoice,
+  type SupplierData,
+  type PurchaseOrderCreateInput,
+  type ReceiptCreateInput,
+  type SupplierInvoiceInput,
+} from '../database/queries/stand-purchasing-queries.js';
+
+// ============================================================================
+// SUPPLIERS
+// ============================================================================
+
+export async function validateAndCreateSupplier(data: SupplierData): Promise<{ supplier_id: number }> {
+  try {
+    return await insertStandSupplier(data);
+  } catch (err) {
+    if (isUniqueViolation(err)) {
+      throw new StandValidationError(`A supplier named "${data.supplierName}" already exists`, 'DUPLICATE_SUPPLIER', {
+        supplierName: data.supplierName,
+      });
+    }
+    throw err;
+  }
+}
+
+export async function validateAndUpdateSupplier(id: number, data: SupplierData): Promise<void> {
+  let updated: boolean;
+  try {
+    updated = await updateStandSupplier(id, data);
+  } catch (err) {
+    if (isUniqueViolation(err)) {
+      throw new StandValidationError(`A supplier named "${data.supplierName}" already exists`, 'DUPLICATE_SUPPLIER', {
+        supplierName: data.supplierName,
+      });
+    }
+    throw err;
+  }
+  if (!updated) {
+    throw new StandValidationError('Supplier not found', 'SUPPLIER_NOT_FOUND', { supplierId: id });
+  }
+}
+
+// ============================================================================
+// PURCHASE ORDERS
+// ============================================================================
+
+async function requirePurchaseOrder(poId: number) {
+  const po = await getPurchaseOrderById(poId);
+  if (!po) {
+    throw new StandValidationError('Purchase order not found', 'PO_NOT_FOUND', { poId });
+  }
+  return po;
+}
+
+export async function validateAndCreatePurchaseOrder(input: PurchaseOrderCreateInput): Promise<{ po_id: number }> {
+  if (input.lines.length === 0) {
+    throw new StandValidationError('A purchase order needs at least one line', 'INVALID_QUANTITY');
+  }
+
+  const supplier = await getStandSupplierById(input.supplierId);
+  if (!supplier || !supplier.is_active) {
+    throw new StandValidationError('Supplier not found', 'SUPPLIER_NOT_FOUND', { supplierId: input.supplierId });
+  }
+
+  const seen = new Set<number>();
+  for (const line of input.lines) {
+    if (seen.has(line.itemId)) {
+      throw new StandValidationError(`Item ${line.itemId} appears on more than one line`, 'INVALID_QUANTITY', {
+        itemId: line.itemId,
+      });
+    }
+    seen.add(line.itemId);
+
+    if (line.quantity <= 0 || line.unitCost < 0) {
+      throw new StandValidationError(`Invalid quantity or unit cost for item ${line.itemId}`, 'INVALID_QUANTITY', {
+        itemId: line.itemId,
+        quantity: line.quantity,
+        unitCost: line.unitCost,
+      });
+    }
+
+    const item = await getStandItemById(line.itemId);
+    if (!item) {
+      throw new StandValidationError(`Item not found: ${line.itemId}`, 'ITEM_NOT_FOUND', { itemId: line.itemId });
+    }
+    if (!item.is_active) {
+      throw new StandValidationError(`Item is inactive: ${item.item_name}`, 'ITEM_INACTIVE', {
+        itemId: item.item_id,
+        itemName: item.item_name,
+      });
+    }
+  }
+
+  const result = await insertPurchaseOrder(input);
+  log.info(`Stand PO created: po_id=${result.po_id}, supplier_id=${input.supplierId}, Lines=${input.lines.length}`);
+  return result;
+}
+
+/** draft → ordered (the order was sent to the supplier). */
+export async function validateAndMarkOrdered(poId: number): Promise<void> {
+  const po = await requirePurchaseOrder(poId);
+  if (!(await transitionPurchaseOrder(poId, ['draft'], 'ordered'))) {
+    throw new StandValidationError(`Only a draft order can be marked as ordered (this one is ${po.status})`, 'INVALID_PO_STATE', {
+      poId,
+      status: po.status,
+    });
+  }
+  log.info(`Stand PO ordered: po_id=${poId}`);
+}
+
+/** draft/ordered → cancelled, only while nothing has been received. */
+export async function validateAndCancelPurchaseOrder(poId: number): Promise<void> {
+  const po = await requirePurchaseOrder(poId);
+  if (!(await transitionPurchaseOrder(poId, ['draft', 'ordered'], 'cancelled'))) {
+    throw new StandValidationError(
+      `This order cannot be cancelled (it is ${po.status}${po.receipts.length ? ' and has deliveries' : ''})`,
+      'INVALID_PO_STATE',
+      { poId, status: po.status }
+    );
+  }
+  log.info(`Stand PO cancelled: po_id=${poId}`);
+}
+
+// ============================================================================
+// RECEIVING
+// ============================================================================
+
+export async function validateAndReceivePurchaseOrder(input: ReceiptCreateInput) {
+  const lines = input.lines.filter((l) => l.quantity > 0);
+  if (lines.length === 0) {
+    throw new StandValidationError('Enter a received quantity for at least one line', 'INVALID_QUANTITY');
+  }
+
+  const po = await requirePurchaseOrder(input.poId);
+  for (const line of lines) {
+    const poLine = po.lines.find((l) => l.po_line_id === line.poLineId);
+    if (!poLine) {
+      throw new StandValidationError(`Line ${line.poLineId} is not on this order`, 'OVER_RECEIPT', {
+        poId: input.poId,
+        poLineId: line.poLineId,
+      });
+    }
+    if (line.unitCost < 0) {
+      throw new StandValidationError('Unit cost cannot be negative', 'INVALID_QUANTITY', { unitCost: line.unitCost });
+    }
+    const outstanding = poLine.quantity_ordered - poLine.quantity_received;
+    if (line.quantity > outstanding) {
+      throw new StandValidationError(
+        `"${poLine.item_name}": only ${outstanding} still outstanding, ${line.quantity} received`,
+        'OVER_RECEIPT',
+        { poLineId: line.poLineId, outstanding, received: line.quantity }
+      );
+    }
+  }
+
+  let result;
+  try {
+    result = await insertPurchaseReceipt({ ...input, lines });
+  } catch (err) {
+    // The checks above are TOCTOU; the transaction's locked re-checks catch a
+    // concurrent receipt or cancel.
+    const msg = err instanceof Error ? err.message : String(err);
+    const state = msg.match(/^PO_STATE:(\w+)$/);
+    if (state) {
+      throw new StandValidationError(`Only an ordered or partially received order can be received (this one is ${state[1]})`, 'INVALID_PO_STATE', {
+        poId: input.poId,
+        status: state[1],
+      });
+    }
+    const over = msg.match(/^OVER_RECEIPT:(\d+)$/);
+    if (over) {
+      throw new StandValidationError('That quantity exceeds what is still outstanding — the order changed, please reload', 'OVER_RECEIPT', {
+        poLineId: parseInt(over[1], 10),
+      });
+    }
+    throw err;
+  }
+
+  log.info(
+    `Stand PO received: po_id=${input.poId}, receipt_id=${result.receipt_id}, Total=${result.total_cost}, expense_id=${result.expense_id}`
+  );
+  return result;
+}
+
+// ============================================================================
+// SUPPLIER INVOICES
+// ============================================================================
+
+export async function validateAndRecordSupplierInvoice(
+  input: Omit<SupplierInvoiceInput, 'supplierId'>
+): Promise<{ invoice_id: number }> {
+  if (input.amount < 0) {
+    throw new StandValidationError('Invoice amount cannot be negative', 'INVALID_QUANTITY', { amount: input.amount });
+  }
+
+  const po = await requirePurchaseOrder(input.poId);
+  if (po.status === 'draft' || po.status === 'cancelled') {
+    throw new StandValidationError(`Invoices are recorded against sent orders (this one is ${po.status})`, 'INVALID_PO_STATE', {
+      poId: input.poId,
+      status: po.status,
+    });
+  }
+
+  try {
+    const result = await insertSupplierInvoice({ ...input, supplierId: po.supplier_id });
+    log.info(`Stand supplier invoice recorded: invoice_id=${result.invoice_id}, po_id=${input.poId}, amount=${input.amount}`);
+    return result;
+  } catch (err) {
+    if (isUniqueViolation(err)) {
+      throw new StandValidationError(`Invoice ${input.invoiceNo} from ${po.supplier_name} is already recorded`, 'DUPLICATE_INVOICE', {
+        invoiceNo: input.invoiceNo,
+      });
+    }
+    if (isForeignKeyViolation(err)) {
+      throw new StandValidationError('Purchase order not found', 'PO_NOT_FOUND', { poId: input.poId });
+    }
+    throw err;
+  }
+}
@@ -4,7 +4,8 @@
  * Handles all stand/mini-pharmacy business logic including:
  * - Sale validation and creation (multi-item POS)
  * - Stock validation (restock, adjustment)
- * - Void validation
+ * - Void and partial-return validation
+ * - Expired-lot write-off
  */
 
 import { log } from '../../utils/logger.js';
@@ -15,7 +16,10 @@ import {
   adjustStock,
   getStandSaleById,
   voidStandSale,
+  returnStandSaleItems,
 } from '../database/queries/stand-queries.js';
+import { getPatientById } from '../database/queries/patient-queries.js';
+import { writeOffExpiredLots } from '../database/queries/stand-lot-queries.js';
 
 // ============================================================================
 // ERROR TYPES
@@ -30,7 +34,16 @@ export type StandErrorCode =
   | 'UNDERPAID'
   | 'SELL_BELOW_COST'
   | 'SALE_NOT_FOUND'
-  | 'ALREADY_VOIDED';
+  | 'ALREADY_VOIDED'
+  | 'OVER_RETURN'
+  | 'WHOLE_SALE_RETURN'
+  | 'PATIENT_NOT_FOUND'
+  | 'SUPPLIER_NOT_FOUND'
+  | 'DUPLICATE_SUPPLIER'
+  | 'PO_NOT_FOUND'
+  | 'INVALID_PO_STATE'
+  | 'OVER_RECEIPT'
+  | 'DUPLICATE_INVOICE';
 
 export class StandValidationError extends Error {
   public readonly code: StandErrorCode;
@@ -71,6 +84,11 @@ export async function validateAndCreateSale(saleData: SaleInput) {
     throw new StandValidationError('Sale must contain at least one item', 'INVALID_QUANTITY');
   }
 
+  // A linked patient puts the sale on their account statement — it must exist.
+  if (personId && !(await getPatientById(personId))) {
+    throw new StandValidationError(`Patient not found: ${personId}`, 'PATIENT_NOT_FOUND', { personId });
+  }
+
   // Load and validate each item
   const resolvedItems: Array<{
     itemId: number;
@@ -126,10 +144,10 @@ export async function validateAndCreateSale(saleData: SaleInput) {
     });
   }
 
-  // Compute totals
+  // Compute totals. The cost here is an estimate at cost_price — the sale is
+  // re-costed from the stock lots it draws inside the transaction.
   const totalAmount = resolvedItems.reduce((sum, i) => sum + i.lineTotal, 0);
-  const totalCost = resolvedItems.reduce((sum, i) => sum + i.quantity * i.unitCost, 0);
-  const totalProfit = totalAmount - totalCost;
+  const estimatedCost = resolvedItems.reduce((sum, i) => sum + i.quantity * i.unitCost, 0);
 
   // Validate payment
   if (amountPaid < totalAmount) {
@@ -147,8 +165,8 @@ export async function validateAndCreateSale(saleData: SaleInput) {
     result = await createStandSaleTransaction({
       items: resolvedItems,
       totalAmount,
-      totalCost,
-      totalProfit,
+      totalCost: estimatedCost,
+      totalProfit: totalAmount - estimatedCost,
       amountPaid,
       change,
       paymentMethod,
@@ -171,6 +189,9 @@ export async function validateAndCreateSale(saleData: SaleInput) {
     throw err;
   }
 
+  const totalCost = result.total_cost;
+  const totalProfit = totalAmount - totalCost;
+
   log.info(`Stand sale created: sale_id=${result.sale_id}, Total=${totalAmount}, Profit=${totalProfit}`);
 
   return {
@@ -180,7 +201,7 @@ export async function validateAndCreateSale(saleData: SaleInput) {
     totalProfit,
     amountPaid,
     change,
-    items: resolvedItems,
+    items: resolvedItems.map((i, idx) => ({ ...i, unitCost: result.lines[idx].unitCost })),
   };
 }
 
@@ -192,7 +213,8 @@ export async function validateAndRestockItem(
   itemId: number,
   quantity: number,
   unitCost: number,
-  userId: number | null
+  userId: number | null,
+  lot: { lotNumber?: string | null; expiryDate?: string | null } = {}
 ) {
   if (quantity <= 0) {
     throw new StandValidationError('Restock quantity must be positive', 'INVALID_QUANTITY', { quantity });
@@ -207,7 +229,7 @@ export async function validateAndRestockItem(
     throw new StandValidationError('Item not found', 'ITEM_NOT_FOUND', { itemId });
   }
 
-  await restockItem(itemId, quantity, unitCost, userId);
+  await restockItem(itemId, quantity, unitCost, userId, lot);
 
   log.info(`Stand item restocked: item_id=${itemId}, Qty=${quantity}, unit_cost=${unitCost}`);
 }
@@ -293,3 +315,117 @@ export async function validateAndVoidSale(
 
   log.info(`Stand sale voided: sale_id=${saleId}, reason="${reason}"`);
 }
+
+// ============================================================================
+// PARTIAL RETURN VALIDATION
+// ============================================================================
+
+/**
+ * Return some units of a sale. Lines naming the same sale item are merged, and
+ * each may return at most what is still out (quantity − quantity_returned).
+ * A return that would leave nothing of the sale out is a void in effect, so it
+ * needs `canReturnWholeSale` (the void route's admin role).
+ */
+export async function validateAndReturnSaleItems(
+  saleId: number,
+  lines: Array<{ saleItemId: number; quantity: number }>,
+  reason: string,
+  userId: number | null,
+  canReturnWholeSale: boolean
+) {
+  const sale = await getStandSaleById(saleId);
+
+  if (!sale) {
+    throw new StandValidationError('Sale not found', 'SALE_NOT_FOUND', { saleId });
+  }
+
+  if (sale.voided_date) {
+    throw new StandValidationError('Sale has already been voided', 'ALREADY_VOIDED', { saleId, voidedDate: sale.voided_date });
+  }
+
+  const merged = new Map<number, number>();
+  for (const line of lines) {
+    if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+      throw new StandValidationError('Return quantity must be a positive whole number', 'INVALID_QUANTITY', {
+        saleItemId: line.saleItemId,
+        quantity: line.quantity,
+      });
+    }
+    merged.set(line.saleItemId, (merged.get(line.saleItemId) ?? 0) + line.quantity);
+  }
+
+  for (const [saleItemId, quantity] of merged) {
+    const item = sale.Items.find((i) => i.sale_item_id === saleItemId);
+    if (!item) {
+      throw new StandValidationError(`Line ${saleItemId} is not on sale #${saleId}`, 'ITEM_NOT_FOUND', { saleId, saleItemId });
+    }
+    const returnable = item.quantity - item.quantity_returned;
+    if (quantity > returnable) {
+      throw new StandValidationError(
+        `Only ${returnable} of "${item.item_name}" can still be returned`,
+        'OVER_RETURN',
+        { saleItemId, returnable, requested: quantity }
+      );
+    }
+  }
+
+  const returnsEverything = sale.Items.every(
+    (i) => i.quantity - i.quantity_returned === (merged.get(i.sale_item_id) ?? 0)
+  );
+  if (returnsEverything && !canReturnWholeSale) {
+    throw new StandValidationError(
+      'Returning everything left on a sale voids it — ask an admin to void the sale instead',
+      'WHOLE_SALE_RETURN',
+      { saleId }
+    );
+  }
+
+  let result;
+  try {
+    result = await returnStandSaleItems(
+      saleId,
+      [...merged].map(([saleItemId, quantity]) => ({ saleItemId, quantity })),
+      reason,
+      userId
+    );
+  } catch (err) {
+    // The checks above are TOCTOU; the transaction's row locks catch a void or
+    // another return that committed in between.
+    const msg = err instanceof Error ? err.message : String(err);
+    if (/^ALREADY_VOIDED:/.test(msg)) {
+      throw new StandValidationError('Sale has already been voided', 'ALREADY_VOIDED', { saleId });
+    }
+    const m = msg.match(/^OVER_RETURN:(\d+)$/);
+    if (m) {
+      throw new StandValidationError(
+        'Some of these units were returned by someone else in the meantime. Please reload and try again.',
+        'OVER_RETURN',
+        { saleItemId: parseInt(m[1], 10) }
+      );
+    }
+    throw err;
+  }
+
+  log.info(`Stand sale return: sale_id=${saleId}, return_id=${result.return_id}, refund=${result.refund_amount}`);
+
+  return {
+    returnId: result.return_id,
+    refundAmount: result.refund_amount,
+    refundCost: result.refund_cost,
+  };
+}
+
+// ============================================================================
+// EXPIRED-LOT WRITE-OFF
+// ============================================================================
+
+export async function writeOffExpiredStock(userId: number | null) {
+  const result = await writeOffExpiredLots(userId);
+
+  if (result.lotCount > 0) {
+    log.info(
+      `Stand expired lots written off: lots=${result.lotCount}, Qty=${result.quantity}, cost=${result.totalCost}`
+    );
+  }
+  return result;
+}
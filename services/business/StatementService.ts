@@ -0,0 +1,426 @@
+/**
+ * Statement Service - Business Logic Layer
+ *
+ * The patient account statement: every work, discount, payment and refund the
+ * patient has, merged into one dated ledger with a running balance. Works are
+ * priced in IQD or USD and a patient can have both, so the running balance is
+ * kept per currency — a USD payment never reduces an IQD debt. Each payment row
+ * carries the day's exchange rate (`getExchangeRateForDate`) because the cash
+ * handed over may have been in the other currency.
+ *
+ *   charge    — the work's total_required, on its start date    (debit)
+ *   discount  — works.discount, on discount_date                (credit)
+ *   payment   — an invoice                                      (credit)
+ *   refund    — a negative invoice (credit note)                (debit)
+ *
+ * Stand (mini-pharmacy) sales made out to the patient join the IQD ledger with
+ * no work: the sale is a charge settled on the spot by a payment, and a partial
+ * return (stand_sale_returns) is a 'return' credit followed by the cash handed
+ * back as a refund. Returns are netted out of the `charged` total.
+ *
+ * Balance = debits − credits, so a positive balance is what the patient still
+ * owes. The same statement backs the staff JSON/PDF/CSV exports
+ * (routes/api/statement.routes.ts) and the patient portal's Payments tab.
+ */
+
+import { log } from '../../utils/logger.js';
+import { toDateOnly } from '../../utils/date.js';
+import { getExchangeRateForDate } from '../database/queries/payment-queries.js';
+import { getOption } from '../database/queries/options-queries.js';
+import { logoFilePath } from '../files/clinic-branding.js';
+import statementPdfGenerator from '../pdf/statement-pdf-generator.js';
+import {
+  getStatementPatient,
+  getStatementWorks,
+  getStatementInvoices,
+  getStatementStandSales,
+  getStatementStandReturns,
+  type StatementWorkRow,
+  type StatementInvoiceRow,
+  type StatementStandSaleRow,
+  type StatementStandReturnRow,
+} from '../database/queries/statement-queries.js';
+
+/**
+ * Statement error codes
+ */
+export type StatementErrorCode = 'PATIENT_NOT_FOUND';
+
+/**
+ * Error class for statement business logic
+ */
+export class StatementError extends Error {
+  public readonly code: StatementErrorCode;
+  public readonly details: Record<string, unknown>;
+
+  constructor(message: string, code: StatementErrorCode, details: Record<string, unknown> = {}) {
+    super(message);
+    this.name = 'StatementError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export type StatementEntryKind = 'charge' | 'discount' | 'payment' | 'return' | 'refund';
+
+// `type` (not `interface`) so these are assignable to the looseObject contracts.
+export type StatementEntry = {
+  date: string | null;
+  kind: StatementEntryKind;
+  /** Null for stand sales and their returns. */
+  work_id: number | null;
+  /** The stand sale for stand entries; null otherwise. */
+  sale_id: number | null;
+  currency: string;
+  description: string;
+  /** Invoice id for payments/refunds; null for charges and discounts. */
+  reference: number | null;
+  debit: number;
+  credit: number;
+  /** Running balance in `currency` after this entry. */
+  balance: number;
+  iqd_cash: number | null;
+  usd_cash: number | null;
+  change: number | null;
+  exchange_rate: number | null;
+};
+
+export type StatementWork = {
+  work_id: number;
+  work_type: string | null;
+  status: number;
+  currency: string;
+  total_required: number;
+  discount: number;
+  /** Net of refunds. */
+  paid: number;
+  balance: number;
+};
+
+export type StatementCurrencyTotal = {
+  currency: string;
+  charged: number;
+  discounts: number;
+  paid: number;
+  refunded: number;
+  balance: number;
+};
+
+export type PatientStatement = {
+  person_id: number;
+  patient_name: string | null;
+  phone: string | null;
+  generated_at: string;
+  works: StatementWork[];
+  entries: StatementEntry[];
+  totals: StatementCurrencyTotal[];
+};
+
+// Same-day ordering: the work is charged before it is discounted or paid, and
+// goods come back before their cash does.
+const KIND_ORDER: Record<StatementEntryKind, number> = { charge: 0, discount: 1, payment: 2, return: 3, refund: 4 };
+
+// Stand prices are IQD.
+const STAND_CURRENCY = 'IQD';
+
+const workCurrency = (work: StatementWorkRow): string => work.currency || 'USD';
+
+const workLabel = (work: StatementWorkRow): string =>
+  `${work.work_type ?? 'Treatment'} (work #${work.work_id})`;
+
+function invoiceEntry(
+  inv: StatementInvoiceRow,
+  work: StatementWorkRow,
+  rates: Map<string, number | null>
+): Omit<StatementEntry, 'balance'> {
+  const isRefund = inv.refund_of_invoice_id !== null;
+  const base = {
+    date: inv.date_of_payment,
+    work_id: inv.work_id,
+    sale_id: null,
+    currency: workCurrency(work),
+    reference: inv.invoice_id,
+    iqd_cash: inv.iqd_received || null,
+    usd_cash: inv.usd_received || null,
+    change: inv.change,
+    exchange_rate: rates.get(inv.date_of_payment) ?? null,
+  };
+  if (isRefund) {
+    const reason = inv.refund_reason ? ` — ${inv.refund_reason}` : '';
+    return {
+      ...base,
+      kind: 'refund',
+      description: `Refund of receipt #${inv.refund_of_invoice_id}${reason}`,
+      debit: -inv.amount_paid,
+      credit: 0,
+    };
+  }
+  return {
+    ...base,
+    kind: 'payment',
+    description: `Payment — ${workLabel(work)}`,
+    debit: 0,
+    credit: inv.amount_paid,
+  };
+}
+
+/** A stand sale is charged and paid in full at the till. */
+function standSaleEntries(sale: StatementStandSaleRow): Omit<StatementEntry, 'balance'>[] {
+  const base = {
+    date: sale.sale_date,
+    work_id: null,
+    sale_id: sale.sale_id,
+    currency: STAND_CURRENCY,
+    reference: null,
+    exchange_rate: null,
+  };
+  const items = sale.items_summary ? ` — ${sale.items_summary}` : '';
+  return [
+    {
+      ...base,
+      kind: 'charge',
+      description: `Stand sale #${sale.sale_id}${items}`,
+      debit: sale.total_amount,
+      credit: 0,
+      iqd_cash: null,
+      usd_cash: null,
+      change: null,
+    },
+    {
+      ...base,
+      kind: 'payment',
+      description: `Payment — stand sale #${sale.sale_id}`,
+      debit: 0,
+      credit: sale.total_amount,
+      iqd_cash: sale.amount_paid || null,
+      usd_cash: null,
+      change: sale.change || null,
+    },
+  ];
+}
+
+/** A partial return credits the goods back and pays their value out in cash. */
+function standReturnEntries(ret: StatementStandReturnRow): Omit<StatementEntry, 'balance'>[] {
+  const base = {
+    date: ret.returned_at,
+    work_id: null,
+    sale_id: ret.sale_id,
+    currency: STAND_CURRENCY,
+    reference: null,
+    usd_cash: null,
+    change: null,
+    exchange_rate: null,
+  };
+  return [
+    {
+      ...base,
+      kind: 'return',
+      description: `Return on stand sale #${ret.sale_id} — ${ret.reason}`,
+      debit: 0,
+      credit: ret.refund_amount,
+      iqd_cash: null,
+    },
+    {
+      ...base,
+      kind: 'refund',
+      description: `Refund of stand return #${ret.return_id}`,
+      debit: ret.refund_amount,
+      credit: 0,
+      iqd_cash: ret.refund_amount,
+    },
+  ];
+}
+
+/**
+ * Merge works and invoices into the dated ledger, then walk it once for the
+ * per-currency running balance and totals.
+ */
+function buildLedger(
+  works: StatementWorkRow[],
+  invoices: StatementInvoiceRow[],
+  rates: Map<string, number | null>,
+  standSales: StatementStandSaleRow[] = [],
+  standReturns: StatementStandReturnRow[] = []
+): Pick<PatientStatement, 'works' | 'entries' | 'totals'> {
+  const workById = new Map(works.map((w) => [w.work_id, w]));
+  const unsorted: Omit<StatementEntry, 'balance'>[] = [];
+
+  for (const work of works) {
+    const currency = workCurrency(work);
+    const empty = { work_id: work.work_id, sale_id: null, currency, reference: null, iqd_cash: null, usd_cash: null, change: null, exchange_rate: null };
+    unsorted.push({
+      ...empty,
+      date: work.charge_date,
+      kind: 'charge',
+      description: workLabel(work),
+      debit: work.total_required,
+      credit: 0,
+    });
+    if (work.discount && work.discount > 0) {
+      const reason = work.discount_reason ? ` — ${work.discount_reason}` : '';
+      unsorted.push({
+        ...empty,
+        date: work.discount_date ?? work.charge_date,
+        kind: 'discount',
+        description: `Discount on work #${work.work_id}${reason}`,
+        debit: 0,
+        credit: work.discount,
+      });
+    }
+  }
+
+  for (const inv of invoices) {
+    const work = workById.get(inv.work_id);
+    if (work) unsorted.push(invoiceEntry(inv, work, rates));
+  }
+
+  for (const sale of standSales) unsorted.push(...standSaleEntries(sale));
+  for (const ret of standReturns) unsorted.push(...standReturnEntries(ret));
+
+  // Undated charges (no start or addition date) sort first.
+  unsorted.sort(
+    (a, b) =>
+      (a.date ?? '').localeCompare(b.date ?? '') ||
+      KIND_ORDER[a.kind] - KIND_ORDER[b.kind] ||
+      (a.work_id ?? 0) - (b.work_id ?? 0) ||
+      (a.sale_id ?? 0) - (b.sale_id ?? 0) ||
+      (a.reference ?? 0) - (b.reference ?? 0)
+  );
+
+  const running = new Map<string, number>();
+  const totalsByCurrency = new Map<string, StatementCurrencyTotal>();
+  const entries: StatementEntry[] = unsorted.map((entry) => {
+    const balance = (running.get(entry.currency) ?? 0) + entry.debit - entry.credit;
+    running.set(entry.currency, balance);
+
+    let total = totalsByCurrency.get(entry.currency);
+    if (!total) {
+      total = { currency: entry.currency, charged: 0, discounts: 0, paid: 0, refunded: 0, balance: 0 };
+      totalsByCurrency.set(entry.currency, total);
+    }
+    if (entry.kind === 'charge') total.charged += entry.debit;
+    else if (entry.kind === 'discount') total.discounts += entry.credit;
+    else if (entry.kind === 'payment') total.paid += entry.credit;
+    else if (entry.kind === 'return') total.charged -= entry.credit;
+    else total.refunded += entry.debit;
+    total.balance = balance;
+
+    return { ...entry, balance };
+  });
+
+  const paidByWork = new Map<number, number>();
+  for (const inv of invoices) {
+    paidByWork.set(inv.work_id, (paidByWork.get(inv.work_id) ?? 0) + inv.amount_paid);
+  }
+
+  return {
+    works: works.map((w) => {
+      const paid = paidByWork.get(w.work_id) ?? 0;
+      const discount = w.discount ?? 0;
+      return {
+        work_id: w.work_id,
+        work_type: w.work_type,
+        status: w.status,
+        currency: workCurrency(w),
+        total_required: w.total_required,
+        discount,
+        paid,
+        balance: w.total_required - discount - paid,
+      };
+    }),
+    entries,
+    totals: [...totalsByCurrency.values()],
+  };
+}
+
+/**
+ * The full statement for a patient.
+ * @throws StatementError PATIENT_NOT_FOUND
+ */
+export async function getPatientStatement(personId: number): Promise<PatientStatement> {
+  const patient = await getStatementPatient(personId);
+  if (!patient) {
+    throw new StatementError('Patient not found', 'PATIENT_NOT_FOUND', { personId });
+  }
+
+  const [works, invoices, standSales, standReturns] = await Promise.all([
+    getStatementWorks(personId),
+    getStatementInvoices(personId),
+    getStatementStandSales(personId),
+    getStatementStandReturns(personId),
+  ]);
+
+  // One lookup per distinct payment day, not per invoice.
+  const days = [...new Set(invoices.map((inv) => inv.date_of_payment))];
+  const rates = new Map<string, number | null>(
+    await Promise.all(days.map(async (day) => [day, await getExchangeRateForDate(day)] as const))
+  );
+
+  const ledger = buildLedger(works, invoices, rates, standSales, standReturns);
+  log.debug('Patient statement built', { personId, works: works.length, entries: ledger.entries.length });
+
+  return {
+    person_id: patient.person_id,
+    patient_name: patient.patient_name,
+    phone: patient.phone,
+    generated_at: new Date().toISOString(),
+    ...ledger,
+  };
+}
+
+// A leading =, +, - or @ makes spreadsheets evaluate the cell (CSV injection).
+const csvCell = (value: string | number | null): string => {
+  if (value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  'Date', 'Type', 'Work', 'Description', 'Receipt', 'Currency',
+  'Debit', 'Credit', 'Balance', 'IQD Cash', 'USD Cash', 'Change', 'Exchange Rate',
+];
+
+/**
+ * The statement ledger as CSV, one row per entry followed by a totals row per
+ * currency. Starts with a UTF-8 BOM so Excel reads Arabic names correctly.
+ */
+export function statementToCsv(statement: PatientStatement): string {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const e of statement.entries) {
+    lines.push(
+      [
+        e.date, e.kind, e.work_id, e.description, e.reference, e.currency,
+        e.debit || null, e.credit || null, e.balance,
+        e.iqd_cash, e.usd_cash, e.change, e.exchange_rate,
+      ].map(csvCell).join(',')
+    );
+  }
+  for (const t of statement.totals) {
+    lines.push(
+      [
+        toDateOnly(statement.generated_at), 'total', null, `Balance due (${t.currency})`, null, t.currency,
+        t.charged + t.refunded, t.discounts + t.paid, t.balance, null, null, null, null,
+      ].map(csvCell).join(',')
+    );
+  }
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * The statement as a branded PDF — the clinic name and logo come from the
+ * Settings → General branding options (`CLINIC_NAME`, `CLINIC_LOGO`).
+ */
+export async function statementToPdf(statement: PatientStatement): Promise<Buffer> {
+  const [clinicName, logoFile] = await Promise.all([getOption('CLINIC_NAME'), getOption('CLINIC_LOGO')]);
+  return statementPdfGenerator.generate(statement, {
+    clinicName,
+    logoPath: logoFile ? logoFilePath(logoFile) || null : null,
+  });
+}
+
+export default {
+  getPatientStatement,
+  statementToCsv,
+  statementToPdf,
+};
@@ -0,0 +1,152 @@
+/**
+ * Tooth Finding Service - Business Logic Layer
+ *
+ * The patient's odontogram: dated findings per tooth and surface (caries,
+ * missing, impacted, restorations, brackets/bands placed, bond failures).
+ *
+ * Findings are never overwritten to show progress — a finding that goes away is
+ * resolved (`resolved_on`), so the chart on any earlier date can be rebuilt
+ * (shared/tooth-findings.ts). Each finding is dated to a visit where there is
+ * one: an explicit `visit_id` takes the visit's date, otherwise the patient's
+ * visit on `recorded_on` is linked. Those dates are the chart's versions.
+ */
+
+import { log } from '../../utils/logger.js';
+import { toDateOnly } from '../../utils/date.js';
+import {
+  getPatientFindings,
+  getFindingById,
+  patientExists,
+  toothExists,
+  getVisitForFinding,
+  findPatientVisitOn,
+  insertFinding,
+  updateFinding as updateFindingRow,
+  deleteFinding,
+  type ToothFindingRow,
+} from '../database/queries/tooth-finding-queries.js';
+import { chartVersions, normalizeSurfaces } from '../../shared/tooth-findings.js';
+import type {
+  ChartVersion,
+  CreateFindingBody,
+  UpdateFindingBody,
+} from '../../shared/contracts/tooth-finding.contract.js';
+
+/**
+ * Tooth finding error codes
+ */
+export type ToothFindingErrorCode =
+  | 'PATIENT_NOT_FOUND'
+  | 'FINDING_NOT_FOUND'
+  | 'UNKNOWN_TOOTH'
+  | 'VISIT_MISMATCH'
+  | 'BAD_DATES';
+
+/**
+ * Validation error class for tooth finding business logic
+ */
+export class ToothFindingError extends Error {
+  public readonly code: ToothFindingErrorCode;
+  public readonly details: Record<string, unknown>;
+
+  constructor(message: string, code: ToothFindingErrorCode, details: Record<string, unknown> = {}) {
+    super(message);
+    this.name = 'ToothFindingError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export type PatientChartView = {
+  findings: ToothFindingRow[];
+  versions: ChartVersion[];
+};
+
+async function assertTooth(toothId: number): Promise<void> {
+  if (!(await toothExists(toothId))) {
+    throw new ToothFindingError('Unknown tooth', 'UNKNOWN_TOOTH', { toothId });
+  }
+}
+
+/** The patient's findings and the chart's versions; null when the patient doesn't exist. */
+export async function getPatientChart(personId: number): Promise<PatientChartView | null> {
+  const [exists, findings] = await Promise.all([patientExists(personId), getPatientFindings(personId)]);
+  if (!exists) return null;
+  return { findings, versions: chartVersions(findings) };
+}
+
+export async function createFinding(
+  personId: number,
+  body: CreateFindingBody,
+  username: string | null
+): Promise<ToothFindingRow> {
+  if (!(await patientExists(personId))) {
+    throw new ToothFindingError('Patient not found', 'PATIENT_NOT_FOUND', { personId });
+  }
+  await assertTooth(body.tooth_id);
+
+  let recordedOn = body.recorded_on ?? toDateOnly(new Date());
+  let visitId = body.visit_id ?? null;
+  if (visitId !== null) {
+    const visit = await getVisitForFinding(visitId);
+    if (!visit || visit.person_id !== personId) {
+      throw new ToothFindingError("The visit is not one of this patient's", 'VISIT_MISMATCH', { visitId });
+    }
+    recordedOn = visit.visit_date;
+  } else {
+    visitId = await findPatientVisitOn(personId, recordedOn);
+  }
+
+  const findingId = await insertFinding(
+    personId,
+    {
+      tooth_id: body.tooth_id,
+      kind: body.kind,
+      surfaces: normalizeSurfaces(body.surfaces),
+      detail: body.detail || null,
+      note: body.note || null,
+      recorded_on: recordedOn,
+      visit_id: visitId,
+    },
+    username
+  );
+  log.info('Tooth finding recorded', { findingId, personId, kind: body.kind, username });
+  return (await getFindingById(findingId))!;
+}
+
+export async function updateFinding(
+  findingId: number,
+  body: UpdateFindingBody,
+  username: string | null
+): Promise<ToothFindingRow> {
+  const resolvedOn = body.resolved_on ?? null;
+  if (resolvedOn !== null && resolvedOn < body.recorded_on) {
+    throw new ToothFindingError('A finding cannot be resolved before it was recorded', 'BAD_DATES', {
+      recordedOn: body.recorded_on,
+      resolvedOn,
+    });
+  }
+  await assertTooth(body.tooth_id);
+
+  const found = await updateFindingRow(findingId, {
+    tooth_id: body.tooth_id,
+    kind: body.kind,
+    surfaces: normalizeSurfaces(body.surfaces),
+    detail: body.detail || null,
+    note: body.note || null,
+    recorded_on: body.recorded_on,
+    resolved_on: resolvedOn,
+  });
+  if (!found) {
+    throw new ToothFindingError('Finding not found', 'FINDING_NOT_FOUND', { findingId });
+  }
+  log.info('Tooth finding updated', { findingId, resolvedOn, username });
+  return (await getFindingById(findingId))!;
+}
+
+export async function removeFinding(findingId: number, username: string | null): Promise<void> {
+  if (!(await deleteFinding(findingId))) {
+    throw new ToothFindingError('Finding not found', 'FINDING_NOT_FOUND', { findingId });
+  }
+  log.info('Tooth finding deleted', { findingId, username });
+}
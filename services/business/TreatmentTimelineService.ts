@@ -0,0 +1,262 @@
+/**
+ * Treatment timeline — one work's visits laid out as a treatment journey, and
+ * whether the case is on track against its plan.
+ *
+ *   - Wires: per arch, a run of visits on the same wire is one segment, from the
+ *     visit that placed it to the visit that changed it. The wire still in runs
+ *     to today (or to the debond of a closed case). A visit with no wire for an
+ *     arch ends that arch's segment.
+ *   - Gaps: the usual interval is the median of the work's visit intervals
+ *     (DEFAULT_INTERVAL_DAYS until there are MIN_INTERVALS of them). An interval
+ *     over GAP_FACTOR × usual — and never under MIN_GAP_DAYS — is a gap; its
+ *     excess over the usual interval is time the plan lost. An active case whose
+ *     last visit is that far back has an open gap running to today.
+ *   - Photos and missed appointments are per patient: only those inside the
+ *     work's span (photos within RECORDS_WINDOW_DAYS of it — initial records are
+ *     often taken before bonding) are shown.
+ *   - Progress: planned end = start + estimated_duration months; projected end =
+ *     planned end + the gaps' excess days. Behind when that is more than
+ *     ON_TRACK_TOLERANCE_DAYS late, overdue once today is past the planned end.
+ *     The start is the work's start_date, else its first visit.
+ */
+import { addDays, daysBetween, toDateOnly } from '../../utils/date.js';
+import { WORK_STATUS } from '../../shared/treatment-taxonomy.js';
+import {
+  getTimelineWork,
+  getTimelineVisits,
+  getTimelineTimePoints,
+  getMissedAppointmentDays,
+  type TimelineVisitRow,
+  type TimelineWorkRow,
+} from '../database/queries/treatment-timeline-queries.js';
+import type {
+  Milestone,
+  TimelineArch,
+  TimelineProgress,
+  TimelineVisit,
+  VisitGap,
+  WireSegment,
+  WorkTimeline,
+} from '../../shared/contracts/treatment-timeline.contract.js';
+
+/** The yardstick until a case has enough intervals of its own. */
+const DEFAULT_INTERVAL_DAYS = 35;
+const MIN_INTERVALS = 3;
+const GAP_FACTOR = 1.5;
+const MIN_GAP_DAYS = 42;
+/** Delay a case absorbs before it counts as behind. */
+const ON_TRACK_TOLERANCE_DAYS = 30;
+const RECORDS_WINDOW_DAYS = 60;
+const DAYS_PER_MONTH = 30.44;
+
+const toMonths = (days: number): number => Math.round((days / DAYS_PER_MONTH) * 10) / 10;
+
+const minDate = (dates: (string | null)[]): string | null =>
+  dates.reduce<string | null>((min, d) => (d && (!min || d < min) ? d : min), null);
+
+const maxDate = (dates: (string | null)[]): string | null =>
+  dates.reduce<string | null>((max, d) => (d && (!max || d > max) ? d : max), null);
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// ==============================
+// LAYOUT
+// ==============================
+
+/** Per-arch runs of visits on the same wire. `closeDate` ends the wire still in. */
+function wireSegments(visits: TimelineVisitRow[], closeDate: string, active: boolean): WireSegment[] {
+  const segments: WireSegment[] = [];
+  for (const arch of ['upper', 'lower'] as TimelineArch[]) {
+    let open: WireSegment | null = null;
+    for (const v of visits) {
+      const wireId = arch === 'upper' ? v.upper_wire_id : v.lower_wire_id;
+      if (open && open.wire_id === wireId) {
+        open.visits++;
+        continue;
+      }
+      if (open) {
+        open.to = v.visit_date;
+        open.days = daysBetween(open.from, open.to);
+        segments.push(open);
+        open = null;
+      }
+      if (wireId !== null) {
+        const name: string = (arch === 'upper' ? v.upper_wire : v.lower_wire) ?? `Wire ${wireId}`;
+        open = { arch, wire_id: wireId, name, from: v.visit_date, to: v.visit_date, days: 0, visits: 1, current: false };
+      }
+    }
+    if (open) {
+      open.to = closeDate > open.from ? closeDate : open.from;
+      open.days = daysBetween(open.from, open.to);
+      open.current = active;
+      segments.push(open);
+    }
+  }
+  return segments;
+}
+
+/** Intervals between visits that ran long, plus the open one of an overdue active case. */
+function visitGaps(
+  visits: TimelineVisitRow[],
+  usualDays: number,
+  missed: string[],
+  openUntil: string | null
+): VisitGap[] {
+  const threshold = Math.max(MIN_GAP_DAYS, Math.round(usualDays * GAP_FACTOR));
+  const missedBetween = (from: string, to: string): number => missed.filter((d) => d > from && d <= to).length;
+  const gap = (from: string, to: string, open: boolean): VisitGap => {
+    const days = daysBetween(from, to);
+    return { from, to, days, excess_days: days - usualDays, missed_appointments: missedBetween(from, to), open };
+  };
+
+  const gaps: VisitGap[] = [];
+  for (let i = 1; i < visits.length; i++) {
+    const from = visits[i - 1].visit_date;
+    const to = visits[i].visit_date;
+    if (daysBetween(from, to) > threshold) gaps.push(gap(from, to, false));
+  }
+  const last = visits[visits.length - 1];
+  if (openUntil && last && daysBetween(last.visit_date, openUntil) > threshold) {
+    gaps.push(gap(last.visit_date, openUntil, true));
+  }
+  return gaps;
+}
+
+function milestones(work: TimelineWorkRow, visits: TimelineVisitRow[]): Milestone[] {
+  const list: Milestone[] = [];
+  if (work.start_date) list.push({ kind: 'start', date: work.start_date, label: 'Treatment start' });
+  if (work.dx_date) list.push({ kind: 'diagnosis', date: work.dx_date, label: 'Diagnosis' });
+  if (work.i_photo_date) list.push({ kind: 'initial_records', date: work.i_photo_date, label: 'Initial records' });
+  for (const v of visits) {
+    const bracket = v.bracket_change?.trim();
+    if (bracket) list.push({ kind: 'bracket_change', date: v.visit_date, label: `Bracket change: ${bracket}` });
+    if (v.opg) list.push({ kind: 'opg', date: v.visit_date, label: 'OPG' });
+    if (v.p_photo) list.push({ kind: 'progress_photos', date: v.visit_date, label: 'Progress photos' });
+  }
+  const removal = work.debond_date ?? visits.find((v) => v.appliance_removed)?.visit_date ?? null;
+  if (removal) list.push({ kind: 'appliance_removed', date: removal, label: 'Appliance removed' });
+  if (work.f_photo_date) list.push({ kind: 'final_records', date: work.f_photo_date, label: 'Final records' });
+  return list.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function estimateProgress(
+  work: TimelineWorkRow,
+  start: string | null,
+  end: string | null,
+  gaps: VisitGap[],
+  today: string
+): TimelineProgress {
+  const planned = work.estimated_duration && work.estimated_duration > 0 ? work.estimated_duration : null;
+  const plannedEnd = start && planned ? addDays(start, Math.round(planned * DAYS_PER_MONTH)) : null;
+  const delayDays = gaps.reduce((sum, g) => sum + Math.max(0, g.excess_days), 0);
+  const base = {
+    start,
+    planned_months: planned,
+    planned_end: plannedEnd,
+    elapsed_months: start ? toMonths(daysBetween(start, end ?? today)) : null,
+    delay_days: delayDays,
+    projected_end: null,
+    actual_months: null,
+  };
+
+  if (work.status === WORK_STATUS.DISCONTINUED) return { ...base, status: 'discontinued' };
+  if (end) {
+    return { ...base, status: 'finished', actual_months: start ? toMonths(daysBetween(start, end)) : null };
+  }
+  if (!plannedEnd) return { ...base, status: 'no_plan' };
+
+  const projectedEnd = addDays(plannedEnd, delayDays);
+  const status = today > plannedEnd ? 'overdue' : delayDays > ON_TRACK_TOLERANCE_DAYS ? 'behind' : 'on_track';
+  return { ...base, status, projected_end: projectedEnd };
+}
+
+/** The work's timeline, or null when the work doesn't exist. */
+export async function getWorkTimeline(workId: number): Promise<WorkTimeline | null> {
+  const work = await getTimelineWork(workId);
+  if (!work) return null;
+
+  const [visits, timePoints, missedDays] = await Promise.all([
+    getTimelineVisits(workId),
+    getTimelineTimePoints(work.person_id),
+    getMissedAppointmentDays(work.person_id),
+  ]);
+
+  const today = toDateOnly(new Date());
+  const lastVisit = visits[visits.length - 1]?.visit_date ?? null;
+  const start = work.start_date ?? visits[0]?.visit_date ?? null;
+  const removedAt = visits.find((v) => v.appliance_removed)?.visit_date ?? null;
+  // A finished case ends at its debond; one closed without a debond date at its last visit.
+  const end =
+    work.debond_date ??
+    removedAt ??
+    (work.status === WORK_STATUS.FINISHED || work.status === WORK_STATUS.DISCONTINUED ? lastVisit : null);
+  const active = end === null;
+
+  const intervals = visits.slice(1).map((v, i) => daysBetween(visits[i].visit_date, v.visit_date));
+  const usual = intervals.length >= MIN_INTERVALS ? median(intervals) : null;
+
+  const spanFrom = start ?? work.addition_date;
+  const spanTo = end ?? today;
+  const missed = spanFrom ? missedDays.filter((d) => d >= spanFrom && d <= spanTo) : [];
+  const photos = timePoints
+    .filter(
+      (tp) =>
+        !spanFrom ||
+        (tp.tp_date >= addDays(spanFrom, -RECORDS_WINDOW_DAYS) && tp.tp_date <= addDays(spanTo, RECORDS_WINDOW_DAYS))
+    )
+    .map((tp) => ({ tp_code: tp.tp_code, date: tp.tp_date, description: tp.tp_description }));
+
+  const gaps = visitGaps(visits, usual ?? DEFAULT_INTERVAL_DAYS, missed, active ? today : null);
+  const marks = milestones(work, visits);
+  const progress = estimateProgress(work, start, end, gaps, today);
+
+  const timelineVisits: TimelineVisit[] = visits.map((v, i) => ({
+    id: v.id,
+    date: v.visit_date,
+    interval_days: i > 0 ? intervals[i - 1] : null,
+    upper_wire: v.upper_wire,
+    lower_wire: v.lower_wire,
+    elastics: v.elastics,
+    bracket_change: v.bracket_change,
+    photos: v.i_photo || v.p_photo || v.f_photo,
+    opg: v.opg,
+    appliance_removed: v.appliance_removed,
+  }));
+
+  const rangeFrom =
+    minDate([start, visits[0]?.visit_date ?? null, photos[0]?.date ?? null, marks[0]?.date ?? null]) ?? today;
+  const rangeTo =
+    maxDate([
+      active ? today : end,
+      lastVisit,
+      photos[photos.length - 1]?.date ?? null,
+      marks[marks.length - 1]?.date ?? null,
+      progress.planned_end,
+      progress.projected_end,
+    ]) ?? today;
+
+  return {
+    work: {
+      work_id: work.work_id,
+      person_id: work.person_id,
+      type_name: work.type_name,
+      doctor_name: work.doctor_name,
+      start_date: work.start_date,
+      debond_date: work.debond_date,
+    },
+    today,
+    range: { from: rangeFrom, to: rangeTo },
+    usual_interval_days: usual,
+    visits: timelineVisits,
+    wires: wireSegments(visits, end ?? today, active),
+    gaps,
+    missed_appointments: missed,
+    photos,
+    milestones: marks,
+    progress,
+  };
+}
@@ -0,0 +1,313 @@
+/**
+ * Wire Protocol Service - Business Logic Layer
+ *
+ * Doctor-defined archwire sequences, the protocol each work follows, and the
+ * suggestion the visit form pre-fills from them.
+ *
+ * The suggestion is derived, never stored. For each arch the current wire is the
+ * last wire recorded on a visit before the date; it has been in since the first
+ * visit of its trailing run. Against the arch's sequence (shared/wire-protocol.ts):
+ *   start        — no wire yet → the first step
+ *   advance      — min_weeks done → the next step
+ *   hold         — too early → stay on the current wire
+ *   final        — on the last step → stay
+ *   off_protocol — the current wire isn't in the sequence → no suggestion
+ * The next visit is `date` + the shorter of the two arches' intervals, each arch
+ * taking the interval of the step it will be on after this visit.
+ */
+
+import { log } from '../../utils/logger.js';
+import { isForeignKeyViolation, isUniqueViolation } from '../../utils/pg-errors.js';
+import { addDays, daysBetween, toDateOnly } from '../../utils/date.js';
+import {
+  listWireProtocols,
+  getWireProtocolById,
+  getWireProtocolSteps,
+  insertWireProtocol,
+  updateWireProtocol,
+  deleteWireProtocol,
+  workExists,
+  getWorkProtocolId,
+  setWorkProtocol,
+  clearWorkProtocol,
+  getProtocolVisits,
+  type WireProtocolRow,
+  type WireProtocolStepRow,
+  type ProtocolVisitRow,
+} from '../database/queries/wire-protocol-queries.js';
+import { archSequence } from '../../shared/wire-protocol.js';
+import type {
+  ArchSuggestion,
+  WireArch,
+  WireProtocolBody,
+  WireSuggestion,
+} from '../../shared/contracts/wire-protocol.contract.js';
+
+/**
+ * Wire protocol error codes
+ */
+export type WireProtocolErrorCode =
+  | 'PROTOCOL_NOT_FOUND'
+  | 'WORK_NOT_FOUND'
+  | 'DUPLICATE_NAME'
+  | 'UNKNOWN_WIRE'
+  | 'PROTOCOL_IN_USE'
+  | 'PROTOCOL_INACTIVE';
+
+/**
+ * Validation error class for wire protocol business logic
+ */
+export class WireProtocolError extends Error {
+  public readonly code: WireProtocolErrorCode;
+  public readonly details: Record<string, unknown>;
+
+  constructor(message: string, code: WireProtocolErrorCode, details: Record<string, unknown> = {}) {
+    super(message);
+    this.name = 'WireProtocolError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// `type` (not `interface`) so these are assignable to the looseObject contracts.
+export type WireProtocolView = WireProtocolRow & {
+  steps: Omit<WireProtocolStepRow, 'protocol_id'>[];
+};
+
+export type WorkProtocolView = {
+  protocol: WireProtocolView | null;
+  suggestion: WireSuggestion | null;
+};
+
+// ---------------------------------------------------------------------------
+// Protocols
+// ---------------------------------------------------------------------------
+
+function withSteps(rows: WireProtocolRow[], steps: WireProtocolStepRow[]): WireProtocolView[] {
+  return rows.map((row) => ({
+    ...row,
+    steps: steps
+      .filter((s) => s.protocol_id === row.protocol_id)
+      .map(({ protocol_id: _protocolId, ...step }) => step),
+  }));
+}
+
+async function loadProtocol(protocolId: number): Promise<WireProtocolView | null> {
+  const row = await getWireProtocolById(protocolId);
+  if (!row) return null;
+  const [view] = withSteps([row], await getWireProtocolSteps([protocolId]));
+  return view;
+}
+
+export async function listProtocols(): Promise<WireProtocolView[]> {
+  const [rows, steps] = await Promise.all([listWireProtocols(), getWireProtocolSteps()]);
+  return withSteps(rows, steps);
+}
+
+/** DB constraint failures on save → WireProtocolError; anything else rethrown. */
+function saveError(error: unknown, body: WireProtocolBody): never {
+  if (isUniqueViolation(error, 'uq_wire_protocols_name')) {
+    throw new WireProtocolError(`A protocol named "${body.name}" already exists`, 'DUPLICATE_NAME', {
+      name: body.name,
+    });
+  }
+  if (isForeignKeyViolation(error)) {
+    throw new WireProtocolError('A step refers to a wire that does not exist', 'UNKNOWN_WIRE');
+  }
+  throw error;
+}
+
+function toInput(body: WireProtocolBody) {
+  return {
+    name: body.name,
+    description: body.description || null,
+    is_active: body.is_active ?? true,
+    steps: body.steps,
+  };
+}
+
+export async function createProtocol(body: WireProtocolBody, username: string | null): Promise<WireProtocolView> {
+  let protocolId: number;
+  try {
+    protocolId = await insertWireProtocol(toInput(body), username);
+  } catch (error) {
+    saveError(error, body);
+  }
+  log.info('Wire protocol created', { protocolId, name: body.name, username });
+  return (await loadProtocol(protocolId))!;
+}
+
+export async function updateProtocol(
+  protocolId: number,
+  body: WireProtocolBody,
+  username: string | null
+): Promise<WireProtocolView> {
+  let found: boolean;
+  try {
+    found = await updateWireProtocol(protocolId, toInput(body), username);
+  } catch (error) {
+    saveError(error, body);
+  }
+  if (!found) {
+    throw new WireProtocolError('Wire protocol not found', 'PROTOCOL_NOT_FOUND', { protocolId });
+  }
+  log.info('Wire protocol updated', { protocolId, steps: body.steps.length, username });
+  return (await loadProtocol(protocolId))!;
+}
+
+export async function removeProtocol(protocolId: number, username: string | null): Promise<void> {
+  const protocol = await getWireProtocolById(protocolId);
+  if (!protocol) {
+    throw new WireProtocolError('Wire protocol not found', 'PROTOCOL_NOT_FOUND', { protocolId });
+  }
+  if (protocol.work_count > 0) {
+    throw new WireProtocolError(
+      `${protocol.work_count} work(s) follow this protocol — deactivate it instead`,
+      'PROTOCOL_IN_USE',
+      { protocolId, workCount: protocol.work_count }
+    );
+  }
+  await deleteWireProtocol(protocolId);
+  log.info('Wire protocol deleted', { protocolId, name: protocol.name, username });
+}
+
+// ---------------------------------------------------------------------------
+// Works
+// ---------------------------------------------------------------------------
+
+/** Assign a protocol to a work (null clears it). An inactive one can only be kept, not newly assigned. */
+export async function assignWorkProtocol(
+  workId: number,
+  protocolId: number | null,
+  username: string | null
+): Promise<void> {
+  if (!(await workExists(workId))) {
+    throw new WireProtocolError('Work not found', 'WORK_NOT_FOUND', { workId });
+  }
+  if (protocolId === null) {
+    await clearWorkProtocol(workId);
+    log.info('Wire protocol cleared from work', { workId, username });
+    return;
+  }
+
+  const [protocol, currentId] = await Promise.all([getWireProtocolById(protocolId), getWorkProtocolId(workId)]);
+  if (!protocol) {
+    throw new WireProtocolError('Wire protocol not found', 'PROTOCOL_NOT_FOUND', { protocolId });
+  }
+  if (!protocol.is_active && currentId !== protocolId) {
+    throw new WireProtocolError(`"${protocol.name}" is inactive`, 'PROTOCOL_INACTIVE', { protocolId });
+  }
+  await setWorkProtocol(workId, protocolId, username);
+  log.info('Wire protocol assigned to work', { workId, protocolId, username });
+}
+
+/** The arch's current wire and when its trailing run began (visits oldest first). */
+function currentWire(
+  visits: ProtocolVisitRow[],
+  arch: WireArch
+): { wireId: number; name: string | null; since: string } | null {
+  const idKey = arch === 'upper' ? 'upper_wire_id' : 'lower_wire_id';
+  const nameKey = arch === 'upper' ? 'upper_wire' : 'lower_wire';
+
+  let current: { wireId: number; name: string | null; since: string } | null = null;
+  for (let i = visits.length - 1; i >= 0; i--) {
+    const wireId = visits[i][idKey];
+    if (wireId === null) continue;
+    if (current === null) {
+      current = { wireId, name: visits[i][nameKey], since: visits[i].visit_date };
+    } else if (wireId === current.wireId) {
+      current.since = visits[i].visit_date;
+    } else {
+      break;
+    }
+  }
+  return current;
+}
+
+function suggestArch(
+  steps: WireProtocolView['steps'],
+  visits: ProtocolVisitRow[],
+  arch: WireArch,
+  date: string
+): ArchSuggestion {
+  const sequence = archSequence(steps, arch);
+  const current = currentWire(visits, arch);
+  const weeks = current ? Math.floor(daysBetween(current.since, date) / 7) : null;
+  const base: ArchSuggestion = {
+    arch,
+    status: 'no_steps',
+    current_wire_id: current?.wireId ?? null,
+    current_wire: current?.name ?? null,
+    since: current?.since ?? null,
+    weeks_on_wire: weeks,
+    min_weeks: null,
+    suggested_wire_id: null,
+    suggested_wire: null,
+    interval_weeks: null,
+  };
+  if (sequence.length === 0) return base;
+
+  if (!current) {
+    const first = sequence[0];
+    return {
+      ...base,
+      status: 'start',
+      suggested_wire_id: first.wire_id,
+      suggested_wire: first.wire_name,
+      interval_weeks: first.interval_weeks,
+    };
+  }
+
+  const idx = sequence.findIndex((s) => s.wire_id === current.wireId);
+  if (idx === -1) return { ...base, status: 'off_protocol' };
+
+  const step = sequence[idx];
+  const next = sequence[idx + 1];
+  const due = (weeks ?? 0) >= step.min_weeks;
+  const target = due && next ? next : step;
+  return {
+    ...base,
+    status: !due ? 'hold' : next ? 'advance' : 'final',
+    min_weeks: step.min_weeks,
+    suggested_wire_id: target.wire_id,
+    suggested_wire: target.wire_name,
+    interval_weeks: target.interval_weeks,
+  };
+}
+
+/**
+ * The work's protocol and the suggestion for a visit on `date` (default today);
+ * `excludeVisitId` leaves out the visit being edited.
+ */
+export async function getWorkProtocol(
+  workId: number,
+  date?: string,
+  excludeVisitId?: number
+): Promise<WorkProtocolView | null> {
+  if (!(await workExists(workId))) return null;
+  const protocolId = await getWorkProtocolId(workId);
+  if (protocolId === null) return { protocol: null, suggestion: null };
+
+  const on = date ?? toDateOnly(new Date());
+  const [protocol, visits] = await Promise.all([
+    loadProtocol(protocolId),
+    getProtocolVisits(workId, on, excludeVisitId),
+  ]);
+  if (!protocol) return { protocol: null, suggestion: null };
+
+  const upper = suggestArch(protocol.steps, visits, 'upper', on);
+  const lower = suggestArch(protocol.steps, visits, 'lower', on);
+  const intervals = [upper.interval_weeks, lower.interval_weeks].filter((w): w is number => w !== null);
+  const interval = intervals.length > 0 ? Math.min(...intervals) : null;
+
+  return {
+    protocol,
+    suggestion: {
+      date: on,
+      upper,
+      lower,
+      interval_weeks: interval,
+      next_visit_date: interval === null ? null : addDays(on, interval * 7),
+    },
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Aligner next-batch reminder sweep.
+ *
+ * Raises a push task in the header bell when a patient's aligner supply is within
+ * the manufacturing lead time of running out (AlignerForecastService.ts) and the
+ * next batch isn't manufactured — or isn't even created. One task per batch
+ * running out: that batch remembers the task it raised (`aligner_batches.depletion_alert_*`,
+ * migrations/pg/1783800000000_aligner-depletion-reminders.sql), and once the next
+ * batch is manufactured, or the set stops needing one (final batch, set
+ * deactivated, treatment finished), the task is completed automatically.
+ *
+ * Runs once at boot and then hourly, the lab-sla-sweep.ts pattern. Completing
+ * settled tasks runs even with reminders switched off, so turning them off
+ * doesn't strand open tasks. Failures only log; the next tick retries.
+ */
+
+import { log } from '../../utils/logger.js';
+import { toDateOnly } from '../../utils/date.js';
+import { startHousekeepingTimer } from '../../utils/housekeeping-timer.js';
+import { createAlert, completeAlerts } from '../database/queries/alert-queries.js';
+import {
+  getForecastBatches,
+  markBatchDepletionAlerted,
+  clearSettledDepletionAlerts,
+} from '../database/queries/aligner-forecast-queries.js';
+import { forecastAll, getAlignerReminderSettings, type PendingBatch } from './AlignerForecastService.js';
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const COMPLETED_BY = 'system';
+
+let timer: NodeJS.Timeout | null = null;
+let running = false;
+
+const doctorLabel = (name: string): string => (name === 'Admin' ? name : `Dr. ${name}`);
+
+function taskDetails(b: PendingBatch): string {
+  const when =
+    b.days_left < 0
+      ? `ran out on ${b.runs_out_on}`
+      : b.days_left === 0
+        ? 'run out today'
+        : `run out on ${b.runs_out_on} (${b.days_left} day${b.days_left === 1 ? '' : 's'})`;
+  const next =
+    b.status === 'not_created'
+      ? `batch ${b.batch_sequence} is not created yet`
+      : `batch ${b.batch_sequence} is not manufactured yet`;
+  const set = b.set_sequence !== null ? `set ${b.set_sequence}` : 'the active set';
+  return `Aligners running out: ${b.patient_name}'s aligners (${doctorLabel(b.doctor_name)}, ${set}) ${when} and ${next}. Manufacture it from the Aligner sets page.`;
+}
+
+/** One sweep pass. Never throws; returns the number of tasks raised. */
+export async function runAlignerReminderSweep(): Promise<number> {
+  if (running) return 0;
+  running = true;
+  try {
+    const settings = await getAlignerReminderSettings();
+    const today = toDateOnly(new Date());
+    // Only a set's FIRST pending batch is reminded: later ones follow from it.
+    const next = forecastAll(await getForecastBatches(), today, settings.leadDays).flatMap((f) =>
+      f.pending.length > 0 ? [f.pending[0]] : []
+    );
+
+    const completed = await completeAlerts(
+      await clearSettledDepletionAlerts(next.map((b) => b.runs_out_batch_id)),
+      COMPLETED_BY
+    );
+    if (completed > 0) {
+      log.info(`🦷 Aligner reminder sweep closed ${completed} task(s) for sets no longer running short`);
+    }
+
+    if (!settings.enabled) return 0;
+
+    const due = next.filter((b) => b.depletion_alert_id === null && b.manufacture_by <= today);
+    let raised = 0;
+    for (const b of due) {
+      const alertId = await createAlert({
+        person_id: b.person_id,
+        alert_type_id: null,
+        alert_severity: b.days_left <= 0 ? 3 : 2,
+        alert_details: taskDetails(b),
+        surface_mode: 'push',
+      });
+      await markBatchDepletionAlerted(b.runs_out_batch_id, alertId);
+      raised++;
+    }
+    if (raised > 0) {
+      log.info(`🦷 Aligner reminder sweep raised ${raised} next-batch task(s)`);
+    }
+    return raised;
+  } catch (error) {
+    log.error('Aligner reminder sweep failed:', { error: (error as Error).message });
+    return 0;
+  } finally {
+    running = false;
+  }
+}
+
+/** Start the boot run + hourly timer (idempotent). */
+export function startAlignerReminderSweep(): void {
+  if (timer) return;
+  void runAlignerReminderSweep();
+  timer = startHousekeepingTimer(runAlignerReminderSweep, SWEEP_INTERVAL_MS);
+}
+
+export function stopAlignerReminderSweep(): void {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Tests for payment plan schedules and installment allocation: the last
+ * installment takes the remainder, month-end due dates clamp without drifting,
+ * and payments pour FIFO over the installments, which are then classified
+ * against today and the grace period.
+ *
+ * @vitest-environment node
+ */
+import { describe, expect, it } from 'vitest';
+import { allocateInstallments, buildSchedule } from './payment-plan-schedule.js';
+
+const installments = [
+  { plan_id: 1, seq: 1, due_date: '2026-08-01', amount: 100 },
+  { plan_id: 1, seq: 2, due_date: '2026-09-01', amount: 100 },
+  { plan_id: 1, seq: 3, due_date: '2026-10-15', amount: 100 },
+  { plan_id: 1, seq: 4, due_date: '2026-11-01', amount: 50 },
+];
+
+describe('buildSchedule', () => {
+  it('splits the balance into equal installments, the last taking the remainder', () => {
+    expect(buildSchedule(350, 100, '2026-01-10', 1)).toEqual([
+      { due_date: '2026-01-10', amount: 100 },
+      { due_date: '2026-02-10', amount: 100 },
+      { due_date: '2026-03-10', amount: 100 },
+      { due_date: '2026-04-10', amount: 50 },
+    ]);
+    expect(buildSchedule(300, 100, '2026-01-10', 1)).toHaveLength(3);
+  });
+
+  it('clamps a month-end due date without drifting off it', () => {
+    expect(buildSchedule(400, 100, '2026-01-31', 1).map((i) => i.due_date)).toEqual([
+      '2026-01-31',
+      '2026-02-28',
+      '2026-03-31',
+      '2026-04-30',
+    ]);
+  });
+
+  it('spaces installments by the interval across year ends', () => {
+    expect(buildSchedule(300, 100, '2026-11-15', 2).map((i) => i.due_date)).toEqual([
+      '2026-11-15',
+      '2027-01-15',
+      '2027-03-15',
+    ]);
+  });
+});
+
+describe('allocateInstallments', () => {
+  const today = '2026-10-19';
+
+  it('pours payments FIFO in due order, part-paying the first uncovered installment', () => {
+    expect(allocateInstallments(installments, 230, 7, today).map((i) => [i.seq, i.paid])).toEqual([
+      [1, 100],
+      [2, 100],
+      [3, 30],
+      [4, 0],
+    ]);
+  });
+
+  it('classifies unpaid installments against today and the grace period', () => {
+    const statuses = (graceDays: number, on: string) =>
+      allocateInstallments(installments, 100, graceDays, on).map((i) => i.status);
+    expect(statuses(7, today)).toEqual(['paid', 'overdue', 'due', 'upcoming']);
+    // The last day of the grace period is still 'due'; the day after is overdue.
+    expect(statuses(4, today)[2]).toBe('due');
+    expect(statuses(3, today)[2]).toBe('overdue');
+    expect(statuses(0, '2026-10-15')[2]).toBe('due');
+  });
+
+  it('ignores a negative balance and does not carry an overpayment anywhere', () => {
+    expect(allocateInstallments(installments, -50, 0, today).every((i) => i.paid === 0)).toBe(true);
+    const overpaid = allocateInstallments(installments, 1000, 0, today);
+    expect(overpaid.every((i) => i.status === 'paid' && i.paid === i.amount)).toBe(true);
+  });
+});
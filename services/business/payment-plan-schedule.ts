@@ -0,0 +1,59 @@
+/**
+ * Payment plan schedule + allocation — the pure half of PaymentPlanService.
+ *
+ * buildSchedule splits a balance into dated installments when a plan is agreed;
+ * allocateInstallments pours what the plan has received FIFO over them and
+ * classifies each against today (see PaymentPlanService for the statuses).
+ * Nothing here reads or writes the database.
+ */
+
+import { addDays, addMonths } from '../../utils/date.js';
+import type { InstallmentRow } from '../database/queries/payment-plan-queries.js';
+
+export type InstallmentStatus = 'paid' | 'upcoming' | 'due' | 'overdue';
+
+export type AllocatedInstallment = {
+  seq: number;
+  due_date: string;
+  amount: number;
+  paid: number;
+  status: InstallmentStatus;
+};
+
+/**
+ * Split `balance` into installments of `amount` (the last one takes the
+ * remainder), due every `intervalMonths` from `firstDue`. Each date is computed
+ * from `firstDue` — not chained — so a 31st doesn't drift to the 28th for good.
+ */
+export function buildSchedule(
+  balance: number,
+  amount: number,
+  firstDue: string,
+  intervalMonths: number
+): { due_date: string; amount: number }[] {
+  const count = Math.ceil(balance / amount);
+  return Array.from({ length: count }, (_, i) => ({
+    due_date: addMonths(firstDue, i * intervalMonths),
+    amount: i === count - 1 ? balance - amount * (count - 1) : amount,
+  }));
+}
+
+/** Pour `paid` FIFO over the installments and classify each against `today`. */
+export function allocateInstallments(
+  installments: InstallmentRow[],
+  paid: number,
+  graceDays: number,
+  today: string
+): AllocatedInstallment[] {
+  let pool = Math.max(0, paid);
+  return installments.map((inst) => {
+    const covered = Math.min(pool, inst.amount);
+    pool -= covered;
+    let status: InstallmentStatus;
+    if (covered >= inst.amount) status = 'paid';
+    else if (inst.due_date > today) status = 'upcoming';
+    else if (addDays(inst.due_date, graceDays) >= today) status = 'due';
+    else status = 'overdue';
+    return { seq: inst.seq, due_date: inst.due_date, amount: inst.amount, paid: covered, status };
+  });
+}
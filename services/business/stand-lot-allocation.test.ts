@@ -0,0 +1,131 @@
+/**
+ * Tests for stand lot allocation: the draw order a sale takes units in
+ * (unexpired, first-expiring, then FIFO, undated last) and the order a return
+ * or void puts them back (last drawn first, untracked units before any lot).
+ *
+ * @vitest-environment node
+ */
+import { describe, expect, it } from 'vitest';
+import {
+  outstandingSlices,
+  planLotDraw,
+  takeSlices,
+  type DrawnSlice,
+  type OpenLot,
+} from './stand-lot-allocation.js';
+
+const lot = (
+  lot_id: number,
+  expiry_date: string | null,
+  received: string,
+  quantity_remaining: number,
+  unit_cost = 1000
+): OpenLot => ({
+  lot_id,
+  expiry_date,
+  received_at: new Date(`${received}T10:00:00`),
+  quantity_remaining,
+  unit_cost,
+  expired: false,
+});
+
+describe('planLotDraw', () => {
+  it('draws the first-expiring lot first and undated lots last', () => {
+    const lots = [
+      lot(1, null, '2026-01-01', 5),
+      lot(2, '2027-06-30', '2026-03-01', 5),
+      lot(3, '2027-01-31', '2026-05-01', 5),
+    ];
+    expect(planLotDraw(lots, 12, 0).map((a) => [a.lotId, a.quantity])).toEqual([
+      [3, 5],
+      [2, 5],
+      [1, 2],
+    ]);
+  });
+
+  it('draws oldest first among lots with the same expiry', () => {
+    const lots = [
+      lot(4, '2027-01-31', '2026-05-01', 3),
+      lot(2, '2027-01-31', '2026-02-01', 3),
+      lot(3, '2027-01-31', '2026-02-01', 3),
+    ];
+    expect(planLotDraw(lots, 4, 0).map((a) => [a.lotId, a.quantity])).toEqual([
+      [2, 3],
+      [3, 1],
+    ]);
+  });
+
+  it('never draws from an expired or empty lot', () => {
+    const lots = [
+      { ...lot(1, '2026-09-30', '2026-01-01', 10), expired: true },
+      lot(2, '2027-01-31', '2026-02-01', 0),
+      lot(3, '2027-06-30', '2026-03-01', 10, 1500),
+    ];
+    expect(planLotDraw(lots, 2, 0)).toEqual([{ lotId: 3, quantity: 2, unitCost: 1500 }]);
+  });
+
+  it('returns what the lots cannot cover as a lot-less slice at the fallback cost', () => {
+    const lots = [
+      lot(1, null, '2026-01-01', 2, 900),
+      { ...lot(2, '2026-09-30', '2026-01-01', 5), expired: true },
+    ];
+    expect(planLotDraw(lots, 5, 1200)).toEqual([
+      { lotId: 1, quantity: 2, unitCost: 900 },
+      { lotId: null, quantity: 3, unitCost: 1200 },
+    ]);
+    expect(planLotDraw([], 1, 1200)).toEqual([{ lotId: null, quantity: 1, unitCost: 1200 }]);
+  });
+
+  it('draws nothing for zero units', () => {
+    expect(planLotDraw([lot(1, null, '2026-01-01', 5)], 0, 0)).toEqual([]);
+  });
+});
+
+describe('outstandingSlices', () => {
+  const drawn: DrawnSlice[] = [
+    { allocation_id: 10, lot_id: 3, quantity: 5, quantity_returned: 0, unit_cost: 800 },
+    { allocation_id: 11, lot_id: 2, quantity: 2, quantity_returned: 1, unit_cost: 900 },
+  ];
+
+  it('puts back the last drawn lot first, skipping slices already returned', () => {
+    const line = { quantity: 7, quantity_returned: 1, unit_cost: 850 };
+    expect(outstandingSlices(line, drawn)).toEqual([
+      { allocationId: 11, lotId: 2, quantity: 1, unitCost: 900 },
+      { allocationId: 10, lotId: 3, quantity: 5, unitCost: 800 },
+    ]);
+    const fullyReturned = [{ ...drawn[1], quantity_returned: 2 }, drawn[0]];
+    expect(
+      outstandingSlices({ ...line, quantity_returned: 2 }, fullyReturned).map((s) => s.allocationId)
+    ).toEqual([10]);
+  });
+
+  it('returns units the lot rows do not account for first, at the line cost', () => {
+    expect(
+      outstandingSlices({ quantity: 9, quantity_returned: 1, unit_cost: 850 }, drawn)[0]
+    ).toEqual({
+      allocationId: null,
+      lotId: null,
+      quantity: 2,
+      unitCost: 850,
+    });
+    expect(outstandingSlices({ quantity: 3, quantity_returned: 0, unit_cost: 850 }, [])).toEqual([
+      { allocationId: null, lotId: null, quantity: 3, unitCost: 850 },
+    ]);
+  });
+});
+
+describe('takeSlices', () => {
+  it('takes slices in order and splits the last one taken', () => {
+    const slices = [
+      { allocationId: null, lotId: null, quantity: 1, unitCost: 850 },
+      { allocationId: 11, lotId: 2, quantity: 2, unitCost: 900 },
+      { allocationId: 10, lotId: 3, quantity: 5, unitCost: 800 },
+    ];
+    expect(takeSlices(slices, 4)).toEqual([
+      { allocationId: null, lotId: null, quantity: 1, unitCost: 850 },
+      { allocationId: 11, lotId: 2, quantity: 2, unitCost: 900 },
+      { allocationId: 10, lotId: 3, quantity: 1, unitCost: 800 },
+    ]);
+    expect(takeSlices(slices, 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Stand stock-lot allocation — which lots a sale draws from and which slices a
+ * return or void puts back, decided on rows already read under lock.
+ *
+ * The lot writes themselves stay in stand-lot-queries.ts / stand-queries.ts;
+ * this module holds only the ordering rules so they can be tested on plain
+ * rows:
+ * - a draw takes unexpired lots first-expiring first, then oldest first (FIFO),
+ *   lots without an expiry last; whatever they cannot cover is a `lotId: null`
+ *   slice at the fallback cost;
+ * - a return takes a sale line's outstanding units last drawn first, untracked
+ *   units (sales made before lot tracking) before any lot.
+ */
+
+/** One slice of a draw: how many units came from which lot, at what unit cost. */
+export interface LotAllocation {
+  lotId: number | null;
+  quantity: number;
+  unitCost: number;
+}
+
+/** An open lot as read for a draw. */
+export interface OpenLot {
+  lot_id: number;
+  expiry_date: string | null;
+  received_at: Date;
+  quantity_remaining: number;
+  unit_cost: number;
+  /** Past its expiry date (as the database sees today) — never drawn. */
+  expired: boolean;
+}
+
+/** A lot slice of a sale line still out with the customer. */
+export type OutstandingSlice = LotAllocation & { allocationId: number | null };
+
+/** A stand_sale_item_lots row: what one line drew from one lot. */
+export interface DrawnSlice {
+  allocation_id: number;
+  lot_id: number | null;
+  quantity: number;
+  quantity_returned: number;
+  unit_cost: number;
+}
+
+function drawOrder(a: OpenLot, b: OpenLot): number {
+  if (a.expiry_date !== b.expiry_date) {
+    if (a.expiry_date === null) return 1;
+    if (b.expiry_date === null) return -1;
+    return a.expiry_date < b.expiry_date ? -1 : 1;
+  }
+  return a.received_at.getTime() - b.received_at.getTime() || a.lot_id - b.lot_id;
+}
+
+/** Split `quantity` over the lots in draw order, skipping expired and empty ones. */
+export function planLotDraw(
+  lots: OpenLot[],
+  quantity: number,
+  fallbackUnitCost: number
+): LotAllocation[] {
+  const allocations: LotAllocation[] = [];
+  let left = quantity;
+  for (const lot of lots.filter((l) => !l.expired && l.quantity_remaining > 0).sort(drawOrder)) {
+    if (left === 0) break;
+    const take = Math.min(left, lot.quantity_remaining);
+    allocations.push({ lotId: lot.lot_id, quantity: take, unitCost: lot.unit_cost });
+    left -= take;
+  }
+  if (left > 0) {
+    allocations.push({ lotId: null, quantity: left, unitCost: fallbackUnitCost });
+  }
+  return allocations;
+}
+
+/**
+ * The units of a sale line not yet returned, as slices in return order — last
+ * drawn, first back. Units the lot rows don't account for (sales made before
+ * lot tracking) come first, as one `lotId: null` slice at the line cost.
+ */
+export function outstandingSlices(
+  line: { quantity: number; quantity_returned: number; unit_cost: number },
+  drawn: DrawnSlice[]
+): OutstandingSlice[] {
+  const slices: OutstandingSlice[] = [];
+  const untracked =
+    line.quantity -
+    line.quantity_returned -
+    drawn.reduce((sum, d) => sum + d.quantity - d.quantity_returned, 0);
+  if (untracked > 0) {
+    slices.push({ allocationId: null, lotId: null, quantity: untracked, unitCost: line.unit_cost });
+  }
+  for (const d of [...drawn].sort((a, b) => b.allocation_id - a.allocation_id)) {
+    const left = d.quantity - d.quantity_returned;
+    if (left > 0)
+      slices.push({
+        allocationId: d.allocation_id,
+        lotId: d.lot_id,
+        quantity: left,
+        unitCost: d.unit_cost,
+      });
+  }
+  return slices;
+}
+
+/** The first `quantity` units off `slices`, split where a slice is only partly taken. */
+export function takeSlices(slices: OutstandingSlice[], quantity: number): OutstandingSlice[] {
+  const taken: OutstandingSlice[] = [];
+  let left = quantity;
+  for (const slice of slices) {
+    if (left === 0) break;
+    const take = Math.min(left, slice.quantity);
+    taken.push({ ...slice, quantity: take });
+    left -= take;
+  }
+  return taken;
+}
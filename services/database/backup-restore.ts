@@ -0,0 +1,182 @@
+/**
+ * Restore check + swap for the backups written by backup-schedule.ts.
+ *
+ * A check `pg_restore`s the chosen dump into a scratch database
+ * (`<database>_restore_check`, recreated from template0 each time) and compares
+ * every table's row count with the live database, so staff can see what a restore
+ * would bring back — or lose — before committing to it. Nothing touches the live
+ * database until the swap, which:
+ *   1. closes the app's pool and terminates the remaining sessions on both databases,
+ *   2. renames live → `<database>_pre_restore_<stamp>` (kept, never dropped here),
+ *   3. renames the scratch database → live (undoing step 2 if this fails),
+ * after which the route restarts the process so every pool reconnects to the
+ * restored data. The Supabase mirror and Dolphin sink then hold data newer than
+ * the restore; reload them as after any bulk load.
+ *
+ * The app role needs CREATEDB and must own the live database for the renames;
+ * PostgreSQL's own error is surfaced otherwise. One check at a time, held in
+ * memory — a restart forgets it, and the scratch database is simply recreated
+ * by the next check.
+ */
+import pg from 'pg';
+import config from '../../config/config.js';
+import { log } from '../../utils/logger.js';
+import { closePgPool, getPgPool } from './kysely.js';
+import { backupFilename, pgConnectionArgs, spawnPgRestore, waitForPgTool } from './backup.js';
+import { resolveBackupFile } from './backup-schedule.js';
+import type { RestoreCheck, RestoreTableDiff } from '../../shared/contracts/backup.contract.js';
+
+// Renames run from the maintenance database — a database cannot rename itself.
+const MAINTENANCE_DATABASE = 'postgres';
+
+let check: RestoreCheck | null = null;
+
+const liveDatabase = (): string => config.databasePg.database;
+const scratchDatabase = (): string => `${liveDatabase()}_restore_check`;
+const ident = (name: string): string => pg.escapeIdentifier(name);
+
+function clientFor(database: string): pg.Client {
+  const c = config.databasePg;
+  return new pg.Client({ host: c.host, port: c.port, user: c.user, password: c.password, database });
+}
+
+type Queryable = Pick<pg.Pool, 'query'> | Pick<pg.Client, 'query'>;
+
+/** Exact row count of every user table, keyed `schema.table`. */
+async function countRows(db: Queryable): Promise<Map<string, number>> {
+  const tables = await db.query<{ name: string }>(
+    `SELECT format('%I.%I', schemaname, tablename) AS name
+       FROM pg_tables
+      WHERE schemaname NOT IN ('pg_catalog', 'information_schema')
+      ORDER BY 1`
+  );
+  const counts = new Map<string, number>();
+  for (const { name } of tables.rows) {
+    const res = await db.query<{ n: number }>(`SELECT count(*)::int AS n FROM ${name}`);
+    counts.set(name, res.rows[0]!.n);
+  }
+  return counts;
+}
+
+function diffCounts(live: Map<string, number>, backup: Map<string, number>): RestoreTableDiff[] {
+  const names = [...new Set([...live.keys(), ...backup.keys()])];
+  return names
+    .map((table): RestoreTableDiff => {
+      const l = live.get(table) ?? null;
+      const b = backup.get(table) ?? null;
+      return { table, live: l, backup: b, diff: (b ?? 0) - (l ?? 0) };
+    })
+    .sort((a, b) => Number(b.diff !== 0) - Number(a.diff !== 0) || a.table.localeCompare(b.table));
+}
+
+async function runRestoreCheck(current: RestoreCheck, archive: string): Promise<void> {
+  try {
+    const pool = getPgPool();
+    await pool.query(`DROP DATABASE IF EXISTS ${ident(current.scratch_database)}`);
+    await pool.query(`CREATE DATABASE ${ident(current.scratch_database)} TEMPLATE template0`);
+
+    const child = spawnPgRestore([
+      ...pgConnectionArgs(current.scratch_database),
+      '--no-owner',
+      '--no-privileges',
+      archive,
+    ]);
+    child.stdout.resume();
+    await waitForPgTool(child, 'pg_restore');
+
+    const scratch = clientFor(current.scratch_database);
+    await scratch.connect();
+    try {
+      const [live, backup] = await Promise.all([countRows(pool), countRows(scratch)]);
+      current.tables = diffCounts(live, backup);
+    } finally {
+      await scratch.end();
+    }
+    current.state = 'ready';
+    log.info(`Restore check of ${current.file} ready`, {
+      tablesDiffering: current.tables.filter((t) => t.diff !== 0).length,
+    });
+  } catch (error) {
+    current.state = 'failed';
+    current.error = (error as Error).message;
+    log.error(`Restore check of ${current.file} failed`, { error: current.error });
+  } finally {
+    current.finished_at = new Date().toISOString();
+  }
+}
+
+/** The current (or last) restore check; null when none has run since boot. */
+export function getRestoreCheck(): RestoreCheck | null {
+  return check;
+}
+
+/** Start a restore check of `file` in the background. */
+export async function startRestoreCheck(file: string): Promise<RestoreCheck> {
+  if (check?.state === 'running') {
+    throw new Error(`[CONFLICT] A restore check of ${check.file} is already running`);
+  }
+  const archive = await resolveBackupFile(file);
+  const current: RestoreCheck = {
+    file,
+    state: 'running',
+    scratch_database: scratchDatabase(),
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    error: null,
+    tables: [],
+  };
+  check = current;
+  void runRestoreCheck(current, archive);
+  return current;
+}
+
+/** Drop the scratch database and forget the check. */
+export async function discardRestoreCheck(): Promise<boolean> {
+  if (check?.state === 'running') {
+    throw new Error('[CONFLICT] Wait for the restore check to finish before discarding it');
+  }
+  await getPgPool().query(`DROP DATABASE IF EXISTS ${ident(scratchDatabase())}`);
+  const discarded = check !== null;
+  check = null;
+  return discarded;
+}
+
+/**
+ * Swap the checked restore in as the live database. `confirm` must repeat the live
+ * database name. Leaves the pool closed — the caller restarts the process.
+ */
+export async function swapRestoredDatabase(file: string, confirm: string): Promise<string> {
+  const live = liveDatabase();
+  if (!check || check.file !== file || check.state !== 'ready') {
+    throw new Error('[INVALID_STATE_TRANSITION] Run a restore check of this backup first');
+  }
+  if (confirm !== live) {
+    throw new Error(`[INVALID_STATE_TRANSITION] Type the database name (${live}) to confirm the swap`);
+  }
+  const scratch = check.scratch_database;
+  // shwan-backup-YYYYMMDD-HHMMSS.dump → YYYYMMDDHHMMSS
+  const previous = `${live}_pre_restore_${backupFilename(new Date()).replace(/\D/g, '')}`;
+
+  log.warn(`Swapping restored backup ${file} in as ${live}; current data kept as ${previous}`);
+  await closePgPool();
+  const admin = clientFor(MAINTENANCE_DATABASE);
+  await admin.connect();
+  try {
+    await admin.query(
+      `SELECT pg_terminate_backend(pid) FROM pg_stat_activity
+        WHERE datname = ANY($1::text[]) AND pid <> pg_backend_pid()`,
+      [[live, scratch]]
+    );
+    await admin.query(`ALTER DATABASE ${ident(live)} RENAME TO ${ident(previous)}`);
+    try {
+      await admin.query(`ALTER DATABASE ${ident(scratch)} RENAME TO ${ident(live)}`);
+    } catch (error) {
+      await admin.query(`ALTER DATABASE ${ident(previous)} RENAME TO ${ident(live)}`);
+      throw new Error(`Swap failed, live database left in place: ${(error as Error).message}`, { cause: error });
+    }
+  } finally {
+    await admin.end();
+  }
+  check.state = 'swapped';
+  return previous;
+}
@@ -0,0 +1,312 @@
+/**
+ * Scheduled database backups — `pg_dump -Fc` written to a local directory on an
+ * hourly or nightly schedule, each with a SHA-256 sidecar, verified after it is
+ * written and rotated to the newest N files.
+ *
+ * Settings live in the key/value `options` table (the lab-sla.ts pattern, editable
+ * from Settings → Database Backup):
+ *   BACKUP_SCHEDULE     — 'off' | 'hourly' | 'nightly' (no row → off)
+ *   BACKUP_DIR          — absolute directory (no row → DEFAULT_BACKUP_DIR)
+ *   BACKUP_RETENTION    — files kept (no row → 14)
+ *   BACKUP_NIGHTLY_HOUR — local hour the nightly run is due at (no row → 2)
+ *
+ * "Due" is measured from the newest backup already in the directory, so a restart
+ * neither skips nor doubles a run. A failed run is retried after RETRY_AFTER_MS
+ * rather than on every tick. Files are `shwan-backup-YYYYMMDD-HHMMSS.dump`
+ * (backup.ts#backupFilename) plus `<file>.sha256` in `sha256sum` format, so a copy
+ * can be checked off-box with `sha256sum -c`. Rotation only ever touches files
+ * matching that name pattern.
+ */
+import { createHash } from 'node:crypto';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { mkdir, readdir, readFile, rename, stat, unlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import config from '../../config/config.js';
+import { log } from '../../utils/logger.js';
+import { startHousekeepingTimer } from '../../utils/housekeeping-timer.js';
+import { getOption, upsertOption } from './queries/options-queries.js';
+import { backupFilename, spawnPgDump, spawnPgRestore, waitForPgTool } from './backup.js';
+import {
+  BACKUP_FILE_PATTERN,
+  BACKUP_SCHEDULES,
+  type BackupFile,
+  type BackupRun,
+  type BackupSchedule,
+  type BackupSettings,
+  type BackupStatus,
+  type BackupVerification,
+} from '../../shared/contracts/backup.contract.js';
+
+/** Option keys in the `options` table. */
+export const BACKUP_SCHEDULE_OPTION = 'BACKUP_SCHEDULE';
+export const BACKUP_DIR_OPTION = 'BACKUP_DIR';
+export const BACKUP_RETENTION_OPTION = 'BACKUP_RETENTION';
+export const BACKUP_NIGHTLY_HOUR_OPTION = 'BACKUP_NIGHTLY_HOUR';
+
+export const DEFAULT_BACKUP_DIR = path.join(process.cwd(), 'data', 'backups');
+const DEFAULT_RETENTION = 14;
+const DEFAULT_NIGHTLY_HOUR = 2;
+
+const TICK_INTERVAL_MS = 5 * 60 * 1000;
+const RETRY_AFTER_MS = 30 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+let timer: NodeJS.Timeout | null = null;
+let running = false;
+let lastRun: BackupRun | null = null;
+// Verification results this server run, by file name.
+const verifications = new Map<string, BackupVerification>();
+
+function intOption(raw: string | null, min: number, max: number, fallback: number): number {
+  const n = raw === null ? NaN : Number(raw);
+  return Number.isInteger(n) && n >= min && n <= max ? n : fallback;
+}
+
+/** Read the backup settings; a missing or malformed row falls back to its default. */
+export async function getBackupSettings(): Promise<BackupSettings> {
+  const [scheduleRaw, dirRaw, retentionRaw, hourRaw] = await Promise.all([
+    getOption(BACKUP_SCHEDULE_OPTION),
+    getOption(BACKUP_DIR_OPTION),
+    getOption(BACKUP_RETENTION_OPTION),
+    getOption(BACKUP_NIGHTLY_HOUR_OPTION),
+  ]);
+  const schedule = BACKUP_SCHEDULES.includes(scheduleRaw as BackupSchedule) ? (scheduleRaw as BackupSchedule) : 'off';
+  return {
+    schedule,
+    directory: dirRaw?.trim() || DEFAULT_BACKUP_DIR,
+    retention: intOption(retentionRaw, 1, 365, DEFAULT_RETENTION),
+    nightlyHour: intOption(hourRaw, 0, 23, DEFAULT_NIGHTLY_HOUR),
+  };
+}
+
+/**
+ * Persist the backup settings (upsert). A relative directory is rejected — it would
+ * resolve against whatever the process's working directory happens to be.
+ */
+export async function saveBackupSettings(settings: BackupSettings): Promise<BackupSettings> {
+  if (!path.isAbsolute(settings.directory)) {
+    throw new Error('[INVALID_STATE_TRANSITION] The backup directory must be an absolute path');
+  }
+  await Promise.all([
+    upsertOption(BACKUP_SCHEDULE_OPTION, settings.schedule),
+    upsertOption(BACKUP_DIR_OPTION, settings.directory),
+    upsertOption(BACKUP_RETENTION_OPTION, String(settings.retention)),
+    upsertOption(BACKUP_NIGHTLY_HOUR_OPTION, String(settings.nightlyHour)),
+  ]);
+  return settings;
+}
+
+/** Absolute path of a backup in the configured directory ('[NOT_FOUND] ' if absent). */
+export async function resolveBackupFile(file: string): Promise<string> {
+  if (!BACKUP_FILE_PATTERN.test(file)) throw new Error('[NOT_FOUND] Backup not found');
+  const { directory } = await getBackupSettings();
+  const full = path.join(directory, file);
+  try {
+    await stat(full);
+  } catch {
+    throw new Error('[NOT_FOUND] Backup not found');
+  }
+  return full;
+}
+
+/** Backups in `directory`, newest first. A missing directory is simply empty. */
+async function listBackups(directory: string): Promise<BackupFile[]> {
+  let names: string[];
+  try {
+    names = await readdir(directory);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+    throw error;
+  }
+  const files = names.filter((n) => BACKUP_FILE_PATTERN.test(n)).sort().reverse();
+  return Promise.all(
+    files.map(async (file): Promise<BackupFile> => {
+      const full = path.join(directory, file);
+      const info = await stat(full);
+      return {
+        file,
+        size: info.size,
+        created_at: info.mtime.toISOString(),
+        sha256: await readSidecar(full),
+        verification: verifications.get(file) ?? null,
+      };
+    })
+  );
+}
+
+async function readSidecar(full: string): Promise<string | null> {
+  try {
+    const hash = (await readFile(`${full}.sha256`, 'utf8')).trim().split(/\s+/)[0];
+    return hash && /^[0-9a-f]{64}$/i.test(hash) ? hash.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+async function hashFile(full: string): Promise<string> {
+  const hash = createHash('sha256');
+  await pipeline(createReadStream(full), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Re-hash a backup against its sidecar and have `pg_restore --list` read the
+ * archive's table of contents. Never throws for a bad file — the result says why.
+ */
+export async function verifyBackup(file: string): Promise<BackupVerification> {
+  const full = await resolveBackupFile(file);
+  let error: string | null = null;
+  try {
+    const expected = await readSidecar(full);
+    if (!expected) {
+      error = 'No checksum file (.sha256) next to this backup';
+    } else if ((await hashFile(full)) !== expected) {
+      error = 'Checksum mismatch — the file is corrupt or was modified';
+    } else {
+      const child = spawnPgRestore(['--list', full]);
+      child.stdout.resume();
+      await waitForPgTool(child, 'pg_restore');
+    }
+  } catch (err) {
+    error = (err as Error).message;
+  }
+  const result: BackupVerification = { ok: error === null, checked_at: new Date().toISOString(), error };
+  verifications.set(file, result);
+  if (error) log.warn(`Backup verification failed for ${file}`, { error });
+  return result;
+}
+
+/** Delete all but the newest `retention` backups (and their sidecars). */
+async function rotateBackups(directory: string, retention: number): Promise<number> {
+  const names = (await readdir(directory)).filter((n) => BACKUP_FILE_PATTERN.test(n)).sort().reverse();
+  const expired = names.slice(retention);
+  for (const file of expired) {
+    await unlink(path.join(directory, file));
+    await unlink(path.join(directory, `${file}.sha256`)).catch(() => undefined);
+    verifications.delete(file);
+  }
+  return expired.length;
+}
+
+/** pg_dump → `<file>.partial` (hashed on the way), then rename + sidecar. */
+async function writeBackup(directory: string): Promise<string> {
+  await mkdir(directory, { recursive: true });
+  const file = backupFilename(new Date());
+  const full = path.join(directory, file);
+  const partial = `${full}.partial`;
+
+  const child = spawnPgDump();
+  const hash = createHash('sha256');
+  child.stdout.on('data', (chunk: Buffer) => hash.update(chunk));
+  try {
+    await Promise.all([pipeline(child.stdout, createWriteStream(partial)), waitForPgTool(child, 'pg_dump')]);
+  } catch (error) {
+    await unlink(partial).catch(() => undefined);
+    throw error;
+  }
+  await rename(partial, full);
+  await writeFile(`${full}.sha256`, `${hash.digest('hex')}  ${file}\n`);
+  return file;
+}
+
+async function runBackup(run: BackupRun): Promise<void> {
+  try {
+    const settings = await getBackupSettings();
+    const file = await writeBackup(settings.directory);
+    run.file = file;
+    const verification = await verifyBackup(file);
+    if (!verification.ok) throw new Error(`Backup written but failed verification: ${verification.error}`);
+    const removed = await rotateBackups(settings.directory, settings.retention);
+    run.ok = true;
+    log.info(`💾 Database backup written: ${file}${removed ? ` (${removed} old backup(s) rotated out)` : ''}`);
+  } catch (error) {
+    run.ok = false;
+    run.error = (error as Error).message;
+    log.error('Database backup failed', { trigger: run.trigger, error: run.error });
+  } finally {
+    run.finished_at = new Date().toISOString();
+    running = false;
+  }
+}
+
+/**
+ * Start a backup in the background. Returns the run record (also kept as the
+ * status' `lastRun`), or null when one is already running.
+ */
+export function startBackup(trigger: BackupRun['trigger']): BackupRun | null {
+  if (running) return null;
+  running = true;
+  const run: BackupRun = { trigger, started_at: new Date().toISOString(), finished_at: null, ok: null, file: null, error: null };
+  lastRun = run;
+  void runBackup(run);
+  return run;
+}
+
+/**
+ * When the next scheduled backup is due, given the newest one on disk. A time in
+ * the past means "now"; null when the schedule is off.
+ */
+export function nextBackupDue(settings: BackupSettings, newest: Date | null, now: Date = new Date()): Date | null {
+  if (settings.schedule === 'off') return null;
+  if (settings.schedule === 'hourly') return newest ? new Date(newest.getTime() + HOUR_MS) : now;
+  // Nightly: the most recent slot at nightlyHour:00 that is not in the future.
+  const slot = new Date(now);
+  slot.setHours(settings.nightlyHour, 0, 0, 0);
+  if (slot > now) slot.setDate(slot.getDate() - 1);
+  if (!newest || newest < slot) return slot;
+  slot.setDate(slot.getDate() + 1);
+  return slot;
+}
+
+/** Settings, last run and the files on disk (the route adds the restore check). */
+export async function getBackupScheduleStatus(): Promise<Omit<BackupStatus, 'restoreCheck'>> {
+  const settings = await getBackupSettings();
+  let backups: BackupFile[] = [];
+  let directoryError: string | null = null;
+  try {
+    backups = await listBackups(settings.directory);
+  } catch (error) {
+    directoryError = (error as Error).message;
+  }
+  const newest = backups[0] ? new Date(backups[0].created_at) : null;
+  return {
+    database: config.databasePg.database,
+    settings,
+    defaultDirectory: DEFAULT_BACKUP_DIR,
+    running,
+    lastRun,
+    nextRunAt: directoryError ? null : (nextBackupDue(settings, newest)?.toISOString() ?? null),
+    backups,
+    directoryError,
+  };
+}
+
+/** One scheduler tick. Never throws. */
+async function tick(): Promise<void> {
+  if (running) return;
+  try {
+    const settings = await getBackupSettings();
+    if (settings.schedule === 'off') return;
+    if (lastRun?.ok === false && Date.now() - new Date(lastRun.started_at).getTime() < RETRY_AFTER_MS) return;
+    const [newest] = await listBackups(settings.directory);
+    const due = nextBackupDue(settings, newest ? new Date(newest.created_at) : null);
+    if (due && due.getTime() <= Date.now()) startBackup('scheduled');
+  } catch (error) {
+    log.error('Backup scheduler tick failed:', { error: (error as Error).message });
+  }
+}
+
+/** Start the boot check + periodic ticks (idempotent). */
+export function startBackupScheduler(): void {
+  if (timer) return;
+  void tick();
+  timer = startHousekeepingTimer(tick, TICK_INTERVAL_MS);
+}
+
+export function stopBackupScheduler(): void {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -8,8 +8,8 @@ import { log } from '../../utils/logger.js';
  * the child process so a route can stream its stdout straight to an HTTP download.
  * Custom format (`-Fc`): compressed, restorable with `pg_restore`.
  *
- * Connection params come from `config.databasePg`; the binary from `config.pgDumpPath`
- * (PATH `pg_dump` by default, or an absolute path on Windows). The password is passed via
+ * Connection params come from `config.databasePg`; the binaries from `config.pgDumpPath` /
+ * `config.pgRestorePath` (PATH by default, or absolute paths on Windows). The password is passed via
  * the PGPASSWORD env var — never on argv (which would leak in the OS process list). No shell
  * is used and no user input reaches the arguments, so there is no command-injection surface.
  * pg_dump takes an MVCC snapshot (ACCESS SHARE only), so it is safe to run during clinic hours
@@ -25,20 +25,58 @@ export function backupFilename(now: Date): string {
   return `shwan-backup-${stamp}.dump`;
 }
 
-/** Spawn `pg_dump -Fc` for the configured database. The caller streams `child.stdout`. */
-export function spawnPgDump(): ChildProcessWithoutNullStreams {
+/** `-h/-p/-U/-d` for the configured server, pointed at `database` (the app's DB by default). */
+export function pgConnectionArgs(database: string = config.databasePg.database): string[] {
   const c = config.databasePg;
-  const args = [
+  return [
     '-h', c.host,
     '-p', String(c.port),
     '-U', c.user,
-    '-d', c.database,
-    '-Fc', // custom compressed format (restore with pg_restore)
+    '-d', database,
     '--no-password', // never block on an interactive password prompt
   ];
-  log.info('Starting database backup (pg_dump)', { database: c.database, host: c.host });
-  return spawn(config.pgDumpPath, args, {
-    env: { ...process.env, PGPASSWORD: c.password },
+}
+
+function spawnPgTool(binary: string, args: string[]): ChildProcessWithoutNullStreams {
+  return spawn(binary, args, {
+    env: { ...process.env, PGPASSWORD: config.databasePg.password },
     windowsHide: true,
   });
 }
+
+/** Spawn `pg_dump -Fc` for the configured database. The caller streams `child.stdout`. */
+export function spawnPgDump(): ChildProcessWithoutNullStreams {
+  const c = config.databasePg;
+  log.info('Starting database backup (pg_dump)', { database: c.database, host: c.host });
+  return spawnPgTool(config.pgDumpPath, [
+    ...pgConnectionArgs(),
+    '-Fc', // custom compressed format (restore with pg_restore)
+  ]);
+}
+
+/**
+ * Spawn `pg_restore` (config.pgRestorePath) with `args`. Callers add the archive path
+ * and either `--list` or `pgConnectionArgs(<target db>)` — same PGPASSWORD / no-shell
+ * posture as pg_dump.
+ */
+export function spawnPgRestore(args: string[]): ChildProcessWithoutNullStreams {
+  return spawnPgTool(config.pgRestorePath, args);
+}
+
+/**
+ * Resolve when a spawned pg tool exits 0; reject with its (bounded) stderr otherwise.
+ * Attach before the child can exit. The caller still owns stdout (pipe or resume it).
+ */
+export function waitForPgTool(child: ChildProcessWithoutNullStreams, tool: string): Promise<void> {
+  let stderr = '';
+  child.stderr.on('data', (chunk: Buffer) => {
+    if (stderr.length < 8192) stderr += chunk.toString();
+  });
+  return new Promise((resolve, reject) => {
+    child.on('error', (err: Error) => reject(new Error(`${tool} failed to start: ${err.message}`, { cause: err })));
+    child.on('close', (code: number | null) => {
+      if (code === 0) resolve();
+      else reject(new Error(`${tool} failed: ${stderr.trim() || `exit code ${code}`}`));
+    });
+  });
+}
@@ -8,12 +8,13 @@
  * diagnostics + lifecycle. DB_DRIVER defaults to 'pg' and no longer changes runtime behavior.
  */
 import pg from 'pg';
-import type { Pool } from 'pg';
-import { Kysely, PostgresDialect, type Transaction } from 'kysely';
+import type { Pool, PoolClient } from 'pg';
+import { Kysely, PostgresDialect, type PostgresPool, type Transaction } from 'kysely';
 import type { DB } from '../../types/db.js';
 import config from '../../config/config.js';
 import ResourceManager from '../core/ResourceManager.js';
 import { log } from '../../utils/logger.js';
+import { getAuditContext } from '../audit/audit-context.js';
 
 const { Pool: PgPool, types: pgTypes } = pg;
 
@@ -52,19 +53,78 @@ function buildPool(): Pool {
   });
 }
 
+// Pooled clients currently carrying a non-empty `app.audit_ctx`.
+const auditCtxClients = new WeakSet<PoolClient>();
+
+/**
+ * Every client goes back to the pool with `app.audit_ctx` cleared, so no checkout
+ * — Kysely's or a raw getPgPool() one (CDC sync, backup) — inherits the user of
+ * the request that used the client last; sync writes carry no context. The clear
+ * is queued on the client before the pool can hand it on, and a client runs its
+ * queries in order, so it lands ahead of the next borrower's first query.
+ */
+function clearAuditContextOnRelease(err: Error | undefined, client: PoolClient): void {
+  // A client released with an error is discarded by the pool, setting and all.
+  if (err || !auditCtxClients.has(client)) return;
+  auditCtxClients.delete(client);
+  client
+    .query("SELECT set_config('app.audit_ctx', '', false)")
+    .catch((e: Error) => log.warn('PG audit context reset failed', { error: e.message }));
+}
+
 /** Lazily-created node-postgres pool. */
 export function getPgPool(): Pool {
   if (!pool) {
     pool = buildPool();
     pool.on('error', (err: Error) => log.error('PG pool error', { error: err.message }));
+    pool.on('release', clearAuditContextOnRelease);
   }
   return pool;
 }
 
+/**
+ * Mirror the current audit context (services/audit/audit-context.ts) into the
+ * session-level `app.audit_ctx` setting read by the `audit_capture()` trigger.
+ * Session-level rather than SET LOCAL because most writes run outside an
+ * explicit transaction; the release listener above clears it again.
+ */
+async function applyAuditContext(client: PoolClient): Promise<void> {
+  const ctx = getAuditContext();
+  if (!ctx) return;
+  await client.query("SELECT set_config('app.audit_ctx', $1, false)", [JSON.stringify(ctx)]);
+  auditCtxClients.add(client);
+}
+
+/**
+ * The pool as Kysely sees it: a checkout applies the audit context. This runs in
+ * the caller's async context (Kysely awaits connect() inside the request), unlike
+ * the pool's own 'acquire' event, which can fire from another request's release.
+ */
+function auditedPool(): PostgresPool {
+  const pgPool = getPgPool();
+  return {
+    Client: pg.Client,
+    options: pgPool.options,
+    async connect() {
+      const client = await pgPool.connect();
+      try {
+        await applyAuditContext(client);
+      } catch (err) {
+        client.release(err as Error);
+        throw err;
+      }
+      return client;
+    },
+    end: () => pgPool.end(),
+  };
+}
+
 /** Lazily-created Kysely instance over the pg pool. */
 export function getKysely(): Kysely<Database> {
   if (!db) {
-    db = new Kysely<Database>({ dialect: new PostgresDialect({ pool: getPgPool() }) });
+    db = new Kysely<Database>({
+      dialect: new PostgresDialect({ pool: auditedPool() }),
+    });
   }
   return db;
 }
@@ -74,8 +134,12 @@ export function withPgTransaction<T>(cb: (trx: Transaction<Database>) => Promise
   return getKysely().transaction().execute(cb);
 }
 
-// Graceful shutdown — mirrors services/database/pool.ts. Destroying Kysely closes the pool.
-ResourceManager.register('pg-pool', null, async () => {
+/**
+ * Close the pool (and Kysely over it). Used by graceful shutdown, and by the backup
+ * restore swap, which must release every connection to the live database before
+ * renaming it. A later getPgPool()/getKysely() would open a fresh pool.
+ */
+export async function closePgPool(): Promise<void> {
   if (db) {
     await db.destroy();
     db = null;
@@ -86,4 +150,7 @@ ResourceManager.register('pg-pool', null, async () => {
     pool = null;
     log.info('PostgreSQL pool closed');
   }
-});
+}
+
+// Graceful shutdown — mirrors services/database/pool.ts. Destroying Kysely closes the pool.
+ResourceManager.register('pg-pool', null, closePgPool);
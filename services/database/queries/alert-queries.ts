@@ -191,10 +191,11 @@ export async function getAllTasks(limit = 200): Promise<CompletedTask[]> {
 /**
  * Create an alert/task. surface_mode defaults to the DB default ('context') when
  * omitted; the task route passes 'push'. Empty-string dates are normalized to null.
+ * Returns the new alert_id (system-raised tasks keep it to close them later).
  */
-export async function createAlert(input: CreateAlertInput): Promise<void> {
+export async function createAlert(input: CreateAlertInput): Promise<number> {
   const db = getKysely();
-  await db
+  const row = await db
     .insertInto('alerts')
     .values({
       person_id: input.person_id,
@@ -207,7 +208,9 @@ export async function createAlert(input: CreateAlertInput): Promise<void> {
       snoozed_until: input.snoozed_until || null,
       assigned_to: input.assigned_to ?? null,
     })
-    .execute();
+    .returning('alert_id')
+    .executeTakeFirstOrThrow();
+  return row.alert_id;
 }
 
 /**
@@ -231,6 +234,23 @@ export async function setAlertStatus(
     .execute();
 }
 
+/**
+ * Mark system-raised tasks done once their condition has cleared (e.g. the lab
+ * case SLA sweep after the case moves on). Only still-active rows are touched, so
+ * a task staff already dismissed keeps its status.
+ */
+export async function completeAlerts(alertIds: number[], completedBy: string): Promise<number> {
+  if (alertIds.length === 0) return 0;
+  const db = getKysely();
+  const res = await db
+    .updateTable('alerts')
+    .set({ status: 'done', completed_at: sql`LOCALTIMESTAMP`, completed_by: completedBy })
+    .where('alert_id', 'in', alertIds)
+    .where('status', '=', 'active')
+    .executeTakeFirst();
+  return Number(res.numUpdatedRows);
+}
+
 /**
  * Snooze a task in the header until `snoozedUntil` (a 'YYYY-MM-DD' date), or pass
  * null to clear the snooze.
@@ -0,0 +1,159 @@
+/**
+ * Aligner-doctor portal authentication queries
+ *
+ * Manages the `aligner_doctor_portal_auth` table (one row per doctor): password
+ * hash, enabled flag, failed-attempt lockout, last-login tracking, and the
+ * credential version a portal session is stamped with — the doctor-side twin of
+ * patient-portal-auth-queries.ts. Local-only table
+ * (migrations/pg/1783900000000_aligner-doctor-portal.sql); timestamps are local
+ * wall-clock `timestamp` columns → `LOCALTIMESTAMP`.
+ */
+import { sql } from 'kysely';
+import { getKysely } from '../kysely.js';
+
+export type DoctorPortalAuthRow = {
+  dr_id: number;
+  password_hash: string;
+  enabled: boolean;
+  failed_attempts: number;
+  locked_until: Date | null;
+  last_login_at: Date | null;
+  password_set_at: Date;
+  credential_version: number;
+};
+
+/** What middleware/alignerDoctorAuth.ts re-checks on every portal request. */
+export type DoctorPortalSessionState = {
+  enabled: boolean;
+  credential_version: number;
+};
+
+export type PortalDoctor = {
+  dr_id: number;
+  doctor_name: string;
+  doctor_email: string | null;
+};
+
+const now = sql<Date>`LOCALTIMESTAMP`;
+
+export async function getDoctorPortalAuth(drId: number): Promise<DoctorPortalAuthRow | null> {
+  const row = await getKysely()
+    .selectFrom('aligner_doctor_portal_auth')
+    .where('dr_id', '=', drId)
+    .select([
+      'dr_id',
+      'password_hash',
+      'enabled',
+      'failed_attempts',
+      'locked_until',
+      'last_login_at',
+      'password_set_at',
+      'credential_version',
+    ])
+    .executeTakeFirst();
+
+  return row ?? null;
+}
+
+export async function getDoctorPortalSessionState(drId: number): Promise<DoctorPortalSessionState | null> {
+  const row = await getKysely()
+    .selectFrom('aligner_doctor_portal_auth')
+    .where('dr_id', '=', drId)
+    .select(['enabled', 'credential_version'])
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+export async function getPortalDoctorById(drId: number): Promise<PortalDoctor | null> {
+  const row = await getKysely()
+    .selectFrom('aligner_doctors')
+    .where('dr_id', '=', drId)
+    .select(['dr_id', 'doctor_name', 'doctor_email'])
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+/** Login lookup. doctor_email is citext (and unique) → case-insensitive match. */
+export async function getPortalDoctorByEmail(email: string): Promise<PortalDoctor | null> {
+  const row = await getKysely()
+    .selectFrom('aligner_doctors')
+    .where('doctor_email', '=', email.trim())
+    .select(['dr_id', 'doctor_name', 'doctor_email'])
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+/**
+ * Set (or replace) the password — re-enables the login, clears any lockout and
+ * bumps the credential version, which signs out sessions on the old password.
+ */
+export async function upsertDoctorPortalPassword(drId: number, passwordHash: string): Promise<void> {
+  await getKysely()
+    .insertInto('aligner_doctor_portal_auth')
+    .values({ dr_id: drId, password_hash: passwordHash })
+    .onConflict((oc) =>
+      oc.column('dr_id').doUpdateSet((eb) => ({
+        password_hash: passwordHash,
+        enabled: true,
+        failed_attempts: 0,
+        locked_until: null,
+        password_set_at: now,
+        credential_version: eb('aligner_doctor_portal_auth.credential_version', '+', 1),
+      }))
+    )
+    .execute();
+}
+
+export async function recordDoctorPortalLogin(drId: number): Promise<void> {
+  await getKysely()
+    .updateTable('aligner_doctor_portal_auth')
+    .set({ failed_attempts: 0, locked_until: null, last_login_at: now })
+    .where('dr_id', '=', drId)
+    .execute();
+}
+
+/**
+ * Increment the failed-attempt count. If the (new) count >= 5, set locked_until
+ * to 30 minutes from now. Returns the new locked_until.
+ */
+export async function recordDoctorPortalFailure(drId: number): Promise<Date | null> {
+  const row = await getKysely()
+    .updateTable('aligner_doctor_portal_auth')
+    .set((eb) => ({
+      failed_attempts: eb('failed_attempts', '+', 1),
+      locked_until: sql<Date | null>`case
+        when ${eb.ref('failed_attempts')} + 1 >= 5 then LOCALTIMESTAMP + interval '30 minutes'
+        else ${eb.ref('locked_until')}
+      end`,
+    }))
+    .where('dr_id', '=', drId)
+    .returning('locked_until')
+    .executeTakeFirst();
+
+  return row?.locked_until ?? null;
+}
+
+/**
+ * False when the doctor has no password row yet (nothing to enable). Disabling
+ * bumps the credential version, so re-enabling doesn't revive old sessions.
+ */
+export async function setDoctorPortalEnabled(drId: number, enabled: boolean): Promise<boolean> {
+  const row = await getKysely()
+    .updateTable('aligner_doctor_portal_auth')
+    .set((eb) => ({
+      enabled,
+      ...(enabled ? {} : { credential_version: eb('credential_version', '+', 1) }),
+    }))
+    .where('dr_id', '=', drId)
+    .returning('dr_id')
+    .executeTakeFirst();
+  return !!row;
+}
+
+export async function clearDoctorPortalLockout(drId: number): Promise<void> {
+  await getKysely()
+    .updateTable('aligner_doctor_portal_auth')
+    .set({ failed_attempts: 0, locked_until: null })
+    .where('dr_id', '=', drId)
+    .execute();
+}
@@ -0,0 +1,107 @@
+/**
+ * Aligner supply forecast reads + the reminder sweep's bookkeeping.
+ *
+ * The forecast walks every batch of every set still in treatment (active set,
+ * aligner work type, work not finished/discontinued) — the projection itself is
+ * pure and lives in services/business/AlignerForecastService.ts. The sweep
+ * (services/business/aligner-reminder-sweep.ts) records the task it raised on the
+ * batch that is running out (`depletion_alert_*`,
+ * migrations/pg/1783800000000_aligner-depletion-reminders.sql).
+ */
+import { sql } from 'kysely';
+import { getKysely } from '../kysely.js';
+import { CLOSED_WORK_STATUSES } from '../../../shared/contracts/aligner.contract.js';
+
+/** One batch of an in-treatment set, with its set/patient/doctor context. */
+export type ForecastSourceBatch = {
+  aligner_set_id: number;
+  work_id: number;
+  person_id: number;
+  patient_name: string;
+  aligner_dr_id: number;
+  doctor_name: string;
+  set_sequence: number | null;
+  set_days: number | null;
+  aligner_batch_id: number;
+  batch_sequence: number;
+  upper_aligner_count: number;
+  lower_aligner_count: number;
+  has_upper_template: boolean;
+  has_lower_template: boolean;
+  days: number | null;
+  manufacture_date: string | null;
+  delivered_to_patient_date: string | null;
+  is_last: boolean;
+  depletion_alert_id: number | null;
+};
+
+/** Every batch of the sets the forecast covers, set by set in sequence order. */
+export async function getForecastBatches(): Promise<ForecastSourceBatch[]> {
+  const db = getKysely();
+  const rows = await db
+    .selectFrom('aligner_batches as b')
+    .innerJoin('aligner_sets as s', 's.aligner_set_id', 'b.aligner_set_id')
+    .innerJoin('works as w', 'w.work_id', 's.work_id')
+    .innerJoin('patients as p', 'p.person_id', 'w.person_id')
+    .innerJoin('aligner_doctors as ad', 'ad.dr_id', 's.aligner_dr_id')
+    .where('s.is_active', '=', true)
+    .where('w.type_of_work', 'in', [19, 20, 21])
+    .where((eb) => eb.or([eb('w.status', 'is', null), eb('w.status', 'not in', [...CLOSED_WORK_STATUSES])]))
+    .select([
+      's.aligner_set_id',
+      's.work_id',
+      'w.person_id',
+      'p.patient_name',
+      's.aligner_dr_id',
+      'ad.doctor_name',
+      's.set_sequence',
+      's.days as set_days',
+      'b.aligner_batch_id',
+      'b.batch_sequence',
+      'b.upper_aligner_count',
+      'b.lower_aligner_count',
+      'b.has_upper_template',
+      'b.has_lower_template',
+      'b.days',
+      'b.manufacture_date',
+      'b.delivered_to_patient_date',
+      'b.is_last',
+      'b.depletion_alert_id',
+    ])
+    .orderBy('s.aligner_set_id')
+    .orderBy('b.batch_sequence')
+    .execute();
+  return rows as ForecastSourceBatch[];
+}
+
+/** Record the task raised for the batch running out. */
+export async function markBatchDepletionAlerted(batchId: number, alertId: number): Promise<void> {
+  const db = getKysely();
+  await db
+    .updateTable('aligner_batches')
+    .set({ depletion_alert_id: alertId, depletion_alerted_at: sql`LOCALTIMESTAMP` })
+    .where('aligner_batch_id', '=', batchId)
+    .execute();
+}
+
+/**
+ * Detach the reminder task from every batch NOT in `stillPending` — its next batch
+ * got manufactured, or the set no longer needs one (finished, deactivated, batch
+ * deleted). Returns the alert ids to complete.
+ */
+export async function clearSettledDepletionAlerts(stillPending: number[]): Promise<number[]> {
+  const db = getKysely();
+  const pending = stillPending.length > 0 ? stillPending : [0];
+  const res = await sql<{ alert_id: number }>`
+    UPDATE aligner_batches b
+    SET depletion_alert_id = NULL, depletion_alerted_at = NULL
+    FROM (
+      SELECT aligner_batch_id, depletion_alert_id FROM aligner_batches
+      WHERE depletion_alert_id IS NOT NULL
+        AND aligner_batch_id <> ALL(${pending}::int[])
+    ) settled
+    WHERE b.aligner_batch_id = settled.aligner_batch_id
+    RETURNING settled.depletion_alert_id AS alert_id
+  `.execute(db);
+  return res.rows.map((r) => r.alert_id);
+}
@@ -0,0 +1,105 @@
+/**
+ * Aligner doctor statement queries (PostgreSQL / Kysely).
+ *
+ * Raw inputs for the per-doctor aligner ledger: the doctor header, every set
+ * the doctor referred (with its batch counts) and every invoice booked against
+ * those sets, refunds included. AlignerStatementService splits them into the
+ * opening balance and the month's entries; nothing is aggregated here.
+ *
+ * Only rows on or before `throughDate` are read — a statement for an earlier
+ * month must not show later fees or payments.
+ *
+ * Dates cross this boundary as 'YYYY-MM-DD' strings (to_char out).
+ * Row types are `type` (not `interface`) for the contract's looseObject rule.
+ */
+import { sql } from 'kysely';
+import { getKysely } from '../kysely.js';
+
+export type StatementDoctorRow = {
+  dr_id: number;
+  doctor_name: string;
+  doctor_email: string | null;
+};
+
+export type StatementSetRow = {
+  aligner_set_id: number;
+  work_id: number;
+  person_id: number;
+  patient_name: string | null;
+  set_sequence: number | null;
+  currency: string | null;
+  /** Null until staff price the set — it then carries no fee. */
+  set_cost: number | null;
+  /** creation_date, else the set's first batch. */
+  charge_date: string | null;
+  batch_count: number;
+  batches_delivered: number;
+};
+
+export type StatementSetPaymentRow = {
+  invoice_id: number;
+  aligner_set_id: number;
+  date_of_payment: string;
+  amount_paid: number;
+  refund_of_invoice_id: number | null;
+  refund_reason: string | null;
+};
+
+export async function getStatementDoctor(drId: number): Promise<StatementDoctorRow | null> {
+  const { rows } = await sql<StatementDoctorRow>`
+    SELECT "dr_id", "doctor_name", "doctor_email"
+    FROM "aligner_doctors"
+    WHERE "dr_id" = ${drId}
+  `.execute(getKysely());
+  return rows[0] ?? null;
+}
+
+/** The doctor's sets charged on or before `throughDate`, oldest first. */
+export async function getStatementSets(drId: number, throughDate: string): Promise<StatementSetRow[]> {
+  const { rows } = await sql<StatementSetRow>`
+    SELECT * FROM (
+      SELECT
+        s."aligner_set_id", s."work_id", w."person_id", p."patient_name", s."set_sequence",
+        s."currency", s."set_cost"::float8 AS "set_cost",
+        to_char(COALESCE(s."creation_date", b."first_batch"), 'YYYY-MM-DD') AS "charge_date",
+        COALESCE(b."batch_count", 0)::int AS "batch_count",
+        COALESCE(b."batches_delivered", 0)::int AS "batches_delivered"
+      FROM "aligner_sets" s
+      JOIN "works" w ON w."work_id" = s."work_id"
+      JOIN "patients" p ON p."person_id" = w."person_id"
+      LEFT JOIN LATERAL (
+        SELECT
+          min(ab."creation_date")::date AS "first_batch",
+          count(*) AS "batch_count",
+          count(*) FILTER (
+            WHERE ab."delivered_to_patient_date" <= ${throughDate}::date
+          ) AS "batches_delivered"
+        FROM "aligner_batches" ab
+        WHERE ab."aligner_set_id" = s."aligner_set_id"
+      ) b ON true
+      WHERE s."aligner_dr_id" = ${drId}
+    ) sets
+    WHERE sets."charge_date" IS NULL OR sets."charge_date" <= ${throughDate}
+    ORDER BY sets."charge_date" NULLS FIRST, sets."aligner_set_id"
+  `.execute(getKysely());
+  return rows;
+}
+
+/** Every payment and refund on the doctor's sets up to `throughDate`. */
+export async function getStatementSetPayments(
+  drId: number,
+  throughDate: string
+): Promise<StatementSetPaymentRow[]> {
+  const { rows } = await sql<StatementSetPaymentRow>`
+    SELECT
+      i."invoice_id", i."aligner_set_id",
+      to_char(i."date_of_payment", 'YYYY-MM-DD') AS "date_of_payment",
+      i."amount_paid", i."refund_of_invoice_id", i."refund_reason"
+    FROM "invoices" i
+    JOIN "aligner_sets" s ON s."aligner_set_id" = i."aligner_set_id"
+    WHERE s."aligner_dr_id" = ${drId}
+      AND i."date_of_payment" <= ${throughDate}::date
+    ORDER BY i."date_of_payment", i."invoice_id"
+  `.execute(getKysely());
+  return rows;
+}
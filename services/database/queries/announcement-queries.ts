@@ -5,7 +5,10 @@
  * mirror, where the aligner portal reads them under RLS (broadcast or own
  * dr_id). Read receipts flow the OTHER way: the portal inserts them on the
  * mirror and reverse sync carries them home, so `getAnnouncementReceipts` /
- * the read_count subquery only ever read local rows.
+ * the read_count subquery only ever read local rows. The in-server doctor
+ * portal (routes/aligner-portal.ts) reads and acknowledges them locally instead
+ * (`listDoctorAnnouncements` / `recordAnnouncementReceipt`); those receipts
+ * forward-sync like any local write.
  *
  * Two flavors share the table: manual staff-composed rows (auto_event NULL) and
  * system batch events written by `insertBatchAutoAnnouncement` inside
@@ -224,6 +227,85 @@ export async function getAnnouncementReceipts(
     .execute();
 }
 
+// ── Doctor portal (routes/aligner-portal.ts) ──────────────────────────────────
+
+// Matches the doctor portal's announcement row (timestamps are Date server-side).
+type DoctorAnnouncementRow = {
+  announcement_id: number;
+  title: string;
+  message: string;
+  announcement_type: AnnouncementType;
+  is_dismissible: boolean;
+  link_url: string | null;
+  link_text: string | null;
+  expires_at: Date | null;
+  created_at: Date;
+  read_at: Date | null;
+};
+
+// What one doctor may see: broadcasts plus the ones targeted at them, unexpired.
+function visibleToDoctor(drId: number) {
+  return getKysely()
+    .selectFrom('doctor_announcements as a')
+    .where((eb) =>
+      eb.and([
+        eb.or([eb('a.target_doctor_id', 'is', null), eb('a.target_doctor_id', '=', drId)]),
+        eb.or([eb('a.expires_at', 'is', null), eb('a.expires_at', '>', sql<Date>`LOCALTIMESTAMP`)]),
+      ])
+    );
+}
+
+/** The doctor's announcements, newest first, with their own receipt (null = unread). */
+export async function listDoctorAnnouncements(drId: number): Promise<DoctorAnnouncementRow[]> {
+  const rows = await visibleToDoctor(drId)
+    .leftJoin('doctor_announcement_reads as r', (join) =>
+      join.onRef('r.announcement_id', '=', 'a.announcement_id').on('r.dr_id', '=', drId)
+    )
+    .select([
+      'a.announcement_id',
+      'a.title',
+      'a.message',
+      'a.announcement_type',
+      'a.is_dismissible',
+      'a.link_url',
+      'a.link_text',
+      'a.expires_at',
+      'a.created_at',
+      'r.read_at',
+    ])
+    .orderBy('a.created_at', 'desc')
+    .execute();
+  return rows.map((r) => ({ ...r, announcement_type: r.announcement_type as AnnouncementType }));
+}
+
+/**
+ * Acknowledge an announcement on the doctor's behalf. Idempotent — a repeat keeps
+ * the first read_at. Returns null when the announcement isn't one this doctor can
+ * see (gone, expired, or targeted at someone else).
+ */
+export async function recordAnnouncementReceipt(
+  announcementId: number,
+  drId: number
+): Promise<{ read_at: Date } | null> {
+  const visible = await visibleToDoctor(drId)
+    .where('a.announcement_id', '=', announcementId)
+    .select('a.announcement_id')
+    .executeTakeFirst();
+  if (!visible) return null;
+
+  await getKysely()
+    .insertInto('doctor_announcement_reads')
+    .values({ announcement_id: announcementId, dr_id: drId })
+    .onConflict((oc) => oc.columns(['announcement_id', 'dr_id']).doNothing())
+    .execute();
+  return getKysely()
+    .selectFrom('doctor_announcement_reads')
+    .select('read_at')
+    .where('announcement_id', '=', announcementId)
+    .where('dr_id', '=', drId)
+    .executeTakeFirstOrThrow();
+}
+
 // ── Auto events (called inside updateBatchStatus's transaction) ───────────────
 
 /**
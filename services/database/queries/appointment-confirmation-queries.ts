@@ -0,0 +1,151 @@
+/**
+ * Appointment confirmation queries (PostgreSQL / Kysely) — the "reply 1 to
+ * confirm, 2 to reschedule" flag on reminded appointments and the call tasks
+ * raised for the ones nobody answered.
+ *
+ * Columns (migrations/pg/1784400000000_appointment-confirmation.sql):
+ * `confirmation_status` / `confirmation_at` / `confirmation_source` are the flag,
+ * `confirm_task_id` the header-bell task raised for the appointment, if any.
+ *
+ * Row types are `type` (not `interface`) for the contract's looseObject rule.
+ */
+import { sql } from 'kysely';
+import { getKysely } from '../kysely.js';
+
+export type ConfirmationStatus = 'confirmed' | 'reschedule_requested';
+export type ConfirmationSource = 'whatsapp' | 'staff';
+
+/** An upcoming reminded appointment a patient's reply can answer. */
+export type ReplyableAppointment = {
+  appointment_id: number;
+  person_id: number;
+  /** 'YYYY-MM-DD' */
+  app_day: string;
+  /** 'HH:MM', null for an untimed (midnight) appointment. */
+  app_time: string | null;
+  patient_name: string | null;
+  first_name: string | null;
+  /** patients.language — the reminder's language (message-templates.ts#patientMessageLanguage). */
+  language: number | null;
+  doctor_name: string | null;
+  confirmation_status: ConfirmationStatus | null;
+  confirm_task_id: number | null;
+};
+
+/** An appointment due tomorrow with no answer and no call task yet. */
+export type UnconfirmedAppointment = {
+  appointment_id: number;
+  person_id: number;
+  app_day: string;
+  app_time: string | null;
+  patient_name: string | null;
+  phone: string | null;
+  doctor_name: string | null;
+  /** The WhatsApp reminder went out (appointments.sent_wa). */
+  reminded: boolean;
+};
+
+/** The row the staff override reads before changing it. */
+export type AppointmentConfirmation = {
+  appointment_id: number;
+  app_day: string;
+  confirmation_status: ConfirmationStatus | null;
+  confirm_task_id: number | null;
+};
+
+const APP_TIME = sql<string | null>`CASE WHEN a."app_date"::time = '00:00' THEN NULL ELSE to_char(a."app_date", 'HH24:MI') END`;
+
+/**
+ * The not-yet-attended appointments of these patients whose WhatsApp reminder
+ * went out and that are still ahead (today onwards, within `withinDays` days —
+ * reminders are only sent one or two days before), nearest first.
+ */
+export async function findReplyableAppointments(
+  personIds: number[],
+  withinDays: number
+): Promise<ReplyableAppointment[]> {
+  if (personIds.length === 0) return [];
+  const { rows } = await sql<ReplyableAppointment>`
+    SELECT a."appointment_id", a."person_id",
+           to_char(a."app_date", 'YYYY-MM-DD') AS "app_day",
+           ${APP_TIME} AS "app_time",
+           p."patient_name", p."first_name", p."language",
+           e."employee_name" AS "doctor_name",
+           a."confirmation_status", a."confirm_task_id"
+    FROM "appointments" a
+    JOIN "patients" p ON p."person_id" = a."person_id"
+    LEFT JOIN "employees" e ON e."id" = a."dr_id"
+    WHERE a."person_id" = ANY(${personIds}::int[])
+      AND a."sent_wa" = true
+      AND a."present" IS NULL
+      AND a."app_date" >= CURRENT_DATE
+      AND a."app_date" < CURRENT_DATE + ${withinDays + 1}::int
+    ORDER BY a."app_date", a."appointment_id"
+  `.execute(getKysely());
+  return rows;
+}
+
+/** Set (or, with status null, clear) the flag on these appointments. Returns the rows touched. */
+export async function setConfirmation(
+  appointmentIds: number[],
+  status: ConfirmationStatus | null,
+  source: ConfirmationSource
+): Promise<number> {
+  if (appointmentIds.length === 0) return 0;
+  const res = await getKysely()
+    .updateTable('appointments')
+    .set({
+      confirmation_status: status,
+      confirmation_at: status === null ? null : sql`LOCALTIMESTAMP`,
+      confirmation_source: status === null ? null : source,
+    })
+    .where('appointment_id', 'in', appointmentIds)
+    .executeTakeFirst();
+  return Number(res.numUpdatedRows);
+}
+
+/** Remember the call task raised for these appointments. */
+export async function setConfirmTask(appointmentIds: number[], alertId: number): Promise<void> {
+  if (appointmentIds.length === 0) return;
+  await getKysely()
+    .updateTable('appointments')
+    .set({ confirm_task_id: alertId })
+    .where('appointment_id', 'in', appointmentIds)
+    .execute();
+}
+
+/** One appointment's flag + task, for the staff override. */
+export async function getAppointmentConfirmation(appointmentId: number): Promise<AppointmentConfirmation | null> {
+  const { rows } = await sql<AppointmentConfirmation>`
+    SELECT "appointment_id", to_char("app_date", 'YYYY-MM-DD') AS "app_day",
+           "confirmation_status", "confirm_task_id"
+    FROM "appointments"
+    WHERE "appointment_id" = ${appointmentId}
+  `.execute(getKysely());
+  return rows[0] ?? null;
+}
+
+/**
+ * Tomorrow's appointments nobody has answered for — no flag, no call task yet,
+ * not already checked in — with what the call task needs. Earliest first.
+ */
+export async function getUnconfirmedTomorrow(): Promise<UnconfirmedAppointment[]> {
+  const { rows } = await sql<UnconfirmedAppointment>`
+    SELECT a."appointment_id", a."person_id",
+           to_char(a."app_date", 'YYYY-MM-DD') AS "app_day",
+           ${APP_TIME} AS "app_time",
+           p."patient_name", p."phone",
+           e."employee_name" AS "doctor_name",
+           COALESCE(a."sent_wa", false) AS "reminded"
+    FROM "appointments" a
+    JOIN "patients" p ON p."person_id" = a."person_id"
+    LEFT JOIN "employees" e ON e."id" = a."dr_id"
+    WHERE a."app_date" >= CURRENT_DATE + 1
+      AND a."app_date" < CURRENT_DATE + 2
+      AND a."confirmation_status" IS NULL
+      AND a."confirm_task_id" IS NULL
+      AND a."present" IS NULL
+    ORDER BY a."app_date", a."appointment_id"
+  `.execute(getKysely());
+  return rows;
+}
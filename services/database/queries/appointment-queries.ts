@@ -100,7 +100,8 @@ export async function updatePresent(
       if (present !== null || seated !== null || dismissed !== null) {
         throw new Error('[INVALID_STATE_TRANSITION] Cannot check in: patient is already checked in, seated, or dismissed');
       }
-      await trx.updateTable('appointments').set({ present: Tim }).where('appointment_id', '=', Aid).execute();
+      // A late check-in (after the end-of-day no-show sweep ran) clears the mark.
+      await trx.updateTable('appointments').set({ present: Tim, no_show_at: null }).where('appointment_id', '=', Aid).execute();
     } else if (state === 'seated') {
       if (present === null) throw new Error('[INVALID_STATE_TRANSITION] Cannot seat: patient is not checked in');
       if (seated !== null) throw new Error('[INVALID_STATE_TRANSITION] Cannot seat: patient is already seated');
@@ -167,7 +168,7 @@ export async function getDailyAppointmentsOptimized(
     .where('a.app_day', '=', sql<string>`${dateStr}::date`)
     .select([
       'a.appointment_id', 'a.person_id', 'a.app_detail', 'a.present', 'a.seated', 'a.dismissed',
-      'a.app_date', 'a.app_cost', 'a.dr_id', 'p.patient_name', 'p.patient_type_id',
+      'a.app_date', 'a.app_cost', 'a.dr_id', 'a.confirmation_status', 'p.patient_name', 'p.patient_type_id',
       'pt.patient_type', 'pt.patient_type_name_ar',
       sql<boolean>`EXISTS(SELECT 1 FROM "alerts" al WHERE al."person_id"=p."person_id" AND al."status"='active' AND (al."expires_at" IS NULL OR al."expires_at" >= CURRENT_DATE))`.as('hasActiveAlert'),
       sql<boolean>`COALESCE((SELECT (w."type_of_work" IN (1,2,11,19,20)) FROM "works" w WHERE w."person_id"=a."person_id" AND w."status"=1 LIMIT 1), false)`.as('isOrthoVisit'),
@@ -208,6 +209,8 @@ export async function getDailyAppointmentsOptimized(
       hasActiveAlert: r.hasActiveAlert,
       apptime: r.apptime,
       has_visit: r.hasVisit,
+      // Still-to-arrive rows carry the reminder answer (1 = confirm / 2 = reschedule).
+      confirmation_status: r.confirmation_status,
     }));
 
   // Result set 2: checked-in — present IS NOT NULL, ordered by check-in time.
@@ -254,8 +257,11 @@ export interface AppointmentNotificationRow {
   appointment_id: number;
   app_date: Date;
   patient_name: string;
+  first_name: string | null;
+  language: number | null;
   phone: string | null;
   person_id: number;
+  doctor_name: string | null;
 }
 
 /**
@@ -344,8 +350,18 @@ export async function getAppointmentForNotification(
   const row = await getKysely()
     .selectFrom('appointments as a')
     .innerJoin('patients as p', 'p.person_id', 'a.person_id')
+    .leftJoin('employees as e', 'e.id', 'a.dr_id')
     .where('a.appointment_id', '=', appointmentId)
-    .select(['a.appointment_id as appointment_id', 'a.app_date', 'p.patient_name', 'p.phone', 'p.person_id'])
+    .select([
+      'a.appointment_id as appointment_id',
+      'a.app_date',
+      'p.patient_name',
+      'p.first_name',
+      'p.language',
+      'p.phone',
+      'p.person_id',
+      'e.employee_name as doctor_name',
+    ])
     .executeTakeFirst();
   return (row as AppointmentNotificationRow | undefined) ?? null;
 }
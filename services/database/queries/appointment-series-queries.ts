@@ -0,0 +1,195 @@
+/**
+ * Appointment series queries (PostgreSQL / Kysely).
+ *
+ * A series is a header row in `appointment_series` plus ordinary `appointments`
+ * rows carrying its `series_id` — see migrations/pg/1783000000000_appointment-
+ * series-and-waitlist.sql. "This and following" scopes are always
+ * `series_id = $1 AND app_date >= $anchor AND present IS NULL`: an occurrence the
+ * patient has already attended is history and is never moved or deleted.
+ *
+ * Timestamps cross this boundary as wall-clock 'YYYY-MM-DDTHH:MM:SS' strings
+ * (to_char out, `::timestamp` in) so nothing is shifted through UTC.
+ */
+import { sql } from 'kysely';
+import { getKysely, withPgTransaction } from '../kysely.js';
+
+export interface SeriesHeaderInput {
+  person_id: number;
+  dr_id: number;
+  app_detail: string;
+  first_app_date: string;
+  interval_weeks: number;
+  occurrences: number;
+  created_by: string | null;
+}
+
+export interface SeriesAnchor {
+  appointment_id: number;
+  series_id: number | null;
+  person_id: number;
+  dr_id: number | null;
+  app_date: string;
+}
+
+export interface SeriesOccurrenceRow {
+  appointment_id: number;
+  app_date: string;
+  dr_id: number | null;
+}
+
+export interface SeriesOccurrenceUpdate {
+  appointment_id: number;
+  app_date: string;
+  dr_id: number;
+  app_detail: string;
+}
+
+/**
+ * Insert a series header and its appointments in one transaction.
+ * Returns the new series id and the appointment ids in `appDates` order.
+ */
+export async function createSeriesWithAppointments(
+  header: SeriesHeaderInput,
+  appDates: string[]
+): Promise<{ seriesId: number; appointmentIds: number[] }> {
+  return withPgTransaction(async (trx) => {
+    const { id: seriesId } = await trx
+      .insertInto('appointment_series')
+      .values({
+        person_id: header.person_id,
+        dr_id: header.dr_id,
+        app_detail: header.app_detail,
+        first_app_date: header.first_app_date,
+        interval_weeks: header.interval_weeks,
+        occurrences: header.occurrences,
+        created_by: header.created_by,
+      })
+      .returning('id')
+      .executeTakeFirstOrThrow();
+
+    const appointmentIds: number[] = [];
+    for (const appDate of appDates) {
+      const row = await trx
+        .insertInto('appointments')
+        .values({
+          person_id: header.person_id,
+          app_date: appDate,
+          app_detail: header.app_detail,
+          dr_id: header.dr_id,
+          series_id: seriesId,
+        })
+        .returning('appointment_id')
+        .executeTakeFirstOrThrow();
+      appointmentIds.push(row.appointment_id);
+    }
+
+    return { seriesId, appointmentIds };
+  });
+}
+
+/** The appointment a "this and following" action is anchored on (null if it doesn't exist). */
+export async function getSeriesAnchor(appointmentId: number): Promise<SeriesAnchor | null> {
+  const { rows } = await sql<SeriesAnchor>`
+    SELECT "appointment_id", "series_id", "person_id", "dr_id",
+           to_char("app_date", 'YYYY-MM-DD"T"HH24:MI:SS') AS "app_date"
+    FROM "appointments"
+    WHERE "appointment_id" = ${appointmentId}
+  `.execute(getKysely());
+  return rows[0] ?? null;
+}
+
+/** Unattended occurrences of `seriesId` on/after `fromAppDate`, ascending. */
+export async function getFollowingOccurrences(
+  seriesId: number,
+  fromAppDate: string
+): Promise<SeriesOccurrenceRow[]> {
+  const { rows } = await sql<SeriesOccurrenceRow>`
+    SELECT "appointment_id", "dr_id",
+           to_char("app_date", 'YYYY-MM-DD"T"HH24:MI:SS') AS "app_date"
+    FROM "appointments"
+    WHERE "series_id" = ${seriesId}
+      AND "app_date" >= ${fromAppDate}::timestamp
+      AND "present" IS NULL
+    ORDER BY "app_date"
+  `.execute(getKysely());
+  return rows;
+}
+
+/**
+ * True when the patient has an appointment on `date` ('YYYY-MM-DD') other than
+ * the ids in `excludeIds` (the occurrences being moved onto that day).
+ */
+export async function hasAppointmentOnDate(
+  personId: number,
+  date: string,
+  excludeIds: number[] = []
+): Promise<boolean> {
+  const { rows } = await sql<{ appointment_id: number }>`
+    SELECT "appointment_id"
+    FROM "appointments"
+    WHERE "person_id" = ${personId}
+      AND "app_date"::date = ${date}::date
+      AND NOT ("appointment_id" = ANY(${excludeIds}::int[]))
+    LIMIT 1
+  `.execute(getKysely());
+  return rows.length > 0;
+}
+
+/**
+ * Apply the recomputed date/doctor/detail to each occurrence, atomically. An
+ * occurrence that moves loses its reminder confirmation (it answered the old time).
+ */
+export async function updateSeriesOccurrences(updates: SeriesOccurrenceUpdate[]): Promise<void> {
+  await withPgTransaction(async (trx) => {
+    for (const u of updates) {
+      await sql`
+        UPDATE "appointments"
+        SET "app_date" = ${u.app_date}::timestamp,
+            "dr_id" = ${u.dr_id},
+            "app_detail" = ${u.app_detail},
+            "confirmation_status" = CASE WHEN "app_date" = ${u.app_date}::timestamp THEN "confirmation_status" END,
+            "confirmation_at" = CASE WHEN "app_date" = ${u.app_date}::timestamp THEN "confirmation_at" END,
+            "confirmation_source" = CASE WHEN "app_date" = ${u.app_date}::timestamp THEN "confirmation_source" END
+        WHERE "appointment_id" = ${u.appointment_id}
+          AND "present" IS NULL
+      `.execute(trx);
+    }
+  });
+}
+
+/**
+ * Delete the unattended occurrences of `seriesId` on/after `fromAppDate`. When no
+ * occurrence is left before the anchor the whole series is over, so the header is
+ * stamped `cancelled_at`. Returns the deleted rows (their slots are now free).
+ */
+export async function cancelSeriesFrom(
+  seriesId: number,
+  fromAppDate: string
+): Promise<{ deleted: SeriesOccurrenceRow[]; seriesEnded: boolean }> {
+  return withPgTransaction(async (trx) => {
+    const { rows: deleted } = await sql<SeriesOccurrenceRow>`
+      DELETE FROM "appointments"
+      WHERE "series_id" = ${seriesId}
+        AND "app_date" >= ${fromAppDate}::timestamp
+        AND "present" IS NULL
+      RETURNING "appointment_id", "dr_id",
+                to_char("app_date", 'YYYY-MM-DD"T"HH24:MI:SS') AS "app_date"
+    `.execute(trx);
+
+    const { rows: earlier } = await sql<{ n: number }>`
+      SELECT COUNT(*)::int AS n FROM "appointments"
+      WHERE "series_id" = ${seriesId} AND "app_date" < ${fromAppDate}::timestamp
+    `.execute(trx);
+
+    const seriesEnded = (earlier[0]?.n ?? 0) === 0;
+    if (seriesEnded) {
+      await sql`
+        UPDATE "appointment_series" SET "cancelled_at" = LOCALTIMESTAMP
+        WHERE "id" = ${seriesId} AND "cancelled_at" IS NULL
+      `.execute(trx);
+    }
+
+    deleted.sort((a, b) => a.app_date.localeCompare(b.app_date));
+    return { deleted, seriesEnded };
+  });
+}
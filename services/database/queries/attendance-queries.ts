@@ -0,0 +1,154 @@
+/**
+ * Appointment attendance queries (PostgreSQL / Kysely) — the no-show sweep, the
+ * per-patient attendance score and the per-doctor/weekday no-show rate.
+ *
+ * An appointment's outcome is read off two columns: `present IS NOT NULL` =
+ * attended, `no_show_at IS NOT NULL` = missed (stamped by markNoShows). Rows with
+ * neither are "unrecorded" (legacy history from before the sweep existed) and are
+ * left out of every rate — see migrations/pg/1783100000000_appointment-no-show.sql.
+ *
+ * Row types are `type` (not `interface`) for the contract's looseObject rule.
+ */
+import { sql } from 'kysely';
+import { getKysely } from '../kysely.js';
+
+/** Below this many recorded outcomes a score is noise — reported as null. */
+export const MIN_ATTENDANCE_SAMPLE = 3;
+
+export type AttendanceRisk = 'low' | 'medium' | 'high';
+
+export type AttendanceHistoryRow = {
+  appointment_id: number;
+  app_date: string;
+  app_detail: string | null;
+  doctor_name: string | null;
+  outcome: 'attended' | 'no_show';
+};
+
+export type PatientAttendance = {
+  person_id: number;
+  attended: number;
+  noShows: number;
+  /** attended / (attended + noShows) as a whole percent; null under MIN_ATTENDANCE_SAMPLE. */
+  score: number | null;
+  risk: AttendanceRisk | null;
+  lastNoShow: string | null;
+  history: AttendanceHistoryRow[];
+};
+
+export type NoShowRateRow = {
+  dr_id: number | null;
+  doctor_name: string | null;
+  /** 0 = Sunday … 6 = Saturday (PG `EXTRACT(DOW …)`). */
+  weekday: number;
+  total: number;
+  noShows: number;
+  /** noShows / total as a percent, 1 decimal. */
+  rate: number;
+};
+
+/** Score → risk band. The bands are what the calendar/overbooking guidance keys on. */
+export function attendanceRisk(score: number | null): AttendanceRisk | null {
+  if (score === null) return null;
+  if (score < 70) return 'high';
+  if (score < 85) return 'medium';
+  return 'low';
+}
+
+/**
+ * Stamp `no_show_at` on every unattended appointment of a FINISHED day (before
+ * today) within the last `lookbackDays` days. Idempotent — already-stamped rows
+ * are skipped — so the sweep can run at boot and on every tick; the bounded
+ * lookback heals missed nights (server down) without ever reaching back into
+ * legacy, unrecorded history. Returns the days touched (for the calendar refresh).
+ */
+export async function markNoShows(lookbackDays: number): Promise<{ marked: number; dates: string[] }> {
+  const { rows } = await sql<{ app_day: string }>`
+    UPDATE "appointments"
+    SET "no_show_at" = LOCALTIMESTAMP
+    WHERE "present" IS NULL
+      AND "no_show_at" IS NULL
+      AND "app_date" < CURRENT_DATE
+      AND "app_date" >= CURRENT_DATE - ${lookbackDays}::int
+    RETURNING to_char("app_date", 'YYYY-MM-DD') AS "app_day"
+  `.execute(getKysely());
+  return { marked: rows.length, dates: [...new Set(rows.map((r) => r.app_day))] };
+}
+
+/**
+ * A patient's attendance over the last `months` months: the recorded outcome
+ * counts, the score/risk derived from them, and the most recent outcomes (newest
+ * first) as the history list.
+ */
+export async function getPatientAttendance(
+  personId: number,
+  months = 12,
+  historyLimit = 20
+): Promise<PatientAttendance> {
+  const db = getKysely();
+  const { rows: totals } = await sql<{ attended: number; noShows: number; lastNoShow: string | null }>`
+    SELECT
+      COUNT(*) FILTER (WHERE "present" IS NOT NULL)::int AS "attended",
+      COUNT(*) FILTER (WHERE "no_show_at" IS NOT NULL)::int AS "noShows",
+      to_char(MAX("app_date") FILTER (WHERE "no_show_at" IS NOT NULL), 'YYYY-MM-DD') AS "lastNoShow"
+    FROM "appointments"
+    WHERE "person_id" = ${personId}
+      AND "app_date" < CURRENT_DATE
+      AND "app_date" >= CURRENT_DATE - make_interval(months => ${months}::int)
+  `.execute(db);
+
+  const { rows: history } = await sql<AttendanceHistoryRow>`
+    SELECT
+      a."appointment_id",
+      to_char(a."app_date", 'YYYY-MM-DD"T"HH24:MI:SS') AS "app_date",
+      a."app_detail",
+      e."employee_name" AS "doctor_name",
+      CASE WHEN a."present" IS NOT NULL THEN 'attended' ELSE 'no_show' END AS "outcome"
+    FROM "appointments" a
+    LEFT JOIN "employees" e ON e."id" = a."dr_id"
+    WHERE a."person_id" = ${personId}
+      AND a."app_date" < CURRENT_DATE
+      AND (a."present" IS NOT NULL OR a."no_show_at" IS NOT NULL)
+    ORDER BY a."app_date" DESC
+    LIMIT ${historyLimit}
+  `.execute(db);
+
+  const { attended, noShows, lastNoShow } = totals[0] ?? { attended: 0, noShows: 0, lastNoShow: null };
+  const recorded = attended + noShows;
+  const score = recorded >= MIN_ATTENDANCE_SAMPLE ? Math.round((attended / recorded) * 100) : null;
+  return {
+    person_id: personId,
+    attended,
+    noShows,
+    score,
+    risk: attendanceRisk(score),
+    lastNoShow,
+    history,
+  };
+}
+
+/**
+ * No-show rate per doctor × weekday over the `days` days before today, counting
+ * recorded outcomes only. Combos with fewer than MIN_ATTENDANCE_SAMPLE recorded
+ * appointments are dropped. Highest rate first — the slots worth overbooking.
+ */
+export async function getNoShowRates(days = 180): Promise<NoShowRateRow[]> {
+  const { rows } = await sql<NoShowRateRow>`
+    SELECT
+      a."dr_id",
+      e."employee_name" AS "doctor_name",
+      EXTRACT(DOW FROM a."app_date")::int AS "weekday",
+      COUNT(*)::int AS "total",
+      COUNT(*) FILTER (WHERE a."no_show_at" IS NOT NULL)::int AS "noShows",
+      ROUND(COUNT(*) FILTER (WHERE a."no_show_at" IS NOT NULL) * 100.0 / COUNT(*), 1)::float8 AS "rate"
+    FROM "appointments" a
+    LEFT JOIN "employees" e ON e."id" = a."dr_id"
+    WHERE a."app_date" < CURRENT_DATE
+      AND a."app_date" >= CURRENT_DATE - ${days}::int
+      AND (a."present" IS NOT NULL OR a."no_show_at" IS NOT NULL)
+    GROUP BY a."dr_id", e."employee_name", EXTRACT(DOW FROM a."app_date")
+    HAVING COUNT(*) >= ${MIN_ATTENDANCE_SAMPLE}
+    ORDER BY "rate" DESC, "total" DESC
+  `.execute(getKysely());
+  return rows;
+}
@@ -0,0 +1,51 @@
+/**
+ * Audit trail reads over `audit_log` (written only by the `audit_capture()`
+ * trigger — migrations/pg/1783600000000_audit-log.sql). Newest first, paged by
+ * id (`beforeId`) rather than OFFSET so a page stays stable while new rows land.
+ */
+import { sql, type RawBuilder } from 'kysely';
+import { getKysely } from '../kysely.js';
+import {
+  AUDIT_PAGE_SIZE,
+  type AuditPage,
+  type AuditRow,
+  type SearchAuditLogQuery,
+} from '../../../shared/contracts/audit.contract.js';
+
+async function readPage(where: RawBuilder<unknown>[], beforeId: number | undefined): Promise<AuditPage> {
+  const conds = [...where];
+  if (beforeId) conds.push(sql`a.id < ${beforeId}`);
+  const res = await sql<AuditRow>`
+    SELECT a.id::int AS id, a.changed_at, a.actor, a.route, a.request_id::text AS request_id,
+           a.tbl, a.pk, a.op, a.person_id, p.patient_name::text AS patient_name, a.before, a.after
+    FROM audit_log a
+    LEFT JOIN patients p ON p.person_id = a.person_id
+    WHERE ${conds.length ? sql.join(conds, sql` AND `) : sql`TRUE`}
+    ORDER BY a.id DESC
+    LIMIT ${AUDIT_PAGE_SIZE + 1}
+  `.execute(getKysely());
+  const rows = res.rows.slice(0, AUDIT_PAGE_SIZE);
+  return {
+    rows,
+    nextBeforeId: res.rows.length > AUDIT_PAGE_SIZE ? rows[rows.length - 1]!.id : null,
+  };
+}
+
+/** The admin-wide search. */
+export function searchAuditLog(filters: SearchAuditLogQuery): Promise<AuditPage> {
+  const conds: RawBuilder<unknown>[] = [];
+  if (filters.table) conds.push(sql`a.tbl = ${filters.table}`);
+  if (filters.table && filters.pk) conds.push(sql`a.pk = ${filters.pk}`);
+  if (filters.op) conds.push(sql`a.op = ${filters.op}`);
+  if (filters.actor) conds.push(sql`a.actor ILIKE ${`%${filters.actor}%`}`);
+  if (filters.personId) conds.push(sql`a.person_id = ${filters.personId}`);
+  if (filters.q) conds.push(sql`a.route ILIKE ${`%${filters.q}%`}`);
+  if (filters.from) conds.push(sql`a.changed_at >= ${filters.from}::timestamp`);
+  if (filters.to) conds.push(sql`a.changed_at < ${filters.to}::date + 1`);
+  return readPage(conds, filters.beforeId);
+}
+
+/** Everything recorded against one patient (the History panel). */
+export function getPatientHistory(personId: number, beforeId?: number): Promise<AuditPage> {
+  return readPage([sql`a.person_id = ${personId}`], beforeId);
+}
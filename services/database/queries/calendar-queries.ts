@@ -22,6 +22,8 @@ export interface CalendarSlotRow {
   drID: number | null;
   patientName: string | null;
   personID: number | null;
+  /** The reminder answer (appointments.confirmation_status); null on empty slots. */
+  confirmationStatus: 'confirmed' | 'reschedule_requested' | null;
   slotStatus: string;
   appointmentCount: number;
 }
@@ -76,6 +78,7 @@ export async function getWeeklyCalendarSlots(
       COALESCE(ta."dr_id", 0)                               AS "drID",
       COALESCE(tp."patient_name", '')                       AS "patientName",
       COALESCE(ta."person_id", 0)                           AS "personID",
+      ta."confirmation_status"                              AS "confirmationStatus",
       CASE
         WHEN ta."appointment_id" IS NOT NULL THEN 'booked'
         WHEN tc."app_date" < LOCALTIMESTAMP THEN 'past'
@@ -186,3 +189,27 @@ export async function fillCalendar(): Promise<{ DaysAdded: number }> {
     return { DaysAdded: Number(result.numAffectedRows ?? 0) };
   });
 }
+
+/**
+ * The `MaxAppointmentsPerSlot` option (default 3) — the capacity rule the calendar
+ * routes colour slots by, shared with the series booker and the wait-list backfill.
+ */
+export async function getMaxAppointmentsPerSlot(): Promise<number> {
+  const { rows } = await sql<{ option_value: string | null }>`
+    SELECT "option_value" FROM "options" WHERE "option_name" = ${'MaxAppointmentsPerSlot'}
+  `.execute(getKysely());
+  const parsed = rows.length > 0 && rows[0].option_value != null ? parseInt(rows[0].option_value, 10) : NaN;
+  return Number.isFinite(parsed) ? parsed : 3;
+}
+
+/**
+ * Number of appointments booked at exactly `slotDateTime` ('YYYY-MM-DD HH:MM:SS' or
+ * 'YYYY-MM-DDTHH:MM:SS', wall-clock) — the per-slot count the calendar compares
+ * against MaxAppointmentsPerSlot.
+ */
+export async function countAppointmentsInSlot(slotDateTime: string): Promise<number> {
+  const { rows } = await sql<{ n: number }>`
+    SELECT COUNT(*)::int AS n FROM "appointments" WHERE "app_date" = ${slotDateTime}::timestamp
+  `.execute(getKysely());
+  return rows[0]?.n ?? 0;
+}
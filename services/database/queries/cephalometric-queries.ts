@@ -0,0 +1,127 @@
+/**
+ * Cephalometric queries (PostgreSQL / Kysely) — `ceph_norms` and the work's
+ * diagnoses per stage, see migrations/pg/1784900000000_cephalometric-norms.sql.
+ *
+ * `mean` / `sd` are numeric columns (strings from pg), read as float8 here.
+ * Row types are `type` (not `interface`) for the contract's looseObject rule.
+ */
+import { sql, type Selectable } from 'kysely';
+import { getKysely, type Database } from '../kysely.js';
+import type { CephMeasureKey, NormSex } from '../../../shared/contracts/cephalometric.contract.js';
+import type { DiagnosisStage } from '../../../shared/contracts/work.contract.js';
+
+export type CephNormRow = {
+  norm_id: number;
+  measure: CephMeasureKey;
+  sex: NormSex | null;
+  age_min: number | null;
+  age_max: number | null;
+  mean: number;
+  sd: number;
+  source: string | null;
+};
+
+export type CephNormInput = Omit<CephNormRow, 'norm_id'>;
+
+/** The work with what the report header and the norm selection need. */
+export type CephWorkRow = {
+  work_id: number;
+  person_id: number;
+  patient_name: string;
+  phone: string | null;
+  date_of_birth: string | null;
+  gender: number | null;
+  type_name: string | null;
+  doctor_name: string | null;
+};
+
+export type DiagnosisRow = Omit<Selectable<Database['diagnoses']>, 'dx_date' | 'updated_at' | 'stage'> & {
+  stage: DiagnosisStage;
+  dx_date: string | null;
+};
+
+function normsQuery() {
+  return getKysely()
+    .selectFrom('ceph_norms')
+    .select([
+      'norm_id',
+      sql<CephMeasureKey>`"measure"`.as('measure'),
+      sql<NormSex | null>`"sex"`.as('sex'),
+      'age_min',
+      'age_max',
+      sql<number>`"mean"::float8`.as('mean'),
+      sql<number>`"sd"::float8`.as('sd'),
+      'source',
+    ]);
+}
+
+/** Every norm, by measure, any-sex before sex-specific, then by age band. */
+export async function listCephNorms(): Promise<CephNormRow[]> {
+  return normsQuery()
+    .orderBy('measure')
+    .orderBy(sql`"sex" NULLS FIRST`)
+    .orderBy(sql`"age_min" NULLS FIRST`)
+    .execute();
+}
+
+export async function getCephNormById(normId: number): Promise<CephNormRow | null> {
+  const row = await normsQuery().where('norm_id', '=', normId).executeTakeFirst();
+  return row ?? null;
+}
+
+export async function insertCephNorm(input: CephNormInput, createdBy: string | null): Promise<number> {
+  const row = await getKysely()
+    .insertInto('ceph_norms')
+    .values({ ...input, created_by: createdBy })
+    .returning('norm_id')
+    .executeTakeFirstOrThrow();
+  return row.norm_id;
+}
+
+/** Returns false when the norm doesn't exist. */
+export async function updateCephNorm(normId: number, input: CephNormInput): Promise<boolean> {
+  const result = await getKysely()
+    .updateTable('ceph_norms')
+    .set(input)
+    .where('norm_id', '=', normId)
+    .executeTakeFirst();
+  return Number(result.numUpdatedRows) > 0;
+}
+
+/** Returns false when the norm doesn't exist. */
+export async function deleteCephNorm(normId: number): Promise<boolean> {
+  const result = await getKysely().deleteFrom('ceph_norms').where('norm_id', '=', normId).executeTakeFirst();
+  return Number(result.numDeletedRows) > 0;
+}
+
+export async function getCephWork(workId: number): Promise<CephWorkRow | null> {
+  const row = await getKysely()
+    .selectFrom('works as w')
+    .innerJoin('patients as p', 'p.person_id', 'w.person_id')
+    .leftJoin('work_types as wt', 'wt.id', 'w.type_of_work')
+    .leftJoin('employees as e', 'e.id', 'w.dr_id')
+    .where('w.work_id', '=', workId)
+    .select([
+      'w.work_id',
+      'w.person_id',
+      'p.patient_name',
+      'p.phone',
+      sql<string | null>`to_char(p."date_of_birth", 'YYYY-MM-DD')`.as('date_of_birth'),
+      'p.gender',
+      'wt.work_type as type_name',
+      'e.employee_name as doctor_name',
+    ])
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+/** The work's diagnoses (initial and/or final). */
+export async function getWorkDiagnoses(workId: number): Promise<DiagnosisRow[]> {
+  const rows = await getKysely()
+    .selectFrom('diagnoses')
+    .selectAll()
+    .select(sql<string | null>`to_char("dx_date", 'YYYY-MM-DD')`.as('dx_date'))
+    .where('work_id', '=', workId)
+    .execute();
+  return rows.map(({ updated_at: _updatedAt, ...row }) => ({ ...row, stage: row.stage as DiagnosisStage }));
+}
@@ -0,0 +1,297 @@
+/**
+ * Lab invoicing — price lists, accrued case charges and monthly lab statements
+ * (raw `sql<Row>` templates typed to the contract rows, like lab-case-queries.ts).
+ *
+ * The accrual itself (`accrueLabCaseCharge`) takes the caller's transaction: it
+ * runs inside the lab case delivery/remake transaction in lab-case-service.ts, so
+ * a rejected transition never leaves a charge behind. Statement reconciliation
+ * (which also writes the expense) lives in services/lab-cases/lab-billing-service.ts.
+ *
+ * Invariant: `amount = units × unit_price` (a per-case price accrues with units = 1).
+ */
+import { sql, type Transaction } from 'kysely';
+import { getKysely, type Database } from '../kysely.js';
+import type {
+  LabPriceRow,
+  LabPriceBody,
+  LabChargeRow,
+  LabStatementRow,
+  UpdateLabChargeBody,
+} from '../../../shared/contracts/lab-billing.contract.js';
+
+// ---------------------------------------------------------------------------
+// Price list
+// ---------------------------------------------------------------------------
+
+const PRICE_SELECT = sql`
+  SELECT pl.id, pl.lab_id, l.lab_name, pl.work_type_id, wt.work_type, pl.material, pl.shade_system,
+         pl.basis, pl.unit_price, pl.remake_price, pl.currency, pl.is_active, pl.created_at
+  FROM lab_price_list pl
+  JOIN labs l ON l.id = pl.lab_id
+  JOIN work_types wt ON wt.id = pl.work_type_id`;
+
+export async function listLabPrices(labId?: number): Promise<LabPriceRow[]> {
+  const db = getKysely();
+  const res = await sql<LabPriceRow>`
+    ${PRICE_SELECT}
+    WHERE pl.is_active ${labId ? sql`AND pl.lab_id = ${labId}` : sql``}
+    ORDER BY l.lab_name, wt.work_type, pl.material NULLS FIRST, pl.shade_system NULLS FIRST
+  `.execute(db);
+  return res.rows;
+}
+
+export async function getLabPrice(id: number): Promise<LabPriceRow | null> {
+  const db = getKysely();
+  const res = await sql<LabPriceRow>`${PRICE_SELECT} WHERE pl.id = ${id}`.execute(db);
+  return res.rows[0] ?? null;
+}
+
+const blankToNull = (value: string | undefined): string | null => value?.trim() || null;
+
+/** Insert a price. Throws PG 23505 when an active price already covers the same key. */
+export async function insertLabPrice(body: LabPriceBody): Promise<number> {
+  const db = getKysely();
+  const res = await sql<{ id: number }>`
+    INSERT INTO lab_price_list (lab_id, work_type_id, material, shade_system, basis, unit_price, remake_price, currency)
+    VALUES (${body.labId}, ${body.workTypeId}, ${blankToNull(body.material)}, ${blankToNull(body.shadeSystem)},
+            ${body.basis}, ${body.unitPrice}, ${body.remakePrice}, ${body.currency})
+    RETURNING id
+  `.execute(db);
+  return res.rows[0]!.id;
+}
+
+/** Replace an active price in place. Returns false when the row is missing or retired. */
+export async function updateLabPriceRow(id: number, body: LabPriceBody): Promise<boolean> {
+  const db = getKysely();
+  const res = await sql`
+    UPDATE lab_price_list
+    SET lab_id = ${body.labId}, work_type_id = ${body.workTypeId},
+        material = ${blankToNull(body.material)}, shade_system = ${blankToNull(body.shadeSystem)},
+        basis = ${body.basis}, unit_price = ${body.unitPrice}, remake_price = ${body.remakePrice},
+        currency = ${body.currency}
+    WHERE id = ${id} AND is_active
+  `.execute(db);
+  return Number(res.numAffectedRows ?? 0) > 0;
+}
+
+export async function retireLabPrice(id: number): Promise<{ id: number } | null> {
+  const db = getKysely();
+  const res = await sql<{ id: number }>`
+    UPDATE lab_price_list SET is_active = false WHERE id = ${id} AND is_active RETURNING id
+  `.execute(db);
+  return res.rows[0] ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Accrual (inside the lab case transaction)
+// ---------------------------------------------------------------------------
+
+/**
+ * Accrue a delivery or remake charge for a case, priced from the most specific
+ * active price-list row for its lab + work type (+ material, + shade system).
+ * A case with no lab accrues nothing; a case with no matching price accrues 0,
+ * unpriced (`price_list_id` NULL), for the statement review to correct. A second
+ * delivery of the same case (after a warranty remake) is a no-op.
+ */
+export async function accrueLabCaseCharge(
+  trx: Transaction<Database>,
+  labCaseId: number,
+  chargeType: 'delivery' | 'remake',
+  occurredAt: string | null,
+  createdBy: string
+): Promise<void> {
+  const info = await sql<{
+    lab_id: number | null;
+    work_type_id: number;
+    material: string | null;
+    shade_system: string | null;
+    teeth: number;
+  }>`
+    SELECT lc.lab_id, w.type_of_work AS work_type_id, COALESCE(lc.material, wi.material) AS material,
+           wi.shade_system,
+           (SELECT COUNT(*)::int FROM work_item_teeth wit WHERE wit.work_item_id = wi.id) AS teeth
+    FROM lab_cases lc
+    JOIN work_items wi ON wi.id = lc.work_item_id
+    JOIN works w ON w.work_id = wi.work_id
+    WHERE lc.id = ${labCaseId}
+  `.execute(trx);
+  const row = info.rows[0];
+  if (!row || row.lab_id === null) return;
+
+  const price = await sql<{ id: number; basis: string; unit_price: number; remake_price: number; currency: string }>`
+    SELECT id, basis, unit_price, remake_price, currency
+    FROM lab_price_list
+    WHERE is_active AND lab_id = ${row.lab_id} AND work_type_id = ${row.work_type_id}
+      AND (material IS NULL OR material = ${row.material})
+      AND (shade_system IS NULL OR shade_system = ${row.shade_system})
+    ORDER BY (material IS NOT NULL) DESC, (shade_system IS NOT NULL) DESC
+    LIMIT 1
+  `.execute(trx);
+  const pl = price.rows[0];
+
+  const units = pl?.basis === 'case' ? 1 : Math.max(row.teeth, 1);
+  const unitPrice = pl ? (chargeType === 'remake' ? pl.remake_price : pl.unit_price) : 0;
+
+  await sql`
+    INSERT INTO lab_case_charges
+      (lab_case_id, lab_id, charge_type, units, unit_price, amount, currency, price_list_id, accrued_at, created_by)
+    VALUES
+      (${labCaseId}, ${row.lab_id}, ${chargeType}, ${units}, ${unitPrice}, ${units * unitPrice},
+       ${pl?.currency ?? 'IQD'}, ${pl?.id ?? null}, COALESCE(${occurredAt}::timestamp, LOCALTIMESTAMP), ${createdBy})
+    ON CONFLICT (lab_case_id) WHERE charge_type = 'delivery' DO NOTHING
+  `.execute(trx);
+}
+
+// ---------------------------------------------------------------------------
+// Charges + statements
+// ---------------------------------------------------------------------------
+
+const CHARGE_SELECT = sql`
+  SELECT ch.id, ch.lab_case_id, ch.lab_id, lc.person_id, p.patient_name, wt.work_type,
+         ch.charge_type, ch.units, ch.unit_price, ch.amount, ch.currency, ch.price_list_id,
+         ch.statement_id, ch.accrued_at, ch.note
+  FROM lab_case_charges ch
+  JOIN lab_cases lc ON lc.id = ch.lab_case_id
+  JOIN patients p ON p.person_id = lc.person_id
+  JOIN work_items wi ON wi.id = lc.work_item_id
+  JOIN works w ON w.work_id = wi.work_id
+  JOIN work_types wt ON wt.id = w.type_of_work`;
+
+/**
+ * The charges on a month's statement: those on a statement for the month, plus the
+ * open ones accrued before the month ended (late stragglers from earlier months
+ * roll onto the next statement rather than being lost).
+ */
+export async function listMonthCharges(periodStart: string, labId?: number): Promise<LabChargeRow[]> {
+  const db = getKysely();
+  const res = await sql<LabChargeRow>`
+    ${CHARGE_SELECT}
+    LEFT JOIN lab_statements s ON s.id = ch.statement_id
+    WHERE (s.period_start = ${periodStart}::date
+           OR (ch.statement_id IS NULL AND ch.accrued_at < (${periodStart}::date + INTERVAL '1 month')))
+      ${labId ? sql`AND ch.lab_id = ${labId}` : sql``}
+    ORDER BY ch.accrued_at, ch.id
+  `.execute(db);
+  return res.rows;
+}
+
+export async function getLabCharge(id: number): Promise<LabChargeRow | null> {
+  const db = getKysely();
+  const res = await sql<LabChargeRow>`${CHARGE_SELECT} WHERE ch.id = ${id}`.execute(db);
+  return res.rows[0] ?? null;
+}
+
+/** Correct an open charge (amount recomputed). Returns false if missing or already reconciled. */
+export async function updateOpenLabCharge(id: number, body: UpdateLabChargeBody): Promise<boolean> {
+  const sets = [];
+  if (body.units !== undefined) sets.push(sql`units = ${body.units}`);
+  if (body.unitPrice !== undefined) sets.push(sql`unit_price = ${body.unitPrice}`);
+  if (body.currency !== undefined) sets.push(sql`currency = ${body.currency}`);
+  if (body.note !== undefined) sets.push(sql`note = ${body.note || null}`);
+  const units = body.units ?? sql`units`;
+  const unitPrice = body.unitPrice ?? sql`unit_price`;
+  sets.push(sql`amount = ${units} * ${unitPrice}`);
+
+  const db = getKysely();
+  const res = await sql`
+    UPDATE lab_case_charges SET ${sql.join(sets, sql`, `)}
+    WHERE id = ${id} AND statement_id IS NULL
+  `.execute(db);
+  return Number(res.numAffectedRows ?? 0) > 0;
+}
+
+const STATEMENT_COLS = sql`id, lab_id, to_char(period_start, 'YYYY-MM-DD') AS period_start, currency,
+  accrued_amount, lab_invoice_no, lab_invoice_amount, expense_id, note, reconciled_at, reconciled_by`;
+
+export async function listMonthStatements(periodStart: string): Promise<LabStatementRow[]> {
+  const db = getKysely();
+  const res = await sql<LabStatementRow>`
+    SELECT ${STATEMENT_COLS} FROM lab_statements WHERE period_start = ${periodStart}::date
+  `.execute(db);
+  return res.rows;
+}
+
+/** Lab names for the statement groups (inactive labs included — they may still have charges). */
+export async function getLabNames(labIds: number[]): Promise<Map<number, string>> {
+  if (labIds.length === 0) return new Map();
+  const rows = await getKysely().selectFrom('labs').select(['id', 'lab_name']).where('id', 'in', labIds).execute();
+  return new Map(rows.map((r) => [r.id, r.lab_name]));
+}
+
+/**
+ * Reconcile inside `trx`: lock the lab's open charges accrued up to month end in
+ * the currency, write the statement and the Lab expense, and attach the charges.
+ * Returns null when there is nothing open to reconcile.
+ */
+export async function insertLabStatement(
+  trx: Transaction<Database>,
+  input: {
+    labId: number;
+    periodStart: string;
+    currency: string;
+    labInvoiceNo: string | null;
+    labInvoiceAmount: number | null;
+    note: string | null;
+    reconciledBy: string;
+    expense: { categoryId: number; expenseDate: string; note: string };
+  }
+): Promise<LabStatementRow | null> {
+  const open = await sql<{ id: number; amount: number }>`
+    SELECT id, amount FROM lab_case_charges
+    WHERE lab_id = ${input.labId} AND currency = ${input.currency} AND statement_id IS NULL
+      AND accrued_at < (${input.periodStart}::date + INTERVAL '1 month')
+    FOR UPDATE
+  `.execute(trx);
+  if (open.rows.length === 0) return null;
+
+  const accrued = open.rows.reduce((sum, r) => sum + r.amount, 0);
+  const expenseAmount = input.labInvoiceAmount ?? accrued;
+
+  const expense = await trx
+    .insertInto('expenses')
+    .values({
+      expense_date: sql<string>`${input.expense.expenseDate}`,
+      amount: expenseAmount,
+      currency: input.currency,
+      note: input.expense.note,
+      category_id: input.expense.categoryId,
+      lab_id: input.labId,
+      is_monthly: false,
+    })
+    .returning('id')
+    .executeTakeFirstOrThrow();
+
+  const res = await sql<LabStatementRow>`
+    INSERT INTO lab_statements
+      (lab_id, period_start, currency, accrued_amount, lab_invoice_no, lab_invoice_amount, expense_id, note, reconciled_by)
+    VALUES
+      (${input.labId}, ${input.periodStart}::date, ${input.currency}, ${accrued}, ${input.labInvoiceNo},
+       ${input.labInvoiceAmount}, ${expense.id}, ${input.note}, ${input.reconciledBy})
+    RETURNING ${STATEMENT_COLS}
+  `.execute(trx);
+  const statement = res.rows[0]!;
+
+  await sql`
+    UPDATE lab_case_charges SET statement_id = ${statement.id}
+    WHERE id IN (${sql.join(open.rows.map((r) => r.id))})
+  `.execute(trx);
+
+  return statement;
+}
+
+/**
+ * Reopen inside `trx`: free the charges, delete the statement and the expense it
+ * booked. Returns null when the statement does not exist.
+ */
+export async function deleteLabStatement(trx: Transaction<Database>, id: number): Promise<{ id: number } | null> {
+  const res = await sql<{ id: number; expense_id: number | null }>`
+    DELETE FROM lab_statements WHERE id = ${id} RETURNING id, expense_id
+  `.execute(trx);
+  const row = res.rows[0];
+  if (!row) return null;
+  // ON DELETE SET NULL already detached the charges; the expense goes explicitly.
+  if (row.expense_id !== null) {
+    await trx.deleteFrom('expenses').where('id', '=', row.expense_id).execute();
+  }
+  return { id: row.id };
+}
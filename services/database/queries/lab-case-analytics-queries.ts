@@ -0,0 +1,187 @@
+/**
+ * Lab case turnaround analytics — reads the `lab_case_events` history back into
+ * per-lab / per-stage numbers, plus the open-case SLA scan shared by the
+ * analytics view and the hourly alert sweep (services/lab-cases/lab-sla-sweep.ts).
+ *
+ * A stage VISIT runs from the event that moved the case into a stage
+ * (stage_change / remake) to the next event that moved it out (stage_change /
+ * remake / cancel) — `LEAD()` over those events per case. Hold/resume/note rows
+ * don't move the case, so time on hold stays inside the visit; holds are
+ * reported separately. A hold ends at the next resume, remake or cancel (remake
+ * and cancel clear `is_on_hold` without writing a resume row; advance writes one).
+ *
+ * Cases are attributed to their CURRENT lab (`lab_cases.lab_id`) and windowed on
+ * `sent_at`. Day spans are fractional, clamped at 0 (a backdated `occurredAt` can
+ * put an event before its predecessor).
+ */
+import { sql, type RawBuilder } from 'kysely';
+import { getKysely } from '../kysely.js';
+import {
+  LAB_LOCATED_STAGES,
+  type LabCaseAnalyticsQuery,
+  type LabTurnaroundRow,
+  type LabStageDwellRow,
+  type LabSlaBreachRow,
+  type LabStage,
+} from '../../../shared/contracts/lab-case.contract.js';
+
+const days = (from: RawBuilder<unknown>, to: RawBuilder<unknown>) =>
+  sql`GREATEST(EXTRACT(EPOCH FROM (${to} - ${from})) / 86400, 0)`;
+
+/** The shared WHERE on `lab_cases lc` — lab + sent_at window. */
+function caseFilter(filters: LabCaseAnalyticsQuery): RawBuilder<unknown> {
+  const conds = [sql`TRUE`];
+  if (filters.labId) conds.push(sql`lc.lab_id = ${filters.labId}`);
+  if (filters.from) conds.push(sql`lc.sent_at >= ${filters.from}::timestamp`);
+  if (filters.to) conds.push(sql`lc.sent_at < ${filters.to}::date + 1`);
+  return sql.join(conds, sql` AND `);
+}
+
+/**
+ * Per lab: case counts, median sent→delivered turnaround, remake rate (share of
+ * cases remade at least once) and hold durations.
+ */
+export async function getLabTurnaround(filters: LabCaseAnalyticsQuery): Promise<LabTurnaroundRow[]> {
+  const db = getKysely();
+  const res = await sql<LabTurnaroundRow>`
+    WITH cases AS (
+      SELECT lc.* FROM lab_cases lc WHERE ${caseFilter(filters)}
+    ),
+    marks AS (
+      SELECT e.lab_case_id, e.event_type, e.occurred_at,
+             LEAD(e.occurred_at) OVER (PARTITION BY e.lab_case_id ORDER BY e.occurred_at, e.id) AS ended_at
+      FROM lab_case_events e
+      JOIN cases c ON c.id = e.lab_case_id
+      WHERE e.event_type IN ('hold', 'resume', 'remake', 'cancel')
+    ),
+    holds AS (
+      SELECT c.lab_id,
+             COUNT(*)::int AS holds,
+             percentile_cont(0.5) WITHIN GROUP (
+               ORDER BY ${days(sql`m.occurred_at`, sql`COALESCE(m.ended_at, LOCALTIMESTAMP)`)}
+             ) AS median_hold_days,
+             SUM(${days(sql`m.occurred_at`, sql`COALESCE(m.ended_at, LOCALTIMESTAMP)`)}) AS total_hold_days
+      FROM marks m
+      JOIN cases c ON c.id = m.lab_case_id
+      WHERE m.event_type = 'hold'
+      GROUP BY c.lab_id
+    )
+    SELECT c.lab_id,
+           l.lab_name,
+           COUNT(*)::int AS cases,
+           (COUNT(*) FILTER (WHERE c.status = 'delivered'))::int AS delivered,
+           (COUNT(*) FILTER (WHERE c.status = 'cancelled'))::int AS cancelled,
+           ROUND((percentile_cont(0.5) WITHIN GROUP (
+             ORDER BY ${days(sql`c.sent_at`, sql`c.delivered_at`)}
+           ) FILTER (WHERE c.delivered_at IS NOT NULL))::numeric, 1) AS median_turnaround_days,
+           (COUNT(*) FILTER (WHERE c.remake_count > 0))::int AS remade_cases,
+           COALESCE(SUM(c.remake_count), 0)::int AS remakes,
+           ROUND((COUNT(*) FILTER (WHERE c.remake_count > 0))::numeric / COUNT(*), 3) AS remake_rate,
+           COALESCE(MAX(h.holds), 0)::int AS holds,
+           ROUND(MAX(h.median_hold_days)::numeric, 1) AS median_hold_days,
+           ROUND(COALESCE(MAX(h.total_hold_days), 0)::numeric, 1) AS total_hold_days
+    FROM cases c
+    LEFT JOIN labs l ON l.id = c.lab_id
+    LEFT JOIN holds h ON h.lab_id IS NOT DISTINCT FROM c.lab_id
+    GROUP BY c.lab_id, l.lab_name
+    ORDER BY l.lab_name NULLS LAST
+  `.execute(db);
+  return res.rows;
+}
+
+/** Per lab × lab-located stage: completed visits and their median / longest days. */
+export async function getLabStageDwell(filters: LabCaseAnalyticsQuery): Promise<LabStageDwellRow[]> {
+  const db = getKysely();
+  const res = await sql<LabStageDwellRow>`
+    WITH visits AS (
+      SELECT e.lab_case_id, e.event_type, e.to_status AS stage, e.occurred_at AS entered_at,
+             LEAD(e.occurred_at) OVER (PARTITION BY e.lab_case_id ORDER BY e.occurred_at, e.id) AS left_at
+      FROM lab_case_events e
+      WHERE e.event_type IN ('stage_change', 'remake', 'cancel')
+    )
+    SELECT lc.lab_id,
+           l.lab_name,
+           v.stage,
+           COUNT(*)::int AS visits,
+           ROUND(percentile_cont(0.5) WITHIN GROUP (
+             ORDER BY ${days(sql`v.entered_at`, sql`v.left_at`)}
+           )::numeric, 1) AS median_days,
+           ROUND(MAX(${days(sql`v.entered_at`, sql`v.left_at`)})::numeric, 1) AS max_days
+    FROM visits v
+    JOIN lab_cases lc ON lc.id = v.lab_case_id
+    LEFT JOIN labs l ON l.id = lc.lab_id
+    WHERE v.event_type <> 'cancel'
+      AND v.left_at IS NOT NULL
+      AND v.stage IN (${sql.join(LAB_LOCATED_STAGES)})
+      AND ${caseFilter(filters)}
+    GROUP BY lc.lab_id, l.lab_name, v.stage
+    ORDER BY l.lab_name NULLS LAST, v.stage
+  `.execute(db);
+  return res.rows;
+}
+
+/** An open case at a lab-located stage, with the sweep's bookkeeping columns. */
+export type OpenLabStageCase = Omit<LabSlaBreachRow, 'sla_days'> & {
+  sla_alert_id: number | null;
+  sla_alert_stage: string | null;
+  sla_alerted_at: Date | null;
+};
+
+/**
+ * Every open, not-on-hold case currently at a lab-located stage and how long it
+ * has been there. The SLA comparison happens in the caller (thresholds are a JSON
+ * option, see lab-sla.ts).
+ */
+export async function getOpenLabStageCases(labId?: number): Promise<OpenLabStageCase[]> {
+  const db = getKysely();
+  const res = await sql<OpenLabStageCase>`
+    SELECT lc.id, wi.work_id, lc.work_item_id, lc.person_id, p.patient_name, lc.lab_id, l.lab_name,
+           lc.material, lc.status, lc.is_rush, lc.status_changed_at,
+           ROUND(${days(sql`lc.status_changed_at`, sql`LOCALTIMESTAMP`)}::numeric, 1) AS days_at_stage,
+           lc.sla_alert_id, lc.sla_alert_stage, lc.sla_alerted_at
+    FROM lab_cases lc
+    JOIN work_items wi ON wi.id = lc.work_item_id
+    JOIN patients p ON p.person_id = lc.person_id
+    LEFT JOIN labs l ON l.id = lc.lab_id
+    WHERE lc.status IN (${sql.join(LAB_LOCATED_STAGES)})
+      AND NOT lc.is_on_hold
+      ${labId ? sql`AND lc.lab_id = ${labId}` : sql``}
+    ORDER BY lc.status_changed_at ASC
+  `.execute(db);
+  return res.rows;
+}
+
+/**
+ * Record the task raised for a case's current stage visit. Guarded on the stage,
+ * so a case that moved while the alert was being written is not stamped — returns
+ * false then, and the caller closes the task straight away.
+ */
+export async function markLabCaseSlaAlerted(id: number, stage: LabStage, alertId: number): Promise<boolean> {
+  const db = getKysely();
+  const res = await sql`
+    UPDATE lab_cases
+    SET sla_alert_id = ${alertId}, sla_alert_stage = ${stage}, sla_alerted_at = LOCALTIMESTAMP
+    WHERE id = ${id} AND status = ${stage}
+  `.execute(db);
+  return Number(res.numAffectedRows ?? 0) > 0;
+}
+
+/**
+ * Detach the SLA task from every case that has left the stage it was raised for
+ * (advanced, remade, delivered or cancelled). Returns the alert ids to complete.
+ */
+export async function clearMovedLabCaseSlaAlerts(): Promise<number[]> {
+  const db = getKysely();
+  const res = await sql<{ alert_id: number }>`
+    UPDATE lab_cases lc
+    SET sla_alert_id = NULL, sla_alert_stage = NULL, sla_alerted_at = NULL
+    FROM (
+      SELECT id, sla_alert_id FROM lab_cases
+      WHERE sla_alert_id IS NOT NULL
+        AND (status IS DISTINCT FROM sla_alert_stage OR status_changed_at > sla_alerted_at)
+    ) moved
+    WHERE lc.id = moved.id
+    RETURNING moved.sla_alert_id AS alert_id
+  `.execute(db);
+  return res.rows.map((r) => r.alert_id);
+}
@@ -0,0 +1,53 @@
+/**
+ * Message template queries (PostgreSQL / Kysely) — the admin-saved texts in
+ * `message_templates` (migrations/pg/1784500000000_message-templates.sql).
+ *
+ * Only overrides live here; the built-in texts and the rendering are in
+ * services/messaging/message-templates.ts. `updated_at` is maintained by the
+ * trg_set_updated_at DB trigger.
+ */
+import { getKysely } from '../kysely.js';
+import type { MessageLanguage, MessageTemplateKey } from '../../../shared/contracts/message-template.contract.js';
+
+export type SavedMessageTemplate = {
+  template_key: MessageTemplateKey;
+  language: MessageLanguage;
+  body: string;
+  updated_at: Date | null;
+  updated_by: string | null;
+};
+
+/** Every saved text, optionally just one type's. */
+export async function getSavedTemplates(key?: MessageTemplateKey): Promise<SavedMessageTemplate[]> {
+  let q = getKysely()
+    .selectFrom('message_templates')
+    .select(['template_key', 'language', 'body', 'updated_at', 'updated_by']);
+  if (key) q = q.where('template_key', '=', key);
+  return (await q.execute()) as SavedMessageTemplate[];
+}
+
+/** Save (insert or replace) one type's text in one language. */
+export async function saveTemplate(
+  key: MessageTemplateKey,
+  language: MessageLanguage,
+  body: string,
+  updatedBy: string | null
+): Promise<void> {
+  await getKysely()
+    .insertInto('message_templates')
+    .values({ template_key: key, language, body, updated_by: updatedBy })
+    .onConflict((oc) =>
+      oc.columns(['template_key', 'language']).doUpdateSet({ body, updated_by: updatedBy })
+    )
+    .execute();
+}
+
+/** Drop a saved text (the built-in one applies again). Returns whether one existed. */
+export async function deleteTemplate(key: MessageTemplateKey, language: MessageLanguage): Promise<boolean> {
+  const res = await getKysely()
+    .deleteFrom('message_templates')
+    .where('template_key', '=', key)
+    .where('language', '=', language)
+    .executeTakeFirst();
+  return Number(res.numDeletedRows) > 0;
+}
@@ -3,8 +3,9 @@
  *
  * Phase 5: every stored proc this module used (GetWhatsAppMessagesToSend, ProcSMS, ProcFetch,
  * Procgetsids, GetMessageStatusByDate, UpdateWhatsAppStatus, UpdateWhatsAppDeliveryStatus,
- * UpdateSingleMessageStatus, ProcUpdatesms1/2) is reimplemented here. The Arabic/English message
- * building, relative-day logic, and phone normalisation the procs did in T-SQL now live in TS;
+ * UpdateSingleMessageStatus, ProcUpdatesms1/2) is reimplemented here. The relative-day logic and
+ * phone normalisation the procs did in T-SQL now live in TS, and the reminder text is rendered
+ * from the admin-editable templates (services/messaging/message-templates.ts);
  * the TVP-driven bulk updates (WhatsTableType / SMSStatusType) become PG `unnest($1::int[], …)`
  * set-based updates. `getNewAppointmentMessage` (was GetNewAppointmentMessage) and
  * `resetMessagingForDate` (was ResetMessagingForDate) are added for the route callers.
@@ -13,7 +14,13 @@
  */
 import { sql } from 'kysely';
 import { getKysely, withPgTransaction } from '../kysely.js';
-import { arabicDay } from '../../../utils/arabic-day.js';
+import {
+  appointmentVars,
+  daysFromToday,
+  loadMessageTemplates,
+  patientMessageLanguage,
+} from '../../messaging/message-templates.js';
+import { MESSAGE_LANGUAGES } from '../../../shared/contracts/message-template.contract.js';
 import { toDateOnly } from '../../../utils/date.js';
 import { log } from '../../../utils/logger.js';
 
@@ -209,43 +216,9 @@ class DatabaseCircuitBreaker {
 
 const dbCircuitBreaker = new DatabaseCircuitBreaker();
 
-// ── Message-building helpers (replace the T-SQL string assembly inside the procs) ──
-
-const ENGLISH_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-
-/** Parse a date-only string as LOCAL midnight (avoids the UTC-parse day-shift). */
-function parseLocalDate(value: Date | string): Date {
-  if (value instanceof Date) return value;
-  return /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(`${value.slice(0, 10)}T00:00:00`) : new Date(value);
-}
-
-/** SQL `DATENAME(dw, ...)` — English weekday name. */
-function englishDay(value: Date | string): string {
-  return ENGLISH_DAYS[parseLocalDate(value).getDay()] ?? '';
-}
-
-/** SQL `DATEDIFF(day, GETDATE(), @date)` — whole days from today (local) to the target date. */
-function daysFromToday(target: Date | string): number {
-  const t = parseLocalDate(target);
-  const now = new Date();
-  const a = Date.UTC(t.getFullYear(), t.getMonth(), t.getDate());
-  const b = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
-  return Math.round((a - b) / 86_400_000);
-}
-
-/** SQL `FORMAT(dt, 'h:mm')` / `'h:mm tt'` — 12-hour clock, no leading-zero hour. */
-function format12h(date: Date, withMeridiem = false): string {
-  const h = date.getHours();
-  const m = String(date.getMinutes()).padStart(2, '0');
-  const h12 = h % 12 || 12;
-  return withMeridiem ? `${h12}:${m} ${h < 12 ? 'AM' : 'PM'}` : `${h12}:${m}`;
-}
-
-/** SQL `FORMAT(d, 'dd/MM/yyyy')`. */
-function formatDMY(value: Date | string): string {
-  const d = parseLocalDate(value);
-  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
-}
+// ── Phone helpers (replace the T-SQL CASE ladders inside the procs) ──
+// The message text itself is rendered from the templates in
+// services/messaging/message-templates.ts.
 
 /** Normalise a local phone to `country_code + number` (no '+'), matching the procs' CASE ladder. */
 function formatPhone(phone: string, countryCode: string): string {
@@ -397,10 +370,25 @@ export async function updateWhatsAppDeliveryStatus(
     });
 }
 
+// The batch reminder's last line is the `confirmation_prompt` template. A "1" /
+// "2" reply is parsed back onto the appointment by
+// services/appointments/appointment-confirmation.ts.
+
+/** A batch reminder without its reply prompt — the text to send when it goes by SMS instead. */
+export async function stripConfirmPrompt(message: string): Promise<string> {
+  const templates = await loadMessageTemplates('confirmation_prompt');
+  for (const lang of MESSAGE_LANGUAGES) {
+    const prompt = templates.render('confirmation_prompt', lang, {});
+    if (message.endsWith(`\n${prompt}`)) return message.slice(0, -(prompt.length + 1));
+  }
+  return message;
+}
+
 /**
  * Enhanced getWhatsAppMessages with circuit breaker. (was: GetWhatsAppMessagesToSend)
  * Only returns rows when the date is tomorrow or the day after (else an empty payload), then
- * marks tblsms.smssent for that date — matching the proc.
+ * marks tblsms.smssent for that date — matching the proc. Each message is the patient's
+ * `appointment_reminder` template followed by its `confirmation_prompt` line.
  */
 export async function getWhatsAppMessages(
   date: Date | string
@@ -413,20 +401,11 @@ export async function getWhatsAppMessages(
       if (dd !== 1 && dd !== 2) return [[], [], [], []] as [string[], string[], number[], string[]];
 
       const dateStr = typeof date === 'string' ? date.slice(0, 10) : toDateOnly(date);
-      const aDay = arabicDay(dateStr);
-      const eDay = englishDay(dateStr);
-      const aMes =
-        dd === 1
-          ? `غدا ${aDay} موعدك مع عيادة د.شوان لتقويم الاسنان الساعة`
-          : `بعد غد ${aDay} موعدك مع عيادة د.شوان لتقويم الاسنان الساعة`;
-      const eMes =
-        dd === 1
-          ? `Tomorrow "${eDay}" is your appointment with Dr. Shwan orthodontic clinic at`
-          : `The day after tomorrow "${eDay}" is your appointment with Dr. Shwan orthodontic clinic at`;
 
       const candidates = await getKysely()
         .selectFrom('appointments as a')
         .innerJoin('patients as p', 'p.person_id', 'a.person_id')
+        .leftJoin('employees as e', 'e.id', 'a.dr_id')
         .where('a.app_day', '=', sql<string>`${dateStr}::date`)
         .where('a.want_wa', '=', true)
         .where((eb) => eb.or([eb('a.notified', 'is', null), eb('a.notified', '=', false)]))
@@ -441,9 +420,11 @@ export async function getWhatsAppMessages(
           'p.first_name as firstName',
           'p.language as language',
           'a.app_date as appDate',
+          'e.employee_name as doctorName',
         ])
         .execute();
 
+      const templates = await loadMessageTemplates();
       const numbers: string[] = [];
       const messages: string[] = [];
       const ids: number[] = [];
@@ -452,14 +433,19 @@ export async function getWhatsAppMessages(
       for (const r of candidates) {
         if (!isValidPhone(r.phone)) continue;
         const cc = r.countryCode || '964';
-        const appDate = r.appDate as unknown as Date;
-        const time = format12h(appDate);
-        const message =
-          r.language === 1
-            ? `Hello ${r.firstName || r.patientName}. ${eMes} ${time}`
-            : `السلام عليك ${r.patientName}. ${aMes} ${time}`;
+        const lang = patientMessageLanguage(r.language);
+        const text = templates.render(
+          'appointment_reminder',
+          lang,
+          appointmentVars(lang, {
+            patientName: r.patientName,
+            firstName: r.firstName,
+            appDate: r.appDate as unknown as Date,
+            doctorName: r.doctorName,
+          })
+        );
         numbers.push(formatPhone(r.phone, cc));
-        messages.push(message);
+        messages.push(`${text}\n${templates.render('confirmation_prompt', lang, {})}`);
         ids.push(r.id);
         names.push(r.patientName || '');
       }
@@ -631,7 +617,9 @@ export async function getWhatsAppDeliveryStatus(
 
 /**
  * SMS messages to send for a date. (was: ProcSMS) Returns nothing when the date is outside
- * [today, today+3]. Uses '+964' + raw phone, matching the proc.
+ * [today, today+3]. Uses '+964' + raw phone, matching the proc. The body is the patient's
+ * `appointment_reminder` template — the same text as the WhatsApp reminder, without the
+ * reply prompt (SMS replies aren't read).
  */
 export async function getSmsMessages(date: Date | string): Promise<SmsMessage[]> {
   const operationName = 'getSmsMessages';
@@ -642,21 +630,11 @@ export async function getSmsMessages(date: Date | string): Promise<SmsMessage[]>
       if (dd < 0 || dd > 3) return [];
 
       const dateStr = typeof date === 'string' ? date.slice(0, 10) : toDateOnly(date);
-      const aDay = arabicDay(dateStr);
-      const eDay = englishDay(dateStr);
-      // A_Mes is only set for DD 1/2 (else NULL → Arabic message empty, as in the proc).
-      const aMes = dd === 1
-        ? `غدا ${aDay} موعدك مع عيادة د.شوان الساعة`
-        : dd === 2
-          ? `بعد غد ${aDay} موعدك مع عيادة د.شوان الساعة`
-          : null;
-      const eMes = dd === 2
-        ? `The day after tommorow "${eDay}" is your appointment with Dr. Shwan orthodontic clinic at `
-        : `Tommorow "${eDay}" is your appointment with Dr. Shwan orthodontic clinic at `;
 
       const rows = await getKysely()
         .selectFrom('appointments as a')
         .innerJoin('patients as p', 'p.person_id', 'a.person_id')
+        .leftJoin('employees as e', 'e.id', 'a.dr_id')
         .where('a.app_day', '=', sql<string>`${dateStr}::date`)
         .where('a.want_notify', '=', true)
         .where((eb) => eb.or([eb('a.notified', 'is', null), eb('a.notified', '=', false)]))
@@ -667,18 +645,24 @@ export async function getSmsMessages(date: Date | string): Promise<SmsMessage[]>
           'p.first_name as firstName',
           'p.language as language',
           'a.app_date as appDate',
+          'e.employee_name as doctorName',
         ])
         .execute();
 
+      const templates = await loadMessageTemplates('appointment_reminder');
       const out: SmsMessage[] = [];
       for (const r of rows) {
-        const time = format12h(r.appDate as unknown as Date);
-        let body: string;
-        if (r.language === 1) {
-          body = `Hello ${r.firstName ?? ''}. ${eMes} ${time}`;
-        } else {
-          body = aMes ? `مرحبا ${r.patientName}. ${aMes} ${time}` : '';
-        }
+        const lang = patientMessageLanguage(r.language);
+        const body = templates.render(
+          'appointment_reminder',
+          lang,
+          appointmentVars(lang, {
+            patientName: r.patientName,
+            firstName: r.firstName,
+            appDate: r.appDate as unknown as Date,
+            doctorName: r.doctorName,
+          })
+        );
         out.push({ id: r.id, to: `+964${r.phone ?? ''}`, body });
       }
       log.info('SMS messages retrieved successfully', { messageCount: out.length, date });
@@ -827,7 +811,8 @@ export async function getMessageStatusByDate(date: Date | string): Promise<Messa
 }
 
 /**
- * Build the reminder message for a single appointment. (was: GetNewAppointmentMessage)
+ * Build the reminder message for a single appointment (the patient's `appointment_reminder`
+ * template). (was: GetNewAppointmentMessage)
  * Returns result=-1 (not found) / -2 (invalid phone) / 0 (ok), mirroring the proc's codes.
  */
 export async function getNewAppointmentMessage(
@@ -837,6 +822,7 @@ export async function getNewAppointmentMessage(
   const row = await getKysely()
     .selectFrom('patients as p')
     .innerJoin('appointments as a', 'a.person_id', 'p.person_id')
+    .leftJoin('employees as e', 'e.id', 'a.dr_id')
     .where('p.person_id', '=', personId)
     .where('a.appointment_id', '=', appointmentId)
     .select([
@@ -845,8 +831,8 @@ export async function getNewAppointmentMessage(
       'p.phone as phone',
       'p.country_code as countryCode',
       'p.language as language',
-      'a.app_day as appDay',
       'a.app_date as appDate',
+      'e.employee_name as doctorName',
     ])
     .executeTakeFirst();
 
@@ -860,32 +846,18 @@ export async function getNewAppointmentMessage(
   const phoneValid = isValidPhone(row.phone);
   const cc = row.countryCode || '964';
   const formattedPhone = phoneValid ? formatPhone(row.phone!, cc) : null;
-  const appDay = row.appDay as unknown as string;
-  const appDate = row.appDate as unknown as Date;
-  const dd = daysFromToday(appDay);
-  const time = format12h(appDate);
-  const timeTt = format12h(appDate, true);
-  const aDay = arabicDay(appDay);
-  const eDay = englishDay(appDay);
-
-  let message: string;
-  if (row.language === 1) {
-    if (dd === 1) {
-      message = `Hello ${row.firstName || row.patientName}. Tomorrow "${eDay}" is your appointment with Dr. Shwan orthodontic clinic at ${timeTt}`;
-    } else if (dd === 2) {
-      message = `Hello ${row.firstName || row.patientName}. The day after tomorrow "${eDay}" is your appointment with Dr. Shwan orthodontic clinic at ${timeTt}`;
-    } else {
-      message = `Hello ${row.firstName || row.patientName}. Your appointment with Dr. Shwan orthodontic clinic is on ${eDay} ${formatDMY(appDay)} at ${timeTt}`;
-    }
-  } else {
-    if (dd === 1) {
-      message = `السلام عليك ${row.patientName}. غدا ${aDay} موعدك مع عيادة د.شوان لتقويم الاسنان الساعة ${time}`;
-    } else if (dd === 2) {
-      message = `السلام عليك ${row.patientName}. بعد غد ${aDay} موعدك مع عيادة د.شوان لتقويم الاسنان الساعة ${time}`;
-    } else {
-      message = `السلام عليك ${row.patientName}. موعدك مع عيادة د.شوان لتقويم الاسنان يوم ${aDay} ${formatDMY(appDay)} الساعة ${time}`;
-    }
-  }
+  const lang = patientMessageLanguage(row.language);
+  const templates = await loadMessageTemplates('appointment_reminder');
+  const message = templates.render(
+    'appointment_reminder',
+    lang,
+    appointmentVars(lang, {
+      patientName: row.patientName,
+      firstName: row.firstName,
+      appDate: row.appDate as unknown as Date,
+      doctorName: row.doctorName,
+    })
+  );
 
   return { result: phoneValid ? 0 : -2, phone: formattedPhone, message, countryCode: cc };
 }
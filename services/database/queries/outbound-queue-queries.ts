@@ -0,0 +1,280 @@
+/**
+ * Outbound message queue queries (PostgreSQL / Kysely) — `outbound_messages`,
+ * see migrations/pg/1784600000000_outbound-message-queue.sql.
+ *
+ * The worker in services/messaging/outbound-queue.ts is the only sender: it
+ * reads due rows, claims each one (pending → sending) right before the send and
+ * records the outcome. Every state change is guarded by the status it expects,
+ * so a message cancelled from Settings while it waits is never sent.
+ * Retry times are computed in SQL against LOCALTIMESTAMP, like the columns.
+ *
+ * Row types are `type` (not `interface`) for the contract's looseObject rule.
+ */
+import { sql } from 'kysely';
+import { getKysely } from '../kysely.js';
+import type {
+  OutboundChannel,
+  OutboundStatus,
+  OutboundSummary,
+} from '../../../shared/contracts/outbound-message.contract.js';
+
+export type OutboundMessageRow = {
+  message_id: number;
+  channel: OutboundChannel;
+  requested_channel: OutboundChannel;
+  sms_fallback: boolean;
+  phone: string;
+  recipient_name: string | null;
+  person_id: number | null;
+  appointment_id: number | null;
+  purpose: string;
+  body: string;
+  sms_body: string | null;
+  status: OutboundStatus;
+  attempts: number;
+  next_attempt_at: Date;
+  last_attempt_at: Date | null;
+  last_error: string | null;
+  sent_at: Date | null;
+  created_at: Date;
+  created_by: string | null;
+  resent_by: string | null;
+};
+
+/** A due message plus what the worker needs to know about its appointment. */
+export type DueOutboundMessage = OutboundMessageRow & {
+  /** 'YYYY-MM-DD' of the linked appointment — keeps WhatsApp delivery ticks flowing. */
+  app_day: string | null;
+  /** The appointment is already marked sent on WhatsApp / by SMS. */
+  sent_wa: boolean;
+  notified: boolean;
+};
+
+export type OutboundMessageInput = {
+  channel: OutboundChannel;
+  sms_fallback: boolean;
+  /** Normalized digits, country code first, no '+' (PhoneFormatter.normalize). */
+  phone: string;
+  recipient_name: string | null;
+  person_id: number | null;
+  appointment_id: number | null;
+  purpose: string;
+  body: string;
+  /** Text for the SMS fallback when it differs from `body`. */
+  sms_body: string | null;
+  created_by: string | null;
+};
+
+const OUTBOUND_COLUMNS = [
+  'message_id',
+  'channel',
+  'requested_channel',
+  'sms_fallback',
+  'phone',
+  'recipient_name',
+  'person_id',
+  'appointment_id',
+  'purpose',
+  'body',
+  'sms_body',
+  'status',
+  'attempts',
+  'next_attempt_at',
+  'last_attempt_at',
+  'last_error',
+  'sent_at',
+  'created_at',
+  'created_by',
+  'resent_by',
+] as const;
+
+/** Queue a message, due now. Returns its id. */
+export async function enqueueOutboundMessage(input: OutboundMessageInput): Promise<number> {
+  const row = await getKysely()
+    .insertInto('outbound_messages')
+    .values({ ...input, requested_channel: input.channel })
+    .returning('message_id')
+    .executeTakeFirstOrThrow();
+  return row.message_id;
+}
+
+/**
+ * Pending messages whose time has come, oldest due first. `skipWhatsApp` leaves
+ * WhatsApp rows out (while WhatsApp is disconnected), so they can't fill the
+ * page and hold up the SMS rows behind them.
+ */
+export async function getDueMessages(limit: number, skipWhatsApp = false): Promise<DueOutboundMessage[]> {
+  const { rows } = await sql<DueOutboundMessage>`
+    SELECT
+      m.*,
+      to_char(a."app_day", 'YYYY-MM-DD') AS "app_day",
+      COALESCE(a."sent_wa", false) AS "sent_wa",
+      COALESCE(a."notified", false) AS "notified"
+    FROM "outbound_messages" m
+    LEFT JOIN "appointments" a ON a."appointment_id" = m."appointment_id"
+    WHERE m."status" = 'pending' AND m."next_attempt_at" <= LOCALTIMESTAMP
+      ${skipWhatsApp ? sql`AND m."channel" <> 'whatsapp'` : sql``}
+    ORDER BY m."next_attempt_at", m."message_id"
+    LIMIT ${limit}
+  `.execute(getKysely());
+  return rows;
+}
+
+/** Claim a pending message for one attempt. False when it was cancelled meanwhile. */
+export async function markSending(messageId: number): Promise<boolean> {
+  const res = await getKysely()
+    .updateTable('outbound_messages')
+    .set({
+      status: 'sending',
+      attempts: sql`"attempts" + 1`,
+      last_attempt_at: sql`LOCALTIMESTAMP`,
+    })
+    .where('message_id', '=', messageId)
+    .where('status', '=', 'pending')
+    .executeTakeFirst();
+  return Number(res.numUpdatedRows) > 0;
+}
+
+export async function markSent(messageId: number, providerMessageId: string | null): Promise<void> {
+  await getKysely()
+    .updateTable('outbound_messages')
+    .set({
+      status: 'sent',
+      provider_message_id: providerMessageId,
+      sent_at: sql`LOCALTIMESTAMP`,
+      last_error: null,
+    })
+    .where('message_id', '=', messageId)
+    .execute();
+}
+
+/**
+ * Undo a claim that never reached the provider (WhatsApp disconnected between
+ * the check and the send): back to pending, the attempt not counted.
+ */
+export async function releaseSending(messageId: number): Promise<void> {
+  await getKysely()
+    .updateTable('outbound_messages')
+    .set({ status: 'pending', attempts: sql`GREATEST("attempts" - 1, 0)` })
+    .where('message_id', '=', messageId)
+    .where('status', '=', 'sending')
+    .execute();
+}
+
+/** Back to pending, due again in `delaySeconds`. */
+export async function scheduleRetry(messageId: number, delaySeconds: number, error: string): Promise<void> {
+  await getKysely()
+    .updateTable('outbound_messages')
+    .set({
+      status: 'pending',
+      next_attempt_at: sql`LOCALTIMESTAMP + make_interval(secs => ${delaySeconds})`,
+      last_error: error,
+    })
+    .where('message_id', '=', messageId)
+    .execute();
+}
+
+/** Move a WhatsApp message to SMS, due now with a fresh set of attempts. */
+export async function switchToSms(messageId: number, error: string): Promise<void> {
+  await getKysely()
+    .updateTable('outbound_messages')
+    .set({
+      channel: 'sms',
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: sql`LOCALTIMESTAMP`,
+      last_error: error,
+    })
+    .where('message_id', '=', messageId)
+    .execute();
+}
+
+export async function markFailed(messageId: number, error: string): Promise<void> {
+  await getKysely()
+    .updateTable('outbound_messages')
+    .set({ status: 'failed', last_error: error })
+    .where('message_id', '=', messageId)
+    .execute();
+}
+
+/** Drop a pending message the worker found no longer needed (`reason` is kept). */
+export async function markSuperseded(messageId: number, reason: string): Promise<void> {
+  await getKysely()
+    .updateTable('outbound_messages')
+    .set({ status: 'cancelled', last_error: reason })
+    .where('message_id', '=', messageId)
+    .where('status', '=', 'pending')
+    .execute();
+}
+
+/**
+ * Boot: a row left in 'sending' was mid-send when the server stopped — it may
+ * have gone out, so it becomes failed for a person to check, never retried.
+ */
+export async function failInterruptedSends(): Promise<number> {
+  const res = await getKysely()
+    .updateTable('outbound_messages')
+    .set({
+      status: 'failed',
+      last_error: 'Interrupted while sending — check whether it arrived before resending',
+    })
+    .where('status', '=', 'sending')
+    .executeTakeFirst();
+  return Number(res.numUpdatedRows);
+}
+
+/** Newest first, optionally one status only. */
+export async function listOutboundMessages(
+  status: OutboundStatus | undefined,
+  limit: number
+): Promise<OutboundMessageRow[]> {
+  let q = getKysely().selectFrom('outbound_messages').select(OUTBOUND_COLUMNS);
+  if (status) q = q.where('status', '=', status);
+  const rows = await q.orderBy('created_at', 'desc').orderBy('message_id', 'desc').limit(limit).execute();
+  return rows as OutboundMessageRow[];
+}
+
+export async function countOutboundByStatus(): Promise<OutboundSummary> {
+  const rows = await getKysely()
+    .selectFrom('outbound_messages')
+    .select(['status', sql<number>`COUNT(*)::int`.as('count')])
+    .groupBy('status')
+    .execute();
+  const counts: OutboundSummary = { pending: 0, sending: 0, sent: 0, failed: 0, cancelled: 0 };
+  for (const r of rows) {
+    if (r.status in counts) counts[r.status as OutboundStatus] = r.count;
+  }
+  return counts;
+}
+
+/**
+ * A failed or cancelled message back to pending on its original channel, due
+ * now with a fresh set of attempts. False when it isn't failed or cancelled.
+ */
+export async function requeueMessage(messageId: number, resentBy: string | null): Promise<boolean> {
+  const res = await getKysely()
+    .updateTable('outbound_messages')
+    .set({
+      channel: sql`"requested_channel"`,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: sql`LOCALTIMESTAMP`,
+      last_error: null,
+      resent_by: resentBy,
+    })
+    .where('message_id', '=', messageId)
+    .where('status', 'in', ['failed', 'cancelled'])
+    .executeTakeFirst();
+  return Number(res.numUpdatedRows) > 0;
+}
+
+/** Cancel a pending message. False when it isn't pending (already sent, sending, …). */
+export async function cancelPendingMessage(messageId: number, cancelledBy: string | null): Promise<boolean> {
+  const res = await getKysely()
+    .updateTable('outbound_messages')
+    .set({ status: 'cancelled', last_error: cancelledBy ? `Cancelled by ${cancelledBy}` : 'Cancelled' })
+    .where('message_id', '=', messageId)
+    .where('status', '=', 'pending')
+    .executeTakeFirst();
+  return Number(res.numUpdatedRows) > 0;
+}
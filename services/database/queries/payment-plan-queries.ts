@@ -0,0 +1,171 @@
+/**
+ * Payment plan queries (PostgreSQL / Kysely).
+ *
+ * A plan is a header row in `payment_plans` plus its materialised due dates in
+ * `payment_plan_installments` — see migrations/pg/1783200000000_payment-plans.sql.
+ * Payments are never stored against an installment: every read returns the work's
+ * live paid total (`work_paid`, SUM of its invoices) next to the plan's
+ * `opening_paid` snapshot, and PaymentPlanService allocates the difference.
+ *
+ * Dates cross this boundary as 'YYYY-MM-DD' strings (to_char out, `::date` in).
+ * Row types are `type` (not `interface`) for the contract's looseObject rule.
+ */
+import { sql } from 'kysely';
+import { getKysely, withPgTransaction } from '../kysely.js';
+
+export type PaymentPlanRow = {
+  id: number;
+  work_id: number;
+  person_id: number;
+  patient_name: string | null;
+  currency: string;
+  installment_amount: number;
+  installment_count: number;
+  first_due_date: string;
+  interval_months: number;
+  grace_days: number;
+  opening_paid: number;
+  note: string | null;
+  last_reminded_at: string | null;
+  cancelled_at: string | null;
+  created_at: string;
+  created_by: string | null;
+  /** SUM(invoices.amount_paid) for the work right now. */
+  work_paid: number;
+};
+
+export type InstallmentRow = {
+  plan_id: number;
+  seq: number;
+  due_date: string;
+  amount: number;
+};
+
+/** Contact details for the dues reminder — the waitlist-notify recipient shape. */
+export type PlanRecipient = {
+  plan_id: number;
+  person_id: number;
+  patient_name: string | null;
+  first_name: string | null;
+  phone: string | null;
+  country_code: string | null;
+  language: number | null;
+};
+
+export interface PlanHeaderInput {
+  work_id: number;
+  currency: string;
+  installment_amount: number;
+  first_due_date: string;
+  interval_months: number;
+  grace_days: number;
+  opening_paid: number;
+  note: string | null;
+  created_by: string | null;
+}
+
+const SELECT_PLANS = sql`
+  SELECT
+    pp."id", pp."work_id", w."person_id", p."patient_name",
+    pp."currency", pp."installment_amount", pp."installment_count",
+    to_char(pp."first_due_date", 'YYYY-MM-DD') AS "first_due_date",
+    pp."interval_months", pp."grace_days", pp."opening_paid", pp."note",
+    to_char(pp."last_reminded_at", 'YYYY-MM-DD"T"HH24:MI:SS') AS "last_reminded_at",
+    to_char(pp."cancelled_at", 'YYYY-MM-DD"T"HH24:MI:SS') AS "cancelled_at",
+    to_char(pp."created_at", 'YYYY-MM-DD"T"HH24:MI:SS') AS "created_at",
+    pp."created_by",
+    COALESCE((
+      SELECT SUM(i."amount_paid") FROM "invoices" i WHERE i."work_id" = pp."work_id"
+    ), 0)::int AS "work_paid"
+  FROM "payment_plans" pp
+  JOIN "works" w ON w."work_id" = pp."work_id"
+  JOIN "patients" p ON p."person_id" = w."person_id"
+`;
+
+export async function getPaymentPlan(id: number): Promise<PaymentPlanRow | null> {
+  const { rows } = await sql<PaymentPlanRow>`${SELECT_PLANS} WHERE pp."id" = ${id}`.execute(getKysely());
+  return rows[0] ?? null;
+}
+
+/** The work's active (not cancelled) plan, if any — at most one by the partial unique index. */
+export async function getActivePlanForWork(workId: number): Promise<PaymentPlanRow | null> {
+  const { rows } = await sql<PaymentPlanRow>`
+    ${SELECT_PLANS} WHERE pp."work_id" = ${workId} AND pp."cancelled_at" IS NULL
+  `.execute(getKysely());
+  return rows[0] ?? null;
+}
+
+/** Every active plan, oldest first — the overdue report's input. */
+export async function listActivePlans(): Promise<PaymentPlanRow[]> {
+  const { rows } = await sql<PaymentPlanRow>`
+    ${SELECT_PLANS} WHERE pp."cancelled_at" IS NULL ORDER BY pp."id"
+  `.execute(getKysely());
+  return rows;
+}
+
+/** Installments of the given plans, in due order per plan. */
+export async function getInstallments(planIds: number[]): Promise<InstallmentRow[]> {
+  if (planIds.length === 0) return [];
+  const { rows } = await sql<InstallmentRow>`
+    SELECT "plan_id", "seq", to_char("due_date", 'YYYY-MM-DD') AS "due_date", "amount"
+    FROM "payment_plan_installments"
+    WHERE "plan_id" = ANY(${planIds}::int[])
+    ORDER BY "plan_id", "seq"
+  `.execute(getKysely());
+  return rows;
+}
+
+/**
+ * Insert a plan header and its installments in one transaction. A concurrent
+ * second plan on the same work loses on ux_payment_plans_active_work (23505) —
+ * the service maps that to PLAN_EXISTS.
+ */
+export async function createPlanWithInstallments(
+  header: PlanHeaderInput,
+  installments: { due_date: string; amount: number }[]
+): Promise<number> {
+  return withPgTransaction(async (trx) => {
+    const { id } = await trx
+      .insertInto('payment_plans')
+      .values({ ...header, installment_count: installments.length })
+      .returning('id')
+      .executeTakeFirstOrThrow();
+
+    await trx
+      .insertInto('payment_plan_installments')
+      .values(installments.map((inst, i) => ({ plan_id: id, seq: i + 1, ...inst })))
+      .execute();
+    return id;
+  });
+}
+
+/** Cancel an active plan. Returns false when it was not active. */
+export async function cancelPaymentPlan(id: number): Promise<boolean> {
+  const result = await getKysely()
+    .updateTable('payment_plans')
+    .set({ cancelled_at: sql<string>`LOCALTIMESTAMP` })
+    .where('id', '=', id)
+    .where('cancelled_at', 'is', null)
+    .executeTakeFirst();
+  return Number(result.numUpdatedRows) > 0;
+}
+
+export async function markPlanReminded(id: number): Promise<void> {
+  await getKysely()
+    .updateTable('payment_plans')
+    .set({ last_reminded_at: sql<string>`LOCALTIMESTAMP` })
+    .where('id', '=', id)
+    .execute();
+}
+
+export async function getPlanRecipient(id: number): Promise<PlanRecipient | null> {
+  const { rows } = await sql<PlanRecipient>`
+    SELECT pp."id" AS "plan_id", p."person_id", p."patient_name", p."first_name",
+           p."phone", p."country_code", p."language"
+    FROM "payment_plans" pp
+    JOIN "works" w ON w."work_id" = pp."work_id"
+    JOIN "patients" p ON p."person_id" = w."person_id"
+    WHERE pp."id" = ${id}
+  `.execute(getKysely());
+  return rows[0] ?? null;
+}
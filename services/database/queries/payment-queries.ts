@@ -13,7 +13,7 @@
  * are wrapped as `sql<string>` to satisfy the static type without changing emitted SQL.
  */
 import { sql } from 'kysely';
-import { getKysely } from '../kysely.js';
+import { getKysely, withPgTransaction } from '../kysely.js';
 import { toDateOnly } from '../../../utils/date.js';
 
 // type definitions
@@ -62,8 +62,49 @@ type PaymentRecord = {
   actual_amount: number | null;
   actual_cur: string | null;
   change: number | null;
+  /** Set on a refund row: the payment it reverses. */
+  refund_of_invoice_id: number | null;
+  refund_reason: string | null;
+  /** On a payment row: how much of it has been refunded so far (positive; 0 if none). */
+  refunded: number;
+};
+
+interface RefundData {
+  invoiceId: number;
+  /** Positive, in the work's currency — stored negated. */
+  amount: number;
+  usdReturned: number;
+  iqdReturned: number;
+  reason: string;
+  refundedBy: string | null;
+  refundDate: string;
+}
+
+// `type` (not `interface`): see WorkForInvoice — satisfies the looseObject contract.
+export type RefundRecord = {
+  InvoiceID: number;
+  work_id: number;
+  refund_of_invoice_id: number;
+  amount_paid: number;
+  date_of_payment: string;
+  usd_received: number;
+  iqd_received: number;
+  refund_reason: string;
+  /** What is still refundable on the original payment after this refund. */
+  refundable: number;
 };
 
+/**
+ * Outcome of {@link createRefund}. The business rules are decided under the
+ * original row's lock, so the query reports which one failed and PaymentService
+ * turns it into a PaymentValidationError.
+ */
+export type CreateRefundResult =
+  | { status: 'created'; refund: RefundRecord }
+  | { status: 'not_found' }
+  | { status: 'is_refund' }
+  | { status: 'exceeds'; paid: number; refunded: number };
+
 /**
  * Retrieves payments for a given patient id.
  */
@@ -184,6 +225,86 @@ export async function addInvoice(invoiceData: InvoiceData): Promise<{ invoice_id
   return [{ invoice_id: row.invoice_id }];
 }
 
+/**
+ * The currency of the work an invoice belongs to — what a refund of it is
+ * counted in. Null when the invoice doesn't exist.
+ */
+export async function getInvoiceCurrency(invoiceId: number): Promise<string | null> {
+  const row = await getKysely()
+    .selectFrom('invoices as i')
+    .innerJoin('works as w', 'w.work_id', 'i.work_id')
+    .where('i.invoice_id', '=', invoiceId)
+    .select('w.currency')
+    .executeTakeFirst();
+  return row ? row.currency || 'USD' : null;
+}
+
+/**
+ * Records a refund (credit note) against a payment: a negative invoice row on the
+ * same work (and aligner set) pointing back at the original. The original row is
+ * locked `FOR UPDATE` so two concurrent refunds can't together exceed it.
+ */
+export function createRefund(data: RefundData): Promise<CreateRefundResult> {
+  const { invoiceId, amount, usdReturned, iqdReturned, reason, refundedBy, refundDate } = data;
+
+  return withPgTransaction(async (trx): Promise<CreateRefundResult> => {
+    const original = await trx
+      .selectFrom('invoices')
+      .where('invoice_id', '=', invoiceId)
+      .select(['work_id', 'aligner_set_id', 'amount_paid', 'refund_of_invoice_id'])
+      .forUpdate()
+      .executeTakeFirst();
+
+    if (!original) return { status: 'not_found' };
+    if (original.refund_of_invoice_id !== null) return { status: 'is_refund' };
+
+    const { total } = await trx
+      .selectFrom('invoices')
+      .where('refund_of_invoice_id', '=', invoiceId)
+      .select((eb) => eb.fn.coalesce(eb.fn.sum('amount_paid'), sql<number>`0`).$castTo<number>().as('total'))
+      .executeTakeFirstOrThrow();
+    const refunded = -Number(total);
+
+    if (amount > original.amount_paid - refunded) {
+      return { status: 'exceeds', paid: original.amount_paid, refunded };
+    }
+
+    const row = await trx
+      .insertInto('invoices')
+      .values({
+        work_id: original.work_id,
+        aligner_set_id: original.aligner_set_id,
+        amount_paid: -amount,
+        date_of_payment: sql<string>`${refundDate}`,
+        usd_received: -usdReturned,
+        iqd_received: -iqdReturned,
+        change: null,
+        refund_of_invoice_id: invoiceId,
+        refund_reason: reason,
+        refunded_by: refundedBy,
+      })
+      .returning([
+        'invoice_id as InvoiceID',
+        'work_id',
+        'amount_paid',
+        'date_of_payment',
+        'usd_received',
+        'iqd_received',
+      ])
+      .executeTakeFirstOrThrow();
+
+    return {
+      status: 'created',
+      refund: {
+        ...row,
+        refund_of_invoice_id: invoiceId,
+        refund_reason: reason,
+        refundable: original.amount_paid - refunded - amount,
+      },
+    };
+  });
+}
+
 /**
  * Gets the exchange rate for a specific date
  */
@@ -242,31 +363,53 @@ export function listExchangeRates(
 }
 
 /**
- * Gets payment history for a specific work
+ * Gets payment history for a specific work — payments and refunds, newest first.
+ * Each payment carries the total refunded against it so far.
  */
 export function getPaymentHistoryByWorkId(workId: number): Promise<PaymentRecord[]> {
   const db = getKysely();
   return db
-    .selectFrom('invoices')
-    .where('work_id', '=', workId)
-    .orderBy('date_of_payment', 'desc')
-    .select([
-      'invoice_id as InvoiceID',
-      'work_id',
-      'amount_paid',
-      'date_of_payment',
-      'actual_amount',
-      'actual_cur',
-      'change',
+    .selectFrom('invoices as i')
+    .where('i.work_id', '=', workId)
+    .orderBy('i.date_of_payment', 'desc')
+    .orderBy('i.invoice_id', 'desc')
+    .select((eb) => [
+      'i.invoice_id as InvoiceID',
+      'i.work_id',
+      'i.amount_paid',
+      'i.date_of_payment',
+      'i.actual_amount',
+      'i.actual_cur',
+      'i.change',
+      'i.refund_of_invoice_id',
+      'i.refund_reason',
+      eb
+        .selectFrom('invoices as r')
+        .whereRef('r.refund_of_invoice_id', '=', 'i.invoice_id')
+        .select(sql<number>`COALESCE(-SUM(r.amount_paid), 0)::int`.as('refunded'))
+        .as('refunded'),
     ])
     .execute() as Promise<PaymentRecord[]>;
 }
 
-/** Delete a single invoice by primary key. Returns the number of rows deleted (0 or 1). */
+/** Whether the invoice is a refund (credit note); null when it doesn't exist. */
+export async function isRefundInvoice(invoiceId: number): Promise<boolean | null> {
+  const row = await getKysely()
+    .selectFrom('invoices')
+    .where('invoice_id', '=', invoiceId)
+    .select('refund_of_invoice_id')
+    .executeTakeFirst();
+  return row ? row.refund_of_invoice_id !== null : null;
+}
+
+/**
+ * Delete a single payment by primary key. Returns the number of rows deleted
+ * (0 or 1). Refund rows are never deleted — the reversal stays on the ledger.
+ */
 export async function deleteInvoiceById(invoiceId: number): Promise<number> {
   const db = getKysely();
   const result = await sql`
-    DELETE FROM "invoices" WHERE "invoice_id" = ${invoiceId}
+    DELETE FROM "invoices" WHERE "invoice_id" = ${invoiceId} AND "refund_of_invoice_id" IS NULL
   `.execute(db);
   return Number(result.numAffectedRows ?? 0n);
 }
@@ -0,0 +1,79 @@
+/**
+ * Photo landmark queries (PostgreSQL / Kysely) — `photo_landmarks`, see
+ * migrations/pg/1785000000000_photo-landmarks.sql.
+ *
+ * One row per (patient, timepoint, view), written as a whole by the landmark
+ * picker. `view_mtime` (bigint) comes back as a string from pg and is cast to
+ * a number here. Row types are `type` (not `interface`) for the contract's
+ * looseObject rule.
+ */
+import { sql } from 'kysely';
+import { getKysely } from '../kysely.js';
+import type { PhotoViewCode } from '../../../shared/photo-views.js';
+import type { LandmarkPoints } from '../../../shared/contracts/photo-collage.contract.js';
+
+export type PhotoLandmarkRow = LandmarkPoints & {
+  tp_code: number;
+  view: PhotoViewCode;
+  view_mtime: number;
+};
+
+/** The patient's name and phone — the collage header and the WhatsApp recipient. */
+export type CollagePatientRow = {
+  person_id: number;
+  patient_name: string;
+  phone: string | null;
+  country_code: string | null;
+};
+
+export async function getCollagePatient(personId: number): Promise<CollagePatientRow | null> {
+  const row = await getKysely()
+    .selectFrom('patients')
+    .select(['person_id', 'patient_name', 'phone', 'country_code'])
+    .where('person_id', '=', personId)
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+export async function listPhotoLandmarks(personId: number): Promise<PhotoLandmarkRow[]> {
+  const rows = await getKysely()
+    .selectFrom('photo_landmarks')
+    .select([
+      'tp_code',
+      'view_code as view',
+      'a_x',
+      'a_y',
+      'b_x',
+      'b_y',
+      sql<number>`view_mtime::float8`.as('view_mtime'),
+    ])
+    .where('person_id', '=', personId)
+    .orderBy('tp_code')
+    .execute();
+  return rows as PhotoLandmarkRow[];
+}
+
+/** Insert or replace the view's landmarks. */
+export async function upsertPhotoLandmark(
+  personId: number,
+  row: PhotoLandmarkRow,
+  username: string | null
+): Promise<void> {
+  const points = { a_x: row.a_x, a_y: row.a_y, b_x: row.b_x, b_y: row.b_y, view_mtime: row.view_mtime };
+  await getKysely()
+    .insertInto('photo_landmarks')
+    .values({ person_id: personId, tp_code: row.tp_code, view_code: row.view, ...points, created_by: username })
+    .onConflict((oc) => oc.columns(['person_id', 'tp_code', 'view_code']).doUpdateSet(points))
+    .execute();
+}
+
+/** Returns false when the view had no landmarks. */
+export async function deletePhotoLandmark(personId: number, tpCode: number, view: PhotoViewCode): Promise<boolean> {
+  const result = await getKysely()
+    .deleteFrom('photo_landmarks')
+    .where('person_id', '=', personId)
+    .where('tp_code', '=', tpCode)
+    .where('view_code', '=', view)
+    .executeTakeFirst();
+  return Number(result.numDeletedRows) > 0;
+}
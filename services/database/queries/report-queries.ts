@@ -31,14 +31,17 @@ function pad2(n: number): string {
 
 // The VIQD/VUSD/V_EIQ/V_EI$/VWIQD/VWUSD view chain, inlined. SUM over integer columns yields
 // bigint in PG (→ number via the kysely.ts type parser); `date` days arrive as 'YYYY-MM-DD'.
+// Refund rows carry NEGATIVE received amounts on the day the cash was handed back, so the
+// `<> 0` filters net them out of that day's revenue (and, via dailyiqd/dailyusd, its
+// Expected Cash) rather than dropping them as the old `> 0` did.
 const VW_CTES = sql`
   viqd AS (
     SELECT "date_of_payment" AS day, SUM("iqd_received") AS sumiqd
-    FROM "invoices" WHERE "iqd_received" > 0 GROUP BY "date_of_payment"
+    FROM "invoices" WHERE "iqd_received" <> 0 GROUP BY "date_of_payment"
   ),
   vusd AS (
     SELECT "date_of_payment" AS day, SUM("usd_received") AS sumusd
-    FROM "invoices" WHERE "usd_received" > 0 GROUP BY "date_of_payment"
+    FROM "invoices" WHERE "usd_received" <> 0 GROUP BY "date_of_payment"
   ),
   veiq AS (
     SELECT "expense_date" AS day, -SUM("amount") AS sumexq
@@ -214,6 +217,8 @@ export async function getYearlyMonthlyTotals(
  * - amount_paid is a thousands-grouped string (the proc used FORMAT(..,'#,##0')).
  * - sys_start_time is emitted as a UTC '…Z' ISO string (column stores UTC wall-clock); the
  *   frontend converts to local. SysEndTime was dropped from the PG schema (unused).
+ * - Refunds handed back that day are included as negative rows; refund_of_invoice_id /
+ *   refund_reason identify them (both NULL on a payment).
  */
 export async function getDailyInvoices(date: string): Promise<BaseInvoice[]> {
   const { rows } = await sql<BaseInvoice>`
@@ -225,11 +230,14 @@ export async function getDailyInvoices(date: string): Promise<BaseInvoice[]> {
       i."work_id"                                                   AS "work_id",
       to_char(i."sys_start_time", 'YYYY-MM-DD"T"HH24:MI:SS"Z"')      AS "sys_start_time",
       i."change"                                                   AS "change",
-      w."currency"                                                 AS "currency"
+      w."currency"                                                 AS "currency",
+      i."refund_of_invoice_id"                                     AS "refund_of_invoice_id",
+      i."refund_reason"                                            AS "refund_reason"
     FROM "invoices" i
     INNER JOIN "works" w ON w."work_id" = i."work_id"
     INNER JOIN "patients" p ON w."person_id" = p."person_id"
     WHERE i."date_of_payment" = ${date}::date
+    ORDER BY i."invoice_id"
   `.execute(getKysely());
 
   return rows;
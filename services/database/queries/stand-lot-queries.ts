@@ -0,0 +1,331 @@
+/**
+ * Stand stock-lot queries — stock held as purchase lots with cost + expiry
+ * (migrations/pg/1784100000000_stand-lots.sql).
+ *
+ * The transaction helpers (`addLot`, `drawFromLots`, `returnToLots`) take the
+ * caller's `trx` and are used by every stock writer — sales/voids/restock/adjust
+ * in stand-queries.ts and PO receiving in stand-purchasing-queries.ts — so lots
+ * move in the same transaction as stand_items.current_stock. They do NOT touch
+ * current_stock themselves (each writer already guards that update); they only
+ * keep stand_items.expiry_date on the earliest expiry still on the shelf.
+ *
+ * Draw order is first-expiring first, then oldest first (FIFO); lots without an
+ * expiry go last (services/business/stand-lot-allocation.ts). A lot past its expiry date is never drawn — it stays on the
+ * lot until `writeOffExpiredLots` takes it out of stock with an 'expired'
+ * stand_stock_movements row at the lot's cost, so its cost lands in the
+ * write-offs and not in a sale's COGS.
+ */
+import { sql, type Transaction } from 'kysely';
+import { getKysely, withPgTransaction, type Database } from '../kysely.js';
+import { planLotDraw, type LotAllocation } from '../../business/stand-lot-allocation.js';
+
+export type StandLotSource = 'opening' | 'receipt' | 'restock' | 'adjustment' | 'void' | 'return';
+
+export type { LotAllocation };
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+// `type` aliases (not interfaces) — these feed `z.looseObject` responses.
+type StandLotRow = {
+  lot_id: number;
+  item_id: number;
+  source: string;
+  lot_number: string | null;
+  expiry_date: string | null;
+  unit_cost: number;
+  quantity_received: number;
+  quantity_remaining: number;
+  received_at: Date;
+  written_off_at: Date | null;
+  po_id: number | null;
+};
+
+type MarginReportRow = {
+  item_id: number;
+  item_name: string;
+  quantity_sold: number;
+  revenue: number;
+  cogs: number;
+  gross_profit: number;
+  margin_pct: number | null;
+  written_off_quantity: number;
+  written_off_cost: number;
+};
+
+interface LotCreateInput {
+  itemId: number;
+  source: StandLotSource;
+  quantity: number;
+  unitCost: number;
+  lotNumber?: string | null;
+  expiryDate?: string | null;
+  receiptLineId?: number | null;
+}
+
+// ============================================================================
+// TRANSACTION HELPERS
+// ============================================================================
+
+/**
+ * Pull stand_items.expiry_date to the earliest expiry among the item's open
+ * lots. When no open lot carries an expiry the column is left as it is (an item
+ * restocked without dates keeps the date entered on the item form).
+ */
+export async function syncItemExpiry(trx: Transaction<Database>, itemId: number): Promise<void> {
+  await trx
+    .updateTable('stand_items')
+    .set({
+      expiry_date: sql<string | null>`COALESCE(
+        (SELECT MIN(l.expiry_date) FROM stand_item_lots l
+          WHERE l.item_id = ${itemId} AND l.quantity_remaining > 0),
+        expiry_date)`,
+    })
+    .where('item_id', '=', itemId)
+    .execute();
+}
+
+export async function addLot(trx: Transaction<Database>, input: LotCreateInput): Promise<number> {
+  const row = await trx
+    .insertInto('stand_item_lots')
+    .values({
+      item_id: input.itemId,
+      source: input.source,
+      receipt_line_id: input.receiptLineId ?? null,
+      lot_number: input.lotNumber || null,
+      expiry_date: input.expiryDate || null,
+      unit_cost: input.unitCost,
+      quantity_received: input.quantity,
+      quantity_remaining: input.quantity,
+    })
+    .returning('lot_id')
+    .executeTakeFirstOrThrow();
+
+  await syncItemExpiry(trx, input.itemId);
+  return row.lot_id;
+}
+
+/**
+ * Take `quantity` units of an item out of its open, unexpired lots in draw order
+ * (planLotDraw), under row locks. Whatever the lots cannot cover (stock that drifted
+ * from the lot total) comes back as a `lotId: null` slice at `fallbackUnitCost`, so the
+ * caller's own current_stock guard stays the single authority on whether the units exist.
+ */
+export async function drawFromLots(
+  trx: Transaction<Database>,
+  itemId: number,
+  quantity: number,
+  fallbackUnitCost: number
+): Promise<LotAllocation[]> {
+  const lots = await trx
+    .selectFrom('stand_item_lots')
+    .select([
+      'lot_id',
+      'expiry_date',
+      'received_at',
+      'quantity_remaining',
+      'unit_cost',
+      sql<boolean>`expiry_date IS NOT NULL AND expiry_date < current_date`.as('expired'),
+    ])
+    .where('item_id', '=', itemId)
+    .where('quantity_remaining', '>', 0)
+    .orderBy('lot_id')
+    .forUpdate()
+    .execute();
+
+  const allocations = planLotDraw(lots, quantity, fallbackUnitCost);
+  for (const a of allocations) {
+    if (a.lotId === null) continue;
+    await trx
+      .updateTable('stand_item_lots')
+      .set((eb) => ({ quantity_remaining: eb('quantity_remaining', '-', a.quantity) }))
+      .where('lot_id', '=', a.lotId)
+      .execute();
+  }
+
+  await syncItemExpiry(trx, itemId);
+  return allocations;
+}
+
+/**
+ * Put drawn units back: slices with a lot go back into that lot; slices without
+ * one become a new lot (`source` — 'void' or 'return') at their recorded cost.
+ */
+export async function returnToLots(
+  trx: Transaction<Database>,
+  itemId: number,
+  allocations: LotAllocation[],
+  source: Extract<StandLotSource, 'void' | 'return'> = 'void'
+): Promise<void> {
+  for (const a of allocations) {
+    if (a.lotId === null) {
+      await addLot(trx, { itemId, source, quantity: a.quantity, unitCost: a.unitCost });
+      continue;
+    }
+    await trx
+      .updateTable('stand_item_lots')
+      .set((eb) => ({ quantity_remaining: eb('quantity_remaining', '+', a.quantity) }))
+      .where('lot_id', '=', a.lotId)
+      .execute();
+  }
+  await syncItemExpiry(trx, itemId);
+}
+
+export const lotsCost = (allocations: LotAllocation[]): number =>
+  allocations.reduce((sum, a) => sum + a.quantity * a.unitCost, 0);
+
+// ============================================================================
+// READS
+// ============================================================================
+
+/** An item's lots — open ones first in draw order, then emptied/written-off ones. */
+export async function getItemLots(itemId: number): Promise<StandLotRow[]> {
+  const rows = await getKysely()
+    .selectFrom('stand_item_lots as l')
+    .leftJoin('stand_purchase_receipt_lines as rl', 'rl.receipt_line_id', 'l.receipt_line_id')
+    .leftJoin('stand_purchase_receipts as r', 'r.receipt_id', 'rl.receipt_id')
+    .select([
+      'l.lot_id',
+      'l.item_id',
+      'l.source',
+      'l.lot_number',
+      'l.expiry_date',
+      'l.unit_cost',
+      'l.quantity_received',
+      'l.quantity_remaining',
+      'l.received_at',
+      'l.written_off_at',
+      'r.po_id',
+    ])
+    .where('l.item_id', '=', itemId)
+    .orderBy(sql`l.quantity_remaining > 0`, 'desc')
+    .orderBy(sql`l.expiry_date ASC NULLS LAST`)
+    .orderBy('l.received_at')
+    .orderBy('l.lot_id')
+    .execute();
+
+  return rows as StandLotRow[];
+}
+
+/**
+ * Per-item gross margin for non-voided sales in the range, net of returned units
+ * — COGS from the lots each line drew from (sales made before lot tracking fall
+ * back to the line's recorded unit_cost) — plus the expired-lot write-offs
+ * booked in the range.
+ */
+export async function getStandMarginReport(startDate: string, endDate: string): Promise<MarginReportRow[]> {
+  const result = await sql<Omit<MarginReportRow, 'gross_profit' | 'margin_pct'>>`
+    WITH sold AS (
+      SELECT si.item_id,
+             SUM(si.quantity - si.quantity_returned)::int AS quantity_sold,
+             SUM(si.line_total - si.quantity_returned * si.unit_price)::float8 AS revenue,
+             SUM(COALESCE(a.cost, (si.quantity - si.quantity_returned) * si.unit_cost))::float8 AS cogs
+      FROM stand_sale_items si
+      JOIN stand_sales s ON s.sale_id = si.sale_id
+      LEFT JOIN LATERAL (
+        SELECT SUM((sl.quantity - sl.quantity_returned) * sl.unit_cost) AS cost
+        FROM stand_sale_item_lots sl
+        WHERE sl.sale_item_id = si.sale_item_id
+      ) a ON true
+      WHERE s.voided_date IS NULL
+        AND s.sale_date::date BETWEEN ${startDate}::date AND ${endDate}::date
+      GROUP BY si.item_id
+    ),
+    written AS (
+      SELECT m.item_id,
+             (-SUM(m.quantity))::int AS written_off_quantity,
+             COALESCE(SUM(m.total_cost), 0)::float8 AS written_off_cost
+      FROM stand_stock_movements m
+      WHERE m.movement_type = 'expired'
+        AND m.movement_date::date BETWEEN ${startDate}::date AND ${endDate}::date
+      GROUP BY m.item_id
+    )
+    SELECT i.item_id, i.item_name,
+           COALESCE(sold.quantity_sold, 0) AS quantity_sold,
+           COALESCE(sold.revenue, 0) AS revenue,
+           COALESCE(sold.cogs, 0) AS cogs,
+           COALESCE(written.written_off_quantity, 0) AS written_off_quantity,
+           COALESCE(written.written_off_cost, 0) AS written_off_cost
+    FROM stand_items i
+    LEFT JOIN sold ON sold.item_id = i.item_id
+    LEFT JOIN written ON written.item_id = i.item_id
+    WHERE sold.item_id IS NOT NULL OR written.item_id IS NOT NULL
+    ORDER BY COALESCE(sold.revenue, 0) - COALESCE(sold.cogs, 0) DESC, i.item_name
+  `.execute(getKysely());
+
+  return result.rows.map((r) => {
+    const grossProfit = r.revenue - r.cogs;
+    return {
+      ...r,
+      gross_profit: grossProfit,
+      margin_pct: r.revenue > 0 ? Math.round((grossProfit / r.revenue) * 1000) / 10 : null,
+    };
+  });
+}
+
+// ============================================================================
+// EXPIRED-LOT WRITE-OFF
+// ============================================================================
+
+/**
+ * Take every lot that expired before today out of stock: the lot is emptied and
+ * stamped, the item's current_stock drops by what was left in it, and an
+ * 'expired' movement records the quantity at the lot's unit cost.
+ */
+export async function writeOffExpiredLots(
+  userId: number | null
+): Promise<{ lotCount: number; quantity: number; totalCost: number }> {
+  return withPgTransaction(async (trx: Transaction<Database>) => {
+    const lots = await trx
+      .selectFrom('stand_item_lots')
+      .select(['lot_id', 'item_id', 'lot_number', 'expiry_date', 'unit_cost', 'quantity_remaining'])
+      .where('quantity_remaining', '>', 0)
+      .where('expiry_date', '<', sql<string>`current_date`)
+      .orderBy('item_id')
+      .orderBy('lot_id')
+      .forUpdate()
+      .execute();
+
+    let quantity = 0;
+    let totalCost = 0;
+    for (const lot of lots) {
+      const qty = lot.quantity_remaining;
+      await trx
+        .updateTable('stand_item_lots')
+        .set({ quantity_remaining: 0, written_off_at: sql<Date>`LOCALTIMESTAMP`, written_off_by: userId })
+        .where('lot_id', '=', lot.lot_id)
+        .execute();
+
+      // GREATEST: never drive current_stock negative if it drifted below the lot total.
+      await trx
+        .updateTable('stand_items')
+        .set({ current_stock: sql<number>`GREATEST(current_stock - ${qty}, 0)` })
+        .where('item_id', '=', lot.item_id)
+        .execute();
+
+      const label = lot.lot_number ? `lot ${lot.lot_number}` : `lot #${lot.lot_id}`;
+      await trx
+        .insertInto('stand_stock_movements')
+        .values({
+          item_id: lot.item_id,
+          movement_type: 'expired',
+          quantity: -qty,
+          unit_cost: lot.unit_cost,
+          total_cost: qty * lot.unit_cost,
+          reason: `Expired ${label} (expiry ${lot.expiry_date})`,
+          performed_by: userId,
+        })
+        .execute();
+
+      quantity += qty;
+      totalCost += qty * lot.unit_cost;
+    }
+
+    for (const itemId of new Set(lots.map((l) => l.item_id))) {
+      await syncItemExpiry(trx, itemId);
+    }
+
+    return { lotCount: lots.length, quantity, totalCost };
+  });
+}
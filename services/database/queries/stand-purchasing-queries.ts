@@ -0,0 +1,568 @@
+/**
+ * Stand purchasing database queries — suppliers, purchase orders, receipts and
+ * supplier invoices (migrations/pg/1784000000000_stand-purchasing.sql).
+ *
+ * Business rules (which transitions are allowed, what a receipt may contain)
+ * live in services/business/StandPurchasingService.ts. The write transactions
+ * here re-check the rules that can race under row locks and signal a violation
+ * with a coded `Error` message (`'PO_STATE:<status>'`, `'OVER_RECEIPT:<lineId>'`)
+ * that the service translates — the same contract createStandSaleTransaction
+ * uses for `'INSUFFICIENT_STOCK:<itemId>'`.
+ *
+ * Receiving is the only write that touches other modules: it bumps stand_items
+ * stock, puts each delivered line on the shelf as a stock lot (stand-lot-queries.ts,
+ * which also keeps the earliest-expiry date getExpiringItems reads), writes 'restock'
+ * stand_stock_movements (counted by getStandPurchasesSummary) and books the
+ * received value as a "Stand Purchases" expense.
+ */
+import { sql, type Transaction } from 'kysely';
+import { getKysely, withPgTransaction, type Database } from '../kysely.js';
+import { addLot } from './stand-lot-queries.js';
+
+/** The expense category the migration seeds; looked up by name (ids are identity-assigned). */
+export const STAND_EXPENSE_CATEGORY_NAME = 'Stand Purchases';
+
+export type PurchaseOrderStatus = 'draft' | 'ordered' | 'partial' | 'received' | 'cancelled';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+// `type` aliases (not interfaces) — these feed `z.looseObject` responses.
+type StandSupplierRow = {
+  supplier_id: number;
+  supplier_name: string;
+  contact_name: string | null;
+  phone: string | null;
+  email: string | null;
+  notes: string | null;
+  is_active: boolean;
+  created_at: Date;
+};
+
+type ReorderSuggestionRow = {
+  item_id: number;
+  item_name: string;
+  unit: string | null;
+  current_stock: number;
+  reorder_level: number;
+  cost_price: number;
+  on_order: number;
+  suggested_quantity: number;
+  last_supplier_id: number | null;
+};
+
+type PurchaseOrderRow = {
+  po_id: number;
+  supplier_id: number;
+  supplier_name: string;
+  status: PurchaseOrderStatus;
+  expected_date: string | null;
+  notes: string | null;
+  created_by: number | null;
+  created_at: Date;
+  ordered_at: Date | null;
+  closed_at: Date | null;
+  line_count: number;
+  ordered_value: number;
+  received_value: number;
+  invoiced_value: number;
+};
+
+type PurchaseOrderLineRow = {
+  po_line_id: number;
+  item_id: number;
+  item_name: string;
+  unit: string | null;
+  current_stock: number;
+  quantity_ordered: number;
+  quantity_received: number;
+  unit_cost: number;
+};
+
+type PurchaseReceiptRow = {
+  receipt_id: number;
+  total_cost: number;
+  expense_id: number | null;
+  notes: string | null;
+  received_at: Date;
+  received_by: number | null;
+  lines: Array<{
+    receipt_line_id: number;
+    po_line_id: number;
+    item_id: number;
+    item_name: string;
+    quantity: number;
+    unit_cost: number;
+    lot_number: string | null;
+    expiry_date: string | null;
+  }>;
+};
+
+type SupplierInvoiceRow = {
+  invoice_id: number;
+  supplier_id: number;
+  po_id: number | null;
+  invoice_no: string;
+  invoice_date: string;
+  amount: number;
+  notes: string | null;
+  created_at: Date;
+};
+
+type PurchaseOrderDetail = PurchaseOrderRow & {
+  lines: PurchaseOrderLineRow[];
+  receipts: PurchaseReceiptRow[];
+  invoices: SupplierInvoiceRow[];
+};
+
+export interface SupplierData {
+  supplierName: string;
+  contactName?: string | null;
+  phone?: string | null;
+  email?: string | null;
+  notes?: string | null;
+  isActive?: boolean;
+}
+
+export interface PurchaseOrderCreateInput {
+  supplierId: number;
+  expectedDate: string | null;
+  notes: string | null;
+  createdBy: number | null;
+  lines: Array<{ itemId: number; quantity: number; unitCost: number }>;
+}
+
+export interface ReceiptCreateInput {
+  poId: number;
+  notes: string | null;
+  receivedBy: number | null;
+  lines: Array<{
+    poLineId: number;
+    quantity: number;
+    unitCost: number;
+    lotNumber: string | null;
+    expiryDate: string | null;
+  }>;
+}
+
+export interface SupplierInvoiceInput {
+  supplierId: number;
+  poId: number;
+  invoiceNo: string;
+  invoiceDate: string;
+  amount: number;
+  notes: string | null;
+  createdBy: number | null;
+}
+
+// ============================================================================
+// SUPPLIERS
+// ============================================================================
+
+export async function getStandSuppliers(includeInactive = false): Promise<StandSupplierRow[]> {
+  let query = getKysely().selectFrom('stand_suppliers').selectAll().orderBy('supplier_name');
+  if (!includeInactive) query = query.where('is_active', '=', true);
+  return query.execute() as Promise<StandSupplierRow[]>;
+}
+
+export async function getStandSupplierById(id: number): Promise<StandSupplierRow | null> {
+  const row = await getKysely()
+    .selectFrom('stand_suppliers')
+    .selectAll()
+    .where('supplier_id', '=', id)
+    .executeTakeFirst();
+  return (row as StandSupplierRow | undefined) ?? null;
+}
+
+export async function insertStandSupplier(data: SupplierData): Promise<{ supplier_id: number }> {
+  return getKysely()
+    .insertInto('stand_suppliers')
+    .values({
+      supplier_name: data.supplierName,
+      contact_name: data.contactName || null,
+      phone: data.phone || null,
+      email: data.email || null,
+      notes: data.notes || null,
+    })
+    .returning('supplier_id')
+    .executeTakeFirstOrThrow();
+}
+
+/** @returns false when no such supplier */
+export async function updateStandSupplier(id: number, data: SupplierData): Promise<boolean> {
+  const result = await getKysely()
+    .updateTable('stand_suppliers')
+    .set({
+      supplier_name: data.supplierName,
+      contact_name: data.contactName || null,
+      phone: data.phone || null,
+      email: data.email || null,
+      notes: data.notes || null,
+      ...(data.isActive !== undefined ? { is_active: data.isActive } : {}),
+    })
+    .where('supplier_id', '=', id)
+    .executeTakeFirst();
+  return Number(result.numUpdatedRows) === 1;
+}
+
+// ============================================================================
+// REORDER SUGGESTIONS
+// ============================================================================
+
+/**
+ * Active items at or below their reorder level (getLowStockItems' rule), with
+ * what is already on order (outstanding on draft/ordered/partial POs) and a
+ * suggested quantity that tops the item up to twice its reorder level. Items
+ * whose outstanding orders already cover that are left out. `last_supplier_id`
+ * is whoever the item was last ordered from, so the UI can pre-group lines.
+ */
+export async function getReorderSuggestions(): Promise<ReorderSuggestionRow[]> {
+  const res = await sql<ReorderSuggestionRow>`
+    SELECT i.item_id, i.item_name, i.unit, i.current_stock, i.reorder_level, i.cost_price,
+           s.on_order::int AS on_order,
+           GREATEST(i.reorder_level * 2, 1) - i.current_stock - s.on_order::int AS suggested_quantity,
+           last_po.supplier_id AS last_supplier_id
+    FROM stand_items i
+    CROSS JOIN LATERAL (
+      SELECT COALESCE(SUM(l.quantity_ordered - l.quantity_received), 0) AS on_order
+      FROM stand_purchase_order_lines l
+      JOIN stand_purchase_orders o ON o.po_id = l.po_id
+      WHERE l.item_id = i.item_id AND o.status IN ('draft', 'ordered', 'partial')
+    ) s
+    LEFT JOIN LATERAL (
+      SELECT o.supplier_id
+      FROM stand_purchase_order_lines l
+      JOIN stand_purchase_orders o ON o.po_id = l.po_id
+      WHERE l.item_id = i.item_id AND o.status <> 'cancelled'
+      ORDER BY o.created_at DESC
+      LIMIT 1
+    ) last_po ON true
+    WHERE i.is_active
+      AND i.current_stock <= i.reorder_level
+      AND GREATEST(i.reorder_level * 2, 1) - i.current_stock - s.on_order > 0
+    ORDER BY i.current_stock ASC, i.item_name
+  `.execute(getKysely());
+  return res.rows;
+}
+
+// ============================================================================
+// PURCHASE ORDERS — READS
+// ============================================================================
+
+function selectPurchaseOrders() {
+  return getKysely()
+    .selectFrom('stand_purchase_orders as o')
+    .innerJoin('stand_suppliers as s', 's.supplier_id', 'o.supplier_id')
+    .select([
+      'o.po_id',
+      'o.supplier_id',
+      's.supplier_name',
+      'o.status',
+      'o.expected_date',
+      'o.notes',
+      'o.created_by',
+      'o.created_at',
+      'o.ordered_at',
+      'o.closed_at',
+      sql<number>`(SELECT COUNT(*)::int FROM stand_purchase_order_lines l WHERE l.po_id = o.po_id)`.as('line_count'),
+      sql<number>`(SELECT COALESCE(SUM(l.quantity_ordered * l.unit_cost), 0)::float8
+                   FROM stand_purchase_order_lines l WHERE l.po_id = o.po_id)`.as('ordered_value'),
+      sql<number>`(SELECT COALESCE(SUM(r.total_cost), 0)::float8
+                   FROM stand_purchase_receipts r WHERE r.po_id = o.po_id)`.as('received_value'),
+      sql<number>`(SELECT COALESCE(SUM(v.amount), 0)::float8
+                   FROM stand_supplier_invoices v WHERE v.po_id = o.po_id)`.as('invoiced_value'),
+    ]);
+}
+
+export async function getPurchaseOrders(
+  filters: { status?: PurchaseOrderStatus; supplierId?: number } = {}
+): Promise<PurchaseOrderRow[]> {
+  let query = selectPurchaseOrders().orderBy('o.created_at', 'desc');
+  if (filters.status) query = query.where('o.status', '=', filters.status);
+  if (filters.supplierId) query = query.where('o.supplier_id', '=', filters.supplierId);
+  return query.execute() as Promise<PurchaseOrderRow[]>;
+}
+
+export async function getPurchaseOrderById(id: number): Promise<PurchaseOrderDetail | null> {
+  const db = getKysely();
+  const header = (await selectPurchaseOrders().where('o.po_id', '=', id).executeTakeFirst()) as
+    | PurchaseOrderRow
+    | undefined;
+  if (!header) return null;
+
+  const [lines, receipts, receiptLines, invoices] = await Promise.all([
+    db
+      .selectFrom('stand_purchase_order_lines as l')
+      .innerJoin('stand_items as i', 'i.item_id', 'l.item_id')
+      .select([
+        'l.po_line_id',
+        'l.item_id',
+        'i.item_name',
+        'i.unit',
+        'i.current_stock',
+        'l.quantity_ordered',
+        'l.quantity_received',
+        'l.unit_cost',
+      ])
+      .where('l.po_id', '=', id)
+      .orderBy('i.item_name')
+      .execute(),
+    db
+      .selectFrom('stand_purchase_receipts')
+      .select(['receipt_id', 'total_cost', 'expense_id', 'notes', 'received_at', 'received_by'])
+      .where('po_id', '=', id)
+      .orderBy('received_at')
+      .execute(),
+    db
+      .selectFrom('stand_purchase_receipt_lines as rl')
+      .innerJoin('stand_purchase_receipts as r', 'r.receipt_id', 'rl.receipt_id')
+      .innerJoin('stand_items as i', 'i.item_id', 'rl.item_id')
+      .select([
+        'rl.receipt_id',
+        'rl.receipt_line_id',
+        'rl.po_line_id',
+        'rl.item_id',
+        'i.item_name',
+        'rl.quantity',
+        'rl.unit_cost',
+        'rl.lot_number',
+        'rl.expiry_date',
+      ])
+      .where('r.po_id', '=', id)
+      .orderBy('rl.receipt_line_id')
+      .execute(),
+    db
+      .selectFrom('stand_supplier_invoices')
+      .select(['invoice_id', 'supplier_id', 'po_id', 'invoice_no', 'invoice_date', 'amount', 'notes', 'created_at'])
+      .where('po_id', '=', id)
+      .orderBy('invoice_date')
+      .execute(),
+  ]);
+
+  return {
+    ...header,
+    lines: lines as PurchaseOrderLineRow[],
+    receipts: receipts.map((r) => ({
+      ...r,
+      lines: receiptLines
+        .filter((rl) => rl.receipt_id === r.receipt_id)
+        .map(({ receipt_id: _receiptId, ...rl }) => rl),
+    })),
+    invoices,
+  };
+}
+
+// ============================================================================
+// PURCHASE ORDERS — WRITES
+// ============================================================================
+
+export async function insertPurchaseOrder(input: PurchaseOrderCreateInput): Promise<{ po_id: number }> {
+  return withPgTransaction(async (trx) => {
+    const po = await trx
+      .insertInto('stand_purchase_orders')
+      .values({
+        supplier_id: input.supplierId,
+        expected_date: input.expectedDate,
+        notes: input.notes,
+        created_by: input.createdBy,
+      })
+      .returning('po_id')
+      .executeTakeFirstOrThrow();
+
+    await trx
+      .insertInto('stand_purchase_order_lines')
+      .values(
+        input.lines.map((l) => ({
+          po_id: po.po_id,
+          item_id: l.itemId,
+          quantity_ordered: l.quantity,
+          unit_cost: l.unitCost,
+        }))
+      )
+      .execute();
+
+    return po;
+  });
+}
+
+/**
+ * Move a PO to `to` when it is currently in one of `from`; `ordered_at` is
+ * stamped on 'ordered', `closed_at` on 'cancelled'.
+ * @returns false when the PO was not in an allowed state (or does not exist)
+ */
+export async function transitionPurchaseOrder(
+  id: number,
+  from: PurchaseOrderStatus[],
+  to: 'ordered' | 'cancelled'
+): Promise<boolean> {
+  const result = await getKysely()
+    .updateTable('stand_purchase_orders')
+    .set({
+      status: to,
+      ...(to === 'ordered' ? { ordered_at: sql<Date>`LOCALTIMESTAMP` } : { closed_at: sql<Date>`LOCALTIMESTAMP` }),
+    })
+    .where('po_id', '=', id)
+    .where('status', 'in', from)
+    // A PO with anything received can only finish by receiving, never cancel.
+    .$if(to === 'cancelled', (qb) =>
+      qb.where(({ not, exists, selectFrom }) =>
+        not(exists(selectFrom('stand_purchase_receipts as r').select('r.receipt_id').whereRef('r.po_id', '=', 'stand_purchase_orders.po_id')))
+      )
+    )
+    .executeTakeFirst();
+  return Number(result.numUpdatedRows) === 1;
+}
+
+/**
+ * Record one delivery against an ordered/partially-received PO. In one
+ * transaction: locks the PO and its lines, writes the receipt + its lines,
+ * advances `quantity_received`, bumps stock and the earliest expiry on each
+ * item, writes a 'restock' movement per line, books the expense and moves the
+ * PO to 'partial' or 'received'.
+ * @throws Error('PO_STATE:<status>') when the PO is not receivable
+ * @throws Error('OVER_RECEIPT:<poLineId>') when a line would exceed what was ordered
+ */
+export async function insertPurchaseReceipt(
+  input: ReceiptCreateInput
+): Promise<{ receipt_id: number; total_cost: number; expense_id: number; status: PurchaseOrderStatus }> {
+  return withPgTransaction(async (trx: Transaction<Database>) => {
+    const po = await trx
+      .selectFrom('stand_purchase_orders as o')
+      .innerJoin('stand_suppliers as s', 's.supplier_id', 'o.supplier_id')
+      .select(['o.po_id', 'o.status', 's.supplier_name'])
+      .where('o.po_id', '=', input.poId)
+      .forUpdate('o')
+      .executeTakeFirst();
+    if (!po || (po.status !== 'ordered' && po.status !== 'partial')) {
+      throw new Error(`PO_STATE:${po?.status ?? 'missing'}`);
+    }
+
+    const totalCost = input.lines.reduce((sum, l) => sum + l.quantity * l.unitCost, 0);
+    const receipt = await trx
+      .insertInto('stand_purchase_receipts')
+      .values({
+        po_id: input.poId,
+        total_cost: totalCost,
+        notes: input.notes,
+        received_by: input.receivedBy,
+      })
+      .returning('receipt_id')
+      .executeTakeFirstOrThrow();
+
+    for (const line of input.lines) {
+      // Guarded bump: 0 rows ⇒ the line is not on this PO or would be over-received.
+      const poLine = await trx
+        .updateTable('stand_purchase_order_lines')
+        .set((eb) => ({ quantity_received: eb('quantity_received', '+', line.quantity) }))
+        .where('po_line_id', '=', line.poLineId)
+        .where('po_id', '=', input.poId)
+        .where(sql`quantity_received + ${line.quantity}`, '<=', sql.ref('quantity_ordered'))
+        .returning('item_id')
+        .executeTakeFirst();
+      if (!poLine) throw new Error(`OVER_RECEIPT:${line.poLineId}`);
+
+      const receiptLine = await trx
+        .insertInto('stand_purchase_receipt_lines')
+        .values({
+          receipt_id: receipt.receipt_id,
+          po_line_id: line.poLineId,
+          item_id: poLine.item_id,
+          quantity: line.quantity,
+          unit_cost: line.unitCost,
+          lot_number: line.lotNumber,
+          expiry_date: line.expiryDate,
+        })
+        .returning('receipt_line_id')
+        .executeTakeFirstOrThrow();
+
+      await trx
+        .updateTable('stand_items')
+        .set((eb) => ({ current_stock: eb('current_stock', '+', line.quantity) }))
+        .where('item_id', '=', poLine.item_id)
+        .execute();
+
+      // The delivered lot goes on the shelf (this also re-derives the item's
+      // earliest expiry from its open lots).
+      await addLot(trx, {
+        itemId: poLine.item_id,
+        source: 'receipt',
+        receiptLineId: receiptLine.receipt_line_id,
+        quantity: line.quantity,
+        unitCost: line.unitCost,
+        lotNumber: line.lotNumber,
+        expiryDate: line.expiryDate,
+      });
+
+      const lot = line.lotNumber ? `, lot ${line.lotNumber}` : '';
+      await trx
+        .insertInto('stand_stock_movements')
+        .values({
+          item_id: poLine.item_id,
+          movement_type: 'restock',
+          quantity: line.quantity,
+          unit_cost: line.unitCost,
+          total_cost: line.quantity * line.unitCost,
+          reason: `PO #${input.poId} receipt #${receipt.receipt_id}${lot}`,
+          performed_by: input.receivedBy,
+        })
+        .execute();
+    }
+
+    const expense = await trx
+      .insertInto('expenses')
+      .values({
+        expense_date: sql<string>`current_date`,
+        amount: totalCost,
+        currency: 'IQD',
+        note: `Stand PO #${input.poId} — ${po.supplier_name} (receipt #${receipt.receipt_id})`,
+        category_id: sql<number | null>`(SELECT category_id FROM expense_categories
+                                          WHERE category_name = ${STAND_EXPENSE_CATEGORY_NAME} LIMIT 1)`,
+        is_monthly: false,
+      })
+      .returning('id')
+      .executeTakeFirstOrThrow();
+
+    await trx
+      .updateTable('stand_purchase_receipts')
+      .set({ expense_id: expense.id })
+      .where('receipt_id', '=', receipt.receipt_id)
+      .execute();
+
+    const outstanding = await trx
+      .selectFrom('stand_purchase_order_lines')
+      .select((eb) => eb.fn.countAll<number>().as('open'))
+      .where('po_id', '=', input.poId)
+      .where(sql`quantity_received`, '<', sql.ref('quantity_ordered'))
+      .executeTakeFirstOrThrow();
+    const status: PurchaseOrderStatus = Number(outstanding.open) === 0 ? 'received' : 'partial';
+
+    await trx
+      .updateTable('stand_purchase_orders')
+      .set({ status, ...(status === 'received' ? { closed_at: sql<Date>`LOCALTIMESTAMP` } : {}) })
+      .where('po_id', '=', input.poId)
+      .execute();
+
+    return { receipt_id: receipt.receipt_id, total_cost: totalCost, expense_id: expense.id, status };
+  });
+}
+
+// ============================================================================
+// SUPPLIER INVOICES
+// ============================================================================
+
+export async function insertSupplierInvoice(input: SupplierInvoiceInput): Promise<{ invoice_id: number }> {
+  return getKysely()
+    .insertInto('stand_supplier_invoices')
+    .values({
+      supplier_id: input.supplierId,
+      po_id: input.poId,
+      invoice_no: input.invoiceNo,
+      invoice_date: input.invoiceDate,
+      amount: input.amount,
+      notes: input.notes,
+      created_by: input.createdBy,
+    })
+    .returning('invoice_id')
+    .executeTakeFirstOrThrow();
+}
@@ -7,6 +7,15 @@
  * sale/void/restock/adjust transactions run on `withPgTransaction`. Positional
  * `ColumnValue` mappers are gone — queries return plain objects.
  *
+ * Every stock writer (new item, sale, void, restock, adjust) also moves the
+ * item's stock lots in the same transaction (stand-lot-queries.ts): sales are
+ * costed from the lots they draw, so `stand_sale_items.unit_cost` and the sale's
+ * total_cost/total_profit reflect purchase cost, not the current cost_price.
+ *
+ * A partial return (`returnStandSaleItems`) leaves the sale's own totals as they
+ * were and adds to stand_sales.returned_amount/returned_cost and
+ * stand_sale_items.quantity_returned; the reports subtract those.
+ *
  * type notes:
  * - All price/cost/total/stock columns are PG `integer` → JS number (no cast).
  * - `expiry_date` is PG `date` → the centralized parser (kysely.ts) returns a
@@ -16,8 +25,10 @@
  * - citext columns (`item_name`/`sku`/`barcode`/`movement_type`/…) make `=`/`LIKE`
  *   case-insensitive with no app churn (matches the old Arabic_CI_AS columns).
  */
-import { sql } from 'kysely';
-import { getKysely, withPgTransaction } from '../kysely.js';
+import { sql, type Transaction } from 'kysely';
+import { getKysely, withPgTransaction, type Database } from '../kysely.js';
+import { addLot, drawFromLots, lotsCost, returnToLots, type LotAllocation } from './stand-lot-queries.js';
+import { outstandingSlices, takeSlices, type OutstandingSlice } from '../../business/stand-lot-allocation.js';
 
 // ============================================================================
 // TYPES
@@ -92,6 +103,8 @@ type StandSaleRow = {
   voided_date: Date | null;
   voided_by: number | null;
   void_reason: string | null;
+  returned_amount: number;
+  returned_cost: number;
   patient_name: string | null;
   CashierName: string | null;
 };
@@ -101,12 +114,24 @@ type StandSaleItemRow = {
   sale_id: number;
   item_id: number;
   quantity: number;
+  quantity_returned: number;
   unit_price: number;
   unit_cost: number;
   line_total: number;
   item_name: string;
 };
 
+type StandSaleReturnRow = {
+  return_id: number;
+  sale_id: number;
+  refund_amount: number;
+  refund_cost: number;
+  reason: string;
+  returned_at: Date;
+  returned_by: number | null;
+  ReturnedByName: string | null;
+};
+
 type StandMovementRow = {
   movement_id: number;
   item_id: number;
@@ -331,41 +356,54 @@ export async function getStandItemByBarcode(barcode: string): Promise<StandItemR
 export async function addStandItem(data: StandItemCreateData): Promise<{ item_id: number }> {
   const initialStock = data.currentStock ?? 0;
 
-  const row = await getKysely()
-    .insertInto('stand_items')
-    .values({
-      item_name: data.itemName,
-      sku: data.sku || null,
-      barcode: data.barcode || null,
-      category_id: data.categoryId || null,
-      cost_price: data.costPrice,
-      sell_price: data.sellPrice,
-      current_stock: initialStock,
-      reorder_level: data.reorderLevel ?? 1,
-      expiry_date: data.expiryDate || null,
-      unit: data.unit || null,
-      notes: data.notes || null,
-      created_by: data.createdBy || null,
-    })
-    .returning('item_id')
-    .executeTakeFirstOrThrow();
+  return withPgTransaction(async (trx) => {
+    const row = await trx
+      .insertInto('stand_items')
+      .values({
+        item_name: data.itemName,
+        sku: data.sku || null,
+        barcode: data.barcode || null,
+        category_id: data.categoryId || null,
+        cost_price: data.costPrice,
+        sell_price: data.sellPrice,
+        current_stock: initialStock,
+        reorder_level: data.reorderLevel ?? 1,
+        expiry_date: data.expiryDate || null,
+        unit: data.unit || null,
+        notes: data.notes || null,
+        created_by: data.createdBy || null,
+      })
+      .returning('item_id')
+      .executeTakeFirstOrThrow();
 
-  const itemId = row.item_id;
+    const itemId = row.item_id;
 
-  // Insert initial stock movement if stock > 0
-  if (initialStock > 0) {
-    await addStockMovement({
-      itemId,
-      movementType: 'initial',
-      quantity: initialStock,
-      unitCost: data.costPrice,
-      totalCost: initialStock * data.costPrice,
-      reason: 'Initial stock',
-      performedBy: data.createdBy || null,
-    });
-  }
+    // Insert initial stock movement (+ its opening lot) if stock > 0
+    if (initialStock > 0) {
+      await trx
+        .insertInto('stand_stock_movements')
+        .values({
+          item_id: itemId,
+          movement_type: 'initial',
+          quantity: initialStock,
+          unit_cost: data.costPrice,
+          total_cost: initialStock * data.costPrice,
+          reason: 'Initial stock',
+          performed_by: data.createdBy || null,
+        })
+        .execute();
 
-  return { item_id: itemId };
+      await addLot(trx, {
+        itemId,
+        source: 'opening',
+        quantity: initialStock,
+        unitCost: data.costPrice,
+        expiryDate: data.expiryDate,
+      });
+    }
+
+    return { item_id: itemId };
+  });
 }
 
 export async function updateStandItem(id: number, data: StandItemUpdateData): Promise<void> {
@@ -386,11 +424,25 @@ export async function updateStandItem(id: number, data: StandItemUpdateData): Pr
   // an empty SET would be invalid SQL and a no-op bump is undesirable).
   if (Object.keys(set).length === 0) return;
 
-  await getKysely()
-    .updateTable('stand_items')
-    .set(set)
-    .where('item_id', '=', id)
-    .execute();
+  await withPgTransaction(async (trx) => {
+    await trx
+      .updateTable('stand_items')
+      .set(set)
+      .where('item_id', '=', id)
+      .execute();
+
+    // A hand-entered expiry dates the stock that has none yet (quick restocks,
+    // opening lots of undated items), so the next lot sync doesn't lose it.
+    if (data.expiryDate) {
+      await trx
+        .updateTable('stand_item_lots')
+        .set({ expiry_date: data.expiryDate })
+        .where('item_id', '=', id)
+        .where('quantity_remaining', '>', 0)
+        .where('expiry_date', 'is', null)
+        .execute();
+    }
+  });
 }
 
 export async function softDeleteStandItem(id: number): Promise<void> {
@@ -429,7 +481,15 @@ export async function getExpiringItems(daysAhead: number = 30): Promise<StandIte
 // SALES — TRANSACTIONAL
 // ============================================================================
 
-export async function createStandSaleTransaction(data: SaleCreateInput): Promise<{ sale_id: number }> {
+/**
+ * Each line is costed from the stock lots it draws (first-expiring, then FIFO):
+ * the line's `unit_cost` is the (rounded) average of those lots and the sale
+ * header's total_cost/total_profit are rewritten to the exact lot cost. The
+ * caller's `unitCost` (the item's cost_price) only prices units no lot covers.
+ */
+export async function createStandSaleTransaction(
+  data: SaleCreateInput
+): Promise<{ sale_id: number; total_cost: number; lines: Array<{ itemId: number; unitCost: number }> }> {
   return withPgTransaction(async (trx) => {
     // 1. Insert sale header
     const saleRow = await trx
@@ -450,20 +510,10 @@ export async function createStandSaleTransaction(data: SaleCreateInput): Promise
 
     const saleId = saleRow.sale_id;
 
-    // 2-4. For each line item: insert sale item, decrement stock, insert movement
+    // 2-4. For each line item: decrement stock, draw lots, insert sale item, insert movement
+    let totalCost = 0;
+    const lines: Array<{ itemId: number; unitCost: number }> = [];
     for (const item of data.items) {
-      await trx
-        .insertInto('stand_sale_items')
-        .values({
-          sale_id: saleId,
-          item_id: item.itemId,
-          quantity: item.quantity,
-          unit_price: item.unitPrice,
-          unit_cost: item.unitCost,
-          line_total: item.lineTotal,
-        })
-        .execute();
-
       // Atomic stock-decrement guard: only updates when stock is sufficient.
       // 0 rows ⇒ insufficient stock — abort the whole transaction.
       const stockResult = await trx
@@ -479,20 +529,58 @@ export async function createStandSaleTransaction(data: SaleCreateInput): Promise
         throw new Error(`INSUFFICIENT_STOCK:${item.itemId}`);
       }
 
+      const allocations = await drawFromLots(trx, item.itemId, item.quantity, item.unitCost);
+      const lineCost = lotsCost(allocations);
+      const unitCost = Math.round(lineCost / item.quantity);
+
+      const saleItem = await trx
+        .insertInto('stand_sale_items')
+        .values({
+          sale_id: saleId,
+          item_id: item.itemId,
+          quantity: item.quantity,
+          unit_price: item.unitPrice,
+          unit_cost: unitCost,
+          line_total: item.lineTotal,
+        })
+        .returning('sale_item_id')
+        .executeTakeFirstOrThrow();
+
+      await trx
+        .insertInto('stand_sale_item_lots')
+        .values(allocations.map((a) => ({
+          sale_item_id: saleItem.sale_item_id,
+          lot_id: a.lotId,
+          quantity: a.quantity,
+          unit_cost: a.unitCost,
+        })))
+        .execute();
+
       await trx
         .insertInto('stand_stock_movements')
         .values({
           item_id: item.itemId,
           movement_type: 'sale',
           quantity: -item.quantity,
-          unit_cost: item.unitCost,
+          unit_cost: unitCost,
+          total_cost: lineCost,
           related_sale_id: saleId,
           performed_by: data.cashierId || null,
         })
         .execute();
+
+      totalCost += lineCost;
+      lines.push({ itemId: item.itemId, unitCost });
     }
 
-    return { sale_id: saleId };
+    // 5. Re-cost the header from the lots actually drawn
+    await trx
+      .updateTable('stand_sales')
+      .set({ total_cost: totalCost, total_profit: data.totalAmount - totalCost })
+      .where('sale_id', '=', saleId)
+      .execute();
+
+    return { sale_id: saleId, total_cost: totalCost, lines };
   });
 }
 
@@ -518,6 +606,8 @@ export async function getStandSales(
       's.voided_date',
       's.voided_by',
       's.void_reason',
+      's.returned_amount',
+      's.returned_cost',
       'p.patient_name',
       'u.full_name as CashierName',
       // Per-sale line-item summary, e.g. "Panadol ×2, Dental Floss". Correlated
@@ -582,6 +672,8 @@ export async function getStandSaleById(id: number): Promise<(StandSaleRow & { It
       's.voided_date',
       's.voided_by',
       's.void_reason',
+      's.returned_amount',
+      's.returned_cost',
       'p.patient_name',
       'u.full_name as CashierName',
     ])
@@ -599,6 +691,7 @@ export async function getStandSaleById(id: number): Promise<(StandSaleRow & { It
       'si.sale_id',
       'si.item_id',
       'si.quantity',
+      'si.quantity_returned',
       'si.unit_price',
       'si.unit_cost',
       'si.line_total',
@@ -611,6 +704,27 @@ export async function getStandSaleById(id: number): Promise<(StandSaleRow & { It
   return { ...(sale as StandSaleRow), Items: items as StandSaleItemRow[] };
 }
 
+export async function getStandSaleReturns(saleId: number): Promise<StandSaleReturnRow[]> {
+  const rows = await getKysely()
+    .selectFrom('stand_sale_returns as r')
+    .leftJoin('users as u', 'r.returned_by', 'u.user_id')
+    .select([
+      'r.return_id',
+      'r.sale_id',
+      'r.refund_amount',
+      'r.refund_cost',
+      'r.reason',
+      'r.returned_at',
+      'r.returned_by',
+      'u.full_name as ReturnedByName',
+    ])
+    .where('r.sale_id', '=', saleId)
+    .orderBy('r.return_id')
+    .execute();
+
+  return rows as StandSaleReturnRow[];
+}
+
 export async function voidStandSale(
   saleId: number,
   reason: string,
@@ -633,15 +747,26 @@ export async function voidStandSale(
 
     const lineItems = await trx
       .selectFrom('stand_sale_items')
-      .select(['item_id', 'quantity', 'unit_cost'])
+      .select(['sale_item_id', 'item_id', 'quantity', 'quantity_returned', 'unit_cost'])
       .where('sale_id', '=', saleId)
       .execute();
 
     for (const row of lineItems) {
+      // Only what is still out — units already returned went back to stock then.
+      const outstanding = row.quantity - row.quantity_returned;
+      if (outstanding <= 0) continue;
+
+      // Back into the lots the line drew from. Sales made before lot tracking have
+      // no allocation rows — their units come back as a new lot at the line cost.
+      const allocations: LotAllocation[] = (await lockOutstandingSlices(trx, row)).map(
+        ({ lotId, quantity, unitCost }) => ({ lotId, quantity, unitCost })
+      );
+      await returnToLots(trx, row.item_id, allocations);
+
       await trx
         .updateTable('stand_items')
         .set((eb) => ({
-          current_stock: eb('current_stock', '+', row.quantity),
+          current_stock: eb('current_stock', '+', outstanding),
         }))
         .where('item_id', '=', row.item_id)
         .execute();
@@ -651,8 +776,9 @@ export async function voidStandSale(
         .values({
           item_id: row.item_id,
           movement_type: 'void',
-          quantity: row.quantity,
+          quantity: outstanding,
           unit_cost: row.unit_cost,
+          total_cost: lotsCost(allocations),
           related_sale_id: saleId,
           reason: `Void: ${reason}`,
           performed_by: userId,
@@ -662,6 +788,133 @@ export async function voidStandSale(
   });
 }
 
+/** A sale line's outstanding slices (stand-lot-allocation.ts), its lot rows locked. */
+async function lockOutstandingSlices(
+  trx: Transaction<Database>,
+  line: { sale_item_id: number; quantity: number; quantity_returned: number; unit_cost: number }
+): Promise<OutstandingSlice[]> {
+  const drawn = await trx
+    .selectFrom('stand_sale_item_lots')
+    .select(['allocation_id', 'lot_id', 'quantity', 'quantity_returned', 'unit_cost'])
+    .where('sale_item_id', '=', line.sale_item_id)
+    .orderBy('allocation_id', 'desc')
+    .forUpdate()
+    .execute();
+  return outstandingSlices(line, drawn);
+}
+
+/**
+ * Return some units of some lines of a sale. Each unit goes back into the lot it
+ * was drawn from (last drawn first) and is refunded at the line's sell price;
+ * the sale keeps its own totals and accumulates returned_amount/returned_cost.
+ * Throws `ALREADY_VOIDED:<saleId>` / `OVER_RETURN:<saleItemId>` when a concurrent
+ * void or return got there first.
+ */
+export async function returnStandSaleItems(
+  saleId: number,
+  lines: Array<{ saleItemId: number; quantity: number }>,
+  reason: string,
+  userId: number | null
+): Promise<{ return_id: number; refund_amount: number; refund_cost: number }> {
+  return withPgTransaction(async (trx) => {
+    // Lock the header so a void can't interleave with the return.
+    const sale = await trx
+      .selectFrom('stand_sales')
+      .select(['sale_id', 'voided_date'])
+      .where('sale_id', '=', saleId)
+      .forUpdate()
+      .executeTakeFirst();
+    if (!sale || sale.voided_date) {
+      throw new Error(`ALREADY_VOIDED:${saleId}`);
+    }
+
+    let refundAmount = 0;
+    let refundCost = 0;
+    const returnItems: Array<{ sale_item_id: number; item_id: number; quantity: number; refund_amount: number; cost: number }> = [];
+
+    for (const line of lines) {
+      const row = await trx
+        .selectFrom('stand_sale_items')
+        .select(['sale_item_id', 'item_id', 'quantity', 'quantity_returned', 'unit_price', 'unit_cost'])
+        .where('sale_item_id', '=', line.saleItemId)
+        .where('sale_id', '=', saleId)
+        .forUpdate()
+        .executeTakeFirst();
+      if (!row || row.quantity_returned + line.quantity > row.quantity) {
+        throw new Error(`OVER_RETURN:${line.saleItemId}`);
+      }
+
+      // Take the first `line.quantity` units off the outstanding slices.
+      const taken = takeSlices(await lockOutstandingSlices(trx, row), line.quantity);
+
+      for (const t of taken) {
+        if (t.allocationId === null) continue;
+        await trx
+          .updateTable('stand_sale_item_lots')
+          .set((eb) => ({ quantity_returned: eb('quantity_returned', '+', t.quantity) }))
+          .where('allocation_id', '=', t.allocationId)
+          .execute();
+      }
+      const allocations: LotAllocation[] = taken.map(({ lotId, quantity, unitCost }) => ({ lotId, quantity, unitCost }));
+      await returnToLots(trx, row.item_id, allocations, 'return');
+
+      await trx
+        .updateTable('stand_sale_items')
+        .set((eb) => ({ quantity_returned: eb('quantity_returned', '+', line.quantity) }))
+        .where('sale_item_id', '=', row.sale_item_id)
+        .execute();
+
+      await trx
+        .updateTable('stand_items')
+        .set((eb) => ({ current_stock: eb('current_stock', '+', line.quantity) }))
+        .where('item_id', '=', row.item_id)
+        .execute();
+
+      const cost = lotsCost(allocations);
+      await trx
+        .insertInto('stand_stock_movements')
+        .values({
+          item_id: row.item_id,
+          movement_type: 'return',
+          quantity: line.quantity,
+          unit_cost: Math.round(cost / line.quantity),
+          total_cost: cost,
+          related_sale_id: saleId,
+          reason: `Return: ${reason}`,
+          performed_by: userId,
+        })
+        .execute();
+
+      const refund = line.quantity * row.unit_price;
+      returnItems.push({ sale_item_id: row.sale_item_id, item_id: row.item_id, quantity: line.quantity, refund_amount: refund, cost });
+      refundAmount += refund;
+      refundCost += cost;
+    }
+
+    const header = await trx
+      .insertInto('stand_sale_returns')
+      .values({ sale_id: saleId, refund_amount: refundAmount, refund_cost: refundCost, reason, returned_by: userId })
+      .returning('return_id')
+      .executeTakeFirstOrThrow();
+
+    await trx
+      .insertInto('stand_sale_return_items')
+      .values(returnItems.map((i) => ({ ...i, return_id: header.return_id })))
+      .execute();
+
+    await trx
+      .updateTable('stand_sales')
+      .set((eb) => ({
+        returned_amount: eb('returned_amount', '+', refundAmount),
+        returned_cost: eb('returned_cost', '+', refundCost),
+      }))
+      .where('sale_id', '=', saleId)
+      .execute();
+
+    return { return_id: header.return_id, refund_amount: refundAmount, refund_cost: refundCost };
+  });
+}
+
 // ============================================================================
 // STOCK OPERATIONS
 // ============================================================================
@@ -695,7 +948,8 @@ export async function restockItem(
   itemId: number,
   quantity: number,
   unitCost: number,
-  userId: number | null
+  userId: number | null,
+  lot: { lotNumber?: string | null; expiryDate?: string | null } = {}
 ): Promise<void> {
   return withPgTransaction(async (trx) => {
     await trx
@@ -714,9 +968,19 @@ export async function restockItem(
         quantity: quantity,
         unit_cost: unitCost,
         total_cost: quantity * unitCost,
+        reason: lot.lotNumber ? `Lot ${lot.lotNumber}` : null,
         performed_by: userId,
       })
       .execute();
+
+    await addLot(trx, {
+      itemId,
+      source: 'restock',
+      quantity,
+      unitCost,
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+    });
   });
 }
 
@@ -744,12 +1008,28 @@ export async function adjustStock(
 
     const movementType = delta < 0 ? 'waste' : 'adjustment';
 
+    // Waste leaves from the lots a sale would draw next; found stock becomes a
+    // new lot at the item's current cost.
+    const item = await trx
+      .selectFrom('stand_items')
+      .select('cost_price')
+      .where('item_id', '=', itemId)
+      .executeTakeFirstOrThrow();
+    let totalCost: number;
+    if (delta < 0) {
+      totalCost = lotsCost(await drawFromLots(trx, itemId, -delta, item.cost_price));
+    } else {
+      await addLot(trx, { itemId, source: 'adjustment', quantity: delta, unitCost: item.cost_price });
+      totalCost = delta * item.cost_price;
+    }
+
     await trx
       .insertInto('stand_stock_movements')
       .values({
         item_id: itemId,
         movement_type: movementType,
         quantity: delta,
+        total_cost: totalCost,
         reason: reason,
         performed_by: userId,
       })
@@ -807,8 +1087,10 @@ export async function getStandDashboardKPIs(): Promise<DashboardKPIs> {
     .selectFrom('stand_sales')
     .select((eb) => [
       eb.fn.countAll().as('TodaySalesCount'),
-      eb.fn.coalesce(eb.fn.sum('total_amount'), sql<number>`0`).as('TodayRevenue'),
-      eb.fn.coalesce(eb.fn.sum('total_profit'), sql<number>`0`).as('TodayProfit'),
+      eb.fn.coalesce(eb.fn.sum(sql<number>`"total_amount" - "returned_amount"`), sql<number>`0`).as('TodayRevenue'),
+      eb.fn
+        .coalesce(eb.fn.sum(sql<number>`"total_profit" - ("returned_amount" - "returned_cost")`), sql<number>`0`)
+        .as('TodayProfit'),
     ])
     .where(todayPredicate)
     .where('voided_date', 'is', null)
@@ -830,14 +1112,17 @@ export async function getStandDashboardKPIs(): Promise<DashboardKPIs> {
     .where('expiry_date', '<=', sql<string>`current_date + interval '30 day'`)
     .executeTakeFirstOrThrow();
 
+  // Valued at what the stock on the shelf cost (its open lots), not today's cost_price.
   const inventoryValue = await db
-    .selectFrom('stand_items')
+    .selectFrom('stand_item_lots as l')
+    .innerJoin('stand_items as i', 'i.item_id', 'l.item_id')
     .select((eb) =>
       eb.fn
-        .coalesce(eb.fn.sum(sql<number>`"current_stock" * "cost_price"`), sql<number>`0`)
+        .coalesce(eb.fn.sum(sql<number>`l."quantity_remaining" * l."unit_cost"`), sql<number>`0`)
         .as('TotalInventoryValue')
     )
-    .where('is_active', '=', true)
+    .where('i.is_active', '=', true)
+    .where('l.quantity_remaining', '>', 0)
     .executeTakeFirstOrThrow();
 
   return {
@@ -850,6 +1135,7 @@ export async function getStandDashboardKPIs(): Promise<DashboardKPIs> {
   };
 }
 
+/** Daily totals for non-voided sales, net of returns (booked on the sale's day). */
 export async function getStandSalesSummary(
   startDate: string,
   endDate: string
@@ -859,9 +1145,9 @@ export async function getStandSalesSummary(
     .select((eb) => [
       sql<string>`to_char("sale_date", 'YYYY-MM-DD')`.as('sale_date'),
       eb.fn.countAll().as('SalesCount'),
-      eb.fn.sum('total_amount').as('Revenue'),
-      eb.fn.sum('total_cost').as('Cost'),
-      eb.fn.sum('total_profit').as('Profit'),
+      eb.fn.sum(sql<number>`"total_amount" - "returned_amount"`).as('Revenue'),
+      eb.fn.sum(sql<number>`"total_cost" - "returned_cost"`).as('Cost'),
+      eb.fn.sum(sql<number>`"total_profit" - ("returned_amount" - "returned_cost")`).as('Profit'),
     ])
     .where(sql`cast("sale_date" as date)`, '>=', sql<string>`${startDate}`)
     .where(sql`cast("sale_date" as date)`, '<=', sql<string>`${endDate}`)
@@ -891,9 +1177,11 @@ export async function getTopSellingItems(
     .select((eb) => [
       'si.item_id',
       'i.item_name',
-      eb.fn.sum('si.quantity').as('TotalQuantity'),
-      eb.fn.sum('si.line_total').as('TotalRevenue'),
-      eb.fn.sum(sql<number>`si."line_total" - (si."quantity" * si."unit_cost")`).as('total_profit'),
+      eb.fn.sum(sql<number>`si."quantity" - si."quantity_returned"`).as('TotalQuantity'),
+      eb.fn.sum(sql<number>`si."line_total" - si."quantity_returned" * si."unit_price"`).as('TotalRevenue'),
+      eb.fn
+        .sum(sql<number>`(si."quantity" - si."quantity_returned") * (si."unit_price" - si."unit_cost")`)
+        .as('total_profit'),
     ])
     .where(sql`cast(${sql.ref('s.sale_date')} as date)`, '>=', sql<string>`${startDate}`)
     .where(sql`cast(${sql.ref('s.sale_date')} as date)`, '<=', sql<string>`${endDate}`)
@@ -0,0 +1,147 @@
+/**
+ * Patient account statement queries (PostgreSQL / Kysely).
+ *
+ * Raw inputs for the per-patient ledger: the patient header, every work (any
+ * status — a finished or discontinued work still carries what was charged and
+ * paid) and every invoice on those works, refunds included (negative rows, see
+ * migrations/pg/1783300000000_invoice-refunds.sql). StatementService merges them
+ * into the running balance; nothing is aggregated here. Stand (mini-pharmacy)
+ * sales made out to the patient and the returns against them are read too — they
+ * carry no work, so they're keyed by `sale_id` instead.
+ *
+ * Dates cross this boundary as 'YYYY-MM-DD' strings (to_char out).
+ * Row types are `type` (not `interface`) for the contract's looseObject rule.
+ */
+import { sql } from 'kysely';
+import { getKysely } from '../kysely.js';
+
+export type StatementPatientRow = {
+  person_id: number;
+  patient_name: string | null;
+  phone: string | null;
+};
+
+export type StatementWorkRow = {
+  work_id: number;
+  work_type: string | null;
+  status: number;
+  currency: string | null;
+  total_required: number;
+  discount: number | null;
+  discount_date: string | null;
+  discount_reason: string | null;
+  /** start_date, else the day the work was added. */
+  charge_date: string | null;
+};
+
+export type StatementInvoiceRow = {
+  invoice_id: number;
+  work_id: number;
+  date_of_payment: string;
+  amount_paid: number;
+  usd_received: number;
+  iqd_received: number;
+  change: number | null;
+  refund_of_invoice_id: number | null;
+  refund_reason: string | null;
+};
+
+export type StatementStandSaleRow = {
+  sale_id: number;
+  sale_date: string;
+  total_amount: number;
+  amount_paid: number;
+  change: number;
+  /** e.g. "Panadol ×2, Dental Floss" */
+  items_summary: string;
+};
+
+export type StatementStandReturnRow = {
+  return_id: number;
+  sale_id: number;
+  returned_at: string;
+  refund_amount: number;
+  reason: string;
+};
+
+export async function getStatementPatient(personId: number): Promise<StatementPatientRow | null> {
+  const { rows } = await sql<StatementPatientRow>`
+    SELECT "person_id", "patient_name", "phone"
+    FROM "patients"
+    WHERE "person_id" = ${personId}
+  `.execute(getKysely());
+  return rows[0] ?? null;
+}
+
+/** The patient's works, oldest first. */
+export async function getStatementWorks(personId: number): Promise<StatementWorkRow[]> {
+  const { rows } = await sql<StatementWorkRow>`
+    SELECT
+      w."work_id", wt."work_type", w."status", w."currency", w."total_required",
+      w."discount",
+      to_char(w."discount_date", 'YYYY-MM-DD') AS "discount_date",
+      w."discount_reason",
+      to_char(COALESCE(w."start_date", w."addition_date"::date), 'YYYY-MM-DD') AS "charge_date"
+    FROM "works" w
+    LEFT JOIN "work_types" wt ON wt."id" = w."type_of_work"
+    WHERE w."person_id" = ${personId}
+    ORDER BY w."work_id"
+  `.execute(getKysely());
+  return rows;
+}
+
+/** Every payment and refund on the patient's works, in the order they were taken. */
+export async function getStatementInvoices(personId: number): Promise<StatementInvoiceRow[]> {
+  const { rows } = await sql<StatementInvoiceRow>`
+    SELECT
+      i."invoice_id", i."work_id",
+      to_char(i."date_of_payment", 'YYYY-MM-DD') AS "date_of_payment",
+      i."amount_paid", i."usd_received", i."iqd_received", i."change",
+      i."refund_of_invoice_id", i."refund_reason"
+    FROM "invoices" i
+    JOIN "works" w ON w."work_id" = i."work_id"
+    WHERE w."person_id" = ${personId}
+    ORDER BY i."date_of_payment", i."invoice_id"
+  `.execute(getKysely());
+  return rows;
+}
+
+/** The patient's stand sales, voided ones left out (a void unwinds the whole sale). */
+export async function getStatementStandSales(personId: number): Promise<StatementStandSaleRow[]> {
+  const { rows } = await sql<StatementStandSaleRow>`
+    SELECT
+      s."sale_id",
+      to_char(s."sale_date", 'YYYY-MM-DD') AS "sale_date",
+      s."total_amount", s."amount_paid", s."change",
+      COALESCE((
+        SELECT string_agg(
+          i."item_name"::text || CASE WHEN si."quantity" > 1 THEN ' ×' || si."quantity" ELSE '' END,
+          ', ' ORDER BY si."sale_item_id"
+        )
+        FROM "stand_sale_items" si
+        JOIN "stand_items" i ON i."item_id" = si."item_id"
+        WHERE si."sale_id" = s."sale_id"
+      ), '') AS "items_summary"
+    FROM "stand_sales" s
+    WHERE s."person_id" = ${personId}
+      AND s."voided_date" IS NULL
+    ORDER BY s."sale_date", s."sale_id"
+  `.execute(getKysely());
+  return rows;
+}
+
+/** Returns against the patient's (non-voided) stand sales. */
+export async function getStatementStandReturns(personId: number): Promise<StatementStandReturnRow[]> {
+  const { rows } = await sql<StatementStandReturnRow>`
+    SELECT
+      r."return_id", r."sale_id",
+      to_char(r."returned_at", 'YYYY-MM-DD') AS "returned_at",
+      r."refund_amount", r."reason"
+    FROM "stand_sale_returns" r
+    JOIN "stand_sales" s ON s."sale_id" = r."sale_id"
+    WHERE s."person_id" = ${personId}
+      AND s."voided_date" IS NULL
+    ORDER BY r."returned_at", r."return_id"
+  `.execute(getKysely());
+  return rows;
+}
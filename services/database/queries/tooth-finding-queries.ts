@@ -0,0 +1,172 @@
+/**
+ * Tooth finding queries (PostgreSQL / Kysely) — `tooth_findings`, see
+ * migrations/pg/1784800000000_tooth-findings.sql.
+ *
+ * Findings are read per patient with the tooth code joined in. The work-item link
+ * is written by addWorkDetail / updateWorkDetail (work-queries.ts) inside their
+ * transaction via linkWorkItemFindings. Row types are `type` (not `interface`) for
+ * the contract's looseObject rule.
+ */
+import type { Kysely } from 'kysely';
+import { getKysely, type Database } from '../kysely.js';
+import type { FindingKind } from '../../../shared/contracts/tooth-finding.contract.js';
+
+export type ToothFindingRow = {
+  finding_id: number;
+  person_id: number;
+  tooth_id: number;
+  tooth_code: string;
+  kind: FindingKind;
+  surfaces: string | null;
+  detail: string | null;
+  note: string | null;
+  recorded_on: string;
+  visit_id: number | null;
+  resolved_on: string | null;
+  work_item_id: number | null;
+  created_by: string | null;
+};
+
+export type ToothFindingInput = {
+  tooth_id: number;
+  kind: FindingKind;
+  surfaces: string | null;
+  detail: string | null;
+  note: string | null;
+  recorded_on: string;
+  visit_id: number | null;
+};
+
+function findingsQuery() {
+  return getKysely()
+    .selectFrom('tooth_findings as f')
+    .innerJoin('tooth_numbers as t', 't.id', 'f.tooth_id')
+    .select([
+      'f.finding_id',
+      'f.person_id',
+      'f.tooth_id',
+      't.tooth_code',
+      'f.kind',
+      'f.surfaces',
+      'f.detail',
+      'f.note',
+      'f.recorded_on',
+      'f.visit_id',
+      'f.resolved_on',
+      'f.work_item_id',
+      'f.created_by',
+    ]);
+}
+
+/** The patient's findings, oldest first. */
+export async function getPatientFindings(personId: number): Promise<ToothFindingRow[]> {
+  return findingsQuery()
+    .where('f.person_id', '=', personId)
+    .orderBy('f.recorded_on')
+    .orderBy('f.finding_id')
+    .execute() as Promise<ToothFindingRow[]>;
+}
+
+export async function getFindingById(findingId: number): Promise<ToothFindingRow | null> {
+  const row = await findingsQuery().where('f.finding_id', '=', findingId).executeTakeFirst();
+  return (row as ToothFindingRow | undefined) ?? null;
+}
+
+export async function patientExists(personId: number): Promise<boolean> {
+  const row = await getKysely()
+    .selectFrom('patients')
+    .where('person_id', '=', personId)
+    .select('person_id')
+    .executeTakeFirst();
+  return !!row;
+}
+
+export async function toothExists(toothId: number): Promise<boolean> {
+  const row = await getKysely().selectFrom('tooth_numbers').where('id', '=', toothId).select('id').executeTakeFirst();
+  return !!row;
+}
+
+/** A visit's date and patient (through its work), or null. */
+export async function getVisitForFinding(
+  visitId: number
+): Promise<{ visit_date: string; person_id: number } | null> {
+  const row = await getKysely()
+    .selectFrom('visits as v')
+    .innerJoin('works as w', 'w.work_id', 'v.work_id')
+    .where('v.id', '=', visitId)
+    .select(['v.visit_date', 'w.person_id'])
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+/** The patient's visit on `date` (the latest if several works had one), or null. */
+export async function findPatientVisitOn(personId: number, date: string): Promise<number | null> {
+  const row = await getKysely()
+    .selectFrom('visits as v')
+    .innerJoin('works as w', 'w.work_id', 'v.work_id')
+    .where('w.person_id', '=', personId)
+    .where('v.visit_date', '=', date)
+    .select('v.id')
+    .orderBy('v.id', 'desc')
+    .executeTakeFirst();
+  return row?.id ?? null;
+}
+
+export async function insertFinding(
+  personId: number,
+  input: ToothFindingInput,
+  createdBy: string | null
+): Promise<number> {
+  const row = await getKysely()
+    .insertInto('tooth_findings')
+    .values({ person_id: personId, ...input, created_by: createdBy })
+    .returning('finding_id')
+    .executeTakeFirstOrThrow();
+  return row.finding_id;
+}
+
+export async function updateFinding(
+  findingId: number,
+  input: Omit<ToothFindingInput, 'visit_id'> & { resolved_on: string | null }
+): Promise<boolean> {
+  const res = await getKysely()
+    .updateTable('tooth_findings')
+    .set(input)
+    .where('finding_id', '=', findingId)
+    .executeTakeFirst();
+  return Number(res.numUpdatedRows) > 0;
+}
+
+export async function deleteFinding(findingId: number): Promise<boolean> {
+  const res = await getKysely().deleteFrom('tooth_findings').where('finding_id', '=', findingId).executeTakeFirst();
+  return Number(res.numDeletedRows) > 0;
+}
+
+/**
+ * Make `findingIds` the findings the work item treats: links them and unlinks
+ * the item's others. Only findings of the work's own patient are linked; ids of
+ * another patient's findings are ignored. Runs on the caller's transaction.
+ */
+export async function linkWorkItemFindings(
+  db: Kysely<Database>,
+  workItemId: number,
+  findingIds: number[]
+): Promise<void> {
+  let unlink = db.updateTable('tooth_findings').set({ work_item_id: null }).where('work_item_id', '=', workItemId);
+  if (findingIds.length > 0) unlink = unlink.where('finding_id', 'not in', findingIds);
+  await unlink.execute();
+  if (findingIds.length === 0) return;
+
+  await db
+    .updateTable('tooth_findings')
+    .set({ work_item_id: workItemId })
+    .where('finding_id', 'in', findingIds)
+    .where('person_id', '=', (eb) =>
+      eb
+        .selectFrom('work_items as wi')
+        .innerJoin('works as w', 'w.work_id', 'wi.work_id')
+        .where('wi.id', '=', workItemId)
+        .select('w.person_id')
+    )
+    .execute();
+}
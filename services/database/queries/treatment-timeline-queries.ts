@@ -0,0 +1,129 @@
+/**
+ * Treatment timeline source rows (PostgreSQL / Kysely) — everything
+ * TreatmentTimelineService.ts lays out on one work's timeline: the work and its
+ * plan, its visits with wire names, its diagnosis date, and the patient's photo
+ * timepoints and missed appointments (both are per patient, not per work — the
+ * service keeps the ones inside the work's span).
+ *
+ * Every day comes back as a 'YYYY-MM-DD' string: `date` columns through the
+ * kysely.ts parser, the timestamps (`addition_date`, `dx_date`, `app_date`) and
+ * `tp_date_time` cut to the day in SQL.
+ * Row types are `type` (not `interface`) for the contract's looseObject rule.
+ */
+import { sql } from 'kysely';
+import { getKysely } from '../kysely.js';
+
+export type TimelineWorkRow = {
+  work_id: number;
+  person_id: number;
+  status: number;
+  type_name: string | null;
+  doctor_name: string | null;
+  addition_date: string | null;
+  start_date: string | null;
+  debond_date: string | null;
+  i_photo_date: string | null;
+  f_photo_date: string | null;
+  /** Planned treatment length in months. */
+  estimated_duration: number | null;
+  dx_date: string | null;
+};
+
+export type TimelineVisitRow = {
+  id: number;
+  visit_date: string;
+  upper_wire_id: number | null;
+  lower_wire_id: number | null;
+  upper_wire: string | null;
+  lower_wire: string | null;
+  bracket_change: string | null;
+  elastics: string | null;
+  opg: boolean;
+  i_photo: boolean;
+  p_photo: boolean;
+  f_photo: boolean;
+  appliance_removed: boolean;
+};
+
+export type TimelineTimePointRow = {
+  tp_code: number;
+  tp_date: string;
+  tp_description: string | null;
+};
+
+/** The work, its type/doctor names and its (initial) diagnosis date; null when it doesn't exist. */
+export async function getTimelineWork(workId: number): Promise<TimelineWorkRow | null> {
+  const row = await getKysely()
+    .selectFrom('works as w')
+    .leftJoin('work_types as wt', 'wt.id', 'w.type_of_work')
+    .leftJoin('employees as e', 'e.id', 'w.dr_id')
+    .leftJoin('diagnoses as d', (join) => join.onRef('d.work_id', '=', 'w.work_id').on('d.stage', '=', 'initial'))
+    .where('w.work_id', '=', workId)
+    .select([
+      'w.work_id',
+      'w.person_id',
+      'w.status',
+      'wt.work_type as type_name',
+      'e.employee_name as doctor_name',
+      sql<string | null>`to_char(w."addition_date", 'YYYY-MM-DD')`.as('addition_date'),
+      'w.start_date',
+      'w.debond_date',
+      'w.i_photo_date',
+      'w.f_photo_date',
+      'w.estimated_duration',
+      sql<string | null>`to_char(d."dx_date", 'YYYY-MM-DD')`.as('dx_date'),
+    ])
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+/** The work's visits, oldest first, with their wire names. */
+export async function getTimelineVisits(workId: number): Promise<TimelineVisitRow[]> {
+  return getKysely()
+    .selectFrom('visits as v')
+    .leftJoin('wires as uw', 'uw.wire_id', 'v.upper_wire_id')
+    .leftJoin('wires as lw', 'lw.wire_id', 'v.lower_wire_id')
+    .where('v.work_id', '=', workId)
+    .select([
+      'v.id',
+      'v.visit_date',
+      'v.upper_wire_id',
+      'v.lower_wire_id',
+      'uw.wire as upper_wire',
+      'lw.wire as lower_wire',
+      'v.bracket_change',
+      'v.elastics',
+      'v.opg',
+      'v.i_photo',
+      'v.p_photo',
+      'v.f_photo',
+      'v.appliance_removed',
+    ])
+    .orderBy('v.visit_date')
+    .orderBy('v.id')
+    .execute() as Promise<TimelineVisitRow[]>;
+}
+
+/** The patient's dated photo timepoints, oldest first. */
+export async function getTimelineTimePoints(personId: number): Promise<TimelineTimePointRow[]> {
+  return getKysely()
+    .selectFrom('time_points')
+    .where('person_id', '=', personId)
+    .where('tp_date_time', 'is not', null)
+    .select(['tp_code', sql<string>`to_char("tp_date_time", 'YYYY-MM-DD')`.as('tp_date'), 'tp_description'])
+    .orderBy('tp_date_time')
+    .orderBy('tp_code')
+    .execute() as Promise<TimelineTimePointRow[]>;
+}
+
+/** Days ('YYYY-MM-DD') the patient missed an appointment (swept no-shows), oldest first. */
+export async function getMissedAppointmentDays(personId: number): Promise<string[]> {
+  const rows = await getKysely()
+    .selectFrom('appointments')
+    .where('person_id', '=', personId)
+    .where('no_show_at', 'is not', null)
+    .select(sql<string>`to_char("app_date", 'YYYY-MM-DD')`.as('day'))
+    .orderBy('app_date')
+    .execute();
+  return rows.map((r) => r.day);
+}
@@ -0,0 +1,182 @@
+/**
+ * Appointment wait-list queries (PostgreSQL / Kysely).
+ *
+ * `appointment_waitlist` rows move waiting → offered → booked (or → cancelled);
+ * an offer that is declined goes back to waiting. See
+ * migrations/pg/1783000000000_appointment-series-and-waitlist.sql.
+ *
+ * An offer whose slot has already passed is reported `offer_expired` — computed at
+ * READ time against LOCALTIMESTAMP (no cron, no stored flag flip; the alerts
+ * precedent). `offered_slot` leaves as a wall-clock 'YYYY-MM-DDTHH:MM:SS' string.
+ *
+ * Row types are `type` (not `interface`) for the contract's looseObject rule.
+ */
+import { sql } from 'kysely';
+import { getKysely, withPgTransaction } from '../kysely.js';
+
+export type WaitlistStatus = 'waiting' | 'offered' | 'booked' | 'cancelled';
+
+export type WaitlistRow = {
+  id: number;
+  person_id: number;
+  patient_name: string | null;
+  phone: string | null;
+  dr_id: number | null;
+  doctor_name: string | null;
+  app_detail: string | null;
+  earliest_date: string;
+  latest_date: string;
+  note: string | null;
+  status: WaitlistStatus;
+  offered_slot: string | null;
+  offered_dr_id: number | null;
+  offered_doctor_name: string | null;
+  offered_at: Date | null;
+  offer_expired: boolean;
+  booked_appointment_id: number | null;
+  created_at: Date;
+  created_by: string | null;
+};
+
+export type WaitlistCreateInput = {
+  person_id: number;
+  dr_id: number | null;
+  app_detail: string | null;
+  earliest_date: string;
+  latest_date: string;
+  note: string | null;
+  created_by: string | null;
+};
+
+/** The entry a freed slot was offered to, with what the notification needs. */
+export type WaitlistOffer = {
+  id: number;
+  person_id: number;
+  patient_name: string | null;
+  first_name: string | null;
+  phone: string | null;
+  country_code: string | null;
+  language: number | null;
+};
+
+const SELECT_ROWS = sql`
+  SELECT
+    w."id", w."person_id", p."patient_name", p."phone",
+    w."dr_id", d."employee_name" AS "doctor_name",
+    w."app_detail", w."earliest_date", w."latest_date", w."note", w."status",
+    to_char(w."offered_slot", 'YYYY-MM-DD"T"HH24:MI:SS') AS "offered_slot",
+    w."offered_dr_id", od."employee_name" AS "offered_doctor_name",
+    w."offered_at",
+    (w."status" = 'offered' AND w."offered_slot" < LOCALTIMESTAMP) AS "offer_expired",
+    w."booked_appointment_id", w."created_at", w."created_by"
+  FROM "appointment_waitlist" w
+  JOIN "patients" p ON p."person_id" = w."person_id"
+  LEFT JOIN "employees" d ON d."id" = w."dr_id"
+  LEFT JOIN "employees" od ON od."id" = w."offered_dr_id"
+`;
+
+/**
+ * Wait-list rows, optionally for one patient. `open` (the default) = waiting +
+ * offered, oldest first — the order the backfill offers slots in; `all` adds the
+ * closed rows, newest first.
+ */
+export async function listWaitlist(
+  filters: { scope?: 'open' | 'all'; personId?: number } = {}
+): Promise<WaitlistRow[]> {
+  const open = (filters.scope ?? 'open') === 'open';
+  const personId = filters.personId ?? null;
+  const { rows } = await sql<WaitlistRow>`
+    ${SELECT_ROWS}
+    WHERE (${open} = false OR w."status" IN ('waiting', 'offered'))
+      AND (${personId}::int IS NULL OR w."person_id" = ${personId}::int)
+    ORDER BY ${open ? sql`w."created_at", w."id"` : sql`w."created_at" DESC, w."id" DESC`}
+    LIMIT 500
+  `.execute(getKysely());
+  return rows;
+}
+
+export async function getWaitlistEntry(id: number): Promise<WaitlistRow | null> {
+  const { rows } = await sql<WaitlistRow>`
+    ${SELECT_ROWS}
+    WHERE w."id" = ${id}
+  `.execute(getKysely());
+  return rows[0] ?? null;
+}
+
+export async function createWaitlistEntry(input: WaitlistCreateInput): Promise<number> {
+  const row = await getKysely()
+    .insertInto('appointment_waitlist')
+    .values(input)
+    .returning('id')
+    .executeTakeFirstOrThrow();
+  return row.id;
+}
+
+/**
+ * Move an entry from one of `from` to `to`, optionally stamping columns. Returns
+ * false when the row isn't in an allowed state (the caller's view was stale).
+ */
+export async function transitionWaitlistEntry(
+  id: number,
+  from: WaitlistStatus[],
+  to: WaitlistStatus,
+  bookedAppointmentId: number | null = null
+): Promise<boolean> {
+  const result = await getKysely()
+    .updateTable('appointment_waitlist')
+    .set({
+      status: to,
+      ...(to === 'waiting' ? { offered_slot: null, offered_dr_id: null, offered_at: null } : {}),
+      ...(to === 'booked' ? { booked_appointment_id: bookedAppointmentId } : {}),
+    })
+    .where('id', '=', id)
+    .where('status', 'in', from)
+    .executeTakeFirst();
+  return Number(result.numUpdatedRows) > 0;
+}
+
+/**
+ * Offer the slot at `slotDateTime` to the oldest `waiting` entry whose window
+ * covers its day and whose doctor preference (if any) is `drId`, skipping patients
+ * already booked that day and `excludeId` (the entry that just declined it).
+ * Claimed under `FOR UPDATE SKIP LOCKED` so two concurrent deletes can't offer two
+ * slots to one entry. Returns the claimed entry, or null when nobody matches.
+ */
+export async function claimWaitlistCandidate(
+  slotDateTime: string,
+  drId: number | null,
+  excludeId: number | null = null
+): Promise<WaitlistOffer | null> {
+  return withPgTransaction(async (trx) => {
+    const { rows } = await sql<{ id: number }>`
+      SELECT w."id"
+      FROM "appointment_waitlist" w
+      WHERE w."status" = 'waiting'
+        AND ${slotDateTime}::timestamp::date BETWEEN w."earliest_date" AND w."latest_date"
+        AND (w."dr_id" IS NULL OR w."dr_id" = ${drId}::int)
+        AND (${excludeId}::int IS NULL OR w."id" <> ${excludeId}::int)
+        AND NOT EXISTS (
+          SELECT 1 FROM "appointments" a
+          WHERE a."person_id" = w."person_id"
+            AND a."app_date"::date = ${slotDateTime}::timestamp::date
+        )
+      ORDER BY w."created_at", w."id"
+      LIMIT 1
+      FOR UPDATE OF w SKIP LOCKED
+    `.execute(trx);
+    if (rows.length === 0) return null;
+
+    const { rows: offered } = await sql<WaitlistOffer>`
+      UPDATE "appointment_waitlist" w
+      SET "status" = 'offered',
+          "offered_slot" = ${slotDateTime}::timestamp,
+          "offered_dr_id" = ${drId}::int,
+          "offered_at" = LOCALTIMESTAMP
+      FROM "patients" p
+      WHERE w."id" = ${rows[0].id} AND p."person_id" = w."person_id"
+      RETURNING w."id", w."person_id", p."patient_name", p."first_name",
+                p."phone", p."country_code", p."language"
+    `.execute(trx);
+    return offered[0] ?? null;
+  });
+}
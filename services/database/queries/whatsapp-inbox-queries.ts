@@ -0,0 +1,269 @@
+/**
+ * WhatsApp inbox queries (PostgreSQL / Kysely).
+ *
+ * One `whatsapp_threads` row per WhatsApp chat, its messages in
+ * `whatsapp_thread_messages` — see migrations/pg/1784300000000_whatsapp-inbox.sql.
+ * The thread keeps running columns (`last_message_*`, `unread_count`) that
+ * addThreadMessage bumps in the same transaction as the insert, so the thread
+ * list is a plain indexed read.
+ *
+ * `wa_message_id` is unique: the reply route and the client's own echo of the
+ * same send race to insert it, and whichever loses only contributes `sent_by`.
+ *
+ * Row types are `type` (not `interface`) for the contract's looseObject rule.
+ */
+import { sql } from 'kysely';
+import { getKysely, withPgTransaction } from '../kysely.js';
+
+export type InboxDirection = 'in' | 'out';
+
+export type WhatsAppThreadRow = {
+  thread_id: number;
+  chat_id: string;
+  phone: string | null;
+  person_id: number | null;
+  patient_name: string | null;
+  contact_name: string | null;
+  last_message_at: Date | null;
+  last_message_preview: string | null;
+  last_direction: InboxDirection | null;
+  unread_count: number;
+  created_at: Date;
+};
+
+export type WhatsAppThreadMessageRow = {
+  message_id: number;
+  thread_id: number;
+  direction: InboxDirection;
+  body: string;
+  message_type: string;
+  has_media: boolean;
+  wa_message_id: string | null;
+  ack: number | null;
+  sent_at: Date;
+  sent_by: number | null;
+  sent_by_name: string | null;
+};
+
+export type ThreadMessageInput = {
+  direction: InboxDirection;
+  body: string;
+  message_type: string;
+  has_media: boolean;
+  wa_message_id: string | null;
+  ack: number | null;
+  sent_at: Date;
+  sent_by: number | null;
+};
+
+/** A patient whose phone might be the sender's (narrowed by the caller with PhoneFormatter). */
+export type InboxPatientCandidate = {
+  person_id: number;
+  phone: string | null;
+  phone2: string | null;
+  country_code: string | null;
+};
+
+/** Thread list previews are cut to this many characters. */
+const PREVIEW_LENGTH = 120;
+
+const SELECT_THREADS = sql`
+  SELECT
+    t."thread_id", t."chat_id", t."phone", t."person_id", p."patient_name",
+    t."contact_name", t."last_message_at", t."last_message_preview",
+    t."last_direction", t."unread_count", t."created_at"
+  FROM "whatsapp_threads" t
+  LEFT JOIN "patients" p ON p."person_id" = t."person_id"
+`;
+
+/**
+ * Threads, most recent conversation first. `search` matches the patient name,
+ * the WhatsApp contact name or the phone digits; `unreadOnly` keeps threads
+ * with unread incoming messages.
+ */
+export async function listThreads(
+  filters: { search?: string; unreadOnly?: boolean } = {}
+): Promise<WhatsAppThreadRow[]> {
+  const search = filters.search?.trim() ? `%${filters.search.trim()}%` : null;
+  const unreadOnly = filters.unreadOnly ?? false;
+  const { rows } = await sql<WhatsAppThreadRow>`
+    ${SELECT_THREADS}
+    WHERE (${unreadOnly} = false OR t."unread_count" > 0)
+      AND (
+        ${search}::text IS NULL
+        OR p."patient_name" ILIKE ${search}
+        OR t."contact_name" ILIKE ${search}
+        OR t."phone" LIKE ${search}
+      )
+    ORDER BY t."last_message_at" DESC NULLS LAST, t."thread_id" DESC
+    LIMIT 200
+  `.execute(getKysely());
+  return rows;
+}
+
+export async function getThread(threadId: number): Promise<WhatsAppThreadRow | null> {
+  const { rows } = await sql<WhatsAppThreadRow>`
+    ${SELECT_THREADS}
+    WHERE t."thread_id" = ${threadId}
+  `.execute(getKysely());
+  return rows[0] ?? null;
+}
+
+export async function getThreadByChatId(chatId: string): Promise<WhatsAppThreadRow | null> {
+  const { rows } = await sql<WhatsAppThreadRow>`
+    ${SELECT_THREADS}
+    WHERE t."chat_id" = ${chatId}
+  `.execute(getKysely());
+  return rows[0] ?? null;
+}
+
+/** Unread totals for the nav badge: threads waiting on a reply and their messages. */
+export async function getUnreadTotals(): Promise<{ threads: number; messages: number }> {
+  const row = await getKysely()
+    .selectFrom('whatsapp_threads')
+    .where('unread_count', '>', 0)
+    .select([
+      sql<number>`COUNT(*)::int`.as('threads'),
+      sql<number>`COALESCE(SUM("unread_count"), 0)::int`.as('messages'),
+    ])
+    .executeTakeFirstOrThrow();
+  return { threads: row.threads, messages: row.messages };
+}
+
+/** The latest messages of a thread (up to `limit`), returned oldest first. */
+export async function listThreadMessages(
+  threadId: number,
+  limit = 200
+): Promise<WhatsAppThreadMessageRow[]> {
+  const { rows } = await sql<WhatsAppThreadMessageRow>`
+    SELECT * FROM (
+      SELECT
+        m."message_id", m."thread_id", m."direction", m."body", m."message_type",
+        m."has_media", m."wa_message_id", m."ack", m."sent_at", m."sent_by",
+        u."full_name" AS "sent_by_name"
+      FROM "whatsapp_thread_messages" m
+      LEFT JOIN "users" u ON u."user_id" = m."sent_by"
+      WHERE m."thread_id" = ${threadId}
+      ORDER BY m."sent_at" DESC, m."message_id" DESC
+      LIMIT ${limit}
+    ) recent
+    ORDER BY "sent_at", "message_id"
+  `.execute(getKysely());
+  return rows;
+}
+
+/**
+ * Patients whose phone or second phone ends in `lastDigits` — the stored
+ * numbers are free-form (local, 0-prefixed, +964…), so the caller compares the
+ * normalized forms. Most recently booked first, so a shared family number
+ * resolves to the patient who was last reminded.
+ */
+export async function findPatientsByPhoneSuffix(lastDigits: string): Promise<InboxPatientCandidate[]> {
+  const { rows } = await sql<InboxPatientCandidate>`
+    SELECT p."person_id", p."phone", p."phone2", p."country_code"
+    FROM "patients" p
+    WHERE right(regexp_replace(COALESCE(p."phone", ''), '\\D', '', 'g'), ${lastDigits.length}) = ${lastDigits}
+       OR right(regexp_replace(COALESCE(p."phone2", ''), '\\D', '', 'g'), ${lastDigits.length}) = ${lastDigits}
+    ORDER BY (SELECT MAX(a."app_date") FROM "appointments" a WHERE a."person_id" = p."person_id") DESC NULLS LAST,
+             p."person_id" DESC
+    LIMIT 20
+  `.execute(getKysely());
+  return rows;
+}
+
+/**
+ * Find or create the thread for a chat. An existing thread keeps its patient
+ * unless it has none yet (a patient registered after the first message);
+ * the contact name follows the sender's latest WhatsApp profile name.
+ */
+export async function ensureThread(input: {
+  chat_id: string;
+  phone: string | null;
+  person_id: number | null;
+  contact_name: string | null;
+}): Promise<number> {
+  const row = await getKysely()
+    .insertInto('whatsapp_threads')
+    .values(input)
+    .onConflict((oc) =>
+      oc.column('chat_id').doUpdateSet({
+        phone: sql`COALESCE("whatsapp_threads"."phone", EXCLUDED."phone")`,
+        person_id: sql`COALESCE("whatsapp_threads"."person_id", EXCLUDED."person_id")`,
+        contact_name: sql`COALESCE(EXCLUDED."contact_name", "whatsapp_threads"."contact_name")`,
+      })
+    )
+    .returning('thread_id')
+    .executeTakeFirstOrThrow();
+  return row.thread_id;
+}
+
+/**
+ * Append a message to a thread and bump the thread's running columns; an
+ * incoming message adds to `unread_count` (only markThreadRead clears it).
+ * Returns the new message id, or null when `wa_message_id` was already recorded
+ * (then only a missing `sent_by` is filled in).
+ */
+export async function addThreadMessage(threadId: number, input: ThreadMessageInput): Promise<number | null> {
+  return withPgTransaction(async (trx) => {
+    const inserted = await trx
+      .insertInto('whatsapp_thread_messages')
+      .values({ thread_id: threadId, ...input })
+      .onConflict((oc) => oc.column('wa_message_id').doNothing())
+      .returning('message_id')
+      .executeTakeFirst();
+
+    if (!inserted) {
+      if (input.sent_by !== null && input.wa_message_id !== null) {
+        await trx
+          .updateTable('whatsapp_thread_messages')
+          .set({ sent_by: input.sent_by })
+          .where('wa_message_id', '=', input.wa_message_id)
+          .where('sent_by', 'is', null)
+          .execute();
+      }
+      return null;
+    }
+
+    const preview = input.body
+      ? input.body.slice(0, PREVIEW_LENGTH)
+      : input.has_media
+        ? `[${input.message_type}]`
+        : '';
+    await trx
+      .updateTable('whatsapp_threads')
+      .set({
+        last_message_at: sql`GREATEST("last_message_at", ${input.sent_at}::timestamp)`,
+        last_message_preview: preview,
+        last_direction: input.direction,
+        ...(input.direction === 'in' ? { unread_count: sql`"unread_count" + 1` } : {}),
+      })
+      .where('thread_id', '=', threadId)
+      .execute();
+
+    return inserted.message_id;
+  });
+}
+
+/** Clear a thread's unread count. False when the thread doesn't exist. */
+export async function markThreadRead(threadId: number): Promise<boolean> {
+  const result = await getKysely()
+    .updateTable('whatsapp_threads')
+    .set({ unread_count: 0 })
+    .where('thread_id', '=', threadId)
+    .executeTakeFirst();
+  return Number(result.numUpdatedRows) > 0;
+}
+
+/**
+ * Record a delivery ack on an outgoing thread message (acks only move forward).
+ * Returns the thread it belongs to, or null when the id isn't an inbox message.
+ */
+export async function updateThreadMessageAck(waMessageId: string, ack: number): Promise<number | null> {
+  const row = await getKysely()
+    .updateTable('whatsapp_thread_messages')
+    .set({ ack: sql`GREATEST(COALESCE("ack", 0), ${ack}::int)` })
+    .where('wa_message_id', '=', waMessageId)
+    .returning('thread_id')
+    .executeTakeFirst();
+  return row?.thread_id ?? null;
+}
@@ -0,0 +1,213 @@
+/**
+ * Wire protocol queries (PostgreSQL / Kysely) — `wire_protocols`,
+ * `wire_protocol_steps` and `work_wire_protocols`, see
+ * migrations/pg/1784700000000_wire-protocols.sql.
+ *
+ * A protocol is saved with its steps in one transaction; the steps are replaced
+ * as a whole (delete + insert), so `position` is always 1..n in list order.
+ * Row types are `type` (not `interface`) for the contract's looseObject rule.
+ */
+import { sql } from 'kysely';
+import { getKysely, withPgTransaction } from '../kysely.js';
+import type { StepArch } from '../../../shared/contracts/wire-protocol.contract.js';
+
+export type WireProtocolRow = {
+  protocol_id: number;
+  name: string;
+  description: string | null;
+  is_active: boolean;
+  work_count: number;
+};
+
+export type WireProtocolStepRow = {
+  step_id: number;
+  protocol_id: number;
+  position: number;
+  arch: StepArch;
+  wire_id: number;
+  wire_name: string;
+  min_weeks: number;
+  interval_weeks: number;
+};
+
+export type WireProtocolInput = {
+  name: string;
+  description: string | null;
+  is_active: boolean;
+  steps: { arch: StepArch; wire_id: number; min_weeks: number; interval_weeks: number }[];
+};
+
+/** One visit's wires, for the suggestion (oldest first). */
+export type ProtocolVisitRow = {
+  id: number;
+  visit_date: string;
+  upper_wire_id: number | null;
+  upper_wire: string | null;
+  lower_wire_id: number | null;
+  lower_wire: string | null;
+};
+
+function protocolsQuery() {
+  return getKysely()
+    .selectFrom('wire_protocols as p')
+    .select([
+      'p.protocol_id',
+      'p.name',
+      'p.description',
+      'p.is_active',
+      sql<number>`(SELECT COUNT(*)::int FROM "work_wire_protocols" w WHERE w."protocol_id" = p."protocol_id")`.as(
+        'work_count'
+      ),
+    ]);
+}
+
+/** Every protocol, active first, then by name. */
+export async function listWireProtocols(): Promise<WireProtocolRow[]> {
+  return protocolsQuery().orderBy('p.is_active', 'desc').orderBy('p.name').execute();
+}
+
+export async function getWireProtocolById(protocolId: number): Promise<WireProtocolRow | null> {
+  const row = await protocolsQuery().where('p.protocol_id', '=', protocolId).executeTakeFirst();
+  return row ?? null;
+}
+
+/** Steps of the given protocols (all when `protocolIds` is omitted), in position order. */
+export async function getWireProtocolSteps(protocolIds?: number[]): Promise<WireProtocolStepRow[]> {
+  if (protocolIds && protocolIds.length === 0) return [];
+  let q = getKysely()
+    .selectFrom('wire_protocol_steps as s')
+    .innerJoin('wires as w', 'w.wire_id', 's.wire_id')
+    .select([
+      's.step_id',
+      's.protocol_id',
+      's.position',
+      's.arch',
+      's.wire_id',
+      'w.wire as wire_name',
+      's.min_weeks',
+      's.interval_weeks',
+    ]);
+  if (protocolIds) q = q.where('s.protocol_id', 'in', protocolIds);
+  const rows = await q.orderBy('s.protocol_id').orderBy('s.position').execute();
+  return rows as WireProtocolStepRow[];
+}
+
+/** Create a protocol with its steps. Returns its id. */
+export async function insertWireProtocol(input: WireProtocolInput, createdBy: string | null): Promise<number> {
+  return withPgTransaction(async (trx) => {
+    const { protocol_id } = await trx
+      .insertInto('wire_protocols')
+      .values({
+        name: input.name,
+        description: input.description,
+        is_active: input.is_active,
+        created_by: createdBy,
+        updated_by: createdBy,
+      })
+      .returning('protocol_id')
+      .executeTakeFirstOrThrow();
+    await trx
+      .insertInto('wire_protocol_steps')
+      .values(input.steps.map((s, i) => ({ ...s, protocol_id, position: i + 1 })))
+      .execute();
+    return protocol_id;
+  });
+}
+
+/** Update a protocol and replace its steps. False when it doesn't exist. */
+export async function updateWireProtocol(
+  protocolId: number,
+  input: WireProtocolInput,
+  updatedBy: string | null
+): Promise<boolean> {
+  return withPgTransaction(async (trx) => {
+    const res = await trx
+      .updateTable('wire_protocols')
+      .set({
+        name: input.name,
+        description: input.description,
+        is_active: input.is_active,
+        updated_by: updatedBy,
+      })
+      .where('protocol_id', '=', protocolId)
+      .executeTakeFirst();
+    if (Number(res.numUpdatedRows) === 0) return false;
+    await trx.deleteFrom('wire_protocol_steps').where('protocol_id', '=', protocolId).execute();
+    await trx
+      .insertInto('wire_protocol_steps')
+      .values(input.steps.map((s, i) => ({ ...s, protocol_id: protocolId, position: i + 1 })))
+      .execute();
+    return true;
+  });
+}
+
+/** Delete a protocol (its steps cascade). False when it doesn't exist. */
+export async function deleteWireProtocol(protocolId: number): Promise<boolean> {
+  const res = await getKysely()
+    .deleteFrom('wire_protocols')
+    .where('protocol_id', '=', protocolId)
+    .executeTakeFirst();
+  return Number(res.numDeletedRows) > 0;
+}
+
+export async function workExists(workId: number): Promise<boolean> {
+  const row = await getKysely()
+    .selectFrom('works')
+    .where('work_id', '=', workId)
+    .select('work_id')
+    .executeTakeFirst();
+  return !!row;
+}
+
+/** The protocol id a work follows, or null. */
+export async function getWorkProtocolId(workId: number): Promise<number | null> {
+  const row = await getKysely()
+    .selectFrom('work_wire_protocols')
+    .where('work_id', '=', workId)
+    .select('protocol_id')
+    .executeTakeFirst();
+  return row?.protocol_id ?? null;
+}
+
+/** Assign (upsert) the work's protocol. */
+export async function setWorkProtocol(workId: number, protocolId: number, assignedBy: string | null): Promise<void> {
+  await getKysely()
+    .insertInto('work_wire_protocols')
+    .values({ work_id: workId, protocol_id: protocolId, assigned_by: assignedBy })
+    .onConflict((oc) =>
+      oc.column('work_id').doUpdateSet({
+        protocol_id: protocolId,
+        assigned_by: assignedBy,
+        assigned_at: sql`LOCALTIMESTAMP`,
+      })
+    )
+    .execute();
+}
+
+export async function clearWorkProtocol(workId: number): Promise<void> {
+  await getKysely().deleteFrom('work_wire_protocols').where('work_id', '=', workId).execute();
+}
+
+/** The work's visits before `date`, oldest first, optionally leaving one out. */
+export async function getProtocolVisits(
+  workId: number,
+  date: string,
+  excludeVisitId?: number
+): Promise<ProtocolVisitRow[]> {
+  let q = getKysely()
+    .selectFrom('visits as v')
+    .leftJoin('wires as uw', 'uw.wire_id', 'v.upper_wire_id')
+    .leftJoin('wires as lw', 'lw.wire_id', 'v.lower_wire_id')
+    .where('v.work_id', '=', workId)
+    .where('v.visit_date', '<', date)
+    .select([
+      'v.id',
+      'v.visit_date',
+      'v.upper_wire_id',
+      'uw.wire as upper_wire',
+      'v.lower_wire_id',
+      'lw.wire as lower_wire',
+    ]);
+  if (excludeVisitId) q = q.where('v.id', '!=', excludeVisitId);
+  return q.orderBy('v.visit_date').orderBy('v.id').execute() as Promise<ProtocolVisitRow[]>;
+}
@@ -22,6 +22,7 @@ import { getKysely, withPgTransaction, type Database } from '../kysely.js';
 import { toDateOnly } from '../../../utils/date.js';
 import { WORK_STATUS } from '../../../shared/treatment-taxonomy.js';
 import { recomputePatientType, recomputePatientTypeForWork } from './patient-type-classifier.js';
+import { linkWorkItemFindings } from './tooth-finding-queries.js';
 
 /**
  * Normalize a form-supplied numeric value for a nullable numeric column.
@@ -190,6 +191,7 @@ interface WorkItemData {
   completed_date?: string | null;
   note?: string | null;
   TeethIds?: number[];
+  FindingIds?: number[];
 }
 
 type work_type = {
@@ -528,6 +530,11 @@ export async function addWorkDetail(workDetailData: WorkItemData): Promise<{ id:
       await setWorkItemTeeth(result.id, workDetailData.TeethIds, trx);
     }
 
+    // The patient's tooth findings this item treats
+    if (result && result.id && workDetailData.FindingIds && workDetailData.FindingIds.length > 0) {
+      await linkWorkItemFindings(trx, result.id, workDetailData.FindingIds);
+    }
+
     return result;
   });
 }
@@ -571,6 +578,10 @@ export async function updateWorkDetail(
       await setWorkItemTeeth(detailId, workDetailData.TeethIds || [], trx);
     }
 
+    if (workDetailData.FindingIds !== undefined) {
+      await linkWorkItemFindings(trx, detailId, workDetailData.FindingIds);
+    }
+
     return result;
   });
 }
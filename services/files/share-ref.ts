@@ -11,6 +11,7 @@ import { stat } from 'fs/promises';
 import { workingDir, workingFilePath } from './clinic-paths.js';
 import { resolveFileForServe, FileExplorerError } from './file-explorer.service.js';
 import { resolveStagedShare } from './share-stage.js';
+import { resolveCollage } from '../imaging/photo-collage.service.js';
 import { getFileMimeType } from '../../utils/file-mime.js';
 import type { SendFileRef } from '../../shared/contracts/localsend.contract.js';
 
@@ -36,6 +37,11 @@ export async function resolveShareRef(ref: SendFileRef): Promise<ResolvedShareFi
     // An ad-hoc image the browser generated and uploaded to the staging dir.
     return resolveStagedShare(ref.ref, ref.displayName);
   }
+  if (ref.source === 'collage') {
+    // A server-rendered collage in the patient's collage cache (name-validated there).
+    const { abs, size } = await resolveCollage(ref.personId, ref.ref);
+    return { abs, size, name: ref.displayName || ref.ref, fileType: 'image/jpeg' };
+  }
   // patient-image — a rendered Dolphin view in the shared working/ dir.
   return resolveWorkingImage(ref);
 }
@@ -0,0 +1,422 @@
+/**
+ * Before/progress/after collage renderer — lays a patient's rendered photo views
+ * out as one branded JPEG, server-side with sharp, so a comparison can be shared
+ * (LocalSend / Telegram / WhatsApp) or shown in the patient portal without the
+ * Compare page's canvas.
+ *
+ * Layout: a header band (clinic logo + name, patient name), a label band (each
+ * column's stage — Before / Progress / After — and timepoint), then one row per
+ * view, one column per timepoint. Each row's cells have the view's aspect
+ * (shared/photo-collage.ts CELL_ASPECT).
+ *
+ * Alignment: in each row the first photo with current landmarks is the reference
+ * and cover-fits its cell; every other photo with landmarks is scaled and rotated
+ * (a similarity) so its landmarks land on the reference's, then cropped to the
+ * cell — the margins a rotation uncovers are white, like photo-render's fill. A
+ * photo without landmarks (or with a mis-marked pair) cover-fits its cell.
+ * Resize and rotate run as separate pipelines: sharp applies its operations at
+ * fixed stages, not in call order (see photo-render.service.ts).
+ *
+ * Cache: the output is named by a hash of everything that shows in it (photo
+ * mtimes, landmarks, labels, branding), so an unchanged request reuses the file
+ * and any change renders a new one. Files live SERVER-LOCAL beside the thumbnail
+ * cache (`${COLLAGE_CACHE_DIR}/{personId}/collage-{hash}.jpg`); only the newest
+ * few per patient are kept.
+ */
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { FileExplorerError } from '../files/file-explorer.service.js';
+import { log } from '../../utils/logger.js';
+import type { PhotoViewCode } from '../../shared/photo-views.js';
+import { CELL_ASPECT, coverFit, rotateAbout, similarity, type Point } from '../../shared/photo-collage.js';
+import { COLLAGE_NAME_RE, type LandmarkPoints } from '../../shared/contracts/photo-collage.contract.js';
+
+// One-shot renders; don't keep libvips' operation cache (mirrors the other sharp consumers).
+sharp.cache(false);
+
+const COLLAGE_CACHE_DIR =
+  process.env.COLLAGE_CACHE_DIR || path.join(process.cwd(), '.cache', 'collages');
+
+/** Bump when the layout changes, so cached collages are re-rendered. */
+const LAYOUT_VERSION = 1;
+
+/** Collages kept per patient; older ones are pruned after each new render. */
+const KEEP_PER_PATIENT = 20;
+
+const CELL_W = 800;
+const GAP = 12;
+const MARGIN = 32;
+const HEADER_H = 140;
+const LABEL_H = 76;
+const LOGO_MAX = { width: 320, height: 88 };
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+const JPEG_OPTS = { quality: 88, mozjpeg: true } as const;
+const sharpOpts = { failOn: 'none' as const };
+
+/** One rendered view to place. `landmark` is only passed when current (not stale). */
+export interface CollagePhoto {
+  abs: string;
+  width: number;
+  height: number;
+  mtime: number;
+  landmark: LandmarkPoints | null;
+}
+
+export interface CollageColumn {
+  /** Before / Progress / After ('' for a single column). */
+  title: string;
+  /** The timepoint — description and date. */
+  caption: string;
+}
+
+export interface CollageSpec {
+  personId: number;
+  patientName: string;
+  columns: CollageColumn[];
+  views: PhotoViewCode[];
+  /** `photos[row][column]` — null where the view wasn't taken at that timepoint. */
+  photos: (CollagePhoto | null)[][];
+  align: boolean;
+  branding: { clinicName: string | null; logoPath: string | null };
+}
+
+export interface RenderedCollage {
+  name: string;
+  abs: string;
+  width: number;
+  height: number;
+  cached: boolean;
+  aligned: number;
+  missing: number;
+}
+
+type Placement =
+  | { kind: 'cover' }
+  | { kind: 'aligned'; scale: number; rotation: number; anchor: Point; target: Point };
+
+interface CellPlan {
+  photo: CollagePhoto;
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+  placement: Placement;
+}
+
+interface CollagePlan {
+  width: number;
+  height: number;
+  cells: CellPlan[];
+  /** Blank cells (view not taken), drawn by the overlay. */
+  blanks: Array<{ left: number; top: number; width: number; height: number }>;
+  columnCentres: number[];
+  aligned: number;
+}
+
+const landmarkPx = (photo: CollagePhoto, which: 'a' | 'b'): Point => ({
+  x: (which === 'a' ? photo.landmark!.a_x : photo.landmark!.b_x) * photo.width,
+  y: (which === 'a' ? photo.landmark!.a_y : photo.landmark!.b_y) * photo.height,
+});
+
+/** Where every cell goes and how each photo is placed in it. Pure — no I/O. */
+function planCollage(spec: CollageSpec): CollagePlan {
+  const cols = spec.columns.length;
+  const width = 2 * MARGIN + cols * CELL_W + (cols - 1) * GAP;
+  const columnLeft = (c: number) => MARGIN + c * (CELL_W + GAP);
+  const cells: CellPlan[] = [];
+  const blanks: CollagePlan['blanks'] = [];
+  let aligned = 0;
+  let top = HEADER_H + LABEL_H;
+
+  spec.views.forEach((view, r) => {
+    const cellH = Math.round(CELL_W / CELL_ASPECT[view]);
+    const row = spec.photos[r] ?? [];
+
+    // The reference: the first photo in the row with landmarks, cover-fitted. Its
+    // landmarks, in cell pixels, are where the others' must land.
+    const reference = spec.align ? row.find((p) => p?.landmark) ?? null : null;
+    let target: [Point, Point] | null = null;
+    if (reference) {
+      const fit = coverFit(reference.width, reference.height, CELL_W, cellH);
+      const toCell = (p: Point): Point => ({ x: p.x * fit.scale + fit.left, y: p.y * fit.scale + fit.top });
+      target = [toCell(landmarkPx(reference, 'a')), toCell(landmarkPx(reference, 'b'))];
+    }
+
+    let rowAligned = 0;
+    for (let c = 0; c < cols; c++) {
+      const photo = row[c] ?? null;
+      const box = { left: columnLeft(c), top, width: CELL_W, height: cellH };
+      if (!photo) {
+        blanks.push(box);
+        continue;
+      }
+      let placement: Placement = { kind: 'cover' };
+      if (target && photo !== reference && photo.landmark) {
+        const anchor = landmarkPx(photo, 'a');
+        const fit = similarity([anchor, landmarkPx(photo, 'b')], target);
+        if (fit) {
+          placement = { kind: 'aligned', scale: fit.scale, rotation: fit.rotation, anchor, target: target[0] };
+          rowAligned++;
+        }
+      }
+      cells.push({ photo, ...box, placement });
+    }
+    // The reference counts once something was lined up on it.
+    if (rowAligned > 0) aligned += rowAligned + 1;
+    top += cellH + GAP;
+  });
+
+  return {
+    width,
+    height: top - GAP + MARGIN,
+    cells,
+    blanks,
+    columnCentres: spec.columns.map((_, c) => columnLeft(c) + CELL_W / 2),
+    aligned,
+  };
+}
+
+type RawImage = { data: Buffer; info: sharp.OutputInfo };
+
+/** One cell's pixels (raw, cell-sized). */
+async function renderCell(cell: CellPlan): Promise<RawImage> {
+  const { photo, width, height, placement } = cell;
+  if (placement.kind === 'cover') {
+    return sharp(photo.abs, sharpOpts)
+      .resize(width, height, { fit: 'cover', position: 'centre' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  }
+
+  // Scale, then (separately) rotate about the centre — sharp expands the canvas to
+  // the rotated bounding box and keeps the content centred.
+  const scaled = await sharp(photo.abs, sharpOpts)
+    .resize(Math.max(1, Math.round(photo.width * placement.scale)), Math.max(1, Math.round(photo.height * placement.scale)), {
+      fit: 'fill',
+    })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const sx = scaled.info.width / photo.width;
+  const sy = scaled.info.height / photo.height;
+  let image: RawImage = scaled;
+  let anchor: Point = { x: placement.anchor.x * sx, y: placement.anchor.y * sy };
+  if (Math.abs(placement.rotation) >= 0.05) {
+    const { width: sw, height: sh, channels } = scaled.info;
+    image = await sharp(scaled.data, { raw: { width: sw, height: sh, channels } })
+      .rotate(placement.rotation, { background: WHITE })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const turned = rotateAbout(anchor, { x: sw / 2, y: sh / 2 }, placement.rotation);
+    anchor = { x: turned.x + (image.info.width - sw) / 2, y: turned.y + (image.info.height - sh) / 2 };
+  }
+
+  // Put the anchor landmark on its target, then keep the part inside the cell.
+  const offsetX = Math.round(placement.target.x - anchor.x);
+  const offsetY = Math.round(placement.target.y - anchor.y);
+  const x0 = Math.max(0, offsetX);
+  const y0 = Math.max(0, offsetY);
+  const x1 = Math.min(width, offsetX + image.info.width);
+  const y1 = Math.min(height, offsetY + image.info.height);
+  const canvas = sharp({ create: { width, height, channels: 3, background: WHITE } });
+  if (x1 <= x0 || y1 <= y0) {
+    return canvas.raw().toBuffer({ resolveWithObject: true });
+  }
+  const { width: iw, height: ih, channels } = image.info;
+  const visible = await sharp(image.data, { raw: { width: iw, height: ih, channels } })
+    .extract({ left: x0 - offsetX, top: y0 - offsetY, width: x1 - x0, height: y1 - y0 })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return canvas
+    .composite([{ input: visible.data, raw: visible.info, left: x0, top: y0 }])
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+const escapeXml = (s: string): string =>
+  s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/** Header, column labels and blank cells as one SVG layer. */
+function overlaySvg(spec: CollageSpec, plan: CollagePlan, logoWidth: number): Buffer {
+  const textLeft = MARGIN + (logoWidth ? logoWidth + 24 : 0);
+  const clinic = spec.branding.clinicName?.trim() ?? '';
+  const parts: string[] = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${plan.width}" height="${plan.height}">`,
+    `<style>text { font-family: 'Segoe UI', Arial, sans-serif; }</style>`,
+    `<line x1="${MARGIN}" y1="${HEADER_H - 1}" x2="${plan.width - MARGIN}" y2="${HEADER_H - 1}" stroke="#dee2e6" stroke-width="2"/>`,
+  ];
+  if (clinic) {
+    parts.push(`<text x="${textLeft}" y="62" font-size="38" font-weight="700" fill="#212529">${escapeXml(clinic)}</text>`);
+  }
+  parts.push(
+    `<text x="${textLeft}" y="${clinic ? 104 : 84}" font-size="28" fill="#495057">${escapeXml(spec.patientName)}</text>`
+  );
+  spec.columns.forEach((column, c) => {
+    const x = plan.columnCentres[c];
+    if (column.title) {
+      parts.push(
+        `<text x="${x}" y="${HEADER_H + 36}" font-size="28" font-weight="700" fill="#5b3cc4" text-anchor="middle">${escapeXml(column.title)}</text>`
+      );
+    }
+    parts.push(
+      `<text x="${x}" y="${HEADER_H + (column.title ? 64 : 48)}" font-size="20" fill="#6c757d" text-anchor="middle">${escapeXml(column.caption)}</text>`
+    );
+  });
+  for (const blank of plan.blanks) {
+    parts.push(
+      `<rect x="${blank.left}" y="${blank.top}" width="${blank.width}" height="${blank.height}" fill="#f1f3f5"/>`,
+      `<text x="${blank.left + blank.width / 2}" y="${blank.top + blank.height / 2 + 8}" font-size="22" fill="#adb5bd" text-anchor="middle">No photo</text>`
+    );
+  }
+  parts.push('</svg>');
+  return Buffer.from(parts.join(''));
+}
+
+/** The clinic logo fitted into the header, or null when there is none / it can't be read. */
+async function renderLogo(logoPath: string | null): Promise<RawImage | null> {
+  if (!logoPath) return null;
+  try {
+    return await sharp(logoPath, sharpOpts)
+      .resize(LOGO_MAX.width, LOGO_MAX.height, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: WHITE })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    log.warn('[Collage] clinic logo unreadable, rendering without it', { error: (err as Error).message });
+    return null;
+  }
+}
+
+function patientDir(personId: number): string {
+  return path.join(COLLAGE_CACHE_DIR, String(personId));
+}
+
+/**
+ * Absolute path of a patient's collage, guarded to stay inside their cache dir.
+ * Returns '' for a malformed/escaping name.
+ */
+export function collageFilePath(personId: number, name: string): string {
+  if (!Number.isInteger(personId) || personId <= 0 || !COLLAGE_NAME_RE.test(name)) return '';
+  const dir = patientDir(personId);
+  const abs = path.join(dir, name);
+  const rel = path.relative(dir, abs);
+  if (rel.startsWith('..') || path.isAbsolute(rel)) return '';
+  return abs;
+}
+
+/** A rendered collage on disk. Throws FileExplorerError 400 / 404. */
+export async function resolveCollage(personId: number, name: string): Promise<{ abs: string; size: number }> {
+  const abs = collageFilePath(personId, name);
+  if (!abs) throw new FileExplorerError('Invalid collage reference', 400);
+  const st = await fs.stat(abs).catch(() => {
+    throw new FileExplorerError('Collage not found (it may have been replaced)', 404);
+  });
+  return { abs, size: st.size };
+}
+
+function cacheName(spec: CollageSpec): string {
+  const key = JSON.stringify({
+    v: LAYOUT_VERSION,
+    patient: spec.patientName,
+    columns: spec.columns,
+    views: spec.views,
+    align: spec.align,
+    photos: spec.photos.map((row) => row.map((p) => p && [path.basename(p.abs), p.mtime, p.landmark])),
+    clinic: spec.branding.clinicName,
+    logo: spec.branding.logoPath ? path.basename(spec.branding.logoPath) : null,
+  });
+  return `collage-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}.jpg`;
+}
+
+/** Delete all but the newest KEEP_PER_PATIENT collages. Best effort — never throws. */
+async function pruneCollages(dir: string): Promise<void> {
+  try {
+    const names = (await fs.readdir(dir)).filter((n) => COLLAGE_NAME_RE.test(n));
+    if (names.length <= KEEP_PER_PATIENT) return;
+    const dated = await Promise.all(
+      names.map(async (name) => ({ name, mtime: (await fs.stat(path.join(dir, name))).mtimeMs }))
+    );
+    dated.sort((a, b) => b.mtime - a.mtime);
+    await Promise.all(dated.slice(KEEP_PER_PATIENT).map((d) => fs.unlink(path.join(dir, d.name)).catch(() => {})));
+  } catch {
+    /* best effort — a racey unlink or stat is harmless */
+  }
+}
+
+// One render at a time: each holds every cell in memory until the final composite.
+let rendering: Promise<unknown> = Promise.resolve();
+// A collage already being rendered is awaited, not rendered twice.
+const inFlight = new Map<string, Promise<void>>();
+
+async function writeCollage(spec: CollageSpec, plan: CollagePlan, abs: string): Promise<void> {
+  const cells: sharp.OverlayOptions[] = [];
+  for (const cell of plan.cells) {
+    const { data, info } = await renderCell(cell);
+    cells.push({ input: data, raw: info, left: cell.left, top: cell.top });
+  }
+  const logo = await renderLogo(spec.branding.logoPath);
+  const layers: sharp.OverlayOptions[] = [
+    ...cells,
+    { input: overlaySvg(spec, plan, logo?.info.width ?? 0), left: 0, top: 0 },
+  ];
+  if (logo) {
+    layers.push({ input: logo.data, raw: logo.info, left: MARGIN, top: Math.round((HEADER_H - logo.info.height) / 2) });
+  }
+
+  await fs.mkdir(path.dirname(abs), { recursive: true });
+  // Temp file + rename — a concurrent reader never sees a half-written collage.
+  const tmpPath = `${abs}.tmp-${process.pid}-${Date.now()}`;
+  try {
+    await sharp({ create: { width: plan.width, height: plan.height, channels: 3, background: WHITE } })
+      .composite(layers)
+      .jpeg(JPEG_OPTS)
+      .toFile(tmpPath);
+    await fs.rename(tmpPath, abs);
+  } catch (err) {
+    await fs.rm(tmpPath, { force: true }).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Render (or reuse) the collage for `spec`. Returns its cache name and what went
+ * into it. Throws FileExplorerError 422 when the photos can't be rendered.
+ */
+export async function renderCollage(spec: CollageSpec): Promise<RenderedCollage> {
+  const plan = planCollage(spec);
+  const name = cacheName(spec);
+  const abs = collageFilePath(spec.personId, name);
+  const result = (cached: boolean): RenderedCollage => ({
+    name,
+    abs,
+    width: plan.width,
+    height: plan.height,
+    cached,
+    aligned: plan.aligned,
+    missing: plan.blanks.length,
+  });
+
+  if (await fs.access(abs).then(() => true, () => false)) return result(true);
+
+  let job = inFlight.get(name);
+  if (!job) {
+    job = rendering.then(() => writeCollage(spec, plan, abs));
+    rendering = job.catch(() => {});
+    inFlight.set(name, job);
+    void job.finally(() => inFlight.delete(name)).catch(() => {});
+  }
+  try {
+    await job;
+  } catch (err) {
+    log.warn('[Collage] render failed', { personId: spec.personId, name, error: (err as Error).message });
+    throw new FileExplorerError('Could not render the collage', 422);
+  }
+  void pruneCollages(path.dirname(abs));
+  log.info('[Collage] rendered', { personId: spec.personId, name, aligned: plan.aligned });
+  return result(false);
+}
@@ -0,0 +1,195 @@
+/**
+ * Lab-billing-service — the monthly lab statement and its reconciliation into an
+ * expense, plus the price-list / charge edits that need a business rule.
+ *
+ * A lab's month is reconciled per currency: every open charge accrued up to month
+ * end (lab-billing-queries.ts#insertLabStatement) goes onto one statement, and a
+ * Lab-category expense for the lab's invoice amount (or the accrued total when the
+ * invoice amount is not entered) is booked on the month's last day — so it lands
+ * in that month's net profit (FinancialReportService). Reopening a statement
+ * deletes that expense and frees the charges again.
+ *
+ * Errors use the lab-case-service.ts message-prefix convention ('[NOT_FOUND] …',
+ * '[CONFLICT] …', '[INVALID_STATE_TRANSITION] …') that the routes translate.
+ */
+import { withPgTransaction, type Database } from '../database/kysely.js';
+import type { Transaction } from 'kysely';
+import {
+  listMonthCharges,
+  listMonthStatements,
+  getLabNames,
+  insertLabStatement,
+  deleteLabStatement,
+  insertLabPrice,
+  updateLabPriceRow,
+  getLabPrice,
+  getLabCharge,
+  updateOpenLabCharge,
+} from '../database/queries/lab-billing-queries.js';
+import type {
+  LabChargeRow,
+  LabPriceBody,
+  LabPriceRow,
+  LabStatementGroup,
+  LabStatementRow,
+  ReconcileLabStatementBody,
+  UpdateLabChargeBody,
+} from '../../shared/contracts/lab-billing.contract.js';
+
+/**
+ * The "Lab" expense category. Hardcoded to the seed id, the same posture as the
+ * frontend's LAB_EXPENSE_CATEGORY (public/js/config/expenseCategories.ts).
+ */
+export const LAB_EXPENSE_CATEGORY = 7;
+
+type WithSession = { session?: { username?: string } | null };
+const actingUser = (req: WithSession): string => req.session?.username ?? 'unknown';
+
+/** 'YYYY-MM' → first and last day of the month ('YYYY-MM-DD'). */
+function monthBounds(month: string): { periodStart: string; periodEnd: string } {
+  const [year, mon] = month.split('-').map(Number) as [number, number];
+  const lastDay = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+  return { periodStart: `${month}-01`, periodEnd: `${month}-${String(lastDay).padStart(2, '0')}` };
+}
+
+const isUniqueViolation = (error: unknown): boolean => (error as { code?: string })?.code === '23505';
+
+/**
+ * The month's statement view: one group per lab × currency (reconciled or open)
+ * and the charges behind them.
+ */
+export async function getMonthlyLabStatements(
+  month: string,
+  labId?: number
+): Promise<{ month: string; groups: LabStatementGroup[]; charges: LabChargeRow[] }> {
+  const { periodStart } = monthBounds(month);
+  const [allCharges, allStatements] = await Promise.all([
+    listMonthCharges(periodStart, labId),
+    listMonthStatements(periodStart),
+  ]);
+  const statements = allStatements.filter((s) => !labId || s.lab_id === labId);
+
+  const keyOf = (row: { lab_id: number; currency: string }): string => `${row.lab_id}|${row.currency}`;
+  const statementByKey = new Map(statements.map((s) => [keyOf(s), s]));
+  // A reconciled lab × currency shows only its own charges; open ones accrued
+  // (backdated) before month end since then roll onto next month's statement.
+  const charges = allCharges.filter((c) => {
+    const statement = statementByKey.get(keyOf(c));
+    return !statement || c.statement_id === statement.id;
+  });
+
+  const groups = new Map<string, Omit<LabStatementGroup, 'lab_name'>>();
+  const groupFor = (row: { lab_id: number; currency: LabStatementGroup['currency'] }) => {
+    let group = groups.get(keyOf(row));
+    if (!group) {
+      group = {
+        lab_id: row.lab_id,
+        currency: row.currency,
+        charges: 0,
+        unpriced: 0,
+        accrued_amount: 0,
+        statement: statementByKey.get(keyOf(row)) ?? null,
+      };
+      groups.set(keyOf(row), group);
+    }
+    return group;
+  };
+  // Statements first, so one whose charges were since deleted can still be reopened.
+  for (const statement of statements) groupFor(statement);
+  for (const charge of charges) {
+    const group = groupFor(charge);
+    group.charges++;
+    if (charge.price_list_id === null && charge.amount === 0) group.unpriced++;
+    group.accrued_amount += charge.amount;
+  }
+
+  const names = await getLabNames([...new Set([...groups.values()].map((g) => g.lab_id))]);
+  return {
+    month,
+    groups: [...groups.values()]
+      .map((g) => ({ ...g, lab_name: names.get(g.lab_id) ?? `Lab #${g.lab_id}` }))
+      .sort((a, b) => a.lab_name.localeCompare(b.lab_name) || a.currency.localeCompare(b.currency)),
+    charges,
+  };
+}
+
+/**
+ * Reconcile a lab's month in one currency and book the expense.
+ * @throws '[CONFLICT]' already reconciled; '[INVALID_STATE_TRANSITION]' nothing open
+ */
+export async function reconcileLabStatement(body: ReconcileLabStatementBody, req: WithSession): Promise<LabStatementRow> {
+  const { periodStart, periodEnd } = monthBounds(body.month);
+  const names = await getLabNames([body.labId]);
+  const labName = names.get(body.labId);
+  if (!labName) throw new Error('[NOT_FOUND] Lab');
+
+  try {
+    return await withPgTransaction(async (trx: Transaction<Database>) => {
+      const invoice = body.labInvoiceNo ? ` — invoice ${body.labInvoiceNo}` : '';
+      const statement = await insertLabStatement(trx, {
+        labId: body.labId,
+        periodStart,
+        currency: body.currency,
+        labInvoiceNo: body.labInvoiceNo || null,
+        labInvoiceAmount: body.labInvoiceAmount ?? null,
+        note: body.note || null,
+        reconciledBy: actingUser(req),
+        expense: {
+          categoryId: LAB_EXPENSE_CATEGORY,
+          expenseDate: periodEnd,
+          note: `Lab statement ${body.month} — ${labName}${invoice}`,
+        },
+      });
+      if (!statement) {
+        throw new Error(`[INVALID_STATE_TRANSITION] No open ${body.currency} charges for ${labName} up to ${body.month}`);
+      }
+      return statement;
+    });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      throw new Error(`[CONFLICT] ${labName}'s ${body.currency} statement for ${body.month} is already reconciled`, {
+        cause: error,
+      });
+    }
+    throw error;
+  }
+}
+
+/** Reopen a reconciled statement (its expense is deleted). */
+export async function reopenLabStatement(id: number): Promise<{ id: number }> {
+  const row = await withPgTransaction((trx: Transaction<Database>) => deleteLabStatement(trx, id));
+  if (!row) throw new Error('[NOT_FOUND] Lab statement');
+  return row;
+}
+
+const DUPLICATE_PRICE = '[CONFLICT] This lab already has a price for that work type, material and shade';
+
+/** @throws '[CONFLICT]' when an active price already covers the same lab/work type/material/shade */
+export async function createLabPrice(body: LabPriceBody): Promise<LabPriceRow> {
+  try {
+    const id = await insertLabPrice(body);
+    return (await getLabPrice(id))!;
+  } catch (error) {
+    if (isUniqueViolation(error)) throw new Error(DUPLICATE_PRICE, { cause: error });
+    throw error;
+  }
+}
+
+export async function updateLabPrice(id: number, body: LabPriceBody): Promise<LabPriceRow> {
+  try {
+    if (!(await updateLabPriceRow(id, body))) throw new Error('[NOT_FOUND] Price');
+    return (await getLabPrice(id))!;
+  } catch (error) {
+    if (isUniqueViolation(error)) throw new Error(DUPLICATE_PRICE, { cause: error });
+    throw error;
+  }
+}
+
+/** @throws '[INVALID_STATE_TRANSITION]' once the charge is on a reconciled statement */
+export async function updateLabCharge(id: number, body: UpdateLabChargeBody): Promise<LabChargeRow> {
+  if (!(await updateOpenLabCharge(id, body))) {
+    if (!(await getLabCharge(id))) throw new Error('[NOT_FOUND] Charge');
+    throw new Error('[INVALID_STATE_TRANSITION] This charge is on a reconciled statement — reopen the statement first');
+  }
+  return (await getLabCharge(id))!;
+}
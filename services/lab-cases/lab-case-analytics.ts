@@ -0,0 +1,58 @@
+/**
+ * Lab case turnaround analytics — assembles the per-lab and per-stage numbers
+ * (lab-case-analytics-queries.ts) with the cases currently past their SLA, for
+ * the Lab Case Tracker's Analytics view. Labs are compared on these when
+ * negotiating turnaround; the overdue list is the same check the hourly alert
+ * sweep (lab-sla-sweep.ts) runs.
+ */
+import {
+  getLabTurnaround,
+  getLabStageDwell,
+  getOpenLabStageCases,
+  type OpenLabStageCase,
+} from '../database/queries/lab-case-analytics-queries.js';
+import { getLabSlaSettings } from './lab-sla.js';
+import type {
+  LabCaseAnalyticsQuery,
+  LabTurnaroundRow,
+  LabStageDwellRow,
+  LabSlaBreachRow,
+  LabSlaSettings,
+} from '../../shared/contracts/lab-case.contract.js';
+
+export type LabCaseAnalytics = {
+  labs: LabTurnaroundRow[];
+  stages: LabStageDwellRow[];
+  overdue: LabSlaBreachRow[];
+  sla: LabSlaSettings;
+};
+
+/** The open cases that have sat at their current stage at least that stage's SLA. */
+export function findSlaBreaches<T extends OpenLabStageCase>(
+  cases: T[],
+  settings: LabSlaSettings
+): (T & { sla_days: number })[] {
+  return cases.flatMap((c) => {
+    const slaDays = settings.days[c.status];
+    return slaDays !== undefined && c.days_at_stage >= slaDays ? [{ ...c, sla_days: slaDays }] : [];
+  });
+}
+
+/**
+ * Turnaround metrics for cases sent in the window, plus every open case over its
+ * SLA right now (the window doesn't apply to those — a forgotten case is overdue
+ * whenever it was sent).
+ */
+export async function getLabCaseAnalytics(filters: LabCaseAnalyticsQuery): Promise<LabCaseAnalytics> {
+  const [labs, stages, open, sla] = await Promise.all([
+    getLabTurnaround(filters),
+    getLabStageDwell(filters),
+    getOpenLabStageCases(filters.labId),
+    getLabSlaSettings(),
+  ]);
+
+  const overdue = findSlaBreaches(open, sla).map(
+    ({ sla_alert_id: _id, sla_alert_stage: _stage, sla_alerted_at: _at, ...row }) => row
+  );
+  return { labs, stages, overdue, sla };
+}
@@ -18,6 +18,7 @@
 import { sql, type Transaction } from 'kysely';
 import { withPgTransaction, type Database } from '../database/kysely.js';
 import { getWorkItemPrefill, COLS } from '../database/queries/lab-case-queries.js';
+import { accrueLabCaseCharge } from '../database/queries/lab-billing-queries.js';
 import {
   LAB_STAGES,
   LAB_STAGE_META,
@@ -168,6 +169,12 @@ export async function advanceLabCase(id: number, body: AdvanceLabCaseBody, req:
       `.execute(trx);
     }
 
+    // The lab's work is billable once delivered (once per case — a remade case
+    // re-delivered accrues nothing more; the remake carries its own charge).
+    if (isDelivered) {
+      await accrueLabCaseCharge(trx, id, 'delivery', occurredAt, createdBy);
+    }
+
     return row;
   });
 }
@@ -220,6 +227,9 @@ export async function remakeLabCase(id: number, body: RemakeLabCaseBody, req: Wi
       VALUES (${id}, 'remake', ${fromStatus}, ${toStatus}, COALESCE(${occurredAt}, LOCALTIMESTAMP), ${body.reason}, ${createdBy})
     `.execute(trx);
 
+    // Priced at the lab's remake price (often 0 — most labs redo their own work free).
+    await accrueLabCaseCharge(trx, id, 'remake', occurredAt, createdBy);
+
     return row;
   });
 }
@@ -0,0 +1,98 @@
+/**
+ * Lab case SLA sweep.
+ *
+ * Raises a push task in the header bell when an open case has sat at a
+ * lab-located stage longer than that stage's threshold (lab-sla.ts) — the
+ * "forgotten at the lab" catch. One task per stage visit: the case remembers the
+ * task it raised (`lab_cases.sla_alert_*`, migrations/pg/1783400000000_lab-case-sla.sql),
+ * and once the case moves on (advanced, remade, delivered, cancelled) the task is
+ * completed automatically. A case on hold is not alerted; holding does not reset
+ * the clock, so a case resumed after its SLA is alerted on the next pass.
+ *
+ * Runs once at boot and then hourly, the no-show-sweep.ts pattern. Completing
+ * moved cases' tasks runs even with alerting switched off, so turning it off
+ * doesn't strand open tasks. Failures only log; the next tick retries.
+ */
+
+import { log } from '../../utils/logger.js';
+import { startHousekeepingTimer } from '../../utils/housekeeping-timer.js';
+import { createAlert, completeAlerts } from '../database/queries/alert-queries.js';
+import {
+  getOpenLabStageCases,
+  markLabCaseSlaAlerted,
+  clearMovedLabCaseSlaAlerts,
+  type OpenLabStageCase,
+} from '../database/queries/lab-case-analytics-queries.js';
+import { getLabSlaSettings } from './lab-sla.js';
+import { findSlaBreaches } from './lab-case-analytics.js';
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const COMPLETED_BY = 'system';
+
+let timer: NodeJS.Timeout | null = null;
+let running = false;
+
+/** Already alerted for THIS visit to the stage (not an earlier one). */
+const alertedThisVisit = (c: OpenLabStageCase): boolean =>
+  c.sla_alert_id !== null &&
+  c.sla_alert_stage === c.status &&
+  c.sla_alerted_at !== null &&
+  new Date(c.sla_alerted_at) >= new Date(c.status_changed_at);
+
+const stageLabel = (stage: string): string => stage.replace(/_/g, ' ');
+
+/** One sweep pass. Never throws; returns the number of tasks raised. */
+export async function runLabSlaSweep(): Promise<number> {
+  if (running) return 0;
+  running = true;
+  try {
+    const completed = await completeAlerts(await clearMovedLabCaseSlaAlerts(), COMPLETED_BY);
+    if (completed > 0) {
+      log.info(`🧪 Lab SLA sweep closed ${completed} task(s) for cases that moved on`);
+    }
+
+    const settings = await getLabSlaSettings();
+    if (!settings.enabled) return 0;
+
+    const breaches = findSlaBreaches(await getOpenLabStageCases(), settings).filter((c) => !alertedThisVisit(c));
+    let raised = 0;
+    for (const c of breaches) {
+      const alertId = await createAlert({
+        person_id: c.person_id,
+        alert_type_id: null,
+        alert_severity: c.is_rush ? 3 : 2,
+        alert_details: `Lab overdue: ${c.patient_name}'s case has been at "${stageLabel(c.status)}" with ${c.lab_name ?? 'the lab'} for ${Math.floor(c.days_at_stage)} days (SLA ${c.sla_days}). Chase the lab or update the case on the Lab Case Tracker.`,
+        surface_mode: 'push',
+      });
+      if (await markLabCaseSlaAlerted(c.id, c.status, alertId)) {
+        raised++;
+      } else {
+        // The case moved while the task was being written.
+        await completeAlerts([alertId], COMPLETED_BY);
+      }
+    }
+    if (raised > 0) {
+      log.info(`🧪 Lab SLA sweep raised ${raised} overdue-case task(s)`);
+    }
+    return raised;
+  } catch (error) {
+    log.error('Lab SLA sweep failed:', { error: (error as Error).message });
+    return 0;
+  } finally {
+    running = false;
+  }
+}
+
+/** Start the boot run + hourly timer (idempotent). */
+export function startLabSlaSweep(): void {
+  if (timer) return;
+  void runLabSlaSweep();
+  timer = startHousekeepingTimer(runLabSlaSweep, SWEEP_INTERVAL_MS);
+}
+
+export function stopLabSlaSweep(): void {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Lab case SLA thresholds — how many days a case may sit at each lab-located
+ * stage before the hourly sweep (lab-sla-sweep.ts) raises a header-bell task.
+ *
+ * Persisted in the key/value `options` table (two rows, editable at runtime from
+ * the Lab Case Tracker's Analytics view — the group-settings.ts pattern):
+ *   LAB_SLA_ENABLED — 'true' turns the alerts on
+ *   LAB_SLA_DAYS    — JSON `{ "<stage>": days, … }`
+ * Nothing is seeded: with no rows the alerts are OFF and the stage thresholds fall
+ * back to DEFAULT_LAB_SLA_DAYS, so enabling it the first time does not flood the
+ * bell with tasks nobody configured. The analytics view measures against the same
+ * thresholds whether or not alerting is on.
+ */
+import { log } from '../../utils/logger.js';
+import { getOption, upsertOption } from '../database/queries/options-queries.js';
+import {
+  LAB_LOCATED_STAGES,
+  labSlaSettings,
+  type LabSlaSettings,
+} from '../../shared/contracts/lab-case.contract.js';
+
+/** Option keys in the `options` table. */
+export const LAB_SLA_ENABLED_OPTION = 'LAB_SLA_ENABLED';
+export const LAB_SLA_DAYS_OPTION = 'LAB_SLA_DAYS';
+
+/** Typical fabrication times; used until the clinic saves its own. */
+export const DEFAULT_LAB_SLA_DAYS: LabSlaSettings['days'] = {
+  sent_to_lab: 7,
+  pattern_fab: 5,
+  framework_fab: 5,
+  ceramic_buildup: 5,
+  glaze: 3,
+};
+
+/** Drop thresholds on stages the lab does not hold (see LAB_LOCATED_STAGES). */
+function labStagesOnly(days: LabSlaSettings['days']): LabSlaSettings['days'] {
+  const out: LabSlaSettings['days'] = {};
+  for (const stage of LAB_LOCATED_STAGES) {
+    if (days[stage] !== undefined) out[stage] = days[stage];
+  }
+  return out;
+}
+
+/**
+ * Read the SLA settings. A malformed LAB_SLA_DAYS value (hand-edited row) logs and
+ * falls back to the defaults rather than disabling the thresholds.
+ */
+export async function getLabSlaSettings(): Promise<LabSlaSettings> {
+  const [enabledRaw, daysRaw] = await Promise.all([
+    getOption(LAB_SLA_ENABLED_OPTION),
+    getOption(LAB_SLA_DAYS_OPTION),
+  ]);
+
+  let days = DEFAULT_LAB_SLA_DAYS;
+  if (daysRaw) {
+    try {
+      days = labSlaSettings.shape.days.parse(JSON.parse(daysRaw));
+    } catch (error) {
+      log.warn(`Invalid ${LAB_SLA_DAYS_OPTION} option, using defaults`, { error: (error as Error).message });
+    }
+  }
+
+  return { enabled: enabledRaw === 'true', days: labStagesOnly(days) };
+}
+
+/**
+ * Persist the SLA settings (upsert). Returns the normalized values that were stored.
+ * Range checks come from the contract's `validate({ body })`.
+ */
+export async function saveLabSlaSettings(settings: LabSlaSettings): Promise<LabSlaSettings> {
+  const days = labStagesOnly(settings.days);
+
+  await Promise.all([
+    upsertOption(LAB_SLA_ENABLED_OPTION, settings.enabled ? 'true' : 'false'),
+    upsertOption(LAB_SLA_DAYS_OPTION, JSON.stringify(days)),
+  ]);
+
+  return { enabled: settings.enabled, days };
+}
@@ -0,0 +1,66 @@
+/**
+ * Polite installment-dues reminder over WhatsApp.
+ *
+ * Sent on demand from the overdue-balances report / the work's plan card (never
+ * automatically — money reminders are a judgment call the front desk makes). The
+ * text is the `installment_reminder` message template (message-templates.ts) in
+ * the patient's language; it names the amount and the date it fell due, and tells
+ * them to ignore it if they've already paid.
+ *
+ * Unlike waitlist-notify.ts this is user-initiated, so it REPORTS failure instead
+ * of swallowing it: the caller (PaymentPlanService.sendDuesReminder) turns a
+ * missing phone / disconnected client / failed send into an error response.
+ */
+import whatsapp from './whatsapp.js';
+import PhoneFormatter from '../../utils/phoneFormatter.js';
+import { installmentReminderVars, loadMessageTemplates, patientMessageLanguage } from './message-templates.js';
+import type { PlanRecipient } from '../database/queries/payment-plan-queries.js';
+
+export type DuesReminderResult =
+  | { sent: true; messageId: string | undefined }
+  | { sent: false; reason: 'NO_PHONE' | 'WHATSAPP_UNAVAILABLE' | 'SEND_FAILED'; error?: string };
+
+export interface DuesDetails {
+  amount: number;
+  currency: string;
+  /** 'YYYY-MM-DD' — the oldest unpaid due date. */
+  dueDate: string;
+}
+
+export async function buildDuesMessage(recipient: PlanRecipient, dues: DuesDetails): Promise<string> {
+  const templates = await loadMessageTemplates('installment_reminder');
+  const lang = patientMessageLanguage(recipient.language);
+  return templates.render(
+    'installment_reminder',
+    lang,
+    installmentReminderVars(lang, {
+      patientName: recipient.patient_name,
+      firstName: recipient.first_name,
+      amount: dues.amount,
+      currency: dues.currency,
+      dueDate: dues.dueDate,
+    })
+  );
+}
+
+export async function sendDuesMessage(recipient: PlanRecipient, dues: DuesDetails): Promise<DuesReminderResult> {
+  if (!recipient.phone || recipient.phone.trim() === '') {
+    return { sent: false, reason: 'NO_PHONE' };
+  }
+  if (!whatsapp.isReady()) {
+    return { sent: false, reason: 'WHATSAPP_UNAVAILABLE' };
+  }
+
+  const countryCode = recipient.country_code || '964';
+  const phoneNumber = PhoneFormatter.forWhatsApp(recipient.phone, countryCode);
+  if (!PhoneFormatter.isValid(phoneNumber, countryCode)) {
+    return { sent: false, reason: 'NO_PHONE' };
+  }
+
+  const message = await buildDuesMessage(recipient, dues);
+  const result = await whatsapp.sendMessage(phoneNumber, message, recipient.patient_name ?? '');
+  if (!result.success) {
+    return { sent: false, reason: 'SEND_FAILED', error: result.error };
+  }
+  return { sent: true, messageId: result.messageId };
+}
@@ -0,0 +1,510 @@
+/**
+ * Patient message templates.
+ *
+ * The text of the messages sent to patients — appointment reminders with their
+ * "reply 1 / 2" prompt and the thank-you a reply gets, booking confirmations,
+ * payment and stand receipts, installment reminders and wait-list offers — with
+ * `{{placeholder}}` variables,
+ * in Arabic, Kurdish and English. Every type has a built-in Arabic and English
+ * text below (what the code always sent); an admin can save a replacement per
+ * language from Settings → Messaging (`message_templates`, see
+ * migrations/pg/1784500000000_message-templates.sql). Kurdish has no built-in
+ * text, so Kurdish-language patients get the Arabic one until a Kurdish text is
+ * saved.
+ *
+ * Nothing here is tied to a channel: WhatsApp (whatsapp.ts / whatsapp.routes.ts),
+ * SMS (sms.ts via messaging-queries.ts) and any Telegram or e-mail text to a
+ * patient render the same way — load the templates, pick the patient's language,
+ * build the variables, render:
+ *
+ *   const templates = await loadMessageTemplates('appointment_reminder');
+ *   const lang = patientMessageLanguage(patient.language);
+ *   const text = templates.render('appointment_reminder', lang, appointmentVars(lang, appt));
+ *
+ * The variables are built per language (weekday names via utils/arabic-day.ts for
+ * Arabic and Kurdish, amounts with thousands separators), so a template only
+ * chooses where they go.
+ */
+import { arabicDay } from '../../utils/arabic-day.js';
+import { log } from '../../utils/logger.js';
+import { getSavedTemplates, type SavedMessageTemplate } from '../database/queries/message-template-queries.js';
+import {
+  MESSAGE_LANGUAGES,
+  MESSAGE_TEMPLATE_KEYS,
+  type MessageLanguage,
+  type MessageTemplateKey,
+  type MessageTemplateType,
+} from '../../shared/contracts/message-template.contract.js';
+
+export type TemplateVars = Record<string, string>;
+
+// ── Date / time / amount formatting shared by the variable builders ──
+
+const ENGLISH_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/** Parse a date-only string as LOCAL midnight (avoids the UTC-parse day-shift). */
+function parseLocalDate(value: Date | string): Date {
+  if (value instanceof Date) return value;
+  return /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(`${value.slice(0, 10)}T00:00:00`) : new Date(value);
+}
+
+/** Whole days from today (local) to the target date — 1 is tomorrow. */
+export function daysFromToday(target: Date | string): number {
+  const t = parseLocalDate(target);
+  const now = new Date();
+  const a = Date.UTC(t.getFullYear(), t.getMonth(), t.getDate());
+  const b = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((a - b) / 86_400_000);
+}
+
+/** 12-hour clock, no leading-zero hour ('h:mm', or 'h:mm AM'). */
+function format12h(date: Date, withMeridiem = false): string {
+  const h = date.getHours();
+  const m = String(date.getMinutes()).padStart(2, '0');
+  const h12 = h % 12 || 12;
+  return withMeridiem ? `${h12}:${m} ${h < 12 ? 'AM' : 'PM'}` : `${h12}:${m}`;
+}
+
+/** 'DD/MM/YYYY'. */
+function formatDMY(value: Date | string): string {
+  const d = parseLocalDate(value);
+  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+}
+
+const weekday = (lang: MessageLanguage, date: Date): string =>
+  lang === 'en' ? (ENGLISH_DAYS[date.getDay()] ?? '') : arabicDay(date);
+
+const amount = (n: number): string => Math.round(n).toLocaleString('en-US');
+
+// ── Variable builders ──
+
+export interface AppointmentMessageData {
+  patientName: string | null;
+  firstName: string | null;
+  /** The appointment's date and time. */
+  appDate: Date;
+  doctorName: string | null;
+}
+
+/**
+ * Variables of the appointment templates. `day` is the relative phrase the
+ * reminders always used — tomorrow / the day after tomorrow with the weekday,
+ * otherwise the weekday and date.
+ */
+export function appointmentVars(lang: MessageLanguage, a: AppointmentMessageData): TemplateVars {
+  const dd = daysFromToday(a.appDate);
+  const day = weekday(lang, a.appDate);
+  const date = formatDMY(a.appDate);
+  const relative =
+    lang === 'en'
+      ? dd === 1
+        ? `Tomorrow "${day}"`
+        : dd === 2
+          ? `The day after tomorrow "${day}"`
+          : `On ${day} ${date}`
+      : dd === 1
+        ? `غدا ${day}`
+        : dd === 2
+          ? `بعد غد ${day}`
+          : `يوم ${day} ${date}`;
+  return {
+    patient_name: a.patientName ?? '',
+    first_name: a.firstName || a.patientName || '',
+    day: relative,
+    weekday: day,
+    date,
+    time: format12h(a.appDate, lang === 'en'),
+    doctor: a.doctorName ?? '',
+  };
+}
+
+export interface PaymentReceiptMessageData {
+  patientName: string | null;
+  firstName: string | null;
+  amountPaid: number;
+  balance: number;
+  currency: string;
+  date: Date;
+}
+
+export function paymentReceiptVars(_lang: MessageLanguage, r: PaymentReceiptMessageData): TemplateVars {
+  return {
+    patient_name: r.patientName ?? '',
+    first_name: r.firstName || r.patientName || '',
+    amount_paid: amount(r.amountPaid),
+    balance: amount(r.balance),
+    currency: r.currency,
+    date: formatDMY(r.date),
+  };
+}
+
+export interface StandReceiptMessageData {
+  patientName: string | null;
+  firstName: string | null;
+  saleId: number;
+  saleDate: Date;
+  totalAmount: number;
+  returnedAmount: number;
+  netAmount: number;
+  items: Array<{ name: string; quantity: number; quantityReturned: number; lineTotal: number }>;
+}
+
+/** `items` is one line per item; `returns` is empty unless something was returned. */
+export function standReceiptVars(lang: MessageLanguage, s: StandReceiptMessageData): TemplateVars {
+  const en = lang === 'en';
+  const items = s.items
+    .map((i) => {
+      const returned = i.quantityReturned
+        ? en
+          ? ` (${i.quantityReturned} returned)`
+          : ` (مرتجع ${i.quantityReturned})`
+        : '';
+      return `- ${i.name} ×${i.quantity}: ${amount(i.lineTotal)} IQD${returned}`;
+    })
+    .join('\n');
+  const returns = s.returnedAmount
+    ? en
+      ? `\nReturned: ${amount(s.returnedAmount)} IQD\nNet: ${amount(s.netAmount)} IQD`
+      : `\nالمرتجع: ${amount(s.returnedAmount)} IQD\nالصافي: ${amount(s.netAmount)} IQD`
+    : '';
+  return {
+    patient_name: s.patientName ?? '',
+    first_name: s.firstName || s.patientName || '',
+    sale_id: String(s.saleId),
+    items,
+    total: amount(s.totalAmount),
+    returns,
+    date: formatDMY(s.saleDate),
+  };
+}
+
+export interface InstallmentReminderMessageData {
+  patientName: string | null;
+  firstName: string | null;
+  amount: number;
+  currency: string;
+  /** The oldest unpaid due date. */
+  dueDate: Date | string;
+}
+
+export function installmentReminderVars(_lang: MessageLanguage, d: InstallmentReminderMessageData): TemplateVars {
+  return {
+    patient_name: d.patientName ?? '',
+    first_name: d.firstName || d.patientName || '',
+    amount: amount(d.amount),
+    currency: d.currency,
+    due_date: formatDMY(d.dueDate),
+  };
+}
+
+export interface WaitlistOfferMessageData {
+  patientName: string | null;
+  firstName: string | null;
+  /** The offered slot's date and time. */
+  slotDate: Date;
+}
+
+export function waitlistOfferVars(lang: MessageLanguage, w: WaitlistOfferMessageData): TemplateVars {
+  return {
+    patient_name: w.patientName ?? '',
+    first_name: w.firstName || w.patientName || '',
+    weekday: weekday(lang, w.slotDate),
+    date: formatDMY(w.slotDate),
+    time: format12h(w.slotDate, lang === 'en'),
+  };
+}
+
+// ── The catalogue: built-in texts, variables and preview samples per type ──
+
+interface TemplateDefinition {
+  label: string;
+  description: string;
+  variables: Array<{ name: string; description: string }>;
+  defaults: Record<'ar' | 'en', string>;
+  /** The variables a preview renders with. */
+  sample: (lang: MessageLanguage) => TemplateVars;
+}
+
+const APPOINTMENT_VARIABLES = [
+  { name: 'patient_name', description: 'Full name' },
+  { name: 'first_name', description: 'First name (full name when empty)' },
+  { name: 'day', description: 'Tomorrow / the day after tomorrow with the weekday, otherwise the weekday and date' },
+  { name: 'weekday', description: 'Weekday (Arabic for Arabic and Kurdish texts)' },
+  { name: 'date', description: 'Date, DD/MM/YYYY' },
+  { name: 'time', description: 'Time, 12-hour' },
+  { name: 'doctor', description: "Doctor's name" },
+];
+
+const sampleName = (lang: MessageLanguage) => (lang === 'en' ? 'Ahmed Ali' : 'أحمد علي');
+const sampleFirstName = (lang: MessageLanguage) => (lang === 'en' ? 'Ahmed' : 'أحمد');
+
+function sampleAppointment(lang: MessageLanguage): TemplateVars {
+  const appDate = new Date();
+  appDate.setDate(appDate.getDate() + 1);
+  appDate.setHours(16, 30, 0, 0);
+  return appointmentVars(lang, {
+    patientName: sampleName(lang),
+    firstName: sampleFirstName(lang),
+    appDate,
+    doctorName: 'Shwan',
+  });
+}
+
+const DEFINITIONS: Record<MessageTemplateKey, TemplateDefinition> = {
+  appointment_reminder: {
+    label: 'Appointment reminder',
+    description:
+      'The reminder sent a day or two before an appointment (WhatsApp and SMS). The WhatsApp reminder is followed by the reply prompt below.',
+    variables: APPOINTMENT_VARIABLES,
+    defaults: {
+      ar: 'السلام عليك {{patient_name}}. {{day}} موعدك مع عيادة د.شوان لتقويم الاسنان الساعة {{time}}',
+      en: 'Hello {{first_name}}. {{day}} is your appointment with Dr. Shwan orthodontic clinic at {{time}}',
+    },
+    sample: sampleAppointment,
+  },
+  confirmation_prompt: {
+    label: 'Reminder reply prompt',
+    description:
+      'The last line of the WhatsApp reminder. A patient who answers 1 or 2 confirms or asks to reschedule (left off when the reminder goes by SMS).',
+    variables: [],
+    defaults: {
+      ar: 'للتأكيد أرسل 1، ولتغيير الموعد أرسل 2',
+      en: 'Reply 1 to confirm or 2 to reschedule.',
+    },
+    sample: () => ({}),
+  },
+  confirmation_thanks: {
+    label: 'Confirmation thank-you',
+    description: 'Sent back when a patient replies 1 to the WhatsApp reminder.',
+    variables: APPOINTMENT_VARIABLES,
+    defaults: {
+      ar: 'شكراً لك، تم تأكيد موعدك.',
+      en: 'Thank you, your appointment is confirmed. See you soon.',
+    },
+    sample: sampleAppointment,
+  },
+  reschedule_thanks: {
+    label: 'Reschedule thank-you',
+    description: 'Sent back when a patient replies 2 to the WhatsApp reminder; the front desk gets a task to call them.',
+    variables: APPOINTMENT_VARIABLES,
+    defaults: {
+      ar: 'شكراً لك، ستتصل بك العيادة لتحديد موعد جديد.',
+      en: 'Thank you, the clinic will call you to arrange a new appointment time.',
+    },
+    sample: sampleAppointment,
+  },
+  appointment_booked: {
+    label: 'Appointment booked',
+    description: 'Sent from the appointment screen to confirm a newly booked appointment.',
+    variables: APPOINTMENT_VARIABLES,
+    defaults: {
+      ar: 'عيادة د.شوان لتقويم الاسنان\n\nعزيزنا {{patient_name}}،\n\nتم تثبيت موعدك:\n{{date}} ({{weekday}})\n\nشكراً لكم.',
+      en: 'Shwan Orthodontics\n\nDear {{patient_name}},\n\nYour appointment is confirmed for:\n{{date}} ({{weekday}})\n\nThank you.',
+    },
+    sample: sampleAppointment,
+  },
+  payment_receipt: {
+    label: 'Payment receipt',
+    description: "Sent after a payment: today's amount and the balance left on the work.",
+    variables: [
+      { name: 'patient_name', description: 'Full name' },
+      { name: 'first_name', description: 'First name (full name when empty)' },
+      { name: 'amount_paid', description: 'Amount paid today' },
+      { name: 'balance', description: 'Remaining balance on the work' },
+      { name: 'currency', description: "The work's currency" },
+      { name: 'date', description: "Today's date, DD/MM/YYYY" },
+    ],
+    defaults: {
+      ar: 'إيصال - عيادة د.شوان لتقويم الاسنان\n\nعزيزنا {{patient_name}}،\n\nالمبلغ المدفوع: {{amount_paid}} {{currency}}\nالمبلغ المتبقي: {{balance}} {{currency}}\nالتاريخ: {{date}}\n\nشكراً لكم على الدفع!',
+      en: 'Receipt - Shwan Orthodontics\n\nDear {{patient_name}},\n\nAmount Paid: {{amount_paid}} {{currency}}\nRemaining Balance: {{balance}} {{currency}}\nDate: {{date}}\n\nThank you for your payment!',
+    },
+    sample: (lang) =>
+      paymentReceiptVars(lang, {
+        patientName: sampleName(lang),
+        firstName: sampleFirstName(lang),
+        amountPaid: 250000,
+        balance: 750000,
+        currency: 'IQD',
+        date: new Date(),
+      }),
+  },
+  stand_receipt: {
+    label: 'Stand receipt',
+    description: 'Sent for a stand sale linked to a patient: the items, the total and any returns.',
+    variables: [
+      { name: 'patient_name', description: 'Full name' },
+      { name: 'first_name', description: 'First name (full name when empty)' },
+      { name: 'sale_id', description: 'Sale number' },
+      { name: 'items', description: 'One line per item' },
+      { name: 'total', description: 'Sale total (IQD)' },
+      { name: 'returns', description: 'Returned and net amounts, only when something was returned' },
+      { name: 'date', description: 'Sale date, DD/MM/YYYY' },
+    ],
+    defaults: {
+      ar: 'إيصال - عيادة د.شوان لتقويم الاسنان\n\nعزيزنا {{patient_name}}،\n\nعملية بيع #{{sale_id}}\n{{items}}\n\nالمجموع: {{total}} IQD{{returns}}\nالتاريخ: {{date}}\n\nشكراً لكم!',
+      en: 'Receipt - Shwan Orthodontics\n\nDear {{patient_name}},\n\nSale #{{sale_id}}\n{{items}}\n\nTotal: {{total}} IQD{{returns}}\nDate: {{date}}\n\nThank you!',
+    },
+    sample: (lang) =>
+      standReceiptVars(lang, {
+        patientName: sampleName(lang),
+        firstName: sampleFirstName(lang),
+        saleId: 1024,
+        saleDate: new Date(),
+        totalAmount: 15000,
+        returnedAmount: 0,
+        netAmount: 15000,
+        items: [
+          { name: 'Orthodontic wax', quantity: 2, quantityReturned: 0, lineTotal: 6000 },
+          { name: 'Interdental brush', quantity: 1, quantityReturned: 0, lineTotal: 9000 },
+        ],
+      }),
+  },
+  installment_reminder: {
+    label: 'Installment reminder',
+    description:
+      "Sent from the overdue-balances report or the work's plan card: the overdue installment and the date it fell due.",
+    variables: [
+      { name: 'patient_name', description: 'Full name' },
+      { name: 'first_name', description: 'First name (full name when empty)' },
+      { name: 'amount', description: 'Amount overdue' },
+      { name: 'currency', description: "The plan's currency" },
+      { name: 'due_date', description: 'Oldest unpaid due date, DD/MM/YYYY' },
+    ],
+    defaults: {
+      ar: 'السلام عليكم {{patient_name}}. نود تذكيركم بلطف من عيادة د.شوان لتقويم الاسنان بأن قسط العلاج البالغ {{amount}} {{currency}} مستحق منذ {{due_date}}. إذا كنتم قد سددتم المبلغ فيرجى تجاهل هذه الرسالة. شكراً لكم.',
+      en: 'Hello {{first_name}}. This is a kind reminder from Dr. Shwan orthodontic clinic that a treatment installment of {{amount}} {{currency}} has been due since {{due_date}}. If you have already paid, please disregard this message. Thank you.',
+    },
+    sample: (lang) => {
+      const dueDate = new Date();
+      dueDate.setDate(dueDate.getDate() - 10);
+      return installmentReminderVars(lang, {
+        patientName: sampleName(lang),
+        firstName: sampleFirstName(lang),
+        amount: 250000,
+        currency: 'IQD',
+        dueDate,
+      });
+    },
+  },
+  waitlist_offer: {
+    label: 'Wait-list offer',
+    description: 'Sent when a freed slot is offered to a wait-listed patient; they call the clinic to confirm it.',
+    variables: [
+      { name: 'patient_name', description: 'Full name' },
+      { name: 'first_name', description: 'First name (full name when empty)' },
+      { name: 'weekday', description: 'Weekday (Arabic for Arabic and Kurdish texts)' },
+      { name: 'date', description: 'Date, DD/MM/YYYY' },
+      { name: 'time', description: 'Time, 12-hour' },
+    ],
+    defaults: {
+      ar: 'السلام عليك {{patient_name}}. توفر موعد أقرب في عيادة د.شوان لتقويم الاسنان يوم {{weekday}} {{date}} الساعة {{time}}. يرجى الاتصال بالعيادة لتأكيد الموعد.',
+      en: 'Hello {{first_name}}. An earlier appointment has opened at Dr. Shwan orthodontic clinic on {{weekday}} {{date}} at {{time}}. Please call the clinic to confirm it.',
+    },
+    sample: (lang) => {
+      const slotDate = new Date();
+      slotDate.setDate(slotDate.getDate() + 3);
+      slotDate.setHours(11, 0, 0, 0);
+      return waitlistOfferVars(lang, {
+        patientName: sampleName(lang),
+        firstName: sampleFirstName(lang),
+        slotDate,
+      });
+    },
+  },
+};
+
+// ── Rendering ──
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_]+)\s*\}\}/g;
+
+/** Fill `{{name}}` placeholders; a name with no value is left as typed. */
+export function renderTemplate(body: string, vars: TemplateVars): string {
+  return body.replace(PLACEHOLDER, (match, name: string) => (name in vars ? vars[name] : match));
+}
+
+/** Placeholder names in `body` that the type doesn't offer. */
+export function unknownVariables(key: MessageTemplateKey, body: string): string[] {
+  const known = new Set(DEFINITIONS[key].variables.map((v) => v.name));
+  const unknown = new Set<string>();
+  for (const [, name] of body.matchAll(PLACEHOLDER)) {
+    if (!known.has(name)) unknown.add(name);
+  }
+  return [...unknown];
+}
+
+/**
+ * `patients.language` → the template language. 1 is English — the reminders'
+ * rule since the legacy procs; 0 (the column default) is the patient form's
+ * Kurdish; anything else is Arabic.
+ */
+export function patientMessageLanguage(language: number | null | undefined): MessageLanguage {
+  if (language === 1) return 'en';
+  if (language === 0) return 'ku';
+  return 'ar';
+}
+
+export interface MessageTemplates {
+  /** Render a type's text in this language — the saved one, else the built-in one. */
+  render(key: MessageTemplateKey, lang: MessageLanguage, vars: TemplateVars): string;
+}
+
+function textFor(saved: SavedMessageTemplate[], key: MessageTemplateKey, lang: MessageLanguage): string {
+  const find = (l: MessageLanguage) => saved.find((t) => t.template_key === key && t.language === l)?.body;
+  if (lang === 'ku') return find('ku') ?? find('ar') ?? DEFINITIONS[key].defaults.ar;
+  return find(lang) ?? DEFINITIONS[key].defaults[lang];
+}
+
+/**
+ * Load the saved texts (one type's, or all) for a batch of renders. A failed read
+ * is logged and the built-in texts are used — a template problem never stops a
+ * message going out.
+ */
+export async function loadMessageTemplates(key?: MessageTemplateKey): Promise<MessageTemplates> {
+  let saved: SavedMessageTemplate[] = [];
+  try {
+    saved = await getSavedTemplates(key);
+  } catch (error) {
+    log.error('Failed to load message templates, using the built-in texts', {
+      error: (error as Error).message,
+    });
+  }
+  return {
+    render: (k, lang, vars) => renderTemplate(textFor(saved, k, lang), vars),
+  };
+}
+
+/** Every type with its variables and its saved / built-in text per language (Settings → Messaging). */
+export async function describeMessageTemplates(): Promise<MessageTemplateType[]> {
+  const saved = await getSavedTemplates();
+  return MESSAGE_TEMPLATE_KEYS.map((key) => {
+    const def = DEFINITIONS[key];
+    return {
+      key,
+      label: def.label,
+      description: def.description,
+      variables: def.variables,
+      variants: MESSAGE_LANGUAGES.map((language) => {
+        const row = saved.find((t) => t.template_key === key && t.language === language);
+        return {
+          language,
+          body: row?.body ?? null,
+          default_body: language === 'ku' ? null : def.defaults[language],
+          updated_at: row?.updated_at ? row.updated_at.toISOString() : null,
+          updated_by: row?.updated_by ?? null,
+        };
+      }),
+    };
+  });
+}
+
+/** Render a draft with the type's sample values. */
+export function previewMessageTemplate(
+  key: MessageTemplateKey,
+  lang: MessageLanguage,
+  body: string
+): { text: string; unknown_variables: string[] } {
+  return {
+    text: renderTemplate(body, DEFINITIONS[key].sample(lang)),
+    unknown_variables: unknownVariables(key, body),
+  };
+}
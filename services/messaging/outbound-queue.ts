@@ -0,0 +1,287 @@
+/**
+ * Outbound message queue — persistent, retried sends over WhatsApp and SMS.
+ *
+ * Senders that must not lose a message when WhatsApp is down (task-notify.ts,
+ * waitlist-notify.ts, a batch reminder that failed for its recipient) call
+ * queueMessage() instead of sending; the row lands in `outbound_messages`
+ * (migrations/pg/1784600000000_outbound-message-queue.sql) and this worker
+ * sends it:
+ *
+ *   - Due `pending` rows go out oldest first, within each channel's rate limit
+ *     (RATE_LIMITS — a minimum gap and an hourly cap, so a backlog after an
+ *     outage can't get the clinic number banned). WhatsApp rows wait while a
+ *     date batch is sending and while WhatsApp is disconnected — no attempt is
+ *     spent on a client that can't send, so an outage of any length only delays
+ *     them (the retries and the SMS fallback are for real send errors).
+ *   - A failed attempt is retried after RETRY_DELAYS_S. Once the retries run out
+ *     — or at once when the number isn't on WhatsApp — a WhatsApp row with
+ *     `sms_fallback` moves to SMS (Twilio, sms.ts), otherwise it is failed.
+ *   - A send that may have gone out anyway (WhatsApp's malformed result) and a
+ *     row found mid-send at boot are failed, never retried: a person checks and
+ *     resends from Settings → Message Queue.
+ *   - A reminder linked to an appointment is dropped once the appointment is
+ *     marked sent (WhatsApp or SMS) — the batch or a staff resend got there first —
+ *     and a successful send marks it like the batch would.
+ *
+ * Runs every TICK_MS and right after anything is queued or resent, the
+ * no-show-sweep.ts timer pattern. Failures only log; the next tick retries.
+ * Telegram is not a channel here — it only carries files, not patient text.
+ */
+
+import whatsapp from './whatsapp.js';
+import sms from './sms.js';
+import PhoneFormatter from '../../utils/phoneFormatter.js';
+import { log } from '../../utils/logger.js';
+import { startHousekeepingTimer } from '../../utils/housekeeping-timer.js';
+import { NOT_ON_WHATSAPP_REASON, isNotOnWhatsAppError, isUnconfirmedSendError } from './whatsapp-errors.js';
+import { updateSmsIds } from '../database/queries/messaging-queries.js';
+import * as queue from '../database/queries/outbound-queue-queries.js';
+import type { DueOutboundMessage } from '../database/queries/outbound-queue-queries.js';
+import type { OutboundChannel, OutboundPurpose } from '../../shared/contracts/outbound-message.contract.js';
+
+const TICK_MS = 15 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// Due rows read per pass; the pass repeats while rows keep going out.
+const BATCH_SIZE = 20;
+
+// Wait before the next attempt, by attempts made so far. One more failure
+// after the last entry ends the channel: SMS fallback or failed.
+const RETRY_DELAYS_S = [60, 5 * 60, 15 * 60, 60 * 60];
+const MAX_ATTEMPTS = RETRY_DELAYS_S.length + 1;
+
+// WhatsApp is the one that bans: keep queued sends slow and few.
+const RATE_LIMITS: Record<OutboundChannel, { minGapMs: number; perHour: number }> = {
+  whatsapp: { minGapMs: 8 * 1000, perHour: 60 },
+  sms: { minGapMs: 1000, perHour: 300 },
+};
+
+export interface QueueMessageInput {
+  purpose: OutboundPurpose;
+  phone: string;
+  /** Defaults to '964'. */
+  countryCode?: string | null;
+  recipientName?: string | null;
+  body: string;
+  /** The SMS text when it differs from `body` (only read with `smsFallback`). */
+  smsBody?: string | null;
+  /** Defaults to WhatsApp. */
+  channel?: OutboundChannel;
+  /** Send by SMS when WhatsApp can't deliver it. */
+  smsFallback?: boolean;
+  personId?: number | null;
+  appointmentId?: number | null;
+  createdBy?: string | null;
+}
+
+type Failure = 'retry' | 'permanent' | 'unconfirmed';
+
+let timer: NodeJS.Timeout | null = null;
+let running = false;
+let rerun = false;
+
+// Send times in the last hour, per channel (in memory — a restart only makes the
+// first hour after it a little more permissive).
+const recentSends: Record<OutboundChannel, number[]> = { whatsapp: [], sms: [] };
+
+const sleep = (ms: number): Promise<void> => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** How long until `channel` may send again: 0 now, null when its hourly cap is used up. */
+function rateLimitWait(channel: OutboundChannel): number | null {
+  const now = Date.now();
+  const sends = recentSends[channel].filter((t) => now - t < HOUR_MS);
+  recentSends[channel] = sends;
+  const limit = RATE_LIMITS[channel];
+  if (sends.length >= limit.perHour) return null;
+  const last = sends[sends.length - 1];
+  return last === undefined ? 0 : Math.max(0, last + limit.minGapMs - now);
+}
+
+/**
+ * Queue a message, due now. Returns its id, or null when the phone isn't a
+ * valid number (logged). Throws only on a database error.
+ */
+export async function queueMessage(input: QueueMessageInput): Promise<number | null> {
+  const countryCode = input.countryCode || '964';
+  const phone = PhoneFormatter.normalize(input.phone, countryCode);
+  if (!PhoneFormatter.isValid(phone, countryCode)) {
+    log.warn('Outbound queue: invalid phone, message not queued', { purpose: input.purpose, phone: input.phone });
+    return null;
+  }
+
+  const id = await queue.enqueueOutboundMessage({
+    channel: input.channel ?? 'whatsapp',
+    sms_fallback: input.smsFallback ?? false,
+    phone,
+    recipient_name: input.recipientName ?? null,
+    person_id: input.personId ?? null,
+    appointment_id: input.appointmentId ?? null,
+    purpose: input.purpose,
+    body: input.body,
+    sms_body: input.smsBody ?? null,
+    created_by: input.createdBy ?? null,
+  });
+  kickOutboundQueue();
+  return id;
+}
+
+/** Put a failed or cancelled message back in the queue. False when it isn't failed or cancelled. */
+export async function resendOutboundMessage(messageId: number, resentBy: string | null): Promise<boolean> {
+  const requeued = await queue.requeueMessage(messageId, resentBy);
+  if (requeued) kickOutboundQueue();
+  return requeued;
+}
+
+/** Record a failed attempt: retry later, move to SMS, or give up. */
+async function recordFailure(
+  m: DueOutboundMessage,
+  channel: OutboundChannel,
+  error: string,
+  failure: Failure
+): Promise<void> {
+  const attempts = m.attempts + 1;
+  if (failure === 'retry' && attempts < MAX_ATTEMPTS) {
+    await queue.scheduleRetry(m.message_id, RETRY_DELAYS_S[attempts - 1], error);
+  } else if (failure !== 'unconfirmed' && channel === 'whatsapp' && m.sms_fallback && sms.isConfigured()) {
+    log.info('Outbound queue: falling back to SMS', { messageId: m.message_id, error });
+    await queue.switchToSms(m.message_id, `WhatsApp: ${error}`);
+  } else {
+    log.warn('Outbound queue: message failed', { messageId: m.message_id, channel, attempts, error });
+    await queue.markFailed(m.message_id, error);
+  }
+}
+
+/** WhatsApp's reply when the client dropped between the ready check and the send. */
+const NOT_READY_ERROR = 'WhatsApp client not ready';
+
+async function sendWhatsApp(m: DueOutboundMessage): Promise<void> {
+  // Skip the wasted attempts when the number has no WhatsApp account.
+  if (m.sms_fallback && (await whatsapp.isRegisteredNumber(m.phone)) === false) {
+    await recordFailure(m, 'whatsapp', NOT_ON_WHATSAPP_REASON, 'permanent');
+    return;
+  }
+
+  const result = await whatsapp.sendMessage(
+    m.phone,
+    m.body,
+    m.recipient_name ?? '',
+    m.appointment_id,
+    m.app_day
+  );
+  if (result.success) {
+    await queue.markSent(m.message_id, result.messageId ?? null);
+    return;
+  }
+
+  const error = result.error ?? 'WhatsApp send failed';
+  if (error === NOT_READY_ERROR) {
+    // Never reached WhatsApp: wait for the reconnect like the rows still queued.
+    recentSends.whatsapp.pop();
+    await queue.releaseSending(m.message_id);
+    return;
+  }
+  const failure: Failure = isUnconfirmedSendError(error)
+    ? 'unconfirmed'
+    : isNotOnWhatsAppError(error)
+      ? 'permanent'
+      : 'retry';
+  await recordFailure(m, 'whatsapp', error, failure);
+}
+
+async function sendSms(m: DueOutboundMessage): Promise<void> {
+  if (!sms.isConfigured()) {
+    await recordFailure(m, 'sms', 'SMS is not configured (Twilio credentials missing)', 'permanent');
+    return;
+  }
+
+  const result = await sms.sendText(`+${m.phone}`, m.sms_body ?? m.body);
+  if (!result.success) {
+    await recordFailure(m, 'sms', result.error ?? 'SMS send failed', 'retry');
+    return;
+  }
+
+  await queue.markSent(m.message_id, result.sid ?? null);
+  if (m.appointment_id && result.sid) {
+    // Marks the appointment notified, so the date's SMS batch skips it.
+    await updateSmsIds([{ id: m.appointment_id, sid: result.sid }]);
+  }
+}
+
+/** Send one due message. Returns whether a send was attempted (counts against the rate limit). */
+async function deliver(m: DueOutboundMessage): Promise<boolean> {
+  if (m.appointment_id && (m.sent_wa || m.notified)) {
+    await queue.markSuperseded(m.message_id, 'The appointment was already reminded');
+    return false;
+  }
+  if (!(await queue.markSending(m.message_id))) return false;
+
+  recentSends[m.channel].push(Date.now());
+  if (m.channel === 'whatsapp') {
+    await sendWhatsApp(m);
+  } else {
+    await sendSms(m);
+  }
+  return true;
+}
+
+/** One pass over the due messages. Never throws; returns the number of attempts made. */
+export async function runOutboundQueue(): Promise<number> {
+  if (running) {
+    rerun = true;
+    return 0;
+  }
+  running = true;
+  let attempted = 0;
+  try {
+    do {
+      rerun = false;
+      let progressed = false;
+      for (const m of await queue.getDueMessages(BATCH_SIZE, !whatsapp.isReady())) {
+        if (m.channel === 'whatsapp' && (whatsapp.isBatchSending() || !whatsapp.isReady())) continue;
+        const wait = rateLimitWait(m.channel);
+        if (wait === null) continue;
+        if (wait > 0) await sleep(wait);
+        try {
+          if (await deliver(m)) {
+            attempted++;
+            progressed = true;
+          }
+        } catch (error) {
+          // Left 'sending' it will be failed at the next boot, not resent blindly.
+          log.error('Outbound queue: send error', { messageId: m.message_id, error: (error as Error).message });
+        }
+      }
+      if (progressed) rerun = true;
+    } while (rerun);
+    return attempted;
+  } catch (error) {
+    log.error('Outbound queue pass failed:', { error: (error as Error).message });
+    return attempted;
+  } finally {
+    running = false;
+  }
+}
+
+/** Run a pass soon (after something was queued or resent). */
+export function kickOutboundQueue(): void {
+  setImmediate(() => void runOutboundQueue());
+}
+
+/** Start the boot run + timer (idempotent). */
+export function startOutboundQueue(): void {
+  if (timer) return;
+  void queue
+    .failInterruptedSends()
+    .then((count) => {
+      if (count > 0) log.warn(`📤 Outbound queue: ${count} message(s) interrupted mid-send marked failed`);
+    })
+    .catch((error) => log.error('Outbound queue boot check failed:', { error: (error as Error).message }))
+    .finally(() => void runOutboundQueue());
+  timer = startHousekeepingTimer(runOutboundQueue, TICK_MS);
+}
+
+export function stopOutboundQueue(): void {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
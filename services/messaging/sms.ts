@@ -77,6 +77,36 @@ class SmsService {
     ResourceManager.register('sms-service', this, () => this.cleanup());
   }
 
+  /** Whether Twilio credentials are configured (SMS can be sent at all). */
+  isConfigured(): boolean {
+    return this.client !== null;
+  }
+
+  /**
+   * Send one SMS (the outbound queue's SMS channel and WhatsApp fallback).
+   * Never throws: a failure comes back as `{ success: false, error }`.
+   * @param to - Number in international format, '+' first
+   * @param body - Message text
+   */
+  async sendText(to: string, body: string): Promise<{ success: boolean; sid?: string; error?: string }> {
+    if (!this.client) {
+      return { success: false, error: 'SMS is not configured (Twilio credentials missing)' };
+    }
+
+    try {
+      const message = await this.client.messages.create({
+        body,
+        from: config.twilio.fromName || 'Shwan Ortho',
+        to,
+      });
+      return { success: true, sid: message.sid };
+    } catch (error) {
+      const msg = error instanceof Error ? error.message : String(error);
+      log.error('Error sending SMS:', { error: msg });
+      return { success: false, error: msg };
+    }
+  }
+
   /**
    * Send SMS messages for a given date
    * @param date - The date to send SMS for
@@ -53,6 +53,7 @@ function ensureInitialized(emitter: EventEmitter): void {
     [InternalEmitterEvents.WHATSAPP_SENDING_PROGRESS, 'whatsapp_sending_progress'],
     [InternalEmitterEvents.WHATSAPP_SENDING_FINISHED, 'whatsapp_sending_finished'],
     [InternalEmitterEvents.WHATSAPP_SEND_UNCONFIRMED, 'whatsapp_send_unconfirmed'],
+    [InternalEmitterEvents.WHATSAPP_INBOX_UPDATED, 'whatsapp_inbox_updated'],
   ];
 
   for (const [internal, wireName] of wire) {
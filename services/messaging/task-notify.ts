@@ -2,12 +2,13 @@
  * Notify an assigned employee of a new task/alert over WhatsApp (fire-and-forget).
  *
  * Called from the task + alert routes the moment a row is freshly assigned to an
- * active employee. Looks up the employee's phone, formats it for WhatsApp, and
- * sends a short message. It NEVER throws and is not meant to be awaited in the
- * request path: a missing phone, a disconnected WhatsApp client, or a send failure
- * is logged and swallowed so task creation is never blocked or failed by messaging.
+ * active employee. Looks up the employee's phone and queues a short message on
+ * the outbound queue (outbound-queue.ts), which sends it once WhatsApp is
+ * connected and retries a failed send. It NEVER throws and is not meant to be
+ * awaited in the request path: a missing phone or a queue failure is logged and
+ * swallowed so task creation is never blocked or failed by messaging.
  */
-import whatsapp from './whatsapp.js';
+import { queueMessage } from './outbound-queue.js';
 import PhoneFormatter from '../../utils/phoneFormatter.js';
 import { getEmployeeContact } from '../database/queries/employee-queries.js';
 import { log } from '../../utils/logger.js';
@@ -28,11 +29,6 @@ export async function notifyTaskAssignment(
       return;
     }
 
-    if (!whatsapp.isReady()) {
-      log.warn('Task assignment: WhatsApp not connected, skipping notification', { employeeId });
-      return;
-    }
-
     const phoneNumber = PhoneFormatter.forWhatsApp(employee.phone, '964');
     if (!PhoneFormatter.isValid(phoneNumber, '964')) {
       log.warn('Task assignment: invalid employee phone, skipping WhatsApp', {
@@ -47,11 +43,14 @@ export async function notifyTaskAssignment(
 A new task has been assigned to you:
 ${taskDetails}`;
 
-    const result = await whatsapp.sendMessage(phoneNumber, message, employee.employee_name);
-    if (result.success) {
-      log.info('Task assignment WhatsApp sent', { employeeId, messageId: result.messageId });
-    } else {
-      log.warn('Task assignment WhatsApp failed', { employeeId, error: result.error });
+    const queuedId = await queueMessage({
+      purpose: 'task_assignment',
+      phone: phoneNumber,
+      recipientName: employee.employee_name,
+      body: message,
+    });
+    if (queuedId !== null) {
+      log.info('Task assignment WhatsApp queued', { employeeId, queuedId });
     }
   } catch (error) {
     log.error('Task assignment notification error', {
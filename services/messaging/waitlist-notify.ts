@@ -0,0 +1,66 @@
+/**
+ * Tell a wait-listed patient a slot has opened for them, over WhatsApp (fire-and-forget).
+ *
+ * Called by the wait-list backfill right after a freed slot is offered to an
+ * entry. The text is the `waitlist_offer` message template (message-templates.ts)
+ * in the patient's language and asks them to call the clinic to confirm; the
+ * front desk books it from the wait-list.
+ * It goes through the outbound queue (outbound-queue.ts), falling back to SMS
+ * when WhatsApp can't deliver it. Like task-notify.ts it NEVER throws: no phone
+ * or a queue failure is logged and swallowed, and the offer stands regardless.
+ */
+import { queueMessage } from './outbound-queue.js';
+import PhoneFormatter from '../../utils/phoneFormatter.js';
+import { log } from '../../utils/logger.js';
+import { loadMessageTemplates, patientMessageLanguage, waitlistOfferVars } from './message-templates.js';
+import type { WaitlistOffer } from '../database/queries/waitlist-queries.js';
+
+export async function notifyWaitlistOffer(offer: WaitlistOffer, slotDateTime: string): Promise<void> {
+  try {
+    if (!offer.phone || offer.phone.trim() === '') {
+      log.warn('Wait-list offer: patient has no phone, skipping WhatsApp', { waitlistId: offer.id });
+      return;
+    }
+
+    const countryCode = offer.country_code || '964';
+    const phoneNumber = PhoneFormatter.forWhatsApp(offer.phone, countryCode);
+    if (!PhoneFormatter.isValid(phoneNumber, countryCode)) {
+      log.warn('Wait-list offer: invalid patient phone, skipping WhatsApp', {
+        waitlistId: offer.id,
+        phone: offer.phone,
+      });
+      return;
+    }
+
+    const name = offer.patient_name ?? '';
+    const templates = await loadMessageTemplates('waitlist_offer');
+    const lang = patientMessageLanguage(offer.language);
+    const message = templates.render(
+      'waitlist_offer',
+      lang,
+      waitlistOfferVars(lang, {
+        patientName: offer.patient_name,
+        firstName: offer.first_name,
+        slotDate: new Date(slotDateTime),
+      })
+    );
+
+    const queuedId = await queueMessage({
+      purpose: 'waitlist_offer',
+      phone: phoneNumber,
+      countryCode,
+      recipientName: name,
+      personId: offer.person_id,
+      body: message,
+      smsFallback: true,
+    });
+    if (queuedId !== null) {
+      log.info('Wait-list offer WhatsApp queued', { waitlistId: offer.id, queuedId });
+    }
+  } catch (error) {
+    log.error('Wait-list offer notification error', {
+      waitlistId: offer.id,
+      error: (error as Error).message,
+    });
+  }
+}
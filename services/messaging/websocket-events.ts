@@ -27,6 +27,10 @@ export const InternalEmitterEvents = {
    *  window — the WhatsApp socket was silently dead and the messages almost
    *  certainly never left this machine. The UI must warn loudly. */
   WHATSAPP_SEND_UNCONFIRMED: 'whatsapp_send_unconfirmed',
+  /** The inbox changed: a patient's message arrived, a reply or other outgoing
+   *  message landed in a thread, an ack ticked, or a thread was marked read.
+   *  Payload `{ threadId }` — clients refetch the thread list / that thread. */
+  WHATSAPP_INBOX_UPDATED: 'whatsapp_inbox_updated',
 } as const;
 
 export type InternalEmitterEvent = (typeof InternalEmitterEvents)[keyof typeof InternalEmitterEvents];
@@ -36,6 +36,34 @@ export function isMalformedSendResultError(raw: string | null | undefined): bool
   return (raw ?? '').trim() === MALFORMED_SEND_RESULT_ERROR;
 }
 
+export const NOT_ON_WHATSAPP_REASON = 'This number is not registered on WhatsApp';
+const INVALID_WHATSAPP_NUMBER_REASON = 'Invalid phone number for WhatsApp';
+const UNCONFIRMED_SEND_REASON =
+  'WhatsApp returned an unexpected result — the message may have been sent. Verify on the phone before resending; the app may need an update.';
+
+/**
+ * Retrying the same number is pointless: it has no WhatsApp account or isn't a
+ * valid WhatsApp id. Takes the raw or the humanized reason (sendMessage returns
+ * the humanized one), so the outbound queue can go straight to its SMS fallback.
+ */
+export function isNotOnWhatsAppError(reason: string | null | undefined): boolean {
+  const msg = (reason ?? '').trim();
+  return (
+    msg === NOT_ON_WHATSAPP_REASON ||
+    msg === INVALID_WHATSAPP_NUMBER_REASON ||
+    /no lid for user|invalid wid|wid error|phone number is not registered/i.test(msg)
+  );
+}
+
+/**
+ * The send may have gone out even though it reported failure (a malformed
+ * library result) — raw or humanized. Never resend these automatically.
+ */
+export function isUnconfirmedSendError(reason: string | null | undefined): boolean {
+  const msg = (reason ?? '').trim();
+  return msg === UNCONFIRMED_SEND_REASON || isMalformedSendResultError(msg);
+}
+
 /**
  * Map a raw send error to a human-readable failure reason.
  * Falls back to the raw message when no signature matches.
@@ -47,12 +75,12 @@ export function humanizeWhatsAppError(raw: string | null | undefined): string {
 
   // "No LID for user" = WhatsApp has no account linked to this number.
   if (/no lid for user/i.test(msg)) {
-    return 'This number is not registered on WhatsApp';
+    return NOT_ON_WHATSAPP_REASON;
   }
 
   // whatsapp-web.js throws when the chat id can't be resolved.
   if (/invalid wid|wid error|phone number is not registered/i.test(msg)) {
-    return 'Invalid phone number for WhatsApp';
+    return INVALID_WHATSAPP_NUMBER_REASON;
   }
 
   // Puppeteer protocol stalls: the embedded WhatsApp Web page stopped
@@ -68,7 +96,7 @@ export function humanizeWhatsAppError(raw: string | null | undefined): string {
   // The library returned no message id — WhatsApp Web changed and the app needs
   // an update. The message MAY have gone out, so tell the user to verify.
   if (isMalformedSendResultError(msg)) {
-    return 'WhatsApp returned an unexpected result — the message may have been sent. Verify on the phone before resending; the app may need an update.';
+    return UNCONFIRMED_SEND_REASON;
   }
 
   // Minified WhatsApp Web internals throw single-letter errors (observed: "t").
@@ -0,0 +1,206 @@
+/**
+ * WhatsApp inbox — turns the linked client's chat traffic into per-patient
+ * conversation threads (whatsapp-inbox-queries.ts) and tells the browser over
+ * SSE (`InternalEmitterEvents.WHATSAPP_INBOX_UPDATED`).
+ *
+ * whatsapp.ts calls in from its client event handlers:
+ *   - captureIncomingMessage — 'message': a patient wrote to the clinic number.
+ *     The first message of a chat opens its thread, matched to a patient by
+ *     comparing the sender's number with each candidate's PhoneFormatter-
+ *     normalized phone/phone2 (see findPatientsByPhoneSuffix for ties).
+ *   - captureOutgoingMessage — 'message_create' from this number: recorded only
+ *     into a chat that already has a thread, so the reminder a patient answers
+ *     shows above their answer; it never opens a thread on its own.
+ *   - captureMessageAck — delivery ticks on outgoing thread messages.
+ * Inbox replies are recorded by the route (recordReply) with the sender's user id.
+ *
+ * Capture NEVER throws into the client's event loop: failures are logged and
+ * the message is simply not in the inbox.
+ */
+import { InternalEmitterEvents } from './websocket-events.js';
+import * as inboxQueries from '../database/queries/whatsapp-inbox-queries.js';
+import { PhoneFormatter } from '../../utils/phoneFormatter.js';
+import { log } from '../../utils/logger.js';
+
+/** The fields of a whatsapp-web.js message the inbox reads. */
+export interface InboxChatMessage {
+  waMessageId: string;
+  chatId: string;
+  /** International digits of the other party (no '+'), when known. */
+  number: string | null;
+  contactName: string | null;
+  body: string;
+  type: string;
+  hasMedia: boolean;
+  /** Unix seconds, as the library reports it. */
+  timestamp: number | null;
+}
+
+/** Anything that can emit the SSE event (the app's EventEmitter, or whatsapp.ts's narrowed view of it). */
+export interface InboxEmitter {
+  emit(event: string, data: unknown): boolean;
+}
+
+// Protocol/system message types that carry nothing a person wrote.
+const SKIPPED_TYPES = new Set([
+  'e2e_notification',
+  'notification',
+  'notification_template',
+  'gp2',
+  'broadcast_notification',
+  'call_log',
+  'ciphertext',
+  'protocol',
+  'revoked',
+]);
+
+// Direct chats only — groups (@g.us), status updates and channels stay out.
+const DIRECT_CHAT = /@(c\.us|lid)$/;
+
+/** True when a chat id is a one-to-one chat the inbox should thread. */
+export function isInboxChat(chatId: string | null | undefined): chatId is string {
+  return !!chatId && DIRECT_CHAT.test(chatId) && chatId !== 'status@broadcast';
+}
+
+/** The number behind a '<digits>@c.us' chat id ('@lid' ids carry no phone). */
+export function numberFromChatId(chatId: string): string | null {
+  return chatId.endsWith('@c.us') ? chatId.slice(0, -'@c.us'.length) : null;
+}
+
+function sentAt(message: InboxChatMessage): Date {
+  return message.timestamp ? new Date(message.timestamp * 1000) : new Date();
+}
+
+function notify(emitter: InboxEmitter | null, threadId: number): void {
+  emitter?.emit(InternalEmitterEvents.WHATSAPP_INBOX_UPDATED, { threadId });
+}
+
+/**
+ * Every patient a WhatsApp number belongs to — those whose phone or phone2
+ * normalizes to the same international number — most recently booked first.
+ */
+export async function patientsForNumber(number: string): Promise<number[]> {
+  const local = PhoneFormatter.getLocal(number);
+  if (local.length < 7) return [];
+  const candidates = await inboxQueries.findPatientsByPhoneSuffix(local.slice(-9));
+  return candidates
+    .filter((c) =>
+      [c.phone, c.phone2].some(
+        (phone) => !!phone && PhoneFormatter.normalize(phone, c.country_code || '964') === number
+      )
+    )
+    .map((c) => c.person_id);
+}
+
+/** The patient a new thread is matched to: the most recently booked of patientsForNumber. */
+async function matchPatient(number: string): Promise<number | null> {
+  return (await patientsForNumber(number))[0] ?? null;
+}
+
+export async function captureIncomingMessage(
+  message: InboxChatMessage,
+  emitter: InboxEmitter | null
+): Promise<void> {
+  if (!isInboxChat(message.chatId) || SKIPPED_TYPES.has(message.type)) return;
+  try {
+    const existing = await inboxQueries.getThreadByChatId(message.chatId);
+    const personId =
+      existing?.person_id ?? (message.number ? await matchPatient(message.number) : null);
+    const threadId = await inboxQueries.ensureThread({
+      chat_id: message.chatId,
+      phone: message.number,
+      person_id: personId,
+      contact_name: message.contactName,
+    });
+    const messageId = await inboxQueries.addThreadMessage(threadId, {
+      direction: 'in',
+      body: message.body,
+      message_type: message.type,
+      has_media: message.hasMedia,
+      wa_message_id: message.waMessageId,
+      ack: null,
+      sent_at: sentAt(message),
+      sent_by: null,
+    });
+    if (messageId !== null) {
+      log.info('WhatsApp inbox: message received', { threadId, personId });
+      notify(emitter, threadId);
+    }
+  } catch (error) {
+    log.error('WhatsApp inbox: failed to store incoming message', {
+      chatId: message.chatId,
+      error: (error as Error).message,
+    });
+  }
+}
+
+export async function captureOutgoingMessage(
+  message: InboxChatMessage,
+  emitter: InboxEmitter | null
+): Promise<void> {
+  if (!isInboxChat(message.chatId) || SKIPPED_TYPES.has(message.type)) return;
+  try {
+    const thread = await inboxQueries.getThreadByChatId(message.chatId);
+    if (!thread) return;
+    const messageId = await inboxQueries.addThreadMessage(thread.thread_id, {
+      direction: 'out',
+      body: message.body,
+      message_type: message.type,
+      has_media: message.hasMedia,
+      wa_message_id: message.waMessageId,
+      ack: null,
+      sent_at: sentAt(message),
+      sent_by: null,
+    });
+    if (messageId !== null) notify(emitter, thread.thread_id);
+  } catch (error) {
+    log.error('WhatsApp inbox: failed to store outgoing message', {
+      chatId: message.chatId,
+      error: (error as Error).message,
+    });
+  }
+}
+
+export async function captureMessageAck(
+  waMessageId: string,
+  ack: number,
+  emitter: InboxEmitter | null
+): Promise<void> {
+  try {
+    const threadId = await inboxQueries.updateThreadMessageAck(waMessageId, ack);
+    if (threadId !== null) notify(emitter, threadId);
+  } catch (error) {
+    log.error('WhatsApp inbox: failed to record ack', {
+      waMessageId,
+      error: (error as Error).message,
+    });
+  }
+}
+
+/** Store a reply sent from the inbox (the send already succeeded) and notify. */
+export async function recordReply(
+  threadId: number,
+  body: string,
+  waMessageId: string,
+  userId: number | null,
+  emitter: InboxEmitter | null
+): Promise<void> {
+  await inboxQueries.addThreadMessage(threadId, {
+    direction: 'out',
+    body,
+    message_type: 'chat',
+    has_media: false,
+    wa_message_id: waMessageId,
+    ack: null,
+    sent_at: new Date(),
+    sent_by: userId,
+  });
+  notify(emitter, threadId);
+}
+
+/** Clear a thread's unread count and notify. False when the thread doesn't exist. */
+export async function markThreadRead(threadId: number, emitter: InboxEmitter | null): Promise<boolean> {
+  const found = await inboxQueries.markThreadRead(threadId);
+  if (found) notify(emitter, threadId);
+  return found;
+}
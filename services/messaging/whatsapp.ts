@@ -2,7 +2,12 @@
 import EventEmitter from 'events';
 import messageState, { type Person as StatePersonType } from '../state/messageState.js';
 import stateEvents from '../state/stateEvents.js';
-import { getWhatsAppMessages, markWhatsAppBatchSent } from '../database/queries/messaging-queries.js';
+import {
+  getWhatsAppMessages,
+  markWhatsAppBatchSent,
+  stripConfirmPrompt,
+} from '../database/queries/messaging-queries.js';
+import { enqueueOutboundMessage } from '../database/queries/outbound-queue-queries.js';
 import * as messagingQueries from '../database/queries/messaging-queries.js';
 import { InternalEmitterEvents } from './websocket-events.js';
 import { messageSessionManager, type MessageLookupResult } from './MessageSessionManager.js';
@@ -17,6 +22,15 @@ import { log } from '../../utils/logger.js';
 import { PhoneFormatter } from '../../utils/phoneFormatter.js';
 import pdfGenerator from '../pdf/appointment-pdf-generator.js';
 import { getGroupSettings } from './group-settings.js';
+import { applyConfirmationReply } from '../appointments/appointment-confirmation.js';
+import {
+  captureIncomingMessage,
+  captureOutgoingMessage,
+  captureMessageAck,
+  isInboxChat,
+  numberFromChatId,
+  type InboxChatMessage,
+} from './whatsapp-inbox.js';
 import qrcode from 'qrcode';
 import pkg from 'whatsapp-web.js';
 
@@ -131,6 +145,23 @@ interface WhatsAppMessage {
   ack?: number;
 }
 
+/**
+ * WhatsApp chat message (partial — the fields the inbox reads from the
+ * 'message' / 'message_create' events)
+ */
+interface WhatsAppChatMessage {
+  id: { id: string };
+  from: string;
+  to: string;
+  fromMe: boolean;
+  body: string;
+  type: string;
+  hasMedia: boolean;
+  timestamp?: number;
+  isStatus?: boolean;
+  getContact(): Promise<{ number?: string; pushname?: string; name?: string }>;
+}
+
 /**
  * WhatsApp chat interface (partial — only the fields group lookup reads)
  */
@@ -583,6 +614,8 @@ class WhatsAppService extends EventEmitter {
     onReady: () => Promise<void>;
     onAuthenticated: () => Promise<void>;
     onMessageAck: (msg: WhatsAppMessage, ack: number) => Promise<void>;
+    onMessage: (msg: WhatsAppChatMessage) => Promise<void>;
+    onMessageCreate: (msg: WhatsAppChatMessage) => Promise<void>;
     onDisconnected: (reason: string) => Promise<void>;
     onAuthFailure: (error: Error) => Promise<void>;
     onLoadingScreen: (percent: number, message: string) => void;
@@ -599,6 +632,8 @@ class WhatsAppService extends EventEmitter {
       onReady: this.handleReady.bind(this),
       onAuthenticated: this.handleAuthenticated.bind(this),
       onMessageAck: this.handleMessageAck.bind(this),
+      onMessage: this.handleIncomingMessage.bind(this),
+      onMessageCreate: this.handleMessageCreate.bind(this),
       onDisconnected: this.handleDisconnected.bind(this),
       onAuthFailure: this.handleAuthFailure.bind(this),
       onLoadingScreen: this.handleLoadingScreen.bind(this),
@@ -1154,6 +1189,8 @@ class WhatsAppService extends EventEmitter {
     client.on('ready', this.eventHandlers.onReady as (...args: unknown[]) => void);
     client.on('authenticated', this.eventHandlers.onAuthenticated as (...args: unknown[]) => void);
     client.on('message_ack', this.eventHandlers.onMessageAck as (...args: unknown[]) => void);
+    client.on('message', this.eventHandlers.onMessage as (...args: unknown[]) => void);
+    client.on('message_create', this.eventHandlers.onMessageCreate as (...args: unknown[]) => void);
     client.on('disconnected', this.eventHandlers.onDisconnected as (...args: unknown[]) => void);
     client.on('auth_failure', this.eventHandlers.onAuthFailure as (...args: unknown[]) => void);
     client.on('loading_screen', this.eventHandlers.onLoadingScreen as (...args: unknown[]) => void);
@@ -1178,6 +1215,11 @@ class WhatsAppService extends EventEmitter {
         'message_ack',
         this.eventHandlers.onMessageAck as (...args: unknown[]) => void
       );
+      client.removeListener('message', this.eventHandlers.onMessage as (...args: unknown[]) => void);
+      client.removeListener(
+        'message_create',
+        this.eventHandlers.onMessageCreate as (...args: unknown[]) => void
+      );
       client.removeListener(
         'disconnected',
         this.eventHandlers.onDisconnected as (...args: unknown[]) => void
@@ -1627,6 +1669,9 @@ class WhatsAppService extends EventEmitter {
   private async handleMessageAck(msg: WhatsAppMessage, ack: number): Promise<void> {
     const messageId = msg.id.id;
 
+    // Ticks on inbox thread messages (a no-op for ids the inbox never stored).
+    await captureMessageAck(messageId, ack, this.wsEmitter);
+
     const messageInfo: MessageLookupResult | null =
       messageSessionManager.getAppointmentIdForMessage(messageId);
 
@@ -1706,6 +1751,67 @@ class WhatsAppService extends EventEmitter {
     }
   }
 
+  /**
+   * A patient wrote to the clinic number — thread it into the inbox, and apply
+   * it as a reminder confirmation if it is one. Groups, broadcasts and status
+   * updates are ignored before anything is looked up. The sender's number comes
+   * from a '<digits>@c.us' chat id; only '@lid' chats, which hide it, ask the
+   * contact (a page round-trip), which also gives the thread a display name.
+   */
+  private async handleIncomingMessage(msg: WhatsAppChatMessage): Promise<void> {
+    if (msg.fromMe || msg.isStatus || !isInboxChat(msg.from)) return;
+
+    let number = numberFromChatId(msg.from);
+    let contactName: string | null = null;
+    if (number === null) {
+      try {
+        const contact = await msg.getContact();
+        contactName = contact.pushname || contact.name || null;
+        number = contact.number ?? null;
+      } catch (error) {
+        log.debug('Could not resolve contact for incoming message', {
+          from: msg.from,
+          error: (error as Error).message,
+        });
+      }
+    }
+
+    await captureIncomingMessage(this.toInboxMessage(msg, msg.from, number, contactName), this.wsEmitter);
+
+    // A "1" / "2" answer to an appointment reminder: flag the appointment and say thanks.
+    if (number && msg.type === 'chat') {
+      const outcome = await applyConfirmationReply(number, msg.body ?? '', this.wsEmitter);
+      if (outcome) await this.sendChatMessage(msg.from, outcome.acknowledgement);
+    }
+  }
+
+  /**
+   * Every message this number sends (from the app or the phone) — recorded into
+   * an existing inbox thread so replies show alongside the reminder they answer.
+   */
+  private async handleMessageCreate(msg: WhatsAppChatMessage): Promise<void> {
+    if (!msg.fromMe) return;
+    await captureOutgoingMessage(this.toInboxMessage(msg, msg.to, numberFromChatId(msg.to), null), this.wsEmitter);
+  }
+
+  private toInboxMessage(
+    msg: WhatsAppChatMessage,
+    chatId: string,
+    number: string | null,
+    contactName: string | null
+  ): InboxChatMessage {
+    return {
+      waMessageId: msg.id.id,
+      chatId,
+      number,
+      contactName,
+      body: msg.body ?? '',
+      type: msg.type,
+      hasMedia: msg.hasMedia,
+      timestamp: msg.timestamp ?? null,
+    };
+  }
+
   /**
    * Broadcast a client-ready state change to SSE subscribers. Mirrors the
    * frames restart() already emits, so the browser's `whatsappClientReady`
@@ -2321,9 +2427,11 @@ class WhatsAppService extends EventEmitter {
               }
             } else {
               // Per-recipient failure (e.g. not on WhatsApp) — not a systemic
-              // signal, keep going.
+              // signal, keep going. The outbound queue retries the reminder and
+              // falls back to SMS, so it isn't lost until the next Send.
               consecutiveStalls = 0;
               consecutiveMalformed = 0;
+              await this.queueFailedReminder(numbers[i], messages[i], names[i], ids[i]);
             }
           }
         }
@@ -2656,6 +2764,82 @@ class WhatsAppService extends EventEmitter {
     }
   }
 
+  /**
+   * Send a text to a chat id as-is (an inbox thread's '<digits>@c.us' or
+   * '@lid' chat) — unlike sendMessage, no phone normalization and no
+   * appointment bookkeeping. The caller records the message in its thread.
+   */
+  async sendChatMessage(chatId: string, message: string): Promise<SendResult> {
+    if (!this.isReady()) {
+      return { success: false, error: 'WhatsApp client not ready' };
+    }
+
+    try {
+      const sentMessage = await withTimeout(
+        this.clientState.client!.sendMessage(chatId, message),
+        this.SEND_MESSAGE_TIMEOUT_MS,
+        `sendChatMessage ${chatId}`
+      );
+      if (!sentMessage?.id?.id) {
+        throw new Error(MALFORMED_SEND_RESULT_ERROR);
+      }
+      return { success: true, messageId: sentMessage.id.id };
+    } catch (error) {
+      log.error('WhatsApp chat send failed', { chatId, error: (error as Error).message });
+      return { success: false, error: humanizeWhatsAppError((error as Error).message) };
+    }
+  }
+
+  /**
+   * Whether a number has a WhatsApp account (`getNumberId` resolves null when it
+   * hasn't). null when that can't be told — not connected, or the lookup failed —
+   * so the caller just attempts the send.
+   */
+  async isRegisteredNumber(number: string): Promise<boolean | null> {
+    if (!this.isReady()) return null;
+
+    const cleanNumber = PhoneFormatter.normalize(number, '964');
+    try {
+      const numberId = await withTimeout(
+        this.clientState.client!.getNumberId(cleanNumber),
+        this.SEND_MESSAGE_TIMEOUT_MS,
+        `getNumberId ${cleanNumber}`
+      );
+      return numberId !== null;
+    } catch (error) {
+      log.warn('WhatsApp number lookup failed', { number: cleanNumber, error: (error as Error).message });
+      return null;
+    }
+  }
+
+  /**
+   * Hand a batch reminder that failed for this recipient to the outbound queue
+   * (services/messaging/outbound-queue.ts). Best-effort: a queue failure only logs.
+   */
+  private async queueFailedReminder(
+    number: string,
+    message: string,
+    name: string,
+    appointmentId: number
+  ): Promise<void> {
+    try {
+      await enqueueOutboundMessage({
+        channel: 'whatsapp',
+        sms_fallback: true,
+        phone: PhoneFormatter.normalize(number, '964'),
+        recipient_name: name || null,
+        person_id: null,
+        appointment_id: appointmentId,
+        purpose: 'appointment_reminder',
+        body: message,
+        sms_body: await stripConfirmPrompt(message),
+        created_by: null,
+      });
+    } catch (error) {
+      log.error('Failed to queue a failed batch reminder', { appointmentId, error: (error as Error).message });
+    }
+  }
+
   /** Remember an ad-hoc message id so its acks can be persisted (bounded map). */
   private trackAdhocMessage(messageId: string, appointmentId: number): void {
     if (this.adhocMessages.size >= this.ADHOC_MESSAGES_MAX) {
@@ -0,0 +1,247 @@
+/**
+ * Aligner Doctor Statement PDF Generator
+ * Renders a DoctorAlignerStatement (AlignerStatementService) as a branded A4
+ * monthly statement using PDFKit
+ *
+ * @module AlignerStatementPDFGenerator
+ *
+ * LAYOUT:
+ * - Header: clinic logo + name (Settings → General branding), doctor + period block
+ * - Summary: one line per currency — opening, fees, payments, refunds, outstanding
+ * - Sets table: per-set fee / paid / balance with batch progress
+ * - Ledger: one section per currency, opening balance first, running balance
+ *
+ * The header, tables and paginated footers come from pdf-layout.ts; this file
+ * draws only the statement's own sections.
+ */
+
+import {
+  COLORS,
+  DEFAULT_CLINIC_NAME,
+  LEDGER_COLUMNS,
+  PDF_CONFIG,
+  ROW_HEIGHT,
+  addHeader,
+  addSectionTitle,
+  addTableHeader,
+  drawRow,
+  ensureRoom,
+  formatAmount,
+  formatDay,
+  formatMoney,
+  renderDocument,
+  reserveSpace,
+  type ColumnConfig,
+  type PdfBranding,
+} from './pdf-layout.js';
+import type {
+  DoctorAlignerStatement,
+  AlignerStatementEntry,
+  AlignerStatementTotal,
+} from '../business/AlignerStatementService.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SET_COLUMNS: ColumnConfig[] = [
+  { label: 'Patient / Set', width: 185, align: 'left' },
+  { label: 'Batches', width: 60, align: 'right' },
+  { label: 'Fee', width: 85, align: 'right' },
+  { label: 'Paid', width: 80, align: 'right' },
+  { label: 'Balance', width: 85, align: 'right' },
+];
+
+const KIND_LABELS: Record<AlignerStatementEntry['kind'], string> = {
+  fee: 'Fee',
+  payment: 'Payment',
+  refund: 'Refund',
+};
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+const formatMonth = (month: string): string => {
+  const [y, m] = month.split('-');
+  return `${MONTH_NAMES[Number(m) - 1] ?? m} ${y}`;
+};
+
+// =============================================================================
+// PDF GENERATOR CLASS
+// =============================================================================
+
+/**
+ * Generates aligner doctor statement PDFs
+ */
+class AlignerStatementPDFGenerator {
+  /**
+   * Render the statement to a PDF buffer
+   * @param statement - Statement from AlignerStatementService.getDoctorStatement
+   * @param branding - Clinic name and logo for the header
+   * @returns PDF buffer
+   */
+  async generate(statement: DoctorAlignerStatement, branding: PdfBranding = {}): Promise<Buffer> {
+    const clinicName = branding.clinicName || DEFAULT_CLINIC_NAME;
+
+    return renderDocument(
+      {
+        clinicName,
+        logLabel: 'Aligner statement PDF',
+        info: {
+          Title: `Aligner Statement - Dr. ${statement.doctor_name} - ${statement.month}`,
+          Subject: 'Aligner Doctor Statement',
+          Creator: 'AlignerStatementPDFGenerator',
+        },
+      },
+      (doc) => {
+        addHeader(doc, {
+          clinicName,
+          logoPath: branding.logoPath,
+          logLabel: 'Aligner statement PDF',
+          title: 'Aligner Statement',
+          rightLines: [
+            `Dr. ${statement.doctor_name}`,
+            `Period: ${formatMonth(statement.month)}`,
+            `${formatDay(statement.period_start)} – ${formatDay(statement.period_end)}`,
+            `Date: ${formatDay(statement.generated_at.slice(0, 10))}`,
+          ],
+        });
+        this._addSummary(doc, statement.totals);
+        this._addSets(doc, statement);
+        for (const total of statement.totals) {
+          this._addLedger(
+            doc,
+            total,
+            statement.period_start,
+            statement.entries.filter((e) => e.currency === total.currency)
+          );
+        }
+        if (statement.totals.length === 0) {
+          doc.fontSize(12).fillColor(COLORS.MUTED).text('No aligner fees or payments on record.', { align: 'center' });
+        }
+      }
+    );
+  }
+
+  /**
+   * One summary line per currency, outstanding amount emphasised
+   * @private
+   */
+  private _addSummary(doc: PDFKit.PDFDocument, totals: AlignerStatementTotal[]): void {
+    for (const t of totals) {
+      const y = doc.y;
+      doc
+        .font('Body')
+        .fontSize(9)
+        .fillColor(COLORS.MUTED)
+        .text(
+          `${t.currency}:  opening ${formatAmount(t.opening_balance)}  ·  fees ${formatAmount(t.fees)}  ·  ` +
+            `paid ${formatAmount(t.payments)}  ·  refunded ${formatAmount(t.refunds)}`,
+          PDF_CONFIG.MARGIN,
+          y + 3,
+          { width: 330, lineBreak: false }
+        );
+      doc
+        .fontSize(13)
+        .fillColor(t.outstanding > 0 ? COLORS.NEGATIVE : COLORS.TEXT)
+        .text(`Outstanding: ${formatMoney(t.outstanding, t.currency)}`, PDF_CONFIG.MARGIN + 330, y, {
+          width: 165,
+          align: 'right',
+          lineBreak: false,
+        });
+      doc.y = y + 20;
+    }
+    doc.x = PDF_CONFIG.MARGIN;
+    doc.moveDown(0.5);
+  }
+
+  /**
+   * Per-set fee, paid and balance
+   * @private
+   */
+  private _addSets(doc: PDFKit.PDFDocument, statement: DoctorAlignerStatement): void {
+    if (statement.sets.length === 0) return;
+    addSectionTitle(doc, 'Sets');
+    let y = addTableHeader(doc, SET_COLUMNS, doc.y);
+
+    statement.sets.forEach((s, index) => {
+      y = ensureRoom(doc, y, SET_COLUMNS);
+      drawRow(
+        doc,
+        SET_COLUMNS,
+        y,
+        [
+          `${s.patient_name ?? `Patient #${s.person_id}`} — set ${s.set_sequence ?? `#${s.aligner_set_id}`}`,
+          `${s.batches_delivered}/${s.batch_count}`,
+          s.set_cost === null ? 'Not priced' : formatMoney(s.set_cost, s.currency),
+          formatAmount(s.paid),
+          formatAmount(s.balance),
+        ],
+        index
+      );
+      y += ROW_HEIGHT;
+    });
+    doc.x = PDF_CONFIG.MARGIN;
+    doc.y = y + 10;
+  }
+
+  /**
+   * The month's running-balance ledger for one currency, opening balance first
+   * @private
+   */
+  private _addLedger(
+    doc: PDFKit.PDFDocument,
+    total: AlignerStatementTotal,
+    periodStart: string,
+    entries: AlignerStatementEntry[]
+  ): void {
+    reserveSpace(doc, ROW_HEIGHT * 3);
+    addSectionTitle(doc, `Ledger (${total.currency})`);
+    let y = addTableHeader(doc, LEDGER_COLUMNS, doc.y);
+
+    drawRow(
+      doc,
+      LEDGER_COLUMNS,
+      y,
+      [formatDay(periodStart), 'Opening balance', '', '', '', formatAmount(total.opening_balance)],
+      0
+    );
+    y += ROW_HEIGHT;
+
+    entries.forEach((entry, index) => {
+      y = ensureRoom(doc, y, LEDGER_COLUMNS);
+      drawRow(
+        doc,
+        LEDGER_COLUMNS,
+        y,
+        [
+          formatDay(entry.date),
+          `${KIND_LABELS[entry.kind]} — ${entry.description}`,
+          entry.reference !== null ? `#${entry.reference}` : '',
+          entry.debit ? formatAmount(entry.debit) : '',
+          entry.credit ? formatAmount(entry.credit) : '',
+          formatAmount(entry.balance),
+        ],
+        index + 1
+      );
+      y += ROW_HEIGHT;
+    });
+    doc.x = PDF_CONFIG.MARGIN;
+    doc.y = y + 10;
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { AlignerStatementPDFGenerator };
+
+const defaultGenerator = new AlignerStatementPDFGenerator();
+export default defaultGenerator;
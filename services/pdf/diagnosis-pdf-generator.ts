@@ -0,0 +1,289 @@
+/**
+ * Diagnosis Report PDF Generator
+ * Renders one diagnosis of a work (CephalometricService) as a branded A4 report
+ * using PDFKit
+ *
+ * @module DiagnosisPDFGenerator
+ *
+ * LAYOUT:
+ * - Header: clinic logo + name (Settings → General branding), patient block
+ * - Diagnosis, treatment plan, chief complaint and appliance
+ * - Clinical findings: facial, intraoral and occlusion (filled fields only)
+ * - Cephalometric table: value, norm, deviation in SD and what an out-of-range
+ *   value suggests; out-of-range rows in red. On the final report (with an
+ *   initial diagnosis to compare) the table shows initial → final and the change.
+ *
+ * The header, tables and paginated footers come from pdf-layout.ts; this file
+ * draws only the report's own sections.
+ */
+
+import {
+  COLORS,
+  DEFAULT_CLINIC_NAME,
+  PDF_CONFIG,
+  ROW_HEIGHT,
+  addHeader,
+  addSectionTitle,
+  addTableHeader,
+  drawRow,
+  ensureRoom,
+  formatDay,
+  renderDocument,
+  reserveSpace,
+  rtl,
+  type ColumnConfig,
+  type PdfBranding,
+} from './pdf-layout.js';
+import { cephLabel, formatCephNumber, interpretation } from '../../shared/cephalometrics.js';
+import type { CephAnalysis, CephMeasurement } from '../../shared/contracts/cephalometric.contract.js';
+import type { CephWorkRow, DiagnosisRow } from '../database/queries/cephalometric-queries.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/**
+ * What the report is drawn from
+ */
+export interface DiagnosisReport {
+  work: CephWorkRow;
+  diagnosis: DiagnosisRow;
+  analysis: CephAnalysis;
+  /** The initial analysis, on a final report — drawn as the comparison. */
+  baseline: CephAnalysis | null;
+}
+
+type DiagnosisTextField = keyof DiagnosisRow & string;
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const CEPH_COLUMNS: ColumnConfig[] = [
+  { label: 'Measurement', width: 85, align: 'left' },
+  { label: 'Value', width: 55, align: 'right' },
+  { label: 'Norm', width: 75, align: 'right' },
+  { label: 'SD', width: 45, align: 'right' },
+  { label: 'Interpretation', width: 235, align: 'left' },
+];
+
+const COMPARE_COLUMNS: ColumnConfig[] = [
+  { label: 'Measurement', width: 85, align: 'left' },
+  { label: 'Initial', width: 50, align: 'right' },
+  { label: 'Final', width: 50, align: 'right' },
+  { label: 'Change', width: 50, align: 'right' },
+  { label: 'Norm', width: 70, align: 'right' },
+  { label: 'Interpretation (final)', width: 190, align: 'left' },
+];
+
+const FINDING_SECTIONS: { title: string; fields: [DiagnosisTextField, string][] }[] = [
+  {
+    title: 'Facial Analysis',
+    fields: [
+      ['f_antero_posterior', 'Antero-Posterior'],
+      ['f_vertical', 'Vertical'],
+      ['f_transverse', 'Transverse'],
+      ['f_lip_competence', 'Lip Competence'],
+      ['f_naso_labial_angle', 'Nasolabial Angle'],
+      ['f_upper_incisor_show_rest', 'Upper Incisor Show (Rest)'],
+      ['f_upper_incisor_show_smile', 'Upper Incisor Show (Smile)'],
+    ],
+  },
+  {
+    title: 'Intraoral',
+    fields: [
+      ['i_teeth_present', 'Teeth Present'],
+      ['i_dental_health', 'Dental Health'],
+      ['i_upper_crowding', 'Upper Crowding'],
+      ['i_upper_incisor_inclination', 'Upper Incisor Inclination'],
+      ['i_lower_crowding', 'Lower Crowding'],
+      ['i_lower_incisor_inclination', 'Lower Incisor Inclination'],
+      ['i_curveof_spee', 'Curve of Spee'],
+    ],
+  },
+  {
+    title: 'Occlusion',
+    fields: [
+      ['o_incisor_relation', 'Incisor Relation'],
+      ['o_overjet', 'Overjet'],
+      ['o_overbite', 'Overbite'],
+      ['o_centerlines', 'Centerlines'],
+      ['o_molar_relation', 'Molar Relation (Right / Left)'],
+      ['o_canine_relation', 'Canine Relation (Right / Left)'],
+      ['o_functional_occlusion', 'Functional Occlusion'],
+    ],
+  },
+];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/** '82', '85*' (derived) — blank when not recorded. */
+const formatValue = (m: CephMeasurement | undefined): string =>
+  m?.value == null ? '' : `${formatCephNumber(m.value)}${m.derived ? '*' : ''}`;
+
+const formatNorm = (m: CephMeasurement): string =>
+  m.mean === null || m.sd === null ? '—' : `${formatCephNumber(m.mean)} ±${formatCephNumber(m.sd)}`;
+
+const formatZ = (m: CephMeasurement): string => (m.z === null ? '' : `${m.z > 0 ? '+' : ''}${m.z}`);
+
+const formatChange = (from: CephMeasurement | undefined, to: CephMeasurement): string => {
+  if (from?.value == null || to.value === null) return '';
+  const change = Math.round((to.value - from.value) * 10) / 10;
+  return `${change > 0 ? '+' : ''}${formatCephNumber(change)}`;
+};
+
+/** The interpretation, plus a note when the value contradicts the ones it follows from. */
+const describe = (m: CephMeasurement): string => {
+  const parts = [interpretation(m) ?? (m.status === 'normal' ? 'Within norm' : '')];
+  if (m.expected !== null) parts.push(`check: others give ${formatCephNumber(m.expected)}`);
+  return parts.filter(Boolean).join(' — ');
+};
+
+// =============================================================================
+// PDF GENERATOR CLASS
+// =============================================================================
+
+/**
+ * Generates diagnosis report PDFs
+ */
+class DiagnosisPDFGenerator {
+  /**
+   * Render the report to a PDF buffer
+   * @param report - Work, diagnosis and analysis from CephalometricService
+   * @param branding - Clinic name and logo for the header
+   * @returns PDF buffer
+   */
+  async generate(report: DiagnosisReport, branding: PdfBranding = {}): Promise<Buffer> {
+    const clinicName = branding.clinicName || DEFAULT_CLINIC_NAME;
+    const title = report.diagnosis.stage === 'final' ? 'Final Diagnosis' : 'Orthodontic Diagnosis';
+    const { work, analysis } = report;
+    const age = analysis.age !== null ? ` (age ${analysis.age})` : '';
+
+    return renderDocument(
+      {
+        clinicName,
+        logLabel: 'Diagnosis PDF',
+        info: {
+          Title: `${title} - ${work.patient_name}`,
+          Subject: 'Orthodontic Diagnosis Report',
+          Creator: 'DiagnosisPDFGenerator',
+        },
+      },
+      (doc) => {
+        addHeader(doc, {
+          clinicName,
+          logoPath: branding.logoPath,
+          logLabel: 'Diagnosis PDF',
+          title,
+          rightLines: [
+            work.patient_name,
+            `Patient ID: ${work.person_id}`,
+            `Date of birth: ${formatDay(work.date_of_birth)}${age}`,
+            `${work.type_name ?? 'Treatment'} (#${work.work_id})`,
+            `Diagnosis date: ${formatDay(analysis.dx_date)}`,
+            ...(work.doctor_name ? [`Doctor: ${work.doctor_name}`] : []),
+          ],
+        });
+        this._addParagraph(doc, 'Diagnosis', report.diagnosis.diagnosis);
+        this._addParagraph(doc, 'Treatment Plan', report.diagnosis.treatment_plan);
+        this._addParagraph(doc, 'Chief Complaint', report.diagnosis.chief_complain);
+        this._addParagraph(doc, 'Appliance', report.diagnosis.appliance);
+        for (const section of FINDING_SECTIONS) this._addFindings(doc, report.diagnosis, section);
+        this._addCephalometrics(doc, report.analysis, report.baseline);
+      }
+    );
+  }
+
+  /**
+   * A titled block of free text; skipped when blank
+   * @private
+   */
+  private _addParagraph(doc: PDFKit.PDFDocument, title: string, text: string | null): void {
+    if (!text?.trim()) return;
+    reserveSpace(doc, ROW_HEIGHT * 2);
+    addSectionTitle(doc, title);
+    doc
+      .font('Body')
+      .fontSize(10)
+      .fillColor(COLORS.TEXT)
+      .text(text.trim(), PDF_CONFIG.MARGIN, doc.y, { width: PDF_CONFIG.CONTENT_WIDTH, features: rtl(text) });
+    doc.moveDown(0.8);
+  }
+
+  /**
+   * One clinical section as label: value lines; skipped when nothing was recorded
+   * @private
+   */
+  private _addFindings(
+    doc: PDFKit.PDFDocument,
+    diagnosis: DiagnosisRow,
+    section: (typeof FINDING_SECTIONS)[number]
+  ): void {
+    const filled = section.fields.filter(([field]) => String(diagnosis[field] ?? '').trim());
+    if (filled.length === 0) return;
+    reserveSpace(doc, ROW_HEIGHT * 2);
+    addSectionTitle(doc, section.title);
+
+    for (const [field, label] of filled) {
+      reserveSpace(doc, 14);
+      const value = String(diagnosis[field]).trim();
+      const y = doc.y;
+      doc.font('Body').fontSize(9).fillColor(COLORS.MUTED).text(label, PDF_CONFIG.MARGIN, y, { width: 150 });
+      doc
+        .fillColor(COLORS.TEXT)
+        .text(value, PDF_CONFIG.MARGIN + 155, y, { width: PDF_CONFIG.CONTENT_WIDTH - 155, features: rtl(value) });
+      doc.y = Math.max(doc.y, y + 13);
+    }
+    doc.x = PDF_CONFIG.MARGIN;
+    doc.moveDown(0.8);
+  }
+
+  /**
+   * The cephalometric table — single stage, or initial → final with the change
+   * @private
+   */
+  private _addCephalometrics(doc: PDFKit.PDFDocument, analysis: CephAnalysis, baseline: CephAnalysis | null): void {
+    const before = new Map((baseline?.measurements ?? []).map((m) => [m.key, m]));
+    const rows = analysis.measurements.filter((m) => m.value !== null || before.get(m.key)?.value != null);
+    if (rows.length === 0) return;
+
+    const columns = baseline ? COMPARE_COLUMNS : CEPH_COLUMNS;
+    reserveSpace(doc, ROW_HEIGHT * 4);
+    addSectionTitle(
+      doc,
+      baseline ? `Cephalometric Analysis — initial (${formatDay(baseline.dx_date)}) → final` : 'Cephalometric Analysis'
+    );
+    let y = addTableHeader(doc, columns, doc.y);
+
+    rows.forEach((m, index) => {
+      y = ensureRoom(doc, y, columns);
+      const cells = baseline
+        ? [cephLabel(m.key), formatValue(before.get(m.key)), formatValue(m), formatChange(before.get(m.key), m), formatNorm(m), describe(m)]
+        : [cephLabel(m.key), formatValue(m), formatNorm(m), formatZ(m), describe(m)];
+      drawRow(doc, columns, y, cells, index, m.status === 'low' || m.status === 'high' ? COLORS.NEGATIVE : COLORS.TEXT);
+      y += ROW_HEIGHT;
+    });
+
+    doc.x = PDF_CONFIG.MARGIN;
+    doc.y = y + 4;
+    const notes = ['Norms are mean ± 1 SD for the patient’s sex and age; values outside them are in red.'];
+    if (rows.some((m) => m.derived || before.get(m.key)?.derived)) notes.push('* Derived from the other measurements.');
+    doc
+      .font('Body')
+      .fontSize(8)
+      .fillColor(COLORS.MUTED)
+      .text(notes.join('  '), PDF_CONFIG.MARGIN, doc.y, { width: PDF_CONFIG.CONTENT_WIDTH });
+    doc.moveDown(0.8);
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { DiagnosisPDFGenerator };
+
+const defaultGenerator = new DiagnosisPDFGenerator();
+export default defaultGenerator;
@@ -0,0 +1,324 @@
+/**
+ * Shared PDFKit Layout
+ * The branded A4 layout used by the statement and diagnosis PDF generators
+ *
+ * @module PDFLayout
+ *
+ * LAYOUT:
+ * - Header: clinic logo + name (Settings → General branding) and the document
+ *   title on the left, a caller-supplied block of lines on the right
+ * - Section titles and striped tables whose header is re-drawn on each new page
+ * - Footer: "Page X of Y" on every page
+ *
+ * Pagination follows appointment-pdf-generator.ts: bufferPages, render all
+ * content, then switchToPage() for the footers. Each generator keeps only its
+ * own sections and calls into here for the rest.
+ */
+
+import PDFDocument from 'pdfkit';
+import path from 'path';
+import fs from 'fs';
+import { log } from '../../utils/logger.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/**
+ * Branding drawn in the header
+ */
+export interface PdfBranding {
+  clinicName?: string | null;
+  /** Absolute path of the clinic logo; PDFKit embeds PNG and JPEG only. */
+  logoPath?: string | null;
+}
+
+/**
+ * Table column configuration
+ */
+export interface ColumnConfig {
+  label: string;
+  width: number;
+  align: 'left' | 'right';
+}
+
+/**
+ * What renderDocument needs besides the drawing callback
+ */
+export interface DocumentOptions {
+  clinicName: string;
+  /** Prefix of the log messages, e.g. 'Statement PDF'. */
+  logLabel: string;
+  info: { Title: string; Subject: string; Creator: string };
+}
+
+/**
+ * The header's left title and right-hand block
+ */
+export interface HeaderOptions {
+  clinicName: string;
+  logoPath: string | null | undefined;
+  logLabel: string;
+  title: string;
+  /** First line is drawn as the headline, the rest muted below it. */
+  rightLines: string[];
+}
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Resolve from the launch directory (repo root) — see appointment-pdf-generator.ts.
+const PROJECT_ROOT = process.cwd();
+const ARABIC_FONT_PATH = path.join(PROJECT_ROOT, 'fonts', 'NotoSansArabic.ttf');
+
+export const PDF_CONFIG = {
+  MARGIN: 50,
+  PAGE_WIDTH: 595, // A4 width in points
+  CONTENT_WIDTH: 495, // PAGE_WIDTH - (2 * MARGIN)
+  FOOTER_MARGIN: 50,
+  NEW_PAGE_THRESHOLD: 100, // Reserve space at bottom for footer
+  LOGO_HEIGHT: 48,
+};
+
+export const COLORS = {
+  PRIMARY: '#0066cc',
+  TEXT: '#000000',
+  MUTED: '#666666',
+  LIGHT: '#cccccc',
+  ROW_ALT: '#f9f9f9',
+  NEGATIVE: '#b42318',
+};
+
+export const ROW_HEIGHT = 22;
+
+export const DEFAULT_CLINIC_NAME = 'Shwan Orthodontics';
+
+/** Running-balance ledger of the patient and aligner statements. */
+export const LEDGER_COLUMNS: ColumnConfig[] = [
+  { label: 'Date', width: 62, align: 'left' },
+  { label: 'Description', width: 178, align: 'left' },
+  { label: 'Receipt', width: 45, align: 'left' },
+  { label: 'Debit', width: 66, align: 'right' },
+  { label: 'Credit', width: 66, align: 'right' },
+  { label: 'Balance', width: 78, align: 'right' },
+];
+
+const ARABIC_RE = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF]/;
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+export const formatAmount = (value: number): string => value.toLocaleString('en-US');
+
+export const formatMoney = (value: number, currency: string): string => `${formatAmount(value)} ${currency}`;
+
+export const formatDay = (ymd: string | null): string => {
+  if (!ymd) return '—';
+  const [y, m, d] = ymd.split('-');
+  return `${d}/${m}/${y}`;
+};
+
+const fileReadable = (filePath: string | null | undefined): filePath is string => {
+  if (!filePath) return false;
+  try {
+    fs.accessSync(filePath, fs.constants.R_OK);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/** Right-to-left shaping for Arabic text, none otherwise. */
+export const rtl = (text: string): PDFKit.Mixins.OpenTypeFeatures[] => (ARABIC_RE.test(text) ? ['rtla'] : []);
+
+// =============================================================================
+// DOCUMENT
+// =============================================================================
+
+/**
+ * Create a buffered A4 document, let `draw` fill it, add the footers and
+ * resolve with the PDF bytes
+ * @param options - Clinic name, log label and document info
+ * @param draw - Renders the content; the first page already exists
+ * @returns PDF buffer
+ */
+export function renderDocument(options: DocumentOptions, draw: (doc: PDFKit.PDFDocument) => void): Promise<Buffer> {
+  const { clinicName, logLabel, info } = options;
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PDF_CONFIG.MARGIN,
+        bufferPages: true,
+        autoFirstPage: false,
+        info: { ...info, Author: clinicName, CreationDate: new Date() },
+      });
+
+      // Patient names and notes are usually Arabic; Helvetica is the built-in fallback.
+      doc.registerFont('Body', fileReadable(ARABIC_FONT_PATH) ? ARABIC_FONT_PATH : 'Helvetica');
+
+      const chunks: Buffer[] = [];
+      doc.on('data', (chunk: Buffer) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', (error: Error) => {
+        log.error(`${logLabel} generation error`, { error: error.message });
+        reject(error);
+      });
+
+      doc.addPage();
+      draw(doc);
+      addPageFooters(doc, clinicName);
+
+      doc.end();
+    } catch (error) {
+      log.error(`${logLabel} generation failed`, { error: (error as Error).message });
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Logo + clinic name and title on the left, `rightLines` on the right, then a
+ * rule across the page
+ */
+export function addHeader(doc: PDFKit.PDFDocument, options: HeaderOptions): void {
+  const { clinicName, logoPath, logLabel, title, rightLines } = options;
+  const top = doc.y;
+  let textX = PDF_CONFIG.MARGIN;
+
+  if (fileReadable(logoPath) && /\.(png|jpe?g)$/i.test(logoPath)) {
+    try {
+      doc.image(logoPath, PDF_CONFIG.MARGIN, top, { height: PDF_CONFIG.LOGO_HEIGHT });
+      textX += PDF_CONFIG.LOGO_HEIGHT + 12;
+    } catch (error) {
+      log.warn(`${logLabel}: logo could not be embedded`, { error: (error as Error).message });
+    }
+  }
+
+  doc.font('Body').fillColor(COLORS.TEXT).fontSize(18).text(clinicName, textX, top, { width: 260 });
+  doc.fontSize(12).fillColor(COLORS.PRIMARY).text(title, textX, doc.y + 2, { width: 260 });
+
+  const rightX = PDF_CONFIG.MARGIN + 300;
+  const [headline = '', ...details] = rightLines;
+  doc
+    .fontSize(12)
+    .fillColor(COLORS.TEXT)
+    .text(headline, rightX, top, { width: 195, align: 'right', features: rtl(headline) })
+    .fontSize(9)
+    .fillColor(COLORS.MUTED);
+  details.forEach((line, i) => {
+    doc.text(line, rightX, doc.y + (i === 0 ? 2 : 0), { width: 195, align: 'right', features: rtl(line) });
+  });
+
+  const lineY = Math.max(doc.y, top + PDF_CONFIG.LOGO_HEIGHT) + 10;
+  doc
+    .strokeColor(COLORS.PRIMARY)
+    .lineWidth(2)
+    .moveTo(PDF_CONFIG.MARGIN, lineY)
+    .lineTo(PDF_CONFIG.PAGE_WIDTH - PDF_CONFIG.MARGIN, lineY)
+    .stroke();
+  doc.x = PDF_CONFIG.MARGIN;
+  doc.y = lineY + 12;
+}
+
+/**
+ * Start a new page when less than `height` is left above the footer
+ */
+export function reserveSpace(doc: PDFKit.PDFDocument, height: number): void {
+  if (doc.y + height > doc.page.height - PDF_CONFIG.NEW_PAGE_THRESHOLD) doc.addPage();
+}
+
+export function addSectionTitle(doc: PDFKit.PDFDocument, title: string): void {
+  doc.font('Body').fontSize(11).fillColor(COLORS.PRIMARY).text(title, PDF_CONFIG.MARGIN, doc.y);
+  doc.moveDown(0.3);
+}
+
+// =============================================================================
+// TABLES
+// =============================================================================
+
+/**
+ * @returns Y position after the header
+ */
+export function addTableHeader(doc: PDFKit.PDFDocument, columns: ColumnConfig[], startY: number): number {
+  doc.font('Body').fontSize(9).fillColor(COLORS.TEXT);
+  let x = PDF_CONFIG.MARGIN;
+  for (const col of columns) {
+    doc.text(col.label, x, startY, { width: col.width - 4, align: col.align, lineBreak: false });
+    x += col.width;
+  }
+  const underlineY = startY + 14;
+  doc
+    .strokeColor(COLORS.LIGHT)
+    .lineWidth(1)
+    .moveTo(PDF_CONFIG.MARGIN, underlineY)
+    .lineTo(PDF_CONFIG.PAGE_WIDTH - PDF_CONFIG.MARGIN, underlineY)
+    .stroke();
+  return startY + 20;
+}
+
+/**
+ * Start a new page (with the table header again) when the next row would
+ * run into the footer
+ * @returns Y position for the next row
+ */
+export function ensureRoom(doc: PDFKit.PDFDocument, y: number, columns: ColumnConfig[]): number {
+  if (y + ROW_HEIGHT <= doc.page.height - PDF_CONFIG.NEW_PAGE_THRESHOLD) return y;
+  doc.addPage();
+  return addTableHeader(doc, columns, PDF_CONFIG.MARGIN);
+}
+
+/**
+ * One table row; even rows are shaded
+ * @param color - Text colour, e.g. COLORS.NEGATIVE to flag the row
+ */
+export function drawRow(
+  doc: PDFKit.PDFDocument,
+  columns: ColumnConfig[],
+  y: number,
+  cells: string[],
+  index: number,
+  color: string = COLORS.TEXT
+): void {
+  if (index % 2 === 0) {
+    doc
+      .save()
+      .fillColor(COLORS.ROW_ALT)
+      .rect(PDF_CONFIG.MARGIN, y - 5, PDF_CONFIG.CONTENT_WIDTH, ROW_HEIGHT)
+      .fill()
+      .restore();
+  }
+  doc.font('Body').fontSize(8).fillColor(color);
+  let x = PDF_CONFIG.MARGIN;
+  columns.forEach((col, i) => {
+    doc.text(cells[i] ?? '', x, y, { width: col.width - 4, align: col.align, ellipsis: true, lineBreak: false });
+    x += col.width;
+  });
+}
+
+/**
+ * "Page X of Y" footers, drawn once every page exists
+ */
+function addPageFooters(doc: PDFKit.PDFDocument, clinicName: string): void {
+  const generatedTime = new Date().toLocaleString();
+  const range = doc.bufferedPageRange();
+  for (let i = 0; i < range.count; i++) {
+    doc.switchToPage(range.start + i);
+    const footerY = doc.page.height - PDF_CONFIG.FOOTER_MARGIN;
+    // The `height` option stops PDFKit auto-paginating near the page bottom
+    // (PDFKit issue #198 — see appointment-pdf-generator.ts).
+    doc
+      .font('Body')
+      .fontSize(8)
+      .fillColor(COLORS.MUTED)
+      .text(
+        `${clinicName}  •  Generated on ${generatedTime}  •  Page ${i + 1} of ${range.count}`,
+        PDF_CONFIG.MARGIN,
+        footerY,
+        { width: PDF_CONFIG.CONTENT_WIDTH, height: 20, align: 'center', lineBreak: false }
+      );
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Patient Statement PDF Generator
+ * Renders a PatientStatement (StatementService) as a branded A4 account statement
+ * using PDFKit
+ *
+ * @module StatementPDFGenerator
+ *
+ * LAYOUT:
+ * - Header: clinic logo + name (Settings → General branding), patient block
+ * - Summary: one line per currency — charged, discounts, paid, refunded, balance
+ * - Works table: per-work total / discount / paid / balance
+ * - Ledger: one section per currency with the running balance
+ *
+ * The header, tables and paginated footers come from pdf-layout.ts; this file
+ * draws only the statement's own sections.
+ */
+
+import {
+  COLORS,
+  DEFAULT_CLINIC_NAME,
+  LEDGER_COLUMNS,
+  PDF_CONFIG,
+  ROW_HEIGHT,
+  addHeader,
+  addSectionTitle,
+  addTableHeader,
+  drawRow,
+  ensureRoom,
+  formatAmount,
+  formatDay,
+  formatMoney,
+  renderDocument,
+  reserveSpace,
+  type ColumnConfig,
+  type PdfBranding,
+} from './pdf-layout.js';
+import type {
+  PatientStatement,
+  StatementEntry,
+  StatementCurrencyTotal,
+} from '../business/StatementService.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const WORK_COLUMNS: ColumnConfig[] = [
+  { label: 'Work', width: 175, align: 'left' },
+  { label: 'Status', width: 60, align: 'left' },
+  { label: 'Total', width: 65, align: 'right' },
+  { label: 'Discount', width: 65, align: 'right' },
+  { label: 'Paid', width: 65, align: 'right' },
+  { label: 'Balance', width: 65, align: 'right' },
+];
+
+const WORK_STATUS_LABELS: Record<number, string> = { 1: 'Active', 2: 'Finished', 3: 'Discontinued' };
+
+const KIND_LABELS: Record<StatementEntry['kind'], string> = {
+  charge: 'Charge',
+  discount: 'Discount',
+  payment: 'Payment',
+  return: 'Return',
+  refund: 'Refund',
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Cash actually handed over when it differs from the work's currency, with the
+ * day's rate — e.g. "150,000 IQD @ 1,480".
+ */
+const cashNote = (entry: StatementEntry): string | null => {
+  const parts: string[] = [];
+  if (entry.iqd_cash && entry.currency !== 'IQD') parts.push(formatMoney(Math.abs(entry.iqd_cash), 'IQD'));
+  if (entry.usd_cash && entry.currency !== 'USD') parts.push(formatMoney(Math.abs(entry.usd_cash), 'USD'));
+  if (parts.length === 0) return null;
+  const rate = entry.exchange_rate ? ` @ ${formatAmount(entry.exchange_rate)}` : '';
+  return `${parts.join(' + ')}${rate}`;
+};
+
+// =============================================================================
+// PDF GENERATOR CLASS
+// =============================================================================
+
+/**
+ * Generates patient account statement PDFs
+ */
+class StatementPDFGenerator {
+  /**
+   * Render the statement to a PDF buffer
+   * @param statement - Statement from StatementService.getPatientStatement
+   * @param branding - Clinic name and logo for the header
+   * @returns PDF buffer
+   */
+  async generate(statement: PatientStatement, branding: PdfBranding = {}): Promise<Buffer> {
+    const clinicName = branding.clinicName || DEFAULT_CLINIC_NAME;
+
+    return renderDocument(
+      {
+        clinicName,
+        logLabel: 'Statement PDF',
+        info: {
+          Title: `Account Statement - ${statement.patient_name ?? statement.person_id}`,
+          Subject: 'Patient Account Statement',
+          Creator: 'StatementPDFGenerator',
+        },
+      },
+      (doc) => {
+        addHeader(doc, {
+          clinicName,
+          logoPath: branding.logoPath,
+          logLabel: 'Statement PDF',
+          title: 'Account Statement',
+          rightLines: [
+            statement.patient_name ?? '—',
+            `Patient ID: ${statement.person_id}`,
+            `Phone: ${statement.phone ?? '—'}`,
+            `Date: ${formatDay(statement.generated_at.slice(0, 10))}`,
+          ],
+        });
+        this._addSummary(doc, statement.totals);
+        this._addWorks(doc, statement);
+        for (const total of statement.totals) {
+          this._addLedger(doc, total.currency, statement.entries.filter((e) => e.currency === total.currency));
+        }
+        if (statement.entries.length === 0) {
+          doc.fontSize(12).fillColor(COLORS.MUTED).text('No treatments or payments on record.', { align: 'center' });
+        }
+      }
+    );
+  }
+
+  /**
+   * One summary line per currency, balance due emphasised
+   * @private
+   */
+  private _addSummary(doc: PDFKit.PDFDocument, totals: StatementCurrencyTotal[]): void {
+    for (const t of totals) {
+      const y = doc.y;
+      doc
+        .font('Body')
+        .fontSize(9)
+        .fillColor(COLORS.MUTED)
+        .text(
+          `${t.currency}:  charged ${formatAmount(t.charged)}  ·  discounts ${formatAmount(t.discounts)}  ·  ` +
+            `paid ${formatAmount(t.paid)}  ·  refunded ${formatAmount(t.refunded)}`,
+          PDF_CONFIG.MARGIN,
+          y + 3,
+          { width: 330, lineBreak: false }
+        );
+      doc
+        .fontSize(13)
+        .fillColor(t.balance > 0 ? COLORS.NEGATIVE : COLORS.TEXT)
+        .text(`Balance due: ${formatMoney(t.balance, t.currency)}`, PDF_CONFIG.MARGIN + 330, y, {
+          width: 165,
+          align: 'right',
+          lineBreak: false,
+        });
+      doc.y = y + 20;
+    }
+    doc.x = PDF_CONFIG.MARGIN;
+    doc.moveDown(0.5);
+  }
+
+  /**
+   * Per-work totals
+   * @private
+   */
+  private _addWorks(doc: PDFKit.PDFDocument, statement: PatientStatement): void {
+    if (statement.works.length === 0) return;
+    addSectionTitle(doc, 'Treatments');
+    let y = addTableHeader(doc, WORK_COLUMNS, doc.y);
+
+    statement.works.forEach((w, index) => {
+      y = ensureRoom(doc, y, WORK_COLUMNS);
+      drawRow(
+        doc,
+        WORK_COLUMNS,
+        y,
+        [
+          `${w.work_type ?? 'Treatment'} (#${w.work_id})`,
+          WORK_STATUS_LABELS[w.status] ?? String(w.status),
+          formatMoney(w.total_required, w.currency),
+          w.discount ? formatAmount(w.discount) : '—',
+          formatAmount(w.paid),
+          formatAmount(w.balance),
+        ],
+        index
+      );
+      y += ROW_HEIGHT;
+    });
+    doc.x = PDF_CONFIG.MARGIN;
+    doc.y = y + 10;
+  }
+
+  /**
+   * The running-balance ledger for one currency
+   * @private
+   */
+  private _addLedger(doc: PDFKit.PDFDocument, currency: string, entries: StatementEntry[]): void {
+    reserveSpace(doc, ROW_HEIGHT * 3);
+    addSectionTitle(doc, `Ledger (${currency})`);
+    let y = addTableHeader(doc, LEDGER_COLUMNS, doc.y);
+
+    entries.forEach((entry, index) => {
+      y = ensureRoom(doc, y, LEDGER_COLUMNS);
+      const note = cashNote(entry);
+      const description = `${KIND_LABELS[entry.kind]} — ${entry.description}${note ? ` (${note})` : ''}`;
+      drawRow(
+        doc,
+        LEDGER_COLUMNS,
+        y,
+        [
+          formatDay(entry.date),
+          description,
+          entry.reference !== null ? `#${entry.reference}` : '',
+          entry.debit ? formatAmount(entry.debit) : '',
+          entry.credit ? formatAmount(entry.credit) : '',
+          formatAmount(entry.balance),
+        ],
+        index
+      );
+      y += ROW_HEIGHT;
+    });
+    doc.x = PDF_CONFIG.MARGIN;
+    doc.y = y + 10;
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { StatementPDFGenerator };
+
+const defaultGenerator = new StatementPDFGenerator();
+export default defaultGenerator;
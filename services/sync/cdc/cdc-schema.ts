@@ -105,3 +105,66 @@ export function lwwUpdateClause(
     `AND (${qt}.${ua} IS NULL OR EXCLUDED.${ua} ${op} ${qt}.${ua})`
   );
 }
+
+/**
+ * What a guarded write expects to find on the receiving side: `'absent'` (insert only — no row
+ * with this PK yet) or the `updated_at` the row was read with (write only if nobody touched it
+ * since). The conflict-aware path decides what to write from a read of both sides, so the write
+ * must not land on a row that changed in between — a 0 row count sends the change back to the
+ * engine for a retry with fresh reads.
+ */
+export type RowExpectation = 'absent' | { updatedAt: string | null };
+
+/**
+ * Write `row` (restricted to `cols`) to `table`: a blind upsert with no `expect`, otherwise the
+ * guarded insert / update described by `RowExpectation`. `updated_at` values are compared as the
+ * `to_jsonb` text both sides produce, cast back to `timestamp`.
+ */
+export function guardedWriteSql(
+  table: string,
+  pkCol: string,
+  row: Record<string, unknown>,
+  cols: string[],
+  expect?: RowExpectation
+): { text: string; values: unknown[] } {
+  const qt = qIdent(table);
+  if (expect === undefined || expect === 'absent') {
+    const setList = cols
+      .filter((c) => c !== pkCol)
+      .map((c) => `${qIdent(c)} = EXCLUDED.${qIdent(c)}`)
+      .join(', ');
+    const conflict =
+      expect === 'absent' || !setList
+        ? `ON CONFLICT (${qIdent(pkCol)}) DO NOTHING`
+        : `ON CONFLICT (${qIdent(pkCol)}) DO UPDATE SET ${setList}`;
+    return {
+      text:
+        `INSERT INTO ${qt} (${cols.map(qIdent).join(', ')}) ` +
+        `VALUES (${cols.map((_, i) => `$${i + 1}`).join(', ')}) ${conflict}`,
+      values: cols.map((c) => row[c]),
+    };
+  }
+  const setCols = cols.filter((c) => c !== pkCol);
+  const n = setCols.length;
+  return {
+    text:
+      `UPDATE ${qt} SET ${setCols.map((c, i) => `${qIdent(c)} = $${i + 1}`).join(', ')} ` +
+      `WHERE ${qIdent(pkCol)} = $${n + 1} AND ${qIdent('updated_at')} IS NOT DISTINCT FROM $${n + 2}::timestamp`,
+    values: [...setCols.map((c) => row[c]), row[pkCol], expect.updatedAt],
+  };
+}
+
+/** DELETE one row; with `expect`, only while its `updated_at` is still the one it was read with. */
+export function guardedDeleteSql(
+  table: string,
+  pkCol: string,
+  pk: string,
+  expect?: { updatedAt: string | null }
+): { text: string; values: unknown[] } {
+  const where = `${qIdent(pkCol)} = $1`;
+  if (!expect) return { text: `DELETE FROM ${qIdent(table)} WHERE ${where}`, values: [pk] };
+  return {
+    text: `DELETE FROM ${qIdent(table)} WHERE ${where} AND ${qIdent('updated_at')} IS NOT DISTINCT FROM $2::timestamp`,
+    values: [pk, expect.updatedAt],
+  };
+}
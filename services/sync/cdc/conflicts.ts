@@ -0,0 +1,458 @@
+/**
+ * Unified CDC — conflict detection for two-way sync (migrations/pg/1783700000000_sync-conflicts.sql).
+ *
+ * With reverse sync on, a reverse-set row (`updated_at` tables) can be edited on local and on the
+ * Supabase mirror between two syncs. Whole-row LWW would keep one side's edit and silently drop the
+ * other's, so for these tables BOTH sinks route through `reconcileUpsert` / `reconcileDelete`, which
+ * three-way compare the change against `cdc_sync_base` — the last row image known to be identical on
+ * both sides:
+ *   - only the incoming side changed       → fast-forward the other side (version-guarded write);
+ *   - both changed, disjoint columns       → field-level merge, written LOCALLY as a new version
+ *                                            (untagged: re-stamped and captured, so the forward sink
+ *                                            pushes the merged row to the mirror on its next drain);
+ *   - both changed a column differently    → a `cdc_conflicts` row; nothing is applied;
+ *   - delete vs. edit                      → a conflict too. Synced deletes leave the base row behind
+ *                                            as a TOMBSTONE (`deleted_at`), so an edit arriving for a
+ *                                            deleted row is recognised instead of re-inserting it.
+ * While a row has an open conflict, further changes to it only refresh the conflict's snapshot. An
+ * admin resolves it by picking the winning side (`resolveConflict`), which is copied to the other.
+ *
+ * Rows without a base (synced before the migration) fall back to the old whole-row LWW — local wins
+ * ties — and get a base as soon as both sides hold the same image. Every write is guarded on the
+ * receiving row's `updated_at` as read; losing that race throws, so the engine leaves the change in
+ * `change_log` and retries it with fresh reads.
+ *
+ * The comparisons themselves are pure and live in three-way.ts.
+ *
+ * The forward sink only takes this path while REVERSE_SYNC_ENABLED is on — without edits flowing
+ * back there is nothing to conflict with, and plain LWW stays the cheaper write.
+ */
+import type { Pool } from 'pg';
+import { getKysely, getPgPool } from '../../database/kysely.js';
+import { recomputePatientType } from '../../database/queries/patient-type-classifier.js';
+import { log } from '../../../utils/logger.js';
+import {
+  qIdent,
+  loadPks,
+  loadGeneratedCols,
+  guardedWriteSql,
+  guardedDeleteSql,
+  type RowExpectation,
+} from './cdc-schema.js';
+import { getForwardWritePool, getReverseReadPool } from './supabase-pool.js';
+import {
+  changedColumns,
+  decideDelete,
+  decideMissingRow,
+  incomingWinsLww,
+  threeWay,
+  type SyncRow,
+} from './three-way.js';
+import type {
+  SyncConflict,
+  SyncConflictKind,
+  SyncConflictStatus,
+  SyncConflictWinner,
+} from '../../../shared/contracts/sync-conflict.contract.js';
+
+type Side = 'local' | 'remote';
+
+const TOMBSTONE_TTL_DAYS = 30;
+const PRUNE_EVERY_MS = 24 * 60 * 60 * 1000;
+const RESOLVED_LIST_LIMIT = 50;
+
+/** Whether the FORWARD sink takes the conflict-aware path (the reverse sink always does). */
+export function conflictTrackingEnabled(): boolean {
+  return process.env.REVERSE_SYNC_ENABLED === 'true';
+}
+
+// ── Row stores: one side of the sync, read and written the way the sinks do ─────────────────────
+
+/** One side of the sync. Writes are sync writes: origin-tagged so the other side's triggers skip them. */
+export interface RowStore {
+  readonly side: Side;
+  read(table: string, pkCol: string, pk: string): Promise<SyncRow | null>;
+  /** Resolves to whether a row was written (false = the expectation no longer held). */
+  write(table: string, pkCol: string, row: SyncRow, cols: string[], expect?: RowExpectation): Promise<boolean>;
+  remove(table: string, pkCol: string, pk: string, expect?: { updatedAt: string | null }): Promise<boolean>;
+}
+
+export interface LocalRowStore extends RowStore {
+  /**
+   * The one UNtagged local write: a merged row is a new local version, so set_updated_at stamps it
+   * and cdc_capture queues it for the forward sink. Guarded on the local `updated_at` as read.
+   */
+  writeMerged(table: string, pkCol: string, row: SyncRow, cols: string[], updatedAt: string | null): Promise<boolean>;
+}
+
+async function readRow(pool: Pool, table: string, pkCol: string, pk: string): Promise<SyncRow | null> {
+  // to_jsonb → wall-clock timestamps as text, identical on both sides given DDL parity.
+  const { rows } = await pool.query<{ r: SyncRow }>(
+    `SELECT to_jsonb(t.*) AS r FROM ${qIdent(table)} t WHERE ${qIdent(pkCol)} = $1`,
+    [pk]
+  );
+  return rows[0]?.r ?? null;
+}
+
+/** Local write in a txn tagged `app.cdc_origin='reverse'` (see ReverseSink.applyLocal). */
+async function writeLocalTagged(pool: Pool, q: { text: string; values: unknown[] }): Promise<boolean> {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query("SET LOCAL app.cdc_origin = 'reverse'");
+    const res = await client.query(q.text, q.values);
+    await client.query('COMMIT');
+    return (res.rowCount ?? 0) > 0;
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/** Mirror write on the forward-write pool, tagged `app.cdc_origin='failover'` (see FailoverSink.writeTagged). */
+async function writeRemoteTagged(q: { text: string; values: unknown[] }): Promise<boolean> {
+  const client = await getForwardWritePool().connect();
+  try {
+    await client.query("SET app.cdc_origin = 'failover'");
+    const res = await client.query(q.text, q.values);
+    return (res.rowCount ?? 0) > 0;
+  } finally {
+    client.release();
+  }
+}
+
+/** The local side, written through `pool` — the reverse sink passes its dedicated write pool. */
+export function localStore(pool: () => Pool): LocalRowStore {
+  return {
+    side: 'local',
+    read: (table, pkCol, pk) => readRow(getPgPool(), table, pkCol, pk),
+    write: (table, pkCol, row, cols, expect) =>
+      writeLocalTagged(pool(), guardedWriteSql(table, pkCol, row, cols, expect)),
+    remove: (table, pkCol, pk, expect) => writeLocalTagged(pool(), guardedDeleteSql(table, pkCol, pk, expect)),
+    async writeMerged(table, pkCol, row, cols, updatedAt) {
+      const q = guardedWriteSql(table, pkCol, row, cols, { updatedAt });
+      const res = await pool().query(q.text, q.values);
+      return (res.rowCount ?? 0) > 0;
+    },
+  };
+}
+
+/** The Supabase mirror: read on the plain reverse-read pool, written on the tagged forward-write pool. */
+export const remoteStore: RowStore = {
+  side: 'remote',
+  read: (table, pkCol, pk) => readRow(getReverseReadPool(), table, pkCol, pk),
+  write: (table, pkCol, row, cols, expect) => writeRemoteTagged(guardedWriteSql(table, pkCol, row, cols, expect)),
+  remove: (table, pkCol, pk, expect) => writeRemoteTagged(guardedDeleteSql(table, pkCol, pk, expect)),
+};
+
+// ── Base images + tombstones ─────────────────────────────────────────────────────────────────────
+
+interface SyncBase {
+  row: SyncRow;
+  deleted: boolean;
+}
+
+async function loadBase(table: string, pk: string): Promise<SyncBase | null> {
+  const { rows } = await getPgPool().query<{ base_row: SyncRow; deleted: boolean }>(
+    `SELECT base_row, deleted_at IS NOT NULL AS deleted FROM cdc_sync_base WHERE tbl = $1 AND pk = $2`,
+    [table, pk]
+  );
+  return rows[0] ? { row: rows[0].base_row, deleted: rows[0].deleted } : null;
+}
+
+async function saveBase(table: string, pk: string, row: SyncRow): Promise<void> {
+  await getPgPool().query(
+    `INSERT INTO cdc_sync_base (tbl, pk, base_row) VALUES ($1, $2, $3)
+     ON CONFLICT (tbl, pk) DO UPDATE
+       SET base_row = EXCLUDED.base_row, synced_at = LOCALTIMESTAMP, deleted_at = NULL`,
+    [table, pk, row]
+  );
+}
+
+/** Mark the row deleted on both sides, keeping its last image; `row` seeds a base-less row. */
+async function tombstone(table: string, pk: string, row: SyncRow | null): Promise<void> {
+  if (row) {
+    await getPgPool().query(
+      `INSERT INTO cdc_sync_base (tbl, pk, base_row, deleted_at) VALUES ($1, $2, $3, LOCALTIMESTAMP)
+       ON CONFLICT (tbl, pk) DO UPDATE SET deleted_at = LOCALTIMESTAMP, synced_at = LOCALTIMESTAMP`,
+      [table, pk, row]
+    );
+    return;
+  }
+  await getPgPool().query(
+    `UPDATE cdc_sync_base SET deleted_at = LOCALTIMESTAMP, synced_at = LOCALTIMESTAMP WHERE tbl = $1 AND pk = $2`,
+    [table, pk]
+  );
+}
+
+let lastPruneAt = 0;
+
+/** Drop tombstones older than TOMBSTONE_TTL_DAYS; runs at most once a day, from the sync path. */
+async function maybePruneTombstones(): Promise<void> {
+  if (Date.now() - lastPruneAt < PRUNE_EVERY_MS) return;
+  lastPruneAt = Date.now();
+  try {
+    const res = await getPgPool().query(
+      `DELETE FROM cdc_sync_base WHERE deleted_at < LOCALTIMESTAMP - make_interval(days => $1)`,
+      [TOMBSTONE_TTL_DAYS]
+    );
+    if (res.rowCount) log.info(`[cdc] pruned ${res.rowCount} sync tombstone(s)`);
+  } catch (e) {
+    log.warn('[cdc] tombstone prune failed', { error: (e as Error).message });
+  }
+}
+
+// ── Reconcile (called by the sinks) ──────────────────────────────────────────────────────────────
+
+export interface RowRef {
+  table: string;
+  pkCol: string;
+  pk: string;
+  /** Stored generated columns — never written, never compared. */
+  generated: Set<string>;
+}
+
+export type ReconcileOutcome = 'applied' | 'merged' | 'deleted' | 'skipped' | 'conflict';
+
+export interface ReconcileResult {
+  outcome: ReconcileOutcome;
+  /** The source side's row as read (null for a delete). */
+  row: SyncRow | null;
+}
+
+function sidesFor(direction: 'forward' | 'reverse', local: LocalRowStore): { source: RowStore; target: RowStore } {
+  return direction === 'forward' ? { source: local, target: remoteStore } : { source: remoteStore, target: local };
+}
+
+function raceError(ref: RowRef, side: Side): Error {
+  return new Error(`[cdc] ${ref.table}#${ref.pk} changed on the ${side} side mid-apply — will retry`);
+}
+
+/** Refresh an open conflict's snapshot of `side`; false when the row has no open conflict. */
+async function refreshOpenConflict(ref: RowRef, side: Side, row: SyncRow | null): Promise<boolean> {
+  const col = side === 'local' ? 'local_row' : 'remote_row';
+  const res = await getPgPool().query(
+    `UPDATE cdc_conflicts SET ${col} = $3 WHERE tbl = $1 AND pk = $2 AND resolved_at IS NULL`,
+    [ref.table, ref.pk, row]
+  );
+  return (res.rowCount ?? 0) > 0;
+}
+
+async function recordConflict(
+  ref: RowRef,
+  kind: SyncConflictKind,
+  columns: string[],
+  base: SyncRow | null,
+  localRow: SyncRow | null,
+  remoteRow: SyncRow | null
+): Promise<void> {
+  await getPgPool().query(
+    `INSERT INTO cdc_conflicts (tbl, pk, kind, columns, base_row, local_row, remote_row)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (tbl, pk) WHERE resolved_at IS NULL DO NOTHING`,
+    [ref.table, ref.pk, kind, columns, base, localRow, remoteRow]
+  );
+  log.warn(`[cdc] sync conflict on ${ref.table}#${ref.pk} (${kind}) — queued for review`, { columns });
+}
+
+/** Apply an insert/update of `ref` made on the source side of `direction`. */
+export async function reconcileUpsert(
+  ref: RowRef,
+  direction: 'forward' | 'reverse',
+  local: LocalRowStore
+): Promise<ReconcileResult> {
+  await maybePruneTombstones();
+  const { source, target } = sidesFor(direction, local);
+  const incoming = await source.read(ref.table, ref.pkCol, ref.pk);
+  // Vanished on the source between capture and drain → propagate as a delete.
+  if (!incoming) return reconcileDelete(ref, direction, local);
+  if (await refreshOpenConflict(ref, source.side, incoming)) return { outcome: 'conflict', row: incoming };
+
+  const [current, base] = await Promise.all([target.read(ref.table, ref.pkCol, ref.pk), loadBase(ref.table, ref.pk)]);
+  const cols = Object.keys(incoming).filter((c) => !ref.generated.has(c));
+
+  if (!current) {
+    const decision = decideMissingRow(base?.row ?? null, incoming, ref.generated);
+    if (decision === 'insert') {
+      if (!(await target.write(ref.table, ref.pkCol, incoming, cols, 'absent'))) throw raceError(ref, target.side);
+      await saveBase(ref.table, ref.pk, incoming);
+      return { outcome: 'applied', row: incoming };
+    }
+    // Deleted on the target since the last sync; the delete is on its way across.
+    if (decision === 'stale') return { outcome: 'skipped', row: incoming };
+    await recordConflict(
+      ref,
+      target.side === 'local' ? 'delete_local' : 'delete_remote',
+      [],
+      base?.row ?? null,
+      direction === 'forward' ? incoming : null,
+      direction === 'reverse' ? incoming : null
+    );
+    return { outcome: 'conflict', row: incoming };
+  }
+
+  const expect = { updatedAt: (current.updated_at as string | null) ?? null };
+  if (!base) {
+    if (changedColumns(current, incoming, ref.generated).length === 0) {
+      await saveBase(ref.table, ref.pk, incoming);
+      return { outcome: 'skipped', row: incoming };
+    }
+    if (!incomingWinsLww(incoming.updated_at, current.updated_at, source.side === 'local')) {
+      return { outcome: 'skipped', row: incoming };
+    }
+    if (!(await target.write(ref.table, ref.pkCol, incoming, cols, expect))) throw raceError(ref, target.side);
+    await saveBase(ref.table, ref.pk, incoming);
+    return { outcome: 'applied', row: incoming };
+  }
+
+  const result = threeWay(base.row, current, incoming, ref.generated);
+  switch (result.kind) {
+    case 'in_sync':
+      await saveBase(ref.table, ref.pk, incoming);
+      return { outcome: 'skipped', row: incoming };
+    case 'behind':
+      return { outcome: 'skipped', row: incoming };
+    case 'fast_forward':
+      if (!(await target.write(ref.table, ref.pkCol, incoming, cols, expect))) throw raceError(ref, target.side);
+      await saveBase(ref.table, ref.pk, incoming);
+      return { outcome: 'applied', row: incoming };
+    case 'merge': {
+      const [localRow, remoteRow] = direction === 'forward' ? [incoming, current] : [current, incoming];
+      const written = await local.writeMerged(
+        ref.table,
+        ref.pkCol,
+        result.row,
+        cols,
+        (localRow.updated_at as string | null) ?? null
+      );
+      if (!written) throw raceError(ref, 'local');
+      // The mirror still holds `remoteRow`; the merged local version forwards on top of it.
+      await saveBase(ref.table, ref.pk, remoteRow);
+      log.info(`[cdc] merged concurrent edits on ${ref.table}#${ref.pk}`, {
+        local: changedColumns(base.row, localRow, ref.generated),
+        remote: changedColumns(base.row, remoteRow, ref.generated),
+      });
+      return { outcome: 'merged', row: incoming };
+    }
+    case 'conflict': {
+      const [localRow, remoteRow] = direction === 'forward' ? [incoming, current] : [current, incoming];
+      await recordConflict(ref, 'edit', result.columns, base.row, localRow, remoteRow);
+      return { outcome: 'conflict', row: incoming };
+    }
+  }
+}
+
+/** Apply a delete of `ref` made on the source side of `direction`. */
+export async function reconcileDelete(
+  ref: RowRef,
+  direction: 'forward' | 'reverse',
+  local: LocalRowStore
+): Promise<ReconcileResult> {
+  await maybePruneTombstones();
+  const { source, target } = sidesFor(direction, local);
+  if (await refreshOpenConflict(ref, source.side, null)) return { outcome: 'conflict', row: null };
+
+  const [current, base] = await Promise.all([target.read(ref.table, ref.pkCol, ref.pk), loadBase(ref.table, ref.pk)]);
+  if (!current) {
+    await tombstone(ref.table, ref.pk, null);
+    return { outcome: 'skipped', row: null };
+  }
+  const decision = decideDelete(base?.row ?? null, current, ref.generated);
+  if (decision === 'unguarded') {
+    await target.remove(ref.table, ref.pkCol, ref.pk);
+    await tombstone(ref.table, ref.pk, current);
+    return { outcome: 'deleted', row: null };
+  }
+  if (decision === 'conflict') {
+    // Kept on the target; the delete-vs-edit is queued for review.
+    await recordConflict(
+      ref,
+      source.side === 'local' ? 'delete_local' : 'delete_remote',
+      [],
+      base?.row ?? null,
+      direction === 'reverse' ? current : null,
+      direction === 'forward' ? current : null
+    );
+    return { outcome: 'conflict', row: null };
+  }
+  const expect = { updatedAt: (current.updated_at as string | null) ?? null };
+  if (!(await target.remove(ref.table, ref.pkCol, ref.pk, expect))) throw raceError(ref, target.side);
+  await tombstone(ref.table, ref.pk, null);
+  return { outcome: 'deleted', row: null };
+}
+
+// ── Review queue (routes/api/sync-conflict.routes.ts) ────────────────────────────────────────────
+
+const CONFLICT_COLUMNS = `id::int AS id, tbl, pk, kind, columns, base_row, local_row, remote_row,
+  detected_at::text AS detected_at, resolved_at::text AS resolved_at, resolved_by, resolution`;
+
+/** Open conflicts oldest first, or the most recently resolved ones. */
+export async function listConflicts(status: SyncConflictStatus): Promise<SyncConflict[]> {
+  const { rows } = await getPgPool().query<SyncConflict>(
+    status === 'open'
+      ? `SELECT ${CONFLICT_COLUMNS} FROM cdc_conflicts WHERE resolved_at IS NULL ORDER BY detected_at, id`
+      : `SELECT ${CONFLICT_COLUMNS} FROM cdc_conflicts WHERE resolved_at IS NOT NULL
+          ORDER BY resolved_at DESC, id DESC LIMIT ${RESOLVED_LIST_LIMIT}`
+  );
+  return rows;
+}
+
+/**
+ * Resolve a conflict by copying the winning side's CURRENT row (or its absence) over the other side,
+ * then record the result as the new base. Writes are origin-tagged like any sync write.
+ */
+export async function resolveConflict(id: number, winner: SyncConflictWinner, actor: string): Promise<SyncConflict> {
+  const pool = getPgPool();
+  const found = await pool.query<{ tbl: string; pk: string; resolved: boolean }>(
+    `SELECT tbl, pk, resolved_at IS NOT NULL AS resolved FROM cdc_conflicts WHERE id = $1`,
+    [id]
+  );
+  const conflict = found.rows[0];
+  if (!conflict) throw new Error(`[NOT_FOUND] Sync conflict ${id} not found`);
+  if (conflict.resolved) throw new Error(`[CONFLICT] Sync conflict ${id} is already resolved`);
+
+  const pkCol = (await loadPks(pool)).get(conflict.tbl);
+  if (!pkCol) {
+    throw new Error(`[INVALID_STATE_TRANSITION] ${conflict.tbl} is no longer a captured single-PK table`);
+  }
+  const generated = (await loadGeneratedCols(pool)).get(conflict.tbl) ?? new Set<string>();
+  const local = localStore(() => pool);
+  const [from, to] = winner === 'local' ? [local, remoteStore] : [remoteStore, local];
+
+  // A works row changing locally bypasses the query-layer patient-type hooks (as in ReverseSink).
+  let worksPersonId: unknown = null;
+  const row = await from.read(conflict.tbl, pkCol, conflict.pk);
+  if (to.side === 'local' && conflict.tbl === 'works') {
+    worksPersonId = row?.person_id ?? (await local.read(conflict.tbl, pkCol, conflict.pk))?.person_id ?? null;
+  }
+  if (row) {
+    const cols = Object.keys(row).filter((c) => !generated.has(c));
+    await to.write(conflict.tbl, pkCol, row, cols);
+    await saveBase(conflict.tbl, conflict.pk, row);
+  } else {
+    await to.remove(conflict.tbl, pkCol, conflict.pk);
+    await tombstone(conflict.tbl, conflict.pk, null);
+  }
+
+  const { rows } = await pool.query<SyncConflict>(
+    `UPDATE cdc_conflicts SET resolved_at = LOCALTIMESTAMP, resolved_by = $2, resolution = $3
+      WHERE id = $1 AND resolved_at IS NULL
+      RETURNING ${CONFLICT_COLUMNS}`,
+    [id, actor, winner]
+  );
+  if (!rows[0]) throw new Error(`[CONFLICT] Sync conflict ${id} is already resolved`);
+  log.info(`[cdc] sync conflict ${id} on ${conflict.tbl}#${conflict.pk} resolved: ${winner} wins`, { actor });
+
+  const personId = Number(worksPersonId);
+  if (Number.isFinite(personId) && personId > 0) {
+    await recomputePatientType(getKysely(), personId).catch((e: unknown) =>
+      log.error('[cdc] patient-type recompute after conflict resolution failed', {
+        personId,
+        error: e instanceof Error ? e.message : String(e),
+      })
+    );
+  }
+  return rows[0];
+}
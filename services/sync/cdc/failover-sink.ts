@@ -14,6 +14,8 @@
  *    echo; the mirrored `updated_at` is preserved verbatim instead of re-stamped).
  *  - For tables carrying `updated_at` (the whole-row-LWW set), the upsert rides the last-write-wins
  *    `ON CONFLICT … WHERE` guard with `>=` (local wins ties); all other tables keep the blind upsert.
+ *    While reverse sync is ON those tables go through conflicts.ts instead (three-way compare against
+ *    the last synced image: fast-forward, field-level merge, or a queued conflict).
  *  - close() is a NO-OP: the pool is shared and centrally torn down (teardownSupabasePools()).
  */
 import type { Pool } from 'pg';
@@ -27,6 +29,13 @@ import {
   lwwUpdateClause,
 } from './cdc-schema.js';
 import { getForwardWritePool } from './supabase-pool.js';
+import {
+  conflictTrackingEnabled,
+  localStore,
+  reconcileUpsert,
+  reconcileDelete,
+  type LocalRowStore,
+} from './conflicts.js';
 import type { SyncSink } from './types.js';
 
 export class FailoverSink implements SyncSink {
@@ -43,6 +52,8 @@ export class FailoverSink implements SyncSink {
   // seen-set drives the refresh-once-per-new-table behaviour.
   private updatedAtCache: Set<string> | null = null;
   private updatedAtSeen: Set<string> | null = null;
+  // Local side for the conflict-aware path; its only local write is a field-level merge.
+  private readonly local: LocalRowStore = localStore(() => getPgPool());
 
   async init(): Promise<void> {
     // Shared forward-write pool (origin='failover' tagged). Lazily created on first use.
@@ -127,6 +138,11 @@ export class FailoverSink implements SyncSink {
       log.warn(`[cdc:failover] no single-PK trigger for "${table}" — skipping`);
       return;
     }
+    if (conflictTrackingEnabled() && (await this.isUpdatedAtTable(table))) {
+      const generated = await this.generatedColsFor(table);
+      await reconcileUpsert({ table, pkCol, pk, generated }, 'forward', this.local);
+      return;
+    }
     const local = getPgPool();
     // to_jsonb so wall-clock timestamps transfer as text without UTC drift.
     const found = await local.query<{ r: Record<string, unknown> }>(
@@ -168,6 +184,11 @@ export class FailoverSink implements SyncSink {
   async remove(table: string, pk: string): Promise<void> {
     const pkCol = await this.pkFor(table);
     if (!pkCol) return;
+    if (conflictTrackingEnabled() && (await this.isUpdatedAtTable(table))) {
+      const generated = await this.generatedColsFor(table);
+      await reconcileDelete({ table, pkCol, pk, generated }, 'forward', this.local);
+      return;
+    }
     await this.writeTagged(`DELETE FROM ${qIdent(table)} WHERE ${qIdent(pkCol)} = $1`, [pk]);
   }
 }
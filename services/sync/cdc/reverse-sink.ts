@@ -14,9 +14,12 @@
  * (no forward echo) AND set_updated_at() (the incoming Supabase `updated_at` is preserved verbatim
  * instead of re-stamped, so whole-row LWW stays correct).
  *
- * Conflict resolution: reverse-set tables all carry `updated_at`, so the upsert rides the
- * last-write-wins `ON CONFLICT … WHERE` guard with `>` — Supabase overwrites local only when
- * STRICTLY newer (ties go to local, matching the forward sink's `>=`). Deletes are unconditional.
+ * Conflict handling: reverse-set tables all carry `updated_at` and go through conflicts.ts — a
+ * three-way compare against the last synced image (`cdc_sync_base`). An edit made only on Supabase
+ * fast-forwards local; edits to disjoint columns on both sides merge field by field; the same
+ * column edited on both sides, or a delete racing an edit, is queued in `cdc_conflicts` for an admin
+ * to pick a winner. Rows with no base yet keep whole-row LWW — Supabase overwrites local only when
+ * STRICTLY newer (ties go to local, matching the forward sink's `>=`).
  *
  * Metadata (PK / generated cols / updated_at set) is resolved from the LOCAL catalog given DDL
  * parity — identical on both DBs.
@@ -27,14 +30,9 @@ import { getPgPool, getKysely } from '../../database/kysely.js';
 import { recomputePatientType } from '../../database/queries/patient-type-classifier.js';
 import config from '../../../config/config.js';
 import { log } from '../../../utils/logger.js';
-import {
-  qIdent,
-  loadPks,
-  loadGeneratedCols,
-  loadUpdatedAtTables,
-  lwwUpdateClause,
-} from './cdc-schema.js';
+import { qIdent, loadPks, loadGeneratedCols, loadUpdatedAtTables } from './cdc-schema.js';
 import { getReverseReadPool } from './supabase-pool.js';
+import { localStore, reconcileUpsert, reconcileDelete, type LocalRowStore } from './conflicts.js';
 import type { SyncSink } from './types.js';
 
 const { Pool: PgPool } = pg;
@@ -48,6 +46,8 @@ export class ReverseSink implements SyncSink {
   private genColsSeen: Set<string> | null = null;
   private updatedAtCache: Set<string> | null = null;
   private updatedAtSeen: Set<string> | null = null;
+  /** Local side for conflicts.ts — written through the dedicated write pool. */
+  private readonly local: LocalRowStore = localStore(() => this.writePool!);
 
   async init(): Promise<void> {
     const c = config.databasePg;
@@ -144,6 +144,20 @@ export class ReverseSink implements SyncSink {
       log.warn(`[cdc:reverse] no single-PK trigger for "${table}" — skipping`);
       return;
     }
+    if (await this.isUpdatedAtTable(table)) {
+      const generated = await this.generatedColsFor(table);
+      const { outcome, row } = await reconcileUpsert({ table, pkCol, pk, generated }, 'reverse', this.local);
+      // A portal works change (new case / edit) arrived via reverse CDC, bypassing the
+      // query-layer classifier hooks. Reclassify the owning patient — person_id is already
+      // in the fetched Supabase row. (A vanished row came back as a delete — see remove().)
+      if (table === 'works' && row && (outcome === 'applied' || outcome === 'merged')) {
+        await this.recomputeWorksPatientType(row['person_id']);
+      }
+      return;
+    }
+
+    // Defensive: a reverse change for a non-updated_at table shouldn't occur (cdc_capture_remote
+    // is attached only to updated_at tables), but if it does, fall back to a blind upsert.
     // Read the CURRENT Supabase row (to_jsonb → wall-clock timestamps as text, no UTC drift).
     const found = await getReverseReadPool().query<{ r: Record<string, unknown> }>(
       `SELECT to_jsonb(t.*) AS r FROM ${qIdent(table)} t WHERE ${qIdent(pkCol)} = $1`,
@@ -159,33 +173,17 @@ export class ReverseSink implements SyncSink {
     const cols = Object.keys(row).filter((c) => !generated.has(c));
     const colList = cols.map(qIdent).join(', ');
     const placeholders = cols.map((_, i) => `$${i + 1}`).join(', ');
-
-    let conflict: string;
-    if (await this.isUpdatedAtTable(table)) {
-      // Whole-row LWW: Supabase overwrites local only when STRICTLY newer (ties → local).
-      conflict = lwwUpdateClause(table, pkCol, cols, '>');
-    } else {
-      // Defensive: a reverse change for a non-updated_at table shouldn't occur (cdc_capture_remote
-      // is attached only to updated_at tables), but if it does, fall back to a blind upsert.
-      const setList = cols
-        .filter((c) => c !== pkCol)
-        .map((c) => `${qIdent(c)} = EXCLUDED.${qIdent(c)}`)
-        .join(', ');
-      conflict = setList
-        ? `ON CONFLICT (${qIdent(pkCol)}) DO UPDATE SET ${setList}`
-        : `ON CONFLICT (${qIdent(pkCol)}) DO NOTHING`;
-    }
+    const setList = cols
+      .filter((c) => c !== pkCol)
+      .map((c) => `${qIdent(c)} = EXCLUDED.${qIdent(c)}`)
+      .join(', ');
+    const conflict = setList
+      ? `ON CONFLICT (${qIdent(pkCol)}) DO UPDATE SET ${setList}`
+      : `ON CONFLICT (${qIdent(pkCol)}) DO NOTHING`;
     await this.applyLocal(
       `INSERT INTO ${qIdent(table)} (${colList}) VALUES (${placeholders}) ${conflict}`,
       cols.map((c) => row[c])
     );
-
-    // A portal works change (new case / edit) arrived via reverse CDC, bypassing the
-    // query-layer classifier hooks. Reclassify the owning patient — person_id is already
-    // in the fetched Supabase row.
-    if (table === 'works') {
-      await this.recomputeWorksPatientType(row['person_id']);
-    }
   }
 
   async remove(table: string, pk: string): Promise<void> {
@@ -202,8 +200,16 @@ export class ReverseSink implements SyncSink {
         .executeTakeFirst();
       worksPersonId = owner?.person_id ?? null;
     }
-    await this.applyLocal(`DELETE FROM ${qIdent(table)} WHERE ${qIdent(pkCol)} = $1`, [pk]);
-    if (table === 'works' && worksPersonId != null) {
+    let deleted = true;
+    if (await this.isUpdatedAtTable(table)) {
+      // A delete of a row edited locally since the last sync is queued as a conflict, not applied.
+      const generated = await this.generatedColsFor(table);
+      const { outcome } = await reconcileDelete({ table, pkCol, pk, generated }, 'reverse', this.local);
+      deleted = outcome === 'deleted';
+    } else {
+      await this.applyLocal(`DELETE FROM ${qIdent(table)} WHERE ${qIdent(pkCol)} = $1`, [pk]);
+    }
+    if (table === 'works' && deleted && worksPersonId != null) {
       await this.recomputeWorksPatientType(worksPersonId);
     }
   }
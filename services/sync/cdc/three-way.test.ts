@@ -0,0 +1,134 @@
+/**
+ * Tests for the two-way sync decisions: the three-way compare against the last
+ * synced base, the base-less LWW fallback and the tombstone rules that turn a
+ * change for a deleted row into a conflict instead of a resurrection.
+ *
+ * @vitest-environment node
+ */
+import { describe, expect, it } from 'vitest';
+import {
+  changedColumns,
+  decideDelete,
+  decideMissingRow,
+  incomingWinsLww,
+  threeWay,
+  type SyncRow,
+} from './three-way.js';
+
+const NONE = new Set<string>();
+
+const base: SyncRow = {
+  id: 1,
+  name: 'Ali',
+  phone: '0750',
+  notes: null,
+  tags: { vip: false },
+  updated_at: '2026-10-01T09:00:00',
+};
+
+describe('changedColumns', () => {
+  it('ignores updated_at and the ignored (generated) columns', () => {
+    const to = { ...base, updated_at: '2026-10-02T09:00:00', phone: '0770' };
+    expect(changedColumns(base, to, NONE)).toEqual(['phone']);
+    expect(changedColumns(base, to, new Set(['phone']))).toEqual([]);
+  });
+
+  it('treats a missing column as null and compares objects by value', () => {
+    const { notes: _notes, ...withoutNotes } = base;
+    expect(changedColumns(base, withoutNotes, NONE)).toEqual([]);
+    expect(changedColumns(base, { ...base, tags: { vip: false } }, NONE)).toEqual([]);
+    expect(changedColumns(base, { ...base, tags: { vip: true } }, NONE)).toEqual(['tags']);
+  });
+});
+
+describe('threeWay', () => {
+  it('is in sync when both sides already hold the same values', () => {
+    const edited = { ...base, name: 'Ali Hasan' };
+    expect(threeWay(base, edited, { ...edited, updated_at: 'later' }, NONE)).toEqual({
+      kind: 'in_sync',
+    });
+  });
+
+  it('fast-forwards when only the incoming side changed', () => {
+    expect(threeWay(base, base, { ...base, phone: '0770' }, NONE)).toEqual({
+      kind: 'fast_forward',
+    });
+  });
+
+  it('is behind when only the receiving side changed', () => {
+    expect(threeWay(base, { ...base, phone: '0770' }, base, NONE)).toEqual({ kind: 'behind' });
+  });
+
+  it('merges edits to disjoint columns onto the receiving row', () => {
+    const current = { ...base, phone: '0770', updated_at: 'current' };
+    const incoming = { ...base, notes: 'allergic', updated_at: 'incoming' };
+    expect(threeWay(base, current, incoming, NONE)).toEqual({
+      kind: 'merge',
+      row: { ...base, phone: '0770', notes: 'allergic', updated_at: 'current' },
+    });
+  });
+
+  it('merges when both sides made the same edit to a shared column', () => {
+    const current = { ...base, phone: '0770' };
+    const incoming = { ...base, phone: '0770', notes: 'allergic' };
+    expect(threeWay(base, current, incoming, NONE)).toEqual({
+      kind: 'merge',
+      row: { ...base, phone: '0770', notes: 'allergic' },
+    });
+  });
+
+  it('conflicts on the columns both sides changed to different values', () => {
+    const current = { ...base, phone: '0770', name: 'Ali H.' };
+    const incoming = { ...base, phone: '0780', notes: 'allergic' };
+    expect(threeWay(base, current, incoming, NONE)).toEqual({
+      kind: 'conflict',
+      columns: ['phone'],
+    });
+  });
+
+  it('never conflicts on an ignored column', () => {
+    const current = { ...base, name: 'Ali H.', search: 'ali h.' };
+    const incoming = { ...base, phone: '0780', search: 'ali' };
+    expect(threeWay(base, current, incoming, new Set(['search'])).kind).toBe('merge');
+  });
+});
+
+describe('incomingWinsLww', () => {
+  it('takes the strictly newer row, and ties only when the incoming side wins ties', () => {
+    expect(incomingWinsLww('2026-10-02T09:00:00', '2026-10-01T09:00:00', false)).toBe(true);
+    expect(incomingWinsLww('2026-10-01T09:00:00', '2026-10-02T09:00:00', true)).toBe(false);
+    expect(incomingWinsLww('2026-10-01T09:00:00', '2026-10-01T09:00:00', true)).toBe(true);
+    expect(incomingWinsLww('2026-10-01T09:00:00', '2026-10-01T09:00:00', false)).toBe(false);
+  });
+
+  it('never lets an unstamped row win, and always beats an unstamped one', () => {
+    expect(incomingWinsLww(null, '2026-10-01T09:00:00', true)).toBe(false);
+    expect(incomingWinsLww('2026-10-01T09:00:00', null, false)).toBe(true);
+  });
+});
+
+describe('tombstones', () => {
+  it('inserts a row that was never synced', () => {
+    expect(decideMissingRow(null, base, NONE)).toBe('insert');
+  });
+
+  it('skips the unchanged pre-delete image of a row deleted on the target', () => {
+    expect(decideMissingRow(base, { ...base, updated_at: 'later' }, NONE)).toBe('stale');
+  });
+
+  it('turns an edit of a row deleted on the target into a conflict, not a resurrection', () => {
+    expect(decideMissingRow(base, { ...base, phone: '0770' }, NONE)).toBe('conflict');
+  });
+
+  it('deletes a row unchanged since the last sync', () => {
+    expect(decideDelete(base, { ...base, updated_at: 'later' }, NONE)).toBe('delete');
+  });
+
+  it('keeps a row edited on the target and reports the delete as a conflict', () => {
+    expect(decideDelete(base, { ...base, notes: 'allergic' }, NONE)).toBe('conflict');
+  });
+
+  it('deletes unconditionally when there is no base to judge by', () => {
+    expect(decideDelete(null, base, NONE)).toBe('unguarded');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unified CDC — the pure decisions behind conflict detection (conflicts.ts).
+ *
+ * Everything here compares row images already read from the two sides and `cdc_sync_base`; the
+ * reads, guarded writes and conflict rows stay in conflicts.ts. Kept free of the pools so the
+ * merge and tombstone rules can be unit-tested on plain objects.
+ */
+
+export type SyncRow = Record<string, unknown>;
+
+// ── Three-way compare ────────────────────────────────────────────────────────────────────────────
+
+// jsonb renders objects with a canonical key order, so JSON text equality is value equality.
+function sameValue(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Columns whose value differs between two images of a row. `updated_at` is never compared (each
+ * side stamps its own), nor are stored generated columns (`ignore`) — they follow the others.
+ */
+export function changedColumns(from: SyncRow, to: SyncRow, ignore: Set<string>): string[] {
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+  return [...keys].filter(
+    (k) => k !== 'updated_at' && !ignore.has(k) && !sameValue(from[k], to[k])
+  );
+}
+
+export type ThreeWayResult =
+  | { kind: 'in_sync' } // both sides already hold the same values
+  | { kind: 'fast_forward' } // only the incoming side changed since the base
+  | { kind: 'behind' } // only the receiving side changed — its own sink carries it across
+  | { kind: 'merge'; row: SyncRow } // both changed, disjoint columns: receiving row + incoming changes
+  | { kind: 'conflict'; columns: string[] }; // both changed these columns to different values
+
+/** Compare a change arriving from one side (`incoming`) with the other side's `current` row. */
+export function threeWay(
+  base: SyncRow,
+  current: SyncRow,
+  incoming: SyncRow,
+  ignore: Set<string>
+): ThreeWayResult {
+  if (changedColumns(current, incoming, ignore).length === 0) return { kind: 'in_sync' };
+  const theirs = changedColumns(base, incoming, ignore);
+  const ours = changedColumns(base, current, ignore);
+  if (ours.length === 0) return { kind: 'fast_forward' };
+  if (theirs.length === 0) return { kind: 'behind' };
+  const columns = theirs.filter((c) => ours.includes(c) && !sameValue(current[c], incoming[c]));
+  if (columns.length > 0) return { kind: 'conflict', columns };
+  const row: SyncRow = { ...current };
+  for (const c of theirs) row[c] = incoming[c];
+  return { kind: 'merge', row };
+}
+
+/**
+ * Whole-row LWW for a row with no base yet, matching lwwUpdateClause: the incoming row wins when
+ * strictly newer, or on a tie when it comes from local. to_jsonb timestamps are ISO text with a
+ * fixed-width date-time prefix, so they order correctly as strings.
+ */
+export function incomingWinsLww(incoming: unknown, current: unknown, winsTies: boolean): boolean {
+  if (incoming == null) return false;
+  if (current == null) return true;
+  const a = String(incoming);
+  const b = String(current);
+  return winsTies ? a >= b : a > b;
+}
+
+// ── Tombstones ───────────────────────────────────────────────────────────────────────────────────
+
+export type MissingRowDecision =
+  | 'insert' // never synced: a new row
+  | 'stale' // deleted on the target; the incoming image is the unchanged pre-delete state
+  | 'conflict'; // deleted on the target but edited on the source: delete vs. edit
+
+/**
+ * An upsert for a row the target side does not hold. `base` is the last synced image — after a
+ * synced delete it is the tombstone — so a change for a deleted row is never a resurrection.
+ */
+export function decideMissingRow(
+  base: SyncRow | null,
+  incoming: SyncRow,
+  ignore: Set<string>
+): MissingRowDecision {
+  if (!base) return 'insert';
+  return changedColumns(base, incoming, ignore).length === 0 ? 'stale' : 'conflict';
+}
+
+export type DeleteDecision =
+  | 'unguarded' // no base to judge by: delete unconditionally, as before conflict tracking
+  | 'conflict' // edited on the target since the last sync: delete vs. edit
+  | 'delete'; // unchanged since the last sync: a guarded delete
+
+/** A delete arriving for a row the target side still holds as `current`. */
+export function decideDelete(
+  base: SyncRow | null,
+  current: SyncRow,
+  ignore: Set<string>
+): DeleteDecision {
+  if (!base) return 'unguarded';
+  return changedColumns(base, current, ignore).length > 0 ? 'conflict' : 'delete';
+}
@@ -5,7 +5,8 @@
 
 import { sql } from 'kysely';
 import { getKysely } from '../database/kysely.js';
-import { getPatientNoWorkReceiptData } from '../database/queries/patient-queries.js';
+import { getPatientById, getPatientNoWorkReceiptData } from '../database/queries/patient-queries.js';
+import { getStandSaleById } from '../database/queries/stand-queries.js';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { log } from '../../utils/logger.js';
@@ -20,6 +21,8 @@ import { log } from '../../utils/logger.js';
 interface ReceiptRow {
   person_id: number;
   patient_name: string;
+  first_name: string | null;
+  language: number | null;
   phone: string;
   TotalPaid: number;
   app_date: Date;
@@ -39,6 +42,9 @@ interface ReceiptRow {
 export interface ReceiptPatientData {
   person_id: number;
   patient_name: string;
+  first_name: string | null;
+  /** patients.language — picks the WhatsApp receipt's template language. */
+  language: number | null;
   phone: string;
   app_date: Date;
 }
@@ -92,6 +98,104 @@ export interface NoWorkReceiptData {
   };
 }
 
+/**
+ * Refund (credit note) receipt data. Amounts are shown positive; the stored
+ * refund row is negative.
+ */
+export interface RefundReceiptData {
+  patient: {
+    person_id: number;
+    patient_name: string;
+    phone: string;
+  };
+  work: {
+    work_id: number;
+    total_required: number;
+    currency: string;
+    NetRequired: number;
+  };
+  refund: {
+    RefundID: number;
+    RefundDate: string;
+    AmountRefunded: number;
+    IQDReturned: number;
+    USDReturned: number;
+    Reason: string;
+    RefundedBy: string;
+    OriginalInvoiceID: number;
+    OriginalDate: string;
+    OriginalAmount: number;
+  };
+  payment: {
+    TotalPaid: number;
+    RemainingBalance: number;
+  };
+  receipt: {
+    PrintedDate: Date;
+  };
+}
+
+/**
+ * A refund row joined to its original payment, work and patient.
+ */
+interface RefundReceiptRow {
+  invoice_id: number;
+  amount_paid: number;
+  date_of_payment: string;
+  iqd_received: number;
+  usd_received: number;
+  refund_reason: string | null;
+  refunded_by: string | null;
+  original_invoice_id: number;
+  original_date: string;
+  original_amount: number;
+  work_id: number;
+  total_required: number | null;
+  currency: string | null;
+  discount: number | null;
+  person_id: number;
+  patient_name: string;
+  phone: string | null;
+  TotalPaid: number;
+}
+
+/**
+ * Stand (mini-pharmacy) sale receipt data. `items` is rendered with
+ * {{#each items}}; `patient` is null for a walk-in sale.
+ */
+export interface StandReceiptData {
+  patient: {
+    person_id: number;
+    patient_name: string;
+    first_name: string | null;
+    language: number | null;
+    phone: string;
+  } | null;
+  sale: {
+    SaleID: number;
+    SaleDate: Date;
+    PaymentMethod: string;
+    TotalAmount: number;
+    AmountPaid: number;
+    Change: number;
+    ReturnedAmount: number;
+    NetAmount: number;
+    CustomerNote: string;
+    Cashier: string;
+    Voided: boolean;
+  };
+  items: Array<{
+    ItemName: string;
+    Quantity: number;
+    QuantityReturned: number;
+    UnitPrice: number;
+    LineTotal: number;
+  }>;
+  receipt: {
+    PrintedDate: Date;
+  };
+}
+
 /**
  * Primitive template values
  */
@@ -117,13 +221,16 @@ interface TemplateData {
  */
 export async function getReceiptData(workId: number): Promise<ReceiptData> {
   // V_Report inlined (sub-views VTotPaid / VLastApp / V_TodayPayment) for a single work:
-  //  - TotalPaid:           SUM(tblInvoice.amount_paid) for the work
+  //  - TotalPaid:           SUM(tblInvoice.amount_paid) for the work (net of refunds)
   //  - app_date:             patient's latest FUTURE appointment (per-person MAX(app_date) > now)
-  //  - date_of_payment/amount_paid: the work's latest payment IFF it landed today (else NULL)
+  //  - date_of_payment/amount_paid: the work's latest payment IFF it landed today (else NULL);
+  //    refund rows are skipped — they print their own credit note (generateRefundReceiptHTML)
   const { rows: results } = await sql<ReceiptRow>`
         SELECT
             w."person_id",
             p."patient_name",
+            p."first_name",
+            p."language",
             p."phone",
             tp."TotalPaid",
             la."app_date",
@@ -149,9 +256,10 @@ export async function getReceiptData(workId: number): Promise<ReceiptData> {
             FROM "invoices" i
             JOIN (
                 SELECT "work_id", MAX("date_of_payment") AS "LastPayment"
-                FROM "invoices" GROUP BY "work_id"
+                FROM "invoices" WHERE "refund_of_invoice_id" IS NULL GROUP BY "work_id"
             ) m ON m."work_id" = i."work_id" AND m."LastPayment" = i."date_of_payment"
             WHERE m."LastPayment"::date = CURRENT_DATE
+              AND i."refund_of_invoice_id" IS NULL
         ) today ON today."work_id" = w."work_id"
         WHERE w."work_id" = ${workId}
     `.execute(getKysely());
@@ -175,6 +283,8 @@ export async function getReceiptData(workId: number): Promise<ReceiptData> {
     patient: {
       person_id: data.person_id,
       patient_name: data.patient_name,
+      first_name: data.first_name,
+      language: data.language,
       phone: data.phone,
       app_date: data.app_date,
     },
@@ -258,6 +368,18 @@ async function getDiscountTemplatePath(): Promise<string> {
 function renderTemplate(templateHTML: string, data: TemplateData): string {
   let rendered = templateHTML;
 
+  // Handle {{#each path}}...{{/each}} blocks first: the body is rendered once per
+  // element of the array at `path`, with the element exposed as `item`
+  // (e.g. {{item.ItemName}}) alongside the top-level data.
+  rendered = rendered.replace(
+    /\{\{#each\s+([^}]+)\}\}([\s\S]*?)\{\{\/each\}\}/g,
+    (_, rawPath: string, body: string) => {
+      const list = resolveDataPath(rawPath.trim(), data);
+      if (!Array.isArray(list)) return '';
+      return list.map((item) => renderTemplate(body, { ...data, item: item as TemplateData })).join('');
+    }
+  );
+
   // Handle {{#if path}}...{{/if}} blocks before placeholder substitution.
   // The block renders only when resolveDataPath(path, data) is truthy (non-zero, non-empty).
   rendered = rendered.replace(
@@ -526,8 +648,219 @@ export async function generateNoWorkReceiptHTML(patientId: number): Promise<stri
   return html;
 }
 
+/**
+ * Well-known name of the refund (credit note) receipt template. Selected by name
+ * like the no-work receipt, with the same on-disk fallback.
+ */
+const REFUND_TEMPLATE_NAME = 'Refund Receipt (Credit Note)';
+
+/**
+ * Get the refund receipt template path from database
+ * @returns Template file path
+ */
+async function getRefundTemplatePath(): Promise<string> {
+  const { rows: results } = await sql<{ template_file_path: string | null }>`
+        SELECT "template_file_path"
+        FROM "document_templates"
+        WHERE "template_name" = ${REFUND_TEMPLATE_NAME}
+        AND "is_active" = true
+    `.execute(getKysely());
+
+  if (results.length === 0 || !results[0]?.template_file_path) {
+    log.warn('[RECEIPT-SERVICE] Refund template not in database, using default path');
+    return 'data/templates/shwan-orthodontics-refund-receipt.html';
+  }
+
+  return results[0].template_file_path;
+}
+
+/**
+ * Get receipt data for a refund row
+ * @param refundInvoiceId - invoice_id of the refund (not the original payment)
+ * @returns Refund receipt data
+ */
+export async function getRefundReceiptData(refundInvoiceId: number): Promise<RefundReceiptData> {
+  const { rows } = await sql<RefundReceiptRow>`
+        SELECT
+            r."invoice_id",
+            r."amount_paid",
+            r."date_of_payment",
+            r."iqd_received",
+            r."usd_received",
+            r."refund_reason",
+            r."refunded_by",
+            o."invoice_id"      AS "original_invoice_id",
+            o."date_of_payment" AS "original_date",
+            o."amount_paid"     AS "original_amount",
+            w."work_id",
+            w."total_required",
+            w."currency",
+            w."discount",
+            p."person_id",
+            p."patient_name",
+            p."phone",
+            (SELECT COALESCE(SUM(t."amount_paid"), 0) FROM "invoices" t
+             WHERE t."work_id" = w."work_id") AS "TotalPaid"
+        FROM "invoices" r
+        JOIN "invoices" o ON o."invoice_id" = r."refund_of_invoice_id"
+        JOIN "works" w ON w."work_id" = r."work_id"
+        JOIN "patients" p ON p."person_id" = w."person_id"
+        WHERE r."invoice_id" = ${refundInvoiceId}
+    `.execute(getKysely());
+
+  const data = rows[0];
+  if (!data) {
+    throw new Error(`Refund not found: ${refundInvoiceId}`);
+  }
+
+  const totalPaid = Number(data.TotalPaid) || 0;
+  const netRequired = (data.total_required || 0) - (data.discount || 0);
+
+  return {
+    patient: {
+      person_id: data.person_id,
+      patient_name: data.patient_name,
+      phone: data.phone || 'N/A',
+    },
+    work: {
+      work_id: data.work_id,
+      total_required: data.total_required || 0,
+      currency: data.currency || '',
+      NetRequired: netRequired,
+    },
+    refund: {
+      RefundID: data.invoice_id,
+      RefundDate: data.date_of_payment,
+      AmountRefunded: -data.amount_paid,
+      IQDReturned: -data.iqd_received,
+      USDReturned: -data.usd_received,
+      Reason: data.refund_reason || '',
+      RefundedBy: data.refunded_by || '',
+      OriginalInvoiceID: data.original_invoice_id,
+      OriginalDate: data.original_date,
+      OriginalAmount: data.original_amount,
+    },
+    payment: {
+      TotalPaid: totalPaid,
+      RemainingBalance: netRequired - totalPaid,
+    },
+    receipt: {
+      PrintedDate: new Date(),
+    },
+  };
+}
+
+/**
+ * Generate the refund (credit note) receipt HTML
+ * @param refundInvoiceId - invoice_id of the refund row
+ * @returns Receipt HTML
+ */
+export async function generateRefundReceiptHTML(refundInvoiceId: number): Promise<string> {
+  const data = await getRefundReceiptData(refundInvoiceId);
+
+  const templatePath = await getRefundTemplatePath();
+  const fullPath = path.join(process.cwd(), templatePath);
+  const templateHTML = await fs.readFile(fullPath, 'utf-8');
+
+  return renderTemplate(templateHTML, data as unknown as TemplateData);
+}
+
+/**
+ * Well-known name of the stand sale receipt template. Selected by name like the
+ * refund receipt, with the same on-disk fallback.
+ */
+const STAND_TEMPLATE_NAME = 'Stand Sale Receipt';
+
+/**
+ * Get the stand sale receipt template path from database
+ * @returns Template file path
+ */
+async function getStandTemplatePath(): Promise<string> {
+  const { rows: results } = await sql<{ template_file_path: string | null }>`
+        SELECT "template_file_path"
+        FROM "document_templates"
+        WHERE "template_name" = ${STAND_TEMPLATE_NAME}
+        AND "is_active" = true
+    `.execute(getKysely());
+
+  if (results.length === 0 || !results[0]?.template_file_path) {
+    log.warn('[RECEIPT-SERVICE] Stand template not in database, using default path');
+    return 'data/templates/stand-sale-receipt.html';
+  }
+
+  return results[0].template_file_path;
+}
+
+/**
+ * Get receipt data for a stand sale
+ * @param saleId - stand_sales.sale_id
+ * @returns Stand receipt data
+ */
+export async function getStandReceiptData(saleId: number): Promise<StandReceiptData> {
+  const sale = await getStandSaleById(saleId);
+  if (!sale) {
+    throw new Error(`Stand sale not found: ${saleId}`);
+  }
+
+  const patient = sale.person_id ? await getPatientById(sale.person_id) : null;
+
+  return {
+    patient: patient
+      ? {
+          person_id: patient.person_id,
+          patient_name: patient.patient_name ?? '',
+          first_name: patient.first_name,
+          language: patient.language,
+          phone: patient.phone || 'N/A',
+        }
+      : null,
+    sale: {
+      SaleID: sale.sale_id,
+      SaleDate: sale.sale_date,
+      PaymentMethod: sale.payment_method,
+      TotalAmount: sale.total_amount,
+      AmountPaid: sale.amount_paid,
+      Change: sale.change,
+      ReturnedAmount: sale.returned_amount,
+      NetAmount: sale.total_amount - sale.returned_amount,
+      CustomerNote: sale.customer_note || '',
+      Cashier: sale.CashierName || '',
+      Voided: sale.voided_date !== null,
+    },
+    items: sale.Items.map((i) => ({
+      ItemName: i.item_name,
+      Quantity: i.quantity,
+      QuantityReturned: i.quantity_returned,
+      UnitPrice: i.unit_price,
+      LineTotal: i.line_total,
+    })),
+    receipt: {
+      PrintedDate: new Date(),
+    },
+  };
+}
+
+/**
+ * Generate the stand sale receipt HTML
+ * @param saleId - stand_sales.sale_id
+ * @returns Receipt HTML
+ */
+export async function generateStandReceiptHTML(saleId: number): Promise<string> {
+  const data = await getStandReceiptData(saleId);
+
+  const templatePath = await getStandTemplatePath();
+  const fullPath = path.join(process.cwd(), templatePath);
+  const templateHTML = await fs.readFile(fullPath, 'utf-8');
+
+  return renderTemplate(templateHTML, data as unknown as TemplateData);
+}
+
 export default {
   getReceiptData,
+  getRefundReceiptData,
+  getStandReceiptData,
   generateReceiptHTML,
   generateNoWorkReceiptHTML,
+  generateRefundReceiptHTML,
+  generateStandReceiptHTML,
 };
@@ -0,0 +1,211 @@
+/**
+ * Waitlist-service — the cancellation wait-list and its slot backfill.
+ *
+ * When an appointment is deleted (singly, or a series' "this and following"
+ * cancel) or moved to another time, the route hands the freed slot to `backfillFreedSlot`. If the slot is
+ * still ahead and back under MaxAppointmentsPerSlot (the same capacity rule
+ * /api/calendar/available-slots colours by), the oldest matching `waiting` entry
+ * is moved to `offered`, the patient gets a WhatsApp offer (waitlist-notify.ts)
+ * and the front desk gets a push task in the header bell to confirm and book it.
+ * A declined offer passes the slot on to the next candidate.
+ *
+ * Error-message-prefix convention (lab-case-service.ts; bridged in
+ * routes/api/waitlist.routes.ts):
+ *   '[INVALID_INPUT] …'            → 400
+ *   '[INVALID_STATE_TRANSITION] …' → 400 with details.code (stale client view)
+ *   '[CONFLICT] …'                 → 409
+ *   '[NOT_FOUND] …'                → 404
+ */
+import { log } from '../../utils/logger.js';
+import {
+  AppointmentValidationError,
+  validateAndCreateAppointment,
+  verifyDoctor,
+} from '../business/AppointmentService.js';
+import {
+  getMaxAppointmentsPerSlot,
+  countAppointmentsInSlot,
+} from '../database/queries/calendar-queries.js';
+import { createAlert } from '../database/queries/alert-queries.js';
+import {
+  getWaitlistEntry,
+  createWaitlistEntry,
+  transitionWaitlistEntry,
+  claimWaitlistCandidate,
+  type WaitlistRow,
+} from '../database/queries/waitlist-queries.js';
+import { notifyWaitlistOffer } from '../messaging/waitlist-notify.js';
+import type { CreateWaitlistEntryBody } from '../../shared/contracts/waitlist.contract.js';
+
+// Narrow session-only interface — mirrors lab-case-service.ts's WithSession.
+type WithSession = { session?: { username?: string } | null };
+
+const actingUser = (req: WithSession): string => req.session?.username ?? 'unknown';
+
+/** Fallback appointment detail when the entry didn't specify one. */
+const DEFAULT_WAITLIST_DETAIL = 'Wait-list';
+
+const pad2 = (n: number): string => String(n).padStart(2, '0');
+
+function nowLocalDateTime(): string {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}T${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+}
+
+export async function addToWaitlist(body: CreateWaitlistEntryBody, req: WithSession): Promise<WaitlistRow> {
+  if (body.dr_id != null) {
+    try {
+      await verifyDoctor(body.dr_id);
+    } catch (error) {
+      if (error instanceof AppointmentValidationError) throw new Error(`[INVALID_INPUT] ${error.message}`, { cause: error });
+      throw error;
+    }
+  }
+
+  const id = await createWaitlistEntry({
+    person_id: body.person_id,
+    dr_id: body.dr_id ?? null,
+    app_detail: body.app_detail?.trim() || null,
+    earliest_date: body.earliest_date,
+    latest_date: body.latest_date,
+    note: body.note?.trim() || null,
+    created_by: actingUser(req),
+  });
+
+  log.info(`Wait-list entry ${id} added for patient ${body.person_id} (${body.earliest_date} → ${body.latest_date})`);
+  const row = await getWaitlistEntry(id);
+  if (!row) throw new Error('[NOT_FOUND] Wait-list entry');
+  return row;
+}
+
+export async function cancelWaitlistEntry(id: number): Promise<WaitlistRow> {
+  const ok = await transitionWaitlistEntry(id, ['waiting', 'offered'], 'cancelled');
+  if (!ok) await throwForState(id, 'cancelled');
+  return requireEntry(id);
+}
+
+/**
+ * The patient turned the offer down: the entry goes back to waiting and the
+ * slot (if still ahead) is offered to the next candidate.
+ */
+export async function declineWaitlistOffer(id: number): Promise<WaitlistRow> {
+  const entry = await requireEntry(id);
+  if (entry.status !== 'offered' || !entry.offered_slot) {
+    throw new Error(`[INVALID_STATE_TRANSITION] Wait-list entry is ${entry.status}, not offered`);
+  }
+
+  const ok = await transitionWaitlistEntry(id, ['offered'], 'waiting');
+  if (!ok) await throwForState(id, 'waiting');
+
+  await backfillFreedSlot(entry.offered_slot, entry.offered_dr_id, id);
+  return requireEntry(id);
+}
+
+/**
+ * Book the offered slot as a real appointment (through the ordinary
+ * validateAndCreateAppointment rules) and close the entry as booked.
+ */
+export async function bookWaitlistOffer(
+  id: number
+): Promise<{ entry: WaitlistRow; appointment_id: number; app_date: string }> {
+  const entry = await requireEntry(id);
+  if (entry.status !== 'offered' || !entry.offered_slot) {
+    throw new Error(`[INVALID_STATE_TRANSITION] Wait-list entry is ${entry.status}, not offered`);
+  }
+  if (entry.offer_expired) {
+    throw new Error('[CONFLICT] The offered slot has already passed');
+  }
+
+  const drId = entry.offered_dr_id ?? entry.dr_id;
+  if (drId == null) {
+    throw new Error('[CONFLICT] The offered slot has no doctor — book it from the calendar instead');
+  }
+  const [max, taken] = await Promise.all([
+    getMaxAppointmentsPerSlot(),
+    countAppointmentsInSlot(entry.offered_slot),
+  ]);
+  if (taken >= max) {
+    throw new Error('[CONFLICT] The offered slot has been filled since it was offered');
+  }
+
+  let appointmentId: number | undefined;
+  try {
+    const created = await validateAndCreateAppointment({
+      person_id: entry.person_id,
+      app_date: entry.offered_slot,
+      app_detail: entry.app_detail || DEFAULT_WAITLIST_DETAIL,
+      dr_id: drId,
+    });
+    appointmentId = created.appointment_id;
+  } catch (error) {
+    if (error instanceof AppointmentValidationError) throw new Error(`[CONFLICT] ${error.message}`, { cause: error });
+    throw error;
+  }
+  if (appointmentId == null) throw new Error('Appointment was not created');
+
+  const ok = await transitionWaitlistEntry(id, ['offered'], 'booked', appointmentId);
+  if (!ok) {
+    log.warn(`Wait-list entry ${id} changed state while its offer was being booked`, { appointmentId });
+  }
+
+  return { entry: await requireEntry(id), appointment_id: appointmentId, app_date: entry.offered_slot };
+}
+
+/**
+ * Offer a just-freed slot to the wait-list. Called after an appointment delete
+ * or a move to another time; it NEVER throws (a backfill failure must not fail
+ * the write that freed the slot) and returns the offered entry id, or null when nothing was offered.
+ *
+ * @param slotDateTime - The freed slot, wall-clock 'YYYY-MM-DDTHH:MM:SS'
+ * @param drId - The doctor the freed appointment was with (entries preferring
+ *   another doctor are skipped)
+ * @param excludeId - An entry not to offer it to (the one that just declined)
+ */
+export async function backfillFreedSlot(
+  slotDateTime: string,
+  drId: number | null,
+  excludeId: number | null = null
+): Promise<number | null> {
+  try {
+    if (slotDateTime <= nowLocalDateTime()) return null;
+
+    const [max, taken] = await Promise.all([
+      getMaxAppointmentsPerSlot(),
+      countAppointmentsInSlot(slotDateTime),
+    ]);
+    if (taken >= max) return null;
+
+    const offer = await claimWaitlistCandidate(slotDateTime, drId, excludeId);
+    if (!offer) return null;
+
+    const [date, time] = [slotDateTime.slice(0, 10), slotDateTime.slice(11, 16)];
+    log.info(`Wait-list: slot ${date} ${time} offered to entry ${offer.id} (patient ${offer.person_id})`);
+
+    await createAlert({
+      person_id: offer.person_id,
+      alert_type_id: null,
+      alert_severity: 2,
+      alert_details: `Wait-list: a slot freed on ${date} at ${time} was offered to ${offer.patient_name ?? 'the patient'}. Confirm with them, then book or decline it from the wait-list.`,
+      surface_mode: 'push',
+      expires_at: date,
+    });
+
+    void notifyWaitlistOffer(offer, slotDateTime);
+    return offer.id;
+  } catch (error) {
+    log.error('Wait-list backfill failed', { slotDateTime, drId, error: (error as Error).message });
+    return null;
+  }
+}
+
+async function requireEntry(id: number): Promise<WaitlistRow> {
+  const row = await getWaitlistEntry(id);
+  if (!row) throw new Error('[NOT_FOUND] Wait-list entry');
+  return row;
+}
+
+/** A guarded transition matched no row: report missing vs. wrong-state. */
+async function throwForState(id: number, target: string): Promise<never> {
+  const row = await requireEntry(id);
+  throw new Error(`[INVALID_STATE_TRANSITION] Wait-list entry is ${row.status}; cannot move to ${target}`);
+}
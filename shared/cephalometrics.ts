@@ -0,0 +1,252 @@
+/**
+ * Cephalometric analysis — the pure rules shared by the server
+ * (services/business/CephalometricService.ts, the diagnosis report) and the
+ * Diagnosis form. Imported by BOTH the Express server (relative `.js`) and the
+ * React app (`@shared` alias), like tooth-findings.ts.
+ *
+ * Measurements are stored as free text in the diagnosis's c_* columns ('82',
+ * '-1.5mm', '104°'); parseCephValue reads the number. Blank values that follow
+ * from others are derived (ANB = SNA − SNB, the face heights, %LAFH, the
+ * interincisal angle), then each value is classified against the most specific
+ * norm for the patient's sex and age: within mean ± 1 SD is normal.
+ */
+import {
+  CEPH_MEASURE_KEYS,
+  type CephMeasureKey,
+  type CephMeasurement,
+  type CephNorm,
+  type CephStatus,
+  type NormSex,
+} from './contracts/cephalometric.contract.js';
+
+export type CephField = `c_${CephMeasureKey}`;
+export type CephGroup = 'skeletal' | 'vertical' | 'dental' | 'soft_tissue';
+
+export interface CephMeasureDef {
+  key: CephMeasureKey;
+  label: string;
+  unit: '°' | 'mm' | '%';
+  group: CephGroup;
+  /** What a value below / above the norm suggests. */
+  low: string;
+  high: string;
+}
+
+export const CEPH_GROUP_LABELS: Record<CephGroup, string> = {
+  skeletal: 'Skeletal Relationships',
+  vertical: 'Vertical Relationships',
+  dental: 'Dental Relationships',
+  soft_tissue: 'Soft Tissue Analysis',
+};
+
+export const CEPH_MEASURES: CephMeasureDef[] = [
+  { key: 'sna', label: 'SNA', unit: '°', group: 'skeletal', low: 'Retrusive maxilla', high: 'Protrusive maxilla' },
+  { key: 'snb', label: 'SNB', unit: '°', group: 'skeletal', low: 'Retrusive mandible', high: 'Protrusive mandible' },
+  { key: 'anb', label: 'ANB', unit: '°', group: 'skeletal', low: 'Class III skeletal pattern', high: 'Class II skeletal pattern' },
+  { key: 'sn_mx', label: 'SN-Mx', unit: '°', group: 'skeletal', low: 'Maxilla tilted up anteriorly', high: 'Maxilla tilted down anteriorly' },
+  { key: 'wits', label: 'Wits', unit: 'mm', group: 'skeletal', low: 'Class III jaw relationship', high: 'Class II jaw relationship' },
+  { key: 'fma', label: 'FMA', unit: '°', group: 'vertical', low: 'Low angle (hypodivergent)', high: 'High angle (hyperdivergent)' },
+  { key: 'mma', label: 'MMA', unit: '°', group: 'vertical', low: 'Low angle (hypodivergent)', high: 'High angle (hyperdivergent)' },
+  { key: 'tafh', label: 'TAFH', unit: 'mm', group: 'vertical', low: 'Short anterior face height', high: 'Long anterior face height' },
+  { key: 'uafh', label: 'UAFH', unit: 'mm', group: 'vertical', low: 'Short upper face height', high: 'Long upper face height' },
+  { key: 'lafh', label: 'LAFH', unit: 'mm', group: 'vertical', low: 'Reduced lower face height', high: 'Increased lower face height' },
+  { key: 'percent_lafh', label: 'LAFH', unit: '%', group: 'vertical', low: 'Reduced lower face proportion', high: 'Increased lower face proportion' },
+  { key: 'uimx', label: 'UI-Mx', unit: '°', group: 'dental', low: 'Retroclined upper incisors', high: 'Proclined upper incisors' },
+  { key: 'li_md', label: 'LI-Md', unit: '°', group: 'dental', low: 'Retroclined lower incisors', high: 'Proclined lower incisors' },
+  { key: 'ui_li', label: 'UI-LI', unit: '°', group: 'dental', low: 'Acute interincisal angle (bimaxillary proclination)', high: 'Obtuse interincisal angle (upright incisors)' },
+  { key: 'li_a_po', label: 'LI-APo', unit: 'mm', group: 'dental', low: 'Lower incisors behind A-Po', high: 'Lower incisors ahead of A-Po' },
+  { key: 'ulip_e', label: 'ULip-E', unit: 'mm', group: 'soft_tissue', low: 'Retrusive upper lip', high: 'Protrusive upper lip' },
+  { key: 'llip_e', label: 'LLip-E', unit: 'mm', group: 'soft_tissue', low: 'Retrusive lower lip', high: 'Protrusive lower lip' },
+  { key: 'naso_lip', label: 'Nasolabial', unit: '°', group: 'soft_tissue', low: 'Acute nasolabial angle', high: 'Obtuse nasolabial angle' },
+];
+
+const MEASURE_BY_KEY = new Map(CEPH_MEASURES.map((m) => [m.key, m]));
+
+export function cephMeasure(key: CephMeasureKey): CephMeasureDef {
+  return MEASURE_BY_KEY.get(key)!;
+}
+
+export function cephField(key: CephMeasureKey): CephField {
+  return `c_${key}`;
+}
+
+/** 'SNA (°)', 'LAFH (%)'. */
+export function cephLabel(key: CephMeasureKey): string {
+  const m = cephMeasure(key);
+  return `${m.label} (${m.unit})`;
+}
+
+/** Rounded to 1 decimal, without a trailing '.0'. */
+export function formatCephNumber(n: number): string {
+  return String(Math.round(n * 10) / 10);
+}
+
+/** '82°', '-1 mm', '55%'. */
+export function formatCephValue(key: CephMeasureKey, n: number): string {
+  const unit = cephMeasure(key).unit;
+  return `${formatCephNumber(n)}${unit === 'mm' ? ' mm' : unit}`;
+}
+
+/**
+ * The number at the start of a c_* text value: '82', '82.5°', '-1,5 mm',
+ * '−2' (typographic minus). Blank or not a number → null.
+ */
+export function parseCephValue(text: string | null | undefined): number | null {
+  if (!text) return null;
+  const match = /^\s*([+\-−]?)\s*(\d+(?:[.,]\d+)?)/.exec(text);
+  if (!match) return null;
+  const n = Number(match[2].replace(',', '.'));
+  return match[1] === '-' || match[1] === '−' ? -n : n;
+}
+
+interface Derivation {
+  key: CephMeasureKey;
+  from: CephMeasureKey[];
+  compute: (v: number[]) => number | null;
+  /** How far an entered value may stray from the computed one (rounding of the inputs). */
+  tolerance: number;
+}
+
+// In dependency order: a face height derived from the other two feeds %LAFH.
+// The interincisal angle closes the quadrilateral of the maxillary plane, the
+// mandibular plane and the two incisor axes (the angles sum to 360°).
+const DERIVATIONS: Derivation[] = [
+  { key: 'anb', from: ['sna', 'snb'], compute: ([sna, snb]) => sna - snb, tolerance: 0.5 },
+  { key: 'tafh', from: ['uafh', 'lafh'], compute: ([u, l]) => u + l, tolerance: 1 },
+  { key: 'uafh', from: ['tafh', 'lafh'], compute: ([t, l]) => t - l, tolerance: 1 },
+  { key: 'lafh', from: ['tafh', 'uafh'], compute: ([t, u]) => t - u, tolerance: 1 },
+  {
+    key: 'percent_lafh',
+    from: ['lafh', 'tafh'],
+    compute: ([l, t]) => (t > 0 ? (l / t) * 100 : null),
+    tolerance: 1,
+  },
+  {
+    key: 'ui_li',
+    from: ['uimx', 'li_md', 'mma'],
+    compute: ([ui, li, mma]) => 360 - ui - li - mma,
+    tolerance: 3,
+  },
+];
+
+export type CephValues = Partial<Record<CephField, string | null>>;
+
+interface DerivedValue {
+  value: number | null;
+  derived: boolean;
+  expected: number | null;
+}
+
+const round1 = (n: number): number => Math.round(n * 10) / 10;
+
+/**
+ * Every measurement's value: entered, or derived from the others when blank.
+ * An entered value the others contradict (beyond rounding) keeps the entry and
+ * carries the computed one as `expected`; that check only uses entered inputs.
+ */
+export function deriveCeph(row: CephValues): Record<CephMeasureKey, DerivedValue> {
+  const out = {} as Record<CephMeasureKey, DerivedValue>;
+  for (const key of CEPH_MEASURE_KEYS) {
+    out[key] = { value: parseCephValue(row[cephField(key)]), derived: false, expected: null };
+  }
+  for (const d of DERIVATIONS) {
+    const inputs = d.from.map((k) => out[k]);
+    if (inputs.some((i) => i.value === null)) continue;
+    const computed = d.compute(inputs.map((i) => i.value as number));
+    if (computed === null) continue;
+    const target = out[d.key];
+    if (target.value === null) {
+      out[d.key] = { value: round1(computed), derived: true, expected: null };
+    } else if (!inputs.some((i) => i.derived) && Math.abs(target.value - computed) > d.tolerance) {
+      target.expected = round1(computed);
+    }
+  }
+  return out;
+}
+
+/** Whole years between a 'YYYY-MM-DD' birth date and `onDate`; null when either is missing. */
+export function ageAt(dateOfBirth: string | null | undefined, onDate: string | null | undefined): number | null {
+  if (!dateOfBirth || !onDate) return null;
+  const [by, bm, bd] = dateOfBirth.slice(0, 10).split('-').map(Number);
+  const [y, m, d] = onDate.slice(0, 10).split('-').map(Number);
+  if (!by || !y) return null;
+  const age = y - by - (m < bm || (m === bm && d < bd) ? 1 : 0);
+  return age >= 0 ? age : null;
+}
+
+/**
+ * The norm that applies: the measure's rows matching the sex (NULL = any) and the
+ * age band [age_min, age_max), the most specific first — a sex-specific row beats
+ * an any-sex one, a bounded band an open one. With the sex or age unknown only
+ * rows that don't depend on it match.
+ */
+export function selectNorm(
+  norms: CephNorm[],
+  key: CephMeasureKey,
+  sex: NormSex | null,
+  age: number | null
+): CephNorm | null {
+  let best: CephNorm | null = null;
+  let bestScore = -1;
+  for (const n of norms) {
+    if (n.measure !== key) continue;
+    if (n.sex !== null && n.sex !== sex) continue;
+    if (n.age_min !== null && (age === null || age < n.age_min)) continue;
+    if (n.age_max !== null && (age === null || age >= n.age_max)) continue;
+    const score = (n.sex !== null ? 2 : 0) + (n.age_min !== null ? 1 : 0) + (n.age_max !== null ? 1 : 0);
+    if (score > bestScore) {
+      best = n;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/** Low / normal / high against mean ± 1 SD, and the z-score (1 decimal). */
+export function classify(value: number, norm: Pick<CephNorm, 'mean' | 'sd'>): { status: CephStatus; z: number } {
+  const z = (value - norm.mean) / norm.sd;
+  return { status: z < -1 ? 'low' : z > 1 ? 'high' : 'normal', z: round1(z) };
+}
+
+/** Every measurement of a diagnosis row, derived and classified. */
+export function analyzeCeph(
+  row: CephValues,
+  norms: CephNorm[],
+  sex: NormSex | null,
+  age: number | null
+): CephMeasurement[] {
+  const values = deriveCeph(row);
+  return CEPH_MEASURE_KEYS.map((key) => {
+    const { value, derived, expected } = values[key];
+    const norm = selectNorm(norms, key, sex, age);
+    const result = value !== null && norm ? classify(value, norm) : null;
+    return {
+      key,
+      value,
+      derived,
+      expected,
+      norm_id: norm?.norm_id ?? null,
+      mean: norm?.mean ?? null,
+      sd: norm?.sd ?? null,
+      status: result?.status ?? null,
+      z: result?.z ?? null,
+    };
+  });
+}
+
+/** What an out-of-range measurement suggests; null when normal or unclassified. */
+export function interpretation(m: Pick<CephMeasurement, 'key' | 'status'>): string | null {
+  if (m.status === 'low') return cephMeasure(m.key).low;
+  if (m.status === 'high') return cephMeasure(m.key).high;
+  return null;
+}
+
+/** 'Normal: 82° ±2'. */
+export function normHint(key: CephMeasureKey, norm: Pick<CephNorm, 'mean' | 'sd'>): string {
+  return `Normal: ${formatCephValue(key, norm.mean)} ±${formatCephNumber(norm.sd)}`;
+}
+
+/** patients.gender (1 = male, 2 = female) as a norm sex. */
+export function normSex(gender: number | null | undefined): NormSex | null {
+  return gender === 1 ? 'M' : gender === 2 ? 'F' : null;
+}
@@ -0,0 +1,108 @@
+/**
+ * API contract — aligner doctor statement (`/api/aligner-doctors/:drID/statement*`).
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * The statement is derived on read by AlignerStatementService from the doctor's
+ * sets (set_cost = the fee) and the invoices booked against them — nothing is
+ * stored. The PDF and CSV variants are raw (un-enveloped) downloads of the same
+ * data; `send` e-mails the PDF.
+ */
+import { z } from 'zod';
+import { idParams } from '../validation.js';
+
+export const ALIGNER_STATEMENT_ENTRY_KINDS = ['fee', 'payment', 'refund'] as const;
+
+// 'YYYY-MM'
+const monthString = z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'Expected a month (YYYY-MM)');
+
+// AlignerStatementService#AlignerStatementEntry.
+export const alignerStatementEntry = z.looseObject({
+  date: z.string().nullable(),
+  kind: z.enum(ALIGNER_STATEMENT_ENTRY_KINDS),
+  aligner_set_id: z.number(),
+  patient_name: z.string().nullable(),
+  currency: z.string(),
+  description: z.string(),
+  reference: z.number().nullable(),
+  debit: z.number(),
+  credit: z.number(),
+  balance: z.number(),
+});
+export type AlignerStatementEntry = z.infer<typeof alignerStatementEntry>;
+
+// AlignerStatementService#AlignerStatementSet.
+export const alignerStatementSet = z.looseObject({
+  aligner_set_id: z.number(),
+  work_id: z.number(),
+  person_id: z.number(),
+  patient_name: z.string().nullable(),
+  set_sequence: z.number().nullable(),
+  currency: z.string(),
+  set_cost: z.number().nullable(),
+  batch_count: z.number(),
+  batches_delivered: z.number(),
+  paid: z.number(),
+  balance: z.number(),
+});
+export type AlignerStatementSet = z.infer<typeof alignerStatementSet>;
+
+export const alignerStatementTotal = z.object({
+  currency: z.string(),
+  opening_balance: z.number(),
+  fees: z.number(),
+  payments: z.number(),
+  refunds: z.number(),
+  outstanding: z.number(),
+});
+export type AlignerStatementTotal = z.infer<typeof alignerStatementTotal>;
+
+// AlignerStatementService#DoctorAlignerStatement.
+export const doctorAlignerStatement = z.looseObject({
+  dr_id: z.number(),
+  doctor_name: z.string(),
+  doctor_email: z.string().nullable(),
+  month: z.string(),
+  period_start: z.string(),
+  period_end: z.string(),
+  generated_at: z.string(),
+  sets: z.array(alignerStatementSet),
+  entries: z.array(alignerStatementEntry),
+  totals: z.array(alignerStatementTotal),
+});
+export type DoctorAlignerStatement = z.infer<typeof doctorAlignerStatement>;
+
+// `?month=YYYY-MM` — omitted = the current month.
+const statementQuery = z.object({ month: monthString.optional() });
+export type AlignerStatementQuery = z.infer<typeof statementQuery>;
+
+// GET /api/aligner-doctors/:drID/statement — the month's ledger as JSON.
+export const getDoctorStatement = {
+  params: idParams('drID'),
+  query: statementQuery,
+  response: doctorAlignerStatement,
+} as const;
+
+// GET /api/aligner-doctors/:drID/statement/pdf and /statement/csv — raw downloads.
+export const exportDoctorStatement = {
+  params: idParams('drID'),
+  query: statementQuery,
+} as const;
+
+// POST /api/aligner-doctors/:drID/statement/send — e-mail the PDF. `to` overrides
+// the doctor's own address.
+export const sendDoctorStatement = {
+  params: idParams('drID'),
+  body: z.object({
+    month: monthString.optional(),
+    to: z.email().optional(),
+  }),
+  response: z.object({
+    to: z.string(),
+    month: z.string(),
+    messageId: z.string().nullable(),
+  }),
+} as const;
+export type SendDoctorStatementBody = z.infer<typeof sendDoctorStatement.body>;
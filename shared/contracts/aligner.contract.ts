@@ -638,3 +638,95 @@ export const patientsQuery = z.object({
   doctorId: z.string().optional(),
 });
 export type AlignerQueryParams = z.infer<typeof patientsQuery>;
+
+// ===========================================================================
+// SUPPLY FORECAST — when each patient runs out of aligners, and the batches to
+// manufacture before then (services/business/AlignerForecastService.ts). The
+// reminder settings live in the options table and drive the hourly header-bell
+// sweep (services/business/aligner-reminder-sweep.ts).
+// ===========================================================================
+
+// Reminders on/off + the manufacturing lead time: a batch is due into production
+// `leadDays` before the patient runs out of the aligners they already have.
+export const alignerReminderSettings = z.object({
+  enabled: z.boolean(),
+  leadDays: z.number().int().positive().max(60),
+});
+export type AlignerReminderSettings = z.infer<typeof alignerReminderSettings>;
+
+// 'needs_mfg' = the batch exists but isn't manufactured; 'not_created' = the set
+// has no batch row for it yet (aligner_batch_id null, batch_sequence = the next one).
+export const FORECAST_BATCH_STATUSES = ['needs_mfg', 'not_created'] as const;
+
+// A batch that must be manufactured before the patient's supply runs out.
+// Dates are 'YYYY-MM-DD'; `days_left` counts from today to `runs_out_on`
+// (negative = the patient has already run out).
+export const forecastBatchRow = z.object({
+  aligner_set_id: z.number(),
+  work_id: z.number(),
+  person_id: z.number(),
+  patient_name: z.string(),
+  aligner_dr_id: z.number(),
+  doctor_name: z.string(),
+  set_sequence: z.number().nullable(),
+  aligner_batch_id: z.number().nullable(),
+  batch_sequence: z.number(),
+  status: z.enum(FORECAST_BATCH_STATUSES),
+  runs_out_on: z.string(),
+  manufacture_by: z.string(),
+  days_left: z.number(),
+});
+export type ForecastBatchRow = z.infer<typeof forecastBatchRow>;
+
+// GET /api/aligner/forecast — the batches due into production by `week_end`
+// (today + 6; overdue ones included), earliest first. `unscheduled` counts the
+// in-treatment sets that can't be projected (no wear interval on batch or set).
+export const alignerForecast = {
+  response: z.object({
+    today: z.string(),
+    week_end: z.string(),
+    batches: z.array(forecastBatchRow),
+    unscheduled: z.number(),
+    settings: alignerReminderSettings,
+  }),
+} as const;
+
+// PUT /api/aligner/forecast/settings (read back in alignerForecast.response.settings)
+export const reminderSettings = {
+  body: alignerReminderSettings,
+  response: alignerReminderSettings,
+} as const;
+
+// ===========================================================================
+// DOCTOR PORTAL LOGIN (staff-facing) — routes/aligner-portal.ts is the doctor side
+// ===========================================================================
+
+// GET /api/aligner-doctors/:drID/portal — the doctor's portal login status.
+// `loginEmail` is the doctor's email (null = they can't sign in until one is set);
+// `hasPassword` false = no password issued yet.
+export const doctorPortalStatus = {
+  response: z.object({
+    enabled: z.boolean(),
+    hasPassword: z.boolean(),
+    loginEmail: z.string().nullable(),
+    lockedUntil: timestampString.nullable(),
+    lastLoginAt: timestampString.nullable(),
+    passwordSetAt: timestampString.nullable(),
+    failedAttempts: z.number(),
+    portalUrl: z.string(),
+  }),
+} as const;
+export type DoctorPortalStatus = z.infer<typeof doctorPortalStatus.response>;
+
+// POST /api/aligner-doctors/:drID/portal/reset-password — { password } (plaintext, once).
+export const resetDoctorPortalPassword = {
+  response: z.object({ password: z.string() }),
+} as const;
+
+// POST /api/aligner-doctors/:drID/portal/enable — { enabled }.
+export const doctorPortalEnable = {
+  body: z.object({ enabled: z.boolean() }),
+} as const;
+export type DoctorPortalEnableBody = z.infer<typeof doctorPortalEnable.body>;
+
+// POST /api/aligner-doctors/:drID/portal/unlock — sendSuccess(null).
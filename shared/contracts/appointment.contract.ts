@@ -25,6 +25,10 @@ import { idParams, intId, timestampString } from '../validation.js';
 // `z.input`. The CLIENT also validates via `useAppointments` ({ schema }).
 // ---------------------------------------------------------------------------
 
+// The reminder-confirmation flag (appointments.confirmation_status).
+export const CONFIRMATION_STATUSES = ['confirmed', 'reschedule_requested'] as const;
+export type ConfirmationStatus = (typeof CONFIRMATION_STATUSES)[number];
+
 const appointmentRowSchema = z.looseObject({
   appointment_id: z.number(),
   // Assigned doctor (employees.id), nullable — drives the daily page's doctor
@@ -36,6 +40,9 @@ const appointmentRowSchema = z.looseObject({
   patient_type: z.string().nullable().optional(),
   patient_type_id: z.number().nullable().optional(),
   patient_type_name_ar: z.string().nullable().optional(),
+  // The patient's answer to the WhatsApp reminder (or the flag staff set after a
+  // call); null = not answered yet. See setAppointmentConfirmation below.
+  confirmation_status: z.enum(CONFIRMATION_STATUSES).nullable().optional(),
 });
 
 const appointmentStatsSchema = z.object({
@@ -130,6 +137,81 @@ export const deleteAppointment = {
   params: idParams('appointmentId'),
 } as const;
 
+// ===========================================================================
+// Recurring series (appointment_series + appointments.series_id).
+//
+// The first occurrence carries an explicit time (`YYYY-MM-DDTHH:MM[:SS]`, the
+// form's slot value) — unlike the single create's multi-format `app_date`, every
+// later occurrence is computed from it. "This and following" endpoints hang off
+// the anchor appointment id (what the patient's appointment list has).
+// ===========================================================================
+
+const seriesSkipReason = z.enum(['HOLIDAY', 'FRIDAY', 'SLOT_FULL', 'APPOINTMENT_CONFLICT']);
+
+// POST /api/appointment-series — CreatedAppointmentSeries. Occurrences moved off
+// their rule date are `shifted`; ones that couldn't be placed come back `skipped`.
+export const createAppointmentSeries = {
+  body: z.object({
+    person_id: intId,
+    dr_id: intId,
+    app_detail: z.string().min(1),
+    app_date: z.string().regex(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/, 'Expected YYYY-MM-DDTHH:MM'),
+    interval_weeks: z.coerce.number().int().min(1).max(26),
+    occurrences: z.coerce.number().int().min(2).max(52),
+  }),
+  response: z.object({
+    series_id: z.number(),
+    person_id: z.number(),
+    dr_id: z.number(),
+    doctorName: z.string(),
+    booked: z.array(
+      z.object({
+        appointment_id: z.number(),
+        app_date: z.string(),
+        requested_date: z.string(),
+        shifted: z.boolean(),
+      })
+    ),
+    skipped: z.array(z.object({ requested_date: z.string(), reason: seriesSkipReason })),
+  }),
+} as const;
+export type CreateAppointmentSeriesBody = z.infer<typeof createAppointmentSeries.body>;
+export type CreateAppointmentSeriesResponse = z.infer<typeof createAppointmentSeries.response>;
+
+// PUT /api/appointments/:appointmentId/following — the anchor's new date/time,
+// doctor and detail, carried onto every unattended later occurrence.
+export const updateAppointmentSeries = {
+  params: idParams('appointmentId'),
+  body: createAppointmentBody.omit({ person_id: true }),
+  response: z.object({ series_id: z.number(), affected: z.number(), dates: z.array(z.string()) }),
+} as const;
+export type UpdateAppointmentSeriesBody = z.infer<typeof updateAppointmentSeries.body>;
+export type UpdateAppointmentSeriesResponse = z.infer<typeof updateAppointmentSeries.response>;
+
+// POST /api/appointments/:appointmentId/cancel-following — `offered` = freed
+// slots handed to the wait-list.
+export const cancelAppointmentSeries = {
+  params: idParams('appointmentId'),
+  response: z.object({
+    series_id: z.number(),
+    affected: z.number(),
+    dates: z.array(z.string()),
+    seriesEnded: z.boolean(),
+    offered: z.number(),
+  }),
+} as const;
+export type CancelAppointmentSeriesResponse = z.infer<typeof cancelAppointmentSeries.response>;
+
+// PUT /api/appointments/:appointmentId/confirmation — staff set (or, with null,
+// clear) the reminder-confirmation flag by hand, e.g. after the day-before call.
+// Setting it completes the appointment's open call task. Void success.
+// services/appointments/appointment-confirmation.ts.
+export const setAppointmentConfirmation = {
+  params: idParams('appointmentId'),
+  body: z.object({ status: z.enum(CONFIRMATION_STATUSES).nullable() }),
+} as const;
+export type SetAppointmentConfirmationBody = z.infer<typeof setAppointmentConfirmation.body>;
+
 // GET /api/patient-appointments/:personId — { appointments: AppointmentResult[] }.
 // app_date is a to_char'd string; app_detail (appointments.app_detail) and the
 // joined DrName (employees.employee_name) are both nullable.
@@ -141,12 +223,42 @@ export const patientAppointments = {
         app_date: z.string(),
         app_detail: z.string().nullable(),
         DrName: z.string().nullable(),
+        // Recurring series the appointment was booked in (null = one-off).
+        series_id: z.number().nullable().optional(),
+        // Marked missed by the end-of-day no-show sweep.
+        no_show: z.boolean().optional(),
       })
     ),
   }),
 } as const;
 export type PatientAppointmentsResponse = z.infer<typeof patientAppointments.response>;
 
+// GET /api/patients/:personId/attendance — attendance-queries.ts#PatientAttendance.
+// Outcomes come from check-in (`present`) vs the end-of-day no-show sweep
+// (`no_show_at`); `score` / `risk` are null until there are enough recorded visits.
+export const ATTENDANCE_RISKS = ['low', 'medium', 'high'] as const;
+export const patientAttendance = {
+  params: idParams('personId'),
+  response: z.object({
+    person_id: z.number(),
+    attended: z.number(),
+    noShows: z.number(),
+    score: z.number().nullable(),
+    risk: z.enum(ATTENDANCE_RISKS).nullable(),
+    lastNoShow: z.string().nullable(),
+    history: z.array(
+      z.object({
+        appointment_id: z.number(),
+        app_date: z.string(),
+        app_detail: z.string().nullable(),
+        doctor_name: z.string().nullable(),
+        outcome: z.enum(['attended', 'no_show']),
+      })
+    ),
+  }),
+} as const;
+export type PatientAttendanceResponse = z.infer<typeof patientAttendance.response>;
+
 // GET /api/appointments/:appointmentId — { appointment: AppointmentResult }.
 export const appointmentById = {
   response: z.object({ appointment: z.looseObject({ appointment_id: z.number() }) }),
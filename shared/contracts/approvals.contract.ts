@@ -10,7 +10,7 @@
  * (`outcome:'applied'`, carrying the route's normal payload) or enqueues it
  * (`outcome:'pending'`, carrying the new `approval_requests.request_id`). Routes that
  * use it: `work.contract.ts` (`updateWork`, `deleteWork`), `payment.contract.ts`
- * (`deleteInvoice`), `expense.contract.ts` (`updateExpense`, `deleteExpense`),
+ * (`deleteInvoice`, `refundInvoice`), `expense.contract.ts` (`updateExpense`, `deleteExpense`),
  * `patient.contract.ts` (`deletePatient`).
  */
 import { z } from 'zod';
@@ -21,6 +21,7 @@ export const APPROVAL_ACTION_TYPES = [
   'work.discount',
   'work.delete',
   'invoice.delete',
+  'invoice.refund',
   'expense.update',
   'expense.delete',
   'patient.delete',
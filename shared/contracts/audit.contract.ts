@@ -0,0 +1,85 @@
+/**
+ * API contract — audit trail (`/api/audit-log`, `/api/patients/:personId/history`;
+ * the `audit_log` table, see migrations/pg/1783600000000_audit-log.sql).
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * Rows are written by the `audit_capture()` trigger, never by the app. Both reads
+ * page backwards by id: pass the last row's id as `beforeId` for the next page.
+ */
+import { z } from 'zod';
+import { idParams, timestampString, optionalDateString, optionalPositiveIntQuery } from '../validation.js';
+
+// The tables carrying a `trg_audit_capture` trigger.
+export const AUDITED_TABLES = [
+  'patients',
+  'works',
+  'work_items',
+  'visits',
+  'appointments',
+  'invoices',
+  'expenses',
+  'tooth_findings',
+] as const;
+export type AuditedTable = (typeof AUDITED_TABLES)[number];
+
+export const AUDIT_OPS = ['I', 'U', 'D'] as const;
+
+export const AUDIT_PAGE_SIZE = 50;
+
+// Column → value. For an update only the changed columns; an insert has no
+// `before`, a delete no `after`.
+const rowImage = z.record(z.string(), z.json()).nullable();
+
+export const auditRow = z.object({
+  id: z.number(),
+  changed_at: timestampString,
+  actor: z.string().nullable(),
+  route: z.string().nullable(),
+  request_id: z.string().nullable(),
+  tbl: z.enum(AUDITED_TABLES),
+  pk: z.string(),
+  op: z.enum(AUDIT_OPS),
+  person_id: z.number().nullable(),
+  patient_name: z.string().nullable(),
+  before: rowImage,
+  after: rowImage,
+});
+export type AuditRow = z.infer<typeof auditRow>;
+
+const auditPage = z.object({
+  rows: z.array(auditRow),
+  // Pass as `beforeId` to fetch the next (older) page; null on the last page.
+  nextBeforeId: z.number().nullable(),
+});
+export type AuditPage = z.infer<typeof auditPage>;
+
+// GET /api/audit-log?table=&op=&actor=&personId=&pk=&q=&from=&to=&beforeId= — admin search.
+// `q` matches the route (e.g. "/expenses"); `pk` needs `table`.
+export const searchAuditLog = {
+  query: z.object({
+    table: z.enum(AUDITED_TABLES).optional(),
+    op: z.enum(AUDIT_OPS).optional(),
+    actor: z.string().trim().max(100).optional(),
+    personId: optionalPositiveIntQuery,
+    pk: z.string().trim().max(50).optional(),
+    q: z.string().trim().max(200).optional(),
+    from: optionalDateString,
+    to: optionalDateString,
+    beforeId: optionalPositiveIntQuery,
+  }),
+  response: auditPage,
+} as const;
+export type SearchAuditLogQuery = z.infer<typeof searchAuditLog.query>;
+
+// GET /api/patients/:personId/history?beforeId= — the patient's History panel:
+// everything recorded against the patient, their works, work items, visits,
+// appointments and invoices.
+export const patientHistory = {
+  params: idParams('personId'),
+  query: z.object({ beforeId: optionalPositiveIntQuery }),
+  response: auditPage,
+} as const;
+export type PatientHistoryQuery = z.infer<typeof patientHistory.query>;
@@ -0,0 +1,147 @@
+/**
+ * API contract — scheduled database backups + restore check
+ * (`/api/config/database/backups…`; services/database/backup-schedule.ts and
+ * backup-restore.ts). The on-demand download (`GET /api/config/database/backup`)
+ * stays a raw binary stream with no contract.
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * A backup file is addressed by its bare name, which must match the generated
+ * `shwan-backup-YYYYMMDD-HHMMSS.dump` pattern — no path ever reaches the server.
+ */
+import { z } from 'zod';
+import { timestampString } from '../validation.js';
+
+export const BACKUP_SCHEDULES = ['off', 'hourly', 'nightly'] as const;
+export type BackupSchedule = (typeof BACKUP_SCHEDULES)[number];
+
+export const BACKUP_FILE_PATTERN = /^shwan-backup-\d{8}-\d{6}\.dump$/;
+
+const backupFileParams = z.object({
+  file: z.string().regex(BACKUP_FILE_PATTERN, 'Invalid backup file name'),
+});
+export type BackupFileParams = z.infer<typeof backupFileParams>;
+
+export const backupSettings = z.object({
+  schedule: z.enum(BACKUP_SCHEDULES),
+  // Absolute path on the server; created on first run if missing.
+  directory: z.string().trim().min(1).max(500),
+  // How many scheduled/manual backups to keep in the directory (oldest removed first).
+  retention: z.number().int().min(1).max(365),
+  // Local hour (0-23) the nightly backup runs at or after.
+  nightlyHour: z.number().int().min(0).max(23),
+});
+export type BackupSettings = z.infer<typeof backupSettings>;
+
+// Result of re-hashing a file against its `.sha256` sidecar + `pg_restore --list`.
+const backupVerification = z.object({
+  ok: z.boolean(),
+  checked_at: timestampString,
+  error: z.string().nullable(),
+});
+export type BackupVerification = z.infer<typeof backupVerification>;
+
+const backupFile = z.object({
+  file: z.string(),
+  size: z.number(),
+  created_at: timestampString,
+  // From the sidecar written when the backup was taken; null for a file without one.
+  sha256: z.string().nullable(),
+  // Last verification this server run; null until checked.
+  verification: backupVerification.nullable(),
+});
+export type BackupFile = z.infer<typeof backupFile>;
+
+const backupRun = z.object({
+  trigger: z.enum(['scheduled', 'manual']),
+  started_at: timestampString,
+  finished_at: timestampString.nullable(),
+  ok: z.boolean().nullable(),
+  file: z.string().nullable(),
+  error: z.string().nullable(),
+});
+export type BackupRun = z.infer<typeof backupRun>;
+
+// Live vs restored row count for one table. null = the table is missing on that side.
+const restoreTableDiff = z.object({
+  table: z.string(),
+  live: z.number().nullable(),
+  backup: z.number().nullable(),
+  diff: z.number(),
+});
+export type RestoreTableDiff = z.infer<typeof restoreTableDiff>;
+
+export const RESTORE_CHECK_STATES = ['running', 'ready', 'failed', 'swapped'] as const;
+
+const restoreCheck = z.object({
+  file: z.string(),
+  state: z.enum(RESTORE_CHECK_STATES),
+  scratch_database: z.string(),
+  started_at: timestampString,
+  finished_at: timestampString.nullable(),
+  error: z.string().nullable(),
+  // Every table present on either side, differing ones first.
+  tables: z.array(restoreTableDiff),
+});
+export type RestoreCheck = z.infer<typeof restoreCheck>;
+
+// GET /api/config/database/backups — settings, last run, files on disk, restore check.
+export const getBackupStatus = {
+  response: z.object({
+    // The live database name — what the swap confirmation must repeat.
+    database: z.string(),
+    settings: backupSettings,
+    defaultDirectory: z.string(),
+    running: z.boolean(),
+    lastRun: backupRun.nullable(),
+    nextRunAt: timestampString.nullable(),
+    backups: z.array(backupFile),
+    // Why the directory can't be listed (missing drive, permissions); null when fine.
+    directoryError: z.string().nullable(),
+    restoreCheck: restoreCheck.nullable(),
+  }),
+} as const;
+export type BackupStatus = z.infer<typeof getBackupStatus.response>;
+
+// PUT /api/config/database/backups/settings
+export const saveBackupSettings = {
+  body: backupSettings,
+  response: backupSettings,
+} as const;
+
+// POST /api/config/database/backups/run — start a backup now (runs in the background;
+// poll the status). 409 while one is already running.
+export const runBackup = {
+  response: backupRun,
+} as const;
+
+// POST /api/config/database/backups/:file/verify
+export const verifyBackup = {
+  params: backupFileParams,
+  response: backupVerification,
+} as const;
+
+// POST /api/config/database/backups/:file/restore-check — pg_restore into the scratch
+// database and compare row counts (runs in the background; poll the status).
+export const startRestoreCheck = {
+  params: backupFileParams,
+  response: restoreCheck,
+} as const;
+
+// DELETE /api/config/database/backups/restore-check — drop the scratch database.
+export const discardRestoreCheck = {
+  response: z.object({ discarded: z.boolean() }),
+} as const;
+
+// POST /api/config/database/backups/swap — make the checked restore the live database.
+// `confirm` must repeat the live database name. The server restarts afterwards.
+export const swapRestoredDatabase = {
+  body: z.object({
+    file: z.string().regex(BACKUP_FILE_PATTERN, 'Invalid backup file name'),
+    confirm: z.string().trim().min(1),
+  }),
+  response: z.object({ previousDatabase: z.string(), message: z.string() }),
+} as const;
+export type SwapRestoredDatabaseBody = z.infer<typeof swapRestoredDatabase.body>;
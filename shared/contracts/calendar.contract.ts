@@ -27,17 +27,20 @@
  */
 import { z } from 'zod';
 import { dateString } from '../validation.js';
+import { CONFIRMATION_STATUSES } from './appointment.contract.js';
 
 // ── Nested row schemas (mirror the interfaces in routes/calendar.ts) ───────────
 
 // One appointment inside a slot/day. `app_date`/`person_id`/`time` are the
-// compatibility aliases the route adds for EditAppointmentForm.
+// compatibility aliases the route adds for EditAppointmentForm. `confirmationStatus`
+// is the patient's answer to the WhatsApp reminder (null = none yet).
 const appointmentInfo = z.object({
   appointment_id: z.number(),
   appDetail: z.string().nullable(),
   drID: z.number().nullable(),
   patientName: z.string().nullable(),
   personID: z.number().nullable(),
+  confirmationStatus: z.enum(CONFIRMATION_STATUSES).nullable().optional(),
   slotStatus: z.string().optional(),
   slotDateTime: z.string().optional(),
   app_date: z.string().optional(),
@@ -141,10 +144,24 @@ export const range = {
 } as const;
 export type CalendarRangeResponse = z.infer<typeof range.response>;
 
-// GET /api/calendar/stats?date= → { stats }.
+// One doctor × weekday no-show rate (attendance-queries.ts#NoShowRateRow) —
+// weekday is PG DOW (0 = Sunday); rate is a percent of recorded outcomes.
+const noShowRate = z.object({
+  dr_id: z.number().nullable(),
+  doctor_name: z.string().nullable(),
+  weekday: z.number(),
+  total: z.number(),
+  noShows: z.number(),
+  rate: z.number(),
+});
+export type NoShowRate = z.infer<typeof noShowRate>;
+
+// GET /api/calendar/stats?date= → { stats, noShowRates }.
+// `noShowRates` covers the trailing 180 days (not the requested week), highest
+// rate first — the overbooking guidance the calendar header shows.
 export const stats = {
   query: z.object({ date: dateString }),
-  response: z.object({ stats: calendarStats }),
+  response: z.object({ stats: calendarStats, noShowRates: z.array(noShowRate) }),
 } as const;
 export type CalendarStatsResponse = z.infer<typeof stats.response>;
 
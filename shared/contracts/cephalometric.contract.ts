@@ -0,0 +1,154 @@
+/**
+ * API contract — cephalometric analysis: the configurable norms
+ * (`/api/ceph-norms*`), a work's analysis against them
+ * (`/api/works/:workId/cephalometrics`) and the diagnosis report
+ * (`/api/works/:workId/diagnosis/pdf`); the `ceph_norms` table and
+ * `diagnoses.stage`, see migrations/pg/1784900000000_cephalometric-norms.sql.
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * The measurements themselves are the diagnosis's c_* text columns (saved through
+ * POST /api/diagnosis); derivation and classification are shared/cephalometrics.ts,
+ * so the Diagnosis form highlights as you type with the same rules the server
+ * reports with.
+ */
+import { z } from 'zod';
+import { idParams } from '../validation.js';
+import { DIAGNOSIS_STAGES } from './work.contract.js';
+
+// The c_* columns of `diagnoses` without the prefix, in form order.
+export const CEPH_MEASURE_KEYS = [
+  'sna',
+  'snb',
+  'anb',
+  'sn_mx',
+  'wits',
+  'fma',
+  'mma',
+  'tafh',
+  'uafh',
+  'lafh',
+  'percent_lafh',
+  'uimx',
+  'li_md',
+  'ui_li',
+  'li_a_po',
+  'ulip_e',
+  'llip_e',
+  'naso_lip',
+] as const;
+export type CephMeasureKey = (typeof CEPH_MEASURE_KEYS)[number];
+
+export const NORM_SEXES = ['M', 'F'] as const;
+export type NormSex = (typeof NORM_SEXES)[number];
+
+// Within mean ± 1 SD is 'normal'.
+export const CEPH_STATUSES = ['low', 'normal', 'high'] as const;
+export type CephStatus = (typeof CEPH_STATUSES)[number];
+
+// A `ceph_norms` row; NULL sex / age bound = any. The age band is [age_min, age_max).
+export const cephNorm = z.looseObject({
+  norm_id: z.number(),
+  measure: z.enum(CEPH_MEASURE_KEYS),
+  sex: z.enum(NORM_SEXES).nullable(),
+  age_min: z.number().nullable(),
+  age_max: z.number().nullable(),
+  mean: z.number(),
+  sd: z.number(),
+  source: z.string().nullable(),
+});
+export type CephNorm = z.infer<typeof cephNorm>;
+
+const age = z.number().int().min(0).max(120);
+const normBody = z
+  .object({
+    measure: z.enum(CEPH_MEASURE_KEYS),
+    sex: z.enum(NORM_SEXES).nullable().optional(),
+    age_min: age.nullable().optional(),
+    age_max: age.nullable().optional(),
+    mean: z.number().min(-360).max(360),
+    sd: z.number().positive().max(100),
+    source: z.string().trim().max(100).nullable().optional(),
+  })
+  .refine((b) => b.age_min == null || b.age_max == null || b.age_max > b.age_min, {
+    message: 'age_max must be greater than age_min',
+    path: ['age_max'],
+  });
+export type CephNormBody = z.infer<typeof normBody>;
+
+// GET /api/ceph-norms — every norm, by measure (form order), then most general first.
+export const listNorms = {
+  response: z.array(cephNorm),
+} as const;
+
+// POST /api/ceph-norms — 409 when the measure already has a norm for that sex / age band.
+export const createNorm = {
+  body: normBody,
+  response: cephNorm,
+} as const;
+
+// PUT /api/ceph-norms/:id
+export const updateNorm = {
+  params: idParams('id'),
+  body: normBody,
+  response: cephNorm,
+} as const;
+
+// DELETE /api/ceph-norms/:id
+export const deleteNorm = {
+  params: idParams('id'),
+} as const;
+
+// One measurement of an analysis. `derived`: blank on the diagnosis and worked out
+// from the others (ANB from SNA − SNB, …). `expected`: what the others imply when
+// that differs from the value entered — a likely typo.
+const cephMeasurement = z.object({
+  key: z.enum(CEPH_MEASURE_KEYS),
+  value: z.number().nullable(),
+  derived: z.boolean(),
+  expected: z.number().nullable(),
+  norm_id: z.number().nullable(),
+  mean: z.number().nullable(),
+  sd: z.number().nullable(),
+  status: z.enum(CEPH_STATUSES).nullable(),
+  /** (value − mean) / sd, 1 decimal. */
+  z: z.number().nullable(),
+});
+export type CephMeasurement = z.infer<typeof cephMeasurement>;
+
+// One diagnosis (stage) of the work, classified for the patient's sex and their
+// age on `dx_date`.
+const cephAnalysis = z.object({
+  stage: z.enum(DIAGNOSIS_STAGES),
+  dx_date: z.string().nullable(),
+  age: z.number().nullable(),
+  measurements: z.array(cephMeasurement),
+});
+export type CephAnalysis = z.infer<typeof cephAnalysis>;
+
+// GET /api/works/:workId/cephalometrics — both stages (null when not recorded)
+// and what the classification was based on; `norms` lets the form re-classify
+// unsaved values.
+export const workCephalometrics = {
+  params: idParams('workId'),
+  response: z.object({
+    work_id: z.number(),
+    sex: z.enum(NORM_SEXES).nullable(),
+    date_of_birth: z.string().nullable(),
+    norms: z.array(cephNorm),
+    initial: cephAnalysis.nullable(),
+    final: cephAnalysis.nullable(),
+  }),
+} as const;
+export type WorkCephalometrics = z.infer<typeof workCephalometrics.response>;
+
+// GET /api/works/:workId/diagnosis/pdf?stage= — the diagnosis report (default
+// the initial diagnosis); with both stages recorded the final report carries the
+// initial → final comparison. Binary response, not modeled.
+export const diagnosisPdf = {
+  params: idParams('workId'),
+  query: z.object({ stage: z.enum(DIAGNOSIS_STAGES).optional() }),
+} as const;
+export type DiagnosisPdfQuery = z.infer<typeof diagnosisPdf.query>;
@@ -0,0 +1,181 @@
+/**
+ * API contract — lab invoicing (`/api/lab-price-list*`, `/api/lab-statements*`,
+ * `/api/lab-case-charges/:id`; the `lab_price_list` / `lab_case_charges` /
+ * `lab_statements` tables, see migrations/pg/1783500000000_lab-invoicing.sql).
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * Charges are accrued by the lab case transitions themselves (delivery, remake —
+ * lab-case-service.ts); the monthly statement lists a lab's charges and, once
+ * reconciled against the lab's invoice, becomes a Lab-category expense.
+ */
+import { z } from 'zod';
+import { idParams, intId, timestampString, optionalPositiveIntQuery } from '../validation.js';
+
+export const LAB_PRICE_BASES = ['unit', 'case'] as const;
+export const LAB_CHARGE_TYPES = ['delivery', 'remake'] as const;
+export const LAB_CURRENCIES = ['IQD', 'USD'] as const;
+
+// 'YYYY-MM'
+const monthString = z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'Expected a month (YYYY-MM)');
+const optionalText = z.string().trim().max(200).optional();
+
+// ── Rows ─────────────────────────────────────────────────────────────────────
+
+// A price-list row joined with its lab and work type names.
+export const labPriceRow = z.object({
+  id: z.number(),
+  lab_id: z.number(),
+  lab_name: z.string(),
+  work_type_id: z.number(),
+  work_type: z.string(),
+  material: z.string().nullable(),
+  shade_system: z.string().nullable(),
+  basis: z.enum(LAB_PRICE_BASES),
+  unit_price: z.number(),
+  remake_price: z.number(),
+  currency: z.enum(LAB_CURRENCIES),
+  is_active: z.boolean(),
+  created_at: timestampString,
+});
+export type LabPriceRow = z.infer<typeof labPriceRow>;
+
+// An accrued charge with the case's patient and restoration, for the statement.
+export const labChargeRow = z.object({
+  id: z.number(),
+  lab_case_id: z.number(),
+  lab_id: z.number(),
+  person_id: z.number(),
+  patient_name: z.string(),
+  work_type: z.string(),
+  charge_type: z.enum(LAB_CHARGE_TYPES),
+  units: z.number(),
+  unit_price: z.number(),
+  amount: z.number(),
+  currency: z.enum(LAB_CURRENCIES),
+  price_list_id: z.number().nullable(),
+  statement_id: z.number().nullable(),
+  accrued_at: timestampString,
+  note: z.string().nullable(),
+});
+export type LabChargeRow = z.infer<typeof labChargeRow>;
+
+export const labStatementRow = z.object({
+  id: z.number(),
+  lab_id: z.number(),
+  period_start: z.string(),
+  currency: z.enum(LAB_CURRENCIES),
+  accrued_amount: z.number(),
+  lab_invoice_no: z.string().nullable(),
+  lab_invoice_amount: z.number().nullable(),
+  expense_id: z.number().nullable(),
+  note: z.string().nullable(),
+  reconciled_at: timestampString,
+  reconciled_by: z.string().nullable(),
+});
+export type LabStatementRow = z.infer<typeof labStatementRow>;
+
+// One lab × currency on the month's statement — reconciled (`statement` set, its
+// charges) or still open (the charges accrued up to month end not yet on any statement).
+export const labStatementGroup = z.object({
+  lab_id: z.number(),
+  lab_name: z.string(),
+  currency: z.enum(LAB_CURRENCIES),
+  charges: z.number(),
+  unpriced: z.number(),
+  accrued_amount: z.number(),
+  statement: labStatementRow.nullable(),
+});
+export type LabStatementGroup = z.infer<typeof labStatementGroup>;
+
+// ── Price list ───────────────────────────────────────────────────────────────
+
+const priceBody = z.object({
+  labId: intId,
+  workTypeId: intId,
+  material: optionalText,
+  shadeSystem: optionalText,
+  basis: z.enum(LAB_PRICE_BASES),
+  unitPrice: z.coerce.number().int().nonnegative(),
+  remakePrice: z.coerce.number().int().nonnegative().default(0),
+  currency: z.enum(LAB_CURRENCIES),
+});
+
+// GET /api/lab-price-list?labId= — active prices.
+export const listLabPrices = {
+  query: z.object({ labId: optionalPositiveIntQuery }),
+  response: z.array(labPriceRow),
+} as const;
+export type ListLabPricesQuery = z.infer<typeof listLabPrices.query>;
+
+// POST /api/lab-price-list
+export const createLabPrice = {
+  body: priceBody,
+  response: labPriceRow,
+} as const;
+export type LabPriceBody = z.infer<typeof priceBody>;
+
+// PUT /api/lab-price-list/:id — replaces the price. Charges already accrued keep
+// the price they were accrued at.
+export const updateLabPrice = {
+  params: idParams('id'),
+  body: priceBody,
+  response: labPriceRow,
+} as const;
+
+// DELETE /api/lab-price-list/:id — retires the row (is_active = false); accrued
+// charges still point at it.
+export const deleteLabPrice = {
+  params: idParams('id'),
+  response: z.object({ id: z.number() }),
+} as const;
+
+// ── Charges + monthly statements ─────────────────────────────────────────────
+
+// GET /api/lab-statements?month=YYYY-MM&labId=
+export const monthlyLabStatements = {
+  query: z.object({ month: monthString, labId: optionalPositiveIntQuery }),
+  response: z.object({
+    month: z.string(),
+    groups: z.array(labStatementGroup),
+    charges: z.array(labChargeRow),
+  }),
+} as const;
+export type MonthlyLabStatementsQuery = z.infer<typeof monthlyLabStatements.query>;
+
+// POST /api/lab-statements — reconcile one lab × currency for the month and book
+// the expense (the lab's invoice amount when given, else the accrued total).
+export const reconcileLabStatement = {
+  body: z.object({
+    labId: intId,
+    month: monthString,
+    currency: z.enum(LAB_CURRENCIES),
+    labInvoiceNo: optionalText,
+    labInvoiceAmount: z.coerce.number().int().nonnegative().optional(),
+    note: optionalText,
+  }),
+  response: labStatementRow,
+} as const;
+export type ReconcileLabStatementBody = z.infer<typeof reconcileLabStatement.body>;
+
+// DELETE /api/lab-statements/:id — reopen: deletes the booked expense and frees the charges.
+export const reopenLabStatement = {
+  params: idParams('id'),
+  response: z.object({ id: z.number() }),
+} as const;
+
+// PATCH /api/lab-case-charges/:id — correct an open (not yet reconciled) charge,
+// e.g. price an unpriced one. `amount` is recomputed as units × unit price.
+export const updateLabCharge = {
+  params: idParams('id'),
+  body: z.object({
+    units: z.coerce.number().int().positive().optional(),
+    unitPrice: z.coerce.number().int().nonnegative().optional(),
+    currency: z.enum(LAB_CURRENCIES).optional(),
+    note: z.string().trim().max(200).optional(),
+  }),
+  response: labChargeRow,
+} as const;
+export type UpdateLabChargeBody = z.infer<typeof updateLabCharge.body>;
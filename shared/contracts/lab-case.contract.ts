@@ -242,3 +242,88 @@ export const deleteLabCase = {
   params: idParams('id'),
   response: z.object({ id: z.number() }),
 } as const;
+
+// ── Turnaround analytics + SLA alerts ────────────────────────────────────────
+// Read back from the `lab_case_events` history (lab-case-analytics-queries.ts);
+// the SLA thresholds live in the options table (services/lab-cases/lab-sla.ts)
+// and drive the hourly header-bell sweep (services/lab-cases/lab-sla-sweep.ts).
+
+// The stages where the case physically sits at the lab — the only ones that are
+// timed against a lab's SLA.
+export const LAB_LOCATED_STAGES: LabStage[] = LAB_STAGE_META.filter((m) => m.location === 'lab').map((m) => m.key);
+
+// Days a case may sit at each lab-located stage. A missing stage has no SLA;
+// thresholds on clinic stages are ignored (the clinic, not the lab, holds the case).
+export const labSlaSettings = z.object({
+  enabled: z.boolean(),
+  days: z.partialRecord(z.enum(LAB_STAGES), z.number().int().positive().max(365)),
+});
+export type LabSlaSettings = z.infer<typeof labSlaSettings>;
+
+// One lab's headline numbers over the cases sent in the window.
+export const labTurnaroundRow = z.object({
+  lab_id: z.number().nullable(),
+  lab_name: z.string().nullable(),
+  cases: z.number(),
+  delivered: z.number(),
+  cancelled: z.number(),
+  median_turnaround_days: z.number().nullable(),
+  remade_cases: z.number(),
+  remakes: z.number(),
+  remake_rate: z.number(),
+  holds: z.number(),
+  median_hold_days: z.number().nullable(),
+  total_hold_days: z.number(),
+});
+export type LabTurnaroundRow = z.infer<typeof labTurnaroundRow>;
+
+// Completed visits to one lab-located stage, per lab.
+export const labStageDwellRow = z.object({
+  lab_id: z.number().nullable(),
+  lab_name: z.string().nullable(),
+  stage: z.enum(LAB_STAGES),
+  visits: z.number(),
+  median_days: z.number(),
+  max_days: z.number(),
+});
+export type LabStageDwellRow = z.infer<typeof labStageDwellRow>;
+
+// An open case that has sat at a lab-located stage past its SLA right now.
+export const labSlaBreachRow = z.object({
+  id: z.number(),
+  work_id: z.number(),
+  work_item_id: z.number(),
+  person_id: z.number(),
+  patient_name: z.string(),
+  lab_id: z.number().nullable(),
+  lab_name: z.string().nullable(),
+  material: z.string().nullable(),
+  status: z.enum(LAB_STAGES),
+  is_rush: z.boolean(),
+  status_changed_at: timestampString,
+  days_at_stage: z.number(),
+  sla_days: z.number(),
+});
+export type LabSlaBreachRow = z.infer<typeof labSlaBreachRow>;
+
+// GET /api/lab-cases/analytics?labId=&from=&to= — window is on `sent_at`.
+export const labCaseAnalytics = {
+  query: z.object({
+    labId: optionalPositiveIntQuery,
+    from: optionalDateString,
+    to: optionalDateString,
+  }),
+  response: z.object({
+    labs: z.array(labTurnaroundRow),
+    stages: z.array(labStageDwellRow),
+    overdue: z.array(labSlaBreachRow),
+    sla: labSlaSettings,
+  }),
+} as const;
+export type LabCaseAnalyticsQuery = z.infer<typeof labCaseAnalytics.query>;
+
+// GET / PUT /api/lab-cases/sla-settings
+export const slaSettings = {
+  body: labSlaSettings,
+  response: labSlaSettings,
+} as const;
@@ -32,9 +32,11 @@ export type LocalSendDevice = z.infer<typeof device>;
  * One file the client wants pushed — resolved server-side to a disk path.
  * `staged` is an ad-hoc image the browser generated (e.g. the Compare montage)
  * and uploaded via POST /api/share/stage; `ref` is then the returned token.
+ * `collage` is a server-rendered before/after collage; `ref` is its name
+ * (POST /api/patients/:personId/collages).
  */
 export const sendFileRef = z.object({
-  source: z.enum(['patient-file', 'patient-image', 'staged']),
+  source: z.enum(['patient-file', 'patient-image', 'staged', 'collage']),
   personId: intId,
   ref: z.string().min(1),
   displayName: z.string().optional(),
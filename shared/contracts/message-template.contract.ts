@@ -0,0 +1,90 @@
+/**
+ * API contract — patient message templates (`/api/message-templates*`).
+ *
+ * The admin-editable text of the messages the clinic sends patients (appointment
+ * reminders and their "reply 1 / 2" prompt and thank-you answers, booking
+ * confirmations, payment and stand receipts, installment reminders and
+ * wait-list offers). Each template
+ * type has a built-in Arabic and English text (services/messaging/
+ * message-templates.ts); a saved text overrides it for that language, deleting
+ * the saved text restores the built-in one. Kurdish has no built-in text —
+ * Kurdish-language patients get the Arabic one until a Kurdish text is saved.
+ *
+ *   GET    /api/message-templates                    — every type with its variants
+ *   PUT    /api/message-templates/:key/:language     — save a variant (admin)
+ *   DELETE /api/message-templates/:key/:language     — back to the built-in text (admin)
+ *   POST   /api/message-templates/preview            — render a draft with sample values
+ *
+ * Placeholders are `{{name}}`; saving a text that uses a name the type doesn't
+ * offer is a 400. See docs/whatsapp-integration.md.
+ */
+import { z } from 'zod';
+import { timestampString } from '../validation.js';
+
+export const MESSAGE_TEMPLATE_KEYS = [
+  'appointment_reminder',
+  'confirmation_prompt',
+  'confirmation_thanks',
+  'reschedule_thanks',
+  'appointment_booked',
+  'payment_receipt',
+  'stand_receipt',
+  'installment_reminder',
+  'waitlist_offer',
+] as const;
+export type MessageTemplateKey = (typeof MESSAGE_TEMPLATE_KEYS)[number];
+
+export const MESSAGE_LANGUAGES = ['ar', 'ku', 'en'] as const;
+export type MessageLanguage = (typeof MESSAGE_LANGUAGES)[number];
+
+const templateKey = z.enum(MESSAGE_TEMPLATE_KEYS);
+const language = z.enum(MESSAGE_LANGUAGES);
+const templateBody = z.string().trim().min(1).max(2000);
+
+const templateParams = z.object({ key: templateKey, language });
+export type MessageTemplateParams = z.infer<typeof templateParams>;
+
+// GET /api/message-templates → one entry per type, variants in ar/ku/en order.
+// `body` is the saved text (null = none saved); `default_body` the built-in one
+// (null for Kurdish, which falls back to the Arabic text).
+export const listTemplates = {
+  response: z.array(
+    z.object({
+      key: templateKey,
+      label: z.string(),
+      description: z.string(),
+      variables: z.array(z.object({ name: z.string(), description: z.string() })),
+      variants: z.array(
+        z.object({
+          language,
+          body: z.string().nullable(),
+          default_body: z.string().nullable(),
+          updated_at: timestampString.nullable(),
+          updated_by: z.string().nullable(),
+        })
+      ),
+    })
+  ),
+} as const;
+export type MessageTemplateType = z.infer<typeof listTemplates.response>[number];
+export type MessageTemplateVariant = MessageTemplateType['variants'][number];
+
+// PUT /api/message-templates/:key/:language — void success.
+export const saveTemplate = {
+  params: templateParams,
+  body: z.object({ body: templateBody }),
+} as const;
+export type SaveTemplateBody = z.infer<typeof saveTemplate.body>;
+
+// DELETE /api/message-templates/:key/:language — void success.
+export const resetTemplate = {
+  params: templateParams,
+} as const;
+
+// POST /api/message-templates/preview — the draft rendered with the type's sample
+// values, plus any placeholder names the type doesn't offer (left as typed).
+export const previewTemplate = {
+  body: z.object({ key: templateKey, language, body: z.string().max(2000) }),
+  response: z.object({ text: z.string(), unknown_variables: z.array(z.string()) }),
+} as const;
+export type PreviewTemplateBody = z.infer<typeof previewTemplate.body>;
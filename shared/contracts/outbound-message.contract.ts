@@ -0,0 +1,83 @@
+/**
+ * API contract — the outbound message queue (`/api/outbound-messages*`; the
+ * `outbound_messages` table, see migrations/pg/1784600000000_outbound-message-queue.sql).
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * The queue is drained by services/messaging/outbound-queue.ts; these endpoints
+ * only let staff see it, cancel a pending message and resend a failed one.
+ */
+import { z } from 'zod';
+import { idParams, timestampString } from '../validation.js';
+
+export const OUTBOUND_CHANNELS = ['whatsapp', 'sms'] as const;
+export type OutboundChannel = (typeof OUTBOUND_CHANNELS)[number];
+
+export const OUTBOUND_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'] as const;
+export type OutboundStatus = (typeof OUTBOUND_STATUSES)[number];
+
+// What a queued message is for (free text in the table so new senders need no migration).
+export const OUTBOUND_PURPOSES = ['appointment_reminder', 'waitlist_offer', 'task_assignment'] as const;
+export type OutboundPurpose = (typeof OUTBOUND_PURPOSES)[number];
+
+export const OUTBOUND_PAGE_SIZE = 100;
+
+// One queued message (outbound-queue-queries.ts#OutboundMessageRow). `channel`
+// is where it goes (or went) — 'sms' after a fallback; `requested_channel` the original.
+export const outboundMessage = z.looseObject({
+  message_id: z.number(),
+  channel: z.enum(OUTBOUND_CHANNELS),
+  requested_channel: z.enum(OUTBOUND_CHANNELS),
+  sms_fallback: z.boolean(),
+  phone: z.string(),
+  recipient_name: z.string().nullable(),
+  person_id: z.number().nullable(),
+  appointment_id: z.number().nullable(),
+  purpose: z.string(),
+  body: z.string(),
+  sms_body: z.string().nullable(),
+  status: z.enum(OUTBOUND_STATUSES),
+  attempts: z.number(),
+  next_attempt_at: timestampString,
+  last_attempt_at: timestampString.nullable(),
+  last_error: z.string().nullable(),
+  sent_at: timestampString.nullable(),
+  created_at: timestampString,
+  created_by: z.string().nullable(),
+  resent_by: z.string().nullable(),
+});
+export type OutboundMessage = z.infer<typeof outboundMessage>;
+
+// GET /api/outbound-messages?status=failed — newest first, OUTBOUND_PAGE_SIZE rows.
+export const listMessages = {
+  query: z.object({
+    status: z.enum(OUTBOUND_STATUSES).optional(),
+  }),
+  response: z.array(outboundMessage),
+} as const;
+export type ListOutboundMessagesQuery = z.infer<typeof listMessages.query>;
+
+// GET /api/outbound-messages/summary — row count per status.
+export const summary = {
+  response: z.object({
+    pending: z.number(),
+    sending: z.number(),
+    sent: z.number(),
+    failed: z.number(),
+    cancelled: z.number(),
+  }),
+} as const;
+export type OutboundSummary = z.infer<typeof summary.response>;
+
+// POST /api/outbound-messages/:id/resend — a failed or cancelled message back to
+// pending, on its original channel, with a fresh set of attempts.
+export const resendMessage = {
+  params: idParams('id'),
+} as const;
+
+// POST /api/outbound-messages/:id/cancel — stop a pending message.
+export const cancelMessage = {
+  params: idParams('id'),
+} as const;
@@ -0,0 +1,101 @@
+/**
+ * API contract — installment payment plans on works (`/api/works/:workId/
+ * payment-plan`, `/api/payment-plans*`; the `payment_plans` +
+ * `payment_plan_installments` tables, see migrations/pg/1783200000000_payment-
+ * plans.sql). The overdue-balances report lives with the statistics endpoints in
+ * reports.contract.ts.
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * Installment `paid`/`status` are computed at read time by PaymentPlanService
+ * (FIFO over the payments made since the plan was agreed) — nothing is stored.
+ */
+import { z } from 'zod';
+import { dateString, idParams, intId } from '../validation.js';
+
+export const INSTALLMENT_STATUSES = ['paid', 'upcoming', 'due', 'overdue'] as const;
+export type InstallmentStatus = (typeof INSTALLMENT_STATUSES)[number];
+
+export const PLAN_STATUSES = ['completed', 'on_track', 'overdue'] as const;
+export type PlanStatus = (typeof PLAN_STATUSES)[number];
+
+const nextDue = z.object({ seq: z.number(), due_date: z.string(), outstanding: z.number() }).nullable();
+
+// PaymentPlanService#PaymentPlanView.
+export const paymentPlan = z.looseObject({
+  id: z.number(),
+  work_id: z.number(),
+  person_id: z.number(),
+  currency: z.string(),
+  installment_amount: z.number(),
+  installment_count: z.number(),
+  first_due_date: z.string(),
+  interval_months: z.number(),
+  grace_days: z.number(),
+  note: z.string().nullable(),
+  last_reminded_at: z.string().nullable(),
+  created_at: z.string(),
+  created_by: z.string().nullable(),
+  status: z.enum(PLAN_STATUSES),
+  plan_total: z.number(),
+  paid_to_plan: z.number(),
+  remaining: z.number(),
+  overdue_amount: z.number(),
+  next_due: nextDue,
+  installments: z.array(
+    z.object({
+      seq: z.number(),
+      due_date: z.string(),
+      amount: z.number(),
+      paid: z.number(),
+      status: z.enum(INSTALLMENT_STATUSES),
+    })
+  ),
+});
+export type PaymentPlan = z.infer<typeof paymentPlan>;
+
+// What a new invoice did to the work's plan (PaymentPlanService#PlanAllocationSummary) —
+// attached to the /api/addInvoice response as `plan` (null when the work has no plan).
+export const planAllocation = z.object({
+  plan_id: z.number(),
+  settled: z.array(z.number()),
+  overdue_amount: z.number(),
+  remaining: z.number(),
+  next_due: nextDue,
+});
+export type PlanAllocation = z.infer<typeof planAllocation>;
+
+// GET /api/works/:workId/payment-plan — the active plan, or null.
+export const workPaymentPlan = {
+  params: idParams('workId'),
+  response: paymentPlan.nullable(),
+} as const;
+
+// POST /api/payment-plans — schedule the work's outstanding balance.
+export const createPaymentPlan = {
+  body: z.object({
+    work_id: intId,
+    installment_amount: intId,
+    first_due_date: dateString,
+    interval_months: z.coerce.number().int().min(1).max(12).default(1),
+    grace_days: z.coerce.number().int().min(0).max(60).default(7),
+    note: z.string().max(1000).optional(),
+  }),
+  response: paymentPlan,
+} as const;
+export type CreatePaymentPlanBody = z.infer<typeof createPaymentPlan.body>;
+
+// POST /api/payment-plans/:id/cancel — the work's balance goes back to ad-hoc payments.
+export const cancelPaymentPlan = {
+  params: idParams('id'),
+  response: z.object({ id: z.number() }),
+} as const;
+
+// POST /api/payment-plans/:id/remind — polite WhatsApp for what is due/overdue.
+export const remindPaymentPlan = {
+  params: idParams('id'),
+  response: z.object({ amount: z.number(), due_date: z.string() }),
+} as const;
+export type RemindPaymentPlanResponse = z.infer<typeof remindPaymentPlan.response>;
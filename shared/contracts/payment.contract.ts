@@ -17,6 +17,7 @@
 import { z } from 'zod';
 import { intId, dateString, idParams } from '../validation.js';
 import { withPendingOutcome } from './approvals.contract.js';
+import { planAllocation } from './payment-plan.contract.js';
 
 // ---------------------------------------------------------------------------
 // GET /api/getpaymenthistory?workId= — bare array of invoice rows.
@@ -25,6 +26,8 @@ import { withPendingOutcome } from './approvals.contract.js';
 // WorkComponent's payment-history table reads InvoiceID, amount_paid,
 // date_of_payment, actual_amount, actual_cur, change → model those (the row's
 // always-present columns; actual_*/change are nullable). Long tail stays loose.
+// Refund rows (negative amount_paid) carry refund_of_invoice_id + reason;
+// `refunded` is the positive total refunded so far against a payment row.
 // ---------------------------------------------------------------------------
 
 const paymentHistoryRow = z.looseObject({
@@ -34,6 +37,9 @@ const paymentHistoryRow = z.looseObject({
   actual_amount: z.number().nullable(),
   actual_cur: z.string().nullable(),
   change: z.number().nullable(),
+  refund_of_invoice_id: z.number().nullable(),
+  refund_reason: z.string().nullable(),
+  refunded: z.number(),
 });
 
 export const paymentHistory = {
@@ -143,7 +149,7 @@ export const addInvoice = {
     iqdReceived: z.coerce.number().optional(),
     change: z.coerce.number().optional(),
   }),
-  response: z.looseObject({ InvoiceID: z.number().optional() }),
+  response: z.looseObject({ InvoiceID: z.number().optional(), plan: planAllocation.nullable().optional() }),
 } as const;
 export type AddInvoiceBody = z.infer<typeof addInvoice.body>;
 export type AddInvoiceResponse = z.infer<typeof addInvoice.response>;
@@ -160,6 +166,41 @@ export const deleteInvoice = {
 } as const;
 export type DeleteInvoiceResponse = z.infer<typeof deleteInvoice.response>;
 
+// ---------------------------------------------------------------------------
+// POST /api/invoices/:invoiceId/refund — record a refund (credit note) against
+// a payment (PaymentService.validateAndCreateRefund). Closed body: `amount` is
+// positive in the work's currency; the cash handed back is split per currency
+// (at least one > 0 — enforced in the service, like addInvoice's cash rules).
+// Like deleteInvoice, a Front-Desk refund of a payment not taken today is held
+// for admin approval instead of applying.
+// ---------------------------------------------------------------------------
+
+export const refundRecord = z.object({
+  InvoiceID: z.number(),
+  work_id: z.number(),
+  refund_of_invoice_id: z.number(),
+  amount_paid: z.number(),
+  date_of_payment: z.string(),
+  usd_received: z.number(),
+  iqd_received: z.number(),
+  refund_reason: z.string(),
+  refundable: z.number(),
+});
+
+export const refundInvoice = {
+  params: idParams('invoiceId'),
+  body: z.object({
+    amount: z.coerce.number().int().positive(),
+    usdReturned: z.coerce.number().int().nonnegative().default(0),
+    iqdReturned: z.coerce.number().int().nonnegative().default(0),
+    reason: z.string().trim().min(1, 'A refund reason is required').max(500),
+  }),
+  response: withPendingOutcome({ refund: refundRecord }),
+} as const;
+export type RefundInvoiceBody = z.infer<typeof refundInvoice.body>;
+export type RefundRecord = z.infer<typeof refundRecord>;
+export type RefundInvoiceResponse = z.infer<typeof refundInvoice.response>;
+
 // Shared GET query for the payment read endpoints. Type-only (handlers parse manually).
 export const paymentQuery = z.object({
   code: z.string().optional(),
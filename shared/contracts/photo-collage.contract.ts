@@ -0,0 +1,127 @@
+/**
+ * API contract — photo alignment landmarks and server-rendered before/after
+ * collages (`/api/patients/:personId/photo-landmarks*`,
+ * `/api/patients/:personId/collages*`); the `photo_landmarks` table, see
+ * migrations/pg/1785000000000_photo-landmarks.sql.
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * Landmarks are two points per rendered view, as fractions of the view image; a
+ * collage lines each timepoint's view up on them (shared/photo-collage.ts). The
+ * rendered collage is a cached JPEG addressed by `name`, so it can be shown,
+ * shared (a `{ source: 'collage' }` SendFileRef) or sent on WhatsApp by name.
+ */
+import { z } from 'zod';
+import { idParams, numericParam } from '../validation.js';
+import { VIEW_CODES } from '../photo-views.js';
+
+/** Most timepoints (columns) one collage takes — before, two progress, after. */
+export const MAX_COLLAGE_TIMEPOINTS = 4;
+
+/** `collage-<16 hex>.jpg` — the cache key of the inputs, validated before any disk op. */
+export const COLLAGE_NAME_RE = /^collage-[a-f0-9]{16}\.jpg$/;
+
+/** Two landmarks closer than this (a fraction of the image) can't set a scale. */
+export const MIN_LANDMARK_DISTANCE = 0.02;
+
+const fraction = z.number().min(0).max(1);
+
+const landmarkPoints = z.object({ a_x: fraction, a_y: fraction, b_x: fraction, b_y: fraction });
+export type LandmarkPoints = z.infer<typeof landmarkPoints>;
+
+// One rendered view at one timepoint and its landmarks. `stale` landmarks were
+// marked on an earlier render of the view and are not used until marked again.
+export const alignmentPhoto = z.looseObject({
+  tp_code: z.number(),
+  view: z.enum(VIEW_CODES),
+  /** The working filename, `{personId}0{tpCode}.{view}`. */
+  name: z.string(),
+  width: z.number(),
+  height: z.number(),
+  mtime: z.number(),
+  landmark: landmarkPoints.extend({ stale: z.boolean() }).nullable(),
+});
+export type AlignmentPhoto = z.infer<typeof alignmentPhoto>;
+
+// GET /api/patients/:personId/photo-landmarks — every rendered view of every
+// timepoint (timepoint date order, then grid order), with its landmarks.
+export const listAlignmentPhotos = {
+  params: idParams('personId'),
+  response: z.array(alignmentPhoto),
+} as const;
+
+const landmarkParams = z.object({
+  personId: numericParam,
+  tpCode: z.string().regex(/^\d+$/, 'Invalid timepoint code'),
+  view: z.enum(VIEW_CODES),
+});
+export type LandmarkParams = z.infer<typeof landmarkParams>;
+
+// PUT /api/patients/:personId/photo-landmarks/:tpCode/:view — mark (or re-mark)
+// the view's two landmarks.
+export const saveLandmark = {
+  params: landmarkParams,
+  body: landmarkPoints.refine(
+    (p) => Math.hypot(p.b_x - p.a_x, p.b_y - p.a_y) >= MIN_LANDMARK_DISTANCE,
+    { message: 'The two landmarks are too close together', path: ['b_x'] }
+  ),
+  response: alignmentPhoto,
+} as const;
+export type SaveLandmarkBody = z.infer<typeof saveLandmark.body>;
+
+// DELETE /api/patients/:personId/photo-landmarks/:tpCode/:view
+export const deleteLandmark = {
+  params: landmarkParams,
+} as const;
+
+export const collage = z.object({
+  name: z.string(),
+  width: z.number(),
+  height: z.number(),
+  /** True when an identical collage was already rendered and is reused. */
+  cached: z.boolean(),
+  /** Photos lined up on their landmarks (the rest are centred). */
+  aligned: z.number(),
+  /** Cells left blank — the view wasn't taken at that timepoint. */
+  missing: z.number(),
+});
+export type Collage = z.infer<typeof collage>;
+
+const unique = <T>(values: T[]) => new Set(values).size === values.length;
+
+// POST /api/patients/:personId/collages — one column per timepoint (in date
+// order, labelled Before / Progress / After), one row per view. `align` (default
+// on) lines the photos up on their landmarks.
+export const createCollage = {
+  params: idParams('personId'),
+  body: z.object({
+    tp_codes: z
+      .array(z.number().int().nonnegative())
+      .min(1)
+      .max(MAX_COLLAGE_TIMEPOINTS)
+      .refine(unique, 'Timepoints must be different'),
+    views: z.array(z.enum(VIEW_CODES)).min(1).max(VIEW_CODES.length).refine(unique, 'Views must be different'),
+    align: z.boolean().optional(),
+  }),
+  response: collage,
+} as const;
+export type CreateCollageBody = z.infer<typeof createCollage.body>;
+
+const collageParams = z.object({
+  personId: numericParam,
+  name: z.string().regex(COLLAGE_NAME_RE, 'Invalid collage name'),
+});
+
+// GET /api/patients/:personId/collages/:name — the JPEG.
+export const collageFile = {
+  params: collageParams,
+} as const;
+
+// POST /api/patients/:personId/collages/:name/whatsapp — send it to the
+// patient's phone.
+export const sendCollage = {
+  params: collageParams,
+  response: z.object({ phone: z.string() }),
+} as const;
@@ -87,7 +87,8 @@ const yearTotalRow = z.object({
 // splits. Modeled to RUNTIME reality, which diverges from the BaseInvoice interface:
 // `amount_paid` is a `to_char`-formatted STRING (the interface mistypes it number),
 // and `change`/`currency`/`patient_name` can be null off the join. iqd/usd_received
-// are `?? 0` in enrichInvoice, so non-null.
+// are `?? 0` in enrichInvoice, so non-null (negative on a refund row, which also
+// carries refund_of_invoice_id + refund_reason).
 const enrichedInvoiceRow = z.object({
   invoice_id: z.number(),
   workid: z.number().optional(),
@@ -100,6 +101,8 @@ const enrichedInvoiceRow = z.object({
   change: z.number().nullable().optional(),
   iqd_received: z.number(),
   usd_received: z.number(),
+  refund_of_invoice_id: z.number().nullable().optional(),
+  refund_reason: z.string().nullable().optional(),
 });
 
 // GET /api/statistics → { month, year, exchangeRate, dailyData, summary }.
@@ -209,3 +212,31 @@ export const multiYearStatisticsQuery = z.object({
   exchangeRate: z.string().optional(),
 });
 export type MultiYearStatisticsQuery = z.infer<typeof multiYearStatisticsQuery>;
+
+// ── Overdue balances (GET /api/statistics/overdue-balances) ────────────────────
+// Active payment plans with at least one installment past due date + grace
+// (PaymentPlanService#OverdueBalanceRow), worst first. Amounts are in the plan's
+// own currency; `totals` sums them per currency like the other statistics. CLOSED
+// `z.object` containers — fully modeled, no D2 marker. See payment-plan.contract.ts.
+const overdueBalanceRow = z.object({
+  plan_id: z.number(),
+  work_id: z.number(),
+  person_id: z.number(),
+  patient_name: z.string().nullable(),
+  currency: z.string(),
+  overdue_amount: z.number(),
+  overdue_count: z.number(),
+  oldest_due_date: z.string(),
+  days_overdue: z.number(),
+  remaining: z.number(),
+  last_reminded_at: z.string().nullable(),
+});
+export type OverdueBalanceRow = z.infer<typeof overdueBalanceRow>;
+
+export const overdueBalances = {
+  response: z.object({
+    rows: z.array(overdueBalanceRow),
+    totals: currencyAmounts,
+  }),
+} as const;
+export type OverdueBalancesResponse = z.infer<typeof overdueBalances.response>;
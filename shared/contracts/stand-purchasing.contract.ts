@@ -0,0 +1,231 @@
+/**
+ * API contract — stand purchasing (`/api/stand/suppliers*`,
+ * `/api/stand/purchase-orders*`).
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * A PO is raised (usually from `reorderSuggestions`) as a draft, marked ordered,
+ * then received in one or more deliveries — each receipt carries lot/expiry per
+ * line and books the received value as a "Stand Purchases" expense. Supplier
+ * invoices are recorded against the PO for matching only. Amounts are IQD
+ * integers like the rest of the stand.
+ */
+import { z } from 'zod';
+import { dateString, idParams, intId, nonNegInt, optionalPositiveIntQuery, timestampString } from '../validation.js';
+
+export const PURCHASE_ORDER_STATUSES = ['draft', 'ordered', 'partial', 'received', 'cancelled'] as const;
+export type PurchaseOrderStatus = (typeof PURCHASE_ORDER_STATUSES)[number];
+
+// ===========================================================================
+// Response rows (stand-purchasing-queries.ts row types)
+// ===========================================================================
+
+const supplierRow = z.looseObject({
+  supplier_id: z.number(),
+  supplier_name: z.string(),
+  contact_name: z.string().nullable(),
+  phone: z.string().nullable(),
+  email: z.string().nullable(),
+  notes: z.string().nullable(),
+  is_active: z.boolean(),
+  created_at: timestampString,
+});
+export type StandSupplier = z.infer<typeof supplierRow>;
+
+const reorderSuggestionRow = z.looseObject({
+  item_id: z.number(),
+  item_name: z.string(),
+  unit: z.string().nullable(),
+  current_stock: z.number(),
+  reorder_level: z.number(),
+  cost_price: z.number(),
+  on_order: z.number(),
+  suggested_quantity: z.number(),
+  last_supplier_id: z.number().nullable(),
+});
+export type ReorderSuggestion = z.infer<typeof reorderSuggestionRow>;
+
+const purchaseOrderFields = {
+  po_id: z.number(),
+  supplier_id: z.number(),
+  supplier_name: z.string(),
+  status: z.enum(PURCHASE_ORDER_STATUSES),
+  expected_date: z.string().nullable(),
+  notes: z.string().nullable(),
+  created_at: timestampString,
+  ordered_at: timestampString.nullable(),
+  closed_at: timestampString.nullable(),
+  line_count: z.number(),
+  ordered_value: z.number(),
+  received_value: z.number(),
+  invoiced_value: z.number(),
+};
+const purchaseOrderRow = z.looseObject(purchaseOrderFields);
+export type PurchaseOrder = z.infer<typeof purchaseOrderRow>;
+
+const purchaseOrderLineRow = z.looseObject({
+  po_line_id: z.number(),
+  item_id: z.number(),
+  item_name: z.string(),
+  unit: z.string().nullable(),
+  current_stock: z.number(),
+  quantity_ordered: z.number(),
+  quantity_received: z.number(),
+  unit_cost: z.number(),
+});
+export type PurchaseOrderLine = z.infer<typeof purchaseOrderLineRow>;
+
+const receiptRow = z.looseObject({
+  receipt_id: z.number(),
+  total_cost: z.number(),
+  expense_id: z.number().nullable(),
+  notes: z.string().nullable(),
+  received_at: timestampString,
+  lines: z.array(
+    z.looseObject({
+      receipt_line_id: z.number(),
+      po_line_id: z.number(),
+      item_name: z.string(),
+      quantity: z.number(),
+      unit_cost: z.number(),
+      lot_number: z.string().nullable(),
+      expiry_date: z.string().nullable(),
+    })
+  ),
+});
+export type PurchaseReceipt = z.infer<typeof receiptRow>;
+
+const supplierInvoiceRow = z.looseObject({
+  invoice_id: z.number(),
+  invoice_no: z.string(),
+  invoice_date: z.string(),
+  amount: z.number(),
+  notes: z.string().nullable(),
+});
+export type SupplierInvoice = z.infer<typeof supplierInvoiceRow>;
+
+const purchaseOrderDetail = z.looseObject({
+  ...purchaseOrderFields,
+  lines: z.array(purchaseOrderLineRow),
+  receipts: z.array(receiptRow),
+  invoices: z.array(supplierInvoiceRow),
+});
+export type PurchaseOrderDetail = z.infer<typeof purchaseOrderDetail>;
+
+// ===========================================================================
+// SUPPLIERS
+// ===========================================================================
+
+const supplierBody = z.object({
+  supplierName: z.string().trim().min(1, 'supplier name is required'),
+  contactName: z.string().nullable().optional(),
+  phone: z.string().nullable().optional(),
+  email: z.union([z.literal(''), z.email()]).nullable().optional(),
+  notes: z.string().nullable().optional(),
+  isActive: z.boolean().optional(),
+});
+export type SupplierBody = z.infer<typeof supplierBody>;
+
+// GET /api/stand/suppliers?includeInactive=true
+export const suppliers = {
+  response: z.array(supplierRow),
+} as const;
+
+// POST /api/stand/suppliers → { supplier_id } (201).
+export const createSupplier = {
+  body: supplierBody,
+  response: z.object({ supplier_id: z.number() }),
+} as const;
+
+// PUT /api/stand/suppliers/:id — sendSuccess(null).
+export const updateSupplier = {
+  params: idParams('id'),
+  body: supplierBody,
+} as const;
+
+// ===========================================================================
+// PURCHASE ORDERS
+// ===========================================================================
+
+// GET /api/stand/purchase-orders/suggestions — low-stock items not yet covered
+// by an open order, with a suggested quantity.
+export const reorderSuggestions = {
+  response: z.array(reorderSuggestionRow),
+} as const;
+
+// GET /api/stand/purchase-orders?status=&supplierId=
+export const purchaseOrders = {
+  query: z.object({
+    status: z.enum(PURCHASE_ORDER_STATUSES).optional(),
+    supplierId: optionalPositiveIntQuery,
+  }),
+  response: z.array(purchaseOrderRow),
+} as const;
+export type PurchaseOrdersQuery = z.infer<typeof purchaseOrders.query>;
+
+// GET /api/stand/purchase-orders/:id — header + lines, receipts, invoices.
+export const purchaseOrderById = {
+  params: idParams('id'),
+  response: purchaseOrderDetail,
+} as const;
+
+// POST /api/stand/purchase-orders — a draft PO → { po_id } (201).
+export const createPurchaseOrder = {
+  body: z.object({
+    supplierId: intId,
+    expectedDate: z.union([z.literal(''), dateString]).nullable().optional(),
+    notes: z.string().nullable().optional(),
+    lines: z
+      .array(z.object({ itemId: intId, quantity: intId, unitCost: nonNegInt }))
+      .min(1, 'add at least one line'),
+  }),
+  response: z.object({ po_id: z.number() }),
+} as const;
+export type CreatePurchaseOrderBody = z.infer<typeof createPurchaseOrder.body>;
+
+// POST /api/stand/purchase-orders/:id/order and /cancel — sendSuccess(null).
+export const markOrdered = { params: idParams('id') } as const;
+export const cancelPurchaseOrder = { params: idParams('id') } as const;
+
+// POST /api/stand/purchase-orders/:id/receive — one delivery (201). Lines with
+// quantity 0 are ignored, so the client can post every line of the order.
+export const receivePurchaseOrder = {
+  params: idParams('id'),
+  body: z.object({
+    notes: z.string().nullable().optional(),
+    lines: z
+      .array(
+        z.object({
+          poLineId: intId,
+          quantity: nonNegInt,
+          unitCost: nonNegInt,
+          lotNumber: z.string().nullable().optional(),
+          expiryDate: z.union([z.literal(''), dateString]).nullable().optional(),
+        })
+      )
+      .min(1),
+  }),
+  response: z.object({
+    receipt_id: z.number(),
+    total_cost: z.number(),
+    expense_id: z.number(),
+    status: z.enum(PURCHASE_ORDER_STATUSES),
+  }),
+} as const;
+export type ReceivePurchaseOrderBody = z.infer<typeof receivePurchaseOrder.body>;
+export type ReceivePurchaseOrderResult = z.infer<typeof receivePurchaseOrder.response>;
+
+// POST /api/stand/purchase-orders/:id/invoices — the supplier's invoice (201).
+export const recordSupplierInvoice = {
+  params: idParams('id'),
+  body: z.object({
+    invoiceNo: z.string().trim().min(1, 'invoice number is required'),
+    invoiceDate: dateString,
+    amount: nonNegInt,
+    notes: z.string().nullable().optional(),
+  }),
+  response: z.object({ invoice_id: z.number() }),
+} as const;
+export type RecordSupplierInvoiceBody = z.infer<typeof recordSupplierInvoice.body>;
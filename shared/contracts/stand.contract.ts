@@ -25,7 +25,7 @@
  *    primitive; `date` columns (`expiry_date`) are plain `z.string()`.
  */
 import { z } from 'zod';
-import { idParams, timestampString } from '../validation.js';
+import { dateString, idParams, timestampString } from '../validation.js';
 
 // ===========================================================================
 // Shared response row schemas (looseObject — preserve long-tail for the client,
@@ -79,6 +79,9 @@ const standSaleFields = {
   voided_date: timestampString.nullable(),
   voided_by: z.number().nullable(),
   void_reason: z.string().nullable(),
+  // Running totals of partial returns; the sale's own totals stay as sold.
+  returned_amount: z.number(),
+  returned_cost: z.number(),
   patient_name: z.string().nullable(),
   CashierName: z.string().nullable(),
 };
@@ -98,6 +101,7 @@ const standSaleItemRow = z.looseObject({
   sale_id: z.number(),
   item_id: z.number(),
   quantity: z.number(),
+  quantity_returned: z.number(),
   unit_price: z.number(),
   unit_cost: z.number(),
   line_total: z.number(),
@@ -126,6 +130,22 @@ const standMovementRow = z.looseObject({
 });
 export type StandStockMovement = z.infer<typeof standMovementRow>;
 
+// A stock lot (stand_item_lots) — `po_id` is set when it came in on a PO receipt.
+const standLotRow = z.looseObject({
+  lot_id: z.number(),
+  item_id: z.number(),
+  source: z.string(),
+  lot_number: z.string().nullable(),
+  expiry_date: z.string().nullable(),
+  unit_cost: z.number(),
+  quantity_received: z.number(),
+  quantity_remaining: z.number(),
+  received_at: timestampString,
+  written_off_at: timestampString.nullable(),
+  po_id: z.number().nullable(),
+});
+export type StandLot = z.infer<typeof standLotRow>;
+
 const salesSummaryRow = z.looseObject({
   sale_date: z.string(), // `to_char(... )` → string on the server already
   SalesCount: z.number(),
@@ -269,10 +289,16 @@ export const updateItem = { params: idParams('id') } as const;
 // DELETE /api/stand/items/:id — soft delete, sendSuccess(null).
 export const deleteItem = { params: idParams('id') } as const;
 
-// POST /api/stand/items/:id/restock — { quantity, unitCost }, sendSuccess(null).
+// POST /api/stand/items/:id/restock — { quantity, unitCost, lotNumber?, expiryDate? },
+// sendSuccess(null). The optional lot details land on the new stock lot.
 export const restock = {
   params: idParams('id'),
-  body: z.object({ quantity: z.coerce.number(), unitCost: z.coerce.number() }),
+  body: z.object({
+    quantity: z.coerce.number(),
+    unitCost: z.coerce.number(),
+    lotNumber: z.string().trim().max(60).nullish(),
+    expiryDate: dateString.nullish(),
+  }),
 } as const;
 export type RestockBody = z.infer<typeof restock.body>;
 
@@ -288,6 +314,19 @@ export const itemMovements = {
   response: z.array(standMovementRow),
 } as const;
 
+// GET /api/stand/items/:id/lots — the item's stock lots, open ones first in draw order.
+export const itemLots = {
+  params: idParams('id'),
+  response: z.array(standLotRow),
+} as const;
+
+// POST /api/stand/lots/write-off-expired — empty every lot that expired before
+// today; returns what was taken out of stock.
+export const writeOffExpiredLots = {
+  response: z.object({ lotCount: z.number(), quantity: z.number(), totalCost: z.number() }),
+} as const;
+export type WriteOffExpiredResult = z.infer<typeof writeOffExpiredLots.response>;
+
 // ===========================================================================
 // SALES
 // ===========================================================================
@@ -317,6 +356,45 @@ export const saleById = {
 // is checked by the handler (not route-validated); only `:id` is validated.
 export const voidSale = { params: idParams('id') } as const;
 
+// POST /api/stand/sales/:id/returns — give back some units of some lines (201).
+// Each line may return at most quantity − quantity_returned; the refund is the
+// line's sell price × units.
+export const returnSale = {
+  params: idParams('id'),
+  body: z.object({
+    items: z
+      .array(
+        z.object({
+          saleItemId: z.number().int().positive(),
+          quantity: z.number().int().positive(),
+        })
+      )
+      .min(1),
+    reason: z.string().trim().min(1).max(500),
+  }),
+  response: z.looseObject({ returnId: z.number(), refundAmount: z.number(), refundCost: z.number() }),
+} as const;
+export type ReturnSaleBody = z.infer<typeof returnSale.body>;
+export type ReturnSaleResult = z.infer<typeof returnSale.response>;
+
+// GET /api/stand/sales/:id/returns — the sale's returns, oldest first.
+const standSaleReturnRow = z.looseObject({
+  return_id: z.number(),
+  sale_id: z.number(),
+  refund_amount: z.number(),
+  refund_cost: z.number(),
+  reason: z.string(),
+  returned_at: timestampString,
+  returned_by: z.number().nullable(),
+  ReturnedByName: z.string().nullable(),
+});
+export type StandSaleReturn = z.infer<typeof standSaleReturnRow>;
+
+export const saleReturns = {
+  params: idParams('id'),
+  response: z.array(standSaleReturnRow),
+} as const;
+
 // ===========================================================================
 // REPORTS
 // ===========================================================================
@@ -335,3 +413,23 @@ export const reportTopItems = {
   response: z.array(topItemRow),
 } as const;
 export type ReportTopItemsResponse = z.infer<typeof reportTopItems.response>;
+
+// GET /api/stand/reports/margins?startDate=&endDate= — per-item gross margin
+// (COGS from the stock lots each sale drew) + expired-lot write-offs.
+const marginRow = z.looseObject({
+  item_id: z.number(),
+  item_name: z.string(),
+  quantity_sold: z.number(),
+  revenue: z.number(),
+  cogs: z.number(),
+  gross_profit: z.number(),
+  margin_pct: z.number().nullable(),
+  written_off_quantity: z.number(),
+  written_off_cost: z.number(),
+});
+export type StandMarginRow = z.infer<typeof marginRow>;
+
+export const reportMargins = {
+  query: z.object({ startDate: dateString, endDate: dateString }),
+  response: z.array(marginRow),
+} as const;
@@ -0,0 +1,80 @@
+/**
+ * API contract — patient account statement (`/api/patients/:personId/statement*`).
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * The statement is derived on read by StatementService from works, invoices
+ * (refunds included), discounts, stand sales/returns and the day's exchange
+ * rates — nothing is stored.
+ * The PDF and CSV variants are raw (un-enveloped) downloads of the same data.
+ * The patient portal's `/api/portal/payments` returns the same `patientStatement`
+ * shape (validated client-side in public/js/portal/portal.schemas.ts).
+ */
+import { z } from 'zod';
+import { idParams } from '../validation.js';
+
+export const STATEMENT_ENTRY_KINDS = ['charge', 'discount', 'payment', 'return', 'refund'] as const;
+
+// StatementService#StatementEntry.
+export const statementEntry = z.looseObject({
+  date: z.string().nullable(),
+  kind: z.enum(STATEMENT_ENTRY_KINDS),
+  work_id: z.number().nullable(),
+  sale_id: z.number().nullable(),
+  currency: z.string(),
+  description: z.string(),
+  reference: z.number().nullable(),
+  debit: z.number(),
+  credit: z.number(),
+  balance: z.number(),
+  iqd_cash: z.number().nullable(),
+  usd_cash: z.number().nullable(),
+  change: z.number().nullable(),
+  exchange_rate: z.number().nullable(),
+});
+export type StatementEntry = z.infer<typeof statementEntry>;
+
+// StatementService#PatientStatement.
+export const patientStatement = z.looseObject({
+  person_id: z.number(),
+  patient_name: z.string().nullable(),
+  phone: z.string().nullable(),
+  generated_at: z.string(),
+  works: z.array(
+    z.looseObject({
+      work_id: z.number(),
+      work_type: z.string().nullable(),
+      status: z.number(),
+      currency: z.string(),
+      total_required: z.number(),
+      discount: z.number(),
+      paid: z.number(),
+      balance: z.number(),
+    })
+  ),
+  entries: z.array(statementEntry),
+  totals: z.array(
+    z.object({
+      currency: z.string(),
+      charged: z.number(),
+      discounts: z.number(),
+      paid: z.number(),
+      refunded: z.number(),
+      balance: z.number(),
+    })
+  ),
+});
+export type PatientStatement = z.infer<typeof patientStatement>;
+
+// GET /api/patients/:personId/statement — the ledger as JSON.
+export const getPatientStatement = {
+  params: idParams('personId'),
+  response: patientStatement,
+} as const;
+
+// GET /api/patients/:personId/statement/pdf and /statement/csv — raw downloads.
+export const exportPatientStatement = {
+  params: idParams('personId'),
+} as const;
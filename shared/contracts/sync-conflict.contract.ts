@@ -0,0 +1,62 @@
+/**
+ * API contract — two-way sync conflict review (`/api/sync/conflicts…`; the `cdc_conflicts`
+ * table, see migrations/pg/1783700000000_sync-conflicts.sql and services/sync/cdc/conflicts.ts).
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * Conflicts are detected by the CDC sinks, never created through the API. "local" is
+ * this clinic server's database, "remote" the Supabase mirror (web/portal edits).
+ */
+import { z } from 'zod';
+import { idParams, timestampString } from '../validation.js';
+
+// edit          — the same column(s) changed differently on both sides
+// delete_local  — deleted here, edited on Supabase
+// delete_remote — deleted on Supabase, edited here
+export const SYNC_CONFLICT_KINDS = ['edit', 'delete_local', 'delete_remote'] as const;
+export type SyncConflictKind = (typeof SYNC_CONFLICT_KINDS)[number];
+
+export const SYNC_CONFLICT_WINNERS = ['local', 'remote'] as const;
+export type SyncConflictWinner = (typeof SYNC_CONFLICT_WINNERS)[number];
+
+export const SYNC_CONFLICT_STATUSES = ['open', 'resolved'] as const;
+export type SyncConflictStatus = (typeof SYNC_CONFLICT_STATUSES)[number];
+
+// A whole row as `to_jsonb` renders it; null = the row does not exist on that side.
+const rowImage = z.record(z.string(), z.json()).nullable();
+
+const syncConflict = z.object({
+  id: z.number(),
+  tbl: z.string(),
+  pk: z.string(),
+  kind: z.enum(SYNC_CONFLICT_KINDS),
+  // For 'edit': the columns both sides changed. Empty for the delete kinds.
+  columns: z.array(z.string()),
+  // Last image both sides agreed on.
+  base_row: rowImage,
+  // Latest image on each side — refreshed while the conflict is open.
+  local_row: rowImage,
+  remote_row: rowImage,
+  detected_at: timestampString,
+  resolved_at: timestampString.nullable(),
+  resolved_by: z.string().nullable(),
+  resolution: z.enum(SYNC_CONFLICT_WINNERS).nullable(),
+});
+export type SyncConflict = z.infer<typeof syncConflict>;
+
+// GET /api/sync/conflicts?status=open|resolved — open ones oldest first; the latest 50 resolved.
+export const listSyncConflicts = {
+  query: z.object({ status: z.enum(SYNC_CONFLICT_STATUSES).default('open') }),
+  response: z.array(syncConflict),
+} as const;
+export type ListSyncConflictsQuery = z.infer<typeof listSyncConflicts.query>;
+
+// POST /api/sync/conflicts/:id/resolve — copy the winning side's current row over the other side.
+export const resolveSyncConflict = {
+  params: idParams('id'),
+  body: z.object({ winner: z.enum(SYNC_CONFLICT_WINNERS) }),
+  response: syncConflict,
+} as const;
+export type ResolveSyncConflictBody = z.infer<typeof resolveSyncConflict.body>;
@@ -11,7 +11,7 @@
  * See docs/shared-contract-progress.md.
  */
 import { z } from 'zod';
-import { timestampString } from '../validation.js';
+import { timestampString, idParams } from '../validation.js';
 
 // POST /api/templates — create a template. Mirrors TemplateData.
 export const createTemplate = {
@@ -147,6 +147,10 @@ export const templateIdParams = z.object({ templateId: z.string() });
 export type TemplateIdParams = z.infer<typeof templateIdParams>;
 export const workIdParams = z.object({ workId: z.string() });
 export type WorkIdParams = z.infer<typeof workIdParams>;
+export const invoiceIdParams = idParams('invoiceId');
+export type InvoiceIdParams = z.infer<typeof invoiceIdParams>;
+export const saleIdParams = idParams('saleId');
+export type SaleIdParams = z.infer<typeof saleIdParams>;
 export const templateQuery = z.object({
   documentTypeId: z.string().optional(),
   isActive: z.string().optional(),
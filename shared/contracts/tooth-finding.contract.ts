@@ -0,0 +1,117 @@
+/**
+ * API contract — clinical findings charting: the patient's odontogram
+ * (`/api/patients/:personId/tooth-findings`, `/api/tooth-findings/:id`); the
+ * `tooth_findings` table, see migrations/pg/1784800000000_tooth-findings.sql.
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * A finding is open from `recorded_on` until `resolved_on`; the chart on a date
+ * is worked out from the list with shared/tooth-findings.ts, so the client can
+ * show any version without another request.
+ */
+import { z } from 'zod';
+import { dateString, idParams, intId } from '../validation.js';
+
+export const FINDING_KINDS = [
+  'caries',
+  'missing',
+  'impacted',
+  'restoration',
+  'bracket',
+  'band',
+  'bond_failure',
+] as const;
+export type FindingKind = (typeof FINDING_KINDS)[number];
+
+// Mesial, Occlusal (incisal on anteriors), Distal, Buccal, Lingual/palatal, Incisal.
+export const TOOTH_SURFACES = ['M', 'O', 'D', 'B', 'L', 'I'] as const;
+export type ToothSurface = (typeof TOOTH_SURFACES)[number];
+
+// ToothFindingService row — tooth and visit joined in.
+export const toothFinding = z.looseObject({
+  finding_id: z.number(),
+  person_id: z.number(),
+  tooth_id: z.number(),
+  tooth_code: z.string(),
+  kind: z.enum(FINDING_KINDS),
+  /** Affected surfaces in M-O-D-B-L-I order ('MOD'); null = the whole tooth. */
+  surfaces: z.string().nullable(),
+  detail: z.string().nullable(),
+  note: z.string().nullable(),
+  recorded_on: z.string(),
+  /** The visit it was charted at — the chart version it belongs to. */
+  visit_id: z.number().nullable(),
+  resolved_on: z.string().nullable(),
+  /** The work item that treats it (picked on /addworkdetail). */
+  work_item_id: z.number().nullable(),
+  created_by: z.string().nullable(),
+});
+export type ToothFinding = z.infer<typeof toothFinding>;
+
+// One version of the chart: a date on which findings were added or resolved.
+const chartVersion = z.object({
+  date: z.string(),
+  visit_id: z.number().nullable(),
+  added: z.number(),
+  resolved: z.number(),
+});
+export type ChartVersion = z.infer<typeof chartVersion>;
+
+const surfaces = z
+  .string()
+  .trim()
+  .toUpperCase()
+  .regex(/^[MODBLI]{0,6}$/, 'Surfaces are letters from M, O, D, B, L, I');
+
+const findingFields = {
+  tooth_id: intId,
+  kind: z.enum(FINDING_KINDS),
+  surfaces: surfaces.nullable().optional(),
+  detail: z.string().trim().max(200).nullable().optional(),
+  note: z.string().trim().max(1000).nullable().optional(),
+};
+
+// GET /api/patients/:personId/tooth-findings — every finding (oldest first) and
+// the chart's versions (oldest first).
+export const patientFindings = {
+  params: idParams('personId'),
+  response: z.object({
+    findings: z.array(toothFinding),
+    versions: z.array(chartVersion),
+  }),
+} as const;
+export type PatientFindingsResponse = z.infer<typeof patientFindings.response>;
+
+// POST /api/patients/:personId/tooth-findings — `visit_id` dates the finding to
+// that visit; otherwise `recorded_on` (default today), linked to the patient's
+// visit on that day if there is one.
+export const createFinding = {
+  params: idParams('personId'),
+  body: z.object({
+    ...findingFields,
+    recorded_on: dateString.optional(),
+    visit_id: intId.nullable().optional(),
+  }),
+  response: toothFinding,
+} as const;
+export type CreateFindingBody = z.infer<typeof createFinding.body>;
+
+// PUT /api/tooth-findings/:id — edit, resolve (`resolved_on`) or reopen (null).
+export const updateFinding = {
+  params: idParams('id'),
+  body: z.object({
+    ...findingFields,
+    recorded_on: dateString,
+    resolved_on: dateString.nullable().optional(),
+  }),
+  response: toothFinding,
+} as const;
+export type UpdateFindingBody = z.infer<typeof updateFinding.body>;
+
+// DELETE /api/tooth-findings/:id — for charting mistakes; a finding that has gone
+// away is resolved instead, so earlier versions keep it.
+export const deleteFinding = {
+  params: idParams('id'),
+} as const;
@@ -0,0 +1,135 @@
+/**
+ * API contract — the per-work treatment timeline (`/api/works/:workId/timeline`).
+ *
+ * Imported by BOTH the Express route (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * Read-only: the timeline is derived on the server (TreatmentTimelineService.ts)
+ * from the work, its visits, its diagnosis and the patient's photo timepoints
+ * and missed appointments. Every date is a 'YYYY-MM-DD' string.
+ */
+import { z } from 'zod';
+import { idParams } from '../validation.js';
+
+export const TIMELINE_ARCHES = ['upper', 'lower'] as const;
+export type TimelineArch = (typeof TIMELINE_ARCHES)[number];
+
+export const MILESTONE_KINDS = [
+  'start',
+  'diagnosis',
+  'initial_records',
+  'bracket_change',
+  'opg',
+  'progress_photos',
+  'appliance_removed',
+  'final_records',
+] as const;
+export type MilestoneKind = (typeof MILESTONE_KINDS)[number];
+
+// on_track/behind/overdue: active with a plan. finished/discontinued: closed.
+// no_plan: no start date or no estimated duration to measure against.
+export const PROGRESS_STATUSES = ['on_track', 'behind', 'overdue', 'finished', 'discontinued', 'no_plan'] as const;
+export type ProgressStatus = (typeof PROGRESS_STATUSES)[number];
+
+const ymd = z.string();
+
+// One visit on the timeline; `interval_days` is the time since the previous visit.
+const timelineVisit = z.object({
+  id: z.number(),
+  date: ymd,
+  interval_days: z.number().nullable(),
+  upper_wire: z.string().nullable(),
+  lower_wire: z.string().nullable(),
+  elastics: z.string().nullable(),
+  bracket_change: z.string().nullable(),
+  photos: z.boolean(),
+  opg: z.boolean(),
+  appliance_removed: z.boolean(),
+});
+export type TimelineVisit = z.infer<typeof timelineVisit>;
+
+// A run of visits on the same wire in one arch. `to` is the visit that changed
+// it; the last wire runs to the case's end, or to today while it is still in
+// (`current`).
+const wireSegment = z.object({
+  arch: z.enum(TIMELINE_ARCHES),
+  wire_id: z.number(),
+  name: z.string(),
+  from: ymd,
+  to: ymd,
+  days: z.number(),
+  visits: z.number(),
+  current: z.boolean(),
+});
+export type WireSegment = z.infer<typeof wireSegment>;
+
+// A stretch between visits longer than the case's usual interval. An `open` gap
+// runs from the last visit to today (the patient is overdue now).
+const visitGap = z.object({
+  from: ymd,
+  to: ymd,
+  days: z.number(),
+  /** Days beyond the usual interval — what the gap cost the plan. */
+  excess_days: z.number(),
+  missed_appointments: z.number(),
+  open: z.boolean(),
+});
+export type VisitGap = z.infer<typeof visitGap>;
+
+const photoTimepoint = z.object({
+  tp_code: z.number(),
+  date: ymd,
+  description: z.string().nullable(),
+});
+export type PhotoTimepoint = z.infer<typeof photoTimepoint>;
+
+const milestone = z.object({
+  kind: z.enum(MILESTONE_KINDS),
+  date: ymd,
+  label: z.string(),
+});
+export type Milestone = z.infer<typeof milestone>;
+
+// The estimate against the plan. `planned_end` = start + the planned months;
+// `projected_end` pushes it out by the gaps' excess days.
+const progress = z.object({
+  status: z.enum(PROGRESS_STATUSES),
+  start: ymd.nullable(),
+  planned_months: z.number().nullable(),
+  planned_end: ymd.nullable(),
+  elapsed_months: z.number().nullable(),
+  delay_days: z.number(),
+  projected_end: ymd.nullable(),
+  /** Start to debond, for a finished case. */
+  actual_months: z.number().nullable(),
+});
+export type TimelineProgress = z.infer<typeof progress>;
+
+// GET /api/works/:workId/timeline — 404 when the work doesn't exist.
+export const workTimeline = {
+  params: idParams('workId'),
+  response: z.object({
+    work: z.object({
+      work_id: z.number(),
+      person_id: z.number(),
+      type_name: z.string().nullable(),
+      doctor_name: z.string().nullable(),
+      start_date: ymd.nullable(),
+      debond_date: ymd.nullable(),
+    }),
+    today: ymd,
+    /** The span the view draws: first event to the later of today/finish/projection. */
+    range: z.object({ from: ymd, to: ymd }),
+    /** Median visit interval, the yardstick for gaps (null with too few visits). */
+    usual_interval_days: z.number().nullable(),
+    visits: z.array(timelineVisit),
+    wires: z.array(wireSegment),
+    gaps: z.array(visitGap),
+    missed_appointments: z.array(ymd),
+    photos: z.array(photoTimepoint),
+    milestones: z.array(milestone),
+    progress,
+  }),
+} as const;
+export type WorkTimeline = z.infer<typeof workTimeline.response>;
@@ -0,0 +1,90 @@
+/**
+ * API contract — the cancellation wait-list (`/api/waitlist*`; the
+ * `appointment_waitlist` table, see migrations/pg/1783000000000_appointment-
+ * series-and-waitlist.sql).
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * Lifecycle: waiting → offered (a freed slot was stamped on it) → booked, or →
+ * cancelled from either open state; declining an offer returns it to waiting.
+ * `offer_expired` is computed at read time (the slot has passed).
+ */
+import { z } from 'zod';
+import { dateString, idParams, intId, optionalPositiveIntQuery, timestampString } from '../validation.js';
+
+export const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'cancelled'] as const;
+export type WaitlistStatus = (typeof WAITLIST_STATUSES)[number];
+
+// One wait-list row (waitlist-queries.ts#WaitlistRow). `offered_slot` is a
+// to_char'd wall-clock string; the audit stamps are PG timestamps.
+export const waitlistRow = z.looseObject({
+  id: z.number(),
+  person_id: z.number(),
+  patient_name: z.string().nullable(),
+  phone: z.string().nullable(),
+  dr_id: z.number().nullable(),
+  doctor_name: z.string().nullable(),
+  app_detail: z.string().nullable(),
+  earliest_date: z.string(),
+  latest_date: z.string(),
+  note: z.string().nullable(),
+  status: z.enum(WAITLIST_STATUSES),
+  offered_slot: z.string().nullable(),
+  offered_dr_id: z.number().nullable(),
+  offered_doctor_name: z.string().nullable(),
+  offered_at: timestampString.nullable(),
+  offer_expired: z.boolean(),
+  booked_appointment_id: z.number().nullable(),
+  created_at: timestampString,
+  created_by: z.string().nullable(),
+});
+export type WaitlistRow = z.infer<typeof waitlistRow>;
+
+// GET /api/waitlist?scope=open|all&personId= — open (default) is oldest-first, the offer order.
+export const listWaitlist = {
+  query: z.object({
+    scope: z.enum(['open', 'all']).optional(),
+    personId: optionalPositiveIntQuery,
+  }),
+  response: z.array(waitlistRow),
+} as const;
+export type ListWaitlistQuery = z.infer<typeof listWaitlist.query>;
+
+// POST /api/waitlist — add a patient with the window they can come in.
+export const createWaitlistEntry = {
+  body: z
+    .object({
+      person_id: intId,
+      dr_id: intId.nullable().optional(),
+      app_detail: z.string().max(200).optional(),
+      earliest_date: dateString,
+      latest_date: dateString,
+      note: z.string().max(1000).optional(),
+    })
+    .refine((b) => b.latest_date >= b.earliest_date, {
+      message: 'latest_date must be on or after earliest_date',
+      path: ['latest_date'],
+    }),
+  response: waitlistRow,
+} as const;
+export type CreateWaitlistEntryBody = z.infer<typeof createWaitlistEntry.body>;
+
+// POST /api/waitlist/:id/book — book the offered slot → { entry, appointment_id }.
+export const bookWaitlistOffer = {
+  params: idParams('id'),
+  response: z.object({ entry: waitlistRow, appointment_id: z.number(), app_date: z.string() }),
+} as const;
+
+// POST /api/waitlist/:id/decline — back to waiting; the slot moves to the next candidate.
+export const declineWaitlistOffer = {
+  params: idParams('id'),
+  response: waitlistRow,
+} as const;
+
+// POST /api/waitlist/:id/cancel — take the patient off the wait-list.
+export const cancelWaitlistEntry = {
+  params: idParams('id'),
+  response: waitlistRow,
+} as const;
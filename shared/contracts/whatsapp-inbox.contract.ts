@@ -0,0 +1,88 @@
+/**
+ * API contract — the shared WhatsApp inbox (`/api/wa/inbox*`; the
+ * `whatsapp_threads` / `whatsapp_thread_messages` tables, see
+ * migrations/pg/1784300000000_whatsapp-inbox.sql).
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * Unlike the rest of `/api/wa` (raw responses, see whatsapp.contract.ts) these
+ * responses go through `sendData`. Live changes arrive as the
+ * `whatsapp_inbox_updated` SSE event on /api/sse/whatsapp (payload `{ threadId }`).
+ */
+import { z } from 'zod';
+import { idParams, timestampString } from '../validation.js';
+
+export const INBOX_DIRECTIONS = ['in', 'out'] as const;
+export type InboxDirection = (typeof INBOX_DIRECTIONS)[number];
+
+// One thread (whatsapp-inbox-queries.ts#WhatsAppThreadRow). `patient_name` is
+// null when the sender's number matched no patient.
+export const inboxThread = z.looseObject({
+  thread_id: z.number(),
+  chat_id: z.string(),
+  phone: z.string().nullable(),
+  person_id: z.number().nullable(),
+  patient_name: z.string().nullable(),
+  contact_name: z.string().nullable(),
+  last_message_at: timestampString.nullable(),
+  last_message_preview: z.string().nullable(),
+  last_direction: z.enum(INBOX_DIRECTIONS).nullable(),
+  unread_count: z.number(),
+  created_at: timestampString,
+});
+export type InboxThread = z.infer<typeof inboxThread>;
+
+// One message (whatsapp-inbox-queries.ts#WhatsAppThreadMessageRow). `ack` is the
+// library's MessageAck on outgoing messages (1 server, 2 device, 3 read).
+export const inboxMessage = z.looseObject({
+  message_id: z.number(),
+  thread_id: z.number(),
+  direction: z.enum(INBOX_DIRECTIONS),
+  body: z.string(),
+  message_type: z.string(),
+  has_media: z.boolean(),
+  wa_message_id: z.string().nullable(),
+  ack: z.number().nullable(),
+  sent_at: timestampString,
+  sent_by: z.number().nullable(),
+  sent_by_name: z.string().nullable(),
+});
+export type InboxMessage = z.infer<typeof inboxMessage>;
+
+// GET /api/wa/inbox/threads?search=&unread=true — most recent conversation first.
+export const listThreads = {
+  query: z.object({
+    search: z.string().trim().max(100).optional(),
+    unread: z.enum(['true', 'false']).optional(),
+  }),
+  response: z.array(inboxThread),
+} as const;
+export type ListThreadsQuery = z.infer<typeof listThreads.query>;
+
+// GET /api/wa/inbox/unread — totals for the nav badge.
+export const unreadTotals = {
+  response: z.object({ threads: z.number(), messages: z.number() }),
+} as const;
+export type InboxUnreadTotals = z.infer<typeof unreadTotals.response>;
+
+// GET /api/wa/inbox/threads/:id — the thread and its latest messages (oldest first).
+export const getThread = {
+  params: idParams('id'),
+  response: z.object({ thread: inboxThread, messages: z.array(inboxMessage) }),
+} as const;
+export type InboxThreadDetail = z.infer<typeof getThread.response>;
+
+// POST /api/wa/inbox/threads/:id/read — clear the thread's unread count.
+export const markRead = {
+  params: idParams('id'),
+} as const;
+
+// POST /api/wa/inbox/threads/:id/reply — send a text to the thread's chat.
+export const reply = {
+  params: idParams('id'),
+  body: z.object({ message: z.string().trim().min(1, 'Message is required').max(4096) }),
+  response: z.object({ messageId: z.string() }),
+} as const;
+export type InboxReplyBody = z.infer<typeof reply.body>;
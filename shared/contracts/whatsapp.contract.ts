@@ -21,6 +21,13 @@ export const sendReceipt = {
 } as const;
 export type SendReceiptBody = z.infer<typeof sendReceipt.body>;
 
+// POST /api/wa/send-stand-receipt — { saleId } of a stand sale linked to a
+// patient. Raw response, like send-receipt.
+export const sendStandReceipt = {
+  body: z.object({ saleId: z.coerce.number().int().positive() }),
+} as const;
+export type SendStandReceiptBody = z.infer<typeof sendStandReceipt.body>;
+
 // POST /api/wa/send-appointment — { appointmentId }.
 export const sendAppointment = {
   body: z.object({ appointmentId: z.coerce.number() }),
@@ -0,0 +1,147 @@
+/**
+ * API contract — wire sequence protocols (`/api/wire-protocols*`) and the
+ * protocol a work follows (`/api/works/:workId/wire-protocol`); the
+ * `wire_protocols` / `wire_protocol_steps` / `work_wire_protocols` tables, see
+ * migrations/pg/1784700000000_wire-protocols.sql.
+ *
+ * Imported by BOTH the Express routes (relative `.js`) and the React app
+ * (`@shared` alias). One `export const <action> = { … } as const` per endpoint;
+ * types via `z.infer`.
+ *
+ * The next-visit suggestion is computed at read time by WireProtocolService from
+ * the work's visits; how far a chosen wire strays from it is worked out on the
+ * client with shared/wire-protocol.ts.
+ */
+import { z } from 'zod';
+import { dateString, idParams, intId, optionalPositiveIntQuery } from '../validation.js';
+
+// 'both' steps are in the upper AND the lower sequence.
+export const STEP_ARCHES = ['both', 'upper', 'lower'] as const;
+export type StepArch = (typeof STEP_ARCHES)[number];
+
+export const WIRE_ARCHES = ['upper', 'lower'] as const;
+export type WireArch = (typeof WIRE_ARCHES)[number];
+
+// start: no wire in yet → the first step. advance: minimum weeks done → the next
+// step. hold: too early to change. final: on the last step. off_protocol: the
+// wire in isn't in the sequence. no_steps: the protocol has nothing for the arch.
+export const SUGGESTION_STATUSES = ['start', 'advance', 'hold', 'final', 'off_protocol', 'no_steps'] as const;
+export type SuggestionStatus = (typeof SUGGESTION_STATUSES)[number];
+
+export const MAX_MIN_WEEKS = 104;
+export const MAX_INTERVAL_WEEKS = 26;
+
+const protocolStep = z.object({
+  step_id: z.number(),
+  position: z.number(),
+  arch: z.enum(STEP_ARCHES),
+  wire_id: z.number(),
+  wire_name: z.string(),
+  min_weeks: z.number(),
+  interval_weeks: z.number(),
+});
+export type WireProtocolStep = z.infer<typeof protocolStep>;
+
+// WireProtocolService#WireProtocolView — steps in position order.
+export const wireProtocol = z.looseObject({
+  protocol_id: z.number(),
+  name: z.string(),
+  description: z.string().nullable(),
+  is_active: z.boolean(),
+  /** Works following it (a protocol in use can't be deleted). */
+  work_count: z.number(),
+  steps: z.array(protocolStep),
+});
+export type WireProtocol = z.infer<typeof wireProtocol>;
+
+const protocolBody = z.object({
+  name: z.string().trim().min(1).max(100),
+  description: z.string().trim().max(500).nullable().optional(),
+  is_active: z.boolean().optional(),
+  steps: z
+    .array(
+      z.object({
+        arch: z.enum(STEP_ARCHES),
+        wire_id: intId,
+        min_weeks: z.number().int().min(0).max(MAX_MIN_WEEKS),
+        interval_weeks: z.number().int().min(1).max(MAX_INTERVAL_WEEKS),
+      })
+    )
+    .min(1)
+    .max(30),
+});
+export type WireProtocolBody = z.infer<typeof protocolBody>;
+
+// GET /api/wire-protocols — every protocol, active first, then by name.
+export const listProtocols = {
+  response: z.array(wireProtocol),
+} as const;
+
+// POST /api/wire-protocols — 409 when the name is taken.
+export const createProtocol = {
+  body: protocolBody,
+  response: wireProtocol,
+} as const;
+
+// PUT /api/wire-protocols/:id — replaces the steps as a whole.
+export const updateProtocol = {
+  params: idParams('id'),
+  body: protocolBody,
+  response: wireProtocol,
+} as const;
+
+// DELETE /api/wire-protocols/:id — 409 while works follow it (deactivate instead).
+export const deleteProtocol = {
+  params: idParams('id'),
+} as const;
+
+// One arch of the suggestion. `min_weeks` is the current step's; `interval_weeks`
+// that of the step in place after this visit.
+const archSuggestion = z.object({
+  arch: z.enum(WIRE_ARCHES),
+  status: z.enum(SUGGESTION_STATUSES),
+  current_wire_id: z.number().nullable(),
+  current_wire: z.string().nullable(),
+  /** When the current wire went in (the first visit of its run). */
+  since: z.string().nullable(),
+  weeks_on_wire: z.number().nullable(),
+  min_weeks: z.number().nullable(),
+  suggested_wire_id: z.number().nullable(),
+  suggested_wire: z.string().nullable(),
+  interval_weeks: z.number().nullable(),
+});
+export type ArchSuggestion = z.infer<typeof archSuggestion>;
+
+// The next visit, for a visit on `date`: the shorter of the two arches' intervals.
+const wireSuggestion = z.object({
+  date: z.string(),
+  upper: archSuggestion,
+  lower: archSuggestion,
+  interval_weeks: z.number().nullable(),
+  next_visit_date: z.string().nullable(),
+});
+export type WireSuggestion = z.infer<typeof wireSuggestion>;
+
+// GET /api/works/:workId/wire-protocol?date=&visitId= — the work's protocol and
+// the suggestion for a visit on `date` (default today). `visitId` (editing a
+// visit) leaves that visit out. Both null when the work follows no protocol.
+export const workProtocol = {
+  params: idParams('workId'),
+  query: z.object({
+    date: dateString.optional(),
+    visitId: optionalPositiveIntQuery,
+  }),
+  response: z.object({
+    protocol: wireProtocol.nullable(),
+    suggestion: wireSuggestion.nullable(),
+  }),
+} as const;
+export type WorkProtocolQuery = z.infer<typeof workProtocol.query>;
+export type WorkProtocolResponse = z.infer<typeof workProtocol.response>;
+
+// PUT /api/works/:workId/wire-protocol — { protocolId } to assign, null to clear.
+export const assignProtocol = {
+  params: idParams('workId'),
+  body: z.object({ protocolId: intId.nullable() }),
+} as const;
+export type AssignProtocolBody = z.infer<typeof assignProtocol.body>;
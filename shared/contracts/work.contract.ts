@@ -71,6 +71,8 @@ export type WorkDetailIdBody = z.infer<typeof workDetailIdBody>;
 
 // The work-item fields (WorkItemData) the add/update-work-detail handlers spread
 // into the query. Numeric fields coerced; TeethIds is the only array column.
+// FindingIds are the patient's tooth findings (tooth-finding.contract.ts) the item
+// treats — linked, not a column.
 const workItemFields = {
   filling_type: z.string().optional(),
   filling_depth: z.string().optional(),
@@ -92,6 +94,7 @@ const workItemFields = {
   completed_date: z.string().optional(),
   note: z.string().optional(),
   TeethIds: z.array(z.coerce.number()).optional(),
+  FindingIds: z.array(intId).optional(),
 } as const;
 
 // The shared WorkCreateData field map (POST /addwork + /addWorkWithInvoice). A
@@ -311,7 +314,13 @@ export const deleteWorkDetail = { body: workDetailIdBody, response: rowsAffected
 // DIAGNOSIS
 // ===========================================================================
 
-// POST /api/diagnosis — upsert; FULLY ENUMERATED (the route's DiagnosisData,
+// A work has up to two diagnoses: the 'initial' one (pre-treatment records) and a
+// 'final' one (post-treatment), compared on the Diagnosis page. Rows from before
+// the split are all 'initial'.
+export const DIAGNOSIS_STAGES = ['initial', 'final'] as const;
+export type DiagnosisStage = (typeof DIAGNOSIS_STAGES)[number];
+
+// POST /api/diagnosis — upsert on (work_id, stage); FULLY ENUMERATED (the route's DiagnosisData,
 // deleted). The handler reads every cephalometric field EXPLICITLY (`|| null`), so
 // each must be enumerated or a strict object would strip it. work_id required;
 // diagnosis + treatment_plan required non-empty; everything else optional.
@@ -325,6 +334,7 @@ const optText = z.string().nullish();
 export const diagnosis = {
   body: z.object({
     work_id: intId,
+    stage: z.enum(DIAGNOSIS_STAGES).optional(),
     dx_date: optText,
     diagnosis: z.string().trim().min(1),
     treatment_plan: z.string().trim().min(1),
@@ -373,7 +383,10 @@ export const diagnosis = {
 } as const;
 export type DiagnosisBody = z.infer<typeof diagnosis.body>;
 // GET /api/diagnosis/:workId stays a RAW res.json(row|null) (the null signals
-// "no diagnosis yet" — see the route comment); not modeled here.
+// "no diagnosis yet" — see the route comment); not modeled here. GET and
+// DELETE take `?stage=` (default 'initial').
+export const diagnosisStageQuery = z.object({ stage: z.enum(DIAGNOSIS_STAGES).optional() });
+export type DiagnosisStageQuery = z.infer<typeof diagnosisStageQuery>;
 
 // ===========================================================================
 // TRANSFER (admin)
@@ -0,0 +1,120 @@
+/**
+ * Photo collages — the layout and alignment rules shared by the server renderer
+ * (services/imaging/photo-collage.service.ts) and the landmark picker on the
+ * Compare page. Imported by BOTH the Express server (relative `.js`) and the
+ * React app (`@shared` alias), like tooth-findings.ts.
+ *
+ * Every view has two landmarks — anatomy that stays put during treatment and is
+ * easy to find again, so the same two points can be marked at every timepoint.
+ * A photo is lined up on the first timepoint's photo of the view by the scale and
+ * rotation that carry its landmarks onto that photo's (a similarity — never a
+ * shear, so the anatomy isn't distorted).
+ */
+import type { PhotoViewCode } from './photo-views.js';
+
+export interface Point {
+  x: number;
+  y: number;
+}
+
+/** Row labels — the views as the collage names them. */
+export const COLLAGE_VIEW_LABELS: Record<PhotoViewCode, string> = {
+  i10: 'Profile',
+  i12: 'Rest',
+  i13: 'Smile',
+  i23: 'Upper occlusal',
+  i24: 'Lower occlusal',
+  i20: 'Right buccal',
+  i22: 'Frontal',
+  i21: 'Left buccal',
+};
+
+/** What the two landmarks mark on each view (the patient's right / left). */
+export const LANDMARK_HINTS: Record<PhotoViewCode, { a: string; b: string }> = {
+  i10: { a: 'Soft-tissue nasion', b: 'Soft-tissue pogonion' },
+  i12: { a: 'Right pupil', b: 'Left pupil' },
+  i13: { a: 'Right pupil', b: 'Left pupil' },
+  i20: { a: 'Upper canine cusp tip', b: 'Upper first molar mesiobuccal cusp' },
+  i21: { a: 'Upper canine cusp tip', b: 'Upper first molar mesiobuccal cusp' },
+  i22: { a: 'Upper right canine cusp tip', b: 'Upper left canine cusp tip' },
+  i23: { a: 'Right first molar central fossa', b: 'Left first molar central fossa' },
+  i24: { a: 'Right first molar central fossa', b: 'Left first molar central fossa' },
+};
+
+/**
+ * Cell width / height per view — the photo editor's output aspects (facial
+ * 13:15, intra-oral lateral and frontal 13:7, occlusal 13:9), so a view fills
+ * its cell the way it fills the photo grid.
+ */
+export const CELL_ASPECT: Record<PhotoViewCode, number> = {
+  i10: 13 / 15,
+  i12: 13 / 15,
+  i13: 13 / 15,
+  i20: 13 / 7,
+  i21: 13 / 7,
+  i22: 13 / 7,
+  i23: 13 / 9,
+  i24: 13 / 9,
+};
+
+/** A column's stage: the first timepoint is Before, the last After, any between Progress. */
+export function stageLabel(index: number, count: number): string {
+  if (count < 2) return '';
+  if (index === 0) return 'Before';
+  return index === count - 1 ? 'After' : 'Progress';
+}
+
+/** Beyond these a landmark pair is more likely mis-marked than a real change in framing. */
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 5;
+
+export interface Similarity {
+  scale: number;
+  /** Degrees, clockwise on screen (y points down). */
+  rotation: number;
+}
+
+/**
+ * The scale and rotation that carry the segment `from` onto `to` — what lines a
+ * photo's landmarks up on the reference photo's. Null when the landmarks
+ * coincide or the scale is implausible.
+ */
+export function similarity(from: [Point, Point], to: [Point, Point]): Similarity | null {
+  const fx = from[1].x - from[0].x;
+  const fy = from[1].y - from[0].y;
+  const tx = to[1].x - to[0].x;
+  const ty = to[1].y - to[0].y;
+  const fromLength = Math.hypot(fx, fy);
+  const toLength = Math.hypot(tx, ty);
+  if (fromLength === 0 || toLength === 0) return null;
+  const scale = toLength / fromLength;
+  if (scale < MIN_SCALE || scale > MAX_SCALE) return null;
+  const degrees = ((Math.atan2(ty, tx) - Math.atan2(fy, fx)) * 180) / Math.PI;
+  // Normalise to (-180, 180] so a near-level photo isn't turned the long way round.
+  const rotation = degrees > 180 ? degrees - 360 : degrees <= -180 ? degrees + 360 : degrees;
+  return { scale, rotation };
+}
+
+/** Rotate `p` clockwise by `degrees` about `centre` (screen coordinates). */
+export function rotateAbout(p: Point, centre: Point, degrees: number): Point {
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const dx = p.x - centre.x;
+  const dy = p.y - centre.y;
+  return { x: centre.x + dx * cos - dy * sin, y: centre.y + dx * sin + dy * cos };
+}
+
+/**
+ * Scale and offset that cover a `cellW`×`cellH` cell with a `width`×`height`
+ * image, centred (the overflow is cropped evenly from both sides).
+ */
+export function coverFit(
+  width: number,
+  height: number,
+  cellW: number,
+  cellH: number
+): { scale: number; left: number; top: number } {
+  const scale = Math.max(cellW / width, cellH / height);
+  return { scale, left: (cellW - width * scale) / 2, top: (cellH - height * scale) / 2 };
+}
@@ -0,0 +1,70 @@
+/**
+ * Tooth findings — the pure charting rules shared by the server
+ * (services/business/ToothFindingService.ts) and the odontogram (ClinicalChart).
+ * Imported by BOTH the Express server (relative `.js`) and the React app
+ * (`@shared` alias), like wire-protocol.ts.
+ *
+ * A finding is open from `recorded_on` until the day before `resolved_on`; the
+ * chart on a date is the findings open on it. Dates are 'YYYY-MM-DD' strings, so
+ * they compare as strings.
+ */
+import {
+  TOOTH_SURFACES,
+  type ChartVersion,
+  type FindingKind,
+} from './contracts/tooth-finding.contract.js';
+
+export const FINDING_KIND_LABELS: Record<FindingKind, string> = {
+  caries: 'Caries',
+  missing: 'Missing',
+  impacted: 'Impacted',
+  restoration: 'Restoration',
+  bracket: 'Bracket placed',
+  band: 'Band placed',
+  bond_failure: 'Bond failure',
+};
+
+type Dated = { recorded_on: string; resolved_on: string | null };
+
+/** Whether a finding is open on `date`. */
+export function isOpenOn(finding: Dated, date: string): boolean {
+  return finding.recorded_on <= date && (finding.resolved_on === null || finding.resolved_on > date);
+}
+
+/** The findings open on `date` — the chart as it stood that day. */
+export function chartAt<T extends Dated>(findings: T[], date: string): T[] {
+  return findings.filter((f) => isOpenOn(f, date));
+}
+
+/** Surfaces de-duplicated into M-O-D-B-L-I order; '' / null → null (the whole tooth). */
+export function normalizeSurfaces(surfaces: string | null | undefined): string | null {
+  if (!surfaces) return null;
+  const upper = surfaces.toUpperCase();
+  const out = TOOTH_SURFACES.filter((s) => upper.includes(s)).join('');
+  return out || null;
+}
+
+/**
+ * The chart's versions, oldest first: each date a finding was recorded or
+ * resolved. A version takes the visit of the findings recorded that day.
+ */
+export function chartVersions(
+  findings: (Dated & { visit_id: number | null })[]
+): ChartVersion[] {
+  const byDate = new Map<string, ChartVersion>();
+  const at = (date: string): ChartVersion => {
+    let v = byDate.get(date);
+    if (!v) {
+      v = { date, visit_id: null, added: 0, resolved: 0 };
+      byDate.set(date, v);
+    }
+    return v;
+  };
+  for (const f of findings) {
+    const added = at(f.recorded_on);
+    added.added += 1;
+    added.visit_id ??= f.visit_id;
+    if (f.resolved_on) at(f.resolved_on).resolved += 1;
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,76 @@
+/**
+ * Wire protocol sequences — the pure rules shared by the server's next-visit
+ * suggestion (services/business/WireProtocolService.ts) and the visit form's
+ * deviation flag (NewVisitComponent). Imported by BOTH the Express server
+ * (relative `.js`) and the React app (`@shared` alias), like treatment-taxonomy.ts.
+ *
+ * A protocol's steps are one ordered list; a step is in an arch's sequence when
+ * its `arch` is 'both' or that arch.
+ */
+import type {
+  ArchSuggestion,
+  StepArch,
+  WireArch,
+} from './contracts/wire-protocol.contract.js';
+
+type StepLike = { arch: StepArch; wire_id: number };
+
+/** The steps one arch goes through, in protocol order (steps must be sorted by position). */
+export function archSequence<T extends StepLike>(steps: T[], arch: WireArch): T[] {
+  return steps.filter((s) => s.arch === 'both' || s.arch === arch);
+}
+
+export type WireDeviationKind = 'off_protocol' | 'back' | 'early' | 'skip' | 'held';
+
+export type WireDeviation = {
+  kind: WireDeviationKind;
+  message: string;
+};
+
+/**
+ * How a wire chosen for a visit departs from the protocol's suggestion for that
+ * arch; null when it follows it (or nothing is chosen, or the protocol has no
+ * sequence for the arch). `wireName` labels wire ids in the message.
+ */
+export function wireDeviation(
+  sequence: StepLike[],
+  suggestion: ArchSuggestion,
+  chosenWireId: number | null,
+  wireName: (wireId: number) => string
+): WireDeviation | null {
+  if (chosenWireId === null || suggestion.status === 'no_steps') return null;
+  if (chosenWireId === suggestion.suggested_wire_id) return null;
+
+  const chosenIdx = sequence.findIndex((s) => s.wire_id === chosenWireId);
+  if (chosenIdx === -1) {
+    return { kind: 'off_protocol', message: `${wireName(chosenWireId)} is not in the protocol` };
+  }
+
+  const current = suggestion.current_wire_id;
+  const currentIdx = current === null ? -1 : sequence.findIndex((s) => s.wire_id === current);
+  if (chosenWireId === current) {
+    // Only reached when the protocol suggests moving on (hold/final suggest the current wire).
+    return suggestion.suggested_wire_id === null
+      ? null
+      : {
+          kind: 'held',
+          message: `Stays on ${wireName(current)}; the protocol moves on to ${wireName(suggestion.suggested_wire_id)} after ${suggestion.min_weeks} weeks`,
+        };
+  }
+  if (currentIdx !== -1 && chosenIdx < currentIdx) {
+    return { kind: 'back', message: `Goes back from ${wireName(current!)} to an earlier wire` };
+  }
+  if (suggestion.status === 'hold' && current !== null) {
+    return {
+      kind: 'early',
+      message: `${wireName(current)} has been in ${suggestion.weeks_on_wire} of the protocol's ${suggestion.min_weeks} weeks`,
+    };
+  }
+
+  const expectedIdx = sequence.findIndex((s) => s.wire_id === suggestion.suggested_wire_id);
+  if (expectedIdx !== -1 && chosenIdx > expectedIdx) {
+    const skipped = sequence.slice(expectedIdx, chosenIdx).map((s) => wireName(s.wire_id));
+    return { kind: 'skip', message: `Skips ${skipped.join(', ')}` };
+  }
+  return null;
+}
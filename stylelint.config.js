@@ -42,9 +42,13 @@ export default {
     },
     {
       // Separate / pinned bundles — intentionally not theme-aware:
-      //  • Patient Portal — its own raw-Zod bundle, untouched by the staff theme.
+      //  • Patient + aligner-doctor portals — their own raw-Zod bundles, untouched by the staff theme.
       //  • ChairDisplay kiosk — pinned light by design.
-      files: ['public/js/portal/**/*.css', 'public/js/routes/ChairDisplay.module.css'],
+      files: [
+        'public/js/portal/**/*.css',
+        'public/js/aligner-portal/**/*.css',
+        'public/js/routes/ChairDisplay.module.css',
+      ],
       rules: {
         'declaration-property-value-disallowed-list': null,
       },
@@ -225,6 +225,8 @@ export interface AppConfig {
   r2: R2Config;
   /** Path to the `pg_dump` binary for the database-backup download (defaults to 'pg_dump' on PATH). */
   pgDumpPath: string;
+  /** Path to the `pg_restore` binary for backup verification + restore checks (defaults to 'pg_restore' on PATH). */
+  pgRestorePath: string;
   cs_export?: string;
   gram_session?: string;
 }
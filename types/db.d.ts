@@ -78,6 +78,8 @@ export interface AlignerBatches {
   creation_date: Generated<Timestamp>;
   days: number | null;
   delivered_to_patient_date: string | null;
+  depletion_alert_id: number | null;
+  depletion_alerted_at: Timestamp | null;
   has_lower_template: Generated<boolean>;
   has_upper_template: Generated<boolean>;
   is_active: Generated<boolean | null>;
@@ -94,6 +96,18 @@ export interface AlignerBatches {
   validity_period: Generated<number | null>;
 }
 
+export interface AlignerDoctorPortalAuth {
+  created_at: Generated<Timestamp>;
+  credential_version: Generated<number>;
+  dr_id: number;
+  enabled: Generated<boolean>;
+  failed_attempts: Generated<number>;
+  last_login_at: Timestamp | null;
+  locked_until: Timestamp | null;
+  password_hash: string;
+  password_set_at: Generated<Timestamp>;
+}
+
 export interface AlignerDoctors {
   doctor_email: string | null;
   doctor_name: string;
@@ -139,6 +153,36 @@ export interface AlignerSets {
   work_id: number;
 }
 
+export interface AppointmentSeries {
+  app_detail: string;
+  cancelled_at: Timestamp | null;
+  created_at: Generated<Timestamp>;
+  created_by: string | null;
+  dr_id: number;
+  first_app_date: Timestamp;
+  id: Generated<number>;
+  interval_weeks: number;
+  occurrences: number;
+  person_id: number;
+}
+
+export interface AppointmentWaitlist {
+  app_detail: string | null;
+  booked_appointment_id: number | null;
+  created_at: Generated<Timestamp>;
+  created_by: string | null;
+  dr_id: number | null;
+  earliest_date: string;
+  id: Generated<number>;
+  latest_date: string;
+  note: string | null;
+  offered_at: Timestamp | null;
+  offered_dr_id: number | null;
+  offered_slot: Timestamp | null;
+  person_id: number;
+  status: Generated<string>;
+}
+
 export interface Appointments {
   app_cost: string | null;
   app_date: Timestamp;
@@ -146,10 +190,15 @@ export interface Appointments {
   app_detail: string | null;
   app_time: Generated<string | null>;
   appointment_id: Generated<number>;
+  confirm_task_id: number | null;
+  confirmation_at: Timestamp | null;
+  confirmation_source: string | null;
+  confirmation_status: string | null;
   delivered_timestamp: Timestamp | null;
   delivered_wa: string | null;
   dismissed: string | null;
   dr_id: number | null;
+  no_show_at: Timestamp | null;
   notified: Generated<boolean | null>;
   person_id: number;
   present: string | null;
@@ -157,6 +206,7 @@ export interface Appointments {
   seated: string | null;
   sent_timestamp: Timestamp | null;
   sent_wa: boolean | null;
+  series_id: number | null;
   sms_sid: string | null;
   sms_status: string | null;
   updated_at: Timestamp | null;
@@ -183,6 +233,20 @@ export interface ApprovalRequests {
   target_version: string | null;
 }
 
+export interface AuditLog {
+  actor: string | null;
+  after: Json | null;
+  before: Json | null;
+  changed_at: Generated<Timestamp>;
+  id: Generated<Int8>;
+  op: string;
+  person_id: number | null;
+  pk: string;
+  request_id: string | null;
+  route: string | null;
+  tbl: string;
+}
+
 export interface Bends {
   bend: string;
   bend_id: Generated<number>;
@@ -203,6 +267,21 @@ export interface CarriedWires {
   wire_slot: number;
 }
 
+export interface CdcConflicts {
+  base_row: Json | null;
+  columns: Generated<string[]>;
+  detected_at: Generated<Timestamp>;
+  id: Generated<Int8>;
+  kind: string;
+  local_row: Json | null;
+  pk: string;
+  remote_row: Json | null;
+  resolution: string | null;
+  resolved_at: Timestamp | null;
+  resolved_by: string | null;
+  tbl: string;
+}
+
 export interface CdcSinkControl {
   enabled: Generated<boolean>;
   note: string | null;
@@ -211,6 +290,27 @@ export interface CdcSinkControl {
   updated_at: Generated<Timestamp>;
 }
 
+export interface CdcSyncBase {
+  base_row: Json;
+  deleted_at: Timestamp | null;
+  pk: string;
+  synced_at: Generated<Timestamp>;
+  tbl: string;
+}
+
+export interface CephNorms {
+  age_max: number | null;
+  age_min: number | null;
+  created_by: string | null;
+  mean: Numeric;
+  measure: string;
+  norm_id: Generated<number>;
+  sd: Numeric;
+  sex: string | null;
+  source: string | null;
+  updated_at: Timestamp | null;
+}
+
 export interface ChangeLog {
   changed_at: Generated<Timestamp>;
   id: Generated<Int8>;
@@ -275,6 +375,7 @@ export interface Diagnoses {
   o_molar_relation: string | null;
   o_overbite: string | null;
   o_overjet: string | null;
+  stage: Generated<string>;
   treatment_plan: string;
   updated_at: Timestamp | null;
   work_id: number;
@@ -466,6 +567,9 @@ export interface Invoices {
   date_of_payment: string;
   invoice_id: Generated<number>;
   iqd_received: Generated<number>;
+  refund_of_invoice_id: number | null;
+  refund_reason: string | null;
+  refunded_by: string | null;
   sys_start_time: Generated<Timestamp>;
   usd_received: Generated<number>;
   work_id: number;
@@ -476,6 +580,23 @@ export interface Keywords {
   key_word: string | null;
 }
 
+export interface LabCaseCharges {
+  accrued_at: Generated<Timestamp>;
+  amount: Generated<number>;
+  charge_type: string;
+  created_at: Generated<Timestamp>;
+  created_by: string | null;
+  currency: Generated<string>;
+  id: Generated<number>;
+  lab_case_id: number;
+  lab_id: number;
+  note: string | null;
+  price_list_id: number | null;
+  statement_id: number | null;
+  unit_price: Generated<number>;
+  units: Generated<number>;
+}
+
 export interface LabCaseEvents {
   created_at: Generated<Timestamp>;
   created_by: string | null;
@@ -503,11 +624,42 @@ export interface LabCases {
   person_id: number;
   remake_count: Generated<number>;
   sent_at: Generated<Timestamp>;
+  sla_alert_id: number | null;
+  sla_alert_stage: string | null;
+  sla_alerted_at: Timestamp | null;
   status: Generated<string>;
   status_changed_at: Generated<Timestamp>;
   work_item_id: number;
 }
 
+export interface LabPriceList {
+  basis: Generated<string>;
+  created_at: Generated<Timestamp>;
+  currency: Generated<string>;
+  id: Generated<number>;
+  is_active: Generated<boolean>;
+  lab_id: number;
+  material: string | null;
+  remake_price: Generated<number>;
+  shade_system: string | null;
+  unit_price: number;
+  work_type_id: number;
+}
+
+export interface LabStatements {
+  accrued_amount: number;
+  currency: string;
+  expense_id: number | null;
+  id: Generated<number>;
+  lab_id: number;
+  lab_invoice_amount: number | null;
+  lab_invoice_no: string | null;
+  note: string | null;
+  period_start: string;
+  reconciled_at: Generated<Timestamp>;
+  reconciled_by: string | null;
+}
+
 export interface Labs {
   id: Generated<number>;
   is_active: Generated<boolean>;
@@ -523,6 +675,15 @@ export interface MessageStatusHistory {
   wa_message_id: string;
 }
 
+export interface MessageTemplates {
+  body: string;
+  language: string;
+  template_id: Generated<number>;
+  template_key: string;
+  updated_at: Timestamp | null;
+  updated_by: string | null;
+}
+
 export interface Numbers {
   my_number: Generated<number>;
 }
@@ -542,6 +703,30 @@ export interface Options {
   updated_at: Timestamp | null;
 }
 
+export interface OutboundMessages {
+  appointment_id: number | null;
+  attempts: Generated<number>;
+  body: string;
+  channel: string;
+  created_at: Generated<Timestamp>;
+  created_by: string | null;
+  last_attempt_at: Timestamp | null;
+  last_error: string | null;
+  message_id: Generated<number>;
+  next_attempt_at: Generated<Timestamp>;
+  person_id: number | null;
+  phone: string;
+  provider_message_id: string | null;
+  purpose: string;
+  recipient_name: string | null;
+  requested_channel: string;
+  resent_by: string | null;
+  sent_at: Timestamp | null;
+  sms_body: string | null;
+  sms_fallback: Generated<boolean>;
+  status: Generated<string>;
+}
+
 export interface PatientPortalAuth {
   created_at: Generated<Timestamp>;
   enabled: Generated<boolean>;
@@ -586,12 +771,51 @@ export interface PatientTypes {
   patient_type_name_ar: string | null;
 }
 
+export interface PaymentPlanInstallments {
+  amount: number;
+  due_date: string;
+  id: Generated<number>;
+  plan_id: number;
+  seq: number;
+}
+
+export interface PaymentPlans {
+  cancelled_at: Timestamp | null;
+  created_at: Generated<Timestamp>;
+  created_by: string | null;
+  currency: string;
+  first_due_date: string;
+  grace_days: Generated<number>;
+  id: Generated<number>;
+  installment_amount: number;
+  installment_count: number;
+  interval_months: Generated<number>;
+  last_reminded_at: Timestamp | null;
+  note: string | null;
+  opening_paid: Generated<number>;
+  work_id: number;
+}
+
 export interface Pgmigrations {
   id: Generated<number>;
   name: string;
   run_on: Timestamp;
 }
 
+export interface PhotoLandmarks {
+  a_x: number;
+  a_y: number;
+  b_x: number;
+  b_y: number;
+  created_by: string | null;
+  landmark_id: Generated<number>;
+  person_id: number;
+  tp_code: number;
+  updated_at: Timestamp | null;
+  view_code: string;
+  view_mtime: Int8;
+}
+
 export interface PortalSessions {
   expire: Timestamp;
   sess: Json;
@@ -667,6 +891,21 @@ export interface StandCategories {
   is_active: Generated<boolean>;
 }
 
+export interface StandItemLots {
+  expiry_date: string | null;
+  item_id: number;
+  lot_id: Generated<number>;
+  lot_number: string | null;
+  quantity_received: number;
+  quantity_remaining: number;
+  receipt_line_id: number | null;
+  received_at: Generated<Timestamp>;
+  source: string;
+  unit_cost: number;
+  written_off_at: Timestamp | null;
+  written_off_by: number | null;
+}
+
 export interface StandItems {
   barcode: string | null;
   category_id: number | null;
@@ -686,16 +925,88 @@ export interface StandItems {
   updated_at: Timestamp | null;
 }
 
+export interface StandPurchaseOrderLines {
+  item_id: number;
+  po_id: number;
+  po_line_id: Generated<number>;
+  quantity_ordered: number;
+  quantity_received: Generated<number>;
+  unit_cost: number;
+}
+
+export interface StandPurchaseOrders {
+  closed_at: Timestamp | null;
+  created_at: Generated<Timestamp>;
+  created_by: number | null;
+  expected_date: string | null;
+  notes: string | null;
+  ordered_at: Timestamp | null;
+  po_id: Generated<number>;
+  status: Generated<string>;
+  supplier_id: number;
+}
+
+export interface StandPurchaseReceiptLines {
+  expiry_date: string | null;
+  item_id: number;
+  lot_number: string | null;
+  po_line_id: number;
+  quantity: number;
+  receipt_id: number;
+  receipt_line_id: Generated<number>;
+  unit_cost: number;
+}
+
+export interface StandPurchaseReceipts {
+  expense_id: number | null;
+  notes: string | null;
+  po_id: number;
+  receipt_id: Generated<number>;
+  received_at: Generated<Timestamp>;
+  received_by: number | null;
+  total_cost: number;
+}
+
+export interface StandSaleItemLots {
+  allocation_id: Generated<number>;
+  lot_id: number | null;
+  quantity: number;
+  quantity_returned: Generated<number>;
+  sale_item_id: number;
+  unit_cost: number;
+}
+
 export interface StandSaleItems {
   item_id: number;
   line_total: number;
   quantity: number;
+  quantity_returned: Generated<number>;
   sale_id: number;
   sale_item_id: Generated<number>;
   unit_cost: number;
   unit_price: number;
 }
 
+export interface StandSaleReturnItems {
+  cost: number;
+  item_id: number;
+  quantity: number;
+  refund_amount: number;
+  return_id: number;
+  return_item_id: Generated<number>;
+  sale_item_id: number;
+}
+
+export interface StandSaleReturns {
+  reason: string;
+  refund_amount: number;
+  refund_cost: number;
+  return_id: Generated<number>;
+  returned_at: Generated<Timestamp>;
+  returned_by: number | null;
+  sale_id: number;
+}
+
 export interface StandSales {
   amount_paid: number;
   cashier_id: number | null;
@@ -703,6 +1014,8 @@ export interface StandSales {
   customer_note: string | null;
   payment_method: Generated<string>;
   person_id: number | null;
+  returned_amount: Generated<number>;
+  returned_cost: Generated<number>;
   sale_date: Generated<Timestamp>;
   sale_id: Generated<number>;
   total_amount: number;
@@ -727,6 +1040,29 @@ export interface StandStockMovements {
   unit_cost: number | null;
 }
 
+export interface StandSupplierInvoices {
+  amount: number;
+  created_at: Generated<Timestamp>;
+  created_by: number | null;
+  invoice_date: string;
+  invoice_id: Generated<number>;
+  invoice_no: string;
+  notes: string | null;
+  po_id: number | null;
+  supplier_id: number;
+}
+
+export interface StandSuppliers {
+  contact_name: string | null;
+  created_at: Generated<Timestamp>;
+  email: string | null;
+  is_active: Generated<boolean>;
+  notes: string | null;
+  phone: string | null;
+  supplier_id: Generated<number>;
+  supplier_name: string;
+}
+
 export interface TagOptions {
   id: Generated<number>;
   tag: string;
@@ -761,6 +1097,22 @@ export interface Times {
   time_id: Generated<number>;
 }
 
+export interface ToothFindings {
+  created_by: string | null;
+  detail: string | null;
+  finding_id: Generated<number>;
+  kind: string;
+  note: string | null;
+  person_id: number;
+  recorded_on: Generated<string>;
+  resolved_on: string | null;
+  surfaces: string | null;
+  tooth_id: number;
+  updated_at: Timestamp | null;
+  visit_id: number | null;
+  work_item_id: number | null;
+}
+
 export interface ToothNumbers {
   id: Generated<number>;
   is_permanent: Generated<boolean>;
@@ -831,6 +1183,53 @@ export interface WaitReasons {
   wait_type: string | null;
 }
 
+export interface WhatsappThreadMessages {
+  ack: number | null;
+  body: Generated<string>;
+  direction: string;
+  has_media: Generated<boolean>;
+  message_id: Generated<number>;
+  message_type: Generated<string>;
+  sent_at: Generated<Timestamp>;
+  sent_by: number | null;
+  thread_id: number;
+  wa_message_id: string | null;
+}
+
+export interface WhatsappThreads {
+  chat_id: string;
+  contact_name: string | null;
+  created_at: Generated<Timestamp>;
+  last_direction: string | null;
+  last_message_at: Timestamp | null;
+  last_message_preview: string | null;
+  person_id: number | null;
+  phone: string | null;
+  thread_id: Generated<number>;
+  unread_count: Generated<number>;
+}
+
+export interface WireProtocols {
+  created_by: string | null;
+  description: string | null;
+  is_active: Generated<boolean>;
+  name: string;
+  protocol_id: Generated<number>;
+  updated_at: Timestamp | null;
+  updated_by: string | null;
+}
+
+export interface WireProtocolSteps {
+  arch: Generated<string>;
+  interval_weeks: number;
+  min_weeks: number;
+  position: number;
+  protocol_id: number;
+  step_id: Generated<number>;
+  updated_at: Timestamp | null;
+  wire_id: number;
+}
+
 export interface Wires {
   wire: string;
   wire_id: Generated<number>;
@@ -900,21 +1299,36 @@ export interface WorkTypes {
   work_type: string;
 }
 
+export interface WorkWireProtocols {
+  assigned_at: Generated<Timestamp>;
+  assigned_by: string | null;
+  protocol_id: number;
+  updated_at: Timestamp | null;
+  work_id: number;
+}
+
 export interface DB {
   addresses: Addresses;
   alert_types: AlertTypes;
   alerts: Alerts;
   aligner_activity_flags: AlignerActivityFlags;
   aligner_batches: AlignerBatches;
+  aligner_doctor_portal_auth: AlignerDoctorPortalAuth;
   aligner_doctors: AlignerDoctors;
   aligner_notes: AlignerNotes;
   aligner_sets: AlignerSets;
+  appointment_series: AppointmentSeries;
+  appointment_waitlist: AppointmentWaitlist;
   appointments: Appointments;
   approval_requests: ApprovalRequests;
+  audit_log: AuditLog;
   bends: Bends;
   calendar: Calendar;
   carried_wires: CarriedWires;
+  cdc_conflicts: CdcConflicts;
   cdc_sink_control: CdcSinkControl;
+  cdc_sync_base: CdcSyncBase;
+  ceph_norms: CephNorms;
   change_log: ChangeLog;
   cities: Cities;
   details: Details;
@@ -938,17 +1352,25 @@ export interface DB {
   integration_oauth_tokens: IntegrationOauthTokens;
   invoices: Invoices;
   keywords: Keywords;
+  lab_case_charges: LabCaseCharges;
   lab_case_events: LabCaseEvents;
   lab_cases: LabCases;
+  lab_price_list: LabPriceList;
+  lab_statements: LabStatements;
   labs: Labs;
   message_status_history: MessageStatusHistory;
+  message_templates: MessageTemplates;
   numbers: Numbers;
   old_opg: OldOpg;
   options: Options;
+  outbound_messages: OutboundMessages;
   patient_portal_auth: PatientPortalAuth;
   patient_types: PatientTypes;
   patients: Patients;
+  payment_plan_installments: PaymentPlanInstallments;
+  payment_plans: PaymentPlans;
   pgmigrations: Pgmigrations;
+  photo_landmarks: PhotoLandmarks;
   portal_sessions: PortalSessions;
   positions: Positions;
   private_photos: PrivatePhotos;
@@ -960,14 +1382,25 @@ export interface DB {
   sms: Sms;
   staff_sessions: StaffSessions;
   stand_categories: StandCategories;
+  stand_item_lots: StandItemLots;
   stand_items: StandItems;
+  stand_purchase_order_lines: StandPurchaseOrderLines;
+  stand_purchase_orders: StandPurchaseOrders;
+  stand_purchase_receipt_lines: StandPurchaseReceiptLines;
+  stand_purchase_receipts: StandPurchaseReceipts;
+  stand_sale_item_lots: StandSaleItemLots;
   stand_sale_items: StandSaleItems;
+  stand_sale_return_items: StandSaleReturnItems;
+  stand_sale_returns: StandSaleReturns;
   stand_sales: StandSales;
   stand_stock_movements: StandStockMovements;
+  stand_supplier_invoices: StandSupplierInvoices;
+  stand_suppliers: StandSuppliers;
   tag_options: TagOptions;
   time_point_images: TimePointImages;
   time_points: TimePoints;
   times: Times;
+  tooth_findings: ToothFindings;
   tooth_numbers: ToothNumbers;
   users: Users;
   video_categories: VideoCategories;
@@ -975,10 +1408,15 @@ export interface DB {
   visits: Visits;
   wait_reasons: WaitReasons;
   waiting: Waiting;
+  whatsapp_thread_messages: WhatsappThreadMessages;
+  whatsapp_threads: WhatsappThreads;
+  wire_protocol_steps: WireProtocolSteps;
+  wire_protocols: WireProtocols;
   wires: Wires;
   work_item_teeth: WorkItemTeeth;
   work_items: WorkItems;
   work_statuses: WorkStatuses;
   work_types: WorkTypes;
+  work_wire_protocols: WorkWireProtocols;
   works: Works;
 }
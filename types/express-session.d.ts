@@ -15,6 +15,11 @@ declare module 'express-session' {
     // Patient portal session fields (separate cookie `shwan.portal`)
     patientId?: number;
     patientName?: string;
+    // Aligner-doctor portal session fields (separate cookie `shwan.doctor`)
+    alignerDrId?: number;
+    alignerDoctorName?: string;
+    // aligner_doctor_portal_auth.credential_version at login — re-checked per request
+    alignerCredentialVersion?: number;
     // Short-lived 3Shape OAuth PKCE state, set by /api/auth/3shape/login and
     // consumed (one-shot) by /api/auth/3shape/callback.
     threeshape?: { state: string; verifier: string; createdAt: number };
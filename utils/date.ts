@@ -42,3 +42,36 @@ export function parseLocalDate(s: string): Date | null {
   if (!m) return null;
   return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
 }
+
+// Calendar arithmetic on 'YYYY-MM-DD' strings runs in UTC so a DST change
+// never shifts a day.
+
+/**
+ * UTC midnight of a `YYYY-MM-DD` string. For date arithmetic only — use
+ * `parseLocalDate` for a wall-clock Date.
+ */
+export function ymdToUtc(ymd: string): Date {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+/** `YYYY-MM-DD` plus `days` (negative to go back). */
+export function addDays(ymd: string, days: number): string {
+  const d = ymdToUtc(ymd);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Add months, clamping to the month's last day (Jan 31 + 1 month → Feb 28/29). */
+export function addMonths(ymd: string, months: number): string {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const first = new Date(Date.UTC(y, m - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  first.setUTCDate(Math.min(d, lastDay));
+  return first.toISOString().slice(0, 10);
+}
+
+/** Whole days from `from` to `to`; negative when `to` is earlier. */
+export function daysBetween(from: string, to: string): number {
+  return Math.round((ymdToUtc(to).getTime() - ymdToUtc(from).getTime()) / 86_400_000);
+}
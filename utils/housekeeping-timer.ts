@@ -0,0 +1,16 @@
+/**
+ * Interval timer for background housekeeping (sweeps, schedulers, queues).
+ */
+
+/**
+ * Call `fn` every `intervalMs`. The timer is unref'd so it never holds the
+ * process open on shutdown; a rejected promise from `fn` is left to `fn` itself
+ * (each sweep catches and logs its own failures).
+ *
+ * @returns The handle, for `clearInterval` on stop.
+ */
+export function startHousekeepingTimer(fn: () => unknown, intervalMs: number): NodeJS.Timeout {
+  const timer = setInterval(() => void fn(), intervalMs);
+  timer.unref?.();
+  return timer;
+}
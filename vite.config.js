@@ -78,6 +78,8 @@ export default defineConfig(({ mode }) => {
         main: resolve(publicRoot, 'index.html'),
         // Patient portal SPA (separate bundle, own auth, mobile-first)
         portal: resolve(publicRoot, 'portal.html'),
+        // Aligner-doctor portal SPA (separate bundle, own auth)
+        alignerPortal: resolve(publicRoot, 'aligner-portal.html'),
       },
       output: {
         // Optimal code splitting strategy for production
@@ -154,6 +156,8 @@ export default defineConfig(({ mode }) => {
     historyApiFallback: {
       rewrites: [
         { from: /^\/portal/, to: '/portal.html' },
+        // Before /^\/aligner/ — that staff rule would swallow it otherwise.
+        { from: /^\/aligner-portal/, to: '/aligner-portal.html' },
         { from: /^\/dashboard/, to: '/index.html' },
         { from: /^\/patient/, to: '/index.html' },
         { from: /^\/expenses/, to: '/index.html' },
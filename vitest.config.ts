@@ -3,14 +3,15 @@ import { defineConfig } from 'vitest/config';
 
 /**
  * Unit-test runner for the frontend infrastructure modules (core/http funnel,
- * router/loader-cache). Tests live next to their module as `*.test.ts` under
- * public/js. Playwright owns e2e/ — keep the two runners out of each other's
- * globs.
+ * router/loader-cache) and the server's pure business rules. Tests live next to
+ * their module as `*.test.ts` under public/js and services; server tests
+ * opt into the node environment with a `@vitest-environment node` docblock.
+ * Playwright owns e2e/ — keep the two runners out of each other's globs.
  */
 export default defineConfig({
   test: {
     environment: 'jsdom',
-    include: ['public/js/**/*.test.{ts,tsx}'],
+    include: ['public/js/**/*.test.{ts,tsx}', 'services/**/*.test.ts'],
     exclude: ['node_modules/**', 'e2e/**', 'dist/**', 'dist-server/**'],
   },
   resolve: {